@@ -0,0 +1,424 @@
+// Export a document as an audio file
+// speechSynthesis can't be recorded, so documents are rendered with eSpeak NG
+// (tts-engine/), which ships with the extension and runs in a worker without any
+// network access. The result is saved as WAV, or as Ogg Opus where the browser has
+// an Opus encoder (WebCodecs), with a chapter marker at the start of every page.
+
+// eSpeak NG worker and its voice data, relative to the extension root
+const AUDIO_ENGINE_WORKER_PATH = 'tts-engine/espeakng.worker.js';
+const AUDIO_ENGINE_DATA_PATH = 'tts-engine/espeakng.worker.data';
+
+// The engine hands back 22.05 kHz mono float samples
+const AUDIO_ENGINE_SAMPLE_RATE = 22050;
+
+// eSpeak's defaults, which a TTS rate and pitch of 1.0 map to
+const AUDIO_ENGINE_WORDS_PER_MINUTE = 175;
+const AUDIO_ENGINE_PITCH = 50;
+
+// Silence between pages, in seconds
+const AUDIO_PAGE_GAP = 0.6;
+
+// Ogg Opus is always encoded at 48 kHz, in 20 ms packets
+const OPUS_SAMPLE_RATE = 48000;
+const OPUS_PRE_SKIP = 312;
+
+// Client for the eSpeak NG worker. Methods are called by name; results come back
+// as messages tagged with the callback name, the last one marked done.
+class LocalSpeechEngine {
+  constructor() {
+    this.workerPromise = null;
+    this.nextCallback = 0;
+    this.callbacks = {};
+  }
+
+  getWorker() {
+    if (this.workerPromise) {
+      return this.workerPromise;
+    }
+
+    this.workerPromise = (async () => {
+      console.log('AudioExport: Starting speech engine...');
+      const workerURL = browserAPI.runtime.getURL(AUDIO_ENGINE_WORKER_PATH);
+      const response = await fetch(workerURL);
+      if (!response.ok) {
+        throw new Error(`Speech engine missing: ${AUDIO_ENGINE_WORKER_PATH}`);
+      }
+
+      // Content scripts can't start extension workers directly, so the worker runs
+      // from a blob. Its data file is still loaded from the extension.
+      const baseURL = workerURL.slice(0, workerURL.lastIndexOf('/') + 1);
+      const source = `var Module = { locateFile: function (path) { return ${JSON.stringify(baseURL)} + path; } };\n` +
+        await response.text();
+      const worker = new Worker(URL.createObjectURL(new Blob([source], { type: 'application/javascript' })));
+
+      await new Promise((resolve, reject) => {
+        worker.onmessage = (event) => {
+          if (event.data === 'ready') resolve();
+        };
+        worker.onerror = (event) => reject(new Error(event.message || 'Speech engine failed to start'));
+      });
+
+      worker.onmessage = (event) => this.handleMessage(event.data);
+      worker.onerror = (event) => console.error('AudioExport: Speech engine error:', event.message);
+      console.log('AudioExport: Speech engine ready');
+      return worker;
+    })();
+
+    // A failed start shouldn't stop the next export from trying again
+    this.workerPromise.catch(() => {
+      this.workerPromise = null;
+    });
+
+    return this.workerPromise;
+  }
+
+  handleMessage(data) {
+    const callback = this.callbacks[data.callback];
+    if (!callback) return;
+    if (data.done) {
+      delete this.callbacks[data.callback];
+      callback.resolve(data.result[0]);
+    } else if (callback.onResult) {
+      callback.onResult(...data.result);
+    }
+  }
+
+  async call(method, args = [], onResult = null) {
+    const worker = await this.getWorker();
+    const callback = `_${method}_${this.nextCallback++}`;
+    return new Promise((resolve) => {
+      this.callbacks[callback] = { resolve, onResult };
+      worker.postMessage({ method: method, args: args, callback: callback });
+    });
+  }
+
+  // Speak text with an eSpeak voice ('en', 'es', 'fr'). Resolves to mono samples.
+  async synthesize(text, { voice, rate = 1.0, pitch = 1.0 }) {
+    await this.call('set_voice', [voice]);
+    await this.call('set_rate', [Math.round(AUDIO_ENGINE_WORDS_PER_MINUTE * rate)]);
+    await this.call('set_pitch', [Math.round(Math.min(99, AUDIO_ENGINE_PITCH * pitch))]);
+
+    const parts = [];
+    await this.call('synthesize', [text], (samples) => {
+      parts.push(new Float32Array(samples));
+    });
+    return concatSamples(parts);
+  }
+}
+
+function concatSamples(parts) {
+  const samples = new Float32Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    samples.set(part, offset);
+    offset += part.length;
+  });
+  return samples;
+}
+
+const localSpeechEngine = new LocalSpeechEngine();
+
+// Chapter name for a page of an extraction result
+function getChapterLabel(page) {
+  return page.label || `Page ${page.pageNumber}`;
+}
+
+// Render every page with text. Returns { samples, sampleRate, chapters[{ label, startSample }] }.
+// onProgress(pageIndex, pageCount) is called before each page.
+async function renderDocumentAudio(result, voiceOptions, onProgress = null) {
+  const pages = result.pages.filter(page => page.text && page.text.trim());
+  const gap = new Float32Array(Math.round(AUDIO_PAGE_GAP * AUDIO_ENGINE_SAMPLE_RATE));
+  const parts = [];
+  const chapters = [];
+  let length = 0;
+
+  for (let i = 0; i < pages.length; i++) {
+    if (onProgress) onProgress(i, pages.length);
+    chapters.push({ label: getChapterLabel(pages[i]), startSample: length });
+    const samples = await localSpeechEngine.synthesize(pages[i].text, voiceOptions);
+    parts.push(samples, gap);
+    length += samples.length + gap.length;
+  }
+
+  return { samples: concatSamples(parts), sampleRate: AUDIO_ENGINE_SAMPLE_RATE, chapters: chapters };
+}
+
+// 16-bit mono WAV. Chapters are stored as cue points with labels (a "cue " chunk
+// plus a LIST/adtl chunk), which audio editors and many players show as markers.
+function encodeWav(samples, sampleRate, chapters = []) {
+  const encoder = new TextEncoder();
+  const labels = chapters.map(chapter => encoder.encode(chapter.label));
+  const labelChunkSizes = labels.map(label => 4 + label.length + 1);
+  const cueSize = 4 + chapters.length * 24;
+  const listSize = 4 + labelChunkSizes.reduce((total, size) => total + 8 + size + (size % 2), 0);
+  const dataSize = samples.length * 2;
+  const markerSize = chapters.length > 0 ? 8 + cueSize + 8 + listSize : 0;
+
+  const buffer = new ArrayBuffer(44 + dataSize + markerSize);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  let offset = 0;
+  const writeTag = (tag) => {
+    bytes.set(encoder.encode(tag), offset);
+    offset += 4;
+  };
+  const writeUint32 = (value) => {
+    view.setUint32(offset, value, true);
+    offset += 4;
+  };
+  const writeUint16 = (value) => {
+    view.setUint16(offset, value, true);
+    offset += 2;
+  };
+
+  writeTag('RIFF');
+  writeUint32(buffer.byteLength - 8);
+  writeTag('WAVE');
+
+  writeTag('fmt ');
+  writeUint32(16);
+  writeUint16(1);              // PCM
+  writeUint16(1);              // mono
+  writeUint32(sampleRate);
+  writeUint32(sampleRate * 2); // bytes per second
+  writeUint16(2);              // bytes per frame
+  writeUint16(16);             // bits per sample
+
+  writeTag('data');
+  writeUint32(dataSize);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+    offset += 2;
+  }
+
+  if (chapters.length > 0) {
+    writeTag('cue ');
+    writeUint32(cueSize);
+    writeUint32(chapters.length);
+    chapters.forEach((chapter, index) => {
+      writeUint32(index + 1);          // cue point id
+      writeUint32(chapter.startSample);
+      writeTag('data');
+      writeUint32(0);                  // chunk start
+      writeUint32(0);                  // block start
+      writeUint32(chapter.startSample);
+    });
+
+    writeTag('LIST');
+    writeUint32(listSize);
+    writeTag('adtl');
+    labels.forEach((label, index) => {
+      writeTag('labl');
+      writeUint32(labelChunkSizes[index]);
+      writeUint32(index + 1);
+      bytes.set(label, offset);
+      offset += label.length + 1 + (labelChunkSizes[index] % 2);
+    });
+  }
+
+  return new Blob([buffer], { type: 'audio/wav' });
+}
+
+function isOggExportSupported() {
+  return typeof AudioEncoder !== 'undefined' && typeof OfflineAudioContext !== 'undefined';
+}
+
+// Resample to 48 kHz for Opus
+async function resampleTo(samples, sampleRate, targetRate) {
+  const context = new OfflineAudioContext(1, Math.ceil(samples.length * targetRate / sampleRate), targetRate);
+  const buffer = context.createBuffer(1, samples.length, sampleRate);
+  buffer.copyToChannel(samples, 0);
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.connect(context.destination);
+  source.start();
+  const rendered = await context.startRendering();
+  return rendered.getChannelData(0);
+}
+
+// Encode mono samples to Opus packets with WebCodecs.
+// Returns [{ data: Uint8Array, samples }] at 48 kHz.
+async function encodeOpusPackets(samples) {
+  const packets = [];
+  let encoderError = null;
+  const encoder = new AudioEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      packets.push({ data: data, samples: Math.round((chunk.duration || 20000) * OPUS_SAMPLE_RATE / 1000000) });
+    },
+    error: (error) => {
+      encoderError = error;
+    }
+  });
+  encoder.configure({ codec: 'opus', sampleRate: OPUS_SAMPLE_RATE, numberOfChannels: 1, bitrate: 48000 });
+
+  // Feed one second at a time
+  for (let start = 0; start < samples.length; start += OPUS_SAMPLE_RATE) {
+    const frame = samples.subarray(start, Math.min(samples.length, start + OPUS_SAMPLE_RATE));
+    encoder.encode(new AudioData({
+      format: 'f32',
+      sampleRate: OPUS_SAMPLE_RATE,
+      numberOfFrames: frame.length,
+      numberOfChannels: 1,
+      timestamp: Math.round(start * 1000000 / OPUS_SAMPLE_RATE),
+      data: frame
+    }));
+  }
+  await encoder.flush();
+  encoder.close();
+
+  if (encoderError) {
+    throw encoderError;
+  }
+  return packets;
+}
+
+// CRC-32 as used by Ogg (polynomial 0x04c11db7, not reflected)
+const OGG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+function oggCrc(bytes) {
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+// One Ogg page holding whole packets. flags: 0x02 first page, 0x04 last page.
+function buildOggPage(packets, granule, serial, sequence, flags) {
+  const segments = [];
+  packets.forEach(packet => {
+    let remaining = packet.length;
+    while (remaining >= 255) {
+      segments.push(255);
+      remaining -= 255;
+    }
+    segments.push(remaining);
+  });
+
+  const bodySize = packets.reduce((total, packet) => total + packet.length, 0);
+  const page = new Uint8Array(27 + segments.length + bodySize);
+  const view = new DataView(page.buffer);
+  page.set([0x4f, 0x67, 0x67, 0x53], 0); // "OggS"
+  page[4] = 0;
+  page[5] = flags;
+  view.setUint32(6, granule % 0x100000000, true);
+  view.setUint32(10, Math.floor(granule / 0x100000000), true);
+  view.setUint32(14, serial, true);
+  view.setUint32(18, sequence, true);
+  page[26] = segments.length;
+  page.set(segments, 27);
+
+  let offset = 27 + segments.length;
+  packets.forEach(packet => {
+    page.set(packet, offset);
+    offset += packet.length;
+  });
+  view.setUint32(22, oggCrc(page), true);
+  return page;
+}
+
+// "00:01:23.456" for chapter comments
+function formatChapterTime(seconds) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const milliseconds = Math.round(seconds * 1000);
+  return `${pad(Math.floor(milliseconds / 3600000))}:${pad(Math.floor(milliseconds / 60000) % 60)}:` +
+    `${pad(Math.floor(milliseconds / 1000) % 60)}.${pad(milliseconds % 1000, 3)}`;
+}
+
+// Ogg Opus file from encoded packets. Chapters go in the comment header using the
+// CHAPTERxxx / CHAPTERxxxNAME convention.
+function buildOggOpus(packets, inputSampleRate, chapters) {
+  const encoder = new TextEncoder();
+  const serial = Math.floor(Math.random() * 0xFFFFFFFF);
+
+  const head = new Uint8Array(19);
+  const headView = new DataView(head.buffer);
+  head.set(encoder.encode('OpusHead'), 0);
+  head[8] = 1;                                  // version
+  head[9] = 1;                                  // channels
+  headView.setUint16(10, OPUS_PRE_SKIP, true);
+  headView.setUint32(12, inputSampleRate, true);
+  headView.setInt16(16, 0, true);               // output gain
+  head[18] = 0;                                 // mapping family
+
+  const comments = [];
+  chapters.forEach((chapter, index) => {
+    const id = `CHAPTER${String(index + 1).padStart(3, '0')}`;
+    comments.push(`${id}=${formatChapterTime(chapter.startSample / inputSampleRate)}`);
+    comments.push(`${id}NAME=${chapter.label}`);
+  });
+  const vendor = encoder.encode('SchoologyRemastered');
+  const encodedComments = comments.map(comment => encoder.encode(comment));
+  const tags = new Uint8Array(8 + 4 + vendor.length + 4 + encodedComments.reduce((total, comment) => total + 4 + comment.length, 0));
+  const tagsView = new DataView(tags.buffer);
+  tags.set(encoder.encode('OpusTags'), 0);
+  let offset = 8;
+  tagsView.setUint32(offset, vendor.length, true);
+  tags.set(vendor, offset + 4);
+  offset += 4 + vendor.length;
+  tagsView.setUint32(offset, encodedComments.length, true);
+  offset += 4;
+  encodedComments.forEach(comment => {
+    tagsView.setUint32(offset, comment.length, true);
+    tags.set(comment, offset + 4);
+    offset += 4 + comment.length;
+  });
+
+  const pages = [
+    buildOggPage([head], 0, serial, 0, 0x02),
+    buildOggPage([tags], 0, serial, 1, 0)
+  ];
+
+  // Audio pages of up to 50 packets (one second)
+  let granule = OPUS_PRE_SKIP;
+  for (let start = 0; start < packets.length; start += 50) {
+    const pagePackets = packets.slice(start, start + 50);
+    granule += pagePackets.reduce((total, packet) => total + packet.samples, 0);
+    const isLast = start + 50 >= packets.length;
+    pages.push(buildOggPage(pagePackets.map(packet => packet.data), granule, serial, pages.length, isLast ? 0x04 : 0));
+  }
+
+  return new Blob(pages, { type: 'audio/ogg' });
+}
+
+async function encodeOggOpus(samples, sampleRate, chapters = []) {
+  const resampled = await resampleTo(samples, sampleRate, OPUS_SAMPLE_RATE);
+  const packets = await encodeOpusPackets(resampled);
+  return buildOggOpus(packets, sampleRate, chapters);
+}
+
+// Render and encode a document. format is 'wav' or 'ogg'; Ogg falls back to WAV
+// when the browser has no Opus encoder.
+// Returns { blob, format, durationSeconds, chapters }.
+async function exportDocumentAudio(result, format, voiceOptions, onProgress = null) {
+  const audio = await renderDocumentAudio(result, voiceOptions, onProgress);
+  if (audio.samples.length === 0) {
+    throw new Error('No audio was produced');
+  }
+
+  const useOgg = format === 'ogg' && isOggExportSupported();
+  const blob = useOgg ?
+    await encodeOggOpus(audio.samples, audio.sampleRate, audio.chapters) :
+    encodeWav(audio.samples, audio.sampleRate, audio.chapters);
+
+  console.log('AudioExport: Encoded', useOgg ? 'ogg' : 'wav', blob.size, 'bytes,', audio.chapters.length, 'chapters');
+  return {
+    blob: blob,
+    format: useOgg ? 'ogg' : 'wav',
+    durationSeconds: audio.samples.length / audio.sampleRate,
+    chapters: audio.chapters
+  };
+}
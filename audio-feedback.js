@@ -0,0 +1,88 @@
+// Audio feedback for hands-free use
+// Short tones (earcons) for wake, command accepted, error and comment saved, and
+// optional spoken confirmations of command results. Tones are made with Web Audio
+// so they can play over read-aloud; spoken confirmations are skipped while a
+// document is being read so they never interrupt it.
+
+const AUDIO_FEEDBACK_KEY = 'audio_feedback';
+
+const DEFAULT_AUDIO_FEEDBACK = {
+  earcons: true,
+  spoken: false,
+  volume: 0.3
+};
+
+// Each earcon is a list of [frequency in Hz, duration in seconds] notes
+const EARCONS = {
+  wake: [[660, 0.07], [880, 0.1]],
+  accepted: [[880, 0.08]],
+  error: [[330, 0.12], [220, 0.18]],
+  commentSaved: [[523, 0.07], [659, 0.07], [784, 0.12]]
+};
+
+// Longer messages (the help list) are left for the screen
+const SPOKEN_FEEDBACK_MAX_LENGTH = 120;
+
+// How long after a command its result is still worth announcing
+const COMMAND_OUTCOME_TIMEOUT_MS = 30000;
+
+let audioFeedbackSettings = { ...DEFAULT_AUDIO_FEEDBACK };
+
+async function loadAudioFeedbackSettings() {
+  try {
+    const result = await browserAPI.storage.local.get([AUDIO_FEEDBACK_KEY]);
+    audioFeedbackSettings = { ...DEFAULT_AUDIO_FEEDBACK, ...(result[AUDIO_FEEDBACK_KEY] || {}) };
+  } catch (error) {
+    console.error('Feedback: Error loading settings:', error);
+  }
+  return audioFeedbackSettings;
+}
+
+async function saveAudioFeedbackSettings(settings) {
+  audioFeedbackSettings = { ...DEFAULT_AUDIO_FEEDBACK, ...settings };
+  try {
+    await browserAPI.storage.local.set({ [AUDIO_FEEDBACK_KEY]: audioFeedbackSettings });
+    console.log('Feedback: Saved settings:', audioFeedbackSettings);
+  } catch (error) {
+    console.error('Feedback: Error saving settings:', error);
+  }
+  return audioFeedbackSettings;
+}
+
+// Created on first use; browsers keep it suspended until the page has had a click
+// or key press, which the voice button or a shortcut provides
+let earconContext = null;
+
+function playEarcon(name) {
+  const notes = EARCONS[name];
+  if (!audioFeedbackSettings.earcons || !notes) {
+    return;
+  }
+
+  try {
+    if (!earconContext) {
+      earconContext = new AudioContext();
+    }
+    if (earconContext.state === 'suspended') {
+      earconContext.resume();
+    }
+
+    let start = earconContext.currentTime;
+    notes.forEach(([frequency, duration]) => {
+      const oscillator = earconContext.createOscillator();
+      const gain = earconContext.createGain();
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+      // Fade in and out so the notes don't click
+      gain.gain.setValueAtTime(0, start);
+      gain.gain.linearRampToValueAtTime(audioFeedbackSettings.volume, start + 0.01);
+      gain.gain.linearRampToValueAtTime(0, start + duration);
+      oscillator.connect(gain).connect(earconContext.destination);
+      oscillator.start(start);
+      oscillator.stop(start + duration);
+      start += duration + 0.03;
+    });
+  } catch (error) {
+    console.error('Feedback: Earcon failed:', error);
+  }
+}
@@ -1,19 +1,126 @@
-// Track cached files to avoid re-caching the same file
-let cachedFiles = new Set();
-
 // Use browser API for cross-browser compatibility
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
-// Check if file was already cached
-function isFileCached(fileId) {
-  return cachedFiles.has(fileId);
+// Index of cached files, persisted in storage so it survives service worker restarts
+const CACHE_INDEX_KEY = 'cached_file_index';
+let cacheIndexLoad = null;
+let cacheIndexWrite = Promise.resolve();
+
+// Load the cache index from storage once per service worker lifetime
+function loadCacheIndex() {
+  if (!cacheIndexLoad) {
+    cacheIndexLoad = browserAPI.storage.local.get([CACHE_INDEX_KEY]).then((result) => {
+      const index = result[CACHE_INDEX_KEY] || {};
+      console.log('Background: Loaded cache index with', Object.keys(index).length, 'files');
+      return index;
+    }).catch((error) => {
+      console.error('Background: Error loading cache index:', error);
+      return {};
+    });
+  }
+  return cacheIndexLoad;
+}
+
+// Save the in-memory index. Writes are chained so they land in order.
+function saveCacheIndex(index) {
+  cacheIndexWrite = cacheIndexWrite.then(() => {
+    return browserAPI.storage.local.set({ [CACHE_INDEX_KEY]: index });
+  }).catch((error) => {
+    console.error('Background: Error saving cache index:', error);
+  });
+  return cacheIndexWrite;
+}
+
+// Files detected since the service worker started. The index only lists files the
+// content script reported as cached, so this is what keeps two completed requests
+// for the same file from both being treated as new.
+const detectedFiles = new Set();
+
+// Check if file was already cached or detected, and note it as detected in the same step
+async function checkAndMarkDetected(fileId) {
+  const index = await loadCacheIndex();
+  const alreadyCached = Boolean(index[fileId]) || detectedFiles.has(fileId);
+  detectedFiles.add(fileId);
+  return alreadyCached;
+}
+
+// Record the size the content script actually cached
+async function markAsCached(fileId, fileName, size) {
+  const index = await loadCacheIndex();
+  index[fileId] = { fileId: fileId, fileName: fileName, size: size, timestamp: Date.now() };
+  return saveCacheIndex(index);
+}
+
+// Forget files the content script failed to cache or evicted
+async function markAsUncached(fileIds) {
+  const index = await loadCacheIndex();
+  fileIds.forEach(fileId => {
+    delete index[fileId];
+    detectedFiles.delete(fileId);
+  });
+  return saveCacheIndex(index);
+}
+
+// Files detected in each tab, so every tab works with its own documents.
+// Kept in session storage because tab IDs are only valid for this browser session.
+function tabFilesKey(tabId) {
+  return `tab_files_${tabId}`;
+}
+
+async function getTabFiles(tabId) {
+  try {
+    const key = tabFilesKey(tabId);
+    const result = await browserAPI.storage.session.get([key]);
+    return result[key] || [];
+  } catch (error) {
+    console.error('Background: Error loading files for tab:', tabId, error);
+    return [];
+  }
+}
+
+// Add or replace a file in a tab's list. Updates are chained so two files
+// detected at once in the same tab don't overwrite each other.
+let tabFilesWrite = Promise.resolve();
+
+function addTabFile(tabId, fileData) {
+  tabFilesWrite = tabFilesWrite.then(async () => {
+    const files = await getTabFiles(tabId);
+    const otherFiles = files.filter(file => file.fileId !== fileData.fileId);
+    otherFiles.push(fileData);
+    await browserAPI.storage.session.set({ [tabFilesKey(tabId)]: otherFiles });
+  }).catch((error) => {
+    console.error('Background: Error saving files for tab:', tabId, error);
+  });
+  return tabFilesWrite;
 }
 
-// Mark file as cached
-function markAsCached(fileId) {
-  cachedFiles.add(fileId);
+// Chained behind pending adds so an earlier page's file can't reappear afterwards
+function clearTabFiles(tabId) {
+  tabFilesWrite = tabFilesWrite.then(() => {
+    return browserAPI.storage.session.remove(tabFilesKey(tabId));
+  }).catch((error) => {
+    console.error('Background: Error clearing files for tab:', tabId, error);
+  });
+  return tabFilesWrite;
 }
 
+// A new page load in a tab starts with an empty file list. A URL change without a
+// load (history navigation in the page) is passed on so the content script can
+// decide whether it left the submission.
+browserAPI.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.status === 'loading' && changeInfo.url) {
+        clearTabFiles(tabId);
+    } else if (changeInfo.url) {
+        browserAPI.tabs.sendMessage(tabId, { type: 'PAGE_NAVIGATED' }).catch(() => {
+            // Not a Schoology tab, the content script isn't there
+        });
+    }
+});
+
+browserAPI.tabs.onRemoved.addListener((tabId) => {
+    clearTabFiles(tabId);
+});
+
 // Listen for completed requests to detect and cache files
 browserAPI.webRequest.onCompleted.addListener(
     async (details) => {
@@ -26,15 +133,17 @@ browserAPI.webRequest.onCompleted.addListener(
         
         console.log('Background: Is Schoology file?', isSchoologyFile);
         
+        // Requests that don't belong to a tab (e.g. from the service worker) are ignored
+        if (isSchoologyFile && details.tabId < 0) {
+            console.log('Background: Request not made by a tab, skipping');
+            return;
+        }
+        
         if (isSchoologyFile) {
             console.log('Background: Processing Schoology file:', url);
             // Extract base file ID (before query parameters) to prevent loops
             const baseFileId = url.split('/').pop().split('?')[0];
             
-            // Check if file was already cached
-            const alreadyCached = isFileCached(baseFileId);
-            console.log('Background: File already cached?', alreadyCached);
-            
             // Extract clean filename from URL
             let fileName = url.split('/').pop().split('?')[0];
             
@@ -51,6 +160,11 @@ browserAPI.webRequest.onCompleted.addListener(
                 }
             }
 
+            // Check if file was already cached. It is noted right away because the
+            // content script's own fetch of this URL triggers this listener again.
+            const alreadyCached = await checkAndMarkDetected(baseFileId);
+            console.log('Background: File already cached?', alreadyCached);
+
             const fileData = {
                 url: details.url,
                 fileName: fileName,
@@ -59,27 +173,18 @@ browserAPI.webRequest.onCompleted.addListener(
                 fileId: baseFileId
             };
 
-            // Mark file as cached if not already cached
-            if (!alreadyCached) {
-                markAsCached(baseFileId);
-            }
+            await addTabFile(details.tabId, fileData);
 
-            // Send file detection to content script for caching
-            browserAPI.tabs.query({active: true, currentWindow: true}, (tabs) => {
-                console.log('Background: Found tabs:', tabs.length);
-                if (tabs[0] && tabs[0].url.includes('schoology.com')) {
-                    console.log('Background: Sending message to tab:', tabs[0].id, 'URL:', tabs[0].url);
-                    browserAPI.tabs.sendMessage(tabs[0].id, {
-                        type: 'FILE_DETECTED',
-                        data: fileData
-                    }).then(() => {
-                        console.log('Background: Message sent successfully');
-                    }).catch((error) => {
-                        console.error('Background: Failed to send message:', error);
-                    });
-                } else {
-                    console.log('Background: No active Schoology tab found');
-                }
+            // Send file detection to the tab that made the request, not whichever tab is focused
+            console.log('Background: Sending message to tab:', details.tabId);
+            browserAPI.tabs.sendMessage(details.tabId, {
+                type: 'FILE_DETECTED',
+                data: fileData
+            }).then(() => {
+                console.log('Background: Message sent successfully');
+            }).catch((error) => {
+                // The content script picks the file up from its tab list once it loads
+                console.error('Background: Failed to send message:', error);
             });
         }
     },
@@ -89,9 +194,59 @@ browserAPI.webRequest.onCompleted.addListener(
 
 browserAPI.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.type === 'DOWNLOAD_FILE' || request.type === 'CACHE_AND_DOWNLOAD') {
+      // Report back so the sender can fall back to a link download (e.g. for blob
+      // URLs the browser won't download from here)
       browserAPI.downloads.download({
         url: request.url,
         filename: request.fileName
+      }).then((downloadId) => {
+        sendResponse({ success: true, downloadId: downloadId });
+      }).catch((error) => {
+        console.error('Background: Download failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+      return true;
+    } else if (request.type === 'FILE_CACHED') {
+      markAsCached(request.fileId, request.fileName, request.size);
+    } else if (request.type === 'FILE_UNCACHED') {
+      console.log('Background: Removing files from cache index:', request.fileIds);
+      markAsUncached(request.fileIds);
+    } else if (request.type === 'GET_TAB_FILES') {
+      if (!sender.tab) {
+        sendResponse({ files: [] });
+        return;
+      }
+      getTabFiles(sender.tab.id).then((files) => {
+        sendResponse({ files: files });
       });
+      return true;
+    } else if (request.type === 'CLEAR_TAB_FILES') {
+      if (sender.tab) {
+        clearTabFiles(sender.tab.id);
+      }
+    } else if (request.type === 'GET_CACHE_INDEX') {
+      // Wait for pending writes so the answer includes the latest changes
+      loadCacheIndex().then(index => cacheIndexWrite.then(() => index)).then((index) => {
+        const files = Object.values(index).map(entry => ({
+          fileId: entry.fileId,
+          fileName: entry.fileName,
+          size: entry.size,
+          timestamp: entry.timestamp
+        }));
+        sendResponse({ files: files });
+      });
+      return true;
     }
-  });
\ No newline at end of file
+  });
+
+// Keyboard shortcuts from the manifest "commands"
+browserAPI.commands.onCommand.addListener((command) => {
+    if (command !== 'push-to-talk') return;
+    browserAPI.tabs.query({ active: true, currentWindow: true }).then((tabs) => {
+        if (!tabs[0]) return;
+        return browserAPI.tabs.sendMessage(tabs[0].id, { type: 'PUSH_TO_TALK' });
+    }).catch((error) => {
+        // Not a Schoology tab, the content script isn't there
+        console.log('Background: Push to talk not available in this tab:', error.message);
+    });
+});
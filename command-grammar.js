@@ -0,0 +1,288 @@
+// Voice command grammar
+// Every action's phrases (COMMAND_PHRASES) are parsed into templates of literal
+// words and typed slots. A spoken command is scored against every template and the
+// best-scoring action wins, so "read aloud" beats the shorter "read" and "skip 30
+// seconds" fills a duration instead of falling back to a plain "skip". Commands
+// that only partly match come back as suggestions for a "did you mean" prompt.
+
+// A match at or above this score runs straight away
+const COMMAND_RUN_SCORE = 0.8;
+// Matches between this and the run score are offered as suggestions
+const COMMAND_SUGGEST_SCORE = 0.5;
+// Highest score for a match that relied on a misheard word, so it is always
+// confirmed with "did you mean" rather than run ("sneak" isn't surely "speak")
+const COMMAND_FUZZY_MAX_SCORE = COMMAND_RUN_SCORE - 0.01;
+// Two actions scoring within this margin of each other are ambiguous
+const COMMAND_AMBIGUITY_MARGIN = 0.05;
+
+// Share of the score for covering the template's words vs the command's words
+const TEMPLATE_COVERAGE_WEIGHT = 0.7;
+
+// Lowercase, accent-free words. Apostrophes and punctuation split words;
+// hyphens stay so "dix-sept" is one word.
+function tokenizeCommand(command) {
+  return normalizeSpeech(command)
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && word !== '-');
+}
+
+// "skip {duration}" -> { text, unordered, parts: [{ word } | { slot }] }
+const commandTemplateCache = new Map();
+
+function parseCommandTemplate(phrase) {
+  const key = Array.isArray(phrase) ? phrase.join('|') : phrase;
+  if (commandTemplateCache.has(key)) {
+    return commandTemplateCache.get(key);
+  }
+
+  let template;
+  if (Array.isArray(phrase)) {
+    template = { text: phrase.join(' '), unordered: true, parts: phrase.flatMap(tokenizeCommand).map(word => ({ word })) };
+  } else {
+    const parts = phrase.split(/\s+/).flatMap(piece => {
+      const slot = piece.match(/^\{(\w+)\}$/);
+      return slot ? [{ slot: slot[1] }] : tokenizeCommand(piece).map(word => ({ word }));
+    });
+    template = { text: phrase, unordered: false, parts: parts };
+  }
+
+  commandTemplateCache.set(key, template);
+  return template;
+}
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// 1 for the same word (or a plural of it), 0.8 for a one-letter slip in a longer
+// word ("coments"), otherwise 0
+function wordSimilarity(expected, spoken) {
+  if (expected === spoken) return 1;
+  if (spoken.startsWith(expected) && ['s', 'es'].includes(spoken.slice(expected.length))) return 1;
+  if (expected.length >= 4 && Math.abs(expected.length - spoken.length) <= 1 && editDistance(expected, spoken) === 1) return 0.8;
+  return 0;
+}
+
+// Best-matching spoken word at or after `from` (not already used)
+function findWord(word, tokens, from, used) {
+  let best = null;
+  for (let i = from; i < tokens.length; i++) {
+    if (used[i]) continue;
+    const similarity = wordSimilarity(word, tokens[i]);
+    if (similarity === 1) return { index: i, similarity };
+    if (similarity > 0 && !best) best = { index: i, similarity };
+  }
+  return best;
+}
+
+// Slot parsers: (tokens, index, context) -> { value, length, confidence } or null
+
+function parseNumberWord(word) {
+  if (/^\d+$/.test(word)) {
+    return parseInt(word, 10);
+  }
+  for (const languageCode of Object.keys(NUMBER_WORDS)) {
+    const value = NUMBER_WORDS[languageCode].indexOf(word);
+    if (value !== -1) return value;
+    if (NUMBER_TENS[languageCode][word] !== undefined) return NUMBER_TENS[languageCode][word];
+  }
+  // "vingt-cinq", "trente-et-un"
+  if (word.includes('-')) {
+    const parts = word.split('-').filter(part => !NUMBER_CONNECTORS.includes(part)).map(parseNumberWord);
+    if (parts.length > 1 && parts.every(part => part !== null)) {
+      return parts.reduce((total, part) => total + part, 0);
+    }
+  }
+  return null;
+}
+
+function isTensWord(word) {
+  return Object.values(NUMBER_TENS).some(tens => tens[word] !== undefined);
+}
+
+function parseNumberSlot(tokens, index) {
+  const value = parseNumberWord(tokens[index] || '');
+  if (value === null) {
+    return null;
+  }
+
+  // "thirty five", "treinta y cinco"
+  if (isTensWord(tokens[index])) {
+    const hasConnector = NUMBER_CONNECTORS.includes(tokens[index + 1]);
+    const unit = parseNumberWord(tokens[index + (hasConnector ? 2 : 1)] || '');
+    if (unit !== null && unit > 0 && unit < 10) {
+      return { value: value + unit, length: hasConnector ? 3 : 2, confidence: 1 };
+    }
+  }
+  return { value: value, length: 1, confidence: 1 };
+}
+
+function parsePageSlot(tokens, index) {
+  const number = parseNumberSlot(tokens, index);
+  return number && number.value > 0 ? number : null;
+}
+
+// A number with an optional unit, in seconds: "30", "30 seconds", "two minutes"
+function parseDurationSlot(tokens, index) {
+  const number = parseNumberSlot(tokens, index);
+  if (!number || number.value <= 0) {
+    return null;
+  }
+  const unit = DURATION_UNITS[tokens[index + number.length]];
+  if (unit) {
+    return { value: number.value * unit, length: number.length + 1, confidence: 1 };
+  }
+  return { value: number.value, length: number.length, confidence: 1 };
+}
+
+// The rest of the command, matched against the student names on the page
+// (context.students). First names alone are enough when they're unique.
+function parseStudentSlot(tokens, index, context) {
+  const spoken = tokens.slice(index);
+  const students = (context && context.students) || [];
+  if (spoken.length === 0 || students.length === 0) {
+    return null;
+  }
+
+  const scored = students.map(name => {
+    const nameWords = tokenizeCommand(name);
+    const matched = nameWords.filter(word => spoken.some(token => wordSimilarity(word, token) > 0)).length;
+    const heard = spoken.filter(token => nameWords.some(word => wordSimilarity(word, token) > 0)).length;
+    return { name, heard: heard / spoken.length, score: (matched / nameWords.length + heard / spoken.length) / 2 };
+  }).sort((a, b) => b.score - a.score);
+
+  // Confidence is how much of what was said belongs to the name
+  const best = scored[0];
+  if (best.score < 0.5 || (scored[1] && scored[1].score === best.score)) {
+    return null;
+  }
+  return { value: best.name, length: spoken.length, confidence: best.heard };
+}
+
+const COMMAND_SLOT_TYPES = {
+  number: parseNumberSlot,
+  page: parsePageSlot,
+  duration: parseDurationSlot,
+  student: parseStudentSlot
+};
+
+// Score one template against the spoken words. Returns { score, slots } or null when
+// a slot can't be filled or too little of the template was heard.
+function matchCommandTemplate(template, tokens, context) {
+  const used = new Array(tokens.length).fill(false);
+  const slots = {};
+  let literalChars = 0;
+  let matchedChars = 0;
+  let usedTokens = 0;
+  let confidence = 1;
+  let fuzzy = false;
+  let cursor = 0;
+
+  for (const part of template.parts) {
+    if (part.word) {
+      literalChars += part.word.length;
+      const found = findWord(part.word, tokens, template.unordered ? 0 : cursor, used);
+      if (found) {
+        used[found.index] = true;
+        matchedChars += part.word.length * found.similarity;
+        fuzzy = fuzzy || found.similarity < 1;
+        usedTokens++;
+        cursor = found.index + 1;
+      }
+      continue;
+    }
+
+    // The first place after the cursor the slot can be read from
+    const parse = COMMAND_SLOT_TYPES[part.slot];
+    let filled = null;
+    for (let i = cursor; i < tokens.length && !filled; i++) {
+      if (used[i]) continue;
+      const result = parse(tokens, i, context);
+      if (result) filled = { ...result, index: i };
+    }
+    if (!filled) {
+      return null;
+    }
+    for (let i = filled.index; i < filled.index + filled.length; i++) used[i] = true;
+    slots[part.slot] = filled.value;
+    usedTokens += filled.length;
+    confidence *= filled.confidence;
+    cursor = filled.index + filled.length;
+  }
+
+  const templateCoverage = literalChars > 0 ? matchedChars / literalChars : 1;
+  if (templateCoverage < 0.5 || tokens.length === 0) {
+    return null;
+  }
+  const commandCoverage = usedTokens / tokens.length;
+  const score = (TEMPLATE_COVERAGE_WEIGHT * templateCoverage + (1 - TEMPLATE_COVERAGE_WEIGHT) * commandCoverage) * confidence;
+  return { score: fuzzy ? Math.min(score, COMMAND_FUZZY_MAX_SCORE) : score, slots };
+}
+
+// Best match per action, highest score first:
+// [{ action, languageCode, phrase, score, slots }]
+// actions is a list of action names; languages are tried in order and earlier
+// languages and actions win ties. context.phrases ({ action: [phrase] }) adds
+// user-defined phrases in any language.
+function matchCommand(command, actions, languages, context = {}) {
+  const tokens = tokenizeCommand(command);
+  const best = new Map();
+  const tryPhrases = (action, phrases, languageCode) => {
+    phrases.forEach(phrase => {
+      const template = parseCommandTemplate(phrase);
+      const match = matchCommandTemplate(template, tokens, context);
+      if (match && (!best.has(action) || match.score > best.get(action).score)) {
+        best.set(action, { action, languageCode, phrase: template.text, score: match.score, slots: match.slots });
+      }
+    });
+  };
+
+  languages.forEach(languageCode => {
+    actions.forEach(action => tryPhrases(action, getCommandPhrases(languageCode, action), languageCode));
+  });
+  actions.forEach(action => tryPhrases(action, (context.phrases && context.phrases[action]) || [], 'custom'));
+
+  // Stable sort keeps registry order for equal scores
+  return Array.from(best.values()).sort((a, b) => b.score - a.score);
+}
+
+// Decide what a command means:
+//   { type: 'run', match }          a clear best match
+//   { type: 'suggest', matches }    a partial or ambiguous match to confirm
+//   { type: 'none' }
+function resolveCommand(command, actions, languages, context = {}) {
+  const matches = matchCommand(command, actions, languages, context);
+  const [best, second] = matches;
+  if (!best || best.score < COMMAND_SUGGEST_SCORE) {
+    return { type: 'none' };
+  }
+
+  const ambiguous = second && best.score < 1 && best.score - second.score < COMMAND_AMBIGUITY_MARGIN;
+  if (best.score >= COMMAND_RUN_SCORE && !ambiguous) {
+    return { type: 'run', match: best };
+  }
+  return {
+    type: 'suggest',
+    matches: ambiguous ? [best, second] : [best]
+  };
+}
+
+// A match's phrase with its slots filled in, for prompts: "skip 30 seconds"
+function describeCommandMatch(match) {
+  return match.phrase.replace(/\{(\w+)\}/g, (_, slot) => {
+    const value = match.slots[slot];
+    if (value === undefined) return '';
+    return slot === 'duration' ? `${value} seconds` : String(value);
+  }).trim();
+}
@@ -0,0 +1,69 @@
+// Trash for deleted comments
+// Deleting or clearing comments moves them here as one batch instead of dropping
+// them, so the undo toast or "restore comments" can bring them back. The trash is
+// read from storage on every use since comments are shared by all open tabs.
+
+const COMMENT_TRASH_KEY = 'comment_trash';
+
+// Batches kept; older ones are deleted for good
+const COMMENT_TRASH_MAX_BATCHES = 20;
+
+// How long the undo toast stays up after a delete
+const COMMENT_UNDO_SECONDS = 10;
+
+// How long a destructive command waits for "yes" before giving up
+const CONFIRMATION_TIMEOUT_SECONDS = 15;
+
+// Commands that only run after a spoken or clicked "yes", with the question asked
+const CONFIRMED_COMMANDS = {
+  clearComments: 'Delete all comments, for every assignment?'
+};
+
+function isConfirmedCommand(action) {
+  return Object.prototype.hasOwnProperty.call(CONFIRMED_COMMANDS, action);
+}
+
+// Batches oldest first: [{ id, label, deletedAt, comments }]
+async function loadCommentTrash() {
+  try {
+    const result = await browserAPI.storage.local.get([COMMENT_TRASH_KEY]);
+    return Array.isArray(result[COMMENT_TRASH_KEY]) ? result[COMMENT_TRASH_KEY] : [];
+  } catch (error) {
+    console.error('Trash: Error loading:', error);
+    return [];
+  }
+}
+
+async function saveCommentTrash(trash) {
+  await browserAPI.storage.local.set({ [COMMENT_TRASH_KEY]: trash.slice(-COMMENT_TRASH_MAX_BATCHES) });
+}
+
+// Throws if the batch couldn't be stored, so callers keep the comments
+async function moveCommentsToTrash(comments, label) {
+  const batch = {
+    id: Date.now(),
+    label: label,
+    deletedAt: new Date().toLocaleString(),
+    comments: comments
+  };
+  const trash = await loadCommentTrash();
+  await saveCommentTrash([...trash, batch]);
+  console.log('Trash: Moved', comments.length, 'comments to trash:', label);
+  return batch;
+}
+
+// Take a batch out of the trash: the given one, or the most recent
+async function takeFromCommentTrash(batchId) {
+  const trash = await loadCommentTrash();
+  const index = batchId === undefined ? trash.length - 1 : trash.findIndex(batch => batch.id === batchId);
+  if (index < 0) {
+    return null;
+  }
+  const [batch] = trash.splice(index, 1);
+  try {
+    await saveCommentTrash(trash);
+  } catch (error) {
+    console.error('Trash: Error saving:', error);
+  }
+  return batch;
+}
@@ -8,7 +8,10 @@ const config = {
   
   // OpenAI API Key  
   // Get your key from: https://platform.openai.com/api-keys
-  OPENAI_API_KEY: 'YOUR_OPENAI_API_KEY_HERE'
+  OPENAI_API_KEY: 'YOUR_OPENAI_API_KEY_HERE',
+
+  // Maximum size of the local file cache in MB (least recently used files are evicted first)
+  FILE_CACHE_MAX_MB: 200
 };
 
 // Make config available globally
@@ -18,185 +18,9 @@ function loadConfig() {
   });
 }
 
-// Check if required libraries are loaded
-console.log('Tesseract available:', typeof Tesseract !== 'undefined');
-console.log('PDF.js available:', typeof pdfjsLib !== 'undefined');
-
-// PDF text extraction
-async function extractTextFromPDF(blob) {
-  try {
-    // Re-initialize worker path in case extension context was invalidated
-    try {
-      pdfjsLib.GlobalWorkerOptions.workerSrc = browserAPI.runtime.getURL('pdf.worker.min.js');
-    } catch (contextError) {
-      console.log('Extension context invalidated, skipping PDF.js');
-      return '';
-    }
-    
-    const arrayBuffer = await blob.arrayBuffer();
-    const pdf = await pdfjsLib.getDocument(arrayBuffer).promise;
-    let fullText = '';
-    
-    for (let i = 1; i <= pdf.numPages; i++) {
-      const page = await pdf.getPage(i);
-      const textContent = await page.getTextContent();
-      const pageText = textContent.items.map(item => item.str).join(' ');
-      fullText += pageText + '\n';
-    }
-    
-    return fullText.trim();
-  } catch (error) {
-    console.error('PDF text extraction failed:', error);
-    return '';
-  }
-}
-
-// Convert PDF to images for OCR (all pages)
-async function pdfToImages(blob) {
-  try {
-    // Re-initialize worker path in case extension context was invalidated
-    try {
-      pdfjsLib.GlobalWorkerOptions.workerSrc = browserAPI.runtime.getURL('pdf.worker.min.js');
-    } catch (contextError) {
-      console.log('Extension context invalidated, cannot convert PDF to image');
-      return [];
-    }
-    
-    const arrayBuffer = await blob.arrayBuffer();
-    const pdf = await pdfjsLib.getDocument(arrayBuffer).promise;
-    const imageBlobs = [];
-    
-    console.log(`Converting ${pdf.numPages} pages to images for OCR...`);
-    
-    for (let i = 1; i <= pdf.numPages; i++) {
-      const page = await pdf.getPage(i);
-      const viewport = page.getViewport({ scale: 2.0 }); // Higher scale for better OCR
-      const canvas = document.createElement('canvas');
-      const context = canvas.getContext('2d');
-      
-      canvas.height = viewport.height;
-      canvas.width = viewport.width;
-      
-      await page.render({
-        canvasContext: context,
-        viewport: viewport
-      }).promise;
-      
-      // Convert canvas to blob
-      const imageBlob = await new Promise(resolve => {
-        canvas.toBlob(resolve, 'image/png');
-      });
-      
-      imageBlobs.push(imageBlob);
-      console.log(`Page ${i} converted to image`);
-    }
-    
-    return imageBlobs;
-  } catch (error) {
-    console.error('PDF to images conversion failed:', error);
-    return [];
-  }
-}
-
-// Convert PDF to image for OCR (single page - kept for backward compatibility)
-async function pdfToImage(blob) {
-  const images = await pdfToImages(blob);
-  return images.length > 0 ? images[0] : null;
-}
-
-//Schoology pisses me off since every file is a pdf
-// Tesseract OCR for images (supports multiple pages)
-async function extractTextFromImage(blob) {
-  try {
-    console.log('Starting OCR extraction...');
-    let imageBlobs = [blob];
-    
-    // If it's a PDF (which it always is), convert all pages to images
-    if (blob.type === 'application/pdf') {
-      console.log('Converting PDF to images for OCR...');
-      imageBlobs = await pdfToImages(blob);
-      if (!imageBlobs || imageBlobs.length === 0) {
-        console.error('Failed to convert PDF to images');
-        return '';
-      }
-      console.log(`PDF converted to ${imageBlobs.length} images successfully`);
-    }
-    
-    // Check if Tesseract is available
-    if (typeof Tesseract === 'undefined') {
-      console.error('Tesseract.js is not loaded');
-      return '';
-    }
-    
-    console.log('Creating Tesseract worker...');
-    const { createWorker } = Tesseract;
-    const worker = await createWorker();
-    
-    console.log('Loading English language...');
-    await worker.loadLanguage('eng');
-    await worker.initialize('eng');
-    
-    let fullText = '';
-    
-    // Process each page/image
-    for (let i = 0; i < imageBlobs.length; i++) {
-      console.log(`Starting OCR recognition for page ${i + 1}...`);
-      const { data: { text } } = await worker.recognize(imageBlobs[i]);
-      console.log(`OCR recognition completed for page ${i + 1}, text length:`, text.length);
-      
-      if (text.trim()) {
-        fullText += `\n--- Page ${i + 1} ---\n${text.trim()}\n`;
-      }
-    }
-    
-    await worker.terminate();
-    
-    return fullText.trim();
-  } catch (error) {
-    console.error('OCR text extraction failed:', error);
-    console.error('Error details:', error.message, error.stack);
-    return '';
-  }
-}
-
-// Smart text extraction - tries PDF.js first, falls back to OCR if no text found
-async function extractText(blob, fileName) {
-  const fileExtension = fileName.split('.').pop().toLowerCase();
-  
-  console.log('File extension:', fileExtension, 'Blob type:', blob.type, 'File name:', fileName);
-  
-  // Check if filename suggests it's an image (even if served as PDF)
-  const isImageFilename = ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'tiff'].includes(fileExtension);
-  const isImageBlob = blob.type.startsWith('image/');
-  
-  if (isImageFilename || isImageBlob) {
-    console.log('Using OCR for image file');
-    return await extractTextFromImage(blob);
-  } else if (fileExtension === 'pdf' || blob.type === 'application/pdf') {
-    console.log('Trying PDF.js first...');
-    const pdfText = await extractTextFromPDF(blob);
-    
-    // If PDF.js returns empty or very little text, try OCR
-    if (!pdfText || pdfText.trim().length < 10) {
-      console.log('PDF.js returned little/no text, trying OCR...');
-      const ocrText = await extractTextFromImage(blob);
-      if (ocrText && ocrText.trim().length > 0) {
-        console.log('OCR found text, using OCR result');
-        return ocrText;
-      }
-    }
-    
-    console.log('Using PDF.js result');
-    return pdfText;
-  } else {
-    console.log('Unsupported file type for text extraction:', fileExtension, blob.type);
-    return '';
-  }
-}
-
 // Create download and extract text buttons when file is detected and cached
 function createDownloadButton(fileData) {
-  console.log('Content: Creating buttons for file:', fileData.fileName, 'Size:', fileData.cachedBlob?.length, 'bytes');
+  console.log('Content: Creating buttons for file:', fileData.fileName, 'Size:', fileData.size, 'bytes');
   
   // Remove any existing buttons
   const existingDownloadBtn = document.getElementById('schoology-download-btn');
@@ -204,11 +28,13 @@ function createDownloadButton(fileData) {
   const existingOCRBtn = document.getElementById('schoology-ocr-btn');
   const existingViewCommentsBtn = document.getElementById('schoology-view-comments-btn');
   const existingSummarizeBtn = document.getElementById('schoology-summarize-comments-btn');
+  const existingFilePicker = document.getElementById('schoology-file-picker');
   if (existingDownloadBtn) existingDownloadBtn.remove();
   if (existingExtractBtn) existingExtractBtn.remove();
   if (existingOCRBtn) existingOCRBtn.remove();
   if (existingViewCommentsBtn) existingViewCommentsBtn.remove();
   if (existingSummarizeBtn) existingSummarizeBtn.remove();
+  if (existingFilePicker) existingFilePicker.remove();
   
   // Create download button
   const downloadButton = document.createElement('button');
@@ -305,19 +131,44 @@ function createDownloadButton(fileData) {
     box-shadow: 0 2px 10px rgba(0,0,0,0.3);
   `;
   
+  // Create file picker so submissions with several attachments can switch the active file
+  const filePicker = document.createElement('select');
+  filePicker.id = 'schoology-file-picker';
+  filePicker.title = 'Active file';
+  filePicker.style.cssText = `
+    position: fixed;
+    bottom: 70px;
+    right: 200px;
+    z-index: 10000;
+    max-width: 250px;
+    background: white;
+    color: #333;
+    border: 2px solid #007cba;
+    padding: 8px 10px;
+    border-radius: 5px;
+    cursor: pointer;
+    font-size: 14px;
+    box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+  `;
+  detectedFiles.forEach((file, index) => {
+    const option = document.createElement('option');
+    option.value = file.fileId;
+    option.textContent = `${index + 1}. ${file.fileName}`;
+    option.selected = file.fileId === fileData.fileId;
+    filePicker.appendChild(option);
+  });
+  
+  filePicker.addEventListener('change', () => {
+    console.log('File picker changed to:', filePicker.value);
+    setActiveFile(filePicker.value);
+  });
+  
   // Download button click handler
-  downloadButton.addEventListener('click', () => {
+  downloadButton.addEventListener('click', async () => {
     console.log('Downloading:', fileData.fileName);
     
-    if (fileData.cachedBlob && fileData.cachedBlob.length > 0) {
-      // Convert base64 back to blob
-      const binaryString = atob(fileData.cachedBlob);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-      }
-      const blob = new Blob([bytes], { type: fileData.blobType || 'application/pdf' });
-      
+    const blob = await getCachedBlob(fileData.fileId);
+    if (blob) {
       // Create download link and trigger download
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
@@ -337,22 +188,18 @@ function createDownloadButton(fileData) {
   extractButton.addEventListener('click', async () => {
     console.log('Extracting text from:', fileData.fileName);
     
-    if (fileData.cachedBlob && fileData.cachedBlob.length > 0) {
-      // Convert base64 back to blob
-      const binaryString = atob(fileData.cachedBlob);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
+    // Smart text extraction (PDF or image)
+    try {
+      const result = await extractDocument(fileData);
+      if (result) {
+        console.log('Extracted text:', describeExtraction(result), result);
+      } else {
+        console.error('CRITICAL ERROR: FILE NOT CACHED');
+        extractButton.textContent = 'Cache Failed';
+        extractButton.disabled = true;
       }
-      const blob = new Blob([bytes], { type: fileData.blobType || 'application/pdf' });
-      
-      // Smart text extraction (PDF or image)
-      const text = await extractText(blob, fileData.fileName);
-      console.log('Extracted text:', text);
-    } else {
-      console.error('CRITICAL ERROR: FILE NOT CACHED');
-      extractButton.textContent = 'Cache Failed';
-      extractButton.disabled = true;
+    } catch (error) {
+      console.log('Text extraction stopped:', error.message);
     }
   });
   
@@ -360,22 +207,18 @@ function createDownloadButton(fileData) {
   ocrButton.addEventListener('click', async () => {
     console.log('Force OCR extraction from:', fileData.fileName);
     
-    if (fileData.cachedBlob && fileData.cachedBlob.length > 0) {
-      // Convert base64 back to blob
-      const binaryString = atob(fileData.cachedBlob);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
+    // Force OCR extraction
+    try {
+      const result = await extractDocument(fileData, 'ocr');
+      if (result) {
+        console.log('OCR extracted text:', describeExtraction(result), result);
+      } else {
+        console.error('CRITICAL ERROR: FILE NOT CACHED');
+        ocrButton.textContent = 'Cache Failed';
+        ocrButton.disabled = true;
       }
-      const blob = new Blob([bytes], { type: fileData.blobType || 'application/pdf' });
-      
-      // Force OCR extraction
-      const text = await extractTextFromImage(blob);
-      console.log('OCR extracted text:', text);
-    } else {
-      console.error('CRITICAL ERROR: FILE NOT CACHED');
-      ocrButton.textContent = 'Cache Failed';
-      ocrButton.disabled = true;
+    } catch (error) {
+      console.log('OCR stopped:', error.message);
     }
   });
   
@@ -405,12 +248,53 @@ function createDownloadButton(fileData) {
   document.body.appendChild(ocrButton);
   document.body.appendChild(viewCommentsButton);
   document.body.appendChild(summarizeCommentsButton);
+  if (detectedFiles.length > 1) {
+    document.body.appendChild(filePicker);
+  }
   console.log('Content: Buttons appended successfully');
 }
 
-// Cache file data
+// Every file detected on this page, in detection order.
+// cachedFileData is the active file that the buttons and voice commands work on.
+const detectedFiles = [];
 let cachedFileData = null;
 
+// Add a cached file to the page registry (replacing an earlier entry for the same file)
+function registerFile(fileData) {
+  const existingIndex = detectedFiles.findIndex(file => file.fileId === fileData.fileId);
+  if (existingIndex >= 0) {
+    detectedFiles[existingIndex] = fileData;
+  } else {
+    detectedFiles.push(fileData);
+  }
+  console.log('Content: Registered file:', fileData.fileName, 'Total files:', detectedFiles.length);
+}
+
+// Make a registered file the active one and rebuild the buttons for it
+function setActiveFile(fileId) {
+  const fileData = detectedFiles.find(file => file.fileId === fileId);
+  if (!fileData) {
+    console.error('Content: Cannot activate unknown file:', fileId);
+    return null;
+  }
+  
+  cachedFileData = fileData;
+  createDownloadButton(fileData);
+  console.log('Content: Active file is now:', fileData.fileName);
+  return fileData;
+}
+
+// Move the active file forward (1) or back (-1) through the registry, wrapping around
+function switchActiveFile(step) {
+  if (detectedFiles.length === 0) {
+    return null;
+  }
+  
+  const currentIndex = detectedFiles.findIndex(file => cachedFileData && file.fileId === cachedFileData.fileId);
+  const nextIndex = (currentIndex + step + detectedFiles.length) % detectedFiles.length;
+  return setActiveFile(detectedFiles[nextIndex].fileId);
+}
+
 // Remove buttons when navigating away from page
 function removeButtons() {
   const existingDownloadBtn = document.getElementById('schoology-download-btn');
@@ -418,98 +302,187 @@ function removeButtons() {
   const existingOCRBtn = document.getElementById('schoology-ocr-btn');
   const existingViewCommentsBtn = document.getElementById('schoology-view-comments-btn');
   const existingSummarizeBtn = document.getElementById('schoology-summarize-comments-btn');
+  const existingFilePicker = document.getElementById('schoology-file-picker');
   if (existingDownloadBtn) existingDownloadBtn.remove();
   if (existingExtractBtn) existingExtractBtn.remove();
   if (existingOCRBtn) existingOCRBtn.remove();
   if (existingViewCommentsBtn) existingViewCommentsBtn.remove();
   if (existingSummarizeBtn) existingSummarizeBtn.remove();
+  if (existingFilePicker) existingFilePicker.remove();
+}
+
+// The page the registered files belong to
+let filesPagePath = window.location.pathname;
+
+// Forget the previous submission's files once the tab moves to another page without reloading
+function resetFilesOnNavigation() {
+  if (window.location.pathname === filesPagePath) {
+    return;
+  }
+  
+  console.log('Content: Page changed from', filesPagePath, 'to', window.location.pathname, '- clearing files');
+  filesPagePath = window.location.pathname;
+  detectedFiles.length = 0;
+  cachedFileData = null;
+  removeButtons();
+  browserAPI.runtime.sendMessage({ type: 'CLEAR_TAB_FILES' }).catch((error) => {
+    console.error('Content: Failed to clear tab files:', error);
+  });
 }
 
 // Listen for page navigation (SPA navigation)
 window.addEventListener('beforeunload', removeButtons);
-window.addEventListener('popstate', removeButtons);
+window.addEventListener('popstate', resetFilesOnNavigation);
+
+// Files currently being fetched, so a repeated detection waits instead of refetching
+const pendingFileCaches = new Map();
+
+// Files whose fetch failed on this page. Each fetch triggers another detection,
+// so retrying them automatically would loop.
+const failedFileCaches = new Set();
+
+// Keep the background worker's cache index in sync with what is actually cached here
+function notifyCacheIndex(message) {
+  browserAPI.runtime.sendMessage(message).catch((error) => {
+    console.error('Content: Failed to update cache index:', error);
+  });
+}
+
+fileCache.onEvict = (fileIds) => {
+  notifyCacheIndex({ type: 'FILE_UNCACHED', fileIds: fileIds });
+};
+
+// Fetch a detected file and store its raw blob in the IndexedDB cache
+function cacheDetectedFile(fileData) {
+  if (pendingFileCaches.has(fileData.fileId)) {
+    console.log('Content: File is already being cached:', fileData.fileName);
+    return pendingFileCaches.get(fileData.fileId);
+  }
+  
+  if (failedFileCaches.has(fileData.fileId)) {
+    console.log('Content: Not retrying file that failed to cache:', fileData.fileName);
+    return Promise.resolve(null);
+  }
+  
+  const pending = fetchAndCacheFile(fileData).then((metadata) => {
+    if (metadata) {
+      notifyCacheIndex({ type: 'FILE_CACHED', fileId: metadata.fileId, fileName: metadata.fileName, size: metadata.size });
+    } else {
+      failedFileCaches.add(fileData.fileId);
+      notifyCacheIndex({ type: 'FILE_UNCACHED', fileIds: [fileData.fileId] });
+    }
+    return metadata;
+  }).finally(() => {
+    pendingFileCaches.delete(fileData.fileId);
+  });
+  
+  pendingFileCaches.set(fileData.fileId, pending);
+  return pending;
+}
+
+async function fetchAndCacheFile(fileData) {
+  try {
+    console.log('Content: Attempting to cache file:', fileData.fileName);
+    const response = await fetch(fileData.url);
+    console.log('Fetch response status:', response.status, response.statusText);
+    
+    if (!response.ok) {
+      console.error('Content: Fetch failed with status:', response.status, response.statusText);
+      return null;
+    }
+    
+    const blob = await response.blob();
+    console.log('Blob created, size:', blob.size, 'type:', blob.type);
+    
+    const metadata = await fileCache.putBlob(fileData.fileId, blob, fileData.fileName);
+    console.log('Content: File cached successfully:', fileData.fileName, 'Size:', blob.size, 'bytes');
+    return metadata;
+  } catch (error) {
+    console.error('Content: Error caching file:', error);
+    return null;
+  }
+}
+
+// Remove base64 file entries left in storage.local by older versions
+async function purgeLegacyFileCache() {
+  try {
+    const result = await browserAPI.storage.local.get(null);
+    const legacyKeys = Object.keys(result).filter(key => key.startsWith('cached_file_'));
+    if (legacyKeys.length > 0) {
+      await browserAPI.storage.local.remove(legacyKeys);
+      console.log('Content: Removed', legacyKeys.length, 'legacy cached files from storage');
+    }
+  } catch (error) {
+    console.error('Content: Error removing legacy cached files:', error);
+  }
+}
+
+// Cache a file detected in this tab and show the buttons for it
+async function handleDetectedFile(fileData) {
+  console.log('Content: File detected:', fileData.url);
+  console.log('Content: File already cached?', fileData.alreadyCached);
+  
+  let metadata = null;
+  if (pendingFileCaches.has(fileData.fileId)) {
+    // Our own fetch of the file triggers another detection while it is in flight
+    metadata = await pendingFileCaches.get(fileData.fileId);
+  } else if (fileData.alreadyCached) {
+    // File already cached, but it may have been evicted since
+    console.log('Content: File already cached, retrieving cached data for:', fileData.fileName);
+    try {
+      metadata = await fileCache.getMetadata(fileData.fileId);
+    } catch (error) {
+      console.error('Content: Error retrieving cached data:', error);
+    }
+  }
+  
+  if (!metadata) {
+    metadata = await cacheDetectedFile(fileData);
+    if (!metadata && !fileData.alreadyCached) {
+      return;
+    }
+  }
+  
+  if (metadata) {
+    fileData.blobType = metadata.blobType;
+    fileData.size = metadata.size;
+    registerFile(fileData);
+    
+    // The most recently detected file becomes the active one
+    setActiveFile(fileData.fileId);
+  } else {
+    console.log('Content: No cached data found, showing buttons without cache');
+    createDownloadButton(fileData);
+  }
+}
+
+// Pick up files the background worker detected in this tab before the content script was ready
+async function restoreTabFiles() {
+  try {
+    const response = await browserAPI.runtime.sendMessage({ type: 'GET_TAB_FILES' });
+    const files = response && response.files ? response.files : [];
+    console.log('Content: Restoring', files.length, 'files detected in this tab');
+    
+    for (const fileData of files) {
+      await handleDetectedFile({ ...fileData, alreadyCached: true });
+    }
+  } catch (error) {
+    console.error('Content: Error restoring tab files:', error);
+  }
+}
 
 // Listen for file detection messages from background script
 browserAPI.runtime.onMessage.addListener(async (request, sender, sendResponse) => {
   console.log('Content: Received message:', request.type, request);
   
   if (request.type === 'FILE_DETECTED') {
-    console.log('Content: File detected:', request.data.url);
-    console.log('Content: File already cached?', request.data.alreadyCached);
-    
-    // Only cache the file if it hasn't been cached before
-    if (!request.data.alreadyCached) {
-      try {
-        console.log('Content: Attempting to cache file:', request.data.fileName);
-      const response = await fetch(request.data.url);
-      console.log('Fetch response status:', response.status, response.statusText);
-      
-      if (response.ok) {
-        const blob = await response.blob();
-        console.log('Blob created, size:', blob.size, 'type:', blob.type);
-        
-        //Realllly scuffed but binary data cant be sent through messages so I converted it (blob) to base64
-        //I got some overflow errors so I chunked it (I broke into 8kb chunks and converted those to base64)
-        const arrayBuffer = await blob.arrayBuffer();
-        const uint8Array = new Uint8Array(arrayBuffer);
-        let binaryString = '';
-        const chunkSize = 8192; // Process in chunks to avoid call stack overflow
-        
-        for (let i = 0; i < uint8Array.length; i += chunkSize) {
-          const chunk = uint8Array.slice(i, i + chunkSize);
-          binaryString += String.fromCharCode.apply(null, chunk);
-        }
-        const base64 = btoa(binaryString);
-        
-        // Update file data with cached blob
-        request.data.cachedBlob = base64;
-        request.data.blobType = blob.type;
-        cachedFileData = request.data;
-        
-        // Save cached data to storage for future use
-        try {
-          await browserAPI.storage.local.set({
-            [`cached_file_${request.data.fileId}`]: {
-              cachedBlob: base64,
-              blobType: blob.type,
-              fileName: request.data.fileName,
-              timestamp: Date.now()
-            }
-          });
-          console.log('Content: Cached data saved to storage');
-        } catch (error) {
-          console.error('Content: Error saving cached data to storage:', error);
-        }
-        
-        console.log('Content: File cached successfully:', request.data.fileName, 'Size:', blob.size, 'bytes');
-        createDownloadButton(request.data);
-      } else {
-        console.error('Content: Fetch failed with status:', response.status, response.statusText);
-      }
-    } catch (error) {
-      console.error('Content: Error caching file:', error);
-    }
-    } else {
-      // File already cached, but we need to get the cached data
-      console.log('Content: File already cached, retrieving cached data for:', request.data.fileName);
-      
-      // Try to get cached data from storage
-      try {
-        const result = await browserAPI.storage.local.get([`cached_file_${request.data.fileId}`]);
-        if (result[`cached_file_${request.data.fileId}`]) {
-          const cachedData = result[`cached_file_${request.data.fileId}`];
-          request.data.cachedBlob = cachedData.cachedBlob;
-          request.data.blobType = cachedData.blobType;
-          cachedFileData = request.data;
-          console.log('Content: Retrieved cached data from storage');
-        } else {
-          console.log('Content: No cached data found in storage, showing buttons without cache');
-        }
-      } catch (error) {
-        console.error('Content: Error retrieving cached data:', error);
-      }
-      
-      createDownloadButton(request.data);
+    await handleDetectedFile(request.data);
+  } else if (request.type === 'PAGE_NAVIGATED') {
+    resetFilesOnNavigation();
+  } else if (request.type === 'PUSH_TO_TALK' && voiceSystem) {
+    // Not while typing: the key belongs to the text field
+    if (!isEditableTarget(document.activeElement)) {
+      voiceSystem.pushToTalk();
     }
   }
 });
@@ -517,231 +490,1074 @@ browserAPI.runtime.onMessage.addListener(async (request, sender, sendResponse) =
 // Voice Recognition System
 class VoiceCommandSystem {
   constructor() {
-    this.recognition = null;
-    this.isListening = false;
-    this.isEnabled = false;
+    // The one speech recognizer, shared by commands and comment dictation
+    // (recognition-manager.js)
+    this.recognizer = null;
     this.statusElement = null;
     this.toggleButton = null;
     
     // Wake word system
-    this.isAwake = false;
-    this.wakeWord = 'hey schoology';
+    this.wakeWord = getActiveWakeWord(DEFAULT_LANGUAGE);
     this.wakeWordTimeout = null;
     this.commandTimeout = null;
     this.lastInterimCommand = '';
+    this.pushToTalkActive = false;
+    // Where the microphone goes back to after push-to-talk or a dictated comment
+    this.modeBeforePushToTalk = 'idle';
+    this.modeAfterDictation = 'idle';
+    
+    // Match offered by the last "did you mean" prompt, run if the user says yes
+    this.pendingSuggestion = null;
     
-    // Text-to-Speech properties
+    // Destructive command waiting for a "yes" (comment-trash.js), and the toast
+    // used for its Yes/No buttons and for undoing deletes
+    this.pendingConfirmation = null;
+    this.toast = null;
+    this.toastTimer = null;
+    
+    // Audio feedback: when the last command ran (its result gets announced) and
+    // until when a spoken confirmation is playing
+    this.outcomeExpectedAt = 0;
+    this.feedbackSpeakingUntil = 0;
+    
+    // Text-to-Speech properties. Playback (chunks, position, pause state) lives in
+    // the TTS player; currentText is the whole document it has loaded.
     this.synthesis = window.speechSynthesis;
-    this.currentUtterance = null;
-    this.isSpeaking = false;
-    this.isPaused = false;
+    this.tts = new TTSPlayer(this.synthesis);
     this.currentText = '';
-    this.currentPosition = 0;
-    this.speechRate = 1.0;
+    this.currentResult = null;
+    this.readingPage = false;
+    this.isExportingAudio = false;
     this.ttsControls = null;
+    this.ttsSettingsSection = null;
+    this.readerPanel = new ReaderPanel({
+      onWordClick: (wordIndex) => this.speakFromWord(wordIndex),
+      onCommentClick: (comment) => this.jumpToComment(comment.position)
+    });
+    
+    // OCR progress
+    this.ocrCancelButton = null;
+    
+    // Language for OCR, recognition and TTS (resolved per page in loadLanguage)
+    this.languageCode = DEFAULT_LANGUAGE;
+    this.languageSettings = null;
+    this.languageButton = null;
+    this.languagePanel = null;
+    
+    // OCR pre-processing settings and preview
+    this.ocrSettingsButton = null;
+    this.ocrSettingsPanel = null;
     
     // Comment system
     this.comments = [];
     this.commentDialog = null;
     this.commentDisplay = null;
     this.currentCommentPosition = 0;
+    // Set while dictating over the document being read ("comment mode")
+    this.commentWhileReading = false;
+    
+    // Keyboard shortcut cheat sheet, and the shortcut waiting for a new key
+    this.shortcutSheet = null;
+    this.recordingShortcut = null;
     this.init();
   }
 
+  // Voice is on whenever the microphone is in use, for commands or dictation
+  get isEnabled() {
+    return this.recognizer.mode !== 'idle';
+  }
+
+  // Awake: heard the wake word (or push-to-talk), listening for a command
+  get isAwake() {
+    return this.recognizer.mode === 'command';
+  }
+
   init() {
+    this.attachTTSPlayer();
     this.initializeVoiceRecognition();
     this.createVoiceUI();
+    this.setupKeyboardShortcuts();
+    this.attachOCRProgress();
+    this.loadLanguage();
   }
 
-  initializeVoiceRecognition() {
-    // Check if speech recognition is supported
-    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-      console.log('Speech recognition not supported in this browser');
-      return;
-    }
+  // Load saved language settings and apply the one for this page
+  async loadLanguage() {
+    this.languageSettings = await loadLanguageSettings();
+    const { code, scope } = resolveLanguage(this.languageSettings, this.getCurrentAssignmentId(), getCurrentCourseId());
+    console.log('Language: Using', code, 'from', scope, 'setting');
+    this.applyLanguage(code);
+  }
 
-    // Initialize speech recognition
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    this.recognition = new SpeechRecognition();
+  // Point OCR, speech recognition and TTS at a language
+  applyLanguage(code) {
+    const language = LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+    this.languageCode = language;
+    this.wakeWord = getActiveWakeWord(language);
+    ocrService.setLanguage(LANGUAGES[language].tesseract);
     
-    this.recognition.continuous = true;
-    this.recognition.interimResults = true;
-    this.recognition.lang = 'en-US';
-
-    // Set up event handlers
-    this.recognition.onstart = () => {
-      console.log('Voice recognition started');
-      this.isListening = true;
-      this.updateStatus('Say "Hey Schoology" to activate', '#9E9E9E');
-    };
+    if (this.languageButton) {
+      this.languageButton.textContent = `🌐 ${language.toUpperCase()}`;
+    }
+    
+    this.recognizer.setLanguage(LANGUAGES[language].locale);
+    
+    if (this.isEnabled && !this.isAwake) {
+      this.updateStatus(this.getActivationHint(), '#9E9E9E');
+    }
+    
+    // Switch the reading voice too if a document is being read
+    if (this.tts.isSpeaking) {
+      this.applyVoiceSettings();
+    }
+  }
 
-    this.recognition.onresult = (event) => {
-      let finalTranscript = '';
-      let interimTranscript = '';
+  getLanguageLocale() {
+    return LANGUAGES[this.languageCode].locale;
+  }
 
-      for (let i = event.resultIndex; i < event.results.length; i++) {
-        const transcript = event.results[i][0].transcript;
-        if (event.results[i].isFinal) {
-          finalTranscript += transcript;
-        } else {
-          interimTranscript += transcript;
-        }
-      }
+  // TTS voice for the current language: the one picked in voice settings, else the
+  // first installed voice for the locale, if there is one
+  getLanguageVoice() {
+    const locale = this.getLanguageLocale();
+    const voices = this.synthesis.getVoices();
+    const chosen = ttsSettings.voiceURIs[this.languageCode];
+    return (chosen && voices.find(voice => voice.voiceURI === chosen)) ||
+      voices.find(voice => voice.lang === locale) ||
+      voices.find(voice => voice.lang.split('-')[0] === this.languageCode) ||
+      null;
+  }
 
-      const fullText = (finalTranscript + interimTranscript).toLowerCase().trim();
-      
-      // Check for wake word first
-      if (!this.isAwake && fullText.includes(this.wakeWord)) {
-        console.log('Voice: Wake word detected:', this.wakeWord);
-        this.activateWakeMode();
-        this.updateStatus('Hey Schoology! Listening for commands...', '#4CAF50');
-        
-        // Clear wake word timeout
-        if (this.wakeWordTimeout) {
-          clearTimeout(this.wakeWordTimeout);
-        }
-        
-        // Set timeout to deactivate if no command comes
-        this.wakeWordTimeout = setTimeout(() => {
-          this.deactivateWakeMode();
-        }, 10000); // 10 second timeout
-        
-        return;
-      }
+  // First phrase for an action in the current language, for on-screen hints
+  getPhraseHint(action) {
+    const phrase = getCommandPhrases(this.languageCode, action)[0] || getCommandPhrases(DEFAULT_LANGUAGE, action)[0];
+    return Array.isArray(phrase) ? phrase.join(' ') : phrase;
+  }
 
-      // Only process commands if we're in wake mode
-      if (!this.isAwake) {
-        if (interimTranscript) {
-          this.updateStatus('Say "Hey Schoology" to activate', '#9E9E9E');
-        }
-        return;
-      }
+  // Language picker: a global default plus overrides for this course or assignment
+  toggleLanguagePanel() {
+    if (this.languagePanel) {
+      this.languagePanel.remove();
+      this.languagePanel = null;
+      return;
+    }
+    
+    const assignmentId = this.getCurrentAssignmentId();
+    const courseId = getCurrentCourseId();
+    const { scope } = resolveLanguage(this.languageSettings, assignmentId, courseId);
+    
+    this.languagePanel = document.createElement('div');
+    this.languagePanel.id = 'language-panel';
+    this.languagePanel.style.cssText = `
+      position: fixed;
+      top: 70px;
+      right: 200px;
+      z-index: 10002;
+      background: rgba(0,0,0,0.9);
+      color: white;
+      padding: 15px;
+      border-radius: 10px;
+      font-size: 12px;
+      min-width: 220px;
+      box-shadow: 0 4px 15px rgba(0,0,0,0.3);
+    `;
+    
+    const title = document.createElement('div');
+    title.style.cssText = 'margin-bottom: 10px; font-weight: bold;';
+    title.textContent = '🌐 Language';
+    
+    const languageSelect = document.createElement('select');
+    languageSelect.id = 'language-select';
+    languageSelect.style.cssText = 'width: 100%; margin-bottom: 8px; padding: 4px;';
+    Object.entries(LANGUAGES).forEach(([code, language]) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = language.name;
+      option.selected = code === this.languageCode;
+      languageSelect.appendChild(option);
+    });
+    
+    const scopeSelect = document.createElement('select');
+    scopeSelect.id = 'language-scope';
+    scopeSelect.style.cssText = 'width: 100%; margin-bottom: 10px; padding: 4px;';
+    [
+      ['assignment', 'This assignment', assignmentId !== 'unknown'],
+      ['course', 'This course', Boolean(courseId)],
+      ['default', 'Default for everything', true]
+    ].forEach(([value, label, available]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      option.disabled = !available;
+      option.selected = value === scope;
+      scopeSelect.appendChild(option);
+    });
+    
+    const saveBtn = document.createElement('button');
+    saveBtn.style.cssText = 'padding: 5px 10px; background: #4CAF50; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px; margin-right: 5px;';
+    saveBtn.textContent = 'Save';
+    saveBtn.addEventListener('click', () => this.saveLanguage(languageSelect.value, scopeSelect.value));
+    
+    const closeBtn = document.createElement('button');
+    closeBtn.style.cssText = 'padding: 5px 10px; background: #9E9E9E; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px;';
+    closeBtn.textContent = 'Close';
+    closeBtn.addEventListener('click', () => this.toggleLanguagePanel());
+    
+    this.languagePanel.appendChild(title);
+    this.languagePanel.appendChild(languageSelect);
+    this.languagePanel.appendChild(scopeSelect);
+    this.languagePanel.appendChild(saveBtn);
+    this.languagePanel.appendChild(closeBtn);
+    document.body.appendChild(this.languagePanel);
+  }
 
-      if (finalTranscript) {
-        console.log('Voice command:', finalTranscript);
-        this.processVoiceCommand(finalTranscript.toLowerCase().trim());
-        this.updateStatus('Command processed', '#2196F3');
-        setTimeout(() => this.updateStatus('Hey Schoology! Listening...', '#4CAF50'), 1000);
-        
-        // Clear wake word timeout since we got a command
-        if (this.wakeWordTimeout) {
-          clearTimeout(this.wakeWordTimeout);
-          this.wakeWordTimeout = setTimeout(() => {
-            this.deactivateWakeMode();
-          }, 10000); // Reset 10 second timeout
-        }
-      } else if (interimTranscript) {
-        this.updateStatus(`Hearing: ${interimTranscript}`, '#FF9800');
-        
-        // Check for urgent commands in interim results
-        const urgentCommands = ['pause', 'stop', 'resume', 'continue'];
-        const lowerInterim = interimTranscript.toLowerCase().trim();
-        
-        // Store the last interim command
-        this.lastInterimCommand = lowerInterim;
-        
-        // Clear any existing timeout
-        if (this.commandTimeout) {
-          clearTimeout(this.commandTimeout);
-        }
-        
-        // Set a timeout to process the command if no final result comes
-        this.commandTimeout = setTimeout(() => {
-          if (this.lastInterimCommand) {
-            console.log('Voice: Processing command from timeout:', this.lastInterimCommand);
-            this.processVoiceCommand(this.lastInterimCommand);
-            this.updateStatus('Command processed (timeout)', '#FF5722');
-            this.lastInterimCommand = '';
-            
-            // Reset wake word timeout
-            if (this.wakeWordTimeout) {
-              clearTimeout(this.wakeWordTimeout);
-              this.wakeWordTimeout = setTimeout(() => {
-                this.deactivateWakeMode();
-              }, 10000);
-            }
-          }
-        }, 1500); // 1.5 second timeout
-        
-        for (const command of urgentCommands) {
-          if (lowerInterim.includes(command)) {
-            console.log('Voice: Urgent command detected in interim:', command);
-            this.processVoiceCommand(lowerInterim);
-            this.updateStatus(`Urgent command: ${command}`, '#FF5722');
-            // Clear timeout since we processed it immediately
-            if (this.commandTimeout) {
-              clearTimeout(this.commandTimeout);
-              this.commandTimeout = null;
-            }
-            
-            // Reset wake word timeout
-            if (this.wakeWordTimeout) {
-              clearTimeout(this.wakeWordTimeout);
-              this.wakeWordTimeout = setTimeout(() => {
-                this.deactivateWakeMode();
-              }, 10000);
-            }
-            break;
-          }
-        }
+  async saveLanguage(code, scope) {
+    const settings = this.languageSettings || await loadLanguageSettings();
+    
+    if (scope === 'assignment') {
+      settings.assignments[this.getCurrentAssignmentId()] = code;
+    } else if (scope === 'course') {
+      settings.courses[getCurrentCourseId()] = code;
+    } else {
+      settings.defaultLanguage = code;
+    }
+    
+    this.languageSettings = settings;
+    await saveLanguageSettings(settings);
+    
+    // A more specific setting may still win over the one just saved
+    const resolved = resolveLanguage(settings, this.getCurrentAssignmentId(), getCurrentCourseId());
+    this.applyLanguage(resolved.code);
+    this.toggleLanguagePanel();
+    this.updateStatus(`Language: ${LANGUAGES[this.languageCode].name} (${resolved.scope} setting)`, '#4CAF50', 'success');
+  }
+
+  // Panel for activation settings and the user's own phrases and macros (custom-commands.js)
+  toggleCustomCommandsPanel() {
+    if (this.customCommandsPanel) {
+      this.customCommandsPanel.remove();
+      this.customCommandsPanel = null;
+      return;
+    }
+    
+    this.customCommandsPanel = document.createElement('div');
+    this.customCommandsPanel.id = 'custom-commands-panel';
+    this.customCommandsPanel.style.cssText = `
+      position: fixed;
+      top: 70px;
+      right: 390px;
+      z-index: 10002;
+      background: rgba(0,0,0,0.9);
+      color: white;
+      padding: 15px;
+      border-radius: 10px;
+      font-size: 12px;
+      width: 320px;
+      max-height: 70vh;
+      overflow-y: auto;
+      box-shadow: 0 4px 15px rgba(0,0,0,0.3);
+    `;
+    document.body.appendChild(this.customCommandsPanel);
+    this.renderCustomCommandsPanel();
+  }
+  
+  renderCustomCommandsPanel() {
+    const panel = this.customCommandsPanel;
+    if (!panel) return;
+    panel.innerHTML = '';
+    
+    const buttonStyle = 'padding: 4px 8px; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px;';
+    const inputStyle = 'width: 100%; box-sizing: border-box; margin-bottom: 5px; padding: 4px;';
+    const addHeading = (text) => {
+      const heading = document.createElement('div');
+      heading.style.cssText = 'margin: 10px 0 5px; font-weight: bold;';
+      heading.textContent = text;
+      panel.appendChild(heading);
+    };
+    const addRow = (text, onRemove) => {
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; align-items: center; gap: 5px; margin-bottom: 4px;';
+      const label = document.createElement('span');
+      label.style.cssText = 'flex: 1;';
+      label.textContent = text;
+      const removeBtn = document.createElement('button');
+      removeBtn.style.cssText = buttonStyle + 'background: #F44336;';
+      removeBtn.textContent = '✕';
+      removeBtn.addEventListener('click', async () => {
+        await onRemove();
+        this.renderCustomCommandsPanel();
+      });
+      row.appendChild(label);
+      row.appendChild(removeBtn);
+      panel.appendChild(row);
+    };
+    // Built-in actions a phrase or macro step can point at. Macros can't include
+    // commands that need confirming.
+    const createActionSelect = (forMacro) => {
+      const select = document.createElement('select');
+      select.style.cssText = inputStyle;
+      this.getCommandActions()
+        .map(([action]) => action)
+        .filter(action => !action.startsWith('macro:') && action !== 'customCommands')
+        .filter(action => !forMacro || !isConfirmedCommand(action))
+        .forEach(action => {
+          const option = document.createElement('option');
+          option.value = action;
+          option.textContent = describeCommandAction(action);
+          select.appendChild(option);
+        });
+      return select;
+    };
+    // Phrases must be new and say something
+    const checkPhrase = (phrase) => {
+      if (tokenizeCommand(phrase).length === 0) {
+        this.updateStatus('Type the phrase to say first', '#FF9800', 'warning');
+        return false;
+      }
+      if (isCustomPhraseTaken(phrase)) {
+        this.updateStatus(`"${phrase}" is already in use`, '#FF9800', 'warning');
+        return false;
       }
+      return true;
     };
+    
+    const title = document.createElement('div');
+    title.style.cssText = 'font-weight: bold;';
+    title.textContent = '🗣️ Voice commands';
+    panel.appendChild(title);
+    
+    // How listening starts (voice-settings.js)
+    addHeading('Activation');
+    const modeSelect = document.createElement('select');
+    modeSelect.style.cssText = inputStyle;
+    [['wake', 'Wake word'], ['pushToTalk', `Push to talk (${PUSH_TO_TALK_DEFAULT_KEY})`]].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      option.selected = voiceSettings.activation === value;
+      modeSelect.appendChild(option);
+    });
+    const wakeInput = document.createElement('input');
+    wakeInput.placeholder = `Wake word (default "${getWakeWord(this.languageCode)}")`;
+    wakeInput.value = voiceSettings.wakeWord;
+    wakeInput.style.cssText = inputStyle;
+    const timeoutLabel = document.createElement('label');
+    timeoutLabel.style.cssText = 'display: block; margin-bottom: 5px;';
+    timeoutLabel.textContent = 'Stop listening after (seconds) ';
+    const timeoutInput = document.createElement('input');
+    timeoutInput.type = 'number';
+    timeoutInput.min = WAKE_TIMEOUT_MIN_SECONDS;
+    timeoutInput.max = WAKE_TIMEOUT_MAX_SECONDS;
+    timeoutInput.value = voiceSettings.wakeTimeoutSeconds;
+    timeoutInput.style.cssText = 'width: 50px;';
+    timeoutLabel.appendChild(timeoutInput);
+    const singleLabel = document.createElement('label');
+    singleLabel.style.cssText = 'display: block; margin-bottom: 5px;';
+    const singleInput = document.createElement('input');
+    singleInput.type = 'checkbox';
+    singleInput.checked = voiceSettings.singleCommand;
+    singleLabel.appendChild(singleInput);
+    singleLabel.appendChild(document.createTextNode(' One command per activation'));
+    const saveActivationBtn = document.createElement('button');
+    saveActivationBtn.style.cssText = buttonStyle + 'background: #4CAF50;';
+    saveActivationBtn.textContent = 'Save activation';
+    saveActivationBtn.addEventListener('click', async () => {
+      const wasPushToTalk = voiceSettings.activation === 'pushToTalk';
+      await saveVoiceSettings({
+        activation: modeSelect.value,
+        wakeWord: wakeInput.value,
+        wakeTimeoutSeconds: Number(timeoutInput.value),
+        singleCommand: singleInput.checked
+      });
+      this.wakeWord = getActiveWakeWord(this.languageCode);
+      // Leaving wake word mode turns the always-on microphone off
+      if (!wasPushToTalk && voiceSettings.activation === 'pushToTalk' && this.isEnabled) {
+        this.deactivateWakeMode(false);
+        this.stopListening();
+      }
+      // The mic button's label depends on the mode
+      this.onRecognitionState(this.recognizer.getState());
+      this.renderCustomCommandsPanel();
+      this.updateStatus(voiceSettings.activation === 'pushToTalk'
+        ? `Push to talk: press ${PUSH_TO_TALK_DEFAULT_KEY}`
+        : `Wake word: "${this.wakeWord}"`, '#4CAF50');
+    });
+    panel.appendChild(modeSelect);
+    panel.appendChild(wakeInput);
+    panel.appendChild(timeoutLabel);
+    panel.appendChild(singleLabel);
+    panel.appendChild(saveActivationBtn);
+    
+    // Earcons and spoken confirmations (audio-feedback.js), saved as soon as changed
+    addHeading('Audio feedback');
+    [['earcons', 'Sounds for wake, commands, errors and saved comments'], ['spoken', 'Speak results ("Comment saved at word 120")']].forEach(([setting, text]) => {
+      const label = document.createElement('label');
+      label.style.cssText = 'display: block; margin-bottom: 5px;';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = audioFeedbackSettings[setting];
+      checkbox.addEventListener('change', async () => {
+        await saveAudioFeedbackSettings({ ...audioFeedbackSettings, [setting]: checkbox.checked });
+        if (setting === 'earcons' && checkbox.checked) {
+          playEarcon('accepted');
+        }
+      });
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${text}`));
+      panel.appendChild(label);
+    });
+    
+    // Extra phrases for built-in actions
+    addHeading('Your phrases');
+    customCommands.phrases.forEach(({ phrase, action }, index) => {
+      addRow(`"${phrase}" → ${describeCommandAction(action)}`, () => removeCustomPhrase(index));
+    });
+    const phraseInput = document.createElement('input');
+    phraseInput.placeholder = 'Say... (e.g. "read it to me")';
+    phraseInput.style.cssText = inputStyle;
+    const phraseAction = createActionSelect();
+    const addPhraseBtn = document.createElement('button');
+    addPhraseBtn.style.cssText = buttonStyle + 'background: #4CAF50;';
+    addPhraseBtn.textContent = 'Add phrase';
+    addPhraseBtn.addEventListener('click', async () => {
+      if (!checkPhrase(phraseInput.value)) return;
+      await addCustomPhrase(phraseInput.value, phraseAction.value);
+      this.renderCustomCommandsPanel();
+    });
+    panel.appendChild(phraseInput);
+    panel.appendChild(phraseAction);
+    panel.appendChild(addPhraseBtn);
+    
+    // Macros: one phrase, several actions
+    addHeading('Macros');
+    customCommands.macros.forEach(macro => {
+      addRow(`"${macro.phrase}" → ${macro.steps.map(describeCommandAction).join(' → ')}`, () => removeMacro(macro.id));
+    });
+    const steps = [];
+    const macroInput = document.createElement('input');
+    macroInput.placeholder = 'Say... (e.g. "grade mode")';
+    macroInput.style.cssText = inputStyle;
+    const stepList = document.createElement('div');
+    stepList.style.cssText = 'margin-bottom: 5px; color: #BBB;';
+    stepList.textContent = 'No steps yet';
+    const stepAction = createActionSelect(true);
+    const addStepBtn = document.createElement('button');
+    addStepBtn.style.cssText = buttonStyle + 'background: #2196F3; margin-right: 5px;';
+    addStepBtn.textContent = 'Add step';
+    addStepBtn.addEventListener('click', () => {
+      steps.push(stepAction.value);
+      stepList.textContent = steps.map((step, index) => `${index + 1}. ${describeCommandAction(step)}`).join('  ');
+    });
+    const saveMacroBtn = document.createElement('button');
+    saveMacroBtn.style.cssText = buttonStyle + 'background: #4CAF50;';
+    saveMacroBtn.textContent = 'Save macro';
+    saveMacroBtn.addEventListener('click', async () => {
+      if (!checkPhrase(macroInput.value)) return;
+      if (steps.length === 0) {
+        this.updateStatus('Add at least one step to the macro', '#FF9800', 'warning');
+        return;
+      }
+      await addMacro(macroInput.value, steps);
+      this.renderCustomCommandsPanel();
+      this.updateStatus(`Macro "${macroInput.value.trim()}" saved`, '#4CAF50', 'success');
+    });
+    panel.appendChild(macroInput);
+    panel.appendChild(stepAction);
+    panel.appendChild(stepList);
+    panel.appendChild(addStepBtn);
+    panel.appendChild(saveMacroBtn);
+    
+    const closeBtn = document.createElement('button');
+    closeBtn.style.cssText = buttonStyle + 'background: #9E9E9E; display: block; margin-top: 12px;';
+    closeBtn.textContent = 'Close';
+    closeBtn.addEventListener('click', () => this.toggleCustomCommandsPanel());
+    panel.appendChild(closeBtn);
+  }
 
-    this.recognition.onerror = (event) => {
-      console.error('Speech recognition error:', event.error);
-      this.isListening = false;
+  // Keyboard layer over the voice command actions (keyboard-shortcuts.js). Runs in
+  // the capture phase so a key being recorded never reaches the page.
+  setupKeyboardShortcuts() {
+    document.addEventListener('keydown', (event) => {
+      const key = formatShortcutKey(event);
+      if (!key) return;
       
-      // Update button state immediately
-      if (this.toggleButton) {
-        this.toggleButton.innerHTML = '🎤 Voice Off';
-        this.toggleButton.style.background = '#9E9E9E';
+      if (this.recordingShortcut) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.finishShortcutRecording(key);
+        return;
+      }
+      if (key === 'Escape' && this.shortcutSheet) {
+        this.toggleShortcutSheet();
+        return;
       }
+      if (isEditableTarget(event.target)) return;
       
-      // Handle different error types
-      if (event.error === 'no-speech' || event.error === 'audio-capture') {
-        this.updateStatus(`Error: ${event.error} - restarting...`, '#FF9800');
-        // Restart for recoverable errors
-        if (this.isEnabled) {
-          setTimeout(() => {
-            if (this.isEnabled) {
-              console.log('Voice: Restarting after error:', event.error);
-              this.startListening();
-            }
-          }, 2000);
-        }
+      const shortcut = findKeyboardShortcut(key);
+      if (!shortcut || event.repeat) return;
+      event.preventDefault();
+      
+      const entry = this.getCommandActions().find(([action]) => action === shortcut.action);
+      if (!entry) {
+        console.warn('Shortcuts: Unknown action:', shortcut.action);
+        return;
+      }
+      console.log('Shortcuts:', key, '->', shortcut.action, shortcut.slots);
+      // Results show in the status bar even with voice off
+      this.statusElement.style.display = 'block';
+      this.runAcceptedCommand(entry, { ...shortcut.slots }, describeKeyboardShortcut(shortcut));
+    }, true);
+  }
+
+  // Cheat sheet overlay listing every shortcut, where keys can be changed
+  toggleShortcutSheet() {
+    if (this.shortcutSheet) {
+      this.shortcutSheet.remove();
+      this.shortcutSheet = null;
+      this.recordingShortcut = null;
+      return;
+    }
+    
+    this.shortcutSheet = document.createElement('div');
+    this.shortcutSheet.id = 'shortcut-sheet';
+    this.shortcutSheet.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      z-index: 10003;
+      background: rgba(0,0,0,0.9);
+      color: white;
+      padding: 20px;
+      border-radius: 10px;
+      font-size: 13px;
+      width: 400px;
+      max-height: 80vh;
+      overflow-y: auto;
+      box-shadow: 0 4px 20px rgba(0,0,0,0.5);
+    `;
+    document.body.appendChild(this.shortcutSheet);
+    this.renderShortcutSheet();
+  }
+  
+  renderShortcutSheet() {
+    const sheet = this.shortcutSheet;
+    if (!sheet) return;
+    sheet.innerHTML = '';
+    
+    const buttonStyle = 'padding: 3px 8px; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px;';
+    const keyStyle = 'font-family: monospace; background: #333; border: 1px solid #666; border-radius: 3px; padding: 2px 6px; white-space: nowrap;';
+    
+    const title = document.createElement('div');
+    title.style.cssText = 'font-weight: bold; font-size: 15px; margin-bottom: 10px;';
+    title.textContent = '⌨️ Keyboard shortcuts';
+    sheet.appendChild(title);
+    
+    getKeyboardShortcuts().forEach(shortcut => {
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 6px;';
+      
+      const label = document.createElement('span');
+      label.style.cssText = 'flex: 1;';
+      label.textContent = shortcut.label;
+      row.appendChild(label);
+      
+      // How far the skip shortcuts jump
+      if (shortcut.slots.duration) {
+        const seconds = document.createElement('input');
+        seconds.type = 'number';
+        seconds.min = 1;
+        seconds.value = shortcut.slots.duration;
+        seconds.title = 'Seconds';
+        seconds.style.cssText = 'width: 45px;';
+        seconds.addEventListener('change', async () => {
+          const duration = Math.max(1, Math.round(Number(seconds.value)) || 10);
+          await setShortcutSlots(shortcut.id, { duration: duration });
+          this.renderShortcutSheet();
+        });
+        row.appendChild(seconds);
+        row.appendChild(document.createTextNode('s'));
+      }
+      
+      const key = document.createElement('span');
+      key.style.cssText = keyStyle;
+      if (this.recordingShortcut === shortcut.id) {
+        key.textContent = 'Press keys...';
+        key.style.borderColor = '#FF9800';
       } else {
-        this.updateStatus(`Error: ${event.error}`, '#F44336');
-        // For serious errors, disable voice recognition
-        this.isEnabled = false;
+        key.textContent = shortcut.key || 'Not set';
       }
+      row.appendChild(key);
+      
+      const changeBtn = document.createElement('button');
+      changeBtn.style.cssText = buttonStyle + 'background: #2196F3;';
+      changeBtn.textContent = 'Change';
+      changeBtn.addEventListener('click', () => {
+        this.recordingShortcut = shortcut.id;
+        this.renderShortcutSheet();
+      });
+      row.appendChild(changeBtn);
+      sheet.appendChild(row);
+    });
+    
+    // Browser-level shortcut, changed on the browser's own page
+    const pushToTalk = document.createElement('div');
+    pushToTalk.style.cssText = 'display: flex; gap: 8px; margin: 10px 0; color: #BBB;';
+    const pushToTalkLabel = document.createElement('span');
+    pushToTalkLabel.style.cssText = 'flex: 1;';
+    pushToTalkLabel.textContent = 'Push to talk (change in the browser\'s extension shortcuts)';
+    const pushToTalkKey = document.createElement('span');
+    pushToTalkKey.style.cssText = keyStyle;
+    pushToTalkKey.textContent = PUSH_TO_TALK_DEFAULT_KEY;
+    pushToTalk.appendChild(pushToTalkLabel);
+    pushToTalk.appendChild(pushToTalkKey);
+    sheet.appendChild(pushToTalk);
+    
+    const hint = document.createElement('div');
+    hint.style.cssText = 'color: #BBB; font-size: 11px; margin-bottom: 10px;';
+    hint.textContent = 'After Change, press the new keys with Ctrl, Alt or ⌘. Esc cancels, Backspace removes the shortcut.';
+    sheet.appendChild(hint);
+    
+    const resetBtn = document.createElement('button');
+    resetBtn.style.cssText = buttonStyle + 'background: #FF9800; margin-right: 5px;';
+    resetBtn.textContent = 'Reset to defaults';
+    resetBtn.addEventListener('click', async () => {
+      await resetKeyboardShortcuts();
+      this.recordingShortcut = null;
+      this.renderShortcutSheet();
+    });
+    const closeBtn = document.createElement('button');
+    closeBtn.style.cssText = buttonStyle + 'background: #9E9E9E;';
+    closeBtn.textContent = 'Close';
+    closeBtn.addEventListener('click', () => this.toggleShortcutSheet());
+    sheet.appendChild(resetBtn);
+    sheet.appendChild(closeBtn);
+  }
+  
+  // Key pressed while a shortcut was waiting for its new binding
+  async finishShortcutRecording(key) {
+    const id = this.recordingShortcut;
+    this.recordingShortcut = null;
+    const shortcut = getKeyboardShortcuts().find(entry => entry.id === id);
+    
+    if (key === 'Backspace' || key === 'Delete') {
+      await setShortcutKey(id, '');
+      this.updateStatus(`${shortcut.label}: no shortcut`, '#9E9E9E');
+    } else if (key === PUSH_TO_TALK_DEFAULT_KEY) {
+      this.updateStatus(`${key} is used for push to talk`, '#FF9800', 'warning');
+    } else if (key !== 'Escape' && !hasShortcutModifier(key)) {
+      this.updateStatus('Use Ctrl, Alt or ⌘ with the key so it doesn\'t get in the way of typing', '#FF9800', 'warning');
+    } else if (key !== 'Escape') {
+      await setShortcutKey(id, key);
+      this.updateStatus(`${shortcut.label}: ${key}`, '#4CAF50', 'success');
+    }
+    this.renderShortcutSheet();
+  }
+
+  // Panel for the OCR pre-processing steps (image-preprocess.js)
+  toggleOCRSettingsPanel() {
+    if (this.ocrSettingsPanel) {
+      this.ocrSettingsPanel.remove();
+      this.ocrSettingsPanel = null;
+      return;
+    }
+    
+    this.ocrSettingsPanel = document.createElement('div');
+    this.ocrSettingsPanel.id = 'ocr-settings-panel';
+    this.ocrSettingsPanel.style.cssText = `
+      position: fixed;
+      top: 70px;
+      right: 290px;
+      z-index: 10002;
+      background: rgba(0,0,0,0.9);
+      color: white;
+      padding: 15px;
+      border-radius: 10px;
+      font-size: 12px;
+      min-width: 240px;
+      box-shadow: 0 4px 15px rgba(0,0,0,0.3);
+    `;
+    
+    const title = document.createElement('div');
+    title.style.cssText = 'margin-bottom: 10px; font-weight: bold;';
+    title.textContent = '🖼️ Image clean-up before OCR';
+    this.ocrSettingsPanel.appendChild(title);
+    
+    const checkboxes = {};
+    const addCheckbox = (key, label, indent) => {
+      const row = document.createElement('label');
+      row.style.cssText = `display: block; margin-bottom: 6px; cursor: pointer; ${indent ? 'padding-left: 15px;' : ''}`;
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = ocrPreprocessSettings[key];
+      checkbox.style.marginRight = '6px';
+      row.appendChild(checkbox);
+      row.appendChild(document.createTextNode(label));
+      this.ocrSettingsPanel.appendChild(row);
+      checkboxes[key] = checkbox;
+    };
+    
+    addCheckbox('enabled', 'Clean up images before OCR', false);
+    addCheckbox('orientation', 'Turn pages upright', true);
+    addCheckbox('deskew', 'Straighten tilted text', true);
+    addCheckbox('crop', 'Crop to the page content', true);
+    addCheckbox('grayscale', 'Grayscale', true);
+    addCheckbox('threshold', 'Black & white (evens out lighting)', true);
+    
+    const scaleRow = document.createElement('label');
+    scaleRow.style.cssText = 'display: block; margin: 8px 0 10px;';
+    scaleRow.appendChild(document.createTextNode('PDF render scale: '));
+    const scaleSelect = document.createElement('select');
+    [1.5, 2.0, 3.0].forEach(scale => {
+      const option = document.createElement('option');
+      option.value = scale;
+      option.textContent = `${scale}×`;
+      option.selected = scale === ocrPreprocessSettings.renderScale;
+      scaleSelect.appendChild(option);
+    });
+    scaleRow.appendChild(scaleSelect);
+    this.ocrSettingsPanel.appendChild(scaleRow);
+    
+    const readSettings = () => {
+      const settings = { ...ocrPreprocessSettings, renderScale: parseFloat(scaleSelect.value) };
+      Object.entries(checkboxes).forEach(([key, checkbox]) => {
+        settings[key] = checkbox.checked;
+      });
+      return settings;
+    };
+    
+    const buttonStyle = 'padding: 5px 10px; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px; margin-right: 5px;';
+    
+    const previewBtn = document.createElement('button');
+    previewBtn.style.cssText = buttonStyle + 'background: #2196F3;';
+    previewBtn.textContent = 'Preview';
+    previewBtn.addEventListener('click', () => this.showPreprocessPreview({ ...readSettings(), enabled: true }));
+    
+    const saveBtn = document.createElement('button');
+    saveBtn.style.cssText = buttonStyle + 'background: #4CAF50;';
+    saveBtn.textContent = 'Save';
+    saveBtn.addEventListener('click', async () => {
+      await savePreprocessSettings(readSettings());
+      this.toggleOCRSettingsPanel();
+      this.updateStatus(ocrPreprocessSettings.enabled ? 'OCR image clean-up on' : 'OCR image clean-up off', '#4CAF50', 'success');
+    });
+    
+    const closeBtn = document.createElement('button');
+    closeBtn.style.cssText = buttonStyle + 'background: #9E9E9E;';
+    closeBtn.textContent = 'Close';
+    closeBtn.addEventListener('click', () => this.toggleOCRSettingsPanel());
+    
+    this.ocrSettingsPanel.appendChild(previewBtn);
+    this.ocrSettingsPanel.appendChild(saveBtn);
+    this.ocrSettingsPanel.appendChild(closeBtn);
+    document.body.appendChild(this.ocrSettingsPanel);
+  }
+
+  // Side-by-side view of the active file's first page before and after clean-up
+  async showPreprocessPreview(settings) {
+    if (!cachedFileData) {
+      this.updateStatus('No file loaded. Click a file link first, then try again.', '#FF9800', 'warning');
+      return;
+    }
+    
+    this.updateStatus('Preparing preview...', '#2196F3');
+    
+    let original;
+    let processed;
+    try {
+      original = await getOCRPreviewImage(cachedFileData, settings);
+      if (!original) {
+        this.updateStatus('Preview works for PDFs and images only', '#FF9800', 'warning');
+        return;
+      }
+      processed = await preprocessImage(original, settings);
+    } catch (error) {
+      console.error('Voice: Preview failed:', error);
+      this.updateStatus('Preview failed', '#F44336', 'error');
+      return;
+    }
+    
+    const existingPreview = document.getElementById('ocr-preview-overlay');
+    if (existingPreview) {
+      existingPreview.remove();
+    }
+    
+    const originalUrl = URL.createObjectURL(original);
+    const processedUrl = URL.createObjectURL(processed.blob);
+    
+    const overlay = document.createElement('div');
+    overlay.id = 'ocr-preview-overlay';
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0,0,0,0.8);
+      z-index: 10003;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      color: white;
+      font-family: Arial, sans-serif;
+    `;
+    
+    overlay.innerHTML = `
+      <div style="display: flex; gap: 20px; max-width: 95%; max-height: 80%;">
+        <div style="flex: 1; text-align: center;">
+          <div style="margin-bottom: 8px; font-weight: bold;">Before</div>
+          <img src="${originalUrl}" style="max-width: 100%; max-height: 70vh; background: white;">
+        </div>
+        <div style="flex: 1; text-align: center;">
+          <div style="margin-bottom: 8px; font-weight: bold;">After</div>
+          <img src="${processedUrl}" style="max-width: 100%; max-height: 70vh; background: white;">
+        </div>
+      </div>
+      <div id="ocr-preview-steps" style="margin-top: 12px; font-size: 13px;"></div>
+      <button style="margin-top: 12px; padding: 8px 16px; background: #9E9E9E; color: white; border: none; border-radius: 5px; cursor: pointer;">Close</button>
+    `;
+    overlay.querySelector('#ocr-preview-steps').textContent =
+      `Steps: ${processed.steps.join(', ') || 'no changes'}`;
+    
+    const closePreview = () => {
+      overlay.remove();
+      URL.revokeObjectURL(originalUrl);
+      URL.revokeObjectURL(processedUrl);
     };
+    overlay.querySelector('button').addEventListener('click', closePreview);
+    overlay.addEventListener('click', (event) => {
+      if (event.target === overlay) closePreview();
+    });
+    
+    document.body.appendChild(overlay);
+    this.updateStatus('Preview ready', '#4CAF50', 'success');
+  }
 
-    this.recognition.onend = () => {
-      console.log('Voice recognition ended');
-      this.isListening = false;
+  // Follow TTS playback in the controls and the reader panel
+  attachTTSPlayer() {
+    this.tts.onStateChange = () => this.updateTTSControls();
+    this.tts.onWord = (position) => {
+      if (this.readerPanel.isOpen()) {
+        this.readerPanel.highlightWord(position);
+      }
+    };
+    this.tts.onEnd = () => {
+      this.readerPanel.clearHighlight();
+      this.updateStatus('Finished reading', '#4CAF50');
+      console.log('Voice: Speech ended');
+    };
+    this.tts.onError = (error) => {
+      this.updateStatus(`Skipped a sentence the voice couldn't read (${error})`, '#FF9800');
+    };
+  }
+
+  // Show OCR progress in the status bar with a cancel button while a job runs
+  attachOCRProgress() {
+    ocrService.onJobStart = () => {
+      this.statusElement.style.display = 'block';
+      this.createOCRCancelButton();
+    };
+    
+    ocrService.onProgress = ({ pageIndex, pageCount, progress }) => {
+      this.updateStatus(`OCR page ${pageIndex + 1}/${pageCount}, ${Math.round(progress * 100)}%`, '#FF9800');
+    };
+    
+    ocrService.onJobEnd = (job, outcome) => {
+      if (this.ocrCancelButton) {
+        this.ocrCancelButton.remove();
+        this.ocrCancelButton = null;
+      }
+      if (outcome === 'cancelled') {
+        this.updateStatus('OCR cancelled', '#9E9E9E');
+      }
+      // The status bar is only visible while listening, apart from OCR progress
+      if (!this.isEnabled) {
+        setTimeout(() => {
+          if (!this.isEnabled && !ocrService.isBusy()) {
+            this.statusElement.style.display = 'none';
+          }
+        }, 3000);
+      }
+    };
+  }
+
+  createOCRCancelButton() {
+    if (this.ocrCancelButton) {
+      return;
+    }
+    
+    this.ocrCancelButton = document.createElement('button');
+    this.ocrCancelButton.id = 'ocr-cancel-btn';
+    this.ocrCancelButton.textContent = '✖ Cancel OCR';
+    this.ocrCancelButton.style.cssText = `
+      position: fixed;
+      top: 70px;
+      right: 230px;
+      z-index: 10001;
+      background: #F44336;
+      color: white;
+      border: none;
+      padding: 6px 10px;
+      border-radius: 5px;
+      cursor: pointer;
+      font-size: 12px;
+      box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+    `;
+    this.ocrCancelButton.addEventListener('click', () => this.cancelOCR());
+    document.body.appendChild(this.ocrCancelButton);
+  }
+
+  async cancelOCR() {
+    const cancelled = await ocrService.cancel();
+    if (!cancelled) {
+      this.updateStatus('No OCR running', '#FF9800', 'warning');
+    }
+  }
+
+  initializeVoiceRecognition() {
+    this.recognizer = new RecognitionManager(this.getLanguageLocale());
+    this.recognizer.on('state', (state) => this.onRecognitionState(state));
+    this.recognizer.on('result', ({ mode, final, interim }) => {
+      // Don't take our own spoken confirmations for speech
+      if (Date.now() < this.feedbackSpeakingUntil) {
+        return;
+      }
+      if (mode === 'dictation') {
+        this.handleDictationResult(final, interim);
+      } else {
+        this.handleCommandResult(final, interim);
+      }
+    });
+  }
+
+  // Keep the mic button and status bar in step with the recognizer
+  onRecognitionState({ mode, status, error, retryInMs }) {
+    if (this.toggleButton) {
+      let label = voiceSettings.activation === 'pushToTalk' ? '🎤 Push to talk' : '🎤 Voice Off';
+      let color = '#9E9E9E';
+      if (status === 'blocked') {
+        [label, color] = ['🎤 Blocked', '#F44336'];
+      } else if (status === 'retrying') {
+        [label, color] = ['🎤 Retrying', '#FF9800'];
+      } else if (mode === 'command') {
+        [label, color] = ['🎤 Listening!', '#FF6B35'];
+      } else if (mode === 'dictation') {
+        [label, color] = ['🎤 Dictating', '#2196F3'];
+      } else if (mode === 'wake') {
+        [label, color] = ['🎤 Voice On', '#4CAF50'];
+      }
+      this.toggleButton.innerHTML = label;
+      this.toggleButton.style.background = color;
+      this.toggleButton.style.animation = mode === 'command' ? 'pulse 1s infinite' : 'none';
+    }
+    
+    if (status === 'blocked') {
+      this.statusElement.style.display = 'block';
+      this.updateStatus(`Microphone not allowed (${error}) - allow it for this site, then click 🎤`, '#F44336');
+      // Nothing to go back to listening for, and keep whatever was dictated
+      this.pushToTalkActive = false;
+      if (this.wakeWordTimeout) {
+        clearTimeout(this.wakeWordTimeout);
+        this.wakeWordTimeout = null;
+      }
+      if (this.commentDialog) {
+        this.stopCommentAndSave();
+      }
+    } else if (status === 'retrying') {
+      this.updateStatus(`Voice error: ${error} - retrying in ${Math.round(retryInMs / 1000)}s`, '#FF9800');
+    } else if (status === 'listening' && mode === 'wake') {
+      this.updateStatus(this.getActivationHint(), '#9E9E9E');
+    }
+  }
+
+  // Speech in wake and command mode: the wake word, then commands
+  handleCommandResult(finalTranscript, interimTranscript) {
+    const fullText = (finalTranscript + interimTranscript).toLowerCase().trim();
+    
+    // Check for wake word first (push-to-talk doesn't listen for it)
+    if (!this.isAwake && voiceSettings.activation === 'wake' &&
+        normalizeSpeech(fullText).includes(normalizeSpeech(this.wakeWord))) {
+      console.log('Voice: Wake word detected:', this.wakeWord);
+      this.activateWakeMode();
+      this.updateStatus('Listening for commands...', '#4CAF50');
+      
+      // Deactivate if no command comes
+      this.restartWakeTimeout();
       
-      // Update button state immediately
-      if (this.toggleButton) {
-        this.toggleButton.innerHTML = '🎤 Voice Off';
-        this.toggleButton.style.background = '#9E9E9E';
+      return;
+    }
+
+    // Only process commands if we're in wake mode
+    if (!this.isAwake) {
+      if (interimTranscript) {
+        this.updateStatus(this.getActivationHint(), '#9E9E9E');
+      }
+      return;
+    }
+
+    if (finalTranscript) {
+      console.log('Voice command:', finalTranscript);
+      // The final result replaces any interim command still waiting to run
+      if (this.commandTimeout) {
+        clearTimeout(this.commandTimeout);
+        this.commandTimeout = null;
       }
+      this.lastInterimCommand = '';
       
-      // Don't auto-restart if we're in comment mode
-      if (this.isEnabled && !this.isRecordingComment) {
-        this.updateStatus('Voice recognition stopped - restarting...', '#FF9800');
-        console.log('Voice: Attempting to restart recognition...');
-        
-        // Restart recognition if it was enabled
+      // Unknown commands and "did you mean" prompts keep their message on screen
+      const ran = this.processVoiceCommand(finalTranscript.toLowerCase().trim());
+      if (ran && !this.isSingleCommand()) {
+        this.updateStatus('Command processed', '#2196F3');
         setTimeout(() => {
-          if (this.isEnabled && !this.isRecordingComment) {
-            console.log('Voice: Restarting recognition...');
-            this.startListening();
-          }
+          if (this.isAwake) this.updateStatus('Listening...', '#4CAF50');
         }, 1000);
-      } else {
-        this.updateStatus('Voice recognition stopped', '#9E9E9E');
       }
-    };
+      this.finishCommand(ran);
+    } else if (interimTranscript) {
+      this.updateStatus(`Hearing: ${interimTranscript}`, '#FF9800');
+      
+      // Check for urgent commands in interim results
+      const lowerInterim = normalizeSpeech(interimTranscript);
+      
+      // Store the last interim command
+      this.lastInterimCommand = lowerInterim;
+      
+      // Clear any existing timeout
+      if (this.commandTimeout) {
+        clearTimeout(this.commandTimeout);
+      }
+      
+      // Set a timeout to process the command if no final result comes
+      this.commandTimeout = setTimeout(() => {
+        if (this.lastInterimCommand) {
+          console.log('Voice: Processing command from timeout:', this.lastInterimCommand);
+          const ran = this.processVoiceCommand(this.lastInterimCommand);
+          if (ran && !this.isSingleCommand()) {
+            this.updateStatus('Command processed (timeout)', '#FF5722');
+          }
+          this.lastInterimCommand = '';
+          this.finishCommand(ran);
+        }
+      }, 1500); // 1.5 second timeout
+      
+      // Only when the urgent word is the command, not a word inside a longer sentence
+      const urgent = resolveCommand(lowerInterim, ['urgent'], this.getCommandLanguages());
+      if (urgent.type === 'run') {
+        console.log('Voice: Urgent command detected in interim:', urgent.match.phrase);
+        const ran = this.processVoiceCommand(lowerInterim);
+        if (ran && !this.isSingleCommand()) {
+          this.updateStatus(`Urgent command: ${urgent.match.phrase}`, '#FF5722');
+        }
+        // Clear timeout since we processed it immediately
+        if (this.commandTimeout) {
+          clearTimeout(this.commandTimeout);
+          this.commandTimeout = null;
+        }
+        this.lastInterimCommand = '';
+        this.finishCommand(ran);
+      }
+    }
   }
 
   createVoiceUI() {
@@ -762,7 +1578,7 @@ class VoiceCommandSystem {
     // Create voice toggle button
     this.toggleButton = document.createElement('button');
     this.toggleButton.id = 'voice-toggle-btn';
-    this.toggleButton.innerHTML = '🎤 Voice Off';
+    this.toggleButton.innerHTML = voiceSettings.activation === 'pushToTalk' ? '🎤 Push to talk' : '🎤 Voice Off';
     this.toggleButton.style.cssText = `
       position: fixed;
       top: 20px;
@@ -797,201 +1613,617 @@ class VoiceCommandSystem {
       box-shadow: 0 2px 10px rgba(0,0,0,0.3);
     `;
 
+    // Create language button
+    this.languageButton = document.createElement('button');
+    this.languageButton.id = 'language-btn';
+    this.languageButton.textContent = `🌐 ${this.languageCode.toUpperCase()}`;
+    this.languageButton.title = 'Language for OCR, voice commands and read aloud';
+    this.languageButton.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 200px;
+      z-index: 10001;
+      background: #2196F3;
+      color: white;
+      border: none;
+      padding: 10px 15px;
+      border-radius: 25px;
+      cursor: pointer;
+      font-size: 14px;
+      box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+    `;
+
     // Toggle button click handler
     this.toggleButton.addEventListener('click', () => {
       this.toggleVoiceRecognition();
     });
 
+    this.languageButton.addEventListener('click', () => {
+      this.toggleLanguagePanel();
+    });
+
+    // Create OCR settings button
+    this.ocrSettingsButton = document.createElement('button');
+    this.ocrSettingsButton.id = 'ocr-settings-btn';
+    this.ocrSettingsButton.textContent = '🖼️ OCR';
+    this.ocrSettingsButton.title = 'Image clean-up before OCR';
+    this.ocrSettingsButton.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 290px;
+      z-index: 10001;
+      background: #ff6b35;
+      color: white;
+      border: none;
+      padding: 10px 15px;
+      border-radius: 25px;
+      cursor: pointer;
+      font-size: 14px;
+      box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+    `;
+
+    this.ocrSettingsButton.addEventListener('click', () => {
+      this.toggleOCRSettingsPanel();
+    });
+
+    // Create custom commands button
+    this.customCommandsButton = document.createElement('button');
+    this.customCommandsButton.id = 'custom-commands-btn';
+    this.customCommandsButton.textContent = '🗣️ Commands';
+    this.customCommandsButton.title = 'Your own voice phrases and macros';
+    this.customCommandsButton.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 390px;
+      z-index: 10001;
+      background: #607D8B;
+      color: white;
+      border: none;
+      padding: 10px 15px;
+      border-radius: 25px;
+      cursor: pointer;
+      font-size: 14px;
+      box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+    `;
+
+    this.customCommandsButton.addEventListener('click', () => {
+      this.toggleCustomCommandsPanel();
+    });
+
+    // Create keyboard shortcuts button
+    this.shortcutsButton = document.createElement('button');
+    this.shortcutsButton.id = 'shortcuts-btn';
+    this.shortcutsButton.textContent = '⌨️';
+    this.shortcutsButton.title = 'Keyboard shortcuts (Alt+Shift+/)';
+    this.shortcutsButton.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 525px;
+      z-index: 10001;
+      background: #607D8B;
+      color: white;
+      border: none;
+      padding: 10px 15px;
+      border-radius: 25px;
+      cursor: pointer;
+      font-size: 14px;
+      box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+    `;
+
+    this.shortcutsButton.addEventListener('click', () => {
+      this.toggleShortcutSheet();
+    });
+
     // Add elements to page
     document.body.appendChild(this.toggleButton);
+    document.body.appendChild(this.languageButton);
+    document.body.appendChild(this.ocrSettingsButton);
+    document.body.appendChild(this.customCommandsButton);
+    document.body.appendChild(this.shortcutsButton);
     document.body.appendChild(this.statusElement);
   }
 
-  toggleVoiceRecognition() {
-    if (this.isEnabled) {
-      this.stopListening();
-    } else {
-      this.startListening();
+  toggleVoiceRecognition() {
+    // Clicking the mic while dictating finishes the comment
+    if (this.recognizer.mode === 'dictation') {
+      this.stopCommentAndSave();
+      return;
+    }
+    
+    // In push-to-talk mode the button works like the shortcut
+    if (voiceSettings.activation === 'pushToTalk') {
+      this.pushToTalk();
+      return;
+    }
+    
+    if (this.isEnabled) {
+      this.stopListening();
+    } else {
+      this.startListening();
+    }
+  }
+
+  startListening() {
+    this.statusElement.style.display = 'block';
+    if (!this.recognizer.supported) {
+      this.updateStatus('Speech recognition is not supported in this browser', '#F44336');
+      return;
+    }
+    
+    this.updateStatus(this.getActivationHint(), '#9E9E9E');
+    this.recognizer.setMode('wake');
+  }
+
+  stopListening() {
+    this.recognizer.setMode('idle');
+    this.statusElement.style.display = 'none';
+  }
+
+  // outcome marks a command result: 'success', 'warning' or 'error'. Statuses
+  // without one (progress, prompts, what was heard) are never announced.
+  updateStatus(message, color, outcome = null) {
+    if (this.statusElement) {
+      this.statusElement.textContent = message;
+      this.statusElement.style.background = color;
+    }
+    this.announceOutcome(message, outcome);
+  }
+
+  // Audio feedback (audio-feedback.js): an earcon, and the message spoken when
+  // spoken confirmations are on
+  announce(earcon, message) {
+    this.outcomeExpectedAt = 0;
+    if (earcon) {
+      playEarcon(earcon);
+    }
+    if (message && audioFeedbackSettings.spoken) {
+      this.speakFeedback(message);
+    }
+  }
+
+  // Run a command: beep now and announce its result once it's known. Only statuses
+  // reported before the action finishes count as its result.
+  runAcceptedCommand(entry, slots, command) {
+    playEarcon('accepted');
+    const expectedAt = Date.now();
+    this.outcomeExpectedAt = expectedAt;
+    const stopExpecting = () => {
+      if (this.outcomeExpectedAt === expectedAt) {
+        this.outcomeExpectedAt = 0;
+      }
+    };
+    Promise.resolve(entry[1](slots, command)).then(stopExpecting, stopExpecting);
+  }
+
+  // The first result status of a running command is announced
+  announceOutcome(message, outcome) {
+    if (!outcome || !this.outcomeExpectedAt || Date.now() - this.outcomeExpectedAt > COMMAND_OUTCOME_TIMEOUT_MS) {
+      return;
+    }
+    this.announce(outcome === 'success' ? null : 'error', message);
+  }
+
+  // Never interrupts document read-aloud: while it's playing only earcons are heard
+  speakFeedback(message) {
+    if (this.tts.isActive() || message.length > SPOKEN_FEEDBACK_MAX_LENGTH) {
+      return;
+    }
+    
+    // Only older feedback can be speaking here
+    this.synthesis.cancel();
+    const utterance = new SpeechSynthesisUtterance(message);
+    utterance.lang = this.getLanguageLocale();
+    const voice = this.getLanguageVoice();
+    if (voice) {
+      utterance.voice = voice;
+    }
+    utterance.rate = ttsSettings.rate;
+    utterance.volume = ttsSettings.volume;
+    
+    // Estimated length, in case the end event never comes
+    const words = message.split(/\s+/).length;
+    this.feedbackSpeakingUntil = Date.now() + (words / (2.5 * ttsSettings.rate) + 1) * 1000;
+    utterance.onend = utterance.onerror = () => {
+      // A moment for the microphone to stop hearing it
+      this.feedbackSpeakingUntil = Date.now() + 300;
+    };
+    this.synthesis.speak(utterance);
+  }
+
+  // "Spoken feedback" voice command
+  async toggleSpokenFeedback() {
+    await saveAudioFeedbackSettings({ ...audioFeedbackSettings, spoken: !audioFeedbackSettings.spoken });
+    this.updateStatus(`Spoken confirmations ${audioFeedbackSettings.spoken ? 'on' : 'off'}`, '#4CAF50', 'success');
+    this.renderCustomCommandsPanel();
+  }
+
+  activateWakeMode() {
+    console.log('Voice: Wake mode activated');
+    this.recognizer.setMode('command');
+    this.announce('wake');
+  }
+
+  // showHint is false after a command, so its own status message stays visible
+  deactivateWakeMode(showHint = true) {
+    // Dictation ends with "stop comment" instead
+    if (this.recognizer.mode === 'dictation') {
+      return;
+    }
+    console.log('Voice: Wake mode deactivated');
+    
+    // Clear timeouts
+    if (this.wakeWordTimeout) {
+      clearTimeout(this.wakeWordTimeout);
+      this.wakeWordTimeout = null;
+    }
+    
+    // Push-to-talk puts the microphone back how it was before the key press
+    if (this.pushToTalkActive) {
+      this.pushToTalkActive = false;
+      this.recognizer.setMode(this.modeBeforePushToTalk);
+    } else if (this.isAwake) {
+      this.recognizer.setMode('wake');
+    }
+    
+    if (showHint) {
+      this.updateStatus(this.getActivationHint(), '#9E9E9E');
+    }
+  }
+
+  // (Re)start the countdown back to sleep after the wake word or a command
+  restartWakeTimeout() {
+    if (this.wakeWordTimeout) {
+      clearTimeout(this.wakeWordTimeout);
+    }
+    this.wakeWordTimeout = setTimeout(() => {
+      this.deactivateWakeMode();
+    }, voiceSettings.wakeTimeoutSeconds * 1000);
+  }
+
+  // Whether each command ends the listening session
+  isSingleCommand() {
+    return voiceSettings.singleCommand || this.pushToTalkActive;
+  }
+
+  // After a command: sleep again in single-command mode, otherwise wait for the
+  // next one. A "did you mean" prompt (ran false) keeps listening for the answer.
+  finishCommand(ran) {
+    // Nothing ran, so no result is coming
+    if (!ran) {
+      this.outcomeExpectedAt = 0;
+    }
+    if (ran && this.isSingleCommand() && this.isAwake) {
+      this.deactivateWakeMode(false);
+    } else if (this.isAwake) {
+      this.restartWakeTimeout();
     }
   }
 
-  startListening() {
-    if (!this.recognition) {
-      console.error('Speech recognition not initialized');
-      return;
+  // What to do to give a command, for the status bar
+  getActivationHint() {
+    if (voiceSettings.activation === 'pushToTalk') {
+      return `Press ${PUSH_TO_TALK_DEFAULT_KEY} (or click 🎤) to talk`;
     }
+    return `Say "${this.wakeWord}" to activate`;
+  }
 
-    if (this.isListening) {
-      console.log('Voice recognition already listening');
+  // Push-to-talk shortcut: turn the microphone on for one command, no wake word
+  pushToTalk() {
+    this.statusElement.style.display = 'block';
+    if (!this.recognizer.supported) {
+      this.updateStatus('Speech recognition is not supported in this browser', '#F44336');
+      return;
+    }
+    if (this.recognizer.mode === 'dictation') {
       return;
     }
+    
+    if (!this.pushToTalkActive) {
+      this.modeBeforePushToTalk = this.isEnabled ? 'wake' : 'idle';
+    }
+    this.pushToTalkActive = true;
+    this.activateWakeMode();
+    this.updateStatus('Listening for one command...', '#4CAF50');
+    this.restartWakeTimeout();
+  }
 
-    this.isEnabled = true;
-    this.toggleButton.innerHTML = '🎤 Voice On';
-    this.toggleButton.style.background = '#4CAF50';
-    this.statusElement.style.display = 'block';
-    this.updateStatus('Say "Hey Schoology" to activate', '#9E9E9E');
+  // Voice command registry: each action and what it runs with its filled slots.
+  // Phrases and slot types come from COMMAND_PHRASES (language-settings.js) and are
+  // scored by the command grammar (command-grammar.js); order only breaks ties.
+  getCommandActions() {
+    return [
+      ['cancelOCR', () => this.cancelOCR()],
+      ['ocrSettings', () => this.toggleOCRSettingsPanel()],
+      ['readPage', () => this.readPage()],
+      ['selectStudent', (slots) => this.selectStudent(slots.student)],
+      ['nextSection', () => this.nextSection()],
+      ['previousSection', () => this.previousSection()],
+      ['nextParagraph', () => this.nextParagraph()],
+      ['previousParagraph', () => this.previousParagraph()],
+      ['goToPage', (slots) => this.goToPage(slots.page)],
+      ['repeat', () => this.repeatSentence()],
+      // Only offered once the engine check has found the eSpeak NG files
+      ...(this.canExportAudio()
+        ? [['exportAudio', (slots, command) => this.exportAudio(tokenizeCommand(command).includes('ogg') ? 'ogg' : 'wav')]]
+        : []),
+      ['ttsSettings', () => this.toggleTTSSettings()],
+      ['faster', () => this.changeSpeechRate(1)],
+      ['slower', () => this.changeSpeechRate(-1)],
+      ['nextFile', () => this.switchFile(1)],
+      ['previousFile', () => this.switchFile(-1)],
+      ['listFiles', () => this.listFiles()],
+      ['closeReader', () => this.closeReader()],
+      ['openReader', () => this.openReader()],
+      ['download', () => this.downloadFile()],
+      ['extract', () => this.extractText()],
+      ['ocr', () => this.performOCR()],
+      ['speak', () => this.speakText()],
+      ['pause', () => this.pauseSpeaking()],
+      ['resume', () => this.resumeSpeaking()],
+      ['pauseResume', () => this.togglePause()],
+      ['skipForward', (slots) => this.skipSeconds(slots.duration || 10)],
+      ['skipBack', (slots) => this.skipSeconds(-(slots.duration || 10))],
+      ['summarizeComments', () => this.summarizeComments()],
+      ['addComment', () => this.addComment()],
+      ['commentMode', () => this.addComment(true)],
+      ['showComments', () => this.showComments()],
+      ['clearComments', () => this.clearComments()],
+      ['restoreComments', () => this.restoreComments()],
+      ['addDownloadButton', () => this.addDownloadButton()],
+      ['addExtractButton', () => this.addExtractButton()],
+      ['addOCRButton', () => this.addOCRButton()],
+      ['addAllButtons', () => this.addAllButtons()],
+      ['removeButtons', () => this.removeAllButtons()],
+      ['forceDownload', () => this.forceAddDownloadButton()],
+      ['debugStorage', () => this.debugStorage()],
+      ['checkEngines', () => this.checkEngines()],
+      ['reloadComments', () => this.forceReloadComments()],
+      ['wake', () => {
+        this.activateWakeMode();
+        this.updateStatus('Hey Schoology! Listening for commands...', '#4CAF50');
+      }],
+      ['sleep', () => this.deactivateWakeMode()],
+      ['customCommands', () => this.toggleCustomCommandsPanel()],
+      ['keyboardShortcuts', () => this.toggleShortcutSheet()],
+      ['spokenFeedback', () => this.toggleSpokenFeedback()],
+      ['help', () => this.showVoiceCommands()],
+      ...customCommands.macros.map(macro => [getMacroAction(macro), () => this.runMacro(macro)])
+    ];
+  }
 
-    try {
-      this.recognition.start();
-      console.log('Voice: Recognition start command sent');
-    } catch (error) {
-      console.error('Failed to start voice recognition:', error);
-      
-      // If recognition is already started, wait and try again
-      if (error.name === 'InvalidStateError') {
-        console.log('Voice: Recognition already started, waiting...');
-        this.updateStatus('Voice already running', '#FF9800');
-        setTimeout(() => {
-          if (this.isEnabled && !this.isListening) {
-            console.log('Voice: Retrying recognition start after delay...');
-            this.startListening();
-          }
-        }, 3000);
-      } else {
-        this.updateStatus('Failed to start - click to retry', '#F44336');
-        this.isEnabled = false;
-        this.toggleButton.innerHTML = '🎤 Voice Off';
-        this.toggleButton.style.background = '#9E9E9E';
-        
-        // Auto-retry after a delay
-        setTimeout(() => {
-          if (!this.isEnabled) {
-            console.log('Voice: Auto-retrying recognition start...');
-            this.startListening();
-          }
-        }, 2000);
+  // Run a macro's actions in order, waiting for each one that is async
+  async runMacro(macro) {
+    console.log('Voice: Running macro:', macro.phrase, macro.steps);
+    this.updateStatus(`Running "${macro.phrase}"...`, '#2196F3');
+    const actions = this.getCommandActions();
+    for (const step of macro.steps) {
+      const entry = actions.find(([action]) => action === step);
+      if (!entry) {
+        console.warn('Voice: Unknown macro step:', step);
+        continue;
+      }
+      if (isConfirmedCommand(step)) {
+        console.warn('Voice: Skipping macro step that needs confirmation:', step);
+        continue;
       }
+      await entry[1]({}, macro.phrase);
     }
   }
 
-  stopListening() {
-    this.isEnabled = false;
-    this.isListening = false;
-    this.toggleButton.innerHTML = '🎤 Voice Off';
-    this.toggleButton.style.background = '#9E9E9E';
-    this.statusElement.style.display = 'none';
+  // Languages whose phrases are tried for a command: the page language, then English
+  getCommandLanguages() {
+    return this.languageCode === DEFAULT_LANGUAGE ? [DEFAULT_LANGUAGE] : [this.languageCode, DEFAULT_LANGUAGE];
+  }
+
+  processVoiceCommand(command) {
+    console.log('Processing voice command:', command);
+
+    // A yes/no answer to a destructive command. Anything but "yes" cancels it.
+    if (this.pendingConfirmation) {
+      const answer = resolveCommand(command, ['confirmYes', 'confirmNo'], this.getCommandLanguages());
+      return this.answerConfirmation(answer.type === 'run' && answer.match.action === 'confirmYes');
+    }
 
-    if (this.recognition) {
-      this.recognition.stop();
+    // A yes/no answer to the last "did you mean" prompt
+    if (this.pendingSuggestion) {
+      const suggestion = this.pendingSuggestion;
+      this.pendingSuggestion = null;
+      const answer = resolveCommand(command, ['confirmYes', 'confirmNo'], this.getCommandLanguages());
+      if (answer.type === 'run') {
+        if (answer.match.action === 'confirmYes') {
+          return this.runCommandMatch(suggestion, command);
+        }
+        this.updateStatus('OK, never mind', '#9E9E9E');
+        return false;
+      }
+    }
+
+    // The best-scoring action across the page language and English
+    const actions = this.getCommandActions().map(([action]) => action);
+    const resolution = resolveCommand(command, actions, this.getCommandLanguages(), this.getCommandContext());
+    if (resolution.type === 'run') {
+      return this.runCommandMatch(resolution.match, command);
     }
+    
+    if (resolution.type === 'suggest') {
+      this.suggestCommands(resolution.matches);
+      return false;
+    }
+
+    this.updateStatus('Unknown command. Say "help" for commands.', '#FF9800');
+    this.announce('error', 'Unknown command');
+    return false;
   }
 
-  updateStatus(message, color) {
-    if (this.statusElement) {
-      this.statusElement.textContent = message;
-      this.statusElement.style.background = color;
+  // Returns false when the command is waiting for confirmation instead of running
+  runCommandMatch(match, command) {
+    const entry = this.getCommandActions().find(([action]) => action === match.action);
+    console.log('Voice: Matched action:', match.action, 'language:', match.languageCode, 'score:', match.score.toFixed(2), 'slots:', match.slots);
+    if (isConfirmedCommand(match.action)) {
+      this.confirmCommand(match, command);
+      return false;
     }
+    this.runAcceptedCommand(entry, match.slots, command);
+    return true;
   }
 
-  activateWakeMode() {
-    this.isAwake = true;
-    console.log('Voice: Wake mode activated');
+  // Ask before running a destructive command; answered by voice or the toast buttons
+  confirmCommand(match, command) {
+    const question = CONFIRMED_COMMANDS[match.action];
+    this.pendingConfirmation = { match, command };
+    this.updateStatus(`${question} Say "${this.getPhraseHint('confirmYes')}" or "${this.getPhraseHint('confirmNo')}".`, '#FF9800');
+    this.announce(null, question);
+    this.showToast(question, [
+      ['Yes', '#F44336', () => this.answerConfirmation(true)],
+      ['No', '#9E9E9E', () => this.answerConfirmation(false)]
+    ], CONFIRMATION_TIMEOUT_SECONDS, () => this.answerConfirmation(false));
+  }
+
+  answerConfirmation(confirmed) {
+    const pending = this.pendingConfirmation;
+    if (!pending) return false;
+    this.pendingConfirmation = null;
+    this.hideToast();
     
-    // Update button appearance
-    if (this.toggleButton) {
-      this.toggleButton.innerHTML = '🎤 Hey Schoology!';
-      this.toggleButton.style.background = '#FF6B35';
-      this.toggleButton.style.animation = 'pulse 1s infinite';
+    if (!confirmed) {
+      console.log('Voice: Cancelled', pending.match.action);
+      this.updateStatus('Cancelled, nothing was changed', '#9E9E9E');
+      return false;
     }
     
-    // Add pulse animation
-    if (this.toggleButton) {
-      this.toggleButton.style.animation = 'pulse 1s infinite';
-    }
+    const entry = this.getCommandActions().find(([action]) => action === pending.match.action);
+    console.log('Voice: Confirmed', pending.match.action);
+    this.runAcceptedCommand(entry, pending.match.slots, pending.command);
+    return true;
   }
 
-  deactivateWakeMode() {
-    this.isAwake = false;
-    console.log('Voice: Wake mode deactivated');
+  // Toast at the bottom of the page with a few buttons, gone after `seconds`
+  // buttons: [[label, color, onClick]]
+  showToast(message, buttons, seconds, onTimeout) {
+    this.hideToast();
     
-    // Update button appearance
-    if (this.toggleButton) {
-      this.toggleButton.innerHTML = '🎤 Voice On';
-      this.toggleButton.style.background = '#4CAF50';
-      this.toggleButton.style.animation = 'none';
-    }
+    this.toast = document.createElement('div');
+    this.toast.id = 'voice-toast';
+    this.toast.style.cssText = `
+      position: fixed;
+      bottom: 30px;
+      left: 50%;
+      transform: translateX(-50%);
+      z-index: 10004;
+      background: rgba(0,0,0,0.9);
+      color: white;
+      padding: 12px 16px;
+      border-radius: 8px;
+      font-size: 14px;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      box-shadow: 0 4px 15px rgba(0,0,0,0.4);
+    `;
     
-    // Clear timeouts
-    if (this.wakeWordTimeout) {
-      clearTimeout(this.wakeWordTimeout);
-      this.wakeWordTimeout = null;
-    }
+    const text = document.createElement('span');
+    text.textContent = message;
+    this.toast.appendChild(text);
+    buttons.forEach(([label, color, onClick]) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.style.cssText = `padding: 5px 12px; background: ${color}; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 13px;`;
+      button.addEventListener('click', onClick);
+      this.toast.appendChild(button);
+    });
+    const countdown = document.createElement('span');
+    countdown.style.cssText = 'color: #999; font-size: 12px;';
+    this.toast.appendChild(countdown);
+    document.body.appendChild(this.toast);
     
-    this.updateStatus('Say "Hey Schoology" to activate', '#9E9E9E');
+    let remaining = seconds;
+    countdown.textContent = `${remaining}s`;
+    this.toastTimer = setInterval(() => {
+      remaining--;
+      countdown.textContent = `${remaining}s`;
+      if (remaining <= 0) {
+        this.hideToast();
+        if (onTimeout) onTimeout();
+      }
+    }, 1000);
   }
 
-  processVoiceCommand(command) {
-    console.log('Processing voice command:', command);
+  hideToast() {
+    if (this.toastTimer) {
+      clearInterval(this.toastTimer);
+      this.toastTimer = null;
+    }
+    if (this.toast) {
+      this.toast.remove();
+      this.toast = null;
+    }
+  }
 
-    // If we're recording a comment, only process "end comment" command
-    if (this.isRecordingComment) {
-      if (command.includes('end comment')) {
-        this.endCommentRecording();
-      }
-      // Ignore all other commands while recording
+  // "Did you mean ...?" for partial or ambiguous commands. A single suggestion can
+  // be accepted with "yes"; with two the user says the one they meant.
+  suggestCommands(matches) {
+    const phrases = matches.map(match => `"${describeCommandMatch(match)}"`);
+    if (matches.length === 1) {
+      this.pendingSuggestion = matches[0];
+      this.updateStatus(`Did you mean ${phrases[0]}? Say "${this.getPhraseHint('confirmYes')}" or try again.`, '#FF9800');
+    } else {
+      this.updateStatus(`Did you mean ${phrases.join(' or ')}?`, '#FF9800');
+    }
+    this.announce('error', `Did you mean ${phrases.join(' or ')}?`);
+  }
+
+  // Values command slots are matched against (student names on the page) and the
+  // user's own phrases and macros
+  getCommandContext() {
+    return {
+      students: findPageStudents().map(student => student.name),
+      phrases: getCustomCommandPhrases()
+    };
+  }
+
+  // Re-run the offline engine self-check and show the result
+  async checkEngines() {
+    this.updateStatus('Checking offline engines...', '#2196F3');
+    const report = await runOfflineSelfCheck();
+    if (!report) {
+      this.updateStatus('Engine check failed', '#F44336', 'error');
       return;
     }
+    
+    offlineEngineReport = report;
+    const allAvailable = report.pdf.available && Object.values(report.ocr.languages).every(Boolean);
+    this.updateStatus(describeOfflineEngines(report), allAvailable ? '#4CAF50' : '#FF9800', allAvailable ? 'success' : 'warning');
+  }
 
-    // Voice commands for adding buttons - more flexible matching
-    if (command.includes('download') || command.includes('download button')) {
-      this.downloadFile();
-    } else if (command.includes('extract') || command.includes('read') || command.includes('text')) {
-      this.extractText();
-    } else if (command.includes('ocr') || command.includes('scan')) {
-      this.performOCR();
-    } else if (command.includes('speak') || command.includes('read aloud') || command.includes('play text')) {
-      this.speakText();
-    } else if (command.includes('pause') || command.includes('stop speaking')) {
-      this.pauseSpeaking();
-    } else if (command.includes('resume') || command.includes('continue') || command.includes('play')) {
-      this.resumeSpeaking();
-    } else if (command.includes('skip') || command.includes('forward')) {
-      this.skipSeconds(10);
-    } else if (command.includes('back') || command.includes('rewind')) {
-      this.skipSeconds(-10);
-    } else if (command.includes('skip 5') || command.includes('forward 5')) {
-      this.skipSeconds(5);
-    } else if (command.includes('back 5') || command.includes('rewind 5')) {
-      this.skipSeconds(-5);
-    } else if (command.includes('skip 15') || command.includes('forward 15')) {
-      this.skipSeconds(15);
-    } else if (command.includes('back 15') || command.includes('rewind 15')) {
-      this.skipSeconds(-15);
-    } else if (command.includes('summarize comments') || command.includes('summarize comment')) {
-      this.summarizeComments();
-    } else if (command.includes('add comment')) {
-      this.addComment();
-    } else if (command.includes('show comments') || command.includes('view comments')) {
-      this.showComments();
-    } else if (command.includes('clear comments') || command.includes('delete comments')) {
-      this.clearComments();
-    } else if (command.includes('add download button')) {
-      this.addDownloadButton();
-    } else if (command.includes('add extract button')) {
-      this.addExtractButton();
-    } else if (command.includes('add ocr button')) {
-      this.addOCRButton();
-    } else if (command.includes('all') && command.includes('button')) {
-      this.addAllButtons();
-    } else if (command.includes('remove') || command.includes('clear') || command.includes('delete')) {
-      this.removeAllButtons();
-    } else if (command.includes('force download') || command.includes('force add download')) {
-      this.forceAddDownloadButton();
-    } else if (command.includes('debug storage') || command.includes('check storage')) {
-      this.debugStorage();
-    } else if (command.includes('reload comments') || command.includes('refresh comments')) {
-      this.forceReloadComments();
-    } else if (command.includes('hey schoology') || command.includes('activate') || command.includes('wake up')) {
-      this.activateWakeMode();
-      this.updateStatus('Hey Schoology! Listening for commands...', '#4CAF50');
-    } else if (command.includes('sleep') || command.includes('deactivate') || command.includes('goodbye')) {
-      this.deactivateWakeMode();
-    } else if (command.includes('help') || command.includes('commands') || command.includes('what')) {
-      this.showVoiceCommands();
-    } else {
-      this.updateStatus('Unknown command. Say "help" for commands.', '#FF9800');
+  switchFile(step) {
+    if (detectedFiles.length === 0) {
+      this.updateStatus('No file loaded. Click a file link first, then try again.', '#FF9800', 'warning');
+      return;
+    }
+    
+    if (detectedFiles.length === 1) {
+      this.updateStatus(`Only one file: ${cachedFileData.fileName}`, '#FF9800', 'warning');
+      return;
+    }
+    
+    const fileData = switchActiveFile(step);
+    if (fileData) {
+      const index = detectedFiles.indexOf(fileData);
+      this.updateStatus(`File ${index + 1} of ${detectedFiles.length}: ${fileData.fileName}`, '#4CAF50', 'success');
+    }
+  }
+
+  listFiles() {
+    if (detectedFiles.length === 0) {
+      this.updateStatus('No files detected on this page', '#FF9800', 'warning');
+      return;
     }
+    
+    const fileList = detectedFiles.map((file, index) => {
+      const marker = cachedFileData && file.fileId === cachedFileData.fileId ? ' (active)' : '';
+      return `${index + 1}. ${file.fileName}${marker}`;
+    });
+    this.updateStatus(`Files: ${fileList.join(' | ')}`, '#2196F3', 'success');
   }
 
   addDownloadButton() {
@@ -1003,7 +2235,7 @@ class VoiceCommandSystem {
       console.log('Voice: Existing download button found:', !!existingDownloadBtn);
       
       if (existingDownloadBtn) {
-        this.updateStatus('Download button already exists', '#FF9800');
+        this.updateStatus('Download button already exists', '#FF9800', 'warning');
         console.log('Voice: Download button already exists, not creating new one');
         return;
       }
@@ -1026,17 +2258,11 @@ class VoiceCommandSystem {
         box-shadow: 0 2px 10px rgba(0,0,0,0.3);
       `;
 
-      downloadButton.addEventListener('click', () => {
+      downloadButton.addEventListener('click', async () => {
         console.log('Downloading:', cachedFileData.fileName);
         
-        if (cachedFileData.cachedBlob && cachedFileData.cachedBlob.length > 0) {
-          const binaryString = atob(cachedFileData.cachedBlob);
-          const bytes = new Uint8Array(binaryString.length);
-          for (let i = 0; i < binaryString.length; i++) {
-            bytes[i] = binaryString.charCodeAt(i);
-          }
-          const blob = new Blob([bytes], { type: cachedFileData.blobType || 'application/pdf' });
-          
+        const blob = await getCachedBlob(cachedFileData.fileId);
+        if (blob) {
           const url = URL.createObjectURL(blob);
           const a = document.createElement('a');
           a.href = url;
@@ -1052,10 +2278,10 @@ class VoiceCommandSystem {
       });
 
       document.body.appendChild(downloadButton);
-      this.updateStatus('Download button added', '#4CAF50');
+      this.updateStatus('Download button added', '#4CAF50', 'success');
       console.log('Voice: Download button successfully added');
     } else {
-      this.updateStatus('No file loaded. Click a file link first, then try again.', '#FF9800');
+      this.updateStatus('No file loaded. Click a file link first, then try again.', '#FF9800', 'warning');
       console.log('Voice: No cached file data available for download button');
     }
   }
@@ -1066,7 +2292,7 @@ class VoiceCommandSystem {
     if (cachedFileData) {
       const existingExtractBtn = document.getElementById('schoology-extract-btn');
       if (existingExtractBtn) {
-        this.updateStatus('Extract button already exists', '#FF9800');
+        this.updateStatus('Extract button already exists', '#FF9800', 'warning');
         return;
       }
 
@@ -1091,28 +2317,25 @@ class VoiceCommandSystem {
       extractButton.addEventListener('click', async () => {
         console.log('Extracting text from:', cachedFileData.fileName);
         
-        if (cachedFileData.cachedBlob && cachedFileData.cachedBlob.length > 0) {
-          const binaryString = atob(cachedFileData.cachedBlob);
-          const bytes = new Uint8Array(binaryString.length);
-          for (let i = 0; i < binaryString.length; i++) {
-            bytes[i] = binaryString.charCodeAt(i);
+        try {
+          const result = await extractDocument(cachedFileData);
+          if (result) {
+            console.log('Extracted text:', describeExtraction(result), result);
+          } else {
+            console.error('CRITICAL ERROR: FILE NOT CACHED');
+            extractButton.textContent = 'Cache Failed';
+            extractButton.disabled = true;
           }
-          const blob = new Blob([bytes], { type: cachedFileData.blobType || 'application/pdf' });
-          
-          const text = await extractText(blob, cachedFileData.fileName);
-          console.log('Extracted text:', text);
-        } else {
-          console.error('CRITICAL ERROR: FILE NOT CACHED');
-          extractButton.textContent = 'Cache Failed';
-          extractButton.disabled = true;
+        } catch (error) {
+          console.log('Text extraction stopped:', error.message);
         }
       });
 
       document.body.appendChild(extractButton);
-      this.updateStatus('Extract button added', '#4CAF50');
+      this.updateStatus('Extract button added', '#4CAF50', 'success');
       console.log('Voice: Extract button successfully added');
     } else {
-      this.updateStatus('No file loaded. Click a file link first, then try again.', '#FF9800');
+      this.updateStatus('No file loaded. Click a file link first, then try again.', '#FF9800', 'warning');
       console.log('Voice: No cached file data available for extract button');
     }
   }
@@ -1123,7 +2346,7 @@ class VoiceCommandSystem {
     if (cachedFileData) {
       const existingOCRBtn = document.getElementById('schoology-ocr-btn');
       if (existingOCRBtn) {
-        this.updateStatus('OCR button already exists', '#FF9800');
+        this.updateStatus('OCR button already exists', '#FF9800', 'warning');
         return;
       }
 
@@ -1148,28 +2371,25 @@ class VoiceCommandSystem {
       ocrButton.addEventListener('click', async () => {
         console.log('Force OCR extraction from:', cachedFileData.fileName);
         
-        if (cachedFileData.cachedBlob && cachedFileData.cachedBlob.length > 0) {
-          const binaryString = atob(cachedFileData.cachedBlob);
-          const bytes = new Uint8Array(binaryString.length);
-          for (let i = 0; i < binaryString.length; i++) {
-            bytes[i] = binaryString.charCodeAt(i);
+        try {
+          const result = await extractDocument(cachedFileData, 'ocr');
+          if (result) {
+            console.log('OCR extracted text:', describeExtraction(result), result);
+          } else {
+            console.error('CRITICAL ERROR: FILE NOT CACHED');
+            ocrButton.textContent = 'Cache Failed';
+            ocrButton.disabled = true;
           }
-          const blob = new Blob([bytes], { type: cachedFileData.blobType || 'application/pdf' });
-          
-          const text = await extractTextFromImage(blob);
-          console.log('OCR extracted text:', text);
-        } else {
-          console.error('CRITICAL ERROR: FILE NOT CACHED');
-          ocrButton.textContent = 'Cache Failed';
-          ocrButton.disabled = true;
+        } catch (error) {
+          console.log('OCR stopped:', error.message);
         }
       });
 
       document.body.appendChild(ocrButton);
-      this.updateStatus('OCR button added', '#4CAF50');
+      this.updateStatus('OCR button added', '#4CAF50', 'success');
       console.log('Voice: OCR button successfully added');
     } else {
-      this.updateStatus('No file loaded. Click a file link first, then try again.', '#FF9800');
+      this.updateStatus('No file loaded. Click a file link first, then try again.', '#FF9800', 'warning');
       console.log('Voice: No cached file data available for OCR button');
     }
   }
@@ -1178,12 +2398,12 @@ class VoiceCommandSystem {
     this.addDownloadButton();
     setTimeout(() => this.addExtractButton(), 100);
     setTimeout(() => this.addOCRButton(), 200);
-    this.updateStatus('All buttons added', '#4CAF50');
+    this.updateStatus('All buttons added', '#4CAF50', 'success');
   }
 
   removeAllButtons() {
     removeButtons();
-    this.updateStatus('All buttons removed', '#4CAF50');
+    this.updateStatus('All buttons removed', '#4CAF50', 'success');
   }
 
   forceAddDownloadButton() {
@@ -1198,19 +2418,12 @@ class VoiceCommandSystem {
     this.addDownloadButton();
   }
 
-  downloadFile() {
+  async downloadFile() {
     console.log('Voice: Directly downloading file. Cached file data:', !!cachedFileData);
     
-    if (cachedFileData && cachedFileData.cachedBlob && cachedFileData.cachedBlob.length > 0) {
+    const blob = cachedFileData ? await getCachedBlob(cachedFileData.fileId) : null;
+    if (blob) {
       try {
-        // Convert base64 back to blob
-        const binaryString = atob(cachedFileData.cachedBlob);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-          bytes[i] = binaryString.charCodeAt(i);
-        }
-        const blob = new Blob([bytes], { type: cachedFileData.blobType || 'application/pdf' });
-        
         // Create download link and trigger download
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -1219,14 +2432,14 @@ class VoiceCommandSystem {
         a.click();
         URL.revokeObjectURL(url);
         
-        this.updateStatus(`Downloaded: ${cachedFileData.fileName}`, '#4CAF50');
+        this.updateStatus(`Downloaded: ${cachedFileData.fileName}`, '#4CAF50', 'success');
         console.log('Voice: File downloaded successfully:', cachedFileData.fileName);
       } catch (error) {
         console.error('Voice: Download failed:', error);
-        this.updateStatus('Download failed', '#F44336');
+        this.updateStatus('Download failed', '#F44336', 'error');
       }
     } else {
-      this.updateStatus('No file cached. Load a file first.', '#FF9800');
+      this.updateStatus('No file cached. Load a file first.', '#FF9800', 'warning');
       console.log('Voice: No cached file data available for download');
     }
   }
@@ -1234,256 +2447,439 @@ class VoiceCommandSystem {
   async extractText() {
     console.log('Voice: Directly extracting text. Cached file data:', !!cachedFileData);
     
-    if (cachedFileData && cachedFileData.cachedBlob && cachedFileData.cachedBlob.length > 0) {
+    if (cachedFileData) {
       try {
         this.updateStatus('Extracting text...', '#FF9800');
         
-        // Convert base64 back to blob
-        const binaryString = atob(cachedFileData.cachedBlob);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-          bytes[i] = binaryString.charCodeAt(i);
-        }
-        const blob = new Blob([bytes], { type: cachedFileData.blobType || 'application/pdf' });
-        
         // Extract text
-        const text = await extractText(blob, cachedFileData.fileName);
-        console.log('Voice: Text extracted:', text);
+        const result = await extractDocument(cachedFileData);
+        if (!result) {
+          this.updateStatus('No file cached. Load a file first.', '#FF9800', 'warning');
+          return;
+        }
+        const text = result.text;
+        console.log('Voice: Text extracted:', result);
         
-        this.updateStatus(`Text extracted (${text.length} chars)`, '#4CAF50');
+        this.updateStatus(`Text extracted (${describeExtraction(result)})`, '#4CAF50', 'success');
         
         // Show text in a popup or copy to clipboard
         if (text && text.length > 0) {
           // Copy to clipboard
           navigator.clipboard.writeText(text).then(() => {
-            this.updateStatus('Text copied to clipboard!', '#4CAF50');
+            this.updateStatus('Text copied to clipboard!', '#4CAF50', 'success');
           }).catch(() => {
-            this.updateStatus('Text extracted (not copied)', '#4CAF50');
+            this.updateStatus('Text extracted (not copied)', '#4CAF50', 'success');
           });
         } else {
-          this.updateStatus('No text found in file', '#FF9800');
+          this.updateStatus('No text found in file', '#FF9800', 'warning');
         }
       } catch (error) {
+        if (error.name === 'AbortError') {
+          this.updateStatus('OCR cancelled', '#9E9E9E');
+          return;
+        }
         console.error('Voice: Text extraction failed:', error);
-        this.updateStatus('Text extraction failed', '#F44336');
+        this.updateStatus('Text extraction failed', '#F44336', 'error');
       }
     } else {
-      this.updateStatus('No file cached. Load a file first.', '#FF9800');
+      this.updateStatus('No file cached. Load a file first.', '#FF9800', 'warning');
       console.log('Voice: No cached file data available for text extraction');
     }
   }
 
-  async performOCR() {
-    console.log('Voice: Directly performing OCR. Cached file data:', !!cachedFileData);
+  async performOCR() {
+    console.log('Voice: Directly performing OCR. Cached file data:', !!cachedFileData);
+    
+    if (cachedFileData) {
+      try {
+        this.updateStatus('Performing OCR...', '#FF9800');
+        
+        // Force OCR extraction
+        const result = await extractDocument(cachedFileData, 'ocr');
+        if (!result) {
+          this.updateStatus('No file cached. Load a file first.', '#FF9800', 'warning');
+          return;
+        }
+        const text = result.text;
+        console.log('Voice: OCR completed:', result);
+        
+        this.updateStatus(`OCR completed (${describeExtraction(result)})`, '#4CAF50', 'success');
+        
+        // Copy to clipboard
+        if (text && text.length > 0) {
+          navigator.clipboard.writeText(text).then(() => {
+            this.updateStatus('OCR text copied to clipboard!', '#4CAF50', 'success');
+          }).catch(() => {
+            this.updateStatus('OCR completed (not copied)', '#4CAF50', 'success');
+          });
+        } else {
+          this.updateStatus('No text found via OCR', '#FF9800', 'warning');
+        }
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          this.updateStatus('OCR cancelled', '#9E9E9E');
+          return;
+        }
+        console.error('Voice: OCR failed:', error);
+        if (offlineEngineReport && !offlineEngineReport.ocr.languages[this.languageCode]) {
+          this.updateStatus(`OCR files for ${LANGUAGES[this.languageCode].name} are missing from the extension`, '#F44336', 'error');
+        } else {
+          this.updateStatus('OCR failed', '#F44336', 'error');
+        }
+      }
+    } else {
+      this.updateStatus('No file cached. Load a file first.', '#FF9800', 'warning');
+      console.log('Voice: No cached file data available for OCR');
+    }
+  }
+
+  async speakText() {
+    console.log('Voice: Starting text-to-speech');
+    
+    if (cachedFileData) {
+      try {
+        this.updateStatus('Extracting text for speech...', '#FF9800');
+        
+        // Extract text
+        const result = await extractDocument(cachedFileData);
+        if (!result) {
+          this.updateStatus('No file cached. Load a file first.', '#FF9800', 'warning');
+          return;
+        }
+        const text = result.text;
+        
+        if (text && text.length > 0) {
+          this.loadDocument(result);
+          this.readerPanel.open(result, this.getFileComments());
+          this.startSpeaking(0);
+          this.createTTSControls();
+          this.updateStatus(result.fromCache ? 'Reading text aloud (cached extraction)...' : 'Reading text aloud...', '#4CAF50', 'success');
+        } else {
+          this.updateStatus('No text found to read', '#FF9800', 'warning');
+        }
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          this.updateStatus('OCR cancelled', '#9E9E9E');
+          return;
+        }
+        console.error('Voice: TTS failed:', error);
+        this.updateStatus('Text-to-speech failed', '#F44336', 'error');
+      }
+    } else {
+      this.updateStatus('No file cached. Load a file first.', '#FF9800', 'warning');
+    }
+  }
+
+  // Hand an extraction result to the TTS player (no-op if it's already loaded)
+  loadDocument(result) {
+    this.readingPage = result.method === 'page';
+    this.currentResult = result;
+    if (this.currentText === result.text) {
+      return;
+    }
+    this.currentText = result.text;
+    this.tts.load(result.text, result.pages);
+  }
+
+  // Hand the saved voice settings to the player (heard immediately while reading)
+  applyVoiceSettings() {
+    this.tts.setVoice({
+      lang: this.getLanguageLocale(),
+      voice: this.getLanguageVoice(),
+      rate: ttsSettings.rate,
+      pitch: ttsSettings.pitch,
+      volume: ttsSettings.volume
+    });
+  }
+
+  // Read the instructions, discussion, materials and grade comments on the current
+  // Schoology page, one region per reader "page"
+  readPage() {
+    const result = buildPageDocument();
+    if (!result.text) {
+      this.updateStatus('No readable content found on this page', '#FF9800', 'warning');
+      return;
+    }
+    
+    this.loadDocument(result);
+    this.readerPanel.open(result, this.getFileComments());
+    this.startSpeaking(0);
+    this.createTTSControls();
+    this.updateStatus(`Reading page: ${result.pages.map(page => page.label).join(', ')}`, '#4CAF50', 'success');
+  }
+
+  // The eSpeak NG engine isn't bundled yet, so audio export is only there when
+  // its files have been added to tts-engine/
+  canExportAudio() {
+    return Boolean(offlineEngineReport && offlineEngineReport.audioExport.available);
+  }
+
+  // Save the page being read, or the active file, as an audio file with a chapter
+  // per page. "export audio as ogg" picks Ogg, otherwise WAV.
+  async exportAudio(format = 'wav') {
+    if (this.isExportingAudio) {
+      this.updateStatus('Audio export already running', '#FF9800', 'warning');
+      return;
+    }
+    
+    if (!this.canExportAudio()) {
+      this.updateStatus('Audio export needs the speech engine files in tts-engine/', '#F44336', 'error');
+      return;
+    }
+    
+    this.isExportingAudio = true;
+    try {
+      // The active file is extracted like "speak" does (cached by file hash), so a
+      // file switched to since the last read isn't exported with old text
+      let result = this.readingPage ? this.currentResult : null;
+      if (!result && cachedFileData) {
+        this.updateStatus('Extracting text for audio...', '#FF9800');
+        result = await extractDocument(cachedFileData);
+      }
+      if (!result || !result.text) {
+        this.updateStatus('Nothing to export. Load a file or say "read page" first.', '#FF9800', 'warning');
+        return;
+      }
+      
+      const audio = await exportDocumentAudio(
+        result,
+        format,
+        { voice: this.languageCode, rate: ttsSettings.rate, pitch: ttsSettings.pitch },
+        (pageIndex, pageCount) => this.updateStatus(`Rendering audio: ${pageIndex + 1} of ${pageCount}...`, '#2196F3')
+      );
+      
+      const baseName = (result.fileName || 'document').replace(/\.[^.]+$/, '').replace(/[\\/:*?"<>|]/g, '_');
+      const fileName = `${baseName}.${audio.format}`;
+      await this.saveAudioFile(audio.blob, fileName);
+      
+      const minutes = Math.max(1, Math.round(audio.durationSeconds / 60));
+      const fallback = format === 'ogg' && audio.format !== 'ogg' ? ' (this browser has no Ogg encoder, saved as WAV)' : '';
+      this.updateStatus(`Saved ${fileName}: ${minutes} min, ${audio.chapters.length} chapter(s)${fallback}`, '#4CAF50', 'success');
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this.updateStatus('OCR cancelled', '#9E9E9E');
+        return;
+      }
+      console.error('Voice: Audio export failed:', error);
+      this.updateStatus(`Audio export failed: ${error.message}`, '#F44336', 'error');
+    } finally {
+      this.isExportingAudio = false;
+    }
+  }
+
+  // Download through the background script, or with a link if it can't
+  async saveAudioFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    let response = null;
+    try {
+      response = await browserAPI.runtime.sendMessage({ type: 'DOWNLOAD_FILE', url: url, fileName: fileName });
+    } catch (error) {
+      console.error('Voice: Download message failed:', error);
+    }
+    
+    if (!response || !response.success) {
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = fileName;
+      a.click();
+    }
+    // The download reads the blob asynchronously
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  // Read the document aloud starting at a word
+  startSpeaking(wordIndex = 0) {
+    this.applyVoiceSettings();
+    this.tts.play(wordIndex);
+  }
+
+  // "Faster" / "slower"
+  async changeSpeechRate(direction) {
+    const rate = Math.round((ttsSettings.rate + direction * TTS_RATE_STEP) * 100) / 100;
+    await saveTTSSettings({ ...ttsSettings, rate: rate });
+    this.applyVoiceSettings();
+    this.renderTTSSettings();
+    
+    const limit = rate > TTS_RATE_MAX || rate < TTS_RATE_MIN;
+    this.updateStatus(limit ? `Speech rate is already ${ttsSettings.rate}×` : `Speech rate ${ttsSettings.rate}×`, limit ? '#FF9800' : '#4CAF50', limit ? 'warning' : 'success');
+  }
+
+  // Start reading the document from a word, e.g. one clicked in the reader
+  speakFromWord(wordIndex) {
+    if (!this.currentText) {
+      this.updateStatus('No text available to read', '#FF9800', 'warning');
+      return;
+    }
+    
+    if (wordIndex >= this.tts.getWordCount()) {
+      this.updateStatus('No text at that position', '#FF9800', 'warning');
+      return;
+    }
+    
+    this.startSpeaking(wordIndex);
+    if (!this.ttsControls) {
+      this.createTTSControls();
+    }
+    this.updateStatus(`Reading from word ${wordIndex}`, '#4CAF50', 'success');
+  }
+
+  // Paragraph, page and repeat navigation. While stopped or paused these only move
+  // the point reading resumes from.
+  navigateReading(move, description) {
+    if (!this.currentText) {
+      this.updateStatus('Nothing is being read. Say "speak" first.', '#FF9800', 'warning');
+      return;
+    }
+    
+    const position = move();
+    if (position === null) {
+      this.updateStatus(`Can't go to ${description}`, '#FF9800', 'warning');
+      return;
+    }
+    
+    if (this.readerPanel.isOpen()) {
+      this.readerPanel.highlightWord(position);
+    }
+    this.updateStatus(this.tts.isSpeaking ? `Reading ${description}` : `Moved to ${description}, say "resume" to read`, '#2196F3', 'success');
+  }
+
+  nextParagraph() {
+    this.navigateReading(() => this.tts.nextParagraph(), 'next paragraph');
+  }
+
+  previousParagraph() {
+    this.navigateReading(() => this.tts.previousParagraph(), 'previous paragraph');
+  }
+
+  goToPage(pageNumber) {
+    this.navigateReading(() => this.tts.goToPage(pageNumber), `page ${pageNumber}`);
+  }
+
+  // Sections are the page regions in read page mode, and pages in a file
+  nextSection() {
+    this.navigateReading(() => this.tts.movePage(1), this.readingPage ? 'next section' : 'next page');
+  }
+
+  previousSection() {
+    this.navigateReading(() => this.tts.movePage(-1), this.readingPage ? 'previous section' : 'previous page');
+  }
+
+  repeatSentence() {
+    this.navigateReading(() => this.tts.repeat(), 'that sentence again');
+  }
+
+  // "student Maria": open a student's submission from the grading list
+  selectStudent(name) {
+    const student = findPageStudents().find(candidate => candidate.name === name);
+    if (!student) {
+      this.updateStatus(`Can't find ${name} on this page`, '#FF9800', 'warning');
+      return;
+    }
+    
+    student.element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    student.element.click();
+    this.updateStatus(`Opened ${name}`, '#4CAF50', 'success');
+  }
+
+  // Open the reader panel for the active file
+  async openReader() {
+    if (!cachedFileData) {
+      this.updateStatus('No file cached. Load a file first.', '#FF9800', 'warning');
+      return;
+    }
     
-    if (cachedFileData && cachedFileData.cachedBlob && cachedFileData.cachedBlob.length > 0) {
-      try {
-        this.updateStatus('Performing OCR...', '#FF9800');
-        
-        // Convert base64 back to blob
-        const binaryString = atob(cachedFileData.cachedBlob);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-          bytes[i] = binaryString.charCodeAt(i);
-        }
-        const blob = new Blob([bytes], { type: cachedFileData.blobType || 'application/pdf' });
-        
-        // Force OCR extraction
-        const text = await extractTextFromImage(blob);
-        console.log('Voice: OCR completed:', text);
-        
-        this.updateStatus(`OCR completed (${text.length} chars)`, '#4CAF50');
-        
-        // Copy to clipboard
-        if (text && text.length > 0) {
-          navigator.clipboard.writeText(text).then(() => {
-            this.updateStatus('OCR text copied to clipboard!', '#4CAF50');
-          }).catch(() => {
-            this.updateStatus('OCR completed (not copied)', '#4CAF50');
-          });
-        } else {
-          this.updateStatus('No text found via OCR', '#FF9800');
-        }
-      } catch (error) {
-        console.error('Voice: OCR failed:', error);
-        this.updateStatus('OCR failed', '#F44336');
+    try {
+      this.updateStatus('Opening reader...', '#2196F3');
+      const result = await extractDocument(cachedFileData);
+      if (!result) {
+        this.updateStatus('No file cached. Load a file first.', '#FF9800', 'warning');
+        return;
       }
-    } else {
-      this.updateStatus('No file cached. Load a file first.', '#FF9800');
-      console.log('Voice: No cached file data available for OCR');
+      
+      // Keep the spoken document in sync when the reader opens on another file
+      this.loadDocument(result);
+      this.readerPanel.open(result, this.getFileComments());
+      this.updateStatus('Reader open', '#4CAF50', 'success');
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this.updateStatus('OCR cancelled', '#9E9E9E');
+        return;
+      }
+      console.error('Voice: Opening reader failed:', error);
+      this.updateStatus('Could not open reader', '#F44336', 'error');
     }
   }
 
-  async speakText() {
-    console.log('Voice: Starting text-to-speech');
-    
-    if (cachedFileData && cachedFileData.cachedBlob && cachedFileData.cachedBlob.length > 0) {
-      try {
-        this.updateStatus('Extracting text for speech...', '#FF9800');
-        
-        // Convert base64 back to blob
-        const binaryString = atob(cachedFileData.cachedBlob);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-          bytes[i] = binaryString.charCodeAt(i);
-        }
-        const blob = new Blob([bytes], { type: cachedFileData.blobType || 'application/pdf' });
-        
-        // Extract text
-        const text = await extractText(blob, cachedFileData.fileName);
-        
-        if (text && text.length > 0) {
-          this.currentText = text;
-          this.currentPosition = 0;
-          this.startSpeaking(text);
-          this.createTTSControls();
-          this.updateStatus('Reading text aloud...', '#4CAF50');
-        } else {
-          this.updateStatus('No text found to read', '#FF9800');
-        }
-      } catch (error) {
-        console.error('Voice: TTS failed:', error);
-        this.updateStatus('Text-to-speech failed', '#F44336');
-      }
-    } else {
-      this.updateStatus('No file cached. Load a file first.', '#FF9800');
+  closeReader() {
+    this.readerPanel.close();
+    this.updateStatus('Reader closed', '#9E9E9E', 'success');
+  }
+
+  // What new comments are attached to: the page while reading it, otherwise the
+  // active file
+  getCommentTarget() {
+    if (this.readingPage) {
+      return { fileId: getPageCommentKey(), fileName: this.currentResult.fileName };
+    }
+    if (cachedFileData) {
+      return { fileId: cachedFileData.fileId, fileName: cachedFileData.fileName };
     }
+    return { fileId: null, fileName: 'Unknown file' };
   }
 
-  startSpeaking(text) {
-    // Stop any current speech
-    this.synthesis.cancel();
-    
-    // Store the text and reset position
-    this.currentText = text;
-    this.currentPosition = 0;
-    this.speechStartTime = Date.now(); // Track when speech starts
-    
-    // Create new utterance
-    this.currentUtterance = new SpeechSynthesisUtterance(text);
-    this.currentUtterance.rate = this.speechRate;
-    this.currentUtterance.pitch = 1.0;
-    this.currentUtterance.volume = 1.0;
-    
-    // Set up event handlers
-    this.currentUtterance.onstart = () => {
-      this.isSpeaking = true;
-      this.isPaused = false;
-      this.updateTTSControls();
-      console.log('Voice: Speech started');
-    };
-    
-    this.currentUtterance.onend = () => {
-      this.isSpeaking = false;
-      this.isPaused = false;
-      this.updateTTSControls();
-      this.updateStatus('Finished reading', '#4CAF50');
-      console.log('Voice: Speech ended');
-    };
-    
-    this.currentUtterance.onerror = (event) => {
-      console.error('TTS Error:', event.error);
-      // Don't reset paused state if we intentionally cancelled for pause
-      if (event.error !== 'interrupted') {
-        this.isSpeaking = false;
-        this.isPaused = false;
-        this.updateTTSControls();
-        this.updateStatus('Speech error', '#F44336');
-      } else {
-        console.log('Voice: Speech interrupted (likely for pause)');
-      }
-    };
-    
-    // Start speaking
-    this.synthesis.speak(this.currentUtterance);
+  // Comments saved for what is being read (the page itself or the active file)
+  getFileComments() {
+    const target = this.getCommentTarget();
+    if (!target.fileId) {
+      return [];
+    }
+    return this.comments.filter(comment => comment.fileId === target.fileId);
   }
 
   pauseSpeaking() {
-    console.log('Voice: Pause command received. isSpeaking:', this.isSpeaking, 'isPaused:', this.isPaused);
+    console.log('Voice: Pause command received. isSpeaking:', this.tts.isSpeaking, 'isPaused:', this.tts.isPaused);
     
-    if (this.isSpeaking && !this.isPaused) {
-      console.log('Voice: Pausing speech synthesis');
-      
-      // Stop current speech and calculate position
-      this.synthesis.cancel();
-      
-      // Estimate current position based on time elapsed
-      // Rough estimate: 150 words per minute = 2.5 words per second
-      const wordsPerSecond = 2.5;
-      const estimatedWordsSpoken = Math.floor((Date.now() - this.speechStartTime) / 1000 * wordsPerSecond);
-      const words = this.currentText.split(' ');
-      this.currentPosition = Math.min(estimatedWordsSpoken, words.length);
-      
-      this.isSpeaking = false;
-      this.isPaused = true;
-      this.updateTTSControls();
-      this.updateStatus('Speech paused', '#FF9800');
-      console.log('Voice: Speech paused successfully at position:', this.currentPosition, 'of', words.length, 'words');
+    if (this.tts.pause()) {
+      this.updateStatus('Speech paused', '#FF9800', 'success');
+      console.log('Voice: Speech paused successfully at position:', this.tts.position, 'of', this.tts.getWordCount(), 'words');
     } else {
       console.log('Voice: Cannot pause - not speaking or already paused');
-      this.updateStatus('Cannot pause - not speaking', '#FF9800');
+      this.updateStatus('Cannot pause - not speaking', '#FF9800', 'warning');
+    }
+  }
+
+  // One command for both: pause while reading, otherwise resume
+  togglePause() {
+    if (this.tts.isSpeaking && !this.tts.isPaused) {
+      this.pauseSpeaking();
+    } else {
+      this.resumeSpeaking();
     }
   }
 
   resumeSpeaking() {
-    console.log('Voice: Resume command received. isSpeaking:', this.isSpeaking, 'isPaused:', this.isPaused);
-    console.log('Voice: Current position:', this.currentPosition, 'Current text length:', this.currentText ? this.currentText.length : 0);
+    console.log('Voice: Resume command received. isSpeaking:', this.tts.isSpeaking, 'isPaused:', this.tts.isPaused);
     
-    if (this.isPaused && this.currentText) {
-      console.log('Voice: Resuming speech from position:', this.currentPosition);
-      
-      // Get remaining text from current position
-      const words = this.currentText.split(' ');
-      const remainingWords = words.slice(this.currentPosition);
-      const remainingText = remainingWords.join(' ');
-      
-      console.log('Voice: Remaining words:', remainingWords.length, 'Remaining text length:', remainingText.length);
-      
-      if (remainingText.trim()) {
-        // Reset paused state before starting
-        this.isPaused = false;
-        this.startSpeaking(remainingText);
-        this.updateStatus('Speech resumed', '#4CAF50');
-        console.log('Voice: Speech resumed successfully from position:', this.currentPosition);
-      } else {
-        this.updateStatus('No more text to read', '#FF9800');
-        this.isPaused = false;
-        this.updateTTSControls();
-      }
-    } else if (!this.isSpeaking && !this.isPaused && this.currentText) {
+    if (this.tts.isPaused && this.currentText) {
+      console.log('Voice: Resuming speech from position:', this.tts.position);
+      this.applyVoiceSettings();
+      this.tts.resume();
+      this.updateStatus('Speech resumed', '#4CAF50', 'success');
+    } else if (!this.tts.isSpeaking && this.currentText) {
       // Start from beginning if not paused
       console.log('Voice: Starting from beginning (not paused)');
-      this.startSpeaking(this.currentText);
-      this.updateStatus('Speech started', '#4CAF50');
+      this.startSpeaking(0);
+      this.updateStatus('Speech started', '#4CAF50', 'success');
     } else {
       console.log('Voice: Cannot resume - no paused speech or no text');
-      this.updateStatus('Cannot resume - no paused speech', '#FF9800');
+      this.updateStatus('Cannot resume - no paused speech', '#FF9800', 'warning');
     }
   }
 
   skipSeconds(seconds) {
-    if (this.isSpeaking && this.currentUtterance) {
-      // Stop current speech
-      this.synthesis.cancel();
-      
-      // Calculate new position (rough estimate: 150 words per minute = 2.5 words per second)
-      const wordsPerSecond = 2.5;
-      const wordsToSkip = Math.abs(seconds) * wordsPerSecond;
-      const words = this.currentText.split(' ');
-      
-      if (seconds > 0) {
-        // Skip forward
-        this.currentPosition = Math.min(this.currentPosition + wordsToSkip, words.length);
-      } else {
-        // Skip backward
-        this.currentPosition = Math.max(this.currentPosition - wordsToSkip, 0);
-      }
-      
-      // Resume from new position
-      const remainingText = words.slice(this.currentPosition).join(' ');
-      this.startSpeaking(remainingText);
-      
-      this.updateStatus(`Skipped ${seconds} seconds`, '#2196F3');
+    if ((this.tts.isSpeaking || this.tts.isPaused) && this.currentText) {
+      this.tts.skipSeconds(seconds);
+      this.updateStatus(`Skipped ${seconds} seconds`, '#2196F3', 'success');
     }
   }
 
@@ -1492,6 +2888,7 @@ class VoiceCommandSystem {
     if (this.ttsControls) {
       this.ttsControls.remove();
     }
+    this.ttsSettingsSection = null;
     
     // Create TTS control panel
     this.ttsControls = document.createElement('div');
@@ -1548,18 +2945,64 @@ class VoiceCommandSystem {
     skipForwardBtn.textContent = '⏩ 10s';
     skipForwardBtn.addEventListener('click', () => this.skipSeconds(10));
     
+    const prevParagraphBtn = document.createElement('button');
+    prevParagraphBtn.id = 'tts-prev-paragraph';
+    prevParagraphBtn.style.cssText = 'padding: 5px 10px; background: #2196F3; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px;';
+    prevParagraphBtn.textContent = '⏮ ¶';
+    prevParagraphBtn.title = 'Previous paragraph';
+    prevParagraphBtn.addEventListener('click', () => this.previousParagraph());
+    
+    const nextParagraphBtn = document.createElement('button');
+    nextParagraphBtn.id = 'tts-next-paragraph';
+    nextParagraphBtn.style.cssText = 'padding: 5px 10px; background: #2196F3; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px;';
+    nextParagraphBtn.textContent = '¶ ⏭';
+    nextParagraphBtn.title = 'Next paragraph';
+    nextParagraphBtn.addEventListener('click', () => this.nextParagraph());
+    
+    const voiceSettingsBtn = document.createElement('button');
+    voiceSettingsBtn.id = 'tts-voice-settings';
+    voiceSettingsBtn.style.cssText = 'padding: 5px 10px; background: #607D8B; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px;';
+    voiceSettingsBtn.textContent = '⚙️ Voice';
+    voiceSettingsBtn.addEventListener('click', () => this.toggleTTSSettings());
+    
+    const exportAudioBtn = document.createElement('button');
+    exportAudioBtn.id = 'tts-export-audio';
+    exportAudioBtn.style.cssText = 'padding: 5px 10px; background: #607D8B; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px;';
+    exportAudioBtn.textContent = '💾 Audio';
+    exportAudioBtn.title = 'Save as an audio file (WAV)';
+    exportAudioBtn.addEventListener('click', () => this.exportAudio('wav'));
+    
     const stopBtn = document.createElement('button');
     stopBtn.id = 'tts-stop';
     stopBtn.style.cssText = 'padding: 5px 10px; background: #F44336; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px;';
     stopBtn.textContent = 'Stop';
     stopBtn.addEventListener('click', () => this.stopSpeaking());
     
+    const readerBtn = document.createElement('button');
+    readerBtn.id = 'tts-reader';
+    readerBtn.style.cssText = 'padding: 5px 10px; background: #9C27B0; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px;';
+    readerBtn.textContent = '📖 Reader';
+    readerBtn.addEventListener('click', () => {
+      if (this.readerPanel.isOpen()) {
+        this.closeReader();
+      } else {
+        this.openReader();
+      }
+    });
+    
     // Assemble the control panel
     buttonContainer.appendChild(pauseBtn);
     buttonContainer.appendChild(resumeBtn);
     buttonContainer.appendChild(skipBackBtn);
     buttonContainer.appendChild(skipForwardBtn);
+    buttonContainer.appendChild(prevParagraphBtn);
+    buttonContainer.appendChild(nextParagraphBtn);
     buttonContainer.appendChild(stopBtn);
+    buttonContainer.appendChild(readerBtn);
+    buttonContainer.appendChild(voiceSettingsBtn);
+    if (this.canExportAudio()) {
+      buttonContainer.appendChild(exportAudioBtn);
+    }
     
     this.ttsControls.appendChild(title);
     this.ttsControls.appendChild(status);
@@ -1571,6 +3014,94 @@ class VoiceCommandSystem {
     console.log('TTS controls created successfully');
   }
 
+  // Voice, rate, pitch and volume section under the TTS control buttons
+  toggleTTSSettings() {
+    if (this.ttsSettingsSection) {
+      this.ttsSettingsSection.remove();
+      this.ttsSettingsSection = null;
+      return;
+    }
+    if (!this.ttsControls) {
+      this.createTTSControls();
+    }
+    
+    this.ttsSettingsSection = document.createElement('div');
+    this.ttsSettingsSection.id = 'tts-settings';
+    this.ttsSettingsSection.style.cssText = 'margin-top: 10px; padding-top: 10px; border-top: 1px solid #555;';
+    this.ttsControls.appendChild(this.ttsSettingsSection);
+    this.renderTTSSettings();
+    
+    // Chrome loads the voice list asynchronously
+    if (this.synthesis.getVoices().length === 0) {
+      this.synthesis.addEventListener('voiceschanged', () => this.renderTTSSettings(), { once: true });
+    }
+  }
+  
+  renderTTSSettings() {
+    const section = this.ttsSettingsSection;
+    if (!section) return;
+    section.innerHTML = '';
+    
+    const save = async (changes) => {
+      await saveTTSSettings({ ...ttsSettings, ...changes });
+      this.applyVoiceSettings();
+    };
+    
+    // Voices for the page language (all voices if none match)
+    const voiceRow = document.createElement('label');
+    voiceRow.style.cssText = 'display: block; margin-bottom: 8px;';
+    voiceRow.appendChild(document.createTextNode('Voice: '));
+    const voiceSelect = document.createElement('select');
+    voiceSelect.id = 'tts-voice';
+    voiceSelect.style.cssText = 'max-width: 180px;';
+    const allVoices = this.synthesis.getVoices();
+    const languageVoices = allVoices.filter(voice => voice.lang.split('-')[0] === this.languageCode);
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = allVoices.length > 0 ? 'Default' : 'Default (voices loading...)';
+    voiceSelect.appendChild(defaultOption);
+    (languageVoices.length > 0 ? languageVoices : allVoices).forEach(voice => {
+      const option = document.createElement('option');
+      option.value = voice.voiceURI;
+      option.textContent = `${voice.name} (${voice.lang})`;
+      option.selected = voice.voiceURI === ttsSettings.voiceURIs[this.languageCode];
+      voiceSelect.appendChild(option);
+    });
+    voiceSelect.addEventListener('change', () => {
+      save({ voiceURIs: { ...ttsSettings.voiceURIs, [this.languageCode]: voiceSelect.value } });
+    });
+    voiceRow.appendChild(voiceSelect);
+    section.appendChild(voiceRow);
+    
+    // Sliders save when released; the label follows while dragging
+    const addSlider = (key, label, min, max, step, format) => {
+      const row = document.createElement('label');
+      row.style.cssText = 'display: block; margin-bottom: 6px;';
+      const value = document.createElement('span');
+      value.textContent = format(ttsSettings[key]);
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.id = `tts-${key}`;
+      slider.min = min;
+      slider.max = max;
+      slider.step = step;
+      slider.value = ttsSettings[key];
+      slider.style.cssText = 'width: 100%;';
+      slider.addEventListener('input', () => {
+        value.textContent = format(parseFloat(slider.value));
+      });
+      slider.addEventListener('change', () => save({ [key]: parseFloat(slider.value) }));
+      row.appendChild(document.createTextNode(`${label}: `));
+      row.appendChild(value);
+      row.appendChild(slider);
+      section.appendChild(row);
+    };
+    
+    addSlider('rate', 'Rate', TTS_RATE_MIN, TTS_RATE_MAX, 0.05, value => `${value.toFixed(2)}×`);
+    addSlider('pitch', 'Pitch', 0, 2, 0.1, value => value.toFixed(1));
+    addSlider('volume', 'Volume', 0, 1, 0.05, value => `${Math.round(value * 100)}%`);
+  }
+
   updateTTSControls() {
     if (!this.ttsControls) return;
     
@@ -1583,11 +3114,11 @@ class VoiceCommandSystem {
       return;
     }
     
-    if (this.isSpeaking && !this.isPaused) {
+    if (this.tts.isSpeaking && !this.tts.isPaused) {
       statusEl.textContent = 'Speaking...';
       pauseBtn.style.display = 'inline-block';
       resumeBtn.style.display = 'none';
-    } else if (this.isPaused) {
+    } else if (this.tts.isPaused) {
       statusEl.textContent = 'Paused';
       pauseBtn.style.display = 'none';
       resumeBtn.style.display = 'inline-block';
@@ -1599,41 +3130,50 @@ class VoiceCommandSystem {
   }
 
   stopSpeaking() {
-    this.synthesis.cancel();
-    this.isSpeaking = false;
-    this.isPaused = false;
-    this.currentPosition = 0;
-    this.updateTTSControls();
-    this.updateStatus('Speech stopped', '#9E9E9E');
+    this.tts.stop();
+    this.readerPanel.clearHighlight();
+    this.updateStatus('Speech stopped', '#9E9E9E', 'success');
   }
 
-  addComment() {
-    console.log('Voice: Adding comment');
+  // Dictate a comment. Reading aloud pauses unless keepReading is set ("comment
+  // mode"), which lets macros like "extract, speak, comment mode" keep playing.
+  addComment(keepReading = false) {
+    console.log('Voice: Adding comment', keepReading ? 'while reading' : '');
     
-    // Pause speech if it's currently playing
-    if (this.isSpeaking && !this.isPaused) {
-      this.pauseSpeaking();
+    if (!this.recognizer.supported) {
+      this.statusElement.style.display = 'block';
+      this.updateStatus('Speech recognition is not supported in this browser', '#F44336');
+      return;
     }
     
-    // Calculate current position for the comment
-    let position = 0;
-    if (this.isSpeaking || this.isPaused) {
-      // Estimate position based on time elapsed
-      const wordsPerSecond = 2.5;
-      const estimatedWordsSpoken = Math.floor((Date.now() - this.speechStartTime) / 1000 * wordsPerSecond);
-      const words = this.currentText.split(' ');
-      position = Math.min(estimatedWordsSpoken, words.length);
+    const reading = this.tts.isSpeaking && !this.tts.isPaused;
+    this.commentWhileReading = keepReading && reading;
+    if (reading && !keepReading) {
+      this.pauseSpeaking();
     }
     
-    this.currentCommentPosition = position;
+    // Anchor the comment at the word that was being read (pausing above stored it).
+    // While reading goes on it is anchored again when saved.
+    this.currentCommentPosition = this.tts.isPaused || this.commentWhileReading ? this.tts.position : 0;
     this.showCommentDialog();
-    this.updateStatus('Comment mode - say "stop comment" when done', '#2196F3');
+    this.statusElement.style.display = 'block';
+    this.updateStatus(`Comment mode - say "${this.getPhraseHint('stopComment')}" when done`, '#2196F3');
     
-    // Stop main voice recognition completely
-    this.stopMainVoiceRecognition();
+    // Afterwards go back to listening for the wake word, or to how things were
+    // before push-to-talk
+    if (this.pushToTalkActive) {
+      this.pushToTalkActive = false;
+      this.modeAfterDictation = this.modeBeforePushToTalk;
+    } else {
+      this.modeAfterDictation = this.isEnabled ? 'wake' : 'idle';
+    }
+    if (this.wakeWordTimeout) {
+      clearTimeout(this.wakeWordTimeout);
+      this.wakeWordTimeout = null;
+    }
     
-    // Start comment-only voice recognition
-    this.startCommentOnlyRecognition();
+    // The recognizer switches to dictation with a fresh session
+    this.recognizer.setMode('dictation');
   }
 
   showCommentDialog() {
@@ -1673,7 +3213,7 @@ class VoiceCommandSystem {
         text-align: center;
         font-weight: bold;
         color: #2e7d32;
-      ">🎤 Recording... Say "stop comment" when finished</div>
+      ">🎤 Recording... Say "${this.getPhraseHint('stopComment')}" when finished</div>
       <div id="voice-transcript" style="
         width: 100%;
         height: 250px;
@@ -1689,187 +3229,46 @@ class VoiceCommandSystem {
         color: #333;
       ">Your comment will appear here as you speak...</div>
       <div style="text-align: center; color: #666; font-size: 12px;">
-        Say "stop comment" to save and close
+        Say "${this.getPhraseHint('stopComment')}" to save and close
       </div>
     `;
     
-    // Initialize voice recording variables
-    this.commentRecognition = null;
     this.commentTranscript = '';
-    this.isRecordingComment = false;
     
     // Add to DOM
     document.body.appendChild(this.commentDialog);
     console.log('Voice: Comment dialog created');
   }
 
-  stopMainVoiceRecognition() {
-    console.log('Voice: Stopping main voice recognition');
-    
-    // Set flag to prevent auto-restart
-    this.isEnabled = false;
-    this.isListening = false;
-    
-    if (this.recognition) {
-      // Remove all event listeners to prevent conflicts
-      this.recognition.onstart = null;
-      this.recognition.onresult = null;
-      this.recognition.onerror = null;
-      this.recognition.onend = null;
-      this.recognition.stop();
-      this.recognition = null;
-    }
-    
-    // Update button state
-    if (this.toggleButton) {
-      this.toggleButton.innerHTML = '🎤 Voice Off';
-      this.toggleButton.style.background = '#9E9E9E';
-    }
-  }
-
-  startCommentOnlyRecognition() {
-    console.log('Voice: Starting comment-only recognition');
-    
-    // Check if speech recognition is supported
-    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-      alert('Speech recognition not supported in this browser');
+  // Speech while dictating a comment: text for the comment until "stop comment"
+  handleDictationResult(finalTranscript, interimTranscript) {
+    // Check for "stop comment" command, scored like any other command so the words
+    // inside a dictated sentence don't end the comment
+    const fullText = finalTranscript + interimTranscript;
+    const stop = resolveCommand(fullText, ['stopComment', 'endComment'], this.getCommandLanguages());
+    if (stop.type === 'run') {
+      console.log('Voice: Stop comment command detected');
+      this.stopCommentAndSave();
       return;
     }
     
-    // Initialize speech recognition for comments only
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    this.commentRecognition = new SpeechRecognition();
-    
-    this.commentRecognition.continuous = true;
-    this.commentRecognition.interimResults = true;
-    this.commentRecognition.lang = 'en-US';
-    
-    // Set up event handlers
-    this.commentRecognition.onstart = () => {
-      this.isRecordingComment = true;
-      const statusElement = document.getElementById('voice-status');
-      if (statusElement) {
-        statusElement.textContent = '🎤 Recording comment... Say "stop comment" when done';
-        statusElement.style.background = '#e8f5e8';
-        statusElement.style.color = '#2e7d32';
-      }
-      console.log('Voice: Comment-only recognition started');
-    };
-    
-    this.commentRecognition.onresult = async (event) => {
-      let finalTranscript = '';
-      let interimTranscript = '';
-      
-      for (let i = event.resultIndex; i < event.results.length; i++) {
-        const transcript = event.results[i][0].transcript;
-        if (event.results[i].isFinal) {
-          finalTranscript += transcript;
-        } else {
-          interimTranscript += transcript;
-        }
-      }
-      
-      // Check for "stop comment" command
-      const fullText = (finalTranscript + interimTranscript).toLowerCase();
-      if (fullText.includes('stop comment')) {
-        console.log('Voice: Stop comment command detected');
-        // Only process if we haven't already processed this command
-        if (this.isRecordingComment) {
-          await this.stopCommentAndSave();
-        }
-        return;
-      }
-      
-      // Add to comment transcript
-      if (finalTranscript) {
-        this.commentTranscript += finalTranscript + ' ';
-        this.updateCommentDisplay();
-      }
-      
-      if (interimTranscript) {
-        this.updateCommentDisplay(interimTranscript);
-      }
-    };
-    
-    this.commentRecognition.onerror = async (event) => {
-      console.error('Comment recognition error:', event.error);
-      const statusElement = document.getElementById('voice-status');
-      if (statusElement) {
-        statusElement.textContent = `Error: ${event.error}`;
-        statusElement.style.background = '#ffebee';
-        statusElement.style.color = '#c62828';
-      }
-      await this.stopCommentAndSave();
-    };
-    
-    this.commentRecognition.onend = () => {
-      console.log('Voice: Comment recognition ended');
-      if (this.isRecordingComment) {
-        // Auto-restart if still recording
-        setTimeout(() => {
-          if (this.isRecordingComment) {
-            this.commentRecognition.start();
-          }
-        }, 100);
-      }
-    };
-    
-    // Start recording
-    try {
-      this.commentRecognition.start();
-    } catch (error) {
-      console.error('Failed to start comment recognition:', error);
-      const statusElement = document.getElementById('voice-status');
-      if (statusElement) {
-        statusElement.textContent = 'Failed to start recording';
-        statusElement.style.background = '#ffebee';
-        statusElement.style.color = '#c62828';
-      }
-    }
-  }
-
-  stopCommentRecording() {
-    console.log('Voice: Stopping comment recording');
-    
-    this.isRecordingComment = false;
-    
-    if (this.commentRecognition) {
-      this.commentRecognition.stop();
-      this.commentRecognition = null;
-    }
-    
-    // Restart main voice recognition if it was enabled
-    if (this.isEnabled && !this.isListening) {
-      console.log('Voice: Restarting main recognition after comment recording');
-      setTimeout(() => {
-        if (this.isEnabled && !this.isListening) {
-          this.startListening();
-        }
-      }, 1000);
-    }
-    
-    if (document.getElementById('voice-status')) {
-      document.getElementById('voice-status').textContent = 'Recording stopped';
-      document.getElementById('voice-status').style.background = '#f0f0f0';
-      document.getElementById('voice-status').style.color = '#666';
+    // Add to comment transcript
+    if (finalTranscript) {
+      this.commentTranscript += finalTranscript + ' ';
+      this.updateCommentDisplay();
     }
     
-    if (document.getElementById('start-recording')) {
-      document.getElementById('start-recording').style.display = 'inline-block';
-    }
-    if (document.getElementById('stop-recording')) {
-      document.getElementById('stop-recording').style.display = 'none';
+    if (interimTranscript) {
+      this.updateCommentDisplay(interimTranscript);
     }
   }
 
   async stopCommentAndSave() {
     console.log('Voice: Stopping comment and saving');
     
-    // Stop comment recognition
-    this.isRecordingComment = false;
-    if (this.commentRecognition) {
-      this.commentRecognition.stop();
-      this.commentRecognition = null;
+    // Stop dictating first so nothing more lands in the comment
+    if (this.recognizer.mode === 'dictation') {
+      this.recognizer.setMode(this.modeAfterDictation);
     }
     
     // Save comment if there's content
@@ -1877,52 +3276,16 @@ class VoiceCommandSystem {
       await this.saveComment(this.commentTranscript);
       this.updateStatus('Comment saved and dialog closed', '#4CAF50');
     } else {
-      this.updateStatus('No comment to save', '#FF9800');
+      this.updateStatus('No comment to save', '#FF9800', 'warning');
     }
+    this.commentTranscript = '';
+    this.commentWhileReading = false;
     
     // Close dialog
     if (this.commentDialog) {
       this.commentDialog.remove();
       this.commentDialog = null;
     }
-    
-    // Re-enable and create fresh main voice recognition
-    this.isEnabled = true;
-    setTimeout(() => {
-      if (this.isEnabled) {
-        this.initializeVoiceRecognition();
-        this.startListening();
-        
-        // Update button state to show voice is on
-        if (this.toggleButton) {
-          this.toggleButton.innerHTML = '🎤 Voice On';
-          this.toggleButton.style.background = '#4CAF50';
-        }
-      }
-    }, 1000);
-  }
-
-  async saveAndCloseComment() {
-    console.log('Voice: Saving and closing comment');
-    
-    if (this.commentTranscript.trim()) {
-      await this.saveComment(this.commentTranscript);
-      this.stopCommentRecording();
-      this.commentDialog.remove();
-      this.commentDialog = null;
-      this.updateStatus('Comment saved and dialog closed', '#4CAF50');
-      
-      // Restart main voice recognition
-      if (this.isEnabled && !this.isListening) {
-        setTimeout(() => {
-          if (this.isEnabled && !this.isListening) {
-            this.startListening();
-          }
-        }, 1000);
-      }
-    } else {
-      this.updateStatus('No comment to save', '#FF9800');
-    }
   }
 
   updateCommentDisplay(interimText = '') {
@@ -1942,20 +3305,27 @@ class VoiceCommandSystem {
   async saveComment(text) {
     // Get current assignment ID from URL
     const assignmentId = this.getCurrentAssignmentId();
+    const target = this.getCommentTarget();
+    if (this.commentWhileReading) {
+      this.currentCommentPosition = this.tts.position;
+    }
     
     const comment = {
       id: Date.now(),
       text: text,
       position: this.currentCommentPosition,
       timestamp: new Date().toLocaleString(),
-      fileName: cachedFileData ? cachedFileData.fileName : 'Unknown file',
+      fileId: target.fileId,
+      fileName: target.fileName,
       assignmentId: assignmentId
     };
     
     this.comments.push(comment);
     await this.saveCommentsToStorage();
     
-    this.updateStatus(`Comment saved at position ${this.currentCommentPosition}`, '#4CAF50');
+    // Announced once, with the comment-saved earcon rather than as a plain outcome
+    this.updateStatus(`Comment saved at word ${this.currentCommentPosition}`, '#4CAF50');
+    this.announce('commentSaved', `Comment saved at word ${this.currentCommentPosition}`);
     console.log('Voice: Comment saved:', comment);
   }
 
@@ -2265,48 +3635,86 @@ class VoiceCommandSystem {
   jumpToComment(position) {
     console.log('Voice: Jumping to comment position:', position);
     
+    // Comment positions are word offsets into the whole document
     if (this.currentText) {
-      // Stop current speech
-      this.synthesis.cancel();
-      
-      // Calculate text from position
-      const words = this.currentText.split(' ');
-      const remainingWords = words.slice(position);
-      const remainingText = remainingWords.join(' ');
-      
-      if (remainingText.trim()) {
-        this.currentPosition = position;
-        this.startSpeaking(remainingText);
-        this.updateStatus(`Jumped to comment position ${position}`, '#4CAF50');
+      if (position < this.tts.getWordCount()) {
+        this.startSpeaking(position);
+        this.updateStatus(`Jumped to comment position ${position}`, '#4CAF50', 'success');
       } else {
-        this.updateStatus('No text at comment position', '#FF9800');
+        this.updateStatus('No text at comment position', '#FF9800', 'warning');
       }
     } else {
-      this.updateStatus('No text available to jump to', '#FF9800');
+      this.updateStatus('No text available to jump to', '#FF9800', 'warning');
     }
   }
 
   async deleteComment(commentId) {
-    this.comments = this.comments.filter(comment => comment.id !== commentId);
-    await this.saveCommentsToStorage();
+    await this.trashComments(comment => comment.id === commentId, 'Comment deleted');
     await this.showComments(); // Refresh the display
-    this.updateStatus('Comment deleted', '#4CAF50');
   }
 
   async clearComments() {
-    this.comments = [];
-    await this.saveCommentsToStorage();
-    this.updateStatus('All comments cleared', '#4CAF50');
+    await this.trashComments(() => true, 'All comments cleared');
     console.log('Voice: All comments cleared');
   }
 
   async clearCommentsForAssignment(assignmentId) {
-    this.comments = this.comments.filter(comment => comment.assignmentId !== assignmentId);
-    await this.saveCommentsToStorage();
-    this.updateStatus(`Comments cleared for assignment ${assignmentId}`, '#4CAF50');
+    await this.trashComments(comment => comment.assignmentId === assignmentId, `Comments cleared for assignment ${assignmentId}`);
     console.log('Voice: Comments cleared for assignment:', assignmentId);
   }
 
+  // Move the comments matching `predicate` to the trash and offer to undo it.
+  // Comments are only removed once the trash has them.
+  async trashComments(predicate, label) {
+    await this.loadCommentsFromStorage();
+    const removed = this.comments.filter(predicate);
+    if (removed.length === 0) {
+      this.updateStatus('No comments to delete', '#FF9800', 'warning');
+      return;
+    }
+    
+    let batch;
+    try {
+      batch = await moveCommentsToTrash(removed, label);
+    } catch (error) {
+      console.error('Voice: Could not move comments to trash:', error);
+      this.updateStatus('Could not delete comments - nothing was changed', '#F44336', 'error');
+      return;
+    }
+    
+    this.comments = this.comments.filter(comment => !predicate(comment));
+    await this.saveCommentsToStorage();
+    
+    const count = removed.length === 1 ? '1 comment' : `${removed.length} comments`;
+    this.updateStatus(`${label} - ${count} moved to trash. Say "${this.getPhraseHint('restoreComments')}" to undo.`, '#4CAF50', 'success');
+    this.showToast(`${label} (${count})`, [
+      ['Undo', '#4CAF50', () => this.restoreComments(batch.id)]
+    ], COMMENT_UNDO_SECONDS);
+  }
+
+  // Put a batch from the trash back: the given one, or the last one deleted
+  async restoreComments(batchId) {
+    this.hideToast();
+    const batch = await takeFromCommentTrash(batchId);
+    if (!batch) {
+      this.updateStatus('No deleted comments to restore', '#FF9800', 'warning');
+      return;
+    }
+    
+    // Skip any that are somehow back already
+    await this.loadCommentsFromStorage();
+    const existing = new Set(this.comments.map(comment => comment.id));
+    const restored = batch.comments.filter(comment => !existing.has(comment.id));
+    this.comments = [...this.comments, ...restored].sort((a, b) => a.id - b.id);
+    await this.saveCommentsToStorage();
+    
+    if (this.commentDisplay) {
+      await this.showComments();
+    }
+    this.updateStatus(`Restored ${restored.length === 1 ? '1 comment' : `${restored.length} comments`} (${batch.label}, ${batch.deletedAt})`, '#4CAF50', 'success');
+    console.log('Voice: Restored', restored.length, 'comments from trash');
+  }
+
   async summarizeComments() {
     console.log('Voice: Summarizing comments');
     
@@ -2321,7 +3729,7 @@ class VoiceCommandSystem {
     const assignmentComments = this.comments.filter(comment => comment.assignmentId === currentAssignmentId);
     
     if (assignmentComments.length === 0) {
-      this.updateStatus('No comments to summarize for this assignment', '#FF9800');
+      this.updateStatus('No comments to summarize for this assignment', '#FF9800', 'warning');
       return;
     }
 
@@ -2367,6 +3775,10 @@ Write professional, formal feedback that converts the teacher's comments into pr
       this.showSummaryDialog(summary);
       
     } catch (error) {
+      if (error.name === 'AbortError') {
+        this.updateStatus('OCR cancelled - summary not generated', '#9E9E9E');
+        return;
+      }
       console.error('Error generating summary:', error);
       // Even if there's an error, try to show a basic summary
       try {
@@ -2374,70 +3786,23 @@ Write professional, formal feedback that converts the teacher's comments into pr
         this.showSummaryDialog(basicSummary);
       } catch (fallbackError) {
         console.error('Fallback summary also failed:', fallbackError);
-        this.updateStatus('Failed to generate summary', '#F44336');
+        this.updateStatus('Failed to generate summary', '#F44336', 'error');
       }
     }
   }
 
   async getPDFText() {
-    if (!cachedFileData || !cachedFileData.cachedBlob) {
+    // Same extraction that Extract and Speak use
+    const result = cachedFileData ? await extractDocument(cachedFileData) : null;
+    if (!result) {
       throw new Error('No PDF data available');
     }
 
-    // Convert base64 back to blob
-    const binaryString = atob(cachedFileData.cachedBlob);
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-      bytes[i] = binaryString.charCodeAt(i);
-    }
-    const blob = new Blob([bytes], { type: 'application/pdf' });
-
-    try {
-      // Try PDF.js text extraction first
-      const text = await this.extractTextFromPDF(blob);
-      if (text && text.trim().length > 0) {
-        console.log('Voice: PDF text extracted successfully using PDF.js');
-        return text;
-      }
-    } catch (error) {
-      console.log('Voice: PDF.js extraction failed, trying OCR:', error);
+    console.log('Voice: Document text for summary:', describeExtraction(result));
+    if (result.fromCache) {
+      this.updateStatus('Generating summary (using cached extraction)...', '#2196F3');
     }
-
-    // Fallback to OCR if PDF.js fails
-    console.log('Voice: Falling back to OCR extraction');
-    const text = await extractTextFromImage(blob);
-    return text;
-  }
-
-  async extractTextFromPDF(blob) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = async function() {
-        try {
-          // Set up PDF.js worker
-          if (typeof pdfjsLib !== 'undefined') {
-            pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
-          }
-
-          const typedArray = new Uint8Array(reader.result);
-          const pdf = await pdfjsLib.getDocument(typedArray).promise;
-          let fullText = '';
-
-          for (let i = 1; i <= pdf.numPages; i++) {
-            const page = await pdf.getPage(i);
-            const textContent = await page.getTextContent();
-            const pageText = textContent.items.map(item => item.str).join(' ');
-            fullText += pageText + '\n';
-          }
-
-          resolve(fullText);
-        } catch (error) {
-          reject(error);
-        }
-      };
-      reader.onerror = reject;
-      reader.readAsArrayBuffer(blob);
-    });
+    return result.text;
   }
 
   async callGeminiAPI(prompt) {
@@ -2738,7 +4103,7 @@ Write professional, formal feedback that converts the teacher's comments into pr
       console.log('Voice: Summary dialog event listeners added');
     }, 10);
 
-    this.updateStatus('Summary generated successfully', '#4CAF50');
+    this.updateStatus('Summary generated successfully', '#4CAF50', 'success');
   }
 
   async saveCommentsToStorage() {
@@ -2747,6 +4112,7 @@ Write professional, formal feedback that converts the teacher's comments into pr
         'voice_comments': this.comments
       });
       console.log('Voice: Comments saved to storage, count:', this.comments.length);
+      this.readerPanel.setComments(this.getFileComments());
     } catch (error) {
       console.error('Voice: Error saving comments:', error);
     }
@@ -2791,10 +4157,16 @@ Write professional, formal feedback that converts the teacher's comments into pr
       const commentsResult = await browserAPI.storage.local.get(['voice_comments']);
       console.log('Voice: Comments storage:', commentsResult);
       
-      this.updateStatus(`Storage debug complete - check console`, '#2196F3');
+      const cacheIndex = await browserAPI.runtime.sendMessage({ type: 'GET_CACHE_INDEX' });
+      console.log('Voice: Background cache index:', cacheIndex);
+      
+      const cachedFiles = await fileCache.listEntries();
+      console.log('Voice: Files in IndexedDB cache:', cachedFiles);
+      
+      this.updateStatus(`Storage debug complete - check console`, '#2196F3', 'success');
     } catch (error) {
       console.error('Voice: Storage debug failed:', error);
-      this.updateStatus('Storage debug failed', '#F44336');
+      this.updateStatus('Storage debug failed', '#F44336', 'error');
     }
   }
 
@@ -2802,43 +4174,97 @@ Write professional, formal feedback that converts the teacher's comments into pr
     console.log('Voice: Force reloading comments...');
     await this.loadCommentsFromStorage(() => {
       console.log('Voice: Comments force reloaded, count:', this.comments.length);
-      this.updateStatus(`Comments reloaded: ${this.comments.length} found`, '#4CAF50');
+      this.updateStatus(`Comments reloaded: ${this.comments.length} found`, '#4CAF50', 'success');
     });
   }
 
   showVoiceCommands() {
     const commands = [
       'Voice Commands:',
-      'First say "Hey Schoology" to activate',
+      voiceSettings.activation === 'pushToTalk'
+        ? `First press ${PUSH_TO_TALK_DEFAULT_KEY} (or click 🎤) to talk`
+        : `First say "${this.wakeWord}" to activate`,
       'Then use commands like:',
       '"Download" - Download file directly',
       '"Extract" or "Read" - Extract text & copy to clipboard',
       '"OCR" or "Scan" - OCR text & copy to clipboard',
+      '"Cancel OCR" - Stop the running OCR job',
+      '"OCR settings" - Image clean-up before OCR',
+      '"Next file" / "Previous file" - Switch the active file',
+      '"List files" - Show all files on this page',
       '"Speak" or "Read aloud" - Read text with voice',
+      '"Open reader" / "Close reader" - Show the document text while it is read',
+      '"Read page" - Read the instructions, discussion and materials on this page',
+      '"Student Maria" - Open a student from the grading list',
+      '"Next section" / "Previous section" - Move between page sections',
       '"Pause" - Pause speech',
       '"Resume" or "Continue" - Resume speech',
-      '"Skip" or "Forward" - Skip 10 seconds',
+      '"Play pause" - Pause or resume, whichever applies',
+      '"Skip" or "Forward" - Skip 10 seconds ("skip 30 seconds", "back 2 minutes")',
       '"Back" or "Rewind" - Go back 10 seconds',
+      '"Next paragraph" / "Previous paragraph" - Move by paragraph',
+      '"Go to page 3" - Read from a page',
+      '"Repeat" - Read the last sentence again',
+      '"Faster" / "Slower" - Change the reading speed',
+      '"Voice settings" - Pick the voice, rate, pitch and volume',
       '"Add comment" - Start voice comment mode',
+      '"Comment mode" - Dictate a comment while reading continues',
       '"Show comments" - View all comments',
       '"Summarize comments" - Generate AI summary',
+      '"Clear comments" - Delete all comments (asks first, and they go to the trash)',
+      '"Restore comments" - Bring back the last deleted comments',
+      '"Check engines" - Show which engines work offline',
       '"Sleep" or "Goodbye" - Deactivate wake mode',
+      '"Custom commands" - Wake word, push-to-talk and your own phrases and macros',
+      '"Keyboard shortcuts" - Show and change the keys for each command (Alt+Shift+/)',
+      '"Spoken feedback" - Turn spoken confirmations of results on or off',
       '"Help" - Show this help'
     ];
     
+    if (this.canExportAudio()) {
+      commands.push('"Export audio" (or "export audio as ogg") - Save the document as an audio file');
+    }
+    
+    // The user's own phrases and macros
+    customCommands.phrases.forEach(({ phrase, action }) => {
+      commands.push(`"${phrase}" - Same as "${describeCommandAction(action)}"`);
+    });
+    customCommands.macros.forEach(macro => {
+      commands.push(`"${macro.phrase}" - Macro: ${macro.steps.map(describeCommandAction).join(' → ')}`);
+    });
+    
     this.updateStatus(commands.join(' | '), '#2196F3');
-    setTimeout(() => this.updateStatus('Say "Hey Schoology" to activate', '#9E9E9E'), 5000);
+    setTimeout(() => this.updateStatus(this.getActivationHint(), '#9E9E9E'), 5000);
   }
 }
 
 // Initialize voice command system when page loads
 let voiceSystem = null;
 
+// Result of the startup offline engine self-check (engine-check.js)
+let offlineEngineReport = null;
+
 // Initialize the extension
 async function initializeExtension() {
   // Load config first
   await loadConfig();
   
+  // Apply the configured file cache quota and drop the old base64 cache
+  if (typeof config !== 'undefined' && config.FILE_CACHE_MAX_MB) {
+    fileCache.setQuota(config.FILE_CACHE_MAX_MB * 1024 * 1024);
+  }
+  purgeLegacyFileCache();
+  restoreTabFiles();
+  await loadPreprocessSettings();
+  await loadTTSSettings();
+  await loadCustomCommands();
+  await loadVoiceSettings();
+  await loadKeyboardShortcuts();
+  await loadAudioFeedbackSettings();
+  runOfflineSelfCheck().then(report => {
+    offlineEngineReport = report;
+  });
+  
   // Initialize voice system
   voiceSystem = new VoiceCommandSystem();
 }
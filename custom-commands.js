@@ -0,0 +1,94 @@
+// User-defined voice commands
+// Extra trigger phrases for built-in actions, and macros: one phrase that runs
+// several actions in a row (e.g. "grade mode" = extract, speak, comment mode).
+// Both are matched by the command grammar alongside the built-in phrases.
+
+const CUSTOM_COMMANDS_KEY = 'custom_commands';
+
+// phrases: [{ phrase, action }]
+// macros:  [{ id, phrase, steps: [action, ...] }]
+let customCommands = { phrases: [], macros: [] };
+
+async function loadCustomCommands() {
+  try {
+    const result = await browserAPI.storage.local.get([CUSTOM_COMMANDS_KEY]);
+    const stored = result[CUSTOM_COMMANDS_KEY] || {};
+    customCommands = {
+      phrases: stored.phrases || [],
+      macros: stored.macros || []
+    };
+  } catch (error) {
+    console.error('CustomCommands: Error loading:', error);
+  }
+  return customCommands;
+}
+
+async function saveCustomCommands(commands) {
+  customCommands = commands;
+  try {
+    await browserAPI.storage.local.set({ [CUSTOM_COMMANDS_KEY]: customCommands });
+    console.log('CustomCommands: Saved', customCommands.phrases.length, 'phrases,', customCommands.macros.length, 'macros');
+  } catch (error) {
+    console.error('CustomCommands: Error saving:', error);
+  }
+  return customCommands;
+}
+
+// Registry name for a macro, e.g. "macro:1700000000000"
+function getMacroAction(macro) {
+  return `macro:${macro.id}`;
+}
+
+// Custom phrases by action, in the shape matchCommand takes as context.phrases
+function getCustomCommandPhrases(commands = customCommands) {
+  const phrases = {};
+  commands.phrases.forEach(({ phrase, action }) => {
+    (phrases[action] = phrases[action] || []).push(phrase);
+  });
+  commands.macros.forEach(macro => {
+    phrases[getMacroAction(macro)] = [macro.phrase];
+  });
+  return phrases;
+}
+
+// Readable name for a built-in action: its first English phrase
+function describeCommandAction(action) {
+  const phrase = getCommandPhrases(DEFAULT_LANGUAGE, action)[0];
+  if (!phrase) return action;
+  return Array.isArray(phrase) ? phrase.join(' ') : phrase;
+}
+
+// Whether a phrase is already taken by another custom phrase or macro
+function isCustomPhraseTaken(phrase, commands = customCommands) {
+  const words = tokenizeCommand(phrase).join(' ');
+  return commands.phrases.some(entry => tokenizeCommand(entry.phrase).join(' ') === words) ||
+    commands.macros.some(macro => tokenizeCommand(macro.phrase).join(' ') === words);
+}
+
+function addCustomPhrase(phrase, action) {
+  return saveCustomCommands({
+    ...customCommands,
+    phrases: [...customCommands.phrases, { phrase: phrase.trim(), action: action }]
+  });
+}
+
+function removeCustomPhrase(index) {
+  return saveCustomCommands({
+    ...customCommands,
+    phrases: customCommands.phrases.filter((_, i) => i !== index)
+  });
+}
+
+function addMacro(phrase, steps) {
+  return saveCustomCommands({
+    ...customCommands,
+    macros: [...customCommands.macros, { id: Date.now(), phrase: phrase.trim(), steps: steps }]
+  });
+}
+
+function removeMacro(id) {
+  return saveCustomCommands({
+    ...customCommands,
+    macros: customCommands.macros.filter(macro => macro.id !== id)
+  });
+}
@@ -0,0 +1,504 @@
+// Client-side text extractors for non-PDF submissions
+// Word (.docx), PowerPoint (.pptx), OpenDocument (.odt), plain text, RTF and HTML.
+// Each extractor takes a Blob and returns page entries in the same shape as the PDF
+// extractor, so extractText() can build one structured result for every format.
+
+const DOCUMENT_EXTRACTORS = [
+  {
+    method: 'docx',
+    extensions: ['docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extract: blob => extractDocxPages(blob)
+  },
+  {
+    method: 'pptx',
+    extensions: ['pptx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    extract: blob => extractPptxPages(blob)
+  },
+  {
+    method: 'odt',
+    extensions: ['odt'],
+    mimeTypes: ['application/vnd.oasis.opendocument.text'],
+    extract: blob => extractOdtPages(blob)
+  },
+  {
+    method: 'text',
+    extensions: ['txt', 'text', 'md', 'csv'],
+    mimeTypes: ['text/plain', 'text/markdown', 'text/csv'],
+    extract: blob => extractPlainTextPages(blob)
+  },
+  {
+    method: 'rtf',
+    extensions: ['rtf'],
+    mimeTypes: ['application/rtf', 'text/rtf'],
+    extract: blob => extractRtfPages(blob)
+  },
+  {
+    method: 'html',
+    extensions: ['html', 'htm'],
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extract: blob => extractHtmlPages(blob)
+  }
+];
+
+// Extractor for a file, matched on its extension first since Schoology often
+// serves the wrong content type
+function findDocumentExtractor(fileExtension, blobType) {
+  return DOCUMENT_EXTRACTORS.find(extractor => extractor.extensions.includes(fileExtension)) ||
+    DOCUMENT_EXTRACTORS.find(extractor => extractor.mimeTypes.includes(blobType)) ||
+    null;
+}
+
+// Recognize Office/OpenDocument files from their contents when the name and type
+// don't say what they are (untyped blobs are cached as application/pdf)
+async function sniffDocumentExtractor(blob) {
+  const signature = new Uint8Array(await blob.slice(0, 4).arrayBuffer());
+  const isZip = signature[0] === 0x50 && signature[1] === 0x4B && signature[2] === 0x03 && signature[3] === 0x04;
+  if (!isZip) {
+    return null;
+  }
+
+  try {
+    const zip = await openZip(blob);
+    const method = zip.entries.has('word/document.xml') ? 'docx'
+      : zip.entries.has('ppt/presentation.xml') ? 'pptx'
+        : zip.entries.has('content.xml') ? 'odt'
+          : null;
+    return DOCUMENT_EXTRACTORS.find(extractor => extractor.method === method) || null;
+  } catch (error) {
+    console.error('Extraction: Could not read zip file:', error);
+    return null;
+  }
+}
+
+function createDocumentPage(pageNumber, text, method, startTime) {
+  return {
+    pageNumber: pageNumber,
+    text: text.trim(),
+    method: method,
+    confidence: null,
+    durationMs: Math.round(performance.now() - startTime)
+  };
+}
+
+// Split text on page breaks into page entries (a document without breaks is one page)
+function splitDocumentPages(text, method, startTime, pageBreak = '\f') {
+  return text.split(pageBreak).map((pageText, index) => createDocumentPage(index + 1, pageText, method, startTime));
+}
+
+// Minimal ZIP reader for the Office formats: reads the central directory and inflates
+// single entries with the browser's DecompressionStream. ZIP64 archives aren't supported.
+async function openZip(blob) {
+  const buffer = await blob.arrayBuffer();
+  const view = new DataView(buffer);
+
+  // The end of central directory record sits in the last 22 bytes plus an optional comment
+  let endOffset = -1;
+  for (let offset = buffer.byteLength - 22; offset >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); offset--) {
+    if (view.getUint32(offset, true) === 0x06054B50) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Not a zip file');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const decoder = new TextDecoder('utf-8');
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== 0x02014B50) {
+      throw new Error('Corrupt zip central directory');
+    }
+
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    entries.set(name, {
+      compression: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localHeaderOffset: view.getUint32(offset + 42, true)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return { buffer: buffer, entries: entries };
+}
+
+// Contents of one zip entry as text, or null if the archive doesn't have it
+async function readZipText(zip, name) {
+  const entry = zip.entries.get(name);
+  if (!entry) {
+    return null;
+  }
+
+  const view = new DataView(zip.buffer);
+  const headerOffset = entry.localHeaderOffset;
+  const dataOffset = headerOffset + 30 + view.getUint16(headerOffset + 26, true) + view.getUint16(headerOffset + 28, true);
+  const data = new Uint8Array(zip.buffer, dataOffset, entry.compressedSize);
+
+  let bytes;
+  if (entry.compression === 0) {
+    bytes = data;
+  } else if (entry.compression === 8) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  } else {
+    throw new Error(`Unsupported zip compression method ${entry.compression} for ${name}`);
+  }
+
+  return new TextDecoder('utf-8').decode(bytes);
+}
+
+async function readZipXml(zip, name) {
+  const text = await readZipText(zip, name);
+  return text === null ? null : new DOMParser().parseFromString(text, 'application/xml');
+}
+
+// Text of every paragraph element in document order. Paragraphs nested in another
+// (text boxes, notes) are read as paragraphs of their own rather than twice.
+// options.textTags: elements holding text (null means every text node counts)
+// options.skipTags: subtrees to ignore, e.g. Word's fallback copies of drawings
+// options.renderElement(element): text for inline elements like tabs and breaks,
+// or undefined to read the element's children
+function readXmlParagraphs(root, paragraphTags, options) {
+  const paragraphs = [];
+
+  const readNode = (node, paragraph, inText) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        if (inText || !options.textTags) {
+          paragraph.text += child.nodeValue;
+        }
+        continue;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE || options.skipTags.includes(child.tagName)) {
+        continue;
+      }
+
+      if (paragraphTags.includes(child.tagName)) {
+        readParagraph(child);
+        continue;
+      }
+
+      const rendered = options.renderElement(child, paragraph);
+      if (rendered !== undefined) {
+        paragraph.text += rendered;
+        continue;
+      }
+
+      readNode(child, paragraph, inText || (options.textTags !== null && options.textTags.includes(child.tagName)));
+    }
+  };
+
+  const readParagraph = element => {
+    const paragraph = { text: '', pageBreakBefore: false };
+    paragraphs.push(paragraph);
+    readNode(element, paragraph, false);
+  };
+
+  const findParagraphs = node => {
+    for (const child of node.children) {
+      if (options.skipTags.includes(child.tagName)) continue;
+      if (paragraphTags.includes(child.tagName)) {
+        readParagraph(child);
+      } else {
+        findParagraphs(child);
+      }
+    }
+  };
+
+  findParagraphs(root);
+  return paragraphs;
+}
+
+// Word: word/document.xml, split into pages at hard page breaks and at the page
+// breaks Word recorded the last time it laid out the document
+async function extractDocxPages(blob) {
+  const startTime = performance.now();
+  const zip = await openZip(blob);
+  const xml = await readZipXml(zip, 'word/document.xml');
+  if (!xml) {
+    throw new Error('word/document.xml not found');
+  }
+
+  const paragraphs = readXmlParagraphs(xml.documentElement, ['w:p'], {
+    textTags: ['w:t'],
+    // w:pPr holds paragraph properties, including w:tab tab-stop definitions
+    skipTags: ['mc:Fallback', 'w:instrText', 'w:delText', 'w:pPr'],
+    renderElement: (element, paragraph) => {
+      switch (element.tagName) {
+        case 'w:tab':
+          return '\t';
+        case 'w:cr':
+          return '\n';
+        case 'w:br':
+          if (element.getAttribute('w:type') === 'page') {
+            return '\f';
+          }
+          return '\n';
+        case 'w:lastRenderedPageBreak':
+          // Only counts at the start of a paragraph; mid-paragraph it splits a sentence
+          if (paragraph.text.length === 0) {
+            paragraph.pageBreakBefore = true;
+          }
+          return '';
+        default:
+          return undefined;
+      }
+    }
+  });
+
+  const text = paragraphs.map(paragraph => (paragraph.pageBreakBefore ? '\f' : '') + paragraph.text).join('\n');
+  return splitDocumentPages(text, 'docx', startTime);
+}
+
+// Slide files in presentation order, from ppt/presentation.xml and its relationships
+async function getPptxSlidePaths(zip) {
+  const presentation = await readZipXml(zip, 'ppt/presentation.xml');
+  const relationships = await readZipXml(zip, 'ppt/_rels/presentation.xml.rels');
+
+  if (presentation && relationships) {
+    const targets = {};
+    for (const relationship of relationships.getElementsByTagName('Relationship')) {
+      targets[relationship.getAttribute('Id')] = relationship.getAttribute('Target');
+    }
+
+    const paths = Array.from(presentation.getElementsByTagName('p:sldId'))
+      .map(slide => targets[slide.getAttribute('r:id')])
+      .filter(target => target)
+      .map(target => target.startsWith('/') ? target.slice(1) : `ppt/${target}`);
+    if (paths.length > 0) {
+      return paths;
+    }
+  }
+
+  // Fall back to file name order (slide1.xml, slide2.xml, ...)
+  const slideNumber = path => parseInt(path.match(/slide(\d+)\.xml$/)[1], 10);
+  return Array.from(zip.entries.keys())
+    .filter(path => /^ppt\/slides\/slide\d+\.xml$/.test(path))
+    .sort((a, b) => slideNumber(a) - slideNumber(b));
+}
+
+// PowerPoint: one page per slide
+async function extractPptxPages(blob) {
+  const startTime = performance.now();
+  const zip = await openZip(blob);
+  const slidePaths = await getPptxSlidePaths(zip);
+  const pages = [];
+
+  for (const slidePath of slidePaths) {
+    const xml = await readZipXml(zip, slidePath);
+    if (!xml) continue;
+
+    const paragraphs = readXmlParagraphs(xml.documentElement, ['a:p'], {
+      textTags: ['a:t'],
+      skipTags: ['mc:Fallback'],
+      renderElement: element => element.tagName === 'a:br' ? '\n' : undefined
+    });
+    const text = paragraphs.map(paragraph => paragraph.text).filter(line => line.trim()).join('\n');
+    pages.push(createDocumentPage(pages.length + 1, text, 'pptx', startTime));
+  }
+
+  return pages;
+}
+
+// OpenDocument text: content.xml, split at soft page breaks when the file has them
+async function extractOdtPages(blob) {
+  const startTime = performance.now();
+  const zip = await openZip(blob);
+  const xml = await readZipXml(zip, 'content.xml');
+  if (!xml) {
+    throw new Error('content.xml not found');
+  }
+
+  const body = xml.getElementsByTagName('office:body')[0] || xml.documentElement;
+  const paragraphs = readXmlParagraphs(body, ['text:p', 'text:h'], {
+    textTags: null,
+    skipTags: ['office:annotation', 'text:tracked-changes'],
+    renderElement: (element, paragraph) => {
+      switch (element.tagName) {
+        case 'text:s':
+          return ' '.repeat(parseInt(element.getAttribute('text:c') || '1', 10));
+        case 'text:tab':
+          return '\t';
+        case 'text:line-break':
+          return '\n';
+        case 'text:soft-page-break':
+          if (paragraph.text.length === 0) {
+            paragraph.pageBreakBefore = true;
+          }
+          return '';
+        default:
+          return undefined;
+      }
+    }
+  });
+
+  const text = paragraphs.map(paragraph => (paragraph.pageBreakBefore ? '\f' : '') + paragraph.text).join('\n');
+  return splitDocumentPages(text, 'odt', startTime);
+}
+
+// Decode text files, honouring a UTF-16 byte order mark
+async function readTextBlob(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let encoding = 'utf-8';
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    encoding = 'utf-16le';
+  } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    encoding = 'utf-16be';
+  }
+  return new TextDecoder(encoding).decode(bytes);
+}
+
+// Plain text: form feeds mark pages
+async function extractPlainTextPages(blob) {
+  const startTime = performance.now();
+  const text = await readTextBlob(blob);
+  return splitDocumentPages(text.replace(/\r\n?/g, '\n'), 'text', startTime);
+}
+
+// RTF groups whose contents are formatting data, not document text
+const RTF_SKIPPED_DESTINATIONS = [
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer',
+  'headerl', 'headerr', 'headerf', 'footerl', 'footerr', 'footerf', 'listtable',
+  'listoverridetable', 'rsidtbl', 'themedata', 'colorschememapping', 'datastore',
+  'latentstyles', 'generator', 'xmlnstbl', 'fldinst', 'filetbl', 'revtbl'
+];
+
+const RTF_SYMBOLS = {
+  par: '\n', line: '\n', sect: '\n', row: '\n', cell: '\t', tab: '\t', page: '\f',
+  emdash: '—', endash: '–', bullet: '•',
+  lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”'
+};
+
+// Convert RTF to plain text: keeps text, paragraph/page breaks and escaped characters,
+// drops formatting and embedded objects
+function rtfToText(rtf) {
+  const codePage = new TextDecoder('windows-1252');
+  const stack = [];
+  let skipping = false;
+  let unicodeFallbackLength = 1;
+  let fallbackToSkip = 0;
+  let text = '';
+
+  const append = value => {
+    if (skipping) return;
+    if (fallbackToSkip > 0) {
+      fallbackToSkip--;
+      return;
+    }
+    text += value;
+  };
+
+  for (let i = 0; i < rtf.length; i++) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      stack.push({ skipping, unicodeFallbackLength });
+      continue;
+    }
+    if (char === '}') {
+      const state = stack.pop();
+      if (state) {
+        ({ skipping, unicodeFallbackLength } = state);
+      }
+      fallbackToSkip = 0;
+      continue;
+    }
+    if (char === '\r' || char === '\n') {
+      continue;
+    }
+    if (char !== '\\') {
+      append(char);
+      continue;
+    }
+
+    // Control symbol or control word
+    const next = rtf[i + 1];
+    if (next === '\\' || next === '{' || next === '}') {
+      append(next);
+      i++;
+    } else if (next === '\'') {
+      append(codePage.decode(new Uint8Array([parseInt(rtf.substr(i + 2, 2), 16)])));
+      i += 3;
+    } else if (next === '*') {
+      skipping = true;
+      i++;
+    } else if (next === '~') {
+      append(' ');
+      i++;
+    } else if (next === '\r' || next === '\n') {
+      append('\n');
+      i++;
+    } else {
+      const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+      if (!match) {
+        i++;
+        continue;
+      }
+      i += match[0].length;
+
+      const word = match[1];
+      const parameter = match[2] !== undefined ? parseInt(match[2], 10) : null;
+
+      if (RTF_SKIPPED_DESTINATIONS.includes(word)) {
+        skipping = true;
+      } else if (word === 'uc' && parameter !== null) {
+        unicodeFallbackLength = parameter;
+      } else if (word === 'u' && parameter !== null) {
+        append(String.fromCharCode(parameter < 0 ? parameter + 65536 : parameter));
+        fallbackToSkip = unicodeFallbackLength;
+      } else if (RTF_SYMBOLS[word]) {
+        append(RTF_SYMBOLS[word]);
+      }
+    }
+  }
+
+  return text;
+}
+
+async function extractRtfPages(blob) {
+  const startTime = performance.now();
+  const rtf = await blob.text();
+  return splitDocumentPages(rtfToText(rtf), 'rtf', startTime);
+}
+
+const HTML_BLOCK_TAGS = [
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BR', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION',
+  'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL',
+  'P', 'PRE', 'SECTION', 'TABLE', 'TR', 'UL'
+];
+
+// HTML: visible text with line breaks at block elements
+async function extractHtmlPages(blob) {
+  const startTime = performance.now();
+  const html = await readTextBlob(blob);
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll('script, style, noscript, template').forEach(element => element.remove());
+
+  let text = '';
+  const readNode = node => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        text += child.nodeValue.replace(/\s+/g, ' ');
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        const isBlock = HTML_BLOCK_TAGS.includes(child.tagName);
+        if (isBlock) text += '\n';
+        readNode(child);
+        if (child.tagName === 'TD' || child.tagName === 'TH') text += '\t';
+        if (isBlock) text += '\n';
+      }
+    }
+  };
+  readNode(doc.body || doc.documentElement);
+
+  const cleaned = text.split('\n').map(line => line.trim()).filter(line => line).join('\n');
+  return [createDocumentPage(1, cleaned, 'html', startTime)];
+}
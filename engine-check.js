@@ -0,0 +1,112 @@
+// Startup self-check for the offline engines
+// Every PDF and OCR asset is bundled with the extension; this confirms the files are
+// actually present so a missing download shows up in the log instead of as a silent
+// OCR failure on a locked-down network.
+
+// Extension files each engine needs, relative to the extension root
+function getOfflineEngineAssets() {
+  const ocrLanguageData = Object.values(LANGUAGES).map(language => getOCRLanguageDataPath(language.tesseract));
+  return {
+    pdf: ['pdf.worker.min.js'],
+    ocr: [OCR_WORKER_PATH, OCR_CORE_PATH, ...ocrLanguageData],
+    audioExport: [AUDIO_ENGINE_WORKER_PATH, AUDIO_ENGINE_DATA_PATH]
+  };
+}
+
+async function isExtensionAssetAvailable(path) {
+  try {
+    const response = await fetch(browserAPI.runtime.getURL(path), { method: 'HEAD' });
+    return response.ok;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function findMissingAssets(paths) {
+  const missing = [];
+  for (const path of paths) {
+    if (!(await isExtensionAssetAvailable(path))) {
+      missing.push(path);
+    }
+  }
+  return missing;
+}
+
+// Report which engines work without a network connection.
+// Returns { pdf, ocr, tts, audioExport, speechRecognition } with available/missing/detail fields.
+async function checkOfflineEngines() {
+  const assets = getOfflineEngineAssets();
+
+  const pdfMissing = await findMissingAssets(assets.pdf);
+  const ocrMissing = await findMissingAssets(assets.ocr);
+  const audioExportMissing = await findMissingAssets(assets.audioExport);
+
+  // OCR works per language as long as the worker, core and that language's data are there
+  const ocrLanguages = {};
+  Object.entries(LANGUAGES).forEach(([code, language]) => {
+    ocrLanguages[code] = typeof Tesseract !== 'undefined' &&
+      !ocrMissing.includes(OCR_WORKER_PATH) &&
+      !ocrMissing.includes(OCR_CORE_PATH) &&
+      !ocrMissing.includes(getOCRLanguageDataPath(language.tesseract));
+  });
+
+  // Voices are loaded asynchronously; count whatever is there so far
+  const voices = 'speechSynthesis' in window ? speechSynthesis.getVoices() : [];
+  const localVoices = voices.filter(voice => voice.localService);
+
+  return {
+    pdf: {
+      available: typeof pdfjsLib !== 'undefined' && pdfMissing.length === 0,
+      missing: pdfMissing
+    },
+    ocr: {
+      available: Object.values(ocrLanguages).some(Boolean),
+      languages: ocrLanguages,
+      missing: ocrMissing
+    },
+    tts: {
+      available: localVoices.length > 0,
+      detail: `${localVoices.length} local voice(s)`
+    },
+    // Audio export renders with the bundled eSpeak NG engine, not the browser voices
+    audioExport: {
+      available: audioExportMissing.length === 0,
+      missing: audioExportMissing
+    },
+    // The Web Speech API recognizer is provided by the browser, which may use an online service
+    speechRecognition: {
+      available: 'webkitSpeechRecognition' in window || 'SpeechRecognition' in window,
+      detail: 'provided by the browser'
+    }
+  };
+}
+
+// One-line summary for the status bar, e.g. "PDF ✓ | OCR ✓ (EN, ES) | TTS ✓ | Voice ✓"
+function describeOfflineEngines(report) {
+  const mark = available => available ? '✓' : '✗';
+  const ocrLanguages = Object.keys(report.ocr.languages)
+    .filter(code => report.ocr.languages[code])
+    .map(code => code.toUpperCase());
+
+  return [
+    `PDF ${mark(report.pdf.available)}`,
+    `OCR ${mark(report.ocr.available)}${ocrLanguages.length > 0 ? ` (${ocrLanguages.join(', ')})` : ''}`,
+    `TTS ${mark(report.tts.available)}`,
+    `Audio export ${mark(report.audioExport.available)}`,
+    `Voice ${mark(report.speechRecognition.available)}`
+  ].join(' | ');
+}
+
+async function runOfflineSelfCheck() {
+  try {
+    const report = await checkOfflineEngines();
+    console.log('EngineCheck:', describeOfflineEngines(report));
+    [...report.pdf.missing, ...report.ocr.missing, ...report.audioExport.missing].forEach(path => {
+      console.warn('EngineCheck: Missing bundled file:', path);
+    });
+    return report;
+  } catch (error) {
+    console.error('EngineCheck: Self-check failed:', error);
+    return null;
+  }
+}
@@ -0,0 +1,372 @@
+// Document text extraction
+// The one place that turns a cached file into text. The button bar, voice commands,
+// read aloud and summarization all call extractDocument() so they see identical
+// text; the other functions in this file are its building blocks.
+
+// Pages with less text than this from PDF.js are treated as scanned and sent to OCR
+const MIN_PDF_PAGE_TEXT_LENGTH = 10;
+
+// Load a PDF with the bundled PDF.js worker (null if the extension context was invalidated)
+async function loadPDFDocument(blob) {
+  // Re-initialize worker path in case extension context was invalidated
+  try {
+    pdfjsLib.GlobalWorkerOptions.workerSrc = browserAPI.runtime.getURL('pdf.worker.min.js');
+  } catch (contextError) {
+    console.log('Extension context invalidated, skipping PDF.js');
+    return null;
+  }
+  
+  const arrayBuffer = await blob.arrayBuffer();
+  return await pdfjsLib.getDocument(arrayBuffer).promise;
+}
+
+// PDF text extraction, one entry per page
+async function extractPDFPages(pdf) {
+  const pages = [];
+  
+  for (let i = 1; i <= pdf.numPages; i++) {
+    const startTime = performance.now();
+    const page = await pdf.getPage(i);
+    const textContent = await page.getTextContent();
+    const pageText = textContent.items.map(item => item.str).join(' ');
+    
+    pages.push({
+      pageNumber: i,
+      text: pageText.trim(),
+      method: 'pdfjs',
+      confidence: null,
+      durationMs: Math.round(performance.now() - startTime)
+    });
+  }
+  
+  return pages;
+}
+
+// Render a single PDF page to a PNG for OCR
+async function renderPDFPage(pdf, pageNumber, scale = ocrPreprocessSettings.renderScale) {
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: scale }); // Higher scale for better OCR
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  
+  canvas.height = viewport.height;
+  canvas.width = viewport.width;
+  
+  await page.render({
+    canvasContext: context,
+    viewport: viewport
+  }).promise;
+  
+  // Convert canvas to blob
+  return await new Promise(resolve => {
+    canvas.toBlob(resolve, 'image/png');
+  });
+}
+
+// Convert PDF to images for OCR (all pages)
+async function pdfToImages(blob) {
+  try {
+    const pdf = await loadPDFDocument(blob);
+    if (!pdf) {
+      console.log('Cannot convert PDF to image without PDF.js');
+      return [];
+    }
+    
+    const imageBlobs = [];
+    console.log(`Converting ${pdf.numPages} pages to images for OCR...`);
+    
+    for (let i = 1; i <= pdf.numPages; i++) {
+      imageBlobs.push(await renderPDFPage(pdf, i));
+      console.log(`Page ${i} converted to image`);
+    }
+    
+    return imageBlobs;
+  } catch (error) {
+    console.error('PDF to images conversion failed:', error);
+    return [];
+  }
+}
+
+// First page of a cached PDF or image as it would be sent to OCR, for the
+// pre-processing preview (null for other file types or if the file isn't cached)
+async function getOCRPreviewImage(fileData, settings = ocrPreprocessSettings) {
+  const blob = await getCachedBlob(fileData.fileId);
+  if (!blob) {
+    return null;
+  }
+  
+  const fileExtension = fileData.fileName.split('.').pop().toLowerCase();
+  if (blob.type.startsWith('image/') || ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'tiff'].includes(fileExtension)) {
+    return blob;
+  }
+  if (fileExtension !== 'pdf' && blob.type !== 'application/pdf') {
+    return null;
+  }
+  
+  const pdf = await loadPDFDocument(blob);
+  return pdf ? await renderPDFPage(pdf, 1, settings.renderScale) : null;
+}
+
+// Tesseract OCR for a batch of page images through the shared OCR worker.
+// Returns one page entry per image, or an empty list if OCR is unavailable.
+// Rejects with an AbortError if the user cancels OCR.
+async function recognizeImages(imageBlobs, pageNumbers = null) {
+  // Check if Tesseract is available
+  if (typeof Tesseract === 'undefined') {
+    console.error('Tesseract.js is not loaded');
+    return [];
+  }
+  
+  const preparedBlobs = await preprocessImages(imageBlobs);
+  return await ocrService.recognizePages(preparedBlobs, pageNumbers);
+}
+
+// Build the structured result returned by the extraction functions.
+// ocrFailed marks results where pages needed OCR but it couldn't run.
+function createExtractionResult(fileName, pages, startedAt, ocrFailed = false) {
+  const methods = [...new Set(pages.map(page => page.method))];
+  const ocrPages = pages.filter(page => page.method === 'ocr');
+  
+  return {
+    fileName: fileName,
+    text: pages.map(page => page.text).filter(text => text).join('\n').trim(),
+    pages: pages,
+    pageCount: pages.length,
+    // 'pdfjs', 'ocr', 'mixed' when pages used different methods, or 'none'
+    method: methods.length === 1 ? methods[0] : (methods.length > 1 ? 'mixed' : 'none'),
+    // Average Tesseract confidence (0-100) over OCR pages, null if OCR never ran
+    confidence: ocrPages.length > 0
+      ? Math.round(ocrPages.reduce((sum, page) => sum + page.confidence, 0) / ocrPages.length)
+      : null,
+    ocrFailed: ocrFailed,
+    timing: {
+      startedAt: startedAt,
+      durationMs: Date.now() - startedAt
+    }
+  };
+}
+
+// Short human-readable description of an extraction result for status messages
+function describeExtraction(result) {
+  const methodNames = {
+    pdfjs: 'PDF.js', ocr: 'OCR', mixed: 'PDF.js + OCR', none: 'no text',
+    docx: 'Word', pptx: 'PowerPoint', odt: 'OpenDocument', text: 'plain text', rtf: 'RTF', html: 'HTML'
+  };
+  let description = `${result.text.length} chars, ${result.pageCount} page${result.pageCount === 1 ? '' : 's'}, ${methodNames[result.method]}`;
+  if (result.confidence !== null) {
+    description += `, ${result.confidence}% confidence`;
+  }
+  if (result.ocrFailed) {
+    description += ', OCR unavailable';
+  }
+  if (result.fromCache) {
+    description += ', cached extraction';
+  }
+  return description;
+}
+
+//Schoology pisses me off since every file is a pdf
+// Tesseract OCR for images (supports multiple pages)
+async function extractTextFromImage(blob, fileName = '') {
+  const startedAt = Date.now();
+  
+  try {
+    console.log('Starting OCR extraction...');
+    let imageBlobs = [blob];
+    
+    // If it's a PDF (which it always is), convert all pages to images
+    if (blob.type === 'application/pdf') {
+      console.log('Converting PDF to images for OCR...');
+      imageBlobs = await pdfToImages(blob);
+      if (!imageBlobs || imageBlobs.length === 0) {
+        console.error('Failed to convert PDF to images');
+        return createExtractionResult(fileName, [], startedAt);
+      }
+      console.log(`PDF converted to ${imageBlobs.length} images successfully`);
+    }
+    
+    const pages = await recognizeImages(imageBlobs);
+    return createExtractionResult(fileName, pages, startedAt, pages.length === 0);
+  } catch (error) {
+    // A cancelled job must not look like an empty document (it would get cached)
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+    console.error('OCR text extraction failed:', error);
+    console.error('Error details:', error.message, error.stack);
+    return createExtractionResult(fileName, [], startedAt, true);
+  }
+}
+
+// PDF extraction with per-page OCR fallback: each page that PDF.js finds (almost) no
+// text on is rendered and OCR'd on its own, so mixed scanned/typed files work
+async function extractTextFromPDF(blob, fileName) {
+  const startedAt = Date.now();
+  
+  let pdf;
+  let pages;
+  try {
+    pdf = await loadPDFDocument(blob);
+    if (!pdf) {
+      return createExtractionResult(fileName, [], startedAt);
+    }
+    pages = await extractPDFPages(pdf);
+  } catch (error) {
+    console.error('PDF text extraction failed:', error);
+    return createExtractionResult(fileName, [], startedAt);
+  }
+  
+  let ocrFailed = false;
+  const scannedPages = pages.filter(page => page.text.length < MIN_PDF_PAGE_TEXT_LENGTH);
+  if (scannedPages.length > 0) {
+    console.log(`PDF.js returned little/no text on ${scannedPages.length} of ${pages.length} pages, trying OCR...`);
+    
+    try {
+      const pageNumbers = scannedPages.map(page => page.pageNumber);
+      const imageBlobs = [];
+      for (const pageNumber of pageNumbers) {
+        imageBlobs.push(await renderPDFPage(pdf, pageNumber));
+      }
+      
+      const ocrPages = await recognizeImages(imageBlobs, pageNumbers);
+      ocrFailed = ocrPages.length === 0;
+      for (const ocrPage of ocrPages) {
+        // Keep the PDF.js text if OCR found nothing better
+        if (ocrPage.text.length > 0) {
+          pages[ocrPage.pageNumber - 1] = ocrPage;
+        }
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      console.error('OCR fallback failed, using PDF.js result:', error);
+      ocrFailed = true;
+    }
+  }
+  
+  return createExtractionResult(fileName, pages, startedAt, ocrFailed);
+}
+
+// Word, PowerPoint, OpenDocument, text, RTF and HTML files (document-extractors.js)
+async function extractTextFromDocument(blob, fileName, extractor) {
+  const startedAt = Date.now();
+  
+  try {
+    const pages = await extractor.extract(blob);
+    return createExtractionResult(fileName, pages, startedAt);
+  } catch (error) {
+    console.error(`${extractor.method} text extraction failed:`, error);
+    return createExtractionResult(fileName, [], startedAt);
+  }
+}
+
+// Smart text extraction - documents use their own extractor, PDFs try PDF.js first
+// and fall back to OCR page by page, images go straight to OCR.
+// Returns a structured result: { text, pages[], pageCount, method, confidence, timing }
+async function extractText(blob, fileName) {
+  const fileExtension = fileName.split('.').pop().toLowerCase();
+  
+  console.log('File extension:', fileExtension, 'Blob type:', blob.type, 'File name:', fileName);
+  
+  // Check if filename suggests it's an image (even if served as PDF)
+  const isImageFilename = ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'tiff'].includes(fileExtension);
+  const isImageBlob = blob.type.startsWith('image/');
+  
+  // A .pdf name wins over the content type; otherwise a matching extension or type
+  // picks the document extractor, and zip contents are checked last
+  let documentExtractor = fileExtension === 'pdf' ? null : findDocumentExtractor(fileExtension, blob.type);
+  if (!documentExtractor && !isImageFilename && !isImageBlob && fileExtension !== 'pdf') {
+    documentExtractor = await sniffDocumentExtractor(blob);
+  }
+  
+  if (isImageFilename || isImageBlob) {
+    console.log('Using OCR for image file');
+    return await extractTextFromImage(blob, fileName);
+  } else if (documentExtractor) {
+    console.log('Using', documentExtractor.method, 'extractor');
+    const result = await extractTextFromDocument(blob, fileName, documentExtractor);
+    console.log('Extraction finished:', describeExtraction(result));
+    return result;
+  } else if (fileExtension === 'pdf' || blob.type === 'application/pdf') {
+    console.log('Trying PDF.js first...');
+    const result = await extractTextFromPDF(blob, fileName);
+    console.log('Extraction finished:', describeExtraction(result));
+    return result;
+  } else {
+    console.log('Unsupported file type for text extraction:', fileExtension, blob.type);
+    return createExtractionResult(fileName, [], Date.now());
+  }
+}
+
+// Extractions in progress, so Extract and Speak at the same time share one run
+const pendingExtractions = new Map();
+
+// Extract text from a cached file, reusing an earlier result for the same bytes.
+// mode 'auto' runs extractText, 'ocr' forces OCR on every page.
+// The result has fromCache set when a saved extraction was used.
+async function extractCachedFileText(fileData, blob, mode = 'auto') {
+  // OCR output depends on the language pack and pre-processing, so results that
+  // used OCR get an entry per combination. Text-layer results are shared by all of them.
+  const textMode = mode;
+  const ocrMode = `${mode}-${ocrService.language}-${getPreprocessSignature()}`;
+  const key = `${fileData.fileId}:${ocrMode}`;
+  if (pendingExtractions.has(key)) {
+    console.log('Extraction already running for:', fileData.fileName, ocrMode);
+    return await pendingExtractions.get(key);
+  }
+  
+  const pending = (async () => {
+    let hash = null;
+    try {
+      hash = await fileCache.getFileHash(fileData.fileId);
+      const cacheModes = mode === 'ocr' ? [ocrMode] : [textMode, ocrMode];
+      for (const cacheMode of hash ? cacheModes : []) {
+        const cached = await fileCache.getExtraction(fileData.fileId, cacheMode, hash);
+        if (cached) {
+          console.log('Using cached extraction for:', fileData.fileName, cacheMode);
+          return { ...cached, fromCache: true };
+        }
+      }
+    } catch (error) {
+      console.error('Error reading cached extraction:', error);
+    }
+    
+    const result = mode === 'ocr'
+      ? await extractTextFromImage(blob, fileData.fileName)
+      : await extractText(blob, fileData.fileName);
+    
+    // Failed extractions, and ones where OCR couldn't run on the pages that needed
+    // it, aren't saved so they are retried next time
+    if (hash && result.pageCount > 0 && !result.ocrFailed) {
+      const usedOCR = result.pages.some(page => page.method === 'ocr');
+      try {
+        await fileCache.putExtraction(fileData.fileId, usedOCR ? ocrMode : textMode, hash, result);
+      } catch (error) {
+        console.error('Error saving extraction:', error);
+      }
+    }
+    return { ...result, fromCache: false };
+  })();
+  
+  pendingExtractions.set(key, pending);
+  try {
+    return await pending;
+  } finally {
+    pendingExtractions.delete(key);
+  }
+}
+
+// Public API: text of a detected file, extracted once per file content and language.
+// mode 'auto' uses PDF.js with per-page OCR fallback, 'ocr' forces OCR on every page.
+// Resolves with the structured result (fromCache set when a saved extraction was used),
+// or null if the file isn't in the cache. Rejects with an AbortError if OCR is cancelled.
+async function extractDocument(fileData, mode = 'auto') {
+  const blob = await getCachedBlob(fileData.fileId);
+  if (!blob) {
+    console.log('Extraction: File not cached:', fileData.fileName);
+    return null;
+  }
+  
+  return await extractCachedFileText(fileData, blob, mode);
+}
@@ -0,0 +1,251 @@
+// IndexedDB blob cache for submission files
+// Stores the raw Blob (no base64) plus metadata, and evicts least recently used
+// files once the total size goes over the configured quota. Extracted text is
+// cached alongside, tied to a hash of the file's bytes.
+
+const FILE_CACHE_DB_NAME = 'schoology-file-cache';
+const FILE_CACHE_DB_VERSION = 2;
+const FILE_CACHE_STORE = 'files';
+const EXTRACTION_CACHE_STORE = 'extractions';
+const FILE_CACHE_DEFAULT_QUOTA_MB = 200;
+
+class FileCache {
+  constructor(maxBytes = FILE_CACHE_DEFAULT_QUOTA_MB * 1024 * 1024) {
+    this.maxBytes = maxBytes;
+    this.dbPromise = null;
+
+    // Called with the evicted file IDs so other parts of the extension can forget them
+    this.onEvict = null;
+  }
+
+  // Open (and create on first use) the cache database. This runs in the content
+  // script, so the database belongs to the Schoology origin (see the README's
+  // Security & Privacy section for why the blobs live here)
+  openDatabase() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(FILE_CACHE_DB_NAME, FILE_CACHE_DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(FILE_CACHE_STORE)) {
+          const store = db.createObjectStore(FILE_CACHE_STORE, { keyPath: 'fileId' });
+          store.createIndex('lastAccess', 'lastAccess');
+        }
+        if (!db.objectStoreNames.contains(EXTRACTION_CACHE_STORE)) {
+          const store = db.createObjectStore(EXTRACTION_CACHE_STORE, { keyPath: 'key' });
+          store.createIndex('fileId', 'fileId');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        // Allow a later call to retry opening the database
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  // Run a single request against one store and resolve with its result
+  async runRequest(mode, buildRequest, storeName = FILE_CACHE_STORE) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = buildRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  setQuota(maxBytes) {
+    if (typeof maxBytes === 'number' && maxBytes > 0) {
+      this.maxBytes = maxBytes;
+      console.log('FileCache: Quota set to', maxBytes, 'bytes');
+    }
+  }
+
+  // Store a fetched file, keeping its original first access time if it was cached before
+  async putBlob(fileId, blob, fileName) {
+    const existing = await this.runRequest('readonly', store => store.get(fileId));
+    const hash = await hashBlob(blob);
+    const now = Date.now();
+
+    // Extractions of the old bytes are stale once the file changes
+    if (existing && existing.hash !== hash) {
+      await this.deleteExtractions(fileId);
+    }
+
+    const record = {
+      fileId: fileId,
+      blob: blob,
+      fileName: fileName,
+      blobType: blob.type,
+      size: blob.size,
+      hash: hash,
+      firstAccess: existing ? existing.firstAccess : now,
+      lastAccess: now
+    };
+
+    await this.runRequest('readwrite', store => store.put(record));
+    console.log('FileCache: Stored', fileName, 'Size:', blob.size, 'bytes');
+
+    await this.evict(fileId);
+    return this.toMetadata(record);
+  }
+
+  // Get the cached Blob for a file and mark it as recently used
+  async getCachedBlob(fileId) {
+    const record = await this.runRequest('readonly', store => store.get(fileId));
+    if (!record) {
+      return null;
+    }
+
+    record.lastAccess = Date.now();
+    await this.runRequest('readwrite', store => store.put(record));
+
+    // Older Schoology responses come back without a content type
+    if (!record.blob.type) {
+      return new Blob([record.blob], { type: record.blobType || 'application/pdf' });
+    }
+    return record.blob;
+  }
+
+  async getMetadata(fileId) {
+    const record = await this.runRequest('readonly', store => store.get(fileId));
+    return record ? this.toMetadata(record) : null;
+  }
+
+  // Hash of the cached bytes (computed and saved for files cached before hashes were stored)
+  async getFileHash(fileId) {
+    const record = await this.runRequest('readonly', store => store.get(fileId));
+    if (!record) {
+      return null;
+    }
+
+    if (!record.hash) {
+      record.hash = await hashBlob(record.blob);
+      await this.runRequest('readwrite', store => store.put(record));
+    }
+    return record.hash;
+  }
+
+  async has(fileId) {
+    const key = await this.runRequest('readonly', store => store.getKey(fileId));
+    return key !== undefined;
+  }
+
+  // List metadata for every cached file, least recently used first
+  async listEntries() {
+    const records = await this.runRequest('readonly', store => store.index('lastAccess').getAll());
+    return records.map(record => this.toMetadata(record));
+  }
+
+  async deleteBlob(fileId) {
+    await this.runRequest('readwrite', store => store.delete(fileId));
+    await this.deleteExtractions(fileId);
+    console.log('FileCache: Deleted', fileId);
+  }
+
+  // Get a saved extraction result, or null if there is none for these exact bytes.
+  // mode separates results of different pipelines (e.g. 'auto' and forced 'ocr').
+  async getExtraction(fileId, mode, hash) {
+    const key = `${fileId}:${mode}`;
+    const record = await this.runRequest('readonly', store => store.get(key), EXTRACTION_CACHE_STORE);
+    if (!record) {
+      return null;
+    }
+
+    if (record.hash !== hash) {
+      console.log('FileCache: Dropping stale extraction for', fileId, mode);
+      await this.runRequest('readwrite', store => store.delete(key), EXTRACTION_CACHE_STORE);
+      return null;
+    }
+    return record.result;
+  }
+
+  async putExtraction(fileId, mode, hash, result) {
+    const record = {
+      key: `${fileId}:${mode}`,
+      fileId: fileId,
+      mode: mode,
+      hash: hash,
+      result: result,
+      createdAt: Date.now()
+    };
+    await this.runRequest('readwrite', store => store.put(record), EXTRACTION_CACHE_STORE);
+    console.log('FileCache: Stored', mode, 'extraction for', fileId);
+  }
+
+  async deleteExtractions(fileId) {
+    const keys = await this.runRequest('readonly', store => store.index('fileId').getAllKeys(fileId), EXTRACTION_CACHE_STORE);
+    for (const key of keys) {
+      await this.runRequest('readwrite', store => store.delete(key), EXTRACTION_CACHE_STORE);
+    }
+  }
+
+  // Drop least recently used files until the cache fits the quota.
+  // The file that was just stored is never evicted, even if it alone exceeds the quota.
+  async evict(keepFileId = null) {
+    const entries = await this.listEntries();
+    let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const evicted = [];
+
+    for (const entry of entries) {
+      if (totalBytes <= this.maxBytes) break;
+      if (entry.fileId === keepFileId) continue;
+
+      await this.deleteBlob(entry.fileId);
+      totalBytes -= entry.size;
+      evicted.push(entry.fileId);
+    }
+
+    if (evicted.length > 0) {
+      console.log('FileCache: Evicted', evicted.length, 'files, cache now', totalBytes, 'bytes');
+      if (this.onEvict) {
+        this.onEvict(evicted);
+      }
+    }
+    return evicted;
+  }
+
+  toMetadata(record) {
+    return {
+      fileId: record.fileId,
+      fileName: record.fileName,
+      blobType: record.blobType,
+      size: record.size,
+      hash: record.hash,
+      firstAccess: record.firstAccess,
+      lastAccess: record.lastAccess
+    };
+  }
+}
+
+// SHA-256 of a blob's bytes as a hex string
+async function hashBlob(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+const fileCache = new FileCache();
+
+// Single entry point for every feature that needs the bytes of a cached file
+async function getCachedBlob(fileId) {
+  if (!fileId) {
+    return null;
+  }
+
+  try {
+    return await fileCache.getCachedBlob(fileId);
+  } catch (error) {
+    console.error('FileCache: Error reading cached blob:', error);
+    return null;
+  }
+}
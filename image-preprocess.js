@@ -0,0 +1,373 @@
+// Image pre-processing before OCR
+// Photographed homework is usually tilted, unevenly lit and surrounded by desk. Each
+// step below can be switched on or off in the OCR settings panel:
+//   orientation - turn sideways or upside-down pages upright
+//   deskew      - straighten text tilted by a few degrees
+//   grayscale   - drop colour
+//   threshold   - adaptive black/white, which evens out shadows and uneven lighting
+//   crop        - trim the background around the page content
+
+const OCR_PREPROCESS_SETTINGS_KEY = 'ocr_preprocess_settings';
+
+const DEFAULT_OCR_PREPROCESS_SETTINGS = {
+  enabled: false,
+  orientation: true,
+  deskew: true,
+  grayscale: true,
+  threshold: true,
+  crop: true,
+  // Scale PDF pages are rendered at before OCR
+  renderScale: 2.0,
+  // Larger photos are scaled down to this many pixels on their longest side
+  maxDimension: 3000
+};
+
+const PREPROCESS_STEPS = ['orientation', 'deskew', 'grayscale', 'threshold', 'crop'];
+
+// Skew angles tried by deskew, in degrees
+const MAX_SKEW_ANGLE = 15;
+const SKEW_ANGLE_STEP = 0.5;
+
+// Longest side of the reduced copy used to measure orientation and skew
+const ANALYSIS_DIMENSION = 800;
+
+let ocrPreprocessSettings = { ...DEFAULT_OCR_PREPROCESS_SETTINGS };
+
+async function loadPreprocessSettings() {
+  try {
+    const result = await browserAPI.storage.local.get([OCR_PREPROCESS_SETTINGS_KEY]);
+    ocrPreprocessSettings = { ...DEFAULT_OCR_PREPROCESS_SETTINGS, ...(result[OCR_PREPROCESS_SETTINGS_KEY] || {}) };
+  } catch (error) {
+    console.error('Preprocess: Error loading settings:', error);
+  }
+  return ocrPreprocessSettings;
+}
+
+async function savePreprocessSettings(settings) {
+  ocrPreprocessSettings = { ...DEFAULT_OCR_PREPROCESS_SETTINGS, ...settings };
+  try {
+    await browserAPI.storage.local.set({ [OCR_PREPROCESS_SETTINGS_KEY]: ocrPreprocessSettings });
+    console.log('Preprocess: Settings saved:', ocrPreprocessSettings);
+  } catch (error) {
+    console.error('Preprocess: Error saving settings:', error);
+  }
+  return ocrPreprocessSettings;
+}
+
+// Short tag for the enabled steps and PDF render scale, used in extraction cache keys
+// so changing the settings doesn't serve OCR text recognized with the old ones
+function getPreprocessSignature(settings = ocrPreprocessSettings) {
+  if (!settings.enabled) {
+    return `raw-x${settings.renderScale}`;
+  }
+  const steps = PREPROCESS_STEPS.filter(step => settings[step]).map(step => step[0]).join('');
+  return `prep-${steps || 'none'}-${settings.maxDimension}-x${settings.renderScale}`;
+}
+
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  return canvas;
+}
+
+// Draw an image onto a canvas, optionally scaled down and rotated by a number of
+// degrees. The area uncovered by a rotation is filled white.
+function drawRotated(source, degrees, scale = 1) {
+  const radians = degrees * Math.PI / 180;
+  const width = source.width * scale;
+  const height = source.height * scale;
+  const cos = Math.abs(Math.cos(radians));
+  const sin = Math.abs(Math.sin(radians));
+
+  const canvas = createCanvas(width * cos + height * sin, width * sin + height * cos);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#FFFFFF';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.translate(canvas.width / 2, canvas.height / 2);
+  context.rotate(radians);
+  context.drawImage(source, -width / 2, -height / 2, width, height);
+  return canvas;
+}
+
+function toGrayscale(imageData) {
+  const { data } = imageData;
+  const gray = new Uint8ClampedArray(imageData.width * imageData.height);
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return gray;
+}
+
+// Bradley adaptive threshold: a pixel is ink when it is noticeably darker than the
+// average of its neighbourhood, so shadows across the page don't turn into black blocks
+function adaptiveThreshold(gray, width, height) {
+  const windowSize = Math.max(15, Math.round(Math.max(width, height) / 16));
+  const half = Math.floor(windowSize / 2);
+  const sensitivity = 0.15;
+
+  // Summed-area table, one extra row and column of zeros
+  const stride = width + 1;
+  const integral = new Uint32Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += gray[y * width + x];
+      integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+    }
+  }
+
+  const binary = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const y1 = Math.max(0, y - half);
+    const y2 = Math.min(height - 1, y + half);
+    for (let x = 0; x < width; x++) {
+      const x1 = Math.max(0, x - half);
+      const x2 = Math.min(width - 1, x + half);
+      const count = (x2 - x1 + 1) * (y2 - y1 + 1);
+      const sum = integral[(y2 + 1) * stride + x2 + 1] - integral[y1 * stride + x2 + 1] -
+        integral[(y2 + 1) * stride + x1] + integral[y1 * stride + x1];
+      // 1 = ink, 0 = background
+      binary[y * width + x] = gray[y * width + x] * count < sum * (1 - sensitivity) ? 1 : 0;
+    }
+  }
+  return binary;
+}
+
+// Reduced black/white copy of a canvas for measuring orientation, skew and content bounds
+function analyzeCanvas(canvas) {
+  const scale = Math.min(1, ANALYSIS_DIMENSION / Math.max(canvas.width, canvas.height));
+  const small = drawRotated(canvas, 0, scale);
+  const imageData = small.getContext('2d').getImageData(0, 0, small.width, small.height);
+  return {
+    width: small.width,
+    height: small.height,
+    scale: scale,
+    binary: adaptiveThreshold(toGrayscale(imageData), small.width, small.height)
+  };
+}
+
+// How strongly ink lines up into rows when the image is rotated by `degrees`:
+// the sum of squared row counts, which peaks when text lines are horizontal
+function projectionScore(analysis, degrees) {
+  const { width, height, binary } = analysis;
+  const radians = degrees * Math.PI / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const offset = Math.ceil(width * Math.abs(sin)) + 1;
+  const rows = new Float64Array(height + width + offset * 2);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (binary[y * width + x]) {
+        rows[Math.round(y * cos - x * sin) + offset]++;
+      }
+    }
+  }
+  return rows.reduce((sum, count) => sum + count * count, 0);
+}
+
+// Same score with rows and columns swapped, to spot text running vertically
+function columnProjectionScore(analysis) {
+  const { width, height, binary } = analysis;
+  const columns = new Float64Array(width);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      columns[x] += binary[y * width + x];
+    }
+  }
+  return columns.reduce((sum, count) => sum + count * count, 0);
+}
+
+// Latin text has more ascenders (b, d, h, k, l, capitals) than descenders (g, p, q, y),
+// so upright lines carry more ink just above their core band than just below it
+function isUpsideDown(analysis) {
+  const { width, height, binary } = analysis;
+  const rows = new Array(height).fill(0);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      rows[y] += binary[y * width + x];
+    }
+  }
+
+  const minInk = Math.max(2, width * 0.01);
+  let above = 0;
+  let below = 0;
+  let y = 0;
+  while (y < height) {
+    if (rows[y] < minInk) {
+      y++;
+      continue;
+    }
+
+    // One text line: a run of rows with ink
+    const start = y;
+    while (y < height && rows[y] >= minInk) y++;
+    const line = rows.slice(start, y);
+    if (line.length < 4) continue;
+
+    // Core band (x-height) is where the line is at least half as dense as its peak
+    const peak = Math.max(...line);
+    const coreStart = line.findIndex(count => count >= peak / 2);
+    const coreEnd = line.length - 1 - [...line].reverse().findIndex(count => count >= peak / 2);
+    above += line.slice(0, coreStart).reduce((sum, count) => sum + count, 0);
+    below += line.slice(coreEnd + 1).reduce((sum, count) => sum + count, 0);
+  }
+
+  return below > above * 1.2;
+}
+
+// Rotation (0, 90, 180 or 270 degrees) that turns the page upright
+function detectOrientation(canvas) {
+  let analysis = analyzeCanvas(canvas);
+  let rotation = 0;
+
+  if (columnProjectionScore(analysis) > projectionScore(analysis, 0) * 1.5) {
+    rotation = 90;
+    analysis = analyzeCanvas(drawRotated(canvas, 90));
+  }
+  if (isUpsideDown(analysis)) {
+    rotation += 180;
+  }
+  return rotation % 360;
+}
+
+// Small tilt of the text lines in degrees (positive when they slope down to the
+// right), found by trying angles and keeping the one where ink lines up best into rows
+function detectSkew(canvas) {
+  const analysis = analyzeCanvas(canvas);
+  let bestAngle = 0;
+  let bestScore = projectionScore(analysis, 0);
+
+  for (let angle = -MAX_SKEW_ANGLE; angle <= MAX_SKEW_ANGLE; angle += SKEW_ANGLE_STEP) {
+    if (angle === 0) continue;
+    const score = projectionScore(analysis, angle);
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+  return bestAngle;
+}
+
+// Bounding box of the page content. Rows and columns that are almost all dark are
+// treated as background (desk, shadow) rather than content.
+function detectContentBounds(canvas) {
+  const analysis = analyzeCanvas(canvas);
+  const { width, height, binary, scale } = analysis;
+  const rows = new Array(height).fill(0);
+  const columns = new Array(width).fill(0);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (binary[y * width + x]) {
+        rows[y]++;
+        columns[x]++;
+      }
+    }
+  }
+
+  const isContent = (count, length) => count >= Math.max(1, length * 0.005) && count <= length * 0.6;
+  const firstRow = rows.findIndex(count => isContent(count, width));
+  const firstColumn = columns.findIndex(count => isContent(count, height));
+  if (firstRow < 0 || firstColumn < 0) {
+    return null;
+  }
+  const lastRow = height - 1 - [...rows].reverse().findIndex(count => isContent(count, width));
+  const lastColumn = width - 1 - [...columns].reverse().findIndex(count => isContent(count, height));
+
+  // Keep a margin so letters at the edge aren't clipped
+  const margin = Math.round(Math.min(width, height) * 0.02);
+  const left = Math.max(0, firstColumn - margin) / scale;
+  const top = Math.max(0, firstRow - margin) / scale;
+  const right = Math.min(width, lastColumn + 1 + margin) / scale;
+  const bottom = Math.min(height, lastRow + 1 + margin) / scale;
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+function cropCanvas(canvas, bounds) {
+  const cropped = createCanvas(bounds.width, bounds.height);
+  cropped.getContext('2d').drawImage(canvas, bounds.x, bounds.y, bounds.width, bounds.height, 0, 0, cropped.width, cropped.height);
+  return cropped;
+}
+
+function canvasToBlob(canvas) {
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+// Run the enabled steps on one image. Returns the processed PNG and what was done,
+// e.g. { blob, steps: ['rotated 90°', 'deskewed -2.5°', 'grayscale', ...] }.
+async function preprocessImage(blob, settings = ocrPreprocessSettings) {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, settings.maxDimension / Math.max(bitmap.width, bitmap.height));
+  let canvas = drawRotated(bitmap, 0, scale);
+  if (bitmap.close) bitmap.close();
+
+  const steps = [];
+  if (scale < 1) {
+    steps.push(`scaled to ${canvas.width}×${canvas.height}`);
+  }
+
+  if (settings.orientation) {
+    const rotation = detectOrientation(canvas);
+    if (rotation !== 0) {
+      canvas = drawRotated(canvas, rotation);
+      steps.push(`rotated ${rotation}°`);
+    }
+  }
+
+  if (settings.deskew) {
+    const angle = detectSkew(canvas);
+    if (angle !== 0) {
+      // Turn the page back the other way to level the lines
+      canvas = drawRotated(canvas, -angle);
+      steps.push(`deskewed ${-angle}°`);
+    }
+  }
+
+  if (settings.crop) {
+    const bounds = detectContentBounds(canvas);
+    if (bounds && (bounds.width < canvas.width * 0.98 || bounds.height < canvas.height * 0.98)) {
+      canvas = cropCanvas(canvas, bounds);
+      steps.push('cropped');
+    }
+  }
+
+  if (settings.grayscale || settings.threshold) {
+    const context = canvas.getContext('2d');
+    const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+    const gray = toGrayscale(imageData);
+    const binary = settings.threshold ? adaptiveThreshold(gray, canvas.width, canvas.height) : null;
+
+    for (let p = 0; p < gray.length; p++) {
+      const value = binary ? (binary[p] ? 0 : 255) : gray[p];
+      imageData.data[p * 4] = value;
+      imageData.data[p * 4 + 1] = value;
+      imageData.data[p * 4 + 2] = value;
+    }
+    context.putImageData(imageData, 0, 0);
+    steps.push(settings.threshold ? 'adaptive threshold' : 'grayscale');
+  }
+
+  return { blob: await canvasToBlob(canvas), steps: steps };
+}
+
+// Pre-process a batch of page images when pre-processing is on. A page that fails is
+// sent to OCR unprocessed rather than dropped.
+async function preprocessImages(imageBlobs, settings = ocrPreprocessSettings) {
+  if (!settings.enabled) {
+    return imageBlobs;
+  }
+
+  const processed = [];
+  for (let i = 0; i < imageBlobs.length; i++) {
+    try {
+      const result = await preprocessImage(imageBlobs[i], settings);
+      console.log(`Preprocess: Image ${i + 1}:`, result.steps.join(', ') || 'no changes');
+      processed.push(result.blob);
+    } catch (error) {
+      console.error(`Preprocess: Image ${i + 1} failed, using original:`, error);
+      processed.push(imageBlobs[i]);
+    }
+  }
+  return processed;
+}
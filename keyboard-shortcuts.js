@@ -0,0 +1,127 @@
+// Keyboard shortcuts
+// Keys bound to the same actions voice commands run (getCommandActions in
+// content.js), for when speaking isn't an option. Keys are read from the physical
+// key (event.code), so Alt combinations work on every layout, and can be changed
+// from the cheat sheet.
+
+const KEYBOARD_SHORTCUTS_KEY = 'keyboard_shortcuts';
+
+// slots are what a voice command would have filled in, e.g. "skip 10 seconds"
+const DEFAULT_KEYBOARD_SHORTCUTS = [
+  { id: 'extract', action: 'extract', label: 'Extract text', key: 'Alt+Shift+E' },
+  { id: 'speak', action: 'speak', label: 'Read aloud', key: 'Alt+Shift+R' },
+  { id: 'pauseResume', action: 'pauseResume', label: 'Pause / resume', key: 'Alt+Shift+P' },
+  { id: 'skipForward', action: 'skipForward', slots: { duration: 10 }, label: 'Skip forward', key: 'Alt+Shift+ArrowRight' },
+  { id: 'skipBack', action: 'skipBack', slots: { duration: 10 }, label: 'Skip back', key: 'Alt+Shift+ArrowLeft' },
+  { id: 'nextParagraph', action: 'nextParagraph', label: 'Next paragraph', key: 'Alt+Shift+ArrowDown' },
+  { id: 'previousParagraph', action: 'previousParagraph', label: 'Previous paragraph', key: 'Alt+Shift+ArrowUp' },
+  { id: 'addComment', action: 'addComment', label: 'Add comment', key: 'Alt+Shift+C' },
+  { id: 'showComments', action: 'showComments', label: 'Show comments', key: 'Alt+Shift+L' },
+  { id: 'summarizeComments', action: 'summarizeComments', label: 'Summarize comments', key: 'Alt+Shift+S' },
+  { id: 'cheatSheet', action: 'keyboardShortcuts', label: 'Show this cheat sheet', key: 'Alt+Shift+/' }
+];
+
+// Changes to the defaults, by id: { key, slots }
+let keyboardShortcutOverrides = {};
+
+async function loadKeyboardShortcuts() {
+  try {
+    const result = await browserAPI.storage.local.get([KEYBOARD_SHORTCUTS_KEY]);
+    keyboardShortcutOverrides = result[KEYBOARD_SHORTCUTS_KEY] || {};
+  } catch (error) {
+    console.error('Shortcuts: Error loading:', error);
+  }
+  return getKeyboardShortcuts();
+}
+
+async function saveKeyboardShortcutOverrides(overrides) {
+  keyboardShortcutOverrides = overrides;
+  try {
+    await browserAPI.storage.local.set({ [KEYBOARD_SHORTCUTS_KEY]: keyboardShortcutOverrides });
+    console.log('Shortcuts: Saved', keyboardShortcutOverrides);
+  } catch (error) {
+    console.error('Shortcuts: Error saving:', error);
+  }
+  return getKeyboardShortcuts();
+}
+
+// Defaults with the user's changes applied. An empty key means unbound.
+function getKeyboardShortcuts() {
+  return DEFAULT_KEYBOARD_SHORTCUTS.map(shortcut => {
+    const override = keyboardShortcutOverrides[shortcut.id] || {};
+    return {
+      ...shortcut,
+      key: override.key !== undefined ? override.key : shortcut.key,
+      slots: { ...(shortcut.slots || {}), ...(override.slots || {}) }
+    };
+  });
+}
+
+// Bind a shortcut to a key. Another shortcut on the same key is left unbound
+// rather than having two actions fight over it.
+function setShortcutKey(id, key) {
+  const overrides = { ...keyboardShortcutOverrides };
+  getKeyboardShortcuts().forEach(shortcut => {
+    if (key && shortcut.id !== id && shortcut.key === key) {
+      overrides[shortcut.id] = { ...overrides[shortcut.id], key: '' };
+    }
+  });
+  overrides[id] = { ...overrides[id], key: key };
+  return saveKeyboardShortcutOverrides(overrides);
+}
+
+function setShortcutSlots(id, slots) {
+  return saveKeyboardShortcutOverrides({
+    ...keyboardShortcutOverrides,
+    [id]: { ...keyboardShortcutOverrides[id], slots: slots }
+  });
+}
+
+function resetKeyboardShortcuts() {
+  return saveKeyboardShortcutOverrides({});
+}
+
+// "Alt+Shift+E" for a key press, or null while only modifiers are down
+function formatShortcutKey(event) {
+  const code = event.code || '';
+  if (!code || /^(Control|Alt|Shift|Meta|OS)(Left|Right)?$/.test(code)) {
+    return null;
+  }
+
+  let key = code;
+  if (/^Key[A-Z]$/.test(code)) {
+    key = code.slice(3);
+  } else if (/^Digit\d$/.test(code)) {
+    key = code.slice(5);
+  } else {
+    key = { Slash: '/', Period: '.', Comma: ',', Semicolon: ';', Quote: "'", BracketLeft: '[', BracketRight: ']', Minus: '-', Equal: '=', Backquote: '`', Backslash: '\\' }[code] || code;
+  }
+
+  const modifiers = [];
+  if (event.ctrlKey) modifiers.push('Ctrl');
+  if (event.altKey) modifiers.push('Alt');
+  if (event.shiftKey) modifiers.push('Shift');
+  if (event.metaKey) modifiers.push('Meta');
+  return [...modifiers, key].join('+');
+}
+
+// Shortcuts need Ctrl, Alt or Meta so they never get in the way of typing
+function hasShortcutModifier(key) {
+  return /^(Ctrl|Alt|Meta)\+/.test(key);
+}
+
+// Text fields and rich-text editors keep their own keys, e.g. Option+Shift+Arrow
+// selecting text on macOS
+function isEditableTarget(target) {
+  if (!target || !target.tagName) return false;
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+function findKeyboardShortcut(key) {
+  return getKeyboardShortcuts().find(shortcut => shortcut.key && shortcut.key === key) || null;
+}
+
+// Label with its filled-in values: "Skip forward 10 seconds"
+function describeKeyboardShortcut(shortcut) {
+  return shortcut.slots.duration ? `${shortcut.label} ${shortcut.slots.duration} seconds` : shortcut.label;
+}
@@ -0,0 +1,273 @@
+// Language settings for OCR, speech recognition and text-to-speech
+// One language is resolved per page: assignment setting, then course setting,
+// then the global default. Voice command phrases come from the phrase table below.
+
+const LANGUAGE_SETTINGS_KEY = 'language_settings';
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+  en: { name: 'English', locale: 'en-US', tesseract: 'eng' },
+  es: { name: 'Español', locale: 'es-ES', tesseract: 'spa' },
+  fr: { name: 'Français', locale: 'fr-FR', tesseract: 'fra' }
+};
+
+// Phrases per action, per language, matched by the command grammar
+// (command-grammar.js). A string is a phrase whose words are matched in order and
+// may contain typed slots: {number}, {page}, {duration} or {student}. An array is a
+// set of words matched in any order.
+const COMMAND_PHRASES = {
+  en: {
+    wakeWord: 'hey schoology',
+    confirmYes: ['yes', 'yeah', 'correct', 'do it'],
+    confirmNo: ['no', 'nope', 'never mind'],
+    stopComment: ['stop comment'],
+    endComment: ['end comment'],
+    urgent: ['pause', 'stop', 'resume', 'continue'],
+    cancelOCR: ['cancel ocr', 'stop ocr', 'cancel scan'],
+    ocrSettings: ['ocr settings', 'scan settings'],
+    readPage: ['read page', 'read this page'],
+    selectStudent: ['open student {student}', 'go to student {student}', 'student {student}'],
+    nextSection: ['next section'],
+    previousSection: ['previous section', 'last section'],
+    nextParagraph: ['next paragraph'],
+    previousParagraph: ['previous paragraph', 'last paragraph'],
+    goToPage: ['go to page {page}', 'jump to page {page}', 'page {page}'],
+    repeat: ['repeat'],
+    exportAudio: ['export audio', 'save audio'],
+    ttsSettings: ['voice settings', 'speech settings'],
+    faster: ['faster', 'speed up'],
+    slower: ['slower', 'slow down'],
+    nextFile: ['next file'],
+    previousFile: ['previous file', 'last file'],
+    listFiles: ['list files', 'which file'],
+    openReader: ['open reader', 'show reader'],
+    closeReader: ['close reader', 'hide reader'],
+    download: ['download', 'download button'],
+    extract: ['extract', 'read', 'text'],
+    ocr: ['ocr', 'scan'],
+    speak: ['speak', 'read aloud', 'play text'],
+    pause: ['pause', 'stop speaking'],
+    resume: ['resume', 'continue', 'play'],
+    pauseResume: ['play pause', 'pause or resume'],
+    skipForward: ['skip {duration}', 'forward {duration}', 'skip', 'forward'],
+    skipBack: ['back {duration}', 'rewind {duration}', 'go back {duration}', 'back', 'rewind'],
+    summarizeComments: ['summarize comments', 'summarize comment'],
+    addComment: ['add comment'],
+    commentMode: ['comment mode', 'comment while reading'],
+    showComments: ['show comments', 'view comments'],
+    clearComments: ['clear comments', 'delete comments'],
+    restoreComments: ['restore comments', 'undo delete', 'bring back comments'],
+    addDownloadButton: ['add download button'],
+    addExtractButton: ['add extract button'],
+    addOCRButton: ['add ocr button'],
+    addAllButtons: [['all', 'button']],
+    removeButtons: ['remove', 'clear', 'delete'],
+    forceDownload: ['force download', 'force add download'],
+    debugStorage: ['debug storage', 'check storage'],
+    checkEngines: ['check engines', 'engine check', 'offline check'],
+    reloadComments: ['reload comments', 'refresh comments'],
+    wake: ['hey schoology', 'activate', 'wake up'],
+    sleep: ['sleep', 'deactivate', 'goodbye'],
+    customCommands: ['custom commands', 'my commands', 'command settings'],
+    keyboardShortcuts: ['keyboard shortcuts', 'shortcuts'],
+    spokenFeedback: ['spoken feedback', 'talk back'],
+    help: ['help', 'commands', 'what']
+  },
+  es: {
+    wakeWord: 'oye schoology',
+    confirmYes: ['si', 'claro', 'correcto'],
+    confirmNo: ['no', 'olvidalo'],
+    stopComment: ['detener comentario', 'parar comentario'],
+    endComment: ['terminar comentario', 'fin del comentario'],
+    urgent: ['pausa', 'detener', 'reanudar', 'continuar'],
+    cancelOCR: ['cancelar ocr', 'detener ocr', 'cancelar escaneo'],
+    ocrSettings: ['ajustes de ocr', 'configuracion de ocr'],
+    readPage: ['leer la pagina', 'leer esta pagina'],
+    selectStudent: ['abrir estudiante {student}', 'estudiante {student}', 'alumno {student}'],
+    nextSection: ['siguiente seccion'],
+    previousSection: ['seccion anterior'],
+    nextParagraph: ['siguiente parrafo', 'proximo parrafo'],
+    previousParagraph: ['parrafo anterior'],
+    goToPage: ['ir a la pagina {page}', 'pagina {page}'],
+    repeat: ['repite', 'repetir'],
+    exportAudio: [['exportar', 'audio'], ['guardar', 'audio']],
+    ttsSettings: ['ajustes de voz', 'configuracion de voz'],
+    faster: ['mas rapido', 'acelera'],
+    slower: ['mas lento', 'mas despacio'],
+    nextFile: ['siguiente archivo', 'proximo archivo'],
+    previousFile: ['archivo anterior'],
+    listFiles: ['lista de archivos', 'listar archivos', 'que archivo'],
+    openReader: ['abrir lector', 'mostrar lector'],
+    closeReader: ['cerrar lector', 'ocultar lector'],
+    download: ['descargar'],
+    extract: ['extraer', 'texto'],
+    ocr: ['ocr', 'escanear'],
+    speak: ['leer en voz alta', 'hablar', 'leer'],
+    pause: ['pausa', 'pausar', 'deja de hablar'],
+    resume: ['reanudar', 'continuar', 'sigue'],
+    pauseResume: ['reproducir pausar', 'pausar o reanudar'],
+    skipForward: ['saltar {duration}', 'adelantar {duration}', 'saltar', 'adelantar', 'adelante'],
+    skipBack: ['retroceder {duration}', 'atras {duration}', 'atras', 'retroceder', 'rebobinar'],
+    summarizeComments: ['resumir comentarios', 'resume los comentarios', 'resumen de comentarios'],
+    addComment: ['anadir comentario', 'agregar comentario', 'nuevo comentario'],
+    commentMode: ['modo comentario', 'comentar mientras lee'],
+    showComments: ['mostrar comentarios', 'ver comentarios'],
+    clearComments: ['borrar comentarios', 'eliminar comentarios'],
+    restoreComments: ['restaurar comentarios', 'recuperar comentarios', 'deshacer borrado'],
+    addDownloadButton: ['anadir boton de descarga', 'agregar boton de descarga'],
+    addExtractButton: ['anadir boton de extraer', 'agregar boton de extraer'],
+    addOCRButton: ['anadir boton ocr', 'agregar boton ocr'],
+    addAllButtons: [['todos', 'botones']],
+    removeButtons: ['quitar', 'eliminar', 'borrar'],
+    forceDownload: ['forzar descarga'],
+    debugStorage: ['depurar almacenamiento', 'revisar almacenamiento'],
+    checkEngines: ['revisar motores', 'comprobar motores'],
+    reloadComments: ['recargar comentarios', 'actualizar comentarios'],
+    wake: ['oye schoology', 'activar', 'despierta'],
+    sleep: ['dormir', 'desactivar', 'adios'],
+    customCommands: ['comandos personalizados', 'mis comandos'],
+    keyboardShortcuts: ['atajos de teclado', 'atajos'],
+    spokenFeedback: ['respuestas habladas', 'confirmacion por voz'],
+    help: ['ayuda', 'comandos']
+  },
+  fr: {
+    wakeWord: 'dis schoology',
+    confirmYes: ['oui', 'd accord', 'exact'],
+    confirmNo: ['non', 'laisse tomber'],
+    stopComment: ['arreter le commentaire', 'arrete le commentaire'],
+    endComment: ['terminer le commentaire', 'fin du commentaire'],
+    urgent: ['pause', 'arrete', 'reprendre', 'continuer'],
+    cancelOCR: ['annuler ocr', 'arreter ocr', 'annuler la numerisation'],
+    ocrSettings: ['reglages ocr', 'parametres ocr'],
+    readPage: ['lire la page', 'lire cette page'],
+    selectStudent: ['ouvrir l eleve {student}', 'eleve {student}', 'etudiant {student}'],
+    nextSection: ['section suivante'],
+    previousSection: ['section precedente'],
+    nextParagraph: ['paragraphe suivant'],
+    previousParagraph: ['paragraphe precedent'],
+    goToPage: ['aller a la page {page}', 'page {page}'],
+    repeat: ['repete', 'repeter'],
+    exportAudio: [['exporter', 'audio'], ['enregistrer', 'audio']],
+    ttsSettings: ['reglages de la voix', 'parametres de la voix'],
+    faster: ['plus vite', 'plus rapide'],
+    slower: ['plus lentement', 'moins vite'],
+    nextFile: ['fichier suivant'],
+    previousFile: ['fichier precedent'],
+    listFiles: ['liste des fichiers', 'quel fichier'],
+    openReader: ['ouvrir le lecteur', 'afficher le lecteur'],
+    closeReader: ['fermer le lecteur', 'masquer le lecteur'],
+    download: ['telecharger'],
+    extract: ['extraire', 'texte'],
+    ocr: ['ocr', 'numeriser', 'scanner'],
+    speak: ['lire a voix haute', 'parler', 'lire'],
+    pause: ['pause', 'arrete de parler'],
+    resume: ['reprendre', 'continuer'],
+    pauseResume: ['lecture pause', 'pause ou reprendre'],
+    skipForward: ['avancer de {duration}', 'avancer {duration}', 'sauter {duration}', 'avancer', 'sauter'],
+    skipBack: ['reculer de {duration}', 'reculer {duration}', 'reculer', 'retour', 'rembobiner'],
+    summarizeComments: ['resumer les commentaires', 'resume les commentaires'],
+    addComment: ['ajouter un commentaire', 'ajouter commentaire', 'nouveau commentaire'],
+    commentMode: ['mode commentaire', 'commenter pendant la lecture'],
+    showComments: ['afficher les commentaires', 'voir les commentaires'],
+    clearComments: ['effacer les commentaires', 'supprimer les commentaires'],
+    restoreComments: ['restaurer les commentaires', 'recuperer les commentaires', 'annuler la suppression'],
+    addDownloadButton: ['ajouter le bouton telecharger'],
+    addExtractButton: ['ajouter le bouton extraire'],
+    addOCRButton: ['ajouter le bouton ocr'],
+    addAllButtons: [['tous', 'boutons']],
+    removeButtons: ['retirer', 'effacer', 'supprimer'],
+    forceDownload: ['forcer le telechargement'],
+    debugStorage: ['deboguer le stockage', 'verifier le stockage'],
+    checkEngines: ['verifier les moteurs'],
+    reloadComments: ['recharger les commentaires', 'actualiser les commentaires'],
+    wake: ['dis schoology', 'activer', 'reveille-toi'],
+    sleep: ['dors', 'desactiver', 'au revoir'],
+    customCommands: ['commandes personnalisees', 'mes commandes'],
+    keyboardShortcuts: ['raccourcis clavier', 'raccourcis'],
+    spokenFeedback: ['retour vocal', 'confirmation vocale'],
+    help: ['aide', 'commandes']
+  }
+};
+
+// Lowercase and strip accents so "télécharger" and "telecharger" match the same phrase
+function normalizeSpeech(text) {
+  return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+// Number words recognition may return instead of digits ("page three"), read by
+// the command grammar's number slots
+const NUMBER_WORDS = {
+  en: ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen', 'twenty'],
+  es: ['cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez',
+    'once', 'doce', 'trece', 'catorce', 'quince', 'dieciseis', 'diecisiete', 'dieciocho', 'diecinueve', 'veinte'],
+  fr: ['zero', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf', 'dix',
+    'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize', 'dix-sept', 'dix-huit', 'dix-neuf', 'vingt']
+};
+
+// Tens that combine with a unit: "thirty five", "treinta y cinco", "trente-cinq"
+const NUMBER_TENS = {
+  en: { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 },
+  es: { veinte: 20, treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80, noventa: 90 },
+  fr: { vingt: 20, trente: 30, quarante: 40, cinquante: 50, soixante: 60 }
+};
+const NUMBER_CONNECTORS = ['and', 'y', 'et'];
+
+// Units a {duration} slot accepts, in seconds (a bare number means seconds)
+const DURATION_UNITS = {
+  second: 1, seconds: 1, sec: 1, secs: 1, segundo: 1, segundos: 1, seconde: 1, secondes: 1,
+  minute: 60, minutes: 60, min: 60, minuto: 60, minutos: 60
+};
+
+// Phrases for an action in a language (empty if that language doesn't define the action)
+function getCommandPhrases(languageCode, action) {
+  const table = COMMAND_PHRASES[languageCode] || COMMAND_PHRASES[DEFAULT_LANGUAGE];
+  return table[action] || [];
+}
+
+function getWakeWord(languageCode) {
+  const table = COMMAND_PHRASES[languageCode] || COMMAND_PHRASES[DEFAULT_LANGUAGE];
+  return table.wakeWord;
+}
+
+// Extract course ID from URL
+function getCurrentCourseId() {
+  const match = window.location.href.match(/course\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+async function loadLanguageSettings() {
+  try {
+    const result = await browserAPI.storage.local.get([LANGUAGE_SETTINGS_KEY]);
+    const settings = result[LANGUAGE_SETTINGS_KEY] || {};
+    return {
+      defaultLanguage: settings.defaultLanguage || DEFAULT_LANGUAGE,
+      courses: settings.courses || {},
+      assignments: settings.assignments || {}
+    };
+  } catch (error) {
+    console.error('Language: Error loading settings:', error);
+    return { defaultLanguage: DEFAULT_LANGUAGE, courses: {}, assignments: {} };
+  }
+}
+
+async function saveLanguageSettings(settings) {
+  try {
+    await browserAPI.storage.local.set({ [LANGUAGE_SETTINGS_KEY]: settings });
+    console.log('Language: Settings saved:', settings);
+  } catch (error) {
+    console.error('Language: Error saving settings:', error);
+  }
+}
+
+// Pick the most specific language setting for a page.
+// Returns { code, scope } where scope is 'assignment', 'course' or 'default'.
+function resolveLanguage(settings, assignmentId, courseId) {
+  if (assignmentId && settings.assignments[assignmentId]) {
+    return { code: settings.assignments[assignmentId], scope: 'assignment' };
+  }
+  if (courseId && settings.courses[courseId]) {
+    return { code: settings.courses[courseId], scope: 'course' };
+  }
+  return { code: settings.defaultLanguage, scope: 'default' };
+}
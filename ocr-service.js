@@ -0,0 +1,198 @@
+// OCR service around a single long-lived Tesseract worker
+// The worker is created on first use and kept warm between jobs. Jobs run one at a
+// time, report page-by-page progress, and can be cancelled.
+
+// Tesseract's worker, wasm core and language data ship with the extension so OCR
+// never fetches from a CDN. Paths are relative to the extension root.
+const OCR_WORKER_PATH = 'tesseract/worker.min.js';
+const OCR_CORE_PATH = 'tesseract/tesseract-core.wasm.js';
+const OCR_LANG_DIR = 'tesseract/lang-data';
+
+// Bundled traineddata file for a Tesseract language code, e.g. 'eng'
+function getOCRLanguageDataPath(language) {
+  return `${OCR_LANG_DIR}/${language}.traineddata.gz`;
+}
+
+class OCRService {
+  constructor() {
+    this.workerPromise = null;
+    this.currentJob = null;
+    this.queue = Promise.resolve();
+
+    // Tesseract language pack(s) for the next job, e.g. 'eng' or 'spa'
+    this.language = 'eng';
+    this.workerLanguage = null;
+
+    // UI hooks, set by the voice system
+    this.onProgress = null;   // ({ pageIndex, pageCount, pageNumber, progress }) => {}
+    this.onJobStart = null;   // (job) => {}
+    this.onJobEnd = null;     // (job, outcome) => {} with outcome 'done', 'cancelled' or 'failed'
+  }
+
+  // Create the worker once and reuse it for every job
+  getWorker() {
+    if (this.workerPromise) {
+      return this.workerPromise;
+    }
+
+    this.workerPromise = (async () => {
+      console.log('OCR: Creating Tesseract worker...');
+      const { createWorker } = Tesseract;
+      const worker = await createWorker({
+        workerPath: browserAPI.runtime.getURL(OCR_WORKER_PATH),
+        corePath: browserAPI.runtime.getURL(OCR_CORE_PATH),
+        langPath: browserAPI.runtime.getURL(OCR_LANG_DIR),
+        // Language data is already local; don't copy it into the page's IndexedDB
+        cacheMethod: 'none',
+        gzip: true,
+        logger: message => this.handleWorkerLog(message)
+      });
+
+      await this.loadWorkerLanguage(worker);
+      console.log('OCR: Worker ready');
+      return worker;
+    })();
+
+    // A failed start shouldn't stop the next job from trying again
+    this.workerPromise.catch(() => {
+      this.workerPromise = null;
+    });
+
+    return this.workerPromise;
+  }
+
+  async loadWorkerLanguage(worker) {
+    const language = this.language;
+    console.log('OCR: Loading language:', language);
+    await worker.loadLanguage(language);
+    await worker.initialize(language);
+    this.workerLanguage = language;
+  }
+
+  // Switch the language used by the next job. The warm worker reloads its
+  // language data when that job starts.
+  setLanguage(language) {
+    if (language && language !== this.language) {
+      console.log('OCR: Language set to', language);
+      this.language = language;
+    }
+  }
+
+  // Forward Tesseract's recognition progress for the page being processed
+  handleWorkerLog(message) {
+    const job = this.currentJob;
+    if (!job || message.status !== 'recognizing text') {
+      return;
+    }
+
+    this.reportProgress(job, message.progress);
+  }
+
+  reportProgress(job, progress) {
+    if (this.onProgress) {
+      this.onProgress({
+        pageIndex: job.pageIndex,
+        pageCount: job.pageCount,
+        pageNumber: job.pageNumbers[job.pageIndex],
+        progress: progress
+      });
+    }
+  }
+
+  isBusy() {
+    return this.currentJob !== null;
+  }
+
+  // Recognize a batch of page images. Resolves with one page entry per image,
+  // or rejects with an AbortError if the job is cancelled.
+  recognizePages(imageBlobs, pageNumbers = null) {
+    const job = {
+      pageNumbers: pageNumbers || imageBlobs.map((blob, index) => index + 1),
+      pageIndex: 0,
+      pageCount: imageBlobs.length,
+      cancelled: false,
+      rejectCancel: null
+    };
+
+    const run = this.queue.then(() => this.runJob(job, imageBlobs));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async runJob(job, imageBlobs) {
+    const cancelled = new Promise((resolve, reject) => {
+      job.rejectCancel = reject;
+    });
+    cancelled.catch(() => {});
+
+    this.currentJob = job;
+    if (this.onJobStart) this.onJobStart(job);
+
+    let outcome = 'failed';
+    try {
+      const worker = await Promise.race([this.getWorker(), cancelled]);
+      if (this.workerLanguage !== this.language) {
+        await Promise.race([this.loadWorkerLanguage(worker), cancelled]);
+      }
+      const pages = [];
+
+      for (let i = 0; i < imageBlobs.length; i++) {
+        job.pageIndex = i;
+        const pageNumber = job.pageNumbers[i];
+        const startTime = performance.now();
+        this.reportProgress(job, 0);
+
+        console.log(`OCR: Starting recognition for page ${pageNumber}...`);
+        const { data: { text, confidence } } = await Promise.race([worker.recognize(imageBlobs[i]), cancelled]);
+        console.log(`OCR: Recognition completed for page ${pageNumber}, text length:`, text.length, 'confidence:', confidence);
+
+        pages.push({
+          pageNumber: pageNumber,
+          text: text.trim(),
+          method: 'ocr',
+          confidence: Math.round(confidence),
+          durationMs: Math.round(performance.now() - startTime)
+        });
+      }
+
+      outcome = 'done';
+      return pages;
+    } catch (error) {
+      if (job.cancelled) {
+        outcome = 'cancelled';
+      }
+      throw error;
+    } finally {
+      this.currentJob = null;
+      if (this.onJobEnd) this.onJobEnd(job, outcome);
+    }
+  }
+
+  // Abort the running job. Tesseract can't stop a page midway, so the worker is
+  // terminated and a fresh one is created for the next job.
+  async cancel() {
+    const job = this.currentJob;
+    if (!job) {
+      return false;
+    }
+
+    console.log('OCR: Cancelling current job');
+    job.cancelled = true;
+    job.rejectCancel(new DOMException('OCR cancelled', 'AbortError'));
+
+    const workerPromise = this.workerPromise;
+    this.workerPromise = null;
+    this.workerLanguage = null;
+    if (workerPromise) {
+      try {
+        const worker = await workerPromise;
+        await worker.terminate();
+      } catch (error) {
+        console.error('OCR: Error terminating worker:', error);
+      }
+    }
+    return true;
+  }
+}
+
+const ocrService = new OCRService();
@@ -0,0 +1,134 @@
+// Read-aloud of the Schoology page itself
+// Pulls readable regions (assignment instructions, discussion posts, course
+// materials, grade comments) out of the current page and turns them into a
+// document shaped like an extraction result, one "page" per region, so the TTS
+// player and reader panel can use it like a file.
+
+// Regions in reading order. Each selector list is tried in order and every match
+// of the first selector that finds something is used, one paragraph per match.
+const PAGE_REGIONS = [
+  {
+    id: 'instructions',
+    name: 'Assignment instructions',
+    selectors: ['.assignment-details .info-body', '.info-body', '.assignment-description', '.s-page-summary']
+  },
+  {
+    id: 'discussion',
+    name: 'Discussion',
+    selectors: ['.discussion-card', '#s_comments .comment-body-wrapper', '.s_comments_level .comment-body']
+  },
+  {
+    id: 'materials',
+    name: 'Course materials',
+    selectors: ['#folder-contents-table .item-title', '.materials-list .item-title', '.course-materials .item-title']
+  },
+  {
+    id: 'grades',
+    name: 'Grade and comments',
+    selectors: ['.grading-sidebar', '.grade-comment', '.submission-comments']
+  }
+];
+
+// Used when none of the regions above are on the page
+const PAGE_FALLBACK_REGION = {
+  id: 'page',
+  name: 'Page content',
+  selectors: ['#main-inner', '#center-top', 'main']
+};
+
+// Our own panels never count as page content
+const PAGE_READER_IGNORE = '#tts-controls, #reader-panel, #voice-status, #comment-dialog, #comment-display, #summary-dialog, #ocr-settings-panel, #language-panel';
+
+// Student names in Schoology's grading views (gradebook rows, the grader's student
+// list), used for the {student} command slot
+const PAGE_STUDENT_SELECTORS = ['.gradebook-user-name a', '.grading-user-name', '.enrollment-user-name a', '.student-name'];
+
+// Visible text of an element, one line per block, without runs of whitespace.
+// Words are separated by single spaces so split(' ') positions line up.
+function getReadableText(element) {
+  return (element.innerText || element.textContent || '')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line)
+    .join('\n');
+}
+
+function findRegionElements(region) {
+  for (const selector of region.selectors) {
+    const elements = Array.from(document.querySelectorAll(selector))
+      .filter(element => !element.closest(PAGE_READER_IGNORE));
+    // Skip matches nested inside another match, their text is already included
+    const outermost = elements.filter(element => !elements.some(other => other !== element && other.contains(element)));
+    if (outermost.length > 0) {
+      return outermost;
+    }
+  }
+  return [];
+}
+
+// Students listed on the current page: [{ name, element }]
+function findPageStudents() {
+  const students = [];
+  const seen = new Set();
+  for (const selector of PAGE_STUDENT_SELECTORS) {
+    document.querySelectorAll(selector).forEach(element => {
+      const name = getReadableText(element).split('\n')[0];
+      if (name && !seen.has(name)) {
+        seen.add(name);
+        students.push({ name: name, element: element });
+      }
+    });
+  }
+  return students;
+}
+
+// Readable regions on the current page: [{ id, name, text }]
+function findPageRegions() {
+  const regions = [];
+  PAGE_REGIONS.forEach(region => {
+    const text = findRegionElements(region).map(getReadableText).filter(text => text).join('\n');
+    if (text) {
+      regions.push({ id: region.id, name: region.name, text: text });
+    }
+  });
+
+  if (regions.length === 0) {
+    const text = findRegionElements(PAGE_FALLBACK_REGION).map(getReadableText).filter(text => text).join('\n');
+    if (text) {
+      regions.push({ id: PAGE_FALLBACK_REGION.id, name: PAGE_FALLBACK_REGION.name, text: text });
+    }
+  }
+
+  console.log('Page: Found regions:', regions.map(region => region.name));
+  return regions;
+}
+
+// Comments made while reading the page are kept under this instead of a file ID,
+// so they show up again when the same page is read, and never on a file
+function getPageCommentKey() {
+  return `page:${window.location.pathname}`;
+}
+
+// Page regions as an extraction result. Each region starts with its name so the
+// listener hears where they are.
+function buildPageDocument(regions = findPageRegions()) {
+  const pages = regions.map((region, index) => ({
+    pageNumber: index + 1,
+    label: region.name,
+    text: `${region.name}.\n${region.text}`,
+    method: 'page',
+    confidence: null,
+    durationMs: 0
+  }));
+
+  return {
+    fileName: document.title || 'This page',
+    text: pages.map(page => page.text).join('\n'),
+    pages: pages,
+    pageCount: pages.length,
+    method: 'page',
+    confidence: null,
+    timing: null,
+    fromCache: false
+  };
+}
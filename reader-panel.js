@@ -0,0 +1,317 @@
+// Dockable reader panel
+// Shows the extracted document text by page and paragraph, highlights the sentence
+// being read aloud, and marks saved comments inline. Word indexes match the
+// text.split(' ') positions text-to-speech and comments use.
+
+const READER_DOCK_KEY = 'reader_dock';
+const READER_DOCK_POSITIONS = ['right', 'left', 'bottom'];
+
+class ReaderPanel {
+  constructor(callbacks = {}) {
+    this.panel = null;
+    this.body = null;
+    this.result = null;
+    this.comments = [];
+    this.dockPosition = 'right';
+    this.sentenceOfWord = [];
+    this.highlighted = [];
+
+    // Hooks, set by the voice system
+    this.onWordClick = callbacks.onWordClick || null;       // (wordIndex) => {}
+    this.onCommentClick = callbacks.onCommentClick || null; // (comment) => {}
+    this.onClose = callbacks.onClose || null;               // () => {}
+
+    this.loadDockPosition();
+  }
+
+  async loadDockPosition() {
+    try {
+      const result = await browserAPI.storage.local.get([READER_DOCK_KEY]);
+      if (READER_DOCK_POSITIONS.includes(result[READER_DOCK_KEY])) {
+        this.dockPosition = result[READER_DOCK_KEY];
+        if (this.panel) this.applyDock();
+      }
+    } catch (error) {
+      console.error('Reader: Error loading dock position:', error);
+    }
+  }
+
+  isOpen() {
+    return this.panel !== null;
+  }
+
+  // Show an extraction result with the comments saved for the same file
+  open(result, comments = []) {
+    this.result = result;
+    this.comments = comments;
+
+    if (!this.panel) {
+      this.createPanel();
+    }
+    this.panel.querySelector('#reader-title').textContent = `📖 ${result.fileName || 'Document'}`;
+    this.render();
+  }
+
+  close() {
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+      this.body = null;
+      this.highlighted = [];
+      if (this.onClose) this.onClose();
+    }
+  }
+
+  setComments(comments) {
+    this.comments = comments;
+    if (this.panel && this.result) {
+      this.render();
+    }
+  }
+
+  addStyles() {
+    if (document.getElementById('reader-panel-styles')) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.id = 'reader-panel-styles';
+    style.textContent = `
+      #reader-panel .reader-page-label {
+        margin: 15px 0 5px;
+        font-size: 11px;
+        color: #888;
+        text-transform: uppercase;
+        border-bottom: 1px solid #ddd;
+      }
+      #reader-panel p {
+        margin: 0 0 10px;
+        line-height: 1.6;
+      }
+      #reader-panel .reader-word {
+        cursor: pointer;
+        border-radius: 2px;
+      }
+      #reader-panel .reader-word:hover {
+        background: #E3F2FD;
+      }
+      #reader-panel .reader-sentence-active {
+        background: #FFF59D;
+      }
+      #reader-panel .reader-comment-marker {
+        cursor: pointer;
+        font-size: 12px;
+        margin: 0 2px;
+        padding: 0 3px;
+        border-radius: 3px;
+        background: #2196F3;
+        color: white;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  createPanel() {
+    this.addStyles();
+
+    this.panel = document.createElement('div');
+    this.panel.id = 'reader-panel';
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; align-items: center; gap: 5px; padding: 10px; background: #333; color: white;';
+
+    const title = document.createElement('div');
+    title.id = 'reader-title';
+    title.style.cssText = 'flex: 1; font-weight: bold; font-size: 13px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+    header.appendChild(title);
+
+    const buttonStyle = 'padding: 3px 7px; background: #555; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px;';
+    [['left', '⇤', 'Dock left'], ['bottom', '⤓', 'Dock bottom'], ['right', '⇥', 'Dock right']].forEach(([position, label, tooltip]) => {
+      const button = document.createElement('button');
+      button.style.cssText = buttonStyle;
+      button.textContent = label;
+      button.title = tooltip;
+      button.addEventListener('click', () => this.dock(position));
+      header.appendChild(button);
+    });
+
+    const closeBtn = document.createElement('button');
+    closeBtn.style.cssText = buttonStyle + 'background: #F44336;';
+    closeBtn.textContent = '✕';
+    closeBtn.title = 'Close reader';
+    closeBtn.addEventListener('click', () => this.close());
+    header.appendChild(closeBtn);
+
+    const hint = document.createElement('div');
+    hint.style.cssText = 'padding: 5px 10px; font-size: 11px; color: #666; background: #f5f5f5; border-bottom: 1px solid #ddd;';
+    hint.textContent = 'Click a word to read from there. 💬 marks a comment.';
+
+    this.body = document.createElement('div');
+    this.body.id = 'reader-body';
+    this.body.style.cssText = 'flex: 1; overflow-y: auto; padding: 5px 15px 15px; font-size: 14px; color: #222;';
+
+    // One listener for every word and marker in the document
+    this.body.addEventListener('click', (event) => {
+      const marker = event.target.closest('.reader-comment-marker');
+      if (marker) {
+        const comment = this.comments.find(c => String(c.id) === marker.dataset.commentId);
+        if (comment && this.onCommentClick) this.onCommentClick(comment);
+        return;
+      }
+
+      const word = event.target.closest('.reader-word');
+      if (word && this.onWordClick) {
+        this.onWordClick(parseInt(word.dataset.word, 10));
+      }
+    });
+
+    this.panel.appendChild(header);
+    this.panel.appendChild(hint);
+    this.panel.appendChild(this.body);
+    document.body.appendChild(this.panel);
+    this.applyDock();
+  }
+
+  dock(position) {
+    this.dockPosition = position;
+    this.applyDock();
+    browserAPI.storage.local.set({ [READER_DOCK_KEY]: position }).catch(error => {
+      console.error('Reader: Error saving dock position:', error);
+    });
+  }
+
+  applyDock() {
+    const placement = {
+      right: 'top: 0; right: 0; width: 380px; height: 100%;',
+      left: 'top: 0; left: 0; width: 380px; height: 100%;',
+      bottom: 'bottom: 0; left: 0; width: 100%; height: 35%;'
+    }[this.dockPosition];
+
+    this.panel.style.cssText = `
+      position: fixed;
+      ${placement}
+      z-index: 9999;
+      background: white;
+      display: flex;
+      flex-direction: column;
+      box-shadow: 0 0 15px rgba(0,0,0,0.3);
+      font-family: Arial, sans-serif;
+    `;
+  }
+
+  // Character offset where each page with text starts in result.text
+  // (pages are joined with a newline by the extractor)
+  getPageStarts() {
+    const starts = [];
+    let offset = 0;
+    this.result.pages.filter(page => page.text).forEach(page => {
+      starts.push({ offset: offset, pageNumber: page.pageNumber, label: page.label });
+      offset += page.text.length + 1;
+    });
+    return starts;
+  }
+
+  render() {
+    const text = this.result.text;
+    const words = text.split(' ');
+    const pageStarts = this.getPageStarts();
+    this.sentenceOfWord = new Array(words.length);
+    this.highlighted = [];
+    this.body.innerHTML = '';
+
+    // Comments by the word they were made at
+    const markers = new Map();
+    this.comments.forEach(comment => {
+      const position = Math.min(Math.max(0, comment.position || 0), words.length - 1);
+      if (!markers.has(position)) markers.set(position, []);
+      markers.get(position).push(comment);
+    });
+
+    let paragraph = null;
+    let nextPage = 0;
+    const startParagraph = () => {
+      paragraph = document.createElement('p');
+      this.body.appendChild(paragraph);
+    };
+    const startPage = () => {
+      const label = document.createElement('div');
+      label.className = 'reader-page-label';
+      label.textContent = pageStarts[nextPage].label || `Page ${pageStarts[nextPage].pageNumber}`;
+      this.body.appendChild(label);
+      nextPage++;
+      startParagraph();
+    };
+
+    if (pageStarts.length > 0) {
+      startPage();
+    } else {
+      startParagraph();
+    }
+
+    let offset = 0;
+    let sentence = 0;
+    words.forEach((word, index) => {
+      (markers.get(index) || []).forEach(comment => {
+        const marker = document.createElement('span');
+        marker.className = 'reader-comment-marker';
+        marker.dataset.commentId = comment.id;
+        marker.textContent = '💬';
+        marker.title = comment.text;
+        paragraph.appendChild(marker);
+      });
+
+      // A "word" can span a line break, which starts a new paragraph (or page)
+      let partOffset = offset;
+      word.split('\n').forEach((part, partIndex) => {
+        if (partIndex > 0) {
+          if (nextPage < pageStarts.length && pageStarts[nextPage].offset === partOffset) {
+            startPage();
+          } else {
+            startParagraph();
+          }
+          sentence++;
+        }
+
+        if (part) {
+          const span = document.createElement('span');
+          span.className = 'reader-word';
+          span.dataset.word = index;
+          span.dataset.sentence = sentence;
+          span.textContent = part;
+          paragraph.appendChild(span);
+          paragraph.appendChild(document.createTextNode(' '));
+        }
+        partOffset += part.length + 1;
+      });
+
+      this.sentenceOfWord[index] = sentence;
+      if (/[.!?]["'”’)\]]*$/.test(word)) {
+        sentence++;
+      }
+      offset += word.length + 1;
+    });
+  }
+
+  // Highlight the sentence containing a word and keep it in view
+  highlightWord(wordIndex) {
+    if (!this.body) return;
+
+    const sentence = this.sentenceOfWord[wordIndex];
+    if (sentence === undefined) return;
+    if (this.highlighted.length > 0 && this.highlighted[0].dataset.sentence === String(sentence)) {
+      return;
+    }
+
+    this.clearHighlight();
+    this.highlighted = Array.from(this.body.querySelectorAll(`[data-sentence="${sentence}"]`));
+    this.highlighted.forEach(span => span.classList.add('reader-sentence-active'));
+    if (this.highlighted.length > 0) {
+      this.highlighted[0].scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+  }
+
+  clearHighlight() {
+    this.highlighted.forEach(span => span.classList.remove('reader-sentence-active'));
+    this.highlighted = [];
+  }
+}
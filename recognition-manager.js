@@ -0,0 +1,226 @@
+// Speech recognition lifecycle
+// One SpeechRecognition instance shared by every way the extension listens:
+//   idle       microphone off
+//   wake       waiting for the wake word
+//   command    awake, what's said is a command
+//   dictation  what's said is comment text
+// The manager starts the recognizer, restarts it when the browser ends a session
+// and stops it, so switching modes never tears it down or races a restart. Errors
+// are retried with growing delays; "not-allowed" waits for the user to turn voice
+// on again. The UI follows along through on('state') and gets speech from
+// on('result').
+
+// Delay before retrying after an error, doubled for each error in a row
+const RECOGNITION_BACKOFF_BASE_MS = 1000;
+const RECOGNITION_BACKOFF_MAX_MS = 30000;
+
+// Sessions that end this soon without hearing anything count as failures, so a
+// recognizer that keeps ending straight away doesn't restart in a tight loop
+const RECOGNITION_MIN_SESSION_MS = 1000;
+
+// Not really errors: silence timed out, or we aborted the session ourselves
+const RECOGNITION_QUIET_ERRORS = ['no-speech', 'aborted'];
+
+// The microphone or the speech service was refused; retrying won't help
+const RECOGNITION_BLOCKED_ERRORS = ['not-allowed', 'service-not-allowed'];
+
+class RecognitionManager {
+  constructor(lang) {
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    this.supported = !!SpeechRecognition;
+
+    this.mode = 'idle';
+    // off, starting, listening, retrying or blocked
+    this.status = 'off';
+    this.error = null;
+    this.retryInMs = 0;
+
+    // Whether the recognizer has a session open (from start() until onend)
+    this.running = false;
+    // Set when we end a session on purpose, so it isn't taken for a failure
+    this.endRequested = false;
+    this.sessionStart = 0;
+    this.heardSomething = false;
+    this.errorCount = 0;
+    this.restartTimer = null;
+
+    this.listeners = { state: [], result: [] };
+
+    if (!this.supported) {
+      console.log('Recognition: Speech recognition not supported in this browser');
+      return;
+    }
+
+    this.recognition = new SpeechRecognition();
+    this.recognition.continuous = true;
+    this.recognition.interimResults = true;
+    this.recognition.lang = lang;
+    this.recognition.onstart = () => this.handleStart();
+    this.recognition.onresult = (event) => this.handleResult(event);
+    this.recognition.onerror = (event) => this.handleError(event);
+    this.recognition.onend = () => this.handleEnd();
+  }
+
+  // Subscribe to 'state' ({ mode, status, error, retryInMs }) or 'result'
+  // ({ mode, final, interim }). Returns a function that unsubscribes.
+  on(event, callback) {
+    this.listeners[event].push(callback);
+    return () => {
+      this.listeners[event] = this.listeners[event].filter(listener => listener !== callback);
+    };
+  }
+
+  emit(event, data) {
+    this.listeners[event].forEach(listener => {
+      try {
+        listener(data);
+      } catch (error) {
+        console.error('Recognition:', event, 'listener failed:', error);
+      }
+    });
+  }
+
+  getState() {
+    return { mode: this.mode, status: this.status, error: this.error, retryInMs: this.retryInMs };
+  }
+
+  setStatus(status, error = null, retryInMs = 0) {
+    this.status = status;
+    this.error = error;
+    this.retryInMs = retryInMs;
+    this.emit('state', this.getState());
+  }
+
+  // Switch what the microphone is used for. Leaving idle (the user turning voice on)
+  // also clears a blocked state and the error count so it tries right away.
+  setMode(mode) {
+    if (!this.supported || mode === this.mode) {
+      return;
+    }
+    const previous = this.mode;
+    this.mode = mode;
+    console.log('Recognition: Mode', previous, '->', mode);
+
+    if (mode === 'idle') {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+      if (this.running) {
+        this.endRequested = true;
+        this.recognition.stop();
+      }
+      this.setStatus(this.status === 'blocked' ? 'blocked' : 'off', this.error);
+      return;
+    }
+
+    if (previous === 'idle') {
+      this.errorCount = 0;
+      this.start();
+    } else if ((previous === 'dictation') !== (mode === 'dictation') && this.running) {
+      // Start dictation (or commands after it) with a fresh session so words said
+      // for one mode don't show up in the other. onend starts the new session.
+      this.endRequested = true;
+      this.recognition.abort();
+    }
+    this.emit('state', this.getState());
+  }
+
+  // Takes effect right away: a running session is restarted in the new language
+  setLanguage(lang) {
+    if (!this.supported || this.recognition.lang === lang) {
+      return;
+    }
+    this.recognition.lang = lang;
+    if (this.running) {
+      this.endRequested = true;
+      this.recognition.abort();
+    }
+  }
+
+  start() {
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    if (this.running || this.mode === 'idle') {
+      return;
+    }
+
+    try {
+      this.recognition.start();
+      this.running = true;
+      this.endRequested = false;
+      this.sessionStart = Date.now();
+      this.heardSomething = false;
+      this.setStatus('starting');
+    } catch (error) {
+      console.error('Recognition: Start failed:', error);
+      this.errorCount++;
+      this.scheduleRestart(error.name);
+    }
+  }
+
+  scheduleRestart(reason) {
+    const delay = this.errorCount === 0 ? 0 :
+      Math.min(RECOGNITION_BACKOFF_MAX_MS, RECOGNITION_BACKOFF_BASE_MS * Math.pow(2, this.errorCount - 1));
+    if (delay > 0) {
+      console.log('Recognition: Retrying in', delay, 'ms after', reason);
+      this.setStatus('retrying', reason, delay);
+    }
+    this.restartTimer = setTimeout(() => this.start(), delay);
+  }
+
+  handleStart() {
+    console.log('Recognition: Listening in', this.recognition.lang, 'for', this.mode);
+    this.setStatus('listening');
+  }
+
+  handleResult(event) {
+    this.heardSomething = true;
+    this.errorCount = 0;
+
+    let final = '';
+    let interim = '';
+    for (let i = event.resultIndex; i < event.results.length; i++) {
+      const transcript = event.results[i][0].transcript;
+      if (event.results[i].isFinal) {
+        final += transcript;
+      } else {
+        interim += transcript;
+      }
+    }
+    if (this.mode !== 'idle') {
+      this.emit('result', { mode: this.mode, final: final, interim: interim });
+    }
+  }
+
+  handleError(event) {
+    if (RECOGNITION_QUIET_ERRORS.includes(event.error)) {
+      return;
+    }
+    console.error('Recognition: Error:', event.error);
+
+    if (RECOGNITION_BLOCKED_ERRORS.includes(event.error)) {
+      this.mode = 'idle';
+      this.setStatus('blocked', event.error);
+      return;
+    }
+    // network, audio-capture... onend retries after a delay
+    this.errorCount++;
+    this.error = event.error;
+  }
+
+  handleEnd() {
+    this.running = false;
+    if (this.mode === 'idle') {
+      if (this.status !== 'blocked') {
+        this.setStatus('off');
+      }
+      return;
+    }
+
+    const endedEarly = !this.heardSomething && Date.now() - this.sessionStart < RECOGNITION_MIN_SESSION_MS;
+    if (endedEarly && !this.endRequested && this.errorCount === 0) {
+      this.errorCount++;
+      this.error = this.error || 'ended early';
+    }
+    this.scheduleRestart(this.error || 'session ended');
+  }
+}
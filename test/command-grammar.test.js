@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const context = loadScripts(['language-settings.js', 'command-grammar.js']);
+// Registry actions; the rest of the table is wake words and dictation/confirmation phrases
+const NOT_ACTIONS = ['wakeWord', 'confirmYes', 'confirmNo', 'stopComment', 'endComment', 'urgent'];
+const actions = Object.keys(context.get('COMMAND_PHRASES').en).filter(key => !NOT_ACTIONS.includes(key));
+
+function resolve(command) {
+  return context.resolveCommand(command, actions, ['en']);
+}
+
+test('exact phrases run', () => {
+  assert.strictEqual(resolve('read aloud').match.action, 'speak');
+  assert.strictEqual(resolve('extract').match.action, 'extract');
+  assert.strictEqual(resolve('sleep').match.action, 'sleep');
+
+  const skip = resolve('skip 30 seconds');
+  assert.strictEqual(skip.type, 'run');
+  assert.strictEqual(skip.match.action, 'skipForward');
+  assert.strictEqual(skip.match.slots.duration, 30);
+});
+
+test('plurals count as exact words', () => {
+  const result = resolve('show comments');
+  assert.strictEqual(result.type, 'run');
+  assert.strictEqual(result.match.action, 'showComments');
+});
+
+test('a one-letter slip is offered as a suggestion instead of running', () => {
+  [
+    ['next', 'extract'],
+    ['test', 'extract'],
+    ['sneak', 'speak'],
+    ['sleepy', 'sleep'],
+    ['show coments', 'showComments']
+  ].forEach(([command, action]) => {
+    const result = resolve(command);
+    assert.strictEqual(result.type, 'suggest', `"${command}" should not run`);
+    assert.ok(result.matches.some(match => match.action === action), `"${command}" should suggest ${action}`);
+  });
+});
+
+test('fuzzy matches score below the run score', () => {
+  const runScore = context.get('COMMAND_RUN_SCORE');
+  context.matchCommand('sneak', actions, ['en']).forEach(match => {
+    assert.ok(match.score < runScore, `${match.action} scored ${match.score}`);
+  });
+});
+
+test('urgent words and "stop comment" only count when they are the whole command', () => {
+  assert.strictEqual(context.resolveCommand('stop', ['urgent'], ['en']).type, 'run');
+  assert.notStrictEqual(context.resolveCommand('i told them to stop and think first', ['urgent'], ['en']).type, 'run');
+
+  const stopActions = ['stopComment', 'endComment'];
+  assert.strictEqual(context.resolveCommand('stop comment', stopActions, ['en']).type, 'run');
+  assert.notStrictEqual(context.resolveCommand('you should stop and comment on the sources you used', stopActions, ['en']).type, 'run');
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const context = loadScripts(
+  ['language-settings.js', 'command-grammar.js', 'custom-commands.js', 'audio-feedback.js', 'content.js'],
+  {
+    browser: {
+      runtime: { onMessage: { addListener() {} }, sendMessage: async () => ({}) },
+      storage: { local: { get: async () => ({}), set: async () => {} } }
+    },
+    window: {
+      addEventListener() {},
+      location: { href: 'https://app.schoology.com/assignment/123', pathname: '/assignment/123' }
+    },
+    // Still "loading", so content.js waits for DOMContentLoaded instead of starting up
+    document: { readyState: 'loading', addEventListener() {} },
+    fileCache: {}
+  }
+);
+// No Web Audio here
+context.get('audioFeedbackSettings.earcons = false');
+
+// The real status and outcome handling, recording what would be announced
+function createVoiceSystem() {
+  const system = Object.create(context.get('VoiceCommandSystem').prototype);
+  Object.assign(system, {
+    outcomeExpectedAt: 0,
+    statusElement: { style: {} },
+    announced: []
+  });
+  system.announce = (earcon, message) => {
+    system.outcomeExpectedAt = 0;
+    system.announced.push([earcon, message]);
+  };
+  return system;
+}
+
+test('a command that only shows a progress status leaves later statuses alone', async () => {
+  const system = createVoiceSystem();
+  system.runAcceptedCommand(['goToPage', () => system.updateStatus('Moved to page 2', '#2196F3')], {}, 'go to page 2');
+  await Promise.resolve();
+
+  system.updateStatus('Hearing: next', '#FF9800');
+  system.updateStatus('Unrelated result', '#F44336', 'error');
+  assert.deepStrictEqual(system.announced, []);
+});
+
+test('the first result of a running command is announced by its outcome', async () => {
+  const system = createVoiceSystem();
+  system.runAcceptedCommand(['extract', async () => {
+    system.updateStatus('Extracting text...', '#FF9800');
+    await Promise.resolve();
+    system.updateStatus('Text extracted', '#4CAF50', 'success');
+  }], {}, 'extract');
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  system.runAcceptedCommand(['pause', () => system.updateStatus('Speech paused', '#FF9800', 'success')], {}, 'pause');
+  system.runAcceptedCommand(['speak', () => system.updateStatus('No text found to read', '#FF9800', 'warning')], {}, 'speak');
+  assert.deepStrictEqual(system.announced, [
+    [null, 'Text extracted'],
+    [null, 'Speech paused'],
+    ['error', 'No text found to read']
+  ]);
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+// Just enough of a canvas for image-preprocess.js: white fill, translate/rotate
+// transforms, nearest-neighbour drawImage and pixel access
+class FakeCanvas {
+  constructor() {
+    this.width = 1;
+    this.height = 1;
+    this.pixels = null;
+  }
+
+  getPixels() {
+    if (!this.pixels || this.pixels.length !== this.width * this.height * 4) {
+      this.pixels = new Uint8ClampedArray(this.width * this.height * 4);
+    }
+    return this.pixels;
+  }
+
+  getContext() {
+    const canvas = this;
+    let [a, b, c, d, e, f] = [1, 0, 0, 1, 0, 0];
+    return {
+      fillStyle: '#000000',
+      fillRect(x, y, width, height) {
+        const value = this.fillStyle === '#FFFFFF' ? 255 : 0;
+        const pixels = canvas.getPixels();
+        for (let py = Math.max(0, y); py < Math.min(canvas.height, y + height); py++) {
+          for (let px = Math.max(0, x); px < Math.min(canvas.width, x + width); px++) {
+            pixels.fill(value, (py * canvas.width + px) * 4, (py * canvas.width + px) * 4 + 3);
+            pixels[(py * canvas.width + px) * 4 + 3] = 255;
+          }
+        }
+      },
+      translate(x, y) {
+        e += a * x + c * y;
+        f += b * x + d * y;
+      },
+      rotate(radians) {
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        [a, b, c, d] = [a * cos + c * sin, b * cos + d * sin, c * cos - a * sin, d * cos - b * sin];
+      },
+      drawImage(source, ...args) {
+        const [sx, sy, sw, sh, dx, dy, dw, dh] = args.length === 4
+          ? [0, 0, source.width, source.height, ...args]
+          : args;
+        const from = source.getPixels();
+        const to = canvas.getPixels();
+        const determinant = a * d - b * c;
+        for (let py = 0; py < canvas.height; py++) {
+          for (let px = 0; px < canvas.width; px++) {
+            // Back from the device pixel to the user-space point that lands on it
+            const x = px + 0.5 - e;
+            const y = py + 0.5 - f;
+            const u = (d * x - c * y) / determinant;
+            const v = (a * y - b * x) / determinant;
+            if (u < dx || v < dy || u >= dx + dw || v >= dy + dh) continue;
+            const fromX = Math.floor(sx + (u - dx) * sw / dw);
+            const fromY = Math.floor(sy + (v - dy) * sh / dh);
+            if (fromX < 0 || fromY < 0 || fromX >= source.width || fromY >= source.height) continue;
+            const i = (fromY * source.width + fromX) * 4;
+            to.set(from.subarray(i, i + 4), (py * canvas.width + px) * 4);
+          }
+        }
+      },
+      getImageData(x, y, width, height) {
+        return { width: width, height: height, data: new Uint8ClampedArray(canvas.getPixels()) };
+      },
+      putImageData(imageData) {
+        canvas.getPixels().set(imageData.data);
+      }
+    };
+  }
+
+  toBlob(callback) {
+    callback(this);
+  }
+}
+
+const context = loadScripts(['image-preprocess.js'], {
+  document: { createElement: () => new FakeCanvas() },
+  // Blobs in these tests are canvases already
+  createImageBitmap: async canvas => canvas
+});
+
+// A page of dashed "text lines" tilted by `degrees` (positive tilts clockwise)
+function createSkewedPage(degrees) {
+  const page = context.createCanvas(400, 300);
+  const pageContext = page.getContext('2d');
+  pageContext.fillStyle = '#FFFFFF';
+  pageContext.fillRect(0, 0, page.width, page.height);
+
+  const pixels = page.getPixels();
+  const slope = Math.tan(degrees * Math.PI / 180);
+  for (let lineY = 40; lineY <= 260; lineY += 30) {
+    for (let x = 40; x < 360; x++) {
+      // Words of 25px with 8px gaps
+      if (x % 33 >= 25) continue;
+      const y = Math.round(lineY + (x - 200) * slope);
+      for (let thickness = 0; thickness < 3; thickness++) {
+        pixels.fill(0, ((y + thickness) * page.width + x) * 4, ((y + thickness) * page.width + x) * 4 + 3);
+      }
+    }
+  }
+  return page;
+}
+
+const DESKEW_ONLY = {
+  ...context.get('DEFAULT_OCR_PREPROCESS_SETTINGS'),
+  enabled: true,
+  orientation: false,
+  grayscale: false,
+  threshold: false,
+  crop: false
+};
+
+test('deskew straightens a page tilted clockwise', async () => {
+  const page = createSkewedPage(5);
+  assert.strictEqual(Math.abs(context.detectSkew(page)), 5);
+
+  const result = await context.preprocessImage(page, DESKEW_ONLY);
+  assert.ok(Math.abs(context.detectSkew(result.blob)) <= 1, `still tilted ${context.detectSkew(result.blob)}°`);
+});
+
+test('deskew straightens a page tilted counterclockwise', async () => {
+  const result = await context.preprocessImage(createSkewedPage(-5), DESKEW_ONLY);
+  assert.ok(Math.abs(context.detectSkew(result.blob)) <= 1, `still tilted ${context.detectSkew(result.blob)}°`);
+});
+
+test('preprocess signature changes with the PDF render scale', () => {
+  const settings = context.get('DEFAULT_OCR_PREPROCESS_SETTINGS');
+  [false, true].forEach(enabled => {
+    assert.notStrictEqual(
+      context.getPreprocessSignature({ ...settings, enabled: enabled, renderScale: 2 }),
+      context.getPreprocessSignature({ ...settings, enabled: enabled, renderScale: 3 })
+    );
+  });
+});
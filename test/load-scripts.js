@@ -0,0 +1,20 @@
+// Loads the extension's classic scripts into one shared context, the way the
+// manifest loads content scripts into a page, so tests can call their functions.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ console, setTimeout, clearTimeout, ...globals });
+  files.forEach(file => {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  });
+  // Top-level const/let aren't properties of the context, so read them by name
+  context.get = expression => vm.runInContext(expression, context);
+  return context;
+}
+
+module.exports = { loadScripts };
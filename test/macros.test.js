@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const context = loadScripts(
+  ['language-settings.js', 'command-grammar.js', 'custom-commands.js', 'comment-trash.js', 'content.js'],
+  {
+    browser: {
+      runtime: { onMessage: { addListener() {} }, sendMessage: async () => ({}) },
+      storage: { local: { get: async () => ({}), set: async () => {} } }
+    },
+    window: {
+      addEventListener() {},
+      location: { href: 'https://app.schoology.com/assignment/123', pathname: '/assignment/123' }
+    },
+    // Still "loading", so content.js waits for DOMContentLoaded instead of starting up
+    document: { readyState: 'loading', addEventListener() {} },
+    navigator: { clipboard: { writeText: async () => {} } },
+    fileCache: {},
+    describeExtraction: () => '',
+    extractDocument: async fileData => ({
+      fileName: fileData.fileName,
+      text: 'Photosynthesis turns light into chemical energy in plants.',
+      pages: [],
+      method: 'pdfjs',
+      fromCache: true
+    })
+  }
+);
+
+// Player that only keeps the state the voice system reads
+function createFakePlayer() {
+  return {
+    isSpeaking: false,
+    isPaused: false,
+    position: 0,
+    load() {},
+    play(wordIndex) {
+      this.isSpeaking = true;
+      this.isPaused = false;
+      this.position = wordIndex;
+    },
+    pause() {
+      if (!this.isSpeaking || this.isPaused) return false;
+      this.isPaused = true;
+      return true;
+    },
+    getWordCount: () => 8
+  };
+}
+
+// The real voice command system with the browser-facing parts stubbed out
+function createVoiceSystem() {
+  const system = Object.create(context.get('VoiceCommandSystem').prototype);
+  Object.assign(system, {
+    languageCode: 'en',
+    comments: [],
+    commentTranscript: '',
+    commentWhileReading: false,
+    pushToTalkActive: false,
+    wakeWordTimeout: null,
+    tts: createFakePlayer(),
+    recognizer: { supported: true, mode: 'wake', setMode(mode) { this.mode = mode; } },
+    readerPanel: { open() {}, setComments() {} },
+    statusElement: { style: {} },
+    updateStatus() {},
+    announce() {},
+    applyVoiceSettings() {},
+    createTTSControls() {},
+    showCommentDialog() {}
+  });
+  return system;
+}
+
+context.get('cachedFileData = { fileId: "file-1", fileName: "lab-report.pdf" }');
+
+test('"extract, speak, comment mode" keeps reading while dictating', async () => {
+  const system = createVoiceSystem();
+  await system.runMacro({ id: 1, phrase: 'grade mode', steps: ['extract', 'speak', 'commentMode'] });
+
+  assert.strictEqual(system.tts.isSpeaking, true);
+  assert.strictEqual(system.tts.isPaused, false);
+  assert.strictEqual(system.recognizer.mode, 'dictation');
+
+  // Anchored at the word being read when the comment is saved
+  system.tts.position = 5;
+  system.commentTranscript = 'Good use of vocabulary';
+  await system.stopCommentAndSave();
+  assert.strictEqual(system.comments.length, 1);
+  assert.strictEqual(system.comments[0].position, 5);
+  assert.strictEqual(system.comments[0].fileId, 'file-1');
+  assert.strictEqual(system.recognizer.mode, 'wake');
+  assert.strictEqual(system.tts.isPaused, false);
+});
+
+test('"add comment" after "speak" pauses reading at the current word', async () => {
+  const system = createVoiceSystem();
+  await system.runMacro({ id: 2, phrase: 'pause and comment', steps: ['speak', 'addComment'] });
+
+  assert.strictEqual(system.tts.isPaused, true);
+  assert.strictEqual(system.recognizer.mode, 'dictation');
+  assert.strictEqual(system.currentCommentPosition, 0);
+});
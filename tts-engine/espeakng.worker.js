@@ -0,0 +1,124 @@
+// eSpeak NG speech synthesizer compiled with Emscripten, from
+// @echogarden/espeak-ng-emscripten 0.3.5 (GPL-3.0, see COPYING in this folder).
+// Changed to run as a classic worker script: import.meta.url and the ES module
+// export are replaced, the data file is renamed to espeakng.worker.data, and a
+// locateFile passed in the options is kept (the worker runs from a blob URL).
+// The message handler audio-export.js talks to is at the end of this file.
+
+// Options (locateFile) set by audio-export.js before this script
+var moduleOptions = typeof Module !== 'undefined' ? Module : {};
+
+
+var Module = (() => {
+  var _scriptName = (typeof self !== 'undefined' && self.location ? self.location.href : '');
+
+  return (
+async function(moduleArg = {}) {
+  var moduleRtn;
+
+var Module=moduleArg;var readyPromiseResolve,readyPromiseReject;var readyPromise=new Promise((resolve,reject)=>{readyPromiseResolve=resolve;readyPromiseReject=reject});var ENVIRONMENT_IS_WEB=typeof window=="object";var ENVIRONMENT_IS_WORKER=typeof WorkerGlobalScope!="undefined";var ENVIRONMENT_IS_NODE=typeof process=="object"&&typeof process.versions=="object"&&typeof process.versions.node=="string"&&process.type!="renderer";if(ENVIRONMENT_IS_NODE){const{createRequire}=await import("module");let dirname=(typeof self !== 'undefined' && self.location ? self.location.href : '');if(dirname.startsWith("data:")){dirname="/"}var require=createRequire(dirname)}
+
+//// pre.js
+Module['locateFile'] = Module['locateFile'] || function (path, prefix) {
+  //console.log(`locateFile called, with path: ${path}, prefix: ${prefix}`)
+
+  if (path === "espeakng.worker.data") {
+    let currentModuleUrl = (typeof self !== 'undefined' && self.location ? self.location.href : '')
+
+    let directoryPath
+
+    if (currentModuleUrl.startsWith('file://')) {
+      currentModuleUrl = decodeURI(currentModuleUrl)
+      const lastSlashIndex = currentModuleUrl.lastIndexOf('/')
+
+      directoryPath = currentModuleUrl.substring(7, lastSlashIndex)
+
+      // If it's a Windows path like `/C:/Some/Directory/...`,
+      // remove the first / character
+      if (/^\/[a-zA-Z]:\//.test(directoryPath)) {
+        directoryPath = directoryPath.substring(1)
+      }
+    } else {
+      const lastSlashIndex = currentModuleUrl.lastIndexOf('/')
+      directoryPath = currentModuleUrl.substring(0, lastSlashIndex)
+    }
+
+    //console.log(`directoryPath: ${directoryPath}\n\n`)
+
+    return `${directoryPath}/espeakng.worker.data`
+  } else {
+    return `${prefix}${path}`
+  }
+}
+////
+
+
+var Module=typeof Module!="undefined"?Module:{};Module["expectedDataFileDownloads"]??=0;Module["expectedDataFileDownloads"]++;(()=>{var isPthread=typeof ENVIRONMENT_IS_PTHREAD!="undefined"&&ENVIRONMENT_IS_PTHREAD;var isWasmWorker=typeof ENVIRONMENT_IS_WASM_WORKER!="undefined"&&ENVIRONMENT_IS_WASM_WORKER;if(isPthread||isWasmWorker)return;var isNode=typeof process==="object"&&typeof process.versions==="object"&&typeof process.versions.node==="string";function loadPackage(metadata){var PACKAGE_PATH="";if(typeof window==="object"){PACKAGE_PATH=window["encodeURIComponent"](window.location.pathname.substring(0,window.location.pathname.lastIndexOf("/"))+"/")}else if(typeof process==="undefined"&&typeof location!=="undefined"){PACKAGE_PATH=encodeURIComponent(location.pathname.substring(0,location.pathname.lastIndexOf("/"))+"/")}var PACKAGE_NAME="espeakng.worker.data";var REMOTE_PACKAGE_BASE="espeakng.worker.data";var REMOTE_PACKAGE_NAME=Module["locateFile"]?Module["locateFile"](REMOTE_PACKAGE_BASE,""):REMOTE_PACKAGE_BASE;var REMOTE_PACKAGE_SIZE=metadata["remote_package_size"];function fetchRemotePackage(packageName,packageSize,callback,errback){if(isNode){require("fs").readFile(packageName,(err,contents)=>{if(err){errback(err)}else{callback(contents.buffer)}});return}Module["dataFileDownloads"]??={};fetch(packageName).catch(cause=>Promise.reject(new Error(`Network Error: ${packageName}`,{cause}))).then(response=>{if(!response.ok){return Promise.reject(new Error(`${response.status}: ${response.url}`))}if(!response.body&&response.arrayBuffer){return response.arrayBuffer().then(callback)}const reader=response.body.getReader();const iterate=()=>reader.read().then(handleChunk).catch(cause=>Promise.reject(new Error(`Unexpected error while handling : ${response.url} ${cause}`,{cause})));const chunks=[];const headers=response.headers;const total=Number(headers.get("Content-Length")??packageSize);let loaded=0;const handleChunk=({done,value})=>{if(!done){chunks.push(value);loaded+=value.length;Module["dataFileDownloads"][packageName]={loaded,total};let totalLoaded=0;let totalSize=0;for(const download of Object.values(Module["dataFileDownloads"])){totalLoaded+=download.loaded;totalSize+=download.total}Module["setStatus"]?.(`Downloading data... (${totalLoaded}/${totalSize})`);return iterate()}else{const packageData=new Uint8Array(chunks.map(c=>c.length).reduce((a,b)=>a+b,0));let offset=0;for(const chunk of chunks){packageData.set(chunk,offset);offset+=chunk.length}callback(packageData.buffer)}};Module["setStatus"]?.("Downloading data...");return iterate()})}function handleError(error){console.error("package error:",error)}var fetchedCallback=null;var fetched=Module["getPreloadedPackage"]?Module["getPreloadedPackage"](REMOTE_PACKAGE_NAME,REMOTE_PACKAGE_SIZE):null;if(!fetched)fetchRemotePackage(REMOTE_PACKAGE_NAME,REMOTE_PACKAGE_SIZE,data=>{if(fetchedCallback){fetchedCallback(data);fetchedCallback=null}else{fetched=data}},handleError);function runWithFS(Module){function assert(check,msg){if(!check)throw msg+(new Error).stack}Module["FS_createPath"]("/","usr",true,true);Module["FS_createPath"]("/usr","share",true,true);Module["FS_createPath"]("/usr/share","espeak-ng-data",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data","lang",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","aav",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","art",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","azc",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","bat",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","bnt",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","ccs",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","cel",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","cus",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","dra",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","esx",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","gmq",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","gmw",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","grk",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","inc",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","ine",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","ira",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","iro",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","itc",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","jpx",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","map",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","miz",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","myn",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","poz",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","roa",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","sai",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","sem",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","sit",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","tai",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","trk",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","urj",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","zle",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","zls",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/lang","zlw",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data","voices",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/voices","!v",true,true);Module["FS_createPath"]("/usr/share/espeak-ng-data/voices","mb",true,true);function DataRequest(start,end,audio){this.start=start;this.end=end;this.audio=audio}DataRequest.prototype={requests:{},open:function(mode,name){this.name=name;this.requests[name]=this;Module["addRunDependency"](`fp ${this.name}`)},send:function(){},onload:function(){var byteArray=this.byteArray.subarray(this.start,this.end);this.finish(byteArray)},finish:function(byteArray){var that=this;Module["FS_createDataFile"](this.name,null,byteArray,true,true,true);Module["removeRunDependency"](`fp ${that.name}`);this.requests[this.name]=null}};var files=metadata["files"];for(var i=0;i<files.length;++i){new DataRequest(files[i]["start"],files[i]["end"],files[i]["audio"]||0).open("GET",files[i]["filename"])}function processPackageData(arrayBuffer){assert(arrayBuffer,"Loading data file failed.");assert(arrayBuffer.constructor.name===ArrayBuffer.name,"bad input to processPackageData");var byteArray=new Uint8Array(arrayBuffer);DataRequest.prototype.byteArray=byteArray;var files=metadata["files"];for(var i=0;i<files.length;++i){DataRequest.prototype.requests[files[i].filename].onload()}Module["removeRunDependency"]("datafile_espeakng.worker.data")}Module["addRunDependency"]("datafile_espeakng.worker.data");Module["preloadResults"]??={};Module["preloadResults"][PACKAGE_NAME]={fromCache:false};if(fetched){processPackageData(fetched);fetched=null}else{fetchedCallback=processPackageData}}if(Module["calledRun"]){runWithFS(Module)}else{(Module["preRun"]??=[]).push(runWithFS)}}loadPackage({files:[{filename:"/usr/share/espeak-ng-data/af_dict",start:0,end:121473},{filename:"/usr/share/espeak-ng-data/am_dict",start:121473,end:185351},{filename:"/usr/share/espeak-ng-data/an_dict",start:185351,end:192042},{filename:"/usr/share/espeak-ng-data/ar_dict",start:192042,end:670207},{filename:"/usr/share/espeak-ng-data/as_dict",start:670207,end:675212},{filename:"/usr/share/espeak-ng-data/az_dict",start:675212,end:718985},{filename:"/usr/share/espeak-ng-data/ba_dict",start:718985,end:721083},{filename:"/usr/share/espeak-ng-data/be_dict",start:721083,end:723735},{filename:"/usr/share/espeak-ng-data/bg_dict",start:723735,end:810786},{filename:"/usr/share/espeak-ng-data/bn_dict",start:810786,end:900765},{filename:"/usr/share/espeak-ng-data/bpy_dict",start:900765,end:905991},{filename:"/usr/share/espeak-ng-data/bs_dict",start:905991,end:953059},{filename:"/usr/share/espeak-ng-data/ca_dict",start:953059,end:1263390},{filename:"/usr/share/espeak-ng-data/chr_dict",start:1263390,end:1266249},{filename:"/usr/share/espeak-ng-data/cmn_dict",start:1266249,end:2832596},{filename:"/usr/share/espeak-ng-data/cs_dict",start:2832596,end:2882241},{filename:"/usr/share/espeak-ng-data/cv_dict",start:2882241,end:2883585},{filename:"/usr/share/espeak-ng-data/cy_dict",start:2883585,end:2926715},{filename:"/usr/share/espeak-ng-data/da_dict",start:2926715,end:3172002},{filename:"/usr/share/espeak-ng-data/de_dict",start:3172002,end:3241248},{filename:"/usr/share/espeak-ng-data/el_dict",start:3241248,end:3314089},{filename:"/usr/share/espeak-ng-data/en_dict",start:3314089,end:3481153},{filename:"/usr/share/espeak-ng-data/eo_dict",start:3481153,end:3485819},{filename:"/usr/share/espeak-ng-data/es_dict",start:3485819,end:3535104},{filename:"/usr/share/espeak-ng-data/et_dict",start:3535104,end:3579367},{filename:"/usr/share/espeak-ng-data/eu_dict",start:3579367,end:3628208},{filename:"/usr/share/espeak-ng-data/fa_dict",start:3628208,end:3921443},{filename:"/usr/share/espeak-ng-data/fi_dict",start:3921443,end:3965371},{filename:"/usr/share/espeak-ng-data/fo_dict",start:3965371,end:9634639},{filename:"/usr/share/espeak-ng-data/fr_dict",start:9634639,end:9698366},{filename:"/usr/share/espeak-ng-data/ga_dict",start:9698366,end:9751039},{filename:"/usr/share/espeak-ng-data/gd_dict",start:9751039,end:9800160},{filename:"/usr/share/espeak-ng-data/gn_dict",start:9800160,end:9803408},{filename:"/usr/share/espeak-ng-data/grc_dict",start:9803408,end:9806841},{filename:"/usr/share/espeak-ng-data/gu_dict",start:9806841,end:9889321},{filename:"/usr/share/espeak-ng-data/hak_dict",start:9889321,end:9892656},{filename:"/usr/share/espeak-ng-data/haw_dict",start:9892656,end:9895099},{filename:"/usr/share/espeak-ng-data/he_dict",start:9895099,end:9902823},{filename:"/usr/share/espeak-ng-data/hi_dict",start:9902823,end:9994966},{filename:"/usr/share/espeak-ng-data/hr_dict",start:9994966,end:10044354},{filename:"/usr/share/espeak-ng-data/ht_dict",start:10044354,end:10046157},{filename:"/usr/share/espeak-ng-data/hu_dict",start:10046157,end:10219010},{filename:"/usr/share/espeak-ng-data/hy_dict",start:10219010,end:10281273},{filename:"/usr/share/espeak-ng-data/ia_dict",start:10281273,end:10612548},{filename:"/usr/share/espeak-ng-data/id_dict",start:10612548,end:10656006},{filename:"/usr/share/espeak-ng-data/intonations",start:10656006,end:10658318},{filename:"/usr/share/espeak-ng-data/io_dict",start:10658318,end:10660483},{filename:"/usr/share/espeak-ng-data/is_dict",start:10660483,end:10704837},{filename:"/usr/share/espeak-ng-data/it_dict",start:10704837,end:10859245},{filename:"/usr/share/espeak-ng-data/ja_dict",start:10859245,end:10906897},{filename:"/usr/share/espeak-ng-data/jbo_dict",start:10906897,end:10909140},{filename:"/usr/share/espeak-ng-data/ka_dict",start:10909140,end:10996915},{filename:"/usr/share/espeak-ng-data/kaa_dict",start:10996915,end:10998748},{filename:"/usr/share/espeak-ng-data/kk_dict",start:10998748,end:11000607},{filename:"/usr/share/espeak-ng-data/kl_dict",start:11000607,end:11003445},{filename:"/usr/share/espeak-ng-data/kn_dict",start:11003445,end:11091273},{filename:"/usr/share/espeak-ng-data/ko_dict",start:11091273,end:11138796},{filename:"/usr/share/espeak-ng-data/kok_dict",start:11138796,end:11145190},{filename:"/usr/share/espeak-ng-data/ku_dict",start:11145190,end:11147455},{filename:"/usr/share/espeak-ng-data/ky_dict",start:11147455,end:11212432},{filename:"/usr/share/espeak-ng-data/la_dict",start:11212432,end:11216238},{filename:"/usr/share/espeak-ng-data/lang/aav/vi",start:11216238,end:11216349},{filename:"/usr/share/espeak-ng-data/lang/aav/vi-VN-x-central",start:11216349,end:11216492},{filename:"/usr/share/espeak-ng-data/lang/aav/vi-VN-x-south",start:11216492,end:11216634},{filename:"/usr/share/espeak-ng-data/lang/art/eo",start:11216634,end:11216675},{filename:"/usr/share/espeak-ng-data/lang/art/ia",start:11216675,end:11216704},{filename:"/usr/share/espeak-ng-data/lang/art/io",start:11216704,end:11216754},{filename:"/usr/share/espeak-ng-data/lang/art/jbo",start:11216754,end:11216823},{filename:"/usr/share/espeak-ng-data/lang/art/lfn",start:11216823,end:11216958},{filename:"/usr/share/espeak-ng-data/lang/art/piqd",start:11216958,end:11217014},{filename:"/usr/share/espeak-ng-data/lang/art/py",start:11217014,end:11217154},{filename:"/usr/share/espeak-ng-data/lang/art/qdb",start:11217154,end:11217211},{filename:"/usr/share/espeak-ng-data/lang/art/qya",start:11217211,end:11217384},{filename:"/usr/share/espeak-ng-data/lang/art/sjn",start:11217384,end:11217559},{filename:"/usr/share/espeak-ng-data/lang/art/xex",start:11217559,end:11217662},{filename:"/usr/share/espeak-ng-data/lang/azc/nci",start:11217662,end:11217776},{filename:"/usr/share/espeak-ng-data/lang/bat/lt",start:11217776,end:11217804},{filename:"/usr/share/espeak-ng-data/lang/bat/ltg",start:11217804,end:11218116},{filename:"/usr/share/espeak-ng-data/lang/bat/lv",start:11218116,end:11218345},{filename:"/usr/share/espeak-ng-data/lang/bnt/sw",start:11218345,end:11218386},{filename:"/usr/share/espeak-ng-data/lang/bnt/tn",start:11218386,end:11218428},{filename:"/usr/share/espeak-ng-data/lang/ccs/ka",start:11218428,end:11218552},{filename:"/usr/share/espeak-ng-data/lang/cel/cy",start:11218552,end:11218589},{filename:"/usr/share/espeak-ng-data/lang/cel/ga",start:11218589,end:11218655},{filename:"/usr/share/espeak-ng-data/lang/cel/gd",start:11218655,end:11218706},{filename:"/usr/share/espeak-ng-data/lang/cus/om",start:11218706,end:11218745},{filename:"/usr/share/espeak-ng-data/lang/dra/kn",start:11218745,end:11218800},{filename:"/usr/share/espeak-ng-data/lang/dra/ml",start:11218800,end:11218857},{filename:"/usr/share/espeak-ng-data/lang/dra/ta",start:11218857,end:11218908},{filename:"/usr/share/espeak-ng-data/lang/dra/te",start:11218908,end:11218978},{filename:"/usr/share/espeak-ng-data/lang/esx/kl",start:11218978,end:11219008},{filename:"/usr/share/espeak-ng-data/lang/eu",start:11219008,end:11219062},{filename:"/usr/share/espeak-ng-data/lang/gmq/da",start:11219062,end:11219105},{filename:"/usr/share/espeak-ng-data/lang/gmq/fo",start:11219105,end:11219209},{filename:"/usr/share/espeak-ng-data/lang/gmq/is",start:11219209,end:11219236},{filename:"/usr/share/espeak-ng-data/lang/gmq/nb",start:11219236,end:11219323},{filename:"/usr/share/espeak-ng-data/lang/gmq/sv",start:11219323,end:11219348},{filename:"/usr/share/espeak-ng-data/lang/gmw/af",start:11219348,end:11219471},{filename:"/usr/share/espeak-ng-data/lang/gmw/de",start:11219471,end:11219513},{filename:"/usr/share/espeak-ng-data/lang/gmw/en",start:11219513,end:11219653},{filename:"/usr/share/espeak-ng-data/lang/gmw/en-029",start:11219653,end:11219988},{filename:"/usr/share/espeak-ng-data/lang/gmw/en-GB-scotland",start:11219988,end:11220283},{filename:"/usr/share/espeak-ng-data/lang/gmw/en-GB-x-gbclan",start:11220283,end:11220521},{filename:"/usr/share/espeak-ng-data/lang/gmw/en-GB-x-gbcwmd",start:11220521,end:11220709},{filename:"/usr/share/espeak-ng-data/lang/gmw/en-GB-x-rp",start:11220709,end:11220958},{filename:"/usr/share/espeak-ng-data/lang/gmw/en-US",start:11220958,end:11221215},{filename:"/usr/share/espeak-ng-data/lang/gmw/en-US-nyc",start:11221215,end:11221486},{filename:"/usr/share/espeak-ng-data/lang/gmw/lb",start:11221486,end:11221517},{filename:"/usr/share/espeak-ng-data/lang/gmw/nl",start:11221517,end:11221540},{filename:"/usr/share/espeak-ng-data/lang/grk/el",start:11221540,end:11221563},{filename:"/usr/share/espeak-ng-data/lang/grk/grc",start:11221563,end:11221662},{filename:"/usr/share/espeak-ng-data/lang/inc/as",start:11221662,end:11221704},{filename:"/usr/share/espeak-ng-data/lang/inc/bn",start:11221704,end:11221729},{filename:"/usr/share/espeak-ng-data/lang/inc/bpy",start:11221729,end:11221768},{filename:"/usr/share/espeak-ng-data/lang/inc/gu",start:11221768,end:11221810},{filename:"/usr/share/espeak-ng-data/lang/inc/hi",start:11221810,end:11221833},{filename:"/usr/share/espeak-ng-data/lang/inc/kok",start:11221833,end:11221859},{filename:"/usr/share/espeak-ng-data/lang/inc/mr",start:11221859,end:11221900},{filename:"/usr/share/espeak-ng-data/lang/inc/ne",start:11221900,end:11221937},{filename:"/usr/share/espeak-ng-data/lang/inc/or",start:11221937,end:11221976},{filename:"/usr/share/espeak-ng-data/lang/inc/pa",start:11221976,end:11222001},{filename:"/usr/share/espeak-ng-data/lang/inc/sd",start:11222001,end:11222067},{filename:"/usr/share/espeak-ng-data/lang/inc/si",start:11222067,end:11222122},{filename:"/usr/share/espeak-ng-data/lang/inc/ur",start:11222122,end:11222216},{filename:"/usr/share/espeak-ng-data/lang/ine/hy",start:11222216,end:11222277},{filename:"/usr/share/espeak-ng-data/lang/ine/hyw",start:11222277,end:11222642},{filename:"/usr/share/espeak-ng-data/lang/ine/sq",start:11222642,end:11222745},{filename:"/usr/share/espeak-ng-data/lang/ira/fa",start:11222745,end:11222835},{filename:"/usr/share/espeak-ng-data/lang/ira/fa-Latn",start:11222835,end:11223104},{filename:"/usr/share/espeak-ng-data/lang/ira/ku",start:11223104,end:11223144},{filename:"/usr/share/espeak-ng-data/lang/iro/chr",start:11223144,end:11223713},{filename:"/usr/share/espeak-ng-data/lang/itc/la",start:11223713,end:11224010},{filename:"/usr/share/espeak-ng-data/lang/jpx/ja",start:11224010,end:11224062},{filename:"/usr/share/espeak-ng-data/lang/ko",start:11224062,end:11224113},{filename:"/usr/share/espeak-ng-data/lang/map/haw",start:11224113,end:11224155},{filename:"/usr/share/espeak-ng-data/lang/miz/mto",start:11224155,end:11224338},{filename:"/usr/share/espeak-ng-data/lang/myn/quc",start:11224338,end:11224548},{filename:"/usr/share/espeak-ng-data/lang/poz/id",start:11224548,end:11224682},{filename:"/usr/share/espeak-ng-data/lang/poz/mi",start:11224682,end:11225049},{filename:"/usr/share/espeak-ng-data/lang/poz/ms",start:11225049,end:11225479},{filename:"/usr/share/espeak-ng-data/lang/qu",start:11225479,end:11225567},{filename:"/usr/share/espeak-ng-data/lang/roa/an",start:11225567,end:11225594},{filename:"/usr/share/espeak-ng-data/lang/roa/ca",start:11225594,end:11225632},{filename:"/usr/share/espeak-ng-data/lang/roa/ca-ba",start:11225632,end:11225712},{filename:"/usr/share/espeak-ng-data/lang/roa/ca-nw",start:11225712,end:11225785},{filename:"/usr/share/espeak-ng-data/lang/roa/ca-va",start:11225785,end:11225866},{filename:"/usr/share/espeak-ng-data/lang/roa/es",start:11225866,end:11225929},{filename:"/usr/share/espeak-ng-data/lang/roa/es-419",start:11225929,end:11226096},{filename:"/usr/share/espeak-ng-data/lang/roa/fr",start:11226096,end:11226175},{filename:"/usr/share/espeak-ng-data/lang/roa/fr-BE",start:11226175,end:11226259},{filename:"/usr/share/espeak-ng-data/lang/roa/fr-CH",start:11226259,end:11226345},{filename:"/usr/share/espeak-ng-data/lang/roa/ht",start:11226345,end:11226485},{filename:"/usr/share/espeak-ng-data/lang/roa/it",start:11226485,end:11226594},{filename:"/usr/share/espeak-ng-data/lang/roa/pap",start:11226594,end:11226656},{filename:"/usr/share/espeak-ng-data/lang/roa/pt",start:11226656,end:11226751},{filename:"/usr/share/espeak-ng-data/lang/roa/pt-BR",start:11226751,end:11226860},{filename:"/usr/share/espeak-ng-data/lang/roa/ro",start:11226860,end:11226886},{filename:"/usr/share/espeak-ng-data/lang/sai/gn",start:11226886,end:11226933},{filename:"/usr/share/espeak-ng-data/lang/sem/am",start:11226933,end:11226974},{filename:"/usr/share/espeak-ng-data/lang/sem/ar",start:11226974,end:11227024},{filename:"/usr/share/espeak-ng-data/lang/sem/he",start:11227024,end:11227064},{filename:"/usr/share/espeak-ng-data/lang/sem/mt",start:11227064,end:11227105},{filename:"/usr/share/espeak-ng-data/lang/sem/ti",start:11227105,end:11227198},{filename:"/usr/share/espeak-ng-data/lang/sit/cmn",start:11227198,end:11227884},{filename:"/usr/share/espeak-ng-data/lang/sit/cmn-Latn-pinyin",start:11227884,end:11228045},{filename:"/usr/share/espeak-ng-data/lang/sit/hak",start:11228045,end:11228173},{filename:"/usr/share/espeak-ng-data/lang/sit/my",start:11228173,end:11228229},{filename:"/usr/share/espeak-ng-data/lang/sit/yue",start:11228229,end:11228423},{filename:"/usr/share/espeak-ng-data/lang/sit/yue-Latn-jyutping",start:11228423,end:11228636},{filename:"/usr/share/espeak-ng-data/lang/tai/shn",start:11228636,end:11228728},{filename:"/usr/share/espeak-ng-data/lang/tai/th",start:11228728,end:11228765},{filename:"/usr/share/espeak-ng-data/lang/trk/az",start:11228765,end:11228810},{filename:"/usr/share/espeak-ng-data/lang/trk/ba",start:11228810,end:11228835},{filename:"/usr/share/espeak-ng-data/lang/trk/cv",start:11228835,end:11228875},{filename:"/usr/share/espeak-ng-data/lang/trk/kaa",start:11228875,end:11228903},{filename:"/usr/share/espeak-ng-data/lang/trk/kk",start:11228903,end:11228943},{filename:"/usr/share/espeak-ng-data/lang/trk/ky",start:11228943,end:11228986},{filename:"/usr/share/espeak-ng-data/lang/trk/nog",start:11228986,end:11229025},{filename:"/usr/share/espeak-ng-data/lang/trk/tk",start:11229025,end:11229050},{filename:"/usr/share/espeak-ng-data/lang/trk/tr",start:11229050,end:11229075},{filename:"/usr/share/espeak-ng-data/lang/trk/tt",start:11229075,end:11229098},{filename:"/usr/share/espeak-ng-data/lang/trk/ug",start:11229098,end:11229122},{filename:"/usr/share/espeak-ng-data/lang/trk/uz",start:11229122,end:11229161},{filename:"/usr/share/espeak-ng-data/lang/urj/et",start:11229161,end:11229398},{filename:"/usr/share/espeak-ng-data/lang/urj/fi",start:11229398,end:11229635},{filename:"/usr/share/espeak-ng-data/lang/urj/hu",start:11229635,end:11229708},{filename:"/usr/share/espeak-ng-data/lang/urj/smj",start:11229708,end:11229753},{filename:"/usr/share/espeak-ng-data/lang/zle/be",start:11229753,end:11229805},{filename:"/usr/share/espeak-ng-data/lang/zle/ru",start:11229805,end:11229862},{filename:"/usr/share/espeak-ng-data/lang/zle/ru-LV",start:11229862,end:11230142},{filename:"/usr/share/espeak-ng-data/lang/zle/ru-cl",start:11230142,end:11230233},{filename:"/usr/share/espeak-ng-data/lang/zle/uk",start:11230233,end:11230330},{filename:"/usr/share/espeak-ng-data/lang/zls/bg",start:11230330,end:11230441},{filename:"/usr/share/espeak-ng-data/lang/zls/bs",start:11230441,end:11230671},{filename:"/usr/share/espeak-ng-data/lang/zls/hr",start:11230671,end:11230933},{filename:"/usr/share/espeak-ng-data/lang/zls/mk",start:11230933,end:11230961},{filename:"/usr/share/espeak-ng-data/lang/zls/sl",start:11230961,end:11231004},{filename:"/usr/share/espeak-ng-data/lang/zls/sr",start:11231004,end:11231254},{filename:"/usr/share/espeak-ng-data/lang/zlw/cs",start:11231254,end:11231277},{filename:"/usr/share/espeak-ng-data/lang/zlw/pl",start:11231277,end:11231315},{filename:"/usr/share/espeak-ng-data/lang/zlw/sk",start:11231315,end:11231339},{filename:"/usr/share/espeak-ng-data/lb_dict",start:11231339,end:11919270},{filename:"/usr/share/espeak-ng-data/lfn_dict",start:11919270,end:11922063},{filename:"/usr/share/espeak-ng-data/lt_dict",start:11922063,end:11971953},{filename:"/usr/share/espeak-ng-data/lv_dict",start:11971953,end:12038290},{filename:"/usr/share/espeak-ng-data/mi_dict",start:12038290,end:12039636},{filename:"/usr/share/espeak-ng-data/mk_dict",start:12039636,end:12103495},{filename:"/usr/share/espeak-ng-data/ml_dict",start:12103495,end:12195840},{filename:"/usr/share/espeak-ng-data/mr_dict",start:12195840,end:12283231},{filename:"/usr/share/espeak-ng-data/ms_dict",start:12283231,end:12336772},{filename:"/usr/share/espeak-ng-data/mt_dict",start:12336772,end:12341156},{filename:"/usr/share/espeak-ng-data/mto_dict",start:12341156,end:12345116},{filename:"/usr/share/espeak-ng-data/my_dict",start:12345116,end:12441064},{filename:"/usr/share/espeak-ng-data/nci_dict",start:12441064,end:12442598},{filename:"/usr/share/espeak-ng-data/ne_dict",start:12442598,end:12537975},{filename:"/usr/share/espeak-ng-data/nl_dict",start:12537975,end:12602886},{filename:"/usr/share/espeak-ng-data/no_dict",start:12602886,end:12607064},{filename:"/usr/share/espeak-ng-data/nog_dict",start:12607064,end:12610358},{filename:"/usr/share/espeak-ng-data/om_dict",start:12610358,end:12612660},{filename:"/usr/share/espeak-ng-data/or_dict",start:12612660,end:12701906},{filename:"/usr/share/espeak-ng-data/pa_dict",start:12701906,end:12781859},{filename:"/usr/share/espeak-ng-data/pap_dict",start:12781859,end:12783987},{filename:"/usr/share/espeak-ng-data/phondata",start:12783987,end:13338727},{filename:"/usr/share/espeak-ng-data/phonindex",start:13338727,end:13382043},{filename:"/usr/share/espeak-ng-data/phontab",start:13382043,end:13440695},{filename:"/usr/share/espeak-ng-data/piqd_dict",start:13440695,end:13442405},{filename:"/usr/share/espeak-ng-data/pl_dict",start:13442405,end:13519025},{filename:"/usr/share/espeak-ng-data/pt_dict",start:13519025,end:13586852},{filename:"/usr/share/espeak-ng-data/py_dict",start:13586852,end:13589261},{filename:"/usr/share/espeak-ng-data/qdb_dict",start:13589261,end:13592289},{filename:"/usr/share/espeak-ng-data/qu_dict",start:13592289,end:13594208},{filename:"/usr/share/espeak-ng-data/quc_dict",start:13594208,end:13595658},{filename:"/usr/share/espeak-ng-data/qya_dict",start:13595658,end:13597597},{filename:"/usr/share/espeak-ng-data/ro_dict",start:13597597,end:13666135},{filename:"/usr/share/espeak-ng-data/ru_dict",start:13666135,end:22199079},{filename:"/usr/share/espeak-ng-data/sd_dict",start:22199079,end:22259007},{filename:"/usr/share/espeak-ng-data/shn_dict",start:22259007,end:22347179},{filename:"/usr/share/espeak-ng-data/si_dict",start:22347179,end:22432563},{filename:"/usr/share/espeak-ng-data/sjn_dict",start:22432563,end:22434346},{filename:"/usr/share/espeak-ng-data/sk_dict",start:22434346,end:22484348},{filename:"/usr/share/espeak-ng-data/sl_dict",start:22484348,end:22529395},{filename:"/usr/share/espeak-ng-data/smj_dict",start:22529395,end:22564490},{filename:"/usr/share/espeak-ng-data/sq_dict",start:22564490,end:22609493},{filename:"/usr/share/espeak-ng-data/sr_dict",start:22609493,end:22656325},{filename:"/usr/share/espeak-ng-data/sv_dict",start:22656325,end:22704161},{filename:"/usr/share/espeak-ng-data/sw_dict",start:22704161,end:22751965},{filename:"/usr/share/espeak-ng-data/ta_dict",start:22751965,end:22961518},{filename:"/usr/share/espeak-ng-data/te_dict",start:22961518,end:23056355},{filename:"/usr/share/espeak-ng-data/th_dict",start:23056355,end:23058656},{filename:"/usr/share/espeak-ng-data/ti_dict",start:23058656,end:23116576},{filename:"/usr/share/espeak-ng-data/tk_dict",start:23116576,end:23137444},{filename:"/usr/share/espeak-ng-data/tn_dict",start:23137444,end:23140516},{filename:"/usr/share/espeak-ng-data/tr_dict",start:23140516,end:23187309},{filename:"/usr/share/espeak-ng-data/tt_dict",start:23187309,end:23189430},{filename:"/usr/share/espeak-ng-data/ug_dict",start:23189430,end:23191500},{filename:"/usr/share/espeak-ng-data/uk_dict",start:23191500,end:23194992},{filename:"/usr/share/espeak-ng-data/ur_dict",start:23194992,end:23328548},{filename:"/usr/share/espeak-ng-data/uz_dict",start:23328548,end:23331088},{filename:"/usr/share/espeak-ng-data/vi_dict",start:23331088,end:23383696},{filename:"/usr/share/espeak-ng-data/voices/!v/Alex",start:23383696,end:23383824},{filename:"/usr/share/espeak-ng-data/voices/!v/Alicia",start:23383824,end:23384298},{filename:"/usr/share/espeak-ng-data/voices/!v/Andrea",start:23384298,end:23384655},{filename:"/usr/share/espeak-ng-data/voices/!v/Andy",start:23384655,end:23384975},{filename:"/usr/share/espeak-ng-data/voices/!v/Annie",start:23384975,end:23385290},{filename:"/usr/share/espeak-ng-data/voices/!v/AnxiousAndy",start:23385290,end:23385651},{filename:"/usr/share/espeak-ng-data/voices/!v/Demonic",start:23385651,end:23389509},{filename:"/usr/share/espeak-ng-data/voices/!v/Denis",start:23389509,end:23389814},{filename:"/usr/share/espeak-ng-data/voices/!v/Diogo",start:23389814,end:23390193},{filename:"/usr/share/espeak-ng-data/voices/!v/Gene",start:23390193,end:23390474},{filename:"/usr/share/espeak-ng-data/voices/!v/Gene2",start:23390474,end:23390757},{filename:"/usr/share/espeak-ng-data/voices/!v/Henrique",start:23390757,end:23391138},{filename:"/usr/share/espeak-ng-data/voices/!v/Hugo",start:23391138,end:23391516},{filename:"/usr/share/espeak-ng-data/voices/!v/Jacky",start:23391516,end:23391783},{filename:"/usr/share/espeak-ng-data/voices/!v/Lee",start:23391783,end:23392121},{filename:"/usr/share/espeak-ng-data/voices/!v/Marco",start:23392121,end:23392588},{filename:"/usr/share/espeak-ng-data/voices/!v/Mario",start:23392588,end:23392858},{filename:"/usr/share/espeak-ng-data/voices/!v/Michael",start:23392858,end:23393128},{filename:"/usr/share/espeak-ng-data/voices/!v/Mike",start:23393128,end:23393240},{filename:"/usr/share/espeak-ng-data/voices/!v/Mr serious",start:23393240,end:23396433},{filename:"/usr/share/espeak-ng-data/voices/!v/Nguyen",start:23396433,end:23396713},{filename:"/usr/share/espeak-ng-data/voices/!v/Reed",start:23396713,end:23396915},{filename:"/usr/share/espeak-ng-data/voices/!v/RicishayMax",start:23396915,end:23397148},{filename:"/usr/share/espeak-ng-data/voices/!v/RicishayMax2",start:23397148,end:23397583},{filename:"/usr/share/espeak-ng-data/voices/!v/RicishayMax3",start:23397583,end:23398018},{filename:"/usr/share/espeak-ng-data/voices/!v/Storm",start:23398018,end:23398438},{filename:"/usr/share/espeak-ng-data/voices/!v/Tweaky",start:23398438,end:23401627},{filename:"/usr/share/espeak-ng-data/voices/!v/UniRobot",start:23401627,end:23402044},{filename:"/usr/share/espeak-ng-data/voices/!v/adam",start:23402044,end:23402119},{filename:"/usr/share/espeak-ng-data/voices/!v/anika",start:23402119,end:23402612},{filename:"/usr/share/espeak-ng-data/voices/!v/anikaRobot",start:23402612,end:23403124},{filename:"/usr/share/espeak-ng-data/voices/!v/announcer",start:23403124,end:23403424},{filename:"/usr/share/espeak-ng-data/voices/!v/antonio",start:23403424,end:23403805},{filename:"/usr/share/espeak-ng-data/voices/!v/aunty",start:23403805,end:23404163},{filename:"/usr/share/espeak-ng-data/voices/!v/belinda",start:23404163,end:23404503},{filename:"/usr/share/espeak-ng-data/voices/!v/benjamin",start:23404503,end:23404704},{filename:"/usr/share/espeak-ng-data/voices/!v/boris",start:23404704,end:23404928},{filename:"/usr/share/espeak-ng-data/voices/!v/caleb",start:23404928,end:23404985},{filename:"/usr/share/espeak-ng-data/voices/!v/croak",start:23404985,end:23405078},{filename:"/usr/share/espeak-ng-data/voices/!v/david",start:23405078,end:23405190},{filename:"/usr/share/espeak-ng-data/voices/!v/ed",start:23405190,end:23405477},{filename:"/usr/share/espeak-ng-data/voices/!v/edward",start:23405477,end:23405628},{filename:"/usr/share/espeak-ng-data/voices/!v/edward2",start:23405628,end:23405780},{filename:"/usr/share/espeak-ng-data/voices/!v/f1",start:23405780,end:23406104},{filename:"/usr/share/espeak-ng-data/voices/!v/f2",start:23406104,end:23406461},{filename:"/usr/share/espeak-ng-data/voices/!v/f3",start:23406461,end:23406836},{filename:"/usr/share/espeak-ng-data/voices/!v/f4",start:23406836,end:23407186},{filename:"/usr/share/espeak-ng-data/voices/!v/f5",start:23407186,end:23407618},{filename:"/usr/share/espeak-ng-data/voices/!v/fast",start:23407618,end:23407767},{filename:"/usr/share/espeak-ng-data/voices/!v/grandma",start:23407767,end:23408030},{filename:"/usr/share/espeak-ng-data/voices/!v/grandpa",start:23408030,end:23408286},{filename:"/usr/share/espeak-ng-data/voices/!v/gustave",start:23408286,end:23408539},{filename:"/usr/share/espeak-ng-data/voices/!v/ian",start:23408539,end:23411707},{filename:"/usr/share/espeak-ng-data/voices/!v/iven",start:23411707,end:23411968},{filename:"/usr/share/espeak-ng-data/voices/!v/iven2",start:23411968,end:23412247},{filename:"/usr/share/espeak-ng-data/voices/!v/iven3",start:23412247,end:23412509},{filename:"/usr/share/espeak-ng-data/voices/!v/iven4",start:23412509,end:23412770},{filename:"/usr/share/espeak-ng-data/voices/!v/john",start:23412770,end:23415956},{filename:"/usr/share/espeak-ng-data/voices/!v/kaukovalta",start:23415956,end:23416317},{filename:"/usr/share/espeak-ng-data/voices/!v/klatt",start:23416317,end:23416355},{filename:"/usr/share/espeak-ng-data/voices/!v/klatt2",start:23416355,end:23416393},{filename:"/usr/share/espeak-ng-data/voices/!v/klatt3",start:23416393,end:23416432},{filename:"/usr/share/espeak-ng-data/voices/!v/klatt4",start:23416432,end:23416471},{filename:"/usr/share/espeak-ng-data/voices/!v/klatt5",start:23416471,end:23416510},{filename:"/usr/share/espeak-ng-data/voices/!v/klatt6",start:23416510,end:23416549},{filename:"/usr/share/espeak-ng-data/voices/!v/linda",start:23416549,end:23416899},{filename:"/usr/share/espeak-ng-data/voices/!v/m1",start:23416899,end:23417234},{filename:"/usr/share/espeak-ng-data/voices/!v/m2",start:23417234,end:23417498},{filename:"/usr/share/espeak-ng-data/voices/!v/m3",start:23417498,end:23417798},{filename:"/usr/share/espeak-ng-data/voices/!v/m4",start:23417798,end:23418088},{filename:"/usr/share/espeak-ng-data/voices/!v/m5",start:23418088,end:23418350},{filename:"/usr/share/espeak-ng-data/voices/!v/m6",start:23418350,end:23418538},{filename:"/usr/share/espeak-ng-data/voices/!v/m7",start:23418538,end:23418792},{filename:"/usr/share/espeak-ng-data/voices/!v/m8",start:23418792,end:23419076},{filename:"/usr/share/espeak-ng-data/voices/!v/marcelo",start:23419076,end:23419327},{filename:"/usr/share/espeak-ng-data/voices/!v/max",start:23419327,end:23419552},{filename:"/usr/share/espeak-ng-data/voices/!v/michel",start:23419552,end:23419956},{filename:"/usr/share/espeak-ng-data/voices/!v/miguel",start:23419956,end:23420338},{filename:"/usr/share/espeak-ng-data/voices/!v/mike2",start:23420338,end:23420526},{filename:"/usr/share/espeak-ng-data/voices/!v/norbert",start:23420526,end:23423715},{filename:"/usr/share/espeak-ng-data/voices/!v/pablo",start:23423715,end:23426857},{filename:"/usr/share/espeak-ng-data/voices/!v/paul",start:23426857,end:23427141},{filename:"/usr/share/espeak-ng-data/voices/!v/pedro",start:23427141,end:23427493},{filename:"/usr/share/espeak-ng-data/voices/!v/quincy",start:23427493,end:23427847},{filename:"/usr/share/espeak-ng-data/voices/!v/rob",start:23427847,end:23428112},{filename:"/usr/share/espeak-ng-data/voices/!v/robert",start:23428112,end:23428386},{filename:"/usr/share/espeak-ng-data/voices/!v/robosoft",start:23428386,end:23428837},{filename:"/usr/share/espeak-ng-data/voices/!v/robosoft2",start:23428837,end:23429291},{filename:"/usr/share/espeak-ng-data/voices/!v/robosoft3",start:23429291,end:23429746},{filename:"/usr/share/espeak-ng-data/voices/!v/robosoft4",start:23429746,end:23430193},{filename:"/usr/share/espeak-ng-data/voices/!v/robosoft5",start:23430193,end:23430638},{filename:"/usr/share/espeak-ng-data/voices/!v/robosoft6",start:23430638,end:23430925},{filename:"/usr/share/espeak-ng-data/voices/!v/robosoft7",start:23430925,end:23431335},{filename:"/usr/share/espeak-ng-data/voices/!v/robosoft8",start:23431335,end:23431578},{filename:"/usr/share/espeak-ng-data/voices/!v/sandro",start:23431578,end:23432108},{filename:"/usr/share/espeak-ng-data/voices/!v/shelby",start:23432108,end:23432388},{filename:"/usr/share/espeak-ng-data/voices/!v/steph",start:23432388,end:23432752},{filename:"/usr/share/espeak-ng-data/voices/!v/steph2",start:23432752,end:23433119},{filename:"/usr/share/espeak-ng-data/voices/!v/steph3",start:23433119,end:23433496},{filename:"/usr/share/espeak-ng-data/voices/!v/travis",start:23433496,end:23433879},{filename:"/usr/share/espeak-ng-data/voices/!v/victor",start:23433879,end:23434132},{filename:"/usr/share/espeak-ng-data/voices/!v/whisper",start:23434132,end:23434318},{filename:"/usr/share/espeak-ng-data/voices/!v/whisperf",start:23434318,end:23434710},{filename:"/usr/share/espeak-ng-data/voices/!v/zac",start:23434710,end:23434985},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-af1",start:23434985,end:23435073},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-af1-en",start:23435073,end:23435156},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-ar1",start:23435156,end:23435240},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-ar2",start:23435240,end:23435324},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-br1",start:23435324,end:23435456},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-br1-xex",start:23435456,end:23435628},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-br2",start:23435628,end:23435764},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-br2-xex",start:23435764,end:23435941},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-br3",start:23435941,end:23436073},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-br3-xex",start:23436073,end:23436247},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-br4",start:23436247,end:23436383},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-br4-xex",start:23436383,end:23436560},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-ca1",start:23436560,end:23436665},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-ca2",start:23436665,end:23436770},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-cn1",start:23436770,end:23436862},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-cr1",start:23436862,end:23436973},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-cz1",start:23436973,end:23437043},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-cz2",start:23437043,end:23437125},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-de1",start:23437125,end:23437269},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-de1-en",start:23437269,end:23437365},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-de2",start:23437365,end:23437493},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-de2-en",start:23437493,end:23437573},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-de3",start:23437573,end:23437672},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-de3-en",start:23437672,end:23437768},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-de4",start:23437768,end:23437897},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-de4-en",start:23437897,end:23437978},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-de5",start:23437978,end:23438214},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-de5-en",start:23438214,end:23438304},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-de6",start:23438304,end:23438426},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-de6-en",start:23438426,end:23438500},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-de6-grc",start:23438500,end:23438583},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-de7",start:23438583,end:23438733},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-de8",start:23438733,end:23438804},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-ee1",start:23438804,end:23438901},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-en1",start:23438901,end:23439032},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-es1",start:23439032,end:23439146},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-es2",start:23439146,end:23439254},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-es3",start:23439254,end:23439358},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-es4",start:23439358,end:23439446},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-fr1",start:23439446,end:23439612},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-fr1-en",start:23439612,end:23439716},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-fr2",start:23439716,end:23439819},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-fr3",start:23439819,end:23439919},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-fr4",start:23439919,end:23440046},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-fr4-en",start:23440046,end:23440153},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-fr5",start:23440153,end:23440253},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-fr6",start:23440253,end:23440353},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-fr7",start:23440353,end:23440436},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-gr1",start:23440436,end:23440530},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-gr2",start:23440530,end:23440624},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-gr2-en",start:23440624,end:23440712},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-hb1",start:23440712,end:23440780},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-hb2",start:23440780,end:23440863},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-hu1",start:23440863,end:23440965},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-hu1-en",start:23440965,end:23441062},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-ic1",start:23441062,end:23441150},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-id1",start:23441150,end:23441251},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-in1",start:23441251,end:23441320},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-in2",start:23441320,end:23441405},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-ir1",start:23441405,end:23442158},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-it1",start:23442158,end:23442242},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-it2",start:23442242,end:23442329},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-it3",start:23442329,end:23442471},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-it4",start:23442471,end:23442616},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-jp1",start:23442616,end:23442687},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-jp2",start:23442687,end:23442788},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-jp3",start:23442788,end:23442875},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-la1",start:23442875,end:23442958},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-lt1",start:23442958,end:23443045},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-lt2",start:23443045,end:23443132},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-ma1",start:23443132,end:23443230},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-mx1",start:23443230,end:23443350},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-mx2",start:23443350,end:23443470},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-nl1",start:23443470,end:23443539},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-nl2",start:23443539,end:23443635},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-nl2-en",start:23443635,end:23443726},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-nl3",start:23443726,end:23443811},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-nz1",start:23443811,end:23443879},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-pl1",start:23443879,end:23443978},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-pl1-en",start:23443978,end:23444060},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-pt1",start:23444060,end:23444191},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-ro1",start:23444191,end:23444278},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-ro1-en",start:23444278,end:23444359},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-sw1",start:23444359,end:23444457},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-sw1-en",start:23444457,end:23444550},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-sw2",start:23444550,end:23444652},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-sw2-en",start:23444652,end:23444751},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-tl1",start:23444751,end:23444836},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-tr1",start:23444836,end:23444921},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-tr2",start:23444921,end:23445035},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-us1",start:23445035,end:23445205},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-us2",start:23445205,end:23445383},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-us3",start:23445383,end:23445563},{filename:"/usr/share/espeak-ng-data/voices/mb/mb-vz1",start:23445563,end:23445707},{filename:"/usr/share/espeak-ng-data/xex_dict",start:23445707,end:23450982},{filename:"/usr/share/espeak-ng-data/yue_dict",start:23450982,end:24014553}],remote_package_size:24014553})})();var moduleOverrides=Object.assign({},Module);var arguments_=[];var thisProgram="./this.program";var quit_=(status,toThrow)=>{throw toThrow};var scriptDirectory="";function locateFile(path){if(Module["locateFile"]){return Module["locateFile"](path,scriptDirectory)}return scriptDirectory+path}var readAsync,readBinary;if(ENVIRONMENT_IS_NODE){var fs=require("fs");var nodePath=require("path");if(!(typeof self !== 'undefined' && self.location ? self.location.href : '').startsWith("data:")){scriptDirectory=nodePath.dirname(require("url").fileURLToPath((typeof self !== 'undefined' && self.location ? self.location.href : '')))+"/"}readBinary=filename=>{filename=isFileURI(filename)?new URL(filename):nodePath.normalize(filename);var ret=fs.readFileSync(filename);return ret};readAsync=(filename,binary=true)=>{filename=isFileURI(filename)?new URL(filename):nodePath.normalize(filename);return new Promise((resolve,reject)=>{fs.readFile(filename,binary?undefined:"utf8",(err,data)=>{if(err)reject(err);else resolve(binary?data.buffer:data)})})};if(!Module["thisProgram"]&&process.argv.length>1){thisProgram=process.argv[1].replace(/\\/g,"/")}arguments_=process.argv.slice(2);quit_=(status,toThrow)=>{process.exitCode=status;throw toThrow}}else if(ENVIRONMENT_IS_WEB||ENVIRONMENT_IS_WORKER){if(ENVIRONMENT_IS_WORKER){scriptDirectory=self.location.href}else if(typeof document!="undefined"&&document.currentScript){scriptDirectory=document.currentScript.src}if(_scriptName){scriptDirectory=_scriptName}if(scriptDirectory.startsWith("blob:")){scriptDirectory=""}else{scriptDirectory=scriptDirectory.substr(0,scriptDirectory.replace(/[?#].*/,"").lastIndexOf("/")+1)}{if(ENVIRONMENT_IS_WORKER){readBinary=url=>{var xhr=new XMLHttpRequest;xhr.open("GET",url,false);xhr.responseType="arraybuffer";xhr.send(null);return new Uint8Array(xhr.response)}}readAsync=url=>{if(isFileURI(url)){return new Promise((resolve,reject)=>{var xhr=new XMLHttpRequest;xhr.open("GET",url,true);xhr.responseType="arraybuffer";xhr.onload=()=>{if(xhr.status==200||xhr.status==0&&xhr.response){resolve(xhr.response);return}reject(xhr.status)};xhr.onerror=reject;xhr.send(null)})}return fetch(url,{credentials:"same-origin"}).then(response=>{if(response.ok){return response.arrayBuffer()}return Promise.reject(new Error(response.status+" : "+response.url))})}}}else{}var out=Module["print"]||console.log.bind(console);var err=Module["printErr"]||console.error.bind(console);Object.assign(Module,moduleOverrides);moduleOverrides=null;if(Module["arguments"])arguments_=Module["arguments"];if(Module["thisProgram"])thisProgram=Module["thisProgram"];var wasmBinary=Module["wasmBinary"];var WebAssembly={Memory:function(opts){this.buffer=new ArrayBuffer(opts["initial"]*65536)},Module:function(binary){},Instance:function(module,info){this.exports=(
+
+
+  // EMSCRIPTEN_START_ASM
+function instantiate(Ea){function e(f){f.grow=function(b){var a=this.length;this.length=this.length+b;return a};f.set=function(c,d){this[c]=d};f.get=function(c){return this[c]};return f}var g;var h=new Uint8Array(123);for(var c=25;c>=0;--c){h[48+c]=52+c;h[65+c]=c;h[97+c]=26+c}h[43]=62;h[47]=63;function n(o,p,q){var i,j,c=0,k=p,l=q.length,m=p+(l*3>>2)-(q[l-2]=="=")-(q[l-1]=="=");for(;c<l;c+=4){i=h[q.charCodeAt(c+1)];j=h[q.charCodeAt(c+2)];o[k++]=h[q.charCodeAt(c)]<<2|i>>4;if(k<m)o[k++]=i<<4|j>>2;if(k<m)o[k++]=j<<6|h[q.charCodeAt(c+3)]}}function r(s){n(g,1024,"YmFzaWNfc3RyaW5nAHdiACB8IA==");n(g,1056,"QQAAAAAAAABhAAAAAAAAAEIAAAAAAAAAYgAAAAAAAABDAAAAAAAAAGMAAAAAAAAARAAAAAAAAABkAAAAAAAAAEUAAAAAAAAAZQAAAAAAAABGAAAAAAAAAGYAAAAAAAAARwAAAAAAAABnAAAAAAAAAEgAAAAAAAAAaAAAAAAAAABJAAAAAAAAAGkAAAAAAAAASgAAAAAAAABqAAAAAAAAAEsAAAAAAAAAawAAAAAAAABMAAAAAAAAAGwAAAAAAAAATQAAAAAAAABtAAAAAAAAAE4AAAAAAAAAbgAAAAAAAABPAAAAAAAAAG8AAAAAAAAAUAAAAAAAAABwAAAAAAAAAFEAAAAAAAAAcQAAAAAAAABSAAAAAAAAAHIAAAAAAAAAUwAAAAAAAABzAAAAAAAAAFQAAAAAAAAAdAAAAAAAAABVAAAAAAAAAHUAAAAAAAAAVgAAAAAAAAB2AAAAAAAAAFcAAAAAAAAAdwAAAAAAAABYAAAAAAAAAHgAAAAAAAAAWQAAAAAAAAB5AAAAAAAAAFoAAAAAAAAAegAAAAAAAABhAAAAQQAAAAAAAABBAAAAYgAAAEIAAAAAAAAAQgAAAGMAAABDAAAAAAAAAEMAAABkAAAARAAAAAAAAABEAAAAZQAAAEUAAAAAAAAARQAAAGYAAABGAAAAAAAAAEYAAABnAAAARwAAAAAAAABHAAAAaAAAAEgAAAAAAAAASAAAAGkAAABJAAAAAAAAAEkAAABqAAAASgAAAAAAAABKAAAAawAAAEsAAAAAAAAASwAAAGwAAABMAAAAAAAAAEwAAABtAAAATQAAAAAAAABNAAAAbgAAAE4AAAAAAAAATgAAAG8AAABPAAAAAAAAAE8AAABwAAAAUAAAAAAAAABQAAAAcQAAAFEAAAAAAAAAUQAAAHIAAABSAAAAAAAAAFIAAABzAAAAUwAAAAAAAABTAAAAdAAAAFQAAAAAAAAAVAAAAHUAAABVAAAAAAAAAFUAAAB2AAAAVgAAAAAAAABWAAAAdwAAAFcAAAAAAAAAVwAAAHgAAABYAAAAAAAAAFgAAAB5AAAAWQAAAAAAAABZAAAAegAAAFoAAAAAAAAAWgAAALUAAACcAwAAAAAAAJwDAADAAAAAAAAAAOAAAAAAAAAAwQAAAAAAAADhAAAAAAAAAMIAAAAAAAAA4gAAAAAAAADDAAAAAAAAAOMAAAAAAAAAxAAAAAAAAADkAAAAAAAAAMUAAAAAAAAA5QAAAAAAAADGAAAAAAAAAOYAAAAAAAAAxwAAAAAAAADnAAAAAAAAAMgAAAAAAAAA6AAAAAAAAADJAAAAAAAAAOkAAAAAAAAAygAAAAAAAADqAAAAAAAAAMsAAAAAAAAA6wAAAAAAAADMAAAAAAAAAOwAAAAAAAAAzQAAAAAAAADtAAAAAAAAAM4AAAAAAAAA7gAAAAAAAADPAAAAAAAAAO8AAAAAAAAA0AAAAAAAAADwAAAAAAAAANEAAAAAAAAA8QAAAAAAAADSAAAAAAAAAPIAAAAAAAAA0wAAAAAAAADzAAAAAAAAANQAAAAAAAAA9AAAAAAAAADVAAAAAAAAAPUAAAAAAAAA1gAAAAAAAAD2AAAAAAAAANgAAAAAAAAA+AAAAAAAAADZAAAAAAAAAPkAAAAAAAAA2gAAAAAAAAD6AAAAAAAAANsAAAAAAAAA+wAAAAAAAADcAAAAAAAAAPwAAAAAAAAA3QAAAAAAAAD9AAAAAAAAAN4AAAAAAAAA/gAAAAAAAADgAAAAwAAAAAAAAADAAAAA4QAAAMEAAAAAAAAAwQAAAOIAAADCAAAAAAAAAMIAAADjAAAAwwAAAAAAAADDAAAA5AAAAMQAAAAAAAAAxAAAAOUAAADFAAAAAAAAAMUAAADmAAAAxgAAAAAAAADGAAAA5wAAAMcAAAAAAAAAxwAAAOgAAADIAAAAAAAAAMgAAADpAAAAyQAAAAAAAADJAAAA6gAAAMoAAAAAAAAAygAAAOsAAADLAAAAAAAAAMsAAADsAAAAzAAAAAAAAADMAAAA7QAAAM0AAAAAAAAAzQAAAO4AAADOAAAAAAAAAM4AAADvAAAAzwAAAAAAAADPAAAA8AAAANAAAAAAAAAA0AAAAPEAAADRAAAAAAAAANEAAADyAAAA0gAAAAAAAADSAAAA8wAAANMAAAAAAAAA0wAAAPQAAADUAAAAAAAAANQAAAD1AAAA1QAAAAAAAADVAAAA9gAAANYAAAAAAAAA1gAAAPgAAADYAAAAAAAAANgAAAD5AAAA2QAAAAAAAADZAAAA+gAAANoAAAAAAAAA2gAAAPsAAADbAAAAAAAAANsAAAD8AAAA3AAAAAAAAADcAAAA/QAAAN0AAAAAAAAA3QAAAP4AAADeAAAAAAAAAN4AAAD/AAAAeAEAAAAAAAB4AQAAAAEAAAAAAAABAQAAAAAAAAEBAAAAAQAAAAAAAAABAAACAQAAAAAAAAMBAAAAAAAAAwEAAAIBAAAAAAAAAgEAAAQBAAAAAAAABQEAAAAAAAAFAQAABAEAAAAAAAAEAQAABgEAAAAAAAAHAQAAAAAAAAcBAAAGAQAAAAAAAAYBAAAIAQAAAAAAAAkBAAAAAAAACQEAAAgBAAAAAAAACAEAAAoBAAAAAAAACwEAAAAAAAALAQAACgEAAAAAAAAKAQAADAEAAAAAAAANAQAAAAAAAA0BAAAMAQAAAAAAAAwBAAAOAQAAAAAAAA8BAAAAAAAADwEAAA4BAAAAAAAADgEAABABAAAAAAAAEQEAAAAAAAARAQAAEAEAAAAAAAAQAQAAEgEAAAAAAAATAQAAAAAAABMBAAASAQAAAAAAABIBAAAUAQAAAAAAABUBAAAAAAAAFQEAABQBAAAAAAAAFAEAABYBAAAAAAAAFwEAAAAAAAAXAQAAFgEAAAAAAAAWAQAAGAEAAAAAAAAZAQAAAAAAABkBAAAYAQAAAAAAABgBAAAaAQAAAAAAABsBAAAAAAAAGwEAABoBAAAAAAAAGgEAABwBAAAAAAAAHQEAAAAAAAAdAQAAHAEAAAAAAAAcAQAAHgEAAAAAAAAfAQAAAAAAAB8BAAAeAQAAAAAAAB4BAAAgAQAAAAAAACEBAAAAAAAAIQEAACABAAAAAAAAIAEAACIBAAAAAAAAIwEAAAAAAAAjAQAAIgEAAAAAAAAiAQAAJAEAAAAAAAAlAQAAAAAAACUBAAAkAQAAAAAAACQBAAAmAQAAAAAAACcBAAAAAAAAJwEAACYBAAAAAAAAJgEAACgBAAAAAAAAKQEAAAAAAAApAQAAKAEAAAAAAAAoAQAAKgEAAAAAAAArAQAAAAAAACsBAAAqAQAAAAAAACoBAAAsAQAAAAAAAC0BAAAAAAAALQEAACwBAAAAAAAALAEAAC4BAAAAAAAALwEAAAAAAAAvAQAALgEAAAAAAAAuAQAAMAEAAAAAAABpAAAAAAAAADEBAABJAAAAAAAAAEkAAAAyAQAAAAAAADMBAAAAAAAAMwEAADIBAAAAAAAAMgEAADQBAAAAAAAANQEAAAAAAAA1AQAANAEAAAAAAAA0AQAANgEAAAAAAAA3AQAAAAAAADcBAAA2AQAAAAAAADYBAAA5AQAAAAAAADoBAAAAAAAAOgEAADkBAAAAAAAAOQEAADsBAAAAAAAAPAEAAAAAAAA8AQAAOwEAAAAAAAA7AQAAPQEAAAAAAAA+AQAAAAAAAD4BAAA9AQAAAAAAAD0BAAA/AQAAAAAAAEABAAAAAAAAQAEAAD8BAAAAAAAAPwEAAEEBAAAAAAAAQgEAAAAAAABCAQAAQQEAAAAAAABBAQAAQwEAAAAAAABEAQAAAAAAAEQBAABDAQAAAAAAAEMBAABFAQAAAAAAAEYBAAAAAAAARgEAAEUBAAAAAAAARQEAAEcBAAAAAAAASAEAAAAAAABIAQAARwEAAAAAAABHAQAASgEAAAAAAABLAQAAAAAAAEsBAABKAQAAAAAAAEoBAABMAQAAAAAAAE0BAAAAAAAATQEAAEwBAAAAAAAATAEAAE4BAAAAAAAATwEAAAAAAABPAQAATgEAAAAAAABOAQAAUAEAAAAAAABRAQAAAAAAAFEBAABQAQAAAAAAAFABAABSAQAAAAAAAFMBAAAAAAAAUwEAAFIBAAAAAAAAUgEAAFQBAAAAAAAAVQEAAAAAAABVAQAAVAEAAAAAAABUAQAAVgEAAAAAAABXAQAAAAAAAFcBAABWAQAAAAAAAFYBAABYAQAAAAAAAFkBAAAAAAAAWQEAAFgBAAAAAAAAWAEAAFoBAAAAAAAAWwEAAAAAAABbAQAAWgEAAAAAAABaAQAAXAEAAAAAAABdAQAAAAAAAF0BAABcAQAAAAAAAFwBAABeAQAAAAAAAF8BAAAAAAAAXwEAAF4BAAAAAAAAXgEAAGABAAAAAAAAYQEAAAAAAABhAQAAYAEAAAAAAABgAQAAYgEAAAAAAABjAQAAAAAAAGMBAABiAQAAAAAAAGIBAABkAQAAAAAAAGUBAAAAAAAAZQEAAGQBAAAAAAAAZAEAAGYBAAAAAAAAZwEAAAAAAABnAQAAZgEAAAAAAABmAQAAaAEAAAAAAABpAQAAAAAAAGkBAABoAQAAAAAAAGgBAABqAQAAAAAAAGsBAAAAAAAAawEAAGoBAAAAAAAAagEAAGwBAAAAAAAAbQEAAAAAAABtAQAAbAEAAAAAAABsAQAAbgEAAAAAAABvAQAAAAAAAG8BAABuAQAAAAAAAG4BAABwAQAAAAAAAHEBAAAAAAAAcQEAAHABAAAAAAAAcAEAAHIBAAAAAAAAcwEAAAAAAABzAQAAcgEAAAAAAAByAQAAdAEAAAAAAAB1AQAAAAAAAHUBAAB0AQAAAAAAAHQBAAB2AQAAAAAAAHcBAAAAAAAAdwEAAHYBAAAAAAAAdgEAAHgBAAAAAAAA/wAAAAAAAAB5AQAAAAAAAHoBAAAAAAAAegEAAHkBAAAAAAAAeQEAAHsBAAAAAAAAfAEAAAAAAAB8AQAAewEAAAAAAAB7AQAAfQEAAAAAAAB+AQAAAAAAAH4BAAB9AQAAAAAAAH0BAAB/AQAAUwAAAAAAAABTAAAAgAEAAEMCAAAAAAAAQwIAAIEBAAAAAAAAUwIAAAAAAACCAQAAAAAAAIMBAAAAAAAAgwEAAIIBAAAAAAAAggEAAIQBAAAAAAAAhQEAAAAAAACFAQAAhAEAAAAAAACEAQAAhgEAAAAAAABUAgAAAAAAAIcBAAAAAAAAiAEAAAAAAACIAQAAhwEAAAAAAACHAQAAiQEAAAAAAABWAgAAAAAAAIoBAAAAAAAAVwIAAAAAAACLAQAAAAAAAIwBAAAAAAAAjAEAAIsBAAAAAAAAiwEAAI4BAAAAAAAA3QEAAAAAAACPAQAAAAAAAFkCAAAAAAAAkAEAAAAAAABbAgAAAAAAAJEBAAAAAAAAkgEAAAAAAACSAQAAkQEAAAAAAACRAQAAkwEAAAAAAABgAgAAAAAAAJQBAAAAAAAAYwIAAAAAAACVAQAA9gEAAAAAAAD2AQAAlgEAAAAAAABpAgAAAAAAAJcBAAAAAAAAaAIAAAAAAACYAQAAAAAAAJkBAAAAAAAAmQEAAJgBAAAAAAAAmAEAAJoBAAA9AgAAAAAAAD0CAACcAQAAAAAAAG8CAAAAAAAAnQEAAAAAAAByAgAAAAAAAJ4BAAAgAgAAAAAAACACAACfAQAAAAAAAHUCAAAAAAAAoAEAAAAAAAChAQAAAAAAAKEBAACgAQAAAAAAAKABAACiAQAAAAAAAKMBAAAAAAAAowEAAKIBAAAAAAAAogEAAKQBAAAAAAAApQEAAAAAAAClAQAApAEAAAAAAACkAQAApgEAAAAAAACAAgAAAAAAAKcBAAAAAAAAqAEAAAAAAACoAQAApwEAAAAAAACnAQAAqQEAAAAAAACDAgAAAAAAAKwBAAAAAAAArQEAAAAAAACtAQAArAEAAAAAAACsAQAArgEAAAAAAACIAgAAAAAAAK8BAAAAAAAAsAEAAAAAAACwAQAArwEAAAAAAACvAQAAsQEAAAAAAACKAgAAAAAAALIBAAAAAAAAiwIAAAAAAACzAQAAAAAAALQBAAAAAAAAtAEAALMBAAAAAAAAswEAALUBAAAAAAAAtgEAAAAAAAC2AQAAtQEAAAAAAAC1AQAAtwEAAAAAAACSAgAAAAAAALgBAAAAAAAAuQEAAAAAAAC5AQAAuAEAAAAAAAC4AQAAvAEAAAAAAAC9AQAAAAAAAL0BAAC8AQAAAAAAALwBAAC/AQAA9wEAAAAAAAD3AQAAxAEAAAAAAADGAQAAxQEAAMUBAADEAQAAxgEAAMUBAADGAQAAxAEAAAAAAADFAQAAxwEAAAAAAADJAQAAyAEAAMgBAADHAQAAyQEAAMgBAADJAQAAxwEAAAAAAADIAQAAygEAAAAAAADMAQAAywEAAMsBAADKAQAAzAEAAMsBAADMAQAAygEAAAAAAADLAQAAzQEAAAAAAADOAQAAAAAAAM4BAADNAQAAAAAAAM0BAADPAQAAAAAAANABAAAAAAAA0AEAAM8BAAAAAAAAzwEAANEBAAAAAAAA0gEAAAAAAADSAQAA0QEAAAAAAADRAQAA0wEAAAAAAADUAQAAAAAAANQBAADTAQAAAAAAANMBAADVAQAAAAAAANYBAAAAAAAA1gEAANUBAAAAAAAA1QEAANcBAAAAAAAA2AEAAAAAAADYAQAA1wEAAAAAAADXAQAA2QEAAAAAAADaAQAAAAAAANoBAADZAQAAAAAAANkBAADbAQAAAAAAANwBAAAAAAAA3AEAANsBAAAAAAAA2wEAAN0BAACOAQAAAAAAAI4BAADeAQAAAAAAAN8BAAAAAAAA3wEAAN4BAAAAAAAA3gEAAOABAAAAAAAA4QEAAAAAAADhAQAA4AEAAAAAAADgAQAA4gEAAAAAAADjAQAAAAAAAOMBAADiAQAAAAAAAOIBAADkAQAAAAAAAOUBAAAAAAAA5QEAAOQBAAAAAAAA5AEAAOYBAAAAAAAA5wEAAAAAAADnAQAA5gEAAAAAAADmAQAA6AEAAAAAAADpAQAAAAAAAOkBAADoAQAAAAAAAOgBAADqAQAAAAAAAOsBAAAAAAAA6wEAAOoBAAAAAAAA6gEAAOwBAAAAAAAA7QEAAAAAAADtAQAA7AEAAAAAAADsAQAA7gEAAAAAAADvAQAAAAAAAO8BAADuAQAAAAAAAO4BAADxAQAAAAAAAPMBAADyAQAA8gEAAPEBAADzAQAA8gEAAPMBAADxAQAAAAAAAPIBAAD0AQAAAAAAAPUBAAAAAAAA9QEAAPQBAAAAAAAA9AEAAPYBAAAAAAAAlQEAAAAAAAD3AQAAAAAAAL8BAAAAAAAA+AEAAAAAAAD5AQAAAAAAAPkBAAD4AQAAAAAAAPgBAAD6AQAAAAAAAPsBAAAAAAAA+wEAAPoBAAAAAAAA+gEAAPwBAAAAAAAA/QEAAAAAAAD9AQAA/AEAAAAAAAD8AQAA/gEAAAAAAAD/AQAAAAAAAP8BAAD+AQAAAAAAAP4BAAAAAgAAAAAAAAECAAAAAAAAAQIAAAACAAAAAAAAAAIAAAICAAAAAAAAAwIAAAAAAAADAgAAAgIAAAAAAAACAgAABAIAAAAAAAAFAgAAAAAAAAUCAAAEAgAAAAAAAAQCAAAGAgAAAAAAAAcCAAAAAAAABwIAAAYCAAAAAAAABgIAAAgCAAAAAAAACQIAAAAAAAAJAgAACAIAAAAAAAAIAgAACgIAAAAAAAALAgAAAAAAAAsCAAAKAgAAAAAAAAoCAAAMAgAAAAAAAA0CAAAAAAAADQIAAAwCAAAAAAAADAIAAA4CAAAAAAAADwIAAAAAAAAPAgAADgIAAAAAAAAOAgAAEAIAAAAAAAARAgAAAAAAABECAAAQAgAAAAAAABACAAASAgAAAAAAABMCAAAAAAAAEwIAABICAAAAAAAAEgIAABQCAAAAAAAAFQIAAAAAAAAVAgAAFAIAAAAAAAAUAgAAFgIAAAAAAAAXAgAAAAAAABcCAAAWAgAAAAAAABYCAAAYAgAAAAAAABkCAAAAAAAAGQIAABgCAAAAAAAAGAIAABoCAAAAAAAAGwIAAAAAAAAbAgAAGgIAAAAAAAAaAgAAHAIAAAAAAAAdAgAAAAAAAB0CAAAcAgAAAAAAABwCAAAeAgAAAAAAAB8CAAAAAAAAHwIAAB4CAAAAAAAAHgIAACACAAAAAAAAngEAAAAAAAAiAgAAAAAAACMCAAAAAAAAIwIAACICAAAAAAAAIgIAACQCAAAAAAAAJQIAAAAAAAAlAgAAJAIAAAAAAAAkAgAAJgIAAAAAAAAnAgAAAAAAACcCAAAmAgAAAAAAACYCAAAoAgAAAAAAACkCAAAAAAAAKQIAACgCAAAAAAAAKAIAACoCAAAAAAAAKwIAAAAAAAArAgAAKgIAAAAAAAAqAgAALAIAAAAAAAAtAgAAAAAAAC0CAAAsAgAAAAAAACwCAAAuAgAAAAAAAC8CAAAAAAAALwIAAC4CAAAAAAAALgIAADACAAAAAAAAMQIAAAAAAAAxAgAAMAIAAAAAAAAwAgAAMgIAAAAAAAAzAgAAAAAAADMCAAAyAgAAAAAAADICAAA6AgAAAAAAAGUsAAAAAAAAOwIAAAAAAAA8AgAAAAAAADwCAAA7AgAAAAAAADsCAAA9AgAAAAAAAJoBAAAAAAAAPgIAAAAAAABmLAAAAAAAAD8CAAB+LAAAAAAAAH4sAABAAgAAfywAAAAAAAB/LAAAQQIAAAAAAABCAgAAAAAAAEICAABBAgAAAAAAAEECAABDAgAAAAAAAIABAAAAAAAARAIAAAAAAACJAgAAAAAAAEUCAAAAAAAAjAIAAAAAAABGAgAAAAAAAEcCAAAAAAAARwIAAEYCAAAAAAAARgIAAEgCAAAAAAAASQIAAAAAAABJAgAASAIAAAAAAABIAgAASgIAAAAAAABLAgAAAAAAAEsCAABKAgAAAAAAAEoCAABMAgAAAAAAAE0CAAAAAAAATQIAAEwCAAAAAAAATAIAAE4CAAAAAAAATwIAAAAAAABPAgAATgIAAAAAAABOAgAAUAIAAG8sAAAAAAAAbywAAFECAABtLAAAAAAAAG0sAABSAgAAcCwAAAAAAABwLAAAUwIAAIEBAAAAAAAAgQEAAFQCAACGAQAAAAAAAIYBAABWAgAAiQEAAAAAAACJAQAAVwIAAIoBAAAAAAAAigEAAFkCAACPAQAAAAAAAI8BAABbAgAAkAEAAAAAAACQAQAAXAIAAKunAAAAAAAAq6cAAGACAACTAQAAAAAAAJMBAABhAgAArKcAAAAAAACspwAAYwIAAJQBAAAAAAAAlAEAAGUCAACNpwAAAAAAAI2nAABmAgAAqqcAAAAAAACqpwAAaAIAAJcBAAAAAAAAlwEAAGkCAACWAQAAAAAAAJYBAABqAgAArqcAAAAAAACupwAAawIAAGIsAAAAAAAAYiwAAGwCAACtpwAAAAAAAK2nAABvAgAAnAEAAAAAAACcAQAAcQIAAG4sAAAAAAAAbiwAAHICAACdAQAAAAAAAJ0BAAB1AgAAnwEAAAAAAACfAQAAfQIAAGQsAAAAAAAAZCwAAIACAACmAQAAAAAAAKYBAACDAgAAqQEAAAAAAACpAQAAhwIAALGnAAAAAAAAsacAAIgCAACuAQAAAAAAAK4BAACJAgAARAIAAAAAAABEAgAAigIAALEBAAAAAAAAsQEAAIsCAACyAQAAAAAAALIBAACMAgAARQIAAAAAAABFAgAAkgIAALcBAAAAAAAAtwEAAJ0CAACypwAAAAAAALKnAACeAgAAsKcAAAAAAACwpwAARQMAAJkDAAAAAAAAmQMAAHADAAAAAAAAcQMAAAAAAABxAwAAcAMAAAAAAABwAwAAcgMAAAAAAABzAwAAAAAAAHMDAAByAwAAAAAAAHIDAAB2AwAAAAAAAHcDAAAAAAAAdwMAAHYDAAAAAAAAdgMAAHsDAAD9AwAAAAAAAP0DAAB8AwAA/gMAAAAAAAD+AwAAfQMAAP8DAAAAAAAA/wMAAH8DAAAAAAAA8wMAAAAAAACGAwAAAAAAAKwDAAAAAAAAiAMAAAAAAACtAwAAAAAAAIkDAAAAAAAArgMAAAAAAACKAwAAAAAAAK8DAAAAAAAAjAMAAAAAAADMAwAAAAAAAI4DAAAAAAAAzQMAAAAAAACPAwAAAAAAAM4DAAAAAAAAkQMAAAAAAACxAwAAAAAAAJIDAAAAAAAAsgMAAAAAAACTAwAAAAAAALMDAAAAAAAAlAMAAAAAAAC0AwAAAAAAAJUDAAAAAAAAtQMAAAAAAACWAwAAAAAAALYDAAAAAAAAlwMAAAAAAAC3AwAAAAAAAJgDAAAAAAAAuAMAAAAAAACZAwAAAAAAALkDAAAAAAAAmgMAAAAAAAC6AwAAAAAAAJsDAAAAAAAAuwMAAAAAAACcAwAAAAAAALwDAAAAAAAAnQMAAAAAAAC9AwAAAAAAAJ4DAAAAAAAAvgMAAAAAAACfAwAAAAAAAL8DAAAAAAAAoAMAAAAAAADAAwAAAAAAAKEDAAAAAAAAwQMAAAAAAACjAwAAAAAAAMMDAAAAAAAApAMAAAAAAADEAwAAAAAAAKUDAAAAAAAAxQMAAAAAAACmAwAAAAAAAMYDAAAAAAAApwMAAAAAAADHAwAAAAAAAKgDAAAAAAAAyAMAAAAAAACpAwAAAAAAAMkDAAAAAAAAqgMAAAAAAADKAwAAAAAAAKsDAAAAAAAAywMAAAAAAACsAwAAhgMAAAAAAACGAwAArQMAAIgDAAAAAAAAiAMAAK4DAACJAwAAAAAAAIkDAACvAwAAigMAAAAAAACKAwAAsQMAAJEDAAAAAAAAkQMAALIDAACSAwAAAAAAAJIDAACzAwAAkwMAAAAAAACTAwAAtAMAAJQDAAAAAAAAlAMAALUDAACVAwAAAAAAAJUDAAC2AwAAlgMAAAAAAACWAwAAtwMAAJcDAAAAAAAAlwMAALgDAACYAwAAAAAAAJgDAAC5AwAAmQMAAAAAAACZAwAAugMAAJoDAAAAAAAAmgMAALsDAACbAwAAAAAAAJsDAAC8AwAAnAMAAAAAAACcAwAAvQMAAJ0DAAAAAAAAnQMAAL4DAACeAwAAAAAAAJ4DAAC/AwAAnwMAAAAAAACfAwAAwAMAAKADAAAAAAAAoAMAAMEDAAChAwAAAAAAAKEDAADCAwAAowMAAAAAAACjAwAAwwMAAKMDAAAAAAAAowMAAMQDAACkAwAAAAAAAKQDAADFAwAApQMAAAAAAAClAwAAxgMAAKYDAAAAAAAApgMAAMcDAACnAwAAAAAAAKcDAADIAwAAqAMAAAAAAACoAwAAyQMAAKkDAAAAAAAAqQMAAMoDAACqAwAAAAAAAKoDAADLAwAAqwMAAAAAAACrAwAAzAMAAIwDAAAAAAAAjAMAAM0DAACOAwAAAAAAAI4DAADOAwAAjwMAAAAAAACPAwAAzwMAAAAAAADXAwAAAAAAANADAACSAwAAAAAAAJIDAADRAwAAmAMAAAAAAACYAwAA1QMAAKYDAAAAAAAApgMAANYDAACgAwAAAAAAAKADAADXAwAAzwMAAAAAAADPAwAA2AMAAAAAAADZAwAAAAAAANkDAADYAwAAAAAAANgDAADaAwAAAAAAANsDAAAAAAAA2wMAANoDAAAAAAAA2gMAANwDAAAAAAAA3QMAAAAAAADdAwAA3AMAAAAAAADcAwAA3gMAAAAAAADfAwAAAAAAAN8DAADeAwAAAAAAAN4DAADgAwAAAAAAAOEDAAAAAAAA4QMAAOADAAAAAAAA4AMAAOIDAAAAAAAA4wMAAAAAAADjAwAA4gMAAAAAAADiAwAA5AMAAAAAAADlAwAAAAAAAOUDAADkAwAAAAAAAOQDAADmAwAAAAAAAOcDAAAAAAAA5wMAAOYDAAAAAAAA5gMAAOgDAAAAAAAA6QMAAAAAAADpAwAA6AMAAAAAAADoAwAA6gMAAAAAAADrAwAAAAAAAOsDAADqAwAAAAAAAOoDAADsAwAAAAAAAO0DAAAAAAAA7QMAAOwDAAAAAAAA7AMAAO4DAAAAAAAA7wMAAAAAAADvAwAA7gMAAAAAAADuAwAA8AMAAJoDAAAAAAAAmgMAAPEDAAChAwAAAAAAAKEDAADyAwAA+QMAAAAAAAD5AwAA8wMAAH8DAAAAAAAAfwMAAPQDAAAAAAAAuAMAAAAAAAD1AwAAlQMAAAAAAACVAwAA9wMAAAAAAAD4AwAAAAAAAPgDAAD3AwAAAAAAAPcDAAD5AwAAAAAAAPIDAAAAAAAA+gMAAAAAAAD7AwAAAAAAAPsDAAD6AwAAAAAAAPoDAAD9AwAAAAAAAHsDAAAAAAAA/gMAAAAAAAB8AwAAAAAAAP8DAAAAAAAAfQMAAAAAAAAABAAAAAAAAFAEAAAAAAAAAQQAAAAAAABRBAAAAAAAAAIEAAAAAAAAUgQAAAAAAAADBAAAAAAAAFMEAAAAAAAABAQAAAAAAABUBAAAAAAAAAUEAAAAAAAAVQQAAAAAAAAGBAAAAAAAAFYEAAAAAAAABwQAAAAAAABXBAAAAAAAAAgEAAAAAAAAWAQAAAAAAAAJBAAAAAAAAFkEAAAAAAAACgQAAAAAAABaBAAAAAAAAAsEAAAAAAAAWwQAAAAAAAAMBAAAAAAAAFwEAAAAAAAADQQAAAAAAABdBAAAAAAAAA4EAAAAAAAAXgQAAAAAAAAPBAAAAAAAAF8EAAAAAAAAEAQAAAAAAAAwBAAAAAAAABEEAAAAAAAAMQQAAAAAAAASBAAAAAAAADIEAAAAAAAAEwQAAAAAAAAzBAAAAAAAABQEAAAAAAAANAQAAAAAAAAVBAAAAAAAADUEAAAAAAAAFgQAAAAAAAA2BAAAAAAAABcEAAAAAAAANwQAAAAAAAAYBAAAAAAAADgEAAAAAAAAGQQAAAAAAAA5BAAAAAAAABoEAAAAAAAAOgQAAAAAAAAbBAAAAAAAADsEAAAAAAAAHAQAAAAAAAA8BAAAAAAAAB0EAAAAAAAAPQQAAAAAAAAeBAAAAAAAAD4EAAAAAAAAHwQAAAAAAAA/BAAAAAAAACAEAAAAAAAAQAQAAAAAAAAhBAAAAAAAAEEEAAAAAAAAIgQAAAAAAABCBAAAAAAAACMEAAAAAAAAQwQAAAAAAAAkBAAAAAAAAEQEAAAAAAAAJQQAAAAAAABFBAAAAAAAACYEAAAAAAAARgQAAAAAAAAnBAAAAAAAAEcEAAAAAAAAKAQAAAAAAABIBAAAAAAAACkEAAAAAAAASQQAAAAAAAAqBAAAAAAAAEoEAAAAAAAAKwQAAAAAAABLBAAAAAAAACwEAAAAAAAATAQAAAAAAAAtBAAAAAAAAE0EAAAAAAAALgQAAAAAAABOBAAAAAAAAC8EAAAAAAAATwQAAAAAAAAwBAAAEAQAAAAAAAAQBAAAMQQAABEEAAAAAAAAEQQAADIEAAASBAAAAAAAABIEAAAzBAAAEwQAAAAAAAATBAAANAQAABQEAAAAAAAAFAQAADUEAAAVBAAAAAAAABUEAAA2BAAAFgQAAAAAAAAWBAAANwQAABcEAAAAAAAAFwQAADgEAAAYBAAAAAAAABgEAAA5BAAAGQQAAAAAAAAZBAAAOgQAABoEAAAAAAAAGgQAADsEAAAbBAAAAAAAABsEAAA8BAAAHAQAAAAAAAAcBAAAPQQAAB0EAAAAAAAAHQQAAD4EAAAeBAAAAAAAAB4EAAA/BAAAHwQAAAAAAAAfBAAAQAQAACAEAAAAAAAAIAQAAEEEAAAhBAAAAAAAACEEAABCBAAAIgQAAAAAAAAiBAAAQwQAACMEAAAAAAAAIwQAAEQEAAAkBAAAAAAAACQEAABFBAAAJQQAAAAAAAAlBAAARgQAACYEAAAAAAAAJgQAAEcEAAAnBAAAAAAAACcEAABIBAAAKAQAAAAAAAAoBAAASQQAACkEAAAAAAAAKQQAAEoEAAAqBAAAAAAAACoEAABLBAAAKwQAAAAAAAArBAAATAQAACwEAAAAAAAALAQAAE0EAAAtBAAAAAAAAC0EAABOBAAALgQAAAAAAAAuBAAATwQAAC8EAAAAAAAALwQAAFAEAAAABAAAAAAAAAAEAABRBAAAAQQAAAAAAAABBAAAUgQAAAIEAAAAAAAAAgQAAFMEAAADBAAAAAAAAAMEAABUBAAABAQAAAAAAAAEBAAAVQQAAAUEAAAAAAAABQQAAFYEAAAGBAAAAAAAAAYEAABXBAAABwQAAAAAAAAHBAAAWAQAAAgEAAAAAAAACAQAAFkEAAAJBAAAAAAAAAkEAABaBAAACgQAAAAAAAAKBAAAWwQAAAsEAAAAAAAACwQAAFwEAAAMBAAAAAAAAAwEAABdBAAADQQAAAAAAAANBAAAXgQAAA4EAAAAAAAADgQAAF8EAAAPBAAAAAAAAA8EAABgBAAAAAAAAGEEAAAAAAAAYQQAAGAEAAAAAAAAYAQAAGIEAAAAAAAAYwQAAAAAAABjBAAAYgQAAAAAAABiBAAAZAQAAAAAAABlBAAAAAAAAGUEAABkBAAAAAAAAGQEAABmBAAAAAAAAGcEAAAAAAAAZwQAAGYEAAAAAAAAZgQAAGgEAAAAAAAAaQQAAAAAAABpBAAAaAQAAAAAAABoBAAAagQAAAAAAABrBAAAAAAAAGsEAABqBAAAAAAAAGoEAABsBAAAAAAAAG0EAAAAAAAAbQQAAGwEAAAAAAAAbAQAAG4EAAAAAAAAbwQAAAAAAABvBAAAbgQAAAAAAABuBAAAcAQAAAAAAABxBAAAAAAAAHEEAABwBAAAAAAAAHAEAAByBAAAAAAAAHMEAAAAAAAAcwQAAHIEAAAAAAAAcgQAAHQEAAAAAAAAdQQAAAAAAAB1BAAAdAQAAAAAAAB0BAAAdgQAAAAAAAB3BAAAAAAAAHcEAAB2BAAAAAAAAHYEAAB4BAAAAAAAAHkEAAAAAAAAeQQAAHgEAAAAAAAAeAQAAHoEAAAAAAAAewQAAAAAAAB7BAAAegQAAAAAAAB6BAAAfAQAAAAAAAB9BAAAAAAAAH0EAAB8BAAAAAAAAHwEAAB+BAAAAAAAAH8EAAAAAAAAfwQAAH4EAAAAAAAAfgQAAIAEAAAAAAAAgQQAAAAAAACBBAAAgAQAAAAAAACABAAAigQAAAAAAACLBAAAAAAAAIsEAACKBAAAAAAAAIoEAACMBAAAAAAAAI0EAAAAAAAAjQQAAIwEAAAAAAAAjAQAAI4EAAAAAAAAjwQAAAAAAACPBAAAjgQAAAAAAACOBAAAkAQAAAAAAACRBAAAAAAAAJEEAACQBAAAAAAAAJAEAACSBAAAAAAAAJMEAAAAAAAAkwQAAJIEAAAAAAAAkgQAAJQEAAAAAAAAlQQAAAAAAACVBAAAlAQAAAAAAACUBAAAlgQAAAAAAACXBAAAAAAAAJcEAACWBAAAAAAAAJYEAACYBAAAAAAAAJkEAAAAAAAAmQQAAJgEAAAAAAAAmAQAAJoEAAAAAAAAmwQAAAAAAACbBAAAmgQAAAAAAACaBAAAnAQAAAAAAACdBAAAAAAAAJ0EAACcBAAAAAAAAJwEAACeBAAAAAAAAJ8EAAAAAAAAnwQAAJ4EAAAAAAAAngQAAKAEAAAAAAAAoQQAAAAAAAChBAAAoAQAAAAAAACgBAAAogQAAAAAAACjBAAAAAAAAKMEAACiBAAAAAAAAKIEAACkBAAAAAAAAKUEAAAAAAAApQQAAKQEAAAAAAAApAQAAKYEAAAAAAAApwQAAAAAAACnBAAApgQAAAAAAACmBAAAqAQAAAAAAACpBAAAAAAAAKkEAACoBAAAAAAAAKgEAACqBAAAAAAAAKsEAAAAAAAAqwQAAKoEAAAAAAAAqgQAAKwEAAAAAAAArQQAAAAAAACtBAAArAQAAAAAAACsBAAArgQAAAAAAACvBAAAAAAAAK8EAACuBAAAAAAAAK4EAACwBAAAAAAAALEEAAAAAAAAsQQAALAEAAAAAAAAsAQAALIEAAAAAAAAswQAAAAAAACzBAAAsgQAAAAAAACyBAAAtAQAAAAAAAC1BAAAAAAAALUEAAC0BAAAAAAAALQEAAC2BAAAAAAAALcEAAAAAAAAtwQAALYEAAAAAAAAtgQAALgEAAAAAAAAuQQAAAAAAAC5BAAAuAQAAAAAAAC4BAAAugQAAAAAAAC7BAAAAAAAALsEAAC6BAAAAAAAALoEAAC8BAAAAAAAAL0EAAAAAAAAvQQAALwEAAAAAAAAvAQAAL4EAAAAAAAAvwQAAAAAAAC/BAAAvgQAAAAAAAC+BAAAwAQAAAAAAADPBAAAAAAAAMEEAAAAAAAAwgQAAAAAAADCBAAAwQQAAAAAAADBBAAAwwQAAAAAAADEBAAAAAAAAMQEAADDBAAAAAAAAMMEAADFBAAAAAAAAMYEAAAAAAAAxgQAAMUEAAAAAAAAxQQAAMcEAAAAAAAAyAQAAAAAAADIBAAAxwQAAAAAAADHBAAAyQQAAAAAAADKBAAAAAAAAMoEAADJBAAAAAAAAMkEAADLBAAAAAAAAMwEAAAAAAAAzAQAAMsEAAAAAAAAywQAAM0EAAAAAAAAzgQAAAAAAADOBAAAzQQAAAAAAADNBAAAzwQAAMAEAAAAAAAAwAQAANAEAAAAAAAA0QQAAAAAAADRBAAA0AQAAAAAAADQBAAA0gQAAAAAAADTBAAAAAAAANMEAADSBAAAAAAAANIEAADUBAAAAAAAANUEAAAAAAAA1QQAANQEAAAAAAAA1AQAANYEAAAAAAAA1wQAAAAAAADXBAAA1gQAAAAAAADWBAAA2AQAAAAAAADZBAAAAAAAANkEAADYBAAAAAAAANgEAADaBAAAAAAAANsEAAAAAAAA2wQAANoEAAAAAAAA2gQAANwEAAAAAAAA3QQAAAAAAADdBAAA3AQAAAAAAADcBAAA3gQAAAAAAADfBAAAAAAAAN8EAADeBAAAAAAAAN4EAADgBAAAAAAAAOEEAAAAAAAA4QQAAOAEAAAAAAAA4AQAAOIEAAAAAAAA4wQAAAAAAADjBAAA4gQAAAAAAADiBAAA5AQAAAAAAADlBAAAAAAAAOUEAADkBAAAAAAAAOQEAADmBAAAAAAAAOcEAAAAAAAA5wQAAOYEAAAAAAAA5gQAAOgEAAAAAAAA6QQAAAAAAADpBAAA6AQAAAAAAADoBAAA6gQAAAAAAADrBAAAAAAAAOsEAADqBAAAAAAAAOoEAADsBAAAAAAAAO0EAAAAAAAA7QQAAOwEAAAAAAAA7AQAAO4EAAAAAAAA7wQAAAAAAADvBAAA7gQAAAAAAADuBAAA8AQAAAAAAADxBAAAAAAAAPEEAADwBAAAAAAAAPAEAADyBAAAAAAAAPMEAAAAAAAA8wQAAPIEAAAAAAAA8gQAAPQEAAAAAAAA9QQAAAAAAAD1BAAA9AQAAAAAAAD0BAAA9gQAAAAAAAD3BAAAAAAAAPcEAAD2BAAAAAAAAPYEAAD4BAAAAAAAAPkEAAAAAAAA+QQAAPgEAAAAAAAA+AQAAPoEAAAAAAAA+wQAAAAAAAD7BAAA+gQAAAAAAAD6BAAA/AQAAAAAAAD9BAAAAAAAAP0EAAD8BAAAAAAAAPwEAAD+BAAAAAAAAP8EAAAAAAAA/wQAAP4EAAAAAAAA/gQAAAAFAAAAAAAAAQUAAAAAAAABBQAAAAUAAAAAAAAABQAAAgUAAAAAAAADBQAAAAAAAAMFAAACBQAAAAAAAAIFAAAEBQAAAAAAAAUFAAAAAAAABQUAAAQFAAAAAAAABAUAAAYFAAAAAAAABwUAAAAAAAAHBQAABgUAAAAAAAAGBQAACAUAAAAAAAAJBQAAAAAAAAkFAAAIBQAAAAAAAAgFAAAKBQAAAAAAAAsFAAAAAAAACwUAAAoFAAAAAAAACgUAAAwFAAAAAAAADQUAAAAAAAANBQAADAUAAAAAAAAMBQAADgUAAAAAAAAPBQAAAAAAAA8FAAAOBQAAAAAAAA4FAAAQBQAAAAAAABEFAAAAAAAAEQUAABAFAAAAAAAAEAUAABIFAAAAAAAAEwUAAAAAAAATBQAAEgUAAAAAAAASBQAAFAUAAAAAAAAVBQAAAAAAABUFAAAUBQAAAAAAABQFAAAWBQAAAAAAABcFAAAAAAAAFwUAABYFAAAAAAAAFgUAABgFAAAAAAAAGQUAAAAAAAAZBQAAGAUAAAAAAAAYBQAAGgUAAAAAAAAbBQAAAAAAABsFAAAaBQAAAAAAABoFAAAcBQAAAAAAAB0FAAAAAAAAHQUAABwFAAAAAAAAHAUAAB4FAAAAAAAAHwUAAAAAAAAfBQAAHgUAAAAAAAAeBQAAIAUAAAAAAAAhBQAAAAAAACEFAAAgBQAAAAAAACAFAAAiBQAAAAAAACMFAAAAAAAAIwUAACIFAAAAAAAAIgUAACQFAAAAAAAAJQUAAAAAAAAlBQAAJAUAAAAAAAAkBQAAJgUAAAAAAAAnBQAAAAAAACcFAAAmBQAAAAAAACYFAAAoBQAAAAAAACkFAAAAAAAAKQUAACgFAAAAAAAAKAUAACoFAAAAAAAAKwUAAAAAAAArBQAAKgUAAAAAAAAqBQAALAUAAAAAAAAtBQAAAAAAAC0FAAAsBQAAAAAAACwFAAAuBQAAAAAAAC8FAAAAAAAALwUAAC4FAAAAAAAALgUAADEFAAAAAAAAYQUAAAAAAAAyBQAAAAAAAGIFAAAAAAAAMwUAAAAAAABjBQAAAAAAADQFAAAAAAAAZAUAAAAAAAA1BQAAAAAAAGUFAAAAAAAANgUAAAAAAABmBQAAAAAAADcFAAAAAAAAZwUAAAAAAAA4BQAAAAAAAGgFAAAAAAAAOQUAAAAAAABpBQAAAAAAADoFAAAAAAAAagUAAAAAAAA7BQAAAAAAAGsFAAAAAAAAPAUAAAAAAABsBQAAAAAAAD0FAAAAAAAAbQUAAAAAAAA+BQAAAAAAAG4FAAAAAAAAPwUAAAAAAABvBQAAAAAAAEAFAAAAAAAAcAUAAAAAAABBBQAAAAAAAHEFAAAAAAAAQgUAAAAAAAByBQAAAAAAAEMFAAAAAAAAcwUAAAAAAABEBQAAAAAAAHQFAAAAAAAARQUAAAAAAAB1BQAAAAAAAEYFAAAAAAAAdgUAAAAAAABHBQAAAAAAAHcFAAAAAAAASAUAAAAAAAB4BQAAAAAAAEkFAAAAAAAAeQUAAAAAAABKBQAAAAAAAHoFAAAAAAAASwUAAAAAAAB7BQAAAAAAAEwFAAAAAAAAfAUAAAAAAABNBQAAAAAAAH0FAAAAAAAATgUAAAAAAAB+BQAAAAAAAE8FAAAAAAAAfwUAAAAAAABQBQAAAAAAAIAFAAAAAAAAUQUAAAAAAACBBQAAAAAAAFIFAAAAAAAAggUAAAAAAABTBQAAAAAAAIMFAAAAAAAAVAUAAAAAAACEBQAAAAAAAFUFAAAAAAAAhQUAAAAAAABWBQAAAAAAAIYFAAAAAAAAYQUAADEFAAAAAAAAMQUAAGIFAAAyBQAAAAAAADIFAABjBQAAMwUAAAAAAAAzBQAAZAUAADQFAAAAAAAANAUAAGUFAAA1BQAAAAAAADUFAABmBQAANgUAAAAAAAA2BQAAZwUAADcFAAAAAAAANwUAAGgFAAA4BQAAAAAAADgFAABpBQAAOQUAAAAAAAA5BQAAagUAADoFAAAAAAAAOgUAAGsFAAA7BQAAAAAAADsFAABsBQAAPAUAAAAAAAA8BQAAbQUAAD0FAAAAAAAAPQUAAG4FAAA+BQAAAAAAAD4FAABvBQAAPwUAAAAAAAA/BQAAcAUAAEAFAAAAAAAAQAUAAHEFAABBBQAAAAAAAEEFAAByBQAAQgUAAAAAAABCBQAAcwUAAEMFAAAAAAAAQwUAAHQFAABEBQAAAAAAAEQFAAB1BQAARQUAAAAAAABFBQAAdgUAAEYFAAAAAAAARgUAAHcFAABHBQAAAAAAAEcFAAB4BQAASAUAAAAAAABIBQAAeQUAAEkFAAAAAAAASQUAAHoFAABKBQAAAAAAAEoFAAB7BQAASwUAAAAAAABLBQAAfAUAAEwFAAAAAAAATAUAAH0FAABNBQAAAAAAAE0FAAB+BQAATgUAAAAAAABOBQAAfwUAAE8FAAAAAAAATwUAAIAFAABQBQAAAAAAAFAFAACBBQAAUQUAAAAAAABRBQAAggUAAFIFAAAAAAAAUgUAAIMFAABTBQAAAAAAAFMFAACEBQAAVAUAAAAAAABUBQAAhQUAAFUFAAAAAAAAVQUAAIYFAABWBQAAAAAAAFYFAACgEAAAAAAAAAAtAAAAAAAAoRAAAAAAAAABLQAAAAAAAKIQAAAAAAAAAi0AAAAAAACjEAAAAAAAAAMtAAAAAAAApBAAAAAAAAAELQAAAAAAAKUQAAAAAAAABS0AAAAAAACmEAAAAAAAAAYtAAAAAAAApxAAAAAAAAAHLQAAAAAAAKgQAAAAAAAACC0AAAAAAACpEAAAAAAAAAktAAAAAAAAqhAAAAAAAAAKLQAAAAAAAKsQAAAAAAAACy0AAAAAAACsEAAAAAAAAAwtAAAAAAAArRAAAAAAAAANLQAAAAAAAK4QAAAAAAAADi0AAAAAAACvEAAAAAAAAA8tAAAAAAAAsBAAAAAAAAAQLQAAAAAAALEQAAAAAAAAES0AAAAAAACyEAAAAAAAABItAAAAAAAAsxAAAAAAAAATLQAAAAAAALQQAAAAAAAAFC0AAAAAAAC1EAAAAAAAABUtAAAAAAAAthAAAAAAAAAWLQAAAAAAALcQAAAAAAAAFy0AAAAAAAC4EAAAAAAAABgtAAAAAAAAuRAAAAAAAAAZLQAAAAAAALoQAAAAAAAAGi0AAAAAAAC7EAAAAAAAABstAAAAAAAAvBAAAAAAAAAcLQAAAAAAAL0QAAAAAAAAHS0AAAAAAAC+EAAAAAAAAB4tAAAAAAAAvxAAAAAAAAAfLQAAAAAAAMAQAAAAAAAAIC0AAAAAAADBEAAAAAAAACEtAAAAAAAAwhAAAAAAAAAiLQAAAAAAAMMQAAAAAAAAIy0AAAAAAADEEAAAAAAAACQtAAAAAAAAxRAAAAAAAAAlLQAAAAAAAMcQAAAAAAAAJy0AAAAAAADNEAAAAAAAAC0tAAAAAAAA0BAAAJAcAAAAAAAA0BAAANEQAACRHAAAAAAAANEQAADSEAAAkhwAAAAAAADSEAAA0xAAAJMcAAAAAAAA0xAAANQQAACUHAAAAAAAANQQAADVEAAAlRwAAAAAAADVEAAA1hAAAJYcAAAAAAAA1hAAANcQAACXHAAAAAAAANcQAADYEAAAmBwAAAAAAADYEAAA2RAAAJkcAAAAAAAA2RAAANoQAACaHAAAAAAAANoQAADbEAAAmxwAAAAAAADbEAAA3BAAAJwcAAAAAAAA3BAAAN0QAACdHAAAAAAAAN0QAADeEAAAnhwAAAAAAADeEAAA3xAAAJ8cAAAAAAAA3xAAAOAQAACgHAAAAAAAAOAQAADhEAAAoRwAAAAAAADhEAAA4hAAAKIcAAAAAAAA4hAAAOMQAACjHAAAAAAAAOMQAADkEAAApBwAAAAAAADkEAAA5RAAAKUcAAAAAAAA5RAAAOYQAACmHAAAAAAAAOYQAADnEAAApxwAAAAAAADnEAAA6BAAAKgcAAAAAAAA6BAAAOkQAACpHAAAAAAAAOkQAADqEAAAqhwAAAAAAADqEAAA6xAAAKscAAAAAAAA6xAAAOwQAACsHAAAAAAAAOwQAADtEAAArRwAAAAAAADtEAAA7hAAAK4cAAAAAAAA7hAAAO8QAACvHAAAAAAAAO8QAADwEAAAsBwAAAAAAADwEAAA8RAAALEcAAAAAAAA8RAAAPIQAACyHAAAAAAAAPIQAADzEAAAsxwAAAAAAADzEAAA9BAAALQcAAAAAAAA9BAAAPUQAAC1HAAAAAAAAPUQAAD2EAAAthwAAAAAAAD2EAAA9xAAALccAAAAAAAA9xAAAPgQAAC4HAAAAAAAAPgQAAD5EAAAuRwAAAAAAAD5EAAA+hAAALocAAAAAAAA+hAAAP0QAAC9HAAAAAAAAP0QAAD+EAAAvhwAAAAAAAD+EAAA/xAAAL8cAAAAAAAA/xAAAKATAAAAAAAAcKsAAAAAAAChEwAAAAAAAHGrAAAAAAAAohMAAAAAAAByqwAAAAAAAKMTAAAAAAAAc6sAAAAAAACkEwAAAAAAAHSrAAAAAAAApRMAAAAAAAB1qwAAAAAAAKYTAAAAAAAAdqsAAAAAAACnEwAAAAAAAHerAAAAAAAAqBMAAAAAAAB4qwAAAAAAAKkTAAAAAAAAeasAAAAAAACqEwAAAAAAAHqrAAAAAAAAqxMAAAAAAAB7qwAAAAAAAKwTAAAAAAAAfKsAAAAAAACtEwAAAAAAAH2rAAAAAAAArhMAAAAAAAB+qwAAAAAAAK8TAAAAAAAAf6sAAAAAAACwEwAAAAAAAICrAAAAAAAAsRMAAAAAAACBqwAAAAAAALITAAAAAAAAgqsAAAAAAACzEwAAAAAAAIOrAAAAAAAAtBMAAAAAAACEqwAAAAAAALUTAAAAAAAAhasAAAAAAAC2EwAAAAAAAIarAAAAAAAAtxMAAAAAAACHqwAAAAAAALgTAAAAAAAAiKsAAAAAAAC5EwAAAAAAAImrAAAAAAAAuhMAAAAAAACKqwAAAAAAALsTAAAAAAAAi6sAAAAAAAC8EwAAAAAAAIyrAAAAAAAAvRMAAAAAAACNqwAAAAAAAL4TAAAAAAAAjqsAAAAAAAC/EwAAAAAAAI+rAAAAAAAAwBMAAAAAAACQqwAAAAAAAMETAAAAAAAAkasAAAAAAADCEwAAAAAAAJKrAAAAAAAAwxMAAAAAAACTqwAAAAAAAMQTAAAAAAAAlKsAAAAAAADFEwAAAAAAAJWrAAAAAAAAxhMAAAAAAACWqwAAAAAAAMcTAAAAAAAAl6sAAAAAAADIEwAAAAAAAJirAAAAAAAAyRMAAAAAAACZqwAAAAAAAMoTAAAAAAAAmqsAAAAAAADLEwAAAAAAAJurAAAAAAAAzBMAAAAAAACcqwAAAAAAAM0TAAAAAAAAnasAAAAAAADOEwAAAAAAAJ6rAAAAAAAAzxMAAAAAAACfqwAAAAAAANATAAAAAAAAoKsAAAAAAADREwAAAAAAAKGrAAAAAAAA0hMAAAAAAACiqwAAAAAAANMTAAAAAAAAo6sAAAAAAADUEwAAAAAAAKSrAAAAAAAA1RMAAAAAAAClqwAAAAAAANYTAAAAAAAApqsAAAAAAADXEwAAAAAAAKerAAAAAAAA2BMAAAAAAACoqwAAAAAAANkTAAAAAAAAqasAAAAAAADaEwAAAAAAAKqrAAAAAAAA2xMAAAAAAACrqwAAAAAAANwTAAAAAAAArKsAAAAAAADdEwAAAAAAAK2rAAAAAAAA3hMAAAAAAACuqwAAAAAAAN8TAAAAAAAAr6sAAAAAAADgEwAAAAAAALCrAAAAAAAA4RMAAAAAAACxqwAAAAAAAOITAAAAAAAAsqsAAAAAAADjEwAAAAAAALOrAAAAAAAA5BMAAAAAAAC0qwAAAAAAAOUTAAAAAAAAtasAAAAAAADmEwAAAAAAALarAAAAAAAA5xMAAAAAAAC3qwAAAAAAAOgTAAAAAAAAuKsAAAAAAADpEwAAAAAAALmrAAAAAAAA6hMAAAAAAAC6qwAAAAAAAOsTAAAAAAAAu6sAAAAAAADsEwAAAAAAALyrAAAAAAAA7RMAAAAAAAC9qwAAAAAAAO4TAAAAAAAAvqsAAAAAAADvEwAAAAAAAL+rAAAAAAAA8BMAAAAAAAD4EwAAAAAAAPETAAAAAAAA+RMAAAAAAADyEwAAAAAAAPoTAAAAAAAA8xMAAAAAAAD7EwAAAAAAAPQTAAAAAAAA/BMAAAAAAAD1EwAAAAAAAP0TAAAAAAAA+BMAAPATAAAAAAAA8BMAAPkTAADxEwAAAAAAAPETAAD6EwAA8hMAAAAAAADyEwAA+xMAAPMTAAAAAAAA8xMAAPwTAAD0EwAAAAAAAPQTAAD9EwAA9RMAAAAAAAD1EwAAgBwAABIEAAAAAAAAEgQAAIEcAAAUBAAAAAAAABQEAACCHAAAHgQAAAAAAAAeBAAAgxwAACEEAAAAAAAAIQQAAIQcAAAiBAAAAAAAACIEAACFHAAAIgQAAAAAAAAiBAAAhhwAACoEAAAAAAAAKgQAAIccAABiBAAAAAAAAGIEAACIHAAASqYAAAAAAABKpgAAkBwAAAAAAADQEAAAAAAAAJEcAAAAAAAA0RAAAAAAAACSHAAAAAAAANIQAAAAAAAAkxwAAAAAAADTEAAAAAAAAJQcAAAAAAAA1BAAAAAAAACVHAAAAAAAANUQAAAAAAAAlhwAAAAAAADWEAAAAAAAAJccAAAAAAAA1xAAAAAAAACYHAAAAAAAANgQAAAAAAAAmRwAAAAAAADZEAAAAAAAAJocAAAAAAAA2hAAAAAAAACbHAAAAAAAANsQAAAAAAAAnBwAAAAAAADcEAAAAAAAAJ0cAAAAAAAA3RAAAAAAAACeHAAAAAAAAN4QAAAAAAAAnxwAAAAAAADfEAAAAAAAAKAcAAAAAAAA4BAAAAAAAAChHAAAAAAAAOEQAAAAAAAAohwAAAAAAADiEAAAAAAAAKMcAAAAAAAA4xAAAAAAAACkHAAAAAAAAOQQAAAAAAAApRwAAAAAAADlEAAAAAAAAKYcAAAAAAAA5hAAAAAAAACnHAAAAAAAAOcQAAAAAAAAqBwAAAAAAADoEAAAAAAAAKkcAAAAAAAA6RAAAAAAAACqHAAAAAAAAOoQAAAAAAAAqxwAAAAAAADrEAAAAAAAAKwcAAAAAAAA7BAAAAAAAACtHAAAAAAAAO0QAAAAAAAArhwAAAAAAADuEAAAAAAAAK8cAAAAAAAA7xAAAAAAAACwHAAAAAAAAPAQAAAAAAAAsRwAAAAAAADxEAAAAAAAALIcAAAAAAAA8hAAAAAAAACzHAAAAAAAAPMQAAAAAAAAtBwAAAAAAAD0EAAAAAAAALUcAAAAAAAA9RAAAAAAAAC2HAAAAAAAAPYQAAAAAAAAtxwAAAAAAAD3EAAAAAAAALgcAAAAAAAA+BAAAAAAAAC5HAAAAAAAAPkQAAAAAAAAuhwAAAAAAAD6EAAAAAAAAL0cAAAAAAAA/RAAAAAAAAC+HAAAAAAAAP4QAAAAAAAAvxwAAAAAAAD/EAAAAAAAAHkdAAB9pwAAAAAAAH2nAAB9HQAAYywAAAAAAABjLAAAAB4AAAAAAAABHgAAAAAAAAEeAAAAHgAAAAAAAAAeAAACHgAAAAAAAAMeAAAAAAAAAx4AAAIeAAAAAAAAAh4AAAQeAAAAAAAABR4AAAAAAAAFHgAABB4AAAAAAAAEHgAABh4AAAAAAAAHHgAAAAAAAAceAAAGHgAAAAAAAAYeAAAIHgAAAAAAAAkeAAAAAAAACR4AAAgeAAAAAAAACB4AAAoeAAAAAAAACx4AAAAAAAALHgAACh4AAAAAAAAKHgAADB4AAAAAAAANHgAAAAAAAA0eAAAMHgAAAAAAAAweAAAOHgAAAAAAAA8eAAAAAAAADx4AAA4eAAAAAAAADh4AABAeAAAAAAAAER4AAAAAAAARHgAAEB4AAAAAAAAQHgAAEh4AAAAAAAATHgAAAAAAABMeAAASHgAAAAAAABIeAAAUHgAAAAAAABUeAAAAAAAAFR4AABQeAAAAAAAAFB4AABYeAAAAAAAAFx4AAAAAAAAXHgAAFh4AAAAAAAAWHgAAGB4AAAAAAAAZHgAAAAAAABkeAAAYHgAAAAAAABgeAAAaHgAAAAAAABseAAAAAAAAGx4AABoeAAAAAAAAGh4AABweAAAAAAAAHR4AAAAAAAAdHgAAHB4AAAAAAAAcHgAAHh4AAAAAAAAfHgAAAAAAAB8eAAAeHgAAAAAAAB4eAAAgHgAAAAAAACEeAAAAAAAAIR4AACAeAAAAAAAAIB4AACIeAAAAAAAAIx4AAAAAAAAjHgAAIh4AAAAAAAAiHgAAJB4AAAAAAAAlHgAAAAAAACUeAAAkHgAAAAAAACQeAAAmHgAAAAAAACceAAAAAAAAJx4AACYeAAAAAAAAJh4AACgeAAAAAAAAKR4AAAAAAAApHgAAKB4AAAAAAAAoHgAAKh4AAAAAAAArHgAAAAAAACseAAAqHgAAAAAAACoeAAAsHgAAAAAAAC0eAAAAAAAALR4AACweAAAAAAAALB4AAC4eAAAAAAAALx4AAAAAAAAvHgAALh4AAAAAAAAuHgAAMB4AAAAAAAAxHgAAAAAAADEeAAAwHgAAAAAAADAeAAAyHgAAAAAAADMeAAAAAAAAMx4AADIeAAAAAAAAMh4AADQeAAAAAAAANR4AAAAAAAA1HgAANB4AAAAAAAA0HgAANh4AAAAAAAA3HgAAAAAAADceAAA2HgAAAAAAADYeAAA4HgAAAAAAADkeAAAAAAAAOR4AADgeAAAAAAAAOB4AADoeAAAAAAAAOx4AAAAAAAA7HgAAOh4AAAAAAAA6HgAAPB4AAAAAAAA9HgAAAAAAAD0eAAA8HgAAAAAAADweAAA+HgAAAAAAAD8eAAAAAAAAPx4AAD4eAAAAAAAAPh4AAEAeAAAAAAAAQR4AAAAAAABBHgAAQB4AAAAAAABAHgAAQh4AAAAAAABDHgAAAAAAAEMeAABCHgAAAAAAAEIeAABEHgAAAAAAAEUeAAAAAAAARR4AAEQeAAAAAAAARB4AAEYeAAAAAAAARx4AAAAAAABHHgAARh4AAAAAAABGHgAASB4AAAAAAABJHgAAAAAAAEkeAABIHgAAAAAAAEgeAABKHgAAAAAAAEseAAAAAAAASx4AAEoeAAAAAAAASh4AAEweAAAAAAAATR4AAAAAAABNHgAATB4AAAAAAABMHgAATh4AAAAAAABPHgAAAAAAAE8eAABOHgAAAAAAAE4eAABQHgAAAAAAAFEeAAAAAAAAUR4AAFAeAAAAAAAAUB4AAFIeAAAAAAAAUx4AAAAAAABTHgAAUh4AAAAAAABSHgAAVB4AAAAAAABVHgAAAAAAAFUeAABUHgAAAAAAAFQeAABWHgAAAAAAAFceAAAAAAAAVx4AAFYeAAAAAAAAVh4AAFgeAAAAAAAAWR4AAAAAAABZHgAAWB4AAAAAAABYHgAAWh4AAAAAAABbHgAAAAAAAFseAABaHgAAAAAAAFoeAABcHgAAAAAAAF0eAAAAAAAAXR4AAFweAAAAAAAAXB4AAF4eAAAAAAAAXx4AAAAAAABfHgAAXh4AAAAAAABeHgAAYB4AAAAAAABhHgAAAAAAAGEeAABgHgAAAAAAAGAeAABiHgAAAAAAAGMeAAAAAAAAYx4AAGIeAAAAAAAAYh4AAGQeAAAAAAAAZR4AAAAAAABlHgAAZB4AAAAAAABkHgAAZh4AAAAAAABnHgAAAAAAAGceAABmHgAAAAAAAGYeAABoHgAAAAAAAGkeAAAAAAAAaR4AAGgeAAAAAAAAaB4AAGoeAAAAAAAAax4AAAAAAABrHgAAah4AAAAAAABqHgAAbB4AAAAAAABtHgAAAAAAAG0eAABsHgAAAAAAAGweAABuHgAAAAAAAG8eAAAAAAAAbx4AAG4eAAAAAAAAbh4AAHAeAAAAAAAAcR4AAAAAAABxHgAAcB4AAAAAAABwHgAAch4AAAAAAABzHgAAAAAAAHMeAAByHgAAAAAAAHIeAAB0HgAAAAAAAHUeAAAAAAAAdR4AAHQeAAAAAAAAdB4AAHYeAAAAAAAAdx4AAAAAAAB3HgAAdh4AAAAAAAB2HgAAeB4AAAAAAAB5HgAAAAAAAHkeAAB4HgAAAAAAAHgeAAB6HgAAAAAAAHseAAAAAAAAex4AAHoeAAAAAAAAeh4AAHweAAAAAAAAfR4AAAAAAAB9HgAAfB4AAAAAAAB8HgAAfh4AAAAAAAB/HgAAAAAAAH8eAAB+HgAAAAAAAH4eAACAHgAAAAAAAIEeAAAAAAAAgR4AAIAeAAAAAAAAgB4AAIIeAAAAAAAAgx4AAAAAAACDHgAAgh4AAAAAAACCHgAAhB4AAAAAAACFHgAAAAAAAIUeAACEHgAAAAAAAIQeAACGHgAAAAAAAIceAAAAAAAAhx4AAIYeAAAAAAAAhh4AAIgeAAAAAAAAiR4AAAAAAACJHgAAiB4AAAAAAACIHgAAih4AAAAAAACLHgAAAAAAAIseAACKHgAAAAAAAIoeAACMHgAAAAAAAI0eAAAAAAAAjR4AAIweAAAAAAAAjB4AAI4eAAAAAAAAjx4AAAAAAACPHgAAjh4AAAAAAACOHgAAkB4AAAAAAACRHgAAAAAAAJEeAACQHgAAAAAAAJAeAACSHgAAAAAAAJMeAAAAAAAAkx4AAJIeAAAAAAAAkh4AAJQeAAAAAAAAlR4AAAAAAACVHgAAlB4AAAAAAACUHgAAmx4AAGAeAAAAAAAAYB4AAJ4eAAAAAAAA3wAAAAAAAACgHgAAAAAAAKEeAAAAAAAAoR4AAKAeAAAAAAAAoB4AAKIeAAAAAAAAox4AAAAAAACjHgAAoh4AAAAAAACiHgAApB4AAAAAAAClHgAAAAAAAKUeAACkHgAAAAAAAKQeAACmHgAAAAAAAKceAAAAAAAApx4AAKYeAAAAAAAAph4AAKgeAAAAAAAAqR4AAAAAAACpHgAAqB4AAAAAAACoHgAAqh4AAAAAAACrHgAAAAAAAKseAACqHgAAAAAAAKoeAACsHgAAAAAAAK0eAAAAAAAArR4AAKweAAAAAAAArB4AAK4eAAAAAAAArx4AAAAAAACvHgAArh4AAAAAAACuHgAAsB4AAAAAAACxHgAAAAAAALEeAACwHgAAAAAAALAeAACyHgAAAAAAALMeAAAAAAAAsx4AALIeAAAAAAAAsh4AALQeAAAAAAAAtR4AAAAAAAC1HgAAtB4AAAAAAAC0HgAAth4AAAAAAAC3HgAAAAAAALceAAC2HgAAAAAAALYeAAC4HgAAAAAAALkeAAAAAAAAuR4AALgeAAAAAAAAuB4AALoeAAAAAAAAux4AAAAAAAC7HgAAuh4AAAAAAAC6HgAAvB4AAAAAAAC9HgAAAAAAAL0eAAC8HgAAAAAAALweAAC+HgAAAAAAAL8eAAAAAAAAvx4AAL4eAAAAAAAAvh4AAMAeAAAAAAAAwR4AAAAAAADBHgAAwB4AAAAAAADAHgAAwh4AAAAAAADDHgAAAAAAAMMeAADCHgAAAAAAAMIeAADEHgAAAAAAAMUeAAAAAAAAxR4AAMQeAAAAAAAAxB4AAMYeAAAAAAAAxx4AAAAAAADHHgAAxh4AAAAAAADGHgAAyB4AAAAAAADJHgAAAAAAAMkeAADIHgAAAAAAAMgeAADKHgAAAAAAAMseAAAAAAAAyx4AAMoeAAAAAAAAyh4AAMweAAAAAAAAzR4AAAAAAADNHgAAzB4AAAAAAADMHgAAzh4AAAAAAADPHgAAAAAAAM8eAADOHgAAAAAAAM4eAADQHgAAAAAAANEeAAAAAAAA0R4AANAeAAAAAAAA0B4AANIeAAAAAAAA0x4AAAAAAADTHgAA0h4AAAAAAADSHgAA1B4AAAAAAADVHgAAAAAAANUeAADUHgAAAAAAANQeAADWHgAAAAAAANceAAAAAAAA1x4AANYeAAAAAAAA1h4AANgeAAAAAAAA2R4AAAAAAADZHgAA2B4AAAAAAADYHgAA2h4AAAAAAADbHgAAAAAAANseAADaHgAAAAAAANoeAADcHgAAAAAAAN0eAAAAAAAA3R4AANweAAAAAAAA3B4AAN4eAAAAAAAA3x4AAAAAAADfHgAA3h4AAAAAAADeHgAA4B4AAAAAAADhHgAAAAAAAOEeAADgHgAAAAAAAOAeAADiHgAAAAAAAOMeAAAAAAAA4x4AAOIeAAAAAAAA4h4AAOQeAAAAAAAA5R4AAAAAAADlHgAA5B4AAAAAAADkHgAA5h4AAAAAAADnHgAAAAAAAOceAADmHgAAAAAAAOYeAADoHgAAAAAAAOkeAAAAAAAA6R4AAOgeAAAAAAAA6B4AAOoeAAAAAAAA6x4AAAAAAADrHgAA6h4AAAAAAADqHgAA7B4AAAAAAADtHgAAAAAAAO0eAADsHgAAAAAAAOweAADuHgAAAAAAAO8eAAAAAAAA7x4AAO4eAAAAAAAA7h4AAPAeAAAAAAAA8R4AAAAAAADxHgAA8B4AAAAAAADwHgAA8h4AAAAAAADzHgAAAAAAAPMeAADyHgAAAAAAAPIeAAD0HgAAAAAAAPUeAAAAAAAA9R4AAPQeAAAAAAAA9B4AAPYeAAAAAAAA9x4AAAAAAAD3HgAA9h4AAAAAAAD2HgAA+B4AAAAAAAD5HgAAAAAAAPkeAAD4HgAAAAAAAPgeAAD6HgAAAAAAAPseAAAAAAAA+x4AAPoeAAAAAAAA+h4AAPweAAAAAAAA/R4AAAAAAAD9HgAA/B4AAAAAAAD8HgAA/h4AAAAAAAD/HgAAAAAAAP8eAAD+HgAAAAAAAP4eAAAAHwAACB8AAAAAAAAIHwAAAR8AAAkfAAAAAAAACR8AAAIfAAAKHwAAAAAAAAofAAADHwAACx8AAAAAAAALHwAABB8AAAwfAAAAAAAADB8AAAUfAAANHwAAAAAAAA0fAAAGHwAADh8AAAAAAAAOHwAABx8AAA8fAAAAAAAADx8AAAgfAAAAAAAAAB8AAAAAAAAJHwAAAAAAAAEfAAAAAAAACh8AAAAAAAACHwAAAAAAAAsfAAAAAAAAAx8AAAAAAAAMHwAAAAAAAAQfAAAAAAAADR8AAAAAAAAFHwAAAAAAAA4fAAAAAAAABh8AAAAAAAAPHwAAAAAAAAcfAAAAAAAAEB8AABgfAAAAAAAAGB8AABEfAAAZHwAAAAAAABkfAAASHwAAGh8AAAAAAAAaHwAAEx8AABsfAAAAAAAAGx8AABQfAAAcHwAAAAAAABwfAAAVHwAAHR8AAAAAAAAdHwAAGB8AAAAAAAAQHwAAAAAAABkfAAAAAAAAER8AAAAAAAAaHwAAAAAAABIfAAAAAAAAGx8AAAAAAAATHwAAAAAAABwfAAAAAAAAFB8AAAAAAAAdHwAAAAAAABUfAAAAAAAAIB8AACgfAAAAAAAAKB8AACEfAAApHwAAAAAAACkfAAAiHwAAKh8AAAAAAAAqHwAAIx8AACsfAAAAAAAAKx8AACQfAAAsHwAAAAAAACwfAAAlHwAALR8AAAAAAAAtHwAAJh8AAC4fAAAAAAAALh8AACcfAAAvHwAAAAAAAC8fAAAoHwAAAAAAACAfAAAAAAAAKR8AAAAAAAAhHwAAAAAAACofAAAAAAAAIh8AAAAAAAArHwAAAAAAACMfAAAAAAAALB8AAAAAAAAkHwAAAAAAAC0fAAAAAAAAJR8AAAAAAAAuHwAAAAAAACYfAAAAAAAALx8AAAAAAAAnHwAAAAAAADAfAAA4HwAAAAAAADgfAAAxHwAAOR8AAAAAAAA5HwAAMh8AADofAAAAAAAAOh8AADMfAAA7HwAAAAAAADsfAAA0HwAAPB8AAAAAAAA8HwAANR8AAD0fAAAAAAAAPR8AADYfAAA+HwAAAAAAAD4fAAA3HwAAPx8AAAAAAAA/HwAAOB8AAAAAAAAwHwAAAAAAADkfAAAAAAAAMR8AAAAAAAA6HwAAAAAAADIfAAAAAAAAOx8AAAAAAAAzHwAAAAAAADwfAAAAAAAANB8AAAAAAAA9HwAAAAAAADUfAAAAAAAAPh8AAAAAAAA2HwAAAAAAAD8fAAAAAAAANx8AAAAAAABAHwAASB8AAAAAAABIHwAAQR8AAEkfAAAAAAAASR8AAEIfAABKHwAAAAAAAEofAABDHwAASx8AAAAAAABLHwAARB8AAEwfAAAAAAAATB8AAEUfAABNHwAAAAAAAE0fAABIHwAAAAAAAEAfAAAAAAAASR8AAAAAAABBHwAAAAAAAEofAAAAAAAAQh8AAAAAAABLHwAAAAAAAEMfAAAAAAAATB8AAAAAAABEHwAAAAAAAE0fAAAAAAAARR8AAAAAAABRHwAAWR8AAAAAAABZHwAAUx8AAFsfAAAAAAAAWx8AAFUfAABdHwAAAAAAAF0fAABXHwAAXx8AAAAAAABfHwAAWR8AAAAAAABRHwAAAAAAAFsfAAAAAAAAUx8AAAAAAABdHwAAAAAAAFUfAAAAAAAAXx8AAAAAAABXHwAAAAAAAGAfAABoHwAAAAAAAGgfAABhHwAAaR8AAAAAAABpHwAAYh8AAGofAAAAAAAAah8AAGMfAABrHwAAAAAAAGsfAABkHwAAbB8AAAAAAABsHwAAZR8AAG0fAAAAAAAAbR8AAGYfAABuHwAAAAAAAG4fAABnHwAAbx8AAAAAAABvHwAAaB8AAAAAAABgHwAAAAAAAGkfAAAAAAAAYR8AAAAAAABqHwAAAAAAAGIfAAAAAAAAax8AAAAAAABjHwAAAAAAAGwfAAAAAAAAZB8AAAAAAABtHwAAAAAAAGUfAAAAAAAAbh8AAAAAAABmHwAAAAAAAG8fAAAAAAAAZx8AAAAAAABwHwAAuh8AAAAAAAC6HwAAcR8AALsfAAAAAAAAux8AAHIfAADIHwAAAAAAAMgfAABzHwAAyR8AAAAAAADJHwAAdB8AAMofAAAAAAAAyh8AAHUfAADLHwAAAAAAAMsfAAB2HwAA2h8AAAAAAADaHwAAdx8AANsfAAAAAAAA2x8AAHgfAAD4HwAAAAAAAPgfAAB5HwAA+R8AAAAAAAD5HwAAeh8AAOofAAAAAAAA6h8AAHsfAADrHwAAAAAAAOsfAAB8HwAA+h8AAAAAAAD6HwAAfR8AAPsfAAAAAAAA+x8AAIAfAACIHwAAAAAAAIgfAACBHwAAiR8AAAAAAACJHwAAgh8AAIofAAAAAAAAih8AAIMfAACLHwAAAAAAAIsfAACEHwAAjB8AAAAAAACMHwAAhR8AAI0fAAAAAAAAjR8AAIYfAACOHwAAAAAAAI4fAACHHwAAjx8AAAAAAACPHwAAiB8AAAAAAACAHwAAAAAAAIkfAAAAAAAAgR8AAAAAAACKHwAAAAAAAIIfAAAAAAAAix8AAAAAAACDHwAAAAAAAIwfAAAAAAAAhB8AAAAAAACNHwAAAAAAAIUfAAAAAAAAjh8AAAAAAACGHwAAAAAAAI8fAAAAAAAAhx8AAAAAAACQHwAAmB8AAAAAAACYHwAAkR8AAJkfAAAAAAAAmR8AAJIfAACaHwAAAAAAAJofAACTHwAAmx8AAAAAAACbHwAAlB8AAJwfAAAAAAAAnB8AAJUfAACdHwAAAAAAAJ0fAACWHwAAnh8AAAAAAACeHwAAlx8AAJ8fAAAAAAAAnx8AAJgfAAAAAAAAkB8AAAAAAACZHwAAAAAAAJEfAAAAAAAAmh8AAAAAAACSHwAAAAAAAJsfAAAAAAAAkx8AAAAAAACcHwAAAAAAAJQfAAAAAAAAnR8AAAAAAACVHwAAAAAAAJ4fAAAAAAAAlh8AAAAAAACfHwAAAAAAAJcfAAAAAAAAoB8AAKgfAAAAAAAAqB8AAKEfAACpHwAAAAAAAKkfAACiHwAAqh8AAAAAAACqHwAAox8AAKsfAAAAAAAAqx8AAKQfAACsHwAAAAAAAKwfAAClHwAArR8AAAAAAACtHwAAph8AAK4fAAAAAAAArh8AAKcfAACvHwAAAAAAAK8fAACoHwAAAAAAAKAfAAAAAAAAqR8AAAAAAAChHwAAAAAAAKofAAAAAAAAoh8AAAAAAACrHwAAAAAAAKMfAAAAAAAArB8AAAAAAACkHwAAAAAAAK0fAAAAAAAApR8AAAAAAACuHwAAAAAAAKYfAAAAAAAArx8AAAAAAACnHwAAAAAAALAfAAC4HwAAAAAAALgfAACxHwAAuR8AAAAAAAC5HwAAsx8AALwfAAAAAAAAvB8AALgfAAAAAAAAsB8AAAAAAAC5HwAAAAAAALEfAAAAAAAAuh8AAAAAAABwHwAAAAAAALsfAAAAAAAAcR8AAAAAAAC8HwAAAAAAALMfAAAAAAAAvh8AAJkDAAAAAAAAmQMAAMMfAADMHwAAAAAAAMwfAADIHwAAAAAAAHIfAAAAAAAAyR8AAAAAAABzHwAAAAAAAMofAAAAAAAAdB8AAAAAAADLHwAAAAAAAHUfAAAAAAAAzB8AAAAAAADDHwAAAAAAANAfAADYHwAAAAAAANgfAADRHwAA2R8AAAAAAADZHwAA2B8AAAAAAADQHwAAAAAAANkfAAAAAAAA0R8AAAAAAADaHwAAAAAAAHYfAAAAAAAA2x8AAAAAAAB3HwAAAAAAAOAfAADoHwAAAAAAAOgfAADhHwAA6R8AAAAAAADpHwAA5R8AAOwfAAAAAAAA7B8AAOgfAAAAAAAA4B8AAAAAAADpHwAAAAAAAOEfAAAAAAAA6h8AAAAAAAB6HwAAAAAAAOsfAAAAAAAAex8AAAAAAADsHwAAAAAAAOUfAAAAAAAA8x8AAPwfAAAAAAAA/B8AAPgfAAAAAAAAeB8AAAAAAAD5HwAAAAAAAHkfAAAAAAAA+h8AAAAAAAB8HwAAAAAAAPsfAAAAAAAAfR8AAAAAAAD8HwAAAAAAAPMfAAAAAAAAJiEAAAAAAADJAwAAAAAAACohAAAAAAAAawAAAAAAAAArIQAAAAAAAOUAAAAAAAAAMiEAAAAAAABOIQAAAAAAAE4hAAAyIQAAAAAAADIhAABgIQAAAAAAAHAhAAAAAAAAYSEAAAAAAABxIQAAAAAAAGIhAAAAAAAAciEAAAAAAABjIQAAAAAAAHMhAAAAAAAAZCEAAAAAAAB0IQAAAAAAAGUhAAAAAAAAdSEAAAAAAABmIQAAAAAAAHYhAAAAAAAAZyEAAAAAAAB3IQAAAAAAAGghAAAAAAAAeCEAAAAAAABpIQAAAAAAAHkhAAAAAAAAaiEAAAAAAAB6IQAAAAAAAGshAAAAAAAAeyEAAAAAAABsIQAAAAAAAHwhAAAAAAAAbSEAAAAAAAB9IQAAAAAAAG4hAAAAAAAAfiEAAAAAAABvIQAAAAAAAH8hAAAAAAAAcCEAAGAhAAAAAAAAYCEAAHEhAABhIQAAAAAAAGEhAAByIQAAYiEAAAAAAABiIQAAcyEAAGMhAAAAAAAAYyEAAHQhAABkIQAAAAAAAGQhAAB1IQAAZSEAAAAAAABlIQAAdiEAAGYhAAAAAAAAZiEAAHchAABnIQAAAAAAAGchAAB4IQAAaCEAAAAAAABoIQAAeSEAAGkhAAAAAAAAaSEAAHohAABqIQAAAAAAAGohAAB7IQAAayEAAAAAAABrIQAAfCEAAGwhAAAAAAAAbCEAAH0hAABtIQAAAAAAAG0hAAB+IQAAbiEAAAAAAABuIQAAfyEAAG8hAAAAAAAAbyEAAIMhAAAAAAAAhCEAAAAAAACEIQAAgyEAAAAAAACDIQAAtiQAAAAAAADQJAAAAAAAALckAAAAAAAA0SQAAAAAAAC4JAAAAAAAANIkAAAAAAAAuSQAAAAAAADTJAAAAAAAALokAAAAAAAA1CQAAAAAAAC7JAAAAAAAANUkAAAAAAAAvCQAAAAAAADWJAAAAAAAAL0kAAAAAAAA1yQAAAAAAAC+JAAAAAAAANgkAAAAAAAAvyQAAAAAAADZJAAAAAAAAMAkAAAAAAAA2iQAAAAAAADBJAAAAAAAANskAAAAAAAAwiQAAAAAAADcJAAAAAAAAMMkAAAAAAAA3SQAAAAAAADEJAAAAAAAAN4kAAAAAAAAxSQAAAAAAADfJAAAAAAAAMYkAAAAAAAA4CQAAAAAAADHJAAAAAAAAOEkAAAAAAAAyCQAAAAAAADiJAAAAAAAAMkkAAAAAAAA4yQAAAAAAADKJAAAAAAAAOQkAAAAAAAAyyQAAAAAAADlJAAAAAAAAMwkAAAAAAAA5iQAAAAAAADNJAAAAAAAAOckAAAAAAAAziQAAAAAAADoJAAAAAAAAM8kAAAAAAAA6SQAAAAAAADQJAAAtiQAAAAAAAC2JAAA0SQAALckAAAAAAAAtyQAANIkAAC4JAAAAAAAALgkAADTJAAAuSQAAAAAAAC5JAAA1CQAALokAAAAAAAAuiQAANUkAAC7JAAAAAAAALskAADWJAAAvCQAAAAAAAC8JAAA1yQAAL0kAAAAAAAAvSQAANgkAAC+JAAAAAAAAL4kAADZJAAAvyQAAAAAAAC/JAAA2iQAAMAkAAAAAAAAwCQAANskAADBJAAAAAAAAMEkAADcJAAAwiQAAAAAAADCJAAA3SQAAMMkAAAAAAAAwyQAAN4kAADEJAAAAAAAAMQkAADfJAAAxSQAAAAAAADFJAAA4CQAAMYkAAAAAAAAxiQAAOEkAADHJAAAAAAAAMckAADiJAAAyCQAAAAAAADIJAAA4yQAAMkkAAAAAAAAySQAAOQkAADKJAAAAAAAAMokAADlJAAAyyQAAAAAAADLJAAA5iQAAMwkAAAAAAAAzCQAAOckAADNJAAAAAAAAM0kAADoJAAAziQAAAAAAADOJAAA6SQAAM8kAAAAAAAAzyQAAAAsAAAAAAAAMCwAAAAAAAABLAAAAAAAADEsAAAAAAAAAiwAAAAAAAAyLAAAAAAAAAMsAAAAAAAAMywAAAAAAAAELAAAAAAAADQsAAAAAAAABSwAAAAAAAA1LAAAAAAAAAYsAAAAAAAANiwAAAAAAAAHLAAAAAAAADcsAAAAAAAACCwAAAAAAAA4LAAAAAAAAAksAAAAAAAAOSwAAAAAAAAKLAAAAAAAADosAAAAAAAACywAAAAAAAA7LAAAAAAAAAwsAAAAAAAAPCwAAAAAAAANLAAAAAAAAD0sAAAAAAAADiwAAAAAAAA+LAAAAAAAAA8sAAAAAAAAPywAAAAAAAAQLAAAAAAAAEAsAAAAAAAAESwAAAAAAABBLAAAAAAAABIsAAAAAAAAQiwAAAAAAAATLAAAAAAAAEMsAAAAAAAAFCwAAAAAAABELAAAAAAAABUsAAAAAAAARSwAAAAAAAAWLAAAAAAAAEYsAAAAAAAAFywAAAAAAABHLAAAAAAAABgsAAAAAAAASCwAAAAAAAAZLAAAAAAAAEksAAAAAAAAGiwAAAAAAABKLAAAAAAAABssAAAAAAAASywAAAAAAAAcLAAAAAAAAEwsAAAAAAAAHSwAAAAAAABNLAAAAAAAAB4sAAAAAAAATiwAAAAAAAAfLAAAAAAAAE8sAAAAAAAAICwAAAAAAABQLAAAAAAAACEsAAAAAAAAUSwAAAAAAAAiLAAAAAAAAFIsAAAAAAAAIywAAAAAAABTLAAAAAAAACQsAAAAAAAAVCwAAAAAAAAlLAAAAAAAAFUsAAAAAAAAJiwAAAAAAABWLAAAAAAAACcsAAAAAAAAVywAAAAAAAAoLAAAAAAAAFgsAAAAAAAAKSwAAAAAAABZLAAAAAAAACosAAAAAAAAWiwAAAAAAAArLAAAAAAAAFssAAAAAAAALCwAAAAAAABcLAAAAAAAAC0sAAAAAAAAXSwAAAAAAAAuLAAAAAAAAF4sAAAAAAAAMCwAAAAsAAAAAAAAACwAADEsAAABLAAAAAAAAAEsAAAyLAAAAiwAAAAAAAACLAAAMywAAAMsAAAAAAAAAywAADQsAAAELAAAAAAAAAQsAAA1LAAABSwAAAAAAAAFLAAANiwAAAYsAAAAAAAABiwAADcsAAAHLAAAAAAAAAcsAAA4LAAACCwAAAAAAAAILAAAOSwAAAksAAAAAAAACSwAADosAAAKLAAAAAAAAAosAAA7LAAACywAAAAAAAALLAAAPCwAAAwsAAAAAAAADCwAAD0sAAANLAAAAAAAAA0sAAA+LAAADiwAAAAAAAAOLAAAPywAAA8sAAAAAAAADywAAEAsAAAQLAAAAAAAABAsAABBLAAAESwAAAAAAAARLAAAQiwAABIsAAAAAAAAEiwAAEMsAAATLAAAAAAAABMsAABELAAAFCwAAAAAAAAULAAARSwAABUsAAAAAAAAFSwAAEYsAAAWLAAAAAAAABYsAABHLAAAFywAAAAAAAAXLAAASCwAABgsAAAAAAAAGCwAAEksAAAZLAAAAAAAABksAABKLAAAGiwAAAAAAAAaLAAASywAABssAAAAAAAAGywAAEwsAAAcLAAAAAAAABwsAABNLAAAHSwAAAAAAAAdLAAATiwAAB4sAAAAAAAAHiwAAE8sAAAfLAAAAAAAAB8sAABQLAAAICwAAAAAAAAgLAAAUSwAACEsAAAAAAAAISwAAFIsAAAiLAAAAAAAACIsAABTLAAAIywAAAAAAAAjLAAAVCwAACQsAAAAAAAAJCwAAFUsAAAlLAAAAAAAACUsAABWLAAAJiwAAAAAAAAmLAAAVywAACcsAAAAAAAAJywAAFgsAAAoLAAAAAAAACgsAABZLAAAKSwAAAAAAAApLAAAWiwAACosAAAAAAAAKiwAAFssAAArLAAAAAAAACssAABcLAAALCwAAAAAAAAsLAAAXSwAAC0sAAAAAAAALSwAAF4sAAAuLAAAAAAAAC4sAABgLAAAAAAAAGEsAAAAAAAAYSwAAGAsAAAAAAAAYCwAAGIsAAAAAAAAawIAAAAAAABjLAAAAAAAAH0dAAAAAAAAZCwAAAAAAAB9AgAAAAAAAGUsAAA6AgAAAAAAADoCAABmLAAAPgIAAAAAAAA+AgAAZywAAAAAAABoLAAAAAAAAGgsAABnLAAAAAAAAGcsAABpLAAAAAAAAGosAAAAAAAAaiwAAGksAAAAAAAAaSwAAGssAAAAAAAAbCwAAAAAAABsLAAAaywAAAAAAABrLAAAbSwAAAAAAABRAgAAAAAAAG4sAAAAAAAAcQIAAAAAAABvLAAAAAAAAFACAAAAAAAAcCwAAAAAAABSAgAAAAAAAHIsAAAAAAAAcywAAAAAAABzLAAAciwAAAAAAAByLAAAdSwAAAAAAAB2LAAAAAAAAHYsAAB1LAAAAAAAAHUsAAB+LAAAAAAAAD8CAAAAAAAAfywAAAAAAABAAgAAAAAAAIAsAAAAAAAAgSwAAAAAAACBLAAAgCwAAAAAAACALAAAgiwAAAAAAACDLAAAAAAAAIMsAACCLAAAAAAAAIIsAACELAAAAAAAAIUsAAAAAAAAhSwAAIQsAAAAAAAAhCwAAIYsAAAAAAAAhywAAAAAAACHLAAAhiwAAAAAAACGLAAAiCwAAAAAAACJLAAAAAAAAIksAACILAAAAAAAAIgsAACKLAAAAAAAAIssAAAAAAAAiywAAIosAAAAAAAAiiwAAIwsAAAAAAAAjSwAAAAAAACNLAAAjCwAAAAAAACMLAAAjiwAAAAAAACPLAAAAAAAAI8sAACOLAAAAAAAAI4sAACQLAAAAAAAAJEsAAAAAAAAkSwAAJAsAAAAAAAAkCwAAJIsAAAAAAAAkywAAAAAAACTLAAAkiwAAAAAAACSLAAAlCwAAAAAAACVLAAAAAAAAJUsAACULAAAAAAAAJQsAACWLAAAAAAAAJcsAAAAAAAAlywAAJYsAAAAAAAAliwAAJgsAAAAAAAAmSwAAAAAAACZLAAAmCwAAAAAAACYLAAAmiwAAAAAAACbLAAAAAAAAJssAACaLAAAAAAAAJosAACcLAAAAAAAAJ0sAAAAAAAAnSwAAJwsAAAAAAAAnCwAAJ4sAAAAAAAAnywAAAAAAACfLAAAniwAAAAAAACeLAAAoCwAAAAAAAChLAAAAAAAAKEsAACgLAAAAAAAAKAsAACiLAAAAAAAAKMsAAAAAAAAoywAAKIsAAAAAAAAoiwAAKQsAAAAAAAApSwAAAAAAAClLAAApCwAAAAAAACkLAAApiwAAAAAAACnLAAAAAAAAKcsAACmLAAAAAAAAKYsAACoLAAAAAAAAKksAAAAAAAAqSwAAKgsAAAAAAAAqCwAAKosAAAAAAAAqywAAAAAAACrLAAAqiwAAAAAAACqLAAArCwAAAAAAACtLAAAAAAAAK0sAACsLAAAAAAAAKwsAACuLAAAAAAAAK8sAAAAAAAArywAAK4sAAAAAAAAriwAALAsAAAAAAAAsSwAAAAAAACxLAAAsCwAAAAAAACwLAAAsiwAAAAAAACzLAAAAAAAALMsAACyLAAAAAAAALIsAAC0LAAAAAAAALUsAAAAAAAAtSwAALQsAAAAAAAAtCwAALYsAAAAAAAAtywAAAAAAAC3LAAAtiwAAAAAAAC2LAAAuCwAAAAAAAC5LAAAAAAAALksAAC4LAAAAAAAALgsAAC6LAAAAAAAALssAAAAAAAAuywAALosAAAAAAAAuiwAALwsAAAAAAAAvSwAAAAAAAC9LAAAvCwAAAAAAAC8LAAAviwAAAAAAAC/LAAAAAAAAL8sAAC+LAAAAAAAAL4sAADALAAAAAAAAMEsAAAAAAAAwSwAAMAsAAAAAAAAwCwAAMIsAAAAAAAAwywAAAAAAADDLAAAwiwAAAAAAADCLAAAxCwAAAAAAADFLAAAAAAAAMUsAADELAAAAAAAAMQsAADGLAAAAAAAAMcsAAAAAAAAxywAAMYsAAAAAAAAxiwAAMgsAAAAAAAAySwAAAAAAADJLAAAyCwAAAAAAADILAAAyiwAAAAAAADLLAAAAAAAAMssAADKLAAAAAAAAMosAADMLAAAAAAAAM0sAAAAAAAAzSwAAMwsAAAAAAAAzCwAAM4sAAAAAAAAzywAAAAAAADPLAAAziwAAAAAAADOLAAA0CwAAAAAAADRLAAAAAAAANEsAADQLAAAAAAAANAsAADSLAAAAAAAANMsAAAAAAAA0ywAANIsAAAAAAAA0iwAANQsAAAAAAAA1SwAAAAAAADVLAAA1CwAAAAAAADULAAA1iwAAAAAAADXLAAAAAAAANcsAADWLAAAAAAAANYsAADYLAAAAAAAANksAAAAAAAA2SwAANgsAAAAAAAA2CwAANosAAAAAAAA2ywAAAAAAADbLAAA2iwAAAAAAADaLAAA3CwAAAAAAADdLAAAAAAAAN0sAADcLAAAAAAAANwsAADeLAAAAAAAAN8sAAAAAAAA3ywAAN4sAAAAAAAA3iwAAOAsAAAAAAAA4SwAAAAAAADhLAAA4CwAAAAAAADgLAAA4iwAAAAAAADjLAAAAAAAAOMsAADiLAAAAAAAAOIsAADrLAAAAAAAAOwsAAAAAAAA7CwAAOssAAAAAAAA6ywAAO0sAAAAAAAA7iwAAAAAAADuLAAA7SwAAAAAAADtLAAA8iwAAAAAAADzLAAAAAAAAPMsAADyLAAAAAAAAPIsAAAALQAAoBAAAAAAAACgEAAAAS0AAKEQAAAAAAAAoRAAAAItAACiEAAAAAAAAKIQAAADLQAAoxAAAAAAAACjEAAABC0AAKQQAAAAAAAApBAAAAUtAAClEAAAAAAAAKUQAAAGLQAAphAAAAAAAACmEAAABy0AAKcQAAAAAAAApxAAAAgtAACoEAAAAAAAAKgQAAAJLQAAqRAAAAAAAACpEAAACi0AAKoQAAAAAAAAqhAAAAstAACrEAAAAAAAAKsQAAAMLQAArBAAAAAAAACsEAAADS0AAK0QAAAAAAAArRAAAA4tAACuEAAAAAAAAK4QAAAPLQAArxAAAAAAAACvEAAAEC0AALAQAAAAAAAAsBAAABEtAACxEAAAAAAAALEQAAASLQAAshAAAAAAAACyEAAAEy0AALMQAAAAAAAAsxAAABQtAAC0EAAAAAAAALQQAAAVLQAAtRAAAAAAAAC1EAAAFi0AALYQAAAAAAAAthAAABctAAC3EAAAAAAAALcQAAAYLQAAuBAAAAAAAAC4EAAAGS0AALkQAAAAAAAAuRAAABotAAC6EAAAAAAAALoQAAAbLQAAuxAAAAAAAAC7EAAAHC0AALwQAAAAAAAAvBAAAB0tAAC9EAAAAAAAAL0QAAAeLQAAvhAAAAAAAAC+EAAAHy0AAL8QAAAAAAAAvxAAACAtAADAEAAAAAAAAMAQAAAhLQAAwRAAAAAAAADBEAAAIi0AAMIQAAAAAAAAwhAAACMtAADDEAAAAAAAAMMQAAAkLQAAxBAAAAAAAADEEAAAJS0AAMUQAAAAAAAAxRAAACctAADHEAAAAAAAAMcQAAAtLQAAzRAAAAAAAADNEAAAQKYAAAAAAABBpgAAAAAAAEGmAABApgAAAAAAAECmAABCpgAAAAAAAEOmAAAAAAAAQ6YAAEKmAAAAAAAAQqYAAESmAAAAAAAARaYAAAAAAABFpgAARKYAAAAAAABEpgAARqYAAAAAAABHpgAAAAAAAEemAABGpgAAAAAAAEamAABIpgAAAAAAAEmmAAAAAAAASaYAAEimAAAAAAAASKYAAEqmAAAAAAAAS6YAAAAAAABLpgAASqYAAAAAAABKpgAATKYAAAAAAABNpgAAAAAAAE2mAABMpgAAAAAAAEymAABOpgAAAAAAAE+mAAAAAAAAT6YAAE6mAAAAAAAATqYAAFCmAAAAAAAAUaYAAAAAAABRpgAAUKYAAAAAAABQpgAAUqYAAAAAAABTpgAAAAAAAFOmAABSpgAAAAAAAFKmAABUpgAAAAAAAFWmAAAAAAAAVaYAAFSmAAAAAAAAVKYAAFamAAAAAAAAV6YAAAAAAABXpgAAVqYAAAAAAABWpgAAWKYAAAAAAABZpgAAAAAAAFmmAABYpgAAAAAAAFimAABapgAAAAAAAFumAAAAAAAAW6YAAFqmAAAAAAAAWqYAAFymAAAAAAAAXaYAAAAAAABdpgAAXKYAAAAAAABcpgAAXqYAAAAAAABfpgAAAAAAAF+mAABepgAAAAAAAF6mAABgpgAAAAAAAGGmAAAAAAAAYaYAAGCmAAAAAAAAYKYAAGKmAAAAAAAAY6YAAAAAAABjpgAAYqYAAAAAAABipgAAZKYAAAAAAABlpgAAAAAAAGWmAABkpgAAAAAAAGSmAABmpgAAAAAAAGemAAAAAAAAZ6YAAGamAAAAAAAAZqYAAGimAAAAAAAAaaYAAAAAAABppgAAaKYAAAAAAABopgAAaqYAAAAAAABrpgAAAAAAAGumAABqpgAAAAAAAGqmAABspgAAAAAAAG2mAAAAAAAAbaYAAGymAAAAAAAAbKYAAICmAAAAAAAAgaYAAAAAAACBpgAAgKYAAAAAAACApgAAgqYAAAAAAACDpgAAAAAAAIOmAACCpgAAAAAAAIKmAACEpgAAAAAAAIWmAAAAAAAAhaYAAISmAAAAAAAAhKYAAIamAAAAAAAAh6YAAAAAAACHpgAAhqYAAAAAAACGpgAAiKYAAAAAAACJpgAAAAAAAImmAACIpgAAAAAAAIimAACKpgAAAAAAAIumAAAAAAAAi6YAAIqmAAAAAAAAiqYAAIymAAAAAAAAjaYAAAAAAACNpgAAjKYAAAAAAACMpgAAjqYAAAAAAACPpgAAAAAAAI+mAACOpgAAAAAAAI6mAACQpgAAAAAAAJGmAAAAAAAAkaYAAJCmAAAAAAAAkKYAAJKmAAAAAAAAk6YAAAAAAACTpgAAkqYAAAAAAACSpgAAlKYAAAAAAACVpgAAAAAAAJWmAACUpgAAAAAAAJSmAACWpgAAAAAAAJemAAAAAAAAl6YAAJamAAAAAAAAlqYAAJimAAAAAAAAmaYAAAAAAACZpgAAmKYAAAAAAACYpgAAmqYAAAAAAACbpgAAAAAAAJumAACapgAAAAAAAJqmAAAipwAAAAAAACOnAAAAAAAAI6cAACKnAAAAAAAAIqcAACSnAAAAAAAAJacAAAAAAAAlpwAAJKcAAAAAAAAkpwAAJqcAAAAAAAAnpwAAAAAAACenAAAmpwAAAAAAACanAAAopwAAAAAAACmnAAAAAAAAKacAACinAAAAAAAAKKcAACqnAAAAAAAAK6cAAAAAAAArpwAAKqcAAAAAAAAqpwAALKcAAAAAAAAtpwAAAAAAAC2nAAAspwAAAAAAACynAAAupwAAAAAAAC+nAAAAAAAAL6cAAC6nAAAAAAAALqcAADKnAAAAAAAAM6cAAAAAAAAzpwAAMqcAAAAAAAAypwAANKcAAAAAAAA1pwAAAAAAADWnAAA0pwAAAAAAADSnAAA2pwAAAAAAADenAAAAAAAAN6cAADanAAAAAAAANqcAADinAAAAAAAAOacAAAAAAAA5pwAAOKcAAAAAAAA4pwAAOqcAAAAAAAA7pwAAAAAAADunAAA6pwAAAAAAADqnAAA8pwAAAAAAAD2nAAAAAAAAPacAADynAAAAAAAAPKcAAD6nAAAAAAAAP6cAAAAAAAA/pwAAPqcAAAAAAAA+pwAAQKcAAAAAAABBpwAAAAAAAEGnAABApwAAAAAAAECnAABCpwAAAAAAAEOnAAAAAAAAQ6cAAEKnAAAAAAAAQqcAAESnAAAAAAAARacAAAAAAABFpwAARKcAAAAAAABEpwAARqcAAAAAAABHpwAAAAAAAEenAABGpwAAAAAAAEanAABIpwAAAAAAAEmnAAAAAAAASacAAEinAAAAAAAASKcAAEqnAAAAAAAAS6cAAAAAAABLpwAASqcAAAAAAABKpwAATKcAAAAAAABNpwAAAAAAAE2nAABMpwAAAAAAAEynAABOpwAAAAAAAE+nAAAAAAAAT6cAAE6nAAAAAAAATqcAAFCnAAAAAAAAUacAAAAAAABRpwAAUKcAAAAAAABQpwAAUqcAAAAAAABTpwAAAAAAAFOnAABSpwAAAAAAAFKnAABUpwAAAAAAAFWnAAAAAAAAVacAAFSnAAAAAAAAVKcAAFanAAAAAAAAV6cAAAAAAABXpwAAVqcAAAAAAABWpwAAWKcAAAAAAABZpwAAAAAAAFmnAABYpwAAAAAAAFinAABapwAAAAAAAFunAAAAAAAAW6cAAFqnAAAAAAAAWqcAAFynAAAAAAAAXacAAAAAAABdpwAAXKcAAAAAAABcpwAAXqcAAAAAAABfpwAAAAAAAF+nAABepwAAAAAAAF6nAABgpwAAAAAAAGGnAAAAAAAAYacAAGCnAAAAAAAAYKcAAGKnAAAAAAAAY6cAAAAAAABjpwAAYqcAAAAAAABipwAAZKcAAAAAAABlpwAAAAAAAGWnAABkpwAAAAAAAGSnAABmpwAAAAAAAGenAAAAAAAAZ6cAAGanAAAAAAAAZqcAAGinAAAAAAAAaacAAAAAAABppwAAaKcAAAAAAABopwAAaqcAAAAAAABrpwAAAAAAAGunAABqpwAAAAAAAGqnAABspwAAAAAAAG2nAAAAAAAAbacAAGynAAAAAAAAbKcAAG6nAAAAAAAAb6cAAAAAAABvpwAAbqcAAAAAAABupwAAeacAAAAAAAB6pwAAAAAAAHqnAAB5pwAAAAAAAHmnAAB7pwAAAAAAAHynAAAAAAAAfKcAAHunAAAAAAAAe6cAAH2nAAAAAAAAeR0AAAAAAAB+pwAAAAAAAH+nAAAAAAAAf6cAAH6nAAAAAAAAfqcAAICnAAAAAAAAgacAAAAAAACBpwAAgKcAAAAAAACApwAAgqcAAAAAAACDpwAAAAAAAIOnAACCpwAAAAAAAIKnAACEpwAAAAAAAIWnAAAAAAAAhacAAISnAAAAAAAAhKcAAIanAAAAAAAAh6cAAAAAAACHpwAAhqcAAAAAAACGpwAAi6cAAAAAAACMpwAAAAAAAIynAACLpwAAAAAAAIunAACNpwAAAAAAAGUCAAAAAAAAkKcAAAAAAACRpwAAAAAAAJGnAACQpwAAAAAAAJCnAACSpwAAAAAAAJOnAAAAAAAAk6cAAJKnAAAAAAAAkqcAAJanAAAAAAAAl6cAAAAAAACXpwAAlqcAAAAAAACWpwAAmKcAAAAAAACZpwAAAAAAAJmnAACYpwAAAAAAAJinAACapwAAAAAAAJunAAAAAAAAm6cAAJqnAAAAAAAAmqcAAJynAAAAAAAAnacAAAAAAACdpwAAnKcAAAAAAACcpwAAnqcAAAAAAACfpwAAAAAAAJ+nAACepwAAAAAAAJ6nAACgpwAAAAAAAKGnAAAAAAAAoacAAKCnAAAAAAAAoKcAAKKnAAAAAAAAo6cAAAAAAACjpwAAoqcAAAAAAACipwAApKcAAAAAAAClpwAAAAAAAKWnAACkpwAAAAAAAKSnAACmpwAAAAAAAKenAAAAAAAAp6cAAKanAAAAAAAApqcAAKinAAAAAAAAqacAAAAAAACppwAAqKcAAAAAAACopwAAqqcAAAAAAABmAgAAAAAAAKunAAAAAAAAXAIAAAAAAACspwAAAAAAAGECAAAAAAAAracAAAAAAABsAgAAAAAAAK6nAAAAAAAAagIAAAAAAACwpwAAAAAAAJ4CAAAAAAAAsacAAAAAAACHAgAAAAAAALKnAAAAAAAAnQIAAAAAAACzpwAAAAAAAFOrAAAAAAAAtKcAAAAAAAC1pwAAAAAAALWnAAC0pwAAAAAAALSnAAC2pwAAAAAAALenAAAAAAAAt6cAALanAAAAAAAAtqcAALinAAAAAAAAuacAAAAAAAC5pwAAuKcAAAAAAAC4pwAAU6sAALOnAAAAAAAAs6cAAHCrAACgEwAAAAAAAKATAABxqwAAoRMAAAAAAAChEwAAcqsAAKITAAAAAAAAohMAAHOrAACjEwAAAAAAAKMTAAB0qwAApBMAAAAAAACkEwAAdasAAKUTAAAAAAAApRMAAHarAACmEwAAAAAAAKYTAAB3qwAApxMAAAAAAACnEwAAeKsAAKgTAAAAAAAAqBMAAHmrAACpEwAAAAAAAKkTAAB6qwAAqhMAAAAAAACqEwAAe6sAAKsTAAAAAAAAqxMAAHyrAACsEwAAAAAAAKwTAAB9qwAArRMAAAAAAACtEwAAfqsAAK4TAAAAAAAArhMAAH+rAACvEwAAAAAAAK8TAACAqwAAsBMAAAAAAACwEwAAgasAALETAAAAAAAAsRMAAIKrAACyEwAAAAAAALITAACDqwAAsxMAAAAAAACzEwAAhKsAALQTAAAAAAAAtBMAAIWrAAC1EwAAAAAAALUTAACGqwAAthMAAAAAAAC2EwAAh6sAALcTAAAAAAAAtxMAAIirAAC4EwAAAAAAALgTAACJqwAAuRMAAAAAAAC5EwAAiqsAALoTAAAAAAAAuhMAAIurAAC7EwAAAAAAALsTAACMqwAAvBMAAAAAAAC8EwAAjasAAL0TAAAAAAAAvRMAAI6rAAC+EwAAAAAAAL4TAACPqwAAvxMAAAAAAAC/EwAAkKsAAMATAAAAAAAAwBMAAJGrAADBEwAAAAAAAMETAACSqwAAwhMAAAAAAADCEwAAk6sAAMMTAAAAAAAAwxMAAJSrAADEEwAAAAAAAMQTAACVqwAAxRMAAAAAAADFEwAAlqsAAMYTAAAAAAAAxhMAAJerAADHEwAAAAAAAMcTAACYqwAAyBMAAAAAAADIEwAAmasAAMkTAAAAAAAAyRMAAJqrAADKEwAAAAAAAMoTAACbqwAAyxMAAAAAAADLEwAAnKsAAMwTAAAAAAAAzBMAAJ2rAADNEwAAAAAAAM0TAACeqwAAzhMAAAAAAADOEwAAn6sAAM8TAAAAAAAAzxMAAKCrAADQEwAAAAAAANATAAChqwAA0RMAAAAAAADREwAAoqsAANITAAAAAAAA0hMAAKOrAADTEwAAAAAAANMTAACkqwAA1BMAAAAAAADUEwAApasAANUTAAAAAAAA1RMAAKarAADWEwAAAAAAANYTAACnqwAA1xMAAAAAAADXEwAAqKsAANgTAAAAAAAA2BMAAKmrAADZEwAAAAAAANkTAACqqwAA2hMAAAAAAADaEwAAq6sAANsTAAAAAAAA2xMAAKyrAADcEwAAAAAAANwTAACtqwAA3RMAAAAAAADdEwAArqsAAN4TAAAAAAAA3hMAAK+rAADfEwAAAAAAAN8TAACwqwAA4BMAAAAAAADgEwAAsasAAOETAAAAAAAA4RMAALKrAADiEwAAAAAAAOITAACzqwAA4xMAAAAAAADjEwAAtKsAAOQTAAAAAAAA5BMAALWrAADlEwAAAAAAAOUTAAC2qwAA5hMAAAAAAADmEwAAt6sAAOcTAAAAAAAA5xMAALirAADoEwAAAAAAAOgTAAC5qwAA6RMAAAAAAADpEwAAuqsAAOoTAAAAAAAA6hMAALurAADrEwAAAAAAAOsTAAC8qwAA7BMAAAAAAADsEwAAvasAAO0TAAAAAAAA7RMAAL6rAADuEwAAAAAAAO4TAAC/qwAA7xMAAAAAAADvEwAAIf8AAAAAAABB/wAAAAAAACL/AAAAAAAAQv8AAAAAAAAj/wAAAAAAAEP/AAAAAAAAJP8AAAAAAABE/wAAAAAAACX/AAAAAAAARf8AAAAAAAAm/wAAAAAAAEb/AAAAAAAAJ/8AAAAAAABH/wAAAAAAACj/AAAAAAAASP8AAAAAAAAp/wAAAAAAAEn/AAAAAAAAKv8AAAAAAABK/wAAAAAAACv/AAAAAAAAS/8AAAAAAAAs/wAAAAAAAEz/AAAAAAAALf8AAAAAAABN/wAAAAAAAC7/AAAAAAAATv8AAAAAAAAv/wAAAAAAAE//AAAAAAAAMP8AAAAAAABQ/wAAAAAAADH/AAAAAAAAUf8AAAAAAAAy/wAAAAAAAFL/AAAAAAAAM/8AAAAAAABT/wAAAAAAADT/AAAAAAAAVP8AAAAAAAA1/wAAAAAAAFX/AAAAAAAANv8AAAAAAABW/wAAAAAAADf/AAAAAAAAV/8AAAAAAAA4/wAAAAAAAFj/AAAAAAAAOf8AAAAAAABZ/wAAAAAAADr/AAAAAAAAWv8AAAAAAABB/wAAIf8AAAAAAAAh/wAAQv8AACL/AAAAAAAAIv8AAEP/AAAj/wAAAAAAACP/AABE/wAAJP8AAAAAAAAk/wAARf8AACX/AAAAAAAAJf8AAEb/AAAm/wAAAAAAACb/AABH/wAAJ/8AAAAAAAAn/wAASP8AACj/AAAAAAAAKP8AAEn/AAAp/wAAAAAAACn/AABK/wAAKv8AAAAAAAAq/wAAS/8AACv/AAAAAAAAK/8AAEz/AAAs/wAAAAAAACz/AABN/wAALf8AAAAAAAAt/wAATv8AAC7/AAAAAAAALv8AAE//AAAv/wAAAAAAAC//AABQ/wAAMP8AAAAAAAAw/wAAUf8AADH/AAAAAAAAMf8AAFL/AAAy/wAAAAAAADL/AABT/wAAM/8AAAAAAAAz/wAAVP8AADT/AAAAAAAANP8AAFX/AAA1/wAAAAAAADX/AABW/wAANv8AAAAAAAA2/wAAV/8AADf/AAAAAAAAN/8AAFj/AAA4/wAAAAAAADj/AABZ/wAAOf8AAAAAAAA5/wAAWv8AADr/AAAAAAAAOv8AAAAEAQAAAAAAKAQBAAAAAAABBAEAAAAAACkEAQAAAAAAAgQBAAAAAAAqBAEAAAAAAAMEAQAAAAAAKwQBAAAAAAAEBAEAAAAAACwEAQAAAAAABQQBAAAAAAAtBAEAAAAAAAYEAQAAAAAALgQBAAAAAAAHBAEAAAAAAC8EAQAAAAAACAQBAAAAAAAwBAEAAAAAAAkEAQAAAAAAMQQBAAAAAAAKBAEAAAAAADIEAQAAAAAACwQBAAAAAAAzBAEAAAAAAAwEAQAAAAAANAQBAAAAAAANBAEAAAAAADUEAQAAAAAADgQBAAAAAAA2BAEAAAAAAA8EAQAAAAAANwQBAAAAAAAQBAEAAAAAADgEAQAAAAAAEQQBAAAAAAA5BAEAAAAAABIEAQAAAAAAOgQBAAAAAAATBAEAAAAAADsEAQAAAAAAFAQBAAAAAAA8BAEAAAAAABUEAQAAAAAAPQQBAAAAAAAWBAEAAAAAAD4EAQAAAAAAFwQBAAAAAAA/BAEAAAAAABgEAQAAAAAAQAQBAAAAAAAZBAEAAAAAAEEEAQAAAAAAGgQBAAAAAABCBAEAAAAAABsEAQAAAAAAQwQBAAAAAAAcBAEAAAAAAEQEAQAAAAAAHQQBAAAAAABFBAEAAAAAAB4EAQAAAAAARgQBAAAAAAAfBAEAAAAAAEcEAQAAAAAAIAQBAAAAAABIBAEAAAAAACEEAQAAAAAASQQBAAAAAAAiBAEAAAAAAEoEAQAAAAAAIwQBAAAAAABLBAEAAAAAACQEAQAAAAAATAQBAAAAAAAlBAEAAAAAAE0EAQAAAAAAJgQBAAAAAABOBAEAAAAAACcEAQAAAAAATwQBAAAAAAAoBAEAAAQBAAAAAAAABAEAKQQBAAEEAQAAAAAAAQQBACoEAQACBAEAAAAAAAIEAQArBAEAAwQBAAAAAAADBAEALAQBAAQEAQAAAAAABAQBAC0EAQAFBAEAAAAAAAUEAQAuBAEABgQBAAAAAAAGBAEALwQBAAcEAQAAAAAABwQBADAEAQAIBAEAAAAAAAgEAQAxBAEACQQBAAAAAAAJBAEAMgQBAAoEAQAAAAAACgQBADMEAQALBAEAAAAAAAsEAQA0BAEADAQBAAAAAAAMBAEANQQBAA0EAQAAAAAADQQBADYEAQAOBAEAAAAAAA4EAQA3BAEADwQBAAAAAAAPBAEAOAQBABAEAQAAAAAAEAQBADkEAQARBAEAAAAAABEEAQA6BAEAEgQBAAAAAAASBAEAOwQBABMEAQAAAAAAEwQBADwEAQAUBAEAAAAAABQEAQA9BAEAFQQBAAAAAAAVBAEAPgQBABYEAQAAAAAAFgQBAD8EAQAXBAEAAAAAABcEAQBABAEAGAQBAAAAAAAYBAEAQQQBABkEAQAAAAAAGQQBAEIEAQAaBAEAAAAAABoEAQBDBAEAGwQBAAAAAAAbBAEARAQBABwEAQAAAAAAHAQBAEUEAQAdBAEAAAAAAB0EAQBGBAEAHgQBAAAAAAAeBAEARwQBAB8EAQAAAAAAHwQBAEgEAQAgBAEAAAAAACAEAQBJBAEAIQQBAAAAAAAhBAEASgQBACIEAQAAAAAAIgQBAEsEAQAjBAEAAAAAACMEAQBMBAEAJAQBAAAAAAAkBAEATQQBACUEAQAAAAAAJQQBAE4EAQAmBAEAAAAAACYEAQBPBAEAJwQBAAAAAAAnBAEAsAQBAAAAAADYBAEAAAAAALEEAQAAAAAA2QQBAAAAAACyBAEAAAAAANoEAQAAAAAAswQBAAAAAADbBAEAAAAAALQEAQAAAAAA3AQBAAAAAAC1BAEAAAAAAN0EAQAAAAAAtgQBAAAAAADeBAEAAAAAALcEAQAAAAAA3wQBAAAAAAC4BAEAAAAAAOAEAQAAAAAAuQQBAAAAAADhBAEAAAAAALoEAQAAAAAA4gQBAAAAAAC7BAEAAAAAAOMEAQAAAAAAvAQBAAAAAADkBAEAAAAAAL0EAQAAAAAA5QQBAAAAAAC+BAEAAAAAAOYEAQAAAAAAvwQBAAAAAADnBAEAAAAAAMAEAQAAAAAA6AQBAAAAAADBBAEAAAAAAOkEAQAAAAAAwgQBAAAAAADqBAEAAAAAAMMEAQAAAAAA6wQBAAAAAADEBAEAAAAAAOwEAQAAAAAAxQQBAAAAAADtBAEAAAAAAMYEAQAAAAAA7gQBAAAAAADHBAEAAAAAAO8EAQAAAAAAyAQBAAAAAADwBAEAAAAAAMkEAQAAAAAA8QQBAAAAAADKBAEAAAAAAPIEAQAAAAAAywQBAAAAAADzBAEAAAAAAMwEAQAAAAAA9AQBAAAAAADNBAEAAAAAAPUEAQAAAAAAzgQBAAAAAAD2BAEAAAAAAM8EAQAAAAAA9wQBAAAAAADQBAEAAAAAAPgEAQAAAAAA0QQBAAAAAAD5BAEAAAAAANIEAQAAAAAA+gQBAAAAAADTBAEAAAAAAPsEAQAAAAAA2AQBALAEAQAAAAAAsAQBANkEAQCxBAEAAAAAALEEAQDaBAEAsgQBAAAAAACyBAEA2wQBALMEAQAAAAAAswQBANwEAQC0BAEAAAAAALQEAQDdBAEAtQQBAAAAAAC1BAEA3gQBALYEAQAAAAAAtgQBAN8EAQC3BAEAAAAAALcEAQDgBAEAuAQBAAAAAAC4BAEA4QQBALkEAQAAAAAAuQQBAOIEAQC6BAEAAAAAALoEAQDjBAEAuwQBAAAAAAC7BAEA5AQBALwEAQAAAAAAvAQBAOUEAQC9BAEAAAAAAL0EAQDmBAEAvgQBAAAAAAC+BAEA5wQBAL8EAQAAAAAAvwQBAOgEAQDABAEAAAAAAMAEAQDpBAEAwQQBAAAAAADBBAEA6gQBAMIEAQAAAAAAwgQBAOsEAQDDBAEAAAAAAMMEAQDsBAEAxAQBAAAAAADEBAEA7QQBAMUEAQAAAAAAxQQBAO4EAQDGBAEAAAAAAMYEAQDvBAEAxwQBAAAAAADHBAEA8AQBAMgEAQAAAAAAyAQBAPEEAQDJBAEAAAAAAMkEAQDyBAEAygQBAAAAAADKBAEA8wQBAMsEAQAAAAAAywQBAPQEAQDMBAEAAAAAAMwEAQD1BAEAzQQBAAAAAADNBAEA9gQBAM4EAQAAAAAAzgQBAPcEAQDPBAEAAAAAAM8EAQD4BAEA0AQBAAAAAADQBAEA+QQBANEEAQAAAAAA0QQBAPoEAQDSBAEAAAAAANIEAQD7BAEA0wQBAAAAAADTBAEAgAwBAAAAAADADAEAAAAAAIEMAQAAAAAAwQwBAAAAAACCDAEAAAAAAMIMAQAAAAAAgwwBAAAAAADDDAEAAAAAAIQMAQAAAAAAxAwBAAAAAACFDAEAAAAAAMUMAQAAAAAAhgwBAAAAAADGDAEAAAAAAIcMAQAAAAAAxwwBAAAAAACIDAEAAAAAAMgMAQAAAAAAiQwBAAAAAADJDAEAAAAAAIoMAQAAAAAAygwBAAAAAACLDAEAAAAAAMsMAQAAAAAAjAwBAAAAAADMDAEAAAAAAI0MAQAAAAAAzQwBAAAAAACODAEAAAAAAM4MAQAAAAAAjwwBAAAAAADPDAEAAAAAAJAMAQAAAAAA0AwBAAAAAACRDAEAAAAAANEMAQAAAAAAkgwBAAAAAADSDAEAAAAAAJMMAQAAAAAA0wwBAAAAAACUDAEAAAAAANQMAQAAAAAAlQwBAAAAAADVDAEAAAAAAJYMAQAAAAAA1gwBAAAAAACXDAEAAAAAANcMAQAAAAAAmAwBAAAAAADYDAEAAAAAAJkMAQAAAAAA2QwBAAAAAACaDAEAAAAAANoMAQAAAAAAmwwBAAAAAADbDAEAAAAAAJwMAQAAAAAA3AwBAAAAAACdDAEAAAAAAN0MAQAAAAAAngwBAAAAAADeDAEAAAAAAJ8MAQAAAAAA3wwBAAAAAACgDAEAAAAAAOAMAQAAAAAAoQwBAAAAAADhDAEAAAAAAKIMAQAAAAAA4gwBAAAAAACjDAEAAAAAAOMMAQAAAAAApAwBAAAAAADkDAEAAAAAAKUMAQAAAAAA5QwBAAAAAACmDAEAAAAAAOYMAQAAAAAApwwBAAAAAADnDAEAAAAAAKgMAQAAAAAA6AwBAAAAAACpDAEAAAAAAOkMAQAAAAAAqgwBAAAAAADqDAEAAAAAAKsMAQAAAAAA6wwBAAAAAACsDAEAAAAAAOwMAQAAAAAArQwBAAAAAADtDAEAAAAAAK4MAQAAAAAA7gwBAAAAAACvDAEAAAAAAO8MAQAAAAAAsAwBAAAAAADwDAEAAAAAALEMAQAAAAAA8QwBAAAAAACyDAEAAAAAAPIMAQAAAAAAwAwBAIAMAQAAAAAAgAwBAMEMAQCBDAEAAAAAAIEMAQDCDAEAggwBAAAAAACCDAEAwwwBAIMMAQAAAAAAgwwBAMQMAQCEDAEAAAAAAIQMAQDFDAEAhQwBAAAAAACFDAEAxgwBAIYMAQAAAAAAhgwBAMcMAQCHDAEAAAAAAIcMAQDIDAEAiAwBAAAAAACIDAEAyQwBAIkMAQAAAAAAiQwBAMoMAQCKDAEAAAAAAIoMAQDLDAEAiwwBAAAAAACLDAEAzAwBAIwMAQAAAAAAjAwBAM0MAQCNDAEAAAAAAI0MAQDODAEAjgwBAAAAAACODAEAzwwBAI8MAQAAAAAAjwwBANAMAQCQDAEAAAAAAJAMAQDRDAEAkQwBAAAAAACRDAEA0gwBAJIMAQAAAAAAkgwBANMMAQCTDAEAAAAAAJMMAQDUDAEAlAwBAAAAAACUDAEA1QwBAJUMAQAAAAAAlQwBANYMAQCWDAEAAAAAAJYMAQDXDAEAlwwBAAAAAACXDAEA2AwBAJgMAQAAAAAAmAwBANkMAQCZDAEAAAAAAJkMAQDaDAEAmgwBAAAAAACaDAEA2wwBAJsMAQAAAAAAmwwBANwMAQCcDAEAAAAAAJwMAQDdDAEAnQwBAAAAAACdDAEA3gwBAJ4MAQAAAAAAngwBAN8MAQCfDAEAAAAAAJ8MAQDgDAEAoAwBAAAAAACgDAEA4QwBAKEMAQAAAAAAoQwBAOIMAQCiDAEAAAAAAKIMAQDjDAEAowwBAAAAAACjDAEA5AwBAKQMAQAAAAAApAwBAOUMAQClDAEAAAAAAKUMAQDmDAEApgwBAAAAAACmDAEA5wwBAKcMAQAAAAAApwwBAOgMAQCoDAEAAAAAAKgMAQDpDAEAqQwBAAAAAACpDAEA6gwBAKoMAQAAAAAAqgwBAOsMAQCrDAEAAAAAAKsMAQDsDAEArAwBAAAAAACsDAEA7QwBAK0MAQAAAAAArQwBAO4MAQCuDAEAAAAAAK4MAQDvDAEArwwBAAAAAACvDAEA8AwBALAMAQAAAAAAsAwBAPEMAQCxDAEAAAAAALEMAQDyDAEAsgwBAAAAAACyDAEAoBgBAAAAAADAGAEAAAAAAKEYAQAAAAAAwRgBAAAAAACiGAEAAAAAAMIYAQAAAAAAoxgBAAAAAADDGAEAAAAAAKQYAQAAAAAAxBgBAAAAAAClGAEAAAAAAMUYAQAAAAAAphgBAAAAAADGGAEAAAAAAKcYAQAAAAAAxxgBAAAAAACoGAEAAAAAAMgYAQAAAAAAqRgBAAAAAADJGAEAAAAAAKoYAQAAAAAAyhgBAAAAAACrGAEAAAAAAMsYAQAAAAAArBgBAAAAAADMGAEAAAAAAK0YAQAAAAAAzRgBAAAAAACuGAEAAAAAAM4YAQAAAAAArxgBAAAAAADPGAEAAAAAALAYAQAAAAAA0BgBAAAAAACxGAEAAAAAANEYAQAAAAAAshgBAAAAAADSGAEAAAAAALMYAQAAAAAA0xgBAAAAAAC0GAEAAAAAANQYAQAAAAAAtRgBAAAAAADVGAEAAAAAALYYAQAAAAAA1hgBAAAAAAC3GAEAAAAAANcYAQAAAAAAuBgBAAAAAADYGAEAAAAAALkYAQAAAAAA2RgBAAAAAAC6GAEAAAAAANoYAQAAAAAAuxgBAAAAAADbGAEAAAAAALwYAQAAAAAA3BgBAAAAAAC9GAEAAAAAAN0YAQAAAAAAvhgBAAAAAADeGAEAAAAAAL8YAQAAAAAA3xgBAAAAAADAGAEAoBgBAAAAAACgGAEAwRgBAKEYAQAAAAAAoRgBAMIYAQCiGAEAAAAAAKIYAQDDGAEAoxgBAAAAAACjGAEAxBgBAKQYAQAAAAAApBgBAMUYAQClGAEAAAAAAKUYAQDGGAEAphgBAAAAAACmGAEAxxgBAKcYAQAAAAAApxgBAMgYAQCoGAEAAAAAAKgYAQDJGAEAqRgBAAAAAACpGAEAyhgBAKoYAQAAAAAAqhgBAMsYAQCrGAEAAAAAAKsYAQDMGAEArBgBAAAAAACsGAEAzRgBAK0YAQAAAAAArRgBAM4YAQCuGAEAAAAAAK4YAQDPGAEArxgBAAAAAACvGAEA0BgBALAYAQAAAAAAsBgBANEYAQCxGAEAAAAAALEYAQDSGAEAshgBAAAAAACyGAEA0xgBALMYAQAAAAAAsxgBANQYAQC0GAEAAAAAALQYAQDVGAEAtRgBAAAAAAC1GAEA1hgBALYYAQAAAAAAthgBANcYAQC3GAEAAAAAALcYAQDYGAEAuBgBAAAAAAC4GAEA2RgBALkYAQAAAAAAuRgBANoYAQC6GAEAAAAAALoYAQDbGAEAuxgBAAAAAAC7GAEA3BgBALwYAQAAAAAAvBgBAN0YAQC9GAEAAAAAAL0YAQDeGAEAvhgBAAAAAAC+GAEA3xgBAL8YAQAAAAAAvxgBAEBuAQAAAAAAYG4BAAAAAABBbgEAAAAAAGFuAQAAAAAAQm4BAAAAAABibgEAAAAAAENuAQAAAAAAY24BAAAAAABEbgEAAAAAAGRuAQAAAAAARW4BAAAAAABlbgEAAAAAAEZuAQAAAAAAZm4BAAAAAABHbgEAAAAAAGduAQAAAAAASG4BAAAAAABobgEAAAAAAEluAQAAAAAAaW4BAAAAAABKbgEAAAAAAGpuAQAAAAAAS24BAAAAAABrbgEAAAAAAExuAQAAAAAAbG4BAAAAAABNbgEAAAAAAG1uAQAAAAAATm4BAAAAAABubgEAAAAAAE9uAQAAAAAAb24BAAAAAABQbgEAAAAAAHBuAQAAAAAAUW4BAAAAAABxbgEAAAAAAFJuAQAAAAAAcm4BAAAAAABTbgEAAAAAAHNuAQAAAAAAVG4BAAAAAAB0bgEAAAAAAFVuAQAAAAAAdW4BAAAAAABWbgEAAAAAAHZuAQAAAAAAV24BAAAAAAB3bgEAAAAAAFhuAQAAAAAAeG4BAAAAAABZbgEAAAAAAHluAQAAAAAAWm4BAAAAAAB6bgEAAAAAAFtuAQAAAAAAe24BAAAAAABcbgEAAAAAAHxuAQAAAAAAXW4BAAAAAAB9bgEAAAAAAF5uAQAAAAAAfm4BAAAAAABfbgEAAAAAAH9uAQAAAAAAYG4BAEBuAQAAAAAAQG4BAGFuAQBBbgEAAAAAAEFuAQBibgEAQm4BAAAAAABCbgEAY24BAENuAQAAAAAAQ24BAGRuAQBEbgEAAAAAAERuAQBlbgEARW4BAAAAAABFbgEAZm4BAEZuAQAAAAAARm4BAGduAQBHbgEAAAAAAEduAQBobgEASG4BAAAAAABIbgEAaW4BAEluAQAAAAAASW4BAGpuAQBKbgEAAAAAAEpuAQBrbgEAS24BAAAAAABLbgEAbG4BAExuAQAAAAAATG4BAG1uAQBNbgEAAAAAAE1uAQBubgEATm4BAAAAAABObgEAb24BAE9uAQAAAAAAT24BAHBuAQBQbgEAAAAAAFBuAQBxbgEAUW4BAAAAAABRbgEAcm4BAFJuAQAAAAAAUm4BAHNuAQBTbgEAAAAAAFNuAQB0bgEAVG4BAAAAAABUbgEAdW4BAFVuAQAAAAAAVW4BAHZuAQBWbgEAAAAAAFZuAQB3bgEAV24BAAAAAABXbgEAeG4BAFhuAQAAAAAAWG4BAHluAQBZbgEAAAAAAFluAQB6bgEAWm4BAAAAAABabgEAe24BAFtuAQAAAAAAW24BAHxuAQBcbgEAAAAAAFxuAQB9bgEAXW4BAAAAAABdbgEAfm4BAF5uAQAAAAAAXm4BAH9uAQBfbgEAAAAAAF9uAQAA6QEAAAAAACLpAQAAAAAAAekBAAAAAAAj6QEAAAAAAALpAQAAAAAAJOkBAAAAAAAD6QEAAAAAACXpAQAAAAAABOkBAAAAAAAm6QEAAAAAAAXpAQAAAAAAJ+kBAAAAAAAG6QEAAAAAACjpAQAAAAAAB+kBAAAAAAAp6QEAAAAAAAjpAQAAAAAAKukBAAAAAAAJ6QEAAAAAACvpAQAAAAAACukBAAAAAAAs6QEAAAAAAAvpAQAAAAAALekBAAAAAAAM6QEAAAAAAC7pAQAAAAAADekBAAAAAAAv6QEAAAAAAA7pAQAAAAAAMOkBAAAAAAAP6QEAAAAAADHpAQAAAAAAEOkBAAAAAAAy6QEAAAAAABHpAQAAAAAAM+kBAAAAAAAS6QEAAAAAADTpAQAAAAAAE+kBAAAAAAA16QEAAAAAABTpAQAAAAAANukBAAAAAAAV6QEAAAAAADfpAQAAAAAAFukBAAAAAAA46QEAAAAAABfpAQAAAAAAOekBAAAAAAAY6QEAAAAAADrpAQAAAAAAGekBAAAAAAA76QEAAAAAABrpAQAAAAAAPOkBAAAAAAAb6QEAAAAAAD3pAQAAAAAAHOkBAAAAAAA+6QEAAAAAAB3pAQAAAAAAP+kBAAAAAAAe6QEAAAAAAEDpAQAAAAAAH+kBAAAAAABB6QEAAAAAACDpAQAAAAAAQukBAAAAAAAh6QEAAAAAAEPpAQAAAAAAIukBAADpAQAAAAAAAOkBACPpAQAB6QEAAAAAAAHpAQAk6QEAAukBAAAAAAAC6QEAJekBAAPpAQAAAAAAA+kBACbpAQAE6QEAAAAAAATpAQAn6QEABekBAAAAAAAF6QEAKOkBAAbpAQAAAAAABukBACnpAQAH6QEAAAAAAAfpAQAq6QEACOkBAAAAAAAI6QEAK+kBAAnpAQAAAAAACekBACzpAQAK6QEAAAAAAArpAQAt6QEAC+kBAAAAAAAL6QEALukBAAzpAQAAAAAADOkBAC/pAQAN6QEAAAAAAA3pAQAw6QEADukBAAAAAAAO6QEAMekBAA/pAQAAAAAAD+kBADLpAQAQ6QEAAAAAABDpAQAz6QEAEekBAAAAAAAR6QEANOkBABLpAQAAAAAAEukBADXpAQAT6QEAAAAAABPpAQA26QEAFOkBAAAAAAAU6QEAN+kBABXpAQAAAAAAFekBADjpAQAW6QEAAAAAABbpAQA56QEAF+kBAAAAAAAX6QEAOukBABjpAQAAAAAAGOkBADvpAQAZ6QEAAAAAABnpAQA86QEAGukBAAAAAAAa6QEAPekBABvpAQAAAAAAG+kBAD7pAQAc6QEAAAAAABzpAQA/6QEAHekBAAAAAAAd6QEAQOkBAB7pAQAAAAAAHukBAEHpAQAf6QEAAAAAAB/pAQBC6QEAIOkBAAAAAAAg6QEAQ+kBACHpAQAAAAAAIekB");n(g,45552,"HhYWFhgWFhYXExYaFhIWFg4ODg4ODg4ODg4WFhoaGhYWCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoXFhMZERkGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBhcaExo=");n(g,45680,"HhYYGBgYGxYZGwgVGgEbGRsaEBAZBhYWGRAIFBAQEBYKCgoKCgoKCgoKCgoKCgoKCgoKCgoKChoKCgoKCgoKBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGGgYGBgYGBgYGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYGCgYKBgoGCgYKBgoGCgYKBgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgoGCgYKBgYGCgoGCgYKCgYKCgoGBgoKCgoGCgoGCgoKBgYGCgoGCgoGCgYKBgoKBgoGBgoGCgoGCgoKBgoGCgoGBggKBgYGCAgICAoJBgoJBgoJBgoGCgYKBgoGCgYKBgoGCgYGCgYKBgoGCgYKBgoGCgYKBgoGBgoJBgoGCgoKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYGBgYGBgYKCgYKCgYGCgYKCgoKBgoGCgYKBgoGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYIBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBwcHBwcHBwcHBwcHBwcHBwcHGRkZGQcHBwcHBwcHBwcHBxkZGRkZGRkZGRkZGRkZBwcHBwcZGRkZGRkZBxkHGRkZGRkZGRkZGRkZGRkZGRkNDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NCgYKBgcZCgYCAgcGBgYWCgICAgIZGQoWCgoKAgoCCgoGCgoKCgoKCgoKCgoKCgoKCgoCCgoKCgoKCgoKBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYKBgYKCgoGBgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYGBgYGCgYaCgYKCgYGCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBhsNDQ0NDQwMCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgoGCgYKBgoGCgYKBgoGBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgIKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgICBxYWFhYWFgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGFhICAhsbGAINDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0SDRYNDRYNDRYNAgICAgICAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgCAgICCAgICBYWAgICAgICAgICAgIBAQEBAQEaGhoWFhgWFhsbDQ0NDQ0NDQ0NDQ0WAQIWFggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIBwgICAgICAgICAgNDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0ODg4ODg4ODg4OFhYWFggIDQgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBYIDQ0NDQ0NDQEbDQ0NDQ0NBwcNDRsNDQ0NCAgODg4ODg4ODg4OCAgIGxsIFhYWFhYWFhYWFhYWFhYCAQgNCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICA0NDQ0NDQ0NDQ0NCAICAgICAgICAgICAgICDg4ODg4ODg4ODggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICA0NDQ0NDQ0NDQcHGxYWFgcCAg0YGAgICAgICAgICAgICAgICAgICAgICAgNDQ0NBw0NDQ0NDQ0NDQcNDQ0HDQ0NDQ0CAhYWFhYWFhYWFhYWFhYWFgIICAgICAgICAgICAgICAgICAgICAgICAgIDQ0NAgIWAggICAgICAgICAgIAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIICAgICAgICAgICAgICAgICAgICAgCCAgICAgICAgCAgICAgICAgICAgICAgICAgICAgINDQ0NDQ0NDQ0NDQ0NDQ0BDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0LCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIDQsNCAsLCw0NDQ0NDQ0NCwsLCw0LCwgNDQ0NDQ0NCAgICAgICAgICA0NFhYODg4ODg4ODg4OFgcICAgICAgICAgICAgICAgNCwsCCAgICAgICAgCAggIAgIICAgICAgICAgICAgICAgICAgICAgIAggICAgICAgCCAICAggICAgCAg0ICwsLDQ0NDQICCwsCAgsLDQgCAgICAgICAgsCAgICCAgCCAgIDQ0CAg4ODg4ODg4ODg4ICBgYEBAQEBAQGxgIFg0CAg0NCwIICAgICAgCAgICCAgCAggICAgICAgICAgICAgICAgICAgICAgCCAgICAgICAIICAIICAIICAICDQILCwsNDQICAgINDQICDQ0NAgICDQICAgICAgIICAgIAggCAgICAgICDg4ODg4ODg4ODg0NCAgIDRYCAgICAgICAgICDQ0LAggICAgICAgICAIICAgCCAgICAgICAgICAgICAgICAgICAgICAIICAgICAgIAggIAggICAgIAgINCAsLCw0NDQ0NAg0NCwILCw0CAggCAgICAgICAgICAgICAgIICA0NAgIODg4ODg4ODg4OFhgCAgICAgICCA0NDQ0NDQINCwsCCAgICAgICAgCAggIAgIICAgICAgICAgICAgICAgICAgICAgIAggICAgICAgCCAgCCAgICAgCAg0ICw0LDQ0NDQICCwsCAgsLDQICAgICAgICDQsCAgICCAgCCAgIDQ0CAg4ODg4ODg4ODg4bCBAQEBAQEAICAgICAgICAgINCAIICAgICAgCAgIICAgCCAgICAICAggIAggCCAgCAgIICAICAggICAICAggICAgICAgICAgICAICAgILCw0LCwICAgsLCwILCwsNAgIIAgICAgICCwICAgICAgICAgICAgICDg4ODg4ODg4ODhAQEBsbGxsbGxgbAgICAgINCwsLDQgICAgICAgIAggICAIICAgICAgICAgICAgICAgICAgICAgICAIICAgICAgICAgICAgICAgIAgICCA0NDQsLCwsCDQ0NAg0NDQ0CAgICAgICDQ0CCAgIAgICAgIICA0NAgIODg4ODg4ODg4OAgICAgICAgIQEBAQEBAQGwgNCwsWCAgICAgICAgCCAgIAggICAgICAgICAgICAgICAgICAgICAgIAggICAgICAgICAgCCAgICAgCAg0ICw0LCwsLCwINCwsCCwsNDQICAgICAgILCwICAgICAgIIAggIDQ0CAg4ODg4ODg4ODg4CCAgCAgICAgICAgICAgICDQ0LCwIICAgICAgICAIICAgCCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgNDQgLCwsNDQ0NAgsLCwILCwsNCBsCAgICCAgICxAQEBAQEBAICAgNDQICDg4ODg4ODg4ODhAQEBAQEBAQEBsICAgICAgCAgsLAggICAgICAgICAgICAgICAgICAICAggICAgICAgICAgICAgICAgICAgICAgICAIICAgICAgICAgCCAICCAgICAgICAICAg0CAgICCwsLDQ0NAg0CCwsLCwsLCwsCAgICAgIODg4ODg4ODg4OAgILCxYCAgICAgICAgICAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgNCAgNDQ0NDQ0NAgICAhgICAgICAgHDQ0NDQ0NDQ0WDg4ODg4ODg4ODhYWAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAggIAggCAggIAggCAggCAgICAgIICAgIAggICAgICAgCCAgIAggCCAICCAgCCAgICA0ICA0NDQ0NDQINDQgCAggICAgIAgcCDQ0NDQ0NAgIODg4ODg4ODg4OAgIICAgIAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIIGxsbFhYWFhYWFhYWFhYWFhYWGxYbGxsNDRsbGxsbGw4ODg4ODg4ODg4QEBAQEBAQEBAQGw0bDRsNFxMXEwsLCAgICAgICAgCCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgICAg0NDQ0NDQ0NDQ0NDQ0NCw0NDQ0NFg0NCAgICAgNDQ0NDQ0NDQ0NDQINDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0CGxsbGxsbGxsNGxsbGxsbAhsbFhYWFhYbGxsbFhYCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAsLDQ0NDQsNDQ0NDQ0LDQ0LCw0NCA4ODg4ODg4ODg4WFhYWFhYICAgICAgLCw0NCAgICA0NDQgLCwsICAsLCwsLCwsICAgNDQ0NCAgICAgICAgICAgICA0LCw0NCwsLCwsLDQgLDg4ODg4ODg4ODgsLCw0bGwoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKAgoCAgICAgoCAgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYWBwYGBggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAggICAgCAggICAgICAgCCAIICAgIAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAIICAgIAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCCAgICAICCAgICAgICAIIAggICAgCAggICAgICAgICAgICAgICAIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCCAgICAICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICDQ0NFhYWFhYWFhYWEBAQEBAQEBAQEBAQEBAQEBAQEBACAgIICAgICAgICAgICAgICAgIGxsbGxsbGxsbGwICAgICAgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKAgIGBgYGBgYCAhIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIFhYICAgICAgICAgICAgICAgICB4ICAgICAgICAgICAgICAgICAgICAgICAgICBcTAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIFhYWDw8PCAgICAgICAgCAgICAgICCAgICAgICAgICAgICAIICAgIDQ0NAgICAgICAgICAgIICAgICAgICAgICAgICAgICAgNDQ0WFgICAgICAgICAggICAgICAgICAgICAgICAgICA0NAgICAgICAgICAgICCAgICAgICAgICAgICAIICAgCDQ0CAgICAgICAgICAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIDQ0LDQ0NDQ0NDQsLCwsLCwsLDQsLDQ0NDQ0NDQ0NDQ0WFhYHFhYWGAgNAgIODg4ODg4ODg4OAgICAgICEBAQEBAQEBAQEAICAgICAhYWFhYWFhIWFhYWDQ0NAQIODg4ODg4ODg4OAgICAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgHCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAgICAgICCAgICAgNDQgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgNCAICAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICAgICAgICAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAg0NDQsLCwsNDQsLCwICAgILCw0LCwsLCwsNDQ0CAgICGwICAhYWDg4ODg4ODg4ODggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICCAgICAgCAgICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgICAggICAgICAgICAgICAgICAgICAgICAgICAgIAgICAgICDg4ODg4ODg4ODhACAgIbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbCAgICAgICAgICAgICAgICAgICAgICAgNDQsLDQICFhYICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAsNCw0NDQ0NDQ0CDQsNCwsNDQ0NDQ0NDQsLCwsLCw0NDQ0NDQ0NDQ0CAg0ODg4ODg4ODg4OAgICAgICDg4ODg4ODg4ODgICAgICAhYWFhYWFhYHFhYWFhYWAgINDQ0NDQ0NDQ0NDQ0NDQwCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAg0NDQ0LCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgNCw0NDQ0NCw0LCwsLCw0LCwgICAgICAgCAgICDg4ODg4ODg4ODhYWFhYWFhYbGxsbGxsbGxsbDQ0NDQ0NDQ0NGxsbGxsbGxsbAgICDQ0LCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICw0NDQ0LCw0NCw0NDQgIDg4ODg4ODg4ODggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIDQsNDQsLCw0LDQ0NCwsCAgICAgICAhYWFhYICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgLCwsLCwsLCw0NDQ0NDQ0NCwsNDQICAhYWFhYWDg4ODg4ODg4ODgICAggICA4ODg4ODg4ODg4ICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgHBwcHBwcWFgYGBgYGBgYGBgICAgICAgIKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKAgIKCgoWFhYWFhYWFgICAgICAgICDQ0NFg0NDQ0NDQ0NDQ0NDQ0LDQ0NDQ0NDQgICAgNCAgICAsLDQgICw0NAgICAgICBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcGBgYGBgYGBgYGBgYGBwYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQINDQ0NDQoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgYGBgYGBgYGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYGBgYGBgYGBgoKCgoKCgoKBgYGBgYGAgIKCgoKCgoCAgYGBgYGBgYGCgoKCgoKCgoGBgYGBgYGBgoKCgoKCgoKBgYGBgYGAgIKCgoKCgoCAgYGBgYGBgYGAgoCCgIKAgoGBgYGBgYGBgoKCgoKCgoKBgYGBgYGBgYGBgYGBgYCAgYGBgYGBgYGCQkJCQkJCQkGBgYGBgYGBgkJCQkJCQkJBgYGBgYGBgYJCQkJCQkJCQYGBgYGAgYGCgoKCgkZBhkZGQYGBgIGBgoKCgoJGRkZBgYGBgICBgYKCgoKAhkZGQYGBgYGBgYGCgoKCgoZGRkCAgYGBgIGBgoKCgoJGRkCHh4eHh4eHh4eHh4BAQEBARISEhISEhYWFRQXFRUUFxUWFhYWFhYWFhwdAQEBAQEeFhYWFhYWFhYWFRQWFhYWEREWFhYaFxMWFhYWFhYWFhYWFhoWERYWFhYWFhYWFhYeAQEBAQECAQEBAQEBAQEBARAHAgIQEBAQEBAaGhoXEwcQEBAQEBAQEBAQGhoaFxMCBwcHBwcHBwcHBwcHBwICAhgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYAgICAgICAgICAgICAgICAg0NDQ0NDQ0NDQ0NDQ0MDAwMDQwMDA0NDQ0NDQ0NDQ0NDQICAgICAgICAgICAgICAhsbChsbGxsKGxsGCgoKBgYKCgoGGwobGxoKCgoKChsbGxsbGwobChsKGwoKCgobBgoKCgoGCAgICAYbGwYGCgoaGhoaGgoGBgYGGxobGwYbEBAQEBAQEBAQEBAQEBAQEA8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PCgYPDw8PEBsbAgICAhoaGhoaGxsbGxsaGhsbGxsaGxsaGxsaGxsbGxsbGxobGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGhobGxobGhsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGxsbGxsbGxsXExcTGxsbGxsbGxsbGxsbGxsbGxsbGxsaGhsbGxsbGxsXExsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxobGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxoaGhoaGhsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGwICAgICAgICAgICAgICAgICAgICAgICAgIbGxsbGxsbGxsbGwICAgICAgICAgICAgICAgICAgICAhAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxAQEBAQEBAQEBAQEBAQEBAQEBAQEBAbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsaGxsbGxsbGxsbGhsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxoaGhoaGhoaGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGhsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbFxMXExcTFxMXExcTFxMQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxoaGhoaFxMaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaFxMXExcTFxMXExoaGhoaGhoaGhoaGhoaGhobGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoXExcTFxMXExcTFxMXExcTFxMXExcTGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaFxMXExoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaGhoaFxMaGhsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxoaGhoaGhoaGhoaGhoaGhoaGhoaGhsbGhoaGhoaGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbAgIbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGwICGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGwIbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGwIKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgIGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgIKBgoKCgYGCgYKBgoGCgoKCgYKBgYKBgYGBgYGBwcKCgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYGGxsbGxsbCgYKBg0NDQoGAgICAgIWFhYWEBYWBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYCBgICAgICBgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAgICAgICBxYCAgICAgICAgICAgICAg0ICAgICAgICAgICAgICAgICAgICAgICAICAgICAgICAggICAgICAgCCAgICAgICAIICAgICAgIAggICAgICAgCCAgICAgICAIICAgICAgIAggICAgICAgCCAgICAgICAINDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDRYWFRQVFBYWFhUUFhUUFhYWFhYWFhYWEhYWEhYVFBYWFRQXExcTFxMXExYWFhYWBxYWFhYWFhYWFhYSEhYWFhYSFhcWFhYWFhYWFhYWFhYCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsCGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsCAgICAgICAgICAgIbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbAgICAgICAgICAgICAgICAgICAgICAgICAgIbGxsbGxsbGxsbGxsCAgICHhYWFhsHCA8XExcTFxMXExcTGxsXExcTFxMXExIXExMbDw8PDw8PDw8PDQ0NDQsLEgcHBwcHGxsPDw8HCBYbGwIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICDQ0ZGQcHCBIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgWBwcHCAICAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAhsbEBAQEBsbGxsbGxsbGxsICAgICAgICAgICAgICAgICAgICAgICAgICAgCAgICAhsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGwICAgICAgICAgICAggICAgICAgICAgICAgICAgbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbAhAQEBAQEBAQEBAbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsQEBAQEBAQEBsQEBAQEBAQEBAQEBAQEBAbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxAQEBAQEBAQEBAbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsQEBAQEBAQEBAQEBAQEBAbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsCCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAgICAgICAgICGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGwgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICAgICAgICAgICAgICAgIICAgICAgICAgICAgICAgICAgICAgHCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgICGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGwICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgHBwcHBwcWFggICAgICAgICAgICAcWFhYICAgICAgICAgICAgICAgIDg4ODg4ODg4ODggIAgICAgICAgICAgICAgICAgICAgIKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCA0MDAwWDQ0NDQ0NDQ0NDRYHCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgcHDQ0ICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIDw8PDw8PDw8PDw0NFhYWFhYWAgICAgICAgIZGRkZGRkZGRkZGRkZGRkZGRkZGRkZGQcHBwcHBwcHBxkZCgYKBgoGCgYKBgoGCgYGBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoGBwYGBgYGBgYGCgYKBgoKBgoGCgYKBgoGBxkZCgYKBggKBgoGBgYKBgoGCgYKBgoGCgYKBgoGCgYKBgoKCgoKBgoKCgoKBgoGCgYCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICCAcHBggICAgICAgNCAgIDQgICAgNCAgICAgICAgICAgICAgICAgICAgICAgLCw0NCxsbGxsCAgICEBAQEBAQGxsYGwICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgWFhYWAgICAgICAgILCwgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICwsLCwsLCwsLCwsLCwsLCw0NAgICAgICAgIWFg4ODg4ODg4ODg4CAgICAgINDQ0NDQ0NDQ0NDQ0NDQ0NDQ0ICAgICAgWFhYIFggIDQ4ODg4ODg4ODg4ICAgICAgICAgICAgICAgICAgICAgICAgICAgIDQ0NDQ0NDQ0WFggICAgICAgICAgICAgICAgICAgICAgIDQ0NDQ0NDQ0NDQ0LCwICAgICAgICAgICFggICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgICDQ0NCwgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIDQsLDQ0NDQsLDQsLCwsWFhYWFhYWFhYWFhYWAgcODg4ODg4ODg4OAgICAhYWCAgICAgNBwgICAgICAgICA4ODg4ODg4ODg4ICAgICAIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICA0NDQ0NDQsLDQ0LCw0NAgICAgICAgICCAgIDQgICAgICAgIDQsCAg4ODg4ODg4ODg4CAhYWFhYICAgICAgICAgICAgICAgIBwgICAgICBsbGwgLDQsICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICA0IDQ0NCAgNDQgICAgIDQ0IDQgCAgICAgICAgICAgICAgICAgICAgICAgIICAcWFggICAgICAgICAgICw0NCwsWFggHBwsNAgICAgICAgICAggICAgICAICCAgICAgIAgIICAgICAgCAgICAgICAgIICAgICAgIAggICAgICAgCBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBhkHBwcHBgYGBgYGAgICAgICAgICAgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgLCw0LCw0LCxYLDQICDg4ODg4ODg4ODgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgICAgICAgICAgICCAgICAgICAgICAgICAgICAgICAgICAgCAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICAgIDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgYGBgYGBgYCAgICAgICAgICAgIGBgYGBgICAgICCA0ICAgICAgICAgIGggICAgICAgICAgICAgCCAgICAgCCAIICAIICAIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgZGRkZGRkZGRkZGRkZGRkZAgICAgICAgICAgICAgICAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBMXAgICAgICAgICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIICAgICAgICAgICAgYGwICDQ0NDQ0NDQ0NDQ0NDQ0NDRYWFhYWFhYXExYCAgICAgINDQ0NDQ0NDQ0NDQ0NDQ0NFhISEREXExcTFxMXExcTFxMXExcTFhYXExYWFhYREREWFhYCFhYWFhIXExcTFxMWFhYaEhoaGgIWGBYWAgICAggICAgIAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICAQIWFhYYFhYWFxMWGhYSFhYODg4ODg4ODg4OFhYaGhoWFgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKFxYTGREZBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYXGhMaFxMWFxMWFggICAgICAgICAgHCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIBwcICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgICCAgICAgIAgIICAgICAgCAggICAgICAICCAgIAgICGBgaGRsYGAIbGhoaGhsbAgICAgICAgICAgEBARsbAgIICAgICAgICAgICAgCCAgICAgICAgICAgICAgICAgICAgICAgICAgCCAgICAgICAgICAgICAgICAgICAIICAIICAgICAgICAgICAgICAgCAggICAgICAgICAgICAgIAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICAgICFhYWAgICAhAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEAICAhsbGxsbGxsbGw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PEBAQEBsbGxsbGxsbGxsbGxsbGxsbEBAbGxsCGxsbGxsbGxsbGxsbAgICAhsCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAhsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGw0CAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgICAgICAgICAgICAgICDRAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEAICAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBAQEBACAgICAgICAgIICAgICAgICAgICAgICAgICAgICA8ICAgICAgICA8CAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIDQ0NDQ0CAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAIWCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgICAggICAgICAgIFg8PDw8PAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAg4ODg4ODg4ODg4CAgICAgIKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoCAgICBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAgICAgICAgICAhYCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgICAgICAgICCAgICAgICAgICAgICAgICAgICAgICAICAgICAgICAgIICAgICAgICAICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICCAgICAgIAgIIAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAggIAgICCAICCAgICAgICAgICAgICAgICAgICAgICAgCFhAQEBAQEBAQCAgICAgICAgICAgICAgICAgICAgICAgbGxAQEBAQEBAICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgICAgICAgIQEBAQEBAQEBACAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIICAgICAgICAgICAgICAgICAgIAggIAgICAgIQEBAQEAgICAgICAgICAgICAgICAgICAgICAgQEBAQEBACAgIWCAgICAgICAgICAgICAgICAgICAgICAgICAgCAgICAhYCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAgICEBAICBAQEBAQEBAQEBAQEBAQEBACAhAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAIDQ0NAg0NAgICAgINDQ0NCAgICAIICAgCCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAg0NDQICAgINEBAQEBAQEBAQAgICAgICAhYWFhYWFhYWFgICAgICAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICBAQFggICAgICAgICAgICAgICAgICAgICAgICAgICAgIEBAQAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIICAgICAgICBsICAgICAgICAgICAgICAgICAgICAgICAgICAgIDQ0CAgICEBAQEBAWFhYWFhYWAgICAgICAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgICFhYWFhYWFggICAgICAgICAgICAgICAgICAgICAgCAhAQEBAQEBAQCAgICAgICAgICAgICAgICAgICAICAgICEBAQEBAQEBAICAgICAgICAgICAgICAgICAgCAgICAgICFhYWFgICAgICAgICAgICAhAQEBAQEBACAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKAgICAgICAgICAgICAgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgICAgICAgIQEBAQEBAICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgNDQ0NAgICAgICAgIODg4ODg4ODg4OAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEAICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgIEBAQEBAQEBAQEAgCAgICAgICAggICAgICAgICAgICAgICAgICAgICAgNDQ0NDQ0NDQ0NDRAQEBAWFhYWFgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgILDQsICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICA0NDQ0NDQ0NDQ0NDQ0NDRYWFhYWFhYCAgICEBAQEBAQEBAQEBAQEBAQEBAQEBAODg4ODg4ODg4OAgICAgICAgICAgICAgICDQ0NCwgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAsLCw0NDQ0LCw0NFhYBFhYWFgICAgICAgICAgICAQICCAgICAgICAgICAgICAgICAgICAgICAgICAICAgICAgIODg4ODg4ODg4OAgICAgICDQ0NCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIDQ0NDQ0LDQ0NDQ0NDQ0CDg4ODg4ODg4ODhYWFhYICwsCAgICAgICAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICA0WFggCAgICAgICAgINDQsICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgLCwsNDQ0NDQ0NDQ0LCwgICAgWFhYWDQ0NDRYCAg4ODg4ODg4ODg4IFggWFhYCEBAQEBAQEBAQEBAQEBAQEBAQEBACAgICAgICAgICAggICAgICAgICAgICAgICAgICAIICAgICAgICAgICAgICAgICAgICAgICAgICwsLDQ0NCwsNCw0NFhYWFhYWDQICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICCAgICAgICAIIAggICAgCCAgICAgICAgICAgICAgIAggICAgICAgICAgWAgICAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgNCwsLDQ0NDQ0NDQ0CAgICAg4ODg4ODg4ODg4CAgICAgINDQsLAggICAgICAgIAgIICAICCAgICAgICAgICAgICAgICAgICAgICAIICAgICAgIAggIAggICAgIAg0NCAsLDQsLCwsCAgsLAgILCwsCAggCAgICAgILAgICAgIICAgICAsLAgINDQ0NDQ0NAgICDQ0NDQ0CAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgLCwsNDQ0NDQ0NDQsLDQ0NCw0ICAgIFhYWFhYODg4ODg4ODg4OAhYCFg0CAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgLCwsNDQ0NDQ0LDQsLCwsNDQsNDQgIFggCAgICAgICAg4ODg4ODg4ODg4CAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgLCwsNDQ0NAgILCwsLDQ0LDQ0WFhYWFhYWFhYWFhYWFhYWFhYWFhYWFggICAgNDQICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgLCwsNDQ0NDQ0NDQsLDQsNDRYWFggCAgICAgICAgICAg4ODg4ODg4ODg4CAgICAgIWFhYWFhYWFhYWFhYWAgICAgICAgICAgICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgNCw0LCw0NDQ0NDQsNAgICAgICAgIODg4ODg4ODg4OAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgIAgINDQ0LCw0NDQ0LDQ0NDQ0CAgICDg4ODg4ODg4ODhAQFhYWGwICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICwsLDQ0NDQ0NDQ0NCw0NFgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGDg4ODg4ODg4ODhAQEBAQEBAQEAICAgICAgICAgICAggCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICCA0NDQ0NDQ0NDQ0ICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIDQ0NDQ0NCwgNDQ0NFhYWFhYWFhYNAgICAgICAgIIDQ0NDQ0NCwsNDQ0ICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgIICAgIDQ0NDQ0NDQ0NDQ0NDQsNDRYWFggWFhYWFgICAgICAgICAgICAgICAgICAgICAgICAgICAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgICAgICAggICAgICAgICAIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICw0NDQ0NDQ0CDQ0NDQ0NCw0IFhYWFhYCAgICAgICAgICDg4ODg4ODg4ODhAQEBAQEBAQEBAQEBAQEBAQEBACAgIWFggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQILDQ0NDQ0NDQsNDQsNDQICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIICAgICAgIAggIAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIDQ0NDQ0NAgICDQINDQINDQ0NDQ0NCA0CAgICAgICAg4ODg4ODg4ODg4CAgICAgIICAgICAgCCAgCCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgLCwsLCwINDQILCw0LDQgCAgICAgICDg4ODg4ODg4ODgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIICAgICAgICAgICAgICAgICAgIDQ0LCxYWAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIPDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8PDw8CFhYWFhYCAgICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCDg4ODg4ODg4ODgICAgIWFgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICDQ0NDQ0WAgICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICA0NDQ0NDQ0WFhYWFhsbGxsHBwcHFhsCAgICAgICAgICDg4ODg4ODg4ODgIQEBAQEBAQAggICAgICAgICAgICAgICAgICAgICAICAgICCAgICAgICAgICAgICAgICAgICAICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBhAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQFhYWFgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgICAgICAgICAgIICwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwsLCwICAgICAgICAgICAgICAgINDQ0NBwcHBwcHBwcHBwcHBwICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIHBwICAgICAgICAgICAgICAgICAgICAgICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgICAgICAgICAgICAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAgICAgICAgICAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICAgICCAgICAgICAgICAgICAICAggICAgICAgICAICAgICAgIICAgICAgICAgIAgIbDQ0WAQEBAQICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbAgICAgICAgICAhsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGwICGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbCwsNDQ0bGxsLCwsLCwsBAQEBAQEBAQ0NDQ0NDQ0NGxsNDQ0NDQ0NGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbDQ0NDRsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbAgICAgICAgICAgICAgICAgICAgICAgIbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsNDQ0bAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAhAQEBAQEBAQEBAQEBAQEBAQEBAQAgICAgICAgICAgICGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbAgICAgICAgICEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEAICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgYGBgYGBgYCBgYGBgYGBgYGBgYGBgYGBgYGCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgoCCgoCAgoCAgoKAgIKCgoKAgoKCgoKCgoKBgYGBgIGAgYGBgYGBgYCBgYGBgYGBgYGBgYKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGCgoCCgoKCgICCgoKCgoKCgoCCgoKCgoKCgIGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgoKAgoKCgoCCgoKCgoCCgICAgoKCgoKCgoCBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgICCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKChoGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGGgYGBgYGBgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoaBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBhoGBgYGBgYKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKGgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYaBgYGBgYGCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKChoGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGGgYGBgYGBgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoaBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBhoGBgYGBgYKBgICDg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4ODg4NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NGxsbGw0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NGxsbGxsbGxsNGxsbGxsbGxsbGxsbGxsNGxsWFhYWFgICAgICAgICAgICAgICAg0NDQ0NAg0NDQ0NDQ0NDQ0NDQ0NDQICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICDQ0NDQ0NDQINDQ0NDQ0NDQ0NDQ0NDQ0NDQICDQ0NDQ0NDQINDQINDQ0NDQICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgIQEBAQEBAQEBANDQ0NDQ0NAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBg0NDQ0NDQ0CAgICAg4ODg4ODg4ODg4CAgICFhYCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBsQEBAYEBAQEAICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAggICAgCCAgICAgICAgICAgICAgICAgICAgICAgICAgIAggIAggCAggCCAgICAgICAgICAIICAgIAggCCAICAgICAggCAgICCAIIAggCCAgIAggIAggCAggCCAIIAggCCAIICAIIAgIICAgIAggICAgICAgCCAgICAIICAgIAggCCAgICAgICAgICAIICAgICAgICAgICAgICAgICAICAgICCAgIAggICAgIAggICAgICAgICAgICAgICAgIAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAhoaAgICAgICAgICAgICAgIbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGwICAgIbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbAgICAgICAgICAgICGxsbGxsbGxsbGxsbGxsbAgIbGxsbGxsbGxsbGxsbGxsCGxsbGxsbGxsbGxsbGxsbAhsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsCAgICAgICAgICEBAQEBAQEBAQEBAQEAICAhsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbAgICAhsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGwICAgICAgICAgICAgIbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGwICAgIbGxsbGxsbGxsCAgICAgICGxsCAgICAgICAgICAgICAhsbGxsbGwICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxkZGRkZGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbAgICAgICAgICAgIbGxsbGxsbGxsbGxsbAgICGxsbGxsbGxsbGwICAgICAhsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbAgICAgICAgICAgICGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIbGxsbGxsbGxsbGxsCAgICGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsCAgICAgICAhsbGxsbGxsbGxsCAgICAgIbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbAgICAgICAgIbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICGxsbGxsbGxsbGxsbAgICAhsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbAhsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsCAhsbGxsCAgIbAhsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGwICAgICAgICAgICAgIbGxsbGxsbGxsbAgICAgICGxsbAgICAgICAgICAgICAhsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGxsbGwICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAhsbGxsbGxsbGxsbGxsbAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAgICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgCAgICAgICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAggICAgICAgICAgICAgICAgICAgICAgICAgICAgICAICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAQICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NDQ0NAgICAgICAgICAgICAgICAoAAAAAAAAAAgAAAAAAAAACAAAAAAAAAAIAAAAAAAAAAgAAAAAAAAACAAAAAAAAAAIAAAAAAAAAAgAAAAAAAAACAAAAAAAAAAIA=");n(g,81444,"ggAAAAAAAAIAAAAAAAAAAgAAAAAAAAAC");n(g,81491,"AgAAAAAAACAAAAAAAAAAIA==");n(g,81522,"IA==");n(g,81538,"IAAAAAAAAAAg");n(g,81634,"IA==");n(g,81650,"IA==");n(g,81666,"IAAAAAAAAAAg");n(g,81698,"IAAAAAAAAAAgAAAAAAAAACAAAAAAAIAAAAAAAAAAgA==");n(g,81744,"gAAAAAAAAACAAAAAAAAAAIA=");n(g,81776,"gAAAAAAAAACA");n(g,81920,"gAAAAAAAAACAAAAAAAAAAIAAAAAAAAAAgAAAAAAAAACAAAAAAAAAAAAU");n(g,81977,"FAAAAAAAAAAU");n(g,82001,"FAAAAAAAAAAE");n(g,82025,"BAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABA=");n(g,82113,"EAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABA=");n(g,82185,"EAAAAAAAAAAQAAAAAAAAABAAAAAAAACA");n(g,82240,"gAAAAAAAAACA");n(g,82288,"gAAAAAAAAACAAAAAAAAAAIAAAAAAAAAAgAAAAAAAAACAAAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABA==");n(g,82369,"BAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABA==");n(g,82409,"BAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAQAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAABAAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABA==");n(g,82641,"BAAAAAAAAAAE");n(g,82665,"BAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAQAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABA==");n(g,83049,"BAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABA==");n(g,83113,"BAAAAAAAAAAE");n(g,83137,"BAAAAAAAAAAEAAAAAAAAAAQAAAAAAAAABAAAAAAAAAAEAAAAAAAAQAAAEAAAAAFAAAAQAAAAgEAAABAAAAAQQAAAAAAAACBAAAAAAAAAgEAAAAAAAAAAQAAAAAAAAABAAAAQAAAAgEAAAAAAAAAQQAAAAAAAAARAAAAAAAAAAEAAAAAAAAAAQA==");n(g,83304,"QA==");n(g,83319,"AkAAAAAAAAAQQAAAEAAAAIBAAAAAAAAACEA=");n(g,83368,"QAAAAAAAABBAAAAQAAAAgAAg");n(g,83395,"gAAAAABAAACQggAAIEAAAJAAAAAAAAAAgAAAAABAAACQggAAIEAAAJCCAAAgAAAAgAAAAAAAAACAAAAAAAAAAIAAAAAAQAAAkIIAACBAAACQggAAIEAAAJCCAAAgQAAAkAAAAEBAAACQAAAAYEAAAJCCAABgQAAAkIIAACBAAACQggAAIEAAAJCCAAAgQAAAkIIAACBAAACQggAAIAAAAIAAAAAEAAAAAAAAAIAAAAAAAAAACAAAAAAAAAAEAAAAAAAAACAAAAAAAAAAQAAAAAAAAACAAAAAAAAAAIAAAAAAAAAAAkAAAAAAAAAQQAAAEAAAAIBAAAAAAAAABEAAAAAAAAAIAAAAgIIAAAAAAACAgAAAAAAAAIAAAAAAAAAAgIYAAAAAAACAhgAAAAAAAICAAAAAAAAAgIAAAAAAAACAggAAAAAAAICAAAAAAAAAgIAAAAAAAACAgAAAAAAAAICAAAAAAAAAgJIAAACAAACAggAAAIAAAICCAAAAAAAAgIIAAAAAAACAggAAAIAAAICCAAAAAAAAgIIAAAAAAACAggAAAAAAAICAAAAAAAAAgIAAAAAAAACAggAAAAAAAICGAAAAAAAAgIIAAAAAAACAhgAAAAAAAICCAAAAAAAAgIIAAAAAAACAggAAAAAAAICCAAAAAAAAgIAAAAAAAACAggAAAAAAAICAAAAAAAAAgIIAAAAAAACAggAAAAAAAICCAAAAAAAAgIAAAAAAAACAggAAAAAAAICGAAAAAAAAgJIAAAAAAACAhgAAAAAAAICAAAAAAAAAgIAAAAAAAACAhg==");n(g,84015,"IAAAAACCAAAgAAAAAIIAAAAAAAAAggAAAAAAAACGAAAAAAAAAIIAAAAAAAAAggAAAAAAAACCAAAAaW5maW5pdHkALSsgICAwWDB4AHN0ZDo6YmFkX2Nhc3QAJXMlYyVzX2RpY3QAJXMlYyVzJWMlcyVzACVzJWNzb3VuZGljb25zJWMlcwBDb21waWxlIGVycm9yAHN0ZDo6ZXhjZXB0aW9uAHRlcm1pbmF0aW5nAF8wbGFuZwB1bmV4cGVjdGVkX2hhbmRsZXIgdW5leHBlY3RlZGx5IHJldHVybmVkACVkICVkICVkICVkICVkICVkICVkICVkICVkICVkACVzJWMlYwByYgBwaG9udGFiAHJ3YQBYWFhYWFgATENfQUxMAEVTUEVBS19EQVRBX1BBVEgAQwBBTlNJX1gzLjQtMTk2OAAzLjEuNzEAIS0tAFB1cmUgdmlydHVhbCBmdW5jdGlvbiBjYWxsZWQhACVzCgBlc3BlYWs6IEJhZCBpbnRvbmF0aW9uIGRhdGEKAAABAgQHAwYFAAAAAEAAAAAAAAAAcGhvbmluZGV4ACVzJWMlYyVzACAlcwBzdGQ6OmJhZF9leGNlcHRpb24ARW1zY3JpcHRlbgBuYW4AP3htbAAlcy8uLi9waHNvdXJjZQBzdGQ6OmJhZF90eXBlaWQAdGVybWluYXRlX2hhbmRsZXIgdW5leHBlY3RlZGx5IHJldHVybmVkACVkICVkICVkICVkICVkICVkICVkICVkAHJiAFdyb25nIHZlcnNpb24gb2YgZXNwZWFrLW5nLWRhdGEASQBMQU5HAEhPTUUAQU5TSV9YMy40LTE5ODYAKG51bGwpAEZhaWxlZCB0byBvcGVuOiAnJXMnAERlbGV0ZWQgdmlydHVhbCBmdW5jdGlvbiBjYWxsZWQhAG51bWJlcnM6IEJhZCBvcHRpb24gbnVtYmVyICVkCgBfY2FwAGVtc2NyaXB0ZW4AVGhlIEZJRk8gYnVmZmVyIGlzIGZ1bGwAZXNwZWFrACVkICVkICVkAHN0ZDo6YmFkX2FsbG9jACVjJXMlYyVzJWMAcGhvbmRhdGEAL3Vzci9zaGFyZS9lc3BlYWstbmctZGF0YQAvdG1wL2VzcGVha1hYWFhYWABMAFBTQVJIVElWWU1VQkYAQVNNTy03MDgAQy5VVEYtOAAgKAAlczogQmFkIG9wdGlvbiBudW1iZXIgJWQKAFVuc3VwcG9ydGVkIHNwZWN0cmFsIGZpbGUgZm9ybWF0LgoAQ2FuJ3QgcmVhZCBkaWN0aW9uYXJ5IGZpbGU6ICclcycKAC0wWCswWCAwWC0weCsweCAweABpbnRvbmF0aW9ucwBwaG9uZW1lcwAlcyAlcyAlcyAlcyAlcyAlcwBlbgBiYWRfYXJyYXlfbmV3X2xlbmd0aABub25lAFRoZSBlc3BlYWstbmcgbGlicmFyeSBoYXMgbm90IGJlZW4gaW5pdGlhbGl6ZWQAJWMlZABQT1NJWABNAEMuVVRGLTgARUNNQS0xMTQAIzEARW1wdHkgX2RpY3QgZmlsZTogJyVzCgBSZXBsYWNlOiAlcyA+ICVzCgAgIHN1ZmZpeCBbJXNdCgoAJXMvcGhvbmVtZXMAJXMlcyVzAGJwAGFsbABpbmYAQ2Fubm90IGluaXRpYWxpemUgdGhlIGF1ZGlvIGRldmljZQAlcyVjdm9pY2VzJWMATgBOVUxMAEVDTUEtMTE4AFVURi04AHdhc20zMgBlc3BlYWs6IE5vIGVudmVsb3BlCgBCYWQgZGF0YTogJyVzJyAoJXggbGVuZ3RoPSV4KQoAVGhlIHNwZWNpZmllZCBlc3BlYWstbmcgdm9pY2UgZG9lcyBub3QgZXhpc3QAJXMlcwAlcyVjJXMAX2NhcABiaGYAc29tZQBbAiVzXV0AUABJTkYARUxPVF85MjgAZW5fVVMuVVRGLTgAXyMlZCAAQ29tcGlsaW5nIHBob25lbWUgZGF0YTogJXMKAEZ1bGwgZGljdGlvbmFyeSBpcyBub3QgaW5zdGFsbGVkIGZvciAnJXMnCgBVbmtub3duIHR1bmUgJyVzJwoAJTVkOgkAZHQAbm8AbmFuAF9yb21hbgBDb3VsZCBub3QgbG9hZCB0aGUgbWJyb2xhLmRsbCBmaWxlACVkICVkACVzJWNsYW5nJWMAcmIAWwJfXl8lcyAlcyBfXl8lc11dAFMAXz9BAElCTTM2NwA/JWQgACVzJWMlcwAlcy8lcwByAGljb24AZW4AQ291bGQgbm90IGxvYWQgdGhlIHNwZWNpZmllZCBtYnJvbGEgdm9pY2UgZmlsZQBnYwBaAE5BTgBfPz8APHNheS1hcyBpbnRlcnByZXQtYXM9InR0czpjaGFyIj4mIyVkOzwvc2F5LWFzPgBJQk04MTkAKiAAICAlZCAlcyAgICAASW52YWxpZCBpbnN0cnVjdGlvbiAlLjR4IGZvciBwaG9uZW1lICclcycKAABwaG9uZGF0YS1tYW5pZmVzdABUaGUgZXZlbnQgYnVmZmVyIGlzIGZ1bGwAc3BlbGxpbmcAX2xpZwBjb25maWcAJXMvZXNwZWFrLW5nLWRhdGEAJXMlc18ASVNDSUkAaEEAbCdldEAALgAtACglcykAASVkSSAAJXgAdwAlc3J1bGVzLnR4dAArJXMAcgBfLnAAcGl0Y2gAVGhlIHJlcXVlc3RlZCBmdW5jdGlvbmFsaXR5IGhhcyBub3QgYmVlbiBidWlsdCBpbnRvIGVzcGVhay1uZwBfc21jAENjAG1iAElTT182NDYuaXJ2OjE5OTEAdiA8PSB2b3dlbF9jb3VudABUaGUgcGhvbmVtZSBmaWxlIGlzIG5vdCBpbiBhIHN1cHBvcnRlZCBmb3JtYXQAY2hhcmFjdGVycwAlYyVzJXMlcwAgJXMAX3R1cgBlbgBDZgBuZAAlcyAlZABJU09fODg1OS0xACMgVGhpcyBmaWxlIGxpc3RzIHRoZSB0eXBlIG9mIGRhdGEgdGhhdCBoYXMgYmVlbiBjb21waWxlZCBpbnRvIHRoZQojIHBob25kYXRhIGZpbGUKIwojIFRoZSBmaXJzdCBjaGFyYWN0ZXIgb2YgYSBsaW5lIGluZGljYXRlcyB0aGUgdHlwZSBvZiBkYXRhOgojICAgUyAtIEEgU1BFQ1RfU0VRIHN0cnVjdHVyZQojICAgVyAtIEEgd2F2ZWZpbGUgc2VnbWVudAojICAgRSAtIEFuIGVudmVsb3BlCiMKIyBBZGRyZXNzIGlzIHRoZSBkaXNwbGFjZW1lbnQgd2l0aGluIHBob25kYXRhIG9mIHRoaXMgaXRlbQojCiMgIEFkZHJlc3MgIERhdGEgZmlsZQojICAtLS0tLS0tICAtLS0tLS0tLS0KAF9yZXYAdmFyaWFudAAlc3J1bGVzAHR0czpjaGFyAHNvdW5kaWNvbgBDbgBfZWwAbmcAc3JjL2xpYmVzcGVhay1uZy9kaWN0aW9uYXJ5LmMAX3N1YgBwaG9uZGF0YQBUaGUgc3BlY3RyYWwgZmlsZSBkb2VzIG5vdCBjb250YWluIGFueSBmcmFtZSBkYXRhAAErMTBTAElTT184ODU5LTE6MTk4NwB0dHM6a2V5ACVzJWMlc19kaWN0AHRzAFRoZSBwaG9uZW1lIG1hbmlmZXN0IGZpbGUgZG9lcyBub3QgY29udGFpbiBhbnkgcGhvbmVtZXMAXyVjICVzAF9jeXIAX3N1cABDbwBfY3JsAHdiACABLTEwUwBJU09fODg1OS0yAC0AVW5wcm9ub3VuY2FibGU/ICclcycKAF9oeQBwaG9uaW5kZXgAX2FjdQB0dHM6ZGlnaXRzAENzACAlcyAlZCAlcwAnZTpqAGFwb3N0cm9waGUAVGhlIHBob25lbWUgZmVhdHVyZSBpcyBub3QgcmVjb2duaXNlZAB0QQBJU09fODg1OS0yOjE5ODcAd2IrAFRyYW5zbGF0ZSAnJXMnCgBfYnJ2AGJyYWNrZXRzACVjZW4ASWkAdGVsZXBob25lAF9oZQBUaGUgdGV4dCBlbmNvZGluZyBpcyBub3Qgc3VwcG9ydGVkACVkICVkAHBob250YWIAWwIoWDEpKFgxKShYMSldXQBuQQBiJ2k6AElTT184ODU5LTMAVXNpbmcgcGhvbmVtZXRhYmxlOiAnJXMnCgBVbnNwZWNpZmllZCBlcnJvciAweCV4AHJvb3RzAGdseXBocwAlYyVzAF9hcgBMbAAlcy9jb21waWxlX3Byb2dfbG9nAGJyYWNrZXRzQW5ub3VuY2VkACVkAF9oYWMAX15fAHMnaToASVNPXzg4NTktMzoxOTg4AGxpc3QAZGljdF9taW4AZW4ATG0AeC13ZWFrAGJhc2UAX2NlZABfc3ljAGQnaToASVNPXzg4NTktNABCYWQgdm9pY2UgYXR0cmlidXRlOiAlcwoARXJyb3IgcHJvY2Vzc2luZyBmaWxlICclcyc6ICVzLgoAbGlzdHgAZGljdHJ1bGVzAF9jaXIATG8Ad2VhawBfaGkAJ2k6AElTT184ODU5LTQ6MTk4OAAlcyAASW52YWxpZCBwaG9uZW1lIGNvZGUgJWQKAApSZWZzICVkLCAgUmV1c2VkICVkCgBFcnJvcjogJXMgYXQgJyVzJyAoZXhwZWN0ZWQgMHgleCwgZ290IDB4JXgpLgoAVW5rbm93biBwaG9uZW1lIHRhYmxlOiAnJXMnCgBMdAAlYyVzAGludG9uYXRpb24AX2JuAG1lZGl1bQBlbW9qaQAnZWYAX2RpYQBJU09fODg1OS01AFJlcGxhY2U6ICVzICAlcwoAQ29tcGlsZWQgcGhvbmVtZXM6ICVkIGVycm9ycy4KAEVycm9yOiAlcy4KAGhzeABMdQAlcy8uLi9waHNvdXJjZS9pbnRvbmF0aW9uLnR4dABsX2RpZXJlc2lzACVzKyVzAF9ndXIAaW9uAHN0cm9uZwBleHRyYQBJU09fODg1OS01OjE5ODgAX2FjMgBsX3ByZWZpeABfZ3UAX2RvdAAlcyVjdm9pY2VzAHIAeC1zdHJvbmcATWMASVNPXzg4NTktNgBDb21waWxpbmc6ICclcycKAF9ncnYAbF9yZWdyZXNzaXZlX3YAcnMAX29yACVzLy4uL3Boc291cmNlL2ludG9uYXRpb24AJXMlY2xhbmcATWUAcmVkdWNlZABJU09fODg1OS02OjE5ODcAJDEAaXIAX21jbgBNbgBtb2RlcmF0ZQB0dW5lAGxfdW5wcm9ub3VuY2FibGUAX3RhAElTT184ODU5LTcAJDIAbWIvACVzL2ludG9uYXRpb25zAHVyAF9vZ28AbF9zb25vcmFudF9taW4AcmF0ZQBfdGUATmQASVNPXzg4NTktNzoxOTg3ACQzAC8vAF9rbgBObABhdGgAX3JuZwB2b2x1bWUAYXBvc3Ryb3BoZQBsb3dlcmNhc2VTZW50ZW5jZQBJU09fODg1OS04ACQ0AER1cGxpY2F0ZSB0dW5lIG5hbWU6ICclcycAYnJhY2tldHMAbnVtYmVycwBucwBObwBfbWwAX3N0awByYW5nZQBCYWQgdHVuZSBuYW1lOiAnJXM7AElTT184ODU5LTg6MTk4OAAkNQBzcGVsbGluZ1N0cmVzcwBfc2kAX3RsZABmaWVsZABicmFja2V0c0Fubm91bmNlZABQYwBJU09fODg1OS05ACQ2AEJhZCBlbnZlbG9wZSBuYW1lOiAnJXMnAF9iYXIAZGljdF9taW4AX3RoAHNwb25nAG1vZGUAVHVuZSAnJXMnIG5vdCBmb3VuZABzdHJlc3NBZGQAUGQASVNPXzg4NTktOToxOTg5ACQ3AF9yZngAJHUAZGljdHJ1bGVzAHN0cmVzc0FtcABfbG8AcHVuY3R1YXRpb24AcmFuZwBQZQBJU09fODg1OS0xMABVbmV4cGVjdGVkOiAnJXMnAGNhcGl0YWxfbGV0dGVycwBpbnRvbmF0aW9uAF9ob2sAX3RpAHN0cmVzc0xlbmd0aABsYXJnAFBmAFR1bmUgJyVzJyBub3QgZGVmaW5lZABJU09fODg1OS0xMDoxOTkyACR1MQBfbXkAc3RyZXNzT3B0AGxfZGllcmVzaXMAXyMlcwBsZXZlbABQaQBJU09fODg1OS0xNAAkdTIAYWRkIGUKAENvbXBpbGVkICVkIGludG9uYXRpb24gdHVuZXM6ICVkIGVycm9ycy4KAGxfcHJlZml4AGFscGhhYmV0AFRvbyBtYW55IHBob25lbWV0YWJsZXMAX3gjJXMAUG8Ac3RyZXNzUnVsZQBfa2EASVNPXzg4NTktMTQ6MTk5OAAkdTMAT3V0IG9mIG1lbW9yeQBsX3JlZ3Jlc3NpdmVfdgB0dW5lcwBQcwBfa28AcGgASVNPXzg4NTktMTUAXzAAJHUrAF9kcHQAd29yZHMAaW50ZXJwcmV0LWFzAF9ldGgAbF91bnByb25vdW5jYWJsZQBTYwBfAElTT184ODU5LTE2ACR1MSsAQmFkIHJ1bGVzIGRhdGEgaW4gJyVzX2RpY3QnIGF0IDB4JXggKCVjKQoAZm9ybWF0AGxfc29ub3JhbnRfbWluAFNrAF9icmFpbGxlAF8wTSVkAElTT184ODU5LTE2OjIwMDEAJHUyKwBDYW4ndCBmaW5kIGJhc2UgcGhvbmVtZXRhYmxlICclcycAJTNkCSVzIFslc10KAENhbm5vdCBzZXQgJXM6IGxhbmd1YWdlIG5vdCBzZXQsIG9yIGlzIGludmFsaWQuCgBTbQBkZXRhaWwAbG93ZXJjYXNlU2VudGVuY2UAX2phAElTTzY0Ni1VUwBfLgAkdTMrAF8BAG51bWJlcnMAU28AXyVsZG4AX3poACRwYXVzZQAlYyVkWQBwaG9uZW1lX2xlbiA8IE5fUEhPTkVNRV9CWVRFUwBJU08tMTA2NDYtVUNTLTIAJQBzcGVsbGluZ1N0cmVzcwBhbGlhcwBabAAkc3RyZW5kAElTTy04ODU5LTEAJSUARmxhZ3M6ICAlcyAgJXMKACVzJXMlYyVzJXMAWnAAbmFtZQBzdHJlc3NBZGQAJHN0cmVuZDIASVNPLTg4NTktMgAsAEZvdW5kOiAnJXMgJXMKAFpzACVzJXMlcyVjJXMARm91bmQ6ICclcwBzdHJlc3NBbXAAJHVuc3RyZXNzZW5kACVjJWRNAElTTy04ODU5LTMALCwAc3RyZXNzTGVuZ3RoACRhY2NlbnRfYmVmb3JlAF8wWiVkAHNyYwBJU08tODg1OS00AC0tACcAJyBbJXNdICAlcwoAJGFiYnJldgBzdHJlc3NPcHQAJXMvJXMAQWRsbQBfJWNkAElTTy04ODU5LTUAJycAJWMlcwBBZmFrAHN0cmVzc1J1bGUAJGRvdWJsZQAlYyVkSQA9AElTTy04ODU5LTYAJGFsdAB0dW5lcwBBZ2hiACVjJWRVAF86AElTTy04ODU5LTcAX2RwdDIA2Y4gINmPICDZkAB3b3JkcwBfJWRNJWRvAEFob20Ac3RyZW5ndGgASVNPLTg4NTktOAAkYWx0MQBfIQDYpyDZiCDZigBuYW1lAF8lZE0lZGUAQXJhYgAlYyVkQgA6AElTTy04ODU5LTkAJGFsdDIA2Kgg2b4g2Kog2Kkg2Ksg2Kwg2K0g2K4g2K8g2LAg2LEg2LIg2LMg2LQg2LUg2LYg2Lcg2Lgg2Lkg2Log2YEg2YIg2YMg2YQg2YUg2YYg2KYg2KQg2KEg2KMg2KIg2KUg2YcAXyVkTSVkeABBcm1pAHRpbWUAbGFuZ3VhZ2UAQAAkYWx0MwBJU08tODg1OS0xMADYtSDYtiDYtyDYuABnZW5kZXIAQXJtbgB4bWw6YmFzZQBfJWRNJWQAJGFsdDQASVNPLTg4NTktMTEAQC0AfHwAJXgAQXZzdAB2YXJpYW50cwBfMG9mACRhbHQ1AElTTy04ODU5LTEzACDZkSAAZm9ybWFudABfJXMlZG8AQmFsaQAlZAAkYWx0NgBJU08tODg1OS0xNAAxAEJhbXUAc3BlYWsAcGl0Y2gAXyVzJWRlACRhbHQ3AElTTy04ODU5LTE1ACNYMQBfJXMlZHgAQmFzcwBwaG9uZW1lcwAkY29tYmluZQB2b2ljZQA/AElTTy04ODU5LTE2AGRpY3Rpb25hcnkAcHJvc29keQAkZG90AEJhdGsAXyVzJWQAS09JOC1SAC0AJGhhc2RvdABzYXktYXMAQmVuZwByZXBsYWNlAF9eXwBMYXRpbi05AF8wTTIAQmhrcwBlY2hvAG1hcmsAJG1heDMAX1gxAF8lZE0xAFRJUy02MjAAX3wAQmxpcwBmbHV0dGVyACRicmsAVVMtQVNDSUkAXzBNMQAkdGV4dAByb3VnaG5lc3MAJXMlcwBwAEJvcG8AXzo6AFVURi04AGNsYXJpdHkAQnJhaAAkdmVyYmYAcGhvbmVtZQAxTUEAY3AzNjcAdCMAQnJhaQAkdmVyYnNmAHRvbmUAc3ViADBNQQBjcDgxOQAnIQBCdWdpAHZvaWNpbmcAJG5vdW5mAHR0czpzdHlsZQBfO18AY3NBU0NJSQAwTUIAYXVkaW8AYnJlYXRoACRwYXN0ZgBCdWhkADFNACNAAGNzSVNPODg1OTEzAGJyZWF0aHcAZW1waGFzaXMAQ2FrbQAkdmVyYgAjYQAwTQBjc0lTTzg4NTkxNABDYW5zAF8wQ28AJG5vdW4AYnJlYWsAI2UAbWJyb2xhAGNzSVNPODg1OTE1ACRwYXN0AGNvbnNvbmFudHMAQ2FyaQAjaQBtZXRhZGF0YQBjc0lTTzg4NTkxNgBfMEMwAGtsYXR0AGJyACNvAENoYW0AJHZlcmJleHRlbmQAXzBDAGNzSVNPTGF0aW4xACN1AENoZXIAJGNhcGl0YWwAbGkAJXMlYyVzJWMAZmFzdF90ZXN0MgBjc0lTT0xhdGluMgBDaXJ0ACRhbGxjYXBzAE1pc3NpbmcgZmlsZTogJXMAXzBhbmQAc3BlZWQAZGQAY3NJU09MYXRpbjMAQ29wdAAkYWNjZW50AG1haW50YWluZXIAXyVkQ28AcGhvbmVtZXRhYmxlIGlzIG1pc3NpbmcAaW1nAGNzSVNPTGF0aW40AENwcnQAc3RhdHVzACRzZW50ZW5jZQB0ZABLZXl3b3JkICdwaG9uZW1lJyBleHBlY3RlZABjc0lTT0xhdGluNQBfJWRDMAAkb25seQBUb28gbWFueSBwcm9jZWR1cmVzAEN5cmwAbWFsZQBfJWRDAGNzSVNPTGF0aW42AGgxACRvbmx5cwBDeXJzACVzJXMlcyVzAGZlbWFsZQBjc0lTT0xhdGluQXJhYmljACUuM2RQAGgyACVzJXMlYyVzACRzdGVtAE1pc3NpbmcgJ2VuZHBob25lbWUnIGJlZm9yZSBlbmQtb2YtZmlsZQAlZCAlZCAlZCAlZCAlZABjc0lTT0xhdGluQ3lyaWxsaWMARGV2YQBoMwBfJWRmeABNb3JlIHRoYW4gb25lIHBob25lbWUgdHlwZTogJXMARG9ncgBjc0lTT0xhdGluR3JlZWsAJGF0ZW5kAE5VTEwAaDQAY3NJU09MYXRpbkhlYnJldwBEc3J0ACRhdHN0YXJ0ACVkICVzICVzAGhyAF8lZGYATlVMTABfJWQlY3gAc2NyaXB0AER1cGwAJG5hdGl2ZQAhdiVjAGNzS09JOFIAJXgAc3R5bGUARWd5ZAAlc20lZABfJWQlYwAkPwBjc1RJUzYyMABmb250AEVneWgAYSBwaG9uZW1lIHR5cGUgb3IgbWFubmVyIG9mIGFydGljdWxhdGlvbiBtdXN0IGJlIHNwZWNpZmllZCBiZWZvcmUgc3RhcnR0eXBlACR0ZXh0bW9kZQBfJWRlACVzZiVkAGNzVVRGOAAlcy92b2ljZXMvJXMARWd5cABfJWRvAGEgcGhvbmVtZSB0eXBlIG9yIG1hbm5lciBvZiBhcnRpY3VsYXRpb24gbXVzdCBiZSBzcGVjaWZpZWQgYmVmb3JlIGVuZHR5cGUAJHBob25lbWVtb2RlAGNzVW5pY29kZQBiAGVuZHR5cGUgbXVzdCBlcXVhbCBzdGFydHR5cGUgZm9yIGNvbnNvbmFudHMAdW5wcgBhbGwAaQBhcmFiaWMAXyVkYQBFbGJhAG5vcHJlZml4AHZvaWNpbmdzd2l0Y2ggY2Fubm90IGJlIHVzZWQgb24gdm93ZWxzAGVtAEV0aGkAXyVkAGN5cmlsbGljAHN0cmVzcyBwaG9uZW1lcyBjYW4ndCBjb250YWluIHByb2dyYW0gaW5zdHJ1Y3Rpb25zAEdlb2sAZ3JlZWsAY29kZQBfJWRYJWMAd19hbHQxAFdhcm5pbmc6IG1heGltdW0gbnVtYmVyICVkIG9mIChOX1ZPSUNFU19MSVNUID0gJWQgLSAxKSByZWFjaGVkCgAlcyVjJXMAR2VvcgBfJWRYZgAlYyVkJWMAZ3JlZWs4AHdfYWx0MgBNaXNzaW5nICdlbmRwaG9uZW1lJyBiZWZvcmUgJyVzJwBoZWJyZXcAZGVmYXVsdABHbGFnAF8lZFgATWlzc2luZyBFTkRJRgB3X2FsdDMARXJyb3IgKCVzKTogZ2VuZGVyIGF0dHJpYnV0ZSBzcGVjaWZpZWQgb24gYSBsYW5ndWFnZSBmaWxlCgBzaWxlbnQAR29uZwAnZW5kcGhvbmVtZScgbm90IGV4cGVjdGVkIGhlcmUAaXNvLWNlbHRpYwB3X2FsdDQAX29yZDIwAHgtc29mdABHb25tAFBob25lbWUgdHlwZSBpcyBtaXNzaW5nAF9vcmQAaXNvLWlyLTYAd19hbHQ1AHNvZnQAR290aAB3X2FsdDYAaXNvLWlyLTEwMABCYWQgcGhvbmVtZSBuYW1lICclcycAd19hbHQAJXMlcyVzAEdyYW4AbG91ZABpc28taXItMTAxACVzOiAnJXMnLgBHcmVrAHgtbG91ZABpc28taXItMTA5AHBfYWx0MQB4LXNsb3cAR3VqcgBwX2FsdDIAaXNvLWlyLTExMABFeHBlY3RlZCAnKCcAc2xvdwBHdXJ1AGlzby1pci0xMjYAcF9hbHQzAEV4cGVjdGVkICcpJwBmYXN0AEhhbmcAVmFsdWUgJWQgaXMgZ3JlYXRlciB0aGFuIG1heGltdW0gJWQAaXNvLWlyLTEyNwBwX2FsdDQAeC1mYXN0AEhhbmkAaXNvLWlyLTEzOABwX2FsdDUAQ2Fubm90IGZpbmQgcGhvbmVtZSAnJXMnIHRvIGltcG9ydC4AeC1sb3cASGFubwBwX2FsdDYAaXNvLWlyLTE0NABQaG9uZW1lIGltcG9ydCB3aWxsIG92ZXJyaWRlIHNldCBwcm9wZXJ0aWVzLgBsb3cAcF9hbHQASGFucwBpc28taXItMTQ4AFBob25lbWUgcmVmZXJlbmNlIG5vdCBmb3VuZDogJyVzJwAlcyVzLnR4dABIYW50AGhpZ2gAaXNvLWlyLTE1NwBjb21waWxlOiB1bmtub3duIHBob25lbWUgdGFibGU6ICclcycAJXMlcwBIYXRyAHgtaGlnaABQaG9uZW1lIHByb2dyYW0gdG9vIGxhcmdlAGlzby1pci0xOTkASGVicgBpc28taXItMjI2AEV4cGVjdGVkIGEgY29uZGl0aW9uLCBub3QgJyVzJwBzcGFjZSAAQ2FuJ3QgYWxsb2NhdGUgbWVtb3J5CgBFeHBlY3RlZCBsaXN0IG9mIHN0cmVzcyBsZXZlbHMASGlyYQBsYXRpbjEAdGFiIAAJJWQgZW50cmllcwoASGx1dwBsYXRpbjIAVW5leHBlY3RlZCBrZXl3b3JkICclcycAdW5kZXJzY29yZSAAJTVkOiBVbmtub3duIGtleXdvcmQ6ICVzCgBIbW5nAHBob25lbWUAbGF0aW4zAGRvdWJsZS1xdW90ZSAAJTVkOiBNaXNzaW5nICcoJwoASHJrdABlbmRwaG9uZW1lAG1hbGUAbGF0aW40AEh1bmcAZmVtYWxlAEV4cGVjdGVkIEFORCwgT1IsIFRIRU4AbGF0aW41ACU1ZDogTmVlZCB0byBjb21waWxlIGRpY3Rpb25hcnkgYWdhaW4KAEluZHMAbmV1dHJhbABFTFNFIG5vdCBleHBlY3RlZABsYXRpbjYAJTVkOiBCYWQgcGhvbmVtZSBbJXNdIChVKyV4KSBpbjogJXMgICVzCgBVKyV4AEl0YWwASUYgYmxvY2sgaXMgdG9vIGxvbmcAeG1sOmxhbmcAbGF0aW44AHZhcmlhbnQARUxJRiBub3QgZXhwZWN0ZWQASmF2YQBsYXRpbjEwACU1ZDogRGljdGlvbmFyeSBsaW5lIGxlbmd0aCB3b3VsZCBvdmVyZmxvdyB0aGUgZGF0YSBidWZmZXI6ICVkCgBKcGFuAGFnZQBFTkRJRiBub3QgZXhwZWN0ZWQAbDEAJTVkOiBUd28gbWFueSBwYXJ0cyBpbiBhIG11bHRpLXdvcmQgZW50cnk6ICVkCgBnZW5kZXIASnVyYwBQYXJhbWV0ZXIgPiAxMjcAbDIALy8AJXMrJXMAS2FsaQAuTABQYXJhbWV0ZXIgPCAtMTI4AGwzAGd0AC5yZXBsYWNlAEthbmEAUGFyYW1ldGVyID4gMjU1AGw0AGx0AEtoYXIALmdyb3VwAERGVABsNQAweCV4ACVzLyVzLndhdgBLaG1yAGFtcABsNgBxdW90AENhbid0IHJlYWQgZmlsZTogJXMAS2hvagBsOAAlNWQ6IEdyb3VwIG5hbWUgbG9uZ2VyIHRoYW4gMiBieXRlcyAoVVRGOCkARmlsZSBub3QgU1BFQyBvciBSSUZGOiAlcwBuYnNwAEtuZGEAbDEwAApFeGNlZWRlZCBsaW1pdCBvZiBydWxlcyAoJWQpIGluIGdyb3VwICclcycKAHVzAGFwb3MAS29yZQAlYyAgMHglLjV4ICAlcwoAAMDg8P8fDwdwCnEKAAAAAAAAAAAoACkAWwBdAHsAfQA8AD4AIgAnAGAAqwC7AAowCzA84A==");n(g,93920,"ICAgICAgICAgICYlKyNTRFpBTCEgQD9KTktWP1RYP1dBQkNIRkdZPT0sLCcqICAAIAAhACIAsAIkACUA5gDIAigAKQB+AisAzAItAC4ALwBSAjEAMgBcAjQANQA2ADcAdQI5ANACsgI8AD0APgCUAlkCUQKyA+cA8ABbAkYAYgInAWoCXwJLAGsCcQJLAVQCpgNjAoACgwK4A4oCjAJTAccD+ACSAioDXABdAF4AXwBgAGEAYgBjAGQAZQBmAGECaABpAGoAawBsAG0AbgBvAHAAcQByAHMAdAB1AHYAdwB4AHkAegB7AHwAfQADA38APT0sLCcnAAMCBAUGBxoAAAAAAQECAwMEBQYHBwgJCgsAAAEBAgIDAwQFBgcHCAkKAAABAgMDAwQFBgcHBwgJClNldFdvcmRTdHJlc3MA5ADrAO8A9gD8AP8AAAAAAAAAYWFhYWFhYWNlZWVlaWlpaWRub29vb28Ab3V1dXV5dHNhYWFhYWFhY2VlZWVpaWlpZG5vb29vbwBvdXV1dXl0eWFhYWFhYWNjY2NjY2NjZGRkZGVlZWVlZWVlZWVnZ2dnZ2dnZ2hoaGhpaWlpaWlpaWlpaWlqamtra2xsbGxsbGxsbGxubm5ubm5ubm5vb29vb29vb3JycnJycnNzc3Nzc3NzdHR0dHR0dXV1dXV1dXV1dXV1d3d5eXl6enp6enpzYmJiYgAAb2NjZGRkZGRlZWVmZmdnaGlpa2tsbG1ubm9vb29vcHB5AABzc3R0dHR1dXV2eXl6enp6enp6AAAAd3R0dGtkZGRsbGxubm5hYWlpb291dXV1dXV1dXV1ZWFhYWFhYWdnZ2dra29vb296empkZGRnZ3d3bm5hYWFhb29hYWFhZWVlZWlpaWlvb29vcnJycnV1dXVzc3R0eXloaG5kb296emFhZWVvb29vb29vb3l5bG50amRxYWNjbHRzegAAYnV2ZWVqanFxcnJ5eWFhYWJvY2RkZWVlZWVl");n(g,94862,"TG9va3VwRGljdDIAAAAAAAAAgACBAIIAgwCEAIUAhgCHAIgAiQCKAIsAjACNAI4AjwCQAJEAkgCTAJQAlQCWAJcAmACZAJoAmwCcAJ0AngCfAKAAoQCiAKMApAClAKYApwCoAKkAqgCrAKwArQCuAK8AsACxALIAswC0ALUAtgC3ALgAuQC6ALsAvAC9AL4AvwDAAMEAwgDDAMQAxQDGAMcAyADJAMoAywDMAM0AzgDPANAA0QDSANMA1ADVANYA1wDYANkA2gDbANwA3QDeAN8A4ADhAOIA4wDkAOUA5gDnAOgA6QDqAOsA7ADtAO4A7wDwAPEA8gDzAPQA9QD2APcA+AD5APoA+wD8AP0A/gD/AIAAgQCCAIMAhACFAIYAhwCIAIkAigCLAIwAjQCOAI8AkACRAJIAkwCUAJUAlgCXAJgAmQCaAJsAnACdAJ4AnwCgAAQB2AJBAaQAPQFaAacAqABgAV4BZAF5Aa0AfQF7AbAABQHbAkIBtAA+AVsBxwK4AGEBXwFlAXoB3QJ+AXwBVAHBAMIAAgHEADkBBgHHAAwByQAYAcsAGgHNAM4ADgEQAUMBRwHTANQAUAHWANcAWAFuAdoAcAHcAN0AYgHfAFUB4QDiAAMB5AA6AQcB5wANAekAGQHrABsB7QDuAA8BEQFEAUgB8wD0AFEB9gD3AFkBbwH6AHEB/AD9AGMB2QKAAIEAggCDAIQAhQCGAIcAiACJAIoAiwCMAI0AjgCPAJAAkQCSAJMAlACVAJYAlwCYAJkAmgCbAJwAnQCeAJ8AoAAmAdgCowCkAP3/JAGnAKgAMAFeAR4BNAGtAP3/ewGwACcBsgCzALQAtQAlAbcAuAAxAV8BHwE1Ab0A/f98AcAAwQDCAP3/xAAKAQgBxwDIAMkAygDLAMwAzQDOAM8A/f/RANIA0wDUACAB1gDXABwB2QDaANsA3ABsAVwB3wDgAOEA4gD9/+QACwEJAecA6ADpAOoA6wDsAO0A7gDvAP3/8QDyAPMA9AAhAfYA9wAdAfkA+gD7APwAbQFdAdkCgACBAIIAgwCEAIUAhgCHAIgAiQCKAIsAjACNAI4AjwCQAJEAkgCTAJQAlQCWAJcAmACZAJoAmwCcAJ0AngCfAKAABAE4AVYBpAAoATsBpwCoAGABEgEiAWYBrQB9Aa8AsAAFAdsCVwG0ACkBPAHHArgAYQETASMBZwFKAX4BSwEAAcEAwgDDAMQAxQDGAC4BDAHJABgBywAWAc0AzgAqARABRQFMATYB1ADVANYA1wDYAHIB2gDbANwAaAFqAd8AAQHhAOIA4wDkAOUA5gAvAQ0B6QAZAesAFwHtAO4AKwERAUYBTQE3AfQA9QD2APcA+ABzAfoA+wD8AGkBawHZAoAAgQCCAIMAhACFAIYAhwCIAIkAigCLAIwAjQCOAI8AkACRAJIAkwCUAJUAlgCXAJgAmQCaAJsAnACdAJ4AnwCgAAEEAgQDBAQEBQQGBAcECAQJBAoECwQMBK0ADgQPBBAEEQQSBBMEFAQVBBYEFwQYBBkEGgQbBBwEHQQeBB8EIAQhBCIEIwQkBCUEJgQnBCgEKQQqBCsELAQtBC4ELwQwBDEEMgQzBDQENQQ2BDcEOAQ5BDoEOwQ8BD0EPgQ/BEAEQQRCBEMERARFBEYERwRIBEkESgRLBEwETQROBE8EFiFRBFIEUwRUBFUEVgRXBFgEWQRaBFsEXASnAF4EXwSAAIEAggCDAIQAhQCGAIcAiACJAIoAiwCMAI0AjgCPAJAAkQCSAJMAlACVAJYAlwCYAJkAmgCbAJwAnQCeAJ8AoAD9//3//f+kAP3//f/9//3//f/9//3/DAatAP3//f/9//3//f/9//3//f/9//3//f/9//3/Gwb9//3//f8fBv3/IQYiBiMGJAYlBiYGJwYoBikGKgYrBiwGLQYuBi8GMAYxBjIGMwY0BjUGNgY3BjgGOQY6Bv3//f/9//3//f9ABkEGQgZDBkQGRQZGBkcGSAZJBkoGSwZMBk0GTgZPBlAGUQZSBv3//f/9//3//f/9//3//f/9//3//f/9//3/gACBAIIAgwCEAIUAhgCHAIgAiQCKAIsAjACNAI4AjwCQAJEAkgCTAJQAlQCWAJcAmACZAJoAmwCcAJ0AngCfAKAAGCAZIKMArCCvIKYApwCoAKkAegOrAKwArQD9/xUgsACxALIAswCEA4UDhgO3AIgDiQOKA7sAjAO9AI4DjwOQA5EDkgOTA5QDlQOWA5cDmAOZA5oDmwOcA50DngOfA6ADoQP9/6MDpAOlA6YDpwOoA6kDqgOrA6wDrQOuA68DsAOxA7IDswO0A7UDtgO3A7gDuQO6A7sDvAO9A74DvwPAA8EDwgPDA8QDxQPGA8cDyAPJA8oDywPMA80DzgP9/4AAgQCCAIMAhACFAIYAhwCIAIkAigCLAIwAjQCOAI8AkACRAJIAkwCUAJUAlgCXAJgAmQCaAJsAnACdAJ4AnwCgAP3/ogCjAKQApQCmAKcAqACpANcAqwCsAK0ArgCvALAAsQCyALMAtAC1ALYAtwC4ALkA9wC7ALwAvQC+AP3//f/9//3//f/9//3//f/9//3//f/9//3//f/9//3//f/9//3//f/9//3//f/9//3//f/9//3//f/9//3//f8XINAF0QXSBdMF1AXVBdYF1wXYBdkF2gXbBdwF3QXeBd8F4AXhBeIF4wXkBeUF5gXnBegF6QXqBf3//f8OIA8g/f+AAIEAggCDAIQAhQCGAIcAiACJAIoAiwCMAI0AjgCPAJAAkQCSAJMAlACVAJYAlwCYAJkAmgCbAJwAnQCeAJ8AoAChAKIAowCkAKUApgCnAKgAqQCqAKsArACtAK4ArwCwALEAsgCzALQAtQC2ALcAuAC5ALoAuwC8AL0AvgC/AMAAwQDCAMMAxADFAMYAxwDIAMkAygDLAMwAzQDOAM8AHgHRANIA0wDUANUA1gDXANgA2QDaANsA3AAwAV4B3wDgAOEA4gDjAOQA5QDmAOcA6ADpAOoA6wDsAO0A7gDvAB8B8QDyAPMA9AD1APYA9wD4APkA+gD7APwAMQFfAf8AgACBAIIAgwCEAIUAhgCHAIgAiQCKAIsAjACNAI4AjwCQAJEAkgCTAJQAlQCWAJcAmACZAJoAmwCcAJ0AngCfAKAABAESASIBKgEoATYBpwA7ARABYAFmAX0BrQBqAUoBsAAFARMBIwErASkBNwG3ADwBEQFhAWcBfgEVIGsBSwEAAcEAwgDDAMQAxQDGAC4BDAHJABgBywAWAc0AzgDPANAARQFMAdMA1ADVANYAaAHYAHIB2gDbANwA3QDeAN8AAQHhAOIA4wDkAOUA5gAvAQ0B6QAZAesAFwHtAO4A7wDwAEYBTQHzAPQA9QD2AGkB+ABzAfoA+wD8AP0A/gA4AYAAgQCCAIMAhACFAIYAhwCIAIkAigCLAIwAjQCOAI8AkACRAJIAkwCUAJUAlgCXAJgAmQCaAJsAnACdAJ4AnwCgAAEOAg4DDgQOBQ4GDgcOCA4JDgoOCw4MDg0ODg4PDhAOEQ4SDhMOFA4VDhYOFw4YDhkOGg4bDhwOHQ4eDh8OIA4hDiIOIw4kDiUOJg4nDigOKQ4qDisOLA4tDi4OLw4wDjEOMg4zDjQONQ42DjcOOA45DjoO/f/9//3//f8/DkAOQQ5CDkMORA5FDkYORw5IDkkOSg5LDkwOTQ5ODk8OUA5RDlIOUw5UDlUOVg5XDlgOWQ5aDlsO/f/9//3//f+AAIEAggCDAIQAhQCGAIcAiACJAIoAiwCMAI0AjgCPAJAAkQCSAJMAlACVAJYAlwCYAJkAmgCbAJwAnQCeAJ8AoAAdIKIAowCkAB4gpgCnANgAqQBWAasArACtAK4AxgCwALEAsgCzABwgtQC2ALcA+AC5AFcBuwC8AL0AvgDmAAQBLgEAAQYBxADFABgBEgEMAckAeQEWASIBNgEqATsBYAFDAUUB0wBMAdUA1gDXAHIBQQFaAWoB3AB7AX0B3wAFAS8BAQEHAeQA5QAZARMBDQHpAHoBFwEjATcBKwE8AWEBRAFGAfMATQH1APYA9wBzAUIBWwFrAfwAfAF+ARkggACBAIIAgwCEAIUAhgCHAIgAiQCKAIsAjACNAI4AjwCQAJEAkgCTAJQAlQCWAJcAmACZAJoAmwCcAJ0AngCfAKAAAh4DHqMACgELAQoepwCAHqkAgh4LHvIerQCuAHgBHh4fHiABIQFAHkEetgBWHoEeVx6DHmAe8x6EHoUeYR7AAMEAwgDDAMQAxQDGAMcAyADJAMoAywDMAM0AzgDPAHQB0QDSANMA1ADVANYAah7YANkA2gDbANwA3QB2Ad8A4ADhAOIA4wDkAOUA5gDnAOgA6QDqAOsA7ADtAO4A7wB1AfEA8gDzAPQA9QD2AGse+AD5APoA+wD8AP0AdwH/AIAAgQCCAIMAhACFAIYAhwCIAIkAigCLAIwAjQCOAI8AkACRAJIAkwCUAJUAlgCXAJgAmQCaAJsAnACdAJ4AnwCgAKEAogCjAKwgpQBgAacAYQGpAKoAqwCsAK0ArgCvALAAsQCyALMAfQG1ALYAtwB+AbkAugC7AFIBUwF4Ab8AwADBAMIAwwDEAMUAxgDHAMgAyQDKAMsAzADNAM4AzwDQANEA0gDTANQA1QDWANcA2ADZANoA2wDcAN0A3gDfAOAA4QDiAOMA5ADlAOYA5wDoAOkA6gDrAOwA7QDuAO8A8ADxAPIA8wD0APUA9gD3APgA+QD6APsA/AD9AP4A/wCAAIEAggCDAIQAhQCGAIcAiACJAIoAiwCMAI0AjgCPAJAAkQCSAJMAlACVAJYAlwCYAJkAmgCbAJwAnQCeAJ8AoAAEAQUBQQGsIB4gYAGnAGEBqQAYAqsAeQGtAHoBewGwALEADAFCAX0BHSC2ALcAfgENARkCuwBSAVMBeAF8AcAAwQDCAAIBxAAGAcYAxwDIAMkAygDLAMwAzQDOAM8AEAFDAdIA0wDUAFAB1gBaAXAB2QDaANsA3AAYARoC3wDgAOEA4gADAeQABwHmAOcA6ADpAOoA6wDsAO0A7gDvABEBRAHyAPMA9ABRAfYAWwFxAfkA+gD7APwAGQEbAv8AgACBAIIAgwCEAIUAhgCHAIgAiQCKAIsAjACNAI4AjwCQAJEAkgCTAJQAlQCWAJcAmACZAJoAmwCcAJ0AngCfAKAABAEFAUEBrCAeIGABpwBhAakAGAKrAHkBrQB6AXsBsACxAAwBQgF9AR0gtgC3AH4BDQEZArsAUgFTAXgBfAHAAMEAwgACAcQABgHGAMcAyADJAMoAywDMAM0AzgDPABABQwHSANMA1ABQAdYAWgFwAdkA2gDbANwAGAEaAt8A4ADhAOIAAwHkAAcB5gDnAOgA6QDqAOsA7ADtAO4A7wARAUQB8gDzAPQAUQH2AFsBcQH5APoA+wD8ABkBGwL/AP3//f/9//3//f/9//3//f/9//3//f/9//3//f/9//3//f/9//3//f/9//3//f/9//3//f/9//3//f/9//3//f/9/wEJAgkDCQUJBgkHCQgJCQkKCQsJDgkPCRAJDQkSCRMJFAkRCRUJFgkXCRgJGQkaCRsJHAkdCR4JHwkgCSEJIgkjCSQJJQkmCScJKAkpCSoJKwksCS0JLgkvCV8JMAkxCTIJMwk0CTUJNgk3CTgJOQkgAD4JPwlACUEJQglDCUYJRwlICUUJSglLCUwJSQlNCTwJZAn9//3//f/9//3/IAAwADEAMgAzADQANQA2ADcAOAA5AP3//f/9//3//f8CAAAAAAAAAAEAAAADAAAA//36+Pb08vDu7Oro5uTi4N7c2tjW1NLQzszKyMbEwsC+vLq4trSysK6sqqimpKKgnpyamJaUkpCOjIqIhoSCgH58enh2dHJwbmxqaGZkYmBeXFpYVlRSUE5MSkhGREJAPjw6ODY0MjAuLCooJiQiIB4cGhgWFBIQDgwKCAYEAgAAAgQGCAoMDhASFBYYGhweICIkJigqLC4wMjQ2ODo8PkBCREZISkxOUFJUVlhaXF5gYmRmaGpsbnBydHZ4enx+gIKEhoiKjI6QkpSWmJqcnqCipKaoqqyusLK0tri6vL7AwsTGyMrMztDS1NbY2tze4OLk5ujq7O7w8vT2+Pr9///06uDWzMO6saifl4+Hf3hxamNcVlBKRD85NC8rJiIeGhcTEA0LCAYEAgEAAAAAAAAAAQIDBAUHCAoMDhATFRcaHR8iJSgsLjAyNDY5Oz1AQkVHSkxPUVRXWl1fYmVoa25xdHh7foGFiIuPkpaZnaCkqKyvs7e7v8PHy8/T19vgz8zJxsPAvbm0sKunopyXkoyGgXt1b2ljXVdQSkQ+ODMtJyIcFxINCAQCAgEAAAAAAAEBAgMEBQcICgwNDxIUFhkbHiEkJyotMDQ2ODo8P0FDRkhLTVBSVVhaXWBjZmlsb3J1eHt+gYWIi4+SlpmdoKSorK+zt7u/w8fLz9PX2+D/+fTu6eTf2tXQy8bBvbizr6qmoZ2ZlZCMiISAfXl1cW5qZ2NgXVlWU1BNSkdEQT48OTc0Mi8tKygmJCIgHhwaGRcVFBIRDw4NDAoJCAcGBQUEAwICAQE=");n(g,99861,"AQECAgMEBAUGBwgJCgsMDg8QEhMVFxgaHB4g0M7NzMrIx8XDwcC9u7i1s7CtqqejoJ2ZlpKPi4eEgHx4dHBtaWVhXVlVUU1KRkI+Ozc0MS8tKigmJCIgHhwaGRcVFBIRDw4NDAoJCAcGBQUEAwICAQE=");n(g,99989,"AQECAgMEBAUGBwgJCgsMDg8QEhMVFxgaHB4gmJmZmpydn6Gkp6mssLO2ur7BxcnN0dTY3N/j5urt8PL19/n7/P3+/v////////79+/r49vPx7uzp5uTg3drX09DMyMTAvLi0sKyno5+alpGNiIR/e3ZybWllYFxYVFBMSERAPDk1Mi8rKCYjIB0aFxUSDw0KCAcFAwIBAAAAAAD+///////+/fz6+Pb08e7r6OXh3trW0s3JxL+6trCrpqGclpGLhoB7dW9qZF9ZVE9JRD86NTArJiIdGRURDQoHBAMBAAAAAAAAAAABAQIEBQcJCw0QEhUYGx4iJSktMTU6PkNITFFXW15iZWhrbnF0dnh7fH6AgYKDg4SEg4OCgXJycXFwb21samhmZGFfXFpXVFFOS0hFQj87ODUyLywpJiMgHRsYFhQSEA4MCwoJCAcHBwcHBgUFBQUFBQUFBQYHBwgJCgwNDxASFBYYGx0gIyYpLC8zNzs/Q0dMUVZbYGVqb3R5f4SJj5Wboaets7rAx87V3OPq8fX3+vz9/v///v79/fz7+/r6+fj49/f29vX09PPz8vLx8PDv7u7t7Ovq6uno5+bl5OPi4eDe3dzb2djW1dPS0M7My8nHxcPAvry5t7Wyr62qp6ShnpqXlJCNiYWBfXl1cW1oZGFeW1dUUU1KRkNAPDk1Mi4qJyMfHBgUEQ0LCQcFBAMCAQAAAAAAAAAAAQEBAgIDAwQEBQYGBwgICQoLDAwNDg8QERITFBYXGBkbHB0fICIjJSYoKSstLzAyNDY4Ojw+QEJER0lLTlBSVVdaXV9iZWdqbXBzdnl8f4KGiYyQk5aanaCjpqmsr7K1uLu+wcTHys3Q09bZ3N/i5Ofp7O7w8vT2+Pr7/X9/f4CBg4SHiYyPkpaZnaGlqq6yt7vAxcnN0tba3uLm6u3w8/X4+vv8/f7+/fz7+ff08Ozn4tzVzsa9tKmekoiCfXdybGZgWlROSUI8NzItKCQfGxgUEQ4MCQcGBQQEBAQFBggKDRAUGB0jKS83PkdQWmRwfIOFiIqMjo+RkpOTCQAAAAkAAAAQAAAAEAAAABAAAAAXAAAANwAAACAAAAAAKBgIAAo0IBQKBiYYDgQAAEAIAEYSAAAAAAAAGAwAAARQEgZOFgAAAAAAACI0AAAEWBYGUhYAAAAAAAAiQAAAAFwIAFxQAAAAAAAATAgBAABWBABeQgAAAAAAACIKAAAAPgoAPhQAAAAAAAAcEAAABEQSBkQWAAAAAAAAHiwAAAZAEABCIAAAAAAAACASAAACRC4AKiAAAAAAAAAuOgAABE4YBkgWAAAAAAAAKjQAAARYIgBAIAAAAAAAAC5SAAAAOAwAOBQAAAAAAAAYDAAAAEYSAEYYAAAAAAAAIBQAAAYAAAAHAAAACQAAAAkAAAAUAAAAFAAAABQAAAAZAAAA5iAUCA==");n(g,101088,"ZgNmAWYCpgSmAiYEpoooAmoDagFqAqoCbgNuAW4CrgIpALMEdAN0AXQCtAS0AgAAdAR6A3oBegK6An4BOQC+AgAApgMAAKYBAADmAwAAaAEAAGgCAAAoAwAA6AEAAOkBAABpBAAAqgMAAKoBAAAqAwAA6gMAAOoBAABsAgAArAEAACwDAAAsAgAAbQIAAG0EAACuBAAArgMAAK4BAADuAwAALgAAAO6LAABvAgAAMAIwAAAAcQEAADECAADxAQAAMQMAAHEEAABzAQAAMwIAAPMBMwAAADMAAAC0AwAAtAEAAPQCAAC0igAAdwEAADcCAAD3AQAAeAEAAHgCAAA4AgAA+AEAADkCAAD5AQAAeQQAALoEAAC6AwAAugEAADoEAAD6AgAA+gMAAHwCAAB+AgAAAAB/AQAAPwMAAP8BOACmAAEAgQBnBQAAKAEpBWkF6gAAAEIFAADDAEMdAADvBGwFLABsAAQAAACtAG0FAADuBAUAbgCxBPEEMQXxj7IAAAByBQAAMwVzAPQEtJoAAAgAtwCOADcVAAA3BQAAzQB3ALcIOAUAAG8FyQAJAbkAOQX6BAoAewW7ALwAvgB+AD8FPwEAAAsBAADMAIwAAAAAAGcAAABsDW0ALwGwAHEAdgVMBEwc6Y8AAOnPOY4AADnO");n(g,101602,"sQNZAlsCswO5A1MByQPGA4MCxQOSApQCfgJ8AgAAqgBhgLIAMoCzADOAuQAxgLoAb4CwAmiAsQJmgrICaoCzAnKAtAJ5grUCe4K2AoGCtwJ3gLgCeYDAApSCwQKVguACY4LhAmyA4gJzgOMCeIBwIDCAcSBpgHQgNIB1IDWAdiA2gHcgN4B4IDiAeSA5gHogK4B7IC2AfCA9gH0gKIB+ICmAfyBugIAgMECBIDFAgiAyQIMgM0CEIDRAhSA1QIYgNkCHIDdAiCA4QIkgOUCKICtAiyAtQIwgPUCNIChAjiApQJAgYUCRIGVAkiBvQJMgeECUIFlClSBoQJYga0CXIGxAmCBtQJkgbkCaIHBAmyBzQJwgdEAAAAAAaXhjbXZsZA==");n(g,101904,"AQAAAAoAAABkAAAA6AMAAAUAAAAyAAAA9AEAAAAXCgkYExgY");n(g,101952,"///////9+fXy7uvo5OHe2tjV0s/MycbEwb+8ure1s7CurKmopaOhn56bmZiWlJKRj42LiYiHhYOCgX9+fHt6eHd2dXNycXBvbm1ramloZ2ZlZGNiYWBfXl1cW1pZWVhXVlVUU1JSUVBQT05NTExLS0pJSEdHRkVFRENDQkJBQEA/Pj49PTw7Ozo6OTk4ODc2NjU1NDQ0MzIyMTEwMC8vLi4uLS0sLCwrKyopKCgoJycnJiYmJSUlJCQjIyMjIiIiISEhICAfHx8eHh4dHR0dHBwbGxsbGhoaGhkZGRgYGBgXFxcXFhYWFRUVFRQUFBQTExMSEhERERAQEBAQEA8PDw8ODg4NDQ0MDAwMCwsLCwoKCgkJCQgICAAAAAAAAAAAeHl4d3d2dnV0dHNycXBwb29ubWxrampoZ2dmZmZlZWNiYmFgYF9eXVtaW1pZWFZVVlVVVFJRUE9NTk5MTUtLSklHSEZFRUVDQUA/Pz89PTs7Ozo4OTo4NjU0NDU0NDIwLy8tLi0=");n(g,102352,"FhYWFhYWFhUVFRUUFBMTEhEQDw8PDw8PDwAAAAAAAABkeGRpZG5uZF9kaXhpbn2Ch3N9ZGl4S2RLaXhVS2RpeFVpX3N4ZF9kbnhfaWRzeGRkZGl4ZGlfc3huX2RpeGRpaXp9bmlkaXhkaWl6fW5pZGl4X2lkc3huZGRkeGRkZGRkZGRk");n(g,102496,"ZJZkaW5zbm5uZGmWaW59h4xzh2RpllppWnqHZFpkaZZkaWR6h2RkZGmWZGlpc4duaWRplmRpaXqCeH1kaZZkaW56fXNuZGmWZGlpeod4aWRplmRpaXOHbmlkZGRkZGRkZGRkZA==");n(g,102608,"bnhkbm5ubm5ubm54ZG5ubm5ubm5ueGRuZG5ubmRubnhkbm5ubm5ubm54ZG5ubm5ubm5ueGRubm5ubm5ubnhkbm5ubm5ubm54ZG5ubm5ubm5ueGRubm5ubm5ubnhkbm5ubm5ubg==");n(g,102724,"rwAAAGQAAAAyAAAAMg==");n(g,102760,"ZA==");n(g,102780,"MjIoRlpkZGRGboeWZGRLZHiWAAAAAAAABwAAAA4AAAAVAAAAKAAAAFAAAAAAAAAAAFNBUFIAQwAAAAAARgAAAAAAAAABAAAAAgAAAAQAAAAPAAAAAAEAAAEBAAEBAgQAAAAAAPMAEAEAAQABAAEAAQAB8ADwAPA=");n(g,102914,"QABaAG4AgACPAJwAqQC1AMAAygDUAN0A5gDvAPcAAAEHAQ8BFgEeASUBLAEyATkBQAFGAUwBUgFYAV4BZAFqAW8BdQF6AYABhQGKAY8BlAGZAZ4BowGoAa0BsgG2AbsBwAHEAckBzQHRAdYB2gHeAeMB5wHrAe8B8wH3AfsBAAIDAgcCCwIPAhMCFwIbAh8CIgImAioCLQIxAjUCOAI8AkACQwJHAkoCTgJRAlQCWAJbAl8CYgJlAmkCbAJvAnMCdgJ5AnwCgAKDAoYCiQKMAo8CkgKWApkCnAKfAqICpQKoAqsCrgKxArQCtwK6Ar0CwALCAsUCyALLAs4C0QLUAtYC2QLcAt8C4gLkAucC6gLtAu8C8gL1AvcC+gL9AgADAgMFAwcDCgMNAw8DEgMVAxcDGgMcAx8DIQMkAycDKQMsAy4DMQMzAzYDOAM7Az0DQANCA0QDRwNJA0wDTgNRA1MDVQNYA1oDXQNfA2EDZANmA2gDawNtA28DcgN0A3YDeQN7A30DgAOCA4QDhgMAAAGqAqytAwQFsLGys7S0tgYHCLkJCrwMDQ4PEBESYWJjZGVmZ2hpamtsbW5vcHFyc3R1");n(g,103376,"YAYAAPAGAABmCQAA5gkAAGYKAADmCgAAZgsAAOYLAABmDAAA5gwAAGYNAABQDgAA0A4AACAPAABAEAAAkBA=");n(g,103456,"5gDmAOYA5gAAAAAA5gDmAL4AqgC+AMgAAAAAAL4A8AC+AL4A0gDSAAAAAADSANIAyADIANIA0gAAAAAA5gDmAOYA5gDwAPAAAAAAAAQBBAGqAIwA3ADcAAAAAAD6AA4BoACMAMgAjAAAAAAA8ACgALQAtADSANIAAAAAAOYA8ACqANwAtAC0AAAAAAD6AA4BlgCCAMgAyAAAAAAADgEOAbYAjADcANwAAAAAAPgAEwGbALQA0gDSAAAAAAAOASwBwwMAAAAAAABsAAAAAAAAAKAAkQCbAJYAAAAAAMgA9QAnAAAAtwAAAAAAAADCugAAyADIAMgAyAAAAAAA0gDmAAABAgMEBQYHCAkKCwwNDg8QERITFBUWFxgZGgAAAAAAABscHR4fICEiIyQlJicoKSorAAAs");n(g,103806,"LQAAAAAAAAAu");n(g,103832,"Lw==");n(g,103849,"MAAAAAAAMQ==");n(g,103872,"Mg==");n(g,103884,"MwAAAK0AAQBABgEADCAtAAAAAAC+AL4A0gDSAAAAAADmAPoAoACWAMgAyAAAAAAA+gAEAbkAwwDDAL4AAAAAANIA3AD6AMgA+gD6AAAAAAD6APoAMjM0Njk6PD0+P0BBQkNERkdJSktMTU5PUFFSU1RWAACWAIwAtAC0AAAAAADIAMgAbA==");n(g,104032,"oADIALQAtAAAAAAA3ADwALQAoADIAMgAAAAAAPAA+gBjAAAAZgAAAGgAAABrAAAAcAAAAHQAAAB4AAAA/g==");n(g,104112,"oACMAJYApQAAAAAA2gAxAZEAkQCqAKAAAAAAAEoBXgEuAAAALAAAACcAAADIAg==");n(g,104176,"MTIzNTY3OTo7PD4/QEFCREVGR0hJSktMTU5PUFFSU1RW");n(g,104224,"vgC0AOYA5gAAAAAA+gD6ABESExQWFxkaGxwdHyAhIiQlJicoKSosc3uDmwAAAAAAtAC0AL4AtAAAAAAA5gDwALQAtAC0AKAAAAAAAOYAtABABAAAMAQAADUEAAA4BAAAOQQAAD4EAABDBAAASwQAAE0EAABOBAAATwQAAFAEAABRBAAAVgQAAFcEAABdBAAAXgQ=");n(g,104384,"tACgAMgAyAAAAAAA3ADmAKAAhwDSANIAAAAAAAQBGAGgAIwAyADIAAAAAADcAOYAyADIAMgAyAAAAAAAyADIAKAAvgCvAK8AAAAAAMgA0gCqAHMA0gDwAAAAAAAEARgBqgCqALQAtAAAAAAA8AAEAZYAtADIAMgAAAAAANIA+gCWAJYAtAC0AAAAAAAsASwBoACHANwA3AAAAAAA+gAYAaAAqgDIAMgAAAAAAEABVAG0AKAA8ADwAAAAAAAEAQQBvgC0AMgA5gAAAAAA8AD6AJYAlgC0ALQA0gDmAOYA8ABhAAAA4AAAAOEAAACjHgAA4wAAAKEeAAADAQAAsR4AAK8eAACzHgAAtR4AALceAADiAAAApx4AAKUeAACpHgAAqx4AAK0eAABlAAAA6AAAAOkAAAC7HgAAvR4AALkeAADqAAAAwR4AAL8eAADDHgAAxR4AAMceAABpAAAA7AAAAO0AAADJHgAAKQEAAMseAABvAAAA8gAAAPMAAADPHgAA9QAAAM0eAAD0AAAA0x4AANEeAADVHgAA1x4AANkeAAChAQAA3R4AANseAADfHgAA4R4AAOMeAAB1AAAA+QAAAPoAAADnHgAAaQEAAOUeAACwAQAA6x4AAOkeAADtHgAA7x4AAPEeAAB5AAAA8x4AAP0AAAD3HgAA+R4AAPUeAAAAAAAAJw==");n(g,104912,"5gCWAOYA5gDmAAAA8AD6AAAAAAAnAAAAAAAAAAABAgM=");n(g,104961,"AQIDBAUGBwgJCgsMDQ4PEBESExQVFhcYGRo=");n(g,105088,"GxwdAAAeHyAhIiMkACUmAAAAACcAACgAKQAqACsAAAAAAAAsAC0ALgAAAAAALwAAADAAAAAAAAAAMQ==");n(g,105186,"MgAz");n(g,105211,"NAAAAAAANQA2");n(g,105242,"NwA4ADkArQABAAwgAQ==");n(g,105265,"AQIDAAQAAQIDAAQFBgIDAAQFBwEDAAQICQoDAAAICAoDAAALCwsLAAAMDAwMAAAMAQ4BEwEBAw8DDgYRBgMJAQsPCwEMCQwBDgYOCQ4ODg8OHA4DDxEPEg8PEBEQAREGEQkRDxETEiAS/38AAAAAlgCMANwA3AAAAAAABAEYAQECDAMNBA4FCwAAAAECAwQFBgAAAAAAAAsMDQ4=");n(g,105444,"MgAAAK8AAABkAAAAMg==");n(g,105472,"rw==");n(g,105500,"EBAKEBY=");n(g,105524,"/38AANAHAAAsAQAAYwAAAGMAAABjAAAAAAAAANAH");n(g,105572,"BA==");n(g,105584,"QEFCQ0RFRkdISUpLTE1OT1BRUlNUVldYWVtcXV5gYWJkZWdoaWtsbm9xc3R2d3l7fH6AgoSFh4mLjY+Rk5WXmZueoKKkp6mrrrCztbi6vb/CxcfKzdDT1tnc3+Ll6Ozv8vb5/P7/");n(g,105696,"//7+/v7+/v7+/v39/f38/Pz7+/v6+vn5+Pj39/b19fTz8/Lx7+3r6efl4+Hf3drY1dPQzcvIxcK/u7i1sq6rp6OgnJiUkIyIhH97d3JuaWRgXltYVlNRTkxKR0VCQD48OTc1MzEvLCooJiQiIB4dGxkXFRMSEA4MCwkHBgQDAQ==");n(g,105968,"//7+/v7+/f38+/v6+fj39vX08vHv7uzq6efl4+Hf3NrY1dPRz83LycfFw8G/vbu5t7SysK2rqaakoZ+cmpeUko+MioeEgX57eHZzcGxpZmNgX11bWlhWVVNSUE9NTEpJSEZFRENCQD8+PTw7Ojk4Nzc2NTQ0MzIyMTAwLy8uLi4tLS0sLCwsLCwsKysrKywrKiopKCgnJiYlJCQjIyIhISAgHx4eHR0cHBsaGhkZGBgXFxYWFRUUFBMTEhISEREQEA8PDw4ODQ0NDAwLCwsKCgoJCQkICAgHBwcHBgYGBQUFBQQEBAQEAwMDAwICAgICAgEBAQEBAQ==");n(g,106245,"RvIpAC8ALwBF8ikALwAuAEXyKAAuAC0ANPIoAC0tLAA08igAKysrADTyKAAqKioANPIoACkpKQA08igAAOf/zv+1/5z/g/9q/1H/N/8e/wX/7P7T/rr+of6I/m/+Vf48/iP+Cv7x/dj9v/2m/Y39dP1b/UL9Kf0Q/ff83vzF/Kz8k/x6/GH8SPwv/Bb8/fvk+8v7svuZ+4D7Z/tP+zb7HfsE++v60vq6+qH6iPpv+lf6Pvol+g369Pnb+cP5qvmR+Xn5YPlH+S/5Fvn++OX4zfi0+Jz4g/hr+FP4Ovgi+Ar48ffZ98H3qPeQ93j3YPdH9y/3F/f/9uf2z/a39p/2h/Zv9lf2P/Yn9g/29/Xf9cf1sPWY9YD1aPVR9Tn1IfUK9fL02/TD9Kz0lPR99GX0TvQ29B/0CPTw89nzwvOr85TzfPNl807zN/Mg8wnz8vLb8sTyrvKX8oDyafJS8jzyJfIO8vjx4fHL8bTxnvGH8XHxW/FE8S7xGPEB8evw1fC/8Knwk/B98GfwUfA78CXwEPD67+Tvzu+576Pvje9472LvTe847yLvDe/47uLuze647qPuju557mTuT+467iXuEO777eft0u297antlO2A7WvtV+1C7S7tGu0F7fHs3ezJ7LXsoeyN7HnsZexR7D3sKuwW7ALs7+vb68jrtOuh643reutn61TrQest6xrrB+v06uLqz+q86qnqluqE6nHqX+pM6jrqJ+oV6gPq8One6czpuumo6ZbphOly6WHpT+k96SzpGukI6ffo5ujU6MPosuig6I/ofuht6FzoS+g76CroGegI6Pjn5+fX58bntuel55Xnhed152XnVedF5zXnJecV5wXn9ubm5tfmx+a45qjmmeaK5nvma+Zc5k3mPuYw5iHmEuYD5vXl5uXY5cnlu+Wt5Z7lkOWC5XTlZuVY5UrlPOUv5SHlE+UG5fjk6+Te5NDkw+S25KnknOSP5ILkdeRo5FzkT+RD5DbkKuQd5BHkBeT54+3j4ePV48njveOx46XjmuOO44Pjd+Ns42HjVuNL4z/jNOMq4x/jFOMJ4//i9OLq4t/i1eLK4sDituKs4qLimOKO4oTie+Jx4mfiXuJU4kviQuI54i/iJuId4hTiDOID4vrh8eHp4eDh2OHQ4cfhv+G34a/hp+Gf4Zfhj+GI4YDheOFx4WrhYuFb4VThTeFG4T/hOOEx4SrhJOEd4RbhEOEK4QPh/eD34PHg6+Dl4N/g2eDU4M7gyeDD4L7guOCz4K7gqeCk4J/gmuCV4JHgjOCH4IPgfuB64HbgcuBu4GrgZuBi4F7gWuBX4FPgT+BM4EngReBC4D/gPOA54DbgM+Ax4C7gK+Ap4CfgJOAi4CDgHuAc4BrgGOAW4BTgEuAR4A/gDuAN4AvgCuAJ4AjgB+AG4AXgBeAE4APgA+AC4ALgAuAC4ALgAeAC4ALgAuAC4ALgA+AD4ATgBeAF4AbgB+AI4AngCuAL4A3gDuAP4BHgEuAU4BbgGOAa4BzgHuAg4CLgJOAn4CngK+Au4DHgM+A24DngPOA/4ELgReBJ4EzgT+BT4FfgWuBe4GLgZuBq4G7gcuB24HrgfuCD4IfgjOCR4JXgmuCf4KTgqeCu4LPguOC+4MPgyeDO4NTg2eDf4OXg6+Dx4Pfg/eAD4QrhEOEW4R3hJOEq4THhOOE/4UbhTeFU4VvhYuFq4XHheOGA4Yjhj+GX4Z/hp+Gv4bfhv+HH4dDh2OHg4enh8eH64QPiDOIU4h3iJuIv4jniQuJL4lTiXuJn4nHie+KE4o7imOKi4qzituLA4sri1eLf4uri9OL/4gnjFOMf4yrjNOM/40vjVuNh42zjd+OD447jmuOl47HjvePJ49Xj4ePt4/njBeQR5B3kKuQ25EPkT+Rc5GjkdeSC5I/knOSp5Lbkw+TQ5N7k6+T45AblE+Uh5S/lPOVK5VjlZuV05YLlkOWe5a3lu+XJ5djl5uX15QPmEuYh5jDmPuZN5lzma+Z75ormmeao5rjmx+bX5ubm9uYF5xXnJec150XnVedl53XnheeV56XntufG59fn5+f45wjoGegq6DvoS+hc6G3ofuiP6KDosujD6NTo5uj36AjpGuks6T3pT+lh6XLphOmW6ajpuunM6d7p8OkD6hXqJ+o66kzqX+px6oTqluqp6rzqz+ri6vTqB+sa6y3rQetU62freuuN66HrtOvI69vr7+sC7BbsKuw97FHsZex57I3soey17Mns3ezx7AXtGu0u7ULtV+1r7YDtlO2p7b3t0u3n7fvtEO4l7jruT+5k7nnuju6j7rjuze7i7vjuDe8i7zjvTe9i73jvje+j77nvzu/k7/rvEPAl8DvwUfBn8H3wk/Cp8L/w1fDr8AHxGPEu8UTxW/Fx8YfxnvG08cvx4fH48Q7yJfI88lLyafKA8pfyrvLE8tvy8vIJ8yDzN/NO82XzfPOU86vzwvPZ8/DzCPQf9Db0TvRl9H30lPSs9MP02/Ty9Ar1IfU59VH1aPWA9Zj1sPXH9d/19/UP9if2P/ZX9m/2h/af9rf2z/bn9v/2F/cv90f3YPd495D3qPfB99n38fcK+CL4OvhT+Gv4g/ic+LT4zfjl+P74Fvkv+Uf5YPl5+ZH5qvnD+dv59PkN+iX6PvpX+m/6iPqh+rr60vrr+gT7Hfs2+0/7Z/uA+5n7svvL++T7/fsW/C/8SPxh/Hr8k/ys/MX83vz3/BD9Kf1C/Vv9dP2N/ab9v/3Y/fH9Cv4j/jz+Vf5v/oj+of66/tP+7P4F/x7/N/9R/2r/g/+c/7X/zv/n/wAAGQAyAEsAZAB9AJYArwDJAOIA+wAUAS0BRgFfAXgBkQGrAcQB3QH2AQ8CKAJBAloCcwKMAqUCvgLXAvACCQMiAzsDVANtA4YDnwO4A9ED6gMDBBwENQROBGcEgASZBLEEygTjBPwEFQUuBUYFXwV4BZEFqQXCBdsF8wUMBiUGPQZWBm8GhwagBrkG0QbqBgIHGwczB0wHZAd9B5UHrQfGB94H9gcPCCcIPwhYCHAIiAigCLkI0QjpCAEJGQkxCUkJYQl5CZEJqQnBCdkJ8QkJCiEKOQpQCmgKgAqYCq8KxwrfCvYKDgslCz0LVAtsC4MLmwuyC8oL4Qv4CxAMJww+DFUMbAyEDJsMsgzJDOAM9wwODSUNPA1SDWkNgA2XDa4NxA3bDfINCA4fDjUOTA5iDnkOjw6lDrwO0g7oDv8OFQ8rD0EPVw9tD4MPmQ+vD8UP2w/wDwYQHBAyEEcQXRBzEIgQnhCzEMgQ3hDzEAgRHhEzEUgRXRFyEYcRnBGxEcYR2xHwEQUSGRIuEkMSVxJsEoASlRKpEr4S0hLmEvsSDxMjEzcTSxNfE3MThxObE68TwxPWE+oT/hMRFCUUOBRMFF8UcxSGFJkUrBS/FNMU5hT5FAwVHhUxFUQVVxVqFXwVjxWhFbQVxhXZFesV/RUQFiIWNBZGFlgWahZ8Fo4WnxaxFsMW1BbmFvgWCRcaFywXPRdOF2AXcReCF5MXpBe1F8UX1hfnF/gXCBgZGCkYOhhKGFsYaxh7GIsYmxirGLsYyxjbGOsY+xgKGRoZKRk5GUgZWBlnGXYZhRmVGaQZsxnCGdAZ3xnuGf0ZCxoaGigaNxpFGlMaYhpwGn4ajBqaGqgathrEGtEa3xrtGvoaCBsVGyIbMBs9G0obVxtkG3EbfhuLG5gbpBuxG70byhvWG+Mb7xv7GwccExwfHCscNxxDHE8cWxxmHHIcfRyJHJQcnxyqHLUcwRzMHNYc4RzsHPccAR0MHRYdIR0rHTYdQB1KHVQdXh1oHXIdfB2FHY8dmR2iHawdtR2+Hccd0R3aHeMd7B30Hf0dBh4PHhceIB4oHjAeOR5BHkkeUR5ZHmEeaR5xHngegB6IHo8elh6eHqUerB6zHroewR7IHs8e1h7cHuMe6h7wHvYe/R4DHwkfDx8VHxsfIR8nHywfMh83Hz0fQh9IH00fUh9XH1wfYR9mH2sfbx90H3kffR+CH4Yfih+OH5Iflh+aH54foh+mH6kfrR+xH7Qftx+7H74fwR/EH8cfyh/NH88f0h/VH9cf2R/cH94f4B/iH+Qf5h/oH+of7B/uH+8f8R/yH/Mf9R/2H/cf+B/5H/of+x/7H/wf/R/9H/4f/h/+H/4f/h//H/4f/h/+H/4f/h/9H/0f/B/7H/sf+h/5H/gf9x/2H/Uf8x/yH/Ef7x/uH+wf6h/oH+Yf5B/iH+Af3h/cH9kf1x/VH9Ifzx/NH8ofxx/EH8Efvh+7H7cftB+xH60fqR+mH6Ifnh+aH5Yfkh+OH4ofhh+CH30feR90H28fax9mH2EfXB9XH1IfTR9IH0IfPR83HzIfLB8nHyEfGx8VHw8fCR8DH/0e9h7wHuoe4x7cHtYezx7IHsEeuh6zHqwepR6eHpYejx6IHoAeeB5xHmkeYR5ZHlEeSR5BHjkeMB4oHiAeFx4PHgYe/R30Hewd4x3aHdEdxx2+HbUdrB2iHZkdjx2FHXwdch1oHV4dVB1KHUAdNh0rHSEdFh0MHQEd9xzsHOEc1hzMHMEctRyqHJ8clByJHH0cchxmHFscTxxDHDccKxwfHBMcBxz7G+8b4xvWG8obvRuxG6QbmBuLG34bcRtkG1cbShs9GzAbIhsVGwgb+hrtGt8a0RrEGrYaqBqaGowafhpwGmIaUxpFGjcaKBoaGgsa/RnuGd8Z0BnCGbMZpBmVGYUZdhlnGVgZSBk5GSkZGhkKGfsY6xjbGMsYuxirGJsYixh7GGsYWxhKGDoYKRgZGAgY+BfnF9YXxRe1F6QXkxeCF3EXYBdOFz0XLBcaFwkX+BbmFtQWwxaxFp8WjhZ8FmoWWBZGFjQWIhYQFv0V6xXZFcYVtBWhFY8VfBVqFVcVRBUxFR4VDBX5FOYU0xS/FKwUmRSGFHMUXxRMFDgUJRQRFP4T6hPWE8MTrxObE4cTcxNfE0sTNxMjEw8T+xLmEtISvhKpEpUSgBJsElcSQxIuEhkSBRLwEdsRxhGxEZwRhxFyEV0RSBEzER4RCBHzEN4QyBCzEJ4QiBBzEF0QRxAyEBwQBhDwD9sPxQ+vD5kPgw9tD1cPQQ8rDxUP/w7oDtIOvA6lDo8OeQ5iDkwONQ4fDggO8g3bDcQNrg2XDYANaQ1SDTwNJQ0ODfcM4AzJDLIMmwyEDGwMVQw+DCcMEAz4C+ELyguyC5sLgwtsC1QLPQslCw4L9grfCscKrwqYCoAKaApQCjkKIQoJCvEJ2QnBCakJkQl5CWEJSQkxCRkJAQnpCNEIuQigCIgIcAhYCD8IJwgPCPYH3gfGB60HlQd9B2QHTAczBxsHAgfqBtEGuQagBocGbwZWBj0GJQYMBvMF2wXCBakFkQV4BV8FRgUuBRUF/ATjBMoEsQSZBIAEZwROBDUEHAQDBOoD0QO4A58DhgNtA1QDOwMiAwkD8ALXAr4CpQKMAnMCWgJBAigCDwL2Ad0BxAGrAZEBeAFfAUYBLQEUAfsA4gDJAK8AlgB9AGQASwAyABkAMAAAADAAAABAAAAAUAAAAJAAAACgAAAAsAAAAMAAAACAm7XL3Ojt7Obczr+wo5iQjIuMj5KUlZKMg3hpWUk8MSopLTZEVml9j5+qsbKtpJaHeGlcU09PVV5reoiWoquwsa6ooJiRi4iJjZSdqLK7wMG9tKWSfGNKMh4OBQIFDx4wRFltf4yWnJ+fnZuZmZyhqbO/ytXc4N7YzLumj3dgSzouKCkvOkhZanqGkJSVkYmAdWtiXFpcYWl0gIqUmp6dmJCGfHFoYmBja3iIm6/C0t/m5+LXxrKchG9bS0A5Nzg9Q0pQVFZVUk1IQj8+QUlWZ3yTq8PZ6vb8+/Tn1cCqlIBxZF1aXGFocHd9f397dGthV05IRkhOWWZ1hJOfp6uqpJmLe2pbTkZDRU1aa3+SprjFz9PSzcS5raGWjomHh4qNkZKRjIR4aFVBLhwOBQEFDx80TWiBmrDBzdPT0Mi/taukn5ydoKWqrrGwq6OWh3ZjUUI2Ly0xOkhZa36OnKaqqaOYintsXVJKSEpQWmd1gi0AAAAmAAAALQAAAC0AAAA3AAAALQ==");n(g,110832,"yv5w/hICZAHgAFkAFwD2/8b/8P/NAVcCGAK9AgIDXQLxAc0BMAKUAW4A4ACDAGgAn/+bABYBZv9z+6r94QJ9ALD9KQALAAn/9v9BAFwAUADQ/kcApwD//3oA6QChANX/FgHfAeUBlwEKAYoChgBQAOwARAAEAQ0BswA1AIwAEwElASgBaAABAZgANwG2AAcB9QB9ADoBjAAsAMsA5gAV/+L+FwBrAFwApf8mANABuwGwAGIA8Pxv9p346/vA+Ur6mPoT+0v8Jv0=");n(g,111066,"BgAHAAgACQAKAAsADQAOABAAEgAUABYAGQAcACAAIwAoAC0AMwA5AEAARwBQAFoAZQByAIAAjgCfALMAygDjAAABHAE+AWcBlQHHAQACOAJ+As8CcQOPAwAEcQT8BJ4FVgYfBwAI4Qj4CTsLrAw9DgAQwxHwE3cWWBl7HAAghSPfJ+4ssDL2OABArkekUIVbZmYzc/9/");n(g,111228,"qMtoQQAAAACoy2jBAAAAAAAAAAAXCtQJkglQCQ8JzgiPCE8IEwjVB5oHYgcoB/MGvgaLBloGKwb9BdMFqQWBBVwFOAUWBfcE1wS7BKAEhgRuBFcEQQQtBBkEBwT1A+QD1APFA7YDqAOZA40DfwNxA2UDVwNLAz4DMgMkAxgDCwP+AvIC5ALYAssCvgKxAqQClwKLAn0CcgJkAlkCTAJAAjQCKAIcAhICBQL7AfAB5QHbAdABxgG7AbIBqAGeAZQBigGBAXcBbgFjAVsBUAFIAT0BNAErASABGAENAQQB+gDwAOcA3ADUAMgAwAC1AKwAoQCYAI4AhQB7AHEAaQBeAFYATABDADkAMQAnAB4AFgALAAQA+//y/+n/4P/X/87/xP+7/7L/qf+g/5X/jf+C/3r/cP9m/1z/Uv9J/z//Nf8r/yL/F/8O/wT/+v7x/uf+3f7T/sr+wP62/q3+o/6b/pD+h/59/nP+av5f/lb+TP5C/jj+Lf4j/hn+Df4D/vf97P3h/dX9yf29/bH9pf2Y/Yz9f/1z/Wb9Wf1M/T/9M/0k/Rn9Cv3//PH85fzY/Mz8vvyz/KT8mPyL/H78cfxi/FX8Rfw4/Cb8GfwG/Pb74vvQ+7r7pfuO+3b7XPtB+yT7Bvvl+sT6n/p5+lP6KPr++dD5oflw+Tz5CfnR+Jr4YPgm+Oj3q/ds9yz36/aq9mj2Jvbj9bAEdgRABA4E3wO0A4sDZQNBAx8DAAPiAsYCqwKSAnoCZAJOAjoCJwIVAgMC8wHjAdQBxgG4AasBnwGTAYcBfAFyAWgBXgFVAUwBQwE7ATMBLAEkAR0BFgEQAQkBAwH9APcA8gDtAOcA4gDdANkA1ADQAMwAxwDDAMAAvAC4ALQAsQCuAKoApwCkAKEAngCbAJkAlgCTAJEAjgCMAIkAhwCFAIMAgAB+AHwAegB4AHcAdQBzAHEAbwBuAGwAagBpAGcAZgBkAGMAYQBgAF8AXQBcAFsAWgBYAFcAVgBVAFQAUwBSAFAATwBOAE0ATABLAEsASgBJAEgARwBGAEUARABEAEMAQgBBAEAAQAA/AD4APQA9ADwAOwA7ADoAOQA5ADgAOAA3ADcANgA2ADUANQA0ADQAMwAzADIAMgAxADEAMAAwAC8ALwAuAC4ALQAtACwALAArACsAKgAqACkAKQApACkAKAAoACcAJwAmACYAJgAmACUAJQAkACQAJAAkACMAIwAjACMAIgAiACEAIQAhACEAIAAgACAAIAAfAB8AHwAfAB4AHgAeAB4AHQAdAB0AHQAcABwAHAAcABsAGwAxNkZyYW1lTWFuYWdlckltcGwAMTJGcmFtZU1hbmFnZXIAMjNTcGVlY2hXYXZlR2VuZXJhdG9ySW1wbAAxOVNwZWVjaFdhdmVHZW5lcmF0b3IAMTNXYXZlR2VuZXJhdG9y");n(g,112320,"AwAAAAQAAAAEAAAABgAAAIP5ogBETm4A/CkVANFXJwDdNPUAYtvAADyZlQBBkEMAY1H+ALveqwC3YcUAOm4kANJNQgBJBuAACeouAByS0QDrHf4AKbEcAOg+pwD1NYIARLsuAJzphAC0JnAAQX5fANaROQBTgzkAnPQ5AItfhAAo+b0A+B87AN7/lwAPmAUAES/vAApaiwBtH20Az342AAnLJwBGT7cAnmY/AC3qXwC6J3UA5evHAD178QD3OQcAklKKAPtr6gAfsV8ACF2NADADVgB7/EYA8KtrACC8zwA29JoA46kdAF5hkQAIG+YAhZllAKAUXwCNQGgAgNj/ACdzTQAGBjEAylYVAMmocwB74mAAa4zAABnERwDNZ8MACejcAFmDKgCLdsQAphyWAESv3QAZV9EApT4FAAUH/wAzfj8AwjLoAJhP3gC7fTIAJj3DAB5r7wCf+F4ANR86AH/yygDxhx0AfJAhAGokfADVbvoAMC13ABU7QwC1FMYAwxmdAK3EwgAsTUEADABdAIZ9RgDjcS0Am8aaADNiAAC00nwAtKeXADdV1QDXPvYAoxAYAE12/ABknSoAcNerAGN8+AB6sFcAFxXnAMBJVgA71tkAp4Q4ACQjywDWincAWlQjAAAfuQDxChsAGc7fAJ8x/wBmHmoAmVdhAKz7RwB+f9gAImW3ADLoiQDmv2AA78TNAGw2CQBdP9QAFt7XAFg73gDem5IA0iIoACiG6ADiWE0AxsoyAAjjFgDgfcsAF8BQAPMdpwAY4FsALhM0AIMSYgCDSAEA9Y5bAK2wfwAe6fIASEpDABBn0wCq3dgArl9CAGphzgAKKKQA05m0AAam8gBcd38Ao8KDAGE8iACKc3gAr4xaAG/XvQAtpmMA9L/LAI2B7wAmwWcAVcpFAMrZNgAoqNIAwmGNABLJdwAEJhQAEkabAMRZxADIxUQATbKRAAAX8wDUQ60AKUnlAP3VEAAAvvwAHpTMAHDO7gATPvUA7PGAALPnwwDH+CgAkwWUAMFxPgAuCbMAC0XzAIgSnACrIHsALrWfAEeSwgB7Mi8ADFVtAHKnkABr5x8AMcuWAHkWSgBBeeIA9N+JAOiUlwDi5oQAmTGXAIjtawBfXzYAu/0OAEiatABnpGwAcXJCAI1dMgCfFbgAvOUJAI0xJQD3dDkAMAUcAA0MAQBLCGgALO5YAEeqkAB05wIAvdYkAPd9pgBuSHIAnxbvAI6UpgC0kfYA0VNRAM8K8gAgmDMA9Ut+ALJjaADdPl8AQF0DAIWJfwBVUikAN2TAAG3YEAAySDIAW0x1AE5x1ABFVG4ACwnBACr1aQAUZtUAJwedAF0EUAC0O9sA6nbFAIf5FwBJa30AHSe6AJZpKQDGzKwArRRUAJDiagCI2YkALHJQAASkvgB3B5QA8zBwAAD8JwDqcagAZsJJAGTgPQCX3YMAoz+XAEOU/QANhowAMUHeAJI5nQDdcIwAF7fnAAjfOwAVNysAXICgAFqAkwAQEZIAD+jYAGyArwDb/0sAOJAPAFkYdgBipRUAYcu7AMeJuQAQQL0A0vIEAEl1JwDrtvYA2yK7AAoUqgCJJi8AZIN2AAk7MwAOlBoAUTqqAB2jwgCv7a4AXCYSAG3CTQAtepwAwFaXAAM/gwAJ8PYAK0CMAG0xmQA5tAcADCAVANjDWwD1ksQAxq1LAE7KpQCnN80A5qk2AKuSlADdQmgAGWPeAHaM7wBoi1IA/Ns3AK6hqwDfFTEAAK6hAAz72gBkTWYA7QW3ACllMABXVr8AR/86AGr5uQB1vvMAKJPfAKuAMABmjPYABMsVAPoiBgDZ5B0APbOkAFcbjwA2zQkATkLpABO+pAAzI7UA8KoaAE9lqADSwaUACz8PAFt4zQAj+XYAe4sEAIkXcgDGplMAb27iAO/rAACbSlgAxNq3AKpmugB2z88A0QIdALHxLQCMmcEAw613AIZI2gD3XaAAxoD0AKzwLwDd7JoAP1y8ANDebQCQxx8AKtu2AKMlOgAAr5oArVOTALZXBAApLbQAS4B+ANoHpwB2qg4Ae1mhABYSKgDcty0A+uX9AInb/gCJvv0A5HZsAAap/AA+gHAAhW4VAP2H/wAoPgcAYWczACoYhgBNveoAs+evAI9tbgCVZzkAMb9bAITXSAAw3xYAxy1DACVhNQDJcM4AMMu4AL9s/QCkAKIABWzkAFrdoAAhb0cAYhLSALlchABwYUkAa1bgAJlSAQBQVTcAHtW3ADPxxAATbl8AXTDkAIUuqQAdssMAoTI2AAi3pADqsdQAFvchAI9p5AAn/3cADAOAAI1ALQBPzaAAIKWZALOi0wAvXQoAtPlCABHaywB9vtAAm9vBAKsXvQDKooEACGpcAC5VFwAnAFUAfxTwAOEHhgAUC2QAlkGNAIe+3gDa/SoAayW2AHuJNAAF8/4Aub+eAGhqTwBKKqgAT8RaAC34vADXWpgA9MeVAA1NjQAgOqYApFdfABQ/sQCAOJUAzCABAHHdhgDJ3rYAv2D1AE1lEQABB2sAjLCsALLA0ABRVUgAHvsOAJVywwCjBjsAwEA1AAbcewDgRcwATin6ANbKyADo80EAfGTeAJtk2ADZvjEApJfDAHdY1ABp48UA8NoTALo6PABGGEYAVXVfANK99QBuksYArC5dAA5E7QAcPkIAYcSHACn96QDn1vMAInzKAG+RNQAI4MUA/9eNAG5q4gCw/cYAkwjBAHxddABrrbIAzW6dAD5yewDGEWoA98+pAClz3wC1yboAtwBRAOKyDQB0uiQA5X1gAHTYigANFSwAgRgMAH5mlAABKRYAn3p2AP39vgBWRe8A2X42AOzZEwCLurkAxJf8ADGoJwDxbsMAlMU2ANioVgC0qLUAz8wOABKJLQBvVzQALFaJAJnO4wDWILkAa16qAD4qnAARX8wA/QtKAOH0+wCOO20A4oYsAOnUhAD8tKkA7+7RAC41yQAvOWEAOCFEABvZyACB/AoA+0pqAC8c2ABTtIQATpmMAFQizAAqVdwAwMbWAAsZlgAacLgAaZVkACZaYAA/Uu4AfxEPAPS1EQD8y/UANLwtADS87gDoXcwA3V5gAGeOmwCSM+8AyRe4AGFYmwDhV7wAUYPGANg+EADdcUgALRzdAK8YoQAhLEYAWfPXANl6mACeVMAAT4b6AFYG/ADlea4AiSI2ADitIgBnk9wAVeiqAIImOADK55sAUQ2kAJkzsQCp1w4AaQVIAGWy8AB/iKcAiEyXAPnRNgAhkrMAe4JKAJjPIQBAn9wA3EdVAOF0OgBn60IA/p3fAF7UXwB7Z6QAuqx6AFX2ogAriCMAQbpVAFluCAAhKoYAOUeDAInj5gDlntQASftAAP9W6QAcD8oAxVmKAJT6KwDTwcUAD8XPANtargBHxYYAhUNiACGGOwAseZQAEGGHACpMewCALBoAQ78SAIgmkAB4PIkAqMTkAOXbewDEOsIAJvTqAPdnigANkr8AZaMrAD2TsQC9fAsApFHcACfdYwBp4d0AmpQZAKgplQBozigACe20AESfIABOmMoAcIJjAH58IwAPuTIAp/WOABRW5wAh8QgAtZ0qAG9+TQClGVEAtfmrAILf1gCW3WEAFjYCAMQ6nwCDoqEAcu1tADmNegCCuKkAazJcAEYnWwAANO0A0gB3APz0VQABWU0A4HGA");n(g,115107,"QPsh+T8AAAAALUR0PgAAAICYRvg8AAAAYFHMeDsAAACAgxvwOQAAAEAgJXo4AAAAgCKC4zYAAAAAHfNpNf6CK2VHFWdAAAAAAAAAOEMAAPr+Qi52vzo7nrya9wy9vf3/////3z88VFVVVVXFP5ErF89VVaU/F9CkZxERgT8AAAAAAADIQu85+v5CLuY/JMSC/72/zj+19AzXCGusP8xQRtKrsoM/hDpOm+DXVT8=");n(g,115294,"8D9uv4gaTzubPDUz+6k99u8/XdzYnBNgcbxhgHc+muzvP9FmhxB6XpC8hX9u6BXj7z8T9mc1UtKMPHSFFdOw2e8/+o75I4DOi7ze9t0pa9DvP2HI5mFO92A8yJt1GEXH7z+Z0zNb5KOQPIPzxso+vu8/bXuDXaaalzwPiflsWLXvP/zv/ZIatY4890dyK5Ks7z/RnC9wPb4+PKLR0zLso+8/C26QiTQDarwb0/6vZpvvPw69LypSVpW8UVsS0AGT7z9V6k6M74BQvMwxbMC9iu8/FvTVuSPJkbzgLamumoLvP69VXOnj04A8UY6lyJh67z9Ik6XqFRuAvHtRfTy4cu8/PTLeVfAfj7zqjYw4+WrvP79TEz+MiYs8dctv61tj7z8m6xF2nNmWvNRcBITgW+8/YC86PvfsmjyquWgxh1TvP504hsuC54+8Hdn8IlBN7z+Nw6ZEQW+KPNaMYog7Ru8/fQTksAV6gDyW3H2RST/vP5SoqOP9jpY8OGJ1bno47z99SHTyGF6HPD+msk/OMe8/8ucfmCtHgDzdfOJlRSvvP14IcT97uJa8gWP14d8k7z8xqwlt4feCPOHeH/WdHu8/+r9vGpshPbyQ2drQfxjvP7QKDHKCN4s8CwPkpoUS7z+Py86JkhRuPFYvPqmvDO8/tquwTXVNgzwVtzEK/gbvP0x0rOIBQoY8MdhM/HAB7z9K+NNdOd2PPP8WZLII/O4/BFuOO4Cjhrzxn5JfxfbuP2hQS8ztSpK8y6k6N6fx7j+OLVEb+AeZvGbYBW2u7O4/0jaUPujRcbz3n+U02+fuPxUbzrMZGZm85agTwy3j7j9tTCqnSJ+FPCI0Ekym3u4/imkoemASk7wcgKwERdruP1uJF0iPp1i8Ki73IQrW7j8bmklnmyx8vJeoUNn10e4/EazCYO1jQzwtiWFgCM7uP+9kBjsJZpY8VwAd7UHK7j95A6Ha4cxuPNA8wbWixu4/MBIPP47/kzze09fwKsPuP7CvervOkHY8Jyo21dq/7j934FTrvR2TPA3d/ZmyvO4/jqNxADSUj7ynLJ12srnuP0mjk9zM3oe8QmbPotq27j9fOA+9xt54vIJPnVYrtO4/9lx77EYShrwPkl3KpLHuP47X/RgFNZM82ie1Nkev7j8Fm4ovt5h7PP3Hl9QSre4/CVQc4uFjkDwpVEjdB6vuP+rGGVCFxzQ8t0ZZiiap7j81wGQr5jKUPEghrRVvp+4/n3aZYUrkjLwJ3Ha54aXuP6hN7zvFM4y8hVU6sH6k7j+u6SuJeFOEvCDDzDRGo+4/WFhWeN3Ok7wlIlWCOKLuP2QZfoCqEFc8c6lM1FWh7j8oIl6/77OTvM07f2aeoO4/grk0h60Sary/2gt1EqDuP+6pbbjvZ2O8LxplPLKf7j9RiOBUPdyAvISUUfl9n+4/zz5afmQfeLx0X+zodZ/uP7B9i8BK7oa8dIGlSJqf7j+K5lUeMhmGvMlnQlbrn+4/09QJXsuckDw/Xd5PaaDuPx2lTbncMnu8hwHrcxSh7j9rwGdU/eyUPDLBMAHtoe4/VWzWq+HrZTxiTs8286LuP0LPsy/FoYi8Eho+VCek7j80NzvxtmmTvBPOTJmJpe4/Hv8ZOoRegLytxyNGGqfuP25XcthQ1JS87ZJEm9mo7j8Aig5bZ62QPJlmitnHqu4/tOrwwS+3jTzboCpC5azuP//nxZxgtmW8jES1FjKv7j9EX/NZg/Z7PDZ3FZmuse4/gz0epx8Jk7zG/5ELW7TuPykebIu4qV285cXNsDe37j9ZuZB8+SNsvA9SyMtEuu4/qvn0IkNDkrxQTt6fgr3uP0uOZtdsyoW8ugfKcPHA7j8nzpEr/K9xPJDwo4KRxO4/u3MK4TXSbTwjI+MZY8juP2MiYiIExYe8ZeVde2bM7j/VMeLjhhyLPDMtSuyb0O4/Fbu809G7kbxdJT6yA9XuP9Ix7pwxzJA8WLMwE57Z7j+zWnNuhGmEPL/9eVVr3u4/tJ2Ol83fgrx689O/a+PuP4czy5J3Gow8rdNamZ/o7j/62dFKj3uQvGa2jSkH7u4/uq7cVtnDVbz7FU+4ovPuP0D2pj0OpJC8OlnljXL57j80k6049NZovEde+/J2/+4/NYpYa+LukbxKBqEwsAXvP83dXwrX/3Q80sFLkB4M7z+smJL6+72RvAke11vCEu8/swyvMK5uczycUoXdmxnvP5T9n1wy4448etD/X6sg7z+sWQnRj+CEPEvRVy7xJ+8/ZxpOOK/NYzy15waUbS/vP2gZkmwsa2c8aZDv3CA37z/StcyDGIqAvPrDXVULP+8/b/r/P12tj7x8iQdKLUfvP0mpdTiuDZC88okNCIdP7z+nBz2mhaN0PIek+9wYWO8/DyJAIJ6RgryYg8kW42DvP6ySwdVQWo48hTLbA+Zp7z9LawGsWTqEPGC0AfMhc+8/Hz60ByHVgrxfm3szl3zvP8kNRzu5Kom8KaH1FEaG7z/TiDpgBLZ0PPY/i+cukO8/cXKdUezFgzyDTMf7UZrvP/CR048S94+82pCkoq+k7z99dCPimK6NvPFnji1Ir+8/CCCqQbzDjjwnWmHuG7rvPzLrqcOUK4Q8l7prNyvF7z/uhdExqWSKPEBFblt20O8/7eM75Lo3jrwUvpyt/dvvP53NkU07iXc82JCegcHn7z+JzGBBwQVTPPFxjyvC8+8/EhETFBUWFxgZGhscHR4fICERIiMkESUmJygpKissES0uLxAQMBAQEBAQEBAxMjMQNDUQEBERERERERERERERERERERERERERERERERE2ERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERERNxERERE4ETk6Ozw9PhERERERERERERERERERERERERERERERERERERERERERERERERERERERERE/EBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEUBBEUJDREVGR0hJShFLTE1OT1BREFJTVFVWV1hZWltcXRBeX2AQERERYWJjEBAQEBAQEBAQEBERERFkEBAQEBAQEBAQEBAQEBAQERFlEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQERFmZxAQaGkREREREREREREREREREREREREREREREWoREWsQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEWxtEBAQEBAQEBAQbhAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQb3BxchAQEBAQEBAQc3R1EBAQEBB2dxAQEBB4EBB5EBAQEBAQEBAQEBAQEBA=");n(g,117872,"//////////////////////////////////////////8AAAAAAAAAAP7//wf+//8HAAAAAAAEIAT//3////9//////////////////////////////////8P/AwAfUA==");n(g,117976,"IAAAAAAA37xA1///+////////////7///////////////////////wP8///////////////////////////+////fwL//////wEAAAAA/7+2AP///4cHAAAA/wf//////////v/D////////////////7x/+4f+fAAD///////8A4P///////////////wMA//////8HMAT////8/x8AAP///wH/BwAAAAAAAP//3z8AAPD/+AP////////////v/9/h/8///v/vn/n///3F459ZgLDP/wMQ7of5///9bcOHGQJewP8/AO6/+////e3jvxsBAM//AB7un/n///3t458ZwLDP/wIA7Mc91hjH/8PHHYEAwP8AAO/f/f///f/j3x1gB8//AADv3/3///3v498dYEDP/wYA79/9/////+ffXfCAz/8A/Oz/f/z///svf4Bf/8D/DAD+/////3//Bz8g/wMAAAAA1vf//6///ztfIP/zAAAAAAEAAAD/AwAA//7///8f/v8D///+////HwAAAAAAAAAA////////f/n/A////////////z//////vyD///////f///////////89fz3//////z3/////PX89/3//////////Pf//////////BwAAAAD//wAA/////////////z8//v//////////////////////////////////////////////////////////n////v//B////////////8f/Af/fDwD//w8A//8PAP/fDQD////////P//8BgBD/AwAAAAD/A///////////////Af//////B///////////PwD///9//w//AcD/////Px8A//////8P////A/8DAAAAAP///w//////////f/7/HwD/A/8DgA==");n(g,118672,"////////7//vD/8DAAAAAP//////8////////7//AwD///////9/AP/j//////8//wH//////+cAAAAAAN5vBP///////////////////////////////wAAAACA/x8A//8/P/////8/P/+q////P////////99f3B/PD/8f3B8=");n(g,118814,"AoAAAP8f");n(g,118832,"hPwvPlC9//PgQwAA//////8B");n(g,118886,"wP///////wMAAP//////f///////f/////////////////////8feAwA/////78g/////////4AAAP//fwB/f39/f39/f/////8AAAAAAIA=");n(g,118992,"4AAAAP4DPh/+////////////f+D+//////////////fg///////+/////////////38AAP///wcAAAAAAAD///////////////////////////////8/");n(g,119088,"////////////////////////////////////////AAD//////////////////////x8AAAAAAAAAAP//////P/8f////DwAA//////9/8I///////////////////wAAAACA//z////////////////5////////fAAAAAAAgP+//////wAAAP///////w8A//////////8vAP8DAAD86P//////B/////8HAP///x/////////3/wCA/wP///9/////////fwD/P/8D//9//P////////9/BQAAOP//PAB+fn4Af3////////f/AP///////////////////wf/A///////////////////////////DwD//3/4//////8P/////////////////z//////////////////AwAAAAB/APjg//1/X9v/////////////////AwAAAPj///////////////8/AAD///////////z///////8AAAAAAP8P");n(g,119486,"3/////////////////////8fAAD/A/7//wf+//8HwP////////////9//Pz8HAAAAAD/7///f///t/8//z8AAAAA////////////////////BwAAAAAAAAAA////////Hw==");n(g,119616,"////H////////wEAAAAAAP////8A4P///wf//////wf///8//////w//PgAAAAAA/////////////////////////z//A/////8P/////w///////wD///////8P");n(g,119728,"////////fwD//z8A/w==");n(g,119760,"P/3/////v5H//z8A//9/AP///38AAAAAAAAAAP//NwD//z8A////AwAAAAAAAAAA/////////8AAAAAAAAAAAG/w7/7//z8AAAAAAP///x////8fAAAAAP/+//8fAAAA////////PwD//z8A//8HAP//Aw==");n(g,119888,"////////////AQAAAAAAAP///////wcA////////BwD//////wD/Aw==");n(g,119952,"////H4AA//8/");n(g,119980,"//9/AP//////////PwAAAMD/AAD8////////AQAA////Af8D////////x/9wAP////9HAP//////////HgD/FwAAAAD///v///+fQAAAAAAAAAAAf73/v/8B/////////wH/A++f+f///e3jnxmB4A8=");n(g,120112,"//////////+7B/+DAAAAAP//////////swD/Aw==");n(g,120160,"////////P38AAAA/AAAAAP////////9/EQD/AwAAAAD///////8/Af8DAAAAAAAA////5/8H/wM=");n(g,120240,"/////////wE=");n(g,120260,"////////////AwCA");n(g,120292,"//z///////waAAAA////////538AAP///////////yAAAAAA/////////wH//f////9/fwEA/wMAAPz////8///+fw==");n(g,120368,"f/v/////f7TLAP8Dv/3///9/ewH/Aw==");n(g,120428,"//9/AP////////////////////////8D");n(g,120464,"/////////////////38AAP///////////////////////////////w8=");n(g,120528,"//////9/");n(g,120560,"//////////9/");n(g,120592,"/////////wH///9//wM=");n(g,120618,"////PwAA////////AAAPAP8D+P//4P//");n(g,120664,"//////////8=");n(g,120688,"////////////h/////////+A//8AAAAAAAAAAAsAAAD/////////////////////////////////////////AP///////////////////////////////////////wcA////fwAAAAAAAAcA8AD/////////////////////////////////////////////////////////////////D/////////////////8H/x//Af9D");n(g,120880,"/////////////9///////////99k3v/r7/////////+/59/f////e1/8/f//////////////////////////////////////////////////////P/////3///f////3///f////3///f////3/////9/////f//98////////9////52wc=");n(g,121040,"//////8fgD//Qw==");n(g,121096,"//////8P/wP///////////////////////////////8fAAAAAAAAAP//////////jwj/Aw==");n(g,121168,"7////5b+9wqE6paqlvf3Xv/7/w/u+/8P");n(g,121206,"////A////wP///8D");n(g,121232,"EhATFBUWFxgZGhscHR4fICEQECIjECQlJicoKSorECwtLhERLxERERERETAxMjM0NTY3ERAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBA4EBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBA5EDo7PD0+PxAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBBAEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBBBEBBCEENERRBGR0gQSRAQSktMTU4QT1BRUlNUVVZXWFlaWxBcXV5fEBAQEGAQEBAQEBAQEBAQEBAQEBBhEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBBiYxAQZGUQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQZhAQEBAQEBAQEBAQEBAQEBAQEBBnaGlqEBBrbBERbRAQEBAQEG5vEBAQEBBwcRAQcnN0EHV2dxEREXh5ent8EBAQEBA=");n(g,121776,"//////////////////////////////////////////8AAAAA/v8A/AEAAPgBAAB4AAAAAP/73/sAAIAAAACA");n(g,121864,"PAD8/+Cv/////////////9///////yBAsA==");n(g,121902,"QA==");n(g,121920,"/AM=");n(g,121947,"/AAAAAAA5v7///8AQEkAAAAAABgA//8A2AAAAAAAAAABADw=");n(g,121994,"EOABHgBg/78AAAAAAAD/Bw==");n(g,122029,"+M/jAAAAAwAg/38AAABO");n(g,122058,"CAAH/A==");n(g,122071,"EAAgHgAwAAEAAAAAAAAAABAAIAAAAAD8bwAAAAAAAAAQACAAAAAAQAAAAAAAAAAAEAAgAAAAAAPgAAAAAAAAABAAIAAAAAD9");n(g,122153,"IAAAAAD/BxAAAAAAAAAAACAAAAAAgP8QAAAAAAAAEAAg");n(g,122199,"GACgAH8AAP8D");n(g,122217,"BAAAAAAQAAAAAAAAgACAwN8ADA==");n(g,122247,"BAAfAAAAAAAA/v///wD8//8AAAAAAAAAAPwAAAAAAADA/9//Bw==");n(g,122294,"gAYA/A==");n(g,122307,"wA==");n(g,122319,"CA==");n(g,122331,"4P///x8AAP8D");n(g,122352,"AQ==");n(g,122397,"YAAAAQAAGA==");n(g,122413,"OAAAAAAQAAAAcA==");n(g,122438,"MAAA/n8vAAD/A/9/");n(g,122487,"DjE=");n(g,122507,"xP////8AAADAAAAAAAAAAAABAOCfAAAAAH8//38=");n(g,122550,"EAAQAAD8////HwAAAAAADAAAAAAAAEAADPAAAAAAAACA+AAAAAAAAADAAAAAAAAAAAD/AP///yGQAw==");n(g,122632,"/////38A4Ps=");n(g,122663,"oAPgAOAA4ABggPj////8//////9/3//xf/9/AAD/////AAD/////AQB7A9DBr0IADB+8//8AAAAAAA7///////////////////////9/AAAA/wcAAP////////////8/AAAAAAAA/P/////////////////////P////P/////////////////8=");n(g,122828,"4IcD/g==");n(g,122846,"AYA=");n(g,122864,"//////9//////wAAAAAAAP////v/////////////DwD//////////////////////////////////z8AAAD/Dx7///8B/MHg");n(g,122947,"HgE=");n(g,122959,"CA==");n(g,122978,"//8AAAAA/////w8AAAD///9//////////////////////////////////////w==");n(g,123048,"//////////8=");n(g,123074,"////////fwAAAAAAAMAA4A==");n(g,123101,"gA9w");n(g,123118,"/wD//38AAw==");n(g,123137,"Bg==");n(g,123152,"QAAAAAAP/wMAAAAAAADw");n(g,123176,"EMAAAP//AxcAAAAAAPgAAAAACIA=");n(g,123206,"CAD/PwDA");n(g,123227,"8AAAgAMAAAAAAAAAgAIAAMAAAEM=");n(g,123259,"CA==");n(g,123277,"OAAAAQ==");n(g,123343,"gAAAAAAAAg==");n(g,123366,"/P8D");n(g,123383,"wA==");n(g,123407,"MP///wP////////3/38P");n(g,123439,"gP7/APwBAAD4AQAA+D8=");n(g,123468,"f38AMIf//////4//AAAAAAAA4P//f/8PAQAAAAAA//////8/");n(g,123532,"////DwAAAAAP");n(g,123555,"gAAAAAAAAAE=");n(g,123581,"gA==");n(g,123610,"gP8AAID/AAAAAID/");n(g,123631,"+AAAwI8AAACA");n(g,123655,"MP///P//////AAAAAAAAAIf/Af8BAAAA4AAAAOAAAAAAAAEAAGD4fwAAAAAAAAAA/gAAAP8AAAD/AAAAHgD+");n(g,123759,"/A==");n(g,123772,"////fw==");n(g,123795,"4H8AAADA//8D");n(g,123832,"wD/8/z8AAIADAAAAAAAA/gMg");n(g,123862,"GAAPAAAAAAA4");n(g,123880,"4T8A6P7/HwAAAAAAAABgPw==");n(g,123909,"AgAAAAAAAAAG");n(g,123927,"GAAgAADAHx8=");n(g,123960,"RPgAaA==");n(g,123976,"TA==");n(g,124007,"gP///w==");n(g,124023,"gA4AAAD/HwAAAAAAAAAAwA==");n(g,124053,"CAD8");n(g,124087,"Dg==");n(g,124109,"/Ac=");n(g,124140,"BQ==");n(g,124150,"GID/");n(g,124163,"3wc=");n(g,124183,"gD4AAPz/HwM=");n(g,124216,"NA==");n(g,124226,"gA==");n(g,124270,"gAE=");n(g,124296,"////////A4A=");n(g,124318,"Hw==");n(g,124342,"/wE=");n(g,124381,"wA==");n(g,124398,"PwAAAAAAAAD//zAAAPgD");n(g,124448,"////Bw==");n(g,124492,"BA==");n(g,124515,"sA8=");n(g,124528,"////////////////////////////////////////PwD/////f/7//////////////////////////////wEAAP//////////Pw==");n(g,124620,"//8PAP////////////9/AP///wE=");n(g,124680,"AgAACAAAAAgAACAAAAAgAACAAAAAgAAAAAIAAAACAAAIAAAAAAAAAP//////////////////////DwD4/v8=");n(g,124758,"fwAAgA==");n(g,124813,"8ACA");n(g,124840,"gP9/");n(g,124856,"cAcAwA==");n(g,124894,"/v////////8f");n(g,124912,"/v///////z8=");n(g,124974,"AwD//////w////////////////8PAP9//v/+//7///8/AP8f/////wAAAPwAAAAcAAAA/P///x8AAAAAAADA////BwD//////w//AQMAPw==");n(g,125072,"//////////////////////////////////8/AP8f/wf//////////////////w8A//////////////8B/w8AAP8P/////////wD/A///////AP///z8=");n(g,125168,"/+////////////////97/P/////nx////+f/////////////////////DwD/Pw8HBwA/");n(g,125232,"/////////////////////////////////////////////////////////////////wABAgMEBQYHCAn/////////CgsMDQ4PEBESExQVFhcYGRobHB0eHyAhIiP///////8KCwwNDg8QERITFBUWFxgZGhscHR4fICEiI/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////8=");n(g,125504,"IAAAAAkAAAAKAAAADQAAAAsAAAAMAAAAhQAAAAAgAAABIAAAAiAAAAMgAAAEIAAABSAAAAYgAAAIIAAACSAAAAogAAAoIAAAKSAAAF8gAAAAMA==");n(g,125600,"3hIElQAAAAD///////////////+g6gEAFAAAAEMuVVRGLTg=");n(g,125664,"TENfQ1RZUEUAAAAATENfTlVNRVJJQwAATENfVElNRQAAAAAATENfQ09MTEFURQAATENfTU9ORVRBUlkATENfTUVTU0FHRVM=");n(g,125744,"Qy5VVEYtOA==");n(g,125768,"sCUCAE5vIGVycm9yIGluZm9ybWF0aW9uAElsbGVnYWwgYnl0ZSBzZXF1ZW5jZQBEb21haW4gZXJyb3IAUmVzdWx0IG5vdCByZXByZXNlbnRhYmxlAE5vdCBhIHR0eQBQZXJtaXNzaW9uIGRlbmllZABPcGVyYXRpb24gbm90IHBlcm1pdHRlZABObyBzdWNoIGZpbGUgb3IgZGlyZWN0b3J5AE5vIHN1Y2ggcHJvY2VzcwBGaWxlIGV4aXN0cwBWYWx1ZSB0b28gbGFyZ2UgZm9yIGRhdGEgdHlwZQBObyBzcGFjZSBsZWZ0IG9uIGRldmljZQBPdXQgb2YgbWVtb3J5AFJlc291cmNlIGJ1c3kASW50ZXJydXB0ZWQgc3lzdGVtIGNhbGwAUmVzb3VyY2UgdGVtcG9yYXJpbHkgdW5hdmFpbGFibGUASW52YWxpZCBzZWVrAENyb3NzLWRldmljZSBsaW5rAFJlYWQtb25seSBmaWxlIHN5c3RlbQBEaXJlY3Rvcnkgbm90IGVtcHR5AENvbm5lY3Rpb24gcmVzZXQgYnkgcGVlcgBPcGVyYXRpb24gdGltZWQgb3V0AENvbm5lY3Rpb24gcmVmdXNlZABIb3N0IGlzIGRvd24ASG9zdCBpcyB1bnJlYWNoYWJsZQBBZGRyZXNzIGluIHVzZQBCcm9rZW4gcGlwZQBJL08gZXJyb3IATm8gc3VjaCBkZXZpY2Ugb3IgYWRkcmVzcwBCbG9jayBkZXZpY2UgcmVxdWlyZWQATm8gc3VjaCBkZXZpY2UATm90IGEgZGlyZWN0b3J5AElzIGEgZGlyZWN0b3J5AFRleHQgZmlsZSBidXN5AEV4ZWMgZm9ybWF0IGVycm9yAEludmFsaWQgYXJndW1lbnQAQXJndW1lbnQgbGlzdCB0b28gbG9uZwBTeW1ib2xpYyBsaW5rIGxvb3AARmlsZW5hbWUgdG9vIGxvbmcAVG9vIG1hbnkgb3BlbiBmaWxlcyBpbiBzeXN0ZW0ATm8gZmlsZSBkZXNjcmlwdG9ycyBhdmFpbGFibGUAQmFkIGZpbGUgZGVzY3JpcHRvcgBObyBjaGlsZCBwcm9jZXNzAEJhZCBhZGRyZXNzAEZpbGUgdG9vIGxhcmdlAFRvbyBtYW55IGxpbmtzAE5vIGxvY2tzIGF2YWlsYWJsZQBSZXNvdXJjZSBkZWFkbG9jayB3b3VsZCBvY2N1cgBTdGF0ZSBub3QgcmVjb3ZlcmFibGUAUHJldmlvdXMgb3duZXIgZGllZABPcGVyYXRpb24gY2FuY2VsZWQARnVuY3Rpb24gbm90IGltcGxlbWVudGVkAE5vIG1lc3NhZ2Ugb2YgZGVzaXJlZCB0eXBlAElkZW50aWZpZXIgcmVtb3ZlZABEZXZpY2Ugbm90IGEgc3RyZWFtAE5vIGRhdGEgYXZhaWxhYmxlAERldmljZSB0aW1lb3V0AE91dCBvZiBzdHJlYW1zIHJlc291cmNlcwBMaW5rIGhhcyBiZWVuIHNldmVyZWQAUHJvdG9jb2wgZXJyb3IAQmFkIG1lc3NhZ2UARmlsZSBkZXNjcmlwdG9yIGluIGJhZCBzdGF0ZQBOb3QgYSBzb2NrZXQARGVzdGluYXRpb24gYWRkcmVzcyByZXF1aXJlZABNZXNzYWdlIHRvbyBsYXJnZQBQcm90b2NvbCB3cm9uZyB0eXBlIGZvciBzb2NrZXQAUHJvdG9jb2wgbm90IGF2YWlsYWJsZQBQcm90b2NvbCBub3Qgc3VwcG9ydGVkAFNvY2tldCB0eXBlIG5vdCBzdXBwb3J0ZWQATm90IHN1cHBvcnRlZABQcm90b2NvbCBmYW1pbHkgbm90IHN1cHBvcnRlZABBZGRyZXNzIGZhbWlseSBub3Qgc3VwcG9ydGVkIGJ5IHByb3RvY29sAEFkZHJlc3Mgbm90IGF2YWlsYWJsZQBOZXR3b3JrIGlzIGRvd24ATmV0d29yayB1bnJlYWNoYWJsZQBDb25uZWN0aW9uIHJlc2V0IGJ5IG5ldHdvcmsAQ29ubmVjdGlvbiBhYm9ydGVkAE5vIGJ1ZmZlciBzcGFjZSBhdmFpbGFibGUAU29ja2V0IGlzIGNvbm5lY3RlZABTb2NrZXQgbm90IGNvbm5lY3RlZABDYW5ub3Qgc2VuZCBhZnRlciBzb2NrZXQgc2h1dGRvd24AT3BlcmF0aW9uIGFscmVhZHkgaW4gcHJvZ3Jlc3MAT3BlcmF0aW9uIGluIHByb2dyZXNzAFN0YWxlIGZpbGUgaGFuZGxlAFJlbW90ZSBJL08gZXJyb3IAUXVvdGEgZXhjZWVkZWQATm8gbWVkaXVtIGZvdW5kAFdyb25nIG1lZGl1bSB0eXBlAE11bHRpaG9wIGF0dGVtcHRlZABSZXF1aXJlZCBrZXkgbm90IGF2YWlsYWJsZQBLZXkgaGFzIGV4cGlyZWQAS2V5IGhhcyBiZWVuIHJldm9rZWQAS2V5IHdhcyByZWplY3RlZCBieSBzZXJ2aWNl");n(g,127698,"pQJbAPABtQWMBSUBgwYdA5QE/wDHAzEDCwa8AY8BfwPKBCsA2gavAEIDTgPcAQ4EFQChBg0BlAILAjgGZAK8Av8CXQPnBAsHzwLLBe8F2wXhAh4GRQKFAIICbANvBPEA8wMYBdkA2gNMBlQCewGdA70EAABRABUCuwCzA20A/wGFBC8F+QQ4AGUBRgGfALcGqAFzAlMB");n(g,127896,"IQQAAAAAAAAAAC8C");n(g,127928,"NQRHBFYE");n(g,127950,"oAQ=");n(g,127970,"RgVgBW4FYQYAAM8BAAAAAAAAAADJBukG+QYeBzkHSQdeBwAIAABWAQAAOQAAAAAAAAABIAAAAOD//wC/HQAA5wIAAHkAAAIkAAABAQAAAP///wAAAAABAgAAAP7//wE5//8AGP//AYf//wDU/v8AwwAAAdIAAAHOAAABzQAAAU8AAAHKAAABywAAAc8AAABhAAAB0wAAAdEAAACjAAAB1QAAAIIAAAHWAAAB2gAAAdkAAAHbAAAAOAAAAwAAAACx//8Bn///Acj//wIoJAAAAAAAAQEAAAD///8AM///ACb//wF+//8BKyoAAV3//wEoKgAAPyoAAT3//wFFAAABRwAAAB8qAAAcKgAAHioAAC7//wAy//8ANv//ADX//wBPpQAAS6UAADH//wAopQAARKUAAC///wAt//8A9ykAAEGlAAD9KQAAK///ACr//wDnKQAAQ6UAACqlAAC7//8AJ///ALn//wAl//8AFaUAABKlAAIkTAAAAAAAASAAAADg//8BAQAAAP///wBUAAABdAAAASYAAAElAAABQAAAAT8AAADa//8A2///AOH//wDA//8Awf//AQgAAADC//8Ax///ANH//wDK//8A+P//AKr//wCw//8ABwAAAIz//wHE//8AoP//Afn//wIacAABAQAAAP///wEgAAAA4P//AVAAAAEPAAAA8f//AAAAAAEwAAAA0P//AQEAAAD///8AAAAAAMALAAFgHAAAAAAAAdCXAAEIAAAA+P//AgWKAAAAAAABQPT/AJ7n/wDCiQAA2+f/AJLn/wCT5/8AnOf/AJ3n/wCk5/8AAAAAADiKAAAEigAA5g4AAQEAAAD///8AAAAAAMX//wFB4v8CHY8AAAgAAAH4//8AAAAAAFYAAAGq//8ASgAAAGQAAACAAAAAcAAAAH4AAAAJAAABtv//Aff//wDb4/8BnP//AZD//wGA//8Bgv//AgWsAAAAAAABEAAAAPD//wEcAAABAQAAAaPi/wFB3/8But//AOT//wILsQABAQAAAP///wEwAAAA0P//AAAAAAEJ1v8BGvH/ARnW/wDV1f8A2NX/AeTV/wED1v8B4dX/AeLV/wHB1f8AAAAAAKDj/wAAAAABAQAAAP///wIMvAAAAAAAAQEAAAD///8BvFr/AaADAAH8df8B2Fr/ADAAAAGxWv8BtVr/Ab9a/wHuWv8B1lr/Aeta/wHQ//8BvVr/Ach1/wAAAAAAMGj/AGD8/wAAAAABIAAAAOD//wAAAAABKAAAANj//wAAAAABQAAAAMD//wAAAAABIAAAAOD//wAAAAABIAAAAOD//wAAAAABIgAAAN7//zAMMQ14Dn8PgBCBEYYSiROKE44UjxWQFpMTlBeVGJYZlxqaG5wZnRyeHZ8eph+pH64fsSCyILchvyLFI8gjyyPdJPIj9iX3JiAtOi49Lz4wPzFAMUMyRDNFNFA1UTZSN1M4VDlZOls7XDxhPWM+ZT9mQGhBaUJqQGtDbERvQnFFckZ1R31IgkmHSolLikyLTIxNkk6dT55QRVd7HXwdfR1/WIZZiFqJWopajFuOXI9crF2tXq5er17CX8xgzWHOYc9i0GPRZNVl1mbXZ/Bo8WnyavNr9Gz1bflu/S3+Lf8tUGlRaVJpU2lUaVVpVmlXaVhpWWlaaVtpXGldaV5pX2mCAIMAhACFAIYAhwCIAIkAwHXPdoCJgYqCi4WMho1wnXGddp53nnifeZ96oHugfKF9obOiuqO7o7ykvqXDosyk2qbbpuVq6qfrp+xu86L4qPmo+qn7qfykJrAqsSuyTrOECGK6Y7tkvGW9Zr5tv27Ab8Fwwn7Df8N9z43QlNGr0qzTrdSw1bHWstfE2MXZxtoHCAkKCwwGBgYGBgYGBgYGDQYGDgYGBgYGBgYGDxAREgYTBgYGBgYGBgYGBhQVBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGFhcGBgYYBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYZBgYGBhoGBgYGBgYGGwYGBgYGBgYGBgYGHAYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYdBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYGBgYeBgYGBgYGBgYGBgYGBgYGBgYGBgYGBg==");n(g,129999,"JCsrKysrKysrAQBUVlZWVlZWVlY=");n(g,130038,"GAAAACsrKysrKysHKytbVlZWVlZWVkpWVgUxUDFQMVAxUDFQMVAxUDFQJFB5MVAxUDE4UDFQMVAxUDFQMVAxUDFQTjECTg0NTgNOACRuAE4xJm5RTiRQTjkUgRsdHVMxUDFQDTFQMVAxUBtTJFAxAlx7XHtce1x7XHsUeVx7XHtcLStJA0gDeFx7FACWCgErKAYGACoGKiorB7u1Kx4AKwcrKysBKysrKysrKysrKysrKysrKysrKysrKysrKysrKysrKysBKysrKysrKysrKysrKysrKysrKysrKysqKysrKysrKysrKysrK81GzSsAJSsHAQYBVVZWVlZWVVZWAiSBgYGBgRWBgYEAACsAstGy0bLRstEAAM3MAQDX19fX14OBgYGBgYGBgYGBrKysrKysrKysrBwAAAAAADFQMVAxUDFQMVAxAgAAMVAxUDFQMVAxUDFQMVAxUDFQTjFQMVBOMVAxUDFQMVAxUDFQMVAxAoemh6aHpoemh6aHpoemh6YqKysrKysrKysrKysrAAAAVFZWVlZWVlZWVlZWVg==");n(g,130547,"VFZWVlZWVlZWVlZWVgwADCorKysrKysrKysrKysrByoB");n(g,130633,"KisrKysrKysrKysrKysrKysrKysrKysrKysrVlZsgRUAKysrKysrKysrKysrKysrKysrKysrKysrKysrKysrKysrKysrKysrKysrB2wDQSsrVlZWVlZWVlZWVlZWVlYsVisrKysrKysrKysrKysrKysrKysrKwE=");n(g,130792,"DGwAAAAAAAY=");n(g,130838,"BiUGJQYlBiUGJQYlBiUGJQYlBiUGJQYlBiUGJQYlBiUGJQYlBiUGJQYlBiUGJQYlBiVWep4mBiUGJQYlBiUGJQYlBiUGJQYlBiUGJQYlBiUGJQYlBgErK09WViwrf1ZWOSsrVVZWKytPVlYsK39WVoE3dVt7XCsrT1ZWAqwEAAA5KytVVlYrK09WViwrK1ZWMhOBVwBvgX7J134tgYEOfjl/b1cAgYF+FQB+AysrKysrKysrKysrKwcrJCuXKysrKysrKysrKisrKysrVlZWVlaAgYGBgTm7KisrKysrKysrKysrKysrKysrKysrKysrKysrKysrKysrKysrKysrKysBgYGBgYGBgYGBgYGBgYGByaysrKysrKysrKysrKysrNANAE4xArTBwdfXJFAxUDFQMVAxUDFQMVAxUDFQMVAxUDFQMVAxUDFQMVAxUNfXU8FH1NfX1wUrKysrKysrKysrKysHAQAB");n(g,131289,"TjFQMVAxUDFQMVAxUDFQDQAAAAAAJFAxUDFQMVAxUA==");n(g,131354,"KysrKysrKysrKyt5XHtce097XHtce1x7XHtce1x7XHtce1x7XC0rK3kUXHtcLXkqXCdce1x7XHukAAq0XHtce08DKisrKysrKysrKysrKysrKysrKwE=");n(g,131467,"SA==");n(g,131477,"KisrKysrKysrKysrKysrKysrKysrKysrKysr");n(g,131537,"KysrKysrKysHAEhWVlZWVlZWVgI=");n(g,131612,"KysrKysrKysrKysrK1VWVlZWVlZWVlZWVlYO");n(g,131670,"JCsrKysrKysrKysrBwBWVlZWVlZWVlZWVlY=");n(g,131740,"JCsrKysrKysrKysrKysrKysHAAAAAFZWVlZWVlZWVlZWVlZWVlZW");n(g,131837,"KisrKysrKysrKytWVlZWVlZWVlZWDg==");n(g,131891,"KisrKysrKysrKytWVlZWVlZWVlZWDg==");n(g,131956,"KysrKysrKysrKytVVlZWVlZWVlZWVg4=");n(g,132049,"BidRb3c=");n(g,132064,"fAAAfwAAAAAAAAAAg46SlwCq");n(g,132092,"tMQ=");n(g,132214,"xskAAADb");n(g,132303,"3gAAAADhAAAAAAAAAOQ=");n(g,132328,"5w==");n(g,132414,"6g==");n(g,132537,"7Q==");n(g,132560,"GQALABkZGQAAAAAFAAAAAAAACQAAAAALAAAAAAAAAAAZAAoKGRkZAwoHAAEACQsYAAAJBgsAAAsABhkAAAAZGRk=");n(g,132641,"DgAAAAAAAAAAGQALDRkZGQANAAACAAkOAAAACQAOAAAO");n(g,132699,"DA==");n(g,132711,"EwAAAAATAAAAAAkMAAAAAAAMAAAM");n(g,132757,"EA==");n(g,132769,"DwAAAAQPAAAAAAkQAAAAAAAQAAAQ");n(g,132815,"Eg==");n(g,132827,"EQAAAAARAAAAAAkSAAAAAAASAAASAAAaAAAAGhoa");n(g,132882,"GgAAABoaGgAAAAAAAAk=");n(g,132931,"FA==");n(g,132943,"FwAAAAAXAAAAAAkUAAAAAAAUAAAU");n(g,132989,"Fg==");n(g,133001,"FQAAAAAVAAAAAAkWAAAAAAAWAAAWAAAwMTIzNDU2Nzg5QUJDREVG");n(g,133076,"EQ==");n(g,133116,"//////////8=");n(g,133184,"0XSeAFedvSqAcFIP//8+JwoAAABkAAAA6AMAABAnAACghgEAQEIPAICWmAAA4fUFGAAAADUAAABxAAAAa////877//+Sv///AAAAAAAAAAACAADAAwAAwAQAAMAFAADABgAAwAcAAMAIAADACQAAwAoAAMALAADADAAAwA0AAMAOAADADwAAwBAAAMARAADAEgAAwBMAAMAUAADAFQAAwBYAAMAXAADAGAAAwBkAAMAaAADAGwAAwBwAAMAdAADAHgAAwB8AAMAAAACzAQAAwwIAAMMDAADDBAAAwwUAAMMGAADDBwAAwwgAAMMJAADDCgAAwwsAAMMMAADDDQAA0w4AAMMPAADDAAAMuwEADMMCAAzDAwAMwwQADNvsCQIAaAkCANgKAgBOMTBfX2N4eGFiaXYxMTZfX3NoaW1fdHlwZV9pbmZvRQAAAADsCQIAmAkCAFwJAgBOMTBfX2N4eGFiaXYxMTdfX2NsYXNzX3R5cGVfaW5mb0UAAAAAAAAAjAkCABQAAAAVAAAAFgAAABcAAAAYAAAAGQAAABoAAAAbAAAAAAAAAAwKAgAUAAAAHAAAABYAAAAXAAAAGAAAAB0AAAAeAAAAHwAAAOwJAgAYCgIAjAkCAE4xMF9fY3h4YWJpdjEyMF9fc2lfY2xhc3NfdHlwZV9pbmZvRQAAAAAAAAAAlAoCAAkAAAAgAAAAIQAAAAAAAACwCgIACQAAACIAAAAjAAAAAAAAAHwKAgAJAAAAJAAAACUAAADECQIAhAoCAFN0OWV4Y2VwdGlvbgAAAADsCQIAoAoCAHwKAgBTdDliYWRfYWxsb2MAAAAA7AkCALwKAgCUCgIAU3QyMGJhZF9hcnJheV9uZXdfbGVuZ3RoAAAAAMQJAgDgCgIAU3Q5dHlwZV9pbmZv");n(g,133872,"0LEAANCyAADQswAA0LQAANC1AADQtgAA0LcAANC4AADQuQAA0LoAANC7AADQvAAA0L0AANC+AADQvwAA0MAAANDBAADQwgAA0MMAANDEAADQxQAA0MIAANDGAADQxwAA0MgAANDJAADQygAA0MsAANDMAADQzQAA0M4AANDPAADQ0AAA0NEAANDSAADQ0wAA0NQAANDVAADQ1gAA0NcAANDYAADQ2QAA0NIAANDaAADQ2wAA0NwAANDdAADQ3gAA0N8AANDgAADQ4QAA0NgAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQ4gAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0OMAANDkAADQwgAA0MIAANDCAADQ5QAA0MIAANDmAADQ5wAA0OgAANDpAADQ6gAA0OsAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQ7AAA0O0AANDCAADQ7gAA0O8AANDCAADQ8AAA0PEAANDyAADQ8wAA0PQAAND1AADQ9gAA0PcAAND4AADQwgAA0PkAAND6AADQ+wAA0PwAAND9AADQ/gAA0P8AANAAAQDQAQEA0AIBANADAQDQBAEA0AUBANAGAQDQBwEA0AgBANAJAQDQCgEA0AsBANAMAQDQCwEA0A0BANAOAQDQDwEA0AsBANDCAADQwgAA0MIAANAQAQDQEQEA0BIBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQwgAA0MIAANDCAADQwgAA0BMBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANDCAADQwgAA0BQBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANDCAADQwgAA0BUBANAWAQDQCwEA0AsBANAXAQDQGAEA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQGQEA0MIAANDCAADQGgEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANDCAADQGwEA0BwBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANAdAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0B4BANAfAQDQIAEA0CEBANAiAQDQIwEA0CQBANAlAQDQ2AAA0NgAANAmAQDQCwEA0AsBANALAQDQCwEA0AsBANAnAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0CgBANApAQDQCwEA0AsBANAqAQDQCwEA0CsBANALAQDQLAEA0C0BANAuAQDQLwEA0NgAANDYAADQMAEA0DEBANAyAQDQMwEA0DQBANALAQDQCwEA0AsBANALAQDQCwEA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANA1AQDQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0DYBANA3AQDQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQOAEA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANDCAADQwgAA0MIAANA5AQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQCwEA0AsBANALAQDQwgAA0MIAANA6AQDQOwEA0DwB");n(g,136816,"qlcBAEEAAADmVwEAQgAAAC9YAQBDAAAAdFgBAEQAAADbWAEARQAAABxZAQBGAAAAhVkBAEcAAACNWQEASAAAADlaAQBJAAAAcFoBAEoAAAD3WgEASwAAADdbAQBMAAAAelsBAE0AAADiWwEATgAAAHRcAQBPAAAAkVwBAAgAAADmXAEACQAAACldAQAKAAAAcV0BAAsAAACfXQEADAAAANRdAQANAAAAGV4BAA4AAAA0XgEADwAAAJBeAQAPAAAAx14BABAAAABNXwEAEQAAAIdfAQASAAAAtV8BABMAAADjXwEAFAAAAA9gAQAVAAAAOmABABcAAABqYAEAGAAAAINgAQAZAAAAv2ABABsAAADnYAEAHAAAAPpgAQAdAAAALWEBACAAAABOYQEAIQAAAHlhAQAiAAAAp2EBACMAAADbYQEAJAAAAP1hAQAlAAAAH2IBACYAAABjYgEAKAAAAIdiAQApAAAAuGIBACoAAADyYgEAKwAAAD9jAQAtAAAAeWMBAC4AAACxYwEALwAAAPBjAQAwAAAAgmQBADEAAACnZAEAMgAAANlkAQAzAAAACGUBAGQAAABqZQEAyAAAAOdlAQDJAAAAAAAAAP////8sZgEAAQAAAEhmAQACAAAADlUBAAMAAADXZgEAEQAAAD5nAQASAAAAjWcBABMAAAAFaAEAFAAAAEVoAQAVAAAAVmgBABYAAAB+aAEAEQAAAMFoAQAhAAAA1GgBACIAAAAIaQEAIwAAAFVpAQAkAAAAc2kBACUAAACpaQEAJgAAAOxpAQAhAAAAAAAAAP////8AAAAAAAAAACYAAAAAAAAAAQAAAKByAQABAAAAoHMBAAEAAACgdAEAAQAAAKB1AQABAAAAoHYBAAEAAACgdwEAAQAAAKB4AQABAAAAoHkBAAEAAACgegEAAQAAAKB7AQABAAAAoHwBAAEAAACgfQEAAQAAAKB+AQABAAAAoH8BAAEAAACggAEAAQAAAKCBAQABAAAAoIIBAAUAAAAAAAAABg==");n(g,137600,"sIMBALCDAQAwhAEAMIQBALCEAQAwhQEAsIUBADCGAQCwhgEAsIYBADCHAQAwhwEAsIcBALCHAQAwiAEAMIgBALCIAQCwiAEAMIkBADCJAQAuOU4ysIkBAAMHBQDQiQEALjlOLrCJAQADBwUA0IkBAC45Ti6wiQEAAwcFANCJAQAuOVoysIkBAAMJBQDViQEALjlOMrCJAQADBwUA0IkBAC45SjewiQEABAcFANqJAQAuOUo3sIkBAAQHBQDaiQEALjlKN7CJAQAEBwUA2okBAC45TjKwiQEAAwcFANCJAQAuOU4usIkBAAMHBQDQiQEALjlOMrCJAQADBwUA0IkBACIpKSCwiQEAAwcFANqJAQAuOTcysIkBAAMHBQDaiQEArFMBABABAAAJVAEADAEAANtUAQARAQAAE1UBACMAAACIVQEAGwAAAD1WAQAVAAAAzlYBAAABAAAKVwEAAgEAAFZXAQADAQAAxlcBAAQBAAAEWAEABQEAAFdYAQATAAAAmlgBAB4AAADeWAEAFwAAAGhZAQAaAAAAmlkBABkAAAD9WQEAGAAAAEFaAQAdAAAA11oBABwAAAAYWwEAFgAAAEBbAQAU");n(g,138064,"TFgBABABAACRWAEADAEAAPxYAQARAQAAPFkBACMAAACQWQEAGwAAAOlZAQAVAAAAS1oBAAABAAClWgEAAgEAAAlbAQADAQAAWFsBAAQBAACwWwEABQEAAFFcAQATAAAAfFwBAB4AAADOXAEAFwAAAB9dAQAaAAAAZ10BABkAAACSXQEAGAAAANxdAQAdAAAADl4BABwAAAA5XgEAFgAAAGleAQAU");n(g,138240,"xE8BAAEAAABlUAEAAAAAANhQAQAAAAAAQVIBAAAAAABKUwEAAAAAAIpTAQAAAAAABFQBAAAAAADwVAEAAAAAAC5VAQAAAAAAklUBAAAAAABdVgEAAAAAAAVXAQAAAAAAF1cBAAAAAABRVwEAAAAAALBXAQAAAAAA/1cBAAAAAABAWAEAAAAAAKxYAQAAAAAA8VgBAAAAAAA3WQEAAAAAAIhZAQAAAAAA9FkBAAAAAAD/////j00BAIIAAAB5AAAAdg==");n(g,138448,"8I8BAPCPAQBgkAEA0JABANCQAQDQkAEAAQAAAAQrAwC8KgMAdAcD");n(g,138496,"L0sBAAEAAAAAAAAA/////2NMAQABAAAAB00BAAIAAADSTQEAAwAAAAAAAAD/////Yk4BAAAAAADbTgEAAQAAALtPAQACAAAAIVABABQAAAAAAAAA/////wAAAAAAAAAAwFABABIAAABWUgEAFAAAAOdSAQAkAAAAj1MBAEAAAAAaVAEAwQAAAAAAAAD/////tFQBAAEAAAAAAAAA/////2NMAQAAAAAAIlUBAAEAAACaVQEAAgAAAExWAQADAAAA6FYBAAQAAAApVwEABQAAAAAAAAD/////AAAAAAAAAABjTAEAAQAAAJJXAQACAAAAuFcBAAMAAADoVgEABAAAAClXAQAFAAAAAAAAAP////8AAAAAE1gBAEVYAQAhUAEAsVgB");n(g,138800,"/F8BAAEAAABDYAEAAgAAAGJgAQADAAAAi2ABAAQAAAC6YAEABQAAAN1gAQAGAAAAD2EBAAcAAAA0YQEACAAAAFthAQAJAAAAgGEBAAoAAACaYQEACwAAAM1hAQAMAAAAA2IBAA0AAAA4YgEADgAAAFhiAQAPAAAAkGIBAA8AAADeYgEADwAAACNjAQAPAAAASWMBAA8AAACuYwEABwAAAORjAQAHAAAARWQBAAcAAACOZAEABwAAALlkAQAHAAAAzWQBAA4AAADxZAEADgAAABRlAQAQAAAA/mUBABAAAAA1ZgEAEAAAAOhWAQAQAAAAeGYBABAAAADLZgEAEA==");n(g,139072,"iW0BAD4AAACtbQEAPOAAANdtAQAmAAAA3m0BACIAAABEbgEAIAAAAIJuAQAnAAAAAAAAAP////8AAAAAAAAAAG1nAQBkAAAAz2cBAAAAAAATaAEAHgAAAExoAQBBAAAATFYBAGQAAACQaAEAlgAAAK9oAQDmAAAAAAAAAP////9tZwEAZAAAAMhoAQA8AAAA82gBAFAAAABMVgEAZAAAABxpAQB9AAAAXGkBAKAAAAAAAAAA/////wAAAAAAAAAAbWcBAGQAAACeaQEARgAAAOhpAQBVAAAATFYBAGQAAAAyagEAbgAAAHFqAQB4AAAAAAAAAP////8AAAAAAAAAAG1nAQBkAAAAnmkBABQAAADoaQEAMgAAAExWAQBkAAAAMmoBAIwAAABxagEAtAAAAAAAAAD/////");n(g,139396,"wB8CAIAfAgAAIAIAQCAC");n(g,139424,"zGoBACDgAAAVawEACeAAAEtrAQBf4AAAhWsBACI=");n(g,139472,"tWsBAAEAAADGawEAAgAAABdsAQAD");n(g,139504,"BE0BAM5NAQBfTgEAEk8BAO5PAQBtUAEA41ABAHBSAQD7UgEA3VMBAGpUAQ==");n(g,139556,"kVIBAEJTAQAAAAAAp1MBAG1UAQD5VAEAOFUBAKNVAQBZVgE=");n(g,139600,"bFIBAIADAACAA/8DbGUAAAcAAAA9UwEAIAQAAAAELwUAAAAAAAAAAHxTAQAwBQAAMAWPBXloAAAEAAAAJFQBAJAFAACQBf8FAAAAAAAAAADAVAEAAAYAAAAG/wYAAAAAAAAAADNVAQAABwAAAAdPBwAAAAAAAAAAn1UBAAAJAAAACX8JaWgAAAQAAABIVgEAgAkAAIAJ/wluYgAABAAAAN9WAQAACgAAAAp/CmFwAAAEAAAAE1cBAIAKAACACv8KdWcAAAQAAABoVwEAAAsAAAALfwsAAAAAAAAAANdXAQCACwAAgAv/C2F0AAAEAAAAGFgBAAAMAAAADH8MZXQAAAAAAAA1WAEAgAwAAIAM/wxuawAABAAAAKhYAQAADQAAAA1/DWxtAAAEAAAA7VgBAIANAACADf8NaXMAAAQAAABFWQEAAA4AAAAOfw4AAAAAAAAAAKRZAQCADgAAgA7/DgAAAAAAAAAA+VkBAAAPAAAAD/8PAAAAAAAAAAA9WgEAABAAAAAQnxAAAAAAAAAAAOJaAQCgEAAAoBD/EGFrAAAEAAAAIVsBAAARAAAAEf8Rb2sAAAQAAABTWwEAABIAAAASnxMAAAAAAAAAAMJbAQAAKAAAACj/KAAAAAAQAAAAY1wBAEAwAABAMP8wAAAAAAgAAACNXAEAADEAAAAx/58AAAAACAAAACFbAQAApwAAAKf/129rAAAM");n(g,140160,"WAIAAKoAAACwBAAAhwAAANAHAABuAAAAuAsAAG4AAAD/////");n(g,140208,"2CsD");n(g,140224,"ol4BAAEAAABCXwEAAgAAAGtfAQADAAAAp18BAAYAAADMXwEACQAAAAJgAQAKAAAAMWABAAQAAABXYAEABQAAAJdgAQAkAAAAtWABAAsAAADfYAEADAAAAABhAQANAAAAIGEBAA4AAABWYQEADwAAAHFhAQAQAAAAoGEBABEAAADFYQEAEgAAAAxiAQAfAAAAJWIBACUAAABSYgEAIAAAAJxiAQAhAAAA2GIBACIAAAD6YgEABwAAADhjAQAI");n(g,140432,"mGMBAAEAAADGYwEAAgAAAAAAAAABAAAAsJsBALybAQDImwEAPAAAABo=");n(g,140483,"AgMFCAsOEhYbICUrMTc+RUxTWmJpcXmAiJCYn6autbzCyc/V2uDk6e3w9Pb5+/z9/f39/Pv59vTw7enk4NrVz8nCvLWupp+YkIiAeXFpYlpTTEU+NzErJSAbFhIOCwgFAwI=");n(g,140608,"QAAAAAABAAAAAAAAZCUCACcAAAAoAAAAKQAAACoAAAArAAAA7AkCAFC2AQBwJQIAxAkCAGO2AQAAAAAAkCUCACwAAAAtAAAALgAAAC8AAADsCQIAcrYBAJwlAgDsCQIAjLYBAKglAgDECQIAorYBAAU=");n(g,140732,"DQ==");n(g,140756,"CwAAAAoAAAAomQM=");n(g,140780,"Ag==");n(g,140796,"//////////8=");n(g,140864,"sCUCAAAAAAAF");n(g,140884,"MA==");n(g,140908,"CwAAADEAAAA4mQMAAAQ=");n(g,140932,"AQ==");n(g,140948,"/////wo=");n(g,141016,"SCYCAECfBA==")}var t=new ArrayBuffer(16);var u=new Int32Array(t);var v=new Float32Array(t);var w=new Float64Array(t);function x(y){return u[y]}function z(y,A){u[y]=A}function B(){return w[0]}function C(A){w[0]=A}function D(){throw new Error("abort")}function E(A){v[2]=A}function Da(s){var F=new ArrayBuffer(17104896);var G=new Int8Array(F);var H=new Int16Array(F);var I=new Int32Array(F);var J=new Uint8Array(F);var K=new Uint16Array(F);var L=new Uint32Array(F);var M=new Float32Array(F);var N=new Float64Array(F);var O=Math.imul;var P=Math.fround;var Q=Math.abs;var R=Math.clz32;var S=Math.min;var T=Math.max;var U=Math.floor;var V=Math.ceil;var W=Math.trunc;var X=Math.sqrt;var Y=s.a;var Z=Y.a;var _=Y.b;var $=Y.c;var aa=Y.d;var ba=Y.e;var ca=Y.f;var da=Y.g;var ea=Y.h;var fa=Y.i;var ga=Y.j;var ha=Y.k;var ia=Y.l;var ja=Y.m;var ka=Y.n;var la=Y.o;var ma=Y.p;var na=Y.q;var oa=Y.r;var pa=Y.s;var qa=Y.t;var ra=302912;var sa=0;var ta=0;var ua=0;
+// EMSCRIPTEN_START_FUNCS
+function Jc(a){var b=0,c=0,d=0;a:{if(a>>>0<=55295){b=J[I[(a>>>6&67108860)+133872>>2]+(a&255)|0];break a}b=4;if(a>>>0<57344){break a}if(a>>>0<63488){b=3;break a}if(a>>>0<=195327){b=J[I[(a-63488>>>6&67108860)+134736>>2]+(a&255)|0];break a}b=2;if(a>>>0<917504){break a}if(a>>>0<=918015){b=J[I[(a-917504>>>6&67108860)+136796>>2]+(a&255)|0];break a}if(a>>>0<983040){break a}if(a>>>0<1048574){b=3;break a}if(a>>>0<1048576){break a}b=3;if(a>>>0<1114110){break a}b=a>>>0<1114112?2:5}b:{c:{d:{e:{f:{g:{h:{i:{j:{k:{l:{m:{n:{o:{p:{q:{r:{s:{t:{u:{v:{w:{x:{y:{z:{A:{B:{C:{D:{E:{F:{G:{H:{I:{J:{K:{L:{M:{N:{O:{P:{Q:{R:{S:{T:{U:{V:{W:{X:{Y:{Z:{_:{$:{aa:{ba:{ca:{da:{ea:{fa:{ga:{ha:{ia:{ja:{ka:{la:{ma:{na:{oa:{pa:{qa:{ra:{sa:{ta:{ua:{va:{wa:{xa:{ya:{za:{Aa:{Ba:{Ca:{Da:{Ea:{Fa:{Ga:{Ha:{switch(b&255){case 0:b=0;break b;case 1:Ia:{Ja:{Ka:{La:{Ma:{Na:{Oa:{Pa:{Qa:{Ra:{Sa:{Ta:{Ua:{Va:{b=a&-256;if((b|0)<=2047){if(!b){break Va}if((b|0)==1536){break Ua}if((b|0)!=1792|(a|0)!=1807){break Ia}b=1;break b}if((b|0)<=69631){if((b|0)==2048){break Ta}if((b|0)!=8192){break Ia}switch(a-8204|0){case 1:break Sa;case 0:break v;default:break Ra}}if((b|0)==69632){break Qa}if((b|0)!=917504){break Ia}switch(a-917505|0){case 62:break Ka;case 58:break La;case 57:break Ma;case 45:break Na;case 43:break Oa;case 32:break Pa;case 0:break v;default:break Ja}}if((a|0)!=173){break Ia}b=0;break b}b=1;if(a-1536>>>0<6){break b}b=(a|0)==1757;c=(a|0)==1564;b=c?0:b;break b}if((a|0)!=2274){break Ia}b=1;break b}b=64;break b}b=0;if((a&-2)==8206){break b}if(a-8234>>>0<5){break v}if(a-8289>>>0<4){break t}if(a-8294>>>0<4){break v}if(a-8298>>>0>=6){break Ia}break b}b=!(a-69821&-17);break b}b=536870976;break b}b=268435520;break b}b=-2147483584;break b}b=134217792;break b}b=67108928;break b}b=1073741888;break b}if(a-917536>>>0>=96){break Ia}b=64;break b}break r;case 2:Wa:{Xa:{Ya:{Za:{_a:{b=a&-256;if((b|0)<=130303){if((b|0)<=127743){if((b|0)<=64767){if((b|0)<=11007){if((b|0)==8192){break _a}if((b|0)!=9216){break Wa}if(a-9255>>>0<25){break v}if(a-9291>>>0>=21){break Wa}break v}if((b|0)==11008){break Za}if((b|0)!=11776|a-11845>>>0>=59){break Wa}break q}if((b|0)<=126975){if((b|0)==64768){break Ya}if((b|0)!=65280|a-65520>>>0>=9){break Wa}break v}if((b|0)==126976|(b|0)==127232|(b|0)==127488){break u}break Wa}if((b|0)<=129023){if((b|0)<=128255){if((b|0)==127744|(b|0)==128e3){break u}break Wa}if((b|0)==128256|(b|0)==128512|(b|0)==128768){break u}break Wa}if((b|0)<=129535){if((b|0)==129024|(b|0)==129280){break u}break Wa}if((b|0)==129536|(b|0)==129792|(b|0)==130048){break u}break Wa}if((b|0)<=919039){if((b|0)<=917759){if((b|0)<=130815){if((b|0)==130304){break u}if((b|0)!=130560){break Wa}break u}if((b|0)==130816){break u}if((b|0)!=917504){break Wa}if((a&-128)==917632|(a|0)==917504){break v}if(a-917506>>>0>=30){break Wa}break v}if((b|0)<=918271){if((b|0)==917760){break Xa}if((b|0)!=918016){break Wa}break v}if((b|0)==918272|(b|0)==918528){break v}if((b|0)!=918784){break Wa}break v}if((b|0)<=920319){if((b|0)<=919551){if((b|0)==919040){break v}if((b|0)!=919296){break Wa}break v}if((b|0)==919552|(b|0)==919808){break v}if((b|0)!=920064){break Wa}break v}if((b|0)<=920831){if((b|0)==920320){break v}if((b|0)!=920576){break Wa}break v}if((b|0)==920832|(b|0)==921088){break v}if((b|0)!=921344){break Wa}break v}if((a|0)!=8293){break Wa}break v}if((a&-16)==11248|a-11219>>>0<25|((a|0)==11209|a-11194>>>0<3)){break v}b=a&-2;if((b|0)==11124){break v}if((b|0)!=11158){break Wa}break v}if(a-64976>>>0>=32){break Wa}b=0;break b}if(a>>>0>917999){break v}}b=((a&65534)==65534)>>>16|0;break b;case 6:$a:{ab:{bb:{cb:{db:{eb:{fb:{gb:{hb:{ib:{b=a&-256;if((b|0)<=7679){if((b|0)<=767){if(!b){break ib}if((b|0)==256){break hb}if((b|0)!=512){break r}if((a|0)==585|(a|0)==616){break v}if((a|0)!=669){break r}break v}if((b|0)==768){break gb}if((b|0)==1024){break fb}if((b|0)!=7424|(a|0)!=7574){break r}b=0;break b}if((b|0)<=119807){if((b|0)==7680){break eb}if((b|0)==8448){break db}if((b|0)!=65280|a-65345>>>0>=6){break r}b=0;break b}if((b|0)<=120319){if((b|0)==119808){break cb}if((b|0)!=120064){break r}if(a>>>0>=120070){break bb}break t}if((b|0)==120320){break ab}if((b|0)!=120576){break r}if(a>>>0<120597|a-120772>>>0<8|(a-120746>>>0<25|a-120714>>>0<31)){break v}if((a|0)!=120597&a>>>0<120629|(a-120688>>>0<25|a-120656>>>0<31)){break v}if(a-120630>>>0>=25){break r}break v}b=0;if(a-97>>>0<6){break b}if(a-105>>>0>=2){break r}break b}c=(a|0)==329;b=c>>>9|0;c=(a|0)==303;b=c?0:b;break b}jb:{switch(a-976|0){case 35:break $a;case 0:case 1:case 2:case 5:case 32:case 33:break v;default:break jb}}if((a&-2)!=1012){break r}break v}b=!(a-1110&-3)>>>8|0;break b}c=(a|0)==7883;b=c>>>8|0;c=(a|0)==7725;b=c?0:b;break b}if(a-8458>>>0<10){break v}b=a-8495|0;if(b>>>0<11){break Ga}break w}b=a&-2;if((b|0)==119842){break v}if(a-119808>>>0<85){break t}if(a-119894>>>0<2|a-119946>>>0<2){break v}if((a|0)==119995|a-119896>>>0<69|a-119982>>>0<12){break t}if((b|0)==119998){break v}if(a-119997>>>0<7){break t}if((b|0)==120050){break v}if(a>>>0<=120004){break r}break v}if((a&-2)==120102){break v}if(a-120094>>>0<28){break t}kb:{if((a|0)<=120257){if(a-120154>>>0<2){break v}if(a-120206>>>0>=2){break kb}break v}if(a-120258>>>0<2|a-120310>>>0<2){break v}}if(a>>>0<=120145){break r}break v}if(a-120362>>>0<2|a-120414>>>0<2|a-120466>>>0<2){break v}if(a-120540>>>0<31|a>>>0>120571|(a>>>0<120486|a-120514>>>0<25)){break v}break r}b=0;break b;case 7:lb:{mb:{nb:{ob:{pb:{qb:{rb:{sb:{tb:{ub:{vb:{wb:{xb:{yb:{zb:{Ab:{Bb:{Cb:{Db:{Eb:{Fb:{Gb:{Hb:{b=a&-256;if((b|0)<=11263){if((b|0)<=3583){if((b|0)<=1535){if((b|0)==512){break Hb}if((b|0)==768){break Gb}if((b|0)!=1280|(a|0)!=1369){break r}break p}if((b|0)==1536){break Fb}if((b|0)==1792){break Eb}if((b|0)!=2304|(a|0)!=2417){break r}break p}if((b|0)<=7167){if((b|0)==3584){break Db}if((b|0)==6144){break Cb}if((b|0)!=6656|(a|0)!=6823){break r}break o}if((b|0)==7168){break Bb}if((b|0)==7424){break Ab}if((b|0)!=8192){break r}b=a-8305|0;if(!b){break v}if((b|0)==14){break zb}break yb}if((b|0)<=43263){if((b|0)<=40959){if((b|0)==11264){break xb}if((b|0)==11776){break wb}if((b|0)!=12288){break r}switch(a-12293|0){case 1:case 2:case 3:case 4:case 5:case 6:case 7:case 8:case 9:case 10:case 11:case 12:case 13:case 14:case 15:case 16:case 17:case 18:case 19:case 20:case 21:case 22:case 23:case 24:case 25:case 26:case 27:case 28:case 29:case 30:case 31:case 32:case 33:case 34:case 35:case 36:case 37:case 38:case 39:case 40:case 41:case 42:case 43:break ub;case 0:case 44:case 45:case 46:case 47:case 48:break v;default:break vb}}if((b|0)==40960){break tb}if((b|0)==42496){break sb}if((b|0)!=42752){break r}if(a-42775>>>0<9){break v}if((a|0)!=42864){break rb}b=0;break b}if((b|0)<=65279){if((b|0)==43264){break qb}if((b|0)==43520){break pb}if((b|0)!=43776|(a&-4)!=43868){break r}break n}if((b|0)==65280){break ob}if((b|0)==92928){break nb}if((b|0)!=93952){break r}if(a-94099>>>0>=13){break mb}break p}b=0;if((a|0)==690){break b}if(a-688>>>0<9){break n}if(a-697>>>0<7){break v}d=a&-2;if((d|0)==704){break n}if(a-710>>>0<10){break v}if((d|0)==720){break b}if(a-736>>>0<5){break v}b=((a&-3)==748)>>>20|0;break b}b=0;break b}if((a|0)==1600){break o}if(a-1765>>>0>=2){break r}break p}if((a&-2)==2036){break p}if((a|0)!=2042){break r}break o}b=!(a-3654&-129)>>>19|0;break b}if((a|0)!=6211){break r}break o}b=0;if((a|0)==7291){break b}if(a-7288>>>0>=6){break r}break p}b=0;if((a|0)==7522){break b}if(a-7468>>>0<63){break n}Ib:{switch(a-7588|0){default:if((a|0)==7544){break v}case 1:case 2:case 3:if(a-7579>>>0>=37){break r}break v;case 0:case 4:break Ib}}break b}b=0;break b}if(a-8336>>>0>=13){break r}b=0;break b}c=(a|0)==11389;b=c>>>18|0;c=(a|0)==11388;b=c?0:b;break b}if((a|0)!=11823){break r}b=0;break b}if(a-12445>>>0<2){break v}if((a|0)==12540){break lb}}if(a-12541>>>0>=2){break r}break v}if((a|0)!=40981){break r}break o}if((a|0)==42508){break o}if((a|0)==42623){break p}if((a&-2)!=42652){break r}break n}if((a|0)==42888){break v}if((a&-2)!=43e3){break r}break n}c=(a|0)==43494;b=c>>>19|0;c=(a|0)==43471;b=c?0:b;break b}if((a|0)==43632|(a|0)==43741|a-43763>>>0<2){break v}break r}b=0;if((a|0)==65392){break b}if((a&-2)!=65438){break r}break b}if((a&-2)!=92994){break r}break o}if((a&-2)!=94176){break r}break o}b=0;break b;case 8:Jb:{Kb:{Lb:{Mb:{Nb:{Ob:{Pb:{Qb:{Rb:{b=a&-256;if((b|0)<=12543){if((b|0)<=5887){if((b|0)<=3583){if(!b){break Rb}if((b|0)!=1536|(a|0)!=1651){break D}break A}if((b|0)==3584){break Qb}if((b|0)!=4352|a-4447>>>0>=2){break D}break B}if((b|0)<=8447){if((b|0)==5888){break Pb}if((b|0)!=6400){break D}b=a-6581|0;if(b>>>0>=6){break D}b=(b<<3)+81448|0;c=I[b+4>>2];break B}if((b|0)==8448){break Ob}if((b|0)!=12288|(a|0)!=12294){break D}break A}if((b|0)<=68863){if((b|0)<=63999){if((b|0)==12544){break Nb}if((b|0)!=43520){break D}b=a-43701|0;if(b>>>0<8){break Kb}break C}if((b|0)==64e3){break Jb}if((b|0)!=65280|(a|0)!=65440){break D}break A}if((b|0)<=100095){if((b|0)==68864){break Mb}if((b|0)!=70400){break D}if((a|0)!=70493){break D}break y}if((b|0)==100096){break Lb}if((b|0)==126464){break B}break D}c=!(a-170&-17);b=c>>>18|0;c=b;break B}if(a-3648>>>0<5){break B}if((a|0)==3759){c=33554432;break A}if(a-3776>>>0>=5){break D}break B}if(a-6051>>>0>=2){break D}break B}if(a-8501>>>0>=4){break D}break B}if((a|0)!=12644){break D}break A}if((a&-2)!=68898){break D}break B}if(a-100333>>>0>=5){break D}break B}if(!(211>>>b&1)){break C}break B}b=a-64014|0;if(b>>>0>=28){break D}b=(b<<3)+81496|0;c=I[b+4>>2];break B;case 10:Sb:{Tb:{Ub:{Vb:{b=a&-256;if((b|0)<=119807){if((b|0)<=8447){if(!b){break Vb}if((b|0)!=768){break r}switch(a-976|0){case 0:case 1:case 2:case 36:case 37:break v;default:break r}}if((b|0)==8448){break Ub}if((b|0)!=65280|a-65313>>>0>=6){break r}b=0;break b}if((b|0)<=120319){if((b|0)==119808){break Tb}if((b|0)!=120064){break r}if(a>>>0<120070|a>>>0>120145|((a|0)==120134|a-120138>>>0<7)){break v}if(a-120128>>>0<5|a-120123>>>0<4|(a-120094>>>0<28|a-120086>>>0<7)){break v}if((a|0)!=120070&a>>>0<120075){break v}if(a-120077>>>0>=8){break r}break v}if((b|0)==120320){break Sb}if((b|0)!=120576){break r}if(a-120772>>>0<8|a-120714>>>0<31|a-120598>>>0<31){break v}if(a-120656>>>0>=31){break r}break v}if(a-65>>>0>=6){break r}b=0;break b}Wb:{switch(a-8450|0){case 0:case 5:break v;default:break Wb}}if(a-8458>>>0<10){break v}b=a-8469|0;if(b>>>0<20){break Fa}if((a&-4)==8508){break v}break E}if(a-119982>>>0<12|a>>>0>120004|(a-119977>>>0<4|a-119973>>>0<2)){break v}if((a|0)==119970|(a&-2)==119966|a-119808>>>0<85){break v}if(a-119894>>>0>=71){break r}break v}if(a-120540>>>0<31|a>>>0<120486|a-120488>>>0<25){break v}break r;case 11:Xb:{Yb:{Zb:{_b:{$b:{ac:{bc:{cc:{dc:{ec:{fc:{gc:{hc:{ic:{jc:{kc:{b=a&-256;if((b|0)<=43263){if((b|0)<=3839){if((b|0)<=3071){if((b|0)==2304){break kc}if((b|0)==2816){break jc}break m}if((b|0)==3072){break ic}if((b|0)!=3328){break m}switch(a-3535|0){case 1:case 2:case 3:case 4:case 5:case 6:case 7:case 8:case 9:case 10:case 11:case 12:case 13:case 14:case 15:break m;case 0:case 16:break v;default:break hc}}if((b|0)<=6911){if((b|0)==3840){break gc}if((b|0)!=4096){break m}if(a-4139>>>0<2){break v}switch(a-4145|0){case 86:case 87:case 88:case 89:case 90:case 91:case 94:case 105:case 106:break Xb;case 0:case 7:case 10:case 11:case 37:case 38:case 49:case 54:case 55:case 82:case 83:break v;default:break fc}}if((b|0)==6912){break ec}if((b|0)==7168){break dc}if((b|0)!=12288|(a&-2)!=12334){break m}b=0;break b}if((b|0)<=70399){if((b|0)<=43775){if((b|0)==43264){break cc}if((b|0)!=43520){break m}b=0;break b}if((b|0)==43776){break bc}if((b|0)==69888){break ac}if((b|0)!=70144|(a|0)!=70197){break m}break p}if((b|0)<=70911){if((b|0)==70400){break $b}if((b|0)!=70656){break m}b=0;break b}if((b|0)==70912){break _b}if((b|0)==71168){break Zb}if((b|0)!=119040){break m}switch(a-119141|0){case 8:break p;case 1:break r;case 0:break v;default:break Yb}}b=0;break b}if((a|0)<=3005){if((a|0)==2878){break v}if((a|0)!=2903){break m}break v}if((a|0)==3006){break v}if((a|0)!=3031){break m}break v}a=a-3266|0;if(a>>>0>20|!(1<<a&1572865)){break m}b=0;break b}if((a|0)==3390){break v}if((a|0)!=3415){break m}break v}if((a&-2)!=3902){break m}break p}b=((a|0)==4252)>>>22|0;break b}lc:{switch(a-6965|0){default:if((a|0)==6916){break v}break;case 1:case 2:case 3:case 4:case 5:break lc;case 0:case 6:break v}}if(a-6973>>>0<5){break v}mc:{switch(a-6979|0){case 1:break p;case 0:break v;default:break mc}}if((a|0)==7042|(a|0)==7073|(a&-2)==7078){break v}if((a|0)==7082){break p}if((a|0)==7143|a-7146>>>0<3){break v}b=((a|0)==7150)>>>22|0;break b}b=0;break b}b=0;break b}if((a|0)!=44012){break m}break p}if((a|0)!=70080){break m}break p}nc:{switch(a-70462|0){case 15:break nc;case 0:case 25:break v;default:break m}}break p}if((a|0)!=71087){break m}b=0;break b}if((a|0)!=71350){break m}break p}if(a-119150>>>0>=5){break m}b=0;break b}break p;case 12:b=((a|0)==8419)<<6;break b;case 13:oc:{pc:{qc:{rc:{sc:{tc:{uc:{vc:{wc:{xc:{yc:{zc:{Ac:{Bc:{Cc:{Dc:{Ec:{Fc:{Gc:{Hc:{Ic:{Jc:{Kc:{Lc:{Mc:{Nc:{Oc:{Pc:{Qc:{Rc:{Sc:{Tc:{Uc:{Vc:{Wc:{Xc:{Yc:{Zc:{_c:{$c:{ad:{bd:{cd:{dd:{ed:{fd:{gd:{hd:{id:{jd:{kd:{ld:{b=a&-256;if((b|0)<=43775){if((b|0)<=5887){if((b|0)<=2559){if((b|0)<=1535){if((b|0)==768){break ld}if((b|0)==1024){break kd}if((b|0)!=1280){break r}if(a-1425>>>0<17|a-1443>>>0<13){break v}if(a-1456>>>0>=14){break qc}b=0;break b}if((b|0)<=2047){if((b|0)==1536){break jd}if((b|0)!=1792){break r}if((a|0)!=1809){break id}break m}if((b|0)==2048){break hd}if((b|0)!=2304){break r}if(a>>>0>=2307){break gd}break m}if((b|0)<=3583){if((b|0)<=3071){if((b|0)==2560){break fd}if((b|0)!=2816){break r}switch(a-2876|0){case 0:break p;case 1:case 2:break dd;case 3:break v;default:break ed}}if((b|0)==3072){break cd}if((b|0)!=3328){break r}b=a&-2;if((b|0)!=3328){break bd}break m}if((b|0)<=4095){if((b|0)==3584){break ad}if((b|0)!=3840){break r}b=a&-2;if((b|0)!=3864){break $c}break p}if((b|0)==4096){break _c}if((b|0)!=4864|(a|0)!=4959){break r}break m}if((b|0)<=8191){if((b|0)<=6655){if((b|0)==5888){break Zc}if((b|0)==6144){break Yc}if((b|0)!=6400){break r}b=a-6432|0;if(b>>>0>18|!(1<<b&262535)){break Xc}break m}if((b|0)<=7167){if((b|0)==6656){break Wc}if((b|0)!=6912){break r}if((a&-4)==6912){break v}if((a|0)!=6964){break Vc}break p}if((b|0)==7168){break Uc}if((b|0)!=7424){break r}if(a-7620>>>0>=12){break Tc}break p}if((b|0)<=42495){if((b|0)<=11519){if((b|0)==8192){break Sc}if((b|0)!=11264|a-11503>>>0>=3){break r}break p}if((b|0)==11520){break Rc}if((b|0)!=12288){break r}if(a-12330>>>0<4){break v}if(a-12441>>>0>=2){break r}break v}if((b|0)<=43263){if((b|0)==42496){break Qc}if((b|0)!=43008){break r}if(a-43045>>>0>=2){break Pc}break m}if((b|0)==43264){break Oc}if((b|0)!=43520){break r}switch(a-43561|0){case 83:case 150:case 152:break p;case 0:case 1:case 2:case 3:case 4:case 5:case 8:case 9:case 12:case 13:case 26:case 35:case 135:case 137:case 138:case 139:case 142:case 143:case 149:break v;default:break Nc}}if((b|0)<=71423){if((b|0)<=69375){if((b|0)<=66047){if((b|0)==43776){break Mc}if((b|0)==64256){break Lc}if((b|0)!=65024){break r}if(a-65024>>>0>=15){break Kc}b=0;break b}if((b|0)<=68095){if((b|0)==66048){break Jc}if((b|0)!=66304|a-66422>>>0>=5){break r}break m}if((b|0)==68096){break Ic}if((b|0)!=68864|(a&-4)!=68900){break r}b=0;break b}if((b|0)<=70399){if((b|0)<=69887){if((b|0)==69376){break Hc}if((b|0)!=69632){break r}if(a-69688>>>0<14|a-69811>>>0<4|(a|0)==69633){break v}if(a-69817>>>0>=2){break r}break p}if((b|0)==69888){break Gc}if((b|0)!=70144){break r}if(a-70191>>>0<3){break v}switch(a-70196|0){case 1:case 4:case 5:case 6:case 7:case 8:case 9:break Ec;case 2:break p;case 0:case 3:case 10:break v;default:break Fc}}if((b|0)<=70911){if((b|0)==70400){break Dc}if((b|0)!=70656){break r}if((a&-8)!=70712){break Cc}break m}if((b|0)==70912){break Bc}if((b|0)!=71168){break r}if(a-71219>>>0<8){break v}switch(a-71229|0){case 1:break zc;case 2:break p;case 0:case 3:break v;default:break Ac}}if((b|0)<=92927){if((b|0)<=72703){if((b|0)==71424){break va}if((b|0)==71680){break yc}if((b|0)!=72192){break r}if(a-72193>>>0>=10){break xc}break m}if((b|0)<=73215){if((b|0)==72704){break wc}if((b|0)!=72960){break r}b=a-73009|0;if(b>>>0<19){break ta}break F}if((b|0)==73216){break vc}if((b|0)!=92672|a-92912>>>0>=5){break r}break p}if((b|0)<=122879){if((b|0)<=113663){if((b|0)==92928){break uc}if((b|0)!=93952|a-94095>>>0>=4){break r}break p}if((b|0)==113664){break tc}if((b|0)!=119040){break r}switch(a-119143|0){case 0:case 1:case 2:case 20:case 21:case 22:case 23:case 24:case 25:case 26:case 27:case 30:case 31:case 32:case 33:case 34:case 35:case 36:case 67:case 68:case 69:case 70:break v;default:break r}}if((b|0)<=125183){if((b|0)==122880){break sc}if((b|0)!=124928|a-125136>>>0>=7){break r}break p}if((b|0)==125184){break rc}if((b|0)!=917760|a-917760>>>0>=240){break r}b=0;break b}if(a-768>>>0<69){break v}b=0;if((a|0)==837){break b}if(a-838>>>0<9){break v}if((a|0)==847){break b}if((a&-8)==848){break v}if(a-861>>>0>=6){break r}break v}if(a-1155>>>0>=5){break r}break p}if(a-1552>>>0<11){break m}if(a-1611>>>0<8){break v}if(a-1619>>>0<4){break m}md:{switch(a-1623|0){case 2:case 3:case 4:case 5:case 6:case 7:case 8:case 25:case 127:case 128:case 129:case 130:case 131:case 132:case 133:break m;case 1:break p;case 0:break v;default:break md}}if(a-1759>>>0<2){break v}b=a-1761|0;if(b>>>0<8){break Da}break G}if((a&-16)==1840){break v}if(a-1856>>>0<11){break p}if(a-1958>>>0<11){break v}if(a-2027>>>0>=9){break r}break v}nd:{switch((a&-2)-2070|0){case 2:break p;case 0:break v;default:break nd}}if(a-2260>>>0<12|a-2089>>>0<4|(a-2075>>>0<9|a-2085>>>0<3)){break m}if(a-2275>>>0<7){break v}if(a-2282>>>0<6){break p}if(a-2288>>>0<15){break v}if((a|0)!=2303){break r}break v}od:{switch(a-2362|0){case 2:break p;case 0:break v;default:break od}}if(a-2369>>>0<8){break m}pd:{switch(a-2381|0){case 8:case 9:case 10:case 21:case 22:case 52:break m;case 0:case 4:case 5:case 6:case 7:case 111:break v;default:break pd}}if(a-2497>>>0<4){break m}if((a|0)==2509){break v}if((a&-2)!=2530){break r}break v}if(a-2561>>>0<2){break m}qd:{switch(a-2620|0){case 5:case 6:case 11:case 12:case 15:case 16:case 21:case 52:case 53:case 57:case 69:case 70:case 133:case 134:case 135:case 136:case 137:case 139:case 140:case 166:case 167:case 190:case 191:case 192:break m;case 0:case 17:case 128:case 145:break v;default:break qd}}if(a-2813>>>0>=3){break r}break v}if((a|0)!=2817){break dd}break m}if(a-2881>>>0<4){break m}rd:{switch(a-2893|0){case 9:break m;case 0:break v;default:break rd}}if((a&-2)==2914){break m}sd:{switch(a-3008|0){default:if((a|0)!=2946){break r}break v;case 1:case 2:case 3:case 4:case 5:case 6:case 7:case 8:case 9:case 10:case 11:case 12:break r;case 13:break sd;case 0:break v}}break p}td:{switch(a-3072|0){case 77:case 188:case 205:break p;case 0:case 62:case 63:case 64:case 70:case 71:case 72:case 74:case 75:case 76:case 85:case 86:case 98:case 99:case 129:case 191:case 198:case 204:break v;default:break td}}if((a&-2)!=3298){break r}break v}if(a-3387>>>0<2){break v}if(a-3393>>>0<4){break m}if((a|0)==3405){break v}if((b|0)==3426){break m}switch(a-3530|0){case 8:case 9:case 10:case 12:break m;case 0:break v;default:break r}}b=a-3633|0;if(b>>>0<10){break Ca}break H}c=a-3893|0;if(c>>>0>4|!(1<<c&21)){break I}break p}ud:{switch(a-4141|0){case 10:case 12:case 13:break p;case 0:case 1:case 2:case 3:case 5:case 6:case 7:case 8:case 9:case 16:case 17:case 43:case 44:case 49:case 50:case 51:case 68:case 69:case 70:case 71:case 85:case 88:case 89:break v;default:break ud}}c=(a|0)==4253;b=c>>>22|0;c=(a|0)==4237;b=c?0:b;break b}vd:{wd:{switch(a-5906|0){case 2:case 3:case 4:case 5:case 6:case 7:case 8:case 9:case 10:case 11:case 12:case 13:case 14:case 15:case 16:case 17:case 18:case 19:case 20:case 21:case 22:case 23:case 24:case 25:case 26:case 27:case 28:case 29:case 30:case 31:break vd;case 0:case 1:case 32:case 33:break v;default:break wd}}switch(a-5970|0){case 0:case 1:case 32:case 33:break v;default:break vd}}b=0;if((a&-2)==6068){break b}b=a-6071|0;if(b>>>0<16){break Ba}break J}b=0;if(a-6155>>>0<3){break b}if(a-6277>>>0<2){break b}if((a|0)!=6313){break r}break m}if(a-6457>>>0>=3){break r}break p}if(a-6679>>>0<2){break v}xd:{switch(a-6683|0){case 0:case 59:case 61:case 62:case 63:case 64:case 65:case 66:case 67:case 71:case 74:case 75:case 76:case 77:case 78:case 79:case 80:case 81:case 88:case 89:break v;default:break xd}}if(a-6832>>>0>=14){break Aa}break p}if(a-6966>>>0<5){break v}yd:{switch(a-6972|0){case 0:case 6:break v;default:break yd}}if(a-7019>>>0<9){break p}switch(a-7040|0){case 43:break p;case 0:case 1:case 34:case 35:case 36:case 37:case 40:case 41:case 44:case 45:case 104:case 105:case 109:case 111:case 112:case 113:break v;default:break r}}if(a-7212>>>0<8){break m}zd:{switch(a-7222|0){case 1:break p;case 0:break v;default:break zd}}if(a-7380>>>0<13){break v}Ad:{switch(a-7376|0){case 0:case 1:case 2:case 18:case 19:case 20:case 21:case 22:case 23:case 24:case 29:case 36:break v;default:break Ad}}if((a&-2)!=7416){break r}break v}if(a-7655>>>0>=14){break za}break m}if(a-8400>>>0>=13){break ya}break t}if((a&-32)!=11744){break r}break m}if((a|0)==42607){break v}if(a-42612>>>0<8){break m}a=a&-2;if((a|0)==42620){break v}if((a|0)==42654){break oc}if((a|0)!=42736){break r}break v}Bd:{switch(a-43204|0){case 1:break m;case 0:break v;default:break Bd}}if(a-43232>>>0>=18){break r}break v}if(a-43302>>>0<5){break m}if(a-43307>>>0<3){break v}if(a-43335>>>0<11|a-43392>>>0<3){break m}if((a|0)==43443){break v}if(a-43446>>>0<4){break v}c=(a|0)==43493;b=c>>>20|0;c=(a|0)==43452;b=c?0:b;break b}if((a&-2)==43756){break v}if((a|0)!=43766){break r}break p}Cd:{switch(a-44005|0){case 8:break Cd;case 0:case 3:break v;default:break r}}break p}if((a|0)!=64286){break r}b=0;break b}b=64;if((a|0)==65039){break b}if((a&-16)!=65056){break r}break p}if((a|0)!=66272){break r}break p}if((a&-4)==68108){break v}b=a-68097|0;if(b>>>0<6){break xa}break K}if(a-69446>>>0>=11){break r}break p}Dd:{switch(a-69888|0){case 51:case 52:case 115:break p;case 0:case 1:case 2:case 39:case 40:case 41:case 42:case 43:case 45:case 46:case 47:case 48:case 49:case 50:break v;default:break Dd}}if((a&-2)==70016|a-70070>>>0<9){break v}if(a-70090>>>0>=3){break r}break p}if((a|0)==70367){break v}}if(a-70371>>>0<6){break v}if(a-70377>>>0>=2){break r}break p}if((a&-2)==70400){break m}Ed:{switch(a-70460|0){case 4:break Ed;case 0:case 42:case 43:case 44:case 45:case 46:case 47:case 48:case 52:case 53:case 54:case 55:case 56:break v;default:break r}}break m}if((a|0)==70722){break v}if(a-70723>>>0<2){break m}b=a-70835|0;if(b>>>0<=13){break pc}break L}b=a-71090|0;if(b>>>0<12){break wa}break M}switch(a-71339|0){case 0:case 2:break v;default:break zc}}if(a-71344>>>0<6){break v}if((a|0)!=71351){break r}break p}if(a-71727>>>0<10){break m}if(a-71737>>>0>=2){break r}break p}if((a|0)==72244){break v}if(a-72245>>>0<10){break m}if((a|0)==72263){break v}if(a-72273>>>0<11){break m}if(a-72330>>>0<13){break v}c=(a|0)==72345;b=c>>>20|0;c=(a|0)==72344;b=c?0:b;break b}b=a-72752|0;if(b>>>0<16){break ua}break N}if(a-73459>>>0>=2){break r}break m}if(a-92976>>>0>=7){break r}break m}if((a|0)!=113822){break r}break m}if(a-122888>>>0>=17){break sa}break m}b=0;if(a-125252>>>0<3){break b}if((a|0)==125255){break m}if(a-125256>>>0>=3){break r}break p}a=a-1471|0;if(a>>>0<9){break Ea}break r}if(!(1<<b&12479)){break L}break m}break m;case 14:Fd:{b=a&-256;if((b|0)!=120576){if((b|0)!=65280){if(a-48>>>0>=10|b){break Fd}b=66;break b}if(a-65296>>>0>=10){break Fd}b=0;break b}if(a-120782>>>0>=50){break Fd}break t}break r;case 15:b=a&-256;Gd:{if((b|0)!=12288){if((b|0)!=8448){break Gd}c=a&-16;a=(c|0)==8560;b=a>>>18|0;c=(c|0)==8544;b=c?0:b;break b}if(a-12321>>>0<9|a-12344>>>0<3|(a|0)==12295){break v}}break r;case 16:Hd:{Id:{Jd:{Kd:{b=a&-256;if((b|0)<=9215){if((b|0)==4864){break Kd}if((b|0)!=6400|(a|0)!=6618){break Hd}b=0;break b}if((b|0)==9216){break Jd}if((b|0)!=127232){break Hd}if((a|0)!=127232){break Id}b=-2147483648;break b}if(a-4969>>>0>=9){break Hd}b=0;break b}if(a-9352>>>0>=20){break Hd}b=-2147483648;break b}if(a-127233>>>0>=10){break Hd}b=268435456;break b}break r;case 17:b=((a|0)==8256)>>>25|0;break b;case 18:Ld:{Md:{Nd:{Od:{b=a&-256;if((b|0)<=11775){if((b|0)<=6143){if(!b){break v}if((b|0)!=1280|(a|0)!=1418){break O}b=0;break b}if((b|0)==6144){break Od}if((b|0)==8192){break Nd}break O}if((b|0)<=65023){if((b|0)==11776){break Md}if((b|0)!=12288){break O}b=(a|0)==12336;c=(a|0)==12316;b=c?0:b?130:0;break b}if((b|0)==65024){break Ld}if((b|0)!=65280|(a|0)!=65293){break O}b=0;break b}if((a|0)!=6150){break O}b=0;break b}if((a&-2)==8208){break v}b=a-8211>>>0<2;b=b?8388608:0;break b}if((a|0)==11799){break v}b=(a&-2)==11834;b=b?8388608:0;break b}b=8388608;if(a-65073>>>0<2){break b}if((a|0)!=65123){break O}b=0;break b;case 19:Pd:{Qd:{Rd:{Sd:{Td:{Ud:{Vd:{b=a&-256;if((b|0)<=11775){if((b|0)<=8959){if(!b){break v}if((b|0)!=8192){break Pd}switch(a-8318|0){case 0:case 16:break t;case 1:case 2:case 3:case 4:case 5:case 6:case 7:case 8:case 9:case 10:case 11:case 12:case 13:case 14:case 15:break Pd;default:break Qd}}if((b|0)==8960){break Vd}if((b|0)==9984){break Ud}if((b|0)!=10496){break Pd}break l}if((b|0)<=64767){if((b|0)==11776){break v}if((b|0)!=12288){break Pd}switch(a-12301|0){case 0:case 2:break v;default:break Td}}if((b|0)==64768){break Sd}if((b|0)==65024){break Rd}if((b|0)!=65280|(a|0)!=65379){break Pd}b=0;break b}Wd:{switch(a-8969|0){case 0:case 2:break v;case 1:break Pd;default:break Wd}}if((a|0)!=9002){break Pd}b=0;break b}if((a|0)==10182){break l}break k}b=0;break b}if((a|0)!=64830){break Pd}break v}b=!(a-65090&-3)>>>27|0;break b}if((a|0)==8262){break v}}break r;case 20:a=a&-256;if(!a|(a|0)==8192){break v}break s;case 21:a=a&-256;if(!a|(a|0)==8192){break v}break s;case 22:Xd:{Yd:{Zd:{_d:{$d:{ae:{be:{ce:{de:{ee:{fe:{ge:{he:{ie:{je:{ke:{le:{me:{ne:{oe:{pe:{qe:{re:{se:{te:{ue:{ve:{we:{xe:{ye:{ze:{Ae:{Be:{Ce:{De:{Ee:{Fe:{Ge:{He:{Ie:{Je:{Ke:{Le:{Me:{Ne:{Oe:{Pe:{Qe:{Re:{Se:{b=a&-256;if((b|0)<=43519){if((b|0)<=5887){if((b|0)<=2303){if((b|0)<=1535){if(!b){break Se}if((b|0)==768){break Re}if((b|0)!=1280){break r}if(a-1371>>>0>=2){break Qe}b=538968064;break b}if((b|0)==1536){break Pe}if((b|0)==1792){break Oe}if((b|0)!=2048){break r}b=a-2103|0;if(b>>>0<8){break qa}break P}if((b|0)<=3839){if((b|0)==2304){break Ne}if((b|0)==3328){break Me}if((b|0)!=3584|(a&-2)!=3674){break r}break j}if((b|0)<=4863){if((b|0)==3840){break Le}if((b|0)!=4096){break r}if((a&-2)!=4170){break Ke}break i}if((b|0)==4864){break Je}if((b|0)!=5632){break r}switch(a-5741|0){case 1:break h;case 0:break v;default:break Ie}}if((b|0)<=11263){if((b|0)<=6655){if((b|0)==5888){break He}if((b|0)==6144){break na}if((b|0)!=6400){break r}b=(a|0)==6469;c=(a|0)==6468;b=c?536870912:b?1073741824:0;break b}if((b|0)<=7167){if((b|0)==6656){break Ge}if((b|0)!=6912){break r}b=a&-2;if((b|0)==7002){break v}if((a|0)!=7005){break Fe}break j}if((b|0)==7168){break Ee}if((b|0)!=8192){break r}switch(a-8214|0){case 1:break q;case 0:break v;case 16:break De;default:break Ce}}if((b|0)<=41983){if((b|0)==11264){break Be}if((b|0)==11776){break Ae}if((b|0)!=12288){break r}c=272629760;switch(a-12289|0){case 2:break q;case 0:break v;case 1:break ye;default:break ze}}if((b|0)<=43007){if((b|0)==41984){break xe}if((b|0)!=42496){break r}c=268435456;switch(a-42739|0){case 0:break h;case 2:break v;case 4:break te;case 3:break ue;case 1:break ve;default:break we}}if((b|0)==43008){break se}if((b|0)!=43264){break r}switch(a-43310|0){case 1:break i;case 0:break v;default:break re}}if((b|0)<=70655){if((b|0)<=67839){if((b|0)<=65279){if((b|0)==43520){break qe}if((b|0)==43776){break pe}if((b|0)!=65024){break r}c=a&-2;if((c|0)!=65040){break oe}b=268435456;break b}if((b|0)==65280){break ne}if((b|0)==66304){break me}if((b|0)!=67584|(a|0)!=67671){break r}break j}if((b|0)<=69375){if((b|0)==67840){break le}if((b|0)==68096){break ke}if((b|0)!=68352){break r}switch(a-68410|0){case 0:case 1:case 2:case 3:case 4:case 5:case 95:case 96:case 97:case 98:break v;default:break r}}if((b|0)<=69887){if((b|0)==69376){break je}if((b|0)!=69632){break r}if(a-69703>>>0<2){break v}if(a-69705>>>0>=5){break ie}break j}if((b|0)==69888){break he}if((b|0)!=70144){break r}b=a-70200|0;if(b>>>0<=4){break ge}if((a|0)!=70313){break r}break i}if((b|0)<=74751){if((b|0)<=71423){if((b|0)==70656){break fe}if((b|0)==70912){break ee}if((b|0)!=71168|a-71233>>>0>=2){break r}break i}if((b|0)<=72703){if((b|0)==71424){break de}if((b|0)!=72192){break r}if(a-72258>>>0<2|a-72347>>>0<2){break v}if(a-72353>>>0>=2){break r}break j}if((b|0)==72704){break ce}if((b|0)!=73216|a-73463>>>0>=2){break r}break i}if((b|0)<=93695){if((b|0)==74752){break be}if((b|0)==92672){break $d}if((b|0)!=92928){break r}if(a-92983>>>0>=2){break _d}break i}if((b|0)<=121343){if((b|0)==93696){break ae}if((b|0)!=113664|(a|0)!=113823){break r}break h}if((b|0)==121344){break ka}if((b|0)!=125184){break r}b=((a|0)==125279)<<30;c=(a|0)==125278;b=c?536870912:b;break b}c=536870912;Te:{Ue:{Ve:{We:{Xe:{switch(a-33|0){default:switch(a-183|0){case 1:case 2:case 3:case 4:case 5:case 6:case 7:break Te;case 8:break Ve;case 0:break We;default:break Ue};case 1:b=0;break b;case 2:b=66;break b;case 6:b=0;break b;case 9:b=66;break b;case 11:b=268435456;break b;case 13:b=-2147483648;break b;case 25:b=134217728;break b;case 26:b=67108864;break b;case 0:break v;case 3:case 4:case 5:case 7:case 8:case 10:case 12:case 14:case 15:case 16:case 17:case 18:case 19:case 20:case 21:case 22:case 23:case 24:case 27:case 28:case 29:break Te;case 30:break Xe}}b=1073741824;break b}b=0;break b}b=1078984704;break b}if((a|0)==161){break Q}}break q}b=(a|0)==903;c=(a|0)==894;b=c?1073741824:b?67108864:0;break b}c=268435456;Ye:{Ze:{switch(a-1373|0){default:if((a|0)==1417){break Ye}if((a|0)!=1475){break r}break j;case 0:break v;case 1:break Ze}}b=1075838976;break b}b=-2143289344;break b}c=268435456;_e:{switch(a-1548|0){case 15:b=67108864;break b;case 18:break i;case 1:case 2:case 3:case 4:case 5:case 6:case 7:case 8:case 9:case 10:case 11:case 12:case 13:case 14:case 16:case 17:break r;case 0:break v;case 19:break _e;default:break Zd}}b=1073741824;break b}b=a-1792|0;if(b>>>0<6){break ra}b=134217728;if((a&-2)==1798){break b}c=67108864;$e:{af:{bf:{switch(a-1800|0){default:switch(a-2040|0){case 1:break $e;case 0:break af;default:break r};case 2:case 4:break j;case 3:break r;case 0:break v;case 1:break bf}}b=1073741824;break b}b=268435456;break b}b=536870912;break b}b=(a|0)==2405;c=(a|0)==2404;b=c?-2143289344:b?16777216:0;break b}if((a|0)!=3572){break r}b=-2143289344;break b}cf:{switch(a-3848|0){case 5:b=-2143289344;break b;case 6:b=16777216;break b;case 0:break v;default:break cf}}if(a-3854>>>0<5){break v}if((a|0)!=3860){break r}b=268435456;break b}if((a|0)!=4347){break r}b=16777216;break b}b=a-4961|0;if(b>>>0<4){break pa}b=134217728;if(a-4965>>>0<2){break b}b=(a|0)==4968;c=(a|0)==4967;b=c?1073741824:b?16777216:0;break b}if(a-5867>>>0>=3){break r}break v}if(a-5941>>>0>=2){break oa}break i}if((a&-4)!=6824){break r}break i}if((b|0)!=7006){break r}break v}if(a-7227>>>0<2){break v}if(a-7229>>>0<3){break j}if((a&-2)==7294){break v}if((a|0)!=7379){break r}break p}b=33554432;break b}if((a&-8)==8224){break q}if(a-8242>>>0<3){break v}if(a-8240>>>0<9){break q}b=a-8251|0;if(b>>>0<21){break ma}break R}c=-2147483648;if((a|0)==11513){break v}b=1073741824;if((a&-2)==11514){break b}if((a|0)!=11518){break r}break v}df:{switch(a-11822|0){case 4:b=268435456;break b;case 5:b=-2147483648;break b;case 6:b=268435456;break b;case 7:b=67108864;break b;case 14:b=-2147483648;break b;case 19:b=268435456;break b;case 30:case 32:b=0;break b;case 0:break v;default:break df}}break q}if((a|0)==12349){break g}if((a|0)!=12539){break r}b=0;break b}b=-2143289344;break b}b=(a|0)==42239;c=(a|0)==42238;b=c?268435456:b?-2147483648:0;break b}ef:{switch(a-42509|0){case 1:break h;case 0:break v;case 2:break ef;default:break r}}b=1073741824;break b}b=134217728;break b}b=67108864;break b}b=1073741824;break b}if(a-43126>>>0<2){break v}if(a-43214>>>0>=2){break r}break v}if((a|0)==43463){break j}if((a&-2)!=43464){break r}break i}if(a-43613>>>0<3){break v}if((a|0)==43743){break j}if((a&-2)!=43760){break r}break v}if((a|0)!=44011){break r}break i}b=a-65042|0;if(b>>>0<8){break la}break S}c=541065216;ff:{switch(a-65281|0){case 1:case 6:b=0;break b;case 11:b=272629760;break b;case 13:b=-2143289344;break b;case 100:b=0;break b;case 25:b=138412032;break b;case 26:b=71303168;break b;case 30:b=1077936128;break b;case 96:break h;case 59:break t;case 0:break v;case 99:break ff;default:break r}}b=268435456;break b}c=(a|0)==66512;b=c>>>26|0;c=(a|0)==66463;b=c?0:b;break b}if((a|0)!=67871){break r}break j}if((a&-2)==68182){break i}if(a-68336>>>0>=6){break r}break j}if(a-69461>>>0>=5){break r}break i}if(a-69822>>>0>=4){break r}break v}if(a-69953>>>0<2){break i}b=a-70085|0;if(b>>>0<=26){break Yd}break T}if((b|0)!=2){break i}break j}if(a-70731>>>0<2){break i}c=(a|0)==70747;b=c>>>26|0;c=(a|0)==70733;b=c?268435456:b;break b}gf:{switch((a&-2)-71106|0){case 0:break v;case 2:break Xd;default:break gf}}if(a-71110>>>0<3){break o}if(a-71113>>>0>=15){break r}break v}if(a-71484>>>0>=3){break r}break i}if(a-72769>>>0<2){break i}c=(a|0)==72817;b=c>>>26|0;c=(a|0)==72771;b=c?0:b;break b}b=134217728;if(a-74865>>>0<2){break b}if(a-74864>>>0>=5){break r}break j}b=0;break b}if((a&-2)==92782){break i}if((a|0)!=92917){break r}break h}b=0;break b}if((a|0)==1748){break h}break r}if(!(1<<b&100663555)){break T}break i}break j;case 23:hf:{jf:{kf:{lf:{mf:{nf:{b=a&-256;if((b|0)<=11775){if((b|0)<=8959){if(b){break hf}break q}if((b|0)==8960){break nf}if((b|0)==9984){break mf}if((b|0)!=10496){break r}break l}if((b|0)<=64767){if((b|0)==11776){break lf}if((b|0)!=12288){break r}a=a-12300|0;if(a>>>0>17|!(1<<a&131077)){break q}b=0;break b}if((b|0)==64768){break kf}if((b|0)==65024){break jf}if((b|0)!=65280|(a|0)!=65378){break r}b=0;break b}of:{switch(a-8968|0){case 1:break r;case 0:case 2:break v;default:break of}}if((a|0)!=9001){break r}b=0;break b}if((a|0)==10181){break l}break k}b=0;break b}if((a|0)!=64831){break r}break v}b=!(a-65089&-3)>>>27|0;break b}if((b|0)==8192){break U}break r;case 24:b=(a>>>0<256)>>>1|0;break b;case 25:pf:{qf:{rf:{sf:{tf:{uf:{b=a&-256;if((b|0)<=12287){if((b|0)<=767){if(!b){break uf}if((b|0)!=512){break pf}if((a|0)==749|a-751>>>0<17|(a-741>>>0<7|a-706>>>0<4)){break v}if(a-722>>>0>=14){break pf}break v}if((b|0)==768){break tf}if((b|0)!=7936){break pf}switch(a-8125|0){case 0:case 2:case 3:case 4:case 16:case 17:case 18:case 32:case 33:case 34:case 48:case 49:case 50:case 64:case 65:break v;default:break pf}}if((b|0)<=43775){if((b|0)==12288){break sf}if((b|0)!=42752|(a&-2)!=42784){break pf}break p}if((b|0)==43776){break rf}if((b|0)==65280){break qf}if((b|0)!=127744){break pf}b=78;break b}vf:{switch(a-168|0){default:wf:{switch(a-94|0){case 0:break v;case 2:break wf;default:break pf}}b=0;break b;case 0:case 7:break p;case 1:case 2:case 3:case 4:case 5:case 6:case 8:case 9:case 10:case 11:case 13:case 14:case 15:break pf;case 12:case 16:break vf}}break p}a=a-885|0;if(a>>>0>16|!(1<<a&98305)){break pf}break p}if(a-12443>>>0>=2){break pf}b=0;break b}if((a|0)!=43867){break pf}break p}xf:{switch(a-65342|0){case 2:break p;case 0:break v;case 1:break pf;default:break xf}}if((a|0)==65507){break p}}break r;case 26:yf:{zf:{Af:{Bf:{Cf:{Df:{Ef:{Ff:{b=a&-256;if((b|0)<=9471){if((b|0)<=8447){if(!b){break v}if((b|0)!=8192){break yf}switch(a-8260|0){case 0:case 14:break v;case 1:case 2:case 3:case 4:case 5:case 6:case 7:case 8:case 9:case 10:case 11:case 12:case 13:break yf;default:break Ff}}if((b|0)==8448){break Ef}if((b|0)==8704){break Df}if((b|0)!=8960){break yf}break v}if((b|0)<=10495){if((b|0)==9472){break Cf}if((b|0)==9728){break Bf}if((b|0)==9984){break v}break yf}if((b|0)==10496){break Af}if((b|0)==10752){break v}if((b|0)!=11008){break yf}break v}a=a-8315|0;if((a|0)!=16?a:0){break yf}b=0;break b}b=0;if((a|0)==8472){break b}if((a|0)!=8596){break zf}break f}b=0;if((a|0)==8722){break b}b=a-8942>>>0<4;b=b?33554432:0;break b}if(a-9723>>>0<2){break f}b=a-9725>>>0<2;b=b?134:0;break b}if((a|0)!=9839){break v}b=128;break b}if((a&-2)==10548){break f}b=(a|0)==10626;b=b?134217728:0;break b}if(a>>>0>8591){break v}}break r;case 27:Gf:{Hf:{If:{Jf:{Kf:{Lf:{Mf:{Nf:{Of:{Pf:{Qf:{Rf:{Sf:{Tf:{Uf:{Vf:{Wf:{Xf:{Yf:{Zf:{_f:{$f:{ag:{bg:{b=a&-256;if((b|0)<=12287){if((b|0)<=9727){if((b|0)<=8959){if(!b){break bg}if((b|0)!=8448){break r}c=130;switch(a-8482|0){case 7:break t;case 0:break v;case 1:case 2:case 3:case 4:case 5:case 6:case 8:case 9:case 10:case 11:break Zf;case 12:break $f;default:break ag}}if((b|0)==8960){break Yf}if((b|0)==9216){break Xf}if((b|0)!=9472){break r}switch((a&-2)-9632|0){case 10:break f;case 0:break v;default:break Wf}}if((b|0)<=11007){if((b|0)==9728){break Vf}if((b|0)==9984){break Uf}if((b|0)!=10240){break r}break v}if((b|0)==11008){break Tf}if((b|0)==11776){break Sf}if((b|0)!=12032){break r}if(a>>>0>=12246){break Rf}b=0;break b}if((b|0)<=127999){if((b|0)<=127231){if((b|0)==12288){break Qf}if((b|0)==12800){break Pf}if((b|0)!=126976){break r}b=(a|0)==127183;c=(a|0)==126980;b=c?134:b?134:128;break b}if((b|0)==127232){break Of}if((b|0)==127488){break Nf}if((b|0)!=127744){break r}if(a>>>0>=127777){break Mf}break e}if((b|0)<=128767){if((b|0)==128e3){break Lf}if((b|0)==128256){break Kf}if((b|0)!=128512){break r}b=a-128581|0;if(b>>>0<11){break aa}break V}if((b|0)==128768){break Jf}if((b|0)==129280){break If}if((b|0)!=129536){break r}b=128;break b}b=(a|0)==174;c=(a|0)==169;b=c?130:b?130:0;break b}switch(a-8616|0){case 0:break q;case 1:case 2:break _f;default:break Zf}}b=0;break b}b=130;break b}b=130;if(a-8597>>>0<5){break b}c=0;if(a-8604>>>0<18){break v}b=a-8624|0;if(b>>>0<8){break ja}break W}if(a>>>0<8968){break q}d=a&-2;if((d|0)==8986){break d}if(a-8972>>>0<20|a-8994>>>0<6){break q}if((a|0)==9e3){break f}if(a-9003>>>0<81){break q}b=128;if((a|0)==9096){break b}if(a-9085>>>0<30){break q}if((d|0)==9140){break v}cg:{switch(a-9143|0){case 24:break f;case 0:case 25:break v;default:break cg}}if(a-9140>>>0<40){break q}if((a|0)==9186){break v}b=a-9193|0;if(b>>>0<4){break d}c=134;dg:{switch(a-9200|0){case 0:case 3:break v;default:break dg}}if(b>>>0<11){break f}c=130;if(a-9208>>>0<3){break v}c=0;if(a>>>0<=9186){break r}break v}if(a-9216>>>0<75){break v}b=130;if((a|0)==9410){break b}b=0;if(a-9398>>>0<26){break b}if(a-9424>>>0>=26){break r}break b}if(a-9646>>>0<8){break l}c=130;if((a|0)==9654){break v}if((a&-4)==9660){break l}eg:{switch(a-9664|0){case 6:case 7:case 10:case 11:case 15:case 16:case 17:case 18:case 19:case 34:case 36:break l;case 0:break v;default:break eg}}b=0;break b}fg:{switch(a-9728>>>4|0){case 0:if(a>>>0<9733){break f}c=128;gg:{switch(a-9733|0){case 1:break l;case 0:break v;case 9:break gg;default:break X}}break f;case 2:b=a-9760|0;if(b>>>0<11){break ha}if(a>>>0<=9773){break X}break f;case 3:if(a-9784>>>0>=3){break X}break f;case 4:c=130;hg:{switch(a-9792|0){case 0:case 2:break v;default:break hg}}if(a>>>0<=9799){break X}break d;case 5:if(a>>>0<9812){break d}if((a|0)!=9823){break X}break f;case 6:if((a|0)==9734){break l}b=130;if((a|0)==9824){break b}c=128;if(a-9825>>>0<2){break v}b=a-9827|0;if(b>>>0<6){break ga}break Y;case 8:if(a>>>0<=9861){break X}break v;case 10:c=130;ig:{switch(a-9888|0){case 1:break d;case 0:break v;default:break ig}}if((a&-2)!=9898){break X}break d;case 11:if((a&-2)==9904){break f}if(a-9917>>>0>=2){break X}break d;case 12:if((a&-2)==9924){break d}c=130;jg:{switch(a-9928|0){case 0:case 7:break v;case 6:break jg;default:break X}}break d;case 14:b=(a|0)==9962;c=(a|0)==9961;b=c?130:b?134:128;break b;case 15:break fg;case 13:break da;case 9:break ea;case 7:break fa;case 1:break ia;default:break X}}c=130;if((a|0)==9972|a>>>0<9970){break v}if(a>>>0<9974){break d}if((a|0)!=9974&a>>>0<9977){break v}a=a-9977|0;if(a>>>0<5){break ca}break X}kg:{lg:{mg:{ng:{og:{switch(a-9984>>>4|0){case 0:c=130;if((a|0)==9986){break kg}if(a>>>0<9989){c=128;break kg}if((a|0)==9989){c=134;break kg}c=150;pg:{switch((a&-2)-9994|0){case 0:break kg;case 2:break mg;default:break pg}}c=130;if(a-9992>>>0<6){break kg}b=(a|0)==9999;a=(a|0)==9998;c=a?128:b?130:0;break kg;case 1:if(a>>>0<10002){c=128;break kg}a=a-10002|0;if(a>>>0>11|!(1<<a&2069)){break ng}c=130;break kg;case 2:b=(a|0)==10024;a=(a|0)==10017;c=a?130:b?134:0;break kg;case 3:if(a-10035>>>0>=2){break ng}c=130;break kg;case 4:c=130;qg:{switch(a-10052|0){case 0:case 3:break kg;case 8:case 10:break qg;default:break ng}}c=134;break kg;case 5:if(a-10067>>>0<2){c=1073741958;break kg}a=a-10069&-3;c=a?0:536871046;break kg;case 6:b=a-10082|0;if(b>>>0<3){break lg}if(a>>>0<=10084){break ng}c=128;break kg;case 9:if(a-10133>>>0>=3){break ng}c=134;break kg;case 10:if((a|0)!=10145){break ng}c=130;break kg;case 11:break og;default:break ng}}b=(a|0)==10175;a=(a|0)==10160;c=a?134:b?134:0;break kg}c=0;break kg}c=146;break kg}a=(b<<3)+84008|0;c=I[a+4>>2]}b=c;break b}if(a-11013>>>0<3){break f}if(a-11035>>>0<2){break d}b=(a|0)==11093;c=(a|0)==11088;b=c?134:b?134:0;break b}if(a-11904>>>0<26){break v}if(a-11931>>>0>=89){break r}break v}switch((a&-2)-12272|0){case 0:break v;case 2:break Gf;default:break Hf}}a=a-12306|0;if(a>>>0>14){break r}if(!(1<<a&16387)){break r}break v}b=a-12951&-3;b=b?0:130;break b}b=128;if((a|0)==127279){break b}if(a-127280>>>0<26|a-127312>>>0<26){break v}b=a-127344|0;if(!(b>>>0>15|!(1<<b&49155))){b=130;break b}if(b>>>0<26){break v}c=134;if((a|0)==127374|a-127377>>>0<10){break v}if(a>>>0<=127461){break r}b=102;break b}c=134;rg:{sg:{switch(a-127489|0){case 1:break g;case 0:case 25:break v;case 2:case 3:case 4:case 5:case 6:case 7:case 8:case 9:case 10:case 11:case 12:case 13:case 14:case 15:case 16:case 17:case 18:case 19:case 20:case 21:case 22:case 23:case 24:break rg;default:break sg}}switch(a-127535|0){case 8:break g;case 0:break v;default:break rg}}if((a&-2)==127568|a-127538>>>0<9){break v}if(a>>>0<=127583){break r}b=128;break b}if((a|0)==127777){break g}if(a-127789>>>0<9|a-127799>>>0<70){break e}if((a|0)==127877){break c}if(a-127870>>>0<22){break e}if(a-127780>>>0<112){break g}c=130;tg:{switch(a-127894|0){case 44:case 45:case 46:case 49:break c;case 0:case 1:case 3:case 4:case 5:break v;default:break tg}}if(a-127904>>>0<42){break e}c=150;if((a|0)==127946){break v}b=146;if(a-127947>>>0<2){break b}if(a-127951>>>0<5){break e}c=134;if(a-127968>>>0<17){break v}c=130;if(a-127902>>>0<83){break v}b=a-127987|0;if(b>>>0<5){break ba}break Z}c=130;ug:{switch(a-128063|0){case 0:case 2:break v;default:break ug}}if((a|0)==128124|(a&-5)-128129>>>0<3|((a|0)==128110|a-128112>>>0<9)){break c}if((a&-2)==128066|a-128102>>>0<4|a-128070>>>0<11){break c}vg:{switch(a-128253|0){case 1:b=128;break b;case 0:break v;default:break vg}}c=150;if((a|0)==128170){break v}break e}if(a>>>0<128318){break e}if(a>>>0<128326){break r}if(a-128329>>>0<2){break g}if(a-128331>>>0<4|a-128336>>>0<24){break e}if(a-128367>>>0<2){break g}b=146;if((a&-2)==128372){break b}if(a-128371>>>0<7){break g}c=150;b=a-128378|0;if(!b){break v}if((b|0)==13|a-128394>>>0<4){break g}c=146;if((a|0)==128400){break v}c=150;if(a-128405>>>0<2){break v}c=134;wg:{switch(a-128420|0){case 1:case 4:case 13:case 14:case 24:case 30:case 31:case 32:case 45:case 46:case 47:case 56:case 57:case 58:case 61:case 63:case 68:case 75:case 79:case 86:break g;case 0:break v;default:break wg}}b=a>>>0>128506;b=b?134:128;break b}if(a-128981>>>0>=4){break r}b=128;break b}if(a>>>0<129292){break r}if(a-129328>>>0<10){break c}c=150;xg:{switch(a-129304|0){case 35:break r;case 0:case 1:case 2:case 3:case 4:case 6:case 7:case 14:break v;default:break xg}}if(a-129341>>>0<2){break c}c=0;if((a|0)==129350){break v}b=198;if((a&-4)==129456){break b}b=a-129461|0;if(b>>>0<5){break $}break _}if(a-12276>>>0<8){break v}break r}b=0;break b;case 29:b=16777216;break b;case 30:break Ha;case 28:break v;default:break r}}b=0;break b}if(!(1079>>>b&1)){break w}b=(b<<3)+81360|0;b=I[b+4>>2];break b}if((a&8508)==8508){break v}if(!(557553>>>b&1)){break E}break v}b=(a<<3)+81960|0;b=I[b+4>>2];break b}if(!(207>>>b&1)){break G}break m}if(!(1017>>>b&1)){break H}break m}if(!(32895>>>b&1)){break J}break v}a=a-6773|0;if(a>>>0>=11){break r}b=(a<<3)+82032|0;b=I[b+4>>2];break b}a=a-7669|0;if(a>>>0>=11){break r}b=(a<<3)+82120|0;b=I[b+4>>2];break b}a=a-8417|0;if(a>>>0>=15){break r}b=(a<<3)+82208|0;b=I[b+4>>2];break b}if(!(55>>>b&1)){break K}break v}if(!(3087>>>b&1)){break M}break m}a=a-71453|0;if(a>>>0>=15){break r}b=(a<<3)+82328|0;b=I[b+4>>2];break b}if(!(49023>>>b&1)){break N}b=(b<<3)+82448|0;b=I[b+4>>2];break b}if(!(514623>>>b&1)){break F}b=(b<<3)+82680|0;b=I[b+4>>2];break b}a=a-122880|0;if(a>>>0>=43){break r}b=(a<<3)+82832|0;b=I[b+4>>2];break b}b=(b<<3)+83176|0;b=I[b+4>>2];break b}if(!(197>>>b&1)){break P}break i}b=(b<<3)+83224|0;b=I[b+4>>2];break b}a=a-6100|0;if(a>>>0>=7){break r}b=(a<<3)+83256|0;b=I[b+4>>2];break b}a=a-6145|0;if(a>>>0>=10){break r}b=(a<<3)+83312|0;b=I[b+4>>2];break b}if(!(1077711>>>b&1)){break R}b=(b<<3)+83392|0;b=I[b+4>>2];break b}if(!(159>>>b&1)){break S}b=(b<<3)+83560|0;b=I[b+4>>2];break b}a=a-121479|0;if(a>>>0>=4){break r}b=(a<<3)+83624|0;b=I[b+4>>2];break b}if(195>>>b&1){break v}break W}a=a-9745|0;if(a>>>0>=13){break X}b=(a<<3)+83656|0;b=I[b+4>>2];break b}c=130;if(a>>>0>9773){break v}if(!(1101>>>b&1)){break X}break v}if(!(45>>>b&1)){break Y}b=(b<<3)+83760|0;b=I[b+4>>2];break b}a=a-9851|0;if(a>>>0>=5){break X}b=(a<<3)+83808|0;b=I[b+4>>2];break b}a=a-9874|0;if(a>>>0>=11){break X}b=(a<<3)+83848|0;b=I[b+4>>2];break b}a=a-9937|0;if(a>>>0>=4){break X}b=(a<<3)+83936|0;b=I[b+4>>2];break b}b=(a<<3)+83968|0;b=I[b+4>>2];break b}if(!(23>>>b&1)){break Z}b=(b<<3)+84032|0;b=I[b+4>>2];break b}if(!(1991>>>b&1)){break V}break c}c=150;if(!(27>>>b&1)){break _}break v}b=a-129489>>>0<13;b=b?150:134;break b}b=a-127992>>>0<3;b=b?134:128;break b}if(a-9837>>>0<2){break v}}b=128;break b}if(a-8623>>>0<13){break q}if(a-8636>>>0<18){break v}b=a-8656|0;if(b>>>0<22&(3157995>>>b&1)){break v}if(a-8661>>>0<31){break v}break r}if(a>>>0<128592){break e}if(a>>>0<128640){break r}c=150;b=a-128675|0;if(1<<b&537788417?b>>>0<=29:0){break v}if(a>>>0<128710){break e}if((a|0)==128716){break v}if(a-128715>>>0<5){break g}if(a-128720>>>0<3){break e}b=a-128736|0;if(!(b>>>0>=10|!(575>>>b&1))){break g}c=134;if(a-128747>>>0<2){break v}c=130;yg:{switch(a-128752|0){case 0:case 3:break v;default:break yg}}b=a-128756>>>0<6;b=b?134:128;break b}zg:{switch(a-8218|0){case 1:case 2:case 3:break r;case 0:case 4:break v;default:break zg}}Ag:{switch(a-8317|0){default:if((a|0)!=8261){break r}break q;case 1:case 2:case 3:case 4:case 5:case 6:case 7:case 8:case 9:case 10:case 11:case 12:case 13:case 14:case 15:break r;case 0:case 16:break Ag}}break t}if((a|0)!=69955){break r}b=1073741824;break b}if(a-65093>>>0<2){break q}b=268435456;if((c|0)==65104){break b}c=-2147483648;Bg:{switch(a-65106|0){case 2:b=67108864;break b;case 3:b=134217728;break b;case 4:b=1073741824;break b;case 5:b=536870912;break b;case 0:break v;case 15:case 22:break Bg;default:break r}}break t}if(a-8266>>>0<8){break q}b=0;if((a|0)==8275){break b}if(a-8277>>>0>=10){break r}break v}b=542113792;break b}if((a|0)==2142|a-2096>>>0<15){break v}break r}b=0;break b}if(a-72850>>>0<22){break m}a=a-72874|0;if(a>>>0>=13){break r}b=(a<<3)+82576|0;b=I[b+4>>2];break b}if(a-71103>>>0<2){break p}if((a&-2)!=71132){break r}break m}if((a|0)==70726){break v}if((a&-2)!=70850){break r}break v}if(a-68325>>>0>=2){break r}break p}if((a|0)==6109){break v}if(a-6089>>>0>=11){break r}break v}Cg:{switch(a-3959|0){case 0:case 2:b=0;break b;default:break Cg}}c=0;if((b|0)==3968|a-3953>>>0<14){break v}b=a-3970|0;if(!(b>>>0>=6|!(55>>>b&1))){break p}if(a-3981>>>0<11|a-3993>>>0<36){break v}if((a|0)!=4038){break r}break v}if(a-3655>>>0<6){break p}b=a-3761|0;if(!(b>>>0>11|!(1<<b&3577))){break m}Dg:{switch(a-3661|0){case 1:break p;case 0:break v;default:break Dg}}if(a-3784>>>0<5){break v}if((a|0)!=3789){break r}break v}if(a-1770>>>0<3){break v}if((a|0)!=1773){break r}break v}if((a&-2)==73028){break p}Eg:{switch(a-73104|0){default:if((a|0)!=73031){break r}break v;case 2:case 3:case 4:case 6:break r;case 0:case 1:case 5:break v;case 7:break Eg}}break p}a=a-8492|0;if(a>>>0>=30){break r}b=(a<<3)+81720|0;b=I[b+4>>2];break b}break B}c=(a&-3)==43712;b=c>>>20|0;c=b}b=a&-65536;if((b|0)==131072){break z}if((b|0)==65536){break y}if(b){break x}}if(a-13312>>>0<6582|a-19968>>>0<20976|a-63744>>>0<366){break x}break x}if(a-183984>>>0<7473|a-178208>>>0<5762|(a-177984>>>0<222|a-131072>>>0<42711)){break x}if(a-173824>>>0<4149|a-194560>>>0<542){break x}break x}if(a-110960>>>0<396|a-94208>>>0<6125|a-100352>>>0<755){break x}}b=c;break b}if((a&-4)==8508|a-8517>>>0<3){break v}if((a&-2)!=8520){break r}b=0;break b}b=c;break b}b=a>>>0>131069;b=b?0:128;break b}b=0;break b}if((a|0)==11776){break q}}b=0;break b}b=0;break b}b=0;break b}b=0;break b}b=0;break b}b=0;break b}b=0;break b}b=0;break b}b=0;break b}b=0;break b}b=-2147483648;break b}b=130;break b}b=130;break b}b=134;break b}b=134;break b}b=150}a=b&-1048576;b=0;Fg:{Gg:{Hg:{Ig:{Jg:{Kg:{Lg:{Mg:{Ng:{Og:{if((a|0)<268435455|(a|0)<=268435455){Pg:{Qg:{if((a|0)<33554431|(a|0)<=33554431){if((a|0)<8388607|(a|0)<=8388607){c=524328;if(!b&(a|0)==-2147483648){break Fg}if(b|(a|0)!=-2143289344){break Gg}return 557096}if(!b&(a|0)==8388608){break Qg}if(b|(a|0)!=16777216){break Gg}return 524358}if((a|0)>71303167){break Pg}if(!b&(a|0)==33554432){break Hg}if(b|(a|0)!=67108864){break Gg}}return 266270}if(!b&(a|0)==71303168){break Og}if(!b&(a|0)==134217728){break Ig}if(b|(a|0)!=138412032){break Gg}return 294942}if((a|0)<542113791|(a|0)<=542113791){if((a|0)<536870911|(a|0)<=536870911){if(!b&(a|0)==268435456){break Jg}if(b|(a|0)!=272629760){break Gg}return 299028}if(!b&(a|0)==536870912){break Lg}if(!b&(a|0)==538968064){break Kg}if(b|(a|0)!=541065216){break Gg}return 569389}if((a|0)<1075838975|(a|0)<=1075838975){if(!b&(a|0)==542113792){break Og}if(b|(a|0)!=1073741824){break Gg}return 532520}if(!b&(a|0)==1075838976){break Mg}if(!b&(a|0)==1077936128){break Ng}if(b|(a|0)!=1078984704){break Gg}}return 299038}return 565288}return 1581096}return 536621}return 1585197}return 266260}return 262174}return 2396190}c=16384}return c}
+function Ve(a,b,c){var d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,y=0,A=0,D=0,E=0,F=0,L=0,M=0,P=0,R=0,S=0,T=0,U=0,V=0,W=0,X=0,Y=0,Z=0,_=0,$=0,aa=0,ba=0,ca=0,da=0,ea=0,fa=0,ga=0,ha=0,ia=0,ja=0,ka=0,la=0,ma=0,na=0;i=ra-6832|0;ra=i;I[i+6816>>2]=0;I[i+6808>>2]=32;I[i+6800>>2]=0;a:{if(!a){break a}I[49411]=0;I[49410]=0;I[49412]=0;G[197316]=0;d=I[35344];I[49413]=(d|0)>0?d:0;I[49415]=I[49414]+1;U=i+5184|0;Ja(U,0,1600);m=a;V=i+6800|0;h=ra-2608|0;ra=h;I[h+2156>>2]=32;I[h+2148>>2]=0;if(J[143e3]==1){G[198520]=0;G[143e3]=0}I[m+8216>>2]=0;I[m+8220>>2]=0;I[m+288>>2]=0;I[i+780>>2]=0;G[197600]=0;e=I[35751];b:{if(e){break b}a=I[35345];e=a;c:{if(!a){e=0;d=I[35343];if(I[d>>2]==I[d+4>>2]){break b}e=a;if(!a){break c}}I[35345]=0;break b}I[35344]=I[35344]+1;a=I[35343];e=va[I[a+8>>2]](a)|0}I[h+2152>>2]=e;ha=U+2|0;s=32;d:{e:{while(1){n=s;f:{g:{h:{i:{j:{k:{a=I[35345];l:{if(a){break l}d=I[35343];if(I[35751]|(a|I[d>>2]!=I[d+4>>2])){break l}if(I[34604]<0){break k}}m:{if(xc(I[h+2156>>2])){break m}a=I[51888];e=(a|0)>0;d=a;a=I[35344];if(e&(d|0)<(a|0)){break j}d=I[51905];if((d|0)<=0|(a|0)<(d|0)){break m}I[51905]=0;G[143e3]=1;I[35345]=I[h+2152>>2];f=16384;break d}s=I[h+2156>>2];I[h+2156>>2]=I[h+2152>>2];n:{o:{p:{e=I[34604];if((e|0)>=0){if(J[e+142976|0]){break p}I[34604]=-1}a=I[35345];e=a;if(!a){e=32;d=I[35343];if(I[d>>2]==I[d+4>>2]){break n}e=a;if(!a){break o}}I[35345]=0;break n}if(!(I[35751]|e)){I[h+2156>>2]=G[142976];e=1}I[34604]=e+1;e=G[e+142976|0];break n}I[35344]=I[35344]+1;a=I[35343];e=va[I[a+8>>2]](a)|0}I[35751]=0;I[h+2152>>2]=e;q:{if(l|!I[49263]){break q}r:{a=I[h+2156>>2];if((a|0)!=60){if((e|0)!=35&e-97>>>0>25|(a|0)!=38){break q}d=I[35345];g=0;while(1){s:{I[h+2156>>2]=e;if(!d){a=I[35343];if(I[a>>2]==I[a+4>>2]){break s}e=I[h+2156>>2]}d=(xc(e)|0)!=0;a=I[h+2156>>2];if(!(d|(a|0)==35)|g>>>0>19){break s}G[(h+112|0)+g|0]=a;g=g+1|0;e=I[35345];if(e){I[35345]=0;d=0}else{I[35344]=I[35344]+1;a=I[35343];e=va[I[a+8>>2]](a)|0;d=I[35345]}continue}break}G[(h+112|0)+g|0]=0;a=I[35345];e=a;t:{u:{if(!a){e=0;d=I[35343];if(I[d>>2]==I[d+4>>2]){break t}e=a;if(!a){break u}}I[35345]=0;break t}I[35344]=I[35344]+1;a=I[35343];e=va[I[a+8>>2]](a)|0}I[h+2152>>2]=e;I[h+100>>2]=I[h+2156>>2];I[h+104>>2]=e;d=h+112|0;I[h+96>>2]=d;Fa(142976,84268,h+96|0);v:{if(I[h+2156>>2]==59){g=h+2156|0;k=h+2152|0;e=ra-32|0;ra=e;w:{if(J[d|0]==35){a=d+1|0;if(J[a|0]==120){I[e>>2]=g;a=Pa(d+2|0,90015,e);break w}I[e+16>>2]=g;a=Pa(a,90080,e+16|0);break w}d=yb(139072,d);a=-1;if((d|0)==-1){break w}I[g>>2]=d;if(!I[k>>2]){I[k>>2]=32}a=d}ra=e+32|0;if((a|0)>0){break v}}I[34604]=0;I[h+2156>>2]=38;I[h+2152>>2]=32;break q}a=I[h+2156>>2];if((a|0)>32){break q}d=I[35752]-20|0;if(!d|(d|0)==16){break r}break q}x:{if((e|0)==47){break x}if(lb(e)){break x}a=I[h+2152>>2];if((a|0)==63){break x}if((a|0)!=33){break q}}a=I[h+2148>>2];if((a|0)>780){I[35751]=I[h+2156>>2];a=a+197664|0;G[a|0]=32;G[a+1|0]=0;I[35345]=I[h+2152>>2];f=16384;break d}k=I[35345];g=0;e=I[h+2152>>2];while(1){I[h+2156>>2]=e;if(k){a=1}else{e=I[h+2156>>2];a=I[35343];a=I[a>>2]!=I[a+4>>2]}if(!(!a|(e|0)==62|g>>>0>499)){I[(h+144|0)+(g<<2)>>2]=e;g=g+1|0;e=I[35345];if(e){k=0;I[35345]=0;continue}I[35344]=I[35344]+1;a=I[35343];e=va[I[a+8>>2]](a)|0;k=I[35345];continue}break}a=h+144|0;I[a+(g<<2)>>2]=0;I[h+2152>>2]=32;o=h+2148|0;n=I[34605];d=0;t=ra-560|0;ra=t;y:{if(!ee(a,84345,3)){break y}if(!ee(a,84489,4)){break y}e=a;a=(a+(Zc(a)<<2)|0)-4|0;u=I[a>>2];if((u|0)==47){I[a>>2]=32}while(1){z:{a=I[e+(d<<2)>>2];if(!a){a=d;break z}if(Ya(a)){a=d;break z}a=a<<24>>24;G[(t+512|0)+d|0]=a-65>>>0<26?a|32:a;a=39;d=d+1|0;if((d|0)!=39){continue}}break}d=t+512|0;G[d+a|0]=0;A:{B:{C:{D:{if(J[t+512|0]==47){d=yb(138800,d|1);if((d|0)!=16){g=I[o>>2];I[o>>2]=g+1;G[g+197664|0]=32}l=d+32|0;break D}l=yb(138800,t+512|0);if((l|0)!=16){d=I[o>>2];I[o>>2]=d+1;G[d+197664|0]=32}if((u|0)!=47){break D}if(!(1<<l&502241)){break C}}k=e+(a<<2)|0;a=I[35768];g=O(a,76)+141316|0;d=262174;E:{switch(l-1|0){case 33:F:{if((a|0)<=1){break F}while(1){if(I[O(a,76)+141316>>2]==2){break F}d=a-1|0;I[35768]=d;e=(a|0)>2;a=d;if(e){continue}break}a=1}d=tb(k,34,a);break y;case 32:G:{if((a|0)<=1){break G}while(1){if(I[O(a,76)+141316>>2]==1){break G}d=a-1|0;I[35768]=d;e=(a|0)>2;a=d;if(e){continue}break}a=1}d=tb(k,33,a)+524328|0;break y;case 9:a=I[35769];if((a|0)<=18){I[35769]=a+1}a=(a<<6)+143152|0;I[a+4>>2]=-1;I[a+8>>2]=-1;I[a>>2]=10;I[a+12>>2]=-1;I[a+16>>2]=-1;I[a+20>>2]=-1;I[a+24>>2]=-1;g=28;I[a+28>>2]=-1;I[a+32>>2]=-1;I[a+36>>2]=-1;I[a+40>>2]=-1;I[a+44>>2]=-1;I[a+48>>2]=-1;I[a+52>>2]=-1;I[a+56>>2]=-1;I[a+60>>2]=-1;d=Za(k,88310);e=Za(k,88399);H:{I:{if(!cf(d,88488)){g=24;d=138512;break I}if(cf(d,88537)){break H}d=138544}ma=a+g|0,na=$b(e,d),I[ma>>2]=na}_b(o,I[35769]);break C;case 2:a=I[35769];if((a|0)<=18){I[35769]=a+1}a=(a<<6)+143152|0;I[a+4>>2]=-1;I[a+8>>2]=-1;I[a>>2]=3;I[a+12>>2]=-1;I[a+16>>2]=-1;I[a+20>>2]=-1;I[a+24>>2]=-1;I[a+28>>2]=-1;I[a+32>>2]=-1;I[a+36>>2]=-1;I[a+40>>2]=-1;I[a+44>>2]=-1;I[a+48>>2]=-1;I[a+52>>2]=-1;I[a+56>>2]=-1;I[a+60>>2]=-1;ia=a+4|0;e=1;while(1){P=e<<2;g=Za(k,I[P+138768>>2]);if(g){w=0;a=I[P+139392>>2];l=I[a>>2];J:{if(!l){d=a;break J}while(1){d=0;while(1){K:{n=G[d+l|0];u=I[(d<<2)+g>>2];if(!u){break K}d=d+1|0;if((n|0)==(u|0)){continue}}break}L:{M:{switch(u-34|0){case 0:case 5:if(!n){break L}break;default:break M}}w=w+1|0;d=a+(w<<3)|0;l=I[d>>2];if(l){continue}break J}break}d=a+(w<<3)|0}ja=P+ia|0;a=I[d+4>>2];N:{if((a|0)>=0){a=(O(a,I[(P+143152|0)+4>>2])|0)/100|0;break N}while(1){a=g;g=a+4|0;if(Ya(I[a>>2])){continue}break}ea=I[a>>2]==43;a=a+(ea<<2)|0;fa=I[a>>2]==45;d=(fa<<2)+a|0;l=ra-16|0;ra=l;Z=t+96|0;w=ra-224|0;ra=w;Ja(w+16|0,0,144);a=w+160|4;I[w+24>>2]=a;I[w+60>>2]=a;I[w+92>>2]=-1;I[w+64>>2]=60;I[w+20>>2]=a;I[w+48>>2]=19;a=d;while(1){g=a;a=a+4|0;if(Ya(I[g>>2])){continue}break}I[w+100>>2]=g;a=w+16|0;rb(a,0,0);he(w,a,1,1);n=I[w+8>>2];ka=I[w+12>>2];u=I[w>>2];la=I[w+4>>2];if(Z){a=I[w+136>>2]+(I[w+20>>2]-I[w+60>>2]|0)|0;I[Z>>2]=a?g+(a<<2)|0:d}a=l;I[a+8>>2]=n;I[a+12>>2]=ka;I[a>>2]=u;I[a+4>>2]=la;ra=w+224|0;p=Xc(I[a>>2],I[a+4>>2],I[a+8>>2],I[a+12>>2]);ra=a+16|0;O:{g=I[t+96>>2];a=100;P:{if((g|0)==(d|0)){break P}d=fa?-1:ea;Q:{a=I[g>>2];if((a|0)!=115){if((a|0)!=37){break Q}p=d?+(d|0)*p+100:p;if(Q(p)<2147483648){a=~~p;break P}a=-2147483648;break P}if(I[g+4>>2]!=116){break Q}S=p*+(d|0)/12;C(+S);a=x(1)|0;x(0)|0;a=a>>>20&2047;R:{if(a-969>>>0>=63){E=S+1;L=E;if(a>>>0<969){break R}C(+S);d=x(1)|0;g=x(0)|0;S:{if(a>>>0<1033){break S}L=0;if(!g&(d|0)==-1048576){break R}L=E;if(a>>>0>=2047){break R}l=d;if((d|0)>0){l=1}else{l=(l|0)>=0}if(l){a=ra-16|0;N[a+8>>3]=3105036184601418e216;L=N[a+8>>3]*3105036184601418e216;break R}if(d>>>0<3230714880){break S}a=ra-16|0;N[a+8>>3]=12882297539194267e-247;L=N[a+8>>3]*12882297539194267e-247;break R}l=a;a=d<<1|g>>>31;a=!(g<<1)&(a|0)==-2129002496|a>>>0<2165964800?l:0}L=S;p=N[14404];S=S+p;p=L-(S-p);E=p*p;L=E*E*(p*N[14409]+N[14408]);E=E*(p*N[14407]+N[14406]);p=p*N[14405];C(+S);x(1)|0;d=x(0)|0;l=d<<4&2032;p=L+(E+(p+N[l+115280>>3]));u=0;l=l+115288|0;g=u+I[l>>2]|0;l=I[l+4>>2]+(d<<13)|0;l=g>>>0<u>>>0?l+1|0:l;if(!a){T:{if(!(d&-2147483648)){z(0,g|0);z(1,l+-1048576|0);E=+B();p=E*p+E;L=p+p;break T}z(0,g|0);z(1,l+1071644672|0);E=+B();S=E*p;p=S+E;if(p<1){a=ra-16|0;I[a+8>>2]=0;I[a+12>>2]=1048576;N[a+8>>3]=N[a+8>>3]*22250738585072014e-324;L=p+1;p=L+(S+(E-p)+(p+(1-L)))+-1;p=p==0?0:p}L=p*22250738585072014e-324}break R}z(0,g|0);z(1,l|0);E=+B();L=E*p+E}p=L*100;if(Q(p)<2147483648){a=~~p;break P}a=-2147483648;break P}if((e|0)!=1){break O}if(!d){p=p*100;if(Q(p)<2147483648){a=~~p;break P}a=-2147483648;break P}p=p*+(d|0)*100;U:{if(Q(p)<2147483648){a=~~p;break U}a=-2147483648}a=a+100|0}a=(O(a,I[P+143088>>2])|0)/100|0;break N}if(Q(p)<2147483648){a=~~p}else{a=-2147483648}if(!d){break N}a=I[P+143088>>2]+O(a,d)|0}I[ja>>2]=a}e=e+1|0;if((e|0)!=5){continue}break};_b(o,I[35769]);break C;case 11:a=I[35769];if((a|0)<=18){I[35769]=a+1}a=(a<<6)+143152|0;I[a+4>>2]=-1;I[a+8>>2]=-1;I[a>>2]=12;I[a+12>>2]=-1;I[a+16>>2]=-1;I[a+20>>2]=-1;I[a+24>>2]=-1;I[a+28>>2]=-1;I[a+32>>2]=-1;I[a+36>>2]=-1;I[a+40>>2]=-1;I[a+44>>2]=-1;I[a+48>>2]=-1;I[a+52>>2]=-1;I[a+56>>2]=-1;I[a+60>>2]=-1;d=Za(k,88667);if(d){d=$b(d,138720)}else{d=3}V:{if(I[I[49252]+148>>2]==1){I[a+20>>2]=J[d+102780|0];d=J[d+102786|0];break V}I[a+52>>2]=d;d=J[d+102792|0]}I[a+12>>2]=d;_b(o,I[35769]);break C;case 34:case 41:case 43:a=I[35769];W:{if((a|0)<=0){break W}e=l-32|0;l=0;g=0;d=0;if(a>>>0>=4){k=a&2147483644;w=0;while(1){n=d|3;u=d|2;P=d|1;g=(e|0)==I[(n<<6)+143152>>2]?n:(e|0)==I[(u<<6)+143152>>2]?u:(e|0)==I[(P<<6)+143152>>2]?P:(e|0)==I[(d<<6)+143152>>2]?d:g;d=d+4|0;w=w+4|0;if((k|0)!=(w|0)){continue}break}}k=a&3;if(k){while(1){g=(e|0)==I[(d<<6)+143152>>2]?d:g;d=d+1|0;l=l+1|0;if((k|0)!=(l|0)){continue}break}}if(!g){break W}I[35769]=g;a=g}_b(o,a);break C;case 7:a=Za(k,88750);d=Za(k,88869);if(($b(a,138496)|0)!=1){break C}a=I[o>>2];I[o>>2]=a+1;G[a+197664|0]=91;a=I[o>>2];I[o>>2]=a+1;G[a+197664|0]=91;a=I[o>>2];a=Qb(a+197664|0,d,800-a|0)+I[o>>2]|0;I[o>>2]=a+1;G[a+197664|0]=93;a=I[o>>2];I[o>>2]=a+1;G[a+197664|0]=93;break C;case 35:if(I[35752]==36){G[I[o>>2]+197664|0]=0;a=I[35767];d=a+197664|0;e=yb(139424,d);if(e){ma=o,na=Xa(e,d)+a|0,I[ma>>2]=na}}a=I[o>>2];I[o>>2]=a+1;G[a+197664|0]=1;a=I[o>>2];I[o>>2]=a+1;G[a+197664|0]=89;I[35752]=0;break C;case 8:a=Za(k,89309);if(!a){break C}G[143064]=1;d=I[o>>2];ma=o,na=Qb(d+197664|0,a,800-d|0)+I[o>>2]|0,I[ma>>2]=na;break C;case 13:G[143064]=1;break C;case 40:case 45:G[143064]=0;break C;case 4:a=Za(k,89370);if(!a){break C}d=t+352|0;Qb(d,a,160);X:{if(!J[t+352|0]){break X}if(Wa(207568,d)){break X}G[143e3]=1;G[207568]=0;d=16384;break y}a=t+352|0;d=Dd(a);if((d|0)<0){break C}I[t+20>>2]=d;I[t+16>>2]=1;Fa(a,89470,t+16|0);Ha(I[o>>2]+197664|0,a);ma=o,na=I[o>>2]+Ga(a)|0,I[ma>>2]=na;break C;case 10:a=I[35769];if((a|0)<=18){I[35769]=a+1}a=(a<<6)+143152|0;I[a+4>>2]=-1;I[a+8>>2]=-1;I[a>>2]=11;I[a+12>>2]=-1;I[a+16>>2]=-1;I[a+20>>2]=-1;I[a+24>>2]=-1;I[a+28>>2]=-1;I[a+32>>2]=-1;I[a+36>>2]=-1;I[a+40>>2]=-1;I[a+44>>2]=-1;I[a+48>>2]=-1;I[a+52>>2]=-1;I[a+56>>2]=-1;I[a+60>>2]=-1;d=Za(k,89524);Y:{if(!d){break Y}e=t+352|0;Qb(e,d,160);Z:{if(!I[36501]){_:{if(!(!n|J[t+352|0]==47)){I[t+48>>2]=n;I[t+52>>2]=e;d=t+96|0;Fa(d,89574,t+48|0);d=ef(d);break _}d=ef(t+352|0)}if((d|0)<0){break Y}I[t+36>>2]=d;I[t+32>>2]=1;Fa(t+352|0,89633,t+32|0);break Z}e=t+352|0;d=Dd(e);if((d|0)<0){break Y}if(va[I[36501]](1,d+I[35342]|0,n)|0){break Y}I[t+68>>2]=d;I[t+64>>2]=1;Fa(e,89668,t- -64|0)}d=t+352|0;Ha(I[o>>2]+197664|0,d);ma=o,na=I[o>>2]+Ga(d)|0,I[ma>>2]=na;I[a+4>>2]=1}_b(o,I[35769]);if((u|0)==47){bf(11,o);d=16384;break y}G[143012]=1;d=16384;break y;case 42:bf(43,o);G[143012]=0;d=16384;break y;case 12:$:{a=Za(k,89724);if(a){d=16384;a=$b(a,138656);e=(a|0)<0?2:a;if((e|0)<=2){a=I[o>>2];I[t+84>>2]=e;I[t+80>>2]=1;Fa(a+197664|0,89780,t+80|0);I[o>>2]=I[o>>2]+3;d=0}a=I[(e<<2)+102800>>2];g=Za(k,89917);if(!g){break $}break B}d=16384;g=Za(k,89917);if(g){break B}a=21;break A}if((e|0)<3){break C}break A;case 0:a=Za(k,89975);if(a){d=t+352|0;Qb(d,a,160);Dd(d)}d=tb(k,1,I[35768])?147456:0;break y;case 1:d=tb(k,2,a)?147456:0;break y;case 5:d=0;if(I[g>>2]==6){d=tb(k,38,a);a=I[35768]}d=(tb(k,6,a)|d)+524358|0;break y;case 6:d=0;e=I[g>>2];if((e|0)==6){d=tb(k,38,a);a=I[35768];e=I[g>>2]}if((e|0)==7){d=tb(k,39,a)|d;a=I[35768]}d=(tb(k,7,a)|d)+524358|0;break y;case 37:if(I[g>>2]!=6){d=524328;break y}d=tb(k,38,a)+524328|0;break y;case 38:if((I[g>>2]&-2)!=6){d=524358;break y}d=tb(k,39,a)+524358|0;break y;case 14:case 46:break y;case 3:break E;default:break C}}a=Za(k,88902);d=Za(k,89001);e=Za(k,89162);g=$b(a,138592);d=$b(d,138640);a=af(e,0);I[t>>2]=1;e=(a|0)<2?193:a- -64|0;a=(d|0)==1?19:g;d=(a|0)==64?e:a;I[t+4>>2]=d;a=t+352|0;Fa(a,89240,t);Ha(I[o>>2]+197664|0,a);a=I[o>>2]+Ga(a)|0;I[o>>2]=a;I[35767]=a;I[35752]=d}d=0;break y}a=af(g,1);e=I[35782];zb(1,I[35773]);e=(O(a,e)|0)/100<<8;a=(e|0)/(O(I[38489],10)|0)|0;if((a|0)<=199){a=(e|0)/(O(I[38488],10)|0)|0}d=d?d:16384}e=a>>>5|0;g=a;a=(a|0)>4095;d=(a?e>>>0>=4095?4095:e:g)+(a?d|8388608:d)|0}ra=t+560|0;if(d){a=I[h+2148>>2]+197664|0;G[a|0]=32;G[a+1|0]=0;if(!(d&131072)){f=d;break d}Ha(197600,143024);f=d;break d}I[h+2156>>2]=32;aa:{ba:{e=I[35345];if(!e){l=0;a=I[35343];if(I[a>>2]==I[a+4>>2]){continue}if(!e){break ba}}I[35345]=0;break aa}I[35344]=I[35344]+1;a=I[35343];e=va[I[a+8>>2]](a)|0}I[h+2152>>2]=e;l=0;continue}I[h+2156>>2]=a+57344}if(J[143064]){continue}d=I[h+2156>>2];a=I[h+2152>>2];if(!((a|0)!=10|I[49328]!=-1)){f=Jc(d);e=I[h+2148>>2];if((f|0)==16384){H[U+(e<<1)>>1]=I[35344]-I[49413];I[V>>2]=e;e=Xa(I[h+2156>>2],e+197664|0)+I[h+2148>>2]|0;f=524328}a=e+197664|0;G[a|0]=32;G[a+1|0]=0;break d}ca:{if((d|0)!=1){break ca}if((a|0)!=66){if((a|0)!=86){break ca}a=I[h+2148>>2];I[h+2148>>2]=a+1;G[a+197664|0]=0;while(1){da:{ea:{e=I[35345];if(!e){a=I[35343];if(I[a>>2]==I[a+4>>2]){e=I[h+2148>>2];break e}e=I[35345];if(!e){break ea}}I[35345]=0;break da}I[35344]=I[35344]+1;a=I[35343];e=va[I[a+8>>2]](a)|0}I[h+2156>>2]=e;a=Ya(e);e=I[h+2148>>2];if(a|(e|0)>=799){break e}I[h+2148>>2]=e+1;G[e+197664|0]=I[h+2156>>2];continue}}d=I[h+2148>>2];a=d+197664|0;G[a|0]=32;G[a+1|0]=32;G[a+2|0]=32;G[a+3|0]=0;I[h+2148>>2]=d+3;fa:{ga:{ha:{ia:{ja:{ka:{e=I[35345];if(!e){a=I[35343];if(I[a>>2]==I[a+4>>2]){break ia}if(!e){break ka}}I[35345]=0;break ja}I[35344]=I[35344]+1;a=I[35343];e=va[I[a+8>>2]](a)|0}I[h+2152>>2]=e;d=0;if((e|0)!=48){break ha}break ga}e=I[h+2152>>2]}I[49268]=0;I[49261]=1;if((e|0)==49){break fa}d=I[35345];g=0;while(1){la:{if(!d){a=I[35343];if(I[a>>2]==I[a+4>>2]){break la}e=I[h+2152>>2]}if(Ya(e)|g>>>0>58){break la}I[(g<<2)+197072>>2]=I[h+2152>>2];e=I[35345];ma:{if(e){I[35345]=0;d=0;break ma}I[35344]=I[35344]+1;a=I[35343];e=va[I[a+8>>2]](a)|0;d=I[35345]}g=g+1|0;I[h+2152>>2]=e;a=I[h+2148>>2];I[h+2148>>2]=a+1;G[a+197664|0]=32;continue}break}d=2;I[(g<<2)+197072>>2]=0}I[49261]=d}na:{a=I[35345];if(!a){d=I[35343];if(I[d>>2]==I[d+4>>2]){continue}if(!a){break na}}I[35345]=0;I[h+2152>>2]=a;continue}I[35344]=I[35344]+1;a=I[35343];ma=h,na=va[I[a+8>>2]](a)|0,I[ma+2152>>2]=na;continue}Y=Y+1|0;e=0;a=I[m+340>>2];g=K[a>>1];oa:{if(!g){break oa}while(1){if((g&65535)!=(d|0)){e=e+2|0;g=K[a+(e<<1)>>1];if(g){continue}break oa}break}pa:{a=K[(a+(e<<1)|0)+2>>1];switch(a|0){case 0:break oa;case 1:continue;default:break pa}}I[h+2156>>2]=a;d=a}qa:{if(xc(d)){ga=1;e=I[h+2156>>2];break qa}if(T){I[35345]=I[h+2152>>2];e=1328;I[h+2156>>2]=1328;I[h+2152>>2]=32;T=0;break qa}e=I[h+2156>>2];if((e|0)==3851){e=32;I[h+2156>>2]=32;T=0;break qa}T=0;if((e|0)!=3405|I[h+2152>>2]!=8205){break qa}e=3406;I[h+2156>>2]=3406}ra:{if(Cb(e)){I[m+8216>>2]=I[m+8216>>2]+1;if(I[35752]|I[49260]!=2){break ra}if(Cb(s)){break ra}I[h+2544>>2]=0;I[h+2548>>2]=0;I[h+2304>>2]=84743;a=h+2160|0;d=h+2544|0;if(!cb(m,h+2304|0,a,d,0,0)){break ra}qb(m,a,d,-1,0);d=a;a=h+2336|0;Hb(d,a);I[h+80>>2]=a;a=h+2240|0;Fa(a,85463,h+80|0);d=I[h+2148>>2];e=Ga(a)+d|0;if((e|0)>=800){break ra}Ha(d+197664|0,a);I[h+2148>>2]=e;break ra}if(!lb(I[h+2156>>2])){break ra}I[m+8220>>2]=I[m+8220>>2]+1}e=I[h+2152>>2];a=I[h+2156>>2];sa:{if(!I[49264]){break sa}if((l|0)>0){l=l-1|0;break sa}if(!((a|0)!=91|(e|0)!=91)){k=0;l=-1;break f}l=(a|0)==93?(e|0)==93?2:l:l}ta:{if((a|0)!=10){break ta}d=I[35345];g=0;while(1){ua:{if(!d){a=I[35343];if(I[a>>2]==I[a+4>>2]){break ua}e=I[h+2152>>2]}if(!Ya(e)){break ua}g=(I[h+2152>>2]==10)+g|0;e=I[35345];if(e){I[35345]=0;d=0}else{I[35344]=I[35344]+1;a=I[35343];e=va[I[a+8>>2]](a)|0;d=I[35345]}I[h+2152>>2]=e;continue}break}if((g|0)>0){if(f){a=_+197664|0;Ja(a,32,La(h+2336|0,a))}a=I[h+2148>>2]+197664|0;G[a|0]=32;G[a+1|0]=0;I[35345]=I[h+2152>>2];f=I[49263]?524358:O(g>>>0>=3?3:g,30)+524328|0;break d}a=I[49328]<(Y|0);Y=0;if(a){break ta}a=I[h+2148>>2]+197664|0;G[a|0]=32;G[a+1|0]=0;I[35345]=I[h+2152>>2];f=262174;break d}if(I[35752]|l){k=0;break f}a=0;e=I[h+2156>>2];va:{if(!f){break va}d=Ya(e);e=I[h+2156>>2];if(d){a=f;break va}if(!Ra(e)){break i}if(!Yb(I[h+2156>>2])){break i}e=I[h+2156>>2]}if((e|0)!=46|I[h+2152>>2]!=46){break g}wa:{xa:{d=I[35345];if(!d){f=I[35343];if(I[f>>2]==I[f+4>>2]){break h}if(!d){break xa}}I[35345]=0;break wa}I[35344]=I[35344]+1;d=I[35343];d=va[I[d+8>>2]](d)|0}j=d;if((j|0)!=46){break h}I[h+2152>>2]=32;I[h+2156>>2]=8230;j=I[35345];while(1){ya:{za:{if(!j){d=I[35343];if(I[d>>2]==I[d+4>>2]){j=46;break h}j=I[35345];if(!j){break za}}I[35345]=0;d=0;break ya}I[35344]=I[35344]+1;d=I[35343];j=va[I[d+8>>2]](d)|0;d=I[35345]}if((j|0)!=46){break h}I[h+2152>>2]=32;I[h+2156>>2]=8230;j=d;continue}}if(T){ma=h,na=Xa(1328,I[h+2148>>2]+197664|0)+I[h+2148>>2]|0,I[ma+2148>>2]=na}if(f){a=_+197664|0;Ja(a,32,La(h+2336|0,a))}a=I[h+2148>>2]+197664|0;G[a|0]=32;G[a+1|0]=0}f=589864;break d}I[35751]=I[h+2156>>2];a=_+197664|0;G[a|0]=32;G[a+1|0]=0;I[35345]=I[h+2152>>2];break d}e=I[h+2156>>2];I[((e|0)!=8230?141380:h+2152|0)>>2]=j}f=0;d=Jc(e);Aa:{if((d|0)==16384){break Aa}Ba:{if(!(d&536621)){break Ba}e=I[35345];while(1){if(!e){e=I[35343];if(I[e>>2]==I[e+4>>2]){break Ba}}if(!(Jc(I[h+2152>>2])&536621)){break Ba}j=I[35345];if(j){I[35345]=0;e=0}else{I[35344]=I[35344]+1;e=I[35343];j=va[I[e+8>>2]](e)|0;e=I[35345]}I[h+2152>>2]=j;continue}}if(d&1048576){I[i+780>>2]=d>>>12&15;T=1;l=0;f=a;continue}Ca:{if(Ya(I[h+2152>>2])|d&32768){break Ca}if(Tb(I[h+2152>>2])){break Ca}e=I[h+2152>>2];if((e|0)==63){break Ca}if(I[35345]){g=0}else{e=I[h+2152>>2];g=I[35343];g=I[g>>2]==I[g+4>>2]}if(g){break Ca}if((e|0)!=1){break Aa}}f=1}e=I[h+2156>>2];if((e|0)==57404){I[h+2156>>2]=60;e=60}k=0;g=!I[49261];l=J[143012];if(e>>>0<=131071){e=J[(e>>>3&31|J[(e>>>8|0)+121232|0]<<5)+121232|0]>>>(e&7)&1}else{e=0}Da:{if(g|(l|!e)){break Da}u=I[h+2156>>2];if(I[49261]!=1){if(!$a(197072,u)){break Da}}I[m+288>>2]=0;G[h+2336|0]=0;k=I[h+2152>>2];l=0;e=I[36124];Ea:{Fa:{if((e|0)<=0){break Fa}while(1){g=(l<<4)+144512|0;if((u|0)==I[g>>2]){if(I[g+4>>2]){break Ea}if(Ad(0,l)){break Fa}break Ea}l=l+1|0;if((e|0)!=(l|0)){continue}break}}l=-1}Ga:{if((l|0)>=0){I[h>>2]=l;Fa(h+2336|0,86016,h);I[35345]=k;break Ga}Ha:{Ia:{g=f^1;if(g|(u|0)!=46|(k|0)==46){break Ia}I[h+2600>>2]=0;I[h+2604>>2]=0;I[h+2540>>2]=86045;e=h+2544|0;l=h+2600|0;if(!cb(m,h+2540|0,e,l,0,0)){break Ia}qb(m,e,l,-1,0);l=e;e=h+2160|0;Hb(l,e);I[h+64>>2]=e;e=h+2304|0;Fa(e,85463,h- -64|0);break Ha}e=gf(h+2240|0,m,u,0)}l=e;if(g|!I[h+2148>>2]|J[m+76|0]&2){e=I[35345];g=1;while(1){Ja:{Ka:{if(!e){e=I[35343];if(I[e>>2]==I[e+4>>2]|(u|0)==60|(k|0)!=(u|0)){break Ja}g=g+1|0;k=I[35345];if(k){break Ka}I[35344]=I[35344]+1;e=I[35343];k=va[I[e+8>>2]](e)|0;e=I[35345];continue}if((u|0)==60|(k|0)!=(u|0)){break Ja}k=e;g=g+1|0}e=0;I[35345]=0;continue}break}I[h+2152>>2]=k;if(f){I[35345]=k}if((g|0)==1){I[h+16>>2]=l;Fa(h+2336|0,86228,h+16|0);break Ga}if((g|0)<=3){G[h+2336|0]=0;e=I[52846];if((e|0)<=299){I[h+2336>>2]=J[86737]|J[86738]<<8|(J[86739]<<16|J[86740]<<24);H[h+2340>>1]=J[86741]|J[86742]<<8}if((g|0)>0){while(1){I[h+32>>2]=l;e=h+2160|0;Fa(e,86228,h+32|0);k=g>>>0>1;fb(h+2336|0,e);g=g-1|0;if(k){continue}break}e=I[52846]}if((e|0)>299){break Ga}I[h+2160>>2]=J[86866]|J[86867]<<8|(J[86868]<<16|J[86869]<<24);e=J[86869]|J[86870]<<8|(J[86871]<<16|J[86872]<<24);G[h+2163|0]=e;G[h+2164|0]=e>>>8;G[h+2165|0]=e>>>16;G[h+2166|0]=e>>>24;fb(h+2336|0,h+2160|0);break Ga}I[h+56>>2]=l;I[h+52>>2]=g;I[h+48>>2]=l;Fa(h+2336|0,86941,h+48|0);break Ga}I[35751]=u;I[35345]=k;H[h+2336>>1]=32}g=h+2336|0;k=Ga(g);e=I[h+2148>>2];Ha(e+197664|0,g);I[h+2148>>2]=e+k;if(f){f=16384;if((u|0)==45){break d}a=Jc(u);d=(a&28672)==4096?266244:262148;if(!(J[m+76|0]&2|(e|0)<=0)){f=(a&4161535)==266270?262148:d;break d}f=a&524288?a:d;break d}k=I[h+2156>>2]}La:{if(k|d>>>0<2097152){break La}e=Ha(I[h+2148>>2]+197664|0,gf(h+2336|0,m,I[h+2156>>2],1));if(!J[e|0]){k=0;break La}ma=h,na=I[h+2148>>2]+Ga(e)|0,I[ma+2148>>2]=na;d=d&4165631;k=I[h+2156>>2]}Ma:{Na:{if(!f){break Na}Oa:{j=I[h+2152>>2];if(!Ya(j)){e=0;break Oa}g=I[35345];e=0;while(1){if(!g){f=I[35343];if(I[f>>2]==I[f+4>>2]){break Oa}}if(!Ya(j)){break Oa}e=((j|0)==10)+e|0;j=I[35345];if(j){I[35345]=0;g=0}else{I[35344]=I[35344]+1;f=I[35343];j=va[I[f+8>>2]](f)|0;g=I[35345]}continue}}g=I[h+2156>>2];f=(e|0)<2?(g|0)==46?d|4194304:d:d;Pa:{Qa:{if(e){break Qa}Ra:{Sa:{Ta:{Ua:{if(!((g|0)!=44|(s|0)!=46)){d=1;if(I[m+212>>2]!=26741|n-48>>>0>9){break Ua}if(j-48>>>0<10){break Ta}if(Yb(j)){break Ta}g=I[h+2156>>2]}d=1;if(!((g|0)!=46|(j|0)!=39)){g=I[35343];l=I[g>>2];if((l|0)==I[g+4>>2]){d=0}else{d=va[I[g+8>>2]](g)|0;I[g>>2]=l}g=I[h+2156>>2];d=(d|0)!=115}if((g|0)!=46){break Ua}if(!(G[m+106|0]&1)){g=d;break Ra}Va:{if(s-48>>>0>=10){g=s-73|0;if(g>>>0>15){g=d;break Ra}if(!(1<<g&40969)){g=d;break Ra}l=n-73|0;if(l>>>0<16){break Va}break Sa}g=!Yb(j)&(j|0)!=45&d;break Ra}g=0;if(!(40969>>>l&1)){break Sa}break Ra}if(d&ga){break Qa}break Pa}I[h+2156>>2]=1367;break Pa}g=!Ya(n)&d}if(Yb(j)){g=J[m+208|0]&g}if(!ga){I[h+2156>>2]=32;break Pa}if(!(!I[49263]|(!(I[h+2156>>2]==46&g)|(j|0)!=60))){_=I[h+2148>>2];a=f;break Pa}if(!g){break Pa}}a=I[h+2148>>2]+197664|0;G[a|0]=32;G[a+1|0]=0;I[35345]=j;if(s-48>>>0<=9){f=Ra(j)?f:f&-4194305}if((e|0)<2){break d}f=(f|0)==536621?536656:(f|0)==532520?532555:524358;break d}if(!I[35345]){d=I[35343];if(I[d>>2]==I[d+4>>2]){break Na}}l=0;if(!Ya(I[h+2152>>2])){break Ma}I[35345]=j;break Ma}l=0}f=a}if(I[35772]==1){continue}e=I[h+2156>>2];Wa:{if((k|0)==(e|0)){Xa:{if(Tb(k)){e=57384}else{e=45;if(I[h+2156>>2]==45){break Xa}e=32}I[h+2156>>2]=e}g=I[h+2148>>2];break Wa}g=I[h+2148>>2];if((e|0)!=57404){break Wa}e=60;I[h+2156>>2]=60}ma=h,na=Xa(e,g+197664|0)+I[h+2148>>2]|0,I[ma+2148>>2]=na;Ya:{if(Ya(I[h+2156>>2])){e=I[h+2148>>2];break Ya}a=Tb(I[h+2156>>2]);e=I[h+2148>>2];if(a){break Ya}H[U+(e<<1)>>1]=I[35344]-I[49413];if((g+1|0)>=(e|0)){break Ya}Ja((g<<1)+ha|0,255,(g^-1)+e<<1)}I[V>>2]=e;Za:{_a:{if((e|0)<=725){break _a}a=Ra(I[h+2156>>2]);e=I[h+2148>>2];if(a){break _a}if(I[h+2156>>2]-48>>>0>9){break Za}if((e|0)<796){continue}break Za}if((e|0)<796){continue}}break}a=e+197664|0;G[a|0]=32;G[a+1|0]=0;I[35345]=I[h+2152>>2];f=16384;break d}G[e+197664|0]=0;f=147456}ra=h+2608|0;h=f;if(b){a=I[i+780>>2];I[b>>2]=a?a:h>>>12&7}a=(i+5184|0)+(I[i+6800>>2]<<1)|0;H[a+6>>1]=0;H[a+2>>1]=0;H[a+4>>1]=32767;l=O(h&4095,h&8388608?320:10);f=197664;$a:{ab:{bb:{while(1){a=J[f|0];if(!a){break bb}a=a<<24>>24;if((a&255)!=0&a>>>0<33){f=f+1|0;continue}break}if(J[f|0]){break ab}}a=I[49626];d=l-a|0;l=(d|0)>0?d:0;I[49626]=l+a;h=J[198508]?h|524288:h;I[m+8240>>2]=h;break $a}I[49626]=l;a=J[198508];I[m+8240>>2]=h;ba=1;if((a|0)!=1){ba=0;break $a}I[49628]=I[49628]+1;a=I[49629];if((a|0)<=0){break $a}a=a-1|0;I[49629]=a;if(a){break $a}G[198520]=0}I[51632]=1;I[49632]=655360;I[49633]=0;I[m+8184>>2]=0;I[m+8188>>2]=0;d=0;I[m+288>>2]=0;a=m- -8192|0;I[a>>2]=0;I[a+4>>2]=0;I[m+8200>>2]=0;I[m+8224>>2]=0;I[m+8228>>2]=0;a=m+8232|0;I[a>>2]=0;I[a+4>>2]=0;G[i+786|0]=32;H[i+784>>1]=8192;I[i+6812>>2]=32;H[i+1588>>1]=3;I[i+1584>>2]=0;f=0;a=I[i+6800>>2];cb:{if((a|0)<=0){break cb}while(1){if(H[(i+5184|0)+(f<<1)>>1]>0){break cb}f=f+1|0;if((a|0)!=(f|0)){continue}break}f=a}g=K[(i+5184|0)+(f<<1)>>1];H[i+1592>>1]=g;if(g){while(1){d=((g&65535)!=65535)+d|0;f=f+1|0;g=K[(i+5184|0)+(f<<1)>>1];if(g){continue}break}}G[i+1594|0]=d;j=3;u=1;f=0;while(1){o=I[i+6808>>2];U=(i+784|0)+j|0;oc(i+6808|0,U-1|0);db:{if(!J[m+170|0]|I[i+6808>>2]-48>>>0>=10){break db}if(!Ra(o)){break db}I[i+6808>>2]=97}eb:{if(W){I[i+6812>>2]=W;break eb}if(!y){break eb}oc(i+6812|0,y+197663|0)}g=y;fb:{gb:{hb:{if(f){break hb}g=La(i+6816|0,g+197664|0)+g|0;f=I[i+6816>>2];if(f){break hb}I[i+6804>>2]=32;T=1;W=0;Y=0;d=32;break gb}a=g+197664|0;Y=La(i+6804|0,a);if((f|0)==1){e=g-1|0;W=32;T=0;if(I[i+6812>>2]!=32){g=e;d=32;break gb}y=0;f=g;ib:{jb:{switch(J[a|0]-43|0){case 0:f=g+1|0;y=64;break ib;case 2:break jb;default:break ib}}f=g+1|0;y=96}a=f+197664|0;kb:{if(G[a|0]-48>>>0>=10){k=f+1|0;n=-1;break kb}n=Mb(a);while(1){a=f;f=a+1|0;if(G[a+197664|0]-48>>>0<10){continue}break}k=f;f=a}a=I[49410];lb:{if((a|0)>247){d=0;break lb}d=0;f=G[f+197664|0];if((f|0)<0){break lb}f=Xb(84880,f,14);if(!f){break lb}d=f-84880|0;f=d+1|0;if((n|0)==-1){n=I[(f<<2)+105440>>2];y=0}mb:{nb:{switch(d-8|0){case 0:I[51634]=0;I[51633]=n;break mb;case 4:break nb;default:break mb}}if((n|0)>=3){G[207544]=1;break mb}G[207544]=0}d=1;I[49410]=a+1;I[(a<<2)+206544>>2]=(f+y|0)+(n<<8);g=k}W=I[i+6812>>2];Ja(e+197664|0,32,g-e|0);$=d+$|0;f=0;break fb}W=0;if(!((f|0)==32|I[51633]!=36)){if(!(I[i+6812>>2]!=32|I[i+6804>>2]!=32)){I[51633]=20}T=0;d=ec(f,m);break gb}T=0;d=f}ob:{if(R&1){R=1;u=8;f=0;if((d|0)!=93|I[i+6804>>2]!=93){break ob}g=g+1|0;d=32;R=0;break ob}a=I[51633];if((a&240)==64){if(d-48>>>0<=9){f=0;e=I[51634]+1|0;a=(e|0)>(a&15);I[51634]=a?0:e;d=a?32:d;D=a|D;R=0;break ob}f=0;I[51634]=0;a=I[i+6808>>2]-48>>>0<10;d=a?32:d;D=a|D;R=0;break ob}R=0;if(a&16){f=0;break ob}pb:{qb:{rb:{sb:{tb:{k=(d|0)==8242?39:(d|0)==8217?39:(d|0)==146?39:(d|0)==180?39:d;if((k|0)!=8216&(k|0)!=63){break tb}if(!Ra(I[i+6808>>2])){k=d;break tb}k=d;if(!Ra(I[i+6804>>2])){break tb}k=39;break sb}ub:{if((k|0)!=1367){if((k|0)==1328){A=A|1024;k=32;break sb}a=k-44032|0;if(a>>>0>11183){break sb}e=a&65535;f=(e>>>0)/28|0;d=(f>>>0)%21|0;a=a-O(f,28)&65535;if(k-50500>>>0>587){break ub}f=a?a+4519|0:0;e=d+4449|0;break qb}A=A|131072;w=I[i+6804>>2];d=I[i+6812>>2];k=32;break rb}f=(a+O(d,28)|0)+50500|0;e=(e>>>0)/588|4352;break qb}w=I[i+6804>>2];d=I[i+6812>>2];a=k-12592|0;if(a>>>0>51){break rb}e=J[a+103312|0]|4352;f=0;break qb}a=g+197664|0;vb:{f=I[m+212>>2];if((f|0)!=28268&(f|0)!=24934|(k|0)!=39){break vb}if(lb(d)){break vb}La(i+6820|0,a+1|0);if(!Sb(I[i+6820>>2])){break vb}e=601;f=0;wb:{switch(w-110|0){case 6:break qb;case 0:break wb;default:break vb}}if(I[m+212>>2]!=24934){break qb}G[a|0]=32;break qb}I[i+6824>>2]=32;d=I[51957];xb:{if((d|0)>0){I[51957]=d-1;f=0;break xb}if(!k){f=0;e=0;break pb}yb:{zb:{Ab:{Bb:{Cb:{n=I[m+180>>2];Db:{if(!n){break Db}s=k;P=Cb(k);if(P){s=ec(k,m)}if(Vc(n)){break Db}while(1){I[i+16>>2]=0;I[i+624>>2]=s;d=La(i+16|0,n)+n|0;Eb:{if(I[i+624>>2]!=I[i+16>>2]){break Eb}if(J[d|0]){e=1;t=0;f=a;while(1){_=La(i+16|0,d);V=La(i+624|0,f);Z=ec(I[i+624>>2],m);I[i+624>>2]=Z;f=f+V|0;V=(Z|0)==I[i+16>>2];t=V+t|0;e=e&V;d=d+_|0;if(J[d|0]){continue}break}if(!e){break Eb}I[51957]=t}a=d+1|0;if(!a){break Db}if(J[197028]&8){I[i>>2]=n;I[i+4>>2]=a;Sa(I[49255],85199,i)}a=La(i+6828|0,a)+a|0;if(!J[a|0]){break Bb}La(i+6824|0,a);if(P){break Cb}f=I[i+6824>>2];e=I[i+6828>>2];break zb}while(1){f=d;d=d+1|0;if(J[f|0]){continue}break}while(1){d=f;f=d+1|0;if(J[f|0]){continue}break}n=d+2|0;if(!Vc(n)){continue}break}}f=0;e=k;break yb}a=Cb(w);f=I[i+6824>>2];if(a){f=Vd(f);I[i+6824>>2]=f}e=I[i+6828>>2];break Ab}f=0;e=I[i+6828>>2];if(!P){break zb}}e=Vd(e)}A=A|2097152}if((e|0)!=8){break qb}}e=g;break fb}if(!f){f=0;break pb}I[i+6804>>2]=f}Fb:{if(Ra(e)){break Fb}if(Sb(e)){break Fb}if($a(I[m+336>>2],e)){break Fb}if(!Ra(I[i+6808>>2])|!(!J[m+170|0]|e-48>>>0>=10)&I[i+6804>>2]-48>>>0>=10){break Fb}e=32;D=1}Gb:{Hb:{Ib:{Jb:{Kb:{if(I[i+6808>>2]-48>>>0<=9){if(e-58>>>0>4294967285){break Kb}a=e-32|0;if(1<<a&20481?a>>>0<=14:0){break Kb}D=1;e=32;break Kb}d=0;Lb:{if(I[i+6812>>2]!=44){break Lb}d=M;if((e|0)!=44){break Lb}e=32;break Kb}Mb:{if((e|0)!=91){break Mb}a=I[i+6804>>2];if((a|0)==2){break Jb}e=91;if((a|0)!=91){break Mb}if(I[49264]){break Jb}}M=d}if(Ra(e)){Nb:{Ob:{Pb:{if(Ra(I[i+6808>>2])){if(!J[m+171|0]){break Ob}d=I[i+6808>>2];if((e|0)>12352|(d|0)>12352){break Pb}break Ob}d=I[i+6808>>2]}a=$a(I[m+336>>2],d);if(!(a|(d|0)==32)){q=Tb(d)?q:q|256;d=32;D=1;X=0;break Nb}X=a?X:0;A=Cb(e)?A|2:A;if(I[i+6808>>2]!=32|G[U-2|0]-48>>>0>9|I[i+6812>>2]-48>>>0<10){break Ob}G[(i+784|0)+j|0]=32;a=(O(v,12)+i|0)+1588|0;H[a>>1]=K[a>>1]+1;j=j+1|0}d=32;if((e|0)==32){break Nb}X=X+1|0;a=I[m+600>>2];if((a|0)<=0){d=e;break Nb}Qb:{k=I[i+6808>>2];if((e|0)<=591&(k|0)>=(a|0)){break Qb}if((a|0)>(e|0)){d=e;break Nb}if((X|0)<2){d=e;break Nb}if((k|0)<=591){break Qb}d=e;break Nb}if(!Ra(k)){d=e;break Nb}q=q|128;A=A|16384;D=1}ca=ca+1|0;if(Cb(d)){a=ec(d,m);if(I[m- -64>>2]){d=da?a:712;f=da?f:a;da=1;break ob}if(Yb(I[i+6812>>2])){d=32;if(I[m+212>>2]!=26465){break Gb}k=85252;e=(i+784|0)+j|0;n=0;while(1){Rb:{s=Ga(k);o=e-s|0;if(J[o|0]!=32){break Rb}s=s-1|0;if(gb(o+1|0,k,s)){break Rb}k=G[k+s|0];if((k|0)==(a|0)){d=a;break ob}if((k|0)!=65){break Rb}if(!Qd(m,a)){break Rb}d=a;break ob}n=n+1|0;k=I[(n<<2)+139504>>2];if((n|0)!=11){continue}break}break Gb}d=32;if((a|0)==32){break ob}if(!Cb(I[i+6812>>2])){d=a;break ob}if(!Yb(I[i+6804>>2])){d=a;break ob}La(i+16|0,(g+Y|0)+197664|0);if(!(I[m+212>>2]!=28268|(X|0)!=2|(a|0)!=106)){d=106;if(I[i+6812>>2]==73){break ob}}if(!Ra(I[i+16>>2])){d=a;break ob}q=q|256;W=32;D=1;d=32;break ob}if(!u){u=0;break ob}if((X|0)<3){u=0;break ob}if((d|0)!=115){u=0;break ob}if(I[m+212>>2]!=25966){u=0;break ob}if(I[i+6804>>2]!=32){u=0;break ob}u=u|4;d=32;a=i+j|0;if(J[a+783|0]!=39){break ob}G[a+783|0]=32;break ob}d=32;Sb:{Tb:{Ub:{Vb:{switch(e-39|0){default:if((e|0)==95){break ob}case 1:case 2:case 3:case 4:case 5:if(e-48>>>0>9){break Sb}Wb:{if(!J[m+170|0]){break Wb}if(!Ra(I[i+6808>>2])){break Wb}a=I[i+6804>>2];if(!(a-48>>>0<10|a-2406>>>0<10)){break Sb}}a=I[i+6808>>2];if((a|0)==32|a-48>>>0<10){break Tb}k=a;a=I[m+128>>2];if((k|0)==(a|0)){break Ub}D=1;break ob;case 6:Xb:{if(Sb(I[i+6812>>2])){break Xb}if(!Ra(I[i+6804>>2])){break Xb}if(I[i+6808>>2]!=32){D=1;break ob}A=A|128;if((v|0)<=0){break ob}a=(O(v,12)+i|0)+1572|0;I[a>>2]=I[a>>2]|16384;break ob}a=I[i+6804>>2];if(!(I[i+6812>>2]!=32|(a|0)!=32)){aa=4;break ob}if((a|0)==45){g=g+1|0;aa=4;break ob}d=45;if(I[i+6808>>2]!=32){break ob}if(!Ra(o)){break ob}if(Ra(I[i+6812>>2])){break ob}G[(i+784|0)+j|0]=32;a=(O(v,12)+i|0)+1588|0;H[a>>1]=K[a>>1]+1;j=j+1|0;break ob;case 7:if(I[i+6808>>2]==46){D=1;break ob}d=46;if((v|0)<=0){break ob}a=(O(v,12)+i|0)+1572|0;if(G[a+1|0]&1){break ob}if(!Ra(I[i+6812>>2])){break ob}I[a>>2]=I[a>>2]|65536;a=Sb(I[i+6804>>2]);d=a?32:I[i+6804>>2]==45?32:46;break ob;case 0:break Vb}}e=I[i+6812>>2];Yb:{Zb:{if((e|0)==46){a=115;if(I[i+6804>>2]==115){break Zb}}if(!xc(e)){break Yb}a=I[i+6804>>2]}if(Ra(a)){break Ib}}a=I[m+88>>2];if(a&1){if(Ra(I[i+6804>>2])){break Ib}a=I[m+88>>2]}if(a&2){if(Ra(I[i+6812>>2])){break Ib}}if(!(!$a(I[m+332>>2],I[i+6812>>2])|(o|0)!=32)){g=(I[i+6804>>2]==32)+g|0;d=39;break Hb}a=I[i+6808>>2];if(!((a|0)!=115|F)){break Hb}F=(Sb(a)|0)!=0;aa=4;break ob}if((a|0)==44&M){D=1;break ob}M=1;break Sb}if((a|0)!=32){break Sb}if(!Ra(o)){break Sb}if(Ra(I[i+6812>>2])){break Sb}G[(i+784|0)+j|0]=32;a=(O(v,12)+i|0)+1588|0;H[a>>1]=K[a>>1]+1;j=j+1|0}d=e;break ob}R=1;e=g+1|0;M=d;break fb}d=39}F=0;break ob}D=1;W=32}_b:{if(Sb(d)){if(I[i+6808>>2]==32){A=A|262144;e=g;break fb}a=I[i+6816>>2]-9>>>0<2;s=D&1;if(s){n=0;d=g-1|0;$b:{if((r|0)>(d|0)){break $b}while(1){e=H[(i+5184|0)+(d<<1)>>1];if(!e){break $b}n=((e|0)>0)+n|0;d=d-1|0;if((r|0)<=(d|0)){continue}break}}G[(O(v,12)+i|0)+1594|0]=n}q=a?q|262144:q;G[(i+784|0)+j|0]=32;d=j+1|0;ac:{if((v|0)>298){break ac}a=(i+1584|0)+O(v,12)|0;e=K[a+4>>1];if((e|0)>=(d|0)){break ac}n=I[a>>2];if(($|0)>0){k=(I[49410]<<2)+206540|0;I[k>>2]=I[k>>2]|128;$=0;n=n|64}k=I[49412];G[a+6|0]=k;I[a>>2]=(ca?u:u&-2)|(J[207544]?2048:0)|n|A;if((k|0)>0){while(1){k=i+784|0;r=k+d|0;d=d-1|0;k=k+d|0;G[r|0]=J[k|0];if((d|0)>(e|0)){continue}break}G[k|0]=32;H[a+4>>1]=e+1;d=j+2|0}v=v+1|0;e=(i+1584|0)+O(v,12)|0;I[e>>2]=0;H[e+4>>1]=d;j=g;a=I[i+6800>>2];bc:{if((g|0)>=(a|0)){break bc}while(1){if(H[(i+5184|0)+(j<<1)>>1]>0){break bc}j=j+1|0;if((a|0)!=(j|0)){continue}break}j=a}n=K[(i+5184|0)+(j<<1)>>1];H[e+8>>1]=n;k=0;if(n){while(1){k=((n&65535)!=65535)+k|0;j=j+1|0;n=K[(i+5184|0)+(j<<1)>>1];if(n){continue}break}}G[e+10|0]=k;ca=0;I[49412]=0;u=1;A=q;q=0;da=0}D=0;f=s?0:f;e=s?y:g;break _b}if((j|0)>795){e=g;g=r;d=j;break _b}d=Xa(d,(i+784|0)+j|0)+j|0;e=g;g=r}if(I[49412]<(aa|0)){I[49412]=aa}aa=0;r=g;j=d}if(!T){y=e;if((j|0)<799){continue}}break}if(!(($|0)<=0|v)){a=(I[49410]<<2)+206540|0;I[a>>2]=I[a>>2]|128;I[i+1584>>2]=I[i+1584>>2]|64;v=1}a=(i+784|0)+j|0;I[m+8204>>2]=a-1;g=0;G[a|0]=0;G[i+1590|0]=0;G[(O(v,12)+i|0)+1590|0]=8;cc:{if((v|0)<=0){I[i+1584>>2]=I[i+1584>>2]|512;j=I[51632];break cc}a=v-1|0;dc:{if((v|0)==1){break dc}f=a;while(1){if(!Tb(G[K[(O(f,12)+i|0)+1588>>1]+(i+784|0)|0])){g=f;break dc}d=(f|0)>1;f=f-1|0;if(d){continue}break}}d=i+1584|0;f=d+O(g,12)|0;I[f>>2]=I[f>>2]|16;ec:{if(!(h&4194304)){break ec}a=d+O(a,12)|0;d=I[a>>2];if(d&256){break ec}I[a>>2]=d|65536}I[i+1584>>2]=I[i+1584>>2]|512;j=I[51632];if((j|0)>990){break cc}d=i+624|0;a=d|3;A=d|2;M=i+754|0;D=!(h&4194304);y=0;R=0;while(1){I[49414]=I[49414]+1;d=I[51887];fc:{if((d|0)<=0){break fc}d=d-1|0;I[51887]=d;if(d){break fc}G[198520]=0}gc:{if(J[198520]){break gc}d=K[(O(y,12)+i|0)+1588>>1]+(i+784|0)|0;hc:{if(G[d|0]-48>>>0>9){break hc}g=i+624|0;f=d;if(I[m+112>>2]==1227133512){break hc}while(1){ic:{j=G[f|0];jc:{if(j-48>>>0<=9){G[g|0]=j;g=g+1|0;f=f+1|0;break jc}if((j|0)!=I[m+124>>2]|J[f+1|0]!=32){break ic}j=f+2|0;if(J[f+3|0]==32|G[j|0]-48>>>0>9|J[f+4|0]==32){break ic}y=y+1|0;f=j}if(g>>>0<M>>>0){continue}break hc}break}j=Ja(d,32,f-d|0);f=i+624|0;Ka(j,f,g-f|0)}g=0;while(1){f=g;g=f+1|0;if(G[d+f|0]-48>>>0<10){continue}break}kc:{if(f-5>>>0<=27){G[i+626|0]=32;H[i+624>>1]=8224;if(!(J[d|0]!=48&I[m+132>>2]>=(f|0))){g=(i+1584|0)+O(y,12)|0;I[g>>2]=I[g>>2]|524288}s=(i+1584|0)+O(y,12)|0;n=0;j=a;while(1){lc:{g=d;d=G[d|0];if(d-48>>>0>=10&(d|0)!=I[m+128>>2]){break lc}G[j|0]=d;d=j+1|0;k=f;f=f-1|0;mc:{if((f|0)<=0){j=d;break mc}if(!(I[m+112>>2]>>>f&1)){j=d;break mc}q=I[s+4>>2];r=(i+16|0)+O(n,12)|0;I[r>>2]=I[s>>2];I[r+4>>2]=q;I[r+8>>2]=I[s+8>>2];n=n+1|0;r=I[m+124>>2];if((r|0)!=32){G[j+1|0]=r;d=j+2|0}G[d|0]=32;j=d+1|0;if(J[s+2|0]&8){break mc}r=I[m+112>>2];if(r>>>k-2&1){G[d+1|0]=48;G[d+2|0]=48;r=I[m+112>>2];j=d+3|0}if(!(r>>>k-3&1)){break mc}G[j|0]=48;j=j+1|0}d=g+1|0;if(j>>>0<M>>>0){continue}}break}f=I[s+4>>2];d=(i+16|0)+O(n,12)|0;I[d>>2]=I[s>>2];I[d+4>>2]=f;f=I[s+20>>2];I[d+16>>2]=I[s+16>>2];I[d+20>>2]=f;f=I[s+12>>2];I[d+8>>2]=I[s+8>>2];I[d+12>>2]=f;f=1;if((n|0)>0){while(1){d=(i+16|0)+O(f,12)|0;I[d>>2]=I[d>>2]&-262209;f=f+1|0;if((n|0)>=(f|0)){continue}break}}d=J[g+4|0]|J[g+5|0]<<8|(J[g+6|0]<<16|J[g+7|0]<<24);f=J[g|0]|J[g+1|0]<<8|(J[g+2|0]<<16|J[g+3|0]<<24);G[j|0]=f;G[j+1|0]=f>>>8;G[j+2|0]=f>>>16;G[j+3|0]=f>>>24;G[j+4|0]=d;G[j+5|0]=d>>>8;G[j+6|0]=d>>>16;G[j+7|0]=d>>>24;d=J[g+12|0]|J[g+13|0]<<8|(J[g+14|0]<<16|J[g+15|0]<<24);f=J[g+8|0]|J[g+9|0]<<8|(J[g+10|0]<<16|J[g+11|0]<<24);G[j+8|0]=f;G[j+9|0]=f>>>8;G[j+10|0]=f>>>16;G[j+11|0]=f>>>24;G[j+12|0]=d;G[j+13|0]=d>>>8;G[j+14|0]=d>>>16;G[j+15|0]=d>>>24;G[j+16|0]=0;if(a>>>0>=j>>>0){break kc}d=J[s+6|0];n=0;f=a;while(1){R=td(m,f,(i+16|0)+O(n,12)|0,d);while(1){d=J[f|0];f=f+1|0;if((d|0)!=32){continue}break}d=0;G[s+6|0]=0;n=n+1|0;if(f>>>0<j>>>0){continue}break}break kc}I[49412]=0;f=(i+1584|0)+O(y,12)|0;R=td(m,d,f,J[f+6|0]);g=I[49412];if((g|0)>J[f+18|0]){G[f+18|0]=g;I[49412]=0}if(!(!(R&4096)|J[d|0]==32)){while(1){Ja(i+624|0,0,150);I[i+624>>2]=538976288;I[i+628>>2]=538976288;G[i+632|0]=32;g=La(i+16|0,d);td(m,Ka(A,d,g),f,0);d=d+g|0;if(J[d|0]!=32){continue}break}}if(!(R&50331648)){break kc}d=D|((I[35324]^-1)+v|0)!=(y|0);l=d?l:10;if(d|!b){break kc}I[b>>2]=4;l=10}if(!(R&128)){break gc}g=I[35324];if((g|0)<=0){break gc}f=0;d=g;j=d&3;if(j){while(1){k=(i+1584|0)+O(d+y|0,12)|0;I[k>>2]=I[k>>2]|1048576;d=d-1|0;f=f+1|0;if((j|0)!=(f|0)){continue}break}}if(g>>>0>=4){g=y-3|0;j=y-2|0;k=y-1|0;f=d;while(1){d=i+1584|0;r=d+O(f+y|0,12)|0;I[r>>2]=I[r>>2]|1048576;r=d+O(f+k|0,12)|0;I[r>>2]=I[r>>2]|1048576;r=d+O(f+j|0,12)|0;I[r>>2]=I[r>>2]|1048576;d=d+O(f+g|0,12)|0;I[d>>2]=I[d>>2]|1048576;r=f-3|0;d=f-4|0;f=d;if(r>>>0>1){continue}break}}I[35324]=d}j=I[51632];y=y+1|0;if((y|0)>=(v|0)){break cc}if((j|0)<991){continue}break}}f=I[49411];d=I[49410];if((f|0)<(d|0)){n=I[49412];while(1){a=I[(f<<2)+206544>>2];b=a>>8;nc:{oc:{switch((a&31)-9|0){case 0:I[49262]=b;break nc;case 4:I[51906]=b;break nc;case 3:break oc;default:break nc}}if(a>>>0<=255){n=0;I[49412]=0;break nc}n=b+n|0;I[49412]=n}f=f+1|0;if(!(a&128)&(d|0)>(f|0)){continue}break}I[49411]=f}I[51632]=j+2;a=(j<<3)+198528|0;H[a+4>>1]=e;I[a>>2]=589824;H[a+12>>1]=e;I[a+8>>2]=589824;b=v?I[49259]?l:10:10;if(I[35345]){a=0}else{a=I[35343];a=I[a>>2]==I[a+4>>2]}l=a?b:l;d=0;j=0;F=0;q=ra-32192|0;ra=q;I[q+24>>2]=0;I[q+28>>2]=0;I[q+16>>2]=0;I[q+20>>2]=0;I[q+8>>2]=0;I[q+12>>2]=0;I[q>>2]=0;I[q+4>>2]=0;g=I[51632];u=K[(g<<3)+198524>>1];b=g-3|0;pc:{qc:{if((b|0)<0){a=b;break qc}while(1){rc:{a=(b<<3)+198528|0;f=J[a+3|0]&127;j=f>>>0<j>>>0?j:f;if(K[a+4>>1]){a=b;break rc}a=-1;f=(b|0)>0;b=b-1|0;if(f){continue}}break}if((j|0)>3){break pc}}while(1){a=a-1|0;if((a|0)<0){break pc}b=(a<<3)+198528|0;if(J[b|0]&64){G[b+3|0]=4;break pc}if(J[b+3|0]<4){continue}break}}a=I[m+292>>2];b=0;if((g|0)>0){k=-1;while(1){f=a;if(I[m+292>>2]!=(a|0)){a=(b<<3)+198528|0;H[a>>1]=K[a>>1]|32}if((d|0)>0){e=(b<<3)+198528|0;j=I[e+4>>2];a=(b-d<<3)+198528|0;I[a>>2]=I[e>>2];I[a+4>>2]=j;if((k|0)!=-1){H[a+4>>1]=k}k=-1}e=(b<<3)+198528|0;sc:{if(J[e+2|0]==21){a=J[e+7|0];if(J[e|0]&2){break sc}tc:{if((a|0)==(f|0)){break tc}j=J[e+10|0]-9|0;if(j){if((j|0)==12){break tc}else{break sc}}if(J[e+18|0]!=21){break sc}}if((k|0)==-1){a=K[e+4>>1];k=a?a:-1}d=d+1|0}a=f}b=b+1|0;if((g|0)!=(b|0)){continue}break}}I[51632]=g-d;hb(a);b=I[m+36>>2];uc:{if(!b){break uc}j=I[51632];a=j-1|0;if((a|0)<0){break uc}r=b&256;y=b&4;s=b&8;k=b&15;M=b&16;A=b&2;f=b>>>8&1;b=0;while(1){e=j;d=b;j=a;g=(a<<3)+198528|0;a=J[g+2|0];if((a|0)==21){vc:{wc:{b=e-2|0;if((b|0)>=0){while(1){a=b<<3;if(J[(a+198528|0)+2|0]==21){break wc}a=(b|0)>0;b=b-1|0;if(a){continue}break}}a=I[m+292>>2];break vc}a=J[(a+198528|0)+7|0]}hb(a);a=J[g+2|0]}a=I[((a&255)<<2)+152704>>2];b=d;xc:{if(!a){break xc}b=f;if(J[g|0]&32){break xc}e=J[a+11|0];b=0;yc:{if(!A){break yc}D=J[a|0];if((D|0)!=118&(D|0)!=82){break yc}d=M?0:d;b=1}zc:{Ac:{Bc:{Cc:{e=e&253;switch(e-4|0){case 1:break Bc;case 0:break Cc;default:break Ac}}if(!(d|!k)){d=1;break zc}if((d|0)!=2){break zc}d=2;a=J[a+13|0];if(!a){break zc}G[g+2|0]=a;break zc}if(!(d|!k)){d=2;break zc}if((d|0)!=1){break zc}d=1;a=J[a+13|0];if(!a){break zc}G[g+2|0]=a;break zc}if(!s){d=0;break zc}d=e?d:0}a=b?0:d;b=a;if(!K[g+4>>1]){break xc}a=y?0:a;b=r?a>>>0<=1?1:a:a}a=j-1|0;if((j|0)>0){continue}break}}hb(I[m+292>>2]);v=I[51632];Dc:{if((v|0)<=0){D=-2;M=0;break Dc}b=-1;f=0;e=0;while(1){a=F<<3;d=a+198528|0;if((b|0)!=-1){H[d+4>>1]=b}if(J[d+2|0]==21){hb(J[d+7|0]);v=I[51632]}Ec:{Fc:{if(J[d|0]&32){break Fc}b=v-1|0;if((b|0)>(F|0)){f=I[(J[(a+198528|0)+10|0]<<2)+152704>>2]}Gc:{if(!(K[d+12>>1]|(b|0)==(F|0))){a=0;if(J[f+11|0]|!f){break Gc}}a=1}g=J[d+2|0];k=I[51908];Hc:{if((k|0)<=0){break Hc}b=0;r=g&255;y=a^1;while(1){Ic:{a=O(b,3)+207648|0;if((r|0)!=J[a|0]){break Ic}j=J[a+2|0];if(j&y|(J[d+3|0]&4?j&2:0)|(K[d+4>>1]?0:j&4)){break Ic}g=J[a+1|0];G[d+2|0]=g;if(!(J[I[(g<<2)+152704>>2]+4|0]&2)|J[d+3|0]<2){break Hc}G[d+3|0]=0;break Hc}b=b+1|0;if((k|0)!=(b|0)){continue}break}}if(g&255){break Fc}b=K[d+4>>1];break Ec}b=I[d>>2];d=I[d+4>>2];a=(q+32|0)+(e<<5)|0;I[a>>2]=b;I[a+4>>2]=d;b=I[(b>>>14&1020)+152704>>2];I[a+8>>2]=b;G[a+17|0]=J[b+11|0];e=e+1|0;b=-1}F=F+1|0;if((e|0)<1e3&(F|0)<(v|0)){continue}break}f=0;D=e-2|0;M=0;if((D|0)<=0){break Dc}b=0;while(1){Jc:{if(K[((q+32|0)+(f<<5)|0)+4>>1]){d=(f|0)>(D|0)?f:D;b=0;a=f;while(1){Kc:{if((a|0)==(d|0)){a=d;break Kc}e=q+32|0;g=J[(e+(a<<5)|0)+3|0];b=b>>>0>g>>>0?b:g;a=a+1|0;if(!K[(e+(a<<5)|0)+4>>1]){continue}}break}if((a|0)<=(f|0)){break Jc}j=0;d=f;e=a-d&7;if(e){while(1){G[((q+32|0)+(d<<5)|0)+6|0]=b;d=d+1|0;j=j+1|0;if((e|0)!=(j|0)){continue}break}}if(f-a>>>0>4294967288){break Jc}while(1){f=(q+32|0)+(d<<5)|0;G[f+6|0]=b;G[f+38|0]=b;G[f+70|0]=b;G[f+102|0]=b;G[f+134|0]=b;G[f+166|0]=b;G[f+198|0]=b;G[f+230|0]=b;d=d+8|0;if((d|0)!=(a|0)){continue}break}break Jc}a=f+1|0}f=a;if((D|0)>(a|0)){continue}break}M=(b|0)>3}I[q+40>>2]=I[38185];hb(I[m+292>>2]);f=0;s=1;y=1;r=0;k=0;b=0;v=0;while(1){Lc:{Mc:{Nc:{Oc:{Pc:{if(!k){if((b|0)>=(D|0)|(v|0)>=997){break Oc}d=(q+32|0)+(b<<5)|0;e=J[d+2|0];a=I[(e<<2)+152704>>2];I[d+8>>2]=a;g=K[d+4>>1];if((e|0)==21){hb(J[d+7|0])}s=g?b:s;F=I[(J[d+34|0]<<2)+152704>>2];I[d+40>>2]=F;A=b;break Pc}a=q+32|0;A=b-1|0;d=a+(A<<5)|0;g=J[(a+(b<<5)|0)+2|0];if((A|0)>0){b=(s|0)>0;a=s-b|0;j=b?s:2;if((A|0)>=(j|0)){while(1){b=(q+32|0)+(j<<5)|0;e=b-32|0;r=I[b+12>>2];I[e+8>>2]=I[b+8>>2];I[e+12>>2]=r;r=I[b+4>>2];I[e>>2]=I[b>>2];I[e+4>>2]=r;r=I[b+28>>2];I[e+24>>2]=I[b+24>>2];I[e+28>>2]=r;r=I[b+20>>2];I[e+16>>2]=I[b+16>>2];I[e+20>>2]=r;j=j+1|0;if((A|0)>=(j|0)){continue}break}}s=a}F=I[(g<<2)+152704>>2];I[d>>2]=0;I[d+4>>2]=0;I[d+24>>2]=0;I[d+28>>2]=0;I[d+16>>2]=0;I[d+20>>2]=0;I[d+8>>2]=0;I[d+12>>2]=0;G[d+2|0]=k;a=I[(k<<2)+152704>>2];I[d+8>>2]=a;r=d}if(!a){k=0;b=A+1|0;continue}jb(m,256,d,q+32040|0,q);b=I[q+32052>>2];if((b|0)>0){e=(q+32|0)+(A<<5)|0;F=I[(b<<2)+152704>>2];I[e+40>>2]=F;G[e+34|0]=b;G[e+49|0]=J[F+11|0]}b=0;Qc:{if(k){e=a;break Qc}g=I[q+32056>>2];if((g|0)<=0){e=a;break Qc}e=I[(g<<2)+152704>>2];I[d+8>>2]=e;b=J[d+2|0];G[d+2|0]=g;g=K[d>>1];Rc:{if(J[e+11|0]==2){H[d>>1]=g|4;if(J[a+11|0]==2){break Rc}G[d+3|0]=0;break Rc}H[d>>1]=g&65531}jb(m,256,d,q+32040|0,q)}g=I[q+32048>>2];Sc:{if((g|0)<=0){j=e;break Sc}j=I[(g<<2)+152704>>2];G[d+2|0]=g;I[d+8>>2]=j;a=J[j+11|0];if((g|0)==1){n=(a|0)==2;e=0;g=f;break Mc}g=K[d>>1];Tc:{if((a|0)==2){H[d>>1]=g|4;if(J[e+11|0]==2){break Tc}G[d+3|0]=0;break Tc}H[d>>1]=g&65531}jb(m,256,d,q+32040|0,q)}a=J[j+11|0];if((a|0)!=2){e=1;n=0;g=f;break Mc}n=1;a=2;Uc:{if(J[d+3|0]>1){g=0;break Uc}g=f+1|0;k=d;e=I[m+12>>2];if(e&8){while(1){Vc:{f=k;k=f+32|0;e=1;switch(J[f+49|0]){case 0:break Mc;case 2:break Vc;default:continue}}break}if(J[f+35|0]>1){break Uc}if(J[d+6|0]<=3){G[d+3|0]=0}if(J[f+38|0]>3){break Uc}G[f+35|0]=0;break Uc}if(!(f&1)|(g|0)<2){break Uc}if(e&2|(K[d+36>>1]?M:0)){break Nc}G[d+3|0]=0}e=1;break Mc}I[38483]=v+2;a=(v<<5)+154080|0;G[a+2|0]=9;G[a+20|0]=2;I[a+12>>2]=l;H[a+4>>1]=u;G[a+17|0]=0;G[a+18|0]=0;H[a>>1]=0;I[a+8>>2]=I[38185];G[a+52|0]=0;G[a+34|0]=9;I[a+44>>2]=0;H[a+36>>1]=0;G[a+49|0]=0;G[a+50|0]=0;H[a+32>>1]=0;I[a+40>>2]=I[38186];hb(I[m+292>>2]);ra=q+32192|0;break Lc}e=1;g=1}f=K[d+32>>1];Wc:{if(!(f&8)|(A|0)<=0){break Wc}k=J[F+11|0];if(k>>>0>15|!(1<<k&457)){break Wc}b=J[F+10|0];H[d+32>>1]=f&65527}o=K[d+36>>1];Xc:{if(!o){break Xc}f=I[m+4>>2];Yc:{if(!f){break Yc}Zc:{switch(a|0){default:b=f&512?11:b;break;case 0:break Yc;case 2:break Zc}}if(J[F+11|0]!=2){break Yc}k=f&12;_c:{if(!k){break _c}if((k|0)==12){b=11;break _c}b=23}$c:{if(!n){break $c}ad:{switch(f&3){case 2:b=10;break $c;case 0:break $c;default:break ad}}b=23}if(J[d+35|0]<4){break Yc}b=f&256?10:b}if((d|0)==(r|0)|(v|0)<=0){break Xc}bd:{cd:{dd:{f=I[m>>2]&7;switch(f|0){case 0:break bd;case 1:break dd;default:break cd}}if(b-12>>>0>4294967293){break bd}}b=J[f+101932|0]}b=I[49265]>0?24:b}I[d+72>>2]=I[(J[d+66|0]<<2)+152704>>2];f=I[q+32060>>2];k=b?b:f?f:b;if(e){f=(v<<5)+154080|0;G[f+17|0]=a;I[f+8>>2]=j;G[f+16|0]=0;H[f>>1]=K[d>>1];G[f+3|0]=J[d+3|0]&15;G[f+6|0]=J[d+6|0];b=J[d+7|0];H[f+4>>1]=0;G[f+7|0]=b;e=J[j+10|0];G[f+2|0]=e;b=K[d+4>>1];ed:{if(b){H[f+4>>1]=b;d=ba?5:1;G[f+20|0]=d;b=y;y=0;if(!b){ba=0;break ed}G[f+20|0]=d|8;ba=0;break ed}G[f+20|0]=0}I[f+12>>2]=I[q+32084>>2]<<1;fd:{if(!o|(e|0)!=24){break fd}b=I[49265];if((b|0)<=0){break fd}d=I[38186];I[f+12>>2]=O(b,14);I[f+8>>2]=d}if((1<<a&428?a>>>0<=8:0)|J[j+7|0]&2){G[f+16|0]=0;I[f+12>>2]=128}G[f+21|0]=255;G[f+22|0]=255;H[f+18>>1]=5120;v=v+1|0}f=g;b=A+1|0;continue}break}H[93042]=1;I[46522]=0;if($){H[(I[38483]<<5)+154016>>1]=2;a=(I[49410]<<2)+206544|0;I[a>>2]=128;a=a-4|0;I[a>>2]=I[a>>2]|128}G[198508]=h>>>19&1;if(!c){break a}I[c>>2]=h<<14>>31&197600}ra=i+6832|0}function qd(a){var b=0,c=0,d=0,e=0,f=0,g=0;b=Va(8244);if(b){I[b+328>>2]=2;G[141088]=0;I[b+684>>2]=0;I[b+688>>2]=0;I[b+320>>2]=0;I[b+324>>2]=0;G[b+268|0]=0;G[b+228|0]=0;I[b+8216>>2]=0;I[b+8220>>2]=0;I[b+224>>2]=104960;I[b+216>>2]=383;I[b+220>>2]=96;Ja(b+344|0,0,292);I[b+8196>>2]=0;c=b+8188|0;I[c>>2]=0;I[c+4>>2]=0;I[b+8180>>2]=0;I[b+8184>>2]=0;G[b+460|0]=22;G[b+461|0]=129;G[b+466|0]=38;G[b+462|0]=38;G[b+463|0]=36;G[b+464|0]=22;G[b+465|0]=224;G[b+456|0]=22;G[b+457|0]=22;G[b+458|0]=44;G[b+459|0]=22;G[b+454|0]=46;G[b+455|0]=129;G[b+446|0]=22;G[b+447|0]=38;G[b+448|0]=28;G[b+449|0]=193;G[b+450|0]=38;G[b+451|0]=22;G[b+452|0]=46;G[b+453|0]=46;G[b+441|0]=129;G[b+442|0]=38;G[b+443|0]=22;G[b+444|0]=38;G[b+445|0]=193;I[b+332>>2]=104928;I[b+336>>2]=104932;I[b+340>>2]=105248;G[b+296|0]=18;G[b+297|0]=18;H[b+304>>1]=182;H[b+306>>1]=140;G[b+298|0]=20;H[b+308>>1]=220;H[b+310>>1]=220;H[b+312>>1]=220;G[b+299|0]=20;G[b+300|0]=20;H[b+314>>1]=240;G[b+301|0]=22;H[b+316>>1]=260;H[b+318>>1]=280;G[b+302|0]=22;G[b+303|0]=20;c=Ja(b,0,212);I[c+200>>2]=20;I[c+192>>2]=25966;I[c+196>>2]=500;I[c+80>>2]=95;I[c+16>>2]=1;I[c+20>>2]=3;I[c+8>>2]=2;I[c+52>>2]=19;G[c+168|0]=3;I[c+92>>2]=2;I[c+72>>2]=4;I[c+40>>2]=115;I[c+44>>2]=95;I[c+140>>2]=105260;Bd(c,201);I[c+120>>2]=2;I[c+124>>2]=44;I[c+164>>2]=100;I[c+128>>2]=46;I[c+132>>2]=14;I[c+112>>2]=1227133512;I[c+116>>2]=49;I[c+104>>2]=1;e=I[26317];I[c+636>>2]=I[26316];I[c+640>>2]=e;e=I[26319];I[c+644>>2]=I[26318];I[c+648>>2]=e;e=I[26321];I[c+652>>2]=I[26320];I[c+656>>2]=e;e=I[26323];I[c+660>>2]=I[26322];I[c+664>>2]=e;e=I[26325];I[c+668>>2]=I[26324];I[c+672>>2]=e;e=I[26327];I[c+676>>2]=I[26326];I[c+680>>2]=e;e=J[104944]|J[104945]<<8;G[c+160|0]=e;G[c+161|0]=e>>>8;e=J[104940]|J[104941]<<8|(J[104942]<<16|J[104943]<<24);G[c+156|0]=e;G[c+157|0]=e>>>8;G[c+158|0]=e>>>16;G[c+159|0]=e>>>24}d=Ha(b+228|0,a);c=0;a:{b:{e=J[a|0];if(!e){break b}while(1){c=(e<<24>>24)+(c<<8)|0;a=a+1|0;e=J[a|0];if(e){continue}break}c:{d:{e:{f:{g:{h:{i:{j:{k:{l:{m:{n:{o:{p:{q:{r:{s:{t:{u:{v:{w:{x:{y:{z:{A:{B:{C:{D:{E:{F:{G:{H:{I:{J:{K:{L:{M:{N:{O:{P:{Q:{R:{S:{T:{U:{V:{W:{X:{Y:{Z:{_:{$:{aa:{ba:{ca:{da:{ea:{fa:{ga:{ha:{ia:{ja:{ka:{la:{ma:{na:{oa:{pa:{qa:{ra:{sa:{if((c|0)<=28008){if((c|0)<=26464){if((c|0)<=25696){ta:{switch(c-24934|0){case 20:break l;case 1:case 2:case 3:case 4:case 5:case 6:case 9:case 10:case 11:case 14:case 15:case 16:case 17:case 18:case 19:break b;case 13:break ka;case 12:break na;case 7:break oa;case 0:break pa;case 8:break sa;default:break ta}}ua:{switch(c-25189|0){case 1:case 3:case 4:case 5:case 6:case 7:case 8:case 10:case 11:case 12:case 13:break b;case 14:break T;case 9:break ka;case 2:break la;case 0:break ma;default:break ua}}switch(c-25441|0){case 18:break s;case 24:break ja;case 0:break sa;default:break b}}va:{switch(c-25964|0){case 1:case 4:case 5:case 6:break b;case 8:break _;case 9:break aa;case 3:break ea;case 0:break fa;case 2:break ga;case 7:break sa;default:break va}}wa:{switch(c-26209|0){case 1:case 2:case 3:case 4:case 5:case 6:case 7:case 9:case 10:case 11:case 12:case 13:case 15:case 16:break b;case 17:break X;case 14:break Y;case 8:break Z;case 0:break $;default:break wa}}switch(c-25697|0){case 4:break ha;case 0:break ia;default:break b}}if((c|0)<=27488){xa:{switch(c-26729|0){case 1:case 2:case 3:case 4:case 5:case 6:case 7:case 8:case 10:case 13:case 14:case 15:break b;case 16:break Q;case 12:break R;case 11:break S;case 9:break T;case 0:break U;default:break xa}}ya:{switch(c-26977|0){case 1:case 2:case 4:case 5:case 6:case 7:case 8:case 9:case 10:case 11:case 12:case 13:case 15:case 16:case 17:break b;case 19:break M;case 18:break N;case 3:break O;case 14:break P;case 0:break sa;default:break ya}}switch(c-26465|0){case 20:break U;case 13:break V;case 0:case 3:break W;default:break b}}za:{switch(c-27489|0){case 13:break m;case 1:case 2:case 3:case 4:case 5:case 6:case 7:case 8:case 9:case 12:case 15:case 16:case 17:case 18:case 19:case 21:case 22:case 23:break b;case 24:break F;case 20:break G;case 14:break H;case 11:break I;case 10:break J;case 0:break K;default:break za}}switch(c-27745|0){case 21:break C;case 19:break D;case 0:break E;default:break b}}if((c|0)<=29792){if((c|0)<=28768){Aa:{switch(c-28009|0){case 3:break m;case 11:break A;case 1:case 4:case 5:case 6:case 7:case 8:case 12:case 13:case 14:case 15:break b;case 2:break B;case 10:break O;case 9:break U;case 0:case 16:break qa;default:break Aa}}Ba:{switch(c-28258|0){case 0:break y;case 10:break z;case 1:case 2:case 4:case 5:case 6:case 7:case 8:case 9:break b;case 3:break U;default:break Ba}}switch(c-28525|0){case 0:break x;case 5:break U;default:break b}}if((c|0)<=29539){Ca:{switch(c-28769|0){case 19:break v;case 11:break w;case 1:case 2:case 3:case 4:case 5:case 6:case 7:case 8:case 9:case 10:case 12:case 13:case 14:case 15:case 16:case 17:case 18:case 20:case 21:case 22:case 23:break b;case 0:break U;case 24:break qa;default:break Ca}}Da:{switch(c-29295|0){case 6:break t;case 0:break u;case 1:case 2:case 3:case 4:case 5:break b;default:break Da}}if((c|0)==29045){break qa}break b}switch(c-29540|0){case 0:break i;case 19:break n;case 18:break o;case 13:break p;case 8:break q;case 5:break r;case 7:break s;case 14:break T;default:break b}}if((c|0)<=6516077){if((c|0)<=30058){switch(c-29793|0){case 19:break k;case 17:break l;case 0:case 4:break m;case 13:break n;case 7:break qa;default:break b}}if((c|0)<=30312){switch(c-30059|0){case 7:break i;case 0:break j;case 15:break qa;default:break b}}if((c|0)<=6451320){if((c|0)==30313){break h}if((c|0)!=31336){break b}break c}if((c|0)==6451321){break ka}if((c|0)!=6514802){break b}I[b+12>>2]=262182;I[b+40>>2]=1;c=6514802;break a}if((c|0)>7435618){break ra}if((c|0)<=6972014){if((c|0)==6516078){break c}if((c|0)==6779491){break fa}if((c|0)!=6840683){break b}H[b+170>>1]=257;I[b+148>>2]=1;I[b+12>>2]=2;c=6840683;break a}if((c|0)==6972015){break L}if((c|0)==7107687){break C}if((c|0)!=7364976){break b}}I[b+296>>2]=269422096;I[b+300>>2]=370545684;I[b+104>>2]=86017320;I[b+108>>2]=6144;I[b+16>>2]=0;I[b+20>>2]=2;I[b+8>>2]=2;I[b+12>>2]=534;I[b+100>>2]=I[b+96>>2];I[b+44>>2]=120;a=I[25917];I[b+304>>2]=I[25916];I[b+308>>2]=a;a=I[25919];I[b+312>>2]=I[25918];I[b+316>>2]=a;if((c|0)>26976){break da}if((c|0)==24942){break ca}if((c|0)!=25441){break ba}I[b+12>>2]=694;I[b+336>>2]=103680;c=25441;break a}if((c|0)<=7890295){if((c|0)==7435619){break qa}if((c|0)==7563374){break f}if((c|0)!=7564650){break b}I[b+296>>2]=370544658;I[b+300>>2]=370546196;I[b+164>>2]=130;I[b+8>>2]=0;I[b+12>>2]=86;I[b+104>>2]=87064;G[b+169|0]=1;I[b+152>>2]=3;a=I[26125];I[b+304>>2]=I[26124];I[b+308>>2]=a;a=I[26127];I[b+312>>2]=I[26126];I[b+316>>2]=a;G[b+465|0]=J[b+465|0]&64|129;c=7564650;break a}if((c|0)==7890296){break g}if((c|0)==7959909){break c}if((c|0)!=1885958500){break b}}I[b+104>>2]=0;break a}I[b+24>>2]=1;I[b+4>>2]=48;I[b+8>>2]=0;I[b+144>>2]=1;I[b+104>>2]=16779472;I[b+32>>2]=1;a=I[25885];I[b+304>>2]=I[25884];I[b+308>>2]=a;a=I[25887];I[b+312>>2]=I[25886];I[b+316>>2]=a;G[b+465|0]=J[b+465|0]&64|129;c=24934;break a}I[b+600>>2]=4608;I[b+296>>2]=303173650;I[b+300>>2]=303174162;I[b+8>>2]=0;I[b+12>>2]=36;I[b+104>>2]=1024;I[b+100>>2]=I[b+96>>2];I[b+40>>2]=1;a=I[25869];I[b+304>>2]=I[25868];I[b+308>>2]=a;a=I[25871];I[b+312>>2]=I[25870];I[b+316>>2]=a;c=24941;break a}I[b+600>>2]=1536;I[b+224>>2]=0;I[b+216>>2]=1631;I[b+220>>2]=1536;I[b+104>>2]=2884720;I[b+328>>2]=7;I[b+40>>2]=1;c=ra-16|0;ra=c;I[c+12>>2]=-1;a=89694;e=b+344|0;while(1){g=La(c+12|0,a);d=I[c+12>>2];if((d|0)>=33){f=(d+e|0)-1536|0;G[f|0]=J[f|0]|1}a=a+g|0;if(d){continue}break}I[c+12>>2]=-1;a=89753;while(1){g=La(c+12|0,a);d=I[c+12>>2];if((d|0)>=33){f=(d+e|0)-1536|0;G[f|0]=J[f|0]|2}a=a+g|0;if(d){continue}break}I[c+12>>2]=-1;a=89805;while(1){g=La(c+12|0,a);d=I[c+12>>2];if((d|0)>=33){f=(d+e|0)-1536|0;G[f|0]=J[f|0]|4}a=a+g|0;if(d){continue}break}I[c+12>>2]=-1;a=89951;while(1){g=La(c+12|0,a);d=I[c+12>>2];if((d|0)>=33){f=(d+e|0)-1536|0;G[f|0]=J[f|0]|16}a=a+g|0;if(d){continue}break}I[c+12>>2]=-1;a=90055;while(1){g=La(c+12|0,a);d=I[c+12>>2];if((d|0)>=33){f=(d+e|0)-1536|0;G[f|0]=J[f|0]|32}a=a+g|0;if(d){continue}break}I[c+12>>2]=-1;a=90055;while(1){g=La(c+12|0,a);d=I[c+12>>2];if((d|0)>=33){f=(d+e|0)-1536|0;G[f|0]=J[f|0]|8}a=a+g|0;if(d){continue}break}I[c+12>>2]=-1;a=90055;while(1){g=La(c+12|0,a);d=I[c+12>>2];if((d|0)>=33){f=(d+e|0)-1536|0;G[f|0]=J[f|0]|64}a=a+g|0;if(d){continue}break}ra=c+16|0;c=24946;break a}I[b+600>>2]=1056;I[b+12>>2]=34;I[b+216>>2]=1118;I[b+220>>2]=1072;Ja(b+344|0,0,256);G[b+406|0]=4;G[b+366|0]=4;G[b+367|0]=4;G[b+369|0]=4;G[b+370|0]=4;G[b+371|0]=4;G[b+372|0]=4;G[b+361|0]=4;G[b+362|0]=4;G[b+363|0]=4;G[b+364|0]=4;G[b+373|0]=4;G[b+380|0]=4;G[b+381|0]=4;G[b+382|0]=4;G[b+383|0]=4;G[b+375|0]=4;G[b+376|0]=4;G[b+377|0]=4;G[b+378|0]=4;G[b+384|0]=4;G[b+360|0]=129;I[b+328>>2]=6;I[b+296>>2]=134744588;I[b+300>>2]=286261248;I[b+40>>2]=1;I[b+8>>2]=0;I[b+104>>2]=1032;I[b+108>>2]=66;a=I[25889];I[b+304>>2]=I[25888];I[b+308>>2]=a;a=I[25891];I[b+312>>2]=I[25890];I[b+316>>2]=a;c=25189;break a}pd(b);I[b+328>>2]=6;I[b+56>>2]=2;I[b+36>>2]=263;I[b+40>>2]=1074;I[b+124>>2]=32;I[b+104>>2]=184554728;I[b+8>>2]=2;G[b+386|0]=J[b+386|0]&64|129;c=25191;break a}I[b+296>>2]=303174162;I[b+300>>2]=370545684;I[b+600>>2]=2432;I[b+8>>2]=0;I[b+12>>2]=65540;I[b+100>>2]=I[b+96>>2];a=I[25893];I[b+304>>2]=I[25892];I[b+308>>2]=a;a=I[25895];I[b+312>>2]=I[25894];I[b+316>>2]=a;Zb(b);G[b+345|0]=J[b+345|0]|2;G[b+406|0]=J[b+406|0]|16;G[b+407|0]=J[b+407|0]|16;G[b+408|0]=J[b+408|0]|16;G[b+409|0]=J[b+409|0]|16;G[b+410|0]=J[b+410|0]|16;G[b+411|0]=J[b+411|0]|16;G[b+412|0]=J[b+412|0]|16;G[b+413|0]=J[b+413|0]|16;G[b+414|0]=J[b+414|0]|16;G[b+415|0]=J[b+415|0]|16;G[b+416|0]=J[b+416|0]|16;G[b+417|0]=J[b+417|0]|16;G[b+418|0]=J[b+418|0]|16;G[b+419|0]=J[b+419|0]|16;G[b+420|0]=J[b+420|0]|16;G[b+456|0]=J[b+456|0]|4;G[b+457|0]=J[b+457|0]|4;I[b+112>>2]=613567144;I[b+104>>2]=16;if((c|0)!=6451321){break a}I[b+104>>2]=1;I[b+108>>2]=512;c=6451321;break a}I[b+328>>2]=14;I[b+296>>2]=303173393;I[b+300>>2]=336986112;I[b+104>>2]=1024;I[b+16>>2]=0;I[b+20>>2]=2;I[b+8>>2]=2;I[b+12>>2]=22;I[b+44>>2]=120;a=I[25897];I[b+304>>2]=I[25896];I[b+308>>2]=a;a=I[25899];I[b+312>>2]=I[25898];I[b+316>>2]=a;G[b+463|0]=J[b+463|0]&64|129;G[b+465|0]=J[b+465|0]&64|129;c=25465;break a}I[b+8>>2]=0;I[b+104>>2]=184618072;I[b+32>>2]=1;a=I[26105];I[b+304>>2]=I[26104];I[b+308>>2]=a;a=I[26107];I[b+312>>2]=I[26106];I[b+316>>2]=a;G[b+465|0]=J[b+465|0]&64|129;c=25697;break a}I[b+296>>2]=336860180;I[b+300>>2]=336991764;I[b+8>>2]=0;I[b+104>>2]=16846872;I[b>>2]=8;I[b+4>>2]=48;I[b+80>>2]=87;I[b+32>>2]=1;I[b+36>>2]=256;I[b+40>>2]=2;a=I[25901];I[b+304>>2]=I[25900];I[b+308>>2]=a;a=I[25903];I[b+312>>2]=I[25902];I[b+316>>2]=a;G[b+465|0]=J[b+465|0]&64|129;c=25701;break a}I[b+132>>2]=33;I[b+104>>2]=16779328;I[b+8>>2]=0;I[b+12>>2]=8;I[b+204>>2]=101;I[b+60>>2]=2;I[b+40>>2]=2;a=I[25905];I[b+304>>2]=I[25904];I[b+308>>2]=a;a=I[25907];I[b+312>>2]=I[25906];I[b+316>>2]=a;G[b+441|0]=J[b+441|0]|64;G[b+445|0]=J[b+445|0]|64;G[b+449|0]=J[b+449|0]|64;G[b+455|0]=J[b+455|0]|64;G[b+461|0]=J[b+461|0]|64;G[b+465|0]=J[b+465|0]|64;c=25966;break a}I[b+600>>2]=896;I[b+328>>2]=8;I[b+296>>2]=336858127;I[b+300>>2]=353768980;I[b+332>>2]=103648;a=I[25909];I[b+304>>2]=I[25908];I[b+308>>2]=a;a=I[25911];I[b+312>>2]=I[25910];I[b+316>>2]=a;Ja(b+344|0,0,256);G[b+388|0]=129;G[b+389|0]=129;G[b+390|0]=129;G[b+391|0]=129;G[b+420|0]=129;G[b+421|0]=129;G[b+422|0]=129;G[b+423|0]=129;G[b+360|0]=129;G[b+392|0]=129;G[b+393|0]=129;G[b+417|0]=129;G[b+418|0]=129;G[b+419|0]=129;G[b+420|0]=129;G[b+408|0]=6;G[b+409|0]=4;G[b+410|0]=6;G[b+411|0]=6;G[b+412|0]=6;G[b+413|0]=193;G[b+414|0]=6;G[b+415|0]=6;G[b+406|0]=6;G[b+407|0]=129;G[b+398|0]=4;G[b+399|0]=193;G[b+400|0]=6;G[b+401|0]=193;G[b+402|0]=6;G[b+403|0]=4;G[b+404|0]=4;G[b+405|0]=4;G[b+394|0]=4;G[b+395|0]=4;G[b+396|0]=4;G[b+397|0]=193;I[b+44>>2]=130;I[b+8>>2]=2;I[b+12>>2]=6;I[b+16>>2]=0;I[b+20>>2]=2;I[b+104>>2]=264;I[b+108>>2]=6146;G[b+391|0]=193;G[b+389|0]=193;G[b+390|0]=193;G[b+421|0]=193;I[b+100>>2]=I[b+96>>2];G[b+416|0]=J[b+416|0]|4;if((c|0)!=6779491){break a}I[b+40>>2]=1;c=6779491;break a}I[b+328>>2]=4;I[b+296>>2]=336858640;I[b+300>>2]=353768980;I[b+104>>2]=16782344;I[b+20>>2]=2;I[b+12>>2]=22;I[b+4>>2]=2;I[b+8>>2]=2;I[b+332>>2]=103656;a=I[26001];I[b+304>>2]=I[26e3];I[b+308>>2]=a;a=I[26003];I[b+312>>2]=I[26002];I[b+316>>2]=a;c=25967;break a}if((c|0)!=26977){if((c|0)!=7364976){break ba}I[b+8>>2]=3;I[b+12>>2]=310;c=7364976;break a}I[b+104>>2]=85984264;c=26977;break a}I[b+104>>2]=153093416;I[b+108>>2]=2048;I[b+140>>2]=103692;c=24942;break a}I[b+40>>2]=2;break a}I[b+296>>2]=303173648;I[b+300>>2]=303174162;I[b+104>>2]=3147080;I[b+12>>2]=65792;I[b+84>>2]=1;a=I[25925];I[b+304>>2]=I[25924];I[b+308>>2]=a;a=I[25927];I[b+312>>2]=I[25926];I[b+316>>2]=a;c=25973;break a}I[b+600>>2]=1536;I[b+216>>2]=1740;I[b+220>>2]=1568;I[b+104>>2]=96;I[b+224>>2]=103712;I[b+340>>2]=103888;I[b+40>>2]=1;c=26209;break a}I[b+328>>2]=5}I[b+104>>2]=86024;I[b+164>>2]=130;G[b+465|0]=J[b+465|0]&64|129;break a}I[b+104>>2]=184618072;c=26223;break a}I[b+296>>2]=303173650;I[b+300>>2]=303174162;I[b+8>>2]=3;I[b+12>>2]=36;I[b+144>>2]=2;I[b+104>>2]=118658312;I[b+28>>2]=1;I[b+100>>2]=I[b+96>>2];a=I[25869];I[b+304>>2]=I[25868];I[b+308>>2]=a;a=I[25871];I[b+312>>2]=I[25870];I[b+316>>2]=a;G[b+465|0]=J[b+465|0]&64|129;c=26226;break a}I[b+144>>2]=2;I[b+104>>2]=2098176;I[b+8>>2]=0;I[b+12>>2]=32;I[b+40>>2]=3;I[b+28>>2]=1;break a}I[b+8>>2]=3;I[b+100>>2]=I[b+96>>2];c=26478;break a}I[b+328>>2]=18;I[b+296>>2]=320081425;I[b+300>>2]=353768980;I[b+600>>2]=2304;I[b+112>>2]=84648;I[b+104>>2]=16;I[b+8>>2]=6;I[b+12>>2]=65540;I[b+100>>2]=I[b+96>>2];a=I[25977];I[b+304>>2]=I[25976];I[b+308>>2]=a;a=I[25979];I[b+312>>2]=I[25978];I[b+316>>2]=a;Ea:{Fa:{Ga:{if((c|0)<=28529){if((c|0)==26485){break Ga}if((c|0)!=28261){break Ea}a=I[25865];I[b+304>>2]=I[25864];I[b+308>>2]=a;a=I[25867];I[b+312>>2]=I[25866];I[b+316>>2]=a;I[b+296>>2]=320017171;I[b+300>>2]=320017171;I[b+132>>2]=22;I[b+112>>2]=-1431655768;I[b+108>>2]=I[b+108>>2]|32768;Zb(b);break a}if((c|0)==28530){break Fa}if((c|0)!=28769){break Ea}I[b+600>>2]=2560;Zb(b);break a}a=I[25865];I[b+304>>2]=I[25864];I[b+308>>2]=a;a=I[25867];I[b+312>>2]=I[25866];I[b+316>>2]=a;I[b+600>>2]=2688;I[b+296>>2]=320017171;I[b+300>>2]=320017171;I[b+8>>2]=2;Zb(b);break a}I[b+600>>2]=2816}Zb(b);break a}G[d|0]=104;G[d+1|0]=98;G[d+2|0]=115;G[d+3|0]=0;Ha:{if((c|0)==29554){a=I[25981];I[b+304>>2]=I[25980];I[b+308>>2]=a;a=I[25983];I[b+312>>2]=I[25982];I[b+316>>2]=a;break Ha}a=I[26097];I[b+304>>2]=I[26096];I[b+308>>2]=a;a=I[26099];I[b+312>>2]=I[26098];I[b+316>>2]=a}I[b+328>>2]=3;I[b+296>>2]=336859409;I[b+300>>2]=353768980;H[b+168>>1]=261;I[b+8>>2]=0;I[b+12>>2]=16;I[b+144>>2]=1;I[b+184>>2]=1056;I[b+104>>2]=33572172;I[b+108>>2]=330;I[b+36>>2]=3;G[b+465|0]=J[b+465|0]&64|129;G[b+458|0]=J[b+458|0]&64|129;break a}I[b+104>>2]=17990912;I[b+8>>2]=3;I[b+12>>2]=36;c=26740;break a}I[b+328>>2]=3;I[b+296>>2]=320016657;I[b+300>>2]=353768980;I[b+124>>2]=32;I[b+128>>2]=44;I[b+104>>2]=186758144;I[b+12>>2]=1081398;I[b+16>>2]=2;I[b+4>>2]=32;I[b+8>>2]=0;I[b+116>>2]=899;I[b+120>>2]=1;G[b+169|0]=1;I[b+76>>2]=2;a=I[25985];I[b+304>>2]=I[25984];I[b+308>>2]=a;a=I[25987];I[b+312>>2]=I[25986];I[b+316>>2]=a;G[b+465|0]=J[b+465|0]&64|129;Bd(b,3);c=26741;break a}I[b+600>>2]=1328;I[b+8>>2]=3;a=I[25989];I[b+304>>2]=I[25988];I[b+308>>2]=a;a=I[25991];I[b+312>>2]=I[25990];I[b+316>>2]=a;a=Ja(b+344|0,0,256);G[b+429|0]=129;G[b+416|0]=129;G[b+403|0]=129;G[b+399|0]=129;G[b+400|0]=129;G[b+397|0]=129;G[b+393|0]=129;d=103968;g=50;f=50;while(1){e=a+f|0;G[e|0]=J[e|0]|2;e=a+J[d+1|0]|0;G[e|0]=J[e|0]|2;e=a+J[d+2|0]|0;G[e|0]=J[e|0]|2;d=d+3|0;f=J[d|0];e=103968;if((d|0)!=103998){continue}break}while(1){d=a+g|0;G[d|0]=J[d|0]|4;d=a+J[e+1|0]|0;G[d|0]=J[d|0]|4;d=a+J[e+2|0]|0;G[d|0]=J[d|0]|4;e=e+3|0;g=J[e|0];if((e|0)!=103998){continue}break}G[b+168|0]=6;I[b+104>>2]=5128;G[b+413|0]=J[b+413|0]|4;break a}I[b+328>>2]=4;I[b+296>>2]=336858640;I[b+300>>2]=353768980;I[b+104>>2]=16782440;I[b+20>>2]=2;I[b+12>>2]=22;I[b+4>>2]=2;I[b+8>>2]=2;I[b+332>>2]=104016;a=I[26001];I[b+304>>2]=I[26e3];I[b+308>>2]=a;a=I[26003];I[b+312>>2]=I[26002];I[b+316>>2]=a;c=26991;break a}I[b+296>>2]=303174160;I[b+300>>2]=353768980;I[b+104>>2]=16781320;I[b+144>>2]=2;I[b+8>>2]=2;I[b+12>>2]=22;a=I[26009];I[b+304>>2]=I[26008];I[b+308>>2]=a;a=I[26011];I[b+312>>2]=I[26010];I[b+316>>2]=a;break a}I[b+8>>2]=0;I[b+12>>2]=16;I[b+56>>2]=2;I[b+28>>2]=17;a=I[26013];I[b+304>>2]=I[26012];I[b+308>>2]=a;a=I[26015];I[b+312>>2]=I[26014];I[b+316>>2]=a;d=b+344|0;e=0;while(1){a=d+e|0;G[a|0]=J[a|0]&231;G[a+1|0]=J[a+1|0]&231;G[a+2|0]=J[a+2|0]&231;G[a+3|0]=J[a+3|0]&231;e=e+4|0;if((e|0)!=256){continue}break}I[b+104>>2]=2280;I[b+108>>2]=2;I[b+608>>2]=104064;G[b+451|0]=J[b+451|0]|16;G[b+456|0]=J[b+456|0]|16;G[b+459|0]=J[b+459|0]|16;G[b+460|0]=J[b+460|0]|16;G[b+450|0]=J[b+450|0]|8;G[b+462|0]=J[b+462|0]|8;G[b+458|0]=J[b+458|0]|8;G[b+465|0]=J[b+465|0]&64|129;break a}I[b+296>>2]=269618961;I[b+300>>2]=370546196;I[b+12>>2]=131110;I[b+144>>2]=2;I[b+104>>2]=184559112;I[b+108>>2]=8192;I[b+16>>2]=0;I[b+20>>2]=2;I[b+4>>2]=1;I[b+8>>2]=2;I[b+100>>2]=I[b+96>>2];I[b+140>>2]=103692;I[b+68>>2]=2;I[b+56>>2]=1;I[b+44>>2]=130;I[b+28>>2]=2;a=I[26029];I[b+304>>2]=I[26028];I[b+308>>2]=a;a=I[26031];I[b+312>>2]=I[26030];I[b+316>>2]=a;G[b+465|0]=J[b+465|0]&64|129;c=26996;break a}I[b+4>>2]=524;I[b+8>>2]=2;I[b+196>>2]=368;I[b+104>>2]=0;I[b+336>>2]=104144;I[b- -64>>2]=1;a=I[26033];I[b+304>>2]=I[26032];I[b+308>>2]=a;a=I[26035];I[b+312>>2]=I[26034];I[b+316>>2]=a;G[b+465|0]=J[b+465|0]&64|129;c=6972015;break a}I[b+296>>2]=303174162;I[b+300>>2]=370545684;a=I[25877];I[b+304>>2]=I[25876];I[b+308>>2]=a;a=I[25879];I[b+312>>2]=I[25878];I[b+316>>2]=a;e=Ja(b+344|0,0,256);G[b+431|0]=1;G[b+429|0]=1;G[b+411|0]=1;G[b+405|0]=1;G[b+400|0]=1;G[b+396|0]=1;G[b+392|0]=1;a=104176;d=49;while(1){d=e+(d&255)|0;G[d|0]=J[d|0]|4;d=e+J[a+1|0]|0;G[d|0]=J[d|0]|4;d=e+J[a+2|0]|0;G[d|0]=J[d|0]|4;a=a+3|0;d=J[a|0];if((a|0)!=104209){continue}break}I[b+600>>2]=4256;I[b+8>>2]=0;I[b+12>>2]=16;G[b+168|0]=7;I[b+132>>2]=32;G[b+392|0]=J[b+392|0]|128;G[b+396|0]=J[b+396|0]|128;G[b+400|0]=J[b+400|0]|128;G[b+405|0]=J[b+405|0]|128;G[b+411|0]=J[b+411|0]|128;G[b+429|0]=J[b+429|0]|128;G[b+431|0]=J[b+431|0]|128;I[b+188>>2]=1056;I[b+192>>2]=29301;I[b+104>>2]=19964960;break a}I[b+600>>2]=1056;e=Ja(b+344|0,0,256);G[b+393|0]=1;G[b+365|0]=1;G[b+360|0]=1;G[b+545|0]=1;G[b+529|0]=1;G[b+391|0]=1;G[b+389|0]=1;G[b+390|0]=1;G[b+387|0]=1;G[b+379|0]=1;G[b+374|0]=1;G[b+368|0]=1;G[b+489|0]=1;G[b+487|0]=1;G[b+398|0]=1;a=104240;d=17;while(1){d=e+(d&255)|0;G[d|0]=J[d|0]|4;d=e+J[a+1|0]|0;G[d|0]=J[d|0]|4;d=e+J[a+2|0]|0;G[d|0]=J[d|0]|4;a=a+3|0;d=J[a|0];if((a|0)!=104267){continue}break}G[b+360|0]=J[b+360|0]|128;G[b+365|0]=J[b+365|0]|128;G[b+393|0]=J[b+393|0]|128;G[b+368|0]=J[b+368|0]|128;G[b+374|0]=J[b+374|0]|128;G[b+379|0]=J[b+379|0]|128;G[b+387|0]=J[b+387|0]|128;G[b+389|0]=J[b+389|0]|128;G[b+390|0]=J[b+390|0]|128;G[b+391|0]=J[b+391|0]|128;G[b+529|0]=J[b+529|0]|128;G[b+545|0]=J[b+545|0]|128;G[b+489|0]=J[b+489|0]|128;G[b+487|0]=J[b+487|0]|128;G[b+398|0]=J[b+398|0]|128;a=I[26059];I[b+312>>2]=I[26058];I[b+316>>2]=a;a=I[26057];I[b+304>>2]=I[26056];I[b+308>>2]=a;I[b+296>>2]=353636370;I[b+300>>2]=336925972;I[b+200>>2]=0;I[b+8>>2]=7;I[b+12>>2]=2097184;G[b+168|0]=2;I[b+104>>2]=50176;I[b+84>>2]=1;Bd(b,3);break a}I[b+296>>2]=320017171;I[b+300>>2]=320017171;I[b+104>>2]=184618072;I[b+8>>2]=12;I[b+12>>2]=32;a=I[25865];I[b+304>>2]=I[25864];I[b+308>>2]=a;a=I[25867];I[b+312>>2]=I[25866];I[b+316>>2]=a;c=27500;break a}I[b+184>>2]=42752;I[b+600>>2]=4352;Ja(b+344|0,0,256);G[b+456|0]=1;G[b+457|0]=1;G[b+458|0]=1;G[b+459|0]=1;G[b+449|0]=1;G[b+450|0]=1;G[b+451|0]=1;G[b+452|0]=1;G[b+453|0]=1;G[b+454|0]=1;G[b+455|0]=1;G[b+456|0]=1;G[b+441|0]=1;G[b+442|0]=1;G[b+443|0]=1;G[b+444|0]=1;G[b+445|0]=1;G[b+446|0]=1;G[b+447|0]=1;G[b+448|0]=1;G[b+460|0]=65;G[b+461|0]=65;G[b+532|0]=32;G[b+527|0]=32;G[b+519|0]=32;G[b+515|0]=32;G[b+349|0]=32;G[b+350|0]=32;G[b+346|0]=32;I[b+132>>2]=20;I[b+112>>2]=286331152;I[b+104>>2]=1024;I[b+108>>2]=16384;I[b+40>>2]=1;I[b+8>>2]=8;G[b+458|0]=65;G[b+453|0]=65;G[b+447|0]=65;G[b+448|0]=65;G[b+443|0]=65;G[b+444|0]=65;c=27503;break a}I[b+328>>2]=10;I[b+296>>2]=336859666;I[b+300>>2]=353768980;G[b+168|0]=2;I[b+104>>2]=263264;I[b+8>>2]=7;a=I[26069];I[b+304>>2]=I[26068];I[b+308>>2]=a;a=I[26071];I[b+312>>2]=I[26070];I[b+316>>2]=a;c=27509;break a}I[b+104>>2]=1;c=27513;break a}I[b+116>>2]=5e3;I[b+104>>2]=16777216;I[b+24>>2]=1;I[b+16>>2]=0;I[b+20>>2]=2;I[b+8>>2]=2;I[b+12>>2]=32;I[b+328>>2]=5;c=27745;break a}I[b+116>>2]=5e3;I[b+104>>2]=99336;I[b+108>>2]=256;I[b+24>>2]=1;I[b+16>>2]=0;I[b+20>>2]=2;I[b+8>>2]=2;I[b+12>>2]=32;I[b+328>>2]=5;c=27764;break a}I[b+296>>2]=134875662;I[b+300>>2]=252968960;I[b+328>>2]=5;G[b+169|0]=1;I[b+132>>2]=33;I[b+104>>2]=99336;I[b+8>>2]=0;I[b+12>>2]=262182;a=I[26073];I[b+304>>2]=I[26072];I[b+308>>2]=a;a=I[26075];I[b+312>>2]=I[26074];I[b+316>>2]=a;break a}I[b+328>>2]=6;I[b+296>>2]=336859409;I[b+300>>2]=353768980;I[b+600>>2]=1056;I[b+104>>2]=2114600;I[b+108>>2]=138;I[b+8>>2]=4;I[b+632>>2]=104304;I[b+604>>2]=104304;a=I[26097];I[b+304>>2]=I[26096];I[b+308>>2]=a;a=I[26099];I[b+312>>2]=I[26098];I[b+316>>2]=a;c=28011;break a}I[b+328>>2]=4;I[b+104>>2]=1;I[b+8>>2]=2;I[b+36>>2]=256;c=28020;break a}I[b+24>>2]=1;I[b+4>>2]=48;I[b+8>>2]=0;I[b+12>>2]=128;I[b+104>>2]=2169880;I[b+32>>2]=1;I[b+36>>2]=256;I[b+136>>2]=85776;a=I[26101];I[b+304>>2]=I[26100];I[b+308>>2]=a;a=I[26103];I[b+312>>2]=I[26102];I[b+316>>2]=a;G[b+465|0]=J[b+465|0]&64|129;c=28268;break a}I[b+8>>2]=0;I[b+104>>2]=71752;a=I[26105];I[b+304>>2]=I[26104];I[b+308>>2]=a;a=I[26107];I[b+312>>2]=I[26106];I[b+316>>2]=a;G[b+465|0]=J[b+465|0]&64|129;c=28258;break a}I[b+296>>2]=336858898;I[b+300>>2]=370546196;I[b+104>>2]=1088;I[b+108>>2]=512;I[b+8>>2]=2;I[b+12>>2]=524310;a=I[26109];I[b+304>>2]=I[26108];I[b+308>>2]=a;a=I[26111];I[b+312>>2]=I[26110];I[b+316>>2]=a;c=28525;break a}I[b+328>>2]=3;I[b+296>>2]=320015633;I[b+300>>2]=353768980;G[b+168|0]=7;I[b+8>>2]=2;I[b+12>>2]=6;I[b+104>>2]=20488;I[b+108>>2]=192;I[b+36>>2]=9;I[b+60>>2]=260;a=I[26113];I[b+304>>2]=I[26112];I[b+308>>2]=a;a=I[26115];I[b+312>>2]=I[26114];I[b+316>>2]=a;G[b+465|0]=J[b+465|0]&64|129;c=28780;break a}I[b+296>>2]=353569552;I[b+300>>2]=353768980;I[b+116>>2]=5e3;I[b+104>>2]=33570920;I[b+108>>2]=14336;I[b+8>>2]=3;I[b+12>>2]=139286;I[b+100>>2]=I[b+96>>2];a=I[26117];I[b+304>>2]=I[26116];I[b+308>>2]=a;a=I[26119];I[b+312>>2]=I[26118];I[b+316>>2]=a;G[b+465|0]=J[b+465|0]&64|129;d=b+344|0;e=0;while(1){a=d+e|0;G[a|0]=J[a|0]&253;G[a+1|0]=J[a+1|0]&253;G[a+2|0]=J[a+2|0]&253;G[a+3|0]=J[a+3|0]&253;e=e+4|0;if((e|0)!=256){continue}break}G[b+442|0]=J[b+442|0]|2;G[b+443|0]=J[b+443|0]|2;G[b+444|0]=J[b+444|0]|2;G[b+446|0]=J[b+446|0]|2;G[b+447|0]=J[b+447|0]|2;G[b+450|0]=J[b+450|0]|2;G[b+451|0]=J[b+451|0]|2;G[b+453|0]=J[b+453|0]|2;G[b+454|0]=J[b+454|0]|2;G[b+456|0]=J[b+456|0]|2;G[b+457|0]=J[b+457|0]|2;G[b+459|0]=J[b+459|0]|2;G[b+460|0]=J[b+460|0]|2;G[b+462|0]=J[b+462|0]|2;G[b+464|0]=J[b+464|0]|2;G[b+466|0]=J[b+466|0]|2;I[b+144>>2]=2;I[b+68>>2]=2;break a}I[b+296>>2]=303172879;I[b+300>>2]=353768980;I[b+328>>2]=3;I[b+8>>2]=3;I[b+12>>2]=262;I[b+104>>2]=16805928;I[b+108>>2]=30;a=I[26121];I[b+304>>2]=I[26120];I[b+308>>2]=a;a=I[26123];I[b+312>>2]=I[26122];I[b+316>>2]=a;c=29295;break a}Ue(b);c=29301;break a}I[b+328>>2]=3;I[b+296>>2]=336859153;I[b+300>>2]=353768980;H[b+168>>1]=261;I[b+8>>2]=0;I[b+12>>2]=22;I[b+124>>2]=0;I[b+128>>2]=44;I[b+104>>2]=16794624;I[b+108>>2]=128;I[b+36>>2]=3;I[b+60>>2]=4;a=I[25873];I[b+304>>2]=I[25872];I[b+308>>2]=a;a=I[25875];I[b+312>>2]=I[25874];I[b+316>>2]=a;if((c|0)==25459){I[b+108>>2]=136}G[b+465|0]=J[b+465|0]&64|129;G[b+458|0]=J[b+458|0]&64|129;d=b+344|0;e=0;while(1){a=d+e|0;G[a|0]=J[a|0]&223;G[a+1|0]=J[a+1|0]&223;G[a+2|0]=J[a+2|0]&223;G[a+3|0]=J[a+3|0]&223;e=e+4|0;if((e|0)!=256){continue}break}G[b+442|0]=J[b+442|0]|32;G[b+444|0]=J[b+444|0]|32;G[b+447|0]=J[b+447|0]|32;G[b+450|0]=J[b+450|0]|32;G[b+452|0]=J[b+452|0]|32;G[b+453|0]=J[b+453|0]|32;G[b+454|0]=J[b+454|0]|32;G[b+458|0]=J[b+458|0]|32;G[b+462|0]=J[b+462|0]|32;G[b+463|0]=J[b+463|0]|32;G[b+466|0]=J[b+466|0]|32;G[b+441|0]=J[b+441|0]|32;G[b+445|0]=J[b+445|0]|32;G[b+449|0]=J[b+449|0]|32;G[b+455|0]=J[b+455|0]|32;G[b+461|0]=J[b+461|0]|32;G[b+465|0]=J[b+465|0]|32;break a}I[b+296>>2]=303174162;I[b+300>>2]=370545684;I[b+600>>2]=3456;G[b+169|0]=1;I[b+8>>2]=0;I[b+12>>2]=22;I[b+100>>2]=I[b+96>>2];a=I[25877];I[b+304>>2]=I[25876];I[b+308>>2]=a;a=I[25879];I[b+312>>2]=I[25878];I[b+316>>2]=a;g=Ja(b+344|0,0,256);G[b+365|0]=1;G[b+366|0]=1;G[b+357|0]=1;G[b+358|0]=1;G[b+359|0]=1;G[b+360|0]=1;G[b+361|0]=1;G[b+362|0]=1;G[b+363|0]=1;G[b+364|0]=1;G[b+349|0]=1;G[b+350|0]=1;G[b+351|0]=1;G[b+352|0]=1;G[b+353|0]=1;G[b+354|0]=1;G[b+355|0]=1;G[b+356|0]=1;e=74;d=74;while(1){a=d+g|0;G[a|0]=J[a|0]|1;G[a+1|0]=J[a+1|0]|1;a=d+2|0;f=a+g|0;G[f|0]=J[f|0]|1;d=d+3|0;if((a|0)!=115){continue}break}while(1){a=e+g|0;G[a|0]=J[a|0]|2;G[a+1|0]=J[a+1|0]|2;a=e+2|0;d=a+g|0;G[d|0]=J[d|0]|2;e=e+3|0;if((a|0)!=115){continue}break}d=26;while(1){a=d+g|0;G[a|0]=J[a|0]|4;G[a+1|0]=J[a+1|0]|4;G[a+2|0]=J[a+2|0]|4;G[a+3|0]=J[a+3|0]|4;a=d+4|0;e=a+g|0;G[e|0]=J[e|0]|4;d=d+5|0;if((a|0)!=70){continue}break}I[b+112>>2]=84648;I[b+104>>2]=270589952;I[b+108>>2]=65536;I[b+40>>2]=1;I[b+204>>2]=I[b+600>>2]+74;break a}I[b+8>>2]=2;I[b+12>>2]=32;I[b+328>>2]=3;I[b+124>>2]=32;I[b+104>>2]=16864280;I[b+108>>2]=256;I[b+68>>2]=2;I[b+36>>2]=259;I[b+40>>2]=118;I[b+28>>2]=1;G[b+458|0]=J[b+458|0]|128;c=29548;break a}I[b+296>>2]=269487120;I[b+300>>2]=320148500;I[b+8>>2]=3;I[b+12>>2]=278;I[b+144>>2]=2;I[b+104>>2]=32872;a=I[26129];I[b+304>>2]=I[26128];I[b+308>>2]=a;a=I[26131];I[b+312>>2]=I[26130];I[b+316>>2]=a;G[b+465|0]=J[b+465|0]&64|129;c=29553;break a}I[b+296>>2]=336859152;I[b+300>>2]=353768980;I[b+8>>2]=0;I[b+144>>2]=1;I[b+104>>2]=6408;a=I[26133];I[b+304>>2]=I[26132];I[b+308>>2]=a;a=I[26135];I[b+312>>2]=I[26134];I[b+316>>2]=a;G[b+465|0]=J[b+465|0]&64|129;c=29558;break a}I[b+296>>2]=320015376;I[b+300>>2]=353768980;G[b+168|0]=4;I[b+12>>2]=22;I[b+4>>2]=1;I[b+8>>2]=2;I[b+104>>2]=1248;I[b+100>>2]=I[b+96>>2];a=I[26137];I[b+304>>2]=I[26136];I[b+308>>2]=a;a=I[26139];I[b+312>>2]=I[26138];I[b+316>>2]=a;break a}I[b+296>>2]=303174162;I[b+300>>2]=370545684;G[b+169|0]=1;I[b+8>>2]=0;I[b+12>>2]=22;I[b+112>>2]=5288;I[b+100>>2]=I[b+96>>2];a=I[25881];I[b+304>>2]=I[25880];I[b+308>>2]=a;a=I[25883];I[b+312>>2]=I[25882];I[b+316>>2]=a;Ia:{switch(c-29793|0){default:if((c|0)!=27502){if((c|0)!=28012){break d}a=I[26141];I[b+304>>2]=I[26140];I[b+308>>2]=a;a=I[26143];I[b+312>>2]=I[26142];I[b+316>>2]=a;I[b+600>>2]=3328;I[b+296>>2]=320017171;I[b+300>>2]=320017171;I[b+104>>2]=2098176;I[b+108>>2]=131072;I[b+8>>2]=13;break d}I[b+104>>2]=1;I[b+600>>2]=3200;break d;case 4:break Ia;case 1:case 2:case 3:break d;case 0:break e}}I[b+104>>2]=1;I[b+108>>2]=524288;I[b+600>>2]=3072;break d}I[b+328>>2]=10;I[b+296>>2]=353636370;I[b+300>>2]=336925972;G[b+173|0]=1;I[b+8>>2]=7;I[b+12>>2]=32;G[b+168|0]=2;I[b+84>>2]=1;a=I[26145];I[b+304>>2]=I[26144];I[b+308>>2]=a;I[b+104>>2]=(c|0)==24954?2118920:2114824;a=I[26147];I[b+312>>2]=I[26146];I[b+316>>2]=a;break a}pd(b);I[b+296>>2]=303173650;I[b+300>>2]=303174162;I[b+104>>2]=2131208;I[b+8>>2]=3;I[b+12>>2]=32;a=I[25869];I[b+304>>2]=I[25868];I[b+308>>2]=a;a=I[25871];I[b+312>>2]=I[25870];I[b+316>>2]=a;c=29812;break a}Ue(b);c=30059;break a}I[b+112>>2]=21160;I[b+104>>2]=16;I[b+600>>2]=1536;I[b+40>>2]=1;break a}I[b+296>>2]=269488144;I[b+300>>2]=370546198;I[b+8>>2]=0;I[b>>2]=33;I[b+148>>2]=1;I[b+104>>2]=12615688;I[b+16>>2]=2;I[b+100>>2]=I[b+96>>2];I[b+632>>2]=104608;I[b+604>>2]=104608;a=I[26149];I[b+304>>2]=I[26148];I[b+308>>2]=a;a=I[26151];I[b+312>>2]=I[26150];I[b+316>>2]=a;c=30313;break a}G[b+208|0]=1;I[b+104>>2]=0;I[b+336>>2]=104900;c=7890296;break a}I[b+148>>2]=1;I[b+112>>2]=24;I[b+104>>2]=1;I[b+100>>2]=I[b+96>>2];c=7563374;break a}a=I[25877];I[b+304>>2]=I[25876];I[b+308>>2]=a;a=I[25879];I[b+312>>2]=I[25878];I[b+316>>2]=a;I[b+600>>2]=2944;I[b+104>>2]=2097152;I[b+108>>2]=262144;I[b+48>>2]=1}Zb(b);G[b+422|0]=J[b+422|0]|2;break a}I[b+296>>2]=370544662;I[b+300>>2]=370546198;I[b+8>>2]=3;I[b+12>>2]=2;I[b+148>>2]=1;I[b+184>>2]=12544;H[b+170>>1]=257;I[b+176>>2]=1;G[b+172|0]=1;I[b>>2]=33;I[b+4>>2]=0;I[b+100>>2]=I[b+96>>2];a=I[26229];I[b+304>>2]=I[26228];I[b+308>>2]=a;a=I[26231];I[b+312>>2]=I[26230];I[b+316>>2]=a;if((c|0)!=7959909){break a}I[b+112>>2]=24;I[b+104>>2]=1;I[b+108>>2]=1048576;c=7959909;break a}I[b+40>>2]=1}I[b+212>>2]=c;a=I[b+104>>2];if(a&8){I[b+124>>2]=46;I[b+128>>2]=44}if(a&4){I[b+124>>2]=0}return b}function Nc(a,b){var c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0,z=0,A=0,B=0,C=0,D=0;a:{d=I[34618];I[49414]=0;I[49628]=0;I[51888]=0;I[49629]=0;G[207568]=0;I[51887]=0;I[51905]=0;G[198520]=0;G[198508]=1;I[49262]=0;I[51633]=0;I[51906]=0;G[207544]=0;G[207628]=0;I[35751]=0;I[35345]=0;I[35768]=1;I[35769]=1;I[35348]=0;c=I[35790];I[35772]=I[35789];I[35773]=c;c=I[35792];I[35774]=I[35791];I[35775]=c;c=I[35794];I[35776]=I[35793];I[35777]=c;c=I[35796];I[35778]=I[35795];I[35779]=c;c=I[35798];I[35780]=I[35797];I[35781]=c;c=I[35800];I[35782]=I[35799];I[35783]=c;c=I[35802];I[35784]=I[35801];I[35785]=c;I[35786]=I[35803];G[143024]=0;G[143064]=0;G[143012]=0;G[143e3]=0;I[35344]=-1;I[35752]=0;I[34605]=0;I[49261]=I[35777];I[49260]=I[35778];if(!(b&8192)){ff()}I[36498]=0;I[36497]=0;c=I[35790];I[36108]=I[35789];I[36109]=c;c=I[35792];I[36110]=I[35791];I[36111]=c;c=I[35794];I[36112]=I[35793];I[36113]=c;c=I[35796];I[36114]=I[35795];I[36115]=c;c=I[35798];I[36116]=I[35797];I[36117]=c;c=I[35800];I[36118]=I[35799];I[36119]=c;c=I[35802];I[36120]=I[35801];I[36121]=c;I[36122]=I[35803];b:{c:{if(d&1){I[I[34619]>>2]=0;d=I[49629];c=I[51887];if(c|I[51905]){break c}if(d){break c}break b}I[I[34619]>>2]=0;d=I[49629];c=I[51887];if(c|I[51905]){break c}if(!d){break b}}G[198520]=1}I[51888]=0;c=268436735;d:{if(!I[36451]|!I[36448]){break d}I[49264]=b&256;I[49263]=b&16;I[49259]=b&4096;I[36499]=0;if(!I[49252]){c=Qe(86237);if(c){break d}}c=I[35343];if(!c){c=Od();I[35343]=c}c=Kd(c,a,I[I[49252]+328>>2],b);if(c){break d}vd(0);e:{while(1){I[36496]=0;a=I[36451];I[53350]=a;I[56106]=a+I[36450];if(I[52827]<=102399){I[52827]=102400}d=I[53350];if(d>>>0<L[56106]){while(1){f:{c=I[52817];j=I[52818];a=c-j|0;if((((a|0)<=0?a+170|0:a)-171|0)>=-1){a=I[56791];if((a|0)<=0){break f}c=0;I[52823]=0;I[52822]=0;I[52825]=2147483647;a=J[227160]?I[56792]:a;g:{while(1){b=a-1|0;I[56792]=b;if((a|0)<=0){break g}I[53350]=d+1;a=I[53353];f=a+1|0;I[53353]=(f|0)<=5499?f:0;f=d;a=O(I[52815],H[(a<<1)+213424>>1]);d=a>>8;G[f|0]=d;f=I[53350];I[53350]=f+1;G[f|0]=a>>>16;f=I[52816];h:{if(!f){a=b;break h}a=b;b=I[f+4>>2];if(!b){break h}va[b|0](d<<16>>16);a=I[56792]}b=I[53352];f=b+1|0;I[53352]=f;H[(b<<1)+213424>>1]=d;if((f|0)>=5500){I[53352]=0}d=I[53350];if(L[56106]>=d+2>>>0){continue}break}c=1}G[227160]=c;break f}f=(c<<4)+224432|0;a=I[f+4>>2];i:{j:{k:{l:{m:{n:{o:{p:{q:{r:{s:{t:{u:{v:{w:{x:{b=I[f>>2];switch((b&255)-1|0){case 9:break k;case 7:break l;case 10:break m;case 11:break n;case 13:break o;case 0:break p;case 1:break q;case 15:break r;case 2:break s;case 3:break t;case 6:break u;case 5:break v;case 4:break w;case 8:break x;default:break j}}if(!I[52819]){break j}b=I[f+12>>2];d=I[f+8>>2];I[52828]=0;f=d?d:99248;I[52826]=f;I[52829]=a?2097152/(a|0)|0:0;h=I[53031];d=(O(h,I[52848])|0)/50|0;a=b>>16;b=b&65535;c=(O(d,(a|0)<(b|0)?a:b)|0)/2|0;a=((O(d,(a|0)>(b|0)?a:b)|0)/2|0)-c|0;I[52831]=a;b=I[52845];b=((b|0)>=101?101:b)-I[52850]|0;b=c+(O(d-h|0,-18)+((O(I[53030],J[((b|0)>0?b:0)+105584|0])|0)/128|0)|0)|0;I[52830]=b;d=J[f|0];I[35152]=I[53036];I[52827]=b+(O(a,d)>>8);break j}if(!J[227160]){I[56791]=I[56791]-a}I[52841]=100;I[52833]=0;Oe();I[52823]=0;I[52822]=0;I[52825]=2147483647;if(!a){break j}a=G[227160]&1?I[56792]:a;while(1){b=a-1|0;I[56792]=b;if((a|0)<=0){break j}a=I[53350];I[53350]=a+1;d=I[53353];c=d+1|0;I[53353]=(c|0)<=5499?c:0;c=a;a=O(I[52815],H[(d<<1)+213424>>1]);d=a>>8;G[c|0]=d;c=I[53350];I[53350]=c+1;G[c|0]=a>>>16;c=I[52816];y:{if(!c){a=b;break y}a=b;b=I[c+4>>2];if(!b){break y}va[b|0](d<<16>>16);a=I[56792]}b=I[53352];c=b+1|0;I[53352]=c;H[(b<<1)+213424>>1]=d;if((c|0)>=5500){I[53352]=0}c=1;if(L[56106]>=I[53350]+2>>>0){continue}break}break i}I[52833]=0;I[56791]=I[56789];Oe();b=I[f+12>>2];c=I[f+8>>2];z:{if(J[227160]==1){a=I[56793];break z}I[56794]=0}h=b>>8;f=b&255;I[52822]=0;I[52823]=0;while(1){b=a-1|0;I[56793]=b;if((a|0)<=0){break j}a=I[56794];A:{if(!f){d=a+2|0;a=a+c|0;a=G[a+1|0]<<8|J[a|0];break A}d=a+1|0;a=O(f,G[a+c|0])}I[56794]=d;d=I[53353];j=d+1|0;I[53353]=j;a=((O(h,O(I[35117],O(a,I[35118]))>>10)|0)/32|0)+(O(I[52815],H[(d<<1)+213424>>1])>>8)|0;a=(a|0)<=-32768?-32768:a;d=(a|0)>=32767?32767:a;if((j|0)>=5500){I[53353]=0}G[I[53350]]=d;G[I[53350]+1|0]=d>>>8;j=I[52816];B:{if(!j){a=b;break B}a=b;b=I[j+12>>2];if(!b){break B}va[b|0](d<<16>>16);a=I[56793]}b=I[53350];I[53350]=b+2;j=I[53352];m=j+1|0;I[53352]=m;H[(j<<1)+213424>>1]=(O(d,3)|0)/4;if((m|0)>=5500){I[53352]=0}if(L[56106]>=b+4>>>0){continue}break}c=1;break i}b=I[f+12>>2];d=a>>>16|0;I[52837]=d;a=a&65535;I[52833]=a;c=b&255;I[52834]=c;I[52835]=b>>8;if(!c){I[52837]=d<<1;I[52833]=a<<1}I[52838]=0;I[52836]=0;I[52832]=I[f+8>>2];break j}I[52833]=0}I[56791]=I[56789];b=I[52819];C:{if(!J[227160]){if(!b){break j}d=I[f+12>>2];f=I[f+8>>2];h=a>>16;I[57972]=h&255;G[227200]=1;I[57968]=0;if(a&67108864){I[57968]=3;I[57969]=I[(h>>>6&12)+110400>>2]}if(a&134217728){I[57968]=4;I[57969]=I[(h>>>6&12)+110416>>2]}a=a&65504;while(1){D:{c=c+1|0;c=(c|0)<=169?c:0;if((j|0)==(c|0)){break D}h=I[(c<<4)+224432>>2];if((h|0)==3){G[227200]=0;break D}if(h-5>>>0>1){continue}}break}I[57973]=I[52822];a=a+32&131008;a=a?a:64;I[52823]=a+I[52823];I[57744]=O(H[106117],1996800)+(K[106144]<<16);I[57764]=O(H[106118],2304e3)+(K[106145]<<16);h=d+32|0;j=f+32|0;m=d+26|0;l=b+200|0;n=f+26|0;q=d+2|0;r=f+2|0;x=d+18|0;y=b+182|0;f=f+18|0;w=b+218|0;A=b+164|0;B=I[53040];g=+(a>>>0);e=+(a>>>2>>>0);a=0;while(1){if((a|0)!=7){b=a<<1;d=K[b+w>>1]<<16;c=O(a,80)+230416|0;u=H[b+A>>1];v=d+(O(u,H[b+r>>1])<<8)|0;I[c>>2]=v;i=+(v|0);N[c+16>>3]=i;N[c+48>>3]=(+(d+(O(u,H[b+q>>1])<<8)|0)-i)*16/e}b=O(a,80)+230416|0;d=J[a+f|0];c=a<<1;u=H[c+y>>1];v=O(d,u)<<6;I[b+4>>2]=v;N[b+24>>3]=v|0;N[b+56>>3]=+(O(u,J[a+x|0]-d|0)<<6)*64/g;E:{if((a|0)>(B|0)|a>>>0>5){break E}c=H[c+l>>1];d=O(c,J[a+n|0])<<10;I[b+8>>2]=d;i=+(d|0);N[b+32>>3]=i;c=c<<10;N[b+64>>3]=(+(O(c,J[a+m|0])|0)-i)*64/g;if(a>>>0<=2){d=O(c,J[a+j|0]);I[b+12>>2]=d;i=+(d|0);N[b+40>>3]=i;N[b+72>>3]=(+(O(c,J[a+h|0])|0)-i)*64/g;break E}I[b+12>>2]=d}a=a+1|0;if((a|0)!=8){continue}break}break C}if(!b){break j}}while(1){a=I[52822];if(!J[227200]&(a|0)==I[52823]){break j}F:{G:{H:{I:{if(!(a&63)){if(!a){I[52886]=227216;I[56802]=0;C=227184,D=Pe(I[52827]<<4,227216,0),I[C>>2]=D;h=I[52827];I[56797]=890/(h>>12);I[56799]=(O(I[52841],O(I[52839],h>>8))|0)/8e4;break G}if(!I[52819]){h=I[52827];break G}b=I[52828]+I[52829]|0;I[52828]=b;d=I[52826];if(d){b=b>>8;b=O(J[d+((b|0)>=127?127:b)|0],I[52831])>>8}else{b=0}I[57971]=I[57971]+I[57975];d=I[57974];d=(d|0)<=23551?d:0;I[57974]=d+I[52821];h=(b+I[52830]|0)+O(I[35152],J[(d>>6)+110432|0]-128|0)|0;I[52827]=h;d=I[53351];b=d?d<<12:h;if(!(!d&(b|0)>102399)){h=(b|0)<=102400?102400:b;I[52827]=h}if((a|0)==I[57973]){break G}c=0;d=I[53040];if((d|0)<0){break H}while(1){a=O(c,80)+230416|0;g=N[a+48>>3]+N[a+16>>3];N[a+16>>3]=g;e=N[a+56>>3]+N[a+24>>3];N[a+24>>3]=e;i=N[a+64>>3]+N[a+32>>3];N[a+32>>3]=i;if(Q(g)<2147483648){b=~~g}else{b=-2147483648}I[a>>2]=b;if(Q(i)<2147483648){f=~~i}else{f=-2147483648}I[a+8>>2]=f;if(Q(e)<2147483648){b=~~e}else{b=-2147483648}I[a+4>>2]=(b|0)>0?b:0;J:{if((c|0)>2){break J}g=N[a+72>>3]+N[a+40>>3];N[a+40>>3]=g;if(Q(g)<2147483648){f=~~g;break J}f=-2147483648}I[a+12>>2]=f;c=c+1|0;if((d|0)>=(c|0)){continue}break}break I}if(a&7){break F}b=I[56796];K:{if((b|0)<=0){break K}d=I[56795];if((d|0)<=0){break K}c=I[52886];a=1;while(1){f=a<<2;h=f+c|0;I[h>>2]=I[h>>2]+I[f+211552>>2];if(a>>>0>28|a>>>0>=b>>>0){break K}f=(a|0)<(d|0);a=a+1|0;if(f){continue}break}}a=I[35153];if((a|0)>255){break F}I[35153]=a+1;break F}if((c|0)>=8){break G}}while(1){if((c|0)!=7){a=O(c,80)+230416|0;g=N[a+48>>3]+N[a+16>>3];N[a+16>>3]=g;if(Q(g)<2147483648){b=~~g}else{b=-2147483648}I[a>>2]=b}a=O(c,80)+230416|0;g=N[a+56>>3]+N[a+24>>3];N[a+24>>3]=g;if(Q(g)<2147483648){b=~~g}else{b=-2147483648}I[a+4>>2]=(b|0)>0?b:0;c=c+1|0;if((c|0)!=8){continue}break}}I[57966]=h>>11;I[56795]=I[56796];I[57964]=O(I[52820],h>>7);I[57965]=I[52814]/(h>>12);a=I[56802];b=a^1;I[56802]=b;I[52886]=O(a,1600)+227216;C=227184,D=Pe(h<<4,O(b,1600)+227216|0,1),I[C>>2]=D;a=I[52819];if(!a|!I[53082]){break F}d=a+308|0;c=a+272|0;e=N[26460];i=N[26459];a=1;while(1){b=a<<2;if(I[b+c>>2]){f=I[b+d>>2];b=O(a,40)+211696|0;k=Ta(e*+H[(O(a,80)+230416|0)+2>>1]);g=Ua(i*+(f|0));k=k*g;k=k+k;N[b+8>>3]=k;g=g*-g;N[b+16>>3]=g;N[b>>3]=1-k-g}a=a+1|0;if((a|0)!=9){continue}break}}f=I[52822]+1|0;I[52822]=f;a=I[52825];h=a+I[57964]|0;I[52825]=h;L:{if(!((h|0)<0&(a|0)>0)){d=I[57967];break L}m=I[57965];d=I[52860]+((m|0)/-2|0)|0;I[57967]=d;l=I[52823];if((l|0)<(f|0)){break j}n=I[56798]+1|0;I[56798]=n;j=I[52827];b=I[53040];a=b+1|0;M:{if((a|0)>8){break M}c=j<<3;if(b&1){I[(a<<2)+211504>>2]=((I[O(a,80)+230416>>2]/(c|0)|0)+1|0)/2;a=b+2|0}if((b|0)==7){break M}while(1){b=(a<<2)+211504|0;q=O(a,80)+230416|0;I[b>>2]=((I[q>>2]/(c|0)|0)+1|0)/2;I[b+4>>2]=((I[q+80>>2]/(c|0)|0)+1|0)/2;a=a+2|0;if((a|0)!=9){continue}break}}a=(O(I[52841],O(I[52839],j>>8))|0)/8e4|0;I[56799]=a;b=I[57968];N:{if((b|0)<=0){break N}O:{switch(b-3|0){case 0:if((l-f|0)>=m<<1){break N}I[57968]=2;a=(O(I[57969],a)|0)/256|0;I[56799]=a;break N;case 1:I[57968]=2;a=(O(I[57969],a)|0)/256|0;I[56799]=a;break N;default:break O}}I[57968]=b-1}b=I[57970];if(b){c=a;a=I[57971]>>8;a=(O(c,J[b+((a|0)>=127?127:a)|0])|0)/128|0;I[56799]=a}b=I[I[35052]+92>>2];if((b|0)>7){break L}c=J[I[57972]+((b<<3)+106240|0)|0];b=c&15;c=c>>>4|0;if(!c){break L}if((c|0)==15){I[57972]=0;I[56799]=(O(a,b)|0)/16;break L}if((n|0)%(c|0)|0){break L}I[56799]=(O(a,b)|0)/16}c=d+1|0;I[57967]=c;b=h>>>16|0;a=0;if(!((c|0)<0|(c|0)>=I[52859])){h=0;d=I[53040];a=d+1|0;P:{if((a|0)>8){break P}f=8-d|0;j=f&1;if((d|0)!=7){m=f&-2;d=0;while(1){f=a<<2;l=f+4|0;h=O(I[l+211456>>2],H[(O(b,I[l+211504>>2])>>>4&4094)+106304>>1])+(O(I[f+211456>>2],H[(O(b,I[f+211504>>2])>>>4&4094)+106304>>1])+h|0)|0;a=a+2|0;d=d+2|0;if((m|0)!=(d|0)){continue}break}}if(!j){break P}a=a<<2;h=O(I[a+211456>>2],H[(O(b,I[a+211504>>2])>>>4&4094)+106304>>1])+h|0}a=O(J[c+140480|0],(h|0)/I[57966]|0)}c=1;d=I[56797];if((d|0)<=0){f=b}else{f=1;m=d&1;j=I[52886];Q:{if((d|0)==1){c=b;break Q}l=j+4|0;n=d&2147483646;q=b+b|0;h=0;c=b;while(1){r=f<<2;a=O(I[r+l>>2],H[((b+c&65504)>>>4|0)+106304>>1])+(O(I[j+r>>2],H[((c&65504)>>>4|0)+106304>>1])+a|0)|0;f=f+2|0;c=c+q|0;h=h+2|0;if((n|0)!=(h|0)){continue}break}}if(m){a=O(I[j+(f<<2)>>2],H[((c&65504)>>>4|0)+106304>>1])+a|0}c=d+1|0;f=O(b,c)}d=I[56795];if((d|0)>=(c|0)){h=I[52886];while(1){a=a-O(I[h+(c<<2)>>2],H[((f&65504)>>>4|0)+106304>>1])|0;f=b+f|0;c=c+1|0;if((d|0)>=(c|0)){continue}break}}b=a;d=a>>6;a=I[56788];c=(a|0)==64?b:O(d,a);if(I[53082]){R:{if(!I[52819]){a=0;break R}b=Dg(I[35269],0,1103515245,0);a=ua;b=b+12345|0;a=b>>>0<12345?a+1|0:a;a=Fg(b,a);I[35269]=a;g=+((a&16383)- -8192|0);b=I[53083];if(b){e=N[26471];i=N[26470];N[26471]=i;e=e*N[26469]+(N[26467]*g+i*N[26468]);N[26470]=e;if(Q(e)<2147483648){a=~~e}else{a=-2147483648}a=O(a,O(b,I[57625]>>14))}else{a=0}d=I[53084];if(d){e=N[26476];i=N[26475];N[26476]=i;e=e*N[26474]+(N[26472]*g+i*N[26473]);N[26475]=e;if(Q(e)<2147483648){b=~~e}else{b=-2147483648}a=O(b,O(d,I[57645]>>14))+a|0}d=I[53085];if(d){e=N[26481];i=N[26480];N[26481]=i;e=e*N[26479]+(N[26477]*g+i*N[26478]);N[26480]=e;if(Q(e)<2147483648){b=~~e}else{b=-2147483648}a=O(b,O(d,I[57665]>>14))+a|0}d=I[53086];if(d){e=N[26486];i=N[26485];N[26486]=i;e=e*N[26484]+(N[26482]*g+i*N[26483]);N[26485]=e;if(Q(e)<2147483648){b=~~e}else{b=-2147483648}a=O(b,O(d,I[57685]>>14))+a|0}d=I[53087];if(d){e=N[26491];i=N[26490];N[26491]=i;e=e*N[26489]+(N[26487]*g+i*N[26488]);N[26490]=e;if(Q(e)<2147483648){b=~~e}else{b=-2147483648}a=O(b,O(d,I[57705]>>14))+a|0}d=I[53088];if(d){e=N[26496];i=N[26495];N[26496]=i;e=e*N[26494]+(N[26492]*g+i*N[26493]);N[26495]=e;if(Q(e)<2147483648){b=~~e}else{b=-2147483648}a=O(b,O(d,I[57725]>>14))+a|0}d=I[53089];if(d){e=N[26501];i=N[26500];N[26501]=i;e=e*N[26499]+(N[26497]*g+i*N[26498]);N[26500]=e;if(Q(e)<2147483648){b=~~e}else{b=-2147483648}a=O(b,O(d,I[57745]>>14))+a|0}d=I[53090];if(!d){break R}e=N[26506];i=N[26505];N[26506]=i;g=e*N[26504]+(N[26502]*g+i*N[26503]);N[26505]=g;if(Q(g)<2147483648){b=~~g}else{b=-2147483648}a=O(b,O(d,I[57765]>>14))+a|0}c=a+c|0}f=0;a=I[52836];S:{if((a|0)>=I[52833]){break S}b=I[52838];f=I[52832];h=I[52834];T:{if(!h){d=b+(a+f|0)|0;f=J[d|0];h=G[d+1|0];d=a+2|0;I[52836]=d;a=h<<8|f;break T}d=a+1|0;I[52836]=d;a=O(h,G[a+(b+f|0)|0])}f=(O(O(a,I[52840])>>10,I[52835])|0)/32|0;a=I[52837];if((a|0)>(b+d|0)){break S}I[52838]=b+((O(a,3)|0)/-4|0)}a=I[53353];d=a+1|0;I[53353]=d;b=((O(I[56799],c>>8)>>13)+f|0)+(O(I[52815],H[(a<<1)+213424>>1])>>8)|0;if((d|0)>=5500){I[53353]=0}c=I[35153];a=O(c,b)>>8;U:{V:{if((a|0)>=32768){d=8388608/(b|0)|0;if((c|0)>=(d|0)){break V}break U}if((a|0)>-32768){break U}d=-8388608/(b|0)|0;if((c|0)<(d|0)){break U}}a=d-1|0;I[35153]=a;a=O(a,b)>>8}b=I[53350];I[53350]=b+1;G[b|0]=a;b=I[53350];I[53350]=b+1;G[b|0]=a>>>8;b=I[52816];W:{if(!b){break W}b=I[b+8>>2];if(!b){break W}va[b|0](a<<16>>16)}b=I[53352];d=b+1|0;I[53352]=d;H[(b<<1)+213424>>1]=a;if((d|0)>=5500){I[53352]=0}if(L[56106]>=I[53350]+2>>>0){continue}break}c=1;break i}va[I[I[52816]>>2]](a,I[f+8>>2]);Ma(a);break j}I[52833]=0}I[56791]=I[56789];h=a&65535;m=J[227160];b=I[f+8>>2];a=I[f+12>>2];e=0;i=0;d=ra+-64|0;ra=d;f=I[52819];c=I[f+132>>2];X:{if((c|0)==6){j=ra-752|0;ra=j;Y:{if(m){break Y}c=j+376|0;Ja(c,0,376);Me(f,b,c);b=a;a=Ja(j,0,368);Me(f,b,a);b=I[52828]+O(I[52829],h>>>6|0)|0;I[52828]=b;b=b>>8;b=I[52830]+(O(I[52831],J[I[52826]+((b|0)>=127?127:b)|0])>>8)|0;I[52827]=b;N[a+368>>3]=(b|0)/4096|0;if(I[52833]){N[a+736>>3]=N[a+736>>3]/5;N[a+360>>3]=N[a+360>>3]/5}b=I[I[58855]+4>>2];va[I[I[b>>2]>>2]](b,a+376|0,110,110,-1,0);b=h-110|0;m=I[52818];c=I[52817];Z:{while(1){_:{c=(c+1|0)%170|0;if((m|0)==(c|0)){break _}l=I[(c<<4)+224432>>2];if(l-5>>>0<2){break _}f=1;if((l|0)!=1){continue}break Z}break}b=h-220|0;f=0}if((b|0)>0){c=I[I[58855]+4>>2];va[I[I[c>>2]>>2]](c,a,b,b>>>0<=1?1:b,-1,0)}if(f){break Y}I[a+352>>2]=0;I[a+356>>2]=0;N[a>>3]=N[a+368>>3];b=I[I[58855]+4>>2];va[I[I[b>>2]>>2]](b,a,55,55,-1,0);I[a+360>>2]=0;I[a+364>>2]=0;b=I[I[58855]+4>>2];va[I[I[b>>2]>>2]](b,a,55,55,-1,0)}a=I[I[58855]+8>>2];b=I[53350];f=va[I[I[a>>2]>>2]](a,I[56106]-b>>>1|0,b)|0;h=I[53350];$:{if(!f){break $}c=I[52836];q=I[52833];if((c|0)>=(q|0)){break $}r=I[52837];x=(O(r,3)|0)/-4|0;g=+I[52840]*.0009765625;m=I[52832];a=I[52838];y=I[52835];l=I[52834];b=0;while(1){n=J[(c+m|0)+a|0];aa:{if(!l){c=c+1|0;I[52836]=c;n=n|G[(c+m|0)+a|0]<<8;break aa}n=O(l,n<<24>>24)}e=g*+(n|0);ba:{if(Q(e)<2147483648){n=~~e;break ba}n=-2147483648}w=h+(b<<1)|0;H[w>>1]=K[w>>1]+((O(n,y)|0)/40|0);if((r|0)<=(a+c|0)){a=a+x|0;I[52838]=a}c=c+1|0;I[52836]=c;if((c|0)>=(q|0)){break $}b=b+1|0;if(f>>>0>b>>>0){continue}break}}a=h+(f<<1)|0;I[53350]=a;ra=j+752|0;c=L[56106]<=a>>>0;break X}if(!m){if(c-1>>>0<=4){I[57981]=c;I[58024]=I[(c<<2)+110800>>2]}c=I[f+88>>2];I[56801]=1;I[57982]=(c|0)/32;j=I[52818];c=I[52817];while(1){ca:{c=c+1|0;c=(c|0)<=169?c:0;if((j|0)==(c|0)){break ca}m=(c<<4)+224432|0;l=I[m>>2];if((l|0)==1){I[56801]=0;c=I[m+8>>2];if(!(K[c+4>>1]!=K[a+4>>1]|K[c+6>>1]!=K[a+6>>1]|(K[c+8>>1]!=K[a+8>>1]|K[c+10>>1]!=K[a+10>>1]))){if(K[c+12>>1]==K[a+12>>1]){break ca}}I[56801]=2;break ca}if(l-5>>>0>1){continue}}break}da:{if(!(K[b+4>>1]!=K[117680]|K[b+6>>1]!=K[117681]|(K[b+8>>1]!=K[117682]|K[b+10>>1]!=K[117683]))){if(K[b+12>>1]==K[117684]){break da}}kd();I[58032]=0;I[58033]=0;I[58048]=0;I[58049]=0;I[58064]=0;I[58065]=0;I[58080]=0;I[58081]=0;I[58096]=0;I[58097]=0;I[58112]=0;I[58113]=0;I[58128]=0;I[58129]=0;I[58144]=0;I[58145]=0;I[58160]=0;I[58161]=0;I[58034]=0;I[58035]=0;I[58050]=0;I[58051]=0;I[58066]=0;I[58067]=0;I[58082]=0;I[58083]=0;I[58098]=0;I[58099]=0;I[58114]=0;I[58115]=0;I[58130]=0;I[58131]=0;I[58146]=0;I[58147]=0;I[58162]=0;I[58163]=0;I[58178]=0;I[58179]=0;I[58176]=0;I[58177]=0;I[58194]=0;I[58195]=0;I[58192]=0;I[58193]=0;I[58210]=0;I[58211]=0;I[58208]=0;I[58209]=0;I[58226]=0;I[58227]=0;I[58224]=0;I[58225]=0;I[58242]=0;I[58243]=0;I[58240]=0;I[58241]=0;I[58258]=0;I[58259]=0;I[58256]=0;I[58257]=0;I[58274]=0;I[58275]=0;I[58272]=0;I[58273]=0;I[58290]=0;I[58291]=0;I[58288]=0;I[58289]=0}c=K[a+4>>1]|K[a+6>>1]<<16;j=K[a>>1]|K[a+2>>1]<<16;H[117678]=j;H[117679]=j>>>16;H[117680]=c;H[117681]=c>>>16;c=K[a+60>>1]|K[a+62>>1]<<16;j=K[a+56>>1]|K[a+58>>1]<<16;H[117706]=j;H[117707]=j>>>16;H[117708]=c;H[117709]=c>>>16;c=K[a+52>>1]|K[a+54>>1]<<16;j=K[a+48>>1]|K[a+50>>1]<<16;H[117702]=j;H[117703]=j>>>16;H[117704]=c;H[117705]=c>>>16;c=K[a+44>>1]|K[a+46>>1]<<16;j=K[a+40>>1]|K[a+42>>1]<<16;H[117698]=j;H[117699]=j>>>16;H[117700]=c;H[117701]=c>>>16;c=K[a+36>>1]|K[a+38>>1]<<16;j=K[a+32>>1]|K[a+34>>1]<<16;H[117694]=j;H[117695]=j>>>16;H[117696]=c;H[117697]=c>>>16;c=K[a+28>>1]|K[a+30>>1]<<16;j=K[a+24>>1]|K[a+26>>1]<<16;H[117690]=j;H[117691]=j>>>16;H[117692]=c;H[117693]=c>>>16;c=K[a+20>>1]|K[a+22>>1]<<16;j=K[a+16>>1]|K[a+18>>1]<<16;H[117686]=j;H[117687]=j>>>16;H[117688]=c;H[117689]=c>>>16;c=K[a+12>>1]|K[a+14>>1]<<16;j=K[a+8>>1]|K[a+10>>1]<<16;H[117682]=j;H[117683]=j>>>16;H[117684]=c;H[117685]=c>>>16;g=+(h|0);m=H[b>>1]&1;ea:{if(m){c=J[b+39|0];I[58740]=c;N[29394]=c>>>0;N[29384]=+(J[a+39|0]-c<<6)/g;c=J[b+40|0];N[29396]=c>>>0;N[29386]=+(J[a+40|0]-c<<6)/g;c=J[b+41|0];I[58742]=c;N[29398]=c>>>0;N[29388]=+(J[a+41|0]-c<<6)/g;j=J[b+42|0];I[58744]=j;N[29400]=j>>>0;c=J[b+43|0];i=+(J[a+43|0]-c<<6)/g;e=+(J[a+42|0]-j<<6)/g;k=+(c>>>0);break ea}I[58788]=0;I[58789]=0;c=0;I[58740]=0;I[58768]=0;I[58769]=0;I[58792]=0;I[58793]=0;I[58772]=0;I[58773]=0;I[58742]=0;I[58796]=0;I[58797]=0;I[58776]=0;I[58777]=0;I[58744]=0;I[58800]=0;I[58801]=0;k=0}I[58748]=c;N[29390]=e;N[29402]=k;N[29392]=i;I[58752]=0;I[58808]=0;I[58809]=0;I[58754]=0;I[58812]=0;I[58813]=0;I[58756]=0;I[58816]=0;I[58817]=0;I[58760]=0;I[58820]=0;I[58821]=0;I[58764]=0;I[58824]=0;I[58825]=0;I[52824]=h;h=H[f+166>>1];i=+H[f+220>>1];e=+(O(h,H[b+4>>1])|0)*.00390625+i;N[28904]=e;if(Q(e)<2147483648){c=~~e}else{c=-2147483648}I[57804]=c;N[28908]=(+(O(h,H[a+4>>1])|0)*.00390625+i-e)*64/g;e=+H[f+202>>1]*.00390625*+(J[b+36|0]<<1>>>0);N[28905]=e;if(Q(e)<2147483648){c=~~e}else{c=-2147483648}I[57805]=c;N[28909]=(+(J[a+36|0]<<1>>>0)-e)*64/g;h=H[f+168>>1];i=+H[f+222>>1];e=+(O(h,H[b+6>>1])|0)*.00390625+i;N[28914]=e;if(Q(e)<2147483648){c=~~e}else{c=-2147483648}I[57824]=c;N[28918]=(+(O(h,H[a+6>>1])|0)*.00390625+i-e)*64/g;e=+H[f+204>>1]*.00390625*+(J[b+37|0]<<1>>>0);N[28915]=e;if(Q(e)<2147483648){c=~~e}else{c=-2147483648}I[57825]=c;N[28919]=(+(J[a+37|0]<<1>>>0)-e)*64/g;h=H[f+170>>1];i=+H[f+224>>1];e=+(O(h,H[b+8>>1])|0)*.00390625+i;N[28924]=e;if(Q(e)<2147483648){c=~~e}else{c=-2147483648}I[57844]=c;N[28928]=(+(O(h,H[a+8>>1])|0)*.00390625+i-e)*64/g;e=+H[f+206>>1]*.00390625*+(J[b+38|0]<<1>>>0);N[28925]=e;if(Q(e)<2147483648){c=~~e}else{c=-2147483648}I[57845]=c;N[28929]=(+(J[a+38|0]<<1>>>0)-e)*64/g;h=H[f+172>>1];i=+H[f+226>>1];e=+(O(h,H[b+10>>1])|0)*.00390625+i;N[28934]=e;if(Q(e)<2147483648){c=~~e}else{c=-2147483648}I[57864]=c;N[28938]=(+(O(h,H[a+10>>1])|0)*.00390625+i-e)*64/g;h=H[f+174>>1];i=+H[f+228>>1];e=+(O(h,H[b+12>>1])|0)*.00390625+i;N[28944]=e;if(Q(e)<2147483648){c=~~e}else{c=-2147483648}I[57884]=c;N[28948]=(+(O(h,H[a+12>>1])|0)*.00390625+i-e)*64/g;c=J[b+40|0];i=+I[58678];e=c?+(c<<1>>>0):i;N[28894]=e;if(Q(e)<2147483648){c=~~e}else{c=-2147483648}I[57784]=c;c=J[a+40|0];I[57790]=0;I[57791]=1079394304;I[57798]=0;I[57799]=0;I[57785]=89;N[28898]=((c?+(c<<1>>>0):i)-e)*64/g;if(m){c=J[b+57|0];f=c<<2;I[57807]=f;N[28907]=f>>>0;N[28911]=+(J[a+57|0]-c<<2)*64/g;c=J[b+50|0];I[57806]=c;e=+(c>>>0);N[28906]=e;N[28910]=(+J[a+50|0]-e)*64/g;c=J[b+58|0];f=c<<2;I[57827]=f;N[28917]=f>>>0;N[28921]=+(J[a+58|0]-c<<2)*64/g;c=J[b+51|0];I[57826]=c;e=+(c>>>0);N[28916]=e;N[28920]=(+J[a+51|0]-e)*64/g;c=J[b+59|0];f=c<<2;I[57847]=f;N[28927]=f>>>0;N[28931]=+(J[a+59|0]-c<<2)*64/g;c=J[b+52|0];I[57846]=c;e=+(c>>>0);N[28926]=e;N[28930]=(+J[a+52|0]-e)*64/g;c=J[b+60|0];f=c<<2;I[57867]=f;N[28937]=f>>>0;N[28941]=+(J[a+60|0]-c<<2)*64/g;c=J[b+53|0];I[57866]=c;e=+(c>>>0);N[28936]=e;N[28940]=(+J[a+53|0]-e)*64/g;c=J[b+61|0];f=c<<2;I[57887]=f;N[28947]=f>>>0;N[28951]=+(J[a+61|0]-c<<2)*64/g;c=J[b+54|0];I[57886]=c;e=+(c>>>0);N[28946]=e;N[28950]=(+J[a+54|0]-e)*64/g;c=J[b+62|0];f=c<<2;I[57907]=f;N[28957]=f>>>0;N[28961]=+(J[a+62|0]-c<<2)*64/g;b=J[b+55|0];I[57906]=b;e=+(b>>>0);N[28956]=e;N[28960]=(+J[a+55|0]-e)*64/g}I[58666]=0}fa:{while(1){n=I[52824];f=I[58666];if((n|0)<=(f|0)){break fa}a=I[52827];I[58669]=I[57784];I[58679]=I[57785];I[58670]=I[57804];I[58680]=I[57805];I[58671]=I[57824];I[58681]=I[57825];I[58672]=I[57844];I[58682]=I[57845];I[58673]=I[57864];q=O(a,10);I[58667]=(q|0)/4096;I[58674]=I[57884];I[58690]=I[57806];I[58691]=I[57826];I[58692]=I[57846];I[58693]=I[57866];I[58694]=I[57886];I[58695]=I[57906];r=I[58740];I[58668]=r;c=I[58754];I[58716]=c;h=I[58756];I[58713]=h;j=I[58760];I[58715]=j;m=I[58744];I[58709]=m;I[58711]=I[58764];I[58714]=I[58748];I[58712]=I[58742];I[58710]=I[58752];b=0;while(1){a=O(b,80)+231136|0;g=N[a+48>>3]+N[a+16>>3];N[a+16>>3]=g;e=N[a+56>>3]+N[a+24>>3];N[a+24>>3]=e;i=N[a+72>>3]+N[a+40>>3];N[a+40>>3]=i;k=N[a+64>>3]+N[a+32>>3];N[a+32>>3]=k;if(Q(g)<2147483648){l=~~g}else{l=-2147483648}I[a>>2]=l;if(Q(e)<2147483648){l=~~e}else{l=-2147483648}I[a+4>>2]=l;if(Q(i)<2147483648){l=~~i}else{l=-2147483648}I[a+12>>2]=l;if(Q(k)<2147483648){l=~~k}else{l=-2147483648}I[a+8>>2]=l;b=b+1|0;if((b|0)!=9){continue}break}g=N[29384]+N[29394];N[29394]=g;N[29396]=N[29386]+N[29396];e=N[29388]+N[29398];N[29398]=e;i=N[29390]+N[29400];N[29400]=i;k=N[29392]+N[29402];N[29402]=k;if(Q(g)<2147483648){a=~~g}else{a=-2147483648}I[58740]=a;if(Q(e)<2147483648){a=~~e}else{a=-2147483648}I[58742]=a;if(Q(i)<2147483648){a=~~i}else{a=-2147483648}I[58744]=a;if(Q(k)<2147483648){a=~~k}else{a=-2147483648}I[58748]=a;g=N[29404]+0;N[29404]=g;if(Q(g)<2147483648){a=~~g}else{a=-2147483648}I[58752]=a;g=N[29406]+0;N[29406]=g;if(Q(g)<2147483648){a=~~g}else{a=-2147483648}I[58754]=a;g=N[29408]+0;N[29408]=g;if(Q(g)<2147483648){a=~~g}else{a=-2147483648}I[58756]=a;g=N[29410]+0;N[29410]=g;if(Q(g)<2147483648){a=~~g}else{a=-2147483648}I[58760]=a;g=N[29412]+0;N[29412]=g;if(Q(g)<2147483648){a=~~g}else{a=-2147483648}I[58764]=a;I[58719]=I[57784];I[58729]=I[57785];I[58720]=I[57804];I[58730]=I[57805];I[58721]=I[57824];I[58731]=I[57825];I[58722]=I[57844];I[58732]=I[57845];I[58723]=I[57864];I[58724]=I[57884];I[58725]=I[57904];a=I[52828]+I[52829]|0;I[52828]=a;a=a>>8;I[52827]=I[52830]+(O(I[52831],J[I[52826]+((a|0)>=127?127:a)|0])>>8);a=n-f|0;I[57983]=(a|0)>=64?64:a;I[58021]=(q|0)/40960;a=r-7|0;I[58718]=(a|0)>0?a:0;if(m>>>0<=87){g=+H[(m<<1)+111040>>1]*.001*.05}else{g=0}N[29004]=g;if(h>>>0<=87){g=+H[(h<<1)+111040>>1]*.001*.25}else{g=0}N[29005]=g;if(c>>>0<=87){g=+H[(c<<1)+111040>>1]*.001}else{g=0}N[29003]=g;if(j>>>0<=87){g=+H[(j<<1)+111040>>1]*.001*.05}else{g=0}N[29001]=g;a=I[58689];if(a>>>0<=87){g=+H[(a<<1)+111040>>1]*.001*.6}else{g=0}N[d>>3]=g;a=I[58690];if(a>>>0<=87){g=+H[(a<<1)+111040>>1]*.001*.4}else{g=0}N[d+8>>3]=g;a=I[58691];if(a>>>0<=87){g=+H[(a<<1)+111040>>1]*.001*.15}else{g=0}N[d+16>>3]=g;a=I[58692];if(a>>>0<=87){g=+H[(a<<1)+111040>>1]*.001*.06}else{g=0}N[d+24>>3]=g;a=I[58693];if(a>>>0<=87){g=+H[(a<<1)+111040>>1]*.001*.04}else{g=0}N[d+32>>3]=g;a=I[58694];if(a>>>0<=87){g=+H[(a<<1)+111040>>1]*.001*.022}else{g=0}N[d+40>>3]=g;a=I[58695];if(a>>>0<=87){g=+H[(a<<1)+111040>>1]*.001*.03}else{g=0}N[d+48>>3]=g;a=I[58717]-3|0;a=(a|0)<=0?57:a;if(a>>>0<=87){g=+H[(a<<1)+111040>>1]*.001}else{g=0}N[29007]=g/+I[58024];g=N[28998];i=N[28997];c=1;while(1){b=c<<6;a=b+231904|0;f=c<<2;h=f+234668|0;e=Ua(i*+I[h+48>>2]);k=e*-e;N[a+216>>3]=k;e=e*Ta(g*+I[h+8>>2]);e=e+e;N[a+208>>3]=e;s=1-e-k;N[a+200>>3]=s;if(c>>>0<=5){f=f+234668|0;h=I[f+208>>2];b=b+231904|0;o=Ua(i*+I[f+248>>2]);p=o*Ta(g*+(h|0));p=p+p;N[b+1488>>3]=p;o=o*-o;N[b+1496>>3]=o;t=1-p-o;N[b+1480>>3]=t;N[a+256>>3]=(o-k)*.015625;N[a+248>>3]=(p-e)*.015625;N[a+240>>3]=(t-s)*.015625}c=c+1|0;if((c|0)!=10){continue}break}e=Ua(i*+I[58679]);o=e*-e;N[29015]=o;e=e*Ta(g*+(0-I[58669]|0));p=e+e;N[29014]=p;e=1-p-o;N[29013]=e;if(e!=0){e=1/e;N[29013]=e;k=-e;o=o*k;N[29015]=o;p=p*k;N[29014]=p}k=Ua(i*+I[58729]);s=k*-k;N[29175]=s;k=k*Ta(g*+(0-I[58719]|0));t=k+k;N[29174]=t;k=1-t-s;N[29173]=k;if(k!=0){k=1/k;N[29173]=k;z=-k;s=s*z;N[29175]=s;t=t*z;N[29174]=t}N[29020]=(s-o)*.015625;N[29019]=(t-p)*.015625;N[29018]=(k-e)*.015625;c=0;while(1){b=(c<<2)+234668|0;f=I[b+8>>2];a=(c<<6)+231904|0;e=Ua(i*+I[b+128>>2]);k=e*Ta(g*+(f|0));k=k+k;N[a+848>>3]=k;e=e*-e;N[a+856>>3]=e;N[a+840>>3]=N[d+(c<<3)>>3]*(1-k-e);c=c+1|0;if((c|0)!=7){continue}break}e=Ua(i*+(I[57978]/2|0));i=e*-e;N[29167]=i;g=e*Ta(g*0);g=g+g;N[29166]=g;N[29165]=1-g-i;if(!Ne()){continue}break}c=1;break X}c=1;if(I[56801]>0){I[56801]=0;I[58023]=64;I[58666]=f+-64;I[57983]=64;if(Ne()){break X}}c=0}ra=d- -64|0;if(!c){break j}c=1;break i}I[52841]=a?a:100;break j}ld(a,I[f+8>>2]);break j}a=I[f+8>>2];C=211276,D=Ka(212056,a,1344),I[C>>2]=D;I[52861]=I[a+108>>2]?105696:105968;a=(O(I[a+120>>2],26)|0)/100|0;I[35118]=a;d=I[52814];if((d|0)<=11e3){G[211540]=1;I[35118]=a<<1}I[56788]=I[53042];a=I[53039];b=I[53038];Ja(213424,0,11e3);I[53353]=0;c=I[52849];h=(c|0)>0;b=h?130:(b|0)>=5499?5499:b;a=b?h?c:(a|0)>=100?100:a:0;I[52815]=a;b=(O(b,d)|0)/1e3|0;I[53352]=b;I[56789]=(a|0)>20?b<<1:a?b:0;I[35117]=(O(500-a|0,(O(J[I[52857]+105500|0],(O(I[52847],55)|0)/100|0)|0)/16|0)|0)/500;a=256;b=I[52845];if((b|0)>=51){a=(((O(b>>>0>=101?101:b,25)-1250&65535)>>>0)/50|0)+256|0}H[106110]=(O(H[106146],a)|0)/256;H[106111]=(O(H[106147],a)|0)/256;H[106112]=(O(H[106148],a)|0)/256;H[106113]=(O(H[106149],a)|0)/256;H[106114]=(O(H[106150],a)|0)/256;H[106115]=(O(H[106151],a)|0)/256;a=I[52850];H[106119]=(O(H[106155],O(a,-6)+256|0)|0)/256;H[106120]=(O(H[106156],O(a,-3)+256|0)|0)/256;df(8,0,I[53046],0,I[53350]);Ma(I[f+8>>2]);break j}if(!I[52819]){break j}b=I[f+12>>2];d=I[f+8>>2];I[57971]=0;I[57975]=a?2097152/(a|0)|0:0;I[57970]=d;a=(O(b,I[35117])|0)/16|0;I[52839]=a;I[52840]=(O(O(a,I[53045]),15)|0)/100;break j}df(b>>8,a,I[f+8>>2],I[f+12>>2],d)}c=0;a=I[52817]+1|0;I[52817]=(a|0)<=169?a:0}G[227160]=c;d=I[53350];if(d>>>0<L[56106]){continue}}break}}d=I[36451];b=(I[53350]-d|0)/2|0;I[36499]=b+I[36499];c=I[36496];a=I[36448]+O(c,36)|0;I[a+4>>2]=0;I[a>>2]=0;I[a+24>>2]=I[36498];a=I[34618];ga:{if(a&2){h=I[36448];ha:{if((a&-2)!=2){break ha}b=c?h:0;if(!b|I[b>>2]!=8){break ha}b=I[b+28>>2];if((b|0)==I[36449]){break ha}I[36449]=b}f=1;if((c|0)<2){break ga}while(1){b=c?h+O(f,36)|0:0;ia:{ja:{switch(a|0){case 2:case 3:if(!b|I[b>>2]!=8){break ia}b=I[b+28>>2];if((b|0)==I[36449]){break ia}I[36449]=b;break ia;case 0:break ja;default:break ia}}a=I[36500];if(!a){a=0;break ia}va[a|0](d,0,b)|0;c=I[36496];a=I[34618]}f=f+1|0;if((f|0)<(c|0)){continue}break}break ga}a=I[36500];if(!a){break ga}if(va[a|0](d,b,I[36448])|0){break e}}if(Ye(1)){continue}a=I[52817]-I[52818]|0;if(170-((a|0)<=0?a+170|0:a)|0){continue}a=I[36448];I[a>>2]=0;I[a+4>>2]=I[36497];I[a+24>>2]=I[36498];if(vd(1)){continue}break}c=0;if(J[138472]&2){break d}a=I[36500];if(!a){break d}if(!(va[a|0](0,0,I[36448])|0)){break d}}vd(2);c=268439295}if((c|0)<=268437502){if(!c|(c|0)==268436479|(c|0)!=268437247){break a}return}if((c|0)==268437503|(c|0)==268437759|(c|0)==268439295){break a}}}function Ye(a){var b=0,c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0;c=ra-720|0;ra=c;d=I[49258];a:{if(a){break a}I[38503]=0;I[38502]=1;I[38504]=0;I[38500]=0;I[38501]=0;a=I[52818];I[38514]=a;I[38487]=-1;I[38484]=-1;I[38506]=0;I[38507]=0;I[38499]=-1;I[38486]=0;I[38515]=a;I[38508]=0;I[38509]=0;I[38510]=0;I[38511]=0;I[38512]=0;I[38513]=0;Pb();I[38487]=-1;a=(I[52818]<<4)+224432|0;I[a>>2]=5;I[a+4>>2]=0;a=I[52818]+1|0;I[52818]=(a|0)<=169?a:0;I[38486]=0;if(!I[38498]){break a}I[38498]=0;a=(I[52818]<<4)+224432|0;I[a>>2]=14;I[a+4>>2]=0;a=I[52818]+1|0;I[52818]=(a|0)<=169?a:0}a=I[38502];b:{c:{if((a|0)>997|I[38483]<=(a|0)){break c}n=d>>>1&1;o=I[34402];m=I[34400];l=c- -64|0;while(1){a=(a<<5)+154080|0;d=I[52816];if(!(!d|!I[d>>2])){I[c+12>>2]=0;d=c+16|0;Sc(d,I[a+8>>2],a,0,c+12|0);b=rc(d);f=J[a+17|0];d=(I[52818]<<4)+224432|0;I[d>>2]=16;I[d+8>>2]=f;I[d+4>>2]=b;d=I[52818]+1|0;I[52818]=(d|0)<=169?d:0}b=I[52817]-I[52818]|0;e=(b|0)<=0?b+170|0:b;b=J[a+17|0];d=1;if((e|0)<=((b?(b|0)==2?25:15:10)|0)){break b}g=I[38502];if(J[a|0]&2){j=K[a+4>>1]&2047;while(1){f=I[38503];b=I[(f<<2)+206544>>2];i=b&127;if(i){d=b>>>8|0;I[38503]=f+1;d:{e:{f:{switch((b&31)-2|0){case 0:ld(b&96|8,d);Ic(2);break d;case 5:if((d|0)>=I[36124]){break d}f=(d<<4)+144512|0;if(!I[f+4>>2]){break d}xb(10,0);d=(I[52818]<<4)+224432|0;I[d>>2]=6;I[d+4>>2]=I[f+4>>2];f=I[f+8>>2];I[d+12>>2]=5376;I[d+8>>2]=f+44;break e;case 8:i=I[52818];f=I[52817]-i|0;if((((f|0)<=0?f+170|0:f)|0)<6){break d}e=I[49413];f=(i<<4)+224432|0;I[f>>2]=778;I[f+8>>2]=d;I[f+4>>2]=e+j&16777215;break e;case 9:i=I[52818];f=I[52817]-i|0;if((((f|0)<=0?f+170|0:f)|0)<6){break d}e=I[35344];f=(i<<4)+224432|0;I[f>>2]=1034;I[f+8>>2]=d;I[f+4>>2]=e+1&16777215;break e;default:break f}}xb(10,0);f=(I[52818]<<4)+224432|0;I[f>>2]=12;I[f+8>>2]=d;I[f+4>>2]=i}d=I[52818]+1|0;I[52818]=(d|0)<=169?d:0}if(!(b&128)){continue}}break}}d=J[a+20|0];g:{if(!d){break g}if(!(G[I[49252]+48|0]&1&J[a+17|0]==2|G[I[a+8>>2]+7|0]&1)){I[38486]=0}b=I[49413]+(K[a+4>>1]&2047)|0;I[38505]=b;h:{if(!(d&4)){break h}f=I[52818];d=I[52817]-f|0;if((((d|0)<=0?d+170|0:d)|0)<6){break h}j=I[49628];d=(f<<4)+224432|0;I[d>>2]=522;I[d+8>>2]=j;I[d+4>>2]=b&16777215;d=I[52818]+1|0;I[52818]=(d|0)<=169?d:0}if(!(G[a+20|0]&1)){break g}b=K[a+4>>1];f=I[38504];I[38504]=f+1;j=I[52818];d=I[52817]-j|0;if((((d|0)<=0?d+170|0:d)|0)<6){break g}i=I[38505];e=I[49415];d=(j<<4)+224432|0;I[d>>2]=266;I[d+8>>2]=f+e;I[d+4>>2]=i&16777215|(b&63488)<<13;d=I[52818]+1|0;I[52818]=(d|0)<=169?d:0}d=I[38501];if((d|0)>0){b=(I[38485]<<4)+224432|0;if(!I[b+4>>2]){I[b+4>>2]=d}I[38501]=0}d=g<<5;b=J[a+18|0];if(!(!b|J[I[a+8>>2]+7|0]&2)){xb(b,1)}d=d+154080|0;f=1;i:{j:{k:{if(!I[49258]){break k}j=I[a+8>>2];if(J[j+10|0]==15){break k}l:{if(J[a+17|0]!=2){break l}switch(J[d-15|0]-3|0){case 0:case 5:break j;default:break l}}f=0;Sc(c+704|0,j,a,n,0);g=I[52818];b=I[52817]-g|0;if((((b|0)<=0?b+170|0:b)|0)<6){break k}j=I[38505];b=(g<<4)+224432|0;I[b>>2]=1802;I[b+4>>2]=j&16777215;g=I[c+708>>2];I[b+8>>2]=I[c+704>>2];I[b+12>>2]=g;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0}m:{switch(J[a+17|0]){case 0:xb(I[a+12>>2],0);G[a+23|0]=J[I[a+8>>2]+14|0];break i;case 4:f=I[a+8>>2];b=J[d+49|0];if(!((b|0)==2|!J[d+52|0]&(b|0)==3)){H[a>>1]=K[a>>1]|8192}if(J[f+7|0]&2){I[c+88>>2]=0;I[c+92>>2]=0;I[c+80>>2]=0;I[c+84>>2]=0;I[c+72>>2]=0;I[c+76>>2]=0;I[l>>2]=0;I[l+4>>2]=0;I[c+56>>2]=0;I[c+60>>2]=0;I[c+48>>2]=0;I[c+52>>2]=0;jb(0,1,a,c+552|0,154024);I[c+56>>2]=I[c+620>>2];I[l>>2]=I[c+640>>2];if(I[38484]<0){g=J[d+51|0];b=I[52818];I[38485]=b;I[38501]=0;b=(b<<4)+224432|0;I[b>>2]=8;I[b+4>>2]=0;I[b+12>>2]=g;I[b+8>>2]=0;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0;j=J[d+54|0];g=J[d+53|0];i=I[(J[a+16|0]<<2)+137600>>2];b=I[38484];d=I[38500];n:{if((b|0)<0|(d|0)<=0){break n}b=(b<<4)+224432|0;if(I[b+4>>2]){break n}I[b+4>>2]=d}d=I[52818];I[38484]=d;I[38500]=0;d=(d<<4)+224432|0;I[d>>2]=9;I[d+4>>2]=0;b=(g|0)==255;I[d+12>>2]=b?3604556:j|g<<16;I[d+8>>2]=b?m:i;d=I[52818]+1|0;I[52818]=(d|0)<=169?d:0}mb(f,0,c+48|0,a,0)}jb(0,0,a,c+552|0,154024);I[c+552>>2]=I[c+552>>2]|4;a=I[38500];o:{if((a|0)<=0){break o}d=I[38484];if((d|0)<0){break o}d=(d<<4)+224432|0;if(!I[d+4>>2]){I[d+4>>2]=a}I[38500]=0}I[38486]=0;I[38499]=-1;I[38515]=I[52818];Pb();I[38487]=-1;I[38482]=0;a=I[c+624>>2];if(a){d=a;a=I[c+644>>2];Gc(d,2,I[c+596>>2]<<1,I[c+552>>2],0,a?(a<<5)/100|0:32)}I[38486]=0;break i;case 6:jb(0,0,a,c+552|0,154024);p:{if(!(J[a|0]&8)){break p}d=I[a+12>>2];b=I[38500];q:{if((b|0)<=0){break q}f=I[38484];if((f|0)<0){break q}f=(f<<4)+224432|0;if(!I[f+4>>2]){I[f+4>>2]=b}I[38500]=0}I[38486]=0;I[38499]=-1;I[38515]=I[52818];Pb();I[38487]=-1;I[38482]=0;b=I[c+624>>2];if(!b){break p}e=d;d=I[c+644>>2];Gc(b,2,I[c+596>>2]<<1,I[c+552>>2],e,d?(d<<5)/100|0:32)}a=I[a+12>>2];d=I[38500];r:{if((d|0)<=0){break r}b=I[38484];if((b|0)<0){break r}b=(b<<4)+224432|0;if(!I[b+4>>2]){I[b+4>>2]=d}I[38500]=0}I[38486]=0;I[38499]=-1;I[38515]=I[52818];Pb();I[38487]=-1;I[38482]=0;d=I[c+624>>2];if(d){e=a;a=I[c+644>>2];Gc(d,2,I[c+596>>2]<<1,I[c+552>>2],e,a?(a<<5)/100|0:32)}I[38486]=0;break i;case 5:i=I[a+8>>2];I[c+92>>2]=0;I[c+84>>2]=0;I[c+88>>2]=0;I[c+76>>2]=0;I[c+80>>2]=0;I[c+68>>2]=0;I[c+72>>2]=0;I[c+60>>2]=0;I[c+64>>2]=0;I[c+52>>2]=0;I[c+56>>2]=0;I[c+48>>2]=4;s:{t:{u:{v:{switch(J[d+49|0]-2|0){case 0:f=J[a+19|0];b=I[52818];I[38485]=b;I[38501]=0;b=(b<<4)+224432|0;I[b>>2]=8;I[b+4>>2]=0;I[b+12>>2]=f;I[b+8>>2]=0;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0;j=1;g=I[(J[a+16|0]<<2)+137600>>2];f=J[a+22|0];b=J[a+21|0];e=I[38500];if((e|0)<=0){break t}h=I[38484];if((h|0)<0){break t}h=(h<<4)+224432|0;if(I[h+4>>2]){break t}I[h+4>>2]=e;break t;case 1:break v;default:break u}}if(J[d+52|0]){break u}f=J[d+51|0];b=I[52818];I[38485]=b;I[38501]=0;b=(b<<4)+224432|0;I[b>>2]=8;I[b+4>>2]=0;I[b+12>>2]=f;I[b+8>>2]=0;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0;j=1;f=J[d+54|0];b=J[d+53|0];g=I[(J[d+48|0]<<2)+137600>>2];e=I[38500];if((e|0)<=0){break t}h=I[38484];if((h|0)<0){break t}h=(h<<4)+224432|0;if(I[h+4>>2]){break t}I[h+4>>2]=e;break t}j=0;if(I[38484]>=0){break s}f=J[d+51|0];b=I[52818];I[38485]=b;I[38501]=0;b=(b<<4)+224432|0;I[b>>2]=8;I[b+4>>2]=0;I[b+12>>2]=f;I[b+8>>2]=0;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0;g=I[(J[a+16|0]<<2)+137600>>2];f=J[a+22|0];b=J[a+21|0];e=I[38500];if((e|0)<=0){break t}h=I[38484];if((h|0)<0){break t}h=(h<<4)+224432|0;if(I[h+4>>2]){break t}I[h+4>>2]=e}e=I[52818];I[38484]=e;I[38500]=0;e=(e<<4)+224432|0;I[e>>2]=9;I[e+4>>2]=0;h=b&255;b=(h|0)==255;I[e+12>>2]=b?3604556:h<<16|f;I[e+8>>2]=b?m:g;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0}w:{if(!(!(J[i+7|0]&2)&J[d-15|0]!=2)){jb(0,1,a,c+552|0,154024);I[c+56>>2]=I[c+620>>2];I[c+64>>2]=I[c+640>>2];b=c+48|0;mb(i,0,b,a,0);if(!(J[a|0]&8)){break w}xb(25,1);mb(i,0,b,a,0);break w}if(!(J[a|0]&8)){break w}xb(50,0)}x:{if(j){if(I[38515]!=I[38514]){break x}I[38515]=I[52818];break x}H[a>>1]=K[a>>1]|8192}jb(0,0,a,c+552|0,154024);I[c+56>>2]=I[c+620>>2];I[c+64>>2]=I[c+640>>2];I[c+76>>2]=I[c+636>>2];I[c+80>>2]=I[c+656>>2];mb(i,0,c+48|0,a,0);if(J[a+20|0]|J[d+84|0]){break i}a=J[d+49|0];if((a|0)==7){xb(20,0);a=J[d+49|0]}if((a&255)!=6){break i}xb(12,0);break i;case 7:y:{z:{A:{B:{C:{f=J[d+49|0];switch(f-2|0){case 1:break B;case 0:break C;default:break A}}f=J[a+19|0];b=I[52818];I[38485]=b;I[38501]=0;b=(b<<4)+224432|0;I[b>>2]=8;I[b+4>>2]=0;I[b+12>>2]=f;I[b+8>>2]=0;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0;b=I[(J[a+16|0]<<2)+137600>>2];g=J[a+22|0];f=J[a+21|0];j=I[38500];if((j|0)<=0){break z}i=I[38484];if((i|0)<0){break z}i=(i<<4)+224432|0;if(I[i+4>>2]){break z}I[i+4>>2]=j;break z}f=J[d+51|0];b=I[52818];I[38485]=b;I[38501]=0;b=(b<<4)+224432|0;I[b>>2]=8;I[b+4>>2]=0;I[b+12>>2]=f;I[b+8>>2]=0;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0;g=J[d+54|0];f=J[d+53|0];b=I[(J[d+48|0]<<2)+137600>>2];j=I[38500];if((j|0)<=0){break z}i=I[38484];if((i|0)<0){break z}i=(i<<4)+224432|0;if(I[i+4>>2]){break z}I[i+4>>2]=j;break z}if(I[38484]>=0){break y}f=J[a+19|0];b=I[52818];I[38485]=b;I[38501]=0;b=(b<<4)+224432|0;I[b>>2]=8;I[b+4>>2]=0;I[b+12>>2]=f;I[b+8>>2]=0;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0;b=I[(J[a+16|0]<<2)+137600>>2];g=J[a+22|0];f=J[a+21|0];j=I[38500];if((j|0)<=0){break z}i=I[38484];if((i|0)<0){break z}i=(i<<4)+224432|0;if(I[i+4>>2]){break z}I[i+4>>2]=j}j=I[52818];I[38484]=j;I[38500]=0;j=(j<<4)+224432|0;I[j>>2]=9;I[j+4>>2]=0;e=g&255|f<<16;f=(f|0)==255;I[j+12>>2]=f?3604556:e;I[j+8>>2]=f?m:b;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0;f=J[d+49|0]}D:{E:{F:{switch(f-2|0){case 1:if(J[d+52|0]){break E}break;case 0:break F;default:break E}}if(I[38515]!=I[38514]){break D}I[38515]=I[52818];break D}H[a>>1]=K[a>>1]|8192}jb(0,0,a,c+552|0,154024);I[c+56>>2]=0;I[c+60>>2]=0;I[l>>2]=0;I[l+4>>2]=0;I[c+80>>2]=0;I[c+84>>2]=0;I[c+72>>2]=0;I[c+76>>2]=0;I[c+88>>2]=0;I[c+56>>2]=I[c+620>>2];I[l>>2]=I[c+640>>2];I[c+80>>2]=I[c+656>>2];I[c+48>>2]=0;I[c+52>>2]=0;I[c+76>>2]=I[c+636>>2];I[c+92>>2]=I[c+596>>2]<<1;if(J[a|0]&8){mb(I[a+8>>2],0,c+48|0,a,0)}mb(I[a+8>>2],0,c+48|0,a,0);break i;case 8:I[c+88>>2]=0;I[c+92>>2]=0;I[c+80>>2]=0;I[c+84>>2]=0;I[c+72>>2]=0;I[c+76>>2]=0;I[l>>2]=0;I[l+4>>2]=0;I[c+56>>2]=0;I[c+60>>2]=0;I[c+48>>2]=0;I[c+52>>2]=0;if(!(G[a|0]&1)){f=J[a+19|0];b=I[52818];I[38485]=b;I[38501]=0;b=(b<<4)+224432|0;I[b>>2]=8;I[b+4>>2]=0;I[b+12>>2]=f;I[b+8>>2]=0;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0;g=I[(J[a+16|0]<<2)+137600>>2];j=J[a+22|0];f=J[a+21|0];b=I[38484];i=I[38500];G:{if((b|0)<0|(i|0)<=0){break G}b=(b<<4)+224432|0;if(I[b+4>>2]){break G}I[b+4>>2]=i}b=I[52818];I[38484]=b;I[38500]=0;b=(b<<4)+224432|0;I[b>>2]=9;I[b+4>>2]=0;e=j|f<<16;f=(f|0)==255;I[b+12>>2]=f?3604556:e;I[b+8>>2]=f?m:g;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0}b=d-15|0;if(J[b|0]==8){I[38486]=0}jb(0,0,a,c+552|0,154024);I[c+56>>2]=I[c+620>>2];I[c+64>>2]=I[c+640>>2];I[c+92>>2]=I[c+596>>2]<<1;if(J[d+49|0]==2){if(I[38515]==I[38514]){I[38515]=I[52818]}mb(I[a+8>>2],0,c+48|0,a,0);break i}if(!(!(G[a|0]&1)|J[b|0]!=2)){mb(I[a+8>>2],0,c+48|0,a,0);break i}I[38486]=0;mb(I[a+8>>2],0,c+48|0,a,0);I[38486]=0;break i;case 3:I[c+88>>2]=0;I[c+92>>2]=0;I[c+80>>2]=0;I[c+84>>2]=0;I[c+72>>2]=0;I[c+76>>2]=0;I[l>>2]=0;I[l+4>>2]=0;I[c+56>>2]=0;I[c+60>>2]=0;I[c+48>>2]=0;I[c+52>>2]=0;g=I[I[a+8>>2]+4>>2];if(!(G[a|0]&1)){f=J[a+19|0];b=I[52818];I[38485]=b;I[38501]=0;b=(b<<4)+224432|0;I[b>>2]=8;I[b+4>>2]=0;I[b+12>>2]=f;I[b+8>>2]=0;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0;j=I[(J[a+16|0]<<2)+137600>>2];i=J[a+22|0];f=J[a+21|0];b=I[38484];e=I[38500];H:{if((b|0)<0|(e|0)<=0){break H}b=(b<<4)+224432|0;if(I[b+4>>2]){break H}I[b+4>>2]=e}b=I[52818];I[38484]=b;I[38500]=0;b=(b<<4)+224432|0;I[b>>2]=9;I[b+4>>2]=0;e=i|f<<16;f=(f|0)==255;I[b+12>>2]=f?3604556:e;I[b+8>>2]=f?m:j;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0}if(J[d-15|0]==8){I[38486]=0}if(!(J[d+49|0]!=2|I[38515]!=I[38514])){I[38515]=I[52818]}jb(0,0,a,c+552|0,154024);d=I[c+584>>2]-J[a+18|0]|0;if((d|0)>0){xb(d,1)}I[c+56>>2]=I[c+620>>2];I[c+64>>2]=I[c+640>>2];I[c+76>>2]=I[c+636>>2];I[c+80>>2]=I[c+656>>2];I[c+92>>2]=I[c+596>>2]<<1;mb(I[a+8>>2],0,c+48|0,a,g<<24>>31&5);break i;case 2:break m;default:break i}}j=I[a+8>>2]}i=J[a+3|0];I[c+88>>2]=0;I[c+92>>2]=0;I[c+80>>2]=0;I[c+84>>2]=0;I[c+72>>2]=0;I[c+76>>2]=0;I[l>>2]=0;I[l+4>>2]=0;I[c+56>>2]=0;I[c+60>>2]=0;I[c+48>>2]=0;I[c+52>>2]=0;jb(0,0,a,c+552|0,154024);b=I[c+628>>2];I[c+56>>2]=b;I[c+92>>2]=I[c+596>>2]<<1;I:{if(!(!b|J[c+552|0]&2)){I[c+60>>2]=I[c+648>>2];e=1;break I}J:{if(!J[d-15|0]){e=1;break J}jb(0,0,d-32|0,c+400|0,0);b=I[c+476>>2];I[c+56>>2]=b;e=1;if(!(!b|!(J[c+400|0]&2))){I[c+72>>2]=I[c+496>>2];e=0}g=I[c+512>>2];I[c+84>>2]=I[c+508>>2];I[c+88>>2]=g}if(b){break I}I[c+48>>2]=1;I[c+52>>2]=1;I[c+56>>2]=I[c+620>>2]}I[c+64>>2]=I[c+640>>2];b=J[a+16|0];g=0;h=J[a+7|0];K:{if(!h){b=I[(b<<2)+137600>>2];break K}xd(h,c+96|0);b=zd(I[c+220>>2]);h=I[c+224>>2];if((h|0)<=0){break K}g=zd(h)}if(I[38515]==I[38514]){I[38515]=I[52818]}i=i&15;i=i>>>0<2?1:i>>>0>6?3:2;L:{M:{switch(J[d-15|0]-3|0){case 2:case 4:h=J[a+19|0];e=I[52818];I[38485]=e;I[38501]=0;e=(e<<4)+224432|0;I[e>>2]=8;I[e+4>>2]=0;I[e+12>>2]=h;I[e+8>>2]=g;g=I[52818]+1|0;I[52818]=(g|0)<=169?g:0;h=J[a+22|0];e=J[a+21|0];g=I[38500];N:{if((g|0)<=0){break N}k=I[38484];if((k|0)<0){break N}k=(k<<4)+224432|0;if(I[k+4>>2]){break N}I[k+4>>2]=g}g=I[52818];I[38484]=g;I[38500]=0;g=(g<<4)+224432|0;I[g>>2]=9;I[g+4>>2]=0;h=h|e<<16;e=(e|0)==255;I[g+12>>2]=e?3604556:h;I[g+8>>2]=e?m:b;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0;mb(j,1,c+48|0,a,i);break L;case 0:case 5:h=J[a+19|0];e=I[52818];I[38485]=e;I[38501]=0;e=(e<<4)+224432|0;I[e>>2]=8;I[e+4>>2]=0;I[e+12>>2]=h;I[e+8>>2]=g;g=I[52818]+1|0;I[52818]=(g|0)<=169?g:0;mb(j,1,c+48|0,a,i);h=J[a+22|0];e=J[a+21|0];g=I[38500];O:{if((g|0)<=0){break O}k=I[38484];if((k|0)<0){break O}k=(k<<4)+224432|0;if(I[k+4>>2]){break O}I[k+4>>2]=g}g=I[52818];I[38484]=g;I[38500]=0;g=(g<<4)+224432|0;I[g>>2]=9;I[g+4>>2]=0;h=h|e<<16;e=(e|0)==255;I[g+12>>2]=e?3604556:h;I[g+8>>2]=e?m:b;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0;break L;default:break M}}if(!e){h=J[a+22|0];e=I[38500];P:{if((e|0)<=0){break P}k=I[38484];if((k|0)<0){break P}k=(k<<4)+224432|0;if(I[k+4>>2]){break P}I[k+4>>2]=e}e=I[52818];I[38484]=e;I[38500]=0;e=(e<<4)+224432|0;I[e>>2]=9;I[e+4>>2]=0;I[e+12>>2]=(h|h<<16)-983040;I[e+8>>2]=o;e=I[52818]+1|0;I[52818]=(e|0)<=169?e:0;h=J[a+19|0];e=I[52818];I[38485]=e;I[38501]=0;e=(e<<4)+224432|0;I[e>>2]=8;I[e+4>>2]=0;I[e+12>>2]=h-1;I[e+8>>2]=g;g=I[52818]+1|0;I[52818]=(g|0)<=169?g:0;mb(j,1,c+48|0,a,i);h=J[a+22|0];e=J[a+21|0];g=I[38500];Q:{if((g|0)<=0){break Q}k=I[38484];if((k|0)<0){break Q}k=(k<<4)+224432|0;if(I[k+4>>2]){break Q}I[k+4>>2]=g}g=I[52818];I[38484]=g;I[38500]=0;g=(g<<4)+224432|0;I[g>>2]=9;I[g+4>>2]=0;h=h|e<<16;e=(e|0)==255;I[g+12>>2]=e?3604556:h;I[g+8>>2]=e?m:b;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0;break L}if(!(G[a|0]&1)){h=J[a+19|0];e=I[52818];I[38485]=e;I[38501]=0;e=(e<<4)+224432|0;I[e>>2]=8;I[e+4>>2]=0;I[e+12>>2]=h;I[e+8>>2]=g;g=I[52818]+1|0;I[52818]=(g|0)<=169?g:0;h=J[a+22|0];e=J[a+21|0];g=I[38500];R:{if((g|0)<=0){break R}k=I[38484];if((k|0)<0){break R}k=(k<<4)+224432|0;if(I[k+4>>2]){break R}I[k+4>>2]=g}g=I[52818];I[38484]=g;I[38500]=0;g=(g<<4)+224432|0;I[g>>2]=9;I[g+4>>2]=0;h=h|e<<16;e=(e|0)==255;I[g+12>>2]=e?3604556:h;I[g+8>>2]=e?m:b;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0}mb(j,1,c+48|0,a,i)}S:{if(!I[49258]|f^1){break S}Sc(c+704|0,I[a+8>>2],a,n,0);f=I[52818];b=I[52817]-f|0;if((((b|0)<=0?b+170|0:b)|0)<6){break S}g=I[38505];b=(f<<4)+224432|0;I[b>>2]=1802;I[b+4>>2]=g&16777215;f=I[c+708>>2];I[b+8>>2]=I[c+704>>2];I[b+12>>2]=f;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0}I[c+56>>2]=I[c+620>>2];I[c+84>>2]=0;I[c+88>>2]=0;I[c+64>>2]=I[c+640>>2];b=I[c+632>>2];I[c+68>>2]=b;T:{if(b){d=I[c+652>>2]}else{if(!J[d+49|0]){break T}I[c+72>>2]=0;jb(0,0,d+32|0,c+248|0,0);I[c+52>>2]=1;d=I[c+368>>2];I[c+84>>2]=I[c+364>>2];I[c+88>>2]=d;d=I[c+328>>2];I[c+68>>2]=d;if(!d){break T}d=I[c+348>>2]}I[c+72>>2]=d}mb(j,2,c+48|0,a,i)}a=I[38502]+1|0;I[38502]=a;if((a|0)>997){break c}if(I[38483]>(a|0)){continue}break}}a=I[38500];U:{if((a|0)<=0){break U}d=I[38484];if((d|0)<0){break U}d=(d<<4)+224432|0;if(!I[d+4>>2]){I[d+4>>2]=a}I[38500]=0}I[38486]=0;I[38499]=-1;I[38515]=I[52818];Pb();I[38487]=-1;d=0;if(I[38483]<=0){break b}d=I[49628];b=I[35344];a=I[52817]-I[52818]|0;if((((a|0)<=0?a+170|0:a)|0)>=6){a=(I[52818]<<4)+224432|0;I[a>>2]=1290;I[a+8>>2]=d;I[a+4>>2]=b&16777215;a=I[52818]+1|0;I[52818]=(a|0)<=169?a:0}I[38483]=0;d=0}ra=c+720|0;return d}function he(a,b,c,d){var e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,y=0,A=0,D=0,F=0,H=0,K=0,M=0,N=0;q=ra-48|0;ra=q;a:{b:{if(c>>>0>2){break b}c=c<<2;F=I[c+133244>>2];D=I[c+133232>>2];while(1){c=I[b+4>>2];c:{if((c|0)!=I[b+104>>2]){I[b+4>>2]=c+1;c=J[c|0];break c}c=Na(b)}if((c|0)==32|c-9>>>0<5){continue}break}r=1;d:{e:{switch(c-43|0){case 0:case 2:break e;default:break d}}r=(c|0)==45?-1:1;c=I[b+4>>2];if((c|0)!=I[b+104>>2]){I[b+4>>2]=c+1;c=J[c|0];break d}c=Na(b)}f:{g:{if((c&-33)==73){while(1){if((g|0)==7){break g}c=I[b+4>>2];h:{if((c|0)!=I[b+104>>2]){I[b+4>>2]=c+1;c=J[c|0];break h}c=Na(b)}e=g+84073|0;g=g+1|0;if(G[e|0]==(c|32)){continue}break}}if((g|0)!=3){e=(g|0)==8;if(e){break g}if(!d|g>>>0<4){break f}if(e){break g}}c=I[b+116>>2];if((c|0)>=0|(c|0)>0){I[b+4>>2]=I[b+4>>2]-1}if(!d|g>>>0<4){break g}c=(c|0)<0;while(1){if(!c){I[b+4>>2]=I[b+4>>2]-1}g=g-1|0;if(g>>>0>3){continue}break}}i=ra-16|0;ra=i;d=(E(P(P(r|0)*P(Infinity))),x(2));b=d&8388607;o=d>>>23|0;c=o&255;i:{if(c){if((c|0)!=255){c=b;b=b>>>7|0;h=c<<25;f=b;c=(o&255)+16256|0;break i}c=b;b=b>>>7|0;h=c<<25;f=b;c=32767;break i}c=0;if(!b){break i}c=b;b=R(b);db(i,c,0,0,0,b+81|0);h=I[i+8>>2];f=I[i+12>>2]^65536;j=I[i>>2];k=I[i+4>>2];c=16265-b|0}I[q>>2]=j;I[q+4>>2]=k;b=q;I[b+8>>2]=h;I[b+12>>2]=f|(d&-2147483648|c<<16);ra=i+16|0;h=I[b+8>>2];f=I[b+12>>2];j=I[b>>2];k=I[b+4>>2];break a}j:{k:{l:{m:{n:{if(g){break n}g=0;if((c&-33)!=78){break n}while(1){if((g|0)==2){break m}c=I[b+4>>2];o:{if((c|0)!=I[b+104>>2]){I[b+4>>2]=c+1;c=J[c|0];break o}c=Na(b)}e=g+84486|0;g=g+1|0;if(G[e|0]==(c|32)){continue}break}}switch(g|0){case 0:break j;case 3:break m;default:break l}}p:{c=I[b+4>>2];q:{if((c|0)!=I[b+104>>2]){I[b+4>>2]=c+1;c=J[c|0];break q}c=Na(b)}if((c|0)==40){g=1;break p}f=2147450880;if(I[b+116>>2]<0){break a}I[b+4>>2]=I[b+4>>2]-1;break a}while(1){r:{c=I[b+4>>2];s:{if((c|0)!=I[b+104>>2]){I[b+4>>2]=c+1;c=J[c|0];break s}c=Na(b)}if(!(c-48>>>0<10|c-65>>>0<26|(c|0)==95)){if(c-97>>>0>=26){break r}}g=g+1|0;continue}break}f=2147450880;if((c|0)==41){break a}c=I[b+116>>2];if((c|0)>=0|(c|0)>0){I[b+4>>2]=I[b+4>>2]-1}t:{if(d){if(g){break t}break a}break k}while(1){if((c|0)>0|(c|0)>=0){I[b+4>>2]=I[b+4>>2]-1}g=g-1|0;if(g){continue}break}break a}c=I[b+116>>2];if((c|0)>0){c=1}else{c=(c|0)>=0}if(c){I[b+4>>2]=I[b+4>>2]-1}}I[58856]=28;rb(b,0,0);break b}u:{if((c|0)!=48){break u}g=I[b+4>>2];v:{if((g|0)!=I[b+104>>2]){I[b+4>>2]=g+1;g=J[g|0];break v}g=Na(b)}if((g&-33)==88){e=ra-432|0;ra=e;c=I[b+4>>2];w:{if((c|0)!=I[b+104>>2]){I[b+4>>2]=c+1;c=J[c|0];break w}c=Na(b)}x:{y:{while(1){if((c|0)!=48){z:{if((c|0)!=46){break x}c=I[b+4>>2];if((c|0)==I[b+104>>2]){break z}I[b+4>>2]=c+1;c=J[c|0];break y}}else{c=I[b+4>>2];if((c|0)!=I[b+104>>2]){s=1;I[b+4>>2]=c+1;c=J[c|0]}else{s=1;c=Na(b)}continue}break}c=Na(b)}if((c|0)!=48){w=1;break x}while(1){c=o;o=c-1|0;p=p-!c|0;c=I[b+4>>2];A:{if((c|0)!=I[b+104>>2]){I[b+4>>2]=c+1;c=J[c|0];break A}c=Na(b)}if((c|0)==48){continue}break}w=1;s=1}k=1073676288;while(1){B:{g=c;C:{D:{H=c-48|0;if(H>>>0<10){break D}M=(c|0)!=46;g=c|32;if(M&g-97>>>0>5){break B}if(M){break D}if(w){break B}w=1;o=h;p=f;break C}c=(c|0)>57?g-87|0:H;E:{if((f|0)<=0&h>>>0<=7|(f|0)<0){l=c+(l<<4)|0;break E}if(!f&h>>>0<=28){ob(e+48|0,c);Oa(e+32|0,y,A,j,k,0,0,0,1073414144);y=I[e+32>>2];A=I[e+36>>2];j=I[e+40>>2];k=I[e+44>>2];Oa(e+16|0,I[e+48>>2],I[e+52>>2],I[e+56>>2],I[e+60>>2],y,A,j,k);kb(e,I[e+16>>2],I[e+20>>2],I[e+24>>2],I[e+28>>2],i,m,u,v);u=I[e+8>>2];v=I[e+12>>2];i=I[e>>2];m=I[e+4>>2];break E}if(n|!c){break E}Oa(e+80|0,y,A,j,k,0,0,0,1073610752);kb(e- -64|0,I[e+80>>2],I[e+84>>2],I[e+88>>2],I[e+92>>2],i,m,u,v);u=I[e+72>>2];v=I[e+76>>2];n=1;i=I[e+64>>2];m=I[e+68>>2]}h=h+1|0;f=h?f:f+1|0;s=1}c=I[b+4>>2];if((c|0)!=I[b+104>>2]){I[b+4>>2]=c+1;c=J[c|0]}else{c=Na(b)}continue}break}F:{if(!s){c=I[b+116>>2];if((c|0)>0){c=1}else{c=(c|0)>=0}G:{H:{if(c){c=I[b+4>>2];I[b+4>>2]=c-1;if(!d){break H}I[b+4>>2]=c-2;if(!w){break G}I[b+4>>2]=c-3;break G}if(d){break G}}rb(b,0,0)}C(0);b=x(1)|0;d=x(0)|0;C(+(r|0));c=x(1)|0;x(0)|0;z(0,d|0);z(1,b&2147483647|c&-2147483648);vb(e+96|0,+B());i=I[e+96>>2];m=I[e+100>>2];c=I[e+108>>2];b=I[e+104>>2];break F}if((f|0)<=0&h>>>0<=7|(f|0)<0){j=h;k=f;while(1){l=l<<4;j=j+1|0;k=j?k:k+1|0;if((j|0)!=8|k){continue}break}}I:{J:{K:{if((c&-33)==80){j=ge(b,d);c=ua;k=c;if(j|(c|0)!=-2147483648){break I}if(d){c=I[b+116>>2];if((c|0)>0){c=1}else{c=(c|0)>=0}if(c){break K}break J}i=0;m=0;rb(b,0,0);c=0;b=0;break F}j=0;k=0;if(I[b+116>>2]<0){break I}}I[b+4>>2]=I[b+4>>2]-1}j=0;k=0}if(!l){C(0);b=x(1)|0;d=x(0)|0;C(+(r|0));c=x(1)|0;x(0)|0;z(0,d|0);z(1,b&2147483647|c&-2147483648);vb(e+112|0,+B());i=I[e+112>>2];m=I[e+116>>2];c=I[e+124>>2];b=I[e+120>>2];break F}b=w?o:h;d=j+(b<<2)|0;b=k+((w?p:f)<<2|b>>>30)|0;h=d-32|0;c=0-F|0;f=(d>>>0<j>>>0?b+1|0:b)-(d>>>0<32)|0;b=f;if((b|0)>0){b=1}else{b=c>>>0<h>>>0&(b|0)>=0}if(b){I[58856]=68;ob(e+160|0,r);Oa(e+144|0,I[e+160>>2],I[e+164>>2],I[e+168>>2],I[e+172>>2],-1,-1,-1,2147418111);Oa(e+128|0,I[e+144>>2],I[e+148>>2],I[e+152>>2],I[e+156>>2],-1,-1,-1,2147418111);i=I[e+128>>2];m=I[e+132>>2];c=I[e+140>>2];b=I[e+136>>2];break F}b=F-226|0;c=b>>31;if((f|0)>=(c|0)&b>>>0<=h>>>0|(c|0)<(f|0)){if((l|0)>=0){while(1){kb(e+416|0,i,m,u,v,0,0,0,-1073807360);b=ae(i,m,u,v,1073610752);b=(b|0)>=0;kb(e+400|0,i,m,u,v,b?I[e+416>>2]:i,b?I[e+420>>2]:m,b?I[e+424>>2]:u,b?I[e+428>>2]:v);c=l<<1;l=c|b;b=h;h=b-1|0;f=f-!b|0;u=I[e+408>>2];v=I[e+412>>2];i=I[e+400>>2];m=I[e+404>>2];if((c|0)>=0){continue}break}}b=32-F|0;c=b;b=b+h|0;k=c>>>0>b>>>0?f+1|0:f;c=b>>>0<D>>>0&(k|0)<=0|(k|0)<0?(b|0)>0?b:0:D;L:{if(c>>>0>=113){ob(e+384|0,r);o=I[e+392>>2];p=I[e+396>>2];y=I[e+384>>2];A=I[e+388>>2];f=0;b=0;break L}vb(e+352|0,Kb(1,144-c|0));ob(e+336|0,r);y=I[e+336>>2];A=I[e+340>>2];o=I[e+344>>2];p=I[e+348>>2];ke(e+368|0,I[e+352>>2],I[e+356>>2],I[e+360>>2],I[e+364>>2],p);t=I[e+376>>2];K=I[e+380>>2];f=I[e+372>>2];b=I[e+368>>2]}d=!(l&1)&((Jb(i,m,u,v,0,0,0,0)|0)!=0&c>>>0<32);Ub(e+320|0,d|l);Oa(e+304|0,y,A,o,p,I[e+320>>2],I[e+324>>2],I[e+328>>2],I[e+332>>2]);c=b;kb(e+272|0,I[e+304>>2],I[e+308>>2],I[e+312>>2],I[e+316>>2],b,f,t,K);b=d;Oa(e+288|0,y,A,o,p,b?0:i,b?0:m,b?0:u,b?0:v);kb(e+256|0,I[e+288>>2],I[e+292>>2],I[e+296>>2],I[e+300>>2],I[e+272>>2],I[e+276>>2],I[e+280>>2],I[e+284>>2]);Yc(e+240|0,I[e+256>>2],I[e+260>>2],I[e+264>>2],I[e+268>>2],c,f,t,K);b=I[e+240>>2];d=I[e+244>>2];c=I[e+248>>2];f=I[e+252>>2];if(!Jb(b,d,c,f,0,0,0,0)){I[58856]=68}je(e+224|0,b,d,c,f,h);i=I[e+224>>2];m=I[e+228>>2];c=I[e+236>>2];b=I[e+232>>2];break F}I[58856]=68;ob(e+208|0,r);Oa(e+192|0,I[e+208>>2],I[e+212>>2],I[e+216>>2],I[e+220>>2],0,0,0,65536);Oa(e+176|0,I[e+192>>2],I[e+196>>2],I[e+200>>2],I[e+204>>2],0,0,0,65536);i=I[e+176>>2];m=I[e+180>>2];c=I[e+188>>2];b=I[e+184>>2]}I[q+16>>2]=i;I[q+20>>2]=m;I[q+24>>2]=b;I[q+28>>2]=c;ra=e+432|0;h=I[q+24>>2];f=I[q+28>>2];j=I[q+16>>2];k=I[q+20>>2];break a}if(I[b+116>>2]<0){break u}I[b+4>>2]=I[b+4>>2]-1}g=b;i=c;t=d;d=0;e=ra-8976|0;ra=e;H=0-F|0;K=H-D|0;M:{N:{while(1){if((i|0)!=48){O:{if((i|0)!=46){break M}b=I[g+4>>2];if((b|0)==I[g+104>>2]){break O}I[g+4>>2]=b+1;i=J[b|0];break N}}else{b=I[g+4>>2];if((b|0)!=I[g+104>>2]){I[g+4>>2]=b+1;i=J[b|0]}else{i=Na(g)}d=1;continue}break}i=Na(g)}if((i|0)==48){while(1){b=h;h=b-1|0;f=f-!b|0;b=I[g+4>>2];P:{if((b|0)!=I[g+104>>2]){I[g+4>>2]=b+1;i=J[b|0];break P}i=Na(g)}if((i|0)==48){continue}break}d=1}w=1}I[e+784>>2]=0;Q:{R:{b=(i|0)==46;c=i-48|0;S:{T:{U:{if(b|c>>>0<=9){while(1){V:{if(b&1){if(!w){h=j;f=k;w=1;break V}b=!d;break U}b=k;j=j+1|0;k=j?b:b+1|0;if((l|0)<=2044){s=(i|0)==48?s:j;b=(e+784|0)+(l<<2)|0;if(n){c=(O(I[b>>2],10)+i|0)-48|0}I[b>>2]=c;d=1;c=n+1|0;b=(c|0)==9;n=b?0:c;l=b+l|0;break V}if((i|0)==48){break V}I[e+8960>>2]=I[e+8960>>2]|1;s=18396}b=I[g+4>>2];W:{if((b|0)!=I[g+104>>2]){I[g+4>>2]=b+1;i=J[b|0];break W}i=Na(g)}b=(i|0)==46;c=i-48|0;if(b|c>>>0<10){continue}break}}h=w?h:j;f=w?f:k;if(!(!d|(i&-33)!=69)){i=ge(g,t);b=ua;m=b;X:{if(i|(b|0)!=-2147483648){break X}if(!t){break S}i=0;m=0;if(I[g+116>>2]<0){break X}I[g+4>>2]=I[g+4>>2]-1}f=f+m|0;h=h+i|0;f=h>>>0<i>>>0?f+1|0:f;break R}b=!d;if((i|0)<0){break T}}if(I[g+116>>2]<0){break T}I[g+4>>2]=I[g+4>>2]-1}if(!b){break R}I[58856]=28}rb(g,0,0);h=0;f=0;c=0;b=0;break Q}b=I[e+784>>2];if(!b){C(0);b=x(1)|0;d=x(0)|0;C(+(r|0));c=x(1)|0;x(0)|0;z(0,d|0);z(1,b&2147483647|c&-2147483648);vb(e,+B());h=I[e+8>>2];f=I[e+12>>2];c=I[e+4>>2];b=I[e>>2];break Q}if(!(j>>>0>9&(k|0)>=0|(k|0)>0|((h|0)!=(j|0)|(f|0)!=(k|0))|(b>>>D|0?D>>>0<=30:0))){ob(e+48|0,r);Ub(e+32|0,b);Oa(e+16|0,I[e+48>>2],I[e+52>>2],I[e+56>>2],I[e+60>>2],I[e+32>>2],I[e+36>>2],I[e+40>>2],I[e+44>>2]);h=I[e+24>>2];f=I[e+28>>2];c=I[e+20>>2];b=I[e+16>>2];break Q}b=H>>>1|0;if(b>>>0<h>>>0&(f|0)>=0|(f|0)>0){I[58856]=68;ob(e+96|0,r);Oa(e+80|0,I[e+96>>2],I[e+100>>2],I[e+104>>2],I[e+108>>2],-1,-1,-1,2147418111);Oa(e- -64|0,I[e+80>>2],I[e+84>>2],I[e+88>>2],I[e+92>>2],-1,-1,-1,2147418111);h=I[e+72>>2];f=I[e+76>>2];c=I[e+68>>2];b=I[e+64>>2];break Q}b=F-226|0;c=h>>>0<b>>>0;b=b>>31;if(c&(f|0)<=(b|0)|(b|0)>(f|0)){I[58856]=68;ob(e+144|0,r);Oa(e+128|0,I[e+144>>2],I[e+148>>2],I[e+152>>2],I[e+156>>2],0,0,0,65536);Oa(e+112|0,I[e+128>>2],I[e+132>>2],I[e+136>>2],I[e+140>>2],0,0,0,65536);h=I[e+120>>2];f=I[e+124>>2];c=I[e+116>>2];b=I[e+112>>2];break Q}if(n){if((n|0)<=8){b=(e+784|0)+(l<<2)|0;g=I[b>>2];while(1){g=O(g,10);n=n+1|0;if((n|0)!=9){continue}break}I[b>>2]=g}l=l+1|0}n=h;Y:{if(h>>>0>17&(f|0)>=0|(f|0)>0|(s|0)>=9|(h|0)<(s|0)){break Y}if(!f&(h|0)==9){ob(e+192|0,r);Ub(e+176|0,I[e+784>>2]);Oa(e+160|0,I[e+192>>2],I[e+196>>2],I[e+200>>2],I[e+204>>2],I[e+176>>2],I[e+180>>2],I[e+184>>2],I[e+188>>2]);h=I[e+168>>2];f=I[e+172>>2];c=I[e+164>>2];b=I[e+160>>2];break Q}if((f|0)<=0&h>>>0<=8|(f|0)<0){ob(e+272|0,r);Ub(e+256|0,I[e+784>>2]);Oa(e+240|0,I[e+272>>2],I[e+276>>2],I[e+280>>2],I[e+284>>2],I[e+256>>2],I[e+260>>2],I[e+264>>2],I[e+268>>2]);ob(e+224|0,I[(0-n<<2)+133232>>2]);$d(e+208|0,I[e+240>>2],I[e+244>>2],I[e+248>>2],I[e+252>>2],I[e+224>>2],I[e+228>>2],I[e+232>>2],I[e+236>>2]);h=I[e+216>>2];f=I[e+220>>2];c=I[e+212>>2];b=I[e+208>>2];break Q}b=(O(n,-3)+D|0)+27|0;c=I[e+784>>2];if(c>>>b|0?(b|0)<=30:0){break Y}ob(e+352|0,r);Ub(e+336|0,c);Oa(e+320|0,I[e+352>>2],I[e+356>>2],I[e+360>>2],I[e+364>>2],I[e+336>>2],I[e+340>>2],I[e+344>>2],I[e+348>>2]);ob(e+304|0,I[(n<<2)+133160>>2]);Oa(e+288|0,I[e+320>>2],I[e+324>>2],I[e+328>>2],I[e+332>>2],I[e+304>>2],I[e+308>>2],I[e+312>>2],I[e+316>>2]);h=I[e+296>>2];f=I[e+300>>2];c=I[e+292>>2];b=I[e+288>>2];break Q}while(1){b=l;l=b-1|0;if(!I[(e+784|0)+(l<<2)>>2]){continue}break}s=0;c=(n|0)%9|0;Z:{if(!c){c=0;break Z}d=(f|0)<0?c+9|0:c;_:{if(!b){c=0;b=0;break _}h=I[(0-d<<2)+133232>>2];j=1e9/(h|0)|0;i=0;g=0;c=0;while(1){f=i;k=e+784|0;i=k+(g<<2)|0;l=I[i>>2];t=(l>>>0)/(h>>>0)|0;f=f+t|0;I[i>>2]=f;f=!f&(c|0)==(g|0);c=f?c+1&2047:c;n=f?n-9|0:n;i=O(j,l-O(h,t)|0);g=g+1|0;if((g|0)!=(b|0)){continue}break}if(!i){break _}I[k+(b<<2)>>2]=i;b=b+1|0}n=(n-d|0)+9|0}while(1){k=(e+784|0)+(c<<2)|0;g=(n|0)<36;$:{while(1){if(!g&((n|0)!=36|L[k>>2]>=10384593)){break $}l=b+2047|0;d=0;while(1){j=b;h=d;i=l&2047;l=(e+784|0)+(i<<2)|0;d=I[l>>2];b=d>>>3|0;d=d<<29;h=h+d|0;f=d>>>0>h>>>0?b+1|0:b;if(!f&h>>>0<1000000001){d=0}else{b=h;d=Eg(b,f,1e9);t=Dg(d,ua,1e9,0);h=b-t|0;f=f-(ua+(b>>>0<t>>>0)|0)|0}I[l>>2]=h;b=(c|0)==(i|0)?j:f|h?j:i;h=j-1&2047;b=(h|0)!=(i|0)?j:b;l=i-1|0;if((c|0)!=(i|0)){continue}break}s=s-29|0;b=j;if(!d){continue}break}c=c-1&2047;if((c|0)==(b|0)){f=(b+2046&2047)<<2;b=e+784|0;f=f+b|0;I[f>>2]=I[f>>2]|I[b+(h<<2)>>2];b=h}n=n+9|0;I[(e+784|0)+(c<<2)>>2]=d;continue}break}aa:{ba:while(1){h=b+1&2047;j=(e+784|0)+((b-1&2047)<<2)|0;while(1){f=(n|0)>45?9:1;ca:{while(1){d=c;g=0;da:{while(1){ea:{c=d+g&2047;if((c|0)==(b|0)){break ea}c=I[(e+784|0)+(c<<2)>>2];i=I[(g<<2)+133184>>2];if(c>>>0<i>>>0){break ea}if(c>>>0>i>>>0){break da}g=g+1|0;if((g|0)!=4){continue}}break}if((n|0)!=36){break da}h=0;f=0;g=0;j=0;k=0;while(1){c=d+g&2047;if((c|0)==(b|0)){b=b+1&2047;I[((b<<2)+e|0)+780>>2]=0}Ub(e+768|0,I[(e+784|0)+(c<<2)>>2]);Oa(e+752|0,h,f,j,k,0,0,1342177280,1075633366);kb(e+736|0,I[e+752>>2],I[e+756>>2],I[e+760>>2],I[e+764>>2],I[e+768>>2],I[e+772>>2],I[e+776>>2],I[e+780>>2]);j=I[e+744>>2];k=I[e+748>>2];h=I[e+736>>2];f=I[e+740>>2];g=g+1|0;if((g|0)!=4){continue}break}ob(e+720|0,r);Oa(e+704|0,h,f,j,k,I[e+720>>2],I[e+724>>2],I[e+728>>2],I[e+732>>2]);j=I[e+712>>2];k=I[e+716>>2];h=0;f=0;i=I[e+704>>2];m=I[e+708>>2];t=s+113|0;g=t-F|0;n=(g|0)<(D|0);c=n?(g|0)>0?g:0:D;if(c>>>0<=112){break ca}break aa}s=f+s|0;c=b;if((b|0)==(d|0)){continue}break}k=1e9>>>f|0;l=-1<<f^-1;g=0;c=d;while(1){i=g;t=e+784|0;g=t+(d<<2)|0;m=I[g>>2];i=i+(m>>>f|0)|0;I[g>>2]=i;i=!i&(c|0)==(d|0);c=i?c+1&2047:c;n=i?n-9|0:n;g=O(k,l&m);d=d+1&2047;if((d|0)!=(b|0)){continue}break}if(!g){continue}if((c|0)!=(h|0)){I[t+(b<<2)>>2]=g;b=h;continue ba}I[j>>2]=I[j>>2]|1;continue}break}break}vb(e+656|0,Kb(1,225-c|0));ke(e+688|0,I[e+656>>2],I[e+660>>2],I[e+664>>2],I[e+668>>2],k);y=I[e+696>>2];A=I[e+700>>2];u=I[e+688>>2];v=I[e+692>>2];vb(e+640|0,Kb(1,113-c|0));ie(e+672|0,i,m,j,k,I[e+640>>2],I[e+644>>2],I[e+648>>2],I[e+652>>2]);h=I[e+672>>2];f=I[e+676>>2];o=I[e+680>>2];p=I[e+684>>2];Yc(e+624|0,i,m,j,k,h,f,o,p);kb(e+608|0,u,v,y,A,I[e+624>>2],I[e+628>>2],I[e+632>>2],I[e+636>>2]);j=I[e+616>>2];k=I[e+620>>2];i=I[e+608>>2];m=I[e+612>>2]}l=d+4&2047;fa:{if((l|0)==(b|0)){break fa}l=I[(e+784|0)+(l<<2)>>2];ga:{if(l>>>0<=499999999){if(!l&(d+5&2047)==(b|0)){break ga}vb(e+496|0,+(r|0)*.25);kb(e+480|0,h,f,o,p,I[e+496>>2],I[e+500>>2],I[e+504>>2],I[e+508>>2]);o=I[e+488>>2];p=I[e+492>>2];h=I[e+480>>2];f=I[e+484>>2];break ga}if((l|0)!=5e8){vb(e+592|0,+(r|0)*.75);kb(e+576|0,h,f,o,p,I[e+592>>2],I[e+596>>2],I[e+600>>2],I[e+604>>2]);o=I[e+584>>2];p=I[e+588>>2];h=I[e+576>>2];f=I[e+580>>2];break ga}N=+(r|0);if((d+5&2047)==(b|0)){vb(e+528|0,N*.5);kb(e+512|0,h,f,o,p,I[e+528>>2],I[e+532>>2],I[e+536>>2],I[e+540>>2]);o=I[e+520>>2];p=I[e+524>>2];h=I[e+512>>2];f=I[e+516>>2];break ga}vb(e+560|0,N*.75);kb(e+544|0,h,f,o,p,I[e+560>>2],I[e+564>>2],I[e+568>>2],I[e+572>>2]);o=I[e+552>>2];p=I[e+556>>2];h=I[e+544>>2];f=I[e+548>>2]}if(c>>>0>111){break fa}ie(e+464|0,h,f,o,p,0,0,0,1073676288);if(Jb(I[e+464>>2],I[e+468>>2],I[e+472>>2],I[e+476>>2],0,0,0,0)){break fa}kb(e+448|0,h,f,o,p,0,0,0,1073676288);o=I[e+456>>2];p=I[e+460>>2];h=I[e+448>>2];f=I[e+452>>2]}kb(e+432|0,i,m,j,k,h,f,o,p);Yc(e+416|0,I[e+432>>2],I[e+436>>2],I[e+440>>2],I[e+444>>2],u,v,y,A);j=I[e+424>>2];k=I[e+428>>2];i=I[e+416>>2];m=I[e+420>>2];ha:{if((K-2|0)>=(t&2147483647)){break ha}I[e+408>>2]=j;I[e+412>>2]=k&2147483647;I[e+400>>2]=i;I[e+404>>2]=m;Oa(e+384|0,i,m,j,k,0,0,0,1073610752);d=ae(I[e+400>>2],I[e+404>>2],I[e+408>>2],I[e+412>>2],1081081856);b=(d|0)>=0;j=b?I[e+392>>2]:j;k=b?I[e+396>>2]:k;i=b?I[e+384>>2]:i;m=b?I[e+388>>2]:m;h=Jb(h,f,o,p,0,0,0,0);s=b+s|0;if((s+110|0)<=(K|0)){if(!(n&((c|0)!=(g|0)|(d|0)<0)&(h|0)!=0)){break ha}}I[58856]=68}je(e+368|0,i,m,j,k,s);h=I[e+376>>2];f=I[e+380>>2];c=I[e+372>>2];b=I[e+368>>2]}I[q+40>>2]=h;I[q+44>>2]=f;I[q+32>>2]=b;I[q+36>>2]=c;ra=e+8976|0;h=I[q+40>>2];f=I[q+44>>2];j=I[q+32>>2];k=I[q+36>>2];break a}f=0}I[a>>2]=j;I[a+4>>2]=k;I[a+8>>2]=h;I[a+12>>2]=f;ra=q+48|0}function mb(a,b,c,d,e){var f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0,z=0,A=0;v=ra-112|0;ra=v;a:{if(!I[c+8>>2]){break a}y=I[52814]/70|0;k=I[d+12>>2];q=k?k:256;b:{if((b|0)==2){k=I[I[49252]+80>>2];if((k|0)<=0|!(J[d|0]&8|k>>>0<=J[a+14|0]|J[a+6|0]&32)){break b}y=y<<1;break b}if((b|0)!=1){break b}c:{if(J[a+11|0]==3){break c}switch(J[d-15|0]-3|0){case 0:case 5:break c;default:break b}}k=I[I[49252]+44>>2];q=(k|0)<(q|0)?q:k}I[38496]=0;p=a;z=b;j=d;r=ra-16|0;ra=r;f=I[36520]+I[c+8>>2]|0;d=J[f+2|0];b=d>>>0>=24?24:d;I[r+12>>2]=b;n=I[c+12>>2]+I[c+24>>2]|0;I[38482]=n;k=153728;d:{if(!d){break d}s=b&1;a=f+4|0;k=H[f+4>>1]&1;e:{if((d|0)==1){f=0;break e}o=b&30;f=0;while(1){d=(f<<3)+153728|0;g=k?a+(f<<6)|0:a+O(f,44)|0;I[d+4>>2]=g;w=K[g>>1];H[d+2>>1]=w;H[d>>1]=J[g+16|0];d=f|1;g=(d<<3)+153728|0;t=k?a+(d<<6)|0:a+O(d,44)|0;I[g+4>>2]=t;x=K[t>>1];H[g+2>>1]=x;H[g>>1]=J[t+16|0];i=x&2?d:w&2?f:i;f=f+2|0;h=h+2|0;if((o|0)!=(h|0)){continue}break}}if(s){d=(f<<3)+153728|0;a=a+(k?f<<6:O(f,44))|0;I[d+4>>2]=a;k=K[a>>1];H[d+2>>1]=k;H[d>>1]=J[a+16|0];i=k&2?f:i}k=153728;if(!i){break d}a=(z|0)==1;b=a?i+1|0:b-i|0;I[r+12>>2]=b;k=a?153728:(i<<3)+153728|0}if(!(!I[c+4>>2]|(I[c+20>>2]|J[p+11|0]!=2))){h=I[c+36>>2];f=I[c+40>>2];a=0;d=I[r+12>>2];if((d|0)>=2){i=h>>>12|0;t=f>>>26&7;s=f>>>18&248;o=f&63;w=O(o,50);m=h>>>6|0;A=m&63;n=h<<1&126;x=O(f>>>16&31,50)-750|0;u=O(f>>>11&31,50)-750|0;l=O(f>>>6&31,50)-750|0;f:{g:{if((z|0)==1){d=I[k+4>>2];g=H[d>>1];h:{if((g|0)<0){a=d;break h}b=I[46529]+1|0;g=(b|0)<=169?b:0;I[46529]=g;b=(g<<6)+186128|0;if(!b){break h}a=K[d+20>>1]|K[d+22>>1]<<16;f=K[d+16>>1]|K[d+18>>1]<<16;H[b+16>>1]=f;H[b+18>>1]=f>>>16;H[b+20>>1]=a;H[b+22>>1]=a>>>16;f=K[d+4>>1]|K[d+6>>1]<<16;a=K[d>>1]|K[d+2>>1]<<16;H[b>>1]=a;H[b+2>>1]=a>>>16;H[b+4>>1]=f;H[b+6>>1]=f>>>16;f=K[d+60>>1]|K[d+62>>1]<<16;g=K[d+56>>1]|K[d+58>>1]<<16;H[b+56>>1]=g;H[b+58>>1]=g>>>16;H[b+60>>1]=f;H[b+62>>1]=f>>>16;f=K[d+52>>1]|K[d+54>>1]<<16;g=K[d+48>>1]|K[d+50>>1]<<16;H[b+48>>1]=g;H[b+50>>1]=g>>>16;H[b+52>>1]=f;H[b+54>>1]=f>>>16;f=K[d+44>>1]|K[d+46>>1]<<16;g=K[d+40>>1]|K[d+42>>1]<<16;H[b+40>>1]=g;H[b+42>>1]=g>>>16;H[b+44>>1]=f;H[b+46>>1]=f>>>16;f=K[d+36>>1]|K[d+38>>1]<<16;g=K[d+32>>1]|K[d+34>>1]<<16;H[b+32>>1]=g;H[b+34>>1]=g>>>16;H[b+36>>1]=f;H[b+38>>1]=f>>>16;f=K[d+28>>1]|K[d+30>>1]<<16;g=K[d+24>>1]|K[d+26>>1]<<16;H[b+24>>1]=g;H[b+26>>1]=g>>>16;H[b+28>>1]=f;H[b+30>>1]=f>>>16;f=K[d+12>>1]|K[d+14>>1]<<16;d=K[d+8>>1]|K[d+10>>1]<<16;H[b+8>>1]=d;H[b+10>>1]=d>>>16;H[b+12>>1]=f;H[b+14>>1]=f>>>16;G[b+16|0]=0;g=a|-32768;H[b>>1]=g;a=b}I[k+4>>2]=a;H[k>>1]=n?n:50;H[k+2>>1]=K[k+2>>1]|16384;H[a>>1]=g|16384;f=I[k+12>>2];b=J[f+17|0];d=I[35052];if(I[d+132>>2]){G[a+39|0]=J[f+39|0]-4}i:{if(o){if(h&2048){b=(O(b,m&31)>>>0)/30|0;j:{if(I[d+132>>2]){break j}d=J[a+17|0];if(!d){break j}b=(b<<6>>>0)/(d>>>0)|0;b=H[((b>>>0>=199?199:b)<<1)+102912>>1];G[a+18|0]=(O(b,J[a+18|0])|0)/512;G[a+19|0]=(O(b,J[a+19|0])|0)/512;G[a+20|0]=(O(b,J[a+20|0])|0)/512;G[a+21|0]=(O(b,J[a+21|0])|0)/512;G[a+22|0]=(O(b,J[a+22|0])|0)/512;G[a+23|0]=(O(b,J[a+23|0])|0)/512;G[a+24|0]=(O(b,J[a+24|0])|0)/512;G[a+25|0]=(O(b,J[a+25|0])|0)/512}wd(a,w,l,u,t,x,s,i);break i}wd(a,w,l,u,t,x,s,i);if(I[I[35052]+132>>2]){break i}b=J[a+17|0];if(!b){break i}b=(A<<7>>>0)/(b>>>0)|0;b=H[((b>>>0>=199?199:b)<<1)+102912>>1];G[a+18|0]=(O(b,J[a+18|0])|0)/512;G[a+19|0]=(O(b,J[a+19|0])|0)/512;G[a+20|0]=(O(b,J[a+20|0])|0)/512;G[a+21|0]=(O(b,J[a+21|0])|0)/512;G[a+22|0]=(O(b,J[a+22|0])|0)/512;G[a+23|0]=(O(b,J[a+23|0])|0)/512;G[a+24|0]=(O(b,J[a+24|0])|0)/512;G[a+25|0]=(O(b,J[a+25|0])|0)/512;break i}d=I[d+132>>2];if(i&8){if(d){break i}d=J[a+17|0];if(!d){break i}b=((O(b,48)&16320)>>>0)/(d>>>0)|0;b=H[((b>>>0>=199?199:b)<<1)+102912>>1];G[a+18|0]=(O(b,J[a+18|0])|0)/512;G[a+19|0]=(O(b,J[a+19|0])|0)/512;G[a+20|0]=(O(b,J[a+20|0])|0)/512;G[a+21|0]=(O(b,J[a+21|0])|0)/512;G[a+22|0]=(O(b,J[a+22|0])|0)/512;G[a+23|0]=(O(b,J[a+23|0])|0)/512;G[a+24|0]=(O(b,J[a+24|0])|0)/512;G[a+25|0]=(O(b,J[a+25|0])|0)/512;break i}if(d){break i}b=J[a+17|0];if(!b){break i}b=1792/(b>>>0)|0;b=H[((b>>>0>=199?199:b)<<1)+102912>>1];G[a+18|0]=(O(b,J[a+18|0])|0)/512;G[a+19|0]=(O(b,J[a+19|0])|0)/512;G[a+20|0]=(O(b,J[a+20|0])|0)/512;G[a+21|0]=(O(b,J[a+21|0])|0)/512;G[a+22|0]=(O(b,J[a+22|0])|0)/512;G[a+23|0]=(O(b,J[a+23|0])|0)/512;G[a+24|0]=(O(b,J[a+24|0])|0)/512;G[a+25|0]=(O(b,J[a+25|0])|0)/512}if(!(i&8)){break g}d=H[a+4>>1];b=2816;k:{if((d|0)<300){break k}b=2560;if(d>>>0<400){break k}b=d>>>0<500?2304:2048}I[38496]=b;break g}if(!(i|o)){break f}l:{if(i&8){b=I[(k+(d<<3)|0)-4>>2];m:{if(H[b>>1]<0){a=b;break m}a=I[46529]+1|0;a=(a|0)<=169?a:0;I[46529]=a;d=K[b+20>>1]|K[b+22>>1]<<16;a=(a<<6)+186128|0;g=K[b+16>>1]|K[b+18>>1]<<16;H[a+16>>1]=g;H[a+18>>1]=g>>>16;H[a+20>>1]=d;H[a+22>>1]=d>>>16;d=K[b+4>>1]|K[b+6>>1]<<16;g=K[b>>1]|K[b+2>>1]<<16;H[a>>1]=g;H[a+2>>1]=g>>>16;H[a+4>>1]=d;H[a+6>>1]=d>>>16;d=K[b+12>>1]|K[b+14>>1]<<16;g=K[b+8>>1]|K[b+10>>1]<<16;H[a+8>>1]=g;H[a+10>>1]=g>>>16;H[a+12>>1]=d;H[a+14>>1]=d>>>16;d=K[b+28>>1]|K[b+30>>1]<<16;g=K[b+24>>1]|K[b+26>>1]<<16;H[a+24>>1]=g;H[a+26>>1]=g>>>16;H[a+28>>1]=d;H[a+30>>1]=d>>>16;d=K[b+36>>1]|K[b+38>>1]<<16;g=K[b+32>>1]|K[b+34>>1]<<16;H[a+32>>1]=g;H[a+34>>1]=g>>>16;H[a+36>>1]=d;H[a+38>>1]=d>>>16;d=K[b+44>>1]|K[b+46>>1]<<16;g=K[b+40>>1]|K[b+42>>1]<<16;H[a+40>>1]=g;H[a+42>>1]=g>>>16;H[a+44>>1]=d;H[a+46>>1]=d>>>16;d=K[b+52>>1]|K[b+54>>1]<<16;g=K[b+48>>1]|K[b+50>>1]<<16;H[a+48>>1]=g;H[a+50>>1]=g>>>16;H[a+52>>1]=d;H[a+54>>1]=d>>>16;d=K[b+60>>1]|K[b+62>>1]<<16;b=K[b+56>>1]|K[b+58>>1]<<16;H[a+56>>1]=b;H[a+58>>1]=b>>>16;H[a+60>>1]=d;H[a+62>>1]=d>>>16;G[a+16|0]=0;H[a>>1]=K[a>>1]|32768;d=I[r+12>>2]}I[(k+(d<<3)|0)-4>>2]=a;d=H[a+4>>1];b=1792;n:{if((d|0)<300){break n}b=1536;if(d>>>0<400){break n}b=d>>>0<500?1280:1024}I[38496]=b;h=35;break l}I[r+12>>2]=d+1;g=k+(d<<3)|0;H[g-8>>1]=n;d=I[g-4>>2];a=I[46529]+1|0;a=(a|0)<=169?a:0;I[46529]=a;a=(a<<6)+186128|0;if(a){b=K[d+20>>1]|K[d+22>>1]<<16;h=K[d+16>>1]|K[d+18>>1]<<16;H[a+16>>1]=h;H[a+18>>1]=h>>>16;H[a+20>>1]=b;H[a+22>>1]=b>>>16;h=K[d+4>>1]|K[d+6>>1]<<16;b=K[d>>1]|K[d+2>>1]<<16;H[a>>1]=b;H[a+2>>1]=b>>>16;H[a+4>>1]=h;H[a+6>>1]=h>>>16;h=K[d+60>>1]|K[d+62>>1]<<16;m=K[d+56>>1]|K[d+58>>1]<<16;H[a+56>>1]=m;H[a+58>>1]=m>>>16;H[a+60>>1]=h;H[a+62>>1]=h>>>16;h=K[d+52>>1]|K[d+54>>1]<<16;m=K[d+48>>1]|K[d+50>>1]<<16;H[a+48>>1]=m;H[a+50>>1]=m>>>16;H[a+52>>1]=h;H[a+54>>1]=h>>>16;h=K[d+44>>1]|K[d+46>>1]<<16;m=K[d+40>>1]|K[d+42>>1]<<16;H[a+40>>1]=m;H[a+42>>1]=m>>>16;H[a+44>>1]=h;H[a+46>>1]=h>>>16;h=K[d+36>>1]|K[d+38>>1]<<16;m=K[d+32>>1]|K[d+34>>1]<<16;H[a+32>>1]=m;H[a+34>>1]=m>>>16;H[a+36>>1]=h;H[a+38>>1]=h>>>16;h=K[d+28>>1]|K[d+30>>1]<<16;m=K[d+24>>1]|K[d+26>>1]<<16;H[a+24>>1]=m;H[a+26>>1]=m>>>16;H[a+28>>1]=h;H[a+30>>1]=h>>>16;h=K[d+12>>1]|K[d+14>>1]<<16;d=K[d+8>>1]|K[d+10>>1]<<16;H[a+8>>1]=d;H[a+10>>1]=d>>>16;H[a+12>>1]=h;H[a+14>>1]=h>>>16;G[a+16|0]=0;H[a>>1]=b|32768}H[g>>1]=0;I[g+4>>2]=a;if(n>>>0>=37){I[38482]=(n+I[38482]|0)-36}h=A<<1;if(!o){break l}wd(a,w,l,u,t,x,s,i)}o:{if(I[I[35052]+132>>2]){break o}b=J[a+17|0];if(!b){break o}b=(h<<6>>>0)/(b>>>0)|0;b=H[((b>>>0>=199?199:b)<<1)+102912>>1];G[a+18|0]=(O(b,J[a+18|0])|0)/512;G[a+19|0]=(O(b,J[a+19|0])|0)/512;G[a+20|0]=(O(b,J[a+20|0])|0)/512;G[a+21|0]=(O(b,J[a+21|0])|0)/512;G[a+22|0]=(O(b,J[a+22|0])|0)/512;G[a+23|0]=(O(b,J[a+23|0])|0)/512;G[a+24|0]=(O(b,J[a+24|0])|0)/512;G[a+25|0]=(O(b,J[a+25|0])|0)/512}p:{if(f-536870912>>>0>1073741823){break p}g=I[r+12>>2];if((g|0)<=0){break p}a=O(f>>>29|0,10)+102870|0;t=H[a>>1];s=H[a+8>>1];o=H[a+6>>1];w=H[a+4>>1];x=H[a+2>>1];d=I[46529];h=0;while(1){u=k+(h<<3)|0;b=I[u+4>>2];q:{if(H[b>>1]<0){a=b;break q}a=d+1|0;d=(a|0)<=169?a:0;I[46529]=d;f=K[b+20>>1]|K[b+22>>1]<<16;a=(d<<6)+186128|0;g=K[b+16>>1]|K[b+18>>1]<<16;H[a+16>>1]=g;H[a+18>>1]=g>>>16;H[a+20>>1]=f;H[a+22>>1]=f>>>16;g=K[b+4>>1]|K[b+6>>1]<<16;f=K[b>>1]|K[b+2>>1]<<16;H[a>>1]=f;H[a+2>>1]=f>>>16;H[a+4>>1]=g;H[a+6>>1]=g>>>16;g=K[b+12>>1]|K[b+14>>1]<<16;l=K[b+8>>1]|K[b+10>>1]<<16;H[a+8>>1]=l;H[a+10>>1]=l>>>16;H[a+12>>1]=g;H[a+14>>1]=g>>>16;g=K[b+28>>1]|K[b+30>>1]<<16;l=K[b+24>>1]|K[b+26>>1]<<16;H[a+24>>1]=l;H[a+26>>1]=l>>>16;H[a+28>>1]=g;H[a+30>>1]=g>>>16;g=K[b+36>>1]|K[b+38>>1]<<16;l=K[b+32>>1]|K[b+34>>1]<<16;H[a+32>>1]=l;H[a+34>>1]=l>>>16;H[a+36>>1]=g;H[a+38>>1]=g>>>16;g=K[b+44>>1]|K[b+46>>1]<<16;l=K[b+40>>1]|K[b+42>>1]<<16;H[a+40>>1]=l;H[a+42>>1]=l>>>16;H[a+44>>1]=g;H[a+46>>1]=g>>>16;g=K[b+52>>1]|K[b+54>>1]<<16;l=K[b+48>>1]|K[b+50>>1]<<16;H[a+48>>1]=l;H[a+50>>1]=l>>>16;H[a+52>>1]=g;H[a+54>>1]=g>>>16;g=K[b+60>>1]|K[b+62>>1]<<16;b=K[b+56>>1]|K[b+58>>1]<<16;H[a+56>>1]=b;H[a+58>>1]=b>>>16;H[a+60>>1]=g;H[a+62>>1]=g>>>16;G[a+16|0]=0;H[a>>1]=f|32768;g=I[r+12>>2]}I[u+4>>2]=a;H[a+4>>1]=(O(t,H[a+4>>1])|0)/256;H[a+6>>1]=(O(x,H[a+6>>1])|0)/256;H[a+8>>1]=(O(w,H[a+8>>1])|0)/256;H[a+10>>1]=(O(o,H[a+10>>1])|0)/256;H[a+12>>1]=(O(s,H[a+12>>1])|0)/256;h=h+1|0;if((h|0)<(g|0)){continue}break}break g}if(!a){break f}}if(i&4){H[a>>1]=K[a>>1]|32}if(!(i&2)){break f}H[a>>1]=K[a>>1]|16}if(i&64){xb(20,0)}a=n&i<<27>>31}else{a=0}n=a+I[38482]|0;I[38482]=n;b=I[r+12>>2]}d=b-1|0;r:{if((d|0)<=0){g=0;break r}a=0;f=0;g=0;if(b-2>>>0>=3){h=d&2147483644;i=0;while(1){l=g;g=k+(f<<3)|0;g=(((l+H[g>>1]|0)+H[g+8>>1]|0)+H[g+16>>1]|0)+H[g+24>>1]|0;f=f+4|0;i=i+4|0;if((h|0)!=(i|0)){continue}break}}i=d&3;if(!i){break r}while(1){g=H[k+(f<<3)>>1]+g|0;f=f+1|0;a=a+1|0;if((i|0)!=(a|0)){continue}break}}a=b;f=I[c+20>>2];s:{if(!f){break s}a=d;i=f+I[36520]|0;h=J[i+2|0];if(!h){break s}s=K[i+4>>1];H[k+(a<<3)>>1]=J[i+20|0];f=1;a=b;if((h|0)==1){break s}t=i+4|0;s=s&1;i=h-1|0;w=i&1;if((h|0)!=2){x=i&-2;h=0;while(1){u=t+(f<<6)|0;l=t+O(f,44)|0;o=s?u:l;A=J[o+16|0];i=k+(a<<3)|0;I[i+4>>2]=o;H[i>>1]=A;H[i+2>>1]=K[o>>1];o=s?u- -64|0:l+44|0;u=J[o+16|0];I[i+12>>2]=o;H[i+8>>1]=u;H[i+10>>1]=K[o>>1];f=f+2|0;a=a+2|0;h=h+2|0;if((x|0)!=(h|0)){continue}break}}if(!w){break s}f=t+(s?f<<6:O(f,44))|0;h=J[f+16|0];i=k+(a<<3)|0;I[i+4>>2]=f;H[i>>1]=h;H[i+2>>1]=K[f>>1];a=a+1|0}t:{if((g|0)<=0){break t}u:{v:{switch(z-1|0){case 1:f=(I[c+44>>2]+n|0)-45|0;f=(f|0)<=10?10:f;if(J[j|0]&8){f=f+(J[I[38188]+14|0]<<1)|0}if((d|0)<=0){break t}j=(f<<8)/(g|0)|0;f=0;if((b|0)!=2){g=d&2147483646;i=0;while(1){b=k+(f<<3)|0;H[b>>1]=(O(j,H[b>>1])|0)/256;H[b+8>>1]=(O(j,H[b+8>>1])|0)/256;f=f+2|0;i=i+2|0;if((g|0)!=(i|0)){continue}break}}if(!(d&1)){break t}b=k+(f<<3)|0;H[b>>1]=(O(j,H[b>>1])|0)/256;break t;case 0:if(I[c>>2]!=1){break u}f=I[c+44>>2];if((f|0)>129){break u}H[k>>1]=(O(f,H[k>>1])|0)/130;break u;default:break v}}f=I[c+44>>2];if((f|0)<=0){break u}n=(f-g|0)+n|0;I[38482]=n}if(!n|(d|0)<=0){break t}j=(g+n<<8)/(g|0)|0;f=0;if((b|0)!=2){g=d&2147483646;i=0;while(1){b=k+(f<<3)|0;H[b>>1]=(O(j,H[b>>1])|0)/256;H[b+8>>1]=(O(j,H[b+8>>1])|0)/256;f=f+2|0;i=i+2|0;if((g|0)!=(i|0)){continue}break}}if(!(d&1)){break t}b=k+(f<<3)|0;H[b>>1]=(O(j,H[b>>1])|0)/256}I[v+108>>2]=a;ra=r+16|0;if(!k){break a}a=I[c+16>>2];if((a|0)!=I[38498]){I[38498]=a;b=(I[52818]<<4)+224432|0;I[b>>2]=14;I[b+4>>2]=a;a=I[52818]+1|0;I[52818]=(a|0)<=169?a:0}a=I[I[35052]+132>>2];g=a?1:3;b=I[k+4>>2];if(!(I[c+28>>2]|!J[153988])){G[153988]=0;g=a?2:4}f=I[38486];w:{if(!f){break w}a=K[f>>1];if(!((a&2)>>>1|J[f+16|0]<2)|a&16){break w}i=(I[38499]<<4)+224432|0;I[i+12>>2]=b;if(!(a&8)){break w}a=I[46529]+1|0;a=(a|0)<=169?a:0;I[46529]=a;d=(a<<6)+186128|0;if(d){a=K[b+20>>1]|K[b+22>>1]<<16;j=K[b+16>>1]|K[b+18>>1]<<16;H[d+16>>1]=j;H[d+18>>1]=j>>>16;H[d+20>>1]=a;H[d+22>>1]=a>>>16;j=K[b+4>>1]|K[b+6>>1]<<16;a=K[b>>1]|K[b+2>>1]<<16;H[d>>1]=a;H[d+2>>1]=a>>>16;H[d+4>>1]=j;H[d+6>>1]=j>>>16;j=K[b+60>>1]|K[b+62>>1]<<16;h=K[b+56>>1]|K[b+58>>1]<<16;H[d+56>>1]=h;H[d+58>>1]=h>>>16;H[d+60>>1]=j;H[d+62>>1]=j>>>16;j=K[b+52>>1]|K[b+54>>1]<<16;h=K[b+48>>1]|K[b+50>>1]<<16;H[d+48>>1]=h;H[d+50>>1]=h>>>16;H[d+52>>1]=j;H[d+54>>1]=j>>>16;j=K[b+44>>1]|K[b+46>>1]<<16;h=K[b+40>>1]|K[b+42>>1]<<16;H[d+40>>1]=h;H[d+42>>1]=h>>>16;H[d+44>>1]=j;H[d+46>>1]=j>>>16;j=K[b+36>>1]|K[b+38>>1]<<16;h=K[b+32>>1]|K[b+34>>1]<<16;H[d+32>>1]=h;H[d+34>>1]=h>>>16;H[d+36>>1]=j;H[d+38>>1]=j>>>16;j=K[b+28>>1]|K[b+30>>1]<<16;h=K[b+24>>1]|K[b+26>>1]<<16;H[d+24>>1]=h;H[d+26>>1]=h>>>16;H[d+28>>1]=j;H[d+30>>1]=j>>>16;j=K[b+12>>1]|K[b+14>>1]<<16;h=K[b+8>>1]|K[b+10>>1]<<16;H[d+8>>1]=h;H[d+10>>1]=h>>>16;H[d+12>>1]=j;H[d+14>>1]=j>>>16;G[d+16|0]=0;H[d>>1]=a|32768}H[d+8>>1]=K[f+8>>1];G[d+21|0]=J[f+21|0];H[d+10>>1]=K[f+10>>1];G[d+22|0]=J[f+22|0];H[d+12>>1]=K[f+12>>1];G[d+23|0]=J[f+23|0];H[d+14>>1]=K[f+14>>1];G[d+24|0]=J[f+24|0];G[d+25|0]=J[f+25|0];I[i+12>>2]=d}if(!((z|0)!=2|J[p+11|0]!=2)){Pb();I[38487]=I[52818]}p=I[v+108>>2];if((p|0)>=2){a=I[38493];j=(O(256-a|0,q)+(a<<8)|0)/256|0;a=I[38492];i=(O(256-a|0,q)+(a<<8)|0)/256|0;h=I[52814];a=0;d=1;while(1){r=k+(d<<3)|0;f=K[r-6>>1];f=(O((O(h,H[r-8>>1])|0)/1e3|0,f&4?i:f&16384?j:q)|0)/256|0;I[(d<<2)+v>>2]=f;a=a+f|0;d=d+1|0;if((p|0)!=(d|0)){continue}break}x:{if((a|0)<=0|(a|0)>=(y|0)){break x}d=1;f=p-1|0;j=f&1;if((p|0)!=2){f=f&-2;q=0;while(1){p=(d<<2)+v|0;I[p>>2]=(O(I[p>>2],y)|0)/(a|0);I[p+4>>2]=(O(I[p+4>>2],y)|0)/(a|0);d=d+2|0;q=q+2|0;if((f|0)!=(q|0)){continue}break}}if(!j){break x}d=(d<<2)+v|0;I[d>>2]=(O(I[d>>2],y)|0)/(a|0)}p=z+256|0;q=0;d=1;while(1){a=I[(k+(d<<3)|0)+4>>2];f=I[c+28>>2];if(!(!f|J[b|0]&128)){I[38482]=0;l=I[c>>2];j=I[c+32>>2];if(j){j=(j<<5)/100|0}else{j=32}Gc(f,p,0,l,0,j);G[153988]=1;I[c+28>>2]=0}y:{if((e|0)<0){break y}e=J[b|0]&64?6:e;if((I[v+108>>2]-1|0)!=(d|0)){break y}f=e;e=I[38496];e=f|(e&3840?e:0)}f=I[(d<<2)+v>>2];I[38500]=f+I[38500];I[38501]=f+I[38501];z:{if(!f){I[38486]=0;break z}j=I[52818];I[38499]=j;if((e|0)>=0){j=(j<<4)+224432|0;I[j>>2]=g;I[j+12>>2]=a;I[j+8>>2]=b;I[j+4>>2]=f+(e<<16);b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0}I[38486]=a;q=f+q|0}b=a;d=d+1|0;if((d|0)<I[v+108>>2]){continue}break}}if(!I[38498]|(z|0)==1){break a}I[38498]=0;a=(I[52818]<<4)+224432|0;I[a>>2]=14;I[a+4>>2]=0;a=I[52818]+1|0;I[52818]=(a|0)<=169?a:0}ra=v+112|0}function Ob(a,b,c,d){var e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0,z=0,A=0,B=0,C=0,D=0,E=0,F=0;e=ra-1856|0;ra=e;I[e+164>>2]=0;a:{if(c){o=I[c>>2];break a}c=e- -64|0;Ja(c,0,96)}I[35324]=0;I[e+1824>>2]=0;I[e+1828>>2]=0;I[e+1832>>2]=0;I[e+1836>>2]=0;G[e+1616|0]=0;G[e+992|0]=0;G[e+1200|0]=0;G[e+784|0]=0;b:{if(!I[a+688>>2]){G[197328]=0;break b}I[e+1840>>2]=b;f=b;if(J[f|0]==32){f=f+1|0;I[e+1840>>2]=f}B=e+1848|1;y=e+1844|1;C=e+1852|1;v=e+576|1;p=e+416|1;x=e+1408|1;I[e+1820>>2]=f;La(e+168|0,f);f=I[e+1820>>2];while(1){if((J[f|0]|32)!=32){f=La(e+164|0,f)+I[e+1820>>2]|0;I[e+1820>>2]=f;s=s+1|0;continue}break}h=f-b|0;z=(h|0)>=159?159:h;Ka(e+256|0,b,z);A=o&4194304;c:{if(!(!A|(s|0)!=1)){g=1;La(e+172|0,f+1|0);d:{if(!Ra(I[e+172>>2])){break d}if((jc(I[e+164>>2])|0)!=(jc(I[e+172>>2])|0)){break d}g=0}f=I[49262];r=(f|0)==36?4:g;g=0;break c}f=I[49262];r=((f|0)==36)<<2;if((s|0)==1|(f|0)!=36){break c}f=I[e+1840>>2]-1|0;I[e+1840>>2]=f;G[f|0]=95;r=0;g=(cb(a,e+1840|0,e+1616|0,e+1832|0,0,c)|0)!=0;f=I[49262]}e:{f:{g:{h:{i:{j:{if(f&16){n=f&15;break j}t=1;if(!g){t=(cb(a,e+1840|0,e+1616|0,e+1832|0,2,c)|0)!=0}f=I[e+1832>>2];k:{if(!(f&50331648)){break k}h=I[e+1820>>2];if(J[h+1|0]!=46){break k}G[h+1|0]=32;f=I[e+1832>>2]}if(f&536870912){if(!d){break b}Ha(d,I[e+1840>>2]);break b}d=I[35324];l:{if((f&8320)!=128|t){break l}f=I[e+1840>>2];I[e+1820>>2]=f;if((d|0)<=0){break l}g=0;while(1){if(J[f|0]==32){G[f|0]=45;g=g+1|0;f=I[e+1820>>2];d=I[35324]}f=f+1|0;I[e+1820>>2]=f;if((d|0)>(g|0)){continue}break}}m:{if(d|(s|0)!=1){break m}d=I[e+1840>>2];l=La(e+576|0,d);if(J[l+d|0]!=32){break m}f=e+1408|0;h=d;n:{o:{p:{while(1){q:{if(!Ra(I[e+576>>2])){break q}j=h+l|0;r:{if(J[j+1|0]==46){n=0;s:{g=l+2|0;switch(J[g+h|0]-32|0){case 0:break r;case 7:break s;default:break q}}if(J[j+3|0]!=115){break q}n=1;l=g;break r}n=1;if((i|0)<=0){break p}}t:{if((l|0)<=0){break t}q=l&3;j=0;u:{if(l>>>0<4){g=0;break u}u=l&2147483644;g=0;k=0;while(1){m=g+h|0;G[f|0]=J[m|0];G[f+1|0]=J[m+1|0];G[f+2|0]=J[m+2|0];G[f+3|0]=J[m+3|0];g=g+4|0;f=f+4|0;k=k+4|0;if((u|0)!=(k|0)){continue}break}}if(!q){break t}while(1){G[f|0]=J[g+h|0];g=g+1|0;f=f+1|0;j=j+1|0;if((q|0)!=(j|0)){continue}break}}i=i+1|0;if(n){h=h+l|0;break q}h=(h+l|0)+3|0;l=La(e+576|0,h);if(J[h+l|0]==32){continue}}break}if((i|0)<2){break p}g=e+1408|0;j=f-g|0;d=Ka(d,g,j);j=j+d|0;if(j>>>0<h>>>0){Ja(j,32,g+h-(d+f)|0)}I[35324]=(i<<1)-2;I[e+1836>>2]=0;break o}if(!i){break m}I[e+1832>>2]=0;I[e+1836>>2]=0;if(!I[35324]){break n}}I[e+1832>>2]=128}r=1}if(J[e+1616|0]==21){Ha(197328,e+1616|0);f=0;break b}D=I[e+1832>>2];g=1;v:{if(t){break v}if(I[e+168>>2]-48>>>0<=9){Ia(a,84190,197328);f=0;if(J[197328]==21){break b}if(!(!(J[a+109|0]&128)|J[c+2|0]&32)){G[197328]=21;G[197329]=0;break b}if(jf(a,I[e+1840>>2],e+1616|0,e+1832|0,c,0)){break v}}g=0;if((o&3)==2){break v}d=I[a+104>>2];if(!(d&16777216)&(!(d&33554432)|!(o&1))|!(o&16)&(G[c+13|0]&1)){break v}u=I[e+1840>>2];f=0;m=0;j=0;q=ra-224|0;ra=q;n=e+1616|0;G[n|0]=0;I[q+216>>2]=0;I[q+220>>2]=0;w:{if(G[u-2|0]-48>>>0<10|(G[c|0]&1?0:J[a+107|0]&2)){break w}i=u+1|0;d=J[i|0];if((d|0)==32){if(!(K[a+106>>1]&2561)|!(G[c+2|0]&1)){break w}}m=J[u|0];x:{if((m|0)==32){h=i;break x}l=32767;d=0;while(1){f=Xb(101884,m<<24>>24,8);if(!f){m=0;break w}k=0;y:{f=I[(f<<2)-305632>>2];if((f|0)!=(d|0)){break y}k=j+1|0;if((k|0)<=2){break y}m=0;break w}z:{A:{B:{C:{D:{if((d|0)<2){break D}if((d|0)==10|(d|0)==100){break C}if((d|0)>(f|0)){break D}m=0;break w}if(!d){break A}if((d|0)<(f|0)){break B}break A}if((d|0)>=(f|0)){break A}}m=0;if((w|0)%10|(O(d,10)|0)<(f|0)){break w}f=f-d|0;l=d;break z}if((f|0)>=(l|0)){m=0;break w}w=d+w|0}m=J[i|0];h=i+1|0;i=h;d=f;j=k;if((m|0)!=32){continue}break}d=J[h|0]}if((d<<24>>24)-48>>>0<10){m=0;break w}d=f+w|0;if((d|0)<I[a+120>>2]){m=0;break w}if((d|0)>I[a+116>>2]){m=0;break w}i=q+176|0;Ia(a,85609,i);f=n;if(!(J[a+107|0]&4)){f=Ha(f,i)+Ga(i)|0}I[q+4>>2]=I[a+140>>2];I[q>>2]=d;Fa(q+16|0,85848,q);m=0;if(J[h|0]==46){break w}if(kf(a,u,h,c,1)){I[c>>2]=I[c>>2]|32768}i=0;E:{if(!(J[a+107|0]&8)){break E}j=I[c>>2];if(I[a+212>>2]==26741){if(j&32768){break E}if(!(j&16384)){break w}i=1;j=0;F:{G:{switch(J[h|0]-97|0){case 0:case 4:break G;default:break F}}H:{I:{J:{K:{l=J[h+1|0];switch(l-116|0){case 6:break F;case 1:case 2:case 3:case 4:case 5:break I;case 0:break K;default:break J}}if(J[h+2|0]!=116){break H}break F}if((l|0)==32){break F}}if((d|0)%1e3|0){break H}if((l|0)==108){break F}}j=1}if(j){break E}break w}I[c>>2]=j|32768}I[a+8232>>2]=0;I[a+8236>>2]=0;jf(a,q+16|2,f,q+216|0,c,i);m=1;if(!(J[a+107|0]&4)){break w}fb(n,q+176|0)}ra=q+224|0;if(!m){break v}I[e+1832>>2]=I[e+1832>>2]|8192;g=1}n=t?r:D&8192?1:r;l=0;if(!(o&1)|(s|0)<2){break j}if(!lb(I[e+168>>2])){break j}L:{if(G[197025]&1){f=I[e+1832>>2];d=f&8192;if(!(!d|g)){break L}l=d>>>2^2048;g=d>>>13|g;break j}if(g){break i}f=I[e+1832>>2]}g=0;if(f&128|s>>>0>3){break j}f=I[a+8220>>2];if((f|0)<4){break j}d=1;if((f|0)>=I[a+8216>>2]){break e}}h=0;if((n|0)<=0){break h}d=n;break e}t=1;d=n;if((d|0)>0){break e}h=0;j=1;r=0;break g}if(g){t=1;j=1;r=0;break g}d=I[e+1840>>2];I[e+1820>>2]=d;f=999;r=0;k=0;p=0;while(1){M:{N:{O:{if(f-1>>>0>=2){if((s|0)<2){break O}La(e+1408|0,d);f=I[e+1408>>2];if((f|0)<577&I[a+600>>2]>0){break O}f=jc(f);if((I[f+4>>2]!=I[a+600>>2]?f:0)|I[a+40>>2]==1){break O}f=J[d|0];I[e+1408>>2]=f<<24>>24;P:{switch(f-32|0){default:if(!f){break O}break;case 0:case 7:break O;case 1:case 2:case 3:case 4:case 5:case 6:break P}}h=La(e+1408|0,d);i=9;Q:{R:{S:{f=I[e+1408>>2];T:{if(!(f&-33)){j=0;break T}g=0;j=0;while(1){U:{V:{if((f|0)==39){if((k|0)>0|(g|0)>1){break T}j=g?j:39;if(I[a+40>>2]!=3){break V}break U}j=g?j:f}g=g+1|0}if(!Qd(a,f)){f=I[e+1408>>2];if((f|0)!=39){if(!lb(f)){break O}}h=La(e+1408|0,d+h|0)+h|0;f=I[e+1408>>2];if(f&-33){continue}break T}break}if((g|0)<=2){break S}i=g}f=I[a+40>>2];if((f|0)!=2){break R}f=ra-208|0;ra=f;G[f|0]=0;i=d-1|0;h=J[i|0];G[i|0]=32;d=pb(a,d,f,200,0,-2147483648,0);G[i|0]=h;ra=f+208|0;d=!d|(d&32768)>>>15;break Q}f=I[a+40>>2];i=g}d=(G[a+168|0]+1|0)<(i-((f|0)==(j|0))|0)}if(!d){break O}d=I[e+1820>>2]}if(J[d|0]!=39){break N}r=67108864;l=0}h=0;Gd(a,e+992|0,0,k);d=I[e+1820>>2];f=J[d|0];if((f|0)!=32){break M}t=1;j=1;break g}l=0;p=(k|0)>0|p;d=sd(a,d,e+992|0,p&1)+I[e+1820>>2]|0;I[e+1820>>2]=d;if(J[e+992|0]==21){break f}k=k+1|0;g=0;while(1){f=g;g=f+1|0;if(J[d+f|0]!=32){continue}break}r=67108864;continue}break}if(!J[e+992|0]|(f|0)==39){f=d}else{G[d-1|0]=32;f=I[e+1820>>2]}d=e+1616|0;i=pb(a,f,d,200,e+784|0,o,e+1832|0);f=J[e+1616|0];if((f|0)==21){Ha(197328,d);f=0;break b}W:{if(f|J[e+784|0]){break W}La(e+1408|0,I[e+1820>>2]);if((s|0)!=1){break W}if(!Ra(I[e+1408>>2])){if(!Hd(I[e+1408>>2])){break W}}b=a;a=e+1616|0;if(rd(b,I[e+1820>>2],a,n)){Ha(197328,a)}f=0;break b}d=I[e+1820>>2];I[e+172>>2]=G[d-1|0];g=0;t=1;X:{if(!(i&1024)){f=i;p=0;k=0;j=1;break X}m=e+176|1;n=0;d=1;p=0;j=0;while(1){Y:{Z:{_:{k=i&131072;if(k|!(d&1)){break _}G[e+1408|0]=0;g=e+1408|0;h=e+576|0;f=e+1832|0;d=pb(a,I[e+1820>>2],g,200,h,o|805306368,f);if(!d){break _}i=e+416|0;Oc(a,I[e+1820>>2],d,i);k=e+1616|0;v=e+784|0;f=pb(a,I[e+1820>>2],k,200,v,o|268435456,f);Ka(I[e+1820>>2],i,Ga(i));if(!(f&1024)){Ha(k,g);f=Ha(v,h);if(J[197028]&8){Hb(f,h);f=I[49255];I[e+48>>2]=h;Sa(f,85217,e+48|0)}f=d}d=0;break Z}if(i&2048){I[a+8184>>2]=1}G[I[e+1820>>2]-1|0]=I[e+172>>2];$:{aa:{ba:{ca:{if(!k){f=I[e+1820>>2];h=i&15;if(!h){break ba}d=0;g=h;j=i&3;if(j){while(1){f=f+1|0;I[e+1820>>2]=f;if(G[f|0]<-64){continue}g=g-1|0;d=d+1|0;if((j|0)!=(d|0)){continue}break}}if(h>>>0<4){break ca}while(1){f=f+1|0;I[e+1820>>2]=f;if(G[f|0]<-64){continue}while(1){f=f+1|0;I[e+1820>>2]=f;if(G[f|0]<-64){continue}break}while(1){f=f+1|0;I[e+1820>>2]=f;if(G[f|0]<-64){continue}break}while(1){f=f+1|0;I[e+1820>>2]=f;if(G[f|0]<-64){continue}break}d=(g|0)>4;g=g-4|0;if(d){continue}break}break ca}G[e+176|0]=0;f=I[e+1820>>2];d=1;h=i&63;da:{if(!h){break da}v=i&1;x=h-1|0;ea:{if(!x){g=0;break ea}q=h-2|0;u=h-v|0;g=0;h=0;while(1){j=f;I[e+1820>>2]=f+1;w=(e+176|0)+d|0;G[w|0]=(g|0)!=(x|0)?J[f|0]:0;f=f+2|0;I[e+1820>>2]=f;G[w+1|0]=(g|0)!=(q|0)?J[j+1|0]:0;g=g+2|0;d=d+2|0;h=h+2|0;if((u|0)!=(h|0)){continue}break}}if(!v){break da}h=f+1|0;I[e+1820>>2]=h;G[(e+176|0)+d|0]=(g|0)!=(x|0)?J[f|0]:0;d=d+1|0;f=h}G[(e+176|0)+d|0]=0}d=f-1|0;I[e+172>>2]=G[d|0];G[d|0]=32;o=o|8388608;if(!k){break aa}Qa(e+576|0,e+784|0,12);I[e+1852>>2]=m;f=e+1616|0;d=Ha(e+1200|0,f);if(cb(a,e+1852|0,f,e+1832|0,0,c)){Ha(d,f)}if(!(J[e+1833|0]&32)){break $}G[d|0]=0;rd(a,I[e+1852>>2],d,1);break $}d=f-1|0;I[e+172>>2]=G[d|0];G[d|0]=32;o=o|8388608}fb(e+1200|0,e+784|0)}G[e+784|0]=0;g=1;d=cb(a,e+1820|0,e+1616|0,e+1824|0,1024,c);h=1;if(!I[e+1832>>2]){f=I[e+1828>>2];I[e+1832>>2]=I[e+1824>>2];I[e+1836>>2]=f;h=p}if(d){k=0;p=h;j=i;f=0;break Y}g=e+1616|0;f=pb(a,I[e+1820>>2],g,200,e+784|0,o&8404992,e+1832|0);d=1;j=i;p=h;if(J[e+1616|0]!=21){break Z}G[I[e+1820>>2]-1|0]=I[e+172>>2];Ha(197328,g);f=0;break b}h=f&1024;k=h>>>10|0;g=0;if(n>>>0>48){break Y}n=n+1|0;i=f;if(h){continue}}break}d=I[e+1820>>2];j=!(j&65536)}if(!(k|!f)){n=Ha(e+1408|0,e+1616|0);h=Oc(a,d,f,e+416|0);d=f;while(1){fa:{G[e+1616|0]=0;ga:{ha:{if(J[e+1200|0]){G[I[e+1820>>2]-1|0]=I[e+172>>2];i=e+1616|0;g=cb(a,e+1840|0,i,e+1824|0,h,c);G[I[e+1820>>2]-1|0]=32;if(J[e+1616|0]==21){a=e+416|0;Ka(I[e+1820>>2],a,Ga(a));Ha(197328,i);f=0;break b}if(!I[e+1832>>2]){i=I[e+1828>>2];I[e+1832>>2]=I[e+1824>>2];I[e+1836>>2]=i}if(!g){break ha}G[e+1200|0]=0;break fa}if(!(g&1)){break ga}break fa}p=I[e+1824>>2]?1:p}i=e+1616|0;g=cb(a,e+1820|0,i,e+1824|0,h,c);if(J[e+1616|0]==21){a=e+416|0;Ka(I[e+1820>>2],a,Ga(a));Ha(197328,i);f=0;break b}if(!I[e+1832>>2]){i=I[e+1828>>2];I[e+1832>>2]=I[e+1824>>2];I[e+1836>>2]=i}if(g){break fa}if(d&16384){Ha(e+1616|0,n);break fa}o=h<<11&8192|d<<9&134217728|o;ia:{if(d&524288){i=e+784|0;g=Ha(e+576|0,i);d=pb(a,I[e+1820>>2],e+1616|0,200,i,o,e+1832|0);fb(i,g);k=0;if(!d){d=0;break ia}if(d&1024){break ia}k=1;h=Oc(a,I[e+1820>>2],d,0);break ia}d=0;pb(a,I[e+1820>>2],e+1616|0,200,0,o,e+1832|0);k=0}if(J[e+1616|0]==21){Ha(197328,e+1616|0);a=e+416|0;Ka(I[e+1820>>2],a,Ga(a));G[I[e+1820>>2]-1|0]=I[e+172>>2];f=0;break b}g=0;if(k){continue}}break}if(!(f&65536)){Qc(a,e+1616|0,200,e+784|0);G[e+784|0]=0}d=e+416|0;Ka(I[e+1820>>2],d,Ga(d));t=!(f&8192);d=I[e+1820>>2]}G[d-1|0]=I[e+172>>2];h=(p|0)!=0}d=I[e+164>>2];I[e+1852>>2]=8026656;I[e+1848>>2]=8022304;I[e+1844>>2]=7566112;if(o&4){f=d&255;ja:{if(f){if((f|0)==102){break ja}y=B;if(We(d<<24>>24)){break ja}}y=C}pb(a,y,197328,200,0,0,0)}d=0;f=e+1200|0;p=J[e+784|0];while(1){ka:{la:{ma:{i=J[f|0];switch(i|0){case 0:break ka;case 6:case 7:break ma;default:break la}}d=i}f=f+1|0;continue}break}na:{if(((d|0)!=0|h)==1){if(!(!I[a+32>>2]&j)){g=0;qb(a,e+1616|0,e+1832|0,3,0);f=e+1200|0;while(1){oa:{switch(J[f|0]){case 6:if(g){G[f|0]=5}g=1;default:f=f+1|0;continue;case 0:break oa}}break}I[e+24>>2]=e+1616;I[e+20>>2]=e+1200;I[e+16>>2]=e+992;wb(197328,200,85245,e+16|0);G[197527]=0;qb(a,197328,e+1832|0,-1,0);break na}I[e+8>>2]=e+1616;I[e+4>>2]=e+1200;I[e>>2]=e+992;wb(197328,200,85245,e);G[197527]=0;qb(a,197328,e+1832|0,-1,0);break na}d=e+1616|0;qb(a,d,e+1832|0,-1,((p|0)!=0)<<1);I[e+40>>2]=d;I[e+36>>2]=e+1200;I[e+32>>2]=e+992;wb(197328,200,85245,e+32|0);G[197527]=0}if(J[e+784|0]){d=Ga(197328);G[(e-d|0)+983|0]=0;Ha(d+197328|0,e+784|0)}d=l|o;if(d&16){I[e+1832>>2]=I[e+1832>>2]&-268435457}pa:{if(!(!(d&128)|!(J[a+14|0]&16))){Fc(a,3);break pa}if(d&3072){Fc(a,6);if(!(d&2048)){break pa}I[e+1832>>2]=I[e+1832>>2]|268435456;break pa}if(!(J[O(I[35324],12)+c|0]&16)){break pa}c=I[e+1832>>2];if(c&1536){Fc(a,4);break pa}if(!(c&2048)){break pa}Fc(a,3)}if(!t){I[a+8192>>2]=2;I[a+8184>>2]=2}g=8196;c=I[e+1836>>2];qa:{ra:{if(c&8){h=8184;d=3;j=8188;break ra}if(c&1){h=8192;d=2;j=8184;break ra}d=2;sa:{if(c&2){h=8188;j=8192;k=0;n=8184;g=8196;break sa}if(!(c&4)){break qa}h=8192;d=0;j=8184;k=2;n=8196;g=8188}I[a+n>>2]=k}I[a+j>>2]=d;I[a+h>>2]=0;I[a+g>>2]=0}ta:{if(!J[I[e+1820>>2]]|c&256){break ta}c=I[a+8184>>2];if((c|0)>0){I[a+8184>>2]=c-1}c=I[a+8192>>2];if((c|0)>0){I[a+8192>>2]=c-1}c=I[a+8196>>2];if((c|0)>0){I[a+8196>>2]=c-1}c=I[a+8188>>2];if((c|0)<=0){break ta}I[a+8188>>2]=c-1}ua:{if((s|0)!=1|I[a+212>>2]!=25966){break ua}if(!lb(I[e+168>>2])|I[e+168>>2]==105){break ua}I[e+1832>>2]=I[e+1832>>2]|16777216}va:{if(!(J[a+68|0]&2)){break va}d=I[e+1832>>2];if(!(d&98304)){break va}f=0;c=Ga(197328)-1|0;if((c|0)<=0){break va}while(1){a=f+197328|0;if(J[a|0]!=6){f=f+1|0;if((c|0)!=(f|0)){continue}break va}break}c=G[a+1|0];wa:{if(d&65536){xa:{if((nb(69)|0)!=(c|0)){f=J[a+1|0];break xa}f=nb(101);G[a+1|0]=f}if((nb(79)|0)!=f<<24>>24){break va}c=111;break wa}ya:{if((nb(101)|0)!=(c|0)){f=J[a+1|0];break ya}f=nb(69);G[a+1|0]=f}if((nb(111)|0)!=f<<24>>24){break va}c=79}E=a,F=nb(c),G[E+1|0]=F}a=I[e+1832>>2];Ka(b,e+256|0,z);f=a|r;break b}a=e+992|0;Ha(197328,a);f=!gb(a|1,84756,3)<<12;break b}f=0;G[e+1616|0]=0;if(!rd(a,I[e+1840>>2],e+1616|0,d)){f=((s|0)>1)<<12;break b}c=Ha(197328,e+1616|0);if(A){break b}b=I[e+164>>2];I[e+1408>>2]=8026656;I[e+576>>2]=8022304;I[e+416>>2]=7566112;if(o&4){d=b&255;za:{if(d){if((d|0)==102){break za}p=v;if(We(b<<24>>24)){break za}}p=x}pb(a,p,c,200,0,0,0)}f=I[e+1832>>2]&128}ra=e+1856|0;return f}function cc(a,b,c,d,e,f,g,h){var i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0,z=0,A=0,B=0,C=0,D=0,E=0,F=0,L=0,M=0,N=0,P=0,Q=0,R=0,S=0,T=0,U=0,V=0,W=0,X=0,Y=0,Z=0,_=0,$=0,aa=0,ba=0,ca=0,da=0,ea=0,fa=0,ga=0;o=ra-384|0;ra=o;F=I[b>>2];a:{b:{c:{if(e){if(J[e|0]!=7){break c}I[b>>2]=(d>>>0<=1?1:d)+F;c=86144;break b}I[f>>2]=0;I[b>>2]=F+1;break a}N=86144;Y=g&268435456;P=g&134217728;Z=g&8388608;_=g&16384;$=g&8192;C=a+604|0;Q=c-1|0;R=d-c|0;u=a+344|0;aa=g&2;ba=g&128;D=a+4788|0;S=g&-2147483648;ca=!S;c=o+96|0;T=c|1;U=c|2;d:while(1){I[o+268>>2]=0;k=I[b>>2];p=k+d|0;z=-2;v=-6;c=e;V=S;A=0;L=0;x=1;i=0;B=0;E=0;while(1){l=k;s=i;e:{f:{g:{h:{i:{j:{k:{l:{m:{n:{o:{p:{q:{r:{s:{t:{u:{v:{w:{while(1){x:{m=c;c=m+1|0;y=J[m|0];if(y>>>0>9){break x}n=c;y:{switch(y|0){case 0:c=W;if(!c){W=0;c=86144;break v}while(1){j=1;z:{A:{i=J[c|0];switch(i|0){case 0:case 3:break w;case 5:break A;default:break z}}j=2}c=(c+j|0)+(((i|0)==9)<<1)|0;continue};case 1:E=1;if(ca){continue}break i;case 2:E=2;continue;case 4:W=c;continue;case 5:c=m+2|0;i=I[a+320>>2];k=J[m+1|0];B:{if(k>>>0>=32){if(!(i>>>k-32&1)){break B}break i}if(!(i>>>k&1)){break i}}x=x+1|0;continue;case 9:c=m+3|0;continue;case 8:V=0;E=1;L=1;break;case 3:break u;default:break y}}continue}break}j=y<<24>>24;C:{switch(E-1|0){default:i=J[p|0];D:{E:{if((i|0)!=(j&255)){if((j|0)!=101){break i}if((i|0)==69){break E}break i}q=0;if((j|0)<-64){break D}}q=21}p=p+1|0;A=A+1|0;break e;case 0:break t;case 1:break C}}I[o+264>>2]=I[o+268>>2];if(!J[p-1|0]){break i}i=v+6|0;v=(i|0)>=19?19:i;w=p+1|0;r=La(o+268|0,p);t=J[p|0];q=20;i=s;k=l;F:{G:{switch(y-11|0){case 6:c=m+2|0;i=I[o+268>>2];k=G[m+1|0];k=((k|0)<65?191:-65)+k|0;j=I[(k<<2)+C>>2];H:{if(j){i=($a(j,i)|0)!=0;break H}if(k>>>0>7){break i}j=I[a+600>>2];I:{if((j|0)>0){i=i-j|0;if(i-1>>>0<255){break I}break i}j=i-192|0;if(j>>>0<=413){i=J[J[j+94256|0]+u|0]&1<<k;break H}if(i>>>0>255){break i}}i=J[i+u|0]&1<<k}if(!i){break i}p=p+r|0;q=((k|0)==2?19:20)-v|0;break e;case 7:c=m+2|0;i=G[m+1|0];i=I[(((i|0)<65?191:-65)+i<<2)+D>>2];if(!i){break i}J:while(1){n=J[i|0];if((n|0)==7){break i}if((n|0)==126){q=20-v|0;break e}K:{if(!t){j=i;m=p;break K}m=p;j=i;if((n|0)!=(t|0)){break K}while(1){j=j+1|0;n=J[j|0];m=m+1|0;i=J[m|0];if((n|0)!=(i|0)){break K}if(i){continue}break}}if(n){while(1){k=J[j|0];i=j+1|0;j=i;if(k){continue}continue J}}break};i=m-p|0;if((i|0)<0){break i}p=i+p|0;q=20-v|0;break e;case 14:i=I[o+268>>2];k=I[C>>2];L:{if(k){k=($a(k,i)|0)!=0;break L}k=I[a+600>>2];M:{if((k|0)>0){m=i-k|0;if(m-1>>>0<255){break M}if(!P|(i|0)!=32){break f}break i}k=i-192|0;if(k>>>0<=413){k=G[J[k+94256|0]+u|0]&1;break L}m=i;if(i>>>0>255){break f}}k=G[m+u|0]&1}if(k|!(!P|(i|0)!=32)){break i}break f;case 4:i=I[o+268>>2];if(i-48>>>0<10|i-2406>>>0<10){break f}if(!J[a+170|0]){break i}q=20-v|0;break e;case 5:if(lb(I[o+268>>2])){break i}break g;case 0:if(I[o+268>>2]==I[o+264>>2]){break g}break i;case 17:c=m+2|0;i=32768;q=0;N:{O:{j=J[m+1|0];switch(j-1|0){case 0:break s;case 1:break O;default:break N}}if(Z){break i}break h}i=j&240;if((i|0)==16){if(!(h>>>(j&15)&16384)){break i}q=23;break e}k=(i|0)!=32;i=(j|0)!=3;if(k&i){break e}k=o+96|0;n=I[b>>2]+(A+R|0)|0;m=n+1|0;Ka(k,Q,m);G[k+m|0]=32;G[n+U|0]=0;I[35325]=0;I[35326]=0;I[o+16>>2]=T;cb(a,o+16|0,o+272|0,141300,0,0);q=23;n=I[35325];if(!((n|0)>=0|i|I[35326]&16384)){break e}i=s;k=l;if(n>>>(j&15)&16384){break s}break i;case 34:i=t-32|0;P:{if(i){if((i|0)==13){break P}else{break i}}if(!_){break i}}n=22-v|0;break j;case 10:n=1;if(J[c|0]==21){break F}break k;case 18:m=I[o+268>>2];if((m|0)!=32){j=p+r|0;while(1){i=I[a+632>>2];Q:{R:{if(i){i=($a(i,m)|0)!=0;break R}i=I[a+600>>2];S:{if((i|0)>0){m=m-i|0;if(m-1>>>0<255){break S}break Q}i=m-192|0;if(i>>>0<=413){i=J[J[i+94256|0]+u|0]&128;break R}if(m>>>0>255){break Q}}i=J[m+u|0]&128}if(i){break i}}j=La(o+268|0,j)+j|0;m=I[o+268>>2];if((m|0)!=32){continue}break}}n=19-v|0;break j;case 49:break n;case 2:break o;case 3:break p;case 13:break q;case 1:break s;case 12:break G;default:break r}}La(o+272|0,c);q=0;i=I[o+272>>2];j=I[o+268>>2];if((i|0)==(j|0)|!(j&-33)){break m}while(1){k=p;t=-1;T:{if((i|0)!=18){break T}i=G[m+2|0];n=I[(((i|0)<65?191:-65)+i<<2)+D>>2];if(!n){break T}while(1){r=J[n|0];if((r|0)==7){break T}if((r|0)==126){t=0;break T}p=J[k|0];U:{if((p|0)!=(r|0)){j=n;i=k;break U}i=k;j=n;if(!p){break U}while(1){j=j+1|0;r=J[j|0];i=i+1|0;n=J[i|0];if((r|0)!=(n|0)){break U}if(n){continue}break}}if(r){while(1){i=J[j|0];n=j+1|0;j=n;if(i){continue}break}continue}else{t=i-k|0}break}}n=La(o+268|0,k);i=I[o+272>>2];j=I[o+268>>2];if(!((i|0)==(j|0)|!(j&-33))){p=k+n|0;if((t|0)==-1){continue}}break}n=(t|0)>=0;break l}while(1){n=n+1|0;c=c+1|0;if(J[c|0]==21){continue}break}break k}c=c+1|0}n=m}V:{if(J[l-1|0]!=32&L|V){break V}p=L?x+4|0:x;if((p|0)>=(M|0)){da=B;ea=s;N=c;fa=A;M=p}if(!(I[49257]&8)|((p|0)<=0|Y)){break V}H[o+272>>1]=J[85845]|J[85846]<<8;G[o+274|0]=J[85847];t=p+35|0;i=o+272|0;while(1){l=J[c|0];k=c+1|0;c=k;if((l|0)==255){continue}if(l){s=I[(l<<2)+152704>>2];if(!s){continue}W:{if(J[s+11|0]!=1){break W}j=J[s+14|0];if(K[s+8>>1]|j>>>0>4){break W}if(j>>>0<2){continue}G[i|0]=J[j+93959|0];i=i+1|0;continue}c=I[s>>2];if(c&255){while(1){G[i|0]=c;i=i+1|0;s=c&65280;c=c>>>8|0;if(s){continue}break}}c=k;if((l|0)!=21){continue}j=J[k|0];if(((j|32)<<24>>24)-97>>>0>25){continue}while(1){G[i|0]=j;i=i+1|0;c=c+1|0;j=J[c|0];if(((j|32)<<24>>24)-97>>>0<26){continue}break}continue}break}G[i|0]=0;q=I[49255];s=o+16|0;c=0;w=0;B=0;r=0;j=ra-496|0;ra=j;G[j+80|0]=0;if((d|0)>0){Ka(j+288|0,F,d);k=d}else{k=0}i=j+288|0;G[k+i|0]=0;l=Ga(i)+i|0;A=(g|0)<0;while(1){m=J[e|0];k=e;e=k+1|0;if(m>>>0>9){while(1){X:{Y:{Z:{_:{$:{aa:{i=m&255;switch(i-14|0){case 4:break Z;case 3:break _;case 0:break $;case 14:break aa;default:break Y}}k=k+2|0;m=32;e=J[e|0];if(!A&(e|0)==1){break X}G[l|0]=36;i=l+1|0;e=bc(137280,e);Ha(i,e);l=Ga(e)+i|0;break X}i=J[k+2|0];m=J[e|0];I[j+36>>2]=J[k+3|0]&127;I[j+32>>2]=i&4?80:83;e=j+48|0;Fa(e,85143,j+32|0);if(i&1){e=Ga(e)+e|0;G[e|0]=101;G[e+1|0]=0}e=i&127;if(e&2){i=j+48|0;i=Ga(i)+i|0;G[i|0]=105;G[i+1|0]=0}if(e&4){i=j+48|0;i=Ga(i)+i|0;G[i|0]=112;G[i+1|0]=0}if(e&8){i=j+48|0;i=Ga(i)+i|0;G[i|0]=118;G[i+1|0]=0}if(e&16){i=j+48|0;i=Ga(i)+i|0;G[i|0]=100;G[i+1|0]=0}if(e&32){i=j+48|0;i=Ga(i)+i|0;G[i|0]=102;G[i+1|0]=0}if(e>>>0>=64){e=j+48|0;e=Ga(e)+e|0;G[e|0]=113;G[e+1|0]=0}if(m&1){e=j+48|0;e=Ga(e)+e|0;G[e|0]=116;G[e+1|0]=0}k=k+4|0;e=j+48|0;l=Ha(l,e)+Ga(e)|0;m=32;break X}k=k+2|0;m=J[G[e|0]+93887|0];break X}e=G[e|0];G[l|0]=76;e=e+((e|0)<65?191:-65)|0;i=(e>>>0)/10|0;G[l+1|0]=i+48;m=e-O(i,10)|48;if((r|0)==1){G[l|0]=m;m=76}k=k+2|0;l=l+2|0;break X}if(i>>>0<=31){m=J[i+93920|0]}else{m=(i|0)==32?95:m}k=e}G[l|0]=m;e=k+1|0;l=l+1|0;m=J[k|0];if(m>>>0>=10){continue}break}}i=1;ba:{switch(m|0){case 1:i=c;case 8:G[l|0]=0;l=j+80|0;c=i;r=1;continue;case 2:G[l|0]=0;i=j+288|0;k=Ga(i)+i|0;l=J[84911]|J[84912]<<8;G[k|0]=l;G[k+1|0]=l>>>8;r=2;G[k+2|0]=J[84913];l=Ga(i)+i|0;continue;case 5:w=G[e|0];e=k+2|0;continue;case 9:B=(J[e|0]+O(J[k+2|0],255)|0)-256|0;e=k+3|0;continue;case 0:case 3:break ba;default:continue}}break}G[l|0]=0;l=s;if((B|0)>0){I[j+16>>2]=B;Fa(l,85593,j+16|0);l=l+7|0}if((w|0)>0){I[j>>2]=w;Fa(l,85703,j);l=Ga(l)+l|0}e=Ga(j+80|0);if(((e|0)>0|c)&1){if(c&1){G[l|0]=95;l=l+1|0}k=e-1|0;ca:{if((k|0)<0|l>>>0>=s>>>0){break ca}while(1){G[l|0]=J[(j+80|0)+k|0];l=l+1|0;if(!k){break ca}k=k-1|0;if(l>>>0<s>>>0){continue}break}}G[l|0]=41;G[l+1|0]=32;l=l+2|0}G[l|0]=0;c=j+288|0;G[c+((s+3|0)-l|0)|0]=0;fb(l,c);c=Ga(s);if((c|0)<=7){Ja(c+s|0,32,8-c|0);c=8}G[c+s|0]=0;ra=j+496|0;I[o+4>>2]=s;I[o>>2]=(d|0)>1?t:p;I[o+8>>2]=o+272;Sa(q,89097,o)}c=n;break i}if(!J[l|0]){break i}i=z+2|0;z=(i|0)>=19?19:i;La(o+264|0,l);k=l-1|0;i=oc(o+268|0,k);r=J[k|0];t=k;da:{ea:{fa:{ga:{ha:{ia:{switch(y-10|0){case 13:i=J[l|0];y=J[c|0];if(!((i|0)!=32&(y|0)!=(i|0))){k=(i|0)==(y|0)?l:k;break ea}if(!i){break ha}w=l;while(1){l=w;w=l-1|0;ja:{ka:{if((y|0)!=18){break ka}i=G[m+2|0];n=I[(((i|0)<65?191:-65)+i<<2)+D>>2];if(!n){break ka}ga=l+1|0;while(1){q=J[n|0];if((q|0)==7){break ka}if((q|0)==126){t=0;break ja}j=l;t=Ga(n);X=t-1|0;la:{if((X|0)>0){j=ga-t|0;r=0;i=l;while(1){i=i-1|0;if(!J[i|0]){break la}r=r+1|0;if((X|0)!=(r|0)){continue}break}}i=J[j|0];ma:{if((i|0)!=(q|0)|!i){break ma}while(1){n=n+1|0;q=J[n|0];j=j+1|0;i=J[j|0];if((q|0)!=(i|0)){break ma}if(i){continue}break}}if(!q){break ja}}j=n;while(1){i=J[j|0];n=j+1|0;j=n;if(i){continue}break}continue}}t=-1}i=J[w|0];j=(i|0)==(y|0);if(!(!j&(i|0)!=32)){if((t|0)>=0){break fa}k=j?l:k;q=0;break da}if(i?(t|0)==-1:0){continue}break};i=t>>>31|0;break ga;default:if((j&255)!=(r|0)){break i}if((j|0)==32){q=4;break da}q=(j|0)>=-64?21-z|0:0;break da;case 35:i=r-32|0;na:{if(i){if((i|0)==13){break na}else{break i}}if(!ba){break i}}q=22-v|0;break da;case 36:while(1){q=50;i=s;l=(r&255)-32|0;if(!l){break i}if((l|0)==14){break s}t=t-1|0;r=J[t|0];continue};case 9:if(aa){break h}break i;case 16:if(I[a+8184>>2]){break h}break i;case 19:q=3;m=I[o+268>>2];if((m|0)==32){break da}j=(k-i|0)+1|0;while(1){i=I[a+632>>2];oa:{pa:{if(i){i=($a(i,m)|0)!=0;break pa}i=I[a+600>>2];qa:{if((i|0)>0){m=m-i|0;if(m-1>>>0<255){break qa}break oa}i=m-192|0;if(i>>>0<=413){i=J[J[i+94256|0]+u|0]&128;break pa}if(m>>>0>255){break oa}}i=J[m+u|0]&128}if(i){break i}}j=j-oc(o+268|0,j-1|0)|0;m=I[o+268>>2];if((m|0)!=32){continue}break};break da;case 0:if(I[a+8212>>2]<=0){break i}q=19;break e;case 11:j=1;if(J[c|0]==21){while(1){j=j+1|0;c=c+1|0;if(J[c|0]==21){continue}break}}if(I[a+8208>>2]<(j|0)){break i}q=(j-z|0)+18|0;break da;case 18:c=m+2|0;j=J[m+1|0];if(!((j|0)==3|(j&240)==32)){q=0;break e}i=o+96|0;k=I[b>>2]+(A+R|0)|0;n=k+1|0;Ka(i,Q,n);G[i+n|0]=32;G[k+U|0]=0;I[35325]=0;I[35326]=0;I[o+16>>2]=T;cb(a,o+16|0,o+272|0,141300,0,0);q=23;n=I[35325];if(!((j|0)!=3|(n|0)>=0|I[35326]&16384)){break e}i=s;k=l;if(n>>>(j&15)&16384){break s}break i;case 6:if(lb(I[o+268>>2])){break i}q=21-v|0;k=(k-i|0)+1|0;break da;case 5:l=I[o+268>>2];if(!(l-48>>>0<10|l-2406>>>0<10)){break i}q=21-z|0;k=(k-i|0)+1|0;break da;case 1:if(I[o+268>>2]!=I[o+264>>2]){break i}q=21-z|0;k=(k-i|0)+1|0;break da;case 15:j=I[o+268>>2];l=I[C>>2];ra:{sa:{if(l){j=($a(l,j)|0)!=0;break sa}l=I[a+600>>2];ta:{if((l|0)>0){j=j-l|0;if(j-1>>>0<255){break ta}break ra}l=j-192|0;if(l>>>0<=413){j=G[J[l+94256|0]+u|0]&1;break sa}if(j>>>0>255){break ra}}j=G[j+u|0]&1}if(j){break i}}q=20-z|0;k=(k-i|0)+1|0;break da;case 8:c=m+2|0;i=G[m+1|0];i=I[(((i|0)<65?191:-65)+i<<2)+D>>2];if(!i){break i}ua:{while(1){r=J[i|0];if((r|0)==7){break i}if((r|0)==126){t=0;break ua}j=k;va:{t=Ga(i);w=t-1|0;wa:{if((w|0)>0){j=l-t|0;n=0;m=k;while(1){m=m-1|0;if(!J[m|0]){break wa}n=n+1|0;if((w|0)!=(n|0)){continue}break}}n=J[j|0];xa:{if((n|0)!=(r|0)|!n){break xa}while(1){i=i+1|0;r=J[i|0];j=j+1|0;n=J[j|0];if((r|0)!=(n|0)){break xa}if(n){continue}break}}if(!r){break va}}j=i;while(1){n=J[j|0];i=j+1|0;j=i;if(n){continue}break}continue}break}if((t|0)<0){break i}}q=20-v|0;k=(k-t|0)+1|0;break da;case 7:break ia}}c=m+2|0;n=I[o+268>>2];l=G[m+1|0];l=((l|0)<65?191:-65)+l|0;j=I[(l<<2)+C>>2];ya:{if(j){j=($a(j,n)|0)!=0;break ya}if(l>>>0>7){break i}j=I[a+600>>2];za:{if((j|0)>0){n=n-j|0;if(n-1>>>0<255){break za}break i}j=n-192|0;if(j>>>0<=413){j=J[J[j+94256|0]+u|0]&1<<l;break ya}if(n>>>0>255){break i}}j=J[n+u|0]&1<<l}if(!j){break i}k=(k-i|0)+1|0;q=((l|0)==2?19:20)-z|0;break da}i=1}if(i){break ea}}k=l+1|0;q=0;break da}q=0}i=s}x=q+x|0;continue}if((t|0)!=(j&255)){break i}n=(j|0)>=-64?21-v|0:0;break j}if(!$){break h}break i}i=J[m+3|0];k=G[m+1|0];s=J[m+2|0];if(!(I[a+8208>>2]|s&4)&(G[a+84|0]&1)){break i}c=m+4|0;n=0;s=i&127|k<<16|(s&127)<<8;break j}n=0;j=I[b>>2]+d|0;if(w>>>0<=j>>>0){break j}while(1){if(J[j|0]!=101){i=j>>>0<p>>>0;j=j+1|0;if(i){continue}break j}break}B=j;break j}q=-20;break e}k=p;n=0}p=(i|0)==(j|0)?k:n&1?k:w;break e}k=0;i=I[o+268>>2];if((i|0)!=32){m=p+r|0;r=0;while(1){j=I[a+632>>2];Aa:{if(r){break Aa}Ba:{if(j){p=($a(j,i)|0)!=0;break Ba}p=I[a+600>>2];Ca:{if((p|0)>0){r=i-p|0;if(r-1>>>0<255){break Ca}break Aa}p=i-192|0;if(p>>>0<=413){p=J[J[p+94256|0]+u|0]&128;break Ba}r=i;if(i>>>0>255){break Aa}}p=J[r+u|0]&128}if(!p){break Aa}k=k+1|0}Da:{if(j){r=($a(j,i)|0)!=0;break Da}Ea:{j=I[a+600>>2];if((j|0)>0){i=i-j|0;if(i-1>>>0<255){break Ea}r=0;break Da}j=i-192|0;if(j>>>0<=413){r=J[J[j+94256|0]+u|0]&128;break Da}if(i>>>0<=255){break Ea}r=0;break Da}r=J[i+u|0]&128}m=La(o+268|0,m)+m|0;i=I[o+268>>2];if((i|0)!=32){continue}break}}if((k|0)<(n|0)){break i}n=(n-v|0)+18|0}i=s;p=w;k=l;x=n+x|0;continue}while(1){i=J[c|0];e=c+1|0;c=e;if(i){continue}break}if(J[e|0]!=7){continue d}a=d+fa|0;I[b>>2]=I[b>>2]+(a>>>0<=1?1:a);c=M?N:86144;break b}q=1;break e}p=p+r|0;q=21-v|0;break e}p=p+r|0;q=20-v|0}i=s;k=l;x=q+x|0;continue}}}I[f+12>>2]=da;I[f+8>>2]=ea;I[f+4>>2]=c;I[f>>2]=M}ra=o+384|0}function Nb(a,b){var c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0,z=0,A=0,B=0,C=0,D=0,E=0,F=0,L=0,M=0;c=ra-1168|0;ra=c;I[c+928>>2]=0;I[c+932>>2]=0;I[c+920>>2]=0;I[c+924>>2]=0;I[c+912>>2]=0;I[c+916>>2]=0;I[c+904>>2]=0;I[c+908>>2]=0;I[c+896>>2]=0;I[c+900>>2]=0;a:{b:{if(a){if(J[a|0]|b&8){break b}e=0;break a}if(b&8){break b}e=0;break a}Qa(c+1088|0,a,40);c:{if(b&16){e=0;if((Ab(Ha(c+704|0,a))|0)<=0){break a}o=b&8;break c}o=b&8;if(!(o|J[c+1088|0])){H[c+1088>>1]=J[85067]|J[85068]<<8;G[c+1090|0]=J[85069]}I[c+496>>2]=145824;I[c+500>>2]=47;I[c+504>>2]=47;d=c+512|0;Fa(d,85298,c+496|0);f=c+1088|0;I[c+484>>2]=f;I[c+480>>2]=d;e=c+704|0;Fa(e,85437,c+480|0);if((Ab(e)|0)>0){break c}I[c+468>>2]=47;I[c+472>>2]=47;I[c+464>>2]=145824;Fa(d,85657,c+464|0);I[c+452>>2]=f;I[c+448>>2]=d;Fa(e,85437,c+448|0)}d=o?86021:85067;p=Db(c+704|0,85721);if(!p){e=0;if(b&3){break a}e=d;d=c+1088|0;d=(lc(d)|0)<0?e:d}n=b&2;d:{if(n){break d}e=I[49252];if(!e){break d}Xe(e);I[49252]=0}s=Ha(c+992|0,d);r=Ha(c+944|0,d);e:{if(!n){I[35052]=207832;Qa(209232,a,40);G[209328]=0;G[209280]=0;I[52359]=209232;I[52358]=209328;I[52357]=209280;break e}d=sb(209232,43);if(d){G[d|0]=0}I[c+432>>2]=a+3;a=c+704|0;Fa(a,86039,c+432|0);fb(209232,a)}Te(n);if(p){u=I[31442];v=c+548|0;w=c+544|0;x=c+540|0;y=c+536|0;z=c+532|0;A=c+528|0;a=c+512|0;B=a|12;C=a|8;D=a|4;while(1){a=c+704|0;if(yc(a,190,p)){f:{if(J[c+704|0]!=35){a=Ga(a)-1|0;g:{if((a|0)<=0){break g}while(1){d=(c+704|0)+a|0;e=G[d|0];if((e|0)!=32&e-14>>>0<4294967291){break g}G[d|0]=0;d=(a|0)>1;a=a-1|0;if(d){continue}break}}a=qe(c+704|0);if(!a){break f}}G[a|0]=0}d=c+704|0;a=J[c+704|0];h:{if(!a){break h}while(1){if((a&255)==32|(a<<24>>24)-14>>>0>4294967290){break h}d=d+1|0;a=J[d|0];if(a){continue}break}}G[d|0]=0;if(!J[c+704|0]){continue}a=d+1|0;d=yb(138064,c+704|0);if(d){e=ra-400|0;ra=e;f=I[49252];i:{if(!f){L=e,M=bc(137888,d),I[L>>2]=M;Sa(I[31442],89110,e);break i}j:{switch(d-19|0){case 16:I[e+32>>2]=e+160;if((Pa(a,84265,e+32|0)|0)!=1){break i}I[f+324>>2]=I[e+160>>2];break i;case 8:Se(a,f+320|0,27);break i;case 2:I[e+48>>2]=197024;Pa(a,84265,e+48|0);a=J[197024];if(!a){break i}I[f+152>>2]=a;break i;case 11:if(J[a|0]){h=I[31442];while(1){d=a;a=a+1|0;g=G[d|0];j=g-14|0;if((g|0)==32|j>>>0>4294967290){continue}g=Mb(d);I[e+160>>2]=g;if((g|0)>0){k:{if(g>>>0<=31){I[f+104>>2]=I[f+104>>2]|1<<g;break k}if(g>>>0<=63){I[f+108>>2]=I[f+108>>2]|1<<g-32;break k}I[e+64>>2]=g;Sa(h,84712,e- -64|0)}d=a}while(1){a=d;d=a+1|0;g=G[a|0];if(g-48>>>0<10|(g|32)-97>>>0<26){continue}break}if(g){continue}break}}a=I[f+104>>2];if(a&8){I[f+124>>2]=46;I[f+128>>2]=44}if(a&4){I[f+124>>2]=0}break i;default:if((d&65280)!=256){break i}I[e+16>>2]=(f+((d&255)<<2)|0)+24;Pa(a,84265,e+16|0);break i;case 1:I[e+144>>2]=f;I[e+148>>2]=f+4;Pa(a,85651,e+144|0);break i;case 3:d=0;g=e+160|0;Ja(g,0,240);I[e+132>>2]=e+360;I[e+128>>2]=e+320;I[e+124>>2]=e+280;I[e+120>>2]=e+240;I[e+116>>2]=e+200;I[e+112>>2]=g;g=Pa(a,85049,e+112|0);I[f+152>>2]=0;if((g|0)<=0){break i}h=f+156|0;j=I[31442];while(1){f=(e+160|0)+O(d,40)|0;l:{if(!Wa(f,85313)){break l}m:{l=I[36514];if((l|0)>0){i=I[36515];a=0;while(1){if(!Wa(f,i+O(a,68)|0)){break m}a=a+1|0;if((l|0)!=(a|0)){continue}break}}I[e+96>>2]=f;Sa(j,85574,e+96|0);break l}G[d+h|0]=a}d=d+1|0;if((g|0)>(d|0)){continue}break};break i;case 9:I[e+88>>2]=f+20;I[e+84>>2]=f+16;I[e+80>>2]=f+8;Pa(a,84790,e+80|0);break i;case 10:Se(a,f+12|0,29);break i;case 5:h=od(a,e+160|0);if((h|0)<=0){break i}g=f+304|0;f=0;a=0;if(h>>>0>=4){l=h&2147483644;d=0;while(1){j=e+160|0;H[g+(a<<1)>>1]=I[j+(a<<2)>>2];i=a|1;H[g+(i<<1)>>1]=I[j+(i<<2)>>2];i=a|2;H[g+(i<<1)>>1]=I[j+(i<<2)>>2];i=a|3;H[g+(i<<1)>>1]=I[j+(i<<2)>>2];a=a+4|0;d=d+4|0;if((l|0)!=(d|0)){continue}break}}d=h&3;if(!d){break i}while(1){H[g+(a<<1)>>1]=I[(e+160|0)+(a<<2)>>2];a=a+1|0;f=f+1|0;if((d|0)!=(f|0)){continue}break};break i;case 6:h=od(a,e+160|0);if((h|0)<=0){break i}g=f+296|0;f=0;a=0;if(h>>>0>=4){l=h&2147483644;d=0;while(1){j=e+160|0;G[a+g|0]=I[j+(a<<2)>>2];i=a|1;G[i+g|0]=I[j+(i<<2)>>2];i=a|2;G[i+g|0]=I[j+(i<<2)>>2];i=a|3;G[i+g|0]=I[j+(i<<2)>>2];a=a+4|0;d=d+4|0;if((l|0)!=(d|0)){continue}break}}d=h&3;if(!d){break i}while(1){G[a+g|0]=I[(e+160|0)+(a<<2)>>2];a=a+1|0;f=f+1|0;if((d|0)!=(f|0)){continue}break};break i;case 7:h=od(a,e+160|0);if((h|0)<=0){break i}g=f+304|0;f=0;a=0;if(h>>>0>=4){l=h&2147483644;d=0;while(1){j=g+(a<<1)|0;i=j;k=K[j>>1];j=e+160|0;H[i>>1]=k+K[j+(a<<2)>>1];i=a|1;k=g+(i<<1)|0;H[k>>1]=K[k>>1]+K[j+(i<<2)>>1];i=a|2;k=g+(i<<1)|0;H[k>>1]=K[k>>1]+K[j+(i<<2)>>1];i=a|3;k=g+(i<<1)|0;H[k>>1]=K[k>>1]+K[(i<<2)+j>>1];a=a+4|0;d=d+4|0;if((l|0)!=(d|0)){continue}break}}d=h&3;if(!d){break i}while(1){h=g+(a<<1)|0;H[h>>1]=K[h>>1]+K[(e+160|0)+(a<<2)>>1];a=a+1|0;f=f+1|0;if((d|0)!=(f|0)){continue}break};break i;case 4:G[f+169|0]=1;break i;case 0:break j}}G[f+208|0]=1}ra=e+400|0;continue}n:{switch(yb(140224,c+704|0)-1|0){case 1:if(n){continue}G[c+1040|0]=0;I[c+512>>2]=5;d=c+1040|0;I[c+32>>2]=d;I[c+36>>2]=c+512;Pa(a,86246,c+32|0);if(I[c+1040>>2]==1769103734&I[c+1044>>2]==7630433){continue}a=Ga(d)+2|0;if(a>>>0<99-q>>>0){e=q+209328|0;G[e|0]=I[c+512>>2];Ha(e+1|0,d);q=a+q|0}if(!E){a=0;h=c+1040|0;d=h;o:{if(!d){d=I[59214];if(!d){break o}}a=86884;e=ra-32|0;I[e+24>>2]=0;I[e+28>>2]=0;I[e+16>>2]=0;I[e+20>>2]=0;I[e+8>>2]=0;I[e+12>>2]=0;I[e>>2]=0;I[e+4>>2]=0;f=J[86884];j=0;p:{if(!f){break p}if(!J[86885]){a=d;while(1){e=a;a=a+1|0;if(J[e|0]==(f|0)){continue}break}j=e-d|0;break p}while(1){g=e+(f>>>3&28)|0;I[g>>2]=I[g>>2]|1<<f;f=J[a+1|0];a=a+1|0;if(f){continue}break}a=d;f=J[a|0];q:{if(!f){break q}while(1){if(!(I[e+(f>>>3&28)>>2]>>>f&1)){break q}f=J[a+1|0];a=a+1|0;if(f){continue}break}}j=a-d|0}a=j+d|0;if(!J[a|0]){I[59214]=0;a=0;break o}d=86884;f=ra-32|0;ra=f;e=G[86884];r:{if(!(J[86885]?e:0)){d=$c(a,e);break r}Ja(f,0,32);e=J[86884];if(e){while(1){g=f+(e>>>3&28)|0;I[g>>2]=I[g>>2]|1<<e;e=J[d+1|0];d=d+1|0;if(e){continue}break}}d=a;e=J[a|0];if(!e){break r}while(1){if(I[f+(e>>>3&28)>>2]>>>e&1){break r}e=J[d+1|0];d=d+1|0;if(e){continue}break}}ra=f+32|0;d=(d-a|0)+a|0;if(J[d|0]){I[59214]=d+1;G[d|0]=0;break o}I[59214]=0}d=Ha(s,a);Ha(r,a);lc(Ha(c+896|0,a));L=197008,M=qd(d),I[L>>2]=M;Qa(I[35052]+40|0,h,20)}E=1;continue;case 0:if(n){continue}while(1){d=a;a=a+1|0;e=G[d|0];f=e-14|0;if((e|0)==32|f>>>0>4294967290){continue}break};Qa(209280,d,40);continue;case 2:I[c+1152>>2]=0;d=c+512|0;I[c+48>>2]=d;I[c+52>>2]=c+1152;Pa(a,86246,c+48|0);L=209440,M=yb(140432,d),G[L|0]=M;G[209441]=I[c+1152>>2];continue;case 4:I[c+64>>2]=r;Pa(a,86948,c- -64|0);continue;case 3:I[c+80>>2]=c+896;Pa(a,86948,c+80|0);continue;case 8:I[c+1152>>2]=100;I[c+1164>>2]=100;I[c+1148>>2]=100;I[c+112>>2]=c+1144;I[c+1144>>2]=0;I[c+96>>2]=c+512;I[c+100>>2]=c+1152;I[c+104>>2]=c+1164;I[c+108>>2]=c+1148;if((Pa(a,91166,c+96|0)|0)<2){continue}d=I[c+512>>2];if(d>>>0>8){continue}a=I[35052];e=I[c+1152>>2];if((e|0)>=0){f=a+(d<<1)|0;m=+(e>>>0)*2.56001;s:{if(Q(m)<2147483648){e=~~m;break s}e=-2147483648}H[f+236>>1]=e;H[f+164>>1]=e}e=I[c+1164>>2];if((e|0)>=0){f=a+(d<<1)|0;m=+(e>>>0)*2.56001;t:{if(Q(m)<2147483648){e=~~m;break t}e=-2147483648}H[f+254>>1]=e;H[f+182>>1]=e}e=I[c+1148>>2];if((e|0)>=0){f=a+(d<<1)|0;m=+(e>>>0)*2.56001;u:{if(Q(m)<2147483648){e=~~m;break u}e=-2147483648}H[f+200>>1]=e}H[(a+(d<<1)|0)+218>>1]=I[c+1144>>2];if(d){continue}H[a+200>>1]=(O(H[a+200>>1],105)|0)/100;continue;case 9:I[c+132>>2]=c+696;I[c+128>>2]=c+700;if((Pa(a,87115,c+128|0)|0)!=2){continue}a=I[35052];d=I[c+700>>2];I[a+64>>2]=(d<<12)-36864;I[a+68>>2]=O(I[c+696>>2]-d|0,108);m=(+(d-82|0)/82*.25+1)*256;if(Q(m)<2147483648){I[a+116>>2]=~~m;continue}I[a+116>>2]=-2147483648;continue;case 35:if(!F){lc(c+896|0)}I[c+1164>>2]=0;G[c+1156|0]=J[91277];I[c+1152>>2]=J[91273]|J[91274]<<8|(J[91275]<<16|J[91276]<<24);I[c+144>>2]=c+1164;d=c+512|0;I[c+148>>2]=d;e=c+1152|0;I[c+152>>2]=e;v:{if((Pa(a,91312,c+144|0)|0)<2|I[51908]>59){break v}a=$e(d);if(!a){break v}G[O(I[51908],3)+207648|0]=a;a=$e(e);d=I[51908];e=O(d,3)+207648|0;G[e+1|0]=a;I[51908]=d+1;G[e+2|0]=I[c+1164>>2]}F=1;continue;case 10:I[c+1140>>2]=0;d=I[35052];I[d+100>>2]=0;I[c+164>>2]=d+100;I[c+160>>2]=d+96;Pa(a,87115,c+160|0);continue;case 11:I[c+176>>2]=c+1140;if((Pa(a,87277,c+176|0)|0)!=1){continue}I[I[35052]+88>>2]=I[c+1140>>2]<<5;continue;case 12:I[c+192>>2]=c+1140;if((Pa(a,87277,c+192|0)|0)!=1){continue}I[I[35052]+92>>2]=I[c+1140>>2];continue;case 13:I[c+208>>2]=c+1140;if((Pa(a,87277,c+208|0)|0)!=1){continue}d=I[35052];a=I[c+1140>>2];if((a|0)>=5){I[d+108>>2]=1;I[c+1140>>2]=4;a=4}I[d+104>>2]=a+1;continue;case 14:I[c+552>>2]=-1;I[c+556>>2]=-1;I[c+544>>2]=-1;I[c+548>>2]=-1;I[c+536>>2]=-1;I[c+540>>2]=-1;I[c+528>>2]=-1;I[c+532>>2]=-1;I[c+240>>2]=A;I[c+244>>2]=z;I[c+248>>2]=y;I[c+252>>2]=x;I[c+256>>2]=w;I[c+260>>2]=v;I[c+520>>2]=-1;I[c+524>>2]=-1;I[c+512>>2]=-1;I[c+516>>2]=-1;I[c+228>>2]=D;I[c+232>>2]=C;I[c+236>>2]=B;I[c+224>>2]=c+512;Pa(a,84238,c+224|0);l=I[35052]+344|0;a=0;g=I[c+516>>2];e=0;while(1){d=e;f=g;h=a;g=(c+512|0)+(a<<2)|0;e=I[g>>2];w:{if((e|0)!=-1){break w}e=8e3;I[g>>2]=8e3;if(!a){break w}I[g+4>>2]=I[g-4>>2]}g=I[g+4>>2];e=(e|0)/8|0;x:{if((d|0)>=(e|0)){break x}i=e-d|0;if((i|0)<=0){break x}j=d+1|0;a=d;if(i&1){G[a+l|0]=(f|0)>=255?255:f;a=j}if((e|0)==(j|0)){break x}j=g-f|0;while(1){k=f+((O(j,a-d|0)|0)/(i|0)|0)|0;G[a+l|0]=(k|0)>=255?255:k;t=a+1|0;k=f+((O(j,t-d|0)|0)/(i|0)|0)|0;G[l+t|0]=(k|0)>=255?255:k;a=a+2|0;if((e|0)!=(a|0)){continue}break}}a=h+2|0;if(h>>>0<10){continue}break};continue;case 15:I[c+272>>2]=c+1140;if((Pa(a,87277,c+272|0)|0)!=1){continue}I[I[35052]+112>>2]=(I[c+1140>>2]<<6)/100;continue;case 16:d=I[35052];e=d+300|0;I[e>>2]=0;I[e+4>>2]=0;f=d+292|0;I[f>>2]=0;I[f+4>>2]=0;g=d+284|0;I[g>>2]=0;I[g+4>>2]=0;h=d+276|0;I[h>>2]=0;I[h+4>>2]=0;I[c+316>>2]=d+304;I[c+312>>2]=e;I[c+308>>2]=d+296;I[c+304>>2]=f;I[c+300>>2]=d+288;I[c+296>>2]=g;I[c+292>>2]=d+280;I[c+288>>2]=h;d=Pa(a,84565,c+288|0);a=I[35052];I[a+272>>2]=d;I[a+276>>2]=0-I[a+276>>2];I[a+284>>2]=0-I[a+284>>2];I[a+292>>2]=0-I[a+292>>2];I[a+300>>2]=0-I[a+300>>2];continue;case 17:d=I[35052];e=d+336|0;I[e>>2]=0;I[e+4>>2]=0;f=d+328|0;I[f>>2]=0;I[f+4>>2]=0;g=d+320|0;I[g>>2]=0;I[g+4>>2]=0;h=d+312|0;I[h>>2]=0;I[h+4>>2]=0;I[c+348>>2]=d+340;I[c+344>>2]=e;I[c+340>>2]=d+332;I[c+336>>2]=f;I[c+332>>2]=d+324;I[c+328>>2]=g;I[c+324>>2]=d+316;I[c+320>>2]=h;a=Pa(a,84565,c+320|0);I[I[35052]+308>>2]=a;continue;case 36:d=I[35052];I[c+352>>2]=d+120;I[c+356>>2]=d+124;L=c,M=Pa(a,87115,c+352|0),I[L+1140>>2]=M;continue;case 33:I[c+368>>2]=I[35052]+84;Pa(a,87277,c+368|0);Ic(3);continue;case 31:d=I[35052];I[d+132>>2]=0;I[d+136>>2]=0;e=d+156|0;I[e>>2]=0;I[e+4>>2]=0;f=d+148|0;I[f>>2]=0;I[f+4>>2]=0;g=d+140|0;I[g>>2]=0;I[g+4>>2]=0;I[c+412>>2]=d+160;I[c+408>>2]=e;I[c+404>>2]=d+152;I[c+400>>2]=f;I[c+396>>2]=d+144;I[c+392>>2]=g;I[c+388>>2]=d+136;I[c+384>>2]=d+132;Pa(a,84565,c+384|0);a=I[35052];I[a+152>>2]=I[a+152>>2]-40;continue;case 32:I[c+416>>2]=153980;Pa(a,87277,c+416|0);Ic(3);continue;case 6:case 7:continue;default:break n}}I[c+16>>2]=c+704;Sa(u,87368,c+16|0);continue}break}bb(p)}a=I[49252];y:{z:{if(!(a|n)){a=qd(s);I[49252]=a;break z}if(n){break y}}A:{if(!o){d=c+896|0;a=lc(d);if((a|0)<0){I[c>>2]=d;Sa(I[31442],87576,c);a=0}I[I[35052]+60>>2]=a;d=I[49252];I[d+292>>2]=a;Sd(d,r,b&4);if(J[141088]){break A}Xe(I[49252]);e=0;break a}I[I[35052]+60>>2]=0;I[a+292>>2]=0}G[q+209328|0]=0}e=I[35052]}ra=c+1168|0;return e}function eg(){var a=0,b=0,c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0;p=ib(28);I[p+24>>2]=0;I[p+16>>2]=50;I[p+20>>2]=50;I[p+8>>2]=175;I[p+12>>2]=100;a=I[35268];if(!a){s=ra-16|0;ra=s;e=ra-80|0;ra=e;a=fc(84304);a:{if(a){I[e+32>>2]=a;wb(145824,160,85968,e+32|0);if((Ab(145824)|0)==-31){break a}I[e+16>>2]=a;wb(145824,160,86040,e+16|0);if((Ab(145824)|0)==-31){break a}}a=fc(84631);if(a){I[e>>2]=a;wb(145824,160,85968,e);if((Ab(145824)|0)==-31){break a}}a=J[84838]|J[84839]<<8|(J[84840]<<16|J[84841]<<24);I[36456]=J[84834]|J[84835]<<8|(J[84836]<<16|J[84837]<<24);I[36457]=a;H[72924]=J[84858]|J[84859]<<8;a=J[84854]|J[84855]<<8|(J[84856]<<16|J[84857]<<24);I[36460]=J[84850]|J[84851]<<8|(J[84852]<<16|J[84853]<<24);I[36461]=a;a=J[84846]|J[84847]<<8|(J[84848]<<16|J[84849]<<24);I[36458]=J[84842]|J[84843]<<8|(J[84844]<<16|J[84845]<<24);I[36459]=a}ra=e+80|0;I[s+12>>2]=0;k=s+12|0;t=ra-16|0;ra=t;I[t+12>>2]=22050;b:{if(tc(85156)){break b}if(tc(85327)){break b}if(tc(85485)){break b}tc(85707)}h=t+12|0;q=ra-16|0;ra=q;I[q+12>>2]=0;a=Hc(146072,84278,0,k);c:{if(a){break c}a=Hc(146076,84432,0,k);if(a){break c}a=Hc(146080,84825,0,k);if(a){break c}a=Hc(146060,85028,q+12|0,k);if(a){break c}I[36514]=L[q+12>>2]/68;a=I[36520];I[36516]=a;d:{if(a){l=J[a|0]|J[a+1|0]<<8|(J[a+2|0]<<16|J[a+3|0]<<24);if((l|0)==83969){break d}}e:{f:{if(k){f=I[k>>2];if(f){Ma(I[f+4>>2]);a=I[k>>2];break f}a=Va(16);I[k>>2]=a;if(a){break f}a=48}else{a=268436223}break e}I[a>>2]=1;x=a,y=rc(145824),I[x+4>>2]=y;f=I[k>>2];I[f+12>>2]=83969;I[f+8>>2]=l;a=268436223}break c}i=J[a+4|0]|J[a+5|0]<<8|(J[a+6|0]<<16|J[a+7|0]<<24);a=I[36518];n=J[a|0];I[36521]=n;g:{if(!n){break g}a=a+4|0;l=0;if((n|0)!=1){g=n&254;while(1){c=O(l,44)+146096|0;e=J[a|0];I[c+36>>2]=e;I[c+40>>2]=J[a+1|0];b=J[a+8|0]|J[a+9|0]<<8|(J[a+10|0]<<16|J[a+11|0]<<24);d=J[a+4|0]|J[a+5|0]<<8|(J[a+6|0]<<16|J[a+7|0]<<24);G[c|0]=d;G[c+1|0]=d>>>8;G[c+2|0]=d>>>16;G[c+3|0]=d>>>24;G[c+4|0]=b;G[c+5|0]=b>>>8;G[c+6|0]=b>>>16;G[c+7|0]=b>>>24;b=J[a+16|0]|J[a+17|0]<<8|(J[a+18|0]<<16|J[a+19|0]<<24);d=J[a+12|0]|J[a+13|0]<<8|(J[a+14|0]<<16|J[a+15|0]<<24);G[c+8|0]=d;G[c+9|0]=d>>>8;G[c+10|0]=d>>>16;G[c+11|0]=d>>>24;G[c+12|0]=b;G[c+13|0]=b>>>8;G[c+14|0]=b>>>16;G[c+15|0]=b>>>24;b=J[a+24|0]|J[a+25|0]<<8|(J[a+26|0]<<16|J[a+27|0]<<24);d=J[a+20|0]|J[a+21|0]<<8|(J[a+22|0]<<16|J[a+23|0]<<24);G[c+16|0]=d;G[c+17|0]=d>>>8;G[c+18|0]=d>>>16;G[c+19|0]=d>>>24;G[c+20|0]=b;G[c+21|0]=b>>>8;G[c+22|0]=b>>>16;G[c+23|0]=b>>>24;b=J[a+32|0]|J[a+33|0]<<8|(J[a+34|0]<<16|J[a+35|0]<<24);d=J[a+28|0]|J[a+29|0]<<8|(J[a+30|0]<<16|J[a+31|0]<<24);G[c+24|0]=d;G[c+25|0]=d>>>8;G[c+26|0]=d>>>16;G[c+27|0]=d>>>24;G[c+28|0]=b;G[c+29|0]=b>>>8;G[c+30|0]=b>>>16;G[c+31|0]=b>>>24;a=a+36|0;I[c+32>>2]=a;c=O(l|1,44)+146096|0;b=a+(e<<4)|0;e=J[b|0];I[c+36>>2]=e;I[c+40>>2]=J[b+1|0];d=J[b+8|0]|J[b+9|0]<<8|(J[b+10|0]<<16|J[b+11|0]<<24);a=J[b+4|0]|J[b+5|0]<<8|(J[b+6|0]<<16|J[b+7|0]<<24);G[c|0]=a;G[c+1|0]=a>>>8;G[c+2|0]=a>>>16;G[c+3|0]=a>>>24;G[c+4|0]=d;G[c+5|0]=d>>>8;G[c+6|0]=d>>>16;G[c+7|0]=d>>>24;d=J[b+16|0]|J[b+17|0]<<8|(J[b+18|0]<<16|J[b+19|0]<<24);a=J[b+12|0]|J[b+13|0]<<8|(J[b+14|0]<<16|J[b+15|0]<<24);G[c+8|0]=a;G[c+9|0]=a>>>8;G[c+10|0]=a>>>16;G[c+11|0]=a>>>24;G[c+12|0]=d;G[c+13|0]=d>>>8;G[c+14|0]=d>>>16;G[c+15|0]=d>>>24;d=J[b+24|0]|J[b+25|0]<<8|(J[b+26|0]<<16|J[b+27|0]<<24);a=J[b+20|0]|J[b+21|0]<<8|(J[b+22|0]<<16|J[b+23|0]<<24);G[c+16|0]=a;G[c+17|0]=a>>>8;G[c+18|0]=a>>>16;G[c+19|0]=a>>>24;G[c+20|0]=d;G[c+21|0]=d>>>8;G[c+22|0]=d>>>16;G[c+23|0]=d>>>24;d=J[b+32|0]|J[b+33|0]<<8|(J[b+34|0]<<16|J[b+35|0]<<24);a=J[b+28|0]|J[b+29|0]<<8|(J[b+30|0]<<16|J[b+31|0]<<24);G[c+24|0]=a;G[c+25|0]=a>>>8;G[c+26|0]=a>>>16;G[c+27|0]=a>>>24;G[c+28|0]=d;G[c+29|0]=d>>>8;G[c+30|0]=d>>>16;G[c+31|0]=d>>>24;a=b+36|0;I[c+32>>2]=a;a=a+(e<<4)|0;l=l+2|0;f=f+2|0;if((g|0)!=(f|0)){continue}break}}if(!(n&1)){break g}g=O(l,44)+146096|0;I[g+36>>2]=J[a|0];I[g+40>>2]=J[a+1|0];e=J[a+8|0]|J[a+9|0]<<8|(J[a+10|0]<<16|J[a+11|0]<<24);f=J[a+4|0]|J[a+5|0]<<8|(J[a+6|0]<<16|J[a+7|0]<<24);G[g|0]=f;G[g+1|0]=f>>>8;G[g+2|0]=f>>>16;G[g+3|0]=f>>>24;G[g+4|0]=e;G[g+5|0]=e>>>8;G[g+6|0]=e>>>16;G[g+7|0]=e>>>24;e=J[a+16|0]|J[a+17|0]<<8|(J[a+18|0]<<16|J[a+19|0]<<24);f=J[a+12|0]|J[a+13|0]<<8|(J[a+14|0]<<16|J[a+15|0]<<24);G[g+8|0]=f;G[g+9|0]=f>>>8;G[g+10|0]=f>>>16;G[g+11|0]=f>>>24;G[g+12|0]=e;G[g+13|0]=e>>>8;G[g+14|0]=e>>>16;G[g+15|0]=e>>>24;e=J[a+24|0]|J[a+25|0]<<8|(J[a+26|0]<<16|J[a+27|0]<<24);f=J[a+20|0]|J[a+21|0]<<8|(J[a+22|0]<<16|J[a+23|0]<<24);G[g+16|0]=f;G[g+17|0]=f>>>8;G[g+18|0]=f>>>16;G[g+19|0]=f>>>24;G[g+20|0]=e;G[g+21|0]=e>>>8;G[g+22|0]=e>>>16;G[g+23|0]=e>>>24;e=J[a+32|0]|J[a+33|0]<<8|(J[a+34|0]<<16|J[a+35|0]<<24);f=J[a+28|0]|J[a+29|0]<<8|(J[a+30|0]<<16|J[a+31|0]<<24);G[g+24|0]=f;G[g+25|0]=f>>>8;G[g+26|0]=f>>>16;G[g+27|0]=f>>>24;G[g+28|0]=e;G[g+29|0]=e>>>8;G[g+30|0]=e>>>16;G[g+31|0]=e>>>24;I[g+32>>2]=a+36}if((n|0)<=I[36517]){I[36517]=0}a=0;if(!h){break c}I[h>>2]=i}ra=q+16|0;f=a;if(!a){i=I[t+12>>2];I[52814]=i;I[52819]=0;I[52820]=134217728/(i|0);I[52822]=0;I[52823]=0;I[52825]=2147483647;I[52841]=100;I[52839]=32;I[52821]=(i<<6)/(i|0);a=I[26361];I[52844]=I[26360];I[52845]=a;a=I[26363];I[52846]=I[26362];I[52847]=a;a=I[26365];I[52848]=I[26364];I[52849]=a;a=I[26367];I[52850]=I[26366];I[52851]=a;a=I[26369];I[52852]=I[26368];I[52853]=a;a=I[26371];I[52854]=I[26370];I[52855]=a;a=I[26373];I[52856]=I[26372];I[52857]=a;I[52858]=I[26374];e=O(i,60);a=(e|0)/12800|0;g=(a|0)>=128?128:a;I[52859]=g;I[52860]=(g|0)/2;h:{if((i|0)==22050|(e|0)<12800){break h}a=(g|0)<=1?1:g;i=a&1;m=+(g|0);h=0;if((e|0)>=25600){g=a&254;a=0;while(1){o=h+140480|0;j=(1-Ta(+(h>>>0)*6.283185307179586/m))*127;i:{if(Q(j)<2147483648){r=~~j;break i}r=-2147483648}G[o|0]=r;e=h|1;o=e+140480|0;j=(1-Ta(+(e>>>0)*6.283185307179586/m))*127;j:{if(Q(j)<2147483648){r=~~j;break j}r=-2147483648}G[o|0]=r;h=h+2|0;a=a+2|0;if((g|0)!=(a|0)){continue}break}}if(!i){break h}a=h+140480|0;j=(1-Ta(+(h>>>0)*6.283185307179586/m))*127;k:{if(Q(j)<2147483648){o=~~j;break k}o=-2147483648}G[a|0]=o}I[52861]=105696;x=235420,y=He(),I[x>>2]=y;I[58024]=38;I[57981]=1;I[57978]=22050;I[58666]=0;I[58020]=110832;I[58018]=0;I[58019]=1074266112;I[58016]=100;I[57982]=20;I[57983]=220;I[57976]=1;I[57977]=0;kd();I[58304]=0;I[58305]=0;I[57988]=0;I[57986]=0;I[57987]=0;I[57984]=0;I[58306]=0;I[58307]=0;I[58320]=0;I[58321]=0;I[58322]=0;I[58323]=0;I[58336]=0;I[58337]=0;I[58338]=0;I[58339]=0;I[58034]=0;I[58035]=0;I[58032]=0;I[58033]=0;a=I[57978];m=-3.141592653589793/+(a|0);N[28997]=m;e=(O(a,630)|0)/1e4|0;I[57980]=e;a=(O(a,950)|0)/1e4|0;I[57979]=a;j=m*-2;N[28998]=j;u=Ua(m*+(e|0));m=u*-u;N[29159]=m;j=u*Ta(j*+(a|0));j=j+j;N[29158]=j;N[29157]=1-j-m;I[58050]=0;I[58051]=0;I[58048]=0;I[58049]=0;I[58066]=0;I[58067]=0;I[58064]=0;I[58065]=0;I[58082]=0;I[58083]=0;I[58080]=0;I[58081]=0;I[58098]=0;I[58099]=0;I[58096]=0;I[58097]=0;I[58114]=0;I[58115]=0;I[58112]=0;I[58113]=0;I[58130]=0;I[58131]=0;I[58128]=0;I[58129]=0;I[58146]=0;I[58147]=0;I[58144]=0;I[58145]=0;I[58162]=0;I[58163]=0;I[58160]=0;I[58161]=0;I[58178]=0;I[58179]=0;I[58176]=0;I[58177]=0;I[58194]=0;I[58195]=0;I[58192]=0;I[58193]=0;I[58210]=0;I[58211]=0;I[58208]=0;I[58209]=0;I[58226]=0;I[58227]=0;I[58224]=0;I[58225]=0;I[58242]=0;I[58243]=0;I[58240]=0;I[58241]=0;I[58258]=0;I[58259]=0;I[58256]=0;I[58257]=0;I[58274]=0;I[58275]=0;I[58272]=0;I[58273]=0;I[58290]=0;I[58291]=0;I[58288]=0;I[58289]=0;I[58699]=59;I[58700]=59;I[58689]=0;I[58690]=59;I[58679]=89;I[58680]=160;I[58669]=280;I[58670]=688;I[58671]=1064;I[58681]=70;I[58691]=59;I[58672]=2806;I[58673]=3260;I[58682]=160;I[58683]=200;I[58692]=59;I[58693]=59;I[58701]=89;I[58702]=149;I[58703]=200;I[58704]=200;I[58694]=59;I[58695]=59;I[58684]=200;I[58685]=500;I[58674]=3700;I[58675]=6500;I[58705]=500;I[58706]=0;I[58696]=0;I[58686]=500;I[58676]=7e3;I[58707]=0;I[58697]=0;I[58687]=500;I[58677]=8e3;I[58729]=89;I[58708]=0;I[58698]=0;I[58688]=89;I[58678]=280;I[58717]=62;I[58715]=0;I[58716]=0;I[58713]=50;I[58714]=0;I[58711]=0;I[58712]=0;I[58709]=0;I[58710]=40;I[58667]=1e3;I[58668]=59;b=ra-416|0;ra=b;I[b+16>>2]=145824;I[b+20>>2]=47;I[b+24>>2]=85961;a=b+240|0;Fa(a,85708,b+16|0);d=Db(a,86043);if(d){if(yc(a,170,d)){i=a|5;g=a|10;while(1){l:{if(J[b+240|0]==47){break l}if(I[b+240>>2]==1701736308){a=ra-48|0;ra=a;I[35040]=-1;I[35041]=-1;I[35050]=-1;I[35051]=-1;I[35048]=-1;I[35049]=-1;I[35046]=-1;I[35047]=-1;I[35044]=-1;I[35045]=-1;I[35042]=-1;I[35043]=-1;I[a+36>>2]=140196;I[a+32>>2]=140192;I[a+28>>2]=140188;I[a+24>>2]=140184;I[a+20>>2]=140180;I[a+16>>2]=140176;I[a+12>>2]=140172;I[a+8>>2]=140168;I[a+4>>2]=140164;I[a>>2]=140160;Pa(i,84238,a);ra=a+48|0;break l}if(gb(b+240|0,86623,9)){break l}a=b+32|0;I[b+4>>2]=a;I[b>>2]=b+239;if((Pa(g,86838,b)|0)!=2){break l}e=I[36124];h=(e<<4)+144512|0;I[h>>2]=G[b+239|0];a=rc(a);I[36124]=e+1;I[h+12>>2]=a;I[h+4>>2]=0}if(yc(b+240|0,170,d)){continue}break}}bb(d)}ra=b+416|0;I[52357]=0;I[52358]=0;I[52361]=0;I[52362]=0;I[52359]=0;I[52360]=0;Cd(0,85707);I[38485]=0;I[38484]=0;I[38486]=0;I[38487]=-1;ff();Te(0);q=I[25694];I[36122]=q;v=I[25693];b=I[25692];I[36120]=b;I[36121]=v;w=I[25691];d=I[25690];I[36118]=d;I[36119]=w;r=I[25689];h=I[25688];I[36116]=h;I[36117]=r;o=I[25687];i=I[25686];I[36114]=i;I[36115]=o;c=I[25685];g=I[25684];I[36112]=g;I[36113]=c;l=I[25683];e=I[25682];I[36110]=e;I[36111]=l;n=I[25681];a=I[25680];I[36108]=a;I[36109]=n;I[35789]=a;I[35790]=n;I[35791]=e;I[35792]=l;I[35793]=g;I[35794]=c;I[35795]=i;I[35796]=o;I[35797]=h;I[35798]=r;I[35799]=d;I[35800]=w;I[35801]=b;I[35802]=v;I[35803]=q;ac(1,175);ac(2,100);ac(6,I[49260]);ac(5,I[49261]);ac(7,0);I[49258]=0;I[49257]=0;j=+ba()/1e3;m:{if(Q(j)<0x8000000000000000){a=~~j>>>0;break m}a=0}e=Dg(a,0,1103515245,0);a=ua;e=e+12345|0;a=e>>>0<12345?a+1|0:a;x=141076,y=Fg(e,a),I[x>>2]=y}ra=t+16|0;if(f){g=I[31442];i=I[s+12>>2];h=ra-560|0;ra=h;d=h+48|0;e=ra-16|0;ra=e;n:{o:{switch(Gg(f-268435967|0,24)|0){case 0:Qa(d,84149,512);break n;case 1:Qa(d,84592,512);break n;case 2:Qa(d,84759,512);break n;case 3:Qa(d,85096,512);break n;case 4:Qa(d,85263,512);break n;case 5:Qa(d,85392,512);break n;case 6:Qa(d,85616,512);break n;case 7:Qa(d,85731,512);break n;case 8:Qa(d,85922,512);break n;case 9:Qa(d,86055,512);break n;case 10:Qa(d,86162,512);break n;case 11:Qa(d,86687,512);break n;case 12:Qa(d,86782,512);break n;case 14:Qa(d,86967,512);break n;case 15:Qa(d,87080,512);break n;default:break o}}if(!(f&1879048192)){a=K[((f>>>0<=153?f:0)<<1)+127696>>1]+125772|0;f=Ga(a);if(f>>>0>=512){Ka(d,a,511);G[d+511|0]=0;break n}Ka(d,a,f+1|0);break n}I[e>>2]=f;wb(d,512,87191,e)}ra=e+16|0;p:{if(i){q:{switch(I[i>>2]){case 0:I[h+16>>2]=I[i+4>>2];I[h+20>>2]=h+48;Sa(g,87393,h+16|0);break p;case 1:break q;default:break p}}a=I[i+8>>2];f=I[i+12>>2];I[h+36>>2]=I[i+4>>2];ua=a;I[h+40>>2]=f;I[h+44>>2]=ua;I[h+32>>2]=h+48;Sa(g,87530,h+32|0);break p}I[h>>2]=h+48;Sa(g,87709,h)}ra=h+560|0;r:{if(!k){break r}f=I[k>>2];if(!f){break r}Ma(I[f+4>>2]);Ma(I[k>>2]);I[k>>2]=0}}f=I[24810];I[36449]=0;I[34618]=f;f=O(I[52814],100);f=((f-((f|0)%1e3|0)|0)+1e3|0)/500|0;I[36450]=f;f=Bb(I[36451],f);I[36452]=f;s:{if(!f){break s}I[36451]=f;I[36453]=40;f=Bb(I[36448],1440);if(!f){break s}I[36448]=f}I[49258]=3;ra=s+16|0;a=I[52814];I[35268]=a}I[p+4>>2]=a;x=p,y=Cc(),I[x>>2]=y;return p|0}function vd(a){var b=0,c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0,z=0,A=0,B=0,C=0,D=0,E=0;u=ra-16|0;ra=u;a:{if((a|0)==2){a=0;I[38483]=0;I[52818]=0;I[52817]=0;break a}a=I[35343];if(I[a>>2]==I[a+4>>2]){a=0;G[198520]=0;break a}hb(I[I[35052]+60>>2]);Ve(I[49252],u+12|0,u+8|0);r=I[49252];k=I[u+12>>2];m=ra-6e3|0;ra=m;x=I[38483];c=x-1|0;b:{if((c|0)<=0){break b}while(1){G[(m+O(b,6)|0)+2|0]=0;a=b<<5;e=a+154080|0;c:{if(J[e|0]&4){g=m+O(j,6)|0;G[g+1|0]=0;G[g+3|0]=J[(a+154080|0)+49|0];a=J[e+3|0];G[g|0]=a;j=j+1|0;y=(a>>>0>3)+y|0;break c}if(J[I[e+8>>2]+10|0]!=27|(j|0)<=0){break c}a=(m+O(j,6)|0)-4|0;G[a|0]=J[a|0]|4}b=b+1|0;if((c|0)!=(b|0)){continue}break}G[m+O(j,6)|0]=0;if(!j){break b}d:{if(I[r+148>>2]==1){e:{if((x|0)<=0){g=0;break e}e=x&2147483646;a=x&1;b=154080;g=0;c=0;while(1){g=J[b+17|0]==2?J[b+3|0]>3?h:g:g;g=J[b+49|0]==2?J[b+35|0]>3?h|1:g:g;b=b- -64|0;h=h+2|0;c=c+2|0;if((e|0)!=(c|0)){continue}break}if(!a|J[b+17|0]!=2){break e}g=J[b+3|0]>3?h:g}j=(g<<5)+154080|0;G[j+3|0]=7;if(J[j+7|0]|I[r+212>>2]!=30313){a=x}else{D=j,E=nb(55),G[D+7|0]=E;a=I[38483]}if((a|0)<=0){break b}b=154080;a=154080;n=I[38185];h=n;f=1;while(1){e=I[38185];if(!J[b+17|0]){c=J[I[b+8>>2]+14|0]>50;n=c?e:n;f=c|f}l=J[b+20|0]?e:h;f:{if(!(J[b|0]&4)){h=l;break f}p=J[b+7|0];h=I[(p<<2)+152704>>2];c=I[r+212>>2];g:{if((c|0)==6840683){if(I[l>>2]!=49){break g}c=I[h>>2]-49|0;if(c>>>0>5|!(1<<c&41)){break g}D=a,E=nb(50),G[D+7|0]=E;c=I[r+212>>2]}if(!((c|0)==6516078|(c|0)==31336)){break g}e=0;if(!p){e=f|i;c=nb(e&1?13621:12593);G[b+7|0]=c;h=I[(c<<2)+152704>>2]}c=I[h>>2];if(!((d|0)!=(g|0)|(c|1024)!=13621)){G[j+3|0]=6}if(I[n>>2]==3420466){D=a,E=nb((c|0)==3420466?13619:12594),G[D+7|0]=E;c=I[h>>2]}i=e;if(!(I[l>>2]!=12597|(c|0)!=12597)){D=a,E=nb(13109),G[D+7|0]=E;c=I[h>>2]}if((c|0)==12593){c=I[n>>2];if((c|0)==13621){D=b,E=nb(12850),G[D+7|0]=E;c=I[n>>2]}if((c|0)==13619){D=b,E=nb(13107),G[D+7|0]=E;c=I[n>>2]}if((c|0)==3420466){D=b,E=nb(13364),G[D+7|0]=E}G[b+3|0]=0}}f=0;n=h;a=b}b=b+32|0;d=d+1|0;c=I[38483];if((d|0)<(c|0)){continue}break}break d}a=I[r+152>>2];q=(a|0)>7?1:a;h:{if(!q){b=r+157|0;a=(k+r|0)+156|0;break h}a=r+O(q,6)|0;b=a+637|0;a=(a+k|0)+636|0}v=J[a|0];A=J[b|0];G[141308]=(k|0)==4;i:{if((j|0)<=0){break i}p=j-1|0;C=k-1>>>0>1;g=0;while(1){o=m+O(f,6)|0;a=J[o|0];B=(a<<24>>24>3)+B|0;j:{if((a|0)!=6){a=g;break j}a=f-3|0;c=(a|0)<(g|0)?g:a;b=f;k:{while(1){if((b|0)<=(c|0)){break k}l:{b=b-1|0;a=m+O(b,6)|0;switch(J[a|0]-4|0){case 2:break k;case 0:break l;default:continue}}break}G[a|0]=3}b=f;m:{while(1){if((b|0)==(p|0)){break m}n:{b=b+1|0;switch(J[m+O(b,6)|0]-4|0){case 0:break m;case 2:break n;default:continue}}break}G[o|0]=5;G[o+2|0]=2;a=g;break j}if(J[o|0]!=6){a=g;break j}G[o+2|0]=2;n=0;o:{p:{b=f+1|0;q:{if((j|0)<=(b|0)){e=f;a=b;break q}h=G[m+O(b,6)|0];if((h|0)>4){e=f;break p}c=(y-B|0)>1;e=f;r:{while(1){a=b;if((h&255)==4){b=c;c=1;l=1;if(b){break o}}b=a+1|0;if((j|0)==(b|0)){break r}e=a;h=G[m+O(b,6)|0];if((h|0)<=4){continue}break}break p}e=p;a=j}l=0;break o}a=b;l=1}i=-1;I[35328]=-1;d=0;h=0;s=-1;b=0;c=g;s:{if((e|0)>=(c|0)){while(1){b=c;t=G[m+O(b,6)|0];z=(t|0)<(h|0);w=(h|0)<(t|0)?b:d;t:{if((t|0)<4){break t}i=b;if((s|0)>=0){break t}s=b-g|0;I[35328]=s}h=z?h:t;n=z?n:w;d=z?d:b;c=b+1|0;if((b|0)!=(e|0)){continue}break}b=d;if((s|0)>=0){break s}}I[35328]=a;d=b}I[35330]=d;I[35329]=e-d;I[35331]=n;u:{if(J[141308]){I[35330]=a;I[35331]=a;break u}if((i|0)>=0){if((a|0)!=(j|0)){break u}G[m+O(i,6)|0]=7;break u}G[m+O(d,6)|0]=7}Mc(m,q,g,a,v);if(!l&(k|0)!=0){break j}if(!C){v=J[r+157|0];break j}v=J[r+156|0]}v:{if((a|0)>=(f|0)){g=a;break v}if(!(J[o+2|0]&4)){g=a;break v}i=-1;I[35328]=-1;n=0;d=0;h=0;c=a;e=-1;while(1){b=c;w=G[m+O(b,6)|0];l=(w|0)<(h|0);g=(h|0)<(w|0)?b:d;w:{if((w|0)<4){break w}i=b;if((e|0)>=0){break w}e=b-a|0;I[35328]=e}h=l?h:w;n=l?n:g;d=l?d:b;c=b+1|0;if((b|0)!=(f|0)){continue}break}g=f+1|0;if((e|0)<0){I[35328]=g}I[35330]=d;I[35329]=f-d;I[35331]=n;x:{if(J[141308]){I[35330]=g;I[35331]=g;break x}if((i|0)>=0){G[m+O(i,6)|0]=7;break x}G[m+O(d,6)|0]=7}Mc(m,q,a,g,A)}f=f+1|0;if((j|0)!=(f|0)){continue}break}if((g|0)>=(j|0)){break i}I[35328]=-1;n=0;a=-1;d=0;h=0;b=g;f=-1;while(1){i=G[m+O(b,6)|0];e=(i|0)<(h|0);c=(h|0)<(i|0)?b:d;y:{if((i|0)<4){break y}a=b;if((f|0)>=0){break y}f=b-g|0;I[35328]=f}h=e?h:i;n=e?n:c;d=e?d:b;b=b+1|0;if((j|0)!=(b|0)){continue}break}if((f|0)<0){I[35328]=j}I[35330]=d;I[35331]=n;I[35329]=(d^-1)+j;z:{if(J[141308]){I[35330]=j;I[35331]=j;break z}if((a|0)>=0){G[m+O(a,6)|0]=7;break z}G[m+O(d,6)|0]=7}Mc(m,q,g,j,v)}if((x|0)<=0){break b}h=0;d=0;while(1){b=(h<<5)+154080|0;c=m+O(d,6)|0;i=J[c|0];G[b+3|0]=i;if(J[b|0]&4){a=J[c+4|0];G[b+21|0]=a;g=J[c+5|0];G[b+16|0]=0;G[b+22|0]=g;f=J[c+2|0];A:{if(f&1){c=2}else{if(i>>>0<6){break A}c=J[c+1|0]}G[b+16|0]=c}B:{if(a>>>0<=(g&255)>>>0){c=g;g=a;break B}G[b+22|0]=a;G[b+21|0]=g;c=a}a=J[b+7|0];if(a){e=I[(a<<2)+152704>>2];a=(c&255)+(g&255)>>>1|0;G[b+22|0]=J[e+13|0]+a;G[b+21|0]=a+J[e+12|0]}if(f&2){G[b+3|0]=i|8}d=d+1|0}h=h+1|0;if((x|0)!=(h|0)){continue}break}break b}h=0;b=154080;if((c|0)<=0){break b}while(1){if(J[b|0]&4){a=J[b+7|0];if(!a){G[b+7|0]=17;a=17}a=I[(a<<2)+152704>>2];G[b+21|0]=J[a+12|0];G[b+22|0]=J[a+13|0]}b=b+32|0;h=h+1|0;if((c|0)!=(h|0)){continue}break}}ra=m+6e3|0;o=I[49252];g=0;q=0;j=0;v=0;s=ra-160|0;ra=s;if(I[38483]>=2){C=o+304|0;z=o+296|0;w=I[31442];h=1;while(1){b=h;h=b+1|0;c=h<<5;l=b<<5;e=l+154080|0;f=J[e+3|0];d=K[e>>1];if(d&2){while(1){p=I[(v<<2)+206544>>2];C:{if((p&31)!=2){break C}ld(p&98,p>>>8|0);I[38492]=110;I[38493]=100;I[38494]=450;I[38490]=5;d=I[52846];i=I[35052];a=I[i+84>>2];if((a|0)>0){d=(O(a,d)|0)/100|0}a=(d|0)>=359?359:d;d=(d|0)>399?6:(d|0)>379?7:J[((a|0)<=80?80:a)+101872|0];I[34606]=(O(d,I[i+72>>2])|0)/256;I[34607]=(O(d,I[i+76>>2])|0)/256;I[34608]=(O(d,I[i+80>>2])|0)/256;if(d>>>0>7){break C}a=d-1|0;I[34608]=a;I[34606]=d;I[34607]=a}v=v+1|0;if(!(p&128)){continue}break}d=K[e>>1]}i=c+154080|0;k=e-32|0;p=f&7;D:{E:{F:{G:{H:{I:{J:{t=J[e+17|0];c=d&4?2:t;switch(c|0){case 6:case 7:break H;case 4:break I;case 0:break J;case 2:break E;case 3:case 8:break F;case 5:break G;default:break D}}g=0;break D}a=J[k+17|0];if((a|0)==6){a=25}else{a=(a|0)==4?60:I[36123]>0?48:p>>>0<4?48:60}G[e+18|0]=a;if(!(!(J[o|0]&16)|!J[e+20|0])){G[e+18|0]=60;a=60}if(J[I[e+8>>2]+6|0]&64){a=a+30|0;G[e+18|0]=a}g=0;if(!(d&8)){break D}G[e+18|0]=J[o+164|0]+a;break D}a=J[e+20|0];if(!(!a|G[I[e+8>>2]+7|0]&1&J[k+17|0]==2)){G[e+18|0]=15}b=J[i+17|0];if(!(J[I[e+8>>2]+4|0]&8|(b|J[k+17|0]!=8))){G[e+18|0]=25}if(J[I[k+8>>2]+5|0]&64){G[e+18|0]=30}if(!(!a|!(I[o>>2]&16))){G[e+18|0]=30}K:{if(!(J[i+20|0]|(!(I[I[e+8>>2]+4>>2]&32)|(b|0)!=4))){if(J[k+17|0]==2){I[e+12>>2]=200;break K}I[e+12>>2]=150;break K}I[e+12>>2]=256}if((c|0)!=7){break D}q=(b|0)==2|q;if((J[k+17|0]&254)!=2){break D}I[e+12>>2]=I[k+12>>2]+255>>>1;break D}b=J[k+17|0];if((b&254)==6|(b|0)==3|I[I[k+8>>2]+4>>2]&32){G[e+18|0]=30}a=J[i+17|0];L:{if((a&254)!=2){break L}q=(J[i+20|0]?(a|0)!=2:0)?q:1;G[e+18|0]=40;a=0;M:{N:{switch(b|0){case 0:b=I[k+12>>2];if(b>>>0>39){break M}a=40-b|0;break M;case 2:break M;default:break N}}if(J[e+20|0]){break L}a=20;O:{switch(b-3|0){case 1:a=0;if(!(J[I[k+8>>2]+4|0]&8)){break M}break L;case 0:break M;case 5:break O;default:break L}}a=12}G[e+18|0]=a}if(!(J[o|0]&16)|!J[e+20|0]|J[e+18|0]>19){break D}G[e+18|0]=20;break D}a=J[z|0];I[e+12>>2]=256;G[e+19|0]=a;P:{if(!J[e+20|0]){break P}d=25;Q:{switch(J[k+17|0]-2|0){case 0:if(G[I[e+8>>2]+7|0]&1){break P}d=12;break;case 1:break Q;default:break P}}G[e+18|0]=d}c=J[i+17|0];if((c|0)==2){j=1;break D}G[e+22|0]=g;R:{S:{if((J[k+17|0]&254)!=2){c=I[38483];if((c|0)>(b|0)){break S}a=g;break R}f=I[k+12>>2];I[e+12>>2]=f;if((t|0)==3){f=I[34606];I[e+12>>2]=f}a=g;T:{switch(c-5|0){case 0:I[e+12>>2]=(O(f,160)>>>0)/100;break R;case 2:break T;default:break R}}I[e+12>>2]=(O(f,120)>>>0)/100;break R}U:{while(1){a=(b<<5)+154080|0;if(J[a+17|0]==2){break U}b=b+1|0;if((c|0)!=(b|0)){continue}break}a=g;break R}a=J[a+22|0];G[e+22|0]=a}q=0;G[e+16|0]=0;b=a&255;a=b-16|0;G[e+21|0]=a>>>0<=b>>>0?a:0;break D}y=p^p>>>0<2;A=f&8;a=A?25:J[y+z|0]-j|0;G[e+19|0]=a;V:{if((I[38483]-3|0)>(b|0)){break V}b=a&255;a=I[o+52>>2];if((b|0)<=(a|0)){break V}G[e+19|0]=a}f=0;I[36123]=0;B=1;b=0;c=e;d=J[c+52|0];if(!d){while(1){a=c;d=I[a+40>>2];if(!(J[d+6|0]&16|J[a+49|0]!=2)){b=b+1|0;I[36123]=b}c=a+32|0;f=J[d+10|0]==27?2:f;d=J[a+84|0];if(!d){continue}break}B=!f;f=b}a=l+154080|0;b=a+96|0;n=J[I[c+40>>2]+10|0];a=a- -64|0;W:{if(!(J[a+17|0]|J[I[i+8>>2]+10|0]!=23)){c=l+154208|0;break W}c=b;b=a;a=i}p=d&2;d=J[I[b+8>>2]+15|0];X:{if(!f){c=J[I[a+8>>2]+15|0];i=I[o+100>>2];l=J[a+20|0];d=J[c+(i+O(l|J[b+20|0]?(d|0)==1:d,10)|0)|0];if(!l|!(J[o|0]&32)){break X}d=J[(i+O(c,10)|0)+1|0]+d>>>1|0;break X}d=J[J[I[a+8>>2]+15|0]+(I[o+96>>2]+O(d,10)|0)|0];if(J[a+17|0]!=8|(J[b+17|0]&254)!=4){break X}d=J[I[c+8>>2]+4|0]&8?d-15|0:d}i=(f|0)!=0;c=(O(I[(f?(f|0)==1?4:8:0)+138424>>2],d)|0)/128|0;d=(c|0)<=8?8:c;Y:{if((y|0)==7){c=I[o+200>>2];d=c+d|0;if(!A){break Y}d=((c|0)/2|0)+d|0;break Y}if(!A){break Y}d=I[o+200>>2]+d|0}i=(i|!p)&(n|0)!=27;c=K[C+(y<<1)>>1];if(!c){c=K[o+316>>1]}d=O(c<<16>>16,d);f=J[e+7|0];Z:{if(!f){break Z}c=J[I[(f<<2)+152704>>2]+14|0];if(!c){break Z}d=(O(c,d)|0)/100|0}_:{if(i&B){break _}c=I[o+12>>2];if(c&2097152){break _}d=(O(c&262144?282:((280-(J[I[e+8>>2]+14|0]<<1)|0)/3|0)+256&65535,d)|0)/256|0}c=O(I[34606],I[o+196>>2]);i=(t|0)!=2?256:(((c|0)>(d|0)?d:c)|0)/128|0;I[e+12>>2]=i;d=J[e+16|0];if(d>>>0>=19){cd(84383,28,w);d=0;G[e+16|0]=0;f=J[e+7|0]}d=d+1|0;c=f&255;$:{if(c){xd(c,s+8|0);c=zd(I[s+132>>2]);break $}c=I[((d&255)<<2)+137600>>2]}if((j|q)&1){f=J[c|0];c=J[e+21|0];l=((O(f,J[e+22|0]-c|0)|0)/256|0)+c|0;G[k+22|0]=l;c=(l|0)==255?255:g;c=(l-c|0)>16?l-16|0:c;G[k+21|0]=c;f=0;if((c|0)<(l|0)){G[e+16|0]=d;f=2}I[k+12>>2]=i;G[k+16|0]=f;c=J[e+19|0];G[k+19|0]=J[k+17|0]==3?c:c>>>0>=18?18:c}c=K[a>>1];d=c&-2;H[a>>1]=d;aa:{ba:{ca:{switch(J[a+17|0]-3|0){case 5:if(J[b+17|0]==2){break aa}d=c|1;break ba;case 0:break ca;default:break aa}}H[a>>1]=c|1;if(J[b+17|0]==2){break ba}if(I[I[a+8>>2]>>2]!=12146){break aa}}H[a>>1]=d}b=J[e+22|0];a=J[e+21|0];if(!((t|0)==2|(b-a|0)>15)){a=(b>>>0<=16?16:b)-16|0;G[e+21|0]=a}a=a&255;g=((O(J[I[(J[e+16|0]<<2)+137600>>2]+127|0],b-a|0)|0)/256|0)+a|0;j=0;q=0}if(I[38483]>(h|0)){continue}break}}ra=s+160|0;a=I[49257];da:{if(!(a&15|I[38516])){break da}b=Rd(a);if(J[197028]&15){I[u>>2]=b;Sa(I[49255],84379,u)}a=I[38516];if(!a){break da}va[a|0](b)|0}a=1;if(J[198520]==1){I[38483]=0;break a}Ye(0);a=I[u+8>>2];ea:{if(a){c=ra+-64|0;ra=c;Qa(c,a,60);Ec(c,1);a=Nb(c,0);b=0;fa:{if(!a){break fa}b=a;if(!J[211216]){break fa}b=Nb(211216,2)}ra=c- -64|0;I[46528]=b;break ea}b=I[46528]}a=1;if(!b){break a}c=I[35052];b=Va(1344);if(b){c=Ka(b,c,1344);b=(I[52818]<<4)+224432|0;I[b>>2]=11;I[b+8>>2]=c;b=I[52818]+1|0;I[52818]=(b|0)<=169?b:0}I[46528]=0}ra=u+16|0;return a}function Pa(a,b,c){var d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0,z=0,A=0;x=ra-16|0;ra=x;I[x+12>>2]=c;d=ra-144|0;ra=d;e=Ja(d,0,144);I[e+76>>2]=-1;I[e+44>>2]=a;I[e+32>>2]=18;I[e+84>>2]=a;d=b;w=c;a=0;j=ra-304|0;ra=j;a:{b:{if(!I[e+4>>2]){gd(e);if(!I[e+4>>2]){break b}}b=J[d|0];if(!b){break a}c:{d:{e:{f:{g:{while(1){h:{b=b&255;i:{if((b|0)==32|b-9>>>0<5){while(1){b=d;d=d+1|0;c=J[b+1|0];if((c|0)==32|c-9>>>0<5){continue}break}rb(e,0,0);while(1){c=I[e+4>>2];j:{if((c|0)!=I[e+104>>2]){I[e+4>>2]=c+1;c=J[c|0];break j}c=Na(e)}if((c|0)==32|c-9>>>0<5){continue}break}d=I[e+4>>2];c=I[e+116>>2];if((c|0)>0){c=1}else{c=(c|0)>=0}if(c){d=d-1|0;I[e+4>>2]=d}c=d-I[e+44>>2]|0;d=c;i=r+I[e+124>>2]|0;f=c>>31;c=o+I[e+120>>2]|0;i=f+(c>>>0<o>>>0?i+1|0:i)|0;o=c+d|0;r=o>>>0<c>>>0?i+1|0:i;break i}k:{l:{m:{if((b|0)==37){b=J[d+1|0];if((b|0)==42){break m}if((b|0)!=37){break l}}rb(e,0,0);n:{if(J[d|0]==37){while(1){b=I[e+4>>2];o:{if((b|0)!=I[e+104>>2]){I[e+4>>2]=b+1;b=J[b|0];break o}b=Na(e)}if((b|0)==32|b-9>>>0<5){continue}break}d=d+1|0;break n}b=I[e+4>>2];if((b|0)!=I[e+104>>2]){I[e+4>>2]=b+1;b=J[b|0];break n}b=Na(e)}if(J[d|0]!=(b|0)){a=I[e+116>>2];if((a|0)>0){a=1}else{a=(a|0)>=0}if(a){I[e+4>>2]=I[e+4>>2]-1}if(v|(b|0)>=0){break a}break b}b=I[e+4>>2]-I[e+44>>2]|0;f=b;g=f>>31;b=r+I[e+124>>2]|0;c=o+I[e+120>>2]|0;h=(c>>>0<o>>>0?b+1|0:b)+g|0;o=c+f|0;r=o>>>0<c>>>0?h+1|0:h;b=d;break i}l=0;b=d+2|0;break k}b=b-48|0;if(!(J[d+2|0]!=36|b>>>0>9)){c=ra-16|0;I[c+12>>2]=w;b=b>>>0>1?((b<<2)+w|0)-4|0:w;I[c+8>>2]=b+4;l=I[b>>2];b=d+3|0;break k}l=I[w>>2];w=w+4|0;b=d+1|0}m=0;g=0;d=J[b|0];if(d-48>>>0<=9){while(1){g=(O(g,10)+d|0)-48|0;d=J[b+1|0];b=b+1|0;if(d-48>>>0<10){continue}break}}if((d|0)==109){n=0;m=(l|0)!=0;d=J[b+1|0];a=0;b=b+1|0}f=b;b=f+1|0;c=3;h=m;p:{q:{switch((d&255)-65|0){case 39:c=J[f+1|0]==104;b=c?f+2|0:b;c=c?-2:-1;break p;case 43:c=J[f+1|0]==108;b=c?f+2|0:b;c=c?3:1;break p;case 51:case 57:c=1;break p;case 11:c=2;break p;case 41:break p;case 0:case 2:case 4:case 5:case 6:case 18:case 23:case 26:case 32:case 34:case 35:case 36:case 37:case 38:case 40:case 45:case 46:case 47:case 50:case 52:case 55:break q;default:break d}}c=0;b=f}f=c;c=J[b|0];d=(c&47)==3;t=d?1:f;q=d?c|32:c;r:{if((q|0)==91){break r}s:{if((q|0)!=110){if((q|0)!=99){break s}g=(g|0)<=1?1:g;break r}fe(l,t,o,r);break i}rb(e,0,0);while(1){c=I[e+4>>2];t:{if((c|0)!=I[e+104>>2]){I[e+4>>2]=c+1;c=J[c|0];break t}c=Na(e)}if((c|0)==32|c-9>>>0<5){continue}break}d=I[e+4>>2];c=I[e+116>>2];if((c|0)>0){c=1}else{c=(c|0)>=0}if(c){d=d-1|0;I[e+4>>2]=d}c=d-I[e+44>>2]|0;d=c;i=r+I[e+124>>2]|0;f=c>>31;c=o+I[e+120>>2]|0;r=f+(c>>>0<o>>>0?i+1|0:i)|0;o=c+d|0;r=o>>>0<c>>>0?r+1|0:r}k=g;s=g>>31;rb(e,g,s);c=I[e+4>>2];u:{if((c|0)!=I[e+104>>2]){I[e+4>>2]=c+1;break u}if((Na(e)|0)<0){break e}}c=I[e+116>>2];if((c|0)>0){c=1}else{c=(c|0)>=0}if(c){I[e+4>>2]=I[e+4>>2]-1}d=16;v:{w:{x:{y:{z:{switch(q-88|0){default:c=q-65|0;if(c>>>0>6|!(1<<c&113)){break v}case 9:case 13:case 14:case 15:he(j+8|0,e,t,0);c=I[e+4>>2]-I[e+44>>2]|0;if(I[e+120>>2]!=(0-c|0)|I[e+124>>2]!=(0-((c>>31)+((c|0)!=0)|0)|0)){break x}break f;case 3:case 11:case 27:if((q|16)==115){Ja(j+32|0,-1,257);G[j+32|0]=0;if((q|0)!=115){break w}G[j+65|0]=0;G[j+46|0]=0;H[j+42>>1]=0;H[j+44>>1]=0;break w}d=J[b+1|0];f=(d|0)==94;Ja(j+32|0,f,257);G[j+32|0]=0;c=f?b+2|0:b+1|0;A:{B:{C:{b=J[(f?2:1)+b|0];if((b|0)!=45){if((b|0)==93){break C}h=(d|0)!=94;b=c;break A}h=(d|0)!=94;G[j+78|0]=h;break B}h=(d|0)!=94;G[j+126|0]=h}b=c+1|0}while(1){c=J[b|0];D:{if((c|0)!=45){if(!c){break e}if((c|0)==93){break w}break D}c=45;f=J[b+1|0];if(!f|(f|0)==93){break D}i=b+1|0;d=J[b-1|0];E:{if(f>>>0<=d>>>0){c=f;break E}while(1){d=d+1|0;G[d+(j+32|0)|0]=h;c=J[i|0];if(d>>>0<c>>>0){continue}break}}b=i}G[(c+j|0)+33|0]=h;b=b+1|0;continue};case 23:d=8;break y;case 12:case 29:d=10;break y;case 1:case 2:case 4:case 5:case 6:case 7:case 8:case 10:case 16:case 18:case 19:case 20:case 21:case 22:case 25:case 26:case 28:case 30:case 31:break v;case 0:case 24:case 32:break y;case 17:break z}}d=0}f=0;i=0;g=0;h=0;p=0;u=ra-16|0;ra=u;F:{if(!((d|0)!=1&d>>>0<=36)){I[58856]=28;break F}while(1){c=I[e+4>>2];G:{if((c|0)!=I[e+104>>2]){I[e+4>>2]=c+1;c=J[c|0];break G}c=Na(e)}if((c|0)==32|c-9>>>0<5){continue}break}H:{I:{switch(c-43|0){case 0:case 2:break I;default:break H}}p=(c|0)==45?-1:0;c=I[e+4>>2];if((c|0)!=I[e+104>>2]){I[e+4>>2]=c+1;c=J[c|0];break H}c=Na(e)}J:{K:{L:{M:{if(!((d|0)!=0&(d|0)!=16|(c|0)!=48)){c=I[e+4>>2];N:{if((c|0)!=I[e+104>>2]){I[e+4>>2]=c+1;c=J[c|0];break N}c=Na(e)}if((c&-33)==88){d=16;c=I[e+4>>2];O:{if((c|0)!=I[e+104>>2]){I[e+4>>2]=c+1;c=J[c|0];break O}c=Na(e)}if(J[c+125233|0]<16){break L}c=I[e+116>>2];if((c|0)>0){c=1}else{c=(c|0)>=0}if(c){I[e+4>>2]=I[e+4>>2]-1}rb(e,0,0);break F}if(d){break M}d=8;break L}d=d?d:10;if(d>>>0>J[c+125233|0]){break M}c=I[e+116>>2];if((c|0)>0){c=1}else{c=(c|0)>=0}if(c){I[e+4>>2]=I[e+4>>2]-1}rb(e,0,0);I[58856]=28;break F}if((d|0)!=10){break L}g=c-48|0;if(g>>>0<=9){c=0;while(1){c=O(c,10)+g|0;f=c>>>0<429496729;d=I[e+4>>2];P:{if((d|0)!=I[e+104>>2]){I[e+4>>2]=d+1;g=J[d|0];break P}g=Na(e)}g=g-48|0;if(f&g>>>0<=9){continue}break}f=c}if(g>>>0>9){break J}d=Dg(f,0,10,0);k=ua;while(1){Q:{i=k;f=d+g|0;i=f>>>0<g>>>0?i+1|0:i;g=(i|0)==429496729&f>>>0<2576980378|i>>>0<429496729;c=I[e+4>>2];R:{if((c|0)!=I[e+104>>2]){I[e+4>>2]=c+1;c=J[c|0];break R}c=Na(e)}h=c-48|0;if(!(g&h>>>0<=9)){if(h>>>0<=9){break Q}break J}d=Dg(f,i,10,0);k=ua;g=h;if((k|0)==-1&(g^-1)>>>0>=d>>>0|(k|0)!=-1){continue}}break}d=10;break K}if(d-1&d){h=J[c+125233|0];if(h>>>0<d>>>0){while(1){g=O(d,g)+h|0;f=g>>>0<119304647;c=I[e+4>>2];S:{if((c|0)!=I[e+104>>2]){I[e+4>>2]=c+1;c=J[c|0];break S}c=Na(e)}h=J[c+125233|0];if(f&h>>>0<d>>>0){continue}break}f=g}if(d>>>0<=h>>>0){break K}while(1){g=Dg(f,i,d,0);k=ua;h=h&255;if((k|0)==-1&(h^-1)>>>0<g>>>0){break K}i=k;f=g+h|0;i=f>>>0<h>>>0?i+1|0:i;c=I[e+4>>2];T:{if((c|0)!=I[e+104>>2]){I[e+4>>2]=c+1;c=J[c|0];break T}c=Na(e)}h=J[c+125233|0];if(d>>>0<=h>>>0){break K}_a(u,d,0,0,0,f,i,0,0);if(!(I[u+8>>2]|I[u+12>>2])){continue}break}break K}k=G[(O(d,23)>>>5&7)+84412|0];g=J[c+125233|0];if(g>>>0<d>>>0){while(1){c=h<<k;h=c|g;f=c>>>0<134217728;c=I[e+4>>2];U:{if((c|0)!=I[e+104>>2]){I[e+4>>2]=c+1;c=J[c|0];break U}c=Na(e)}g=J[c+125233|0];if(f&g>>>0<d>>>0){continue}break}f=h}if(d>>>0<=g>>>0){break K}s=k&31;if((k&63)>>>0>=32){h=0;s=-1>>>s|0}else{h=-1>>>s|0;s=h|(1<<s)-1<<32-s}if(!h&f>>>0>s>>>0){break K}while(1){y=g&255;g=f;c=k&31;if((k&63)>>>0>=32){i=f<<c;c=0}else{i=(1<<c)-1&g>>>32-c|i<<c;c=g<<c}f=y|c;c=I[e+4>>2];V:{if((c|0)!=I[e+104>>2]){I[e+4>>2]=c+1;c=J[c|0];break V}c=Na(e)}g=J[c+125233|0];if(d>>>0<=g>>>0){break K}if((h|0)==(i|0)&f>>>0<=s>>>0|h>>>0>i>>>0){continue}break}}if(J[c+125233|0]>=d>>>0){break J}while(1){c=I[e+4>>2];W:{if((c|0)!=I[e+104>>2]){I[e+4>>2]=c+1;c=J[c|0];break W}c=Na(e)}if(J[c+125233|0]<d>>>0){continue}break}I[58856]=68;p=0;f=-1;i=-1}c=I[e+116>>2];if((c|0)>0){c=1}else{c=(c|0)>=0}if(c){I[e+4>>2]=I[e+4>>2]-1}X:{if((f&i)!=-1){break X}}c=f^p;f=c-p|0;d=p>>31;i=(d^i)-((c>>>0<p>>>0)+d|0)|0}ra=u+16|0;c=I[e+4>>2]-I[e+44>>2]|0;if(I[e+120>>2]==(0-c|0)&I[e+124>>2]==(0-((c>>31)+((c|0)!=0)|0)|0)){break f}if(!(!l|(q|0)!=112)){I[l>>2]=f;break v}fe(l,t,f,i);break v}if(!l){break v}c=I[j+16>>2];i=I[j+20>>2];g=I[j+8>>2];m=I[j+12>>2];Y:{switch(t|0){case 0:h=ra-32|0;ra=h;f=i&65535;d=0;k=i>>>16&32767;Z:{if(k-16257>>>0<=253){d=(f&33554431)<<7|c>>>25;f=0;c=c&33554431;_:{if(!(!f&(c|0)==16777216?!(g|m):!f&c>>>0<16777216)){d=d+1|0;break _}if(c^16777216|g|(f|m)){break _}d=(d&1)+d|0}c=d>>>0>8388607;d=c?0:d;g=k+(c?-16255:-16256)|0;break Z}if(!(!(c|g|(f|m))|((k|0)!=32767|(d|0)!=0))){d=(f&33554431)<<7|c>>>25|4194304;g=255;break Z}if(k>>>0>16510){g=255;break Z}d=!(d|k);q=d?16256:16257;p=q-k|0;if((p|0)>112){d=0;g=0;break Z}d=d?f:f|65536;db(h+16|0,g,m,c,d,128-p|0);Ib(h,g,m,c,d,p);c=I[h+8>>2];d=(I[h+12>>2]&33554431)<<7|c>>>25;g=I[h>>2]|(k|0)!=(q|0)&(I[h+16>>2]|I[h+24>>2]|(I[h+20>>2]|I[h+28>>2]))!=0;m=I[h+4>>2];f=0;c=c&33554431;$:{if(!(!f&(c|0)==16777216?!(g|m):!f&c>>>0<16777216)){d=d+1|0;break $}if(c^16777216|g|(f|m)){break $}d=(d&1)+d|0}g=d>>>0>8388607;d=g?d^8388608:d}ra=h+32|0;I[l>>2]=i&-2147483648|g<<23|d;break v;case 1:z=l,A=Xc(g,m,c,i),N[z>>3]=A;break v;case 2:break Y;default:break v}}I[l>>2]=g;I[l+4>>2]=m;I[l+8>>2]=c;I[l+12>>2]=i;break v}u=(q|0)!=99;c=u?31:g+1|0;aa:{if((t|0)==1){g=l;if(m){g=Va(c<<2);if(!g){break g}}I[j+296>>2]=0;I[j+300>>2]=0;d=0;while(1){a=g;ba:{while(1){f=I[e+4>>2];ca:{if((f|0)!=I[e+104>>2]){I[e+4>>2]=f+1;f=J[f|0];break ca}f=Na(e)}if(!J[(f+j|0)+33|0]){break ba}G[j+27|0]=f;i=j+28|0;f=j+296|0;f=f?f:236860;g=I[f>>2];da:{ea:{n=j+27|0;fa:{ga:{if(!n){if(g){break ga}f=0;break da}ha:{if(g){p=1;break ha}g=J[n|0];h=g<<24>>24;if((h|0)>=0){if(i){I[i>>2]=g}f=(h|0)!=0;break da}if(!I[I[58900]>>2]){f=1;if(!i){break fa}I[i>>2]=h&57343;f=1;break da}g=g-194|0;if(g>>>0>50){break ga}g=I[(g<<2)+133264>>2];break ea}h=J[n|0];t=h>>>3|0;if((t-16|(g>>26)+t)>>>0>7){break ga}while(1){p=p-1|0;g=(h&255)-128|g<<6;if((g|0)>=0){I[f>>2]=0;if(i){I[i>>2]=g}f=1-p|0;break da}if(!p){break ea}n=n+1|0;h=G[n|0];if((h|0)<-64){continue}break}}I[f>>2]=0;I[58856]=25;f=-1}break da}I[f>>2]=g;f=-2}if((f|0)==-2){continue}if((f|0)==-1){n=0;break e}if(a){I[(d<<2)+a>>2]=I[j+28>>2];d=d+1|0}if(!m|(c|0)!=(d|0)){continue}break}h=1;n=0;c=c<<1|1;g=Bb(a,c<<2);if(g){continue}break d}break}n=0;c=a;if(j+296|0?I[j+296>>2]:0){break e}break aa}if(m){d=0;g=Va(c);if(!g){break g}while(1){a=g;while(1){f=I[e+4>>2];ia:{if((f|0)!=I[e+104>>2]){I[e+4>>2]=f+1;f=J[f|0];break ia}f=Na(e)}if(!J[(f+j|0)+33|0]){c=0;n=a;break aa}G[a+d|0]=f;d=d+1|0;if((d|0)!=(c|0)){continue}break}h=1;c=c<<1|1;g=Bb(a,c);if(g){continue}break}n=a;a=0;break d}d=0;if(l){while(1){a=I[e+4>>2];ja:{if((a|0)!=I[e+104>>2]){I[e+4>>2]=a+1;a=J[a|0];break ja}a=Na(e)}if(J[(a+j|0)+33|0]){G[d+l|0]=a;d=d+1|0;continue}else{c=0;a=l;n=a;break aa}}}while(1){a=I[e+4>>2];ka:{if((a|0)!=I[e+104>>2]){I[e+4>>2]=a+1;a=J[a|0];break ka}a=Na(e)}if(J[(a+j|0)+33|0]){continue}break}a=0;n=0;c=0}g=I[e+4>>2];f=I[e+116>>2];if((f|0)>0){f=1}else{f=(f|0)>=0}if(f){g=g-1|0;I[e+4>>2]=g}g=g-I[e+44>>2]|0;f=g+I[e+120>>2]|0;i=I[e+124>>2]+(g>>31)|0;i=g>>>0>f>>>0?i+1|0:i;if(!(i|f)|!(u|(f|0)==(k|0)&(i|0)==(s|0))){break h}if(m){I[l>>2]=a}la:{if((q|0)==99){break la}if(c){I[(d<<2)+c>>2]=0}if(!n){n=0;break la}G[d+n|0]=0}a=c}c=I[e+4>>2]-I[e+44>>2]|0;f=c;g=c>>31;c=r+I[e+124>>2]|0;d=o+I[e+120>>2]|0;h=(d>>>0<o>>>0?c+1|0:c)+g|0;o=d+f|0;r=o>>>0<d>>>0?h+1|0:h;v=((l|0)!=0)+v|0}d=b+1|0;b=J[b+1|0];if(b){continue}break a}break}a=c;break f}h=1;n=0;a=0;break d}h=m;break c}h=m}v=v?v:-1}if(!h){break a}Ma(n);Ma(a);break a}v=-1}ra=j+304|0;ra=e+144|0;ra=x+16|0;return v}function Va(a){a=a|0;var b=0,c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0;k=ra-16|0;ra=k;a:{b:{c:{d:{e:{f:{g:{h:{i:{j:{if(a>>>0<=244){e=I[59216];g=a>>>0<11?16:a+11&504;a=g>>>3|0;b=e>>>a|0;if(b&3){c=a+((b^-1)&1)|0;b=c<<3;a=b+236904|0;b=I[b+236912>>2];d=I[b+8>>2];k:{if((a|0)==(d|0)){m=236864,n=Gg(-2,c)&e,I[m>>2]=n;break k}I[d+12>>2]=a;I[a+8>>2]=d}a=b+8|0;c=c<<3;I[b+4>>2]=c|3;b=b+c|0;I[b+4>>2]=I[b+4>>2]|1;break a}i=I[59218];if(i>>>0>=g>>>0){break j}if(b){c=2<<a;a=Cg((0-c|c)&b<<a);c=a<<3;b=c+236904|0;c=I[c+236912>>2];d=I[c+8>>2];l:{if((b|0)==(d|0)){e=Gg(-2,a)&e;I[59216]=e;break l}I[d+12>>2]=b;I[b+8>>2]=d}I[c+4>>2]=g|3;h=c+g|0;a=a<<3;f=a-g|0;I[h+4>>2]=f|1;I[a+c>>2]=f;if(i){a=(i&-8)+236904|0;d=I[59221];b=1<<(i>>>3);m:{if(!(b&e)){I[59216]=b|e;b=a;break m}b=I[a+8>>2]}I[a+8>>2]=d;I[b+12>>2]=d;I[d+12>>2]=a;I[d+8>>2]=b}a=c+8|0;I[59221]=h;I[59218]=f;break a}l=I[59217];if(!l){break j}c=I[(Cg(l)<<2)+237168>>2];f=(I[c+4>>2]&-8)-g|0;b=c;while(1){n:{a=I[b+16>>2];if(!a){a=I[b+20>>2];if(!a){break n}}d=(I[a+4>>2]&-8)-g|0;b=d>>>0<f>>>0;f=b?d:f;c=b?a:c;b=a;continue}break}j=I[c+24>>2];a=I[c+12>>2];if((c|0)!=(a|0)){b=I[c+8>>2];I[b+12>>2]=a;I[a+8>>2]=b;break b}b=I[c+20>>2];if(b){d=c+20|0}else{b=I[c+16>>2];if(!b){break i}d=c+16|0}while(1){h=d;a=b;d=a+20|0;b=I[a+20>>2];if(b){continue}d=a+16|0;b=I[a+16>>2];if(b){continue}break}I[h>>2]=0;break b}g=-1;if(a>>>0>4294967231){break j}b=a+11|0;g=b&-8;h=I[59217];if(!h){break j}i=31;f=0-g|0;if(a>>>0<=16777204){a=R(b>>>8|0);i=((g>>>38-a&1)-(a<<1)|0)+62|0}b=I[(i<<2)+237168>>2];o:{p:{q:{if(!b){a=0;break q}a=0;c=g<<((i|0)!=31?25-(i>>>1|0)|0:0);while(1){r:{e=(I[b+4>>2]&-8)-g|0;if(e>>>0>=f>>>0){break r}d=b;f=e;if(f){break r}f=0;a=b;break p}e=I[b+20>>2];b=I[((c>>>29&4)+b|0)+16>>2];a=e?(e|0)==(b|0)?a:e:a;c=c<<1;if(b){continue}break}}if(!(a|d)){d=0;a=2<<i;a=(0-a|a)&h;if(!a){break j}a=I[(Cg(a)<<2)+237168>>2]}if(!a){break o}}while(1){c=(I[a+4>>2]&-8)-g|0;b=c>>>0<f>>>0;f=b?c:f;d=b?a:d;b=I[a+16>>2];if(b){a=b}else{a=I[a+20>>2]}if(a){continue}break}}if(!d|I[59218]-g>>>0<=f>>>0){break j}i=I[d+24>>2];a=I[d+12>>2];if((d|0)!=(a|0)){b=I[d+8>>2];I[b+12>>2]=a;I[a+8>>2]=b;break c}b=I[d+20>>2];if(b){c=d+20|0}else{b=I[d+16>>2];if(!b){break h}c=d+16|0}while(1){e=c;a=b;c=a+20|0;b=I[a+20>>2];if(b){continue}c=a+16|0;b=I[a+16>>2];if(b){continue}break}I[e>>2]=0;break c}d=I[59218];if(d>>>0>=g>>>0){a=I[59221];b=d-g|0;s:{if(b>>>0>=16){c=a+g|0;I[c+4>>2]=b|1;I[a+d>>2]=b;I[a+4>>2]=g|3;break s}I[a+4>>2]=d|3;b=a+d|0;I[b+4>>2]=I[b+4>>2]|1;c=0;b=0}I[59218]=b;I[59221]=c;a=a+8|0;break a}c=I[59219];if(c>>>0>g>>>0){b=c-g|0;I[59219]=b;a=I[59222];c=a+g|0;I[59222]=c;I[c+4>>2]=b|1;I[a+4>>2]=g|3;a=a+8|0;break a}a=0;f=g+47|0;if(I[59334]){b=I[59336]}else{I[59337]=-1;I[59338]=-1;I[59335]=4096;I[59336]=4096;I[59334]=k+12&-16^1431655768;I[59339]=0;I[59327]=0;b=4096}e=f+b|0;h=0-b|0;b=e&h;if(b>>>0<=g>>>0){break a}i=I[59326];if(i){j=I[59324];d=j+b|0;if(d>>>0<=j>>>0|d>>>0>i>>>0){break a}}t:{if(!(J[237308]&4)){u:{v:{w:{x:{d=I[59222];if(d){a=237312;while(1){i=I[a>>2];if(i>>>0<=d>>>0&d>>>0<i+I[a+4>>2]>>>0){break x}a=I[a+8>>2];if(a){continue}break}}c=Vb(0);if((c|0)==-1){break u}e=b;a=I[59335];d=a-1|0;if(d&c){e=(b-c|0)+(c+d&0-a)|0}if(e>>>0<=g>>>0){break u}d=I[59326];if(d){h=I[59324];a=h+e|0;if(a>>>0<=h>>>0|a>>>0>d>>>0){break u}}a=Vb(e);if((c|0)!=(a|0)){break w}break t}e=h&e-c;c=Vb(e);if((c|0)==(I[a>>2]+I[a+4>>2]|0)){break v}a=c}if((a|0)==-1){break u}if(g+48>>>0<=e>>>0){c=a;break t}c=I[59336];c=c+(f-e|0)&0-c;if((Vb(c)|0)==-1){break u}e=c+e|0;c=a;break t}if((c|0)!=-1){break t}}I[59327]=I[59327]|4}c=Vb(b);a=Vb(0);if((c|0)==-1|(a|0)==-1|a>>>0<=c>>>0){break e}e=a-c|0;if(e>>>0<=g+40>>>0){break e}}a=I[59324]+e|0;I[59324]=a;if(a>>>0>L[59325]){I[59325]=a}y:{f=I[59222];if(f){a=237312;while(1){b=I[a>>2];d=I[a+4>>2];if((b+d|0)==(c|0)){break y}a=I[a+8>>2];if(a){continue}break}break g}a=I[59220];if(!(a>>>0<=c>>>0?a:0)){I[59220]=c}a=0;I[59329]=e;I[59328]=c;I[59224]=-1;I[59225]=I[59334];I[59331]=0;while(1){b=a<<3;d=b+236904|0;I[b+236912>>2]=d;I[b+236916>>2]=d;a=a+1|0;if((a|0)!=32){continue}break}a=e-40|0;b=-8-c&7;d=a-b|0;I[59219]=d;b=b+c|0;I[59222]=b;I[b+4>>2]=d|1;I[(a+c|0)+4>>2]=40;I[59223]=I[59338];break f}if(I[a+12>>2]&8|(c>>>0<=f>>>0|b>>>0>f>>>0)){break g}I[a+4>>2]=d+e;a=-8-f&7;b=a+f|0;I[59222]=b;c=I[59219]+e|0;a=c-a|0;I[59219]=a;I[b+4>>2]=a|1;I[(c+f|0)+4>>2]=40;I[59223]=I[59338];break f}a=0;break b}a=0;break c}if(L[59220]>c>>>0){I[59220]=c}d=c+e|0;a=237312;z:{while(1){b=I[a>>2];if((b|0)!=(d|0)){a=I[a+8>>2];if(a){continue}break z}break}if(!(J[a+12|0]&8)){break d}}a=237312;while(1){A:{b=I[a>>2];if(b>>>0<=f>>>0){d=b+I[a+4>>2]|0;if(d>>>0>f>>>0){break A}}a=I[a+8>>2];continue}break}a=e-40|0;b=-8-c&7;h=a-b|0;I[59219]=h;b=b+c|0;I[59222]=b;I[b+4>>2]=h|1;I[(a+c|0)+4>>2]=40;I[59223]=I[59338];a=(d+(39-d&7)|0)-47|0;b=a>>>0<f+16>>>0?f:a;I[b+4>>2]=27;a=I[59331];I[b+16>>2]=I[59330];I[b+20>>2]=a;a=I[59329];I[b+8>>2]=I[59328];I[b+12>>2]=a;I[59330]=b+8;I[59329]=e;I[59328]=c;I[59331]=0;a=b+24|0;while(1){I[a+4>>2]=7;c=a+8|0;a=a+4|0;if(c>>>0<d>>>0){continue}break}if((b|0)==(f|0)){break f}I[b+4>>2]=I[b+4>>2]&-2;c=b-f|0;I[f+4>>2]=c|1;I[b>>2]=c;B:{if(c>>>0<=255){a=(c&-8)+236904|0;b=I[59216];c=1<<(c>>>3);C:{if(!(b&c)){I[59216]=b|c;b=a;break C}b=I[a+8>>2]}I[a+8>>2]=f;I[b+12>>2]=f;d=8;c=12;break B}a=31;if(c>>>0<=16777215){a=R(c>>>8|0);a=((c>>>38-a&1)-(a<<1)|0)+62|0}I[f+28>>2]=a;I[f+16>>2]=0;I[f+20>>2]=0;b=(a<<2)+237168|0;D:{d=I[59217];e=1<<a;E:{if(!(d&e)){I[59217]=d|e;I[b>>2]=f;break E}a=c<<((a|0)!=31?25-(a>>>1|0)|0:0);d=I[b>>2];while(1){b=d;if((c|0)==(I[b+4>>2]&-8)){break D}d=a>>>29|0;a=a<<1;e=(d&4)+b|0;d=I[e+16>>2];if(d){continue}break}I[e+16>>2]=f}I[f+24>>2]=b;b=f;a=b;d=12;c=8;break B}a=I[b+8>>2];I[a+12>>2]=f;I[b+8>>2]=f;I[f+8>>2]=a;a=0;d=12;c=24}I[d+f>>2]=b;I[c+f>>2]=a}a=I[59219];if(a>>>0<=g>>>0){break e}b=a-g|0;I[59219]=b;a=I[59222];c=a+g|0;I[59222]=c;I[c+4>>2]=b|1;I[a+4>>2]=g|3;a=a+8|0;break a}I[58856]=48;a=0;break a}I[a>>2]=c;I[a+4>>2]=I[a+4>>2]+e;i=(-8-c&7)+c|0;I[i+4>>2]=g|3;e=b+(-8-b&7)|0;f=g+i|0;h=e-f|0;F:{if(I[59222]==(e|0)){I[59222]=f;a=I[59219]+h|0;I[59219]=a;I[f+4>>2]=a|1;break F}if(I[59221]==(e|0)){I[59221]=f;a=I[59218]+h|0;I[59218]=a;I[f+4>>2]=a|1;I[a+f>>2]=a;break F}a=I[e+4>>2];if((a&3)==1){j=a&-8;c=I[e+12>>2];G:{if(a>>>0<=255){b=I[e+8>>2];if((b|0)==(c|0)){m=236864,n=I[59216]&Gg(-2,a>>>3|0),I[m>>2]=n;break G}I[b+12>>2]=c;I[c+8>>2]=b;break G}g=I[e+24>>2];H:{if((c|0)!=(e|0)){a=I[e+8>>2];I[a+12>>2]=c;I[c+8>>2]=a;break H}I:{a=I[e+20>>2];if(a){b=e+20|0}else{a=I[e+16>>2];if(!a){break I}b=e+16|0}while(1){d=b;c=a;b=a+20|0;a=I[a+20>>2];if(a){continue}b=c+16|0;a=I[c+16>>2];if(a){continue}break}I[d>>2]=0;break H}c=0}if(!g){break G}a=I[e+28>>2];b=(a<<2)+237168|0;J:{if(I[b>>2]==(e|0)){I[b>>2]=c;if(c){break J}m=236868,n=I[59217]&Gg(-2,a),I[m>>2]=n;break G}K:{if(I[g+16>>2]==(e|0)){I[g+16>>2]=c;break K}I[g+20>>2]=c}if(!c){break G}}I[c+24>>2]=g;a=I[e+16>>2];if(a){I[c+16>>2]=a;I[a+24>>2]=c}a=I[e+20>>2];if(!a){break G}I[c+20>>2]=a;I[a+24>>2]=c}h=h+j|0;e=e+j|0;a=I[e+4>>2]}I[e+4>>2]=a&-2;I[f+4>>2]=h|1;I[f+h>>2]=h;if(h>>>0<=255){a=(h&-8)+236904|0;b=I[59216];c=1<<(h>>>3);L:{if(!(b&c)){I[59216]=b|c;b=a;break L}b=I[a+8>>2]}I[a+8>>2]=f;I[b+12>>2]=f;I[f+12>>2]=a;I[f+8>>2]=b;break F}c=31;if(h>>>0<=16777215){a=R(h>>>8|0);c=((h>>>38-a&1)-(a<<1)|0)+62|0}I[f+28>>2]=c;I[f+16>>2]=0;I[f+20>>2]=0;a=(c<<2)+237168|0;M:{b=I[59217];d=1<<c;N:{if(!(b&d)){I[59217]=b|d;I[a>>2]=f;break N}c=h<<((c|0)!=31?25-(c>>>1|0)|0:0);b=I[a>>2];while(1){a=b;if((I[a+4>>2]&-8)==(h|0)){break M}b=c>>>29|0;c=c<<1;d=(b&4)+a|0;b=I[d+16>>2];if(b){continue}break}I[d+16>>2]=f}I[f+24>>2]=a;I[f+12>>2]=f;I[f+8>>2]=f;break F}b=I[a+8>>2];I[b+12>>2]=f;I[a+8>>2]=f;I[f+24>>2]=0;I[f+12>>2]=a;I[f+8>>2]=b}a=i+8|0;break a}O:{if(!i){break O}b=I[d+28>>2];c=(b<<2)+237168|0;P:{if(I[c>>2]==(d|0)){I[c>>2]=a;if(a){break P}h=Gg(-2,b)&h;I[59217]=h;break O}Q:{if(I[i+16>>2]==(d|0)){I[i+16>>2]=a;break Q}I[i+20>>2]=a}if(!a){break O}}I[a+24>>2]=i;b=I[d+16>>2];if(b){I[a+16>>2]=b;I[b+24>>2]=a}b=I[d+20>>2];if(!b){break O}I[a+20>>2]=b;I[b+24>>2]=a}R:{if(f>>>0<=15){a=f+g|0;I[d+4>>2]=a|3;a=a+d|0;I[a+4>>2]=I[a+4>>2]|1;break R}I[d+4>>2]=g|3;e=d+g|0;I[e+4>>2]=f|1;I[f+e>>2]=f;if(f>>>0<=255){a=(f&-8)+236904|0;b=I[59216];c=1<<(f>>>3);S:{if(!(b&c)){I[59216]=b|c;b=a;break S}b=I[a+8>>2]}I[a+8>>2]=e;I[b+12>>2]=e;I[e+12>>2]=a;I[e+8>>2]=b;break R}a=31;if(f>>>0<=16777215){a=R(f>>>8|0);a=((f>>>38-a&1)-(a<<1)|0)+62|0}I[e+28>>2]=a;I[e+16>>2]=0;I[e+20>>2]=0;b=(a<<2)+237168|0;T:{c=1<<a;U:{if(!(c&h)){I[59217]=c|h;I[b>>2]=e;I[e+24>>2]=b;break U}a=f<<((a|0)!=31?25-(a>>>1|0)|0:0);b=I[b>>2];while(1){c=b;if((I[b+4>>2]&-8)==(f|0)){break T}h=a>>>29|0;a=a<<1;h=b+(h&4)|0;b=I[h+16>>2];if(b){continue}break}I[h+16>>2]=e;I[e+24>>2]=c}I[e+12>>2]=e;I[e+8>>2]=e;break R}a=I[c+8>>2];I[a+12>>2]=e;I[c+8>>2]=e;I[e+24>>2]=0;I[e+12>>2]=c;I[e+8>>2]=a}a=d+8|0;break a}V:{if(!j){break V}b=I[c+28>>2];d=(b<<2)+237168|0;W:{if(I[d>>2]==(c|0)){I[d>>2]=a;if(a){break W}m=236868,n=Gg(-2,b)&l,I[m>>2]=n;break V}X:{if(I[j+16>>2]==(c|0)){I[j+16>>2]=a;break X}I[j+20>>2]=a}if(!a){break V}}I[a+24>>2]=j;b=I[c+16>>2];if(b){I[a+16>>2]=b;I[b+24>>2]=a}b=I[c+20>>2];if(!b){break V}I[a+20>>2]=b;I[b+24>>2]=a}Y:{if(f>>>0<=15){a=f+g|0;I[c+4>>2]=a|3;a=a+c|0;I[a+4>>2]=I[a+4>>2]|1;break Y}I[c+4>>2]=g|3;h=c+g|0;I[h+4>>2]=f|1;I[f+h>>2]=f;if(i){a=(i&-8)+236904|0;d=I[59221];b=1<<(i>>>3);Z:{if(!(b&e)){I[59216]=b|e;b=a;break Z}b=I[a+8>>2]}I[a+8>>2]=d;I[b+12>>2]=d;I[d+12>>2]=a;I[d+8>>2]=b}I[59221]=h;I[59218]=f}a=c+8|0}ra=k+16|0;return a|0}function mg(a,b,c){a=a|0;b=b|0;c=c|0;var d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,y=0,A=0,D=0,E=0;if(!I[a+1088>>2]){return 0}a:{if(!b){break a}h=a+648|0;f=a- -64|0;while(1){j=I[a+1088>>2];n=va[I[I[j>>2]+4>>2]](j)|0;if(!n){break a}g=N[a+32>>3]+N[n+16>>3]/+I[a+24>>2];C(+(g-W(g)));j=x(1)|0;r=x(0)|0;C(+g);l=x(1)|0;x(0)|0;z(0,r|0);z(1,j&2147483647|l&-2147483648);g=+B();N[a+32>>3]=g;g=sc(g*6.283185307179586);g=N[a+16>>3]+N[n>>3]*(g*.06*N[n+8>>3]+1)/+I[a+8>>2];C(+(g-W(g)));j=x(1)|0;r=x(0)|0;C(+g);l=x(1)|0;x(0)|0;z(0,r|0);z(1,j&2147483647|l&-2147483648);g=+B();N[a+16>>3]=g;l=Dg(I[58910],I[58911],1284865837,1481765933);j=ua;l=l+1|0;j=l?j:j+1|0;I[58910]=l;I[58911]=j;d=N[a+40>>3]*.75+ +(j>>>1|0)/2147483647;N[a+40>>3]=d;e=N[n+24>>3];j=g>=N[n+32>>3];G[a+48|0]=j;m=e;e=d*.2;d=m*e;i=N[n+352>>3]*(e*N[n+48>>3]+N[n+40>>3]*(g+g+-1+(j?d:d*.01)))*.5;g=N[n+168>>3];m=N[n+104>>3];b:{if(!(J[f+465|0]!=1|m!=N[f+448>>3]|g!=N[f+456>>3])){j=J[f+464|0];g=N[f+488>>3];d=N[f+480>>3];e=N[f+472>>3];break b}N[f+456>>3]=g;N[f+448>>3]=m;e=+I[f+440>>2];d=Ua(g*(-3.141592653589793/e));g=d*-d;N[f+488>>3]=g;d=d*Ta(-6.283185307179586/e*m);d=d+d;N[f+480>>3]=d;e=1-d-g;N[f+472>>3]=e;l=J[f+464|0];if(m==0){j=l;break b}j=1;if(!(l&1)){j=l;break b}e=1/e;N[f+472>>3]=e;m=-e;g=g*m;N[f+488>>3]=g;d=d*m;N[f+480>>3]=d}G[f+465|0]=1;m=N[f+504>>3];k=N[f+496>>3];N[f+504>>3]=k;k=g*m+(e*i+d*k);N[f+496>>3]=j&1?i:k;g=N[n+176>>3];m=N[n+112>>3];c:{if(!(J[f+537|0]!=1|m!=N[f+520>>3]|g!=N[f+528>>3])){j=J[f+536|0];d=N[f+560>>3];e=N[f+552>>3];g=N[f+544>>3];break c}N[f+528>>3]=g;N[f+520>>3]=m;e=+I[f+512>>2];g=Ua(g*(-3.141592653589793/e));d=g*-g;N[f+560>>3]=d;g=g*Ta(-6.283185307179586/e*m);e=g+g;N[f+552>>3]=e;g=1-e-d;N[f+544>>3]=g;l=J[f+536|0];if(m==0){j=l;break c}j=1;if(!(l&1)){j=l;break c}g=1/g;N[f+544>>3]=g;m=-g;d=d*m;N[f+560>>3]=d;e=e*m;N[f+552>>3]=e}G[f+537|0]=1;m=N[f+576>>3];p=N[f+568>>3];N[f+576>>3]=p;g=d*m+(g*k+e*p);N[f+568>>3]=j&1?k:g;m=g==g?(g-i)*N[n+184>>3]+i:i;g=N[n+160>>3];i=N[n+96>>3];d:{if(!(J[f+393|0]!=1|i!=N[f+376>>3]|g!=N[f+384>>3])){j=J[f+392|0];g=N[f+416>>3];d=N[f+408>>3];e=N[f+400>>3];break d}N[f+384>>3]=g;N[f+376>>3]=i;e=+I[f+368>>2];d=Ua(g*(-3.141592653589793/e));g=d*-d;N[f+416>>3]=g;d=d*Ta(-6.283185307179586/e*i);d=d+d;N[f+408>>3]=d;e=1-d-g;N[f+400>>3]=e;l=J[f+392|0];if(i==0){j=l;break d}j=1;if(!(l&1)){j=l;break d}e=1/e;N[f+400>>3]=e;i=-e;g=g*i;N[f+416>>3]=g;d=d*i;N[f+408>>3]=d}G[f+393|0]=1;i=N[f+432>>3];k=N[f+424>>3];N[f+432>>3]=k;o=m;m=g*i+(e*m+d*k);N[f+424>>3]=j&1?o:m;g=N[n+152>>3];i=N[n+88>>3];e:{if(!(J[f+321|0]!=1|i!=N[f+304>>3]|g!=N[f+312>>3])){j=J[f+320|0];g=N[f+344>>3];d=N[f+336>>3];e=N[f+328>>3];break e}N[f+312>>3]=g;N[f+304>>3]=i;e=+I[f+296>>2];d=Ua(g*(-3.141592653589793/e));g=d*-d;N[f+344>>3]=g;d=d*Ta(-6.283185307179586/e*i);d=d+d;N[f+336>>3]=d;e=1-d-g;N[f+328>>3]=e;l=J[f+320|0];if(i==0){j=l;break e}j=1;if(!(l&1)){j=l;break e}e=1/e;N[f+328>>3]=e;i=-e;g=g*i;N[f+344>>3]=g;d=d*i;N[f+336>>3]=d}G[f+321|0]=1;i=N[f+360>>3];k=N[f+352>>3];N[f+360>>3]=k;o=m;m=g*i+(e*m+d*k);N[f+352>>3]=j&1?o:m;g=N[n+144>>3];i=N[n+80>>3];f:{if(!(J[f+249|0]!=1|i!=N[f+232>>3]|g!=N[f+240>>3])){j=J[f+248|0];g=N[f+272>>3];d=N[f+264>>3];e=N[f+256>>3];break f}N[f+240>>3]=g;N[f+232>>3]=i;e=+I[f+224>>2];d=Ua(g*(-3.141592653589793/e));g=d*-d;N[f+272>>3]=g;d=d*Ta(-6.283185307179586/e*i);d=d+d;N[f+264>>3]=d;e=1-d-g;N[f+256>>3]=e;l=J[f+248|0];if(i==0){j=l;break f}j=1;if(!(l&1)){j=l;break f}e=1/e;N[f+256>>3]=e;i=-e;g=g*i;N[f+272>>3]=g;d=d*i;N[f+264>>3]=d}G[f+249|0]=1;i=N[f+288>>3];k=N[f+280>>3];N[f+288>>3]=k;o=m;m=g*i+(e*m+d*k);N[f+280>>3]=j&1?o:m;g=N[n+136>>3];i=N[n+72>>3];g:{if(!(J[f+177|0]!=1|i!=N[f+160>>3]|g!=N[f+168>>3])){j=J[f+176|0];g=N[f+200>>3];d=N[f+192>>3];e=N[f+184>>3];break g}N[f+168>>3]=g;N[f+160>>3]=i;e=+I[f+152>>2];d=Ua(g*(-3.141592653589793/e));g=d*-d;N[f+200>>3]=g;d=d*Ta(-6.283185307179586/e*i);d=d+d;N[f+192>>3]=d;e=1-d-g;N[f+184>>3]=e;l=J[f+176|0];if(i==0){j=l;break g}j=1;if(!(l&1)){j=l;break g}e=1/e;N[f+184>>3]=e;i=-e;g=g*i;N[f+200>>3]=g;d=d*i;N[f+192>>3]=d}G[f+177|0]=1;i=N[f+216>>3];k=N[f+208>>3];N[f+216>>3]=k;o=m;m=g*i+(e*m+d*k);N[f+208>>3]=j&1?o:m;g=N[n+128>>3];i=N[n+64>>3];h:{if(!(J[f+105|0]!=1|i!=N[f+88>>3]|g!=N[f+96>>3])){j=J[f+104|0];g=N[f+128>>3];d=N[f+120>>3];e=N[f+112>>3];break h}N[f+96>>3]=g;N[f+88>>3]=i;e=+I[f+80>>2];d=Ua(g*(-3.141592653589793/e));g=d*-d;N[f+128>>3]=g;d=d*Ta(-6.283185307179586/e*i);d=d+d;N[f+120>>3]=d;e=1-d-g;N[f+112>>3]=e;l=J[f+104|0];if(i==0){j=l;break h}j=1;if(!(l&1)){j=l;break h}e=1/e;N[f+112>>3]=e;i=-e;g=g*i;N[f+128>>3]=g;d=d*i;N[f+120>>3]=d}G[f+105|0]=1;i=N[f+144>>3];k=N[f+136>>3];N[f+144>>3]=k;o=m;m=g*i+(e*m+d*k);N[f+136>>3]=j&1?o:m;g=N[n+120>>3];i=N[n+56>>3];i:{if(!(J[f+33|0]!=1|i!=N[f+16>>3]|g!=N[f+24>>3])){j=J[f+32|0];g=N[f+56>>3];d=N[f+48>>3];e=N[f+40>>3];break i}N[f+24>>3]=g;N[f+16>>3]=i;e=+I[f+8>>2];d=Ua(g*(-3.141592653589793/e));g=d*-d;N[f+56>>3]=g;d=d*Ta(-6.283185307179586/e*i);d=d+d;N[f+48>>3]=d;e=1-d-g;N[f+40>>3]=e;l=J[f+32|0];if(i==0){j=l;break i}j=1;if(!(l&1)){j=l;break i}e=1/e;N[f+40>>3]=e;i=-e;g=g*i;N[f+56>>3]=g;d=d*i;N[f+48>>3]=d}G[f+33|0]=1;i=N[f+72>>3];k=N[f+64>>3];N[f+72>>3]=k;g=g*i+(e*m+d*k);N[f+64>>3]=j&1?m:g;l=Dg(I[58910],I[58911],1284865837,1481765933);j=ua;l=l+1|0;j=l?j:j+1|0;I[58910]=l;I[58911]=j;d=N[a+56>>3]*.75+ +(j>>>1|0)/2147483647;N[a+56>>3]=d;r=(q<<1)+c|0;m=N[n+352>>3]*(N[n+192>>3]*(d*.3))*.5;d=N[n+248>>3];k=N[n+200>>3];j:{if(!(J[h+33|0]!=1|k!=N[h+16>>3]|d!=N[h+24>>3])){j=J[h+32|0];d=N[h+56>>3];e=N[h+48>>3];i=N[h+40>>3];break j}N[h+24>>3]=d;N[h+16>>3]=k;i=+I[h+8>>2];e=Ua(d*(-3.141592653589793/i));d=e*-e;N[h+56>>3]=d;e=e*Ta(-6.283185307179586/i*k);e=e+e;N[h+48>>3]=e;i=1-e-d;N[h+40>>3]=i;l=J[h+32|0];if(k==0){j=l;break j}j=1;if(!(l&1)){j=l;break j}i=1/i;N[h+40>>3]=i;k=-i;d=d*k;N[h+56>>3]=d;e=e*k;N[h+48>>3]=e}G[h+33|0]=1;k=N[h+72>>3];p=N[h+64>>3];N[h+72>>3]=p;p=d*k+(i*m+e*p);N[h+64>>3]=j&1?m:p;d=N[n+256>>3];w=N[n+296>>3];k=N[n+208>>3];k:{if(!(J[h+105|0]!=1|k!=N[h+88>>3]|d!=N[h+96>>3])){j=J[h+104|0];d=N[h+128>>3];e=N[h+120>>3];i=N[h+112>>3];break k}N[h+96>>3]=d;N[h+88>>3]=k;i=+I[h+80>>2];e=Ua(d*(-3.141592653589793/i));d=e*-e;N[h+128>>3]=d;e=e*Ta(-6.283185307179586/i*k);e=e+e;N[h+120>>3]=e;i=1-e-d;N[h+112>>3]=i;l=J[h+104|0];if(k==0){j=l;break k}j=1;if(!(l&1)){j=l;break k}i=1/i;N[h+112>>3]=i;k=-i;d=d*k;N[h+128>>3]=d;e=e*k;N[h+120>>3]=e}G[h+105|0]=1;k=N[h+144>>3];s=N[h+136>>3];N[h+144>>3]=s;s=d*k+(i*m+e*s);N[h+136>>3]=j&1?m:s;d=N[n+264>>3];y=N[n+304>>3];k=N[n+216>>3];l:{if(!(J[h+177|0]!=1|k!=N[h+160>>3]|d!=N[h+168>>3])){j=J[h+176|0];d=N[h+200>>3];e=N[h+192>>3];i=N[h+184>>3];break l}N[h+168>>3]=d;N[h+160>>3]=k;i=+I[h+152>>2];e=Ua(d*(-3.141592653589793/i));d=e*-e;N[h+200>>3]=d;e=e*Ta(-6.283185307179586/i*k);e=e+e;N[h+192>>3]=e;i=1-e-d;N[h+184>>3]=i;l=J[h+176|0];if(k==0){j=l;break l}j=1;if(!(l&1)){j=l;break l}i=1/i;N[h+184>>3]=i;k=-i;d=d*k;N[h+200>>3]=d;e=e*k;N[h+192>>3]=e}G[h+177|0]=1;k=N[h+216>>3];t=N[h+208>>3];N[h+216>>3]=t;t=d*k+(i*m+e*t);N[h+208>>3]=j&1?m:t;d=N[n+272>>3];A=N[n+312>>3];k=N[n+224>>3];m:{if(!(J[h+249|0]!=1|k!=N[h+232>>3]|d!=N[h+240>>3])){j=J[h+248|0];d=N[h+272>>3];e=N[h+264>>3];i=N[h+256>>3];break m}N[h+240>>3]=d;N[h+232>>3]=k;i=+I[h+224>>2];e=Ua(d*(-3.141592653589793/i));d=e*-e;N[h+272>>3]=d;e=e*Ta(-6.283185307179586/i*k);e=e+e;N[h+264>>3]=e;i=1-e-d;N[h+256>>3]=i;l=J[h+248|0];if(k==0){j=l;break m}j=1;if(!(l&1)){j=l;break m}i=1/i;N[h+256>>3]=i;k=-i;d=d*k;N[h+272>>3]=d;e=e*k;N[h+264>>3]=e}G[h+249|0]=1;k=N[h+288>>3];u=N[h+280>>3];N[h+288>>3]=u;u=d*k+(i*m+e*u);N[h+280>>3]=j&1?m:u;d=N[n+280>>3];D=N[n+320>>3];k=N[n+232>>3];n:{if(!(J[h+321|0]!=1|k!=N[h+304>>3]|d!=N[h+312>>3])){j=J[h+320|0];d=N[h+344>>3];e=N[h+336>>3];i=N[h+328>>3];break n}N[h+312>>3]=d;N[h+304>>3]=k;i=+I[h+296>>2];e=Ua(d*(-3.141592653589793/i));d=e*-e;N[h+344>>3]=d;e=e*Ta(-6.283185307179586/i*k);e=e+e;N[h+336>>3]=e;i=1-e-d;N[h+328>>3]=i;l=J[h+320|0];if(k==0){j=l;break n}j=1;if(!(l&1)){j=l;break n}i=1/i;N[h+328>>3]=i;k=-i;d=d*k;N[h+344>>3]=d;e=e*k;N[h+336>>3]=e}G[h+321|0]=1;k=N[h+360>>3];v=N[h+352>>3];N[h+360>>3]=v;v=d*k+(i*m+e*v);N[h+352>>3]=j&1?m:v;d=N[n+288>>3];E=N[n+328>>3];k=N[n+240>>3];o:{if(!(J[h+393|0]!=1|k!=N[h+376>>3]|d!=N[h+384>>3])){j=J[h+392|0];d=N[h+416>>3];e=N[h+408>>3];i=N[h+400>>3];break o}N[h+384>>3]=d;N[h+376>>3]=k;i=+I[h+368>>2];e=Ua(d*(-3.141592653589793/i));d=e*-e;N[h+416>>3]=d;e=e*Ta(-6.283185307179586/i*k);e=e+e;N[h+408>>3]=e;i=1-e-d;N[h+400>>3]=i;l=J[h+392|0];if(k==0){j=l;break o}j=1;if(!(l&1)){j=l;break o}i=1/i;N[h+400>>3]=i;k=-i;d=d*k;N[h+416>>3]=d;e=e*k;N[h+408>>3]=e}G[h+393|0]=1;k=N[h+432>>3];o=N[h+424>>3];N[h+432>>3]=o;d=d*k+(i*m+e*o);N[h+424>>3]=j&1?m:d;o=g;g=(d-m)*N[n+336>>3]+((v-m)*E+((u-m)*D+((t-m)*A+((s-m)*y+((p-m)*w+0)))));g=(o+(m==m?(m-g)*N[n+344>>3]+g:g))*N[n+360>>3]*4e3;p:{if(Q(g)<2147483648){j=~~g;break p}j=-2147483648}j=(j|0)>=32e3?32e3:j;H[r>>1]=(j|0)<=-32e3?-32e3:j;q=q+1|0;if((q|0)!=(b|0)){continue}break}q=b}return(b>>>0>q>>>0?q:b)|0}function qb(a,b,c,d,e){var f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0;h=ra-544|0;ra=h;Ja(h+320|0,0,100);Ja(h+208|0,0,100);j=c?I[c>>2]:j;f=h+432|0;l=f|1;o=f|2;m=I[a+12>>2];k=I[38175];a:{b:{c:{d:{while(1){f=J[b+g|0];f=(f|0)>=(k|0)?13:f;G[g+h|0]=f;if(!f){f=g;break d}f=g|1;i=J[f+b|0];i=(k|0)<=(i|0)?13:i;G[f+h|0]=i;if(!i){break d}g=g+2|0;if((g|0)!=200){continue}break}n=J[h+199|0];g=198;break c}if(!f){break b}n=J[(f+h|0)-1|0];g=(f|0)!=1?f-2|0:0}u=j&8;I[h+536>>2]=(u>>>3|0?3:7)&j;j=J[g+h|0];k=1;p=Pd(a,h,h+432|0,h+540|0,h+536|0,1);r=(p|0)>0?p:0;t=J[h|0];if(t){g=h;f=t;while(1){f=I[((f&255)<<2)+152704>>2];e:{if(J[f+11|0]!=2){break e}f=I[f+4>>2];if(f&1048576){break e}i=(f&2097152)>>>21|0;s=g+1|0;f=J[I[(J[s|0]<<2)+152704>>2]+10|0]==12;i=i|f;G[(h+208|0)+k|0]=i;q=I[(J[(f?2:1)+g|0]<<2)+152704>>2];i=J[q+11|0]-10>>>0<4294967289|!(J[q+6|0]&32)&J[I[(J[(f?3:2)+g|0]<<2)+152704>>2]+11|0]==2?i:i?2:1;g=f?s:g;G[(h+320|0)+k|0]=i;k=k+1|0}g=g+1|0;f=J[g|0];if(f){continue}break}}c=c?r:p;g=c;f:{g:{h:{i:{j:{k:{l:{m:{n:{o:{p:{q:{r:{s:{switch(I[a+8>>2]-1|0){case 11:c=I[h+540>>2];if((c|0)<2){break p}g=1;f=c-1|0;l=f&1;if((c|0)!=2){break r}k=0;break q;case 8:l=I[h+540>>2];if((l|0)<2){break f}f=l-1|0;k=f&3;g=1;if(l-2>>>0>=3){l=f&-4;i=0;while(1){f=(h+432|0)+g|0;j=G[f|0];G[f|0]=(j|0)<0?4:j;j=G[f+1|0];G[f+1|0]=(j|0)<0?4:j;j=G[f+2|0];G[f+2|0]=(j|0)<0?4:j;j=f;f=G[f+3|0];G[j+3|0]=(f|0)<0?4:f;g=g+4|0;i=i+4|0;if((l|0)!=(i|0)){continue}break}}if(!k){break h}f=0;while(1){j=(h+432|0)+g|0;i=G[j|0];G[j|0]=(i|0)<0?4:i;g=g+1|0;f=f+1|0;if((k|0)!=(f|0)){continue}break};break h;case 7:if(!J[h+322|0]|G[h+321|0]>0){break h}case 0:l=I[h+540>>2];if(I[h+536>>2]|(l|0)<3){break f}I[h+536>>2]=2;g=4;if(c){break g}G[h+434|0]=4;break g;case 1:if(I[h+536>>2]){break g}g=1;f=1;k=I[h+540>>2];t:{u:{if((k|0)<3){break u}c=k-2|0;I[h+536>>2]=c;g=c;v:{if(!(m&512)){break v}f=I[(n<<2)+152704>>2];i=J[f+11|0];if((i|0)==2){break v}g=I[f>>2];w:{x:{y:{f=I[a+212>>2];if((f|0)!=24942){if((f|0)==26977){break y}if((f|0)!=25441){break x}}z:{switch(g-110|0){case 0:case 5:break z;default:break w}}g=c;if(J[I[(j<<2)+152704>>2]+11|0]!=2){break w}break v}if((g|0)!=115){break w}g=c;if(J[I[(j<<2)+152704>>2]+11|0]!=2){break w}break v}A:{if((g|0)==115){g=c;i=J[I[(j<<2)+152704>>2]+11|0];if((i|0)!=8){break A}break v}if((i|0)!=8){break w}i=J[I[(j<<2)+152704>>2]+11|0]}g=c;if((i&255)==2){break v}}g=k-1|0;I[h+536>>2]=g}B:{if(!(m&524288)){break B}f=k-1|0;k=h+208|0;if(G[f+k|0]<=G[c+k|0]){break B}I[h+536>>2]=f;g=f}if(J[(h+432|0)+g|0]>1){f=g;break t}f=2;if(g>>>0>=2){g=g-1|0;f=g;break u}g=g+1|0}I[h+536>>2]=g}c=h+432|0;k=c+f|0;if(G[k|0]>=0){break i}g=4;c=c+f|0;if(G[c-1|0]>=4&G[c+1|0]>3){break g}G[k|0]=4;break g;case 2:if(I[h+536>>2]){break g}g=I[h+540>>2];c=g-1|0;c=c>>31&c;while(1){g=g-1|0;if((g|0)<=0){break j}f=(h+432|0)+g|0;if(G[f|0]>=0){continue}break};I[h+536>>2]=g;g=4;G[f|0]=4;break g;case 3:if(I[h+536>>2]){break h}l=I[h+540>>2];g=l-3|0;f=(g|0)<=1?1:g;I[h+536>>2]=f;g=4;if(c){break f}G[f+(h+432|0)|0]=4;break g;case 4:if(I[h+536>>2]){break g}c=I[h+540>>2];f=c-3|0;I[h+536>>2]=f;if((c|0)<=15){g=c;c=J[I[(n<<2)+152704>>2]+11|0];f=G[g+((c|0)==2?94192:(c|0)==4?94208:94176)|0];I[h+536>>2]=f}g=4;G[(h+432|0)+f|0]=4;break g;case 5:if(I[h+536>>2]){break g}k=-1;i=0;f=I[h+540>>2];c=f-1|0;C:{if((c|0)<2){break C}g=1;o=f&1;if((f|0)!=3){r=(f&-2)-4|0;f=0;while(1){if(G[(h+432|0)+g|0]<0){l=G[(h+320|0)+g|0];j=(l|0)<(k|0);i=j?i:g;k=j?k:l}j=g+1|0;if(G[j+(h+432|0)|0]<0){s=G[j+(h+320|0)|0];l=(s|0)<(k|0);i=l?i:j;k=l?k:s}g=g+2|0;j=(f|0)!=(r|0);f=f+2|0;if(j){continue}break}}if(!o|G[(h+432|0)+g|0]>=0){break C}j=G[(h+320|0)+g|0];f=(j|0)<(k|0);k=f?k:j;i=f?i:g}I[h+536>>2]=i;D:{if(!(J[(h+320|0)+c|0]==2&(k|0)<2)){if((k|0)>0){break D}c=1}I[h+536>>2]=c;i=c}g=4;G[(h+432|0)+i|0]=4;break g;case 14:break k;case 12:break l;case 6:break s;default:break g}}if(I[h+536>>2]){break g}c=I[h+540>>2];k=c-1|0;I[h+536>>2]=k;E:{if((c|0)<2){break E}g=1;while(1){if(J[(h+432|0)+g|0]==1){k=g-1|0;I[h+536>>2]=k;break E}g=g+1|0;if((c|0)!=(g|0)){continue}break}}g=4;G[(h+432|0)+k|0]=4;break g}o=f&-2;k=0;i=0;while(1){j=h+432|0;r=j+g|0;f=J[r|0];q=r;r=h+208|0;s=G[r+g|0]>0;G[q|0]=s?3:(f|0)==4?3:f;f=g+1|0;q=f+j|0;j=J[q|0];v=(j|0)==4?3:j;j=G[f+r|0]>0;G[q|0]=j?3:v;k=j?f:s?g:k;g=g+2|0;i=i+2|0;if((o|0)!=(i|0)){continue}break}}if(l){i=(h+432|0)+g|0;f=J[i|0];j=(f|0)==4?3:f;f=G[(h+208|0)+g|0]>0;G[i|0]=f?3:j;k=f?g:k}f=I[h+536>>2];if(f){break m}f=k;if(f){break n}if((c|0)<6){break o}f=c-3|0;break n}f=I[h+536>>2];if(f){break m}}f=c-1|0}I[h+536>>2]=f}g=4;G[(h+432|0)+f|0]=4;break g}if(I[h+536>>2]){break g}I[h+536>>2]=1;if(!(J[h+209|0]|I[h+540>>2]<3|G[h+210|0]<=0)){I[h+536>>2]=2;l=o}g=4;G[l|0]=4;break g}l=I[h+540>>2];if(I[h+536>>2]|(l|0)<3){break f}f=l-1|0;Ja(h+432|1,0,f);I[h+536>>2]=2;if(!c){G[h+434|0]=4}g=4;if(l>>>0<4){break g}G[f+(h+432|0)|0]=3;break g}I[h+536>>2]=c}g=4;break g}g=c}l=I[h+540>>2]}F:{if(!(m&256)|e&2|((l|0)<3|(p|0)>2)){break F}c=(h+432|0)+l|0;f=c-1|0;if(J[f|0]!=4|J[I[(n<<2)+152704>>2]+11|0]!=2){break F}G[f|0]=1;G[c-2|0]=4}G:{H:{I:{if(u){break I}c=G[h+433|0];J:{if(!(m&4096)|(l|0)!=3){break J}if((c|0)==4){G[h+434|0]=3;break H}if(J[h+434|0]!=4){break J}G[h+433|0]=3;break H}if(!(m&8192)|(c|0)>=0|((l|0)<4|G[h+434|0]<4)){break I}G[h+433|0]=3;break H}i=0;if((l|0)<2){break G}}k=(g|0)<4?4:3;r=m&128;s=m&64;q=m&32;o=l-1|0;v=m&16;w=!(m&32768);p=0;j=0;g=1;while(1){n=(h+432|0)+g|0;f=G[n|0];K:{L:{if((f|0)>=0){i=k;break L}i=3;M:{N:{if(!(!v|(k|0)>3)&(g|0)==(o|0)){break N}if(!(p|w)){break M}if(G[(g+h|0)+431|0]>1){i=k;break N}O:{c=g+1|0;f=G[c+(h+432|0)|0];if((f|0)>=2){if((k|0)!=4){break N}i=4;if((f|0)!=2){break N}break O}if(!q|(k|0)!=3){break O}k=3;break K}if(!s|g>>>0<2){break M}i=J[(h+320|0)+g|0];P:{if(i){break P}f=g;if((o|0)<=(f|0)){break P}while(1){if(G[(h+320|0)+f|0]>0){break K}f=f+1|0;if((o|0)!=(f|0)){continue}break}}if(G[c+(h+320|0)|0]<=0|i){break M}break K}f=J[n|0];break L}G[n|0]=k;p=1;i=3;f=k}Q:{if(f<<24>>24>=4){c=j?j:g;if(!j|!r){break Q}G[n|0]=3}k=i;break K}k=i;j=c}i=1;g=g+1|0;if((l|0)!=(g|0)){continue}break}}d=!u|(d|0)>=0?d:I[((l|0)<3?16:20)+a>>2];k=0;f=0;R:{if(!i){break R}c=l-1|0;o=c&3;i=0;S:{if(l-2>>>0<3){g=1;break S}u=c&-4;g=1;j=0;while(1){c=h+432|0;n=G[c+g|0];l=(n|0)<(f|0);f=l?f:n;r=g+1|0;p=G[r+c|0];n=(f|0)>(p|0);f=n?f:p;s=g+2|0;q=G[s+c|0];p=(f|0)>(q|0);f=p?f:q;q=g+3|0;v=G[q+c|0];c=(f|0)>(v|0);f=c?f:v;k=c?p?n?l?k:g:r:s:q;g=g+4|0;j=j+4|0;if((u|0)!=(j|0)){continue}break}}if(!o){break R}while(1){j=G[(h+432|0)+g|0];c=(j|0)<(f|0);f=c?f:j;k=c?k:g;g=g+1|0;i=i+1|0;if((o|0)!=(i|0)){continue}break}}T:{if((d|0)<0){d=f;break T}if((d|0)<=(f|0)&(f|0)>4){break T}G[(h+432|0)+k|0]=d}o=b+197|0;l=1;U:{if(e&1){break U}c=I[(t<<2)+152704>>2];if(!c){break U}f=h;i=J[c+11|0];if(!((i|0)!=1&(t|0)!=15)){while(1){f=f+1|0;c=J[f|0];i=J[I[(c<<2)+152704>>2]+11|0];if((i|0)==1|(c|0)==15){continue}break}}if((i|0)!=2){break U}c=I[a+4>>2];if(!(c&48)){break U}G[b|0]=(c&32)>>>5|0?J[h+433|0]<<24>>24>3?11:23:23;b=b+1|0}V:{if(b>>>0>=o>>>0){break V}n=m&65536;p=m&2;u=m&4;g=h;while(1){f=J[g|0];if(!f){break V}e=g;g=g+1|0;c=I[(f<<2)+152704>>2];if(!c){continue}W:{X:{Y:{switch(J[c+11|0]){case 0:I[a+8200>>2]=0;break W;case 2:if(!(J[c+6|0]&16)){break X}break;default:break Y}}if(J[g|0]!=20){break W}}t=I[h+540>>2];if((t|0)<(l|0)){break a}m=(h+432|0)+l|0;j=G[m|0];I[a+8200>>2]=j;Z:{_:{$:{c=j;if((c|0)>1){break $}i=t-1|0;if(!(!u|((l|0)<2|(d|0)<2))){c=0;if((i|0)==(l|0)){break _}}c=1;if((l|0)==1|p|((t-2|0)==(l|0)&G[i+(h+432|0)|0]<2|(i|0)==(l|0))){break $}if(G[(h+l|0)+431|0]>=0){c=j;if(n){break $}}c=0;G[m|0]=0;break _}if(!c){break _}i=1;if((c|0)<2){break Z}}G[b|0]=J[c+94167|0];b=b+1|0;j=G[m|0];i=c>>>0<4}c=(d|0)>(j|0);aa:{if(J[g|0]!=12){break aa}t=I[a+28>>2];if(!(t&1)){break aa}g=(t&16?(k|0)!=(l|0):i)?e+2|0:g}d=c?d:j;l=l+1|0}if((f|0)!=1){G[b|0]=f;b=b+1|0}if(b>>>0<o>>>0){continue}break}}G[b|0]=0}ra=h+544|0;return}ca(86145,86643,1387,94224);D()}function $d(a,b,c,d,e,f,g,h,i){var j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0,z=0,A=0,B=0,C=0,D=0,E=0,F=0,G=0,H=0,J=0,K=0,M=0,N=0,O=0,P=0,Q=0,S=0;k=ra-336|0;ra=k;m=h;n=i&65535;o=d;p=e&65535;s=(e^i)&-2147483648;x=i>>>16&32767;u=e>>>16&32767;a:{b:{if(x-32767>>>0>4294934529&u-32767>>>0>=4294934530){break b}j=e&2147483647;if(!(!d&(j|0)==2147418112?!(b|c):j>>>0<2147418112)){r=d;s=e|32768;break a}e=i&2147483647;if(!(!h&(e|0)==2147418112?!(f|g):e>>>0<2147418112)){r=h;s=i|32768;b=f;c=g;break a}if(!(b|d|(j^2147418112|c))){if(!(f|h|(e^2147418112|g))){b=0;c=0;s=2147450880;break a}s=s|2147418112;b=0;c=0;break a}if(!(f|h|(e^2147418112|g))){b=0;c=0;break a}if(!(b|d|(c|j))){b=!(f|h|(e|g));r=b?0:r;s=b?2147450880:s;b=0;c=0;break a}if(!(f|h|(e|g))){s=s|2147418112;b=0;c=0;break a}if((j|0)==65535|j>>>0<65535){d=!(o|p);i=d;j=d?b:o;d=d<<6;i=R(i?c:p);d=d+((i|0)==32?R(j)+32|0:i)|0;db(k+320|0,b,c,o,p,d-15|0);q=16-d|0;o=I[k+328>>2];p=I[k+332>>2];c=I[k+324>>2];b=I[k+320>>2]}if(e>>>0>65535){break b}d=!(n|m);h=d;i=d?f:m;d=d<<6;h=R(h?g:n);d=d+((h|0)==32?R(i)+32|0:h)|0;db(k+304|0,f,g,m,n,d-15|0);q=(d+q|0)-16|0;m=I[k+312>>2];n=I[k+316>>2];f=I[k+304>>2];g=I[k+308>>2]}e=n|65536;y=e;z=m;d=m;j=e<<15|d>>>17;e=d<<15|g>>>17;d=e;i=0-d|0;h=j;j=1963258675-(j+((d|0)!=0)|0)|0;_a(k+288|0,d,h,0,0,i,j,0,0);d=I[k+296>>2];_a(k+272|0,0-d|0,0-(I[k+300>>2]+((d|0)!=0)|0)|0,0,0,i,j,0,0);d=I[k+280>>2];i=d<<1|I[k+276>>2]>>>31;d=I[k+284>>2]<<1|d>>>31;_a(k+256|0,i,d,0,0,e,h,0,0);j=I[k+264>>2];_a(k+240|0,i,d,0,0,0-j|0,0-(I[k+268>>2]+((j|0)!=0)|0)|0,0,0);i=I[k+248>>2];j=i<<1|I[k+244>>2]>>>31;d=I[k+252>>2]<<1|i>>>31;_a(k+224|0,j,d,0,0,e,h,0,0);i=I[k+232>>2];_a(k+208|0,j,d,0,0,0-i|0,0-(I[k+236>>2]+((i|0)!=0)|0)|0,0,0);d=I[k+216>>2];i=d<<1|I[k+212>>2]>>>31;d=I[k+220>>2]<<1|d>>>31;_a(k+192|0,i,d,0,0,e,h,0,0);j=I[k+200>>2];_a(k+176|0,i,d,0,0,0-j|0,0-(I[k+204>>2]+((j|0)!=0)|0)|0,0,0);i=e;e=I[k+184>>2];d=h;m=e<<1|I[k+180>>2]>>>31;h=m-1|0;e=(I[k+188>>2]<<1|e>>>31)-!m|0;_a(k+160|0,i,d,0,0,h,e,0,0);d=h;_a(k+144|0,f<<15,g<<15|f>>>17,0,0,d,e,0,0);v=k+112|0;A=I[k+168>>2];h=I[k+172>>2];m=I[k+160>>2];i=I[k+152>>2];l=m+i|0;n=I[k+164>>2];j=n+I[k+156>>2]|0;j=i>>>0>l>>>0?j+1|0:j;i=j;j=(n|0)==(j|0)&l>>>0<m>>>0|j>>>0<n>>>0;n=j+A|0;j=j>>>0>n>>>0?h+1|0:h;m=!i&l>>>0>1|(i|0)!=0;h=n+m|0;j=m>>>0>h>>>0?j+1|0:j;_a(v,d,e,0,0,0-h|0,0-(((h|0)!=0)+j|0)|0,0,0);_a(k+128|0,1-l|0,0-((l>>>0>1)+i|0)|0,0,0,d,e,0,0);K=(u-x|0)+q|0;e=I[k+116>>2];u=e;d=I[k+112>>2];j=e<<1|d>>>31;i=d<<1;n=j;d=j;h=I[k+140>>2];w=h;e=I[k+136>>2];j=h<<1|e>>>31;l=e<<1|I[k+132>>2]>>>31;h=l+i|0;d=d+j|0;d=h>>>0<l>>>0?d+1|0:d;e=d;d=d-(h>>>0<13927)|0;t=d;v=d;l=0;j=p|65536;M=j;N=o;d=o;j=j<<1|d>>>31;P=d<<1;Q=j;E=j;d=Dg(t,l,j,0);j=ua;B=d;C=j;G=b<<1;d=c<<1|b>>>31;x=d;A=d;j=0;q=j;m=h-13927|0;t=(e|0)==(t|0)&m>>>0<h>>>0|e>>>0>t>>>0;e=(e|0)==(n|0)&h>>>0<i>>>0|e>>>0<n>>>0;d=I[k+120>>2];h=I[k+124>>2]<<1|d>>>31;d=d<<1|u>>>31;l=w>>>31|0;d=l+d|0;j=h;j=d>>>0<l>>>0?j+1|0:j;h=d;d=d+e|0;j=h>>>0>d>>>0?j+1|0:j;e=d;d=d+t|0;l=e>>>0>d>>>0?j+1|0:j;e=d-1|0;D=l-!d|0;w=0;i=Dg(A,q,D,w);d=i+B|0;h=ua+C|0;h=d>>>0<i>>>0?h+1|0:h;n=(C|0)==(h|0)&d>>>0<B>>>0|h>>>0<C>>>0;B=e;O=c>>>31|0;F=O|o<<1;t=0;e=Dg(e,0,F,t);o=e+d|0;j=ua+h|0;l=0;j=e>>>0>o>>>0?j+1|0:j;p=j;d=(j|0)==(h|0)&d>>>0>o>>>0|h>>>0>j>>>0;e=d;d=d+n|0;l=e>>>0>d>>>0?1:l;e=Dg(E,q,D,w);d=e+d|0;j=ua+l|0;n=d;d=d>>>0<e>>>0?j+1|0:j;e=Dg(E,q,B,t);l=ua;h=e;e=Dg(F,t,D,w);i=h+e|0;j=ua+l|0;j=e>>>0>i>>>0?j+1|0:j;e=j;j=(l|0)==(j|0)&h>>>0>i>>>0|j>>>0<l>>>0;l=n+e|0;d=d+j|0;d=l>>>0<e>>>0?d+1|0:d;n=l;l=d;e=0;d=e+o|0;j=i+p|0;j=d>>>0<e>>>0?j+1|0:j;e=j;h=(j|0)==(p|0)&d>>>0<o>>>0|j>>>0<p>>>0;j=l;i=h;h=h+n|0;j=i>>>0>h>>>0?j+1|0:j;u=h;l=j;o=d;C=m;d=Dg(m,0,F,t);i=ua;h=d;m=Dg(v,r,A,r);d=d+m|0;j=ua+i|0;j=d>>>0<m>>>0?j+1|0:j;m=(i|0)==(j|0)&d>>>0<h>>>0|i>>>0>j>>>0;h=j;H=G&-2;i=Dg(B,t,H,0);p=i+d|0;j=ua+j|0;j=i>>>0>p>>>0?j+1|0:j;i=j;d=(j|0)==(h|0)&d>>>0>p>>>0|h>>>0>j>>>0;h=0;j=d+m|0;d=(j>>>0<d>>>0?1:h)+e|0;n=j+o|0;d=n>>>0<j>>>0?d+1|0:d;j=l;m=d;d=(d|0)==(e|0)&n>>>0<o>>>0|d>>>0<e>>>0;e=d;d=d+u|0;j=e>>>0>d>>>0?j+1|0:j;S=d;u=j;d=Dg(E,q,C,r);J=ua;E=d;e=Dg(D,w,H,r);d=d+e|0;j=ua+J|0;j=d>>>0<e>>>0?j+1|0:j;o=d;l=Dg(v,r,F,t);e=d+l|0;h=j;d=j+ua|0;d=e>>>0<l>>>0?d+1|0:d;q=e;j=Dg(A,r,B,t);e=e+j|0;l=ua+d|0;l=e>>>0<j>>>0?l+1|0:l;D=(d|0)==(l|0)&e>>>0<q>>>0|d>>>0>l>>>0;j=(h|0)==(J|0)&o>>>0<E>>>0|h>>>0<J>>>0;d=(d|0)==(h|0)&o>>>0>q>>>0|d>>>0<h>>>0;d=d+j|0;d=d+D|0;h=l;q=h+n|0;j=(d|w)+m|0;j=h>>>0>q>>>0?j+1|0:j;o=j;d=(m|0)==(j|0)&n>>>0>q>>>0|j>>>0<m>>>0;j=u;h=d;d=d+S|0;j=h>>>0>d>>>0?j+1|0:j;w=d;m=j;d=Dg(v,r,H,r);v=ua;n=d;h=Dg(A,r,C,r);d=d+h|0;j=ua+v|0;j=d>>>0<h>>>0?j+1|0:j;u=0;h=(j|0)==(v|0)&d>>>0<n>>>0|j>>>0<v>>>0;n=j;d=j+p|0;j=(h|u)+i|0;j=d>>>0<n>>>0?j+1|0:j;i=(i|0)==(j|0)&d>>>0<p>>>0|i>>>0>j>>>0;h=j;j=e;p=0;e=p+d|0;l=h+j|0;j=0;l=e>>>0<p>>>0?l+1|0:l;d=(h|0)==(l|0)&d>>>0>e>>>0|h>>>0>l>>>0;e=d;d=d+i|0;j=(e>>>0>d>>>0?1:j)+o|0;l=m;e=d;d=d+q|0;j=e>>>0>d>>>0?j+1|0:j;e=j;h=(o|0)==(j|0)&d>>>0<q>>>0|j>>>0<o>>>0;i=h;h=h+w|0;l=i>>>0>h>>>0?l+1|0:l;i=l;c:{if((l|0)==131071|l>>>0<131071){N=P|O;M=t|Q;_a(k+80|0,d,j,h,l,f,g,z,y);l=I[k+84>>2];q=l;j=b<<17;o=0;p=I[k+88>>2];c=o-p|0;b=I[k+80>>2];l=(l|b)!=0;m=c-l|0;n=(j-(I[k+92>>2]+(o>>>0<p>>>0)|0)|0)-(c>>>0<l>>>0)|0;p=0-(((b|0)!=0)+q|0)|0;q=K+16382|0;o=0-b|0;break c}d=(e&1)<<31|d>>>1;e=h<<31|e>>>1;h=(i&1)<<31|h>>>1;i=i>>>1|0;_a(k+96|0,d,e,h,i,f,g,z,y);m=I[k+100>>2];x=m;n=0;q=I[k+104>>2];o=n-q|0;l=I[k+96>>2];p=(m|l)!=0;m=o-p|0;n=((b<<16)-(I[k+108>>2]+(n>>>0<q>>>0)|0)|0)-(o>>>0<p>>>0)|0;p=0-(((l|0)!=0)+x|0)|0;G=b;x=c;q=K+16383|0;o=0-l|0}if((q|0)>=32767){s=s|2147418112;b=0;c=0;break a}d:{if((q|0)>0){b=m<<1|p>>>31;c=n<<1|m>>>31;m=h;n=i&65535|q<<16;l=p<<1|o>>>31;h=o<<1;break d}if((q|0)<=-113){b=0;c=0;break a}Ib(k- -64|0,d,e,h,i,1-q|0);db(k+48|0,G,x,N,M,q+112|0);d=I[k+64>>2];e=I[k+68>>2];m=I[k+72>>2];n=I[k+76>>2];_a(k+32|0,f,g,z,y,d,e,m,n);b=I[k+40>>2];c=I[k+56>>2];i=I[k+36>>2];p=b<<1|i>>>31;l=c-p|0;p=I[k+60>>2]-((I[k+44>>2]<<1|b>>>31)+(c>>>0<p>>>0)|0)|0;c=I[k+52>>2];q=c;b=I[k+32>>2];h=i<<1|b>>>31;o=b<<1;b=o;j=I[k+48>>2];c=(c|0)==(h|0)&b>>>0>j>>>0|c>>>0<h>>>0;b=l-c|0;c=p-(c>>>0>l>>>0)|0;l=q-((j>>>0<o>>>0)+h|0)|0;h=j-o|0}_a(k+16|0,f,g,z,y,3,0,0,0);_a(k,f,g,z,y,5,0,0,0);o=d;p=d&1;i=p;d=h+i|0;j=0;h=j+l|0;h=d>>>0<i>>>0?h+1|0:h;i=d;g=(g|0)==(h|0)&d>>>0>f>>>0|g>>>0<h>>>0;l=c;d=(h|0)==(j|0)&d>>>0<p>>>0|h>>>0<j>>>0;f=b+d|0;l=d>>>0>f>>>0?l+1|0:l;j=e;b=(l|0)==(y|0);b=b&(f|0)==(z|0)?g:b&f>>>0>z>>>0|l>>>0>y>>>0;c=b;b=b+o|0;j=c>>>0>b>>>0?j+1|0:j;c=j;d=(e|0)==(j|0)&b>>>0<o>>>0|e>>>0>j>>>0;j=n;e=d;d=d+m|0;j=e>>>0>d>>>0?j+1|0:j;g=d;e=I[k+20>>2];m=(e|0)==(h|0)&L[k+16>>2]<i>>>0|e>>>0<h>>>0;e=I[k+28>>2];d=I[k+24>>2];e=j>>>0<2147418112&((d|0)==(f|0)&(e|0)==(l|0)?m:(e|0)==(l|0)&d>>>0<f>>>0|e>>>0<l>>>0);d=c;m=e;e=b+e|0;d=m>>>0>e>>>0?d+1|0:d;b=(c|0)==(d|0)&b>>>0>e>>>0|c>>>0>d>>>0;c=b;b=b+g|0;j=c>>>0>b>>>0?j+1|0:j;g=b;c=I[k+4>>2];h=(c|0)==(h|0)&L[k>>2]<i>>>0|c>>>0<h>>>0;c=I[k+12>>2];b=I[k+8>>2];b=j>>>0<2147418112&((b|0)==(f|0)&(c|0)==(l|0)?h:(c|0)==(l|0)&b>>>0<f>>>0|c>>>0<l>>>0);c=b;b=b+e|0;l=c>>>0>b>>>0?d+1|0:d;c=l;e=(d|0)==(l|0)&b>>>0<e>>>0|d>>>0>l>>>0;d=j;f=e;e=e+g|0;d=f>>>0>e>>>0?d+1|0:d;r=e|r;s=d|s}I[a>>2]=b;I[a+4>>2]=c;I[a+8>>2]=r;I[a+12>>2]=s;ra=k+336|0}function jb(a,b,c,d,e){var f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0,z=0,A=0,B=0,C=0,D=0,E=0,F=0,H=0;p=ra-48|0;ra=p;n=I[c+8>>2];if(!(!e|!K[c+4>>1])){I[e+8>>2]=0}i=Ja(d,0,152);I[i+44>>2]=J[n+14|0];I[i+40>>2]=J[n+15|0];d=K[n+8>>1];if(d){v=i+4|0;d=I[36519]+(d<<1)|0;w=i+132|0;t=b&256;x=c-32|0;y=c- -64|0;z=c+96|0;A=c+-64|0;B=c-28|0;r=c+32|0;C=b&1;D=c-24|0;E=i+108|0;s=i+88|0;F=i+68|0;while(1){b=K[d>>1];k=b>>>8|0;f=k&15;a:{b:{c:{d:{e:{f:{g:{h:{i:{j:{k:{l:{h=b>>>12|0;switch(h|0){case 10:break g;case 9:break h;case 6:break i;case 2:case 3:break j;case 1:break k;case 0:break l;case 11:case 12:case 13:case 14:case 15:break f;default:break e}}g=b&255;m:{n:{o:{switch(f|0){case 13:if(g){break n}f=d;b=0;break m;case 0:f=d;p:{switch(g-1|0){case 1:break a;case 0:break b;default:break p}}_e(n,b);break a;case 5:if(J[I[(J[c+34|0]<<2)+152704>>2]+11|0]!=2){break a}I[i+20>>2]=g;break a;case 12:break o;default:break d}}I[i+44>>2]=I[i+44>>2]+(b<<24>>31&-256|g);break a}G[i+132|0]=J[d+3|0];f=d+2|0;G[i+133|0]=J[f|0];b=2;if(g>>>0<3){break m}G[i+134|0]=J[d+5|0];f=d+4|0;G[i+135|0]=J[f|0];b=4;if(g>>>0<5){break m}G[i+136|0]=J[d+7|0];f=d+6|0;G[i+137|0]=J[f|0];b=6;if(g>>>0<7){break m}G[i+138|0]=J[d+9|0];f=d+8|0;G[i+139|0]=J[f|0];b=8;if(g>>>0<9){break m}G[i+140|0]=J[d+11|0];f=d+10|0;G[i+141|0]=J[f|0];b=10;if(g>>>0<11){break m}G[i+142|0]=J[d+13|0];f=d+12|0;G[i+143|0]=J[f|0];b=12;if(g>>>0<13){break m}G[i+144|0]=J[d+15|0];f=d+14|0;G[i+145|0]=J[f|0];b=14;if(g>>>0<15){break m}G[i+146|0]=J[d+17|0];f=d+16|0;G[i+147|0]=J[f|0];b=16}G[b+w|0]=0;g=l;break b}if(!a|f>>>0>7){break a}h=c;if(J[I[(J[c+2|0]<<2)+152704>>2]+11|0]!=2){h=r;if(J[I[(J[c+34|0]<<2)+152704>>2]+11|0]!=2){break a}}f=J[h+3|0];j=I[a+56>>2];if(j&1?0:J[c|0]&16){break a}g=f&15;g=j&2?J[h+6|0]<=g>>>0?4:g:g;q:{r:{s:{t:{f=k&7;switch(f-3|0){case 1:break r;case 0:break t;default:break s}}if(g>>>0>3){break q}break a}if(I[(f<<2)+102848>>2]>(g|0)){break q}break a}if(J[h+6|0]>g>>>0){break a}}I[i+8>>2]=b&255;g=1;break c}u:{if((b&57344)!=8192){break u}H=I[35052];k=1;u=0;while(1){j=b&255;o=b&4095;f=o>>>8|0;v:{if(o>>>0<=3583){g=(f>>>0)%7|0;if((g|0)==6){g=K[d+2>>1]}q=0;f=c;w:{x:{y:{z:{A:{B:{C:{D:{switch(g|0){case 4:if(!K[c+36>>1]){break C}h=0;break v;case 5:if(!K[c+4>>1]){break y}h=0;break v;case 6:h=0;if(K[c+36>>1]|K[c+68>>1]){break v}case 3:f=y;break x;case 9:h=0;if(K[c+36>>1]|K[c+68>>1]){break v}f=z;if(!K[c+100>>1]){break w}break v;case 0:break y;case 10:break z;case 8:break A;case 2:break C;case 7:break D;default:break x}}if(!K[c+36>>1]){break B}h=0;break v}f=r;break x}g=1;f=r;while(1){if(J[I[(J[f+2|0]<<2)+152704>>2]+11|0]==2){break x}h=0;g=g+1|0;f=(g<<5)+c|0;if(!K[f+4>>1]){continue}break}break v}h=0;if(!e|!I[e+8>>2]){break v}q=1;f=e;break w}h=0;if(K[c+4>>1]|K[B>>1]){break v}q=1;f=A;break w}q=1;f=x}E:{switch(g|0){case 0:case 5:break E;default:break w}}f=(J[f+2|0]==1?-32:0)+f|0}F:{if(!t){g=I[f+8>>2];break F}g=I[(J[f+2|0]<<2)+152704>>2];I[f+8>>2]=g}if(o>>>0<=1791){if(I[I[(j<<2)+152704>>2]>>2]==I[g>>2]){h=1;break v}if(!(!q|J[g+11|0]!=2)){h=J[g+13|0]==(j|0);break v}h=J[g+12|0]==(j|0);break v}j=o&31;h=0;G:{switch(o>>>5&7){case 0:h=(j|0)==J[g+11|0];break v;case 1:h=(j|0)==(K[g+6>>1]&15);break v;case 2:h=I[g+4>>2]>>>j&1;break v;case 4:break G;default:break v}}H:{switch(j|0){case 0:case 1:case 2:case 3:case 4:if(J[I[(J[f+2|0]<<2)+152704>>2]+11|0]!=2){if(J[I[(J[f+34|0]<<2)+152704>>2]+11|0]!=2){break v}f=f+32|0}h=J[f+3|0]&15;h=!a|!(J[a+56|0]&2)?h:J[f+6|0]<=h>>>0?4:h;I:{J:{switch(j-3|0){case 1:h=J[f+6|0]<=h>>>0;break v;case 0:if(h>>>0<=3){break I}h=1;break v;default:break J}}if(I[(j<<2)+102848>>2]<=(h|0)){break I}h=1;break v}h=0;break v;case 17:if(!J[g+11|0]){h=1;break v}h=(J[c+1|0]&32)>>>5|0;break v;case 18:h=K[f+4>>1]!=0;break v;case 19:if(K[f+36>>1]){h=1;break v}h=!J[I[f+40>>2]+11|0];break v;case 9:if(K[f+4>>1]){break v}while(1){g=J[f-29|0]&12;h=(g|0)!=0;if(g){break v}g=f-28|0;f=f-32|0;if(!K[g>>1]){continue}break};break v;case 10:h=J[g+11|0]!=2;break v;case 11:while(1){g=K[f+36>>1];h=(g|0)!=0;if(g){break v}g=f;f=f+32|0;if(J[I[g+40>>2]+11|0]!=2){continue}break};break v;case 12:if((J[g+11|0]&254)==2){h=1;break v}h=(J[g+4|0]&16)>>>4|0;break v;case 13:while(1){h=(J[I[f+8>>2]+11|0]==2)+h|0;g=K[f+4>>1];f=f-32|0;if(!g){continue}break};h=(h|0)==1;break v;case 14:while(1){h=(J[I[f+8>>2]+11|0]==2)+h|0;g=K[f+4>>1];f=f-32|0;if(!g){continue}break};h=(h|0)==2;break v;case 16:break H;default:break v}}h=(J[f|0]&16)>>>4|0;break v}h=0;if((f|0)!=15){break v}K:{switch(j-1|0){case 0:h=C;break v;case 1:break K;default:break v}}h=I[H+132>>2]!=0}g=b&65535;f=g>>>12|0;L:{if(1<<f&1970){f=G[f+102864|0];break L}M:{switch(f|0){case 0:f=1;if((g&3840)!=3328){break L}f=((g&255)+1>>>1|0)+1|0;break L;case 6:f=(g>>>9&7)-5>>>0<2?12:1;break L;case 2:case 3:f=g&3840;f=(f|0)==3328?2:(f|0)==1536?2:1;break L;default:break M}}g=K[d+4>>1];f=4;if(g>>>0>61439){break L}f=(g|0)==2?3:2}d=(f<<1)+d|0;f=K[d>>1]==3;d=(f<<1)+d|0;f=f^h;k=u?f|k:f&k;u=b&4096;b=K[d>>1];if((b&57344)==8192){continue}break}if(k&1){break u}if((b&63488)==26624){d=((b&255)<<1)+d|0;break u}f=b>>>12|0;N:{if(1<<f&1970){f=G[f+102864|0];break N}O:{switch(f|0){case 0:f=1;if((b&3840)!=3328){break N}f=((b&255)+1>>>1|0)+1|0;break N;case 6:f=(b>>>9&7)-5>>>0<2?12:1;break N;case 2:case 3:b=b&3840;f=(b|0)==3328?2:(b|0)==1536?2:1;break N;default:break O}}b=K[d+4>>1];f=4;if(b>>>0>61439){break N}f=(b|0)==2?3:2}b=(f<<1)+d|0;d=(((K[b>>1]&65024)==24576)<<1)+b|0}f=d-2|0;g=l;break b}P:{switch(f>>>1|0){case 0:d=(((b&255)<<1)+d|0)-2|0;break a;case 5:I[i>>2]=I[i>>2]|2;b=J[I[c+40>>2]+12|0];if((b-28&255)>>>0<=5){b=(b<<2&508)+d|0;f=K[b-108>>1];b=K[b-110>>1];I[i+96>>2]=b>>>4<<24>>24;I[i+76>>2]=(b&15)<<18|f<<2}d=d+24|0;break a;case 6:break P;default:break a}}b=J[I[D>>2]+13|0];if((b-28&255)>>>0<=5){b=(b<<2&508)+d|0;f=K[b-108>>1];b=K[b-110>>1];I[i+100>>2]=b>>>4<<24>>24;I[i+80>>2]=(b&15)<<18|f<<2}d=d+24|0;break a}d=d+2|0;b=K[d>>1]|b<<16&983040;Q:{switch(f-1|0){case 0:if((m|0)>9){break a}I[(m<<2)+p>>2]=d;d=(I[36519]+(b<<1)|0)-2|0;m=m+1|0;break a;case 1:I[i+124>>2]=b;break a;case 2:break Q;default:break a}}I[i+128>>2]=b;break a}f=(((f|0)!=1)<<3)+E|0;I[f>>2]=K[d+2>>1]|(b&255)<<16;b=K[d+4>>1]<<16;d=d+6|0;I[f+4>>2]=b|K[d>>1];break a}g=h-11|0;k=g<<2;f=d+2|0;I[k+F>>2]=b<<18&3932160|K[f>>1]<<2;k=k+s|0;j=b>>>4|0;I[k>>2]=j&255;d=K[d+4>>1];if((d|0)==2){d=f;break a}g=b>>>0<=53247?d>>>0>61439?2:1:l-((g|0)==4)|0;if(h-13>>>0>1){break b}I[k>>2]=j<<24>>24;break b}_e(n,b);break a}I[(f<<2)+v>>2]=g;g=t?(f|0)==1?1:l:l}f=d}if(!((g|0)!=1|(m|0)<=0)){m=m-1|0;d=I[(m<<2)+p>>2];l=0;break a}d=f;l=g}d=d+2|0;if((l|0)!=1){continue}break}if(!(!e|J[c+17|0]!=2)){a=I[c+4>>2];I[e>>2]=I[c>>2];I[e+4>>2]=a;a=I[c+28>>2];I[e+24>>2]=I[c+24>>2];I[e+28>>2]=a;a=I[c+20>>2];I[e+16>>2]=I[c+16>>2];I[e+20>>2]=a;a=I[c+12>>2];I[e+8>>2]=I[c+8>>2];I[e+12>>2]=a}G[c+23|0]=I[i+44>>2];a=I[i+68>>2];R:{if(a){I[c+24>>2]=a;break R}I[c+24>>2]=I[i+72>>2];s=i+92|0}I[c+28>>2]=I[s>>2]}ra=p+48|0}function jf(a,b,c,d,e,f){var g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0;g=ra-848|0;ra=g;a:{if(!I[a+104>>2]|(J[e+2|0]&8|I[49262]==193)){break a}I[d>>2]=0;I[35332]=0;I[35334]=f;G[g+192|0]=0;I[35333]=g+192;while(1){f=h;h=h+1|0;p=b+f|0;if(G[p|0]-48>>>0<10){continue}break}I[58856]=0;v=g+188|0;o=-2147483648;s=ra-16|0;ra=s;l=J[b|0];b:{if(!l){m=b;break b}m=b;c:{while(1){i=l<<24>>24;if(!((i|0)==32|i-9>>>0<5)){break c}l=J[m+1|0];m=m+1|0;if(l){continue}break}break b}d:{i=l&255;switch(i-43|0){case 0:case 2:break d;default:break b}}q=(i|0)==45?-1:0;m=m+1|0}i=0;while(1){e:{j=J[m|0];l=j-48|0;f:{if((l&255)>>>0<10){break f}if((j-97&255)>>>0<=25){l=j-87|0;break f}if((j-65&255)>>>0>25){break e}l=j-55|0}l=l&255;if(l>>>0>=10){break e}_a(s,10,0,0,0,n,r,0,0);j=1;g:{if(I[s+8>>2]|I[s+12>>2]){break g}w=Dg(n,r,10,0);u=ua;if((u|0)==-1&(l^-1)>>>0<w>>>0){break g}j=u;n=l+w|0;r=n>>>0<l>>>0?j+1|0:j;t=1;j=i}m=m+1|0;i=j;continue}break}if(v){I[v>>2]=t?m:b}h:{i:{j:{if(i){I[58856]=68;n=-2147483648;r=0;break j}if(!r&n>>>0<2147483648){break i}}if(!q){I[58856]=68;o=2147483647;break h}if(!r&n>>>0<=2147483648){break i}I[58856]=68;break h}o=(n^q)-q|0}ra=s+16|0;m=o;if(I[58856]|I[g+188>>2]==(b|0)){break a}k:{l:{m:{o=J[a+109|0]&64?4:3;if(!(!((o|0)!=(f|0)|I[a+124>>2]!=G[b-2|0])&G[b-3|0]-48>>>0<10)){n:{if(I[a+124>>2]!=32){if((f|0)!=3){break m}if(I[a+104>>2]&4096){break n}break m}if((f|0)!=3){break m}}if(J[e+2|0]&4|G[b-2|0]-48>>>0>=10){break m}}G[141344]=0;G[g+288|0]=0;x=1;break l}G[141344]=0;I[35335]=0;G[g+288|0]=0;y=1;t=0;if(J[b|0]==48){break k}}t=kf(a,b,p,e,0)}if(!(J[p|0]!=46|G[p+1|0]-48>>>0<10|(G[e+13|0]&1|G[p+2|0]-48>>>0<10))){G[p|0]=0}o:{if(!(!t|I[a+212>>2]==26741)){r=1;break o}k=g+256|0;I[g+844>>2]=k;if(J[e+1|0]&64){G[g+256|0]=45;k=k|1;I[g+844>>2]=k;h=f+2|0}l=J[b+h|0];p:{if(!l){break p}while(1){k=I[g+844>>2];if((l|0)==32|(h|0)>28){break p}I[g+844>>2]=k+1;G[k|0]=l;h=h+1|0;l=J[h+b|0];if(l){continue}break}k=I[g+844>>2]}G[k|0]=0;r=1;i=G[g+256|0];if(!i){break o}h=I[a+136>>2];q:{if(h){if(!Wa(g+256|0,h)){break q}}if(i-48>>>0<10){break o}h=g+256|0;I[g+176>>2]=h;i=g+800|0;Fa(i,88662,g+176|0);if(!Ia(a,i,141344)){break o}I[d>>2]=I[d>>2]|128;I[g+160>>2]=h;Fa(i,88782,g+160|0);Ia(a,i,141356);r=0}t=2}w=I[e>>2];G[g+352|0]=0;G[g+624|0]=0;r:{s:{t:{if(!y|J[b|0]!=48){break t}i=G[b+1|0];if((i|0)==32|(i|0)==I[a+128>>2]){break t}u:{if((f|0)==2){if(J[b+3|0]!=58|G[b+5|0]-48>>>0>=10){break u}i=G[b+7|0];if((i|0)==32){break t}if(i-14>>>0<4294967291){break u}break t}if((f|0)>3){break s}}i=f-1|0;if(J[b|0]!=48|(i|0)<=0){break t}h=0;while(1){j=g+288|0;Ia(a,88884,Ga(j)+j|0);h=h+1|0;if((i|0)<=(h|0)){break t}if(J[b+h|0]==48){continue}break}}h=G[p|0];v:{w:{if(!((h|0)==32?J[a+105|0]&16:0)){u=f+2|0;i=2;if((h|0)==I[a+124>>2]){break w}q=1;l=0;i=0;break v}u=f+2|0;i=1}if(J[e+14|0]&4){l=1;i=0;q=1;break v}s=i+o|0;v=b+i|0;i=0;h=1;q=1;k=f;while(1){j=i;i=h;n=k+v|0;h=0;x:{while(1){y:{l=1;if(G[h+n|0]-48>>>0>=10){break y}h=h+1|0;if((o|0)!=(h|0)){continue}break x}break}i=j;break v}if(G[n+o|0]-48>>>0<10){i=j;break v}h=0;if(G[n-1|0]-48>>>0<10){i=j;break v}z:{while(1){if(J[h+n|0]==48){h=h+1|0;if((o|0)!=(h|0)){continue}break z}break}q=0}k=k+s|0;h=G[k+b|0];if((h|0)!=I[a+124>>2]&(!(I[a+104>>2]&4096)|(h|0)!=32)){break v}h=i+1|0;u=k+2|0;if(!(J[(O(i,12)+e|0)+14|0]&4)){continue}break}}o=!m;A:{if(!q|(!(J[(O(i,12)+e|0)+1|0]&64)|I[a+212>>2]!=26741)){break A}B:{h=b+u|0;switch(J[h|0]-97|0){case 0:case 4:break B;default:break A}}C:{D:{E:{F:{j=J[h+1|0];switch(j-116|0){case 6:break A;case 1:case 2:case 3:case 4:case 5:break D;case 0:break F;default:break E}}if(J[h+2|0]!=116){break C}break A}if((j|0)==32){break A}}if((i|0)!=1?(m|0)%1e3|0:0){break C}if((j|0)==108){break A}}I[35334]=I[35334]|1}n=w&32768;k=o&x;G:{if(!(I[a+128>>2]!=G[p|0]|G[p+1|0]-48>>>0>=10)){Ia(a,88891,g+624|0);j=0;o=256;break G}H:{if(!k){k=0;j=1;if(l^1|(i|0)<=0){break H}h=hf(a,m,i,q,g+624|0);m=h?0:m;k=(h|0)!=0;o=0;break G}k=1;m=0;I:{if(I[35335]!=1){break I}I[g+144>>2]=i+1;h=g+800|0;Fa(h,89035,g+144|0);if(Ia(a,h,g+688|0)){break I}I[g+128>>2]=i;Fa(h,89035,g+128|0);Ia(a,h,g+624|0)}}j=1;o=0}n=n?2:t;J:{K:{if(!(i|J[g+624|0]|J[p|0]!=46)){Ia(a,89201,g+624|0);break K}if(i){break J}}I[g+844>>2]=b;if(G[b+1|0]-48>>>0<10){while(1){h=I[g+844>>2];I[g+844>>2]=h+1;if(G[h+2|0]-48>>>0<10){continue}break}}h=I[g+844>>2]-1|0;L:{if(G[h|0]-48>>>0>=10){break L}I[g+416>>2]=h;if(!cb(a,g+416|0,g+192|0,d,4,e)){break L}I[35332]=2}M:{if(J[g+192|0]|J[I[g+844>>2]]==48){break M}if(!cb(a,g+844|0,g+192|0,d,4,e)){break M}I[35332]=1}if(!y){break J}if(!n&j){I[g+112>>2]=m;e=g+800|0;Fa(e,89223,g+112|0);if(Ia(a,e,c)){break r}}if(!(G[a+110|0]&1)){break J}h=b;while(1){if((J[h|0]|32)!=32){h=h+1|0;continue}break}I[g+416>>2]=h;if(J[h+1|0]!=37){break J}Ia(a,89338,c);e=Ga(c);G[I[g+416>>2]+1|0]=32;c=c+e|0}e=g+416|0;Lc(a,m,e,k,i,n|(o|x));N:{if(!(!(J[a+109|0]&2)|(i|0)<=0)){I[g+88>>2]=15;I[g+96>>2]=e;I[g+92>>2]=g+352;I[g+84>>2]=g+624;I[g+80>>2]=g+288;Fa(c,89356,g+80|0);break N}I[g+60>>2]=15;I[g- -64>>2]=g+624;I[g+56>>2]=g+416;I[g+52>>2]=g+352;I[g+48>>2]=g+288;Fa(c,89425,g+48|0)}O:{if(j){break O}m=b+1|0;while(1){f=f+1|0;j=0;while(1){h=j;j=h+1|0;i=f+h|0;if(G[i+b|0]-48>>>0<10){continue}break}P:{Q:{R:{S:{T:{U:{j=I[a+104>>2]&57344;e=j>>>13|0;switch(e-1|0){case 6:break Q;case 2:break R;case 0:case 4:case 5:break S;case 1:break T;case 3:break U;default:break P}}e=5}k=b+f|0;j=J[k|0];if((j|0)==48){while(1){i=g+688|0;Ia(a,88884,i);fb(c,i);h=h-1|0;f=f+1|0;k=f+b|0;j=J[k|0];if((j|0)==48){continue}break}}if((e|0)<(h|0)|(j<<24>>24)-48>>>0>=10){break P}e=g+688|0;Lc(a,Mb(k),e,0,0,0);fb(c,e);f=f+h|0;break P}e=b+f|0;k=g+416|0;Lc(a,Mb(e),k,0,0,0);if(!((j|0)==8192&J[e|0]!=48)){I[g+16>>2]=h;e=g+800|0;Fa(e,89518,g+16|0);h=e;e=g+688|0;if(!Ia(a,h,e)){break P}fb((j|0)==49152?c:k,e)}fb(c,g+416|0);f=i;break P}if((h|0)>4){break P}e=b+f|0;if(J[e|0]==48){break P}f=Mb(e);e=g+688|0;Lc(a,f,e,0,0,0);fb(c,e);f=i;break P}if((h|0)<=1){break P}while(1){I[g+32>>2]=G[b+f|0];e=g+800|0;Fa(e,89585,g+32|0);i=e;e=g+688|0;if(!Ia(a,i,e)){break P}fb(c,e);f=f+1|0;e=(h|0)>2;h=h-1|0;if(e){continue}break}}h=b+f|0;j=J[h|0];V:{if(j-48>>>0>=10){break V}if(Ga(c)>>>0>=190){break V}while(1){e=g+688|0;Kc(a,G[h|0]-48|0,0,2,e);i=Ga(c);I[g>>2]=15;I[g+4>>2]=e;Fa(c+i|0,89604,g);f=f+1|0;h=f+b|0;j=J[h|0];if(j-48>>>0>=10){break V}if(Ga(c)>>>0<=189){continue}break}}e=g+688|0;if(Ia(a,89688,e)){fb(c,e)}if(I[a+128>>2]!=(j|0)|G[f+m|0]-48>>>0>=10){break O}e=g+688|0;Ia(a,88891,e);fb(c,e);continue}}e=J[c|0];W:{if(!e|(e|0)==21){break W}e=g+184|0;b=(b+f|0)+1|0;i=La(e,b);f=I[g+184>>2];if(!(!(J[a+106|0]&2)|(f|0)!=32)){La(e,b+i|0);f=I[g+184>>2]}if(lb(f)|q){break W}a=Ga(c)+c|0;G[a|0]=11;G[a+1|0]=0}I[d>>2]=I[d>>2]|-2147483648;I[35335]=I[35335]-1;k=1;if(r){break a}I[35324]=1;break a}I[d>>2]=I[d>>2]&-129;k=0;break a}k=1}ra=g+848|0;return k}function td(a,b,c,d){var e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0,z=0,A=0,B=0;i=ra-416|0;ra=i;r=K[c+8>>1];o=J[c+10|0];n=I[c>>2];if(n&64){I[c>>2]=n&-65;G[207628]=1;h=I[49412];g=I[49411];l=I[49410];while(1){e=I[(g<<2)+206544>>2];f=e>>8;a:{b:{switch((e&31)-9|0){case 0:I[49262]=f;break a;case 4:I[51906]=f;break a;case 3:break b;default:break a}}if(e>>>0<=255){h=0;I[49412]=0;break a}h=f+h|0;I[49412]=h}g=g+1|0;if(!(e&128)&(l|0)>(g|0)){continue}break}I[49411]=g}e=I[51632];c:{if((e|0)>997){break c}if(J[b|0]?n&1048576:1){if(J[207628]){I[51632]=e+1;G[207628]=0;a=(e<<3)+198528|0;I[a>>2]=983042;I[a+4>>2]=0}G[197328]=0;break c}if((e|0)>990){break c}e=I[a+8224>>2];if((e|0)>0){I[a+8224>>2]=e-1}g=(I[49262]&240)==16?d+4|0:d;h=n&512;e=0;s=n&2;d:{if(!s){break d}l=I[49260];if((l|0)<3){break d}f=I[49410];if((f|0)>243){break d}if(J[207628]){j=(f<<2)+206540|0;I[j>>2]=I[j>>2]&-129}I[49410]=f+1;G[207628]=1;v=(l|0)==3?20:l;I[(f<<2)+206544>>2]=v<<8|193}f=h?d:g;e:{f:{if(!(n&8)){while(1){g:{l=e;d=J[b+e|0];G[(i+240|0)+e|0]=d;if(!(d&223)){break g}e=e+1|0;if(l>>>0<160){continue}}break}G[i+66|0]=0;k=i- -64|2;m=kc(I[49252],b,c,k);I[i+412>>2]=m;if(!(m&4096)){break f}Ka(b,i+240|0,l);break c}h:{if(!gb(b,87285,3)){g=0;e=b+3|0;k=J[e|0];if(k&223){while(1){c=k<<24>>24;G[(i+240|0)+g|0]=c-65>>>0<26?c|32:c;g=g+1|0;e=e+1|0;k=J[e|0];if(k&223){continue}break}}c=i+240|0;G[c+g|0]=0;e=c;c=0;d=I[36521];i:{if((d|0)<=0){break i}while(1){if(!Wa(e,O(c,44)+146096|0)){I[36517]=c;break i}c=c+1|0;if((d|0)!=(c|0)){continue}break}c=d}c=(c|0)==(d|0)?-1:c;if((c|0)<=0){break h}hb(c);G[197330]=0;G[197329]=c;G[197328]=21;break h}Tc(b,197328,i+240|0)}j=-2147483648;I[i+412>>2]=-2147483648;d=-1;break e}if(!(!(m&8388608)|J[c+12|0]&8)){g=ra-208|0;ra=g;h=I[a+60>>2];d=b;while(1){e=d;d=e+1|0;if(J[e|0]!=32){continue}break}La(g+204|0,d);j:{if(!lb(I[g+204>>2])){break j}j=Ha(g,197328);m=Ob(a,d,c+12|0,0);d=(!(h&256)|m>>>15)&!(m&67108864)&J[197328]!=21;k:{l:{if(h&512){if(!(d&!(J[c+12|0]&16))){break l}break k}if(d){break k}}Ha(197328,j);break j}G[e|0]=45;I[c>>2]=I[c>>2]&-2;j=0;d=197328;p=Ob(I[49252],b,c,0);I[i+412>>2]=p;m:{if((h|0)<=0){break m}q=J[197328];if(!q){break m}while(1){j=(J[I[(q<<2)+152704>>2]+11|0]==2)+j|0;d=d+1|0;q=J[d|0];if(q){continue}break}if((h&31)>=(j|0)){break m}G[e|0]=32;A=i,B=Ob(I[49252],b,c,0),I[A+412>>2]=B;break j}I[i+412>>2]=(p?p:m)|128;I[35324]=1}ra=g+208|0}n:{if(J[197328]!=21){d=-1;j=I[i+412>>2];break n}h=Ha(i+16|0,141088);j=I[i+412>>2];e=Ka(b,i+240|0,l);g=i- -64|1;d=Fb(J[197329]?197329:87324,197012,197536);o:{if((d|0)<0){break o}I[c>>2]=I[c>>2]|4194304;if(J[i+66|0]){H[i+64>>1]=8192;j=Ob(I[49253],g,c,0);break o}j=kc(I[49253],e,c,k)}if(J[197328]==21){e=Ka(e,i+240|0,l);d=Fb(J[197329]?197329:87324,197012,197536);p:{if((d|0)<0){break p}I[c>>2]=I[c>>2]|4194304;if(J[i+66|0]){H[i+64>>1]=8192;j=Ob(I[49253],g,c,0);break p}j=kc(I[49253],e,c,k)}m=4096;if(J[197328]==21){break c}}I[i+412>>2]=j;if((d|0)>=0){break n}G[197330]=0;H[98664]=3341;if((d|0)!=-1){break n}Ha(141088,h);hb(I[I[35052]+60>>2]);d=I[I[35052]+60>>2]}q:{if(n&128){break q}f=j&268435456?f>>>0<=1?1:f:f;if(!(j&256)|n&528|(I[a+8224>>2]|J[c-11|0]&2)){break q}I[a+8224>>2]=3;f=(f|0)<=4?4:f}f=I[51906]>2?(f|0)<=1?1:f:f}g=I[51632];if(!((f|0)<=0|(g|0)>990)){I[51632]=g+1;c=(g<<3)+198528|0;e=J[207628]?2:0;r:{s:{if(f>>>0<=1){G[c+7|0]=0;H[c+2>>1]=11;H[c+4>>1]=0;H[c>>1]=e;break s}G[c+7|0]=0;H[c+2>>1]=9;H[c+4>>1]=0;H[c>>1]=e;G[207628]=0;l=a+8236|0;I[l>>2]=0;e=f-2|0;g=I[51632];if(!e|(g|0)>990){break r}while(1){I[51632]=g+1;c=(g<<3)+198528|0;if(e>>>0<=1){G[c+7|0]=0;H[c+4>>1]=0;I[c>>2]=720896;break s}G[c+7|0]=0;H[c+4>>1]=0;I[c>>2]=589824;G[207628]=0;I[l>>2]=0;g=I[51632];e=e-2|0;if(!e){break r}if((g|0)<991){continue}break}break r}G[207628]=0;I[a+8236>>2]=0;g=I[51632]}I[a+8228>>2]=0;I[a+8232>>2]=0}c=g<<3;t=c+198528|0;t:{if(!s|I[49260]!=1){break t}G[t+7|0]=0;H[t+2>>1]=10;e=J[207628];H[t+4>>1]=0;H[t>>1]=e?2:0;c=c+198528|0;G[c+15|0]=0;I[51632]=g+2;H[c+12>>1]=0;I[c+8>>2]=1179648;G[207628]=0;if(!(n&1)){break t}if(!Ra(G[b+1|0])){break t}c=J[207628];G[207628]=0;b=I[51632];I[51632]=b+2;b=(b<<3)+198528|0;G[b+7|0]=0;H[b+2>>1]=10;H[b+4>>1]=0;H[b>>1]=c?2:0;G[b+15|0]=0;H[b+12>>1]=0;I[b+8>>2]=1179648}e=o>>>0<31;u:{if((d|0)<0){break u}b=I[51632];k=b-1|0;c=J[(k<<3)+198530|0];if(!(J[197328]!=9|J[197329]!=21)){if((c|0)!=21){break u}I[51632]=k;break u}if((c|0)!=21){c=(b<<3)+198528|0;G[c+7|0]=0;f=J[207628];G[207628]=0;H[c+2>>1]=21;H[c+4>>1]=0;H[c>>1]=f?2:0;k=b}I[51632]=k+1;G[(k<<3)+198535|0]=d}b=r&2047;c=(e?o:31)<<11;w=n&128;if(w){f=J[I[(J[197328]<<2)+152704>>2]+11|0]?197328:197329}else{f=197328}k=J[f|0];if(!(k|!(G[207628]&1))){k=23;G[f|0]=23;G[f+1|0]=0}s=b|c;h=I[51632];v:{if(!(!k|(h|0)>994)){z=((j&-1610612736)==-2147483648)<<4;q=s+1|0;b=0;l=1;p=0;x=1;o=-1;r=-1;e=0;m=j;while(1){g=f+1|0;w:{j=k&255;if((j|0)!=255){c=I[(j<<2)+152704>>2];if(c){break w}I[i>>2]=j;c=ra-16|0;ra=c;I[c+12>>2]=i;qc(140872,87483,i,0,0);ra=c+16|0;h=I[51632]}k=J[g|0];if(!k){break v}f=g;if((h|0)<995){continue}break v}u=k&255;x:{if((u|0)==21){c=(h<<3)+198528|0;I[c>>2]=1376256;H[c+4>>1]=0;G[c+7|0]=J[f+1|0];I[51632]=h+1;hb(J[f+1|0]);g=f+2|0;h=I[51632];c=e;break x}f=J[c+11|0];if((f|0)==1){if(!K[c+8>>1]){l=J[c+14|0];c=e;break x}if((o|0)<0){c=e;p=j;break x}G[(o<<3)+198535|0]=k;c=e;break x}c=q;y:{switch(u-12|0){case 8:o=h-1|0;c=(o<<3)+198528|0;G[c+3|0]=l;H[c>>1]=K[c>>1]|4;c=e;break x;case 0:c=(h<<3)+198520|0;H[c>>1]=K[c>>1]|8;c=e;break x;case 10:m=m|16384;I[i+412>>2]=m;c=e;break x;case 3:break x;default:break y}}j=J[207628];G[207628]=0;u=h<<3;c=u+198528|0;G[c+7|0]=0;G[c+2|0]=k;H[c+4>>1]=e;e=(j?2:0)|z;H[c>>1]=e;z:{A:{if((f|0)==2){if((l|0)>=4){G[197316]=1}B:{if((o|0)<0){break B}b=h-1|0;if((b|0)==(o|0)){break B}G[(b<<3)+198531|0]=l}H[c>>1]=e|4;b=(l|0)>(r|0);y=b?h:y;r=b?l:r;e=1;if(!p){break A}G[c+7|0]=p;break A}if(!(!x|!(J[a+8233|0]&64))){H[c>>1]=e|8}e=l;break z}o=h;p=0;b=l}h=h+1|0;I[51632]=h;G[u+198531|0]=b;c=0;x=0;l=e}k=J[g|0];if(!k){break v}f=g;e=c;if((h|0)<995){continue}break}break v}m=j;b=0}if(n&131072){c=h+1|0;I[51632]=c;e=(h<<3)+198528|0;G[e+7|0]=0;f=J[207628];G[207628]=0;H[e+2>>1]=27;H[e+4>>1]=0;H[e>>1]=f?2:0;h=c}if(!w){H[t+4>>1]=s}I[a+8228>>2]=0;if(!(J[I[(J[(h<<3)+198522|0]<<2)+152704>>2]+11|0]!=2|(b|0)<4)){I[a+8228>>2]=1}if((d|0)>=0){Ha(141088,i+16|0);hb(I[I[35052]+60>>2]);c=J[207628];G[207628]=0;d=I[51632];b=(d<<3)+198528|0;H[b+2>>1]=21;H[b+4>>1]=0;H[b>>1]=c?2:0;G[b+7|0]=I[I[35052]+60>>2];h=d+1|0;I[51632]=h}if((v|0)>0){G[207628]=0;I[51632]=h+1;b=(h<<3)+198528|0;G[b+7|0]=0;H[b+4>>1]=0;I[b>>2]=655362;b=I[49410];I[49410]=b+1;I[(b<<2)+206544>>2]=v<<8|225}if(m&1024){b=(y<<3)+198528|0;H[b>>1]=K[b>>1]|64}I[a+8232>>2]=m}ra=i+416|0;return m}function Mc(a,b,c,d,e){var f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0,z=0,A=0,B=0,C=0,D=0;a:{if(!b){k=I[36515]+O(e,68)|0;e=J[k+24|0];h=J[k+25|0];b=I[35328];g=b+c|0;b:{if((b|0)<=0){break b}i=h-e<<8;i=(b|0)!=1?(i|0)/(b|0)|0:i;if((c|0)>=(g|0)){break b}l=i>>>0>255;m=i>>>8|0;b=e<<8;h=0-i>>>8|0;r=(i|0)<=0;while(1){e=O(c,6)+a|0;c:{if(!r){G[e+2|0]=l|J[e+2|0];f=(b|0)/256|0;j=(f|0)>0?f:0;f=(j|0)>=254?254:j;j=j+m|0;j=j>>>0>=254?254:j;b=b+i|0;break c}f=I[(G[e|0]<<2)+101040>>2];f=(f|0)<(h|0)?h:f;j=(f|0)>=18?18:f;b=b+i|0;f=(b|0)/256|0;f=(f|0)>0?f:0;j=j+f|0;j=j>>>0>=254?254:j;f=(f|0)>=254?254:f}G[e+5|0]=f;G[e+4|0]=j;c=c+1|0;if((g|0)!=(c|0)){continue}break}}d:{if(!(J[197025]&2)){b=I[35330];break d}b=I[35331];I[35330]=b}f=b;e=J[k+33|0];e:{if((e|0)==255){break e}while(1){f=f-1|0;if((f|0)<(g|0)){f=b;break e}if(G[O(f,6)+a|0]<4){continue}break}}if((b|0)>(g|0)){h=J[k+32|0];i=J[k+31|0];v=h-i<<8;c=v>>31;A=(c^v)-c|0;j=k+30|0;l=k+31|0;x=J[k+30|0];t=(x|0)==255;y=k+36|0;B=k+39|0;m=e<<8;r=i<<8;C=k+16|0;D=h<<8;h=0;e=1;i=0;while(1){f:{g:{n=O(g,6)+a|0;u=G[n|0];if(!(e&1)&(u|0)<4){break g}h:{if(((u&255)==5|e)&1){i:{if((x|0)==255){e=0;i=g;c=l;if((g|0)>=(f|0)){break i}while(1){c=l;h=G[O(i,6)+a|0];if((h|0)>6){break i}e=((h|0)>3)+e|0;i=i+1|0;if((f|0)!=(i|0)){continue}break}break i}o=1;e=0;i=g+1|0;c=j;if((f|0)<=(i|0)){break i}while(1){c=j;h=G[O(i,6)+a|0];if((h|0)>6){break i}e=((h|0)>3)+e|0;i=i+1|0;if((f|0)!=(i|0)){continue}break}}h=J[c|0]<<8;w=0;c=J[k+34|0];i=(c|0)>(e|0)?e:c;if((i|0)<2){z=0;break h}z=(v|0)/(i-1|0)|0;break h}if((g|0)==(f|0)){t=2;h=m;break h}if(o&1){t=1;i=i+1|0;o=0;h=r;break h}if((i|0)>0){h=h+z|0;o=0;break h}o=0;h=(O(G[w+C|0],A)>>6)+D|0;c=w+1|0;w=(c|0)<J[k+35|0]?c:0}i=i-1|0;if((u|0)<4){break g}c=g+1|0;e=c;j:{if((b|0)<=(g|0)){break j}while(1){if(G[O(e,6)+a|0]>1){break j}e=e+1|0;if((e|0)<=(b|0)){continue}break}}G[n|0]=6;G[n+1|0]=J[k+26|0];s=0;p=J[k+27|0];g=(h|0)/256|0;g=(g|0)>0?g:0;G[n+5|0]=(g|0)>=254?254:g;g=g+p|0;G[n+4|0]=g>>>0>=254?254:g;p=e-c|0;break f}if((u|0)>=2){c=g+1|0;e=c;k:{if((b|0)<=(g|0)){break k}while(1){if(G[O(e,6)+a|0]>1){break k}e=e+1|0;if((e|0)<=(b|0)){continue}break}}s=0;g=(h|0)/256|0;g=(g|0)>0?g:0;G[n+5|0]=(g|0)>=254?254:g;p=I[(u<<2)+100784>>2];G[n+2|0]=J[n+2|0]|p>>>31;q=g;g=p>>31;g=q+((g^p)-g|0)|0;g=(g|0)>0?g:0;G[n+4|0]=(g|0)>=254?254:g;p=e-c|0;break f}l:{if((p|0)<=1){q=G[t+y|0];c=0;break l}q=G[t+y|0];c=(G[t+B|0]-q|0)/(p-1|0)|0}e=I[(u<<2)+100784>>2];G[n+2|0]=J[n+2|0]|e>>>31;c=(((h|0)/256|0)+q|0)+O(c,s)|0;c=(c|0)>0?c:0;G[n+5|0]=(c|0)>=254?254:c;q=e;e=e>>31;c=c+((q^e)-e|0)|0;c=(c|0)>0?c:0;G[n+4|0]=(c|0)>=254?254:c;s=s+1|0;c=g+1|0}g=c;e=0;if((b|0)!=(g|0)){continue}break}g=b}if(J[141308]){break a}e=I[35329];f=J[k+(e?45:42)|0];h=J[k+(e?46:43)|0];c=O(g,6)+a|0;e=J[k+(e?47:44)|0];G[c+5|0]=e>>>0>=254?254:e;h=h-e|0;G[c+2|0]=J[c+2|0]|h>>>31;j=c;c=h>>31;c=e+((c^h)-c|0)|0;G[j+4|0]=c>>>0>=254?254:c;c=O(b,6)+a|0;G[c+1|0]=f;b=g+1|0;if(J[c|0]==4){G[c|0]=6}c=d-b|0;if((c|0)<=0){break a}e=J[k+48|0];j=J[k+49|0]-e<<8;j=(c|0)!=1?(j|0)/(c|0)|0:j;if((b|0)>=(d|0)){break a}l=j>>>0>255;i=j>>>8|0;g=e<<8;h=0-j>>>8|0;o=(j|0)<=0;while(1){e=O(b,6)+a|0;m:{if(!o){G[e+2|0]=l|J[e+2|0];c=(g|0)/256|0;f=(c|0)>0?c:0;c=(f|0)>=254?254:f;f=f+i|0;f=f>>>0>=254?254:f;g=g+j|0;break m}c=I[(G[e|0]<<2)+101040>>2];c=(c|0)<(h|0)?h:c;f=(c|0)>=18?18:c;g=g+j|0;c=(g|0)/256|0;c=(c|0)>0?c:0;f=f+c|0;f=f>>>0>=254?254:f;c=(c|0)>=254?254:c}G[e+5|0]=c;G[e+4|0]=f;b=b+1|0;if((d|0)!=(b|0)){continue}break}break a}k=e<<4;l=k+137680|0;b=I[35328];j=b+c|0;n:{if((b|0)<=0){break n}e=J[l|0];h=J[l+1|0]-e<<8;h=(b|0)!=1?(h|0)/(b|0)|0:h;if((c|0)>=(j|0)){break n}m=h>>>0>255;r=h>>>8|0;g=e<<8;o=0-h>>>8|0;n=(h|0)<=0;b=c;while(1){e=O(b,6)+a|0;o:{if(!n){G[e+2|0]=m|J[e+2|0];f=(g|0)/256|0;i=(f|0)>0?f:0;f=(i|0)>=254?254:i;i=i+r|0;i=i>>>0>=254?254:i;g=g+h|0;break o}f=I[(G[e|0]<<2)+101040>>2];f=(f|0)<(o|0)?o:f;i=(f|0)>=18?18:f;g=g+h|0;f=(g|0)/256|0;f=(f|0)>0?f:0;i=i+f|0;i=i>>>0>=254?254:i;f=(f|0)>=254?254:f}G[e+5|0]=f;G[e+4|0]=i;b=b+1|0;if((j|0)!=(b|0)){continue}break}}p:{if(!(J[197025]&2)){f=I[35330];break p}f=I[35331];I[35330]=f}b=J[l+3|0];e=J[l+2|0];r=b-e<<8;q:{if((c|0)>0){q=(r|0)/(J[l+8|0]-1|0)|0;o=101072;break q}o=I[l+12>>2]}if((f|0)>(j|0)){g=(c|0)<=0;c=r>>31;n=(c^r)-c|0;c=e<<8;t=b<<8;h=0;while(1){r:{s:{i=O(j,6)+a|0;m=G[i|0];if(!(g&1)&(m|0)<4){break s}b=0;e=j;t:{if(((m&255)==5|g)&1){while(1){h=G[O(e,6)+a|0];if((h|0)<=6){b=((h|0)>3)+b|0;e=e+1|0;if((f|0)!=(e|0)){continue}}break}p=0;e=J[l+8|0];s=(b|0)<(e|0)?b:e;if((s|0)<2){q=0;h=c;break t}q=(r|0)/(s-1|0)|0;h=c;break t}if((s|0)>0){h=h+q|0;break t}h=t+(O(n,G[o+p|0])>>6)|0;p=p+1|0;if((p|0)<5){break t}o=I[l+12>>2];p=0}s=s-1|0;if((m|0)<4){break s}G[i|0]=6;g=I[(m<<2)+100784>>2];b=g>>31;e=(h|0)/256|0;e=(e|0)>0?e:0;b=e+((b^g)-b|0)|0;break r}if((m|0)==3){g=16;b=(h|0)/256|0;e=(b|0)>0?b:0;b=e+16|0;break r}b=(h|0)/256|0;if((J[i-6|0]&63)>>>0>=3){g=I[(m<<2)+100784>>2];m=g>>31;b=b-G[l+9|0]|0;e=(b|0)>0?b:0;b=e+((g^m)-m|0)|0;break r}g=I[(m<<2)+100784>>2];m=g>>31;e=(b|0)>0?b:0;b=e+((g^m)-m|0)|0}G[i+5|0]=e>>>0>=254?254:e;G[i+2|0]=J[i+2|0]|g>>>31;g=0;b=(b|0)>0?b:0;G[i+4|0]=(b|0)>=254?254:b;j=j+1|0;if((j|0)!=(f|0)){continue}break}j=f}if(J[141308]){break a}c=k+100832|0;if(G[c+14|0]&1){b=O(j,6)+a|0;G[b+2|0]=J[b+2|0]|2}b=O(j,6)+a|0;h=I[35329];e=J[c+(h?5:2)|0];G[b+5|0]=e>>>0>=254?254:e;g=J[c+(h?4:1)|0]-e|0;G[b+2|0]=J[b+2|0]|g>>>31;l=b;b=g>>31;b=e+((b^g)-b|0)|0;G[l+4|0]=b>>>0>=254?254:b;e=O(f,6)+a|0;G[e+1|0]=J[c+(h?3:0)|0];b=j+1|0;if(J[e|0]==4){G[e|0]=6}e=d-b|0;if((e|0)<=0){break a}g=J[c+13|0];c=J[c+12|0];j=g-c<<8;j=(e|0)!=1?(j|0)/(e|0)|0:j;if((b|0)>=(d|0)){break a}l=j>>>0>255;i=j>>>8|0;g=c<<8;h=0-j>>>8|0;o=(j|0)<=0;while(1){e=O(b,6)+a|0;u:{if(!o){G[e+2|0]=l|J[e+2|0];c=(g|0)/256|0;f=(c|0)>0?c:0;c=(f|0)>=254?254:f;f=f+i|0;f=f>>>0>=254?254:f;g=g+j|0;break u}c=I[(G[e|0]<<2)+101040>>2];c=(c|0)<(h|0)?h:c;f=(c|0)>=18?18:c;g=g+j|0;c=(g|0)/256|0;c=(c|0)>0?c:0;f=f+c|0;f=f>>>0>=254?254:f;c=(c|0)>=254?254:c}G[e+5|0]=c;G[e+4|0]=f;b=b+1|0;if((d|0)!=(b|0)){continue}break}}}function Pb(){var a=0,b=0,c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0;n=I[38515];h=I[38514];if((n|0)!=(h|0)){k=I[38487];a:{if((k|0)<0|(h|0)==(k|0)){break a}e=k;a=I[((e<<4)+224432|0)+8>>2];b=a;while(1){b:{e=e-1|0;e=(e|0)<0?169:e;f=(e<<4)+224432|0;d=I[f>>2];if(d-5>>>0<2){break b}if((d|0)<=4){if(I[f+12>>2]!=(b|0)){break b}l=K[f+4>>1];I[f+12>>2]=a;b=I[f+8>>2];d=K[b>>1];if(d&16){a=b;break b}if(d&32){l=(O(l,12)>>>0)/10|0}p=b+2|0;q=a+2|0;c=0;a=b;g=0;while(1){d=K[b>>1];c:{if(g>>>0<3?d&8:0){break c}j=d<<16>>16;d=g<<1;i=H[d+p>>1];m=d+q|0;d=H[m>>1];o=i-d|0;i=(O((O(I[(g<<2)+209184>>2],(o|0)>0?i+(d<<1)|0:(i<<1)+d|0)|0)/3e3|0,l)|0)/256|0;d:{if((o|0)>(i|0)){if(!c){if((j|0)<0){a=b;d=d+i|0;break d}a=I[46529]+1|0;a=(a|0)<=169?a:0;I[46529]=a;c=K[b+20>>1]|K[b+22>>1]<<16;a=(a<<6)+186128|0;d=a+16|0;j=K[b+16>>1]|K[b+18>>1]<<16;H[d>>1]=j;H[d+2>>1]=j>>>16;H[d+4>>1]=c;H[d+6>>1]=c>>>16;d=K[b+4>>1]|K[b+6>>1]<<16;c=K[b>>1]|K[b+2>>1]<<16;H[a>>1]=c;H[a+2>>1]=c>>>16;H[a+4>>1]=d;H[a+6>>1]=d>>>16;d=K[b+12>>1]|K[b+14>>1]<<16;c=K[b+8>>1]|K[b+10>>1]<<16;H[a+8>>1]=c;H[a+10>>1]=c>>>16;H[a+12>>1]=d;H[a+14>>1]=d>>>16;d=K[b+28>>1]|K[b+30>>1]<<16;c=K[b+24>>1]|K[b+26>>1]<<16;H[a+24>>1]=c;H[a+26>>1]=c>>>16;H[a+28>>1]=d;H[a+30>>1]=d>>>16;d=K[b+36>>1]|K[b+38>>1]<<16;c=K[b+32>>1]|K[b+34>>1]<<16;H[a+32>>1]=c;H[a+34>>1]=c>>>16;H[a+36>>1]=d;H[a+38>>1]=d>>>16;d=K[b+44>>1]|K[b+46>>1]<<16;c=K[b+40>>1]|K[b+42>>1]<<16;H[a+40>>1]=c;H[a+42>>1]=c>>>16;H[a+44>>1]=d;H[a+46>>1]=d>>>16;d=K[b+52>>1]|K[b+54>>1]<<16;c=K[b+48>>1]|K[b+50>>1]<<16;H[a+48>>1]=c;H[a+50>>1]=c>>>16;H[a+52>>1]=d;H[a+54>>1]=d>>>16;d=K[b+60>>1]|K[b+62>>1]<<16;c=K[b+56>>1]|K[b+58>>1]<<16;H[a+56>>1]=c;H[a+58>>1]=c>>>16;H[a+60>>1]=d;H[a+62>>1]=d>>>16;G[a+16|0]=0;H[a>>1]=K[a>>1]|32768;d=K[m>>1]}d=d+i|0;break d}if((0-i|0)<=(o|0)){break c}e:{if(c){break e}if((j|0)<0){a=b;break e}a=I[46529]+1|0;a=(a|0)<=169?a:0;I[46529]=a;c=K[b+20>>1]|K[b+22>>1]<<16;a=(a<<6)+186128|0;d=a+16|0;j=K[b+16>>1]|K[b+18>>1]<<16;H[d>>1]=j;H[d+2>>1]=j>>>16;H[d+4>>1]=c;H[d+6>>1]=c>>>16;d=K[b+4>>1]|K[b+6>>1]<<16;c=K[b>>1]|K[b+2>>1]<<16;H[a>>1]=c;H[a+2>>1]=c>>>16;H[a+4>>1]=d;H[a+6>>1]=d>>>16;d=K[b+12>>1]|K[b+14>>1]<<16;c=K[b+8>>1]|K[b+10>>1]<<16;H[a+8>>1]=c;H[a+10>>1]=c>>>16;H[a+12>>1]=d;H[a+14>>1]=d>>>16;d=K[b+28>>1]|K[b+30>>1]<<16;c=K[b+24>>1]|K[b+26>>1]<<16;H[a+24>>1]=c;H[a+26>>1]=c>>>16;H[a+28>>1]=d;H[a+30>>1]=d>>>16;d=K[b+36>>1]|K[b+38>>1]<<16;c=K[b+32>>1]|K[b+34>>1]<<16;H[a+32>>1]=c;H[a+34>>1]=c>>>16;H[a+36>>1]=d;H[a+38>>1]=d>>>16;d=K[b+44>>1]|K[b+46>>1]<<16;c=K[b+40>>1]|K[b+42>>1]<<16;H[a+40>>1]=c;H[a+42>>1]=c>>>16;H[a+44>>1]=d;H[a+46>>1]=d>>>16;d=K[b+52>>1]|K[b+54>>1]<<16;c=K[b+48>>1]|K[b+50>>1]<<16;H[a+48>>1]=c;H[a+50>>1]=c>>>16;H[a+52>>1]=d;H[a+54>>1]=d>>>16;d=K[b+60>>1]|K[b+62>>1]<<16;c=K[b+56>>1]|K[b+58>>1]<<16;H[a+56>>1]=c;H[a+58>>1]=c>>>16;H[a+60>>1]=d;H[a+62>>1]=d>>>16;G[a+16|0]=0;H[a>>1]=K[a>>1]|32768;d=K[m>>1]}d=d-i|0}c=1;H[((g<<1)+a|0)+2>>1]=d;I[f+8>>2]=a}g=g+1|0;if((g|0)!=6){continue}break}}if((e|0)!=(h|0)){continue}}break}e=0;while(1){d=(k<<4)+224432|0;b=I[d>>2];if(b-5>>>0<2){break a}if((b|0)<=4){b=I[d+8>>2];i=K[d+4>>1];f:{if(!e){a=b;break f}if((b|0)!=(e|0)){break a}I[d+8>>2]=a}b=K[a>>1];if(b&16){break a}e=I[d+12>>2];if(b&32){i=(O(i,6)>>>0)/5|0}j=e+2|0;m=a+2|0;c=0;a=e;g=0;while(1){b=g<<1;f=H[b+j>>1];l=b+m|0;b=H[l>>1];h=f-b|0;f=(O((O(I[(g<<2)+209184>>2],(h|0)>0?f+(b<<1)|0:(f<<1)+b|0)|0)/3e3|0,i)|0)/256|0;g:{h:{if((h|0)>(f|0)){if(!c){if(H[e>>1]<0){a=e;b=b+f|0;break h}a=I[46529]+1|0;a=(a|0)<=169?a:0;I[46529]=a;c=K[e+20>>1]|K[e+22>>1]<<16;a=(a<<6)+186128|0;b=a+16|0;h=K[e+16>>1]|K[e+18>>1]<<16;H[b>>1]=h;H[b+2>>1]=h>>>16;H[b+4>>1]=c;H[b+6>>1]=c>>>16;b=K[e+4>>1]|K[e+6>>1]<<16;c=K[e>>1]|K[e+2>>1]<<16;H[a>>1]=c;H[a+2>>1]=c>>>16;H[a+4>>1]=b;H[a+6>>1]=b>>>16;b=K[e+12>>1]|K[e+14>>1]<<16;c=K[e+8>>1]|K[e+10>>1]<<16;H[a+8>>1]=c;H[a+10>>1]=c>>>16;H[a+12>>1]=b;H[a+14>>1]=b>>>16;b=K[e+28>>1]|K[e+30>>1]<<16;c=K[e+24>>1]|K[e+26>>1]<<16;H[a+24>>1]=c;H[a+26>>1]=c>>>16;H[a+28>>1]=b;H[a+30>>1]=b>>>16;b=K[e+36>>1]|K[e+38>>1]<<16;c=K[e+32>>1]|K[e+34>>1]<<16;H[a+32>>1]=c;H[a+34>>1]=c>>>16;H[a+36>>1]=b;H[a+38>>1]=b>>>16;b=K[e+44>>1]|K[e+46>>1]<<16;c=K[e+40>>1]|K[e+42>>1]<<16;H[a+40>>1]=c;H[a+42>>1]=c>>>16;H[a+44>>1]=b;H[a+46>>1]=b>>>16;b=K[e+52>>1]|K[e+54>>1]<<16;c=K[e+48>>1]|K[e+50>>1]<<16;H[a+48>>1]=c;H[a+50>>1]=c>>>16;H[a+52>>1]=b;H[a+54>>1]=b>>>16;b=K[e+60>>1]|K[e+62>>1]<<16;c=K[e+56>>1]|K[e+58>>1]<<16;H[a+56>>1]=c;H[a+58>>1]=c>>>16;H[a+60>>1]=b;H[a+62>>1]=b>>>16;G[a+16|0]=0;H[a>>1]=K[a>>1]|32768;b=K[l>>1]}b=b+f|0;break h}if((h|0)>=(0-f|0)){break g}i:{if(c){break i}if(H[e>>1]<0){a=e;break i}a=I[46529]+1|0;a=(a|0)<=169?a:0;I[46529]=a;c=K[e+20>>1]|K[e+22>>1]<<16;a=(a<<6)+186128|0;b=a+16|0;h=K[e+16>>1]|K[e+18>>1]<<16;H[b>>1]=h;H[b+2>>1]=h>>>16;H[b+4>>1]=c;H[b+6>>1]=c>>>16;b=K[e+4>>1]|K[e+6>>1]<<16;c=K[e>>1]|K[e+2>>1]<<16;H[a>>1]=c;H[a+2>>1]=c>>>16;H[a+4>>1]=b;H[a+6>>1]=b>>>16;b=K[e+12>>1]|K[e+14>>1]<<16;c=K[e+8>>1]|K[e+10>>1]<<16;H[a+8>>1]=c;H[a+10>>1]=c>>>16;H[a+12>>1]=b;H[a+14>>1]=b>>>16;b=K[e+28>>1]|K[e+30>>1]<<16;c=K[e+24>>1]|K[e+26>>1]<<16;H[a+24>>1]=c;H[a+26>>1]=c>>>16;H[a+28>>1]=b;H[a+30>>1]=b>>>16;b=K[e+36>>1]|K[e+38>>1]<<16;c=K[e+32>>1]|K[e+34>>1]<<16;H[a+32>>1]=c;H[a+34>>1]=c>>>16;H[a+36>>1]=b;H[a+38>>1]=b>>>16;b=K[e+44>>1]|K[e+46>>1]<<16;c=K[e+40>>1]|K[e+42>>1]<<16;H[a+40>>1]=c;H[a+42>>1]=c>>>16;H[a+44>>1]=b;H[a+46>>1]=b>>>16;b=K[e+52>>1]|K[e+54>>1]<<16;c=K[e+48>>1]|K[e+50>>1]<<16;H[a+48>>1]=c;H[a+50>>1]=c>>>16;H[a+52>>1]=b;H[a+54>>1]=b>>>16;b=K[e+60>>1]|K[e+62>>1]<<16;c=K[e+56>>1]|K[e+58>>1]<<16;H[a+56>>1]=c;H[a+58>>1]=c>>>16;H[a+60>>1]=b;H[a+62>>1]=b>>>16;G[a+16|0]=0;H[a>>1]=K[a>>1]|32768;b=K[l>>1]}b=b-f|0}c=1;H[((g<<1)+a|0)+2>>1]=b;I[d+12>>2]=a}g=g+1|0;if((g|0)!=6){continue}break}}b=k+1|0;k=(b|0)<=169?b:0;if((n|0)!=(k|0)){continue}break}}I[38514]=n}}function ag(a,b,c,d,e,f){a=a|0;b=+b;c=c|0;d=d|0;e=e|0;f=f|0;var g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,y=0,z=0,A=0,B=0;m=ra-560|0;ra=m;I[m+44>>2]=0;C(+b);h=x(1)|0;x(0)|0;a:{if((h|0)<0){s=1;w=85009;b=-b;C(+b);h=x(1)|0;x(0)|0;break a}if(e&2048){s=1;w=85012;break a}s=e&1;w=s?85015:85010;z=!s}b:{if((h&2146435072)==2146435072){h=s+3|0;eb(a,32,c,h,e&-65537);ab(a,w,s);d=f&32;ab(a,b!=b?d?85605:85783:d?85259:85472,3);eb(a,32,c,h,e^8192);l=(c|0)>(h|0)?c:h;break b}u=m+16|0;c:{d:{e:{b=oe(b,m+44|0);b=b+b;if(b!=0){h=I[m+44>>2];I[m+44>>2]=h-1;v=f|32;if((v|0)!=97){break e}break c}v=f|32;if((v|0)==97){break c}n=I[m+44>>2];k=(d|0)<0?6:d;break d}n=h-29|0;I[m+44>>2]=n;b=b*268435456;k=(d|0)<0?6:d}q=(m+48|0)+((n|0)>=0?288:0)|0;h=q;while(1){if(b<4294967296&b>=0){d=~~b>>>0}else{d=0}I[h>>2]=d;h=h+4|0;b=(b-+(d>>>0))*1e9;if(b!=0){continue}break}f:{if((n|0)<=0){i=n;g=h;j=q;break f}j=q;i=n;while(1){i=i>>>0>=29?29:i;g=h-4|0;g:{if(j>>>0>g>>>0){break g}o=0;while(1){d=I[g>>2];p=i&31;l=o;if((i&63)>>>0>=32){o=d<<p;d=0}else{o=(1<<p)-1&d>>>32-p;d=d<<p}l=l+d|0;p=o+y|0;p=d>>>0>l>>>0?p+1|0:p;o=Eg(l,p,1e9);A=g,B=l-Dg(o,ua,1e9,0)|0,I[A>>2]=B;g=g-4|0;if(j>>>0<=g>>>0){continue}break}if(!p&l>>>0<1e9){break g}j=j-4|0;I[j>>2]=o}while(1){g=h;if(j>>>0<g>>>0){h=g-4|0;if(!I[h>>2]){continue}}break}i=I[m+44>>2]-i|0;I[m+44>>2]=i;h=g;if((i|0)>0){continue}break}}if((i|0)<0){t=((k+25>>>0)/9|0)+1|0;p=(v|0)==102;while(1){d=0-i|0;l=d>>>0>=9?9:d;h:{if(g>>>0<=j>>>0){h=!I[j>>2]<<2;break h}y=1e9>>>l|0;o=-1<<l^-1;i=0;h=j;while(1){d=I[h>>2];I[h>>2]=(d>>>l|0)+i;i=O(y,d&o);h=h+4|0;if(h>>>0<g>>>0){continue}break}h=!I[j>>2]<<2;if(!i){break h}I[g>>2]=i;g=g+4|0}i=l+I[m+44>>2]|0;I[m+44>>2]=i;j=h+j|0;d=p?q:j;g=g-d>>2>(t|0)?d+(t<<2)|0:g;if((i|0)<0){continue}break}}i=0;i:{if(g>>>0<=j>>>0){break i}i=O(q-j>>2,9);h=10;d=I[j>>2];if(d>>>0<10){break i}while(1){i=i+1|0;h=O(h,10);if(d>>>0>=h>>>0){continue}break}}d=(k-((v|0)!=102?i:0)|0)-((v|0)==103&(k|0)!=0)|0;if((d|0)<(O(g-q>>2,9)-9|0)){h=(m+48|0)+((n|0)<0?-4092:-3804)|0;n=d+9216|0;d=(n|0)/9|0;l=h+(d<<2)|0;h=10;d=n-O(d,9)|0;if((d|0)<=7){while(1){h=O(h,10);d=d+1|0;if((d|0)!=8){continue}break}}n=I[l>>2];t=(n>>>0)/(h>>>0)|0;o=n-O(h,t)|0;d=l+4|0;j:{if(!o&(d|0)==(g|0)){break j}k:{if(!(t&1)){b=9007199254740992;if(!(G[l-4|0]&1)|((h|0)!=1e9|j>>>0>=l>>>0)){break k}}b=9007199254740994}r=(d|0)==(g|0)?1:1.5;d=h>>>1|0;r=d>>>0>o>>>0?.5:(d|0)==(o|0)?r:1.5;if(!(J[w|0]!=45|z)){r=-r;b=-b}d=n-o|0;I[l>>2]=d;if(b+r==b){break j}d=d+h|0;I[l>>2]=d;if(d>>>0>=1e9){while(1){I[l>>2]=0;l=l-4|0;if(l>>>0<j>>>0){j=j-4|0;I[j>>2]=0}d=I[l>>2]+1|0;I[l>>2]=d;if(d>>>0>999999999){continue}break}}i=O(q-j>>2,9);h=10;d=I[j>>2];if(d>>>0<10){break j}while(1){i=i+1|0;h=O(h,10);if(d>>>0>=h>>>0){continue}break}}d=l+4|0;g=d>>>0<g>>>0?d:g}while(1){n=g;o=g>>>0<=j>>>0;if(!o){g=g-4|0;if(!I[g>>2]){continue}}break}l:{if((v|0)!=103){p=e&8;break l}h=k?k:1;d=(h|0)>(i|0)&(i|0)>-5;k=(d?i^-1:-1)+h|0;f=(d?-1:-2)+f|0;p=e&8;if(p){break l}g=-9;m:{if(o){break m}o=I[n-4>>2];if(!o){break m}d=10;g=0;if((o>>>0)%10|0){break m}while(1){h=g;g=g+1|0;d=O(d,10);if(!((o>>>0)%(d>>>0)|0)){continue}break}g=h^-1}d=O(n-q>>2,9);if((f&-33)==70){p=0;d=(d+g|0)-9|0;d=(d|0)>0?d:0;k=(d|0)>(k|0)?k:d;break l}p=0;d=((d+i|0)+g|0)-9|0;d=(d|0)>0?d:0;k=(d|0)>(k|0)?k:d}l=-1;o=k|p;if(((o?2147483645:2147483646)|0)<(k|0)){break b}y=(((o|0)!=0)+k|0)+1|0;h=f&-33;n:{if((h|0)==70){if((y^2147483647)<(i|0)){break b}g=(i|0)>0?i:0;break n}d=i>>31;g=Wb((d^i)-d|0,0,u);if((u-g|0)<=1){while(1){g=g-1|0;G[g|0]=48;if((u-g|0)<2){continue}break}}t=g-2|0;G[t|0]=f;G[g-1|0]=(i|0)<0?45:43;g=u-t|0;if((g|0)>(y^2147483647)){break b}}d=g+y|0;if((d|0)>(s^2147483647)){break b}i=d+s|0;eb(a,32,c,i,e);ab(a,w,s);eb(a,48,c,i,e^65536);o:{p:{q:{if((h|0)==70){h=m+16|9;f=j>>>0>q>>>0?q:j;j=f;while(1){g=Wb(I[j>>2],0,h);r:{if((f|0)!=(j|0)){if(m+16>>>0>=g>>>0){break r}while(1){g=g-1|0;G[g|0]=48;if(m+16>>>0<g>>>0){continue}break}break r}if((g|0)!=(h|0)){break r}g=g-1|0;G[g|0]=48}ab(a,g,h-g|0);j=j+4|0;if(q>>>0>=j>>>0){continue}break}if(o){ab(a,86007,1)}if((k|0)<=0|j>>>0>=n>>>0){break q}while(1){g=Wb(I[j>>2],0,h);if(g>>>0>m+16>>>0){while(1){g=g-1|0;G[g|0]=48;if(m+16>>>0<g>>>0){continue}break}}ab(a,g,(k|0)>=9?9:k);g=k-9|0;j=j+4|0;if(n>>>0<=j>>>0){break p}d=(k|0)>9;k=g;if(d){continue}break}break p}s:{if((k|0)<0){break s}f=j>>>0<n>>>0?n:j+4|0;n=m+16|9;h=j;while(1){g=Wb(I[h>>2],0,n);if((n|0)==(g|0)){g=g-1|0;G[g|0]=48}t:{if((h|0)!=(j|0)){if(m+16>>>0>=g>>>0){break t}while(1){g=g-1|0;G[g|0]=48;if(m+16>>>0<g>>>0){continue}break}break t}ab(a,g,1);g=g+1|0;if(!(k|p)){break t}ab(a,86007,1)}d=n-g|0;ab(a,g,(d|0)<(k|0)?d:k);k=k-d|0;h=h+4|0;if(f>>>0<=h>>>0){break s}if((k|0)>=0){continue}break}}eb(a,48,k+18|0,18,0);ab(a,t,u-t|0);break o}g=k}eb(a,48,g+9|0,9,0)}eb(a,32,c,i,e^8192);l=(c|0)>(i|0)?c:i;break b}q=(f<<26>>31&9)+w|0;u:{if(d>>>0>11){break u}g=12-d|0;r=16;while(1){r=r*16;g=g-1|0;if(g){continue}break}if(J[q|0]==45){b=-(r+(-b-r));break u}b=b+r-r}h=I[m+44>>2];g=h>>31;g=Wb((g^h)-g|0,0,u);if((u|0)==(g|0)){g=g-1|0;G[g|0]=48;h=I[m+44>>2]}n=s|2;j=f&32;k=g-2|0;G[k|0]=f+15;G[g-1|0]=(h|0)<0?45:43;g=!(e&8)&(d|0)<=0;h=m+16|0;while(1){f=h;if(Q(b)<2147483648){i=~~b}else{i=-2147483648}G[h|0]=j|J[i+133024|0];b=(b-+(i|0))*16;h=f+1|0;if(!(g&b==0|(h-(m+16|0)|0)!=1)){G[f+1|0]=46;h=f+2|0}if(b!=0){continue}break}l=-1;g=u-k|0;f=g+n|0;if((2147483645-f|0)<(d|0)){break b}i=f;f=m+16|0;j=h-f|0;d=d?(j-2|0)<(d|0)?d+2|0:j:j;h=i+d|0;eb(a,32,c,h,e);ab(a,q,n);eb(a,48,c,h,e^65536);ab(a,f,j);eb(a,48,d-j|0,0,0);ab(a,k,g);eb(a,32,c,h,e^8192);l=(c|0)>(h|0)?c:h}ra=m+560|0;return l|0}function Fe(a,b){var c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,y=0,A=0,D=0;p=ra-48|0;ra=p;C(+a);l=x(1)|0;c=x(0)|0;a:{b:{i=l&2147483647;c:{if(i>>>0<=1074752122){if((l&1048575)==598523){break c}if(i>>>0<=1073928572){if((l|0)>0|(l|0)>=0){a=a+-1.5707963267341256;e=a+-6077100506506192e-26;N[b>>3]=e;N[b+8>>3]=a-e+-6077100506506192e-26;d=1;break a}a=a+1.5707963267341256;e=a+6077100506506192e-26;N[b>>3]=e;N[b+8>>3]=a-e+6077100506506192e-26;d=-1;break a}if((l|0)>0|(l|0)>=0){a=a+-3.1415926534682512;e=a+-1.2154201013012384e-10;N[b>>3]=e;N[b+8>>3]=a-e+-1.2154201013012384e-10;d=2;break a}a=a+3.1415926534682512;e=a+1.2154201013012384e-10;N[b>>3]=e;N[b+8>>3]=a-e+1.2154201013012384e-10;d=-2;break a}if(i>>>0<=1075594811){if(i>>>0<=1075183036){if((i|0)==1074977148){break c}if((l|0)>0|(l|0)>=0){a=a+-4.712388980202377;e=a+-1.8231301519518578e-10;N[b>>3]=e;N[b+8>>3]=a-e+-1.8231301519518578e-10;d=3;break a}a=a+4.712388980202377;e=a+1.8231301519518578e-10;N[b>>3]=e;N[b+8>>3]=a-e+1.8231301519518578e-10;d=-3;break a}if((i|0)==1075388923){break c}if((l|0)>0|(l|0)>=0){a=a+-6.2831853069365025;e=a+-2.430840202602477e-10;N[b>>3]=e;N[b+8>>3]=a-e+-2.430840202602477e-10;d=4;break a}a=a+6.2831853069365025;e=a+2.430840202602477e-10;N[b>>3]=e;N[b+8>>3]=a-e+2.430840202602477e-10;d=-4;break a}if(i>>>0>1094263290){break b}}k=a*.6366197723675814+6755399441055744+-6755399441055744;e=a+k*-1.5707963267341256;m=k*6077100506506192e-26;u=e-m;c=u<-.7853981633974483;if(Q(k)<2147483648){d=~~k}else{d=-2147483648}d:{if(c){d=d-1|0;k=k+-1;m=k*6077100506506192e-26;e=a+k*-1.5707963267341256;break d}if(!(u>.7853981633974483)){break d}d=d+1|0;k=k+1;m=k*6077100506506192e-26;e=a+k*-1.5707963267341256}a=e-m;N[b>>3]=a;C(+a);c=x(1)|0;x(0)|0;l=i>>>20|0;e:{if((l-(c>>>20&2047)|0)<17){break e}m=e;a=k*6077100506303966e-26;e=e-a;m=k*20222662487959506e-37-(m-e-a);a=e-m;N[b>>3]=a;C(+a);c=x(1)|0;x(0)|0;if((l-(c>>>20&2047)|0)<50){break e}m=e;a=k*20222662487111665e-37;e=e-a;m=k*84784276603689e-45-(m-e-a);a=e-m;N[b>>3]=a}N[b+8>>3]=e-a-m;break a}if(i>>>0>=2146435072){a=a-a;N[b>>3]=a;N[b+8>>3]=a;break a}d=p+16|0;f=d|8;z(0,c|0);z(1,l&1048575|1096810496);a=+B();c=1;while(1){if(Q(a)<2147483648){j=~~a}else{j=-2147483648}e=+(j|0);N[d>>3]=e;a=(a-e)*16777216;j=c;c=0;d=f;if(j){continue}break}N[p+32>>3]=a;d=2;while(1){c=d;d=c-1|0;s=p+16|0;if(N[s+(c<<3)>>3]==0){continue}break}f=0;g=ra-560|0;ra=g;d=(i>>>20|0)-1046|0;j=(d-3|0)/24|0;t=(j|0)>0?j:0;j=O(t,-24)+d|0;q=I[28081];r=c+1|0;h=r-1|0;if((q+h|0)>=0){d=q+r|0;c=t-h|0;while(1){N[(g+320|0)+(f<<3)>>3]=(c|0)<0?0:+I[(c<<2)+112336>>2];c=c+1|0;f=f+1|0;if((d|0)!=(f|0)){continue}break}}i=j-24|0;d=0;f=(q|0)>0?q:0;o=(r|0)<=0;while(1){f:{if(o){a=0;break f}n=d+h|0;c=0;a=0;while(1){a=N[(c<<3)+s>>3]*N[(g+320|0)+(n-c<<3)>>3]+a;c=c+1|0;if((r|0)!=(c|0)){continue}break}}N[(d<<3)+g>>3]=a;c=(d|0)==(f|0);d=d+1|0;if(!c){continue}break}A=47-j|0;v=48-j|0;D=j-25|0;d=q;g:{while(1){a=N[(d<<3)+g>>3];c=0;f=d;if((d|0)>0){while(1){o=(g+480|0)+(c<<2)|0;e=a*5.960464477539063e-8;h:{if(Q(e)<2147483648){h=~~e;break h}h=-2147483648}e=+(h|0);a=e*-16777216+a;i:{if(Q(a)<2147483648){h=~~a;break i}h=-2147483648}I[o>>2]=h;f=f-1|0;a=N[(f<<3)+g>>3]+e;c=c+1|0;if((d|0)!=(c|0)){continue}break}}a=Kb(a,i);a=a+U(a*.125)*-8;j:{if(Q(a)<2147483648){o=~~a;break j}o=-2147483648}a=a-+(o|0);k:{l:{m:{w=(i|0)<=0;n:{if(!w){f=(d<<2)+g|0;h=I[f+476>>2];c=h>>v;n=f;f=h-(c<<v)|0;I[n+476>>2]=f;o=c+o|0;h=f>>A;break n}if(i){break m}h=I[((d<<2)+g|0)+476>>2]>>23}if((h|0)<=0){break k}break l}h=2;if(a>=.5){break l}h=0;break k}c=0;n=0;f=1;if((d|0)>0){while(1){f=(g+480|0)+(c<<2)|0;y=I[f>>2];o:{p:{if(n){n=16777215}else{if(!y){break p}n=16777216}I[f>>2]=n-y;n=1;f=0;break o}n=0;f=1}c=c+1|0;if((d|0)!=(c|0)){continue}break}}q:{if(w){break q}c=8388607;r:{switch(D|0){case 1:c=4194303;break;case 0:break r;default:break q}}n=(d<<2)+g|0;I[n+476>>2]=I[n+476>>2]&c}o=o+1|0;if((h|0)!=2){break k}a=1-a;h=2;if(f){break k}a=a-Kb(1,i)}if(a==0){f=0;s:{c=d;if((q|0)>=(c|0)){break s}while(1){c=c-1|0;f=I[(g+480|0)+(c<<2)>>2]|f;if((c|0)>(q|0)){continue}break}if(!f){break s}j=i;while(1){j=j-24|0;d=d-1|0;if(!I[(g+480|0)+(d<<2)>>2]){continue}break}break g}c=1;while(1){f=c;c=c+1|0;if(!I[(g+480|0)+(q-f<<2)>>2]){continue}break}f=d+f|0;while(1){h=d+r|0;d=d+1|0;N[(g+320|0)+(h<<3)>>3]=I[(t+d<<2)+112336>>2];c=0;a=0;if((r|0)>0){while(1){a=N[(c<<3)+s>>3]*N[(g+320|0)+(h-c<<3)>>3]+a;c=c+1|0;if((r|0)!=(c|0)){continue}break}}N[(d<<3)+g>>3]=a;if((d|0)<(f|0)){continue}break}d=f;continue}break}a=Kb(a,24-j|0);t:{if(a>=16777216){i=(g+480|0)+(d<<2)|0;e=a*5.960464477539063e-8;u:{if(Q(e)<2147483648){c=~~e;break u}c=-2147483648}a=+(c|0)*-16777216+a;v:{if(Q(a)<2147483648){f=~~a;break v}f=-2147483648}I[i>>2]=f;d=d+1|0;break t}if(Q(a)<2147483648){c=~~a}else{c=-2147483648}j=i}I[(g+480|0)+(d<<2)>>2]=c}a=Kb(1,j);if((d|0)>=0){c=d;while(1){f=c;N[(c<<3)+g>>3]=a*+I[(g+480|0)+(c<<2)>>2];c=c-1|0;a=a*5.960464477539063e-8;if(f){continue}break}f=d;while(1){a=0;c=0;j=d-f|0;i=(j|0)>(q|0)?q:j;if((i|0)>=0){while(1){a=N[(c<<3)+115104>>3]*N[(c+f<<3)+g>>3]+a;r=(c|0)!=(i|0);c=c+1|0;if(r){continue}break}}N[(g+160|0)+(j<<3)>>3]=a;c=(f|0)>0;f=f-1|0;if(c){continue}break}}a=0;if((d|0)>=0){c=d;while(1){f=c;c=c-1|0;a=a+N[(g+160|0)+(f<<3)>>3];if(f){continue}break}}N[p>>3]=h?-a:a;a=N[g+160>>3]-a;c=1;if((d|0)>0){while(1){a=a+N[(g+160|0)+(c<<3)>>3];f=(c|0)!=(d|0);c=c+1|0;if(f){continue}break}}N[p+8>>3]=h?-a:a;ra=g+560|0;d=o&7;a=N[p>>3];if((l|0)<0){N[b>>3]=-a;N[b+8>>3]=-N[p+8>>3];d=0-d|0;break a}N[b>>3]=a;N[b+8>>3]=N[p+8>>3]}ra=p+48|0;return d}function Ne(){var a=0,b=0,c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0,z=0,A=0,B=0,C=0,D=0,E=0,F=0,K=0,M=0,P=0,R=0,S=0,T=0,U=0,V=0;I[57985]=0;f=I[58832];I[58832]=f+1;d=I[58021];l=I[57982];c=+(f|0);b=sc(c*39.89822670059037);g=sc(c*22.30530784048753);c=+(l|0)/50*(+(d|0)/100)*(sc(c*14.765485471872028)+(b+g))*10;a:{if(Q(c)<2147483648){d=~~c;break a}d=-2147483648}I[58667]=d+I[58667];b:{if(I[57983]<=0){break b}while(1){f=Dg(I[35269],0,1103515245,0);a=ua;f=f+12345|0;a=f>>>0<12345?a+1|0:a;a=Fg(f,a);I[35269]=a;a=((a>>>0)%16383|0)+8191|0;I[57989]=a;s=+(a|0);c=N[29417]*.75+s;N[29417]=c;l=I[57984];o=(l|0)>I[57988]?c*.5:c;r=+I[58712]*.033;t=r>0?1-r:1;a=I[58710]<<2;u=I[57981];v=(u|0)==1?(a|0)>=263?263:a:a;y=I[58711];C=(y<<1)+111040|0;d=I[58718];D=(d<<1)+111040|0;E=(d|0)>0;z=I[57978];F=O(z,40);A=I[57985];K=N[28997];B=I[58667];h=N[29009];j=N[29161];b=N[29160];w=I[58838];f=I[58714];e=N[29153];k=N[29151];g=N[29152];m=N[29150];p=N[29149];n=N[29418];q=I[57987];c=N[29413];a=I[57986];M=N[29159];P=N[29158];R=N[29157];S=N[29005];T=Ta(N[28998]*0);U=u-1|0;V=d>>>0>87;x=0;while(1){i=b;c:{d:{switch(U|0){case 0:c=0;c=(l|0)<=2?N[(l<<3)+111216>>3]:c;N[29153]=g;c=k*e+(p*c+m*g);N[29152]=c;e=g;g=c;break c;case 1:b=0;c=0;if((l|0)<(q|0)){c=N[28995]-N[28996];N[28995]=c;b=c+n;c=b*.028}N[29418]=b;n=b;break c;case 2:I[58016]=100;if(!a){c=0;break c}c=+(l|0)/+(a|0)*100;e:{if(Q(c)<2147483648){d=~~c;break e}d=-2147483648}b=+H[((d|0)%100<<1)+110832>>1];c=h*((+H[((d+1|0)%100<<1)+110832>>1]-b)*(c-+(d|0))+b);break c;case 3:break d;default:break c}}I[58016]=256;if(!a){c=0;break c}c=+(l|0)/+(a|0)*256;f:{if(Q(c)<2147483648){d=~~c;break f}d=-2147483648}b=+H[((d|0)%256<<1)+111248>>1];c=h*((+H[((d+1|0)%256<<1)+111248>>1]-b)*(c-+(d|0))+b)}g:{if((a|0)>(l|0)){break g}h:{if((B|0)>0){d=(F|0)/(B|0)|0;k=0;k=V?k:+H[D>>1]*.001;I[57988]=d>>E;N[29002]=k;if(y>>>0<=87){b=+H[C>>1]*.001*.1}else{b=0}N[29006]=b;l=(d-1|0)<=(v|0);a=l?d-2|0:v;q=(a|0)<=40?40:a;q=l?q:(a|0)<40?q:v;I[57987]=q;p=+H[(q<<1)+111680>>1];N[28996]=p;b=Ua(K*+((z|0)/(q|0)|0));k=b*-b;N[29151]=k;b=b*T;m=b+b;N[29150]=m;b=+(q|0);N[28995]=p*b*.333;b=b*.00833;p=b*b*(1-m-k);N[29149]=p;l=0;a=d-q|0;if((a|0)<(f|0)){I[58714]=a;f=a}a=(w|0)<0?0-f|0:f;w=0-a|0;I[58838]=w;d=a+d|0;I[57986]=d;a=4;if((d|0)!=4){break h}if(A){break g}break h}I[58004]=0;I[58005]=0;d=4;I[57986]=4;I[58012]=0;I[58013]=0;I[57988]=4;I[57990]=0;I[57991]=0;I[57992]=0;I[57993]=0;l=0;a=4;if(A){break g}}N[28999]=t;N[29e3]=r;a=d}l=l+1|0;c=M*j+(R*c+P*i);b=c;j=i;x=x+1|0;if((x|0)!=4){continue}break}N[29161]=i;N[29160]=b;I[57984]=l;if((u|0)==5){c=+(l|0)/+(a|0);c=(c+c+-1)*6e3}b=c*N[28999]+N[29414]*N[29e3];N[29413]=b;N[29414]=b;if((l|0)<(q|0)){b=N[29006]*s+b;N[29413]=b}g=o*N[29004];c=b*N[29003]+g;j=0;if(I[57976]!=2){i=N[29017];h=N[29016];N[29017]=h;j=N[29089];e=N[29088];N[29089]=e;b=g+b*N[29002];N[29016]=b;b=j*N[29087]+(N[29085]*(i*N[29015]+(N[29013]*b+h*N[29014]))+e*N[29086]);N[29088]=b;g=N[29079];i=N[29081];h=N[29078];j=N[29077];e=N[29080];N[29081]=e;b=g*i+(j*b+h*e);N[29080]=b;g=N[29073];i=N[29071];h=N[29070];j=N[29069];e=N[29072];N[29073]=e;b=i*g+(j*b+h*e);N[29072]=b;g=N[29065];i=N[29063];h=N[29062];j=N[29061];e=N[29064];N[29065]=e;b=i*g+(j*b+h*e);N[29064]=b;g=N[29057];i=N[29055];h=N[29054];j=N[29053];e=N[29056];N[29057]=e;b=i*g+(j*b+h*e);N[29056]=b;g=N[29049];i=N[29047];h=N[29046];j=N[29045];e=N[29048];N[29049]=e;b=i*g+(j*b+h*e);N[29048]=b;g=N[29041];i=N[29039];h=N[29038];j=N[29037];e=N[29040];N[29041]=e;b=i*g+(j*b+h*e);N[29040]=b;g=N[29033];i=N[29031];h=N[29030];j=N[29029];e=N[29032];N[29033]=e;b=i*g+(j*b+h*e);N[29032]=b;g=N[29025];i=N[29023];h=N[29022];j=N[29021];e=N[29024];N[29025]=e;j=i*g+(j*b+h*e);N[29024]=j}b=N[29105];g=N[29104];N[29105]=g;i=N[29097];h=N[29096];N[29097]=h;e=N[29415];N[29415]=c;b=b*N[29103]+(N[29101]*c+g*N[29102]);N[29104]=b;g=i*N[29095]+(N[29093]*c+h*N[29094]);N[29096]=g;i=N[29111];h=N[29113];n=N[29109];k=N[29110];m=N[29112];N[29113]=m;c=S*o+c-e;i=i*h+(n*c+k*m);N[29112]=i;h=N[29121];e=N[29119];n=N[29117];k=N[29118];m=N[29120];N[29121]=m;h=e*h+(n*c+k*m);N[29120]=h;e=N[29129];n=N[29127];k=N[29125];m=N[29126];o=N[29128];N[29129]=o;e=n*e+(k*c+m*o);N[29128]=e;n=N[29137];k=N[29135];m=N[29133];o=N[29134];r=N[29136];N[29137]=r;n=k*n+(m*c+o*r);N[29136]=n;k=N[29145];m=N[29143];o=N[29141];r=N[29142];p=N[29144];N[29145]=p;k=m*k+(o*c+r*p);N[29144]=k;m=N[29169];o=N[29167];r=N[29166];p=N[29165];s=N[29001];t=N[29168];N[29169]=t;c=o*m+(p*(c*s-(k-(n-(e-(h-(i-(j+b+g)))))))+r*t);N[29168]=c;c=N[29007]*(c*+I[52839]);i:{if(Q(c)<2147483648){a=~~c;break i}a=-2147483648}c=+(a|0);a=I[52836];if((a|0)<I[52833]){f=I[52832];d=I[52834];j:{if(!d){f=a+f|0;d=J[f|0];f=G[f+1|0];I[52836]=a+2;a=f<<8|d;break j}I[52836]=a+1;a=O(d,G[a+f|0])}c=c+ +((O(I[52835],(O(a,I[52840])|0)/1024|0)|0)/40|0)}a=I[58022];if((a|0)<=63){I[58022]=a+1;c=c*+(a|0)*.015625}a=I[58023];k:{if((a|0)<=0){break k}a=a-1|0;I[58023]=a;c=c*+(a>>>0)*.015625;if(a){break k}I[58022]=0}a=I[53353];f=a+1|0;I[53353]=f;d=O(H[(a<<1)+213424>>1],I[52815])>>8;if(Q(c)<2147483648){a=~~c}else{a=-2147483648}if((f|0)>=5500){I[53353]=0}f=I[53350];I[53350]=f+1;a=a+d|0;a=(a|0)<=-32768?-32768:a;a=(a|0)>=32767?32767:a;G[f|0]=a;f=I[53350];I[53350]=f+1;G[f|0]=a>>>8;f=I[53352];d=f+1|0;I[53352]=d;H[(f<<1)+213424>>1]=a;if((d|0)>=5500){I[53352]=0}a=1;I[58666]=I[58666]+1;if(L[56106]<I[53350]+2>>>0){break b}a=I[57985]+1|0;I[57985]=a;if((a|0)<I[57983]){continue}break}a=0}return a}function ne(a,b,c,d,e,f,g){var h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0,z=0,A=0;j=ra+-64|0;ra=j;I[j+60>>2]=b;z=j+39|0;t=j+40|0;a:{b:{c:{d:{e:while(1){h=0;f:while(1){k=b;if((o^2147483647)<(h|0)){break d}o=h+o|0;g:{h:{i:{j:{h=b;i=J[h|0];if(i){while(1){k:{b=i&255;l:{if(!b){b=h;break l}if((b|0)!=37){break k}i=h;while(1){if(J[i+1|0]!=37){b=i;break l}h=h+1|0;n=J[i+2|0];b=i+2|0;i=b;if((n|0)==37){continue}break}}h=h-k|0;y=o^2147483647;if((h|0)>(y|0)){break d}if(a){ab(a,k,h)}if(h){continue f}I[j+60>>2]=b;h=b+1|0;q=-1;i=G[b+1|0]-48|0;if(!(J[b+2|0]!=36|i>>>0>9)){u=1;q=i;h=b+3|0}I[j+60>>2]=h;m=0;i=G[h|0];b=i-32|0;m:{if(b>>>0>31){n=h;break m}n=h;b=1<<b;if(!(b&75913)){break m}while(1){n=h+1|0;I[j+60>>2]=n;m=b|m;i=G[h+1|0];b=i-32|0;if(b>>>0>=32){break m}h=n;b=1<<b;if(b&75913){continue}break}}n:{if((i|0)==42){b=G[n+1|0]-48|0;o:{if(!(J[n+2|0]!=36|b>>>0>9)){p:{if(!a){I[(b<<2)+e>>2]=10;p=0;break p}p=I[(b<<3)+d>>2]}b=n+3|0;u=1;break o}if(u){break j}b=n+1|0;if(!a){I[j+60>>2]=b;u=0;p=0;break n}h=I[c>>2];I[c>>2]=h+4;p=I[h>>2];u=0}I[j+60>>2]=b;if((p|0)>=0){break n}p=0-p|0;m=m|8192;break n}p=me(j+60|0);if((p|0)<0){break d}b=I[j+60>>2]}h=0;l=-1;i=0;q:{if(J[b|0]!=46){break q}if(J[b+1|0]==42){i=G[b+2|0]-48|0;r:{if(!(J[b+3|0]!=36|i>>>0>9)){b=b+4|0;s:{if(!a){I[(i<<2)+e>>2]=10;l=0;break s}l=I[(i<<3)+d>>2]}break r}if(u){break j}b=b+2|0;l=0;if(!a){break r}i=I[c>>2];I[c>>2]=i+4;l=I[i>>2]}I[j+60>>2]=b;i=(l|0)>=0;break q}I[j+60>>2]=b+1;l=me(j+60|0);b=I[j+60>>2];i=1}w=i;while(1){v=h;n=28;r=b;i=G[b|0];if(i-123>>>0<4294967238){break c}b=b+1|0;h=J[(i+O(h,58)|0)+132495|0];if(h-1>>>0<8){continue}break}I[j+60>>2]=b;t:{if((h|0)!=27){if(!h){break c}if((q|0)>=0){if(!a){I[(q<<2)+e>>2]=h;continue e}h=(q<<3)+d|0;i=I[h+4>>2];I[j+48>>2]=I[h>>2];I[j+52>>2]=i;break t}if(!a){break g}le(j+48|0,h,c,g);break t}if((q|0)>=0){break c}h=0;if(!a){continue f}}if(J[a|0]&32){break b}i=m&-65537;m=m&8192?i:m;q=0;x=84081;n=t;u:{v:{w:{x:{y:{z:{A:{B:{C:{D:{E:{F:{G:{H:{I:{J:{K:{h=G[r|0];h=v?(h&15)==3?h&-45:h:h;switch(h-88|0){case 9:case 13:case 14:case 15:break u;case 27:break A;case 11:break B;case 12:case 17:break E;case 23:break F;case 0:case 32:break G;case 24:break H;case 22:break I;case 29:break J;case 1:case 2:case 3:case 4:case 5:case 6:case 7:case 8:case 10:case 16:case 18:case 19:case 20:case 21:case 25:case 26:case 28:case 30:case 31:break h;default:break K}}L:{switch(h-65|0){case 0:case 4:case 5:case 6:break u;case 2:break z;case 1:case 3:break h;default:break L}}if((h|0)==83){break y}break h}i=I[j+48>>2];r=I[j+52>>2];b=84081;break D}h=0;M:{switch(v&255){case 0:I[I[j+48>>2]>>2]=o;continue f;case 1:I[I[j+48>>2]>>2]=o;continue f;case 2:k=I[j+48>>2];I[k>>2]=o;I[k+4>>2]=o>>31;continue f;case 3:H[I[j+48>>2]>>1]=o;continue f;case 4:G[I[j+48>>2]]=o;continue f;case 6:I[I[j+48>>2]>>2]=o;continue f;case 7:break M;default:continue f}}k=I[j+48>>2];I[k>>2]=o;I[k+4>>2]=o>>31;continue f}l=l>>>0<=8?8:l;m=m|8;h=120}b=t;A=h&32;k=I[j+52>>2];r=k;i=I[j+48>>2];s=i;if(i|k){while(1){b=b-1|0;G[b|0]=A|J[(s&15)+133024|0];v=!k&s>>>0>15|(k|0)!=0;s=(k&15)<<28|s>>>4;k=k>>>4|0;if(v){continue}break}}k=b;if(!(i|r)|!(m&8)){break C}x=(h>>>4|0)+84081|0;q=2;break C}b=t;k=I[j+52>>2];r=k;i=I[j+48>>2];s=i;if(i|k){while(1){b=b-1|0;G[b|0]=s&7|48;v=!k&s>>>0>7|(k|0)!=0;s=(k&7)<<29|s>>>3;k=k>>>3|0;if(v){continue}break}}k=b;if(!(m&8)){break C}b=t-b|0;l=(b|0)<(l|0)?l:b+1|0;break C}i=I[j+48>>2];b=I[j+52>>2];r=b;if((b|0)<0){h=0-(b+((i|0)!=0)|0)|0;r=h;i=0-i|0;I[j+48>>2]=i;I[j+52>>2]=h;q=1;b=84081;break D}if(m&2048){q=1;b=84082;break D}q=m&1;b=q?84083:84081}x=b;k=Wb(i,r,t)}if((l|0)<0&w){break d}m=w?m&-65537:m;if(!(l|(i|r)!=0)){k=t;l=0;break h}b=!(i|r)+(t-k|0)|0;l=(b|0)<(l|0)?l:b;break h}h=J[j+48|0];break i}b=I[j+48>>2];k=b?b:84651;b=l>>>0>=2147483647?2147483647:l;h=Xb(k,0,b);b=h?h-k|0:b;n=b+k|0;if((l|0)>=0){m=i;l=b;break h}m=i;l=b;if(J[n|0]){break d}break h}h=I[j+48>>2];if(h|I[j+52>>2]){break x}h=0;break i}if(l){i=I[j+48>>2];break w}h=0;eb(a,32,p,0,m);break v}I[j+12>>2]=0;I[j+8>>2]=h;i=j+8|0;I[j+48>>2]=i;l=-1}h=0;while(1){N:{k=I[i>>2];if(!k){break N}k=de(j+4|0,k);if((k|0)<0){break b}if(k>>>0>l-h>>>0){break N}i=i+4|0;h=h+k|0;if(l>>>0>h>>>0){continue}}break}n=61;if((h|0)<0){break c}eb(a,32,p,h,m);if(!h){h=0;break v}n=0;i=I[j+48>>2];while(1){k=I[i>>2];if(!k){break v}l=j+4|0;k=de(l,k);n=k+n|0;if(n>>>0>h>>>0){break v}ab(a,l,k);i=i+4|0;if(h>>>0>n>>>0){continue}break}}eb(a,32,p,h,m^8192);h=(h|0)<(p|0)?p:h;continue f}if((l|0)<0&w){break d}n=61;h=va[f|0](a,N[j+48>>3],p,l,m,h)|0;if((h|0)>=0){continue f}break c}i=J[h+1|0];h=h+1|0;continue}}if(a){break a}if(!u){break g}h=1;while(1){a=I[(h<<2)+e>>2];if(a){le((h<<3)+d|0,a,c,g);o=1;h=h+1|0;if((h|0)!=10){continue}break a}break}if(h>>>0>=10){o=1;break a}while(1){if(I[(h<<2)+e>>2]){break j}o=1;h=h+1|0;if((h|0)!=10){continue}break}break a}n=28;break c}G[j+39|0]=h;l=1;k=z;m=i}i=n-k|0;l=(i|0)<(l|0)?l:i;if((l|0)>(q^2147483647)){break d}n=61;b=l+q|0;h=(b|0)<(p|0)?p:b;if((y|0)<(h|0)){break c}eb(a,32,h,b,m);ab(a,x,q);eb(a,48,h,b,m^65536);eb(a,48,l,i,0);ab(a,k,i);eb(a,32,h,b,m^8192);b=I[j+60>>2];continue}break}break}o=0;break a}n=61}I[58856]=n}o=-1}ra=j- -64|0;return o}function Oa(a,b,c,d,e,f,g,h,i){var j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0,z=0,A=0,B=0,C=0,D=0,E=0,F=0,G=0,H=0,J=0,K=0,L=0,M=0,N=0,O=0,P=0,Q=0,S=0;k=ra-96|0;ra=k;u=i&65535;o=(e^i)&-2147483648;r=e&65535;y=r;Q=i>>>16&32767;S=e>>>16&32767;a:{b:{if(Q-32767>>>0>4294934529&S-32767>>>0>=4294934530){break b}s=e&2147483647;q=s;j=d;if(!(!d&(q|0)==2147418112?!(b|c):q>>>0<2147418112)){m=d;o=e|32768;break a}s=i&2147483647;p=s;e=h;if(!(!e&(p|0)==2147418112?!(f|g):p>>>0<2147418112)){m=e;o=i|32768;b=f;c=g;break a}if(!(b|j|(q^2147418112|c))){if(!(e|f|(g|p))){o=2147450880;b=0;c=0;break a}o=o|2147418112;b=0;c=0;break a}if(!(e|f|(p^2147418112|g))){e=b|j;d=c|q;b=0;c=0;if(!(d|e)){o=2147450880;break a}o=o|2147418112;break a}if(!(b|j|(c|q))){b=0;c=0;break a}if(!(e|f|(g|p))){b=0;c=0;break a}if((q|0)==65535|q>>>0<65535){j=!(d|r);i=j?b:d;s=j<<6;e=R(i)+32|0;i=R(j?c:r);i=s+((i|0)==32?e:i)|0;db(k+80|0,b,c,d,r,i-15|0);t=16-i|0;d=I[k+88>>2];y=I[k+92>>2];c=I[k+84>>2];b=I[k+80>>2]}if(p>>>0>65535){break b}i=!(h|u);e=i?f:h;r=i<<6;j=R(e)+32|0;e=R(i?g:u);e=r+((e|0)==32?j:e)|0;db(k- -64|0,f,g,h,u,e-15|0);t=(t-e|0)+16|0;h=I[k+72>>2];u=I[k+76>>2];f=I[k+64>>2];g=I[k+68>>2]}e=f;f=g<<15|f>>>17;i=e<<15;e=0;v=i&-32768;K=c;s=Dg(v,e,c,0);e=ua;z=e;L=f;q=b;c=Dg(f,0,b,0);b=c+s|0;f=ua+e|0;i=b;c=b>>>0<c>>>0?f+1|0:f;f=b;j=0;b=Dg(q,l,v,l);p=j+b|0;e=ua+f|0;e=b>>>0>p>>>0?e+1|0:e;r=e;M=(f|0)==(e|0)&j>>>0>p>>>0|e>>>0<f>>>0;N=d;w=Dg(v,l,d,0);O=ua;b=Dg(K,l,L,l);x=b+w|0;j=ua+O|0;j=b>>>0>x>>>0?j+1|0:j;b=u<<15|h>>>17;A=h<<15|g>>>17;d=Dg(A,0,q,l);B=d+x|0;f=ua+j|0;f=d>>>0>B>>>0?f+1|0:f;C=f;d=(c|0)==(z|0)&i>>>0<s>>>0|c>>>0<z>>>0;D=c+B|0;f=d+f|0;f=c>>>0>D>>>0?f+1|0:f;u=f;g=D;c=f;E=y|65536;y=Dg(v,l,E,n);P=ua;d=Dg(N,m,L,l);F=d+y|0;e=ua+P|0;e=d>>>0>F>>>0?e+1|0:e;i=e;G=b|-2147483648;b=Dg(G,0,q,l);H=b+F|0;f=ua+e|0;f=b>>>0>H>>>0?f+1|0:f;d=Dg(A,m,K,l);b=d+H|0;J=f;f=f+ua|0;z=b;s=b>>>0<d>>>0?f+1|0:f;f=b;b=0;q=b+g|0;e=c+f|0;e=b>>>0>q>>>0?e+1|0:e;v=e;f=e;b=q+M|0;c=b>>>0<q>>>0?f+1|0:f;t=((S+Q|0)+t|0)-16383|0;d=Dg(G,m,K,l);h=ua;e=Dg(E,m,L,l);g=e+d|0;f=ua+h|0;f=e>>>0>g>>>0?f+1|0:f;n=(h|0)==(f|0)&d>>>0>g>>>0|f>>>0<h>>>0;h=f;e=Dg(A,m,N,m);d=e+g|0;f=ua+f|0;f=d>>>0<e>>>0?f+1|0:f;e=f;g=(f|0)==(h|0)&d>>>0<g>>>0|f>>>0<h>>>0;f=0;h=g;g=g+n|0;f=h>>>0>g>>>0?1:f;h=g;g=Dg(G,m,E,m);h=h+g|0;f=ua+f|0;M=h;g=g>>>0>h>>>0?f+1|0:f;h=d;l=e;e=(j|0)==(O|0)&w>>>0>x>>>0|j>>>0<O>>>0;f=0;j=(j|0)==(C|0)&x>>>0>B>>>0|j>>>0>C>>>0;n=j;j=e+j|0;e=(n>>>0>j>>>0?1:f)+l|0;f=g;d=d+j|0;e=d>>>0<j>>>0?e+1|0:e;n=e;w=d;d=(e|0)==(l|0)&d>>>0<h>>>0|e>>>0<l>>>0;e=d;d=d+M|0;f=e>>>0>d>>>0?f+1|0:f;j=d;h=f;e=Dg(A,m,E,m);l=ua;g=Dg(G,m,N,m);d=g+e|0;f=ua+l|0;f=d>>>0<g>>>0?f+1|0:f;g=f;f=(l|0)==(f|0)&d>>>0<e>>>0|f>>>0<l>>>0;x=g+j|0;e=f+h|0;e=g>>>0>x>>>0?e+1|0:e;l=x;h=e;j=d;e=0;d=e+w|0;f=j+n|0;f=d>>>0<e>>>0?f+1|0:f;e=f;g=(n|0)==(f|0)&d>>>0<w>>>0|f>>>0<n>>>0;f=h;h=g;g=g+l|0;f=h>>>0>g>>>0?f+1|0:f;w=g;g=f;h=d;j=e;e=(s|0)==(J|0)&z>>>0<H>>>0|s>>>0<J>>>0;d=(i|0)==(P|0)&y>>>0>F>>>0|i>>>0<P>>>0;i=(i|0)==(J|0)&F>>>0>H>>>0|i>>>0>J>>>0;d=d+i|0;d=d+e|0;n=s;i=n+h|0;e=d+j|0;f=g;d=i;e=d>>>0<n>>>0?e+1|0:e;h=(e|0)==(j|0)&h>>>0>d>>>0|e>>>0<j>>>0;g=h+w|0;f=h>>>0>g>>>0?f+1|0:f;j=g;g=f;h=d;f=0;i=e;n=(u|0)==(v|0)&q>>>0<D>>>0|u>>>0>v>>>0;l=n;n=n+((u|0)==(C|0)&B>>>0>D>>>0|u>>>0<C>>>0)|0;e=e+(l>>>0>n>>>0?1:f)|0;f=g;d=d+n|0;e=d>>>0<n>>>0?e+1|0:e;h=(e|0)==(i|0)&d>>>0<h>>>0|e>>>0<i>>>0;g=h;h=h+j|0;f=g>>>0>h>>>0?f+1|0:f;i=f;c:{if(f&65536){t=t+1|0;break c}j=r>>>31|0;g=0;f=i<<1|h>>>31;h=h<<1|e>>>31;i=f;f=e<<1|d>>>31;d=d<<1|c>>>31;e=f;f=r<<1|p>>>31;p=p<<1;r=f;f=c<<1|b>>>31;b=b<<1|j;c=f|g}if((t|0)>=32767){o=o|2147418112;b=0;c=0;break a}d:{if((t|0)<=0){g=1-t|0;if(g>>>0<=127){f=t+127|0;db(k+48|0,p,r,b,c,f);db(k+32|0,d,e,h,i,f);Ib(k+16|0,p,r,b,c,g);Ib(k,d,e,h,i,g);p=I[k+32>>2]|I[k+16>>2]|(I[k+48>>2]|I[k+56>>2]|(I[k+52>>2]|I[k+60>>2]))!=0;r=I[k+36>>2]|I[k+20>>2];b=I[k+40>>2]|I[k+24>>2];c=I[k+44>>2]|I[k+28>>2];d=I[k>>2];e=I[k+4>>2];g=I[k+8>>2];f=I[k+12>>2];break d}b=0;c=0;break a}g=h;f=i&65535|t<<16}m=g|m;o=f|o;if(!(!b&(c|0)==-2147483648?!(p|r):(c|0)>0|(c|0)>=0)){b=d+1|0;j=b?e:e+1|0;e=o;c=j;d=!(j|b);m=d+m|0;o=d>>>0>m>>>0?e+1|0:e;break a}if(b|p|(c^-2147483648|r)){b=d;c=e;break a}f=e;b=d&1;c=b;b=b+d|0;c=c>>>0>b>>>0?f+1|0:f;d=(f|0)==(c|0)&b>>>0<d>>>0|c>>>0<f>>>0;f=o;m=d+m|0;o=m>>>0<d>>>0?f+1|0:f}I[a>>2]=b;I[a+4>>2]=c;I[a+8>>2]=m;I[a+12>>2]=o;ra=k+96|0}function pb(a,b,c,d,e,f,g){var h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0,z=0,A=0,B=0,C=0,D=0,E=0;i=ra-480|0;ra=i;I[i+476>>2]=0;I[i+456>>2]=0;I[i+460>>2]=0;I[i+448>>2]=0;I[i+452>>2]=0;I[i+440>>2]=0;I[i+444>>2]=0;I[i+432>>2]=0;I[i+436>>2]=0;h=0;a:{if(!I[a+684>>2]){break a}o=g?I[g>>2]:o;while(1){b:{l=J[b+h|0];G[(i+112|0)+h|0]=l;j=h+1|0;if(h>>>0>157){break b}h=j;if(l){continue}}break}G[j+(i+112|0)|0]=0;q=f&268435456;if(!(q|!(I[49257]&8))){j=0;l=J[b|0];c:{if(!(l&223)){break c}h=0;while(1){G[(i+272|0)+h|0]=l;j=h+1|0;l=J[j+b|0];if(!(l&223)){break c}k=h>>>0<118;h=j;if(k){continue}break}}h=i+272|0;G[h+j|0]=0;I[i+48>>2]=h;Sa(I[49255],(f|0)>=0?87028:86886,i+48|0)}I[i+464>>2]=b;I[a+8208>>2]=0;I[a+8212>>2]=0;if(e){G[e|0]=0}h=J[b|0];d:{e:{if(!(h&223)){break e}s=f&536870912;t=f&4096;r=a+5168|0;u=a+6704|0;v=a+7184|0;w=a+7924|0;x=a+6192|0;y=a+7668|0;z=i+105|0;j=b;l=0;while(1){k=La(i+476|0,j);p=((Ra(I[i+476>>2])|0)!=0)+p|0;m=h&255;n=J[m+y|0];h=I[i+476>>2];f:{if(!(!(h-48>>>0<10|h-2406>>>0<10)|(p?J[a+170|0]:0))){G[i+104|0]=95;Ka(z,j,k);h=1;G[(i+k|0)+105|0]=0;m=i- -64|0;Ia(a,i+104|0,m);if(l){h=Ga(m)+m|0;G[h|0]=11;G[h+1|0]=0;h=0}Qc(a,c,d,i- -64|0);I[i+464>>2]=j+k;l=h;break f}g:{h:{h=I[i+476>>2]-I[a+600>>2]|0;if(h>>>0>127){break h}h=I[(h<<2)+x>>2];if(!h){break h}cc(a,i+464|0,b,k,h,i+448|0,f,o);break g}if(n){A=(m<<2)+r|0;h=J[m+w|0];n=n+h|0;B=m|J[j+1|0]<<8;l=0;while(1){j=h<<2;i:{if(I[j+v>>2]!=(B|0)){break i}I[i+472>>2]=I[i+464>>2];cc(a,i+472|0,b,2,I[j+u>>2],i+432|0,f,o);j=I[i+432>>2];if((j|0)>0){j=j+35|0;I[i+432>>2]=j}l=1;cc(a,i+464|0,b,1,I[A>>2],i+448|0,f,o);if(I[i+448>>2]>(j|0)){break i}j=I[i+444>>2];I[i+456>>2]=I[i+440>>2];I[i+460>>2]=j;j=I[i+436>>2];I[i+448>>2]=I[i+432>>2];I[i+452>>2]=j;I[i+464>>2]=I[i+472>>2]}h=h+1|0;if(n>>>0>h>>>0){continue}break}if(l){break g}}j:{h=I[(m<<2)+r>>2];k:{if(!h){cc(a,i+464|0,b,0,I[a+5168>>2],i+448|0,f,o);if(I[i+448>>2]){break j}if(J[197048]&16){break k}j=I[i+464>>2];m=j-1|0;l=La(i+468|0,m);h=I[i+468>>2];if(!(I[a+600>>2]<=0|(h|0)>577)){if(lb(h)){I[i+32>>2]=21;Fa(c,87058,i+32|0);break d}h=I[i+468>>2]}l:{if((h|0)!=57384){break l}n=I[a+92>>2];if((n|0)<=I[49412]){break l}I[49412]=n}m:{if(!Tb(h)){break m}h=I[a+72>>2];if((h|0)<=I[49412]){break m}I[49412]=h}n:{h=I[i+468>>2];n=h-192|0;if(n>>>0>413){break n}n=J[n+94256|0];if(!n){break n}l=l-1|0;if(J[j-2|0]==32&J[l+j|0]==32){break n}I[i+472>>2]=m;G[m|0]=n;while(1){h=j;k=J[h+l|0];G[h|0]=k;j=h+1|0;if((k|0)!=32){continue}break}if((l|0)>0){Ja(h,32,l)}o:{if(!I[a+24>>2]){break o}if((ud(94238,I[i+468>>2])|0)<=0){break o}I[i+464>>2]=m;l=0;break f}l=0;G[c|0]=0;I[i+464>>2]=b;I[a+8208>>2]=0;I[a+8212>>2]=0;break f}h=jc(h);if(!h){break k}j=I[h+4>>2];if((j|0)==I[a+600>>2]){break k}if((j|0)==I[a+188>>2]){C=i,D=Ed(i- -64|0,I[a+192>>2]),I[C+4>>2]=D;I[i>>2]=21;Fa(c,87227,i);break d}if(!(J[h+16|0]&4)){break k}C=i,D=Ed(i- -64|0,I[h+12>>2]),I[C+20>>2]=D;I[i+16>>2]=21;Fa(c,87227,i+16|0);break d}cc(a,i+464|0,b,1,h,i+448|0,f,o);if(I[i+448>>2]){break j}}h=I[i+476>>2];p:{if(h-768>>>0<112){break p}if(Ra(h)){if(G[(k+I[i+464>>2]|0)-1|0]<33&(p|0)<=1){break p}G[c|0]=0;if(!g){break e}I[g>>2]=I[g>>2]|4096;break e}h=i+272|0;Gb(a,I[i+476>>2],-1,h,0);if(!J[i+272|0]){break p}I[i+448>>2]=1;I[i+452>>2]=h}I[i+464>>2]=(k+I[i+464>>2]|0)-1;break g}I[a+288>>2]=0}h=I[i+452>>2];j=h?h:86144;I[i+452>>2]=j;l=0;if(I[i+448>>2]<=0){break f}h=I[i+456>>2]|1;if((f|0)<0){break a}if(!(J[j|0]!=21|t)){Ha(c,j);break d}if(!(!(I[49257]&8)|q)){q:{h=I[49255];k=I[h+76>>2];if(!((k|0)>=0&(!k|I[58882]!=(k&1073741823)))){r:{if(I[h+80>>2]==10){break r}k=I[h+20>>2];if((k|0)==I[h+16>>2]){break r}I[h+20>>2]=k+1;G[k|0]=10;break q}Be(h);break q}k=h+76|0;m=I[k>>2];I[k>>2]=m?m:1073741823;s:{t:{if(I[h+80>>2]==10){break t}m=I[h+20>>2];if((m|0)==I[h+16>>2]){break t}I[h+20>>2]=m+1;G[m|0]=10;break s}Be(h)}I[k>>2]=0}}h=I[i+456>>2];k=h&-32769;I[i+456>>2]=k;if(!(!e|!k|(h&1024?s:0))){a=I[i+464>>2];Ha(e,j);c=a;a=i+112|0;h=k|(C=c-Ka(b,a,Ga(a))|0,D=0,E=(h&1151)==1024,E?C:D);break a}h=I[i+460>>2];if(h){G[h|0]=69}Qc(a,c,d,j)}j=I[i+464>>2];h=J[j|0];if(h&223){continue}break}}a=i+112|0;Ka(b,a,Ga(a))}h=0}ra=i+480|0;return h}function Re(a,b){var c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0,z=0;e=ra-2976|0;ra=e;I[b>>2]=1;c=I[a+20>>2];h=e+2960|0;I[h>>2]=I[a+16>>2];I[h+4>>2]=c;c=I[a+12>>2];h=e+2952|0;I[h>>2]=I[a+8>>2];I[h+4>>2]=c;c=I[a+4>>2];I[e+2944>>2]=I[a>>2];I[e+2948>>2]=c;if(!I[52363]){Cc()}a:{b:{a=I[e+2948>>2];if(J[a|0]?a:0){break b}a=I[e+2944>>2];if(!a){a=I[e+2952>>2];a=a?a:85067;I[e+2944>>2]=a}c=e+80|0;Qa(c,a,60);Ec(c,0);f=Dc(209456,c);if(!f){break b}I[e+2948>>2]=I[f+4>>2]+1;if(J[e+2958|0]|(J[e+2956|0]|J[e+2957|0])){break b}a=I[f+8>>2];if(!J[211216]){break a}I[e+64>>2]=a;I[e+68>>2]=211216;a=211152;Fa(211152,87769,e- -64|0);break a}q=e+1536|0;o=ra-336|0;ra=o;r=e+2944|0;h=I[r+4>>2];c:{if(!h|!J[h|0]){break c}s=Ga(h);if((s|0)>=0){c=s>>>0>=79?79:s;m=1;while(1){a=G[d+h|0];a=a-65>>>0<26?a|32:a;G[(o+256|0)+d|0]=a;m=((a&255)==45)+m|0;a=(c|0)!=(d|0);d=d+1|0;if(a){continue}break}if((m|0)!=1){break c}}m=1}p=I[52363];d:{if((p|0)<=0){I[q>>2]=0;a=0;break d}l=(m|0)>=0;while(1){i=I[(u<<2)+209456>>2];e:{if(!gb(I[i+8>>2],88041,3)){break e}f:{g:{a=I[r+4>>2];if(a){if(gb(a,91697,3)){break g}}I[q+(g<<2)>>2]=i;break f}h:{if(!l){if(gb(I[i+8>>2],o+256|0,s)){break e}a=100;break h}a=100;i:{if(!m){break i}c=0;d=I[i+4>>2];t=J[d|0];if(!t){if(!gb(o+256|0,90023,9)){break i}break e}while(1){v=1;k=d+1|0;a=1;w=0;d=0;while(1){j:{if((d|0)<(s|0)){j=G[(o+256|0)+d|0];if((j|0)!=45){break j}}j=0}h=d+k|0;n=J[h|0];x=(n|0)==45;a=(x?0:n)<<24>>24==(j|0)?a:0;if(n){d=d+1|0;v=v+x|0;w=(x?a:0)+w|0;continue}break}d=a+w|0;if(d){a=m-d|0;k=(a|0)<=0?5:5-a|0;a=v-d|0;a=O(k-((a|0)>0?a:0)|0,100)-(t<<24>>24<<1)|0;c=(a|0)>(c|0)?a:c}d=h+1|0;t=J[d|0];if(t){continue}break}a=c;if(!a){break e}}c=I[r>>2];k:{if(!c){break k}if(!Wa(c,I[i>>2])){a=a+500|0;break k}a=Wa(c,I[i+8>>2])?a:a+400|0}d=J[r+12|0];l:{if((d-1&255)>>>0>1){break l}c=J[i+12|0];if((c-1&255)>>>0>1){break l}if((c|0)==(d|0)){a=a+50|0;break l}a=a-50|0}d=J[r+13|0];a=J[i+12|0]!=2|d>>>0>12?a:J[i+13|0]>12?a+5|0:a;c=J[i+13|0];if(c){c=((d?O(d,100):3e3)>>>0)/(c>>>0)|0;if(c>>>0<=99){c=1e4/(c>>>0)|0}h=a;a=5-(((c-100&65535)>>>0)/10|0)|0;a=h+(a>>31&a)|0;a=d?a+10|0:a}a=(a|0)<=1?1:a}I[q+(g<<2)>>2]=i;I[i+16>>2]=a}g=g+1|0}u=u+1|0;if((p|0)!=(u|0)){continue}break}I[q+(g<<2)>>2]=0;a=0;if(!g){break d}we(q,g,8);a=g}ra=o+336|0;g=a;if(!a){I[b>>2]=0;a=Dc(209456,85067);I[e+1536>>2]=a;g=(a|0)!=0}b=J[e+2957|0];a=J[e+2956|0];k=2;m:{if((a|0)==2){break m}k=2;if((b-1&255)>>>0<12){break m}z=(a|0)!=1;k=(a|0)==1}h=I[(k<<2)+140456>>2];n=b>>>0<60;l=h+n|0;a=0;n:{if((g|0)>0){c=0;while(1){f=I[(e+1536|0)+(y<<2)>>2];o:{p:{q:{r:{if(!z){b=J[f+12|0];if(c|n){break q}b=(b|0)!=(k|0);break r}if(n){break p}b=0;if(c){break p}}d=0;if(b|J[f+13|0]<60){break o}break p}if((b|0)==(k|0)){break p}d=c;break o}I[(e+80|0)+(c<<2)>>2]=f;d=c+1|0}s:{if(!J[f+15|0]){c=d;break s}p=0;b=a;c=d;if((a|0)>11){break s}while(1){t:{d=J[l|0];if(d){break t}l=h;d=J[h|0];if(d){break t}while(1)continue}a=I[f+12>>2];j=O(b,24)+210864|0;I[j+8>>2]=I[f+8>>2];I[j+12>>2]=a;a=I[f+4>>2];I[j>>2]=I[f>>2];I[j+4>>2]=a;a=I[f+20>>2];I[j+16>>2]=I[f+16>>2];I[j+20>>2]=a;G[j+14|0]=d;I[(e+80|0)+(c<<2)>>2]=j;l=l+1|0;c=c+1|0;a=b+1|0;p=p+1|0;if(p>>>0>=J[f+15|0]){break s}d=(b|0)<11;b=a;if(d){continue}break}}y=y+1|0;if((y|0)!=(g|0)){continue}break}break n}if(!f){break a}c=0}d=J[l|0];u:{if(!d|(a|0)>=12){break u}while(1){b=I[f+12>>2];g=O(a,24)+210864|0;I[g+8>>2]=I[f+8>>2];I[g+12>>2]=b;b=I[f+4>>2];I[g>>2]=I[f>>2];I[g+4>>2]=b;b=I[f+20>>2];I[g+16>>2]=I[f+16>>2];I[g+20>>2]=b;G[g+14|0]=d;I[(e+80|0)+(c<<2)>>2]=g;c=c+1|0;l=l+1|0;d=J[l|0];if(!d){break u}b=(a|0)<11;a=a+1|0;if(b){continue}break}}if(!c){a=0;break a}b=I[(e+80|0)+(J[e+2958|0]%(c|0)<<2)>>2];c=J[b+14|0];if(c){G[211216]=0;I[e+48>>2]=47;a=e+2971|0;Fa(a,91361,e+48|0);G[e+2971|0]=0;v:{if(c>>>0<=9){I[e+20>>2]=c;I[e+16>>2]=a;Fa(211216,91388,e+16|0);break v}I[e+36>>2]=c-10;I[e+32>>2]=e+2971;Fa(211216,91513,e+32|0)}a=I[b+8>>2];I[e+4>>2]=211216;I[e>>2]=a;a=211152;Fa(211152,87769,e);break a}a=I[b+8>>2]}ra=e+2976|0;return a}function sd(a,b,c,d){var e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0;e=ra-352|0;ra=e;G[e+304|0]=0;G[e+224|0]=0;G[e+64|0]=0;h=I[I[49252]+292>>2];m=La(e+348|0,b);f=I[e+348>>2];if((f&1048320)==57344){f=f&255;I[e+348>>2]=f}a:{if(!(d&2)){break a}if(!Cb(f)){break a}Ia(a,85449,e+304|0)}f=ec(I[e+348>>2],a);I[e+348>>2]=f;l=b+m|0;j=d&1;Gb(a,f,G[l|0],e+224|0,j);b=J[e+224|0];if(!b){b=Hd(I[e+348>>2]);b:{if(!b){break b}I[e+348>>2]=b&16383;if(d>>>0<4){break b}c:{b=b>>14;switch(b&1073741823){case 0:case 3:break b;default:break c}}f=I[(b<<2)+139552>>2];b=e+304|0;Ia(a,f,b);if(J[e+304|0]){break b}n=e,o=Fb(84756,197016,197568),G[n+306|0]=o;k=f;f=b|3;Ia(I[49254],k,f);if(!J[e+307|0]){break b}H[e+304>>1]=5385;b=Ga(f)+b|0;G[b+5|0]=0;G[b+4|0]=h;G[b+3|0]=21}Gb(a,I[e+348>>2],G[l|0],e+224|0,j);b=J[e+224|0]}b=b&255;d:{e:{if(b){if((b|0)!=21){break e}Ha(c,e+224|0);m=0;break d}b=1632;f=I[e+348>>2];if((f|0)<1632){break e}i=103376;while(1){if((f|0)>=(b+10|0)){i=i+4|0;b=I[i>>2];if(!b){break e}if((b|0)<=(f|0)){continue}break e}break}b=(f-b|0)+48|0;if((b|0)<=0){break e}Gb(a,b,0,e+224|0,j)}f:{g:{h:{b=jc(I[e+348>>2]);if(b){i=I[b+4>>2];f=I[b+16>>2];i:{if(!b|f&1){break i}g=I[49252];if(I[g+600>>2]==(i|0)|I[g+188>>2]==(i|0)|I[g+184>>2]==(i|0)){break i}G[e+144|0]=0;j:{if(!Ia(g,I[b>>2],e- -64|0)){n=e,o=Fb(84756,197016,197568),G[n+66|0]=o;Ia(I[49254],I[b>>2],e+144|0);break j}g=I[49252];if((g|0)==(a|0)){break j}h=I[a+292>>2];Ha(e+144|0,e- -64|0);G[e+66|0]=I[g+292>>2]}if(!J[e+144|0]){break i}H[e+64>>1]=5385;g=e- -64|0;k=e+144|0;Ha(g|3,k);g=Ga(k)+g|0;G[g+5|0]=0;G[g+4|0]=h;G[g+3|0]=21}if(J[e+224|0]){break f}if(!i){break h}h=I[49252];if(I[h+188>>2]!=(i|0)){break h}b=I[h+192>>2];break g}if(J[e+224|0]){break f}i=0;f=0;b=25966;break g}b=I[b+12>>2];b=b?f&2?25966:b:25966}if(!((b|0)!=27503&(b|0)==I[a+212>>2])){n=e,o=Fb(Ed(e+47|0,b),197016,197568),G[n+226|0]=o;b=I[49254];k:{if(!b){break k}l:{m:{h=I[e+348>>2];if((h|0)>55215){break m}g=h-44032|0;if((g|0)<0){break m}G[e+52|0]=32;k=e+53|0;b=k;if(h-50500>>>0>=588){b=Xa(((g>>>0)/588|0)+4352|0,b)+b|0}h=(g>>>0)/28|0;Xa(((h>>>0)%21|0)+4449|0,b);Xa((g-O(h,28)|0)+4519|0,b+3|0);G[b+6|0]=32;G[b+7|0]=0;G[e+227|0]=0;b=e+224|3;pb(I[49254],k,b,77,0,0,0);qb(I[49254],b,0,-1,0);break l}Gb(b,h,G[l|0],e+224|3,j)}h=e+224|0;b=h|3;if(J[e+227|0]==21){n=e,o=Fb(h|4,197016,197568),G[n+226|0]=o;Gb(I[49254],I[e+348>>2],G[l|0],b,j)}hb(I[I[35052]+60>>2]);if(!J[e+227|0]){break k}H[e+224>>1]=5385;b=Ga(b)+(e+224|0)|0;G[b+3|0]=21;j=I[a+292>>2];G[b+5|0]=0;G[b+4|0]=j}if(J[e+224|0]){break f}}n:{if(f&16){break n}if(lb(I[e+348>>2])){Ia(I[49252],85692,e+224|0)}if(J[e+224|0]){break n}if(!Ya(I[e+348>>2])){Ia(I[49252],85787,e+224|0)}if(J[e+224|0]){break n}Tc(86001,e+224|0,0)}if(f&8?d>>>0<=3:0){break f}b=I[e+348>>2];o:{if((i|0)==10240){f=e+52|0;if(b&1){G[e+52|0]=49;f=e+53|0}if(b&2){G[f|0]=50;f=f+1|0}if(b&4){G[f|0]=51;f=f+1|0;b=I[e+348>>2]}if(b&8){G[f|0]=52;f=f+1|0;b=I[e+348>>2]}if(b&16){G[f|0]=53;f=f+1|0;b=I[e+348>>2]}if(b&32){G[f|0]=54;f=f+1|0;b=I[e+348>>2]}if(b&64){G[f|0]=55;f=f+1|0;b=I[e+348>>2]}if(b&128){G[f|0]=56;f=f+1|0}G[f|0]=0;break o}I[e+32>>2]=b;Fa(e+52|0,86022,e+32|0)}b=e+224|0;i=J[e+52|0];if(i){f=e+52|0;while(1){b=Ga(b)+b|0;G[b|0]=23;b=b+1|0;Gb(I[49252],i<<24>>24,0,b,1);d=J[b|0];p:{if(d?(d|0)!=21:0){break p}d=G[f|0];if((d|0)<97){break p}Tc(I[(d<<2)+139180>>2],b,0)}f=f+1|0;i=J[f|0];if(i){continue}break}}b=Ga(b)+b|0;G[b|0]=9;G[b+1|0]=0}b=Ga(c);q:{if(J[a+144|0]&2){I[e+16>>2]=255;I[e+28>>2]=e+304;I[e+24>>2]=e+224;I[e+20>>2]=e- -64;Fa(e+144|0,86219,e+16|0);break q}I[e>>2]=255;I[e+12>>2]=e+224;I[e+8>>2]=e+304;I[e+4>>2]=e- -64;Fa(e+144|0,86219,e)}a=e+144|0;if(Ga(a)+b>>>0>199){break d}Ha(b+c|0,a)}ra=e+352|0;return m}function Kc(a,b,c,d,e){var f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0;f=ra-432|0;ra=f;G[f+400|0]=0;G[f+336|0]=0;G[f+272|0]=0;G[f+260|0]=0;i=(b|0)/10|0;h=I[35333];m=d&2;a:{b:{if(!(!m|I[35332]!=2)){Ha(e,h);break b}n=d&32?113:111;l=d&1;o=O(i,10);k=1;c:{if(J[h|0]){break c}d:{e:{if(d&8){I[f+256>>2]=b;h=f+420|0;Fa(h,91208,f+256|0);g=f+272|0;k=0;if(Ia(a,h,g)){break c}I[f+240>>2]=b;Fa(h,91324,f+240|0);g=Ia(a,h,g);h=0;break e}if(!l){break d}g=Ha(f+400|0,141344);f:{if(!(d&4)){break f}I[f+228>>2]=n;I[f+224>>2]=b;j=f+420|0;Fa(j,91334,f+224|0);j=Ia(a,j,f+272|0);if(!(!j|!J[141356])){Ha(g,141356);k=0;break c}if(!j){break f}k=0;break c}I[f+212>>2]=n;I[f+208>>2]=b;g=f+420|0;Fa(g,91394,f+208|0);g=Ia(a,g,f+272|0);h=g}j=h;if(!g){break d}k=0;break c}g:{h:{if(m){if(!(G[141336]&1)){break g}g=91508;break h}g=(c|0)>=2?91710:(J[a+110|0]&4)>>>2|0?91544:91710}I[f+192>>2]=b;h=f+420|0;Fa(h,g,f+192|0);if(!Ia(a,h,f+272|0)){break g}k=0;break c}k=1;if(!(!l|!(J[a+109|0]&32))){break c}I[f+176>>2]=b;g=f+420|0;Fa(g,91776,f+176|0);k=!Ia(a,g,f+272|0)}g=k;h=b-o|0;i:{j:{if(!(!(d&16)|(b|0)>9)){Ia(a,88884,f+336|0);break j}if(!g){G[f+336|0]=0;break j}k:{l:{if(!l){break l}I[f+164>>2]=n;I[f+160>>2]=i;g=f+420|0;Fa(g,91856,f+160|0);k=g;g=f+336|0;if(!Ia(a,k,g)){break l}j=1;if(!h|!(J[a+109|0]&16)){break k}fb(g,141344);break k}if(j){break k}I[f+144>>2]=i;g=f+420|0;Fa(g,d&512?91946:92026,f+144|0);Ia(a,g,f+336|0);j=0}g=h;if(!(J[f+336|0]|!(J[a+106|0]&16))){I[f+128>>2]=i&254;g=f+420|0;Fa(g,92026,f+128|0);Ia(a,g,f+336|0);g=(b|0)%20|0}G[f+272|0]=0;if((g|0)<=0){break j}m:{if(!m){break m}i=I[35333];if(!J[i|0]){break m}Ha(f+272|0,i);G[f+400|0]=0;break i}i=0;if(d&8){I[f+112>>2]=g;d=f+420|0;Fa(d,91324,f+112|0);i=Ia(a,d,f+272|0)}if(!(!l|J[a+104|0]&16)){I[f+100>>2]=n;I[f+96>>2]=g;d=f+420|0;Fa(d,91394,f+96|0);i=Ia(a,d,f+272|0);j=i?1:j}if(i){break j}n:{if(!m|!(I[35334]&1)){if(J[a+104|0]&16?0:m){break n}c=(c|0)>=2?91710:(J[a+110|0]&4)>>>2|0?91544:91710}else{c=91508}I[f+80>>2]=g;d=f+420|0;Fa(d,c,f+80|0);if(Ia(a,d,f+272|0)){break j}}I[f+64>>2]=g;c=f+420|0;Fa(c,91776,f- -64|0);Ia(a,c,f+272|0)}if(J[f+400|0]|(j|!l)){break i}if(!((b|0)<20|(J[a+104|0]&16?0:h))){Ia(a,92172,f+400|0);l=1;if(J[f+400|0]){break i}}Ia(a,92215,f+400|0);l=1}b=G[f+272|0];c=I[a+104>>2];if(!(!b|(!(c&48)|!J[f+336|0]))){Ia(a,90834,f+260|0);if(!(!l|!(J[a+109|0]&8))){G[f+260|0]=0}if(J[a+104|0]&16){I[f+28>>2]=f+400;I[f+24>>2]=f+336;I[f+20>>2]=f+260;I[f+16>>2]=f+272;Fa(e,91069,f+16|0);c=1;break a}I[f+12>>2]=f+400;I[f+8>>2]=f+272;I[f+4>>2]=f+260;I[f>>2]=f+336;Fa(e,91069,f);c=1;break a}o:{if(!(c&512)){break o}c=Ga(f+336|0)-1|0;if(!b|(c|0)<0){break o}d=J[I[(b<<2)+152704>>2]+11|0];if((d|0)==1){d=J[I[(G[f+273|0]<<2)+152704>>2]+11|0]}b=c+(f+336|0)|0;if(J[I[(G[b|0]<<2)+152704>>2]+11|0]!=2|(d&255)!=2){break o}G[b|0]=0}if(!(!(J[a+110|0]&8)|!J[f+400|0])){I[f+36>>2]=f+272;I[f+32>>2]=f+336;b=Fa(e,90378,f+32|0);if((b|0)>0){b=b-(J[I[(J[(b+e|0)-1|0]<<2)+152704>>2]+11|0]==2)|0}Ha(b+e|0,f+400|0);break b}I[f+56>>2]=f+400;I[f+52>>2]=f+272;I[f+48>>2]=f+336;Fa(e,92292,f+48|0)}c=0}a=I[a+104>>2];p:{if(a&268435456){if((Ga(e)|0)<=0){break p}b=0;a=0;while(1){d=a+e|0;if(J[d|0]==6){if(b){G[d|0]=5}b=1}a=a+1|0;if((Ga(e)|0)>(a|0)){continue}break}break p}if(!(a&256)){break p}j=Ga(e);a=j-1|0;if((a|0)<0){break p}b=1;if(a){h=e-1|0;l=j&-2;d=0;b=0;while(1){i=a+e|0;q:{if(J[i|0]!=6){g=d;break q}g=1;if(!d){break q}G[i|0]=5}i=a+h|0;r:{if(J[i|0]!=6){d=g;break r}d=1;if(!g){break r}G[i|0]=5}a=a-2|0;b=b+2|0;if((l|0)!=(b|0)){continue}break}b=!d}if(!(j&1)){break p}a=a+e|0;if((J[a|0]!=6|b)&1){break p}G[a|0]=5}ra=f+432|0;return c}function Pc(a,b,c,d,e,f,g){var h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0,x=0,y=0,z=0,A=0,B=0,C=0;k=ra-528|0;ra=k;m=g?I[g>>2]:0;x=I[e+4>>2];a:{b:{c:{if(I[a+220>>2]>0){r=k+352|0;Qa(r,b,160);h=ra-176|0;ra=h;s=I[a+224>>2];t=I[a+216>>2];o=I[a+220>>2];n=r;d:{e:{while(1){f:{p=La(h+172|0,n);i=I[h+172>>2];if(!i){i=l;break f}if((i|0)<(o|0)|(i|0)>(t|0)){break e}i=i-o|0;g:{if(!s){i=i+1|0;break g}i=G[i+s|0];if((i|0)<=0){break e}}n=n+p|0;G[h+l|0]=i;i=160;l=l+1|0;if((l|0)!=160){continue}}break}G[h+i|0]=0;p=G[h|0];I[h+172>>2]=p;h:{if(!p){o=h;break h}y=(t-o|0)+2|0;n=h;o=h;while(1){s=n+1|0;t=I[a+8180>>2];i:{j:{if(!t){break j}i=0;l=H[t>>1];v=(G[s|0]<<8)+p|0;if((l|0)>(v|0)){break j}while(1){if((l|0)==(v|0)){p=i+y|0;I[h+172>>2]=p;n=n+2|0;break i}i=i+1|0;l=H[t+(i<<1)>>1];if((v|0)>=(l|0)){continue}break}}n=s}u=p&63|u<<6;k:{if((q|0)<2){q=q+6|0;break k}q=q-2|0;G[o|0]=u>>q;o=o+1|0}p=G[n|0];I[h+172>>2]=p;if(p){continue}break}if((q|0)<=0){break h}G[o|0]=u<<8-q;o=o+1|0}G[o|0]=0;n=o-h|0;Ka(r,h,n);o=n|64;break d}o=Ga(r)}ra=h+176|0;n=r;break c}o=Ga(b);n=b}i=J[n|0];if(i){h=0;l=n;while(1){j=(j<<3)+i|0;j=j&1023^j>>>8;h=h+1|0;l=l+1|0;i=J[l|0];if(i){continue}break}h=h+j&1023}else{h=0}j=I[((h<<2)+a|0)+692>>2];if(j){h=J[j|0];if(h){break b}h=0;break a}h=0;if(!e){break a}I[e>>2]=0;break a}t=x&1073741824;v=f&2048;x=m&512;y=m&65536;z=m&1;A=m&2;s=f&8;B=f&1024;p=f&4;C=o&63;while(1){f=(h&255)+j|0;l:{m:{h=J[j+1|0];if((h&127)!=(o|0)){break m}if(gb(n,j+2|0,C)){break m}j=((h&63)+j|0)+2|0;n:{o:{if(h<<24>>24<0){G[d|0]=0;r=1;break o}h=Ga(j);if((h|0)>=160){break n}Ha(d,j);j=(h+j|0)+1|0;r=!h}i=0;p:{if(f>>>0<=j>>>0){h=c;m=0;break p}l=0;m=0;q:{while(1){h=j;j=h+1|0;h=J[h|0];r:{if(h>>>0>=100){q=I[a+320>>2];if(h>>>0>=132){l=q>>>h-132|l;break r}l=!(q>>>h-100&1)|l;break r}if(h>>>0>=81){q=h-80|0;u=f-j|0;s:{if(!g){break s}h=0;while(1){w=O(h,12)+g|0;if(!J[w+10|0]){break s}l=(J[w+1|0]&12)!=0|l;w=(h|0)!=(q|0);h=h+1|0;if(w){continue}break}}if(re(c,j,u)|l&1){break m}I[35324]=q;h=c+u|0;m=m|128;j=f;break q}if(h>>>0>=65){m=h&15|m&-16;m=(h&12)==12?m|512:m;break r}if(h>>>0>=32){i=1<<h-32|i;break r}m=1<<h|m}if(f>>>0>j>>>0){continue}break}h=c;if(l&1){break l}}if(!(i&65536?p:1)){break l}if(!B){break p}if(i&49152){break l}}t:{if(!p){break t}if(i&16384){break l}if(s){break t}if(i&32768){break l}}if((A?0:i&512)|(z?0:i&1024)|(y?0:m&33554432)){break l}if(!(!(i&131072)|L[I[49252]+8204>>2]<=h>>>0|t)|((x?0:i&262144)|(J[I[49252]+8242|0]&8?0:i&8192))){break l}u:{if(!(i&16)){break u}if(!I[a+8184>>2]&(!s|!I[a+8192>>2])){break l}if(!s|I[a+212>>2]!=25966){break u}if(I[a+8232>>2]&2097152){break l}}if((I[a+8188>>2]?0:i&64)|(!I[a+8196>>2]|v?i&32:0)){break l}f=I[49252];if(!(!(m&65536)|I[a+212>>2]!=26741|J[a+8233|0]&128)|((f|0)!=(a|0)?i&524288:0)){break l}v:{w:{x:{if(!e){if(r){break x}break v}I[e+4>>2]=i;I[e>>2]=m|1073741824;if(!r){break w}}h=0;if(!(J[197028]&8)){break a}a=k+272|0;Td(e,a);I[k>>2]=b;I[k+4>>2]=a;Sa(I[49255],89340,k);break a}I[e>>2]=m|-1073741824}y:{if(!(J[197028]&8)){break y}Hb(d,k- -64|0);if(J[f+172|0]!=(m>>>29&1)){break y}z:{if(!(!g|!(m&128))){a=k+352|0;d=c;c=h-c|0;Ka(a,d,c);G[(c+k|0)+351|0]=0;I[k+32>>2]=b;I[k+36>>2]=a;Sa(I[49255],89407,k+32|0);break z}I[k+48>>2]=b;Sa(I[49255],89436,k+48|0)}a=k+272|0;Td(e,a);b=I[49255];I[k+16>>2]=k- -64;I[k+20>>2]=a;Sa(b,89544,k+16|0)}a=La(k- -64|0,n);if(J[a+n|0]|!e){break a}if(Ra(I[k+64>>2])){break a}I[e>>2]=I[e>>2]|134217728;break a}ca(89246,86643,2501,94862);D()}j=f}h=J[j|0];if(h){continue}break}h=0}ra=k+528|0;return h}function hf(a,b,c,d,e){var f=0,g=0,h=0;g=ra-304|0;ra=g;G[g+278|0]=0;a:{if((b|0)>0){if(d&1){if(d&2){I[g+164>>2]=c;I[g+160>>2]=b;f=g+290|0;Fa(f,89711,g+160|0);f=Ia(a,f,g+224|0);if(f){break a}}if(G[141336]&1){I[g+148>>2]=c;I[g+144>>2]=b;f=g+290|0;Fa(f,89767,g+144|0);f=Ia(a,f,g+224|0);if(f){break a}}I[g+132>>2]=c;I[g+128>>2]=b;f=g+290|0;Fa(f,89904,g+128|0);f=Ia(a,f,g+224|0);if(f){break a}}I[g+116>>2]=c;I[g+112>>2]=b;f=g+290|0;Fa(f,89984,g+112|0);f=Ia(a,f,g+224|0);if(f){break a}}h=(b|0)%100|0;if((h|0)>=20){Ia(a,90032,g+278|0)}b:{if(!(d&1)){d=h-11|0;break b}c:{if(!(d&2)){break c}f=h-11|0;d:{e:{f:{switch((I[I[49252]+108>>2]&448)+-64>>>6|0){case 0:if(f>>>0<9){break e}f=(b|0)%10|0;d=90428;if((f|0)==1){break d}if(f-2>>>0>=3){break e}d=90463;break d;case 1:if(b-2>>>0>=3){break e}d=90463;break d;case 2:if(f>>>0<9|((b|0)%10|0)-2>>>0>=3){break e}d=90463;break d;case 3:d=90518;if(f>>>0<9){break d}d=(b|0)%10|0;d=d?(d|0)==1?90463:90596:90518;break d;case 4:break f;default:break e}}if(f>>>0<9){break e}f=(b|0)%10|0;d=90547;if((f|0)==1){break d}if(f-2>>>0>=3){break e}d=90463;break d}d=90596}I[g+100>>2]=c;I[g+96>>2]=d;d=g+290|0;Fa(d,90068,g+96|0);if(!Ia(a,d,g+224|0)){break c}f=0;break a}d=h-11|0;g:{if(!(G[141336]&1)){break g}h:{i:{j:{switch((I[I[49252]+108>>2]&448)+-64>>>6|0){case 0:if(d>>>0<9){break i}h=(b|0)%10|0;f=90428;if((h|0)==1){break h}if(h-2>>>0>=3){break i}f=90463;break h;case 1:if(b-2>>>0>=3){break i}f=90463;break h;case 2:if(d>>>0<9|((b|0)%10|0)-2>>>0>=3){break i}f=90463;break h;case 3:f=90518;if(d>>>0<9){break h}f=(b|0)%10|0;f=f?(f|0)==1?90463:90596:90518;break h;case 4:break j;default:break i}}if(d>>>0<9){break i}h=(b|0)%10|0;f=90547;if((h|0)==1){break h}if(h-2>>>0>=3){break i}f=90463;break h}f=90596}I[g+84>>2]=c;I[g+80>>2]=f;f=g+290|0;Fa(f,90120,g+80|0);if(!Ia(a,f,g+224|0)){break g}f=0;break a}k:{l:{m:{switch((I[I[49252]+108>>2]&448)+-64>>>6|0){case 0:if(d>>>0<9){break l}h=(b|0)%10|0;f=90428;if((h|0)==1){break k}if(h-2>>>0>=3){break l}f=90463;break k;case 1:if(b-2>>>0>=3){break l}f=90463;break k;case 2:if(d>>>0<9|((b|0)%10|0)-2>>>0>=3){break l}f=90463;break k;case 3:f=90518;if(d>>>0<9){break k}f=(b|0)%10|0;f=f?(f|0)==1?90463:90596:90518;break k;case 4:break m;default:break l}}if(d>>>0<9){break l}h=(b|0)%10|0;f=90547;if((h|0)==1){break k}if(h-2>>>0>=3){break l}f=90463;break k}f=90596}I[g+68>>2]=c;I[g+64>>2]=f;f=g+290|0;Fa(f,90149,g- -64|0);if(!Ia(a,f,g+224|0)){break b}f=0;break a}n:{o:{p:{switch((I[I[49252]+108>>2]&448)+-64>>>6|0){case 0:if(d>>>0<9){break o}d=(b|0)%10|0;f=90428;if((d|0)==1){break n}if(d-2>>>0>=3){break o}f=90463;break n;case 1:if(b-2>>>0>=3){break o}f=90463;break n;case 2:if(d>>>0<9|((b|0)%10|0)-2>>>0>=3){break o}f=90463;break n;case 3:f=90518;if(d>>>0<9){break n}d=(b|0)%10|0;f=d?(d|0)==1?90463:90596:90518;break n;case 4:break p;default:break o}}if(d>>>0<9){break o}d=(b|0)%10|0;f=90547;if((d|0)==1){break n}if(d-2>>>0>=3){break o}f=90463;break n}f=90596}I[g+52>>2]=c;I[g+48>>2]=f;d=g+290|0;Fa(d,90228,g+48|0);f=0;h=g+224|0;if(Ia(a,d,h)){break a}q:{if((c|0)<4){break q}I[g+32>>2]=c-1;Fa(d,89035,g+32|0);if(Ia(a,d,g+176|0)){break q}Ia(a,90283,h);I[35335]=3}if(J[g+224|0]){break a}I[g+16>>2]=b;d=g+290|0;Fa(d,90313,g+16|0);f=d;d=g+224|0;f=Ia(a,f,d);if(!f){Ia(a,90357,d)}I[35335]=2}I[g+4>>2]=g+224;I[g>>2]=g+278;Fa(e,90378,g);ra=g+304|0;r:{if(!((b|0)!=1|(c|0)!=1)){b=1;if(J[a+106|0]&32){break r}}b=f}return b}function Te(a){var b=0,c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0;b=I[35052];I[b+64>>2]=290816;I[b+68>>2]=4104;I[b+96>>2]=0;I[b+100>>2]=0;I[b+120>>2]=90;I[b+124>>2]=100;I[b+112>>2]=64;I[b+116>>2]=256;I[b+104>>2]=5;I[b+108>>2]=0;I[b+84>>2]=100;I[b+88>>2]=64;c=I[52814];I[b+132>>2]=0;I[b+136>>2]=0;I[b+128>>2]=c;I[b+140>>2]=0;I[b+144>>2]=0;I[b+148>>2]=0;I[b+152>>2]=0;I[b+156>>2]=0;I[b+160>>2]=0;I[38495]=450;I[b+92>>2]=2;I[52930]=0;I[52931]=0;I[52940]=0;I[52941]=0;I[52950]=0;I[52951]=0;I[52932]=0;I[52933]=0;I[52942]=0;I[52943]=0;I[52952]=0;I[52953]=0;d=-3.141592653589793/+I[52814];N[26459]=d;e=d*-2;N[26460]=e;d=Ua(d*200);g=d*-d;N[26464]=g;N[26469]=g;N[26474]=g;e=d*Ta(e*2e3);d=e+e;N[26463]=d;N[26468]=d;N[26473]=d;e=1-d-g;N[26462]=e;N[26467]=e;N[26472]=e;I[52962]=0;I[52963]=0;I[52960]=0;I[52961]=0;N[26479]=g;N[26478]=d;I[52972]=0;I[52973]=0;N[26477]=e;I[52970]=0;I[52971]=0;N[26484]=g;N[26483]=d;I[52982]=0;I[52983]=0;N[26482]=e;I[52980]=0;I[52981]=0;N[26489]=g;N[26488]=d;I[52992]=0;I[52993]=0;N[26487]=e;I[52990]=0;I[52991]=0;N[26494]=g;N[26493]=d;N[26492]=e;I[53002]=0;I[53003]=0;I[53e3]=0;I[53001]=0;N[26499]=g;N[26498]=d;N[26497]=e;I[53012]=0;I[53013]=0;I[53010]=0;I[53011]=0;N[26504]=g;N[26503]=d;N[26502]=e;b=I[35052];H[b+236>>1]=256;H[b+164>>1]=256;H[b+254>>1]=260;H[b+182>>1]=260;c=0;I[b+308>>2]=0;I[b+272>>2]=0;H[b+200>>1]=280;H[b+218>>1]=0;I[52296]=5292e3/I[52814];H[b+238>>1]=256;H[b+166>>1]=256;H[b+256>>1]=256;H[b+184>>1]=256;I[b+312>>2]=200;I[b+276>>2]=0;H[b+202>>1]=256;H[b+220>>1]=0;I[52297]=3748500/I[52814];H[b+240>>1]=256;H[b+168>>1]=256;H[b+258>>1]=240;H[b+186>>1]=240;I[b+316>>2]=200;I[b+280>>2]=0;H[b+204>>1]=256;H[b+222>>1]=0;I[52298]=3748500/I[52814];H[b+242>>1]=256;H[b+170>>1]=256;H[b+260>>1]=232;H[b+188>>1]=232;I[b+320>>2]=400;I[b+284>>2]=0;H[b+206>>1]=320;H[b+224>>1]=0;I[52299]=3748500/I[52814];H[b+244>>1]=256;H[b+172>>1]=256;H[b+262>>1]=200;H[b+190>>1]=200;I[b+324>>2]=400;I[b+288>>2]=0;H[b+208>>1]=342;H[b+226>>1]=0;I[52300]=3748500/I[52814];H[b+246>>1]=256;H[b+174>>1]=256;H[b+264>>1]=200;H[b+192>>1]=200;I[b+328>>2]=400;I[b+292>>2]=0;H[b+210>>1]=342;H[b+228>>1]=0;I[52301]=3748500/I[52814];H[b+248>>1]=256;H[b+176>>1]=256;H[b+266>>1]=256;H[b+194>>1]=256;I[b+332>>2]=600;I[b+296>>2]=0;H[b+212>>1]=256;H[b+230>>1]=0;I[52302]=3748500/I[52814];H[b+250>>1]=256;H[b+178>>1]=256;H[b+268>>1]=256;H[b+196>>1]=256;I[b+336>>2]=600;I[b+300>>2]=0;H[b+214>>1]=256;H[b+232>>1]=0;I[52303]=3748500/I[52814];H[b+252>>1]=256;H[b+180>>1]=256;H[b+270>>1]=256;H[b+198>>1]=256;I[b+340>>2]=600;I[b+304>>2]=0;H[b+216>>1]=256;H[b+234>>1]=0;I[52304]=3748500/I[52814];l=I[35052]+344|0;h=I[35041];while(1){b=i;j=h;m=c;h=c<<2;f=h+140160|0;c=I[f>>2];a:{if((c|0)!=-1){break a}c=8e3;I[f>>2]=8e3;if(!m){break a}I[h+140164>>2]=I[f-4>>2]}h=I[h+140164>>2];i=(c|0)/8|0;b:{if((b|0)>=(i|0)){break b}k=i-b|0;if((k|0)<=0){break b}f=b+1|0;c=b;if(k&1){G[b+l|0]=(j|0)>=255?255:j;c=f}if((f|0)==(i|0)){break b}n=h-j|0;while(1){f=((O(n,c-b|0)|0)/(k|0)|0)+j|0;G[c+l|0]=(f|0)>=255?255:f;f=c+1|0;o=((O(n,f-b|0)|0)/(k|0)|0)+j|0;G[f+l|0]=(o|0)>=255?255:o;c=c+2|0;if((i|0)!=(c|0)){continue}break}}c=m+2|0;if(m>>>0<10){continue}break}c=I[35052];I[c+80>>2]=232;I[c+72>>2]=256;I[c+76>>2]=238;if(!a){I[51908]=0}H[c+200>>1]=(O(H[c+200>>1],105)|0)/100}function Oc(a,b,c,d){var e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0;h=ra+-64|0;ra=h;H[h+48>>1]=0;I[h+40>>2]=0;I[h+44>>2]=0;I[h+32>>2]=0;I[h+36>>2]=0;I[h+24>>2]=0;I[h+28>>2]=0;I[h+16>>2]=0;I[h+20>>2]=0;I[h+8>>2]=0;I[h+12>>2]=0;I[h>>2]=0;I[h+4>>2]=0;e=b;a:{while(1){b:{g=J[e|0];c:{if((g|0)!=69){if((g|0)!=32){break c}if(d){g=d;d=e-b|0;d=(d|0)>=159?159:d;m=Ka(g,b,d)+d|0,n=0,G[m|0]=n}d=c&63;if(d){break b}break a}G[e|0]=101}e=e+1|0;continue}break}d:{if(!(c&1)){f=d;g=f;break d}e=e-1|0;e:{if(e>>>0<b>>>0){g=d;break e}g=d;while(1){if(G[e|0]>-65){break e}g=g+1|0;e=e-1|0;if(e>>>0>=b>>>0){continue}break}}f=d-1|0}if((d|0)!=1){while(1){d=f;e=e-1|0;f:{if(e>>>0<b>>>0){break f}while(1){if(G[e|0]>-65){break f}g=g+1|0;e=e-1|0;if(e>>>0>=b>>>0){continue}break}}e=e-1|0;g:{if(e>>>0<b>>>0){break g}while(1){if(G[e|0]>-65){break g}g=g+1|0;e=e-1|0;if(e>>>0>=b>>>0){continue}break}}f=d-2|0;if((d|0)>2){continue}break}}if((g|0)<=0){f=0;break a}b=g-1|0;f=(b>>>0>=48?48:b)+1|0;j=f&3;d=0;b=0;if(g>>>0>=4){l=f&124;g=0;while(1){i=b+e|0;G[b+h|0]=J[i|0];G[i|0]=32;k=b|1;i=k+e|0;G[h+k|0]=J[i|0];G[i|0]=32;k=b|2;i=k+e|0;G[h+k|0]=J[i|0];G[i|0]=32;k=b|3;i=k+e|0;G[h+k|0]=J[i|0];G[i|0]=32;b=b+4|0;g=g+4|0;if((l|0)!=(g|0)){continue}break}}if(!j){break a}while(1){g=b+e|0;G[b+h|0]=J[g|0];G[g|0]=32;b=b+1|0;d=d+1|0;if((j|0)!=(d|0)){continue}break}}G[f+h|0]=0;d=c&65520;j=e-1|0;if(!(!(c&512)|J[j|0]!=105)){G[j|0]=121}g=d|4;h:{if(!(c&256)){break h}i:{j:{k:{b=I[a+212>>2];if((b|0)!=25966){if((b|0)!=28268){break k}d=G[j|0];if((d|0)<0){break i}f=G[e-2|0];if(f&128){break i}i=I[a+632>>2];l:{if(i){b=($a(i,f)|0)!=0;break l}b=f;l=I[a+600>>2];if((l|0)>0){b=b-l|0;if(b-1>>>0>254){break i}}b=J[(a+b|0)+344|0]&128}if(!b){break i}b=I[a+612>>2];m:{if(b){b=($a(b,d)|0)!=0;break m}b=d;l=I[a+600>>2];if((l|0)>0){b=b-l|0;if(b-1>>>0>254){break i}}b=J[(a+b|0)+344|0]&4}if(!b){break i}b=G[e-3|0];n:{o:{if(i){b=($a(i,b)|0)!=0;break o}i=I[a+600>>2];p:{if((i|0)>0){b=b-i|0;if(b-1>>>0<255){break p}break n}if((b|0)<0){break n}}b=J[(a+b|0)+344|0]&128}if(b){break i}}G[e|0]=d;G[j|0]=f;G[e+1|0]=32;break i}f=G[e-2|0];b=I[a+632>>2];q:{if(b){b=($a(b,f)|0)!=0;break q}b=I[a+600>>2];r:{if((b|0)>0){f=f-b|0;if(f-1>>>0<255){break r}break j}if((f|0)<0){break j}}b=J[(a+f|0)+344|0]&128}if(!b){break j}f=G[j|0];b=I[a+608>>2];s:{if(b){b=($a(b,f)|0)!=0;break s}b=I[a+600>>2];t:{if((b|0)>0){f=f-b|0;if(f-1>>>0>=255){break j}break t}if((f|0)<0){break j}}b=J[(a+f|0)+344|0]&2}if(!b){break j}g=gb(87780,e-3|0,3)?d|20:g;break i}g=I[a+204>>2]?d|20:g;break i}u:{if(J[j|0]==99){break u}b=e-2|0;f=J[b+1|0]<<8;i=(J[b|0]|f)==29554;f=f|J[b|0];if(i|(f|0)==29289|(f|0)==29301){break u}if(!gb(88124,e-3|0,3)|((J[b|0]|J[b+1|0]<<8)==29550|J[j|0]==117)){break u}if(!gb(88393,e-5|0,5)){break u}b=e-4|0;f=J[b+2|0]<<16|J[b+3|0]<<24;if((J[b|0]|J[b+1|0]<<8|f)==1735287154){break u}if((f|(J[b|0]|J[b+1|0]<<8))!=1735549292){break i}}g=d|20}if(!(g&16)){break h}Xa(I[a+204>>2],e);if(!(J[197028]&8)){break h}cd(88692,6,I[49255])}if(!(I[a+8184>>2]|!(c&2048))){I[a+8184>>2]=1}v:{if(K[h>>1]!=115){if(gb(h,88859,3)){break v}}g=g|8}ra=h- -64|0;return J[h|0]==39?g&65531:g}function kb(a,b,c,d,e,f,g,h,i){var j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0;k=ra-112|0;ra=k;j=i&2147483647;a:{b:{m=e&2147483647;l=2147418112;n=!(b|c);if(!(d|m?m-l>>>0<2147549184:n)){r=j-l|0;if(!h&(r|0)==-2147418112?f|g:(r|0)==-2147418112&(h|0)!=0|r>>>0>2147549184){break b}}if(!(!d&(m|0)==2147418112?n:m>>>0<2147418112)){h=d;i=e|32768;f=b;g=c;break a}if(!(!h&(j|0)==2147418112?!(f|g):j>>>0<2147418112)){i=i|32768;break a}if(!(b|d|(m^2147418112|c))){j=d;d=!(b^f|d^h|(c^g|e^i^-2147483648));h=d?0:j;i=d?2147450880:e;f=d?0:b;g=d?0:c;break a}l=f|h;if(!(l|(j^2147418112|g))){break a}if(!(b|d|(c|m))){if(g|j|l){break a}f=b&f;g=c&g;h=d&h;i=e&i;break a}if(f|h|(g|j)){break b}f=b;g=c;h=d;i=e;break a}l=(j|0)==(m|0);p=l&(d|0)==(h|0)?(c|0)==(g|0)&b>>>0<f>>>0|c>>>0<g>>>0:l&d>>>0<h>>>0|j>>>0>m>>>0;n=p;m=n?f:b;r=n?g:c;l=n?i:e;s=l;n=n?h:d;q=l&65535;j=p?d:h;l=p?e:i;d=l;l=d>>>16&32767;o=s>>>16&32767;if(!o){o=!(n|q);h=o;o=h<<6;t=R(h?m:n)+32|0;h=R(h?r:q);o=o+((h|0)==32?t:h)|0;db(k+96|0,m,r,n,q,o-15|0);n=I[k+104>>2];q=I[k+108>>2];r=I[k+100>>2];o=16-o|0;m=I[k+96>>2]}f=p?b:f;g=p?c:g;b=j;c=d&65535;if(!l){j=!(b|c);p=j;d=j?f:b;j=j<<6;p=R(p?g:c);j=j+((p|0)==32?R(d)+32|0:p)|0;db(k+80|0,f,g,b,c,j-15|0);l=16-j|0;f=I[k+80>>2];g=I[k+84>>2];b=I[k+88>>2];c=I[k+92>>2]}d=c<<3;c=b;b=d|b>>>29;j=c<<3;c=b;b=g>>>29|j;c=c|524288;j=q<<3|n>>>29;q=n<<3|r>>>29;p=j;h=e^i;j=g<<3|f>>>29;d=f<<3;c:{if((l|0)==(o|0)){break c}e=o-l|0;if(e>>>0>127){b=0;c=0;j=0;d=1;break c}db(k- -64|0,d,j,b,c,128-e|0);Ib(k+48|0,d,j,b,c,e);b=I[k+56>>2];c=I[k+60>>2];j=I[k+52>>2];d=I[k+48>>2]|(I[k+64>>2]|I[k+72>>2]|(I[k+68>>2]|I[k+76>>2]))!=0}n=d;l=j;p=p|524288;j=r<<3|m>>>29;m=m<<3;d:{if((h|0)<0){f=0;g=0;h=0;i=0;if(!(m^n|b^q|(j^l|c^p))){break a}d=m-n|0;e=j-((m>>>0<n>>>0)+l|0)|0;f=q-b|0;g=(j|0)==(l|0)&m>>>0<n>>>0|j>>>0<l>>>0;h=f-g|0;b=(p-((b>>>0>q>>>0)+c|0)|0)-(f>>>0<g>>>0)|0;i=b;if(b>>>0>524287){break d}c=!(b|h);g=c;i=c?d:h;c=c<<6;g=R(g?e:b);c=c+((g|0)==32?R(i)+32|0:g)|0;f=b;b=c-12|0;db(k+32|0,d,e,h,f,b);o=o-b|0;h=I[k+40>>2];i=I[k+44>>2];d=I[k+32>>2];e=I[k+36>>2];break d}j=j+l|0;d=m+n|0;e=d>>>0<m>>>0?j+1|0:j;f=(l|0)==(e|0)&d>>>0<n>>>0|e>>>0<l>>>0;j=c+p|0;b=b+q|0;j=b>>>0<q>>>0?j+1|0:j;h=b+f|0;i=h>>>0<b>>>0?j+1|0:j;if(!(i&1048576)){break d}d=n&1|((e&1)<<31|d>>>1);e=h<<31|e>>>1;o=o+1|0;h=(i&1)<<31|h>>>1;i=i>>>1|0}f=0;b=s&-2147483648;m=b;if((o|0)>=32767){h=f;i=b|2147418112;g=0;break a}l=0;e:{if((o|0)>0){l=o;break e}db(k+16|0,d,e,h,i,o+127|0);Ib(k,d,e,h,i,1-o|0);d=I[k>>2]|(I[k+16>>2]|I[k+24>>2]|(I[k+20>>2]|I[k+28>>2]))!=0;e=I[k+4>>2];h=I[k+8>>2];i=I[k+12>>2]}c=(e&7)<<29|d>>>3;b=h<<29|e>>>3;e=f|((i&7)<<29|h>>>3);f=m|(i>>>3&65535|l<<16);f:{g:{d=d&7;if((d|0)!=4){i=f;f=d>>>0>4;g=f;f=c+f|0;g=g>>>0>f>>>0?b+1|0:b;b=(g|0)==(b|0)&c>>>0>f>>>0|b>>>0>g>>>0;h=b+e|0;i=b>>>0>h>>>0?i+1|0:i;break g}j=f;d=c&1;f=c+d|0;g=d>>>0>f>>>0?b+1|0:b;b=(g|0)==(b|0)&c>>>0>f>>>0|b>>>0>g>>>0;h=b+e|0;i=b>>>0>h>>>0?j+1|0:j;break f}if(!d){break a}}}I[a>>2]=f;I[a+4>>2]=g;I[a+8>>2]=h;I[a+12>>2]=i;ra=k+112|0}function Ma(a){a=a|0;var b=0,c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0;a:{if(!a){break a}d=a-8|0;b=I[a-4>>2];a=b&-8;f=d+a|0;b:{if(b&1){break b}if(!(b&2)){break a}b=I[d>>2];d=d-b|0;if(d>>>0<L[59220]){break a}a=a+b|0;c:{d:{e:{if(I[59221]!=(d|0)){c=I[d+12>>2];if(b>>>0<=255){e=I[d+8>>2];if((e|0)!=(c|0)){break e}i=236864,j=I[59216]&Gg(-2,b>>>3|0),I[i>>2]=j;break b}h=I[d+24>>2];if((c|0)!=(d|0)){b=I[d+8>>2];I[b+12>>2]=c;I[c+8>>2]=b;break c}e=I[d+20>>2];if(e){b=d+20|0}else{e=I[d+16>>2];if(!e){break d}b=d+16|0}while(1){g=b;c=e;b=c+20|0;e=I[c+20>>2];if(e){continue}b=c+16|0;e=I[c+16>>2];if(e){continue}break}I[g>>2]=0;break c}b=I[f+4>>2];if((b&3)!=3){break b}I[59218]=a;I[f+4>>2]=b&-2;I[d+4>>2]=a|1;I[f>>2]=a;return}I[e+12>>2]=c;I[c+8>>2]=e;break b}c=0}if(!h){break b}b=I[d+28>>2];e=(b<<2)+237168|0;f:{if(I[e>>2]==(d|0)){I[e>>2]=c;if(c){break f}i=236868,j=I[59217]&Gg(-2,b),I[i>>2]=j;break b}g:{if(I[h+16>>2]==(d|0)){I[h+16>>2]=c;break g}I[h+20>>2]=c}if(!c){break b}}I[c+24>>2]=h;b=I[d+16>>2];if(b){I[c+16>>2]=b;I[b+24>>2]=c}b=I[d+20>>2];if(!b){break b}I[c+20>>2]=b;I[b+24>>2]=c}if(d>>>0>=f>>>0){break a}b=I[f+4>>2];if(!(b&1)){break a}h:{i:{j:{k:{if(!(b&2)){if(I[59222]==(f|0)){I[59222]=d;a=I[59219]+a|0;I[59219]=a;I[d+4>>2]=a|1;if(I[59221]!=(d|0)){break a}I[59218]=0;I[59221]=0;return}if(I[59221]==(f|0)){I[59221]=d;a=I[59218]+a|0;I[59218]=a;I[d+4>>2]=a|1;I[a+d>>2]=a;return}a=(b&-8)+a|0;c=I[f+12>>2];if(b>>>0<=255){e=I[f+8>>2];if((e|0)==(c|0)){i=236864,j=I[59216]&Gg(-2,b>>>3|0),I[i>>2]=j;break i}I[e+12>>2]=c;I[c+8>>2]=e;break i}h=I[f+24>>2];if((c|0)!=(f|0)){b=I[f+8>>2];I[b+12>>2]=c;I[c+8>>2]=b;break j}e=I[f+20>>2];if(e){b=f+20|0}else{e=I[f+16>>2];if(!e){break k}b=f+16|0}while(1){g=b;c=e;b=c+20|0;e=I[c+20>>2];if(e){continue}b=c+16|0;e=I[c+16>>2];if(e){continue}break}I[g>>2]=0;break j}I[f+4>>2]=b&-2;I[d+4>>2]=a|1;I[a+d>>2]=a;break h}c=0}if(!h){break i}b=I[f+28>>2];e=(b<<2)+237168|0;l:{if(I[e>>2]==(f|0)){I[e>>2]=c;if(c){break l}i=236868,j=I[59217]&Gg(-2,b),I[i>>2]=j;break i}m:{if(I[h+16>>2]==(f|0)){I[h+16>>2]=c;break m}I[h+20>>2]=c}if(!c){break i}}I[c+24>>2]=h;b=I[f+16>>2];if(b){I[c+16>>2]=b;I[b+24>>2]=c}b=I[f+20>>2];if(!b){break i}I[c+20>>2]=b;I[b+24>>2]=c}I[d+4>>2]=a|1;I[a+d>>2]=a;if(I[59221]!=(d|0)){break h}I[59218]=a;return}if(a>>>0<=255){b=(a&-8)+236904|0;e=I[59216];a=1<<(a>>>3);n:{if(!(e&a)){I[59216]=a|e;a=b;break n}a=I[b+8>>2]}I[b+8>>2]=d;I[a+12>>2]=d;I[d+12>>2]=b;I[d+8>>2]=a;return}c=31;if(a>>>0<=16777215){b=R(a>>>8|0);c=((a>>>38-b&1)-(b<<1)|0)+62|0}I[d+28>>2]=c;I[d+16>>2]=0;I[d+20>>2]=0;b=(c<<2)+237168|0;o:{p:{e=I[59217];g=1<<c;q:{if(!(e&g)){I[59217]=e|g;I[b>>2]=d;c=24;break q}c=a<<((c|0)!=31?25-(c>>>1|0)|0:0);b=I[b>>2];while(1){e=b;if((I[b+4>>2]&-8)==(a|0)){break p}b=c>>>29|0;c=c<<1;g=(b&4)+e|0;b=I[g+16>>2];if(b){continue}break}I[g+16>>2]=d;b=e;c=24}e=d;g=d;a=8;break o}b=I[e+8>>2];I[b+12>>2]=d;I[e+8>>2]=d;c=8;g=0;a=24}I[c+d>>2]=b;I[d+12>>2]=e;I[a+d>>2]=g;a=I[59224]-1|0;I[59224]=a?a:-1}}function rg(a,b,c,d,e,f){a=a|0;b=b|0;c=c|0;d=d|0;e=e|0;f=f|0;var g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0;i=ib(408);I[i+4>>2]=d;I[i>>2]=c;if(b){Ka(i+16|0,b,376);N[i+392>>3]=(N[b+368>>3]-N[b>>3])/+(c>>>0);b=0}else{b=1}I[i+400>>2]=e;G[i+8|0]=b;a:{if(!f){break a}c=I[a+24>>2];if(c){b=I[a+20>>2];d=I[a+8>>2];while(1){e=I[I[(b>>>8&16777212)+d>>2]+((b&1023)<<2)>>2];if(e){Ma(e);c=I[a+24>>2];d=I[a+8>>2];b=I[a+20>>2]}b=b+1|0;I[a+20>>2]=b;c=c-1|0;I[a+24>>2]=c;if(b>>>0>=2048){Ma(I[d>>2]);d=I[a+8>>2]+4|0;I[a+8>>2]=d;b=I[a+20>>2]-1024|0;I[a+20>>2]=b;c=I[a+24>>2]}if(c){continue}break}}b=I[a+28>>2];I[a+420>>2]=I[b>>2];c=I[a+32>>2];if(!c){break a}G[b+8|0]=J[c+8|0];Ka(b+16|0,a+40|0,376);b=I[a+32>>2];if(b){Ma(b)}I[a+32>>2]=0}d=I[a+24>>2];c=d+I[a+20>>2]|0;e=I[a+12>>2];b=I[a+8>>2];if((c|0)==(((b|0)!=(e|0)?(e-b<<8)-1|0:0)|0)){f=ra-32|0;ra=f;b:{c:{d=a+4|0;b=I[d+16>>2];d:{if(b>>>0>=1024){I[d+16>>2]=b-1024;b=I[d+4>>2];k=I[b>>2];e=b+4|0;I[d+4>>2]=e;b=I[d+8>>2];e:{if((b|0)!=I[d+12>>2]){break e}h=I[d>>2];if(h>>>0<e>>>0){c=b-e|0;h=((e-h>>2)+1|0)/-2<<2;g=h+e|0;if((b|0)!=(e|0)){gc(g,e,c);e=I[d+4>>2]}b=c+g|0;I[d+8>>2]=b;I[d+4>>2]=e+h;break e}c=(b|0)==(h|0)?1:b-h>>1;if(c>>>0>=1073741824){break c}g=c<<2;j=ib(g);l=g+j|0;c=j+(c&-4)|0;g=c;if((b|0)!=(e|0)){g=c+(b-e|0)|0;b=c;while(1){I[b>>2]=I[e>>2];e=e+4|0;b=b+4|0;if((g|0)!=(b|0)){continue}break}}I[d+12>>2]=l;I[d+8>>2]=g;I[d+4>>2]=c;I[d>>2]=j;Ma(h);b=I[d+8>>2]}I[b>>2]=k;I[d+8>>2]=I[d+8>>2]+4;break d}c=I[d+8>>2];e=c-I[d+4>>2]|0;b=I[d+12>>2];g=I[d>>2];h=b-g|0;if(e>>>0<h>>>0){if((b|0)!=(c|0)){m=f,n=ib(4096),I[m+12>>2]=n;Je(d,f+12|0);break d}m=f,n=ib(4096),I[m+12>>2]=n;Ie(d,f+12|0);b=I[d+4>>2];k=I[b>>2];e=b+4|0;I[d+4>>2]=e;b=I[d+8>>2];f:{if((b|0)!=I[d+12>>2]){break f}h=I[d>>2];if(h>>>0<e>>>0){c=b-e|0;h=((e-h>>2)+1|0)/-2<<2;g=h+e|0;if((b|0)!=(e|0)){gc(g,e,c);e=I[d+4>>2]}b=c+g|0;I[d+8>>2]=b;I[d+4>>2]=e+h;break f}c=(b|0)==(h|0)?1:b-h>>1;if(c>>>0>=1073741824){break c}g=c<<2;j=ib(g);l=g+j|0;c=j+(c&-4)|0;g=c;if((b|0)!=(e|0)){g=c+(b-e|0)|0;b=c;while(1){I[b>>2]=I[e>>2];e=e+4|0;b=b+4|0;if((g|0)!=(b|0)){continue}break}}I[d+12>>2]=l;I[d+8>>2]=g;I[d+4>>2]=c;I[d>>2]=j;Ma(h);b=I[d+8>>2]}I[b>>2]=k;I[d+8>>2]=I[d+8>>2]+4;break d}I[f+28>>2]=d+12;b=(b|0)==(g|0)?1:h>>1;if(b>>>0>=1073741824){break c}c=b<<2;b=ib(c);I[f+12>>2]=b;e=b+e|0;I[f+20>>2]=e;I[f+24>>2]=b+c;I[f+16>>2]=e;m=f,n=ib(4096),I[m+8>>2]=n;Je(f+12|0,f+8|0);b=I[d+4>>2];e=I[d+8>>2];if((b|0)!=(e|0)){while(1){e=e-4|0;Ie(f+12|0,e);b=I[d+4>>2];if((e|0)!=(b|0)){continue}break}e=I[d+8>>2]}c=I[d>>2];I[d>>2]=I[f+12>>2];I[f+12>>2]=c;I[d+4>>2]=I[f+16>>2];I[f+16>>2]=b;I[d+8>>2]=I[f+20>>2];I[f+20>>2]=e;g=I[d+12>>2];I[d+12>>2]=I[f+24>>2];I[f+24>>2]=g;if((b|0)!=(e|0)){I[f+20>>2]=((b-e|0)+3&-4)+e}if(!c){break d}Ma(c)}ra=f+32|0;break b}jd();D()}d=I[a+24>>2];c=d+I[a+20>>2]|0;b=I[a+8>>2]}I[I[b+(c>>>8&16777212)>>2]+((c&1023)<<2)>>2]=i;I[a+24>>2]=d+1}function ce(a,b){var c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0;f=a+b|0;c=I[a+4>>2];a:{b:{if(c&1){break b}if(!(c&2)){break a}c=I[a>>2];b=c+b|0;c:{d:{e:{a=a-c|0;if((a|0)!=I[59221]){d=I[a+12>>2];if(c>>>0<=255){e=I[a+8>>2];if((e|0)!=(d|0)){break e}i=236864,j=I[59216]&Gg(-2,c>>>3|0),I[i>>2]=j;break b}g=I[a+24>>2];if((a|0)!=(d|0)){c=I[a+8>>2];I[c+12>>2]=d;I[d+8>>2]=c;break c}e=I[a+20>>2];if(e){c=a+20|0}else{e=I[a+16>>2];if(!e){break d}c=a+16|0}while(1){h=c;d=e;c=d+20|0;e=I[d+20>>2];if(e){continue}c=d+16|0;e=I[d+16>>2];if(e){continue}break}I[h>>2]=0;break c}c=I[f+4>>2];if((c&3)!=3){break b}I[59218]=b;I[f+4>>2]=c&-2;I[a+4>>2]=b|1;I[f>>2]=b;return}I[e+12>>2]=d;I[d+8>>2]=e;break b}d=0}if(!g){break b}c=I[a+28>>2];e=(c<<2)+237168|0;f:{if(I[e>>2]==(a|0)){I[e>>2]=d;if(d){break f}i=236868,j=I[59217]&Gg(-2,c),I[i>>2]=j;break b}g:{if(I[g+16>>2]==(a|0)){I[g+16>>2]=d;break g}I[g+20>>2]=d}if(!d){break b}}I[d+24>>2]=g;c=I[a+16>>2];if(c){I[d+16>>2]=c;I[c+24>>2]=d}c=I[a+20>>2];if(!c){break b}I[d+20>>2]=c;I[c+24>>2]=d}h:{i:{j:{k:{c=I[f+4>>2];if(!(c&2)){if(I[59222]==(f|0)){I[59222]=a;b=I[59219]+b|0;I[59219]=b;I[a+4>>2]=b|1;if(I[59221]!=(a|0)){break a}I[59218]=0;I[59221]=0;return}if(I[59221]==(f|0)){I[59221]=a;b=I[59218]+b|0;I[59218]=b;I[a+4>>2]=b|1;I[a+b>>2]=b;return}b=(c&-8)+b|0;d=I[f+12>>2];if(c>>>0<=255){e=I[f+8>>2];if((e|0)==(d|0)){i=236864,j=I[59216]&Gg(-2,c>>>3|0),I[i>>2]=j;break i}I[e+12>>2]=d;I[d+8>>2]=e;break i}g=I[f+24>>2];if((d|0)!=(f|0)){c=I[f+8>>2];I[c+12>>2]=d;I[d+8>>2]=c;break j}e=I[f+20>>2];if(e){c=f+20|0}else{e=I[f+16>>2];if(!e){break k}c=f+16|0}while(1){h=c;d=e;c=d+20|0;e=I[d+20>>2];if(e){continue}c=d+16|0;e=I[d+16>>2];if(e){continue}break}I[h>>2]=0;break j}I[f+4>>2]=c&-2;I[a+4>>2]=b|1;I[a+b>>2]=b;break h}d=0}if(!g){break i}c=I[f+28>>2];e=(c<<2)+237168|0;l:{if(I[e>>2]==(f|0)){I[e>>2]=d;if(d){break l}i=236868,j=I[59217]&Gg(-2,c),I[i>>2]=j;break i}m:{if(I[g+16>>2]==(f|0)){I[g+16>>2]=d;break m}I[g+20>>2]=d}if(!d){break i}}I[d+24>>2]=g;c=I[f+16>>2];if(c){I[d+16>>2]=c;I[c+24>>2]=d}c=I[f+20>>2];if(!c){break i}I[d+20>>2]=c;I[c+24>>2]=d}I[a+4>>2]=b|1;I[a+b>>2]=b;if(I[59221]!=(a|0)){break h}I[59218]=b;return}if(b>>>0<=255){c=(b&-8)+236904|0;d=I[59216];b=1<<(b>>>3);n:{if(!(d&b)){I[59216]=b|d;b=c;break n}b=I[c+8>>2]}I[c+8>>2]=a;I[b+12>>2]=a;I[a+12>>2]=c;I[a+8>>2]=b;return}d=31;if(b>>>0<=16777215){c=R(b>>>8|0);d=((b>>>38-c&1)-(c<<1)|0)+62|0}I[a+28>>2]=d;I[a+16>>2]=0;I[a+20>>2]=0;c=(d<<2)+237168|0;o:{e=I[59217];h=1<<d;p:{if(!(e&h)){I[59217]=e|h;I[c>>2]=a;I[a+24>>2]=c;break p}d=b<<((d|0)!=31?25-(d>>>1|0)|0:0);c=I[c>>2];while(1){e=c;if((I[c+4>>2]&-8)==(b|0)){break o}c=d>>>29|0;d=d<<1;h=e+(c&4)|0;c=I[h+16>>2];if(c){continue}break}I[h+16>>2]=a;I[a+24>>2]=e}I[a+12>>2]=a;I[a+8>>2]=a;return}b=I[e+8>>2];I[b+12>>2]=a;I[e+8>>2]=a;I[a+24>>2]=0;I[a+12>>2]=e;I[a+8>>2]=b}}function qe(a){var b=0,c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0;c=G[88114];if(!c){return a}a=sb(a,c);a:{if(!a){break a}if(!J[88115]){return a}c=J[a+1|0];if(!c){break a}if(!J[88116]){b=(c|0)!=0;b:{if(!c){break b}e=c|J[a|0]<<8;d=J[88115]|J[88114]<<8;if((e|0)==(d|0)){break b}c=a+1|0;while(1){a=c;f=J[a+1|0];b=(f|0)!=0;if(!f){break b}c=a+1|0;e=f|e<<8&65280;if((d|0)!=(e|0)){continue}break}}return b?a:0}d=J[a+2|0];if(!d){break a}if(!J[88117]){c=a+2|0;e=(d|0)!=0;c:{d:{if(!d){break d}b=J[a+1|0]<<16|J[a|0]<<24|d<<8;d=J[88115]<<16|J[88114]<<24|J[88116]<<8;if((b|0)==(d|0)){break d}while(1){a=c+1|0;f=J[c+1|0];e=(f|0)!=0;if(!f){break c}c=a;b=(b|f)<<8;if((d|0)!=(b|0)){continue}break}break c}a=c}return e?a-2|0:0}d=J[a+3|0];if(!d){break a}if(!J[88118]){c=a+3|0;e=(d|0)!=0;e:{f:{if(!d){break f}b=d|(J[a+1|0]<<16|J[a|0]<<24|J[a+2|0]<<8);a=J[88114]|J[88115]<<8|(J[88116]<<16|J[88117]<<24);d=a<<24|(a&65280)<<8|(a>>>8&65280|a>>>24);if((b|0)==(d|0)){break f}while(1){a=c+1|0;f=J[c+1|0];e=(f|0)!=0;if(!f){break e}c=a;b=f|b<<8;if((d|0)!=(b|0)){continue}break}break e}a=c}return e?a-3|0:0}k=a;c=0;h=ra-1056|0;ra=h;a=h+1048|0;I[a>>2]=0;I[a+4>>2]=0;a=h+1040|0;I[a>>2]=0;I[a+4>>2]=0;I[h+1032>>2]=0;I[h+1036>>2]=0;I[h+1024>>2]=0;I[h+1028>>2]=0;g:{h:{i:{b=J[88114];j:{if(!b){i=-1;a=1;break j}while(1){if(!J[g+k|0]){break g}g=g+1|0;I[((b&255)<<2)+h>>2]=g;a=(h+1024|0)+(b>>>3&28)|0;I[a>>2]=I[a>>2]|1<<b;b=J[g+88114|0];if(b){continue}break}a=1;i=-1;if(g>>>0>1){break i}}d=-1;j=1;break h}e=1;b=1;while(1){f=J[(i+88114|0)+b|0];d=J[a+88114|0];k:{if((f|0)==(d|0)){if((b|0)==(e|0)){c=c+e|0;b=1;break k}b=b+1|0;break k}if(d>>>0<f>>>0){e=a-i|0;c=a;b=1;break k}i=c;c=c+1|0;e=1;b=1}a=c+b|0;if(g>>>0>a>>>0){continue}break}d=-1;a=0;c=1;j=1;b=1;while(1){l=J[(d+88114|0)+b|0];f=J[c+88114|0];l:{if((l|0)==(f|0)){if((b|0)==(j|0)){a=a+j|0;b=1;break l}b=b+1|0;break l}if(f>>>0>l>>>0){j=c-d|0;a=c;b=1;break l}d=a;a=a+1|0;j=1;b=1}c=a+b|0;if(g>>>0>c>>>0){continue}break}a=e}c=a;a=d+1>>>0>i+1>>>0;e=a?j:c;m=a?d:i;l=m+1|0;m:{if(gb(88114,e+88114|0,l)){a=(m^-1)+g|0;e=(a>>>0<m>>>0?m:a)+1|0;f=0;break m}f=g-e|0}j=g-1|0;n=g|63;d=0;a=k;while(1){n:{if(k-a>>>0>=g>>>0){break n}c=0;b=Xb(k,0,n);k=b?b:k+n|0;if(!b){break n}if(b-a>>>0<g>>>0){break g}}b=g;c=J[a+j|0];o:{p:{if(!(I[(h+1024|0)+(c>>>3&28)>>2]>>>c&1)){break p}c=I[(c<<2)+h>>2];if((c|0)!=(b|0)){c=b-c|0;b=c>>>0>d>>>0?c:d;break p}q:{b=l;c=b>>>0>d>>>0?b:d;i=J[c+88114|0];if(i){while(1){if(J[a+c|0]!=(i&255)){break q}c=c+1|0;i=J[c+88114|0];if(i){continue}break}}while(1){if(b>>>0<=d>>>0){c=a;break g}b=b-1|0;if(J[b+88114|0]==J[a+b|0]){continue}break}b=e;d=f;break o}b=c-m|0}d=0}a=a+b|0;continue}}ra=h+1056|0;b=c}return b}function Lc(a,b,c,d,e,f){var g=0,h=0,i=0,j=0,k=0,l=0,m=0;g=ra-560|0;ra=g;G[g+448|0]=0;G[g+144|0]=0;G[g+120|0]=0;l=f&34;i=(b|0)/100|0;j=b-O(i,100)|0;m=J[a+106|0]&64?(b|0)>999|f:0;a:{if(!(m&1|(b|0)>99)){h=f;break a}b:{c:{d:{if(!(!l|j)){if(!Ia(a,90616,g+304|0)){break d}break b}if(j){break c}}if(Ia(a,90701,g+304|0)){break b}}Ia(a,90735,g+304|0)}h=f;e:{if((b|0)<1e3){break e}if(!(!(J[a+105|0]&8)|b-2e3>>>0<4294967196)){break e}G[g+208|0]=0;h=(i>>>0)/10|0;d=I[a+108>>2]&16384?0:e+1|0;if(!hf(a,h,d,!((b>>>0)%1e3|0)|l,g+272|0)){Kc(a,h,e,I[a+212>>2]==28012?520:(d|0)<4?(I[a+108>>2]>>>d&1)<<3:0,g+208|0)}f:{if(J[a+109|0]&2){I[g+108>>2]=15;I[g+100>>2]=15;I[g+104>>2]=g+208;I[g+96>>2]=g+272;Fa(g+144|0,90771,g+96|0);break f}I[g+92>>2]=15;I[g+84>>2]=15;I[g+88>>2]=g+272;I[g+80>>2]=g+208;Fa(g+144|0,90771,g+80|0)}d=1;i=i-O(h,10)|0;if(!(((i|0)!=0|m)&1)){G[g+304|0]=0}h=f|1}G[g+208|0]=0;g:{if((m^-1)&(i|0)<=0){break g}if(!(!(J[a+106|0]&4)|!(h&1|J[g+144|0]))){Ia(a,90834,g+120|0)}h:{if(!l|(J[a+109|0]&16?0:j)){break h}I[g+64>>2]=i;d=g+548|0;Fa(d,90885,g- -64|0);k=d;d=g+208|0;k=Ia(a,k,d);if(!(I[a+108>>2]&4096)|(j|0)<=0){break h}fb(d,141344)}d=1;if(!((m^-1|(i|0)!=0)&1)){Ia(a,88884,g+208|0);break g}i:{j:{k:{l:{if(I[a+108>>2]&131072?h&1|(i|0)!=1:1){if(!(j|k)){I[g+48>>2]=i;d=g+548|0;Fa(d,90995,g+48|0);k=Ia(a,d,g+208|0)}if(k){break l}I[g+32>>2]=i;d=g+548|0;Fa(d,91037,g+32|0);if(Ia(a,d,g+208|0)){break l}if((i|0)!=1){break j}break k}if(!k){break k}}G[g+304|0]=0;break i}d=1;if(J[a+105|0]&4){break g}}Kc(a,i,e,0,g+208|0)}d=1}I[g+28>>2]=g+304;I[g+24>>2]=g+208;I[g+20>>2]=g+120;I[g+16>>2]=g+144;Fa(g+448|0,91069,g+16|0)}G[g+132|0]=0;m:{n:{o:{if((j|0)>0){p:{if(J[a+109|0]&16?h&2:0){break p}q:{if(!(h&1)|e?(b|0)<=100:0){break q}d=I[a+104>>2];if(!(d&64)&(!(d&8388608)|j>>>0>9)){break q}Ia(a,90834,g+132|0)}if(!(h&1|J[g+144|0])|(!(I[a+104>>2]&524288)|i)){break p}Ia(a,90834,g+132|0)}G[g+336|0]=0;break o}G[g+336|0]=0;if(!j&d){break n}}r:{if(!e){d=l?3:2;b=f&32|((b|0)<100?h&1?d:d|4:d);f=I[a+108>>2];break r}f=I[a+108>>2];b=(e|0)<4?(f>>>e&1)<<3:0}b=(e|0)==1?I[a+212>>2]==28012?b|520:b:b;if(f&1048576){d=b|16;b=(i|0)>0?d:h&1?d:b}if(!Kc(a,j,e,h&256|b,g+336|0)|!(J[a+104|0]&128)){break m}G[g+132|0]=0;break m}if(!J[141344]){break m}a=Ga(g+448|0);s:{if((a|0)<=0){break s}a=a+g|0;if(J[a+447|0]!=10){break s}G[a+447|0]=0}Ha(g+336|0,141344)}I[g+8>>2]=15;I[g+12>>2]=g+336;I[g+4>>2]=g+132;I[g>>2]=g+448;Fa(c,91111,g);ra=g+560|0}function tb(a,b,c){var d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0;e=ra-176|0;ra=e;a:{if(b&32){a=c-((c|0)>1)|0}else{i=Za(a,93312);b:{if((b|0)==2){k=Za(a,89370);d=Za(a,93328);f=Za(a,93436);g=Za(a,93509);break b}a=0;if(!i){break a}g=0}h=O(c,76)+141392|0;Qb(h+56|0,i,20);Qb(h+16|0,k,40);a=0;c:{if(!d){break c}i=I[d>>2]-48>>>0>=10;a=0;if(i){break c}a=0;if(i){break c}while(1){a=(I[d>>2]+O(a,10)|0)-48|0;d=d+4|0;if(I[d>>2]-48>>>0<10){continue}break}a=a-((a|0)>0)|0}I[h+4>>2]=a;d:{if(!f){break d}a=I[f>>2]-48>>>0>=10;if(a|a){break d}while(1){j=(I[f>>2]+O(j,10)|0)-48|0;f=f+4|0;if(I[f>>2]-48>>>0<10){continue}break}}I[h+12>>2]=j;e:{f:{if(!g){break f}d=0;while(1){g:{a=G[d+93109|0];f=I[g+(d<<2)>>2];if(!f){break g}d=d+1|0;if((a|0)==(f|0)){continue}}break}h:{i:{switch(f-34|0){case 0:case 5:break i;default:break h}}if(a){break h}a=0;break e}d=0;while(1){j:{a=G[d+93126|0];f=I[g+(d<<2)>>2];if(!f){break j}d=d+1|0;if((a|0)==(f|0)){continue}}break}k:{l:{switch(f-34|0){case 0:case 5:break l;default:break k}}if(a){break k}a=1;break e}d=0;while(1){m:{a=G[d+93207|0];f=I[g+(d<<2)>>2];if(!f){break m}d=d+1|0;if((a|0)==(f|0)){continue}}break}n:{switch(f-34|0){case 0:case 5:break n;default:break f}}if(a){break f}a=2;break e}a=3}I[h>>2]=b;I[h+8>>2]=I[(a<<3)+139476>>2];a=c+1|0}Ha(146016,141408);h=Ha(e+96|0,141448);G[e+161|0]=I[35351];G[e+160|0]=I[35350];b=I[35349];I[e+156>>2]=0;G[e+162|0]=b;b=a;if((a|0)>0){a=0;while(1){j=1;c=O(a,76)+141392|0;o:{if(!J[c+16|0]){break o}g=c+16|0;if(!Dc(0,g)){break o}Ha(146016,g);j=0;G[h|0]=0;G[e+162|0]=0;H[e+160>>1]=0}p:{if(!J[c+56|0]){break p}g=Ha(h,c+56|0);f=I[35739];d=f;q:{if(!J[d|0]){break q}while(1){d=d+1|0;if(!Wa(d,g)){Ha(g,f+1|0);break q}d=(Ga(d)+d|0)+1|0;if(J[d|0]){continue}break}}if(!j){break p}G[146016]=0}g=I[c+8>>2];if(g){G[e+160|0]=g}g=I[c+12>>2];if(g){G[e+161|0]=g}c=I[c+4>>2];if(c){G[e+162|0]=c}a=a+1|0;if((b|0)!=(a|0)){continue}break}}I[e+152>>2]=h;I[e+148>>2]=146016;d=Re(e+148|0,e+172|0);r:{if(!d){d=92013;break r}if(sb(d,43)){break r}a=J[e+160|0];if(!J[142912]|((a|0)!=J[142964]?a:0)){break r}I[e>>2]=d;I[e+4>>2]=142912;a=e+16|0;Fa(a,93543,e);d=146016;Qa(146016,a,40)}a=0;if(!Wa(d,143024)){break a}Ha(143024,d);a=131072}ra=e+176|0;return a}function Sd(a,b,c){var d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0;f=ra-288|0;ra=f;if((b|0)!=141088){_c(141088,b,40)}d=a+228|0;if((d|0)!=(b|0)){_c(d,b,40)}I[f+88>>2]=b;I[f+84>>2]=47;I[f+80>>2]=145824;d=f+96|0;Fa(d,84105,f+80|0);e=Ab(d);d=I[a+688>>2];if(d){Ma(d);I[a+688>>2]=0}h=f+96|0;d=Db(h,84589);a:{if(!((e|0)>0?d:0)){if(!c){I[f>>2]=h;Sa(I[31442],84975,f)}c=1;if(!d){break a}bb(d);break a}c=Va(e);I[a+688>>2]=c;if(!c){bb(d);c=3;break a}h=ed(c,e,d);bb(d);if(h>>>0<=1032){I[f+16>>2]=f+96;Sa(I[31442],85176,f+16|0);c=2;break a}d=I[a+688>>2];c=I[d+4>>2];e=I[d>>2];if(!((e|0)==1024&c-134217729>>>0>4160749567)){I[f+40>>2]=c;I[f+36>>2]=e;I[f+32>>2]=f+96;Sa(I[31442],85361,f+32|0);c=2;break a}d=c+d|0;I[a+684>>2]=d;i=Ja(a+5168|0,0,1024);l=Ja(a+7664|0,0,260);m=Ja(a+7924|0,255,256);n=Ja(a+4788|0,0,380);o=Ja(a+6192|0,0,512);c=J[d|0];b:{if((c|0)==7){break b}p=a+7668|0;q=a+7184|0;r=a+6704|0;while(1){e=c&255;if((e|0)!=6){if(!e){break b}e=I[a+684>>2];I[f+72>>2]=c<<24>>24;I[f+64>>2]=141088;I[f+68>>2]=d-e;Sa(I[31442],88959,f- -64|0)}else{c:{d:{e:{f:{g:{c=d+1|0;e=J[c|0];switch(e-18|0){case 0:break f;case 2:break g;default:break e}}c=(c&-4)+4|0;I[a+180>>2]=c;while(1){d=c;c=d+1|0;if(!Vc(d)){continue}break}while(1){e=J[d|0];c=d;d=d+1|0;if((e|0)!=7){continue}break}break c}c=d+3|0;d=G[d+2|0];d=((d|0)<65?191:-65)+d|0;if((d|0)>94){break d}I[(d<<2)+n>>2]=c;break d}j=Ga(c);c=(j+c|0)+1|0;h:{switch(j|0){case 1:I[i+(e<<2)>>2]=c;break d;case 0:I[i>>2]=c;break d;default:break h}}j=J[d+2|0];if((e|0)==1){I[((j<<2)+o|0)-4>>2]=c;break d}d=I[l>>2];g=e+m|0;if(J[g|0]==255){G[g|0]=d}g=e+p|0;G[g|0]=J[g|0]+1;g=d<<2;I[g+r>>2]=c;I[l>>2]=d+1;I[g+q>>2]=e|j<<8}if(J[c|0]==7){break c}while(1){c=(Ga(c)+c|0)+1|0;if(J[c|0]!=7){continue}break}}d=c+1|0;c=J[d|0];continue}break}}c=a+692|0;d=I[a+688>>2]+8|0;while(1){e=c+(k<<2)|0;I[e>>2]=d;while(1){i=J[d|0];if(i){d=d+i|0;continue}break}d=d+1|0;I[e+4>>2]=d;while(1){e=J[d|0];if(e){d=d+e|0;continue}break}d=d+1|0;k=k+2|0;if((k|0)!=1024){continue}break}c=0;a=I[a+324>>2];if((a|0)<=0|a>>>0<=h>>>0){break a}I[f+48>>2]=b;Sa(I[31442],85531,f+48|0)}ra=f+288|0;return c}function Ad(a,b){var c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0;e=ra-352|0;ra=e;a:{b:{if(a){break b}a=I[(b<<4)+144524>>2];if(a){break b}a=28;break a}if(J[a|0]!=47){I[e+12>>2]=a;I[e+4>>2]=47;I[e+8>>2]=47;I[e>>2]=145824;a=e+16|0;Fa(a,84130,e)}G[e+240|0]=0;c:{d:{c=Db(a,84589);e:{if(!c){break e}if((ze(c,20)|0)==-1){break c}f=Uc(c);d=Uc(c);i=Uc(c);if(!((f|0)!=65537|(d|0)!=I[52814])&(i|0)==d<<1){break d}bb(c);H[e+256>>1]=J[84876]|J[84877]<<8;a=J[84864]|J[84865]<<8|(J[84866]<<16|J[84867]<<24);I[e+240>>2]=J[84860]|J[84861]<<8|(J[84862]<<16|J[84863]<<24);I[e+244>>2]=a;a=J[84872]|J[84873]<<8|(J[84874]<<16|J[84875]<<24);I[e+248>>2]=J[84868]|J[84869]<<8|(J[84870]<<16|J[84871]<<24);I[e+252>>2]=a;f=ra-16|0;ra=f;f:{g:{h:{a=e+240|0;c=Ga(a);if(c>>>0>=6){j=(a+c|0)-6|0;if(!gb(j,84290,6)){break h}}I[58856]=28;break g}k=100;while(1){i=0;c=ra-16|0;ra=c;if(!J[235428]){d=ea()|0;G[235428]=1;G[235429]=d}l=+ba();g=l/1e3;i:{if(Q(g)<0x8000000000000000){d=~~g>>>0;if(Q(g)>=1){h=~~(g>0?S(U(g*2.3283064365386963e-10),4294967295):V((g-+(~~g>>>0>>>0))*2.3283064365386963e-10))>>>0}else{h=0}break i}d=0;h=-2147483648}I[c>>2]=d;I[c+4>>2]=h;g=(l-(+(Dg(d,h,1e3,0)>>>0)+ +(ua|0)*4294967296))*1e3*1e3;j:{if(Q(g)<2147483648){h=~~g;break j}h=-2147483648}I[c+8>>2]=h;d=I[c+8>>2];h=I[c>>2];n=I[58882];m=I[58873];I[58873]=m+1;d=((d+h|0)+O(n,65537)|0)+m|0;while(1){G[i+j|0]=(d&15|d<<1&32)+65;d=d>>>5|0;i=i+1|0;if((i|0)!=6){continue}break}ra=c+16|0;I[f>>2]=384;c=xe(a,194,f);if((c|0)>=0){break f}k=k-1|0;if(I[58856]==20?k:0){continue}break}Ka(j,84290,6)}c=-1}ra=f+16|0;if((c|0)<0){break e}Ge(c)}c=Db(a,84589);if(c){break d}a=Eb(0,I[58856],a);break a}d=Ab(a);if((d|0)<0){bb(c);a=Eb(0,0-d|0,a);break a}if((ze(c,0)|0)==-1){b=I[58856];bb(c);a=Eb(0,b,a);break a}f=(b<<4)+144512|0;b=Bb(I[f+8>>2],d);if(!b){bb(c);a=48;break a}if((ed(b,d,c)|0)!=(d|0)){d=I[58856];bb(c);if(J[e+240|0]){se(e+240|0)}Ma(b);a=Eb(0,d,a);break a}bb(c);if(J[e+240|0]){se(e+240|0)}a=J[b+40|0]|J[b+41|0]<<8|(J[b+42|0]<<16|J[b+43|0]<<24);I[f+8>>2]=b;I[f+4>>2]=(a|0)/2;a=0;break a}b=I[58856];bb(c);a=Eb(0,b,a)}ra=e+352|0;return a}function Zb(a){var b=0,c=0,d=0;d=Ja(a+344|0,0,256);G[a+364|0]=1;G[a+356|0]=1;G[a+357|0]=1;G[a+358|0]=1;G[a+359|0]=1;G[a+360|0]=1;G[a+361|0]=1;G[a+362|0]=1;G[a+363|0]=1;G[a+348|0]=1;G[a+349|0]=1;G[a+350|0]=1;G[a+351|0]=1;G[a+352|0]=1;G[a+353|0]=1;G[a+354|0]=1;G[a+355|0]=1;G[a+431|0]=3;G[a+429|0]=3;G[a+430|0]=3;G[a+406|0]=3;G[a+407|0]=3;G[a+408|0]=3;G[a+409|0]=3;G[a+410|0]=3;G[a+411|0]=3;G[a+412|0]=3;G[a+413|0]=3;G[a+414|0]=3;G[a+415|0]=3;G[a+416|0]=3;G[a+417|0]=3;G[a+418|0]=3;G[a+419|0]=3;G[a+420|0]=3;G[a+421|0]=3;G[a+440|0]=3;G[a+441|0]=3;G[a+442|0]=3;G[a+443|0]=3;c=21;while(1){b=c+d|0;G[b|0]=J[b|0]|4;if((c|0)!=57){G[b+1|0]=J[b+1|0]|4;G[b+2|0]=J[b+2|0]|4;G[b+3|0]=J[b+3|0]|4;c=c+4|0;continue}break}G[a+346|0]=J[a+346|0]|4;G[a+347|0]=J[a+347|0]|4;G[a+432|0]=J[a+432|0]|4;G[a+433|0]=J[a+433|0]|4;G[a+434|0]=J[a+434|0]|4;G[a+435|0]=J[a+435|0]|4;G[a+436|0]=J[a+436|0]|4;G[a+437|0]=J[a+437|0]|4;G[a+438|0]=J[a+438|0]|4;G[a+439|0]=J[a+439|0]|4;G[a+467|0]=J[a+467|0]|4;G[a+468|0]=J[a+468|0]|4;G[a+470|0]=J[a+470|0]|4;G[a+471|0]=J[a+471|0]|4;G[a+348|0]=J[a+348|0]|64;G[a+349|0]=J[a+349|0]|64;G[a+350|0]=J[a+350|0]|64;G[a+351|0]=J[a+351|0]|64;G[a+352|0]=J[a+352|0]|64;G[a+353|0]=J[a+353|0]|64;G[a+354|0]=J[a+354|0]|64;G[a+355|0]=J[a+355|0]|64;G[a+356|0]=J[a+356|0]|64;G[a+357|0]=J[a+357|0]|64;G[a+358|0]=J[a+358|0]|64;G[a+359|0]=J[a+359|0]|64;G[a+360|0]=J[a+360|0]|64;G[a+361|0]=J[a+361|0]|64;G[a+362|0]=J[a+362|0]|64;G[a+363|0]=J[a+363|0]|64;G[a+364|0]=J[a+364|0]|64;G[a+406|0]=J[a+406|0]|64;G[a+407|0]=J[a+407|0]|64;G[a+408|0]=J[a+408|0]|64;G[a+409|0]=J[a+409|0]|64;G[a+410|0]=J[a+410|0]|64;G[a+411|0]=J[a+411|0]|64;G[a+412|0]=J[a+412|0]|64;G[a+413|0]=J[a+413|0]|64;G[a+414|0]=J[a+414|0]|64;G[a+415|0]=J[a+415|0]|64;G[a+416|0]=J[a+416|0]|64;G[a+417|0]=J[a+417|0]|64;G[a+418|0]=J[a+418|0]|64;G[a+419|0]=J[a+419|0]|64;G[a+420|0]=J[a+420|0]|64;G[a+440|0]=J[a+440|0]|64;G[a+441|0]=J[a+441|0]|64;G[a+429|0]=J[a+429|0]|64;G[a+430|0]=J[a+430|0]|64;G[a+431|0]=J[a+431|0]|64;G[a+442|0]=J[a+442|0]|64;G[a+443|0]=J[a+443|0]|64;I[a+40>>2]=1;I[a+204>>2]=I[a+600>>2]+77}function ie(a,b,c,d,e,f,g,h,i){var j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0;j=ra-128|0;ra=j;a:{b:{c:{if(!Jb(f,g,h,i,0,0,0,0)){break c}k=i&65535;m=i>>>16&32767;d:{e:{if((m|0)!=32767){n=4;if(m){break e}n=f|h|(g|k)?3:2;break d}n=!(f|h|(g|k))}}if(!n){break c}s=e>>>16|0;p=s&32767;if((p|0)!=32767){break b}}Oa(j+16|0,b,c,d,e,f,g,h,i);b=I[j+16>>2];d=I[j+20>>2];e=I[j+24>>2];c=I[j+28>>2];$d(j,b,d,e,c,b,d,e,c);d=I[j+8>>2];e=I[j+12>>2];h=I[j>>2];i=I[j+4>>2];break a}o=d;n=e&2147483647;k=n;m=h;l=i&2147483647;if((Jb(b,c,o,k,f,g,h,l)|0)<=0){if(Jb(b,c,o,k,f,g,h,l)){h=b;i=c;break a}Oa(j+112|0,b,c,d,e,0,0,0,0);d=I[j+120>>2];e=I[j+124>>2];h=I[j+112>>2];i=I[j+116>>2];break a}q=i>>>16&32767;if(p){i=c;h=b}else{Oa(j+96|0,b,c,o,n,0,0,0,1081540608);o=I[j+104>>2];h=I[j+108>>2];n=h;p=(h>>>16|0)-120|0;i=I[j+100>>2];h=I[j+96>>2]}if(!q){Oa(j+80|0,f,g,m,l,0,0,0,1081540608);m=I[j+88>>2];f=I[j+92>>2];l=f;q=(f>>>16|0)-120|0;g=I[j+84>>2];f=I[j+80>>2]}r=m;t=l&65535|65536;n=n&65535|65536;if((p|0)>(q|0)){while(1){l=o-r|0;k=(g|0)==(i|0)&f>>>0>h>>>0|g>>>0>i>>>0;m=l-k|0;k=(n-((o>>>0<r>>>0)+t|0)|0)-(k>>>0>l>>>0)|0;f:{if((k|0)>=0|(k|0)>0){o=h;h=h-f|0;i=i-((f>>>0>o>>>0)+g|0)|0;if(!(h|m|(i|k))){Oa(j+32|0,b,c,d,e,0,0,0,0);d=I[j+40>>2];e=I[j+44>>2];h=I[j+32>>2];i=I[j+36>>2];break a}k=k<<1|m>>>31;o=m<<1|i>>>31;break f}k=n<<1|o>>>31;o=o<<1|i>>>31}n=k;k=i<<1|h>>>31;h=h<<1;i=k;p=p-1|0;if((q|0)<(p|0)){continue}break}p=q}l=o-r|0;k=(g|0)==(i|0)&f>>>0>h>>>0|g>>>0>i>>>0;m=l-k|0;k=(n-((o>>>0<r>>>0)+t|0)|0)-(k>>>0>l>>>0)|0;l=k;g:{if((k|0)<0){m=o;l=n;break g}o=h;h=h-f|0;i=i-((f>>>0>o>>>0)+g|0)|0;if(h|m|(i|l)){break g}Oa(j+48|0,b,c,d,e,0,0,0,0);d=I[j+56>>2];e=I[j+60>>2];h=I[j+48>>2];i=I[j+52>>2];break a}if((l|0)==65535|l>>>0<65535){while(1){b=i>>>31|0;p=p-1|0;n=i<<1|h>>>31;h=h<<1;i=n;c=b;b=l<<1|m>>>31;m=c|m<<1;l=b;if(b>>>0<65536){continue}break}}b=s&32768;if((p|0)<=0){Oa(j- -64|0,h,i,m,l&65535|(b|p+120)<<16,0,0,0,1065811968);d=I[j+72>>2];e=I[j+76>>2];h=I[j+64>>2];i=I[j+68>>2];break a}d=m;e=l&65535|(b|p)<<16}I[a>>2]=h;I[a+4>>2]=i;I[a+8>>2]=d;I[a+12>>2]=e;ra=j+128|0}function nd(a,b,c){var d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0;e=ra-1040|0;ra=e;f=xe(a,589824,0);if((f|0)>=0){a:{d=be(1,2072);if(!d){Z(f|0)|0;d=0;break a}I[d+8>>2]=f}}m=d;if(d){d=te(d);b:{if(!d){break b}o=I[31442];n=(e+96|0)+b|0;while(1){f=I[52363];if((f|0)>=348){I[e+4>>2]=350;I[e>>2]=f+1;Sa(o,91870,e);break b}c:{if(J[d+19|0]==46){break c}I[e+88>>2]=d+19;I[e+84>>2]=47;I[e+80>>2]=a;f=e+96|0;Fa(f,91934,e+80|0);d=Ab(f);if((d|0)==-31){nd(f,b,c);break c}if((d|0)<=0){break c}j=Db(e+96|0,85721);if(!j){break c}g=0;G[e+832|0]=0;G[e+752|0]=0;I[e+360>>2]=0;I[e+356>>2]=4;i=0;d:while(1){k=299-i|0;while(1){d=e+912|0;if(yc(d,120,j)){e:{if(J[e+912|0]!=35){d=Ga(d)-1|0;f:{if((d|0)<=0){break f}while(1){h=(e+912|0)+d|0;f=G[h|0];if((f|0)!=32&f-14>>>0<4294967291){break f}G[h|0]=0;f=(d|0)>1;d=d-1|0;if(f){continue}break}}d=qe(e+912|0);if(!d){break e}}G[d|0]=0}d=e+912|0;f=J[e+912|0];g:{if(!f){break g}while(1){if(Ya(f<<24>>24)){break g}d=d+1|0;f=J[d|0];if(f){continue}break}}G[d|0]=0;if(!J[e+912|0]){continue}d=d+1|0;h:{switch(yb(140224,e+912|0)-1|0){case 0:while(1){f=d;d=d+1|0;l=G[f|0];h=l-14|0;if((l|0)==32|h>>>0>4294967290){continue}break};Qa(e+832|0,f,80);continue;case 1:G[e+672|0]=0;I[e+364>>2]=5;h=e+672|0;I[e+16>>2]=h;I[e+20>>2]=e+364;Pa(d,86246,e+16|0);f=Ga(h)+2|0;if(f>>>0>=k>>>0){continue}d=(e+368|0)+i|0;G[d|0]=I[e+364>>2];Ha(d+1|0,h);g=g+1|0;i=f+i|0;continue d;case 2:I[e+52>>2]=e+360;I[e+48>>2]=e+752;Pa(d,86246,e+48|0);if(!c){continue}I[e+32>>2]=n;Sa(o,92052,e+32|0);continue;case 5:break h;default:continue}}I[e+64>>2]=e+356;Pa(d,87277,e- -64|0);continue}break}break}G[(e+368|0)+i|0]=0;l=yb(140432,e+752|0);if(!g){bb(j);break c}h=Ga(n);f=e+832|0;g=be(((h+i|0)+Ga(f)|0)+28|0,1);d=i+1|0;k=Ka(g+24|0,e+368|0,d);I[g+4>>2]=k;d=Ha(d+k|0,n);I[g>>2]=d;I[g+8>>2]=d;if(J[e+832|0]){p=g,q=Ha((d+h|0)+1|0,f),I[p>>2]=q}d=I[e+360>>2];G[g+14|0]=0;G[g+12|0]=l;G[g+13|0]=d;G[g+15|0]=I[e+356>>2];bb(j);d=I[52363];I[52363]=d+1;I[(d<<2)+209456>>2]=g}d=te(m);if(d){continue}break}}Ge(I[m+8>>2]);Ma(m)}ra=e+1040|0}function Bb(a,b){var c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0;if(!a){return Va(b)}if(b>>>0>=4294967232){I[58856]=48;return 0}g=b>>>0<11?16:b+11&-8;i=a-8|0;j=I[i+4>>2];e=j&-8;a:{if(!(j&3)){if(g>>>0<256){break a}if(e>>>0>=g+4>>>0){c=i;if(e-g>>>0<=I[59336]<<1>>>0){break a}}c=0;break a}h=e+i|0;b:{if(e>>>0>=g>>>0){d=e-g|0;if(d>>>0<16){break b}I[i+4>>2]=j&1|g|2;c=g+i|0;I[c+4>>2]=d|3;I[h+4>>2]=I[h+4>>2]|1;ce(c,d);break b}if(I[59222]==(h|0)){e=e+I[59219]|0;if(e>>>0<=g>>>0){break a}I[i+4>>2]=j&1|g|2;d=g+i|0;c=e-g|0;I[d+4>>2]=c|1;I[59219]=c;I[59222]=d;break b}if(I[59221]==(h|0)){e=e+I[59218]|0;if(e>>>0<g>>>0){break a}c=e-g|0;c:{if(c>>>0>=16){I[i+4>>2]=j&1|g|2;d=g+i|0;I[d+4>>2]=c|1;e=e+i|0;I[e>>2]=c;I[e+4>>2]=I[e+4>>2]&-2;break c}I[i+4>>2]=e|j&1|2;c=e+i|0;I[c+4>>2]=I[c+4>>2]|1;c=0}I[59221]=d;I[59218]=c;break b}d=I[h+4>>2];if(d&2){break a}k=e+(d&-8)|0;if(k>>>0<g>>>0){break a}m=k-g|0;f=I[h+12>>2];d:{if(d>>>0<=255){c=I[h+8>>2];if((c|0)==(f|0)){n=236864,o=I[59216]&Gg(-2,d>>>3|0),I[n>>2]=o;break d}I[c+12>>2]=f;I[f+8>>2]=c;break d}l=I[h+24>>2];e:{if((f|0)!=(h|0)){c=I[h+8>>2];I[c+12>>2]=f;I[f+8>>2]=c;break e}f:{c=I[h+20>>2];if(c){d=h+20|0}else{c=I[h+16>>2];if(!c){break f}d=h+16|0}while(1){e=d;f=c;d=c+20|0;c=I[c+20>>2];if(c){continue}d=f+16|0;c=I[f+16>>2];if(c){continue}break}I[e>>2]=0;break e}f=0}if(!l){break d}d=I[h+28>>2];c=(d<<2)+237168|0;g:{if(I[c>>2]==(h|0)){I[c>>2]=f;if(f){break g}n=236868,o=I[59217]&Gg(-2,d),I[n>>2]=o;break d}h:{if(I[l+16>>2]==(h|0)){I[l+16>>2]=f;break h}I[l+20>>2]=f}if(!f){break d}}I[f+24>>2]=l;c=I[h+16>>2];if(c){I[f+16>>2]=c;I[c+24>>2]=f}c=I[h+20>>2];if(!c){break d}I[f+20>>2]=c;I[c+24>>2]=f}if(m>>>0<=15){I[i+4>>2]=j&1|k|2;c=i+k|0;I[c+4>>2]=I[c+4>>2]|1;break b}I[i+4>>2]=j&1|g|2;d=g+i|0;I[d+4>>2]=m|3;c=i+k|0;I[c+4>>2]=I[c+4>>2]|1;ce(d,m)}c=i}if(c){return c+8|0}d=Va(b);if(!d){return 0}c=I[a-4>>2];c=(c&3?-4:-8)+(c&-8)|0;Ka(d,a,b>>>0>c>>>0?c:b);Ma(a);return d}function Pd(a,b,c,d,e,f){var g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0;G[c|0]=1;r=c+3|0;s=c+2|0;t=c+1|0;q=f&1;l=-1;k=-1;j=1;f=b;while(1){u=p-2|0;a:{b:{c:while(1){n=J[f|0];if(!n){break a}f=f+1|0;h=I[(n<<2)+152704>>2];if(!h){continue}d:{g=J[h+11|0];if((g|0)!=1){if(J[h+6|0]&16|(g|0)!=2){break d}g=c+j|0;G[g|0]=l;i=(l|0)<4|(k|0)>(l|0);if(!(!(J[h+4|0]&2)|(!q|(l|0)>=0))){G[g|0]=1}o=i?o:j;k=i?k:l;j=j+1|0;l=-1;break b}if(K[h+8>>1]){break d}g=0;m=j;if((n|0)==8){while(1){i=g;m=m-1|0;if(I[e>>2]|(m|0)<=0){continue c}h=c+m|0;n=G[h|0];if((n|0)>3){continue c}g=g+1|0;if(n>>>0<2){continue}break}G[h|0]=4;o=(k|0)<4?m:o;k=(k|0)<=4?4:k;if((m|0)==1){continue}g=(i^-1)+p|0;n=g&3;h=1;if(u-i>>>0>=3){m=g&-4;g=0;while(1){i=c+h|0;if(J[i|0]==4){G[i|0]=3}i=h+t|0;if(J[i|0]==4){G[i|0]=3}i=h+s|0;if(J[i|0]==4){G[i|0]=3}i=h+r|0;if(J[i|0]==4){G[i|0]=3}h=h+4|0;g=g+4|0;if((m|0)!=(g|0)){continue}break}}g=0;if(!n){continue}while(1){i=c+h|0;if(J[i|0]==4){G[i|0]=3}h=h+1|0;g=g+1|0;if((n|0)!=(g|0)){continue}break}continue}g=J[h+14|0];if(I[e>>2]?g>>>0>=4:0){continue}k=(g|0)<(k|0)?k:g;l=g;continue}break}if((n|0)!=20){break b}G[c+j|0]=q?(l|0)<0?1:l:l;j=j+1|0}G[b|0]=n;p=j-1|0;b=b+1|0;if((j|0)<99){continue}}break}G[c+j|0]=1;G[b|0]=0;b=I[e>>2];e:{if((b|0)>0){k=4;if((b|0)>=(j|0)){I[e>>2]=p;b=p}G[b+c|0]=4;o=I[e>>2];break e}if((k|0)!=5){break e}k=4;if((j|0)<2){break e}f=1;b=j-1|0;i=b&1;if((j|0)!=2){l=b&-2;m=0;while(1){h=4;f:{g:{h:{g=f;b=g+c|0;switch(J[b|0]-4|0){case 1:break g;case 0:break h;default:break f}}h=J[a+14|0]&2?1:3;g=o}G[b|0]=h;o=g}h=4;i:{j:{k:{g=f+1|0;b=g+c|0;switch(J[b|0]-4|0){case 1:break j;case 0:break k;default:break i}}h=J[a+14|0]&2?1:3;g=o}G[b|0]=h;o=g}f=f+2|0;m=m+2|0;if((l|0)!=(m|0)){continue}break}}if(!i){break e}h=4;l:{m:{b=c+f|0;switch(J[b|0]-4|0){case 1:break l;case 0:break m;default:break e}}h=J[a+14|0]&2?1:3;f=o}G[b|0]=h;o=f}I[e>>2]=o;I[d>>2]=j;return k}function He(){var a=0,b=0,c=0,d=0;c=ib(12);I[c>>2]=22050;d=ib(432);a=d;I[a+4>>2]=0;I[a+8>>2]=0;I[a>>2]=140624;I[a+32>>2]=0;I[a+12>>2]=0;I[a+16>>2]=0;I[a+20>>2]=0;I[a+24>>2]=0;Ja(a+40|0,0,376);I[a+420>>2]=0;I[a+424>>2]=-1;G[a+416|0]=1;b=Ja(ib(408),0,408);I[a+28>>2]=b;G[b+8|0]=1;I[c+4>>2]=a;a=ib(1096);I[a+32>>2]=0;I[a+36>>2]=0;I[a+24>>2]=22050;I[a+16>>2]=0;I[a+20>>2]=0;I[a+8>>2]=22050;I[a+4>>2]=22050;I[a>>2]=140672;I[a+128>>2]=0;I[a+132>>2]=0;H[a+96>>1]=0;I[a+72>>2]=22050;I[a+64>>2]=22050;I[a+56>>2]=0;I[a+60>>2]=0;H[a+168>>1]=0;I[a+144>>2]=22050;I[a+200>>2]=0;I[a+204>>2]=0;I[a+216>>2]=22050;H[a+240>>1]=0;I[a+40>>2]=0;I[a+44>>2]=0;G[a+48|0]=0;I[a+136>>2]=0;I[a+140>>2]=0;I[a+208>>2]=0;I[a+212>>2]=0;I[a+280>>2]=0;I[a+284>>2]=0;I[a+272>>2]=0;I[a+276>>2]=0;I[a+288>>2]=22050;H[a+312>>1]=0;I[a+344>>2]=0;I[a+348>>2]=0;I[a+352>>2]=0;I[a+356>>2]=0;I[a+360>>2]=22050;H[a+384>>1]=0;I[a+416>>2]=0;I[a+420>>2]=0;I[a+424>>2]=0;I[a+428>>2]=0;I[a+432>>2]=22050;H[a+456>>1]=0;I[a+488>>2]=0;I[a+492>>2]=0;I[a+496>>2]=0;I[a+500>>2]=0;I[a+504>>2]=22050;H[a+528>>1]=1;I[a+560>>2]=0;I[a+564>>2]=0;I[a+568>>2]=0;I[a+572>>2]=0;H[a+600>>1]=0;I[a+576>>2]=22050;I[a+640>>2]=0;I[a+644>>2]=0;I[a+632>>2]=0;I[a+636>>2]=0;H[a+680>>1]=0;I[a+656>>2]=22050;I[a+648>>2]=22050;I[a+720>>2]=0;I[a+724>>2]=0;I[a+712>>2]=0;I[a+716>>2]=0;H[a+752>>1]=0;I[a+728>>2]=22050;I[a+792>>2]=0;I[a+796>>2]=0;I[a+784>>2]=0;I[a+788>>2]=0;H[a+824>>1]=0;I[a+800>>2]=22050;I[a+864>>2]=0;I[a+868>>2]=0;I[a+856>>2]=0;I[a+860>>2]=0;I[a+872>>2]=22050;H[a+896>>1]=0;I[a+936>>2]=0;I[a+940>>2]=0;I[a+928>>2]=0;I[a+932>>2]=0;H[a+968>>1]=0;I[a+944>>2]=22050;I[a+1008>>2]=0;I[a+1012>>2]=0;I[a+1e3>>2]=0;I[a+1004>>2]=0;H[a+1040>>1]=0;I[a+1016>>2]=22050;I[a+1088>>2]=0;b=a+1080|0;I[b>>2]=0;I[b+4>>2]=0;I[a+1072>>2]=0;I[a+1076>>2]=0;I[c+8>>2]=a;va[I[I[a>>2]+4>>2]](a,d);return c}function gf(a,b,c,d){var e=0,f=0,g=0,h=0,i=0,j=0;e=ra-176|0;ra=e;G[a|0]=0;H[e+80>>1]=24320;I[e+104>>2]=0;I[e+108>>2]=0;f=c;c=e+80|0;g=c|2;i=Xa(f,g)+e|0,j=0,G[i+82|0]=j;a:{b:{if(!d){d=c|1;I[e+12>>2]=d;f=e+12|0;c=e+16|0;h=e+104|0;c:{if(cb(b,f,c,h,0,0)){break c}I[e+12>>2]=g;if(cb(b,f,c,h,0,0)){break c}G[e+81|0]=32;pb(b,g,c,60,0,0,0)}c=J[e+16|0];if(c?(c|0)!=21:0){break b}d:{if(I[b+212>>2]!=25966){Fb(85728,197012,197536);G[e+81|0]=95;I[e+12>>2]=d;c=e+12|0;d=e+16|0;f=e+104|0;if(!cb(I[49253],c,d,f,0,0)){I[e+12>>2]=g;cb(I[49253],c,d,f,0,0)}if(J[e+16|0]){break d}hb(I[I[35052]+60>>2]);c=J[e+16|0]}if(c&255){break b}b=J[87133]|J[87134]<<8|(J[87135]<<16|J[87136]<<24);c=J[87129]|J[87130]<<8|(J[87131]<<16|J[87132]<<24);G[a|0]=c;G[a+1|0]=c>>>8;G[a+2|0]=c>>>16;G[a+3|0]=c>>>24;G[a+4|0]=b;G[a+5|0]=b>>>8;G[a+6|0]=b>>>16;G[a+7|0]=b>>>24;G[a+16|0]=J[87145];b=J[87141]|J[87142]<<8|(J[87143]<<16|J[87144]<<24);c=J[87137]|J[87138]<<8|(J[87139]<<16|J[87140]<<24);G[a+8|0]=c;G[a+9|0]=c>>>8;G[a+10|0]=c>>>16;G[a+11|0]=c>>>24;G[a+12|0]=b;G[a+13|0]=b>>>8;G[a+14|0]=b>>>16;G[a+15|0]=b>>>24;break a}d=e+16|0;g=e+104|0;c=ra-112|0;ra=c;f=I[49253];e:{if(!f){qb(b,d,g,-1,0);b=c+48|0;Hb(d,b);I[c>>2]=b;Fa(a,85463,c);break e}qb(f,d,g,-1,0);f=d;d=c+48|0;Hb(f,d);b=I[b+212>>2];G[c+43|0]=b>>>24;g=c+43|0;f=g+(b>>>0>16777215)|0;G[f|0]=b>>>16;f=f+((b&16711680)!=0)|0;G[f|0]=b>>>8;f=f+((b&65280)!=0)|0;G[f|0]=b;G[f+((b&255)!=0)|0]=0;I[c+16>>2]=85728;I[c+24>>2]=g;I[c+20>>2]=d;Fa(a,85671,c+16|0)}ra=c+112|0;hb(I[I[35052]+60>>2]);break a}I[e+12>>2]=g;cb(b,e+12|0,e+16|0,e+104|0,0,0);if(!J[e+16|0]){break a}}c=b;b=e+16|0;qb(c,b,e+104|0,-1,0);c=b;b=e+112|0;Hb(c,b);I[e>>2]=b;Fa(a,85463,e)}ra=e+176|0;return a}function _b(a,b){var c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0,p=0,q=0,r=0,s=0,t=0,u=0,v=0,w=0;c=ra-112|0;ra=c;I[c+72>>2]=-1;d=c- -64|0;I[d>>2]=-1;I[d+4>>2]=-1;I[c+56>>2]=-1;I[c+60>>2]=-1;I[c+48>>2]=-1;I[c+52>>2]=-1;I[c+40>>2]=-1;I[c+44>>2]=-1;I[c+32>>2]=-1;I[c+36>>2]=-1;I[c+24>>2]=-1;I[c+28>>2]=-1;I[c+16>>2]=-1;I[c+20>>2]=-1;if((b|0)>0){f=I[c+72>>2];g=I[c+68>>2];h=I[c+64>>2];i=I[c+60>>2];j=I[c+56>>2];k=I[c+52>>2];l=I[c+48>>2];m=I[c+44>>2];n=I[c+40>>2];o=I[c+36>>2];p=I[c+32>>2];q=I[c+28>>2];r=I[c+24>>2];s=I[c+20>>2];t=I[c+16>>2];while(1){e=f;d=(u<<6)+143152|0;f=I[d+60>>2];f=(f|0)<0?e:f;e=g;g=I[d+56>>2];g=(g|0)<0?e:g;e=h;h=I[d+52>>2];h=(h|0)<0?e:h;e=i;i=I[d+48>>2];i=(i|0)<0?e:i;e=j;j=I[d+44>>2];j=(j|0)<0?e:j;e=k;k=I[d+40>>2];k=(k|0)<0?e:k;e=l;l=I[d+36>>2];l=(l|0)<0?e:l;e=m;m=I[d+32>>2];m=(m|0)<0?e:m;e=n;n=I[d+28>>2];n=(n|0)<0?e:n;e=o;o=I[d+24>>2];o=(o|0)<0?e:o;e=p;p=I[d+20>>2];p=(p|0)<0?e:p;e=q;q=I[d+16>>2];q=(q|0)<0?e:q;e=r;r=I[d+12>>2];r=(r|0)<0?e:r;e=s;s=I[d+8>>2];s=(s|0)<0?e:s;d=I[d+4>>2];t=(d|0)<0?t:d;u=u+1|0;if((u|0)!=(b|0)){continue}break}I[c+72>>2]=f;I[c+68>>2]=g;I[c+64>>2]=h;I[c+60>>2]=i;I[c+56>>2]=j;I[c+52>>2]=k;I[c+48>>2]=l;I[c+44>>2]=m;I[c+40>>2]=n;I[c+36>>2]=o;I[c+32>>2]=p;I[c+28>>2]=q;I[c+24>>2]=r;I[c+20>>2]=s;I[c+16>>2]=t}b=0;while(1){f=b<<2;d=I[f+(c+16|0)>>2];f=f+143088|0;if((d|0)!=I[f>>2]){G[c+80|0]=0;a:{b:{switch(b-1|0){case 4:I[49261]=d-1;break a;case 5:I[49260]=d;break a;case 0:case 1:case 2:case 3:case 11:break b;default:break a}}I[c+4>>2]=d;I[c>>2]=1;I[c+8>>2]=G[b+102828|0];Fa(c+80|0,91952,c)}I[f>>2]=d;d=c+80|0;Ha(I[a>>2]+197664|0,d);v=a,w=I[a>>2]+Ga(d)|0,I[v>>2]=w}b=b+1|0;if((b|0)!=15){continue}break}ra=c+112|0}function Pe(a,b,c){var d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0,n=0,o=0;a:{m=I[52819];if(!m){k=1;break a}d=I[53040];e=O(d,80)+230416|0;e=(I[e+12>>2]+I[e>>2]|0)/(a|0)|0;l=((O(I[52814],19)|0)/40<<16)/(a|0)|0;i=(e|0)<(l|0)?e:l;k=(i|0)>=399?399:i;if((i|0)>=0){Ja(b,0,(k<<2)+4|0);d=I[53040]}if((d|0)>=0){n=I[52861];while(1){f=O(h,80)+230416|0;b:{if(!I[f+4>>2]){break b}g=I[f>>2];if(!g){break b}o=g+I[f+12>>2]|0;d=((g-I[f+8>>2]|0)/(a|0)|0)+1|0;e=(d|0)<=1?1:d;d=O(e,a);if((g|0)>(d|0)){while(1){j=(e<<2)+b|0;I[j>>2]=I[j>>2]+O(I[f+4>>2],J[((g-d|0)/(I[f+8>>2]>>8)|0)+n|0]);e=e+1|0;d=a+d|0;if((g|0)>(d|0)){continue}break}}if((d|0)>=(o|0)){break b}while(1){j=(e<<2)+b|0;I[j>>2]=I[j>>2]+O(I[f+4>>2],J[((d-g|0)/(I[f+12>>2]>>8)|0)+n|0]);e=e+1|0;d=a+d|0;if((o|0)>(d|0)){continue}break}}h=h+1|0;if((h|0)<=I[53040]){continue}break}}e=1;f=65536e3/(a|0)|0;c:{if((f|0)<=0){break c}d=O(I[57625],10);if((d|0)<=0){break c}f=(d|0)/(f|0)|0;while(1){g=(e<<2)+b|0;I[g>>2]=I[g>>2]+d;e=e+1|0;d=d-f|0;if((d|0)>0){continue}break}}if((h|0)<=8){while(1){d=h<<2;e=d+211456|0;f=O(h,80)+230416|0;g=I[f+4>>2]>>14;I[e>>2]=(O(O(g,g),5)|0)/2;d:{if(c){d=I[d+211504>>2];break d}g=d+211504|0;d=I[f>>2]/(a|0)|0;I[g>>2]=d}if((d|0)>=(l|0)){I[e>>2]=0}h=h+1|0;if((h|0)!=9){continue}break}}e=0;if((i|0)>=0){g=m+344|0;d=0;while(1){h=(d<<2)+b|0;f=I[h>>2]>>15;f=O(f,f)>>8;I[h>>2]=f;i=e>>19;if((i|0)<=999){I[h>>2]=O(f,J[g+i|0])>>13}e=a+e|0;h=(d|0)!=(k|0);d=d+1|0;if(h){continue}break}}I[b+4>>2]=(O(I[b+4>>2],J[211540]?6:10)|0)/8;if(!(c&1)){break a}a=I[52886];d=1;while(1){c=d<<2;I[c+211552>>2]=I[b+c>>2]-I[a+c>>2]>>3;c=d+1|0;if((c|0)==30){break a}c=c<<2;I[c+211552>>2]=I[b+c>>2]-I[a+c>>2]>>3;d=d+2|0;continue}}return k}function cb(a,b,c,d,e,f){var g=0,h=0,i=0,j=0,k=0,l=0,m=0;i=ra-192|0;ra=i;l=I[b>>2];g=l;a:{b:{while(1){k=G[g|0];h=1;c:{if((k|0)>=0){break c}h=2;if(k>>>0<4294967264){break c}h=k>>>0<4294967280?3:4}k=h+g|0;if(!(J[k|0]!=32|J[k+1|0]!=46)){if(j-160>>>0<4294967135){break b}m=i+32|0;Ka(m+j|0,g,h);j=h+j|0;G[j+m|0]=46;g=k+3|0;j=j+1|0;continue}break}if(!j){break b}k=0;while(1){h=k;k=h+1|0;if(J[g+h|0]&223){continue}break}m=h+j|0;if(m+1>>>0>160){break b}k=i+32|0;Ka(k+j|0,g,h);G[k+m|0]=0;if(!Pc(a,k,g,c,d,e,f)){break b}I[d>>2]=I[d>>2]|128;I[35324]=j;h=1;break a}g=l+1|0;k=J[l|0];d:{if(!(k&223)){j=g;l=0;break d}G[i+32|0]=k;h=1;while(1){j=g+1|0;g=J[g|0];if(!(g&223)){l=h;break d}if(!((g|0)!=46|(k<<24>>24)-48>>>0>=10)){l=h;break d}G[(i+32|0)+h|0]=g;l=159;k=g;g=j;h=h+1|0;if((h|0)!=159){continue}break}}g=i+32|0;G[g+l|0]=0;g=Pc(a,g,j,c,d,e,f);e:{if(J[d+3|0]&8){h=a+268|0;if(!Wa(c,h)){h=I[a+288>>2]+1|0;I[a+288>>2]=h;if((h|0)<4){break e}G[c|0]=0;break e}Qa(h,c,20);I[a+288>>2]=1;break e}I[a+288>>2]=0}f:{if(!g){g=0;if(J[d+5|0]&8){g=i+32|J[i+32|0]==95;h=La(i+28|0,g);Jd(a,I[i+28>>2],c);g=g+h|0}if(!(l>>>0<2|g)){G[c|0]=0;g:{h:{if(!(e&16)){break h}g=i+l|0;if(J[g+31|0]!=101){break h}G[g+31|0]=0;break g}if(!(e&4096)){break f}g=(i+32|0)+l|0;h=g-1|0;if(J[h|0]!=J[g-2|0]){break f}G[h|0]=0}g=Pc(a,i+32|0,j,c,d,e,f)}if(!g){break f}}h=1;j=I[d>>2];if(J[a+172|0]==1){j=j^536870912;I[d>>2]=j}if(!(j&536870912)){break a}if(!(e&2)){break f}H[70568]=8192;I[i+16>>2]=c;Fa(141138,87479,i+16|0);a=I[b>>2];I[b>>2]=141138;if(!(J[197028]&8)){break f}b=i+32|0;d=a;a=g-a|0;Ka(b,d,a);G[a+b|0]=0;I[i+4>>2]=141138;a=I[49255];I[i>>2]=b;Sa(a,87661,i)}h=0;G[c|0]=0}ra=i+192|0;return h}function pd(a){var b=0,c=0,d=0,e=0,f=0,g=0,h=0;b=17;I[a+328>>2]=17;I[a+224>>2]=0;I[a+216>>2]=1105;I[a+220>>2]=1072;I[a+600>>2]=1056;I[a+8180>>2]=105312;d=Ja(a+344|0,0,256);G[a+393|0]=1;G[a+365|0]=1;G[a+360|0]=1;G[a+545|0]=1;G[a+529|0]=1;G[a+391|0]=1;G[a+379|0]=1;G[a+374|0]=1;G[a+489|0]=1;G[a+487|0]=1;G[a+398|0]=1;G[a+387|0]=1;G[a+388|0]=2;G[a+389|0]=1;G[a+390|0]=1;G[a+385|0]=2;G[a+383|0]=2;G[a+368|0]=1;G[a+369|0]=2;c=104240;while(1){b=b+d|0;G[b|0]=J[b|0]|4;b=d+J[c+1|0]|0;G[b|0]=J[b|0]|4;b=d+J[c+2|0]|0;G[b|0]=J[b|0]|4;c=c+3|0;b=J[c|0];if((c|0)!=104267){continue}break}G[a+386|0]=J[a+386|0]|8;G[a+382|0]=J[a+382|0]|8;G[a+384|0]=J[a+384|0]|8;G[a+369|0]=J[a+369|0]|16;G[a+370|0]=J[a+370|0]|16;G[a+371|0]=J[a+371|0]|16;c=J[a+361|0];d=J[a+362|0];b=J[a+363|0];e=J[a+364|0];f=J[a+366|0];g=J[a+367|0];G[a+372|0]=J[a+372|0]|16;G[a+373|0]=J[a+373|0]|16;G[a+375|0]=J[a+375|0]|16;G[a+376|0]=J[a+376|0]|16;G[a+377|0]=J[a+377|0]|16;G[a+378|0]=J[a+378|0]|16;G[a+380|0]=J[a+380|0]|16;G[a+381|0]=J[a+381|0]|16;G[a+383|0]=J[a+383|0]|16;G[a+385|0]=J[a+385|0]|16;h=J[a+388|0];G[a+367|0]=g|48;G[a+366|0]=f|40;G[a+364|0]=e|48;G[a+363|0]=b|48;G[a+362|0]=d|48;G[a+361|0]=c|48;G[a+388|0]=h|80;c=J[a+390|0];d=J[a+391|0];b=J[a+393|0];G[a+360|0]=J[a+360|0]|128;e=J[a+365|0];G[a+393|0]=b|192;G[a+365|0]=e|128;G[a+368|0]=J[a+368|0]|128;G[a+374|0]=J[a+374|0]|128;G[a+379|0]=J[a+379|0]|128;G[a+387|0]=J[a+387|0]|128;b=J[a+389|0];G[a+391|0]=d|192;G[a+390|0]=c|192;G[a+389|0]=b|128;G[a+529|0]=J[a+529|0]|128;G[a+545|0]=J[a+545|0]|128;G[a+489|0]=J[a+489|0]|128;G[a+487|0]=J[a+487|0]|128;G[a+398|0]=J[a+398|0]|128}function ld(a,b){var c=0,d=0,e=0;c=a&31;a:{b:{c:{a=a&96;if((a|0)==96){a=-1}else{if((a|0)!=64){break c}a=1}if(c>>>0>=15){break a}b=I[(c<<2)+211376>>2]+O(a,b)|0;break b}if(c>>>0>=15){break a}}d=c<<2;a=I[d+105520>>2];I[d+211376>>2]=(b|0)>=0?(a|0)>(b|0)?b:a:0}d:{e:{f:{g:{h:{switch(c-1|0){case 5:a=I[52819];if(!a){break e}I[56788]=I[53042];b=I[53039];c=I[53038];Ja(213424,0,11e3);I[53353]=0;d=I[52849];e=(d|0)>0;c=e?130:(c|0)>=5499?5499:c;b=c?e?d:(b|0)>=100?100:b:0;I[52815]=b;c=(O(c,I[52814])|0)/1e3|0;I[53352]=c;I[56789]=(b|0)>20?c<<1:b?c:0;I[35117]=(O(500-b|0,(O(J[I[52857]+105500|0],(O(I[52847],55)|0)/100|0)|0)/16|0)|0)/500;break g;case 0:break h;case 2:case 12:break d;case 4:break f;default:break e}}a=I[52819];if(!a){break e}}b=256;c=I[52845];if((c|0)>=51){b=(((O(c>>>0>=101?101:c,25)-1250&65535)>>>0)/50|0)+256|0}H[a+164>>1]=(O(H[a+236>>1],b)|0)/256;H[a+166>>1]=(O(H[a+238>>1],b)|0)/256;H[a+168>>1]=(O(H[a+240>>1],b)|0)/256;H[a+170>>1]=(O(H[a+242>>1],b)|0)/256;H[a+172>>1]=(O(H[a+244>>1],b)|0)/256;H[a+174>>1]=(O(H[a+246>>1],b)|0)/256;a=I[52850];H[106120]=(O(H[106156],O(a,-3)+256|0)|0)/256;H[106119]=(O(H[106155],O(a,-6)+256|0)|0)/256;return}if(!I[52819]){break e}I[56788]=I[53042];a=I[53039];b=I[53038];Ja(213424,0,11e3);I[53353]=0;c=I[52849];d=(c|0)>0;b=d?130:(b|0)>=5499?5499:b;a=b?d?c:(a|0)>=100?100:a:0;I[52815]=a;b=(O(b,I[52814])|0)/1e3|0;I[53352]=b;I[56789]=(a|0)>20?b<<1:a?b:0;I[35117]=(O(500-a|0,(O(J[I[52857]+105500|0],(O(I[52847],55)|0)/100|0)|0)/16|0)|0)/500}return}I[35117]=(O(J[I[52857]+105500|0],(O(I[52847],55)|0)/100|0)|0)/16}function Tc(a,b,c){var d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0;if(c){I[c>>2]=0}e=G[a|0];a:{b:{if((e|0)<0){break b}while(1){d=e&255;if(!((d|0)!=32&d-14>>>0<4294967291)){a=a+1|0;e=G[a|0];if((e|0)>=0){continue}break b}break}if(!(e&255)){break a}}while(1){g=e&255;if((g|0)==32|g-14>>>0>4294967290){break a}c:{d:{if((g|0)!=124){break d}d=a+1|0;e=J[d|0];if((e|0)==124){break d}a=d;break c}e:{l=I[38175];if((l|0)>=2){e=1;h=-1;j=0;while(1){k=I[(e<<2)+152704>>2];f:{if(!k|J[k+11|0]==15){break f}i=I[k>>2];g:{h:{if(g>>>0>=33){m=0;f=0;i:{if((i&255)!=(g|0)){break i}f=1;d=J[a+1|0];if(d>>>0<33|(d|0)!=(i>>>8&255)){break i}f=2;d=J[a+2|0];if(d>>>0<33|(d|0)!=(i>>>16&255)){break i}d=J[a+3|0];d=d>>>0>32&(d|0)==(i>>>24|0);f=d?4:3;m=0-d|0}if((f|0)<=(h|0)){break f}d=4;if(!(m&1)){break h}break g}f=0;if((h|0)>=0){break f}}d=f;if(i>>>(d<<3)&255){break f}}j=J[k+10|0];h=d}e=e+1|0;if((l|0)!=(e|0)){continue}break}if(j){break e}}if(c){La(c,a)}G[b|0]=0;return}G[b|0]=j;a=((h|0)<=1?1:h)+a|0;d=b+1|0;e=d;j:{if((j|0)!=21){break j}f=J[a|0];k:{if(!(f&223)){break k}if(f-14>>>0>4294967290){break k}while(1){G[e|0]=f-65>>>0<26?f|32:f;e=e+1|0;a=a+1|0;f=J[a|0];if(!(f&223)){break k}if(f-14>>>0<4294967291){continue}break}}G[e|0]=0;if(!f){if(J[d|0]!=101|J[b+2|0]!=110){break j}if(J[b+3|0]){break j}G[d|0]=0;return}G[e|0]=124;e=e+1|0}b=e;e=J[a|0]}if(e&255){continue}break}}G[b|0]=0}function Rd(a){var b=0,c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0;d=ra-80|0;ra=d;a:{b:{c=I[35282];if(c){break b}I[35283]=500;c=Va(500);I[35282]=c;if(c){break b}I[35283]=0;c=86144;break a}c:{if((I[38483]-2|0)<2){break c}b=a>>8;h=a&128?0:b;i=b&a<<24>>31;f=a&2;l=d+32|1;g=1;while(1){e=(g<<5)+154080|0;dc(d,I[e+8>>2],e,f,d+72|0);b=d+32|0;a=J[e+20|0];if((a&13)==1){G[d+32|0]=32;b=l}d:{if(!h|(h|0)!=32&(a|0)!=0|g>>>0<2){break d}La(d+76|0,d);if(I[d+76>>2]-880>>>0>4294967103){break d}b=Xa(h,b)+b|0}e:{if(!(J[e|0]&4)){break e}a=J[e+3|0];if(a>>>0<2){break e}a=f?a>>>0>3?712:716:G[(a>>>0>=5?5:a)+94160|0];I[d+76>>2]=a;b=Xa(a,b)+b|0}a=0;I[d+72>>2]=0;c=d;if(J[d|0]){while(1){c=La(d+76|0,c)+c|0;f:{if(I[d+72>>2]>>>a-1&1|(!i|(a|0)<=0)){break f}j=I[d+76>>2];if(j-880>>>0>4294967103){break f}if(!lb(j)){break f}b=Xa(i,b)+b|0}a=a+1|0;b=Xa(I[d+76>>2],b)+b|0;if(J[c|0]){continue}break}}g:{if(J[I[e+8>>2]+10|0]==21){break g}a=K[e>>1];if(a&8){b=dc(b,I[38188],e,f,0);a=K[e>>1]}if(!(!(a&4)|J[e+17|0]==2)){b=dc(b,I[38196],e,f,0)}a=J[e+7|0];if(!a){break g}b=dc(b,I[(a<<2)+152704>>2],e,f,0)}c=I[35282];a=b-(d+32|0)|0;b=a+k|0;if(b>>>0>=L[35283]){e=b+500|0;I[35283]=e;c=Bb(c,e);if(!c){I[35283]=0;c=86144;break a}I[35282]=c}e=a;a=d+32|0;G[e+a|0]=0;Ha(c+k|0,a);k=b;g=g+1|0;if((g|0)<(I[38483]-2|0)){continue}break}if(c){break c}c=86144;break a}G[b+c|0]=0}ra=d+80|0;return c}function ge(a,b){var c=0,d=0,e=0,f=0,g=0;a:{b:{c:{d:{e:{c=I[a+4>>2];f:{if((c|0)!=I[a+104>>2]){I[a+4>>2]=c+1;c=J[c|0];break f}c=Na(a)}switch(c-43|0){case 0:case 2:break e;default:break d}}g=(c|0)==45;b=!b;c=I[a+4>>2];g:{if((c|0)!=I[a+104>>2]){I[a+4>>2]=c+1;c=J[c|0];break g}c=Na(a)}d=c-58|0;if(b|d>>>0>4294967285){break c}if(I[a+116>>2]<0){break b}I[a+4>>2]=I[a+4>>2]-1;break b}d=c-58|0}if(d>>>0<4294967286){break b}h:{if(c-48>>>0>=10){break h}while(1){e=(O(e,10)+c|0)-48|0;f=(e|0)<214748364;c=I[a+4>>2];i:{if((c|0)!=I[a+104>>2]){I[a+4>>2]=c+1;c=J[c|0];break i}c=Na(a)}b=c-48|0;if(f&b>>>0<=9){continue}break}f=e>>31;if(b>>>0>=10){break h}while(1){b=c;c=Dg(e,f,10,0);d=b+c|0;b=ua;e=d-48|0;d=(c>>>0>d>>>0?b+1|0:b)-(d>>>0<48)|0;f=d;d=e>>>0<2061584302&(d|0)<=21474836|(d|0)<21474836;c=I[a+4>>2];j:{if((c|0)!=I[a+104>>2]){I[a+4>>2]=c+1;c=J[c|0];break j}c=Na(a)}b=c-48|0;if(d&b>>>0<=9){continue}break}if(b>>>0>=10){break h}while(1){b=I[a+4>>2];k:{if((b|0)!=I[a+104>>2]){I[a+4>>2]=b+1;b=J[b|0];break k}b=Na(a)}if(b-48>>>0<10){continue}break}}b=I[a+116>>2];if((b|0)>0){b=1}else{b=(b|0)>=0}if(b){I[a+4>>2]=I[a+4>>2]-1}a=e;e=g?0-a|0:a;f=g?0-(((a|0)!=0)+f|0)|0:f;break a}f=-2147483648;if(I[a+116>>2]<0){break a}I[a+4>>2]=I[a+4>>2]-1;ua=-2147483648;return 0}ua=f;return e}
+function Tf(a,b,c){a=a|0;b=b|0;c=c|0;var d=0,e=0,f=0,g=0,h=0,i=0;g=ra+-64|0;ra=g;f=1;a:{if(ub(a,b,0)){break a}f=0;if(!b){break a}h=ra-16|0;ra=h;f=I[b>>2];e=I[f-8>>2];I[h+12>>2]=e;I[h+4>>2]=b+e;I[h+8>>2]=I[f-4>>2];f=I[h+8>>2];e=ub(f,133516,0);i=I[h+4>>2];b:{if(e){b=ra+-64|0;ra=b;ra=b- -64|0;d=I[h+12>>2]?0:i;break b}e=ra+-64|0;ra=e;if((b|0)>=(i|0)){I[e+28>>2]=0;I[e+32>>2]=0;I[e+36>>2]=0;I[e+40>>2]=0;I[e+44>>2]=0;I[e+48>>2]=0;I[e+20>>2]=0;I[e+24>>2]=0;I[e+16>>2]=0;I[e+12>>2]=133516;I[e+4>>2]=f;I[e+60>>2]=0;I[e+52>>2]=1;I[e+56>>2]=16777216;I[e+8>>2]=b;va[I[I[f>>2]+20>>2]](f,e+4|0,i,i,1,0);d=I[e+28>>2]?b:0}ra=e- -64|0;if(d){break b}d=ra+-64|0;ra=d;I[d+16>>2]=0;I[d+12>>2]=133468;I[d+8>>2]=b;I[d+4>>2]=133516;b=0;Ja(d+20|0,0,39);I[d+60>>2]=0;G[d+59|0]=1;va[I[I[f>>2]+24>>2]](f,d+4|0,i,1,0);c:{d:{switch(I[d+40>>2]){case 0:b=I[d+44>>2]==1?I[d+32>>2]==1?I[d+36>>2]==1?I[d+24>>2]:0:0:0;break c;case 1:break d;default:break c}}if(I[d+28>>2]!=1){if(I[d+44>>2]|I[d+32>>2]!=1|I[d+36>>2]!=1){break c}}b=I[d+20>>2]}ra=d- -64|0;d=b}ra=h+16|0;f=0;if(!d){break a}Ja(g+8|0,0,56);G[g+59|0]=1;I[g+16>>2]=-1;I[g+12>>2]=a;I[g+4>>2]=d;I[g+52>>2]=1;va[I[I[d>>2]+28>>2]](d,g+4|0,I[c>>2],1);a=I[g+28>>2];if((a|0)==1){I[c>>2]=I[g+20>>2]}f=(a|0)==1}ra=g- -64|0;return f|0}function Ic(a){var b=0,c=0,d=0,e=0,f=0;I[38492]=110;I[38493]=100;I[38494]=450;I[38490]=5;c=I[((a|0)==2?211408:211384)>>2];d=I[35052];b=I[d+84>>2];if((b|0)>0){c=(O(b,c)|0)/100|0}b=(c|0)>=359?359:c;e=(c|0)>379?7:J[((b|0)<=80?80:b)+101872|0];b=(c|0)>399?6:e;a:{if(!(a&1)){break a}I[34606]=(O(b,I[d+72>>2])|0)/256;I[34607]=(O(b,I[d+76>>2])|0)/256;I[34608]=(O(b,I[d+80>>2])|0)/256;if(b>>>0>7){break a}f=b-1|0;I[34608]=f;I[34606]=b;I[34607]=f}if(a&2){a=(c|0)>=450?450:c;d=I[d+72>>2];b:{c:{d:{e:{f:{g:{h:{i:{j:{if((c|0)>=351){e=a-350|0;I[38492]=85-(((e&255)>>>0)/3|0)&255;e=60-(e>>>3|0)|0;break j}if((c|0)<251){break i}e=a-250|0;I[38492]=110-(e>>>2|0);e=110-(e>>>1|0)|0}I[38493]=e;b=(O(b,d)|0)/256|0;I[38491]=((O(b,150)|0)/128|0)+110;if(a>>>0<=349){break h}d=a-350|0;I[38491]=J[d+102240|0];if(a>>>0<390){break f}I[38494]=((a+112<<24>>24)/-2<<24>>24)+450;if(a>>>0<441){break g}I[38494]=860-a;a=12;break c}b=(O(d,e)|0)/256|0;if((c|0)>=170){a=((O(b,150)|0)/128|0)+110|0}else{a=((b<<7)/130|0)+128|0}I[38491]=a}a=(b<<8)/115|0;break c}a=12;if(c>>>0>430){break c}if(c>>>0<=400){break e}a=13;break c}a=(b<<8)/115|0;I[38488]=a;if(c>>>0<375){break d}}a=14;break c}if((c|0)<351){break b}a=J[d+102352|0]}I[38488]=a}I[38489]=(a|0)<=16?16:a}}
+function Me(a,b,c){var d=0,e=0,f=0,g=0;d=+I[52827]*.000244140625;N[c>>3]=d;N[c+40>>3]=+I[a+112>>2]*.015625;N[c+48>>3]=+I[a+276>>2]*.015625;N[c+56>>3]=+(O(H[a+166>>1],H[b+4>>1])|0)*.00390625+ +H[a+220>>1];N[c+64>>3]=+(O(H[a+168>>1],H[b+6>>1])|0)*.00390625+ +H[a+222>>1];N[c+72>>3]=+(O(H[a+170>>1],H[b+8>>1])|0)*.00390625+ +H[a+224>>1];N[c+80>>3]=+(O(H[a+172>>1],H[b+10>>1])|0)*.00390625+ +H[a+226>>1];N[c+88>>3]=+(O(H[a+174>>1],H[b+12>>1])|0)*.00390625+ +H[a+228>>1];e=H[a+230>>1];f=H[a+176>>1];g=H[b+14>>1];I[c+112>>2]=0;I[c+116>>2]=1080623104;I[c+104>>2]=0;I[c+108>>2]=1081032704;N[c+96>>3]=+(O(f,g)|0)*.00390625+ +(e|0);a:{if(J[b+40|0]){I[c+184>>2]=0;I[c+188>>2]=1072693248;N[c+104>>3]=J[b+40|0]<<1>>>0;break a}I[c+184>>2]=0;I[c+188>>2]=0}N[c+120>>3]=+H[a+202>>1]*.00390625*+(J[b+35|0]<<1>>>0);N[c+128>>3]=+H[a+204>>1]*.00390625*+(J[b+36|0]<<1>>>0);N[c+136>>3]=+H[a+206>>1]*.00390625*+(J[b+37|0]<<1>>>0);b=J[b+38|0];a=H[a+208>>1];I[c+176>>2]=0;I[c+180>>2]=1079574528;I[c+160>>2]=0;I[c+164>>2]=1083129856;I[c+152>>2]=0;I[c+156>>2]=1083129856;I[c+352>>2]=0;I[c+356>>2]=1072693248;I[c+168>>2]=0;I[c+172>>2]=1079574528;N[c+144>>3]=+(a|0)*.00390625*+(b<<1>>>0);a=I[52839];N[c+368>>3]=d;N[c+360>>3]=+(a|0)/100*3}function qg(a){a=a|0;var b=0,c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0;c=I[a+420>>2]+1|0;I[a+420>>2]=c;b=I[a+32>>2];a:{if(b){h=I[b+4>>2];if(c>>>0>h>>>0){c=I[a+28>>2];if(c){Ma(c);b=I[a+32>>2]}I[a+32>>2]=0;I[a+28>>2]=b;break a}f=a+40|0;g=b+16|0;i=I[a+28>>2]+16|0;j=+(c>>>0)/+(h>>>0);b=0;while(1){c=b<<3;d=N[c+g>>3];e=N[c+i>>3];N[c+f>>3]=d==d?(d-e)*j+e:e;if((b|0)==46){break a}c=c|8;d=N[c+g>>3];e=N[c+i>>3];N[c+f>>3]=d==d?(d-e)*j+e:e;b=b+2|0;continue}}b=I[a+28>>2];if(c>>>0>L[b>>2]){f=I[a+24>>2];if(f){G[a+416|0]=0;g=I[a+8>>2];c=I[a+20>>2];b=I[I[g+(c>>>8&16777212)>>2]+((c&1023)<<2)>>2];I[a+32>>2]=b;I[a+24>>2]=f-1;c=c+1|0;I[a+20>>2]=c;if(c>>>0>=2048){Ma(I[g>>2]);I[a+8>>2]=I[a+8>>2]+4;I[a+20>>2]=I[a+20>>2]-1024;b=I[a+32>>2]}b:{if(J[b+8|0]==1){Ka(b+16|0,I[a+28>>2]+16|0,376);b=I[a+32>>2];I[b+368>>2]=0;I[b+372>>2]=0;d=N[a+40>>3];I[b+392>>2]=0;I[b+396>>2]=0;N[b+16>>3]=d;break b}c=I[a+28>>2];if(J[c+8|0]!=1){break b}Ka(c+16|0,b+16|0,376);b=I[a+28>>2];I[b+368>>2]=0;I[b+372>>2]=0;b=I[a+32>>2];if(!b){break a}}c=I[b+400>>2];if((c|0)!=-1){I[a+424>>2]=c}I[a+420>>2]=0;N[b+16>>3]=N[b+392>>3]*+L[b+4>>2]+N[b+16>>3];break a}G[a+416|0]=1;break a}d=N[b+392>>3]+N[a+40>>3];N[a+40>>3]=d;N[b+16>>3]=d}return(J[a+416|0]?0:a+40|0)|0}function Gc(a,b,c,d,e,f){var g=0,h=0,i=0,j=0,k=0,l=0;k=a&8388607;i=I[36516];a=k+i|0;g=J[a|0]|J[a+1|0]<<8;if(!g){return}h=J[a+2|0];j=!h;a=I[38494]<<j;a:{if((c|0)<=0){c=g;break a}c=(O(I[52814],c)|0)/1e3<<j;l=(O(c,a)|0)/(g|0)|0;a=(a|0)<(l|0)?l:a}if((e|0)>0){c=(O(c,e)|0)/256|0}e=(O(I[38491],c)|0)/256|0;c=d&4?(c|0)>(e|0)?e:c:e;c=(a|0)<(c|0)?c:a;if(!h){g=g>>>1|0;c=(c|0)/2|0}b:{if((f|0)<0){break b}e=k+4|0;c:{if(b&256){a=I[52818];I[38499]=a;b=(a<<4)+224432|0;I[b>>2]=7;I[b+8>>2]=e+i;I[b+4>>2]=g<<16|c;d=h|f<<8;break c}a=I[52818];I[38499]=a;a=(a<<4)+224432|0;I[a>>2]=6;d=h|f<<8;I[a+12>>2]=d;I[a+8>>2]=e+i;f=g>>>2|0;b=O(f,3);i=(c|0)>(g|0);I[a+4>>2]=i?b:c;a=I[52818]+1|0;I[52818]=(a|0)<=169?a:0;a=c-b|0;c=i?a:0;if((b|0)<(c|0)){c=f;f=f<<1;h=h?c:f;c=a;while(1){a=I[52818];I[38499]=a;a=(a<<4)+224432|0;I[a>>2]=6;I[a+4>>2]=f;I[a+12>>2]=d;I[a+8>>2]=h+(e+I[36516]|0);a=I[52818]+1|0;I[52818]=(a|0)<=169?a:0;c=c-f|0;if((b|0)<(c|0)){continue}break}}if((c|0)<=0){break b}a=I[52818];I[38499]=a;b=(a<<4)+224432|0;I[b>>2]=6;I[b+4>>2]=c;I[b+8>>2]=(e+I[36516]|0)+(g-c<<j)}I[((a<<4)+224432|0)+12>>2]=d;a=I[52818]+1|0;I[52818]=(a|0)<=169?a:0}}function Ka(a,b,c){var d=0,e=0,f=0;if(c>>>0>=512){fa(a|0,b|0,c|0);return a}d=a+c|0;a:{if(!((a^b)&3)){b:{if(!(a&3)){c=a;break b}if(!c){c=a;break b}c=a;while(1){G[c|0]=J[b|0];b=b+1|0;c=c+1|0;if(!(c&3)){break b}if(c>>>0<d>>>0){continue}break}}e=d&-4;c:{if(d>>>0<64){break c}f=e+-64|0;if(f>>>0<c>>>0){break c}while(1){I[c>>2]=I[b>>2];I[c+4>>2]=I[b+4>>2];I[c+8>>2]=I[b+8>>2];I[c+12>>2]=I[b+12>>2];I[c+16>>2]=I[b+16>>2];I[c+20>>2]=I[b+20>>2];I[c+24>>2]=I[b+24>>2];I[c+28>>2]=I[b+28>>2];I[c+32>>2]=I[b+32>>2];I[c+36>>2]=I[b+36>>2];I[c+40>>2]=I[b+40>>2];I[c+44>>2]=I[b+44>>2];I[c+48>>2]=I[b+48>>2];I[c+52>>2]=I[b+52>>2];I[c+56>>2]=I[b+56>>2];I[c+60>>2]=I[b+60>>2];b=b- -64|0;c=c- -64|0;if(f>>>0>=c>>>0){continue}break}}if(c>>>0>=e>>>0){break a}while(1){I[c>>2]=I[b>>2];b=b+4|0;c=c+4|0;if(e>>>0>c>>>0){continue}break}break a}if(d>>>0<4){c=a;break a}e=d-4|0;if(e>>>0<a>>>0){c=a;break a}c=a;while(1){G[c|0]=J[b|0];G[c+1|0]=J[b+1|0];G[c+2|0]=J[b+2|0];G[c+3|0]=J[b+3|0];b=b+4|0;c=c+4|0;if(e>>>0>=c>>>0){continue}break}}if(c>>>0<d>>>0){while(1){G[c|0]=J[b|0];b=b+1|0;c=c+1|0;if((d|0)!=(c|0)){continue}break}}return a}function Xc(a,b,c,d){var e=0,f=0,g=0,h=0,i=0,j=0;g=ra-32|0;ra=g;e=d&65535;f=d>>>16&32767;i=f;a:{if(f-15361>>>0<=2045){e=e<<4|c>>>28;c=c<<4;f=e;e=b>>>28|c;c=f;f=i-15360|0;b=b&268435455;b:{if((b|0)==134217728&(a|0)!=0|b>>>0>134217728){e=e+1|0;c=e?c:c+1|0;break b}if(a|(b|0)!=134217728){break b}a=e;e=e+(e&1)|0;c=a>>>0>e>>>0?c+1|0:c}h=c>>>0>1048575;a=h?0:e;b=h?0:c;e=0;c=f+h|0;f=c>>>0<f>>>0?1:e;break a}if(!(!(a|c|(b|e))|((f|0)!=32767|(h|0)!=0))){a=c;c=e<<4|c>>>28;a=a<<4|b>>>28;b=c|524288;c=2047;f=0;break a}if(i>>>0>17406){a=0;b=0;c=2047;f=0;break a}h=!(f|h);j=h?15360:15361;f=j-i|0;if((f|0)>112){a=0;b=0;c=0;f=0;break a}e=h?e:e|65536;db(g+16|0,a,b,c,e,128-f|0);Ib(g,a,b,c,e,f);a=I[g+8>>2];h=a<<4;b=I[g+12>>2]<<4|a>>>28;a=I[g+4>>2];f=a;a=a>>>28|h;f=f&268435455;c=I[g>>2]|(i|0)!=(j|0)&(I[g+16>>2]|I[g+24>>2]|(I[g+20>>2]|I[g+28>>2]))!=0;c:{if((f|0)==134217728&(c|0)!=0|f>>>0>134217728){a=a+1|0;b=a?b:b+1|0;break c}if(c|(f|0)!=134217728){break c}e=b;b=a;a=a+(a&1)|0;b=b>>>0>a>>>0?e+1|0:e}c=b>>>0>1048575;b=c?b^1048576:b;f=0}ra=g+32|0;z(0,a|0);z(1,b|(d&-2147483648|c<<20));return+B()}function Ua(a){var b=0,c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0;C(+a);b=x(1)|0;x(0)|0;a:{b:{b=b>>>20&2047;if(b-969>>>0<63){h=b;break b}if(b>>>0<969){return a+1}if(b>>>0<1033){break b}C(+a);f=x(1)|0;e=0;if(!(x(0)|0)&(f|0)==-1048576){break a}if(b>>>0>=2047){return a+1}if((f|0)<0){b=ra-16|0;N[b+8>>3]=12882297539194267e-247;return N[b+8>>3]*12882297539194267e-247}b=ra-16|0;N[b+8>>3]=3105036184601418e216;return N[b+8>>3]*3105036184601418e216}c=N[14397];g=a*N[14396]+c;c=g-c;a=c*N[14399]+(c*N[14398]+a);c=a*a;i=c*c*(a*N[14403]+N[14402]);e=c*(a*N[14401]+N[14400]);C(+g);x(1)|0;b=x(0)|0;d=b<<4&2032;a=i+(e+(N[d+115280>>3]+a));d=d+115288|0;f=0+I[d>>2]|0;d=I[d+4>>2]+(b<<13)|0;d=f>>>0<j>>>0?d+1|0:d;if(!h){c:{if(!(b&-2147483648)){z(0,f|0);z(1,d-1058013184|0);c=+B();a=(c*a+c)*5486124068793689e288;break c}z(0,f|0);z(1,d+1071644672|0);c=+B();g=c*a;a=g+c;if(a<1){b=ra-16|0;I[b+8>>2]=0;I[b+12>>2]=1048576;N[b+8>>3]=N[b+8>>3]*22250738585072014e-324;e=a+1;a=e+(g+(c-a)+(a+(1-e)))+-1;a=a==0?0:a}a=a*22250738585072014e-324}return a}z(0,f|0);z(1,d|0);c=+B();e=c*a+c}return e}function Db(a,b){var c=0,d=0,e=0,f=0,g=0;f=ra-16|0;ra=f;a:{b:{if(!sb(84286,G[b|0])){I[58856]=28;break b}d=2;if(!sb(b,43)){d=J[b|0]!=114}d=sb(b,120)?d|128:d;d=sb(b,101)?d|524288:d;e=d;g=d|64;d=J[b|0];e=(d|0)==114?e:g;e=(d|0)==119?e|512:e;I[f>>2]=438;I[f+4>>2]=0;a=aa(-100,a|0,((d|0)==97?e|1024:e)|32768,f|0)|0;if(a>>>0>=4294963201){I[58856]=0-a;a=-1}if((a|0)<0){break a}d=ra-32|0;ra=d;c:{d:{e:{if(!sb(84286,G[b|0])){I[58856]=28;break e}c=Va(1176);if(c){break d}}b=0;break c}Ja(c,0,144);if(!sb(b,43)){I[c>>2]=J[b|0]==114?8:4}f:{if(J[b|0]!=97){b=I[c>>2];break f}b=$(a|0,3,0)|0;if(!(b&1024)){b=b|1024;I[d+16>>2]=b;I[d+20>>2]=b>>31;$(a|0,4,d+16|0)|0}b=I[c>>2]|128;I[c>>2]=b}I[c+80>>2]=-1;I[c+48>>2]=1024;I[c+60>>2]=a;I[c+44>>2]=c+152;g:{if(b&8){break g}I[d>>2]=d+24;I[d+4>>2]=0;if(da(a|0,21523,d|0)|0){break g}I[c+80>>2]=10}I[c+40>>2]=10;I[c+36>>2]=11;I[c+32>>2]=12;I[c+12>>2]=13;if(!J[235437]){I[c+76>>2]=-1}b=I[58875];I[c+56>>2]=b;if(b){I[b+52>>2]=c}I[58875]=c;b=c}ra=d+32|0;c=b;if(c){break a}Z(a|0)|0}c=0}ra=f+16|0;return c}function Xd(a,b){var c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0;d=Ga(b);i=ra-16|0;ra=i;g=J[a+11|0]>>>7|0?(I[a+8>>2]&2147483647)-1|0:10;if(J[a+11|0]>>>7|0){h=I[a+4>>2]}else{h=J[a+11|0]&127}a:{if(g-h>>>0>=d>>>0){if(!d){break a}g=b;if(J[a+11|0]>>>7|0){b=I[a>>2]}else{b=a}Wc(g,d,b+h|0);d=d+h|0;b:{if(J[a+11|0]>>>7|0){I[a+4>>2]=d;break b}G[a+11|0]=J[a+11|0]&128|d&127;G[a+11|0]=J[a+11|0]&127}G[i+15|0]=0;G[b+d|0]=J[i+15|0];break a}e=ra-16|0;ra=e;c=2147483639;c:{f=h+(d-g|0)|0;if(f>>>0<=(g^-1)+2147483639>>>0){j=d;if(J[a+11|0]>>>7|0){d=I[a>>2]}else{d=a}if(g>>>0<1073741811){I[e+12>>2]=g<<1;I[e+4>>2]=f+g;c=ra-16|0;ra=c;ra=c+16|0;c=e+12|0;f=e+4|0;c=I[(L[f>>2]<L[c>>2]?c:f)>>2];if(c>>>0>=11){f=c+8&-8;c=f-1|0;c=(c|0)==11?f:c}else{c=10}c=c+1|0}f=ib(c);I[e+8>>2]=c;I[e+4>>2]=f;c=I[e+4>>2];if(h){Wc(d,h,c)}if(j){Wc(b,j,c+h|0)}if((g|0)!=10){Ma(d)}I[a>>2]=c;I[a+8>>2]=I[a+8>>2]&-2147483648|I[e+8>>2]&2147483647;I[a+8>>2]=I[a+8>>2]|-2147483648;b=a;a=h+j|0;I[b+4>>2]=a;G[e+12|0]=0;G[a+c|0]=J[e+12|0];ra=e+16|0;break c}_d();D()}}ra=i+16|0}function Jd(a,b,c){var d=0,e=0,f=0,g=0,h=0,i=0;d=ra-208|0;ra=d;G[d+80|0]=0;e=b-224|0;a:{b:{if(e>>>0<=158){b=(e<<1)+101088|0;break b}b=b-592|0;if(b>>>0>88){break a}b=(b<<1)+101408|0}e=K[b>>1];if(!e){break a}h=e<<16>>16;b=e&63;c:{if(b>>>0>37){b=b+59|0;break c}b=H[(b<<1)+101600>>1]}f=e>>>6|0;d:{if((h|0)<0){f=(f&63)+59|0;e=e>>>12&7;break d}g=f&31;if(!g){break a}f=0;e=e>>>11|0}g=(g<<3)+138240|0;i=Ia(a,I[g>>2],d+112|0);if(!i){break a}if(!Id(a,b,d+176|0)){break a}e:{if(!e){break e}b=d+80|0;if(!(Ia(a,I[(e<<3)+138240>>2],b)&4096)){break e}b=Ha(c,b);c=Ga(b);G[d+80|0]=0;c=b+c|0}if(f){b=a;a=d+144|0;Id(b,f,a);I[d+68>>2]=d+80;I[d- -64>>2]=a;I[d+60>>2]=6;I[d+52>>2]=23;I[d+56>>2]=d+176;I[d+48>>2]=d+112;Fa(c,84117,d+48|0);break a}if((h|0)<0){Ha(c,d+176|0);break a}if(I[a+144>>2]&1|i&4096|G[g+4|0]&1){I[d+36>>2]=23;I[d+40>>2]=6;I[d+44>>2]=d+176;I[d+32>>2]=d+112;Fa(c,84442,d+32|0);break a}I[d+16>>2]=23;I[d+8>>2]=23;I[d>>2]=4;I[d+12>>2]=d+112;I[d+4>>2]=d+176;Fa(c,84814,d)}ra=d+208|0}function dc(a,b,c,d,e){var f=0,g=0,h=0;g=ra-160|0;ra=g;a:{b:{c:{d:{f=J[b+10|0];switch(f-15|0){case 6:break c;case 0:break d;default:break b}}G[a|0]=0;break a}I[g>>2]=O(J[c+7|0],44)+146096;Fa(a,86011,g);a=Ga(a)+a|0;break a}e:{if(!d){break e}G[g+140|0]=0;f:{if(!c){xd(f,g+8|0);break f}jb(0,0,c,g+8|0,0)}c=g+140|0;f=J[g+140|0];g:{if(!f){break g}if((f|0)==32){G[a|0]=0;break a}f=f<<24>>24;if(f&224){break g}if(e){I[e>>2]=f}c=g+141|0}e=Ga(c);if((e|0)<=0){break e}a=Ha(a,c)+e|0;G[a|0]=0;break a}e=0;h:{f=I[b>>2];c=f&255;if(!c|(c|0)==47){break h}i:{if(d){h=f&255;if((h|0)==95){break h}j:{k:{if((h|0)==35){h=3;if(J[b+11|0]!=2){break k}break h}h=c-32|0;if(h>>>0>95){break j}}c=K[(h<<1)+93968>>1]}e=Xa(c,a);break i}G[a|0]=f;e=1}while(1){f=f>>8;c=f&255;if(!c|(c|0)==47){break h}if(d){if((c|0)==35&J[b+11|0]==2){break h}if(c-48>>>0<10){continue}h=c-32|0;if(h>>>0<=95){c=K[(h<<1)+93968>>1]}e=Xa(c,a+e|0)+e|0}else{G[a+e|0]=f;e=e+1|0}continue}}a=a+e|0;G[a|0]=0}ra=g+160|0;return a}function jc(a){var b=0,c=0;c=a;b=139600;a:{b:{c:{if((a|0)<=1023){break c}b=139620;if(a>>>0<1328){break c}b=139640;if(a>>>0<1424){break c}b=139660;if(a>>>0<1536){break c}b=139680;if(a>>>0<1792){break c}b=139700;if(a>>>0<1872){break c}b=139720;if(a>>>0<2432){break c}b=139740;if(a>>>0<2560){break c}b=139760;if(a>>>0<2688){break c}b=139780;if(a>>>0<2816){break c}b=139800;if(a>>>0<2944){break c}b=139820;if(a>>>0<3072){break c}b=139840;if(a>>>0<3200){break c}b=139860;if(a>>>0<3328){break c}b=139880;if(a>>>0<3456){break c}b=139900;if(a>>>0<3584){break c}b=139920;if(a>>>0<3712){break c}b=139940;if(a>>>0<3840){break c}b=139960;if(a>>>0<4096){break c}b=139980;if(a>>>0<4256){break c}b=14e4;if(a>>>0<4352){break c}b=140020;if(a>>>0<4608){break c}b=140040;if(a>>>0<5024){break c}b=140060;if(a>>>0<10496){break c}b=140080;if(a>>>0<12544){break c}b=140100;if(a>>>0<40960){break c}if(a>>>0>=55296){break b}b=140120}a=b;if((c|0)>=K[a+8>>1]){break a}}a=0}return a}function we(a,b,c){var d=0,e=0,f=0,g=0,h=0;d=ra-208|0;ra=d;I[d+8>>2]=1;I[d+12>>2]=0;h=b<<2;a:{if(!h){break a}I[d+16>>2]=4;I[d+20>>2]=4;b=4;e=4;f=2;while(1){g=b;b=(e+4|0)+b|0;I[(d+16|0)+(f<<2)>>2]=b;f=f+1|0;e=g;if(b>>>0<h>>>0){continue}break}g=(a+h|0)-4|0;b:{if(g>>>0<=a>>>0){b=1;break b}f=1;b=1;while(1){c:{if((f&3)==3){bd(a,c,b,d+16|0);wc(d+8|0,2);b=b+2|0;break c}f=d+16|0;e=b-1|0;d:{if(L[f+(e<<2)>>2]>=g-a>>>0){vc(a,c,d+8|0,b,0,f);break d}bd(a,c,b,d+16|0)}if((b|0)==1){uc(d+8|0,1);b=0;break c}uc(d+8|0,e);b=1}f=I[d+8>>2]|1;I[d+8>>2]=f;a=a+4|0;if(g>>>0>a>>>0){continue}break}}vc(a,c,d+8|0,b,0,d+16|0);if(!((b|0)!=1|I[d+8>>2]!=1|I[d+12>>2])){break a}while(1){e:{if((b|0)<=1){e=d+8|0;g=ve(e);wc(e,g);b=b+g|0;break e}e=d+8|0;uc(e,2);I[d+8>>2]=I[d+8>>2]^7;wc(e,1);h=a-4|0;f=d+16|0;g=b-2|0;vc(h-I[f+(g<<2)>>2]|0,c,e,b-1|0,1,f);uc(e,1);I[d+8>>2]=I[d+8>>2]|1;vc(h,c,e,g,1,f);b=g}a=a-4|0;if(I[d+12>>2]|((b|0)!=1|I[d+8>>2]!=1)){continue}break}}ra=d+208|0}function Oe(){kd();I[58304]=0;I[58305]=0;I[57988]=0;I[57986]=0;I[57987]=0;I[57984]=0;I[58320]=0;I[58321]=0;I[58336]=0;I[58337]=0;I[58306]=0;I[58307]=0;I[58322]=0;I[58323]=0;I[58338]=0;I[58339]=0;I[58032]=0;I[58033]=0;I[58048]=0;I[58049]=0;I[58064]=0;I[58065]=0;I[58080]=0;I[58081]=0;I[58096]=0;I[58097]=0;I[58112]=0;I[58113]=0;I[58128]=0;I[58129]=0;I[58144]=0;I[58145]=0;I[58160]=0;I[58161]=0;I[58034]=0;I[58035]=0;I[58050]=0;I[58051]=0;I[58066]=0;I[58067]=0;I[58082]=0;I[58083]=0;I[58098]=0;I[58099]=0;I[58114]=0;I[58115]=0;I[58130]=0;I[58131]=0;I[58146]=0;I[58147]=0;I[58162]=0;I[58163]=0;I[58178]=0;I[58179]=0;I[58176]=0;I[58177]=0;I[58194]=0;I[58195]=0;I[58192]=0;I[58193]=0;I[58210]=0;I[58211]=0;I[58208]=0;I[58209]=0;I[58226]=0;I[58227]=0;I[58224]=0;I[58225]=0;I[58242]=0;I[58243]=0;I[58240]=0;I[58241]=0;I[58258]=0;I[58259]=0;I[58256]=0;I[58257]=0;I[58274]=0;I[58275]=0;I[58272]=0;I[58273]=0;I[58290]=0;I[58291]=0;I[58288]=0;I[58289]=0}function Bg(a,b,c){var d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0;a:{b:{c:{d:{e:{f:{g:{h:{i:{if(b){if(!c){break i}break h}b=a;a=(a>>>0)/(c>>>0)|0;sa=b-O(a,c)|0;ta=0;ua=0;return a}if(!a){break g}break f}d=c-1|0;if(!(d&c)){break e}g=(R(c)+33|0)-R(b)|0;f=0-g|0;break c}sa=0;a=(b>>>0)/0|0;ta=b-O(a,0)|0;ua=0;return a}d=32-R(b)|0;if(d>>>0<31){break d}break b}sa=a&d;ta=0;if((c|0)==1){break a}d=Cg(c);c=d&31;if((d&63)>>>0>=32){a=b>>>c|0}else{e=b>>>c|0;a=((1<<c)-1&b)<<32-c|a>>>c}ua=e;return a}g=d+1|0;f=63-d|0}e=g&63;d=e&31;if(e>>>0>=32){e=0;h=b>>>d|0}else{e=b>>>d|0;h=((1<<d)-1&b)<<32-d|a>>>d}f=f&63;d=f&31;if(f>>>0>=32){b=a<<d;a=0}else{b=(1<<d)-1&a>>>32-d|b<<d;a=a<<d}if(g){d=c-1|0;k=(d|0)==-1?-1:0;while(1){i=e<<1|h>>>31;e=h<<1|b>>>31;f=k-(i+(e>>>0>d>>>0)|0)>>31;j=c&f;h=e-j|0;e=i-(e>>>0<j>>>0)|0;b=b<<1|a>>>31;a=l|a<<1;i=f&1;l=i;g=g-1|0;if(g){continue}break}}sa=h;ta=e;ua=b<<1|a>>>31;return i|a<<1}sa=a;ta=b;a=0;b=0}ua=b;return a}function kc(a,b,c,d){var e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0,m=0;e=ra-432|0;ra=e;k=Ob(a,b,c,d);a:{if(!d|!(k&536870912)){break a}H[e+48>>1]=8192;d=Ha(e+48|2,d);if(!J[d|0]){break a}i=e+224|0;b=1;j=200;while(1){La(e+44|0,d);f=Cb(I[e+44>>2]);g=I[c>>2];b:{if(f){I[c>>2]=g|2;f=I[e+44>>2];Xa(f-65>>>0<26?f|32:f,d);break b}I[c>>2]=g&-3}m=I[35324];Ob(a,d,c,0);c:{if(b){I[e+16>>2]=197328;f=wb(i,j,84146,e+16|0);break c}I[e+32>>2]=15;I[e+36>>2]=197328;f=wb(i,j,84446,e+32|0)}b=I[35324];g=b+1|0;I[35324]=g;if(b>>>0<=2147483646){while(1){b=d;h=G[d|0];if((h|0)!=32){d=d+1|0;if(h-14>>>0<4294967291){continue}}while(1){d=b;b=d+1|0;l=G[d|0];h=l-14|0;if((l|0)==32|h>>>0>4294967290){continue}break}b=g-1|0;I[35324]=b;h=(g|0)>1;g=b;if(h){continue}break}}i=f+i|0;I[35324]=m;if(J[d|0]){b=0;j=j-f|0;if((j|0)>1){continue}}break}a=e+224|0;if((a|0)==(i|0)){break a}I[e>>2]=a;wb(197328,200,84146,e)}ra=e+432|0;return k}function Fc(a,b){var c=0,d=0,e=0,f=0,g=0,h=0;e=197328;d=ra-320|0;ra=d;I[d+312>>2]=0;f=Ha(d+112|0,197328);g=Pd(a,f,d,d+316|0,d+312|0,0);c=I[d+316>>2];a:{if(b>>>0<=3){if((c|0)<2){break a}b=c-1|0;g=b&3;a=1;if(c-2>>>0>=3){h=b&-4;b=0;while(1){c=a+d|0;if(G[c|0]>=4){G[c|0]=3}c=a+d|0;if(G[c+1|0]>=4){G[c+1|0]=3}if(G[c+2|0]>=4){G[c+2|0]=3}if(G[c+3|0]>=4){G[c+3|0]=3}a=a+4|0;b=b+4|0;if((h|0)!=(b|0)){continue}break}}if(!g){break a}b=0;while(1){c=a+d|0;if(G[c|0]>=4){G[c|0]=3}a=a+1|0;b=b+1|0;if((g|0)!=(b|0)){continue}break}break a}a=1;if((c|0)<=1){break a}while(1){h=a+d|0;if((g|0)>G[h|0]){a=a+1|0;if((c|0)!=(a|0)){continue}break a}break}G[h|0]=b}a=J[f|0];if(a){b=1;while(1){c=I[((a&255)<<2)+152704>>2];if(!(J[c+11|0]!=2|J[c+6|0]&16)){c=G[b+d|0];if(!((c|0)<2?c:0)){G[e|0]=J[c+94167|0];e=e+1|0;a=J[f|0]}b=b+1|0}G[e|0]=a;e=e+1|0;f=f+1|0;a=J[f|0];if(a){continue}break}}G[e|0]=0;ra=d+320|0}function wd(a,b,c,d,e,f,g,h){var i=0,j=0;i=I[35052];j=I[i+116>>2];H[a+8>>1]=K[a+8>>1]+f;f=h&32?0-f|0:f;H[a+10>>1]=f+K[a+10>>1];H[a+12>>1]=f+K[a+12>>1];f=(O(b,j)|0)/256|0;b=H[a+6>>1];f=(f-b|0)/2|0;d=(d|0)>(f|0)?f:d;H[a+6>>1]=((c|0)<(d|0)?d:c)+b;a:{b:{switch(e-1|0){case 0:c=H[a+4>>1];b=235-c|0;b=(b|0)<=-100?-100:b;H[a+4>>1]=((b|0)>=-60?-60:b)+c;break a;case 1:c=H[a+4>>1];b=235-c|0;b=(b|0)<=-300?-300:b;b=(b|0)>=-150?-150:b;H[a+4>>1]=b+c;H[a+2>>1]=b+K[a+2>>1];break a;case 2:break b;default:break a}}b=H[a+4>>1];c=100-b|0;c=(b|0)<400?-400:(c|0)<=-400?-400:c;H[a+4>>1]=b+c;H[a+2>>1]=c+K[a+2>>1]}if(!I[i+132>>2]){G[a+20|0]=((O(J[a+20|0],g)&65535)>>>0)/100;G[a+21|0]=((O(J[a+21|0],g)&65535)>>>0)/100;G[a+22|0]=((O(J[a+22|0],g)&65535)>>>0)/100;G[a+23|0]=((O(J[a+23|0],g)&65535)>>>0)/100;G[a+24|0]=((O(J[a+24|0],g)&65535)>>>0)/100;G[a+25|0]=((O(J[a+25|0],g)&65535)>>>0)/100}}function Ld(a){a=a|0;var b=0,c=0,d=0,e=0,f=0,g=0;b=I[a>>2];c=b;I[a>>2]=b+1;a:{b:{c:{d:{e:{f:{g:{f=J[b|0];switch((f>>>4|0)-8|0){case 0:case 1:case 2:case 3:break b;case 7:break e;case 6:break f;case 4:case 5:break g;default:break a}}d=b+2|0;e=I[a+4>>2];if(d>>>0>=e>>>0){break d}I[a>>2]=d;c=J[c+1|0];if((c&192)!=128){break c}return c&63|f<<6&1984}d=b+3|0;e=I[a+4>>2];if(d>>>0>=e>>>0){break d}c=b+2|0;I[a>>2]=c;b=J[b+1|0];if((b&192)!=128){d=c;break c}I[a>>2]=d;c=J[c|0];if((c&192)!=128){break c}return c&63|(b&63|f<<6&960)<<6}e=I[a+4>>2];c=b+4|0;if(e>>>0<=c>>>0){break d}d=b+2|0;I[a>>2]=d;e=J[b+1|0];if((e&192)!=128){break c}d=b+3|0;I[a>>2]=d;g=J[b+2|0];if((g&192)!=128){break c}I[a>>2]=c;b=J[d|0];d=c;if((b&192)!=128){break c}a=e&63|f<<6&960;return(a>>>0>=272?65533:g<<6&4032|b&63|a<<12)|0}I[a>>2]=e;break b}I[a>>2]=d-1}f=65533}return f|0}function tc(a){var b=0,c=0,d=0,e=0,f=0;e=ra-48|0;ra=e;a:{b:{if(a){c:{if(J[a|0]){break c}a=fc(84297);if(J[a|0]?a:0){break c}a=fc(125664);if(J[a|0]?a:0){break c}a=fc(84626);if(J[a|0]?a:0){break c}a=84903}d:{while(1){c=J[a+b|0];if(!(!c|(c|0)==47)){d=23;b=b+1|0;if((b|0)!=23){continue}break d}break}d=b}c=84903;e:{f:{g:{b=J[a|0];h:{i:{if(!(J[a+d|0]|(b|0)==46)){c=a;if((b|0)!=67){break i}}if(!J[c+1|0]){break h}}if(!Wa(c,84903)){break h}if(Wa(c,85148)){break g}}b=125620;if(J[c+1|0]==46){break f}a=0;break e}b=I[58913];if(b){while(1){if(!Wa(c,b+8|0)){break f}b=I[b+32>>2];if(b){continue}break}}a=Va(36);if(a){b=I[31406];I[a>>2]=I[31405];I[a+4>>2]=b;b=a+8|0;Ka(b,c,d);G[b+d|0]=0;I[a+32>>2]=I[58913];I[58913]=a}b=a?a:125620}a=b}if((a|0)==-1){break a}I[58867]=a;break b}a=I[58867]}f=a?a+8|0:84321}ra=e+48|0;return f}function Na(a){var b=0,c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0;b=I[a+112>>2];d=I[a+116>>2];i=(b|d)!=0;h=b;e=I[a+4>>2];f=I[a+44>>2];b=e-f|0;g=b;c=b+I[a+120>>2]|0;b=I[a+124>>2]+(b>>31)|0;a:{b=c>>>0<g>>>0?b+1|0:b;if(!(((b|0)>=(d|0)&c>>>0>=h>>>0|(b|0)>(d|0))&i)){i=Ac(a);if((i|0)>=0){break a}e=I[a+4>>2];f=I[a+44>>2]}I[a+112>>2]=-1;I[a+116>>2]=-1;I[a+104>>2]=e;g=c;c=f-e|0;d=g+c|0;b=(c>>31)+b|0;I[a+120>>2]=d;I[a+124>>2]=c>>>0>d>>>0?b+1|0:b;return-1}d=c+1|0;b=d?b:b+1|0;h=I[a+4>>2];f=I[a+8>>2];c=I[a+116>>2];g=c;e=I[a+112>>2];b:{if(!(c|e)){break b}c=e-d|0;e=g-(b+(d>>>0>e>>>0)|0)|0;j=f-h|0;g=j>>31;if((e|0)>=(g|0)&c>>>0>=j>>>0|(e|0)>(g|0)){break b}f=c+h|0}I[a+104>>2]=f;c=I[a+44>>2];f=c-h|0;d=f+d|0;b=(f>>31)+b|0;I[a+120>>2]=d;I[a+124>>2]=d>>>0<f>>>0?b+1|0:b;if(c>>>0>=h>>>0){G[h-1|0]=i}return i}function ig(a,b,c){a=a|0;b=b|0;c=c|0;var d=0,e=0,f=0,g=0,h=0,i=0,j=0;f=ra-32|0;ra=f;d=I[a+28>>2];I[f+16>>2]=d;g=I[a+20>>2];I[f+28>>2]=c;I[f+24>>2]=b;b=g-d|0;I[f+20>>2]=b;g=b+c|0;i=2;a:{b:{b=f+16|0;d=_(I[a+60>>2],b|0,2,f+12|0)|0;if(d){I[58856]=d;d=-1}else{d=0}c:{d:{if(d){d=b;break d}while(1){e=I[f+12>>2];if((e|0)==(g|0)){break c}if((e|0)<0){d=b;break b}h=I[b+4>>2];j=h>>>0<e>>>0;d=(j<<3)+b|0;h=e-(j?h:0)|0;I[d>>2]=h+I[d>>2];b=(j?12:4)+b|0;I[b>>2]=I[b>>2]-h;g=g-e|0;b=d;i=i-j|0;e=_(I[a+60>>2],b|0,i|0,f+12|0)|0;if(e){I[58856]=e;e=-1}else{e=0}if(!e){continue}break}}if((g|0)!=-1){break b}}b=I[a+44>>2];I[a+28>>2]=b;I[a+20>>2]=b;I[a+16>>2]=b+I[a+48>>2];a=c;break a}I[a+28>>2]=0;I[a+16>>2]=0;I[a+20>>2]=0;I[a>>2]=I[a>>2]|32;a=0;if((i|0)==2){break a}a=c-I[d+4>>2]|0}ra=f+32|0;return a|0}function yc(a,b,c){var d=0,e=0,f=0,g=0,h=0,i=0;a:{b:{c:{if(I[c+76>>2]>=0){if((b|0)<2){break c}break b}h=1;if((b|0)>1){break b}}d=c;c=I[c+72>>2];I[d+72>>2]=c-1|c;if((b|0)!=1){break a}G[a|0]=0;return a}e=b-1|0;b=a;d:{while(1){e:{f:{g:{d=I[c+4>>2];f=I[c+8>>2];if((d|0)==(f|0)){break g}g=Xb(d,10,f-d|0);h:{if(g){d=I[c+4>>2];f=(g-d|0)+1|0;break h}d=I[c+4>>2];f=I[c+8>>2]-d|0}i=d;d=e>>>0>f>>>0?f:e;Ka(b,i,d);f=d+I[c+4>>2]|0;I[c+4>>2]=f;b=b+d|0;if(g){break e}e=e-d|0;if(!e){break e}if((f|0)==I[c+8>>2]){break g}I[c+4>>2]=f+1;d=J[f|0];break f}d=Ac(c);if((d|0)>=0){break f}e=0;if((a|0)==(b|0)){break d}if(J[c|0]&16){break e}break d}G[b|0]=d;b=b+1|0;if((d&255)==10){break e}e=e-1|0;if(e){continue}}break}if(!a){e=0;break d}G[b|0]=0;e=a}if(h){break a}}return e}function le(a,b,c,d){a:{switch(b-9|0){case 0:b=I[c>>2];I[c>>2]=b+4;I[a>>2]=I[b>>2];return;case 6:b=I[c>>2];I[c>>2]=b+4;b=H[b>>1];I[a>>2]=b;I[a+4>>2]=b>>31;return;case 7:b=I[c>>2];I[c>>2]=b+4;I[a>>2]=K[b>>1];I[a+4>>2]=0;return;case 8:b=I[c>>2];I[c>>2]=b+4;b=G[b|0];I[a>>2]=b;I[a+4>>2]=b>>31;return;case 9:b=I[c>>2];I[c>>2]=b+4;I[a>>2]=J[b|0];I[a+4>>2]=0;return;case 16:b=I[c>>2]+7&-8;I[c>>2]=b+8;N[a>>3]=N[b>>3];return;case 17:va[d|0](a,c);default:return;case 1:case 4:case 14:b=I[c>>2];I[c>>2]=b+4;b=I[b>>2];I[a>>2]=b;I[a+4>>2]=b>>31;return;case 2:case 5:case 11:case 15:b=I[c>>2];I[c>>2]=b+4;I[a>>2]=I[b>>2];I[a+4>>2]=0;return;case 3:case 10:case 12:case 13:break a}}b=I[c>>2]+7&-8;I[c>>2]=b+8;c=I[b+4>>2];I[a>>2]=I[b>>2];I[a+4>>2]=c}function je(a,b,c,d,e,f){var g=0;g=ra-80|0;ra=g;a:{if((f|0)>=16384){Oa(g+32|0,b,c,d,e,0,0,0,2147352576);d=I[g+40>>2];e=I[g+44>>2];b=I[g+32>>2];c=I[g+36>>2];if(f>>>0<32767){f=f-16383|0;break a}Oa(g+16|0,b,c,d,e,0,0,0,2147352576);f=(f>>>0>=49149?49149:f)-32766|0;d=I[g+24>>2];e=I[g+28>>2];b=I[g+16>>2];c=I[g+20>>2];break a}if((f|0)>-16383){break a}Oa(g- -64|0,b,c,d,e,0,0,0,7471104);d=I[g+72>>2];e=I[g+76>>2];b=I[g+64>>2];c=I[g+68>>2];if(f>>>0>4294934644){f=f+16269|0;break a}Oa(g+48|0,b,c,d,e,0,0,0,7471104);f=(f>>>0<=4294918376?-48920:f)+32538|0;d=I[g+56>>2];e=I[g+60>>2];b=I[g+48>>2];c=I[g+52>>2]}Oa(g,b,c,d,e,0,0,0,f+16383<<16);b=I[g+12>>2];I[a+8>>2]=I[g+8>>2];I[a+12>>2]=b;b=I[g+4>>2];I[a>>2]=I[g>>2];I[a+4>>2]=b;ra=g+80|0}function gc(a,b,c){var d=0,e=0;a:{if((a|0)==(b|0)){break a}e=a+c|0;if(b-e>>>0<=0-(c<<1)>>>0){Ka(a,b,c);return}d=(a^b)&3;b:{c:{if(a>>>0<b>>>0){if(d){break b}if(!(a&3)){break c}while(1){if(!c){break a}G[a|0]=J[b|0];b=b+1|0;c=c-1|0;a=a+1|0;if(a&3){continue}break}break c}d:{if(d){break d}if(e&3){while(1){if(!c){break a}c=c-1|0;d=c+a|0;G[d|0]=J[b+c|0];if(d&3){continue}break}}if(c>>>0<=3){break d}while(1){c=c-4|0;I[c+a>>2]=I[b+c>>2];if(c>>>0>3){continue}break}}if(!c){break a}while(1){c=c-1|0;G[c+a|0]=J[b+c|0];if(c){continue}break}break a}if(c>>>0<=3){break b}while(1){I[a>>2]=I[b>>2];b=b+4|0;a=a+4|0;c=c-4|0;if(c>>>0>3){continue}break}}if(!c){break a}while(1){G[a|0]=J[b|0];a=a+1|0;b=b+1|0;c=c-1|0;if(c){continue}break}}}function Gb(a,b,c,d,e){var f=0,g=0,h=0,i=0;f=ra-80|0;ra=f;H[f+72>>1]=0;I[f+64>>2]=0;I[f+68>>2]=0;G[d|0]=0;h=f- -64|0;g=h|2;i=Xa(b,g)+h|0;G[i+2|0]=32;a:{if((c|0)==-1){if(Ia(a,g,d)){break a}G[f+65|0]=95;b=f+16|0;if(Ia(a,h|1,b)|I[a+212>>2]==25966){break a}Fb(85067,197016,197568);if(Ia(I[49254],g,b)){G[d|0]=21;G[d+1|0]=0}hb(I[I[35052]+60>>2]);break a}b:{if(b>>>0>=33){if(!Ya(b)){break b}}I[f>>2]=b;b=f- -64|1;Fa(b,85497,f);Ia(a,b,d);break a}G[i+3|0]=(c|0)==32?32:31;G[f+65|0]=95;c=f+16|0;c:{if(Ia(a,f- -64|1,c)){break c}G[f+65|0]=32;if(Ia(a,g,c)){break c}pb(a,g,c,40,0,268435456,0)}if(!J[f+16|0]){Jd(a,b,f+16|0)}b=Ha(d,f+16|0);c=J[b|0];if(!c|(c|0)==21){break a}I[f+56>>2]=0;I[f+60>>2]=0;qb(a,b,f+56|0,-1,e&1)}ra=f+80|0}function Kd(a,b,c,d){var e=0;e=268439807;a:{b:{c:{d:{switch(d&7){case 3:e:{if(!b){e=2;c=0;break e}e=3;c=Zc(b)+1|0}I[a+12>>2]=0;I[a+8>>2]=e;I[a>>2]=b;e=b?(c<<2)+b|0:0;break b;case 0:if(c>>>0>20){break a}d=(c<<3)+137424|0;if(!I[d>>2]){break a}f:{if(!b){e=2;c=0;break f}e=4;c=Ga(b)+1|0}I[a+8>>2]=e;I[a>>2]=b;I[a+12>>2]=I[d+4>>2];e=b?b+c|0:0;break b;case 1:g:{if(!b){e=0;d=2;break g}e=(Ga(b)+b|0)+1|0;d=5}break c;case 2:if(c>>>0>20){break a}c=(c<<3)+137424|0;d=I[c>>2];if(!d){break a}h:{if(!b){d=2;e=0;break h}e=(Ga(b)+b|0)+1|0}I[a+8>>2]=d;I[a>>2]=b;I[a+12>>2]=I[c+4>>2];break b;case 4:break d;default:break a}}i:{if(!b){e=0;d=2;break i}e=(Ga(b)+b|0)+1|0;d=6}}I[a+12>>2]=0;I[a+8>>2]=d;I[a>>2]=b}I[a+4>>2]=e;e=0}return e}function Ja(a,b,c){var d=0,e=0,f=0,g=0;a:{if(!c){break a}G[a|0]=b;d=a+c|0;G[d-1|0]=b;if(c>>>0<3){break a}G[a+2|0]=b;G[a+1|0]=b;G[d-3|0]=b;G[d-2|0]=b;if(c>>>0<7){break a}G[a+3|0]=b;G[d-4|0]=b;if(c>>>0<9){break a}d=0-a&3;e=d+a|0;b=O(b&255,16843009);I[e>>2]=b;d=c-d&-4;c=d+e|0;I[c-4>>2]=b;if(d>>>0<9){break a}I[e+8>>2]=b;I[e+4>>2]=b;I[c-8>>2]=b;I[c-12>>2]=b;if(d>>>0<25){break a}I[e+24>>2]=b;I[e+20>>2]=b;I[e+16>>2]=b;I[e+12>>2]=b;I[c-16>>2]=b;I[c-20>>2]=b;I[c-24>>2]=b;I[c-28>>2]=b;g=e&4|24;c=d-g|0;if(c>>>0<32){break a}d=Dg(b,0,1,1);f=ua;b=e+g|0;while(1){I[b+24>>2]=d;I[b+28>>2]=f;I[b+16>>2]=d;I[b+20>>2]=f;I[b+8>>2]=d;I[b+12>>2]=f;I[b>>2]=d;I[b+4>>2]=f;b=b+32|0;c=c-32|0;if(c>>>0>31){continue}break}}return a}function Cc(){var a=0,b=0,c=0,d=0,e=0,f=0;c=ra-208|0;ra=c;d=I[52363];if((d|0)>0){while(1){b=(a<<2)+209456|0;e=I[b>>2];if(e){Ma(e);I[b>>2]=0}a=a+1|0;if((d|0)!=(a|0)){continue}break}}I[52363]=0;I[c+16>>2]=145824;I[c+20>>2]=47;a=c+32|0;Fa(a,87836,c+16|0);nd(a,Ga(a)+1|0,0);I[c+4>>2]=47;I[c>>2]=145824;Fa(a,87942,c);nd(a,Ga(a)+1|0,1);a=I[52363];b=a<<2;I[b+209456>>2]=0;d=I[52801];b=Bb(d,b+4|0);if(b){I[52801]=b;we(209456,a,7);d=I[52801];b=0;a=I[52364];if(a){e=0;while(1){f=I[a+4>>2];a:{if(!J[f|0]){break a}if(!Wa(f+1|0,86598)){break a}if(!gb(I[a+8>>2],88041,3)){break a}I[(b<<2)+d>>2]=a;b=b+1|0}e=e+1|0;a=I[(e<<2)+209456>>2];if(a){continue}break}}I[(b<<2)+d>>2]=0}ra=c+208|0;return d}function yd(a){var b=0,c=0,d=0,e=0,f=0,g=0,h=0;a=O(a,44)+146096|0;b=I[a+40>>2];if((b|0)>0){yd(b-1|0)}c=I[a+36>>2];a:{if((c|0)<=0){break a}f=I[a+32>>2];a=I[38175];if((c|0)!=1){h=c&2147483646;while(1){d=(e<<4)+f|0;b=J[d+10|0];I[(b<<2)+152704>>2]=d;b:{if((a|0)>=(b|0)){b=a;break b}a=a+1|0;Ja((a<<2)+152704|0,0,b-a<<2);I[38175]=b}a=J[d+26|0];I[(a<<2)+152704>>2]=d+16;c:{if((a|0)<=(b|0)){a=b;break c}b=b+1|0;Ja((b<<2)+152704|0,0,a-b<<2);I[38175]=a}e=e+2|0;g=g+2|0;if((h|0)!=(g|0)){continue}break}}if(!(c&1)){break a}c=(e<<4)+f|0;b=J[c+10|0];I[(b<<2)+152704>>2]=c;if((a|0)>=(b|0)){break a}a=a+1|0;Ja((a<<2)+152704|0,0,b-a<<2);I[38175]=b}}function Ie(a,b){var c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0;a:{e=I[a+4>>2];i=I[a>>2];b:{if((e|0)!=(i|0)){c=e;break b}d=I[a+8>>2];c=I[a+12>>2];if(d>>>0<c>>>0){f=((c-d>>2)+1|0)/2<<2;g=d-e|0;c=(f+d|0)-g|0;if((d|0)!=(e|0)){gc(c,e,g);d=I[a+8>>2]}I[a+4>>2]=c;I[a+8>>2]=d+f;break b}c=(c|0)==(e|0)?1:c-e>>1;if(c>>>0>=1073741824){break a}f=c<<2;h=ib(f);j=h+f|0;c=(c+3&-4)+h|0;g=c;if((d|0)!=(e|0)){g=(d-e|0)+c|0;d=c;f=e;while(1){I[d>>2]=I[f>>2];f=f+4|0;d=d+4|0;if((g|0)!=(d|0)){continue}break}}I[a+12>>2]=j;I[a+8>>2]=g;I[a+4>>2]=c;I[a>>2]=h;if(!e){break b}Ma(i);c=I[a+4>>2]}I[c-4>>2]=I[b>>2];I[a+4>>2]=I[a+4>>2]-4;return}jd();D()}function Jb(a,b,c,d,e,f,g,h){var i=0,j=0,k=0,l=0;k=1;i=d&2147483647;j=i;l=(i|0)==2147418112;a:{if(l&!c?a|b:l&(c|0)!=0|i>>>0>2147418112){break a}i=h&2147483647;if(!g&(i|0)==2147418112?e|f:(i|0)==2147418112&(g|0)!=0|i>>>0>2147418112){break a}if(!(a|e|(c|g)|(b|f|(i|j)))){return 0}i=d&h;if((i|0)>0){j=1}else{j=(i|0)>=0}if(j){if((c|0)==(g|0)&(d|0)==(h|0)?(b|0)==(f|0)&a>>>0<e>>>0|b>>>0<f>>>0:c>>>0<g>>>0&(d|0)<=(h|0)|(d|0)<(h|0)){return-1}return(a^e|c^g|(b^f|d^h))!=0}if((c|0)==(g|0)&(d|0)==(h|0)?(b|0)==(f|0)&a>>>0>e>>>0|b>>>0>f>>>0:c>>>0>g>>>0&(d|0)>=(h|0)|(d|0)>(h|0)){return-1}k=(a^e|c^g|(b^f|d^h))!=0}return k}function Gd(a,b,c,d){var e=0,f=0,g=0,h=0,i=0,j=0,k=0,l=0;h=ra-208|0;ra=h;f=J[b|0];if(f){while(1){G[e+h|0]=f;i=((f&255)==6&(g|0)!=21)+i|0;g=f<<24>>24;e=e+1|0;f=J[e+b|0];if(f){continue}break}}G[e+h|0]=0;e=J[h|0];if(e){k=i-2|0;g=0;l=(d|0)<2;f=0;while(1){a:{b:{if(!((e&255)!=6|l|(f|0)==21)){e=g+1|0;if(J[a+169|0]==1){f=(e|0)>1?5:6;d=e;break b}f=6;d=i;if((e|0)==(i|0)){break b}f=(e|0)%3|0?5:(g|0)==(k|0)?5:6;d=e;break b}d=e&255;if((d|0)==255){if(!j|(c|0)<2){break a}d=c>>>0>2?11:(g|0)%3|0?23:11}f=d;d=g}g=d;G[b|0]=f;b=b+1|0}j=j+1|0;e=J[j+h|0];if(e){continue}break}}if((c|0)>=2){G[b|0]=11;b=b+1|0}G[b|0]=0;ra=h+208|0}function Hb(a,b){var c=0,d=0,e=0,f=0;c=J[85845]|J[85846]<<8;G[b|0]=c;G[b+1|0]=c>>>8;G[b+2|0]=J[85847];while(1){e=J[a|0];c=a+1|0;a=c;if((e|0)==255){continue}if(e){d=I[(e<<2)+152704>>2];if(!d){continue}a:{if(J[d+11|0]!=1){break a}f=J[d+14|0];if(K[d+8>>1]|f>>>0>4){break a}if(f>>>0<2){continue}G[b|0]=J[f+93959|0];b=b+1|0;continue}a=I[d>>2];if(a&255){while(1){G[b|0]=a;b=b+1|0;d=a&65280;a=a>>>8|0;if(d){continue}break}}a=c;if((e|0)!=21){continue}c=J[a|0];if(((c|32)<<24>>24)-97>>>0>25){continue}while(1){G[b|0]=c;b=b+1|0;a=a+1|0;c=J[a|0];if(((c|32)<<24>>24)-97>>>0<26){continue}break}continue}break}G[b|0]=0}function xb(a,b){var c=0;c=0;a:{if(!a){break a}c=I[52814];a=(O(I[(b?12:((a|0)>199)<<2)+153952>>2],a)|0)/256|0;b=I[38490];a=a>>>0>b>>>0?a:b;if(a>>>0<=89999){c=(O(a,c)>>>0)/1e3|0;break a}c=(O(a,(c|0)/25|0)>>>0)/40|0}a=I[38500];b:{if((a|0)<=0){break b}b=I[38484];if((b|0)<0){break b}b=(b<<4)+224432|0;if(!I[b+4>>2]){I[b+4>>2]=a}I[38500]=0}I[38486]=0;I[38499]=-1;I[38515]=I[52818];Pb();I[38487]=-1;a=(I[52818]<<4)+224432|0;I[a>>2]=5;I[a+4>>2]=c;a=I[52818]+1|0;I[52818]=(a|0)<=169?a:0;I[38486]=0;if(I[38498]){I[38498]=0;a=(I[52818]<<4)+224432|0;I[a>>2]=14;I[a+4>>2]=0;a=I[52818]+1|0;I[52818]=(a|0)<=169?a:0}}function qc(a,b,c,d,e){var f=0,g=0,h=0,i=0;f=ra-208|0;ra=f;I[f+204>>2]=c;c=f+160|0;Ja(c,0,40);I[f+200>>2]=I[f+204>>2];a:{if((ne(0,b,f+200|0,f+80|0,c,d,e)|0)<0){e=-1;break a}i=I[a+76>>2]<0;g=I[a>>2];I[a>>2]=g&-33;b:{c:{d:{if(!I[a+48>>2]){I[a+48>>2]=80;I[a+28>>2]=0;I[a+16>>2]=0;I[a+20>>2]=0;h=I[a+44>>2];I[a+44>>2]=f;break d}if(I[a+16>>2]){break c}}c=-1;if(fd(a)){break b}}c=ne(a,b,f+200|0,f+80|0,f+160|0,d,e)}if(h){va[I[a+36>>2]](a,0,0)|0;I[a+48>>2]=0;I[a+44>>2]=h;I[a+28>>2]=0;b=I[a+20>>2];I[a+16>>2]=0;I[a+20>>2]=0;c=b?c:-1}b=a;a=I[a>>2];I[b>>2]=a|g&32;e=a&32?-1:c;if(i){break a}}ra=f+208|0;return e}function kf(a,b,c,d,e){var f=0,g=0,h=0,i=0;f=ra-16|0;ra=f;a:{if(!(G[a+106|0]&1)){break a}g=J[c|0];if(!(G[d+2|0]&1)&(g|0)!=46){break a}i=I[d+12>>2];if(i&256|!(i&2?e:1)){break a}La(f+12|0,(((g|0)==46)<<1)+c|0);g=J[c|0];if(!g|!J[c+1|0]){break a}i=I[f+12>>2];if(!(!i|J[d+2|0]&2)){if(!Ra(i)){break a}g=J[c|0]}if((g|0)==46){G[c|0]=32}h=2;if(I[a+212>>2]!=26741|e){break a}if(Ra(I[f+12>>2])){c=kc(a,c+2|0,0,0)}else{c=0}a=I[a+8232>>2];b:{if(!(a&32768)){break b}e=I[f+12>>2];if(!(!e|e-48>>>0<10|I[d>>2]&131072)){break b}h=0}h=c&32768?0:h;if(!(c&131072)){break a}h=a&163840?34:J[b-2|0]!=45?h:0}ra=f+16|0;return h}function Je(a,b){var c=0,d=0,e=0,f=0,g=0,h=0,i=0;a:{d=I[a+8>>2];b:{if((d|0)!=I[a+12>>2]){c=d;break b}e=I[a+4>>2];f=I[a>>2];if(e>>>0>f>>>0){c=d-e|0;f=((e-f>>2)+1|0)/-2<<2;g=f+e|0;if((e|0)!=(d|0)){gc(g,e,c);e=I[a+4>>2]}c=c+g|0;I[a+8>>2]=c;I[a+4>>2]=e+f;break b}c=(d|0)==(f|0)?1:d-f>>1;if(c>>>0>=1073741824){break a}g=c<<2;h=ib(g);i=h+g|0;g=(c&-4)+h|0;c=g;if((e|0)!=(d|0)){c=(d-e|0)+c|0;d=g;while(1){I[d>>2]=I[e>>2];e=e+4|0;d=d+4|0;if((d|0)!=(c|0)){continue}break}}I[a+12>>2]=i;I[a+8>>2]=c;I[a+4>>2]=g;I[a>>2]=h;if(!f){break b}Ma(f);c=I[a+8>>2]}I[c>>2]=I[b>>2];I[a+8>>2]=I[a+8>>2]+4;return}jd();D()}function vc(a,b,c,d,e,f){var g=0,h=0,i=0,j=0,k=0;h=ra-240|0;ra=h;g=I[c>>2];I[h+232>>2]=g;c=I[c+4>>2];I[h>>2]=a;I[h+236>>2]=c;k=!e;a:{b:{c:{d:{if((g|0)!=1){g=a;e=1;break d}g=a;e=1;if(c){break d}break c}while(1){i=(d<<2)+f|0;c=g-I[i>>2]|0;if((Lb(c,a,b)|0)<=0){break c}j=k^-1;k=1;e:{if(!((j|(d|0)<2)&1)){i=I[i-8>>2];j=g-4|0;if((Lb(j,c,b)|0)>=0){break e}if((Lb(j-i|0,c,b)|0)>=0){break e}}I[(e<<2)+h>>2]=c;i=h+232|0;g=ve(i);wc(i,g);e=e+1|0;d=d+g|0;g=c;if(I[h+236>>2]|I[h+232>>2]!=1){continue}break b}break}c=g;break b}c=g;if(!k){break a}}ue(h,e);bd(c,b,d,f)}ra=h+240|0}function pe(a,b){var c=0,d=0,e=0,f=0,g=0,h=0,i=0;a:{if(a>>>0>131071){break a}g=a&255;c=(g>>>0)/3|0;f=I[((a-O(c,3)&255)<<2)+128004>>2];e=c;c=a>>>8|0;d=I[(((O(f,J[(e+O(J[c+129376|0],86)|0)+129376|0])>>>11>>>0)%6|0)+J[c+132048|0]<<2)+128016>>2];c=d>>8;d=d&255;if(d>>>0<=1){return(c&0-(b^d))+a|0}d=c&255;if(!d){break a}c=c>>>8|0;while(1){h=d>>>1|0;e=h+c|0;f=(e<<1)+128976|0;i=J[f|0];if((i|0)==(g|0)){c=I[(J[f+1|0]<<2)+128016>>2];d=c&255;if(d>>>0<=1){return(0-(b^d)&c>>8)+a|0}return(b?-1:1)+a|0}f=e;e=g>>>0<i>>>0;c=e?c:f;d=e?h:d-h|0;if(d){continue}break}}return a}function Pf(a,b,c,d,e){a=a|0;b=b|0;c=c|0;d=d|0;e=e|0;if(ub(a,I[b+8>>2],e)){if(!(I[b+28>>2]==1|I[b+4>>2]!=(c|0))){I[b+28>>2]=d}return}a:{if(ub(a,I[b>>2],e)){if(!(I[b+16>>2]!=(c|0)&I[b+20>>2]!=(c|0))){if((d|0)!=1){break a}I[b+32>>2]=1;return}I[b+32>>2]=d;b:{if(I[b+44>>2]==4){break b}H[b+52>>1]=0;a=I[a+8>>2];va[I[I[a>>2]+20>>2]](a,b,c,c,1,e);if(J[b+53|0]==1){I[b+44>>2]=3;if(!J[b+52|0]){break b}break a}I[b+44>>2]=4}I[b+20>>2]=c;I[b+40>>2]=I[b+40>>2]+1;if(I[b+36>>2]!=1|I[b+24>>2]!=2){break a}G[b+54|0]=1;return}a=I[a+8>>2];va[I[I[a>>2]+24>>2]](a,b,c,d,e)}}function _c(a,b,c){var d=0,e=0;e=a;a:{b:{c:{d:{if((e^b)&3){break d}d=(c|0)!=0;e:{if(!(b&3)|!c){break e}while(1){d=J[b|0];G[e|0]=d;if(!d){break a}e=e+1|0;c=c-1|0;d=(c|0)!=0;b=b+1|0;if(!(b&3)){break e}if(c){continue}break}}if(!d){break b}if(!J[b|0]){break a}if(c>>>0<4){break d}while(1){d=I[b>>2];if(((16843008-d|d)&-2139062144)!=-2139062144){break c}I[e>>2]=d;e=e+4|0;b=b+4|0;c=c-4|0;if(c>>>0>3){continue}break}}if(!c){break b}}while(1){d=J[b|0];G[e|0]=d;if(!d){break a}e=e+1|0;b=b+1|0;c=c-1|0;if(c){continue}break}}c=0}Ja(e,0,c);return a}function Xf(a,b,c){a=a|0;b=b|0;c=c|0;var d=0,e=0;a=ra-16|0;ra=a;I[a+12>>2]=b;G[a|0]=0;G[a+11|0]=0;if(b){d=(c|0)==1?24322:24320;while(1){a:{c=I[35343];if(!c){c=Od();I[35343]=c}if(Kd(c,I[a+12>>2],I[I[49252]+328>>2],0)){b=0}else{Ve(I[49252],0,0);b=I[35343];c=I[b>>2];I[a+12>>2]=(c|0)!=I[b+4>>2]?c:0;b=Rd(d)}Xd(a,b);if(!I[a+12>>2]){break a}Xd(a,1040);if(I[a+12>>2]){continue}}break}c=I[a+4>>2];b=J[a+11|0]}else{b=0}d=c;e=b&255;b=b<<24>>24;c=(b|0)<0;e=ib((c?d:e)+1|0);d=I[a>>2];c=Ha(e,c?d:a);if((b|0)<0){Ma(d)}ra=a+16|0;return c|0}function Dc(a,b){var c=0,d=0,e=0,f=0,g=0,h=0;d=ra-112|0;ra=d;a:{if(a){break a}if(I[52363]){a=209456;break a}Cc();a=209456}c=d+16|0;Qa(c,b,40);I[d>>2]=47;I[d+4>>2]=c;b=d- -64|0;Fa(b,87608,d);h=Ga(b);b=0;e=I[a>>2];b:{if(!e){break b}f=-1;c=-1;c:{d:{while(1){g=d+16|0;if(!ad(g,I[e>>2])){break d}e=I[e+8>>2];e:{if(!ad(g,e)){c=b;break e}f=ad(d- -64|0,e+(Ga(e)-h|0)|0)?f:b}b=b+1|0;e=I[(b<<2)+a>>2];if(e){continue}break}c=(c|0)<0?f:c;break c}c=(b|0)<0?(c|0)<0?f:c:b}b=0;if((c|0)<0){break b}b=I[(c<<2)+a>>2]}ra=d+112|0;return b}function ac(a,b){var c=0;a:{if((a|0)>4){break a}}c=a<<2;I[(c+143152|0)+4>>2]=b;I[c+144432>>2]=b;c=28;b:{c:{d:{switch(a-1|0){case 0:I[52852]=b;I[52846]=b;Ic(3);break c;case 1:I[52847]=b;I[35117]=(O(J[I[52857]+105500|0],(O(I[52847],55)|0)/100|0)|0)/16;break c;case 2:a=(b|0)>=99?99:b;I[52845]=(a|0)>0?a:0;break c;case 3:I[52848]=(b|0)>=99?99:b;break c;case 12:I[49328]=b;break c;case 6:I[49265]=b;break c;case 9:break c;case 8:break d;default:break b}}a=b&255;if(a){I[I[49252]+152>>2]=a}I[49256]=b}c=0}return c}function Za(a,b){var c=0,d=0,e=0;a:{if(!I[a>>2]){break a}while(1){b:{if(!Ya(I[a-4>>2])){break b}d=0;c=G[b|0];if((c|0)==I[a>>2]){while(1){d=d+1|0;c=G[d+b|0];a=a+4|0;if((c|0)==I[a>>2]){continue}break}}if(c){break b}while(1){b=a;a=a+4|0;if(Ya(I[b>>2])){continue}break}e=b+((I[b>>2]==61)<<2)|0;while(1){a=e;e=a+4|0;if(Ya(I[a>>2])){continue}break}c:{b=I[a>>2];switch(b-34|0){case 0:case 5:break a;default:break c}}if(Ya(b)){return 102824}return I[a>>2]==47?102824:a}a=a+4|0;if(I[a>>2]){continue}break}}return e}function Ib(a,b,c,d,e,f){var g=0,h=0,i=0,j=0;a:{if(f&64){c=f+-64|0;b=c&31;if((c&63)>>>0>=32){c=0;b=e>>>b|0}else{c=e>>>b|0;b=((1<<b)-1&e)<<32-b|d>>>b}d=0;e=0;break a}if(!f){break a}i=d;h=64-f|0;g=h&31;if((h&63)>>>0>=32){h=d<<g;j=0}else{h=(1<<g)-1&i>>>32-g|e<<g;j=i<<g}i=b;b=f&31;if((f&63)>>>0>=32){g=0;b=c>>>b|0}else{g=c>>>b|0;b=((1<<b)-1&c)<<32-b|i>>>b}b=j|b;c=g|h;g=d;d=f&31;if((f&63)>>>0>=32){h=0;d=e>>>d|0}else{h=e>>>d|0;d=((1<<d)-1&e)<<32-d|g>>>d}e=h}I[a>>2]=b;I[a+4>>2]=c;I[a+8>>2]=d;I[a+12>>2]=e}function $c(a,b){var c=0,d=0,e=0;a:{b:{c:{d=b&255;if(d){if(a&3){while(1){c=J[a|0];if(!c|(c|0)==(d|0)){break a}a=a+1|0;if(a&3){continue}break}}c=I[a>>2];if(((c|16843008-c)&-2139062144)!=-2139062144){break c}e=O(d,16843009);while(1){d=c^e;if(((16843008-d|d)&-2139062144)!=-2139062144){break c}c=I[a+4>>2];d=a+4|0;a=d;if(((16843008-c|c)&-2139062144)==-2139062144){continue}break}break b}return Ga(a)+a|0}d=a}while(1){a=d;c=J[a|0];if(!c){break a}d=a+1|0;if((c|0)!=(b&255)){continue}break}}return a}function Qe(a){var b=0,c=0,d=0,e=0;b=ra-96|0;ra=b;Qa(b,a,60);Ec(b,1);while(1){e=b+d|0;c=G[e|0];c=c-65>>>0<26?c|32:c;G[e|0]=c;d=d+1|0;if(c&255){continue}break}I[b+92>>2]=0;I[b+84>>2]=0;I[b+88>>2]=0;I[b+76>>2]=0;I[b+80>>2]=0;I[b+72>>2]=a;a:{b:{c:{if(Nb(b,1)){if(J[211216]){break c}break b}if(!I[52363]){Cc()}d=268437247;a=Dc(209456,b);if(!a){break a}if(!Nb(I[a+8>>2],0)){break a}if(!J[211216]){break b}}Nb(211216,2)}Ze(I[35052]);I[b+76>>2]=I[35052]+40;Cd(b+72|0,211216);d=0}ra=b+96|0;return d}function db(a,b,c,d,e,f){var g=0,h=0,i=0;a:{if(f&64){e=f+-64|0;f=b;d=e&31;if((e&63)>>>0>=32){e=f<<d;d=0}else{e=(1<<d)-1&f>>>32-d|c<<d;d=f<<d}b=0;c=0;break a}if(!f){break a}h=d;g=f&31;if((f&63)>>>0>=32){i=d<<g;h=0}else{i=(1<<g)-1&h>>>32-g|e<<g;h=h<<g}g=b;e=64-f|0;d=e&31;if((e&63)>>>0>=32){e=0;d=c>>>d|0}else{e=c>>>d|0;d=((1<<d)-1&c)<<32-d|g>>>d}d=h|d;e=e|i;h=b;g=f&31;if((f&63)>>>0>=32){i=b<<g;b=0}else{i=(1<<g)-1&h>>>32-g|c<<g;b=h<<g}c=i}I[a>>2]=b;I[a+4>>2]=c;I[a+8>>2]=d;I[a+12>>2]=e}function Bc(a){var b=0,c=0,d=0;if(!a){a=I[35254];if(a){b=Bc(a)}a=I[35216];if(a){b=Bc(a)|b}a=I[58875];if(a){while(1){if(I[a+20>>2]!=I[a+28>>2]){b=Bc(a)|b}a=I[a+56>>2];if(a){continue}break}}return b}d=I[a+76>>2]<0;a:{b:{if(I[a+20>>2]==I[a+28>>2]){break b}va[I[a+36>>2]](a,0,0)|0;if(I[a+20>>2]){break b}b=-1;break a}b=I[a+8>>2];c=I[a+4>>2];if((b|0)!=(c|0)){b=c-b|0;va[I[a+40>>2]](a,b,b>>31,1)|0}b=0;I[a+28>>2]=0;I[a+16>>2]=0;I[a+20>>2]=0;I[a+4>>2]=0;I[a+8>>2]=0;if(d){break a}}return b}function vb(a,b){var c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0;e=ra-16|0;ra=e;C(+b);d=x(1)|0;f=x(0)|0;j=d;c=d&1048575;d=d>>>20&2047;a:{if(d|0){if((d|0)!=2047|g){h=(c&15)<<28|f>>>4;i=c>>>4|0;g=d+15360|0;d=f<<28;c=0;break a}h=(c&15)<<28|f>>>4;i=c>>>4|0;g=32767;d=f<<28;c=0;break a}if(!(c|f)){d=0;c=0;break a}d=c;c=c?R(c):R(f)|32;db(e,f,d,0,0,c+49|0);g=15372-c|0;h=I[e+8>>2];i=I[e+12>>2]^65536;d=I[e+4>>2];c=I[e>>2]}I[a>>2]=c;I[a+4>>2]=d;I[a+8>>2]=h;I[a+12>>2]=i|(j&-2147483648|g<<16);ra=e+16|0}function hg(a,b,c){a=a|0;b=b|0;c=c|0;var d=0,e=0,f=0,g=0;e=ra-32|0;ra=e;I[e+16>>2]=b;d=I[a+48>>2];I[e+20>>2]=c-((d|0)!=0);g=I[a+44>>2];I[e+28>>2]=d;I[e+24>>2]=g;a:{b:{d=pa(I[a+60>>2],e+16|0,2,e+12|0)|0;if(d){I[58856]=d;d=-1}else{d=0}if(d){b=32}else{d=I[e+12>>2];if((d|0)>0){break b}b=d?32:16}I[a>>2]=b|I[a>>2];break a}f=d;g=I[e+20>>2];if(g>>>0>=d>>>0){break a}f=I[a+44>>2];I[a+4>>2]=f;I[a+8>>2]=f+(d-g|0);if(I[a+48>>2]){I[a+4>>2]=f+1;G[(b+c|0)-1|0]=J[f|0]}f=c}ra=e+32|0;return f|0}function bf(a,b){var c=0,d=0,e=0,f=0,g=0,h=0,i=0,j=0,k=0;c=I[35769];a:{if((c|0)<=0){break a}e=(a|0)>31?a-32|0:a;a=0;if(c>>>0>=4){k=c&2147483644;while(1){g=a|3;h=a|2;i=a|1;d=I[(g<<6)+143152>>2]==(e|0)?g:I[(h<<6)+143152>>2]==(e|0)?h:I[(i<<6)+143152>>2]==(e|0)?i:I[(a<<6)+143152>>2]==(e|0)?a:d;a=a+4|0;f=f+4|0;if((k|0)!=(f|0)){continue}break}}f=c&3;if(f){while(1){d=I[(a<<6)+143152>>2]==(e|0)?a:d;a=a+1|0;j=j+1|0;if((f|0)!=(j|0)){continue}break}}if(!d){break a}I[35769]=d;c=d}_b(b,c)}function Hc(a,b,c,d){var e=0,f=0,g=0;e=ra-224|0;ra=e;a:{if(!a){b=28;break a}I[e>>2]=145824;I[e+4>>2]=47;I[e+8>>2]=b;b=e+16|0;Fa(b,85442,e);g=Ab(b);if((g|0)<0){b=Eb(d,0-g|0,b);break a}f=e+16|0;b=Db(f,85668);if(!b){b=Eb(d,I[58856],f);break a}f=I[a>>2];if(f){Ma(f)}if(!g){b=0;I[a>>2]=0;break a}f=Va(g);I[a>>2]=f;if(!f){bb(b);b=48;break a}if((ed(f,g,b)|0)!=(g|0)){c=I[58856];bb(b);Ma(I[a>>2]);I[a>>2]=0;b=Eb(d,c,e+16|0);break a}bb(b);b=0;if(!c){break a}I[c>>2]=g}ra=e+224|0;return b}function Xb(a,b,c){var d=0,e=0;d=(c|0)!=0;a:{b:{c:{if(!(a&3)|!c){break c}e=b&255;while(1){if((e|0)==J[a|0]){break b}c=c-1|0;d=(c|0)!=0;a=a+1|0;if(!(a&3)){break c}if(c){continue}break}}if(!d){break a}d=b&255;if(!((d|0)==J[a|0]|c>>>0<4)){d=O(d,16843009);while(1){e=d^I[a>>2];if(((16843008-e|e)&-2139062144)!=-2139062144){break b}a=a+4|0;c=c-4|0;if(c>>>0>3){continue}break}}if(!c){break a}}b=b&255;while(1){if((b|0)==J[a|0]){return a}a=a+1|0;c=c-1|0;if(c){continue}break}}return 0}function oc(a,b){var c=0,d=0,e=0,f=0,g=0;c=G[b|0];if((c&192)==128){while(1){b=b-1|0;c=G[b|0];if((c&192)==128){continue}break}}d=1;a:{if(c&128){f=c&224;d=1;b:{if((f|0)==192){break b}if((c&240)==224){g=1;d=2;break b}if((c&248)!=240){break a}d=3}c=J[d+93856|0]&c;e=J[b+1|0];c:{if(!e){d=0;break c}c=e&63|c<<6;if((f|0)==192){break c}e=J[b+2|0];if(!e){d=1;break c}c=e&63|c<<6;if(g){break c}b=J[b+3|0];if(!b){d=2;break c}c=b&63|c<<6}d=d+1|0}I[a>>2]=c;return d}I[a>>2]=c&255;return 1}function La(a,b){var c=0,d=0,e=0,f=0,g=0;c=G[b|0];if((c&192)==128){while(1){b=b+1|0;c=G[b|0];if((c&192)==128){continue}break}}d=1;a:{if(c&128){f=c&224;d=1;b:{if((f|0)==192){break b}if((c&240)==224){g=1;d=2;break b}if((c&248)!=240){break a}d=3}c=J[d+93856|0]&c;e=J[b+1|0];c:{if(!e){d=0;break c}c=e&63|c<<6;if((f|0)==192){break c}e=J[b+2|0];if(!e){d=1;break c}c=e&63|c<<6;if(g){break c}b=J[b+3|0];if(!b){d=2;break c}c=b&63|c<<6}d=d+1|0}I[a>>2]=c;return d}I[a>>2]=c&255;return 1}function de(a,b){if(!a){return 0}a:{b:{if(a){if(b>>>0<=127){break b}c:{if(!I[I[58900]>>2]){if((b&-128)==57216){break b}break c}if(b>>>0<=2047){G[a+1|0]=b&63|128;G[a|0]=b>>>6|192;a=2;break a}if(!((b&-8192)!=57344&b>>>0>=55296)){G[a+2|0]=b&63|128;G[a|0]=b>>>12|224;G[a+1|0]=b>>>6&63|128;a=3;break a}if(b-65536>>>0<=1048575){G[a+3|0]=b&63|128;G[a|0]=b>>>18|240;G[a+2|0]=b>>>6&63|128;G[a+1|0]=b>>>12&63|128;a=4;break a}}I[58856]=25;a=-1}else{a=1}break a}G[a|0]=b;a=1}return a}function df(a,b,c,d,e){var f=0,g=0,h=0;a:{g=I[36448];if(!g){break a}f=I[36496];if((f|0)>=(I[36453]-2|0)){break a}I[36496]=f+1;f=g+O(f,36)|0;I[f>>2]=a;I[f+4>>2]=I[36497];g=I[36498];I[f+12>>2]=b>>>24;I[f+8>>2]=b&16777215;I[f+24>>2]=g;b=I[52814];e=I[36499]+((e-I[36452]|0)/2|0)|0;I[f+20>>2]=e;h=+(e|0)*1e3/+(b|0);b:{if(Q(h)<2147483648){b=~~h;break b}b=-2147483648}I[f+16>>2]=b;if(a-3>>>0<=1){I[f+28>>2]=I[35342]+c;return}I[f+28>>2]=c;if((a|0)!=7){break a}I[f+32>>2]=d}}function Ke(a){var b=0,c=0,d=0,e=0;I[a+20>>2]=0;c=I[a+8>>2];b=I[a+4>>2];d=c-b>>2;if(d>>>0>=3){while(1){Ma(I[b>>2]);b=I[a+4>>2]+4|0;I[a+4>>2]=b;c=I[a+8>>2];d=c-b>>2;if(d>>>0>2){continue}break}}e=512;a:{switch(d-1|0){case 1:e=1024;case 0:I[a+16>>2]=e;break;default:break a}}b:{if((b|0)==(c|0)){break b}while(1){Ma(I[b>>2]);b=b+4|0;if((c|0)!=(b|0)){continue}break}c=I[a+4>>2];b=I[a+8>>2];if((c|0)==(b|0)){break b}I[a+8>>2]=b+((c-b|0)+3&-4)}a=I[a>>2];if(a){Ma(a)}}function ae(a,b,c,d,e){var f=0,g=0,h=0;h=-1;g=d&2147483647;f=(g|0)==2147418112;a:{if(f&!c?a|b:f&(c|0)!=0|g>>>0>2147418112){break a}f=e&2147483647;if(((f|0)==2147418112&0|f>>>0>2147418112)&(f|0)!=2147418112){break a}if(!(a|c|(f|g|b))){return 0}f=d&e;if((f|0)>0){f=1}else{f=(f|0)>=0}if(f){if(((c|0)!=0|(d|0)!=(e|0))&(d|0)<(e|0)){break a}return(a|c|(d^e|b))!=0}if(!c&(d|0)==(e|0)?a|b:(c|0)!=0&(d|0)>=(e|0)|(d|0)>(e|0)){break a}h=(a|c|(d^e|b))!=0}return h}function Ha(a,b){var c=0,d=0;d=a;a:{b:{if((d^b)&3){c=J[b|0];break b}if(b&3){while(1){c=J[b|0];G[d|0]=c;if(!c){break a}d=d+1|0;b=b+1|0;if(b&3){continue}break}}c=I[b>>2];if(((c|16843008-c)&-2139062144)!=-2139062144){break b}while(1){I[d>>2]=c;d=d+4|0;c=I[b+4>>2];b=b+4|0;if(((16843008-c|c)&-2139062144)==-2139062144){continue}break}}G[d|0]=c;if(!(c&255)){break a}while(1){c=J[b+1|0];G[d+1|0]=c;d=d+1|0;b=b+1|0;if(c){continue}break}}return a}function Ec(a,b){var c=0,d=0;c=ra+-64|0;ra=c;G[211216]=0;I[c+48>>2]=47;Fa(c+59|0,91361,c+48|0);if(!b){G[c+59|0]=0}a:{b:{c:{if(!a){break c}a=sb(a,43);if(!a){break c}G[a|0]=0;a=a+1|0;if(G[a|0]-48>>>0>=10){break b}d=Mb(a)}if((d|0)<=0){break a}if(d>>>0<=9){I[c+4>>2]=d;I[c>>2]=c+59;Fa(211216,91388,c);break a}I[c+20>>2]=d-10;I[c+16>>2]=c+59;Fa(211216,91513,c+16|0);break a}I[c+36>>2]=a;I[c+32>>2]=c+59;Fa(211216,85437,c+32|0)}ra=c- -64|0}function mc(a){var b=0,c=0,d=0,e=0;c=ra-80|0;ra=c;b=Re(a,c+12|0);a:{if(!I[c+12>>2]){b=268437247;break a}d=c+16|0;Qa(d,b,60);b=0;Ec(d,1);if(!(!Nb(d,0)|!J[211216])){Nb(211216,2)}Ze(I[35052]);Cd(a,86021)}ra=c+80|0;b:{c:{d:{e:{if((b|0)<=268437502){if(!b){break b}if((b|0)==268436479){break c}if((b|0)!=268437247){break e}return 2}if((b|0)==268437503|(b|0)==268437759){break d}if((b|0)==268439295){break b}}return-1}return 2}e=1}return e}function Wc(a,b,c){var d=0,e=0,f=0,g=0;g=ra-16|0;ra=g;d=ra-32|0;ra=d;e=ra-16|0;ra=e;I[e+12>>2]=a;I[e+8>>2]=a+b;I[d+24>>2]=I[e+12>>2];I[d+28>>2]=I[e+8>>2];ra=e+16|0;e=I[d+24>>2];b=ra-16|0;ra=b;f=I[d+28>>2];I[b+12>>2]=f;f=f-e|0;if(f){gc(c,e,f)}I[b+8>>2]=c+f;I[d+16>>2]=I[b+12>>2];I[d+20>>2]=I[b+8>>2];ra=b+16|0;I[d+12>>2]=(I[d+16>>2]-a|0)+a;I[d+8>>2]=(I[d+20>>2]-c|0)+c;I[g+8>>2]=I[d+12>>2];I[g+12>>2]=I[d+8>>2];ra=d+32|0;ra=g+16|0}function _a(a,b,c,d,e,f,g,h,i){var j=0,k=0,l=0,m=0;i=Dg(b,c,h,i);h=ua;e=Dg(d,e,f,g);i=e+i|0;d=ua+h|0;h=e>>>0>i>>>0?d+1|0:d;j=g;e=0;k=c;d=0;c=Dg(g,e,c,d);g=c+i|0;i=ua+h|0;l=g;c=c>>>0>g>>>0?i+1|0:i;g=Dg(f,0,b,0);h=ua;i=0;d=Dg(f,i,k,d);h=h+d|0;f=ua+i|0;f=d>>>0>h>>>0?f+1|0:f;i=f+l|0;d=c;f=f>>>0>i>>>0?d+1|0:d;b=Dg(b,m,j,e)+h|0;e=ua;e=b>>>0<h>>>0?e+1|0:e;h=e+i|0;i=f;I[a+8>>2]=h;I[a+12>>2]=e>>>0>h>>>0?i+1|0:i;I[a>>2]=g;I[a+4>>2]=b}function dd(a,b,c){var d=0,e=0,f=0;d=I[c+16>>2];a:{if(!d){if(fd(c)){break a}d=I[c+16>>2]}e=I[c+20>>2];if(d-e>>>0<b>>>0){return va[I[c+36>>2]](c,a,b)|0}b:{c:{if(!b|I[c+80>>2]<0){break c}d=b;while(1){f=a+d|0;if(J[f-1|0]!=10){d=d-1|0;if(d){continue}break c}break}e=va[I[c+36>>2]](c,a,d)|0;if(e>>>0<d>>>0){break a}b=b-d|0;e=I[c+20>>2];break b}f=a;d=0}Ka(e,f,b);I[c+20>>2]=I[c+20>>2]+b;e=b+d|0}return e}function Qc(a,b,c,d){var e=0,f=0,g=0;a:{if((Ga(d)+Ga(b)|0)>=(c|0)){break a}g=I[38175];c=d;while(1){e=J[c|0];if(e){c=c+1|0;if((e|0)>=(g|0)){continue}b:{c:{e=I[(e<<2)+152704>>2];switch(J[e+11|0]-1|0){case 1:break b;case 0:break c;default:continue}}f=J[e+14|0]<4|f;continue}if(!((J[e+4|0]>>>1|f)&1)){I[a+8212>>2]=I[a+8212>>2]+1}I[a+8208>>2]=I[a+8208>>2]+1;f=0;continue}break}if(!b){break a}fb(b,d)}}function Qb(a,b,c){var d=0,e=0,f=0,g=0;a:{if(!b){break a}e=c-4|0;if((e|0)<=0){break a}c=I[b-4>>2];f=(c|0)!=34?(c|0)==39?c:0:c;c=0;while(1){g=c;c=I[b>>2];if(!c){break a}b:{if(!f){switch(c-9|0){case 0:case 1:case 2:case 3:case 4:case 23:case 38:break a;default:break b}}if((g|0)==92){break b}if((c|0)==(f|0)){break a}}b=b+4|0;d=Xa(c,a+d|0)+d|0;if((e|0)>(d|0)){continue}break}}G[a+d|0]=0;return d}function Ue(a){var b=0;I[a+296>>2]=303173648;I[a+300>>2]=370677780;b=I[26345];I[a+304>>2]=I[26344];I[a+308>>2]=b;b=I[26347];I[a+312>>2]=I[26346];I[a+316>>2]=b;pd(a);I[a+56>>2]=2;I[a+36>>2]=3;I[a+40>>2]=1074;G[a+168|0]=5;I[a+132>>2]=32;I[a+104>>2]=1032;I[a+108>>2]=66;I[a+8>>2]=5;I[a+12>>2]=32;G[a+365|0]=J[a+365|0]|64;G[a+368|0]=J[a+368|0]|64;G[a+396|0]=J[a+396|0]|64;G[a+399|0]=J[a+399|0]|64}function Se(a,b,c){var d=0,e=0,f=0,g=0;f=ra-16|0;ra=f;if(J[a|0]){g=I[31442];while(1){e=a;a=a+1|0;d=G[e|0];if((d|0)==32|d-14>>>0>4294967290){continue}d=Mb(e);if((d|0)>0){a:{if((d|0)<32){I[b>>2]=I[b>>2]|1<<d;break a}e=bc(137888,c);I[f+4>>2]=d;I[f>>2]=e;Sa(g,84914,f)}e=a}while(1){a=e;e=a+1|0;d=G[a|0];if(d-48>>>0<10|(d|32)-97>>>0<26){continue}break}if(d){continue}break}}ra=f+16|0}function Ta(a){var b=0,c=0,d=0;d=ra-16|0;ra=d;C(+a);c=x(1)|0;x(0)|0;c=c&2147483647;a:{if(c>>>0<=1072243195){b=1;if(c>>>0<1044816030){break a}b=ic(a,0);break a}b=a-a;if(c>>>0>=2146435072){break a}c=Fe(a,d);a=N[d+8>>3];b=N[d>>3];b:{switch((c&3)-1|0){default:b=ic(b,a);break a;case 0:b=-hc(b,a,1);break a;case 1:b=-ic(b,a);break a;case 2:break b}}b=hc(b,a,1)}ra=d+16|0;return b}function sc(a){var b=0,c=0,d=0;c=ra-16|0;ra=c;C(+a);b=x(1)|0;x(0)|0;b=b&2147483647;a:{if(b>>>0<=1072243195){if(b>>>0<1045430272){break a}a=hc(a,0,0);break a}if(b>>>0>=2146435072){a=a-a;break a}b=Fe(a,c);a=N[c+8>>3];d=N[c>>3];b:{switch((b&3)-1|0){default:a=hc(d,a,1);break a;case 0:a=ic(d,a);break a;case 1:a=-hc(d,a,1);break a;case 2:break b}}a=-ic(d,a)}ra=c+16|0;return a}function ef(a){var b=0,c=0,d=0,e=0;c=I[36124];a:{if((c|0)>0){while(1){b:{d=(b<<4)+144512|0;e=I[d+12>>2];if(!e){break b}if(Wa(a,e)){break b}if(I[d+4>>2]){break a}if(!Ad(0,b)){break a}return-1}b=b+1|0;if((c|0)!=(b|0)){continue}break}}if(Ad(a,c)){return-1}c=Bb(I[((I[36124]<<4)+144512|0)+12>>2],Ga(a)+1|0);b=I[36124];I[((b<<4)+144512|0)+12>>2]=c;Ha(c,a);I[36124]=b+1}return b}function Td(a,b){var c=0,d=0,e=0,f=0,g=0;d=ra-16|0;ra=d;G[b|0]=0;c=I[a>>2]&15;if(c){b=Ha(b,bc(136816,c|64));e=Ga(b);b=e+b|0}c=8;while(1){a:{b:{if(c>>>0<=29){if(I[a>>2]>>>c&1){break b}break a}if(!(I[a+4>>2]>>>c-32&1)|c>>>0<32){break a}}f=bc(136816,c);g=Ga(f)+1|0;e=g+e|0;if((e|0)>=80){break a}I[d>>2]=f;Fa(b,84451,d);b=b+g|0}c=c+1|0;if((c|0)!=64){continue}break}ra=d+16|0}function $b(a,b){var c=0,d=0,e=0,f=0,g=0;d=I[b>>2];if(!d){return I[b+4>>2]}a:{while(1){b:{c=0;c:{if(!a){break c}while(1){d:{g=G[c+d|0];e=I[(c<<2)+a>>2];if(!e){break d}c=c+1|0;if((g|0)==(e|0)){continue}}break}e:{switch(e-34|0){case 0:case 5:break e;default:break c}}if(!g){break b}}f=f+1|0;c=(f<<3)+b|0;d=I[c>>2];if(d){continue}break a}break}c=(f<<3)+b|0}return I[c+4>>2]}function Ra(a){var b=0;a:{if(lb(a)){break a}b=0;b:{if(a>>>0<768){break b}if(a-2305>>>0<=1270){if((a&124)>>>0<100){break a}b=1;if(ud(93860,a)){break b}return a-3450>>>0<6}if((a|0)==1541|a-1456>>>0<19|(a|0)==1648){break a}b=a&-256;if((b|0)==10240|(b|0)==4352|(a-3904>>>0<125|a>>>0<880)){break a}b=1;if(a-1611>>>0<20){break b}b=a-12353>>>0<30400}return b}return 1}function Of(a,b,c,d,e){a=a|0;b=b|0;c=c|0;d=d|0;e=e|0;if(ub(a,I[b+8>>2],e)){if(!(I[b+28>>2]==1|I[b+4>>2]!=(c|0))){I[b+28>>2]=d}return}a:{if(!ub(a,I[b>>2],e)){break a}if(!(I[b+16>>2]!=(c|0)&I[b+20>>2]!=(c|0))){if((d|0)!=1){break a}I[b+32>>2]=1;return}I[b+20>>2]=c;I[b+32>>2]=d;I[b+40>>2]=I[b+40>>2]+1;if(!(I[b+36>>2]!=1|I[b+24>>2]!=2)){G[b+54|0]=1}I[b+44>>2]=4}}function Cd(a,b){var c=0;if(!a){Ja(141392,0,76);return}c=I[a+4>>2];if(c){Ha(141448,c)}c=I[a>>2];if(c){Qa(141408,c,40)}I[35349]=J[a+14|0];I[35351]=J[a+13|0];I[35350]=J[a+12|0];Qa(142912,J[b|0]!=33|J[b+1|0]!=118?b:(J[b+2|0]==47?3:0)+b|0,40);a=I[52358];I[35738]=I[52357];I[35739]=a;a=I[52362];I[35742]=I[52361];I[35743]=a;a=I[52360];I[35740]=I[52359];I[35741]=a}function Wf(a,b,c){a=a|0;b=b|0;c=c|0;var d=0,e=0,f=0,g=0;d=I[a+84>>2];f=I[d>>2]?d:84424;d=0;a:{if(!I[a+48>>2]){break a}while(1){e=I[(d<<2)+f>>2];if(!e){break a}G[I[a+44>>2]+d|0]=(e|0)>=128?64:e;d=d+1|0;if(d>>>0<L[a+48>>2]){continue}break}}e=I[a+44>>2];I[a+4>>2]=e;I[a+84>>2]=(d<<2)+f;I[a+8>>2]=d+e;if(!(!c|!d)){I[a+4>>2]=e+1;G[b|0]=J[e|0];g=1}return g|0}function _f(a,b,c){a=a|0;b=b|0;c=c|0;var d=0,e=0,f=0,g=0,h=0;e=I[a+84>>2];f=I[e>>2];d=I[e+4>>2];h=I[a+28>>2];g=I[a+20>>2]-h|0;g=d>>>0<g>>>0?d:g;if(g){Ka(f,h,g);f=g+I[e>>2]|0;I[e>>2]=f;d=I[e+4>>2]-g|0;I[e+4>>2]=d}d=c>>>0>d>>>0?d:c;if(d){Ka(f,b,d);f=d+I[e>>2]|0;I[e>>2]=f;I[e+4>>2]=I[e+4>>2]-d}G[f|0]=0;b=I[a+44>>2];I[a+28>>2]=b;I[a+20>>2]=b;return c|0}function Yd(a,b,c,d){G[a+53|0]=1;a:{if(I[a+4>>2]!=(c|0)){break a}G[a+52|0]=1;c=I[a+16>>2];b:{if(!c){I[a+36>>2]=1;I[a+24>>2]=d;I[a+16>>2]=b;if((d|0)!=1){break a}if(I[a+48>>2]==1){break b}break a}if((b|0)==(c|0)){c=I[a+24>>2];if((c|0)==2){I[a+24>>2]=d;c=d}if(I[a+48>>2]!=1){break a}if((c|0)==1){break b}break a}I[a+36>>2]=I[a+36>>2]+1}G[a+54|0]=1}}function Kb(a,b){a:{if((b|0)>=1024){a=a*898846567431158e293;if(b>>>0<2047){b=b-1023|0;break a}a=a*898846567431158e293;b=(b>>>0>=3069?3069:b)-2046|0;break a}if((b|0)>-1023){break a}a=a*2004168360008973e-307;if(b>>>0>4294965304){b=b+969|0;break a}a=a*2004168360008973e-307;b=(b>>>0<=4294964336?-2960:b)+1938|0}z(0,0);z(1,b+1023<<20);return a*+B()}function Fa(a,b,c){var d=0,e=0,f=0,g=0;f=ra-16|0;ra=f;I[f+12>>2]=c;d=ra-160|0;ra=d;g=d+8|0;Ka(g,133040,144);I[d+52>>2]=a;I[d+28>>2]=a;e=-2-a|0;e=e>>>0>2147483647?2147483647:e;I[d+56>>2]=e;e=a+e|0;I[d+36>>2]=e;I[d+24>>2]=e;b=qc(g,b,c,0,0);if((a|0)!=-2){a=I[d+28>>2];G[a-((a|0)==I[d+24>>2])|0]=0}ra=d+160|0;ra=f+16|0;return b}function ed(a,b,c){var d=0,e=0,f=0;d=I[c+72>>2];I[c+72>>2]=d-1|d;d=I[c+4>>2];e=I[c+8>>2];if((d|0)==(e|0)){d=b}else{f=d;d=e-d|0;d=b>>>0>d>>>0?d:b;Ka(a,f,d);I[c+4>>2]=d+I[c+4>>2];a=a+d|0;d=b-d|0}if(d){while(1){a:{if(!gd(c)){e=va[I[c+32>>2]](c,a,d)|0;if(e){break a}}return b-d|0}a=a+e|0;d=d-e|0;if(d){continue}break}}return b}function od(a,b){var c=0,d=0,e=0,f=0;c=ra-32|0;ra=c;I[b>>2]=0;I[b+4>>2]=0;e=b+24|0;d=e;I[d>>2]=0;I[d+4>>2]=0;f=b+16|0;d=f;I[d>>2]=0;I[d+4>>2]=0;d=b+8|0;I[d>>2]=0;I[d+4>>2]=0;I[c+28>>2]=b+28;I[c+24>>2]=e;I[c+20>>2]=b+20;I[c+16>>2]=f;I[c+12>>2]=b+12;I[c+8>>2]=d;I[c+4>>2]=b+4;I[c>>2]=b;a=Pa(a,84565,c);ra=c+32|0;return a}function $e(a){var b=0,c=0,d=0;b=J[a|0];a:{if(!b){break a}c=J[a+1|0];if(!c){c=b;break a}c=b|c<<8;b=J[a+2|0];if(!b){break a}c=b<<16|c;a=J[a+3|0];if(!a){break a}c=a<<24|c}b=I[38175];if((b|0)>0){a=0;while(1){d=I[(a<<2)+152704>>2];if(!(!d|I[d>>2]!=(c|0))){return J[d+10|0]}a=a+1|0;if((b|0)!=(a|0)){continue}break}}return 0}function bd(a,b,c,d){var e=0,f=0,g=0,h=0,i=0,j=0;g=ra-240|0;ra=g;I[g>>2]=a;h=1;a:{if((c|0)<2){break a}e=a;while(1){e=e-4|0;i=c-2|0;f=e-I[(i<<2)+d>>2]|0;if((Lb(a,f,b)|0)>=0){if((Lb(a,e,b)|0)>=0){break a}}j=f;f=(Lb(f,e,b)|0)>=0;e=f?j:e;I[(h<<2)+g>>2]=e;h=h+1|0;c=f?c-1|0:i;if((c|0)>1){continue}break}}ue(g,h);ra=g+240|0}function Fb(a,b,c){var d=0,e=0,f=0,g=0,h=0;e=lc(a);d=I[b>>2];a:{b:{if((e|0)>=0){if(d){if(!Wa(a,c)){break b}f=I[d+688>>2];if(f){Ma(f)}Ma(d);I[b>>2]=0}g=b,h=qd(a),I[g>>2]=h;a=Ha(c,a);c=I[b>>2];if(Sd(c,c+228|0,0)){hb(I[I[35052]+60>>2]);G[a|0]=0;e=-1}d=I[b>>2];I[d+292>>2]=e;break b}if(!d){break a}}G[d+268|0]=0}return e}function ue(a,b){var c=0,d=0,e=0,f=0,g=0,h=0;c=4;f=ra-256|0;ra=f;if((b|0)>=2){h=(b<<2)+a|0;I[h>>2]=f;while(1){e=c>>>0>=256?256:c;Ka(I[h>>2],I[a>>2],e);d=0;while(1){g=(d<<2)+a|0;d=d+1|0;Ka(I[g>>2],I[(d<<2)+a>>2],e);I[g>>2]=I[g>>2]+e;if((b|0)!=(d|0)){continue}break}c=c-e|0;if(c){continue}break}}ra=f+256|0}function Mb(a){var b=0,c=0,d=0;while(1){c=a;a=a+1|0;b=G[c|0];if((b|0)==32|b-9>>>0<5){continue}break}d=1;a:{switch((b&255)-43|0){case 2:d=0;case 0:b=G[a|0];c=a;break;default:break a}}a=0;b=b-48|0;if(b>>>0<=9){while(1){a=O(a,10)-b|0;b=G[c+1|0];c=c+1|0;b=b-48|0;if(b>>>0<10){continue}break}}return d?0-a|0:a}function Ga(a){var b=0,c=0,d=0;a:{b:{b=a;if(!(b&3)){break b}if(!J[b|0]){return 0}while(1){b=b+1|0;if(!(b&3)){break b}if(J[b|0]){continue}break}break a}while(1){c=b;b=b+4|0;d=I[c>>2];if(((d|16843008-d)&-2139062144)==-2139062144){continue}break}while(1){b=c;c=b+1|0;if(J[b|0]){continue}break}}return b-a|0}function Ia(a,b,c){var d=0,e=0;d=ra-96|0;ra=d;I[d+88>>2]=0;I[d+92>>2]=1073741824;I[d+84>>2]=b;b=cb(a,d+84|0,c,d+88|0,2,0);e=I[d+88>>2];a:{if(!(e&536870912)){a=b?e:0;break a}b=I[49262];I[49262]=0;G[d+2|0]=32;H[d>>1]=8192;e=d|3;Qa(e,I[d+84>>2],77);a=kc(a,e,0,0);Ha(c,197328);I[49262]=b}ra=d+96|0;return a}function zc(a){var b=0,c=0;b=I[a+76>>2];if(!((b|0)>=0&(!b|I[58882]!=(b&1073741823)))){b=I[a+4>>2];if((b|0)!=I[a+8>>2]){I[a+4>>2]=b+1;return J[b|0]}return Ac(a)}b=a+76|0;c=I[b>>2];I[b>>2]=c?c:1073741823;c=I[a+4>>2];a:{if((c|0)!=I[a+8>>2]){I[a+4>>2]=c+1;a=J[c|0];break a}a=Ac(a)}I[b>>2]=0;return a}function gb(a,b,c){var d=0,e=0;a:{b:{if(c>>>0>=4){if((a|b)&3){break b}while(1){if(I[a>>2]!=I[b>>2]){break b}b=b+4|0;a=a+4|0;c=c-4|0;if(c>>>0>3){continue}break}}if(!c){break a}}while(1){d=J[a|0];e=J[b|0];if((d|0)==(e|0)){b=b+1|0;a=a+1|0;c=c-1|0;if(c){continue}break a}break}return d-e|0}return 0}function ad(a,b){var c=0,d=0;c=J[a|0];if(c){a:{while(1){d=J[b|0];if(!d){break a}if(!((c|0)==(d|0)|((c-65>>>0<26?c|32:c)|0)==((d-65>>>0<26?d|32:d)|0))){c=J[a|0];break a}b=b+1|0;c=J[a+1|0];a=a+1|0;if(c){continue}break}c=0}a=c}else{a=0}c=a-65>>>0<26?a|32:a;a=J[b|0];return c-(a-65>>>0<26?a|32:a)|0}function ob(a,b){var c=0,d=0,e=0,f=0;d=ra-16|0;ra=d;a:{if(!b){b=0;break a}c=b>>31;e=(c^b)-c|0;c=R(e);db(d,e,0,0,0,c+81|0);e=0+I[d+8>>2]|0;c=(I[d+12>>2]^65536)+(16414-c<<16)|0;c=e>>>0<f>>>0?c+1|0:c;f=b&-2147483648|c;c=I[d+4>>2];b=I[d>>2]}I[a>>2]=b;I[a+4>>2]=c;I[a+8>>2]=e;I[a+12>>2]=f;ra=d+16|0}function wb(a,b,c,d){var e=0,f=0,g=0;f=ra-16|0;ra=f;I[f+12>>2]=d;e=ra-160|0;ra=e;g=b?a:e+158|0;I[e+148>>2]=g;a=b-1|0;I[e+152>>2]=a>>>0<=b>>>0?a:0;a=Ja(e,0,144);I[a+76>>2]=-1;I[a+36>>2]=17;I[a+80>>2]=-1;I[a+44>>2]=a+159;I[a+84>>2]=a+148;G[g|0]=0;b=qc(a,c,d,15,16);ra=a+160|0;ra=f+16|0;return b}function fc(a){var b=0,c=0,d=0,e=0;b=$c(a,61);if((b|0)==(a|0)){return 0}d=b-a|0;a:{if(J[d+a|0]){break a}b=I[58858];if(!b){break a}c=I[b>>2];if(!c){break a}while(1){b:{if(!re(a,c,d)){c=I[b>>2]+d|0;if(J[c|0]==61){break b}}c=I[b+4>>2];b=b+4|0;if(c){continue}break a}break}e=c+1|0}return e}function Zf(a,b,c,d){a=a|0;b=b|0;c=c|0;d=d|0;c=Db(c,1037);if(c){I[36500]=d;I[49255]=c;I[49257]=24322;if(!c){I[49255]=I[31442]}zb(1,I[a+8>>2]);zb(2,I[a+12>>2]);zb(3,I[a+16>>2]);zb(4,I[a+20>>2]);Nc(b,0);I[36500]=0;I[49255]=0;I[49257]=0;I[49255]=I[31442];bb(c);a=0}else{a=-1}return a|0}function If(a,b,c,d,e,f){a=a|0;b=b|0;c=c|0;d=d|0;e=e|0;f=f|0;var g=0;g=ra-32|0;ra=g;a:{if(d|e|f|c){I[g+24>>2]=0;I[g+28>>2]=0;I[g+16>>2]=0;I[g+20>>2]=0;I[g+12>>2]=c;I[g+8>>2]=b;G[g+22|0]=f;G[g+21|0]=e;G[g+20|0]=d;b=mc(g+8|0);break a}b=nc(b)}I[a+24>>2]=209428;ra=g+32|0;return b|0}function Xa(a,b){var c=0,d=0,e=0,f=0;if(a>>>0<=127){G[b|0]=a;return 1}if(a>>>0>=1114112){G[b|0]=32;return 1}c=a>>>0<2048?1:a>>>0<65536?2:3;d=O(c,6);G[b|0]=J[c+93852|0]|a>>>d;while(1){e=e+1|0;d=d-6|0;G[e+b|0]=a>>>d&63|128;f=f+1|0;if((f|0)!=(c|0)){continue}break}return c+1|0}function Wb(a,b,c){var d=0,e=0,f=0,g=0;a:{if(!b){d=b;break a}while(1){c=c-1|0;e=a;a=Eg(a,b,10);d=ua;f=c,g=e-Dg(a,d,10,0)|48,G[f|0]=g;e=b>>>0>9;b=d;if(e){continue}break}}if(a|d){while(1){c=c-1|0;b=(a>>>0)/10|0;G[c|0]=a-O(b,10)|48;d=a>>>0>9;a=b;if(d){continue}break}}return c}function rd(a,b,c,d){var e=0,f=0;a:{if((J[b|0]|32)==32){break a}f=(d|0)>1?d>>>0>2?6:4:0;e=sd(a,b,c,f);if(J[c|0]!=21){f=f|1;b=b+e|0;e=1;while(1){if((J[b|0]|32)==32){break a}b=sd(a,b,c,f)+b|0;e=e+1|0;if(J[c|0]!=21){continue}break}}Ha(197328,c);return 0}Gd(a,c,d,e);return b}function te(a){var b=0,c=0;b=I[a+12>>2];a:{if((b|0)>=I[a+16>>2]){b=0;c=ma(I[a+8>>2],a+24|0,2048)|0;if((c|0)<=0){if(!c|(c|0)==-44){break a}I[58856]=0-c;return 0}I[a+16>>2]=c}c=b;b=a+b|0;I[a+12>>2]=c+K[b+40>>1];c=I[b+36>>2];I[a>>2]=I[b+32>>2];I[a+4>>2]=c;b=b+24|0}return b}function lc(a){var b=0,c=0;a:{c=I[36521];if((c|0)<=0){break a}while(1){if(!Wa(a,O(b,44)+146096|0)){I[36517]=b;break a}b=b+1|0;if((c|0)!=(b|0)){continue}break}return-1}if((b|0)==(c|0)){return-1}if(I[38174]!=(b|0)){I[38175]=0;yd(b);I[38174]=b;I[38175]=I[38175]+1}return b}function hc(a,b,c){var d=0,e=0,f=0;d=a*a;f=d*(d*d)*(d*1.58969099521155e-10+-2.5050760253406863e-8)+(d*(d*27557313707070068e-22+-.0001984126982985795)+.00833333333332249);e=a*d;if(!c){return e*(d*f+-.16666666666666632)+a}return a-(d*(b*.5-e*f)-b+e*.16666666666666632)}function Ub(a,b){var c=0,d=0,e=0,f=0;c=ra-16|0;ra=c;a:{if(!b){b=0;break a}d=b;b=R(b);db(c,d,0,0,0,112-(b^31)|0);d=0+I[c+8>>2]|0;b=(I[c+12>>2]^65536)+(16414-b<<16)|0;f=e>>>0>d>>>0?b+1|0:b;e=I[c+4>>2];b=I[c>>2]}I[a>>2]=b;I[a+4>>2]=e;I[a+8>>2]=d;I[a+12>>2]=f;ra=c+16|0}function Fd(){var a=0,b=0;a=ra-16|0;ra=a;a:{if(oa(a+12|0,a+8|0)|0){break a}b=Va((I[a+12>>2]<<2)+4|0);I[58858]=b;if(!b){break a}b=Va(I[a+8>>2]);if(b){I[I[58858]+(I[a+12>>2]<<2)>>2]=0;if(!(na(I[58858],b|0)|0)){break a}}I[58858]=0}ra=a+16|0;I[58900]=235468;I[58882]=42}function Qd(a,b){var c=0;c=I[a+632>>2];if(c){return($a(c,b)|0)!=0}a:{c=I[a+600>>2];if((c|0)>0){b=b-c|0;if(b-1>>>0<255){break a}return 0}c=b-192|0;if(c>>>0<=413){return J[(J[c+94256|0]+a|0)+344|0]&128}if(b>>>0<=255){break a}return 0}return J[(a+b|0)+344|0]&128}function Qf(a,b,c,d,e){a=a|0;b=b|0;c=c|0;d=d|0;e=e|0;var f=0;f=ra-32|0;ra=f;a:{if(d|e|c){I[f+24>>2]=0;I[f+28>>2]=0;I[f+16>>2]=0;I[f+20>>2]=0;I[f+12>>2]=c;I[f+8>>2]=b;G[f+21|0]=e;G[f+20|0]=d;b=mc(f+8|0);break a}b=nc(b)}I[a+24>>2]=209428;ra=f+32|0;return b|0}function Be(a){var b=0,c=0,d=0;c=ra-16|0;ra=c;G[c+15|0]=10;b=I[a+16>>2];a:{if(!b){if(fd(a)){break a}b=I[a+16>>2]}d=b;b=I[a+20>>2];if(!((d|0)==(b|0)|I[a+80>>2]==10)){I[a+20>>2]=b+1;G[b|0]=10;break a}if((va[I[a+36>>2]](a,c+15|0,1)|0)!=1){break a}}ra=c+16|0}function rb(a,b,c){var d=0,e=0,f=0,g=0;I[a+112>>2]=b;I[a+116>>2]=c;f=I[a+4>>2];d=I[a+44>>2]-f|0;I[a+120>>2]=d;I[a+124>>2]=d>>31;d=I[a+8>>2];a:{if(!(b|c)){break a}e=d-f|0;g=b>>>0>=e>>>0;e=e>>31;if(g&(e|0)<=(c|0)|(c|0)>(e|0)){break a}d=b+f|0}I[a+104>>2]=d}function gd(a){var b=0,c=0;b=I[a+72>>2];I[a+72>>2]=b-1|b;if(I[a+20>>2]!=I[a+28>>2]){va[I[a+36>>2]](a,0,0)|0}I[a+28>>2]=0;I[a+16>>2]=0;I[a+20>>2]=0;b=I[a>>2];if(b&4){I[a>>2]=b|32;return-1}c=I[a+44>>2]+I[a+48>>2]|0;I[a+8>>2]=c;I[a+4>>2]=c;return b<<27>>31}function nc(a){var b=0;a:{b:{c:{a=Qe(a);d:{if((a|0)<=268437502){if(!a){break a}if((a|0)==268436479){break b}if((a|0)!=268437247){break d}return 2}if((a|0)==268437503|(a|0)==268437759){break c}if((a|0)==268439295){break a}}return-1}return 2}b=1}return b}function Zd(a,b,c){var d=0;d=I[a+36>>2];if(!d){I[a+24>>2]=c;I[a+16>>2]=b;I[a+36>>2]=1;I[a+20>>2]=I[a+56>>2];return}a:{if(!(I[a+20>>2]!=I[a+56>>2]|I[a+16>>2]!=(b|0))){if(I[a+24>>2]!=2){break a}I[a+24>>2]=c;return}G[a+54|0]=1;I[a+24>>2]=2;I[a+36>>2]=d+1}}function me(a){var b=0,c=0,d=0,e=0,f=0;d=I[a>>2];b=G[d|0]-48|0;if(b>>>0>9){return 0}while(1){e=-1;if(c>>>0<=214748364){c=O(c,10);e=(c^2147483647)>>>0<b>>>0?-1:c+b|0}b=d+1|0;I[a>>2]=b;f=G[d+1|0];c=e;d=b;b=f-48|0;if(b>>>0<10){continue}break}return c}function oe(a,b){var c=0,d=0,e=0;C(+a);d=x(1)|0;e=x(0)|0;c=d>>>20&2047;if((c|0)!=2047){if(!c){if(a==0){c=0}else{a=oe(a*0x10000000000000000,b);c=I[b>>2]+-64|0}I[b>>2]=c;return a}I[b>>2]=c-1022;z(0,e|0);z(1,d&-2146435073|1071644672);a=+B()}return a}function Uf(a,b,c,d){a=a|0;b=b|0;c=c|0;d=d|0;var e=0;e=ra-32|0;ra=e;a:{if(c|d){I[e+24>>2]=0;I[e+28>>2]=0;I[e+16>>2]=0;I[e+20>>2]=0;I[e+12>>2]=c;I[e+8>>2]=b;G[e+22|0]=0;G[e+20|0]=d;b=mc(e+8|0);break a}b=nc(b)}I[a+24>>2]=209428;ra=e+32|0;return b|0}function Ae(a,b,c){a:{if(I[a+20>>2]!=I[a+28>>2]){va[I[a+36>>2]](a,0,0)|0;if(!I[a+20>>2]){break a}}I[a+28>>2]=0;I[a+16>>2]=0;I[a+20>>2]=0;va[I[a+40>>2]](a,b,c,0)|0;if((ua|0)<0){break a}I[a+4>>2]=0;I[a+8>>2]=0;I[a>>2]=I[a>>2]&-17;return 0}return-1}function ic(a,b){var c=0,d=0,e=0,f=0;c=a*a;d=c*.5;e=1-d;f=1-e-d;d=c*c;return e+(f+(c*(c*(c*(c*2480158728947673e-20+-.001388888888887411)+.0416666666666666)+d*d*(c*(c*-11359647557788195e-27+2.087572321298175e-9)+-2.7557314351390663e-7))-a*b))}function cf(a,b){var c=0,d=0,e=0;a:{if(!a){break a}while(1){b:{e=G[b+c|0];d=I[(c<<2)+a>>2];if(!d){break b}c=c+1|0;if((e|0)==(d|0)){continue}}break}c:{switch(d-34|0){case 0:case 5:break c;default:break a}}if(e){break a}return 0}return 1}function xe(a,b,c){var d=0,e=0;d=ra-16|0;ra=d;a:{if(!(b&64)){e=0;if((b&4259840)!=4259840){break a}}I[d+12>>2]=c+4;e=I[c>>2]}I[d>>2]=e;I[d+4>>2]=0;a=aa(-100,a|0,b|32768,d|0)|0;if(a>>>0>=4294963201){I[58856]=0-a;a=-1}ra=d+16|0;return a}function xd(a,b){var c=0,d=0;c=ra-128|0;ra=c;c=Ja(c,0,128);G[c+98|0]=9;G[c+66|0]=9;G[c+2|0]=9;H[c+68>>1]=1;d=I[38185];I[c+104>>2]=d;I[c+72>>2]=d;I[c+8>>2]=d;G[c+34|0]=a;I[c+40>>2]=I[(a<<2)+152704>>2];jb(0,0,c+32|0,b,0);ra=c+128|0}function af(a,b){var c=0,d=0;a:{if(!a){break a}d=I[a>>2]-48>>>0<10;if(!d){break a}if(d){while(1){c=(I[a>>2]+O(c,10)|0)-48|0;a=a+4|0;if(I[a>>2]-48>>>0<10){continue}break}}if(!b){break a}c=(Ud(I[a>>2])|0)==115?O(c,1e3):c}return c}function Vf(a,b,c){a=a|0;b=b|0;c=c|0;var d=0;d=ra-32|0;ra=d;a:{if(c){I[d+24>>2]=0;I[d+28>>2]=0;I[d+16>>2]=0;I[d+20>>2]=0;I[d+12>>2]=c;I[d+8>>2]=b;G[d+21|0]=0;b=mc(d+8|0);break a}b=nc(b)}I[a+24>>2]=209428;ra=d+32|0;return b|0}function Id(a,b,c){var d=0,e=0;d=ra-16|0;ra=d;G[d+6|0]=0;G[d+7|0]=95;e=b;b=d+8|0;e=Xa(e,b)+d|0;G[e+8|0]=32;G[e+9|0]=0;a:{if(Ia(a,d+7|0,c)){break a}G[d+7|0]=32;if(Ia(a,b,c)){break a}pb(a,b,c,20,0,0,0)}ra=d+16|0;return G[c|0]}function Eb(a,b,c){var d=0,e=0,f=0;a:{if(a){d=I[a>>2];if(d){Ma(I[d+4>>2]);d=I[a>>2];break a}d=Va(16);I[a>>2]=d;if(d){break a}b=48}return b}I[d>>2]=0;e=d,f=rc(c),I[e+4>>2]=f;a=I[a>>2];I[a+8>>2]=0;I[a+12>>2]=0;return b}function Vd(a){var b=0,c=0,d=0,e=0,f=0;b=2778;while(1){e=(b+d|0)/2|0;c=(e<<4)+1056|0;f=I[c>>2];if((f|0)==(a|0)){b=I[c+4>>2];return b?b:a}c=a>>>0>f>>>0;d=c?e+1|0:d;b=c?b:e-1|0;if((d|0)<=(b|0)){continue}break}return a}function Ud(a){var b=0,c=0,d=0,e=0,f=0;b=2778;while(1){e=(b+d|0)/2|0;c=(e<<4)+1056|0;f=I[c>>2];if((f|0)==(a|0)){b=I[c+8>>2];return b?b:a}c=a>>>0>f>>>0;d=c?e+1|0:d;b=c?b:e-1|0;if((d|0)<=(b|0)){continue}break}return a}function Dg(a,b,c,d){var e=0,f=0,g=0,h=0,i=0,j=0;e=c>>>16|0;f=a>>>16|0;j=O(e,f);g=c&65535;h=a&65535;i=O(g,h);f=(i>>>16|0)+O(f,g)|0;e=(f&65535)+O(e,h)|0;ua=(O(b,c)+j|0)+O(a,d)+(f>>>16)+(e>>>16)|0;return i&65535|e<<16}function re(a,b,c){var d=0,e=0;if(!c){return 0}d=J[a|0];if(d){a:{while(1){e=J[b|0];if((e|0)!=(d|0)|!e){break a}c=c-1|0;if(!c){break a}b=b+1|0;d=J[a+1|0];a=a+1|0;if(d){continue}break}d=0}}else{d=0}return d-J[b|0]|0}function ee(a,b,c){var d=0,e=0,f=0;a:{if(!c){break a}while(1){d=I[b>>2];e=I[a>>2];if(!(!d|!e|(d|0)!=(e|0))){b=b+4|0;a=a+4|0;c=c-1|0;if(c){continue}break a}break}f=-1;if((d|0)>(e|0)){break a}f=(d|0)<(e|0)}return f}function Ab(a){var b=0,c=0;b=ra-96|0;ra=b;a=ja(a|0,b|0)|0;if(a>>>0>=4294963201){I[58856]=0-a;a=-1}c=0-I[58856]|0;a:{if(a){break a}c=-31;if((I[b+4>>2]&61440)==16384){break a}c=I[b+24>>2]}a=c;ra=b+96|0;return a}function Hd(a){var b=0,c=0;c=170;a:{if((a|0)<170){break a}while(1){if((a|0)==(c|0)){return K[(b<<1)+101634>>1]}b=b+2|0;if((b|0)==124){break a}c=K[(b<<1)+101632>>1];if(c>>>0<=a>>>0){continue}break}}return 0}function eb(a,b,c,d,e){var f=0;f=ra-256|0;ra=f;if(!(e&73728|(c|0)<=(d|0))){d=c-d|0;c=d>>>0<256;Ja(f,b,c?d:256);if(!c){while(1){ab(a,f,256);d=d-256|0;if(d>>>0>255){continue}break}}ab(a,f,d)}ra=f+256|0}function Dd(a){var b=0,c=0,d=0,e=0,f=0;e=Ga(a)+1|0;b=I[35342];c=I[35347];d=c+e|0;if((d|0)>=I[35346]){f=d+1e3|0;b=Bb(b,f);if(!b){return-1}I[35346]=f;I[35342]=b}Ka(b+c|0,a,e);I[35347]=d;return c}function jg(a,b,c,d){a=a|0;b=b|0;c=c|0;d=d|0;var e=0;e=ra-16|0;ra=e;a=ga(I[a+60>>2],b|0,c|0,d&255,e+8|0)|0;if(a){I[58856]=a;a=-1}else{a=0}ra=e+16|0;ua=a?-1:I[e+12>>2];return(a?-1:I[e+8>>2])|0}function bg(a,b,c){a=a|0;b=b|0;c=c|0;I[36500]=0;a=Db(c,1037);if(!a){return-1}I[49255]=a;I[49257]=24322;if(!a){I[49255]=I[31442]}Nc(b,0);I[49255]=0;I[49257]=0;I[49255]=I[31442];bb(a);return 0}function tg(a,b){a=a|0;b=b|0;var c=0,d=0,e=0;a=I[a>>2];c=I[a+4>>2];d=I[b>>2];e=I[d+4>>2];b=Wa(c+1|0,e+1|0);a:{if(b){break a}b=G[c|0]-G[e|0]|0;if(b){break a}b=Wa(I[a>>2],I[d>>2])}return b|0}function fe(a,b,c,d){a:{if(!a){break a}b:{switch(b+2|0){case 0:G[a|0]=c;return;case 1:H[a>>1]=c;return;case 2:case 3:I[a>>2]=c;return;case 5:break b;default:break a}}I[a>>2]=c;I[a+4>>2]=d}}function fd(a){var b=0;b=I[a+72>>2];I[a+72>>2]=b-1|b;b=I[a>>2];if(b&8){I[a>>2]=b|32;return-1}I[a+4>>2]=0;I[a+8>>2]=0;b=I[a+44>>2];I[a+28>>2]=b;I[a+20>>2]=b;I[a+16>>2]=b+I[a+48>>2];return 0}function Yc(a,b,c,d,e,f,g,h,i){var j=0;j=ra-16|0;ra=j;kb(j,b,c,d,e,f,g,h,i^-2147483648);d=I[j>>2];c=I[j+4>>2];b=I[j+12>>2];I[a+8>>2]=I[j+8>>2];I[a+12>>2]=b;I[a>>2]=d;I[a+4>>2]=c;ra=j+16|0}function qf(a){a=a|0;var b=0,c=0;b=I[a>>2];c=Ld(a);a:{if((c|0)!=65533){break a}I[a>>2]=b+1;I[a+8>>2]=1;b=G[b|0];c=b&255;if((b|0)>=0){break a}c=K[(I[a+12>>2]+(c<<1)|0)-256>>1]}return c|0}function bc(a,b){var c=0,d=0,e=0;c=I[a>>2];if(!c){return 84411}if(I[a+4>>2]!=(b|0)){while(1){d=a+8|0;c=I[d>>2];if(!c){return 84411}e=a;a=d;if(I[e+12>>2]!=(b|0)){continue}break}}return c}function bb(a){var b=0,c=0;Bc(a);va[I[a+12>>2]](a)|0;if(!(G[a|0]&1)){b=I[a+56>>2];c=I[a+52>>2];if(c){I[c+56>>2]=b}if(b){I[b+52>>2]=c}if(I[58875]==(a|0)){I[58875]=b}Ma(I[a+96>>2]);Ma(a)}}function Yf(a,b,c){a=a|0;b=b|0;c=c|0;var d=0,e=0,f=0;e=I[a+84>>2];d=c+256|0;f=Xb(e,0,d);d=f?f-e|0:d;c=c>>>0>d>>>0?d:c;Ka(b,e,c);b=e+d|0;I[a+84>>2]=b;I[a+8>>2]=b;I[a+4>>2]=c+e;return c|0}function Wa(a,b){var c=0,d=0;c=J[a|0];d=J[b|0];a:{if(!c|(c|0)!=(d|0)){break a}while(1){d=J[b+1|0];c=J[a+1|0];if(!c){break a}b=b+1|0;a=a+1|0;if((c|0)==(d|0)){continue}break}}return c-d|0}function _e(a,b){var c=0,d=0;c=ra-16|0;ra=c;d=c+11|0;a=I[a>>2];G[d|0]=a;G[d+4|0]=0;G[d+3|0]=a>>>24;G[d+2|0]=a>>>16;G[d+1|0]=a>>>8;I[c+4>>2]=d;I[c>>2]=b;Sa(I[31442],85860,c);ra=c+16|0}function kd(){var a=0,b=0,c=0,d=0;b=I[58855];if(b){a=I[b+8>>2];if(a){va[I[I[a>>2]+12>>2]](a)}a=I[b+4>>2];if(a){va[I[I[a>>2]+16>>2]](a)}Ma(b)}I[58855]=0;c=235420,d=He(),I[c>>2]=d}function Vb(a){var b=0,c=0;b=I[35255];c=a+7&-8;a=b+c|0;a:{if(!(a>>>0<=b>>>0?c:0)){if(a>>>0<=wa()<<16>>>0){break a}if(ia(a|0)|0){break a}}I[58856]=48;return-1}I[35255]=a;return b}function nb(a){var b=0,c=0,d=0;d=I[38175];if((d|0)>0){while(1){c=I[(b<<2)+152704>>2];if(!(!c|I[c>>2]!=(a|0))){return J[c+10|0]}b=b+1|0;if((d|0)!=(b|0)){continue}break}}return 0}function Ed(a,b){var c=0;G[a|0]=b>>>24;c=(b>>>0>16777215)+a|0;G[c|0]=b>>>16;c=c+((b&16711680)!=0)|0;G[c|0]=b>>>8;c=c+((b&65280)!=0)|0;G[c|0]=b;G[c+((b&255)!=0)|0]=0;return a}function zb(a,b){a:{a=ac(a,b);if((a|0)<=268437502){if(!a|(a|0)==268436479|(a|0)!=268437247){break a}return}if((a|0)==268437503|(a|0)==268437759|(a|0)==268439295){break a}}}function nf(a){a=a|0;var b=0,c=0,d=0;b=I[a>>2];c=b+1|0;d=I[a+4>>2];if(c>>>0>=d>>>0){I[a>>2]=d;return 65533}I[a>>2]=c;c=J[b|0];I[a>>2]=b+2;return J[b+1|0]<<8|c}function Sc(a,b,c,d,e){var f=0;a:{if(!(J[c|0]&4)){break a}f=J[c+3|0];if(f>>>0<2){break a}a=Xa(d?f>>>0>3?712:716:G[(f>>>0>=5?5:f)+94160|0],a)+a|0}dc(a,b,c,d,e)}function be(a,b){var c=0,d=0;a:{if(!a){break a}c=Dg(a,0,b,0);d=ua;if((a|b)>>>0<65536){break a}c=d?-1:c}a=Va(c);if(!(!a|!(J[a-4|0]&3))){Ja(a,0,c)}return a}function ib(a){var b=0,c=0;c=a>>>0<=1?1:a;while(1){a:{a=Va(c);if(a){break a}b=I[59340];if(!b){break a}va[b|0]();continue}break}if(!a){_d();D()}return a}function Bd(a,b){var c=0,d=0;c=(b|0)/100|0;d=I[(b-O(c,100)<<2)+138448>>2];I[a+100>>2]=d;I[a+96>>2]=d;if(b+99>>>0>=199){I[a+100>>2]=I[(c<<2)+138448>>2]}}function Ze(a){var b=0;b=Va(1344);if(!b){return}a=Ka(b,a,1344);b=(I[52818]<<4)+224432|0;I[b>>2]=11;I[b+8>>2]=a;a=I[52818]+1|0;I[52818]=(a|0)<=169?a:0}function Nf(a,b,c,d,e,f){a=a|0;b=b|0;c=c|0;d=d|0;e=e|0;f=f|0;if(ub(a,I[b+8>>2],f)){Yd(b,c,d,e);return}a=I[a+8>>2];va[I[I[a>>2]+20>>2]](a,b,c,d,e,f)}function yb(a,b){var c=0;c=I[a>>2];a:{if(!c){break a}while(1){if(b){if(!Wa(b,c)){break a}}a=a+8|0;c=I[a>>2];if(c){continue}break}}return I[a+4>>2]}function Ac(a){var b=0,c=0;b=ra-16|0;ra=b;c=-1;a:{if(gd(a)){break a}if((va[I[a+32>>2]](a,b+15|0,1)|0)!=1){break a}c=J[b+15|0]}ra=b+16|0;return c}function ve(a){var b=0,c=0,d=0,e=0;b=I[a>>2]-1|0;b=(c=Cg(b),d=0,e=b,e?c:d);if(!b){a=I[a+4>>2];a=(c=Cg(a),d=0,e=a,e?c:d);b=a?a|32:0}return b}function $a(a,b){var c=0,d=0;if(b){while(1){d=a;c=I[a>>2];if(c){a=a+4|0;if((b|0)!=(c|0)){continue}}break}return c?d:0}return(Zc(a)<<2)+a|0}function Gf(a,b){a=a|0;b=b|0;a=0;a:{switch(I[b>>2]-3|0){case 4:return b+28|0;case 0:case 1:a=I[b+28>>2];break;default:break a}}return a|0}function ud(a,b){var c=0,d=0;c=K[a>>1];if(c){while(1){d=d+1|0;if((b|0)==(c|0)){return d}c=K[(d<<1)+a>>1];if(c){continue}break}}return 0}function cg(a,b,c){a=a|0;b=b|0;c=c|0;I[36500]=c;zb(1,I[a+8>>2]);zb(2,I[a+12>>2]);zb(3,I[a+16>>2]);zb(4,I[a+20>>2]);Nc(b,273);I[36500]=0}function $f(a,b){a=a|0;b=b|0;var c=0,d=0,e=0;c=b;b=I[b>>2]+7&-8;I[c>>2]=b+16;d=a,e=Xc(I[b>>2],I[b+4>>2],I[b+8>>2],I[b+12>>2]),N[d>>3]=e}function uc(a,b){var c=0,d=0;a:{if(b>>>0<=31){d=I[a>>2];c=a+4|0;break a}b=b-32|0;c=a}c=I[c>>2];I[a>>2]=d<<b;I[a+4>>2]=c<<b|d>>>32-b}function wc(a,b){var c=0,d=0;c=I[a+4>>2];a:{if(b>>>0<=31){d=I[a>>2];break a}b=b-32|0;d=c;c=0}I[a+4>>2]=c>>>b;I[a>>2]=c<<32-b|d>>>b}function pf(a){a=a|0;var b=0,c=0;b=I[a>>2];I[a>>2]=b+1;c=G[b|0];b=c&255;if((c|0)<0){b=K[(I[a+12>>2]+(b<<1)|0)-256>>1]}return b|0}function Rf(a,b,c,d){a=a|0;b=b|0;c=c|0;d=d|0;if(ub(a,I[b+8>>2],0)){Zd(b,c,d);return}a=I[a+8>>2];va[I[I[a>>2]+28>>2]](a,b,c,d)}function sg(a,b){a=a|0;b=b|0;var c=0;b=I[b>>2];c=I[a>>2];a=I[b+16>>2]-I[c+16>>2]|0;if(!a){a=Wa(I[c>>2],I[b>>2])}return a|0}function lb(a){if(a>>>0<=131071){return J[(a>>>3&31|J[(a>>>8|0)+117328|0]<<5)+117328|0]>>>(a&7)&1}return a>>>0<196606}function ke(a,b,c,d,e,f){I[a>>2]=b;I[a+4>>2]=c;I[a+8>>2]=d;I[a+12>>2]=e&65535|(f>>>16&32768|(e&2147418112)>>>16)<<16}function og(a){a=a|0;var b=0;I[a>>2]=140624;b=I[a+28>>2];if(b){Ma(b)}b=I[a+32>>2];if(b){Ma(b)}Ke(a+4|0);return a|0}function ub(a,b,c){if(!c){return I[a+4>>2]==I[b+4>>2]}if((a|0)==(b|0)){return 1}return!Wa(I[a+4>>2],I[b+4>>2])}function ng(a){a=a|0;var b=0;I[a>>2]=140624;b=I[a+28>>2];if(b){Ma(b)}b=I[a+32>>2];if(b){Ma(b)}Ke(a+4|0);Ma(a)}function se(a){var b=0;b=la(-100,a|0,0)|0;if((b|0)==-31){b=ka(a|0)|0}if(b>>>0>=4294963201){I[58856]=0-b}}function jd(){var a=0;a=Va(84)+80|0;I[a>>2]=133744;I[a>>2]=133704;I[a>>2]=133724;qa(a|0,133808,9);D()}function Uc(a){var b=0,c=0;b=zc(a);c=zc(a);return zc(a)<<16&16711680|(c<<8&65280|b&255)|zc(a)<<24}function Sb(a){var b=0;if(!a){return 0}b=1;if(!(a-9472>>>0<160|a-65529>>>0<7)){b=Ya(a)}return b}function Mf(a,b,c,d,e,f){a=a|0;b=b|0;c=c|0;d=d|0;e=e|0;f=f|0;if(ub(a,I[b+8>>2],f)){Yd(b,c,d,e)}}function ze(a,b){var c=0;c=b>>31;a:{if(I[a+76>>2]<0){a=Ae(a,b,c);break a}a=Ae(a,b,c)}return a}function mf(a){a=a|0;var b=0;b=a;a=I[a>>2];I[b>>2]=a+1;a=G[a|0];return((a|0)<0?65533:a&255)|0}function Zc(a){var b=0,c=0;c=a;while(1){b=c;c=b+4|0;if(I[b>>2]){continue}break}return b-a>>2}function Od(){var a=0;a=Va(16);if(a){I[a>>2]=0;I[a+4>>2]=0;I[a+8>>2]=0;I[a+12>>2]=0}return a}function ec(a,b){var c=0;a:{if((a|0)==73){c=305;if(J[b+173|0]){break a}}c=Ud(a)}return c}function Gg(a,b){var c=0,d=0;c=b&31;d=(-1>>>c&a)<<c;c=a;a=0-b&31;return d|(c&-1<<a)>>>a}
+function hb(a){if(I[38174]!=(a|0)){I[38175]=0;yd(a);I[38174]=a;I[38175]=I[38175]+1}}function gg(a){a=a|0;a=Z(I[a+60>>2])|0;if(a){I[58856]=a;a=-1}else{a=0}return a|0}function zd(a){if(!a){cd(85340,20,I[31442]);return I[34400]}return I[36520]+a|0}function rc(a){var b=0,c=0;b=Ga(a)+1|0;c=Va(b);if(!c){return 0}return Ka(c,a,b)}function ff(){var a=0;I[35347]=0;a=I[35342];if(a){Ma(a);I[35346]=0;I[35342]=0}}function Sa(a,b,c){var d=0;d=ra-16|0;ra=d;I[d+12>>2]=c;qc(a,b,c,0,0);ra=d+16|0}function Sf(a,b,c,d){a=a|0;b=b|0;c=c|0;d=d|0;if(ub(a,I[b+8>>2],0)){Zd(b,c,d)}}function of(a){a=a|0;var b=0,c=0;b=I[a>>2];c=I[b>>2];I[a>>2]=b+4;return c|0}function cd(a,b,c){a:{if(I[c+76>>2]<0){a=dd(a,b,c);break a}a=dd(a,b,c)}}function Ff(a,b){a=a|0;b=b|0;return(I[b>>2]-1>>>0<=1?I[b+28>>2]:0)|0}function Tb(a){if(a-8212>>>0>=12){a=ud(93872,a)}else{a=1}return a}function Qa(a,b,c){var d=0,e=0;d=(_c(a,b,c)+c|0)-1|0,e=0,G[d|0]=e}function xc(a){if(a-48>>>0>=10){a=(lb(a)|0)!=0}else{a=1}return a}function Xe(a){var b=0;if(a){b=I[a+688>>2];if(b){Ma(b)}Ma(a)}}function We(a){if((a|0)<=127){a=sb(87721,a)}else{a=0}return a}function Vc(a){if(J[a|0]){a=1}else{a=gb(a,a+1|0,3)}return!a}function Ge(a){a=Z(a|0)|0;a=(a|0)!=27?a:0;if(a){I[58856]=a}}function Df(a,b,c){a=a|0;b=b|0;c=c|0;I[I[a>>2]+(b<<2)>>2]=c}function dg(a,b,c,d){a=a|0;b=b|0;c=c|0;d=d|0;ua=0;return 0}function Lb(a,b,c){a=a|0;b=b|0;c=c|0;return va[c|0](a,b)|0}function Ya(a){if(!a){return 0}return($a(125504,a)|0)!=0}function Ef(a,b){a=a|0;b=b|0;return I[I[a>>2]+(b<<2)>>2]}function sb(a,b){a=$c(a,b);return J[a|0]==(b&255)?a:0}function rf(a,b){a=a|0;b=b|0;return G[I[a+4>>2]+b|0]}function Fg(a,b){Bg(a,b,2147483647);ua=ta;return sa}function Cg(a){if(a){return 31-R(a-1^a)|0}return 32}function ab(a,b,c){if(!(J[a|0]&32)){dd(b,c,a)}}function lg(a,b){a=a|0;b=b|0;I[a+1088>>2]=b}function Le(a,b){a=a|0;b=b|0;I[a+16>>2]=b}function Ee(a,b){a=a|0;b=b|0;I[a+20>>2]=b}function Cf(a,b){a=a|0;b=b|0;I[a+12>>2]=b}function yg(a,b){a=a|0;b=b|0;G[a+13|0]=b}function wg(a,b){a=a|0;b=b|0;G[a+14|0]=b}function ug(a,b){a=a|0;b=b|0;G[a+15|0]=b}function Md(a,b){a=a|0;b=b|0;I[a+8>>2]=b}function Ag(a,b){a=a|0;b=b|0;G[a+12|0]=b}function pg(a){a=a|0;return I[a+424>>2]}function Yb(a){return(pe(a,1)|0)!=(a|0)}function Cb(a){return(pe(a,0)|0)!=(a|0)}function ye(a){a=a|0;return I[a+12>>2]}function sf(a,b){a=a|0;b=b|0;I[a>>2]=b}function md(a){a=a|0;return I[a+16>>2]}function hd(a){a=a|0;return I[a+20>>2]}function fg(a){a=a|0;return I[a+24>>2]}function zg(a){a=a|0;return J[a+13|0]}function xg(a){a=a|0;return J[a+14|0]}function vg(a){a=a|0;return J[a+15|0]}function lf(a){a=a|0;return J[a+12|0]}function Rc(a){a=a|0;return I[a+8>>2]}function Ce(a){a=a|0;return I[a+4>>2]}function kg(a){a=a|0;return Va(a)|0}function Wd(a){a=a|0;return I[a>>2]}function Eg(a,b,c){return Bg(a,b,c)}function pc(a){a=a|0;if(a){Ma(a)}}function Lf(a){a=a|0;return 84163}function Kf(a){a=a|0;return 84799}function Jf(a){a=a|0;return 85070}function fb(a,b){Ha(Ga(a)+a|0,b)}function id(a){a=a|0;return a|0}function Hf(a){a=a|0;return 36}function Nd(a){a=a|0;return 0}function Rb(a){a=a|0;Ma(a)}function zf(){return 2}function yf(){return 3}function xf(){return 4}function wf(){return 5}function vf(){return 6}function uf(){return 7}function tf(){return 8}function _d(){ha();D()}function Bf(){return 0}function Af(){return 1}function De(a){a=a|0}
+// EMSCRIPTEN_END_FUNCS
+g=J;r(s);var va=e([null,pf,Nd,of,qf,Ld,nf,tg,sg,id,jg,ig,hg,gg,Lb,ag,$f,_f,Yf,Wf,id,Rb,De,De,Tf,Mf,Of,Sf,Rb,Nf,Pf,Rf,Rb,Kf,Rb,Jf,Rb,Lf,mf,rg,qg,pg,og,ng,mg,lg,id,Rb,Nd,dg]);function wa(){return F.byteLength/65536|0}function Ba(Ca){Ca=Ca|0;var xa=wa()|0;var ya=xa+Ca|0;if(xa<ya&&ya<65536){var za=new ArrayBuffer(O(ya,65536));var Aa=new Int8Array(za);Aa.set(G);G=new Int8Array(za);H=new Int16Array(za);I=new Int32Array(za);J=new Uint8Array(za);K=new Uint16Array(za);L=new Uint32Array(za);M=new Float32Array(za);N=new Float64Array(za);F=za;g=J}return xa}return{u:Object.create(Object.prototype,{grow:{value:Ba},buffer:{get:function(){return F}}}),v:Fd,w:Rb,x:Ma,y:kg,z:Va,A:pc,B:Wd,C:sf,D:rf,E:Rc,F:Md,G:lf,H:Ag,I:zg,J:yg,K:xg,L:wg,M:vg,N:ug,O:md,P:Le,Q:hd,R:Ee,S:pc,T:Wd,U:Ce,V:Rc,W:ye,X:md,Y:hd,Z:fg,_:pc,$:eg,aa:cg,ba:bg,ca:Zf,da:Xf,ea:Vf,fa:Uf,ga:Qf,ha:If,ia:Hf,ja:Gf,ka:Ff,la:Ef,ma:Df,na:Ce,oa:Rc,pa:Md,qa:ye,ra:Cf,sa:md,ta:Le,ua:hd,va:Ee,wa:pc,xa:Bf,ya:Af,za:zf,Aa:yf,Ba:xf,Ca:wf,Da:vf,Ea:uf,Fa:tf,Ga:va}}return Da(Ea)}
+// EMSCRIPTEN_END_ASM
+
+
+)(info)},instantiate:function(binary,info){return{then:function(ok){var module=new WebAssembly.Module(binary);ok({instance:new WebAssembly.Instance(module,info)})}}},RuntimeError:Error,isWasm2js:true};if(WebAssembly.isWasm2js){wasmBinary=[]}var wasmMemory;var ABORT=false;function assert(condition,text){if(!condition){abort(text)}}var HEAP8,HEAPU8,HEAP16,HEAPU16,HEAP32,HEAPU32,HEAPF32,HEAPF64;function updateMemoryViews(){var b=wasmMemory.buffer;Module["HEAP8"]=HEAP8=new Int8Array(b);Module["HEAP16"]=HEAP16=new Int16Array(b);Module["HEAPU8"]=HEAPU8=new Uint8Array(b);Module["HEAPU16"]=HEAPU16=new Uint16Array(b);Module["HEAP32"]=HEAP32=new Int32Array(b);Module["HEAPU32"]=HEAPU32=new Uint32Array(b);Module["HEAPF32"]=HEAPF32=new Float32Array(b);Module["HEAPF64"]=HEAPF64=new Float64Array(b)}var __ATPRERUN__=[];var __ATINIT__=[];var __ATPOSTRUN__=[];var runtimeInitialized=false;function preRun(){if(Module["preRun"]){if(typeof Module["preRun"]=="function")Module["preRun"]=[Module["preRun"]];while(Module["preRun"].length){addOnPreRun(Module["preRun"].shift())}}callRuntimeCallbacks(__ATPRERUN__)}function initRuntime(){runtimeInitialized=true;if(!Module["noFSInit"]&&!FS.initialized)FS.init();FS.ignorePermissions=false;TTY.init();callRuntimeCallbacks(__ATINIT__)}function postRun(){if(Module["postRun"]){if(typeof Module["postRun"]=="function")Module["postRun"]=[Module["postRun"]];while(Module["postRun"].length){addOnPostRun(Module["postRun"].shift())}}callRuntimeCallbacks(__ATPOSTRUN__)}function addOnPreRun(cb){__ATPRERUN__.unshift(cb)}function addOnInit(cb){__ATINIT__.unshift(cb)}function addOnPostRun(cb){__ATPOSTRUN__.unshift(cb)}var runDependencies=0;var runDependencyWatcher=null;var dependenciesFulfilled=null;function getUniqueRunDependency(id){return id}function addRunDependency(id){runDependencies++;Module["monitorRunDependencies"]?.(runDependencies)}function removeRunDependency(id){runDependencies--;Module["monitorRunDependencies"]?.(runDependencies);if(runDependencies==0){if(runDependencyWatcher!==null){clearInterval(runDependencyWatcher);runDependencyWatcher=null}if(dependenciesFulfilled){var callback=dependenciesFulfilled;dependenciesFulfilled=null;callback()}}}function abort(what){Module["onAbort"]?.(what);what="Aborted("+what+")";err(what);ABORT=true;what+=". Build with -sASSERTIONS for more info.";var e=new WebAssembly.RuntimeError(what);readyPromiseReject(e);throw e}var dataURIPrefix="data:application/octet-stream;base64,";var isDataURI=filename=>filename.startsWith(dataURIPrefix);var isFileURI=filename=>filename.startsWith("file://");function findWasmBinary(){if(Module["locateFile"]){var f="espeak-ng.wasm";if(!isDataURI(f)){return locateFile(f)}return f}return new URL("espeak-ng.wasm",(typeof self !== 'undefined' && self.location ? self.location.href : '')).href}var wasmBinaryFile;function getBinarySync(file){if(file==wasmBinaryFile&&wasmBinary){return new Uint8Array(wasmBinary)}if(readBinary){return readBinary(file)}throw"both async and sync fetching of the wasm failed"}function getBinaryPromise(binaryFile){if(!wasmBinary){return readAsync(binaryFile).then(response=>new Uint8Array(response),()=>getBinarySync(binaryFile))}return Promise.resolve().then(()=>getBinarySync(binaryFile))}function instantiateArrayBuffer(binaryFile,imports,receiver){return getBinaryPromise(binaryFile).then(binary=>WebAssembly.instantiate(binary,imports)).then(receiver,reason=>{err(`failed to asynchronously prepare wasm: ${reason}`);abort(reason)})}function instantiateAsync(binary,binaryFile,imports,callback){if(!binary&&typeof WebAssembly.instantiateStreaming=="function"&&!isDataURI(binaryFile)&&!isFileURI(binaryFile)&&!ENVIRONMENT_IS_NODE&&typeof fetch=="function"){return fetch(binaryFile,{credentials:"same-origin"}).then(response=>{var result=WebAssembly.instantiateStreaming(response,imports);return result.then(callback,function(reason){err(`wasm streaming compile failed: ${reason}`);err("falling back to ArrayBuffer instantiation");return instantiateArrayBuffer(binaryFile,imports,callback)})})}return instantiateArrayBuffer(binaryFile,imports,callback)}function getWasmImports(){return{a:wasmImports}}function createWasm(){var info=getWasmImports();function receiveInstance(instance,module){wasmExports=instance.exports;wasmMemory=wasmExports["u"];updateMemoryViews();wasmTable=wasmExports["Ga"];addOnInit(wasmExports["v"]);removeRunDependency("wasm-instantiate");return wasmExports}addRunDependency("wasm-instantiate");function receiveInstantiationResult(result){receiveInstance(result["instance"])}if(Module["instantiateWasm"]){try{return Module["instantiateWasm"](info,receiveInstance)}catch(e){err(`Module.instantiateWasm callback failed with error: ${e}`);readyPromiseReject(e)}}wasmBinaryFile??=findWasmBinary();instantiateAsync(wasmBinary,wasmBinaryFile,info,receiveInstantiationResult).catch(readyPromiseReject);return{}}var tempDouble;var tempI64;class ExitStatus{name="ExitStatus";constructor(status){this.message=`Program terminated with exit(${status})`;this.status=status}}var callRuntimeCallbacks=callbacks=>{while(callbacks.length>0){callbacks.shift()(Module)}};var noExitRuntime=Module["noExitRuntime"]||true;var UTF8Decoder=typeof TextDecoder!="undefined"?new TextDecoder:undefined;var UTF8ArrayToString=(heapOrArray,idx=0,maxBytesToRead=NaN)=>{var endIdx=idx+maxBytesToRead;var endPtr=idx;while(heapOrArray[endPtr]&&!(endPtr>=endIdx))++endPtr;if(endPtr-idx>16&&heapOrArray.buffer&&UTF8Decoder){return UTF8Decoder.decode(heapOrArray.subarray(idx,endPtr))}var str="";while(idx<endPtr){var u0=heapOrArray[idx++];if(!(u0&128)){str+=String.fromCharCode(u0);continue}var u1=heapOrArray[idx++]&63;if((u0&224)==192){str+=String.fromCharCode((u0&31)<<6|u1);continue}var u2=heapOrArray[idx++]&63;if((u0&240)==224){u0=(u0&15)<<12|u1<<6|u2}else{u0=(u0&7)<<18|u1<<12|u2<<6|heapOrArray[idx++]&63}if(u0<65536){str+=String.fromCharCode(u0)}else{var ch=u0-65536;str+=String.fromCharCode(55296|ch>>10,56320|ch&1023)}}return str};var UTF8ToString=(ptr,maxBytesToRead)=>ptr?UTF8ArrayToString(HEAPU8,ptr,maxBytesToRead):"";var ___assert_fail=(condition,filename,line,func)=>{abort(`Assertion failed: ${UTF8ToString(condition)}, at: `+[filename?UTF8ToString(filename):"unknown filename",line,func?UTF8ToString(func):"unknown function"])};class ExceptionInfo{constructor(excPtr){this.excPtr=excPtr;this.ptr=excPtr-24}set_type(type){HEAPU32[this.ptr+4>>2]=type}get_type(){return HEAPU32[this.ptr+4>>2]}set_destructor(destructor){HEAPU32[this.ptr+8>>2]=destructor}get_destructor(){return HEAPU32[this.ptr+8>>2]}set_caught(caught){caught=caught?1:0;HEAP8[this.ptr+12]=caught}get_caught(){return HEAP8[this.ptr+12]!=0}set_rethrown(rethrown){rethrown=rethrown?1:0;HEAP8[this.ptr+13]=rethrown}get_rethrown(){return HEAP8[this.ptr+13]!=0}init(type,destructor){this.set_adjusted_ptr(0);this.set_type(type);this.set_destructor(destructor)}set_adjusted_ptr(adjustedPtr){HEAPU32[this.ptr+16>>2]=adjustedPtr}get_adjusted_ptr(){return HEAPU32[this.ptr+16>>2]}}var exceptionLast=0;var uncaughtExceptionCount=0;var ___cxa_throw=(ptr,type,destructor)=>{var info=new ExceptionInfo(ptr);info.init(type,destructor);exceptionLast=ptr;uncaughtExceptionCount++;throw exceptionLast};var syscallGetVarargI=()=>{var ret=HEAP32[+SYSCALLS.varargs>>2];SYSCALLS.varargs+=4;return ret};var syscallGetVarargP=syscallGetVarargI;var PATH={isAbs:path=>path.charAt(0)==="/",splitPath:filename=>{var splitPathRe=/^(\/?|)([\s\S]*?)((?:\.{1,2}|[^\/]+?|)(\.[^.\/]*|))(?:[\/]*)$/;return splitPathRe.exec(filename).slice(1)},normalizeArray:(parts,allowAboveRoot)=>{var up=0;for(var i=parts.length-1;i>=0;i--){var last=parts[i];if(last==="."){parts.splice(i,1)}else if(last===".."){parts.splice(i,1);up++}else if(up){parts.splice(i,1);up--}}if(allowAboveRoot){for(;up;up--){parts.unshift("..")}}return parts},normalize:path=>{var isAbsolute=PATH.isAbs(path),trailingSlash=path.substr(-1)==="/";path=PATH.normalizeArray(path.split("/").filter(p=>!!p),!isAbsolute).join("/");if(!path&&!isAbsolute){path="."}if(path&&trailingSlash){path+="/"}return(isAbsolute?"/":"")+path},dirname:path=>{var result=PATH.splitPath(path),root=result[0],dir=result[1];if(!root&&!dir){return"."}if(dir){dir=dir.substr(0,dir.length-1)}return root+dir},basename:path=>{if(path==="/")return"/";path=PATH.normalize(path);path=path.replace(/\/$/,"");var lastSlash=path.lastIndexOf("/");if(lastSlash===-1)return path;return path.substr(lastSlash+1)},join:(...paths)=>PATH.normalize(paths.join("/")),join2:(l,r)=>PATH.normalize(l+"/"+r)};var initRandomFill=()=>{if(typeof crypto=="object"&&typeof crypto["getRandomValues"]=="function"){return view=>crypto.getRandomValues(view)}else if(ENVIRONMENT_IS_NODE){try{var crypto_module=require("crypto");var randomFillSync=crypto_module["randomFillSync"];if(randomFillSync){return view=>crypto_module["randomFillSync"](view)}var randomBytes=crypto_module["randomBytes"];return view=>(view.set(randomBytes(view.byteLength)),view)}catch(e){}}abort("initRandomDevice")};var randomFill=view=>(randomFill=initRandomFill())(view);var PATH_FS={resolve:(...args)=>{var resolvedPath="",resolvedAbsolute=false;for(var i=args.length-1;i>=-1&&!resolvedAbsolute;i--){var path=i>=0?args[i]:FS.cwd();if(typeof path!="string"){throw new TypeError("Arguments to path.resolve must be strings")}else if(!path){return""}resolvedPath=path+"/"+resolvedPath;resolvedAbsolute=PATH.isAbs(path)}resolvedPath=PATH.normalizeArray(resolvedPath.split("/").filter(p=>!!p),!resolvedAbsolute).join("/");return(resolvedAbsolute?"/":"")+resolvedPath||"."},relative:(from,to)=>{from=PATH_FS.resolve(from).substr(1);to=PATH_FS.resolve(to).substr(1);function trim(arr){var start=0;for(;start<arr.length;start++){if(arr[start]!=="")break}var end=arr.length-1;for(;end>=0;end--){if(arr[end]!=="")break}if(start>end)return[];return arr.slice(start,end-start+1)}var fromParts=trim(from.split("/"));var toParts=trim(to.split("/"));var length=Math.min(fromParts.length,toParts.length);var samePartsLength=length;for(var i=0;i<length;i++){if(fromParts[i]!==toParts[i]){samePartsLength=i;break}}var outputParts=[];for(var i=samePartsLength;i<fromParts.length;i++){outputParts.push("..")}outputParts=outputParts.concat(toParts.slice(samePartsLength));return outputParts.join("/")}};var FS_stdin_getChar_buffer=[];var lengthBytesUTF8=str=>{var len=0;for(var i=0;i<str.length;++i){var c=str.charCodeAt(i);if(c<=127){len++}else if(c<=2047){len+=2}else if(c>=55296&&c<=57343){len+=4;++i}else{len+=3}}return len};var stringToUTF8Array=(str,heap,outIdx,maxBytesToWrite)=>{if(!(maxBytesToWrite>0))return 0;var startIdx=outIdx;var endIdx=outIdx+maxBytesToWrite-1;for(var i=0;i<str.length;++i){var u=str.charCodeAt(i);if(u>=55296&&u<=57343){var u1=str.charCodeAt(++i);u=65536+((u&1023)<<10)|u1&1023}if(u<=127){if(outIdx>=endIdx)break;heap[outIdx++]=u}else if(u<=2047){if(outIdx+1>=endIdx)break;heap[outIdx++]=192|u>>6;heap[outIdx++]=128|u&63}else if(u<=65535){if(outIdx+2>=endIdx)break;heap[outIdx++]=224|u>>12;heap[outIdx++]=128|u>>6&63;heap[outIdx++]=128|u&63}else{if(outIdx+3>=endIdx)break;heap[outIdx++]=240|u>>18;heap[outIdx++]=128|u>>12&63;heap[outIdx++]=128|u>>6&63;heap[outIdx++]=128|u&63}}heap[outIdx]=0;return outIdx-startIdx};function intArrayFromString(stringy,dontAddNull,length){var len=length>0?length:lengthBytesUTF8(stringy)+1;var u8array=new Array(len);var numBytesWritten=stringToUTF8Array(stringy,u8array,0,u8array.length);if(dontAddNull)u8array.length=numBytesWritten;return u8array}var FS_stdin_getChar=()=>{if(!FS_stdin_getChar_buffer.length){var result=null;if(ENVIRONMENT_IS_NODE){var BUFSIZE=256;var buf=Buffer.alloc(BUFSIZE);var bytesRead=0;var fd=process.stdin.fd;try{bytesRead=fs.readSync(fd,buf,0,BUFSIZE)}catch(e){if(e.toString().includes("EOF"))bytesRead=0;else throw e}if(bytesRead>0){result=buf.slice(0,bytesRead).toString("utf-8")}}else if(typeof window!="undefined"&&typeof window.prompt=="function"){result=window.prompt("Input: ");if(result!==null){result+="\n"}}else{}if(!result){return null}FS_stdin_getChar_buffer=intArrayFromString(result,true)}return FS_stdin_getChar_buffer.shift()};var TTY={ttys:[],init(){},shutdown(){},register(dev,ops){TTY.ttys[dev]={input:[],output:[],ops};FS.registerDevice(dev,TTY.stream_ops)},stream_ops:{open(stream){var tty=TTY.ttys[stream.node.rdev];if(!tty){throw new FS.ErrnoError(43)}stream.tty=tty;stream.seekable=false},close(stream){stream.tty.ops.fsync(stream.tty)},fsync(stream){stream.tty.ops.fsync(stream.tty)},read(stream,buffer,offset,length,pos){if(!stream.tty||!stream.tty.ops.get_char){throw new FS.ErrnoError(60)}var bytesRead=0;for(var i=0;i<length;i++){var result;try{result=stream.tty.ops.get_char(stream.tty)}catch(e){throw new FS.ErrnoError(29)}if(result===undefined&&bytesRead===0){throw new FS.ErrnoError(6)}if(result===null||result===undefined)break;bytesRead++;buffer[offset+i]=result}if(bytesRead){stream.node.timestamp=Date.now()}return bytesRead},write(stream,buffer,offset,length,pos){if(!stream.tty||!stream.tty.ops.put_char){throw new FS.ErrnoError(60)}try{for(var i=0;i<length;i++){stream.tty.ops.put_char(stream.tty,buffer[offset+i])}}catch(e){throw new FS.ErrnoError(29)}if(length){stream.node.timestamp=Date.now()}return i}},default_tty_ops:{get_char(tty){return FS_stdin_getChar()},put_char(tty,val){if(val===null||val===10){out(UTF8ArrayToString(tty.output));tty.output=[]}else{if(val!=0)tty.output.push(val)}},fsync(tty){if(tty.output&&tty.output.length>0){out(UTF8ArrayToString(tty.output));tty.output=[]}},ioctl_tcgets(tty){return{c_iflag:25856,c_oflag:5,c_cflag:191,c_lflag:35387,c_cc:[3,28,127,21,4,0,1,0,17,19,26,0,18,15,23,22,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]}},ioctl_tcsets(tty,optional_actions,data){return 0},ioctl_tiocgwinsz(tty){return[24,80]}},default_tty1_ops:{put_char(tty,val){if(val===null||val===10){err(UTF8ArrayToString(tty.output));tty.output=[]}else{if(val!=0)tty.output.push(val)}},fsync(tty){if(tty.output&&tty.output.length>0){err(UTF8ArrayToString(tty.output));tty.output=[]}}}};var alignMemory=(size,alignment)=>Math.ceil(size/alignment)*alignment;var mmapAlloc=size=>{abort()};var MEMFS={ops_table:null,mount(mount){return MEMFS.createNode(null,"/",16384|511,0)},createNode(parent,name,mode,dev){if(FS.isBlkdev(mode)||FS.isFIFO(mode)){throw new FS.ErrnoError(63)}MEMFS.ops_table||={dir:{node:{getattr:MEMFS.node_ops.getattr,setattr:MEMFS.node_ops.setattr,lookup:MEMFS.node_ops.lookup,mknod:MEMFS.node_ops.mknod,rename:MEMFS.node_ops.rename,unlink:MEMFS.node_ops.unlink,rmdir:MEMFS.node_ops.rmdir,readdir:MEMFS.node_ops.readdir,symlink:MEMFS.node_ops.symlink},stream:{llseek:MEMFS.stream_ops.llseek}},file:{node:{getattr:MEMFS.node_ops.getattr,setattr:MEMFS.node_ops.setattr},stream:{llseek:MEMFS.stream_ops.llseek,read:MEMFS.stream_ops.read,write:MEMFS.stream_ops.write,allocate:MEMFS.stream_ops.allocate,mmap:MEMFS.stream_ops.mmap,msync:MEMFS.stream_ops.msync}},link:{node:{getattr:MEMFS.node_ops.getattr,setattr:MEMFS.node_ops.setattr,readlink:MEMFS.node_ops.readlink},stream:{}},chrdev:{node:{getattr:MEMFS.node_ops.getattr,setattr:MEMFS.node_ops.setattr},stream:FS.chrdev_stream_ops}};var node=FS.createNode(parent,name,mode,dev);if(FS.isDir(node.mode)){node.node_ops=MEMFS.ops_table.dir.node;node.stream_ops=MEMFS.ops_table.dir.stream;node.contents={}}else if(FS.isFile(node.mode)){node.node_ops=MEMFS.ops_table.file.node;node.stream_ops=MEMFS.ops_table.file.stream;node.usedBytes=0;node.contents=null}else if(FS.isLink(node.mode)){node.node_ops=MEMFS.ops_table.link.node;node.stream_ops=MEMFS.ops_table.link.stream}else if(FS.isChrdev(node.mode)){node.node_ops=MEMFS.ops_table.chrdev.node;node.stream_ops=MEMFS.ops_table.chrdev.stream}node.timestamp=Date.now();if(parent){parent.contents[name]=node;parent.timestamp=node.timestamp}return node},getFileDataAsTypedArray(node){if(!node.contents)return new Uint8Array(0);if(node.contents.subarray)return node.contents.subarray(0,node.usedBytes);return new Uint8Array(node.contents)},expandFileStorage(node,newCapacity){var prevCapacity=node.contents?node.contents.length:0;if(prevCapacity>=newCapacity)return;var CAPACITY_DOUBLING_MAX=1024*1024;newCapacity=Math.max(newCapacity,prevCapacity*(prevCapacity<CAPACITY_DOUBLING_MAX?2:1.125)>>>0);if(prevCapacity!=0)newCapacity=Math.max(newCapacity,256);var oldContents=node.contents;node.contents=new Uint8Array(newCapacity);if(node.usedBytes>0)node.contents.set(oldContents.subarray(0,node.usedBytes),0)},resizeFileStorage(node,newSize){if(node.usedBytes==newSize)return;if(newSize==0){node.contents=null;node.usedBytes=0}else{var oldContents=node.contents;node.contents=new Uint8Array(newSize);if(oldContents){node.contents.set(oldContents.subarray(0,Math.min(newSize,node.usedBytes)))}node.usedBytes=newSize}},node_ops:{getattr(node){var attr={};attr.dev=FS.isChrdev(node.mode)?node.id:1;attr.ino=node.id;attr.mode=node.mode;attr.nlink=1;attr.uid=0;attr.gid=0;attr.rdev=node.rdev;if(FS.isDir(node.mode)){attr.size=4096}else if(FS.isFile(node.mode)){attr.size=node.usedBytes}else if(FS.isLink(node.mode)){attr.size=node.link.length}else{attr.size=0}attr.atime=new Date(node.timestamp);attr.mtime=new Date(node.timestamp);attr.ctime=new Date(node.timestamp);attr.blksize=4096;attr.blocks=Math.ceil(attr.size/attr.blksize);return attr},setattr(node,attr){if(attr.mode!==undefined){node.mode=attr.mode}if(attr.timestamp!==undefined){node.timestamp=attr.timestamp}if(attr.size!==undefined){MEMFS.resizeFileStorage(node,attr.size)}},lookup(parent,name){throw FS.genericErrors[44]},mknod(parent,name,mode,dev){return MEMFS.createNode(parent,name,mode,dev)},rename(old_node,new_dir,new_name){if(FS.isDir(old_node.mode)){var new_node;try{new_node=FS.lookupNode(new_dir,new_name)}catch(e){}if(new_node){for(var i in new_node.contents){throw new FS.ErrnoError(55)}}}delete old_node.parent.contents[old_node.name];old_node.parent.timestamp=Date.now();old_node.name=new_name;new_dir.contents[new_name]=old_node;new_dir.timestamp=old_node.parent.timestamp},unlink(parent,name){delete parent.contents[name];parent.timestamp=Date.now()},rmdir(parent,name){var node=FS.lookupNode(parent,name);for(var i in node.contents){throw new FS.ErrnoError(55)}delete parent.contents[name];parent.timestamp=Date.now()},readdir(node){var entries=[".",".."];for(var key of Object.keys(node.contents)){entries.push(key)}return entries},symlink(parent,newname,oldpath){var node=MEMFS.createNode(parent,newname,511|40960,0);node.link=oldpath;return node},readlink(node){if(!FS.isLink(node.mode)){throw new FS.ErrnoError(28)}return node.link}},stream_ops:{read(stream,buffer,offset,length,position){var contents=stream.node.contents;if(position>=stream.node.usedBytes)return 0;var size=Math.min(stream.node.usedBytes-position,length);if(size>8&&contents.subarray){buffer.set(contents.subarray(position,position+size),offset)}else{for(var i=0;i<size;i++)buffer[offset+i]=contents[position+i]}return size},write(stream,buffer,offset,length,position,canOwn){if(buffer.buffer===HEAP8.buffer){canOwn=false}if(!length)return 0;var node=stream.node;node.timestamp=Date.now();if(buffer.subarray&&(!node.contents||node.contents.subarray)){if(canOwn){node.contents=buffer.subarray(offset,offset+length);node.usedBytes=length;return length}else if(node.usedBytes===0&&position===0){node.contents=buffer.slice(offset,offset+length);node.usedBytes=length;return length}else if(position+length<=node.usedBytes){node.contents.set(buffer.subarray(offset,offset+length),position);return length}}MEMFS.expandFileStorage(node,position+length);if(node.contents.subarray&&buffer.subarray){node.contents.set(buffer.subarray(offset,offset+length),position)}else{for(var i=0;i<length;i++){node.contents[position+i]=buffer[offset+i]}}node.usedBytes=Math.max(node.usedBytes,position+length);return length},llseek(stream,offset,whence){var position=offset;if(whence===1){position+=stream.position}else if(whence===2){if(FS.isFile(stream.node.mode)){position+=stream.node.usedBytes}}if(position<0){throw new FS.ErrnoError(28)}return position},allocate(stream,offset,length){MEMFS.expandFileStorage(stream.node,offset+length);stream.node.usedBytes=Math.max(stream.node.usedBytes,offset+length)},mmap(stream,length,position,prot,flags){if(!FS.isFile(stream.node.mode)){throw new FS.ErrnoError(43)}var ptr;var allocated;var contents=stream.node.contents;if(!(flags&2)&&contents&&contents.buffer===HEAP8.buffer){allocated=false;ptr=contents.byteOffset}else{allocated=true;ptr=mmapAlloc(length);if(!ptr){throw new FS.ErrnoError(48)}if(contents){if(position>0||position+length<contents.length){if(contents.subarray){contents=contents.subarray(position,position+length)}else{contents=Array.prototype.slice.call(contents,position,position+length)}}HEAP8.set(contents,ptr)}}return{ptr,allocated}},msync(stream,buffer,offset,length,mmapFlags){MEMFS.stream_ops.write(stream,buffer,0,length,offset,false);return 0}}};var asyncLoad=(url,onload,onerror,noRunDep)=>{var dep=!noRunDep?getUniqueRunDependency(`al ${url}`):"";readAsync(url).then(arrayBuffer=>{onload(new Uint8Array(arrayBuffer));if(dep)removeRunDependency(dep)},err=>{if(onerror){onerror()}else{throw`Loading data file "${url}" failed.`}});if(dep)addRunDependency(dep)};var FS_createDataFile=(parent,name,fileData,canRead,canWrite,canOwn)=>{FS.createDataFile(parent,name,fileData,canRead,canWrite,canOwn)};var preloadPlugins=Module["preloadPlugins"]||[];var FS_handledByPreloadPlugin=(byteArray,fullname,finish,onerror)=>{if(typeof Browser!="undefined")Browser.init();var handled=false;preloadPlugins.forEach(plugin=>{if(handled)return;if(plugin["canHandle"](fullname)){plugin["handle"](byteArray,fullname,finish,onerror);handled=true}});return handled};var FS_createPreloadedFile=(parent,name,url,canRead,canWrite,onload,onerror,dontCreateFile,canOwn,preFinish)=>{var fullname=name?PATH_FS.resolve(PATH.join2(parent,name)):parent;var dep=getUniqueRunDependency(`cp ${fullname}`);function processData(byteArray){function finish(byteArray){preFinish?.();if(!dontCreateFile){FS_createDataFile(parent,name,byteArray,canRead,canWrite,canOwn)}onload?.();removeRunDependency(dep)}if(FS_handledByPreloadPlugin(byteArray,fullname,finish,()=>{onerror?.();removeRunDependency(dep)})){return}finish(byteArray)}addRunDependency(dep);if(typeof url=="string"){asyncLoad(url,processData,onerror)}else{processData(url)}};var FS_modeStringToFlags=str=>{var flagModes={r:0,"r+":2,w:512|64|1,"w+":512|64|2,a:1024|64|1,"a+":1024|64|2};var flags=flagModes[str];if(typeof flags=="undefined"){throw new Error(`Unknown file open mode: ${str}`)}return flags};var FS_getMode=(canRead,canWrite)=>{var mode=0;if(canRead)mode|=292|73;if(canWrite)mode|=146;return mode};var FS={root:null,mounts:[],devices:{},streams:[],nextInode:1,nameTable:null,currentPath:"/",initialized:false,ignorePermissions:true,ErrnoError:class{name="ErrnoError";constructor(errno){this.errno=errno}},genericErrors:{},filesystems:null,syncFSRequests:0,readFiles:{},FSStream:class{shared={};get object(){return this.node}set object(val){this.node=val}get isRead(){return(this.flags&2097155)!==1}get isWrite(){return(this.flags&2097155)!==0}get isAppend(){return this.flags&1024}get flags(){return this.shared.flags}set flags(val){this.shared.flags=val}get position(){return this.shared.position}set position(val){this.shared.position=val}},FSNode:class{node_ops={};stream_ops={};readMode=292|73;writeMode=146;mounted=null;constructor(parent,name,mode,rdev){if(!parent){parent=this}this.parent=parent;this.mount=parent.mount;this.id=FS.nextInode++;this.name=name;this.mode=mode;this.rdev=rdev}get read(){return(this.mode&this.readMode)===this.readMode}set read(val){val?this.mode|=this.readMode:this.mode&=~this.readMode}get write(){return(this.mode&this.writeMode)===this.writeMode}set write(val){val?this.mode|=this.writeMode:this.mode&=~this.writeMode}get isFolder(){return FS.isDir(this.mode)}get isDevice(){return FS.isChrdev(this.mode)}},lookupPath(path,opts={}){path=PATH_FS.resolve(path);if(!path)return{path:"",node:null};var defaults={follow_mount:true,recurse_count:0};opts=Object.assign(defaults,opts);if(opts.recurse_count>8){throw new FS.ErrnoError(32)}var parts=path.split("/").filter(p=>!!p);var current=FS.root;var current_path="/";for(var i=0;i<parts.length;i++){var islast=i===parts.length-1;if(islast&&opts.parent){break}current=FS.lookupNode(current,parts[i]);current_path=PATH.join2(current_path,parts[i]);if(FS.isMountpoint(current)){if(!islast||islast&&opts.follow_mount){current=current.mounted.root}}if(!islast||opts.follow){var count=0;while(FS.isLink(current.mode)){var link=FS.readlink(current_path);current_path=PATH_FS.resolve(PATH.dirname(current_path),link);var lookup=FS.lookupPath(current_path,{recurse_count:opts.recurse_count+1});current=lookup.node;if(count++>40){throw new FS.ErrnoError(32)}}}}return{path:current_path,node:current}},getPath(node){var path;while(true){if(FS.isRoot(node)){var mount=node.mount.mountpoint;if(!path)return mount;return mount[mount.length-1]!=="/"?`${mount}/${path}`:mount+path}path=path?`${node.name}/${path}`:node.name;node=node.parent}},hashName(parentid,name){var hash=0;for(var i=0;i<name.length;i++){hash=(hash<<5)-hash+name.charCodeAt(i)|0}return(parentid+hash>>>0)%FS.nameTable.length},hashAddNode(node){var hash=FS.hashName(node.parent.id,node.name);node.name_next=FS.nameTable[hash];FS.nameTable[hash]=node},hashRemoveNode(node){var hash=FS.hashName(node.parent.id,node.name);if(FS.nameTable[hash]===node){FS.nameTable[hash]=node.name_next}else{var current=FS.nameTable[hash];while(current){if(current.name_next===node){current.name_next=node.name_next;break}current=current.name_next}}},lookupNode(parent,name){var errCode=FS.mayLookup(parent);if(errCode){throw new FS.ErrnoError(errCode)}var hash=FS.hashName(parent.id,name);for(var node=FS.nameTable[hash];node;node=node.name_next){var nodeName=node.name;if(node.parent.id===parent.id&&nodeName===name){return node}}return FS.lookup(parent,name)},createNode(parent,name,mode,rdev){var node=new FS.FSNode(parent,name,mode,rdev);FS.hashAddNode(node);return node},destroyNode(node){FS.hashRemoveNode(node)},isRoot(node){return node===node.parent},isMountpoint(node){return!!node.mounted},isFile(mode){return(mode&61440)===32768},isDir(mode){return(mode&61440)===16384},isLink(mode){return(mode&61440)===40960},isChrdev(mode){return(mode&61440)===8192},isBlkdev(mode){return(mode&61440)===24576},isFIFO(mode){return(mode&61440)===4096},isSocket(mode){return(mode&49152)===49152},flagsToPermissionString(flag){var perms=["r","w","rw"][flag&3];if(flag&512){perms+="w"}return perms},nodePermissions(node,perms){if(FS.ignorePermissions){return 0}if(perms.includes("r")&&!(node.mode&292)){return 2}else if(perms.includes("w")&&!(node.mode&146)){return 2}else if(perms.includes("x")&&!(node.mode&73)){return 2}return 0},mayLookup(dir){if(!FS.isDir(dir.mode))return 54;var errCode=FS.nodePermissions(dir,"x");if(errCode)return errCode;if(!dir.node_ops.lookup)return 2;return 0},mayCreate(dir,name){try{var node=FS.lookupNode(dir,name);return 20}catch(e){}return FS.nodePermissions(dir,"wx")},mayDelete(dir,name,isdir){var node;try{node=FS.lookupNode(dir,name)}catch(e){return e.errno}var errCode=FS.nodePermissions(dir,"wx");if(errCode){return errCode}if(isdir){if(!FS.isDir(node.mode)){return 54}if(FS.isRoot(node)||FS.getPath(node)===FS.cwd()){return 10}}else{if(FS.isDir(node.mode)){return 31}}return 0},mayOpen(node,flags){if(!node){return 44}if(FS.isLink(node.mode)){return 32}else if(FS.isDir(node.mode)){if(FS.flagsToPermissionString(flags)!=="r"||flags&512){return 31}}return FS.nodePermissions(node,FS.flagsToPermissionString(flags))},MAX_OPEN_FDS:4096,nextfd(){for(var fd=0;fd<=FS.MAX_OPEN_FDS;fd++){if(!FS.streams[fd]){return fd}}throw new FS.ErrnoError(33)},getStreamChecked(fd){var stream=FS.getStream(fd);if(!stream){throw new FS.ErrnoError(8)}return stream},getStream:fd=>FS.streams[fd],createStream(stream,fd=-1){stream=Object.assign(new FS.FSStream,stream);if(fd==-1){fd=FS.nextfd()}stream.fd=fd;FS.streams[fd]=stream;return stream},closeStream(fd){FS.streams[fd]=null},dupStream(origStream,fd=-1){var stream=FS.createStream(origStream,fd);stream.stream_ops?.dup?.(stream);return stream},chrdev_stream_ops:{open(stream){var device=FS.getDevice(stream.node.rdev);stream.stream_ops=device.stream_ops;stream.stream_ops.open?.(stream)},llseek(){throw new FS.ErrnoError(70)}},major:dev=>dev>>8,minor:dev=>dev&255,makedev:(ma,mi)=>ma<<8|mi,registerDevice(dev,ops){FS.devices[dev]={stream_ops:ops}},getDevice:dev=>FS.devices[dev],getMounts(mount){var mounts=[];var check=[mount];while(check.length){var m=check.pop();mounts.push(m);check.push(...m.mounts)}return mounts},syncfs(populate,callback){if(typeof populate=="function"){callback=populate;populate=false}FS.syncFSRequests++;if(FS.syncFSRequests>1){err(`warning: ${FS.syncFSRequests} FS.syncfs operations in flight at once, probably just doing extra work`)}var mounts=FS.getMounts(FS.root.mount);var completed=0;function doCallback(errCode){FS.syncFSRequests--;return callback(errCode)}function done(errCode){if(errCode){if(!done.errored){done.errored=true;return doCallback(errCode)}return}if(++completed>=mounts.length){doCallback(null)}}mounts.forEach(mount=>{if(!mount.type.syncfs){return done(null)}mount.type.syncfs(mount,populate,done)})},mount(type,opts,mountpoint){var root=mountpoint==="/";var pseudo=!mountpoint;var node;if(root&&FS.root){throw new FS.ErrnoError(10)}else if(!root&&!pseudo){var lookup=FS.lookupPath(mountpoint,{follow_mount:false});mountpoint=lookup.path;node=lookup.node;if(FS.isMountpoint(node)){throw new FS.ErrnoError(10)}if(!FS.isDir(node.mode)){throw new FS.ErrnoError(54)}}var mount={type,opts,mountpoint,mounts:[]};var mountRoot=type.mount(mount);mountRoot.mount=mount;mount.root=mountRoot;if(root){FS.root=mountRoot}else if(node){node.mounted=mount;if(node.mount){node.mount.mounts.push(mount)}}return mountRoot},unmount(mountpoint){var lookup=FS.lookupPath(mountpoint,{follow_mount:false});if(!FS.isMountpoint(lookup.node)){throw new FS.ErrnoError(28)}var node=lookup.node;var mount=node.mounted;var mounts=FS.getMounts(mount);Object.keys(FS.nameTable).forEach(hash=>{var current=FS.nameTable[hash];while(current){var next=current.name_next;if(mounts.includes(current.mount)){FS.destroyNode(current)}current=next}});node.mounted=null;var idx=node.mount.mounts.indexOf(mount);node.mount.mounts.splice(idx,1)},lookup(parent,name){return parent.node_ops.lookup(parent,name)},mknod(path,mode,dev){var lookup=FS.lookupPath(path,{parent:true});var parent=lookup.node;var name=PATH.basename(path);if(!name||name==="."||name===".."){throw new FS.ErrnoError(28)}var errCode=FS.mayCreate(parent,name);if(errCode){throw new FS.ErrnoError(errCode)}if(!parent.node_ops.mknod){throw new FS.ErrnoError(63)}return parent.node_ops.mknod(parent,name,mode,dev)},create(path,mode){mode=mode!==undefined?mode:438;mode&=4095;mode|=32768;return FS.mknod(path,mode,0)},mkdir(path,mode){mode=mode!==undefined?mode:511;mode&=511|512;mode|=16384;return FS.mknod(path,mode,0)},mkdirTree(path,mode){var dirs=path.split("/");var d="";for(var i=0;i<dirs.length;++i){if(!dirs[i])continue;d+="/"+dirs[i];try{FS.mkdir(d,mode)}catch(e){if(e.errno!=20)throw e}}},mkdev(path,mode,dev){if(typeof dev=="undefined"){dev=mode;mode=438}mode|=8192;return FS.mknod(path,mode,dev)},symlink(oldpath,newpath){if(!PATH_FS.resolve(oldpath)){throw new FS.ErrnoError(44)}var lookup=FS.lookupPath(newpath,{parent:true});var parent=lookup.node;if(!parent){throw new FS.ErrnoError(44)}var newname=PATH.basename(newpath);var errCode=FS.mayCreate(parent,newname);if(errCode){throw new FS.ErrnoError(errCode)}if(!parent.node_ops.symlink){throw new FS.ErrnoError(63)}return parent.node_ops.symlink(parent,newname,oldpath)},rename(old_path,new_path){var old_dirname=PATH.dirname(old_path);var new_dirname=PATH.dirname(new_path);var old_name=PATH.basename(old_path);var new_name=PATH.basename(new_path);var lookup,old_dir,new_dir;lookup=FS.lookupPath(old_path,{parent:true});old_dir=lookup.node;lookup=FS.lookupPath(new_path,{parent:true});new_dir=lookup.node;if(!old_dir||!new_dir)throw new FS.ErrnoError(44);if(old_dir.mount!==new_dir.mount){throw new FS.ErrnoError(75)}var old_node=FS.lookupNode(old_dir,old_name);var relative=PATH_FS.relative(old_path,new_dirname);if(relative.charAt(0)!=="."){throw new FS.ErrnoError(28)}relative=PATH_FS.relative(new_path,old_dirname);if(relative.charAt(0)!=="."){throw new FS.ErrnoError(55)}var new_node;try{new_node=FS.lookupNode(new_dir,new_name)}catch(e){}if(old_node===new_node){return}var isdir=FS.isDir(old_node.mode);var errCode=FS.mayDelete(old_dir,old_name,isdir);if(errCode){throw new FS.ErrnoError(errCode)}errCode=new_node?FS.mayDelete(new_dir,new_name,isdir):FS.mayCreate(new_dir,new_name);if(errCode){throw new FS.ErrnoError(errCode)}if(!old_dir.node_ops.rename){throw new FS.ErrnoError(63)}if(FS.isMountpoint(old_node)||new_node&&FS.isMountpoint(new_node)){throw new FS.ErrnoError(10)}if(new_dir!==old_dir){errCode=FS.nodePermissions(old_dir,"w");if(errCode){throw new FS.ErrnoError(errCode)}}FS.hashRemoveNode(old_node);try{old_dir.node_ops.rename(old_node,new_dir,new_name);old_node.parent=new_dir}catch(e){throw e}finally{FS.hashAddNode(old_node)}},rmdir(path){var lookup=FS.lookupPath(path,{parent:true});var parent=lookup.node;var name=PATH.basename(path);var node=FS.lookupNode(parent,name);var errCode=FS.mayDelete(parent,name,true);if(errCode){throw new FS.ErrnoError(errCode)}if(!parent.node_ops.rmdir){throw new FS.ErrnoError(63)}if(FS.isMountpoint(node)){throw new FS.ErrnoError(10)}parent.node_ops.rmdir(parent,name);FS.destroyNode(node)},readdir(path){var lookup=FS.lookupPath(path,{follow:true});var node=lookup.node;if(!node.node_ops.readdir){throw new FS.ErrnoError(54)}return node.node_ops.readdir(node)},unlink(path){var lookup=FS.lookupPath(path,{parent:true});var parent=lookup.node;if(!parent){throw new FS.ErrnoError(44)}var name=PATH.basename(path);var node=FS.lookupNode(parent,name);var errCode=FS.mayDelete(parent,name,false);if(errCode){throw new FS.ErrnoError(errCode)}if(!parent.node_ops.unlink){throw new FS.ErrnoError(63)}if(FS.isMountpoint(node)){throw new FS.ErrnoError(10)}parent.node_ops.unlink(parent,name);FS.destroyNode(node)},readlink(path){var lookup=FS.lookupPath(path);var link=lookup.node;if(!link){throw new FS.ErrnoError(44)}if(!link.node_ops.readlink){throw new FS.ErrnoError(28)}return PATH_FS.resolve(FS.getPath(link.parent),link.node_ops.readlink(link))},stat(path,dontFollow){var lookup=FS.lookupPath(path,{follow:!dontFollow});var node=lookup.node;if(!node){throw new FS.ErrnoError(44)}if(!node.node_ops.getattr){throw new FS.ErrnoError(63)}return node.node_ops.getattr(node)},lstat(path){return FS.stat(path,true)},chmod(path,mode,dontFollow){var node;if(typeof path=="string"){var lookup=FS.lookupPath(path,{follow:!dontFollow});node=lookup.node}else{node=path}if(!node.node_ops.setattr){throw new FS.ErrnoError(63)}node.node_ops.setattr(node,{mode:mode&4095|node.mode&~4095,timestamp:Date.now()})},lchmod(path,mode){FS.chmod(path,mode,true)},fchmod(fd,mode){var stream=FS.getStreamChecked(fd);FS.chmod(stream.node,mode)},chown(path,uid,gid,dontFollow){var node;if(typeof path=="string"){var lookup=FS.lookupPath(path,{follow:!dontFollow});node=lookup.node}else{node=path}if(!node.node_ops.setattr){throw new FS.ErrnoError(63)}node.node_ops.setattr(node,{timestamp:Date.now()})},lchown(path,uid,gid){FS.chown(path,uid,gid,true)},fchown(fd,uid,gid){var stream=FS.getStreamChecked(fd);FS.chown(stream.node,uid,gid)},truncate(path,len){if(len<0){throw new FS.ErrnoError(28)}var node;if(typeof path=="string"){var lookup=FS.lookupPath(path,{follow:true});node=lookup.node}else{node=path}if(!node.node_ops.setattr){throw new FS.ErrnoError(63)}if(FS.isDir(node.mode)){throw new FS.ErrnoError(31)}if(!FS.isFile(node.mode)){throw new FS.ErrnoError(28)}var errCode=FS.nodePermissions(node,"w");if(errCode){throw new FS.ErrnoError(errCode)}node.node_ops.setattr(node,{size:len,timestamp:Date.now()})},ftruncate(fd,len){var stream=FS.getStreamChecked(fd);if((stream.flags&2097155)===0){throw new FS.ErrnoError(28)}FS.truncate(stream.node,len)},utime(path,atime,mtime){var lookup=FS.lookupPath(path,{follow:true});var node=lookup.node;node.node_ops.setattr(node,{timestamp:Math.max(atime,mtime)})},open(path,flags,mode){if(path===""){throw new FS.ErrnoError(44)}flags=typeof flags=="string"?FS_modeStringToFlags(flags):flags;if(flags&64){mode=typeof mode=="undefined"?438:mode;mode=mode&4095|32768}else{mode=0}var node;if(typeof path=="object"){node=path}else{path=PATH.normalize(path);try{var lookup=FS.lookupPath(path,{follow:!(flags&131072)});node=lookup.node}catch(e){}}var created=false;if(flags&64){if(node){if(flags&128){throw new FS.ErrnoError(20)}}else{node=FS.mknod(path,mode,0);created=true}}if(!node){throw new FS.ErrnoError(44)}if(FS.isChrdev(node.mode)){flags&=~512}if(flags&65536&&!FS.isDir(node.mode)){throw new FS.ErrnoError(54)}if(!created){var errCode=FS.mayOpen(node,flags);if(errCode){throw new FS.ErrnoError(errCode)}}if(flags&512&&!created){FS.truncate(node,0)}flags&=~(128|512|131072);var stream=FS.createStream({node,path:FS.getPath(node),flags,seekable:true,position:0,stream_ops:node.stream_ops,ungotten:[],error:false});if(stream.stream_ops.open){stream.stream_ops.open(stream)}if(Module["logReadFiles"]&&!(flags&1)){if(!(path in FS.readFiles)){FS.readFiles[path]=1}}return stream},close(stream){if(FS.isClosed(stream)){throw new FS.ErrnoError(8)}if(stream.getdents)stream.getdents=null;try{if(stream.stream_ops.close){stream.stream_ops.close(stream)}}catch(e){throw e}finally{FS.closeStream(stream.fd)}stream.fd=null},isClosed(stream){return stream.fd===null},llseek(stream,offset,whence){if(FS.isClosed(stream)){throw new FS.ErrnoError(8)}if(!stream.seekable||!stream.stream_ops.llseek){throw new FS.ErrnoError(70)}if(whence!=0&&whence!=1&&whence!=2){throw new FS.ErrnoError(28)}stream.position=stream.stream_ops.llseek(stream,offset,whence);stream.ungotten=[];return stream.position},read(stream,buffer,offset,length,position){if(length<0||position<0){throw new FS.ErrnoError(28)}if(FS.isClosed(stream)){throw new FS.ErrnoError(8)}if((stream.flags&2097155)===1){throw new FS.ErrnoError(8)}if(FS.isDir(stream.node.mode)){throw new FS.ErrnoError(31)}if(!stream.stream_ops.read){throw new FS.ErrnoError(28)}var seeking=typeof position!="undefined";if(!seeking){position=stream.position}else if(!stream.seekable){throw new FS.ErrnoError(70)}var bytesRead=stream.stream_ops.read(stream,buffer,offset,length,position);if(!seeking)stream.position+=bytesRead;return bytesRead},write(stream,buffer,offset,length,position,canOwn){if(length<0||position<0){throw new FS.ErrnoError(28)}if(FS.isClosed(stream)){throw new FS.ErrnoError(8)}if((stream.flags&2097155)===0){throw new FS.ErrnoError(8)}if(FS.isDir(stream.node.mode)){throw new FS.ErrnoError(31)}if(!stream.stream_ops.write){throw new FS.ErrnoError(28)}if(stream.seekable&&stream.flags&1024){FS.llseek(stream,0,2)}var seeking=typeof position!="undefined";if(!seeking){position=stream.position}else if(!stream.seekable){throw new FS.ErrnoError(70)}var bytesWritten=stream.stream_ops.write(stream,buffer,offset,length,position,canOwn);if(!seeking)stream.position+=bytesWritten;return bytesWritten},allocate(stream,offset,length){if(FS.isClosed(stream)){throw new FS.ErrnoError(8)}if(offset<0||length<=0){throw new FS.ErrnoError(28)}if((stream.flags&2097155)===0){throw new FS.ErrnoError(8)}if(!FS.isFile(stream.node.mode)&&!FS.isDir(stream.node.mode)){throw new FS.ErrnoError(43)}if(!stream.stream_ops.allocate){throw new FS.ErrnoError(138)}stream.stream_ops.allocate(stream,offset,length)},mmap(stream,length,position,prot,flags){if((prot&2)!==0&&(flags&2)===0&&(stream.flags&2097155)!==2){throw new FS.ErrnoError(2)}if((stream.flags&2097155)===1){throw new FS.ErrnoError(2)}if(!stream.stream_ops.mmap){throw new FS.ErrnoError(43)}if(!length){throw new FS.ErrnoError(28)}return stream.stream_ops.mmap(stream,length,position,prot,flags)},msync(stream,buffer,offset,length,mmapFlags){if(!stream.stream_ops.msync){return 0}return stream.stream_ops.msync(stream,buffer,offset,length,mmapFlags)},ioctl(stream,cmd,arg){if(!stream.stream_ops.ioctl){throw new FS.ErrnoError(59)}return stream.stream_ops.ioctl(stream,cmd,arg)},readFile(path,opts={}){opts.flags=opts.flags||0;opts.encoding=opts.encoding||"binary";if(opts.encoding!=="utf8"&&opts.encoding!=="binary"){throw new Error(`Invalid encoding type "${opts.encoding}"`)}var ret;var stream=FS.open(path,opts.flags);var stat=FS.stat(path);var length=stat.size;var buf=new Uint8Array(length);FS.read(stream,buf,0,length,0);if(opts.encoding==="utf8"){ret=UTF8ArrayToString(buf)}else if(opts.encoding==="binary"){ret=buf}FS.close(stream);return ret},writeFile(path,data,opts={}){opts.flags=opts.flags||577;var stream=FS.open(path,opts.flags,opts.mode);if(typeof data=="string"){var buf=new Uint8Array(lengthBytesUTF8(data)+1);var actualNumBytes=stringToUTF8Array(data,buf,0,buf.length);FS.write(stream,buf,0,actualNumBytes,undefined,opts.canOwn)}else if(ArrayBuffer.isView(data)){FS.write(stream,data,0,data.byteLength,undefined,opts.canOwn)}else{throw new Error("Unsupported data type")}FS.close(stream)},cwd:()=>FS.currentPath,chdir(path){var lookup=FS.lookupPath(path,{follow:true});if(lookup.node===null){throw new FS.ErrnoError(44)}if(!FS.isDir(lookup.node.mode)){throw new FS.ErrnoError(54)}var errCode=FS.nodePermissions(lookup.node,"x");if(errCode){throw new FS.ErrnoError(errCode)}FS.currentPath=lookup.path},createDefaultDirectories(){FS.mkdir("/tmp");FS.mkdir("/home");FS.mkdir("/home/web_user")},createDefaultDevices(){FS.mkdir("/dev");FS.registerDevice(FS.makedev(1,3),{read:()=>0,write:(stream,buffer,offset,length,pos)=>length});FS.mkdev("/dev/null",FS.makedev(1,3));TTY.register(FS.makedev(5,0),TTY.default_tty_ops);TTY.register(FS.makedev(6,0),TTY.default_tty1_ops);FS.mkdev("/dev/tty",FS.makedev(5,0));FS.mkdev("/dev/tty1",FS.makedev(6,0));var randomBuffer=new Uint8Array(1024),randomLeft=0;var randomByte=()=>{if(randomLeft===0){randomLeft=randomFill(randomBuffer).byteLength}return randomBuffer[--randomLeft]};FS.createDevice("/dev","random",randomByte);FS.createDevice("/dev","urandom",randomByte);FS.mkdir("/dev/shm");FS.mkdir("/dev/shm/tmp")},createSpecialDirectories(){FS.mkdir("/proc");var proc_self=FS.mkdir("/proc/self");FS.mkdir("/proc/self/fd");FS.mount({mount(){var node=FS.createNode(proc_self,"fd",16384|511,73);node.node_ops={lookup(parent,name){var fd=+name;var stream=FS.getStreamChecked(fd);var ret={parent:null,mount:{mountpoint:"fake"},node_ops:{readlink:()=>stream.path}};ret.parent=ret;return ret}};return node}},{},"/proc/self/fd")},createStandardStreams(input,output,error){if(input){FS.createDevice("/dev","stdin",input)}else{FS.symlink("/dev/tty","/dev/stdin")}if(output){FS.createDevice("/dev","stdout",null,output)}else{FS.symlink("/dev/tty","/dev/stdout")}if(error){FS.createDevice("/dev","stderr",null,error)}else{FS.symlink("/dev/tty1","/dev/stderr")}var stdin=FS.open("/dev/stdin",0);var stdout=FS.open("/dev/stdout",1);var stderr=FS.open("/dev/stderr",1)},staticInit(){[44].forEach(code=>{FS.genericErrors[code]=new FS.ErrnoError(code);FS.genericErrors[code].stack="<generic error, no stack>"});FS.nameTable=new Array(4096);FS.mount(MEMFS,{},"/");FS.createDefaultDirectories();FS.createDefaultDevices();FS.createSpecialDirectories();FS.filesystems={MEMFS}},init(input,output,error){FS.initialized=true;input??=Module["stdin"];output??=Module["stdout"];error??=Module["stderr"];FS.createStandardStreams(input,output,error)},quit(){FS.initialized=false;for(var i=0;i<FS.streams.length;i++){var stream=FS.streams[i];if(!stream){continue}FS.close(stream)}},findObject(path,dontResolveLastLink){var ret=FS.analyzePath(path,dontResolveLastLink);if(!ret.exists){return null}return ret.object},analyzePath(path,dontResolveLastLink){try{var lookup=FS.lookupPath(path,{follow:!dontResolveLastLink});path=lookup.path}catch(e){}var ret={isRoot:false,exists:false,error:0,name:null,path:null,object:null,parentExists:false,parentPath:null,parentObject:null};try{var lookup=FS.lookupPath(path,{parent:true});ret.parentExists=true;ret.parentPath=lookup.path;ret.parentObject=lookup.node;ret.name=PATH.basename(path);lookup=FS.lookupPath(path,{follow:!dontResolveLastLink});ret.exists=true;ret.path=lookup.path;ret.object=lookup.node;ret.name=lookup.node.name;ret.isRoot=lookup.path==="/"}catch(e){ret.error=e.errno}return ret},createPath(parent,path,canRead,canWrite){parent=typeof parent=="string"?parent:FS.getPath(parent);var parts=path.split("/").reverse();while(parts.length){var part=parts.pop();if(!part)continue;var current=PATH.join2(parent,part);try{FS.mkdir(current)}catch(e){}parent=current}return current},createFile(parent,name,properties,canRead,canWrite){var path=PATH.join2(typeof parent=="string"?parent:FS.getPath(parent),name);var mode=FS_getMode(canRead,canWrite);return FS.create(path,mode)},createDataFile(parent,name,data,canRead,canWrite,canOwn){var path=name;if(parent){parent=typeof parent=="string"?parent:FS.getPath(parent);path=name?PATH.join2(parent,name):parent}var mode=FS_getMode(canRead,canWrite);var node=FS.create(path,mode);if(data){if(typeof data=="string"){var arr=new Array(data.length);for(var i=0,len=data.length;i<len;++i)arr[i]=data.charCodeAt(i);data=arr}FS.chmod(node,mode|146);var stream=FS.open(node,577);FS.write(stream,data,0,data.length,0,canOwn);FS.close(stream);FS.chmod(node,mode)}},createDevice(parent,name,input,output){var path=PATH.join2(typeof parent=="string"?parent:FS.getPath(parent),name);var mode=FS_getMode(!!input,!!output);FS.createDevice.major??=64;var dev=FS.makedev(FS.createDevice.major++,0);FS.registerDevice(dev,{open(stream){stream.seekable=false},close(stream){if(output?.buffer?.length){output(10)}},read(stream,buffer,offset,length,pos){var bytesRead=0;for(var i=0;i<length;i++){var result;try{result=input()}catch(e){throw new FS.ErrnoError(29)}if(result===undefined&&bytesRead===0){throw new FS.ErrnoError(6)}if(result===null||result===undefined)break;bytesRead++;buffer[offset+i]=result}if(bytesRead){stream.node.timestamp=Date.now()}return bytesRead},write(stream,buffer,offset,length,pos){for(var i=0;i<length;i++){try{output(buffer[offset+i])}catch(e){throw new FS.ErrnoError(29)}}if(length){stream.node.timestamp=Date.now()}return i}});return FS.mkdev(path,mode,dev)},forceLoadFile(obj){if(obj.isDevice||obj.isFolder||obj.link||obj.contents)return true;if(typeof XMLHttpRequest!="undefined"){throw new Error("Lazy loading should have been performed (contents set) in createLazyFile, but it was not. Lazy loading only works in web workers. Use --embed-file or --preload-file in emcc on the main thread.")}else{try{obj.contents=readBinary(obj.url);obj.usedBytes=obj.contents.length}catch(e){throw new FS.ErrnoError(29)}}},createLazyFile(parent,name,url,canRead,canWrite){class LazyUint8Array{lengthKnown=false;chunks=[];get(idx){if(idx>this.length-1||idx<0){return undefined}var chunkOffset=idx%this.chunkSize;var chunkNum=idx/this.chunkSize|0;return this.getter(chunkNum)[chunkOffset]}setDataGetter(getter){this.getter=getter}cacheLength(){var xhr=new XMLHttpRequest;xhr.open("HEAD",url,false);xhr.send(null);if(!(xhr.status>=200&&xhr.status<300||xhr.status===304))throw new Error("Couldn't load "+url+". Status: "+xhr.status);var datalength=Number(xhr.getResponseHeader("Content-length"));var header;var hasByteServing=(header=xhr.getResponseHeader("Accept-Ranges"))&&header==="bytes";var usesGzip=(header=xhr.getResponseHeader("Content-Encoding"))&&header==="gzip";var chunkSize=1024*1024;if(!hasByteServing)chunkSize=datalength;var doXHR=(from,to)=>{if(from>to)throw new Error("invalid range ("+from+", "+to+") or no bytes requested!");if(to>datalength-1)throw new Error("only "+datalength+" bytes available! programmer error!");var xhr=new XMLHttpRequest;xhr.open("GET",url,false);if(datalength!==chunkSize)xhr.setRequestHeader("Range","bytes="+from+"-"+to);xhr.responseType="arraybuffer";if(xhr.overrideMimeType){xhr.overrideMimeType("text/plain; charset=x-user-defined")}xhr.send(null);if(!(xhr.status>=200&&xhr.status<300||xhr.status===304))throw new Error("Couldn't load "+url+". Status: "+xhr.status);if(xhr.response!==undefined){return new Uint8Array(xhr.response||[])}return intArrayFromString(xhr.responseText||"",true)};var lazyArray=this;lazyArray.setDataGetter(chunkNum=>{var start=chunkNum*chunkSize;var end=(chunkNum+1)*chunkSize-1;end=Math.min(end,datalength-1);if(typeof lazyArray.chunks[chunkNum]=="undefined"){lazyArray.chunks[chunkNum]=doXHR(start,end)}if(typeof lazyArray.chunks[chunkNum]=="undefined")throw new Error("doXHR failed!");return lazyArray.chunks[chunkNum]});if(usesGzip||!datalength){chunkSize=datalength=1;datalength=this.getter(0).length;chunkSize=datalength;out("LazyFiles on gzip forces download of the whole file when length is accessed")}this._length=datalength;this._chunkSize=chunkSize;this.lengthKnown=true}get length(){if(!this.lengthKnown){this.cacheLength()}return this._length}get chunkSize(){if(!this.lengthKnown){this.cacheLength()}return this._chunkSize}}if(typeof XMLHttpRequest!="undefined"){if(!ENVIRONMENT_IS_WORKER)throw"Cannot do synchronous binary XHRs outside webworkers in modern browsers. Use --embed-file or --preload-file in emcc";var lazyArray=new LazyUint8Array;var properties={isDevice:false,contents:lazyArray}}else{var properties={isDevice:false,url}}var node=FS.createFile(parent,name,properties,canRead,canWrite);if(properties.contents){node.contents=properties.contents}else if(properties.url){node.contents=null;node.url=properties.url}Object.defineProperties(node,{usedBytes:{get:function(){return this.contents.length}}});var stream_ops={};var keys=Object.keys(node.stream_ops);keys.forEach(key=>{var fn=node.stream_ops[key];stream_ops[key]=(...args)=>{FS.forceLoadFile(node);return fn(...args)}});function writeChunks(stream,buffer,offset,length,position){var contents=stream.node.contents;if(position>=contents.length)return 0;var size=Math.min(contents.length-position,length);if(contents.slice){for(var i=0;i<size;i++){buffer[offset+i]=contents[position+i]}}else{for(var i=0;i<size;i++){buffer[offset+i]=contents.get(position+i)}}return size}stream_ops.read=(stream,buffer,offset,length,position)=>{FS.forceLoadFile(node);return writeChunks(stream,buffer,offset,length,position)};stream_ops.mmap=(stream,length,position,prot,flags)=>{FS.forceLoadFile(node);var ptr=mmapAlloc(length);if(!ptr){throw new FS.ErrnoError(48)}writeChunks(stream,HEAP8,ptr,length,position);return{ptr,allocated:true}};node.stream_ops=stream_ops;return node}};var SYSCALLS={DEFAULT_POLLMASK:5,calculateAt(dirfd,path,allowEmpty){if(PATH.isAbs(path)){return path}var dir;if(dirfd===-100){dir=FS.cwd()}else{var dirstream=SYSCALLS.getStreamFromFD(dirfd);dir=dirstream.path}if(path.length==0){if(!allowEmpty){throw new FS.ErrnoError(44)}return dir}return PATH.join2(dir,path)},doStat(func,path,buf){var stat=func(path);HEAP32[buf>>2]=stat.dev;HEAP32[buf+4>>2]=stat.mode;HEAPU32[buf+8>>2]=stat.nlink;HEAP32[buf+12>>2]=stat.uid;HEAP32[buf+16>>2]=stat.gid;HEAP32[buf+20>>2]=stat.rdev;tempI64=[stat.size>>>0,(tempDouble=stat.size,+Math.abs(tempDouble)>=1?tempDouble>0?+Math.floor(tempDouble/4294967296)>>>0:~~+Math.ceil((tempDouble-+(~~tempDouble>>>0))/4294967296)>>>0:0)],HEAP32[buf+24>>2]=tempI64[0],HEAP32[buf+28>>2]=tempI64[1];HEAP32[buf+32>>2]=4096;HEAP32[buf+36>>2]=stat.blocks;var atime=stat.atime.getTime();var mtime=stat.mtime.getTime();var ctime=stat.ctime.getTime();tempI64=[Math.floor(atime/1e3)>>>0,(tempDouble=Math.floor(atime/1e3),+Math.abs(tempDouble)>=1?tempDouble>0?+Math.floor(tempDouble/4294967296)>>>0:~~+Math.ceil((tempDouble-+(~~tempDouble>>>0))/4294967296)>>>0:0)],HEAP32[buf+40>>2]=tempI64[0],HEAP32[buf+44>>2]=tempI64[1];HEAPU32[buf+48>>2]=atime%1e3*1e3*1e3;tempI64=[Math.floor(mtime/1e3)>>>0,(tempDouble=Math.floor(mtime/1e3),+Math.abs(tempDouble)>=1?tempDouble>0?+Math.floor(tempDouble/4294967296)>>>0:~~+Math.ceil((tempDouble-+(~~tempDouble>>>0))/4294967296)>>>0:0)],HEAP32[buf+56>>2]=tempI64[0],HEAP32[buf+60>>2]=tempI64[1];HEAPU32[buf+64>>2]=mtime%1e3*1e3*1e3;tempI64=[Math.floor(ctime/1e3)>>>0,(tempDouble=Math.floor(ctime/1e3),+Math.abs(tempDouble)>=1?tempDouble>0?+Math.floor(tempDouble/4294967296)>>>0:~~+Math.ceil((tempDouble-+(~~tempDouble>>>0))/4294967296)>>>0:0)],HEAP32[buf+72>>2]=tempI64[0],HEAP32[buf+76>>2]=tempI64[1];HEAPU32[buf+80>>2]=ctime%1e3*1e3*1e3;tempI64=[stat.ino>>>0,(tempDouble=stat.ino,+Math.abs(tempDouble)>=1?tempDouble>0?+Math.floor(tempDouble/4294967296)>>>0:~~+Math.ceil((tempDouble-+(~~tempDouble>>>0))/4294967296)>>>0:0)],HEAP32[buf+88>>2]=tempI64[0],HEAP32[buf+92>>2]=tempI64[1];return 0},doMsync(addr,stream,len,flags,offset){if(!FS.isFile(stream.node.mode)){throw new FS.ErrnoError(43)}if(flags&2){return 0}var buffer=HEAPU8.slice(addr,addr+len);FS.msync(stream,buffer,offset,len,flags)},getStreamFromFD(fd){var stream=FS.getStreamChecked(fd);return stream},varargs:undefined,getStr(ptr){var ret=UTF8ToString(ptr);return ret}};function ___syscall_fcntl64(fd,cmd,varargs){SYSCALLS.varargs=varargs;try{var stream=SYSCALLS.getStreamFromFD(fd);switch(cmd){case 0:{var arg=syscallGetVarargI();if(arg<0){return-28}while(FS.streams[arg]){arg++}var newStream;newStream=FS.dupStream(stream,arg);return newStream.fd}case 1:case 2:return 0;case 3:return stream.flags;case 4:{var arg=syscallGetVarargI();stream.flags|=arg;return 0}case 12:{var arg=syscallGetVarargP();var offset=0;HEAP16[arg+offset>>1]=2;return 0}case 13:case 14:return 0}return-28}catch(e){if(typeof FS=="undefined"||!(e.name==="ErrnoError"))throw e;return-e.errno}}var stringToUTF8=(str,outPtr,maxBytesToWrite)=>stringToUTF8Array(str,HEAPU8,outPtr,maxBytesToWrite);function ___syscall_getdents64(fd,dirp,count){try{var stream=SYSCALLS.getStreamFromFD(fd);stream.getdents||=FS.readdir(stream.path);var struct_size=280;var pos=0;var off=FS.llseek(stream,0,1);var idx=Math.floor(off/struct_size);while(idx<stream.getdents.length&&pos+struct_size<=count){var id;var type;var name=stream.getdents[idx];if(name==="."){id=stream.node.id;type=4}else if(name===".."){var lookup=FS.lookupPath(stream.path,{parent:true});id=lookup.node.id;type=4}else{var child=FS.lookupNode(stream.node,name);id=child.id;type=FS.isChrdev(child.mode)?2:FS.isDir(child.mode)?4:FS.isLink(child.mode)?10:8}tempI64=[id>>>0,(tempDouble=id,+Math.abs(tempDouble)>=1?tempDouble>0?+Math.floor(tempDouble/4294967296)>>>0:~~+Math.ceil((tempDouble-+(~~tempDouble>>>0))/4294967296)>>>0:0)],HEAP32[dirp+pos>>2]=tempI64[0],HEAP32[dirp+pos+4>>2]=tempI64[1];tempI64=[(idx+1)*struct_size>>>0,(tempDouble=(idx+1)*struct_size,+Math.abs(tempDouble)>=1?tempDouble>0?+Math.floor(tempDouble/4294967296)>>>0:~~+Math.ceil((tempDouble-+(~~tempDouble>>>0))/4294967296)>>>0:0)],HEAP32[dirp+pos+8>>2]=tempI64[0],HEAP32[dirp+pos+12>>2]=tempI64[1];HEAP16[dirp+pos+16>>1]=280;HEAP8[dirp+pos+18]=type;stringToUTF8(name,dirp+pos+19,256);pos+=struct_size;idx+=1}FS.llseek(stream,idx*struct_size,0);return pos}catch(e){if(typeof FS=="undefined"||!(e.name==="ErrnoError"))throw e;return-e.errno}}function ___syscall_ioctl(fd,op,varargs){SYSCALLS.varargs=varargs;try{var stream=SYSCALLS.getStreamFromFD(fd);switch(op){case 21509:{if(!stream.tty)return-59;return 0}case 21505:{if(!stream.tty)return-59;if(stream.tty.ops.ioctl_tcgets){var termios=stream.tty.ops.ioctl_tcgets(stream);var argp=syscallGetVarargP();HEAP32[argp>>2]=termios.c_iflag||0;HEAP32[argp+4>>2]=termios.c_oflag||0;HEAP32[argp+8>>2]=termios.c_cflag||0;HEAP32[argp+12>>2]=termios.c_lflag||0;for(var i=0;i<32;i++){HEAP8[argp+i+17]=termios.c_cc[i]||0}return 0}return 0}case 21510:case 21511:case 21512:{if(!stream.tty)return-59;return 0}case 21506:case 21507:case 21508:{if(!stream.tty)return-59;if(stream.tty.ops.ioctl_tcsets){var argp=syscallGetVarargP();var c_iflag=HEAP32[argp>>2];var c_oflag=HEAP32[argp+4>>2];var c_cflag=HEAP32[argp+8>>2];var c_lflag=HEAP32[argp+12>>2];var c_cc=[];for(var i=0;i<32;i++){c_cc.push(HEAP8[argp+i+17])}return stream.tty.ops.ioctl_tcsets(stream.tty,op,{c_iflag,c_oflag,c_cflag,c_lflag,c_cc})}return 0}case 21519:{if(!stream.tty)return-59;var argp=syscallGetVarargP();HEAP32[argp>>2]=0;return 0}case 21520:{if(!stream.tty)return-59;return-28}case 21531:{var argp=syscallGetVarargP();return FS.ioctl(stream,op,argp)}case 21523:{if(!stream.tty)return-59;if(stream.tty.ops.ioctl_tiocgwinsz){var winsize=stream.tty.ops.ioctl_tiocgwinsz(stream.tty);var argp=syscallGetVarargP();HEAP16[argp>>1]=winsize[0];HEAP16[argp+2>>1]=winsize[1]}return 0}case 21524:{if(!stream.tty)return-59;return 0}case 21515:{if(!stream.tty)return-59;return 0}default:return-28}}catch(e){if(typeof FS=="undefined"||!(e.name==="ErrnoError"))throw e;return-e.errno}}function ___syscall_openat(dirfd,path,flags,varargs){SYSCALLS.varargs=varargs;try{path=SYSCALLS.getStr(path);path=SYSCALLS.calculateAt(dirfd,path);var mode=varargs?syscallGetVarargI():0;return FS.open(path,flags,mode).fd}catch(e){if(typeof FS=="undefined"||!(e.name==="ErrnoError"))throw e;return-e.errno}}function ___syscall_rmdir(path){try{path=SYSCALLS.getStr(path);FS.rmdir(path);return 0}catch(e){if(typeof FS=="undefined"||!(e.name==="ErrnoError"))throw e;return-e.errno}}function ___syscall_stat64(path,buf){try{path=SYSCALLS.getStr(path);return SYSCALLS.doStat(FS.stat,path,buf)}catch(e){if(typeof FS=="undefined"||!(e.name==="ErrnoError"))throw e;return-e.errno}}function ___syscall_unlinkat(dirfd,path,flags){try{path=SYSCALLS.getStr(path);path=SYSCALLS.calculateAt(dirfd,path);if(flags===0){FS.unlink(path)}else if(flags===512){FS.rmdir(path)}else{abort("Invalid flags passed to unlinkat")}return 0}catch(e){if(typeof FS=="undefined"||!(e.name==="ErrnoError"))throw e;return-e.errno}}var __abort_js=()=>{abort("")};var nowIsMonotonic=1;var __emscripten_get_now_is_monotonic=()=>nowIsMonotonic;var __emscripten_memcpy_js=(dest,src,num)=>HEAPU8.copyWithin(dest,src,src+num);var _emscripten_date_now=()=>Date.now();var getHeapMax=()=>2147483648;var growMemory=size=>{var b=wasmMemory.buffer;var pages=(size-b.byteLength+65535)/65536|0;try{wasmMemory.grow(pages);updateMemoryViews();return 1}catch(e){}};var _emscripten_resize_heap=requestedSize=>{var oldSize=HEAPU8.length;requestedSize>>>=0;var maxHeapSize=getHeapMax();if(requestedSize>maxHeapSize){return false}for(var cutDown=1;cutDown<=4;cutDown*=2){var overGrownHeapSize=oldSize*(1+.2/cutDown);overGrownHeapSize=Math.min(overGrownHeapSize,requestedSize+100663296);var newSize=Math.min(maxHeapSize,alignMemory(Math.max(requestedSize,overGrownHeapSize),65536));var replacement=growMemory(newSize);if(replacement){return true}}return false};var ENV={};var getExecutableName=()=>thisProgram||"./this.program";var getEnvStrings=()=>{if(!getEnvStrings.strings){var lang=(typeof navigator=="object"&&navigator.languages&&navigator.languages[0]||"C").replace("-","_")+".UTF-8";var env={USER:"web_user",LOGNAME:"web_user",PATH:"/",PWD:"/",HOME:"/home/web_user",LANG:lang,_:getExecutableName()};for(var x in ENV){if(ENV[x]===undefined)delete env[x];else env[x]=ENV[x]}var strings=[];for(var x in env){strings.push(`${x}=${env[x]}`)}getEnvStrings.strings=strings}return getEnvStrings.strings};var stringToAscii=(str,buffer)=>{for(var i=0;i<str.length;++i){HEAP8[buffer++]=str.charCodeAt(i)}HEAP8[buffer]=0};var _environ_get=(__environ,environ_buf)=>{var bufSize=0;getEnvStrings().forEach((string,i)=>{var ptr=environ_buf+bufSize;HEAPU32[__environ+i*4>>2]=ptr;stringToAscii(string,ptr);bufSize+=string.length+1});return 0};var _environ_sizes_get=(penviron_count,penviron_buf_size)=>{var strings=getEnvStrings();HEAPU32[penviron_count>>2]=strings.length;var bufSize=0;strings.forEach(string=>bufSize+=string.length+1);HEAPU32[penviron_buf_size>>2]=bufSize;return 0};function _fd_close(fd){try{var stream=SYSCALLS.getStreamFromFD(fd);FS.close(stream);return 0}catch(e){if(typeof FS=="undefined"||!(e.name==="ErrnoError"))throw e;return e.errno}}var doReadv=(stream,iov,iovcnt,offset)=>{var ret=0;for(var i=0;i<iovcnt;i++){var ptr=HEAPU32[iov>>2];var len=HEAPU32[iov+4>>2];iov+=8;var curr=FS.read(stream,HEAP8,ptr,len,offset);if(curr<0)return-1;ret+=curr;if(curr<len)break;if(typeof offset!="undefined"){offset+=curr}}return ret};function _fd_read(fd,iov,iovcnt,pnum){try{var stream=SYSCALLS.getStreamFromFD(fd);var num=doReadv(stream,iov,iovcnt);HEAPU32[pnum>>2]=num;return 0}catch(e){if(typeof FS=="undefined"||!(e.name==="ErrnoError"))throw e;return e.errno}}var convertI32PairToI53Checked=(lo,hi)=>hi+2097152>>>0<4194305-!!lo?(lo>>>0)+hi*4294967296:NaN;function _fd_seek(fd,offset_low,offset_high,whence,newOffset){var offset=convertI32PairToI53Checked(offset_low,offset_high);try{if(isNaN(offset))return 61;var stream=SYSCALLS.getStreamFromFD(fd);FS.llseek(stream,offset,whence);tempI64=[stream.position>>>0,(tempDouble=stream.position,+Math.abs(tempDouble)>=1?tempDouble>0?+Math.floor(tempDouble/4294967296)>>>0:~~+Math.ceil((tempDouble-+(~~tempDouble>>>0))/4294967296)>>>0:0)],HEAP32[newOffset>>2]=tempI64[0],HEAP32[newOffset+4>>2]=tempI64[1];if(stream.getdents&&offset===0&&whence===0)stream.getdents=null;return 0}catch(e){if(typeof FS=="undefined"||!(e.name==="ErrnoError"))throw e;return e.errno}}var doWritev=(stream,iov,iovcnt,offset)=>{var ret=0;for(var i=0;i<iovcnt;i++){var ptr=HEAPU32[iov>>2];var len=HEAPU32[iov+4>>2];iov+=8;var curr=FS.write(stream,HEAP8,ptr,len,offset);if(curr<0)return-1;ret+=curr;if(curr<len){break}if(typeof offset!="undefined"){offset+=curr}}return ret};function _fd_write(fd,iov,iovcnt,pnum){try{var stream=SYSCALLS.getStreamFromFD(fd);var num=doWritev(stream,iov,iovcnt);HEAPU32[pnum>>2]=num;return 0}catch(e){if(typeof FS=="undefined"||!(e.name==="ErrnoError"))throw e;return e.errno}}var convertJsFunctionToWasm=(func,sig)=>{};var wasmTableMirror=[];var wasmTable;var getWasmTableEntry=funcPtr=>{var func=wasmTableMirror[funcPtr];if(!func){if(funcPtr>=wasmTableMirror.length)wasmTableMirror.length=funcPtr+1;wasmTableMirror[funcPtr]=func=wasmTable.get(funcPtr)}return func};var updateTableMap=(offset,count)=>{if(functionsInTableMap){for(var i=offset;i<offset+count;i++){var item=getWasmTableEntry(i);if(item){functionsInTableMap.set(item,i)}}}};var functionsInTableMap;var getFunctionAddress=func=>{if(!functionsInTableMap){functionsInTableMap=new WeakMap;updateTableMap(0,wasmTable.length)}return functionsInTableMap.get(func)||0};var freeTableIndexes=[];var getEmptyTableSlot=()=>{if(freeTableIndexes.length){return freeTableIndexes.pop()}try{wasmTable.grow(1)}catch(err){if(!(err instanceof RangeError)){throw err}throw"Unable to grow wasm table. Set ALLOW_TABLE_GROWTH."}return wasmTable.length-1};var setWasmTableEntry=(idx,func)=>{wasmTable.set(idx,func);wasmTableMirror[idx]=wasmTable.get(idx)};var addFunction=(func,sig)=>{var rtn=getFunctionAddress(func);if(rtn){return rtn}var ret=getEmptyTableSlot();try{setWasmTableEntry(ret,func)}catch(err){if(!(err instanceof TypeError)){throw err}var wrapped=convertJsFunctionToWasm(func,sig);setWasmTableEntry(ret,wrapped)}functionsInTableMap.set(func,ret);return ret};var removeFunction=index=>{functionsInTableMap.delete(getWasmTableEntry(index));setWasmTableEntry(index,null);freeTableIndexes.push(index)};var FS_createPath=FS.createPath;var FS_unlink=path=>FS.unlink(path);var FS_createLazyFile=FS.createLazyFile;var FS_createDevice=FS.createDevice;FS.createPreloadedFile=FS_createPreloadedFile;FS.staticInit();Module["FS_createPath"]=FS.createPath;Module["FS_createDataFile"]=FS.createDataFile;Module["FS_createPreloadedFile"]=FS.createPreloadedFile;Module["FS_unlink"]=FS.unlink;Module["FS_createLazyFile"]=FS.createLazyFile;Module["FS_createDevice"]=FS.createDevice;var wasmImports={f:___assert_fail,t:___cxa_throw,c:___syscall_fcntl64,p:___syscall_getdents64,g:___syscall_ioctl,d:___syscall_openat,n:___syscall_rmdir,m:___syscall_stat64,o:___syscall_unlinkat,k:__abort_js,h:__emscripten_get_now_is_monotonic,i:__emscripten_memcpy_js,e:_emscripten_date_now,l:_emscripten_resize_heap,q:_environ_get,r:_environ_sizes_get,a:_fd_close,s:_fd_read,j:_fd_seek,b:_fd_write};var wasmExports=createWasm();var ___wasm_call_ctors=()=>(___wasm_call_ctors=wasmExports["v"])();var _webidl_free=Module["_webidl_free"]=a0=>(_webidl_free=Module["_webidl_free"]=wasmExports["w"])(a0);var _free=Module["_free"]=a0=>(_free=Module["_free"]=wasmExports["x"])(a0);var _webidl_malloc=Module["_webidl_malloc"]=a0=>(_webidl_malloc=Module["_webidl_malloc"]=wasmExports["y"])(a0);var _malloc=Module["_malloc"]=a0=>(_malloc=Module["_malloc"]=wasmExports["z"])(a0);var _emscripten_bind_VoidPtr___destroy___0=Module["_emscripten_bind_VoidPtr___destroy___0"]=a0=>(_emscripten_bind_VoidPtr___destroy___0=Module["_emscripten_bind_VoidPtr___destroy___0"]=wasmExports["A"])(a0);var _emscripten_bind_espeak_VOICE_get_name_0=Module["_emscripten_bind_espeak_VOICE_get_name_0"]=a0=>(_emscripten_bind_espeak_VOICE_get_name_0=Module["_emscripten_bind_espeak_VOICE_get_name_0"]=wasmExports["B"])(a0);var _emscripten_bind_espeak_VOICE_set_name_1=Module["_emscripten_bind_espeak_VOICE_set_name_1"]=(a0,a1)=>(_emscripten_bind_espeak_VOICE_set_name_1=Module["_emscripten_bind_espeak_VOICE_set_name_1"]=wasmExports["C"])(a0,a1);var _emscripten_bind_espeak_VOICE_get_languages_1=Module["_emscripten_bind_espeak_VOICE_get_languages_1"]=(a0,a1)=>(_emscripten_bind_espeak_VOICE_get_languages_1=Module["_emscripten_bind_espeak_VOICE_get_languages_1"]=wasmExports["D"])(a0,a1);var _emscripten_bind_espeak_VOICE_get_identifier_0=Module["_emscripten_bind_espeak_VOICE_get_identifier_0"]=a0=>(_emscripten_bind_espeak_VOICE_get_identifier_0=Module["_emscripten_bind_espeak_VOICE_get_identifier_0"]=wasmExports["E"])(a0);var _emscripten_bind_espeak_VOICE_set_identifier_1=Module["_emscripten_bind_espeak_VOICE_set_identifier_1"]=(a0,a1)=>(_emscripten_bind_espeak_VOICE_set_identifier_1=Module["_emscripten_bind_espeak_VOICE_set_identifier_1"]=wasmExports["F"])(a0,a1);var _emscripten_bind_espeak_VOICE_get_gender_0=Module["_emscripten_bind_espeak_VOICE_get_gender_0"]=a0=>(_emscripten_bind_espeak_VOICE_get_gender_0=Module["_emscripten_bind_espeak_VOICE_get_gender_0"]=wasmExports["G"])(a0);var _emscripten_bind_espeak_VOICE_set_gender_1=Module["_emscripten_bind_espeak_VOICE_set_gender_1"]=(a0,a1)=>(_emscripten_bind_espeak_VOICE_set_gender_1=Module["_emscripten_bind_espeak_VOICE_set_gender_1"]=wasmExports["H"])(a0,a1);var _emscripten_bind_espeak_VOICE_get_age_0=Module["_emscripten_bind_espeak_VOICE_get_age_0"]=a0=>(_emscripten_bind_espeak_VOICE_get_age_0=Module["_emscripten_bind_espeak_VOICE_get_age_0"]=wasmExports["I"])(a0);var _emscripten_bind_espeak_VOICE_set_age_1=Module["_emscripten_bind_espeak_VOICE_set_age_1"]=(a0,a1)=>(_emscripten_bind_espeak_VOICE_set_age_1=Module["_emscripten_bind_espeak_VOICE_set_age_1"]=wasmExports["J"])(a0,a1);var _emscripten_bind_espeak_VOICE_get_variant_0=Module["_emscripten_bind_espeak_VOICE_get_variant_0"]=a0=>(_emscripten_bind_espeak_VOICE_get_variant_0=Module["_emscripten_bind_espeak_VOICE_get_variant_0"]=wasmExports["K"])(a0);var _emscripten_bind_espeak_VOICE_set_variant_1=Module["_emscripten_bind_espeak_VOICE_set_variant_1"]=(a0,a1)=>(_emscripten_bind_espeak_VOICE_set_variant_1=Module["_emscripten_bind_espeak_VOICE_set_variant_1"]=wasmExports["L"])(a0,a1);var _emscripten_bind_espeak_VOICE_get_xx1_0=Module["_emscripten_bind_espeak_VOICE_get_xx1_0"]=a0=>(_emscripten_bind_espeak_VOICE_get_xx1_0=Module["_emscripten_bind_espeak_VOICE_get_xx1_0"]=wasmExports["M"])(a0);var _emscripten_bind_espeak_VOICE_set_xx1_1=Module["_emscripten_bind_espeak_VOICE_set_xx1_1"]=(a0,a1)=>(_emscripten_bind_espeak_VOICE_set_xx1_1=Module["_emscripten_bind_espeak_VOICE_set_xx1_1"]=wasmExports["N"])(a0,a1);var _emscripten_bind_espeak_VOICE_get_score_0=Module["_emscripten_bind_espeak_VOICE_get_score_0"]=a0=>(_emscripten_bind_espeak_VOICE_get_score_0=Module["_emscripten_bind_espeak_VOICE_get_score_0"]=wasmExports["O"])(a0);var _emscripten_bind_espeak_VOICE_set_score_1=Module["_emscripten_bind_espeak_VOICE_set_score_1"]=(a0,a1)=>(_emscripten_bind_espeak_VOICE_set_score_1=Module["_emscripten_bind_espeak_VOICE_set_score_1"]=wasmExports["P"])(a0,a1);var _emscripten_bind_espeak_VOICE_get_spare_0=Module["_emscripten_bind_espeak_VOICE_get_spare_0"]=a0=>(_emscripten_bind_espeak_VOICE_get_spare_0=Module["_emscripten_bind_espeak_VOICE_get_spare_0"]=wasmExports["Q"])(a0);var _emscripten_bind_espeak_VOICE_set_spare_1=Module["_emscripten_bind_espeak_VOICE_set_spare_1"]=(a0,a1)=>(_emscripten_bind_espeak_VOICE_set_spare_1=Module["_emscripten_bind_espeak_VOICE_set_spare_1"]=wasmExports["R"])(a0,a1);var _emscripten_bind_espeak_VOICE___destroy___0=Module["_emscripten_bind_espeak_VOICE___destroy___0"]=a0=>(_emscripten_bind_espeak_VOICE___destroy___0=Module["_emscripten_bind_espeak_VOICE___destroy___0"]=wasmExports["S"])(a0);var _emscripten_bind_espeak_EVENT_get_type_0=Module["_emscripten_bind_espeak_EVENT_get_type_0"]=a0=>(_emscripten_bind_espeak_EVENT_get_type_0=Module["_emscripten_bind_espeak_EVENT_get_type_0"]=wasmExports["T"])(a0);var _emscripten_bind_espeak_EVENT_get_unique_identifier_0=Module["_emscripten_bind_espeak_EVENT_get_unique_identifier_0"]=a0=>(_emscripten_bind_espeak_EVENT_get_unique_identifier_0=Module["_emscripten_bind_espeak_EVENT_get_unique_identifier_0"]=wasmExports["U"])(a0);var _emscripten_bind_espeak_EVENT_get_text_position_0=Module["_emscripten_bind_espeak_EVENT_get_text_position_0"]=a0=>(_emscripten_bind_espeak_EVENT_get_text_position_0=Module["_emscripten_bind_espeak_EVENT_get_text_position_0"]=wasmExports["V"])(a0);var _emscripten_bind_espeak_EVENT_get_length_0=Module["_emscripten_bind_espeak_EVENT_get_length_0"]=a0=>(_emscripten_bind_espeak_EVENT_get_length_0=Module["_emscripten_bind_espeak_EVENT_get_length_0"]=wasmExports["W"])(a0);var _emscripten_bind_espeak_EVENT_get_audio_position_0=Module["_emscripten_bind_espeak_EVENT_get_audio_position_0"]=a0=>(_emscripten_bind_espeak_EVENT_get_audio_position_0=Module["_emscripten_bind_espeak_EVENT_get_audio_position_0"]=wasmExports["X"])(a0);var _emscripten_bind_espeak_EVENT_get_sample_0=Module["_emscripten_bind_espeak_EVENT_get_sample_0"]=a0=>(_emscripten_bind_espeak_EVENT_get_sample_0=Module["_emscripten_bind_espeak_EVENT_get_sample_0"]=wasmExports["Y"])(a0);var _emscripten_bind_espeak_EVENT_get_user_data_0=Module["_emscripten_bind_espeak_EVENT_get_user_data_0"]=a0=>(_emscripten_bind_espeak_EVENT_get_user_data_0=Module["_emscripten_bind_espeak_EVENT_get_user_data_0"]=wasmExports["Z"])(a0);var _emscripten_bind_espeak_EVENT___destroy___0=Module["_emscripten_bind_espeak_EVENT___destroy___0"]=a0=>(_emscripten_bind_espeak_EVENT___destroy___0=Module["_emscripten_bind_espeak_EVENT___destroy___0"]=wasmExports["_"])(a0);var _emscripten_bind_eSpeakNGWorker_eSpeakNGWorker_0=Module["_emscripten_bind_eSpeakNGWorker_eSpeakNGWorker_0"]=()=>(_emscripten_bind_eSpeakNGWorker_eSpeakNGWorker_0=Module["_emscripten_bind_eSpeakNGWorker_eSpeakNGWorker_0"]=wasmExports["$"])();var _emscripten_bind_eSpeakNGWorker_synth__2=Module["_emscripten_bind_eSpeakNGWorker_synth__2"]=(a0,a1,a2)=>(_emscripten_bind_eSpeakNGWorker_synth__2=Module["_emscripten_bind_eSpeakNGWorker_synth__2"]=wasmExports["aa"])(a0,a1,a2);var _emscripten_bind_eSpeakNGWorker_synth_ipa__2=Module["_emscripten_bind_eSpeakNGWorker_synth_ipa__2"]=(a0,a1,a2)=>(_emscripten_bind_eSpeakNGWorker_synth_ipa__2=Module["_emscripten_bind_eSpeakNGWorker_synth_ipa__2"]=wasmExports["ba"])(a0,a1,a2);var _emscripten_bind_eSpeakNGWorker_synth_with_phoneme_trace__3=Module["_emscripten_bind_eSpeakNGWorker_synth_with_phoneme_trace__3"]=(a0,a1,a2,a3)=>(_emscripten_bind_eSpeakNGWorker_synth_with_phoneme_trace__3=Module["_emscripten_bind_eSpeakNGWorker_synth_with_phoneme_trace__3"]=wasmExports["ca"])(a0,a1,a2,a3);var _emscripten_bind_eSpeakNGWorker_text_to_phonemes_2=Module["_emscripten_bind_eSpeakNGWorker_text_to_phonemes_2"]=(a0,a1,a2)=>(_emscripten_bind_eSpeakNGWorker_text_to_phonemes_2=Module["_emscripten_bind_eSpeakNGWorker_text_to_phonemes_2"]=wasmExports["da"])(a0,a1,a2);var _emscripten_bind_eSpeakNGWorker_set_voice_2=Module["_emscripten_bind_eSpeakNGWorker_set_voice_2"]=(a0,a1,a2)=>(_emscripten_bind_eSpeakNGWorker_set_voice_2=Module["_emscripten_bind_eSpeakNGWorker_set_voice_2"]=wasmExports["ea"])(a0,a1,a2);var _emscripten_bind_eSpeakNGWorker_set_voice_3=Module["_emscripten_bind_eSpeakNGWorker_set_voice_3"]=(a0,a1,a2,a3)=>(_emscripten_bind_eSpeakNGWorker_set_voice_3=Module["_emscripten_bind_eSpeakNGWorker_set_voice_3"]=wasmExports["fa"])(a0,a1,a2,a3);var _emscripten_bind_eSpeakNGWorker_set_voice_4=Module["_emscripten_bind_eSpeakNGWorker_set_voice_4"]=(a0,a1,a2,a3,a4)=>(_emscripten_bind_eSpeakNGWorker_set_voice_4=Module["_emscripten_bind_eSpeakNGWorker_set_voice_4"]=wasmExports["ga"])(a0,a1,a2,a3,a4);var _emscripten_bind_eSpeakNGWorker_set_voice_5=Module["_emscripten_bind_eSpeakNGWorker_set_voice_5"]=(a0,a1,a2,a3,a4,a5)=>(_emscripten_bind_eSpeakNGWorker_set_voice_5=Module["_emscripten_bind_eSpeakNGWorker_set_voice_5"]=wasmExports["ha"])(a0,a1,a2,a3,a4,a5);var _emscripten_bind_eSpeakNGWorker_getSizeOfEventStruct__0=Module["_emscripten_bind_eSpeakNGWorker_getSizeOfEventStruct__0"]=a0=>(_emscripten_bind_eSpeakNGWorker_getSizeOfEventStruct__0=Module["_emscripten_bind_eSpeakNGWorker_getSizeOfEventStruct__0"]=wasmExports["ia"])(a0);var _emscripten_bind_eSpeakNGWorker_getStringIDFromEventStruct__1=Module["_emscripten_bind_eSpeakNGWorker_getStringIDFromEventStruct__1"]=(a0,a1)=>(_emscripten_bind_eSpeakNGWorker_getStringIDFromEventStruct__1=Module["_emscripten_bind_eSpeakNGWorker_getStringIDFromEventStruct__1"]=wasmExports["ja"])(a0,a1);var _emscripten_bind_eSpeakNGWorker_getNumericIDFromEventStruct__1=Module["_emscripten_bind_eSpeakNGWorker_getNumericIDFromEventStruct__1"]=(a0,a1)=>(_emscripten_bind_eSpeakNGWorker_getNumericIDFromEventStruct__1=Module["_emscripten_bind_eSpeakNGWorker_getNumericIDFromEventStruct__1"]=wasmExports["ka"])(a0,a1);var _emscripten_bind_eSpeakNGWorker_get_voices_1=Module["_emscripten_bind_eSpeakNGWorker_get_voices_1"]=(a0,a1)=>(_emscripten_bind_eSpeakNGWorker_get_voices_1=Module["_emscripten_bind_eSpeakNGWorker_get_voices_1"]=wasmExports["la"])(a0,a1);var _emscripten_bind_eSpeakNGWorker_set_voices_2=Module["_emscripten_bind_eSpeakNGWorker_set_voices_2"]=(a0,a1,a2)=>(_emscripten_bind_eSpeakNGWorker_set_voices_2=Module["_emscripten_bind_eSpeakNGWorker_set_voices_2"]=wasmExports["ma"])(a0,a1,a2);var _emscripten_bind_eSpeakNGWorker_get_samplerate_0=Module["_emscripten_bind_eSpeakNGWorker_get_samplerate_0"]=a0=>(_emscripten_bind_eSpeakNGWorker_get_samplerate_0=Module["_emscripten_bind_eSpeakNGWorker_get_samplerate_0"]=wasmExports["na"])(a0);var _emscripten_bind_eSpeakNGWorker_get_rate_0=Module["_emscripten_bind_eSpeakNGWorker_get_rate_0"]=a0=>(_emscripten_bind_eSpeakNGWorker_get_rate_0=Module["_emscripten_bind_eSpeakNGWorker_get_rate_0"]=wasmExports["oa"])(a0);var _emscripten_bind_eSpeakNGWorker_set_rate_1=Module["_emscripten_bind_eSpeakNGWorker_set_rate_1"]=(a0,a1)=>(_emscripten_bind_eSpeakNGWorker_set_rate_1=Module["_emscripten_bind_eSpeakNGWorker_set_rate_1"]=wasmExports["pa"])(a0,a1);var _emscripten_bind_eSpeakNGWorker_get_volume_0=Module["_emscripten_bind_eSpeakNGWorker_get_volume_0"]=a0=>(_emscripten_bind_eSpeakNGWorker_get_volume_0=Module["_emscripten_bind_eSpeakNGWorker_get_volume_0"]=wasmExports["qa"])(a0);var _emscripten_bind_eSpeakNGWorker_set_volume_1=Module["_emscripten_bind_eSpeakNGWorker_set_volume_1"]=(a0,a1)=>(_emscripten_bind_eSpeakNGWorker_set_volume_1=Module["_emscripten_bind_eSpeakNGWorker_set_volume_1"]=wasmExports["ra"])(a0,a1);var _emscripten_bind_eSpeakNGWorker_get_pitch_0=Module["_emscripten_bind_eSpeakNGWorker_get_pitch_0"]=a0=>(_emscripten_bind_eSpeakNGWorker_get_pitch_0=Module["_emscripten_bind_eSpeakNGWorker_get_pitch_0"]=wasmExports["sa"])(a0);var _emscripten_bind_eSpeakNGWorker_set_pitch_1=Module["_emscripten_bind_eSpeakNGWorker_set_pitch_1"]=(a0,a1)=>(_emscripten_bind_eSpeakNGWorker_set_pitch_1=Module["_emscripten_bind_eSpeakNGWorker_set_pitch_1"]=wasmExports["ta"])(a0,a1);var _emscripten_bind_eSpeakNGWorker_get_range_0=Module["_emscripten_bind_eSpeakNGWorker_get_range_0"]=a0=>(_emscripten_bind_eSpeakNGWorker_get_range_0=Module["_emscripten_bind_eSpeakNGWorker_get_range_0"]=wasmExports["ua"])(a0);var _emscripten_bind_eSpeakNGWorker_set_range_1=Module["_emscripten_bind_eSpeakNGWorker_set_range_1"]=(a0,a1)=>(_emscripten_bind_eSpeakNGWorker_set_range_1=Module["_emscripten_bind_eSpeakNGWorker_set_range_1"]=wasmExports["va"])(a0,a1);var _emscripten_bind_eSpeakNGWorker___destroy___0=Module["_emscripten_bind_eSpeakNGWorker___destroy___0"]=a0=>(_emscripten_bind_eSpeakNGWorker___destroy___0=Module["_emscripten_bind_eSpeakNGWorker___destroy___0"]=wasmExports["wa"])(a0);var _emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_LIST_TERMINATED=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_LIST_TERMINATED"]=()=>(_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_LIST_TERMINATED=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_LIST_TERMINATED"]=wasmExports["xa"])();var _emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_WORD=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_WORD"]=()=>(_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_WORD=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_WORD"]=wasmExports["ya"])();var _emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_SENTENCE=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_SENTENCE"]=()=>(_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_SENTENCE=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_SENTENCE"]=wasmExports["za"])();var _emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_MARK=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_MARK"]=()=>(_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_MARK=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_MARK"]=wasmExports["Aa"])();var _emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_PLAY=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_PLAY"]=()=>(_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_PLAY=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_PLAY"]=wasmExports["Ba"])();var _emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_END=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_END"]=()=>(_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_END=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_END"]=wasmExports["Ca"])();var _emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_MSG_TERMINATED=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_MSG_TERMINATED"]=()=>(_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_MSG_TERMINATED=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_MSG_TERMINATED"]=wasmExports["Da"])();var _emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_PHONEME=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_PHONEME"]=()=>(_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_PHONEME=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_PHONEME"]=wasmExports["Ea"])();var _emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_SAMPLERATE=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_SAMPLERATE"]=()=>(_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_SAMPLERATE=Module["_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_SAMPLERATE"]=wasmExports["Fa"])();Module["addRunDependency"]=addRunDependency;Module["removeRunDependency"]=removeRunDependency;Module["addFunction"]=addFunction;Module["removeFunction"]=removeFunction;Module["FS_createPreloadedFile"]=FS_createPreloadedFile;Module["FS_unlink"]=FS_unlink;Module["FS_createPath"]=FS_createPath;Module["FS_createDevice"]=FS_createDevice;Module["FS"]=FS;Module["FS_createDataFile"]=FS_createDataFile;Module["FS_createLazyFile"]=FS_createLazyFile;var calledRun;dependenciesFulfilled=function runCaller(){if(!calledRun)run();if(!calledRun)dependenciesFulfilled=runCaller};function run(){if(runDependencies>0){return}preRun();if(runDependencies>0){return}function doRun(){if(calledRun)return;calledRun=true;Module["calledRun"]=true;if(ABORT)return;initRuntime();readyPromiseResolve(Module);Module["onRuntimeInitialized"]?.();postRun()}if(Module["setStatus"]){Module["setStatus"]("Running...");setTimeout(()=>{setTimeout(()=>Module["setStatus"](""),1);doRun()},1)}else{doRun()}}if(Module["preInit"]){if(typeof Module["preInit"]=="function")Module["preInit"]=[Module["preInit"]];while(Module["preInit"].length>0){Module["preInit"].pop()()}}run();function WrapperObject(){}WrapperObject.prototype=Object.create(WrapperObject.prototype);WrapperObject.prototype.constructor=WrapperObject;WrapperObject.prototype.__class__=WrapperObject;WrapperObject.__cache__={};Module["WrapperObject"]=WrapperObject;function getCache(__class__){return(__class__||WrapperObject).__cache__}Module["getCache"]=getCache;function wrapPointer(ptr,__class__){var cache=getCache(__class__);var ret=cache[ptr];if(ret)return ret;ret=Object.create((__class__||WrapperObject).prototype);ret.ptr=ptr;return cache[ptr]=ret}Module["wrapPointer"]=wrapPointer;function castObject(obj,__class__){return wrapPointer(obj.ptr,__class__)}Module["castObject"]=castObject;Module["NULL"]=wrapPointer(0);function destroy(obj){if(!obj["__destroy__"])throw"Error: Cannot destroy object. (Did you create it yourself?)";obj["__destroy__"]();delete getCache(obj.__class__)[obj.ptr]}Module["destroy"]=destroy;function compare(obj1,obj2){return obj1.ptr===obj2.ptr}Module["compare"]=compare;function getPointer(obj){return obj.ptr}Module["getPointer"]=getPointer;function getClass(obj){return obj.__class__}Module["getClass"]=getClass;var ensureCache={buffer:0,size:0,pos:0,temps:[],needed:0,prepare(){if(ensureCache.needed){for(var i=0;i<ensureCache.temps.length;i++){Module["_webidl_free"](ensureCache.temps[i])}ensureCache.temps.length=0;Module["_webidl_free"](ensureCache.buffer);ensureCache.buffer=0;ensureCache.size+=ensureCache.needed;ensureCache.needed=0}if(!ensureCache.buffer){ensureCache.size+=128;ensureCache.buffer=Module["_webidl_malloc"](ensureCache.size);assert(ensureCache.buffer)}ensureCache.pos=0},alloc(array,view){assert(ensureCache.buffer);var bytes=view.BYTES_PER_ELEMENT;var len=array.length*bytes;len=alignMemory(len,8);var ret;if(ensureCache.pos+len>=ensureCache.size){assert(len>0);ensureCache.needed+=len;ret=Module["_webidl_malloc"](len);ensureCache.temps.push(ret)}else{ret=ensureCache.buffer+ensureCache.pos;ensureCache.pos+=len}return ret},copy(array,view,offset){offset/=view.BYTES_PER_ELEMENT;for(var i=0;i<array.length;i++){view[offset+i]=array[i]}}};function ensureString(value){if(typeof value==="string"){var intArray=intArrayFromString(value);var offset=ensureCache.alloc(intArray,HEAP8);ensureCache.copy(intArray,HEAP8,offset);return offset}return value}function VoidPtr(){throw"cannot construct a VoidPtr, no constructor in IDL"}VoidPtr.prototype=Object.create(WrapperObject.prototype);VoidPtr.prototype.constructor=VoidPtr;VoidPtr.prototype.__class__=VoidPtr;VoidPtr.__cache__={};Module["VoidPtr"]=VoidPtr;VoidPtr.prototype["__destroy__"]=VoidPtr.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_VoidPtr___destroy___0(self)};function espeak_VOICE(){throw"cannot construct a espeak_VOICE, no constructor in IDL"}espeak_VOICE.prototype=Object.create(WrapperObject.prototype);espeak_VOICE.prototype.constructor=espeak_VOICE;espeak_VOICE.prototype.__class__=espeak_VOICE;espeak_VOICE.__cache__={};Module["espeak_VOICE"]=espeak_VOICE;espeak_VOICE.prototype["get_name"]=espeak_VOICE.prototype.get_name=function(){var self=this.ptr;return UTF8ToString(_emscripten_bind_espeak_VOICE_get_name_0(self))};espeak_VOICE.prototype["set_name"]=espeak_VOICE.prototype.set_name=function(arg0){var self=this.ptr;ensureCache.prepare();if(arg0&&typeof arg0==="object")arg0=arg0.ptr;else arg0=ensureString(arg0);_emscripten_bind_espeak_VOICE_set_name_1(self,arg0)};Object.defineProperty(espeak_VOICE.prototype,"name",{get:espeak_VOICE.prototype.get_name,set:espeak_VOICE.prototype.set_name});espeak_VOICE.prototype["get_languages"]=espeak_VOICE.prototype.get_languages=function(arg0){var self=this.ptr;if(arg0&&typeof arg0==="object")arg0=arg0.ptr;return _emscripten_bind_espeak_VOICE_get_languages_1(self,arg0)};Object.defineProperty(espeak_VOICE.prototype,"languages",{get:espeak_VOICE.prototype.get_languages});espeak_VOICE.prototype["get_identifier"]=espeak_VOICE.prototype.get_identifier=function(){var self=this.ptr;return UTF8ToString(_emscripten_bind_espeak_VOICE_get_identifier_0(self))};espeak_VOICE.prototype["set_identifier"]=espeak_VOICE.prototype.set_identifier=function(arg0){var self=this.ptr;ensureCache.prepare();if(arg0&&typeof arg0==="object")arg0=arg0.ptr;else arg0=ensureString(arg0);_emscripten_bind_espeak_VOICE_set_identifier_1(self,arg0)};Object.defineProperty(espeak_VOICE.prototype,"identifier",{get:espeak_VOICE.prototype.get_identifier,set:espeak_VOICE.prototype.set_identifier});espeak_VOICE.prototype["get_gender"]=espeak_VOICE.prototype.get_gender=function(){var self=this.ptr;return _emscripten_bind_espeak_VOICE_get_gender_0(self)};espeak_VOICE.prototype["set_gender"]=espeak_VOICE.prototype.set_gender=function(arg0){var self=this.ptr;if(arg0&&typeof arg0==="object")arg0=arg0.ptr;_emscripten_bind_espeak_VOICE_set_gender_1(self,arg0)};Object.defineProperty(espeak_VOICE.prototype,"gender",{get:espeak_VOICE.prototype.get_gender,set:espeak_VOICE.prototype.set_gender});espeak_VOICE.prototype["get_age"]=espeak_VOICE.prototype.get_age=function(){var self=this.ptr;return _emscripten_bind_espeak_VOICE_get_age_0(self)};espeak_VOICE.prototype["set_age"]=espeak_VOICE.prototype.set_age=function(arg0){var self=this.ptr;if(arg0&&typeof arg0==="object")arg0=arg0.ptr;_emscripten_bind_espeak_VOICE_set_age_1(self,arg0)};Object.defineProperty(espeak_VOICE.prototype,"age",{get:espeak_VOICE.prototype.get_age,set:espeak_VOICE.prototype.set_age});espeak_VOICE.prototype["get_variant"]=espeak_VOICE.prototype.get_variant=function(){var self=this.ptr;return _emscripten_bind_espeak_VOICE_get_variant_0(self)};espeak_VOICE.prototype["set_variant"]=espeak_VOICE.prototype.set_variant=function(arg0){var self=this.ptr;if(arg0&&typeof arg0==="object")arg0=arg0.ptr;_emscripten_bind_espeak_VOICE_set_variant_1(self,arg0)};Object.defineProperty(espeak_VOICE.prototype,"variant",{get:espeak_VOICE.prototype.get_variant,set:espeak_VOICE.prototype.set_variant});espeak_VOICE.prototype["get_xx1"]=espeak_VOICE.prototype.get_xx1=function(){var self=this.ptr;return _emscripten_bind_espeak_VOICE_get_xx1_0(self)};espeak_VOICE.prototype["set_xx1"]=espeak_VOICE.prototype.set_xx1=function(arg0){var self=this.ptr;if(arg0&&typeof arg0==="object")arg0=arg0.ptr;_emscripten_bind_espeak_VOICE_set_xx1_1(self,arg0)};Object.defineProperty(espeak_VOICE.prototype,"xx1",{get:espeak_VOICE.prototype.get_xx1,set:espeak_VOICE.prototype.set_xx1});espeak_VOICE.prototype["get_score"]=espeak_VOICE.prototype.get_score=function(){var self=this.ptr;return _emscripten_bind_espeak_VOICE_get_score_0(self)};espeak_VOICE.prototype["set_score"]=espeak_VOICE.prototype.set_score=function(arg0){var self=this.ptr;if(arg0&&typeof arg0==="object")arg0=arg0.ptr;_emscripten_bind_espeak_VOICE_set_score_1(self,arg0)};Object.defineProperty(espeak_VOICE.prototype,"score",{get:espeak_VOICE.prototype.get_score,set:espeak_VOICE.prototype.set_score});espeak_VOICE.prototype["get_spare"]=espeak_VOICE.prototype.get_spare=function(){var self=this.ptr;return _emscripten_bind_espeak_VOICE_get_spare_0(self)};espeak_VOICE.prototype["set_spare"]=espeak_VOICE.prototype.set_spare=function(arg0){var self=this.ptr;if(arg0&&typeof arg0==="object")arg0=arg0.ptr;_emscripten_bind_espeak_VOICE_set_spare_1(self,arg0)};Object.defineProperty(espeak_VOICE.prototype,"spare",{get:espeak_VOICE.prototype.get_spare,set:espeak_VOICE.prototype.set_spare});espeak_VOICE.prototype["__destroy__"]=espeak_VOICE.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_espeak_VOICE___destroy___0(self)};function espeak_EVENT(){throw"cannot construct a espeak_EVENT, no constructor in IDL"}espeak_EVENT.prototype=Object.create(WrapperObject.prototype);espeak_EVENT.prototype.constructor=espeak_EVENT;espeak_EVENT.prototype.__class__=espeak_EVENT;espeak_EVENT.__cache__={};Module["espeak_EVENT"]=espeak_EVENT;espeak_EVENT.prototype["get_type"]=espeak_EVENT.prototype.get_type=function(){var self=this.ptr;return _emscripten_bind_espeak_EVENT_get_type_0(self)};Object.defineProperty(espeak_EVENT.prototype,"type",{get:espeak_EVENT.prototype.get_type});espeak_EVENT.prototype["get_unique_identifier"]=espeak_EVENT.prototype.get_unique_identifier=function(){var self=this.ptr;return _emscripten_bind_espeak_EVENT_get_unique_identifier_0(self)};Object.defineProperty(espeak_EVENT.prototype,"unique_identifier",{get:espeak_EVENT.prototype.get_unique_identifier});espeak_EVENT.prototype["get_text_position"]=espeak_EVENT.prototype.get_text_position=function(){var self=this.ptr;return _emscripten_bind_espeak_EVENT_get_text_position_0(self)};Object.defineProperty(espeak_EVENT.prototype,"text_position",{get:espeak_EVENT.prototype.get_text_position});espeak_EVENT.prototype["get_length"]=espeak_EVENT.prototype.get_length=function(){var self=this.ptr;return _emscripten_bind_espeak_EVENT_get_length_0(self)};Object.defineProperty(espeak_EVENT.prototype,"length",{get:espeak_EVENT.prototype.get_length});espeak_EVENT.prototype["get_audio_position"]=espeak_EVENT.prototype.get_audio_position=function(){var self=this.ptr;return _emscripten_bind_espeak_EVENT_get_audio_position_0(self)};Object.defineProperty(espeak_EVENT.prototype,"audio_position",{get:espeak_EVENT.prototype.get_audio_position});espeak_EVENT.prototype["get_sample"]=espeak_EVENT.prototype.get_sample=function(){var self=this.ptr;return _emscripten_bind_espeak_EVENT_get_sample_0(self)};Object.defineProperty(espeak_EVENT.prototype,"sample",{get:espeak_EVENT.prototype.get_sample});espeak_EVENT.prototype["get_user_data"]=espeak_EVENT.prototype.get_user_data=function(){var self=this.ptr;return _emscripten_bind_espeak_EVENT_get_user_data_0(self)};Object.defineProperty(espeak_EVENT.prototype,"user_data",{get:espeak_EVENT.prototype.get_user_data});espeak_EVENT.prototype["__destroy__"]=espeak_EVENT.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_espeak_EVENT___destroy___0(self)};function eSpeakNGWorker(){this.ptr=_emscripten_bind_eSpeakNGWorker_eSpeakNGWorker_0();getCache(eSpeakNGWorker)[this.ptr]=this}eSpeakNGWorker.prototype=Object.create(WrapperObject.prototype);eSpeakNGWorker.prototype.constructor=eSpeakNGWorker;eSpeakNGWorker.prototype.__class__=eSpeakNGWorker;eSpeakNGWorker.__cache__={};Module["eSpeakNGWorker"]=eSpeakNGWorker;eSpeakNGWorker.prototype["synth_"]=eSpeakNGWorker.prototype.synth_=function(aText,aCallback){var self=this.ptr;ensureCache.prepare();if(aText&&typeof aText==="object")aText=aText.ptr;else aText=ensureString(aText);if(aCallback&&typeof aCallback==="object")aCallback=aCallback.ptr;_emscripten_bind_eSpeakNGWorker_synth__2(self,aText,aCallback)};eSpeakNGWorker.prototype["synth_ipa_"]=eSpeakNGWorker.prototype.synth_ipa_=function(aText,virtualFileName){var self=this.ptr;ensureCache.prepare();if(aText&&typeof aText==="object")aText=aText.ptr;else aText=ensureString(aText);if(virtualFileName&&typeof virtualFileName==="object")virtualFileName=virtualFileName.ptr;else virtualFileName=ensureString(virtualFileName);return _emscripten_bind_eSpeakNGWorker_synth_ipa__2(self,aText,virtualFileName)};eSpeakNGWorker.prototype["synth_with_phoneme_trace_"]=eSpeakNGWorker.prototype.synth_with_phoneme_trace_=function(aText,phonemeTraceVirtualFileName,aCallback){var self=this.ptr;ensureCache.prepare();if(aText&&typeof aText==="object")aText=aText.ptr;else aText=ensureString(aText);if(phonemeTraceVirtualFileName&&typeof phonemeTraceVirtualFileName==="object")phonemeTraceVirtualFileName=phonemeTraceVirtualFileName.ptr;else phonemeTraceVirtualFileName=ensureString(phonemeTraceVirtualFileName);if(aCallback&&typeof aCallback==="object")aCallback=aCallback.ptr;return _emscripten_bind_eSpeakNGWorker_synth_with_phoneme_trace__3(self,aText,phonemeTraceVirtualFileName,aCallback)};eSpeakNGWorker.prototype["text_to_phonemes"]=eSpeakNGWorker.prototype.text_to_phonemes=function(aText,useIpa){var self=this.ptr;ensureCache.prepare();if(aText&&typeof aText==="object")aText=aText.ptr;else aText=ensureString(aText);if(useIpa&&typeof useIpa==="object")useIpa=useIpa.ptr;return wrapPointer(_emscripten_bind_eSpeakNGWorker_text_to_phonemes_2(self,aText,useIpa),VoidPtr)};eSpeakNGWorker.prototype["set_voice"]=eSpeakNGWorker.prototype.set_voice=function(aName,aLang,gender,age,aVariant){var self=this.ptr;ensureCache.prepare();if(aName&&typeof aName==="object")aName=aName.ptr;else aName=ensureString(aName);if(aLang&&typeof aLang==="object")aLang=aLang.ptr;else aLang=ensureString(aLang);if(gender&&typeof gender==="object")gender=gender.ptr;if(age&&typeof age==="object")age=age.ptr;if(aVariant&&typeof aVariant==="object")aVariant=aVariant.ptr;if(gender===undefined){return _emscripten_bind_eSpeakNGWorker_set_voice_2(self,aName,aLang)}if(age===undefined){return _emscripten_bind_eSpeakNGWorker_set_voice_3(self,aName,aLang,gender)}if(aVariant===undefined){return _emscripten_bind_eSpeakNGWorker_set_voice_4(self,aName,aLang,gender,age)}return _emscripten_bind_eSpeakNGWorker_set_voice_5(self,aName,aLang,gender,age,aVariant)};eSpeakNGWorker.prototype["getSizeOfEventStruct_"]=eSpeakNGWorker.prototype.getSizeOfEventStruct_=function(){var self=this.ptr;return _emscripten_bind_eSpeakNGWorker_getSizeOfEventStruct__0(self)};eSpeakNGWorker.prototype["getStringIDFromEventStruct_"]=eSpeakNGWorker.prototype.getStringIDFromEventStruct_=function(event){var self=this.ptr;if(event&&typeof event==="object")event=event.ptr;return UTF8ToString(_emscripten_bind_eSpeakNGWorker_getStringIDFromEventStruct__1(self,event))};eSpeakNGWorker.prototype["getNumericIDFromEventStruct_"]=eSpeakNGWorker.prototype.getNumericIDFromEventStruct_=function(event){var self=this.ptr;if(event&&typeof event==="object")event=event.ptr;return _emscripten_bind_eSpeakNGWorker_getNumericIDFromEventStruct__1(self,event)};eSpeakNGWorker.prototype["get_voices"]=eSpeakNGWorker.prototype.get_voices=function(arg0){var self=this.ptr;if(arg0&&typeof arg0==="object")arg0=arg0.ptr;return wrapPointer(_emscripten_bind_eSpeakNGWorker_get_voices_1(self,arg0),espeak_VOICE)};eSpeakNGWorker.prototype["set_voices"]=eSpeakNGWorker.prototype.set_voices=function(arg0,arg1){var self=this.ptr;if(arg0&&typeof arg0==="object")arg0=arg0.ptr;if(arg1&&typeof arg1==="object")arg1=arg1.ptr;_emscripten_bind_eSpeakNGWorker_set_voices_2(self,arg0,arg1)};Object.defineProperty(eSpeakNGWorker.prototype,"voices",{get:eSpeakNGWorker.prototype.get_voices,set:eSpeakNGWorker.prototype.set_voices});eSpeakNGWorker.prototype["get_samplerate"]=eSpeakNGWorker.prototype.get_samplerate=function(){var self=this.ptr;return _emscripten_bind_eSpeakNGWorker_get_samplerate_0(self)};Object.defineProperty(eSpeakNGWorker.prototype,"samplerate",{get:eSpeakNGWorker.prototype.get_samplerate});eSpeakNGWorker.prototype["get_rate"]=eSpeakNGWorker.prototype.get_rate=function(){var self=this.ptr;return _emscripten_bind_eSpeakNGWorker_get_rate_0(self)};eSpeakNGWorker.prototype["set_rate"]=eSpeakNGWorker.prototype.set_rate=function(arg0){var self=this.ptr;if(arg0&&typeof arg0==="object")arg0=arg0.ptr;_emscripten_bind_eSpeakNGWorker_set_rate_1(self,arg0)};Object.defineProperty(eSpeakNGWorker.prototype,"rate",{get:eSpeakNGWorker.prototype.get_rate,set:eSpeakNGWorker.prototype.set_rate});eSpeakNGWorker.prototype["get_volume"]=eSpeakNGWorker.prototype.get_volume=function(){var self=this.ptr;return _emscripten_bind_eSpeakNGWorker_get_volume_0(self)};eSpeakNGWorker.prototype["set_volume"]=eSpeakNGWorker.prototype.set_volume=function(arg0){var self=this.ptr;if(arg0&&typeof arg0==="object")arg0=arg0.ptr;_emscripten_bind_eSpeakNGWorker_set_volume_1(self,arg0)};Object.defineProperty(eSpeakNGWorker.prototype,"volume",{get:eSpeakNGWorker.prototype.get_volume,set:eSpeakNGWorker.prototype.set_volume});eSpeakNGWorker.prototype["get_pitch"]=eSpeakNGWorker.prototype.get_pitch=function(){var self=this.ptr;return _emscripten_bind_eSpeakNGWorker_get_pitch_0(self)};eSpeakNGWorker.prototype["set_pitch"]=eSpeakNGWorker.prototype.set_pitch=function(arg0){var self=this.ptr;if(arg0&&typeof arg0==="object")arg0=arg0.ptr;_emscripten_bind_eSpeakNGWorker_set_pitch_1(self,arg0)};Object.defineProperty(eSpeakNGWorker.prototype,"pitch",{get:eSpeakNGWorker.prototype.get_pitch,set:eSpeakNGWorker.prototype.set_pitch});eSpeakNGWorker.prototype["get_range"]=eSpeakNGWorker.prototype.get_range=function(){var self=this.ptr;return _emscripten_bind_eSpeakNGWorker_get_range_0(self)};eSpeakNGWorker.prototype["set_range"]=eSpeakNGWorker.prototype.set_range=function(arg0){var self=this.ptr;if(arg0&&typeof arg0==="object")arg0=arg0.ptr;_emscripten_bind_eSpeakNGWorker_set_range_1(self,arg0)};Object.defineProperty(eSpeakNGWorker.prototype,"range",{get:eSpeakNGWorker.prototype.get_range,set:eSpeakNGWorker.prototype.set_range});eSpeakNGWorker.prototype["__destroy__"]=eSpeakNGWorker.prototype.__destroy__=function(){var self=this.ptr;_emscripten_bind_eSpeakNGWorker___destroy___0(self)};(function(){function setupEnums(){Module["espeakEVENT_LIST_TERMINATED"]=_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_LIST_TERMINATED();Module["espeakEVENT_WORD"]=_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_WORD();Module["espeakEVENT_SENTENCE"]=_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_SENTENCE();Module["espeakEVENT_MARK"]=_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_MARK();Module["espeakEVENT_PLAY"]=_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_PLAY();Module["espeakEVENT_END"]=_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_END();Module["espeakEVENT_MSG_TERMINATED"]=_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_MSG_TERMINATED();Module["espeakEVENT_PHONEME"]=_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_PHONEME();Module["espeakEVENT_SAMPLERATE"]=_emscripten_enum_espeak_EVENT_TYPE_espeakEVENT_SAMPLERATE()}if(runtimeInitialized)setupEnums();else addOnInit(setupEnums)})();eSpeakNGWorker.prototype.list_voices=function(){let voices=[];let i;for(let voice=this.get_voices(i=0);voice.ptr!=0;voice=this.get_voices(++i)){const v={name:voice.get_name(),identifier:voice.get_identifier(),languages:[]};let ii=0;let byte=voice.get_languages(ii);function nullTerminatedString(offset){let str="";let index=offset;let b=voice.get_languages(index++);while(b!=0){str+=String.fromCharCode(b);b=voice.get_languages(index++)}return str}while(byte!=0){const lang={priority:byte,name:nullTerminatedString(++ii)};v.languages.push(lang);ii+=lang.name.length+1;byte=voice.get_languages(ii)}voices.push(v)}return voices};const eventTypes=["list_terminated","word","sentence","mark","play","end","msg_terminated","phoneme","samplerate"];eSpeakNGWorker.prototype.synthesize=function(aText,userCallback){const thisObject=this;const eventStructSize=thisObject.getSizeOfEventStruct_();function jsCallback(audioPtr,length,events_pointer){const audioData=Module.HEAP16.slice(audioPtr/2,audioPtr/2+length);let events=[];let ptr=events_pointer;for(let ev=wrapPointer(ptr,espeak_EVENT);ev.get_type()!=Module.espeakEVENT_LIST_TERMINATED;ev=wrapPointer(ptr+=eventStructSize,espeak_EVENT)){const eventType=eventTypes[ev.get_type()];let id;if(eventType=="mark"||eventType=="play"||eventType=="phoneme"){id=thisObject.getStringIDFromEventStruct_(ptr)}else if(eventType=="word"||eventType=="sentence"){id=thisObject.getNumericIDFromEventStruct_(ptr)}else{id=undefined}events.push({type:eventType,text_position:ev.get_text_position(),word_length:ev.get_length(),audio_position:ev.get_audio_position(),id})}return userCallback(audioData,events)?1:0}const jsCallbackPtr=addFunction(jsCallback);this.synth_(aText,jsCallbackPtr);removeFunction(jsCallbackPtr)};eSpeakNGWorker.prototype.synthesize_ipa=function(aText,aCallback){const ipaVirtualFileName="espeak-ng-ipa-tmp-"+Math.random().toString().substring(2);let resultIpa="";const resultCode=this.synth_ipa_(aText,ipaVirtualFileName);if(resultCode==0){resultIpa=FS.readFile(ipaVirtualFileName,{encoding:"utf8"})}FS.unlink(ipaVirtualFileName);const returnValue={code:resultCode,ipa:resultIpa};return returnValue};eSpeakNGWorker.prototype.convert_to_phonemes=function(aText,useIpa){return this.text_to_phonemes(aText,useIpa?1:0)};eSpeakNGWorker.prototype.synthesize_and_get_phonemes=function(text,userCallback){const ipaVirtualFileName="espeak-ng-ipa-temp-"+Math.random().toString().substring(2);const thisObject=this;const eventStructSize=thisObject.getSizeOfEventStruct_();function jsCallback(audioPtr,length,events_pointer){const data=Module.HEAP16.slice(audioPtr/2,audioPtr/2+length);let events=[];let ptr=events_pointer;for(let ev=wrapPointer(ptr,espeak_EVENT);ev.get_type()!=Module.espeakEVENT_LIST_TERMINATED;ev=wrapPointer(ptr+=eventStructSize,espeak_EVENT)){const eventType=eventTypes[ev.get_type()];let id;if(eventType=="mark"||eventType=="play"||eventType=="phoneme"){id=thisObject.getStringIDFromEventStruct_(ptr)}else if(eventType=="word"||eventType=="sentence"){id=thisObject.getNumericIDFromEventStruct_(ptr)}else{id=undefined}events.push({type:eventType,text_position:ev.get_text_position(),word_length:ev.get_length(),audio_position:ev.get_audio_position(),id})}return userCallback(data,events)?1:0}const jsCallbackPtr=addFunction(jsCallback);const resultCode=this.synth_with_phoneme_trace_(text,ipaVirtualFileName,jsCallbackPtr);removeFunction(jsCallbackPtr);let resultText="";if(resultCode==0){resultText=FS.readFile(ipaVirtualFileName,{encoding:"utf8"})}FS.unlink(ipaVirtualFileName);return resultText};moduleRtn=readyPromise;
+
+
+  return moduleRtn;
+}
+);
+})();
+
+// Worker side of LocalSpeechEngine in audio-export.js. Calls arrive as
+// { method, args, callback }; results go back tagged with the callback, the last
+// one marked done. Audio comes back as mono float samples.
+Module(moduleOptions).then((engine) => {
+  const speaker = new engine.eSpeakNGWorker();
+
+  const methods = {
+    set_voice: (voice) => speaker.set_voice(voice),
+    set_rate: (rate) => {
+      speaker.rate = rate;
+      return 0;
+    },
+    set_pitch: (pitch) => {
+      speaker.pitch = pitch;
+      return 0;
+    },
+    synthesize: (text, callback) => speaker.synthesize(text, (samples) => {
+      const floats = new Float32Array(samples.length);
+      for (let i = 0; i < samples.length; i++) {
+        floats[i] = samples[i] / 32768;
+      }
+      self.postMessage({ callback: callback, result: [floats.buffer], done: false }, [floats.buffer]);
+    })
+  };
+
+  self.onmessage = (event) => {
+    const { method, args, callback } = event.data;
+    let result = null;
+    try {
+      if (method === 'synthesize') {
+        result = methods.synthesize(args[0], callback);
+      } else if (methods[method]) {
+        result = methods[method](...args);
+      } else {
+        console.error('eSpeak worker: Unknown method:', method);
+      }
+    } catch (error) {
+      console.error('eSpeak worker:', method, 'failed:', error);
+    }
+    // Always answer so the caller never waits forever
+    self.postMessage({ callback: callback, result: [result], done: true });
+  };
+
+  self.postMessage('ready');
+});
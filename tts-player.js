@@ -0,0 +1,506 @@
+// Chunked text-to-speech playback
+// Long documents are split into sentence-sized chunks that are spoken one utterance
+// at a time. Chrome cuts single long utterances off, and an error now only costs the
+// current chunk: playback picks up again at the last word that was spoken.
+//
+// Positions are word indexes into the document (text.split(' ')), the same numbers
+// comments and the reader panel use.
+
+// Chunks longer than this are split at a comma or a space
+const TTS_MAX_CHUNK_CHARS = 220;
+
+// Times an interrupted chunk is retried before playback moves on
+const TTS_MAX_CHUNK_RETRIES = 2;
+
+// Matches the end of a sentence, including closing quotes and brackets
+const TTS_SENTENCE_END = /[.!?]+["'”’)\]]*(?=\s|$)/g;
+
+// Saved voice preferences. voiceURIs holds the chosen voice per language code;
+// languages without one use the first voice for their locale.
+const TTS_SETTINGS_KEY = 'tts_settings';
+
+const DEFAULT_TTS_SETTINGS = {
+  voiceURIs: {},
+  rate: 1.0,
+  pitch: 1.0,
+  volume: 1.0
+};
+
+// Range of the rate slider, and the step "faster"/"slower" move by
+const TTS_RATE_MIN = 0.5;
+const TTS_RATE_MAX = 2.5;
+const TTS_RATE_STEP = 0.25;
+
+let ttsSettings = { ...DEFAULT_TTS_SETTINGS };
+
+async function loadTTSSettings() {
+  try {
+    const result = await browserAPI.storage.local.get([TTS_SETTINGS_KEY]);
+    ttsSettings = { ...DEFAULT_TTS_SETTINGS, ...(result[TTS_SETTINGS_KEY] || {}) };
+  } catch (error) {
+    console.error('TTS: Error loading settings:', error);
+  }
+  return ttsSettings;
+}
+
+async function saveTTSSettings(settings) {
+  ttsSettings = { ...DEFAULT_TTS_SETTINGS, ...settings };
+  ttsSettings.rate = Math.min(TTS_RATE_MAX, Math.max(TTS_RATE_MIN, ttsSettings.rate));
+  try {
+    await browserAPI.storage.local.set({ [TTS_SETTINGS_KEY]: ttsSettings });
+    console.log('TTS: Settings saved:', ttsSettings);
+  } catch (error) {
+    console.error('TTS: Error saving settings:', error);
+  }
+  return ttsSettings;
+}
+
+class TTSPlayer {
+  constructor(synthesis = window.speechSynthesis) {
+    this.synthesis = synthesis;
+
+    // Document model (set by load)
+    this.text = '';
+    this.wordStarts = [];
+    this.chunks = [];
+    this.paragraphStarts = [];
+    this.pageStarts = [];
+
+    // Playback state
+    this.chunkIndex = 0;
+    this.position = 0;
+    this.isSpeaking = false;
+    this.isPaused = false;
+    this.utterance = null;
+    this.utteranceStartChar = 0;
+    this.chunkStartTime = 0;
+    this.hasBoundaryEvents = false;
+    this.retries = 0;
+    this.watchdog = null;
+
+    // Exact character to resume at after seeking while stopped or paused (a page or
+    // paragraph can start in the middle of a split(' ') word)
+    this.seekChar = null;
+
+    // Voice settings for the next utterance
+    this.rate = 1.0;
+    this.pitch = 1.0;
+    this.volume = 1.0;
+    this.lang = 'en-US';
+    this.voice = null;
+
+    // Hooks, set by the voice system
+    this.onStateChange = null; // () => {} when speaking/paused changes
+    this.onWord = null;        // (position) => {} for every word boundary
+    this.onEnd = null;         // () => {} after the last chunk
+    this.onError = null;       // (error) => {} when a chunk can't be recovered
+  }
+
+  // Split a document into chunks. pages (optional) are the extraction result pages,
+  // whose texts are joined with newlines in text.
+  load(text, pages = []) {
+    this.stop();
+    this.text = text;
+
+    this.wordStarts = [];
+    let offset = 0;
+    text.split(' ').forEach(word => {
+      this.wordStarts.push(offset);
+      offset += word.length + 1;
+    });
+
+    this.pageStarts = [];
+    offset = 0;
+    pages.filter(page => page.text).forEach(page => {
+      this.pageStarts.push({ pageNumber: page.pageNumber, startChar: offset });
+      offset += page.text.length + 1;
+    });
+
+    this.paragraphStarts = [];
+    this.chunks = [];
+    let start = 0;
+    while (start < text.length) {
+      while (start < text.length && /\s/.test(text[start])) start++;
+      if (start >= text.length) break;
+
+      // A new paragraph starts after a line break
+      const previousEnd = this.chunks.length > 0 ? this.chunks[this.chunks.length - 1].endChar : 0;
+      if (this.chunks.length === 0 || text.slice(previousEnd, start).includes('\n')) {
+        this.paragraphStarts.push(this.chunks.length);
+      }
+
+      const paragraphEnd = text.indexOf('\n', start) === -1 ? text.length : text.indexOf('\n', start);
+      const end = this.findChunkEnd(start, paragraphEnd);
+
+      this.chunks.push({
+        startChar: start,
+        endChar: end,
+        paragraph: this.paragraphStarts.length - 1,
+        pageNumber: this.getPageAt(start)
+      });
+      start = end;
+    }
+
+    this.chunkIndex = 0;
+    this.position = 0;
+    console.log('TTS: Loaded', this.chunks.length, 'chunks,', this.paragraphStarts.length, 'paragraphs,', this.pageStarts.length, 'pages');
+  }
+
+  // End of the chunk starting at `start`: the first sentence end before the end of
+  // the paragraph, or a comma/space near the length limit for very long sentences
+  findChunkEnd(start, paragraphEnd) {
+    const paragraph = this.text.slice(start, paragraphEnd);
+    TTS_SENTENCE_END.lastIndex = 0;
+    const sentenceEnd = TTS_SENTENCE_END.exec(paragraph);
+    let end = sentenceEnd ? start + sentenceEnd.index + sentenceEnd[0].length : paragraphEnd;
+
+    if (end - start > TTS_MAX_CHUNK_CHARS) {
+      const window = this.text.slice(start, start + TTS_MAX_CHUNK_CHARS);
+      const clauseBreak = Math.max(window.lastIndexOf(', '), window.lastIndexOf('; '), window.lastIndexOf(': '));
+      const spaceBreak = window.lastIndexOf(' ');
+      const breakAt = clauseBreak > TTS_MAX_CHUNK_CHARS / 2 ? clauseBreak + 1 : spaceBreak;
+      if (breakAt > 0) {
+        end = start + breakAt;
+      }
+    }
+    return end;
+  }
+
+  getPageAt(charIndex) {
+    let pageNumber = this.pageStarts.length > 0 ? this.pageStarts[0].pageNumber : 1;
+    for (const page of this.pageStarts) {
+      if (page.startChar > charIndex) break;
+      pageNumber = page.pageNumber;
+    }
+    return pageNumber;
+  }
+
+  // Index of the last item whose key is <= value (items sorted by key)
+  findLastAtOrBefore(items, value, key = item => item) {
+    let low = 0;
+    let high = items.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (key(items[middle]) <= value) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+
+  getWordAt(charIndex) {
+    return this.findLastAtOrBefore(this.wordStarts, charIndex);
+  }
+
+  getChunkAt(charIndex) {
+    return this.findLastAtOrBefore(this.chunks, charIndex, chunk => chunk.startChar);
+  }
+
+  getWordCount() {
+    return this.wordStarts.length;
+  }
+
+  getPosition() {
+    if (!this.isSpeaking || this.hasBoundaryEvents) {
+      return this.position;
+    }
+    // Voices without boundary events only allow an estimate from the time spoken
+    const estimatedWords = Math.floor((Date.now() - this.chunkStartTime) / 1000 * this.getWordsPerSecond());
+    const chunk = this.chunks[this.chunkIndex];
+    const chunkEndWord = chunk ? this.getWordAt(chunk.endChar - 1) : this.position;
+    return Math.min(this.getWordAt(this.utteranceStartChar) + estimatedWords, chunkEndWord);
+  }
+
+  // ~150 words per minute at rate 1
+  getWordsPerSecond() {
+    return 2.5 * this.rate;
+  }
+
+  getCurrentChunk() {
+    return this.chunks[this.chunkIndex] || null;
+  }
+
+  // Whether an utterance is queued or playing. isSpeaking only turns on once the
+  // synthesizer starts, this is true as soon as a chunk is handed to it.
+  isActive() {
+    return this.utterance !== null;
+  }
+
+  setState(isSpeaking, isPaused) {
+    this.isSpeaking = isSpeaking;
+    this.isPaused = isPaused;
+    if (this.onStateChange) this.onStateChange();
+  }
+
+  // Voice settings apply to the next utterance. While speaking, the current chunk is
+  // restarted at the word being read so a change is heard right away.
+  setVoice({ lang, voice, rate, pitch, volume }) {
+    const changed = this.lang !== lang || this.voice !== voice || this.rate !== rate ||
+      this.pitch !== pitch || this.volume !== volume;
+    Object.assign(this, { lang, voice, rate, pitch, volume });
+
+    if (changed && this.isSpeaking && !this.isPaused) {
+      this.play(this.getPosition());
+    }
+  }
+
+  // Start reading at a word
+  play(wordIndex = 0) {
+    if (this.chunks.length === 0) {
+      return false;
+    }
+
+    const word = Math.max(0, Math.min(Math.round(wordIndex), this.wordStarts.length - 1));
+    this.playFromChar(this.wordStarts[word]);
+    return true;
+  }
+
+  playFromChar(charIndex) {
+    const chunkIndex = this.getChunkAt(charIndex);
+    this.seekChar = null;
+    this.retries = 0;
+    this.speakChunk(chunkIndex, Math.max(charIndex, this.chunks[chunkIndex].startChar));
+  }
+
+  // Speak one chunk from a character offset inside it. When it ends the next chunk
+  // is queued, so only one utterance is ever waiting in the synthesizer.
+  speakChunk(chunkIndex, fromChar) {
+    this.cancelUtterance();
+
+    const chunk = this.chunks[chunkIndex];
+    if (!chunk) {
+      this.finish();
+      return;
+    }
+
+    this.chunkIndex = chunkIndex;
+    this.utteranceStartChar = fromChar;
+    this.position = this.getWordAt(fromChar);
+    this.chunkStartTime = Date.now();
+    this.hasBoundaryEvents = false;
+
+    const text = this.text.slice(fromChar, chunk.endChar);
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = this.lang;
+    if (this.voice) {
+      utterance.voice = this.voice;
+    }
+    utterance.rate = this.rate;
+    utterance.pitch = this.pitch;
+    utterance.volume = this.volume;
+    this.utterance = utterance;
+
+    // Events from an utterance that was cancelled on purpose are ignored
+    const isCurrent = () => utterance === this.utterance;
+
+    utterance.onstart = () => {
+      if (!isCurrent()) return;
+      this.setState(true, false);
+    };
+
+    utterance.onboundary = (event) => {
+      if (!isCurrent() || event.name !== 'word') return;
+      this.hasBoundaryEvents = true;
+      this.position = this.getWordAt(fromChar + event.charIndex);
+      this.armWatchdog(chunk.endChar - (fromChar + event.charIndex));
+      if (this.onWord) this.onWord(this.position);
+    };
+
+    utterance.onend = () => {
+      if (!isCurrent()) return;
+      this.retries = 0;
+      this.speakChunk(chunkIndex + 1, this.chunks[chunkIndex + 1] ? this.chunks[chunkIndex + 1].startChar : 0);
+    };
+
+    utterance.onerror = (event) => {
+      if (!isCurrent()) return;
+      console.error('TTS: Chunk', chunkIndex, 'error:', event.error);
+      this.recover(event.error);
+    };
+
+    this.armWatchdog(text.length);
+    this.synthesis.speak(utterance);
+    if (this.onWord) this.onWord(this.position);
+  }
+
+  // Chrome sometimes stops speaking without an end or error event. If nothing
+  // happens for much longer than the remaining text should take, treat the chunk
+  // as interrupted.
+  armWatchdog(remainingChars) {
+    clearTimeout(this.watchdog);
+    const expectedSeconds = remainingChars / 6 / this.getWordsPerSecond();
+    const utterance = this.utterance;
+    this.watchdog = setTimeout(() => {
+      if (utterance === this.utterance && !this.isPaused) {
+        console.log('TTS: Chunk', this.chunkIndex, 'stalled');
+        this.recover('stalled');
+      }
+    }, (expectedSeconds * 2 + 5) * 1000);
+  }
+
+  // Re-speak an interrupted chunk from the last word reached, then give up on it
+  // and continue with the next one
+  recover(reason) {
+    const chunk = this.getCurrentChunk();
+    if (!chunk) {
+      this.finish();
+      return;
+    }
+
+    if (this.retries < TTS_MAX_CHUNK_RETRIES) {
+      this.retries++;
+      const resumeChar = Math.max(this.wordStarts[this.position], chunk.startChar);
+      console.log('TTS: Retrying chunk', this.chunkIndex, 'from word', this.position, `(${reason}, attempt ${this.retries})`);
+      setTimeout(() => {
+        if (!this.isPaused && this.utterance) {
+          this.speakChunk(this.chunkIndex, resumeChar);
+        }
+      }, 250);
+      return;
+    }
+
+    console.error('TTS: Giving up on chunk', this.chunkIndex, 'after', reason);
+    this.retries = 0;
+    if (this.onError) this.onError(reason);
+    const nextChunk = this.chunks[this.chunkIndex + 1];
+    if (nextChunk) {
+      this.speakChunk(this.chunkIndex + 1, nextChunk.startChar);
+    } else {
+      this.finish();
+    }
+  }
+
+  cancelUtterance() {
+    clearTimeout(this.watchdog);
+    this.utterance = null;
+    this.synthesis.cancel();
+  }
+
+  // The last chunk stays current so "repeat that" still works after the end
+  finish() {
+    this.cancelUtterance();
+    this.position = 0;
+    this.chunkIndex = Math.max(0, this.chunks.length - 1);
+    this.setState(false, false);
+    if (this.onEnd) this.onEnd();
+  }
+
+  pause() {
+    if (!this.isSpeaking || this.isPaused) {
+      return false;
+    }
+    this.position = this.getPosition();
+    this.cancelUtterance();
+    this.setState(false, true);
+    return true;
+  }
+
+  resume() {
+    if (!this.isPaused || this.chunks.length === 0) {
+      return false;
+    }
+    this.isPaused = false;
+    if (this.seekChar !== null && this.getWordAt(this.seekChar) === this.position) {
+      this.playFromChar(this.seekChar);
+    } else {
+      this.play(this.position);
+    }
+    return true;
+  }
+
+  stop() {
+    this.cancelUtterance();
+    this.position = 0;
+    this.chunkIndex = 0;
+    this.seekChar = null;
+    this.setState(false, false);
+  }
+
+  // Move to a word: keeps playing if playing, otherwise only moves the resume point.
+  // Returns the new position.
+  seek(wordIndex) {
+    const word = Math.max(0, Math.min(Math.round(wordIndex), this.wordStarts.length - 1));
+    return this.seekToChar(this.wordStarts[word] || 0);
+  }
+
+  seekToChar(charIndex) {
+    if (this.chunks.length === 0) {
+      return null;
+    }
+
+    if (this.isSpeaking) {
+      this.playFromChar(charIndex);
+    } else {
+      const chunkIndex = this.getChunkAt(charIndex);
+      this.seekChar = Math.max(charIndex, this.chunks[chunkIndex].startChar);
+      this.chunkIndex = chunkIndex;
+      this.position = this.getWordAt(this.seekChar);
+    }
+    return this.position;
+  }
+
+  seekChunk(chunkIndex) {
+    const chunk = this.chunks[Math.max(0, Math.min(chunkIndex, this.chunks.length - 1))];
+    return chunk ? this.seekToChar(chunk.startChar) : null;
+  }
+
+  // Paragraph navigation, relative to the chunk being read
+  nextParagraph() {
+    const chunk = this.getCurrentChunk();
+    const paragraph = chunk ? chunk.paragraph + 1 : 0;
+    if (paragraph >= this.paragraphStarts.length) {
+      return null;
+    }
+    return this.seekChunk(this.paragraphStarts[paragraph]);
+  }
+
+  // Back to the start of this paragraph, or to the previous one when already
+  // at the start
+  previousParagraph() {
+    const chunk = this.getCurrentChunk();
+    if (!chunk) {
+      return null;
+    }
+    // "At the start" means on its first word, or within a few seconds of starting it
+    const paragraphStartChunk = this.paragraphStarts[chunk.paragraph];
+    const justStarted = this.isSpeaking && this.utteranceStartChar === chunk.startChar && Date.now() - this.chunkStartTime < 3000;
+    const atParagraphStart = this.chunkIndex === paragraphStartChunk &&
+      (this.position <= this.getWordAt(chunk.startChar) || justStarted);
+    const paragraph = atParagraphStart ? Math.max(0, chunk.paragraph - 1) : chunk.paragraph;
+    return this.seekChunk(this.paragraphStarts[paragraph]);
+  }
+
+  goToPage(pageNumber) {
+    const page = this.pageStarts.find(start => start.pageNumber === pageNumber);
+    if (!page) {
+      return null;
+    }
+    return this.seekToChar(page.startChar);
+  }
+
+  // Next or previous page (or page region) relative to the chunk being read
+  movePage(offset) {
+    const chunk = this.getCurrentChunk();
+    if (!chunk || this.pageStarts.length === 0) {
+      return null;
+    }
+    const current = this.pageStarts.findIndex(start => start.pageNumber === chunk.pageNumber);
+    const page = this.pageStarts[current + offset];
+    return page ? this.seekToChar(page.startChar) : null;
+  }
+
+  // Read the current sentence again from its start
+  repeat() {
+    const chunk = this.getCurrentChunk();
+    return chunk ? this.seekChunk(this.chunkIndex) : null;
+  }
+
+  // Skip by a number of seconds at the current speaking pace
+  skipSeconds(seconds) {
+    const words = Math.round(Math.abs(seconds) * this.getWordsPerSecond());
+    const position = this.getPosition();
+    return this.seek(seconds > 0 ? position + words : position - words);
+  }
+}
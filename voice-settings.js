@@ -0,0 +1,54 @@
+// How voice commands are activated
+//   wake        - the microphone stays on and commands follow the wake word
+//   pushToTalk  - the microphone only turns on when the push-to-talk shortcut is
+//                 pressed (manifest "commands"), for one command
+// singleCommand goes back to sleep after every command instead of waiting out the
+// timeout for another one.
+
+const VOICE_SETTINGS_KEY = 'voice_settings';
+
+const DEFAULT_VOICE_SETTINGS = {
+  activation: 'wake',
+  // Empty means the language's own wake phrase ("hey schoology", "oye schoology"...)
+  wakeWord: '',
+  wakeTimeoutSeconds: 10,
+  singleCommand: false
+};
+
+const WAKE_TIMEOUT_MIN_SECONDS = 3;
+const WAKE_TIMEOUT_MAX_SECONDS = 60;
+
+// Shortcut suggested for the manifest's "push-to-talk" command; users can change it
+// in the browser's extension shortcut settings
+const PUSH_TO_TALK_DEFAULT_KEY = 'Alt+Shift+V';
+
+let voiceSettings = { ...DEFAULT_VOICE_SETTINGS };
+
+async function loadVoiceSettings() {
+  try {
+    const result = await browserAPI.storage.local.get([VOICE_SETTINGS_KEY]);
+    voiceSettings = { ...DEFAULT_VOICE_SETTINGS, ...(result[VOICE_SETTINGS_KEY] || {}) };
+  } catch (error) {
+    console.error('VoiceSettings: Error loading:', error);
+  }
+  return voiceSettings;
+}
+
+async function saveVoiceSettings(settings) {
+  voiceSettings = { ...DEFAULT_VOICE_SETTINGS, ...settings };
+  voiceSettings.wakeWord = voiceSettings.wakeWord.trim();
+  voiceSettings.wakeTimeoutSeconds = Math.min(WAKE_TIMEOUT_MAX_SECONDS,
+    Math.max(WAKE_TIMEOUT_MIN_SECONDS, Math.round(voiceSettings.wakeTimeoutSeconds) || DEFAULT_VOICE_SETTINGS.wakeTimeoutSeconds));
+  try {
+    await browserAPI.storage.local.set({ [VOICE_SETTINGS_KEY]: voiceSettings });
+    console.log('VoiceSettings: Saved:', voiceSettings);
+  } catch (error) {
+    console.error('VoiceSettings: Error saving:', error);
+  }
+  return voiceSettings;
+}
+
+// Wake phrase for a language: the user's own, or the language default
+function getActiveWakeWord(languageCode) {
+  return voiceSettings.wakeWord || getWakeWord(languageCode);
+}